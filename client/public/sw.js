@@ -0,0 +1,167 @@
+/**
+ * Peek service worker
+ *
+ * Keeps the app shell usable offline and remembers thumbnails from pages
+ * that were browsed recently. Videos saved for offline viewing live in
+ * IndexedDB (see src/utils/offlineStore.ts), not here.
+ *
+ * - Pages: network first, falling back to the cached index.html
+ * - Built assets (/assets/*): cache first; file names are content hashed
+ * - Startup API calls (auth, setup, settings, themes): network first, cached
+ *   copy offline so the shell can render without a server
+ * - Thumbnails (/api/proxy/*): network first, cached copy offline, oldest
+ *   dropped past MAX_THUMBNAILS
+ *
+ * Bump CACHE_VERSION when the caching rules change; old caches are dropped
+ * on activate.
+ */
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `peek-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `peek-assets-${CACHE_VERSION}`;
+const API_CACHE = `peek-api-${CACHE_VERSION}`;
+const THUMBNAIL_CACHE = `peek-thumbnails-${CACHE_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, ASSET_CACHE, API_CACHE, THUMBNAIL_CACHE];
+
+const MAX_ASSETS = 300;
+const MAX_THUMBNAILS = 1000;
+
+const SHELL_URLS = [
+  "/index.html",
+  "/site.webmanifest",
+  "/favicon.ico",
+  "/android-chrome-192x192.png",
+  "/android-chrome-512x512.png",
+  "/apple-touch-icon.png",
+];
+
+// API calls the shell makes before any page renders
+const SHELL_API_PATHS = new Set([
+  "/api/auth/check",
+  "/api/setup/status",
+  "/api/user/settings",
+  "/api/themes/custom",
+]);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith("peek-") && !CURRENT_CACHES.includes(name))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // Signing out must not leave the last user's session answerable offline
+  if (request.method === "POST" && url.pathname === "/api/auth/logout") {
+    event.respondWith(
+      fetch(request).finally(() => caches.delete(API_CACHE))
+    );
+    return;
+  }
+
+  if (request.method !== "GET") return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (url.pathname.startsWith("/assets/")) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE, MAX_ASSETS));
+    return;
+  }
+
+  if (SHELL_API_PATHS.has(url.pathname)) {
+    event.respondWith(networkFirst(request, API_CACHE));
+    return;
+  }
+
+  if (url.pathname.startsWith("/api/proxy/") && request.destination === "image") {
+    event.respondWith(networkFirst(request, THUMBNAIL_CACHE, MAX_THUMBNAILS));
+  }
+});
+
+/**
+ * Every route is the same SPA document, so one cached index.html serves
+ * any page while offline.
+ */
+async function handleNavigation(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok && isHtml(response)) {
+      await cache.put("/index.html", response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match("/index.html");
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    await trimCache(cache, maxEntries);
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      if (maxEntries) await trimCache(cache, maxEntries);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Drop the oldest entries past maxEntries. Cache keys come back in insertion
+ * order and put() re-inserts, so the front of the list is least recently
+ * fetched.
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excess = keys.length - maxEntries;
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+function isHtml(response) {
+  return (response.headers.get("content-type") || "").includes("text/html");
+}
@@ -7,10 +7,12 @@ import SetupWizard from "./components/pages/SetupWizard";
 import { GlobalLayout } from "./components/ui/index";
 import { AuthProvider } from "./contexts/AuthContext";
 import { ConfigProvider } from "./contexts/ConfigContext";
+import { ServerEventsProvider } from "./contexts/ServerEventsContext";
 import { TVModeProvider } from "./contexts/TVModeProvider";
 import { UnitPreferenceProvider } from "./contexts/UnitPreferenceProvider";
 import { CardDisplaySettingsProvider } from "./contexts/CardDisplaySettingsContext";
 import { SetupGuard, LoginGuard, ProtectedRoute } from "./components/guards/RouteGuards";
+import AccessGate from "./components/guards/AccessGate";
 import { QueryClientProvider } from "@tanstack/react-query";
 import { ReactQueryDevtools } from "@tanstack/react-query-devtools";
 import { setupApi, queryClient } from "./api";
@@ -44,7 +46,11 @@ const PlaylistDetail = lazy(
 );
 const SettingsPage = lazy(() => import("./components/pages/SettingsPage"));
 const WatchHistory = lazy(() => import("./components/pages/WatchHistory"));
+const WatchPartyJoin = lazy(() => import("./components/pages/WatchPartyJoin"));
 const UserStats = lazy(() => import("./components/pages/UserStats"));
+const YearInReview = lazy(
+  () => import("./components/pages/UserStats/YearInReview")
+);
 const HiddenItemsPage = lazy(
   () => import("./components/pages/HiddenItemsPage")
 );
@@ -53,6 +59,9 @@ const Clips = lazy(() => import("./components/pages/Clips"));
 const CarouselBuilder = lazy(
   () => import("./components/carousel-builder/CarouselBuilder")
 );
+const SmartPlaylistBuilder = lazy(
+  () => import("./components/playlists/SmartPlaylistBuilder")
+);
 
 // Loading fallback component
 const PageLoader = () => (
@@ -74,7 +83,7 @@ const AppContent = () => {
       } catch (error) {
         console.error("Failed to check setup status:", error);
         // If check fails, assume setup is not complete
-        setSetupStatus({ setupComplete: false, hasUsers: false, hasStashInstance: false, userCount: 0, stashInstanceCount: 0 });
+        setSetupStatus({ setupComplete: false, hasUsers: false, hasStashInstance: false, userCount: 0, stashInstanceCount: 0, transcodeEnabled: false });
       } finally {
         setCheckingSetup(false);
       }
@@ -91,7 +100,7 @@ const AppContent = () => {
   };
 
   // Ensure setupStatus has defaults to prevent null access in guards
-  const safeSetupStatus = setupStatus || { setupComplete: false, hasUsers: false, hasStashInstance: false, userCount: 0, stashInstanceCount: 0 };
+  const safeSetupStatus = setupStatus || { setupComplete: false, hasUsers: false, hasStashInstance: false, userCount: 0, stashInstanceCount: 0, transcodeEnabled: false };
 
   return (
     <Router>
@@ -274,6 +283,16 @@ const AppContent = () => {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/watch-party/:partyId"
+            element={
+              <ProtectedRoute setupStatus={safeSetupStatus} checkingSetup={checkingSetup}>
+                <GlobalLayout>
+                  <WatchPartyJoin />
+                </GlobalLayout>
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/user-stats"
             element={
@@ -284,6 +303,16 @@ const AppContent = () => {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/user-stats/year-in-review"
+            element={
+              <ProtectedRoute setupStatus={safeSetupStatus} checkingSetup={checkingSetup}>
+                <GlobalLayout>
+                  <YearInReview />
+                </GlobalLayout>
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/hidden-items"
             element={
@@ -353,6 +382,26 @@ const AppContent = () => {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/playlists/smart/new"
+            element={
+              <ProtectedRoute setupStatus={safeSetupStatus} checkingSetup={checkingSetup}>
+                <GlobalLayout>
+                  <SmartPlaylistBuilder />
+                </GlobalLayout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/playlist/:playlistId/rules"
+            element={
+              <ProtectedRoute setupStatus={safeSetupStatus} checkingSetup={checkingSetup}>
+                <GlobalLayout>
+                  <SmartPlaylistBuilder />
+                </GlobalLayout>
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/scene/:sceneId"
             element={
@@ -397,24 +446,28 @@ function App() {
     <ThemeProvider>
       <AuthProvider>
         <QueryClientProvider client={queryClient}>
-          <ConfigProvider>
-            <UnitPreferenceProvider>
-              <TVModeProvider>
-                <CardDisplaySettingsProvider>
-                  <AppContent />
-                  <Toaster
-                    position="top-right"
-                    toastOptions={{
-                      duration: 3000,
-                      style: {
-                        padding: "0",
-                      },
-                    }}
-                  />
-                </CardDisplaySettingsProvider>
-              </TVModeProvider>
-            </UnitPreferenceProvider>
-          </ConfigProvider>
+          <ServerEventsProvider>
+            <ConfigProvider>
+              <UnitPreferenceProvider>
+                <TVModeProvider>
+                  <CardDisplaySettingsProvider>
+                    <AccessGate>
+                      <AppContent />
+                    </AccessGate>
+                    <Toaster
+                      position="top-right"
+                      toastOptions={{
+                        duration: 3000,
+                        style: {
+                          padding: "0",
+                        },
+                      }}
+                    />
+                  </CardDisplaySettingsProvider>
+                </TVModeProvider>
+              </UnitPreferenceProvider>
+            </ConfigProvider>
+          </ServerEventsProvider>
           <ReactQueryDevtools initialIsOpen={false} />
         </QueryClientProvider>
       </AuthProvider>
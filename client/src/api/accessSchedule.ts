@@ -0,0 +1,29 @@
+/**
+ * Access schedules — the current user's access status, stream tokens held to
+ * it, and managing users' schedules (admin). Group schedules are saved with
+ * the group.
+ */
+import { apiGet, apiPost, apiPut } from "./client";
+import type {
+  AccessSchedule,
+  CreateStreamTokenResponse,
+  GetAccessStatusResponse,
+  GetUserAccessScheduleResponse,
+  UpdateUserAccessResponse,
+} from "@peek/shared-types";
+
+export const getAccessStatus = () => apiGet<GetAccessStatusResponse>("/auth/access");
+
+/** Token for players that stream a scene without the session cookie (cast, external players) */
+export const createStreamToken = (sceneId: string) =>
+  apiPost<CreateStreamTokenResponse>(`/scene/${encodeURIComponent(sceneId)}/stream-token`);
+
+export const getUserAccessSchedule = (userId: number) =>
+  apiGet<GetUserAccessScheduleResponse>(`/user/${userId}/access-schedule`);
+
+export const updateUserAccessSchedule = (userId: number, schedule: AccessSchedule | null) =>
+  apiPut<UpdateUserAccessResponse>(`/user/${userId}/access-schedule`, { schedule });
+
+/** Lift the user's schedule until `until`; null ends the override */
+export const updateUserAccessOverride = (userId: number, until: string | null) =>
+  apiPut<UpdateUserAccessResponse>(`/user/${userId}/access-override`, { until });
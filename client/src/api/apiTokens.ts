@@ -0,0 +1,25 @@
+/**
+ * API tokens — personal long-lived tokens for scripts and external clients.
+ */
+import { apiGet, apiPost, apiDelete } from "./client";
+import type {
+  ApiTokenScope,
+  CreateApiTokenResponse,
+  GetApiTokensResponse,
+  RevokeApiTokenResponse,
+} from "@peek/shared-types";
+
+export const getApiTokens = () =>
+  apiGet<GetApiTokensResponse>("/user/api-tokens");
+
+export const createApiToken = (name: string, scopes: ApiTokenScope[]) =>
+  apiPost<CreateApiTokenResponse>("/user/api-tokens", { name, scopes });
+
+export const revokeApiToken = (tokenId: number) =>
+  apiDelete<RevokeApiTokenResponse>(`/user/api-tokens/${tokenId}`);
+
+export const adminGetApiTokens = (userId: number) =>
+  apiGet<GetApiTokensResponse>(`/user/${userId}/api-tokens`);
+
+export const adminRevokeApiToken = (userId: number, tokenId: number) =>
+  apiDelete<RevokeApiTokenResponse>(`/user/${userId}/api-tokens/${tokenId}`);
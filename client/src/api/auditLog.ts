@@ -0,0 +1,36 @@
+/**
+ * Audit log of administrative and security-relevant actions (admin only).
+ */
+import { apiGet, apiPut } from "./client";
+import type {
+  AuditLogQuery,
+  GetAuditLogResponse,
+  GetAuditSettingsResponse,
+  UpdateAuditSettingsBody,
+  UpdateAuditSettingsResponse,
+} from "@peek/shared-types";
+
+const toQueryString = (query: AuditLogQuery) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (typeof value === "string" && value) params.set(key, value);
+  }
+  const search = params.toString();
+  return search ? `?${search}` : "";
+};
+
+export const getAuditLog = (query: AuditLogQuery = {}) =>
+  apiGet<GetAuditLogResponse>(`/admin/audit-log${toQueryString(query)}`);
+
+/**
+ * Browser navigation target that downloads the filtered log as CSV
+ */
+export const getAuditLogExportUrl = (query: AuditLogQuery = {}) => {
+  const { page: _page, perPage: _perPage, ...filters } = query;
+  return `/api/admin/audit-log/export.csv${toQueryString(filters)}`;
+};
+
+export const getAuditSettings = () => apiGet<GetAuditSettingsResponse>("/admin/audit-log/settings");
+
+export const updateAuditSettings = (body: UpdateAuditSettingsBody) =>
+  apiPut<UpdateAuditSettingsResponse>("/admin/audit-log/settings", body);
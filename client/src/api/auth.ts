@@ -0,0 +1,25 @@
+/**
+ * Sign-in options and single sign-on (OpenID Connect) settings.
+ */
+import { apiGet, apiPut } from "./client";
+import type {
+  GetAuthConfigResponse,
+  GetAuthSettingsResponse,
+  UpdateAuthSettingsBody,
+  UpdateAuthSettingsResponse,
+} from "@peek/shared-types";
+
+export const getAuthConfig = () => apiGet<GetAuthConfigResponse>("/auth/config");
+
+export const getAuthSettings = () => apiGet<GetAuthSettingsResponse>("/auth/settings");
+
+export const updateAuthSettings = (body: UpdateAuthSettingsBody) =>
+  apiPut<UpdateAuthSettingsResponse>("/auth/settings", body);
+
+/**
+ * Browser navigation target that starts an OIDC login
+ */
+export const getOidcLoginUrl = (returnTo?: string | null) =>
+  returnTo
+    ? `/api/auth/oidc/login?returnTo=${encodeURIComponent(returnTo)}`
+    : "/api/auth/oidc/login";
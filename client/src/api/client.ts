@@ -7,6 +7,10 @@
 const API_BASE_URL = "/api";
 const REDIRECT_STORAGE_KEY = "peek_auth_redirect";
 
+// Window event fired when the user's access schedule refuses a request, so
+// the access gate can show why instead of sending them to the login page.
+const ACCESS_DENIED_EVENT = "peekAccessDenied";
+
 // Flag to prevent multiple simultaneous redirects to login.
 // Never reset because the page does a full navigation (window.location.href).
 let isRedirectingToLogin = false;
@@ -19,6 +23,10 @@ const AUTH_SILENT_ENDPOINTS = new Set([
   "/image-view-history/view",
 ]);
 
+// Endpoints where 403 means "not allowed for this content" rather than a
+// lost session, so it's surfaced to the caller instead of redirecting.
+const CONTENT_FORBIDDEN_PREFIXES = ["/watch-party/"];
+
 /**
  * Structured API error with status code and response data.
  */
@@ -69,8 +77,22 @@ export async function apiFetch<T = unknown>(
       errorData = { error: `HTTP error! status: ${response.status}` };
     }
 
+    if (response.status === 403 && errorData.code === "ACCESS_SCHEDULE") {
+      window.dispatchEvent(
+        new CustomEvent(ACCESS_DENIED_EVENT, { detail: errorData.access }),
+      );
+      throw new ApiError(
+        (errorData.error as string) || "Access is not available right now",
+        response.status,
+        errorData,
+      );
+    }
+
     const isAuthEndpoint = endpoint.startsWith("/auth/");
-    const isSilentEndpoint = AUTH_SILENT_ENDPOINTS.has(endpoint);
+    const isSilentEndpoint =
+      AUTH_SILENT_ENDPOINTS.has(endpoint) ||
+      (response.status === 403 &&
+        CONTENT_FORBIDDEN_PREFIXES.some((prefix) => endpoint.startsWith(prefix)));
 
     if (
       (response.status === 401 || response.status === 403) &&
@@ -152,4 +174,4 @@ export function apiDelete<T = unknown>(endpoint: string): Promise<T> {
   return apiFetch<T>(endpoint, { method: "DELETE" });
 }
 
-export { REDIRECT_STORAGE_KEY };
+export { REDIRECT_STORAGE_KEY, ACCESS_DENIED_EVENT };
@@ -11,6 +11,7 @@ export interface GetClipsOptions {
   isGenerated?: boolean;
   sceneId?: string;
   tagIds?: string[];
+  primaryTagIds?: string[];
   sceneTagIds?: string[];
   performerIds?: string[];
   studioId?: string;
@@ -27,6 +28,7 @@ export async function getClips(options: GetClipsOptions = {}) {
   if (options.isGenerated !== undefined) params.set("isGenerated", String(options.isGenerated));
   if (options.sceneId) params.set("sceneId", options.sceneId);
   if (options.tagIds?.length) params.set("tagIds", options.tagIds.join(","));
+  if (options.primaryTagIds?.length) params.set("primaryTagIds", options.primaryTagIds.join(","));
   if (options.sceneTagIds?.length) params.set("sceneTagIds", options.sceneTagIds.join(","));
   if (options.performerIds?.length) params.set("performerIds", options.performerIds.join(","));
   if (options.studioId) params.set("studioId", options.studioId);
@@ -0,0 +1,28 @@
+/**
+ * DLNA media server settings and device-to-user bindings (admin only).
+ */
+import { apiDelete, apiGet, apiPost, apiPut } from "./client";
+import type {
+  CreateDlnaDeviceBody,
+  DlnaDeviceResponse,
+  GetDlnaDevicesResponse,
+  GetDlnaSettingsResponse,
+  UpdateDlnaDeviceBody,
+  UpdateDlnaSettingsBody,
+  UpdateDlnaSettingsResponse,
+} from "@peek/shared-types";
+
+export const getDlnaSettings = () => apiGet<GetDlnaSettingsResponse>("/dlna/settings");
+
+export const updateDlnaSettings = (body: UpdateDlnaSettingsBody) =>
+  apiPut<UpdateDlnaSettingsResponse>("/dlna/settings", body);
+
+export const getDlnaDevices = () => apiGet<GetDlnaDevicesResponse>("/dlna/devices");
+
+export const createDlnaDevice = (body: CreateDlnaDeviceBody) =>
+  apiPost<DlnaDeviceResponse>("/dlna/devices", body);
+
+export const updateDlnaDevice = (id: number, body: UpdateDlnaDeviceBody) =>
+  apiPut<DlnaDeviceResponse>(`/dlna/devices/${id}`, body);
+
+export const deleteDlnaDevice = (id: number) => apiDelete(`/dlna/devices/${id}`);
@@ -0,0 +1,41 @@
+/**
+ * Download queue control and the admin queue settings. Live progress
+ * arrives over the server event stream (see ./events).
+ */
+import { apiGet, apiPost, apiPut } from "./client";
+import type {
+  DownloadPriority,
+  DownloadQueueActionResponse,
+  GetDownloadSettingsResponse,
+  GetUserDownloadsResponse,
+  StartSceneDownloadResponse,
+  UpdateDownloadPriorityResponse,
+  UpdateDownloadSettingsBody,
+  UpdateDownloadSettingsResponse,
+} from "@peek/shared-types";
+
+export const getDownloads = () => apiGet<GetUserDownloadsResponse>("/downloads");
+
+export const startSceneDownload = (sceneId: string) =>
+  apiPost<StartSceneDownloadResponse>(`/downloads/scene/${sceneId}`);
+
+/** The finished file; fetched directly rather than through apiFetch since it isn't JSON */
+export const getDownloadFileUrl = (id: number) => `/api/downloads/${id}/file`;
+
+export const pauseDownload = (id: number) =>
+  apiPost<DownloadQueueActionResponse>(`/downloads/${id}/pause`);
+
+export const resumeDownload = (id: number) =>
+  apiPost<DownloadQueueActionResponse>(`/downloads/${id}/resume`);
+
+export const cancelDownload = (id: number) =>
+  apiPost<DownloadQueueActionResponse>(`/downloads/${id}/cancel`);
+
+export const updateDownloadPriority = (id: number, priority: DownloadPriority) =>
+  apiPut<UpdateDownloadPriorityResponse>(`/downloads/${id}/priority`, { priority });
+
+export const getDownloadSettings = () =>
+  apiGet<GetDownloadSettingsResponse>("/downloads/settings");
+
+export const updateDownloadSettings = (body: UpdateDownloadSettingsBody) =>
+  apiPut<UpdateDownloadSettingsResponse>("/downloads/settings", body);
@@ -0,0 +1,6 @@
+/**
+ * Live server events — sync, library, exclusion and download changes.
+ */
+
+/** URL of the current user's Server-Sent Events stream (for EventSource) */
+export const getServerEventsUrl = () => "/api/events";
@@ -1,4 +1,4 @@
-export { useSceneList, useSceneDetail } from "./useScenes";
+export { useSceneList, useSceneDetail, useSimilarScenes } from "./useScenes";
 export { usePerformerList, usePerformerDetail } from "./usePerformers";
 export { useStudioList, useStudioDetail } from "./useStudios";
 export { useTagList, useTagDetail } from "./useTags";
@@ -8,3 +8,5 @@ export { useImageList } from "./useImages";
 export { useUpdateRating } from "./useRatingMutation";
 export { useUpdateFavorite } from "./useFavoriteMutation";
 export { useIncrementOCounter } from "./useOCounterMutation";
+export { useSearch } from "./useSearch";
+export { useFolders } from "./useFolders";
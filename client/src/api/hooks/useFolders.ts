@@ -0,0 +1,16 @@
+import { useQuery } from "@tanstack/react-query";
+import type { FolderEntityType } from "@peek/shared-types";
+import { queryKeys } from "../queryKeys";
+import { libraryApi } from "../library";
+
+export function useFolders(
+  type: FolderEntityType,
+  folder: { path: string; instanceId: string } | null,
+  enabled = true
+) {
+  return useQuery({
+    queryKey: queryKeys.folders.list(type, (folder ?? {}) as Record<string, unknown>),
+    queryFn: ({ signal }) => libraryApi.getFolders(type, folder, signal),
+    enabled,
+  });
+}
@@ -17,3 +17,11 @@ export function useSceneDetail(id: string | undefined, instanceId?: string) {
     enabled: !!id,
   });
 }
+
+export function useSimilarScenes(id: string | undefined, page = 1, instanceId?: string) {
+  return useQuery({
+    queryKey: queryKeys.scenes.similar(instanceId, id!, page),
+    queryFn: () => libraryApi.findSimilarScenes(id!, page),
+    enabled: !!id,
+  });
+}
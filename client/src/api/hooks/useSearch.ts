@@ -0,0 +1,13 @@
+import { keepPreviousData, useQuery } from "@tanstack/react-query";
+import { queryKeys } from "../queryKeys";
+import { searchApi, type SearchOptions } from "../search";
+
+export function useSearch(query: string, options: SearchOptions = {}) {
+  const q = query.trim();
+  return useQuery({
+    queryKey: queryKeys.search.results(q, options as Record<string, unknown>),
+    queryFn: ({ signal }) => searchApi.search(q, options, signal),
+    enabled: q.length > 0,
+    placeholderData: keepPreviousData,
+  });
+}
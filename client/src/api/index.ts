@@ -6,11 +6,11 @@
  */
 
 // Core HTTP client
-export { apiFetch, apiGet, apiPost, apiPut, apiDelete, ApiError, REDIRECT_STORAGE_KEY } from "./client";
+export { apiFetch, apiGet, apiPost, apiPut, apiDelete, ApiError, REDIRECT_STORAGE_KEY, ACCESS_DENIED_EVENT } from "./client";
 
 // Library (entity search)
 export { libraryApi, commonFilters, filterHelpers } from "./library";
-export type { LibrarySearchParams } from "./library";
+export type { LibrarySearchParams, SimilarScenesResponse } from "./library";
 
 // Ratings
 export {
@@ -51,6 +51,123 @@ export {
   adminRegenerateRecoveryKey,
 } from "./admin";
 
+// Personal API tokens
+export {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+  adminGetApiTokens,
+  adminRevokeApiToken,
+} from "./apiTokens";
+
+// Personal data export/import
+export {
+  getUserDataExportUrl,
+  importUserData,
+  adminGetUserDataExportUrl,
+  adminImportUserData,
+} from "./userData";
+
+// Sign-in options and SSO settings
+export { getAuthConfig, getAuthSettings, updateAuthSettings, getOidcLoginUrl } from "./auth";
+
+// Two-factor authentication
+export {
+  verifyTwoFactorLogin,
+  getWebAuthnLoginOptions,
+  verifyWebAuthnLogin,
+  beginLoginTotpSetup,
+  confirmLoginTotpSetup,
+  getTwoFactorStatus,
+  beginTotpSetup,
+  confirmTotpSetup,
+  disableTotp,
+  regenerateBackupCodes,
+  getWebAuthnRegistrationOptions,
+  registerWebAuthnCredential,
+  deleteWebAuthnCredential,
+  adminResetTwoFactor,
+} from "./twoFactor";
+
+// DLNA media server
+export {
+  getDlnaSettings,
+  updateDlnaSettings,
+  getDlnaDevices,
+  createDlnaDevice,
+  updateDlnaDevice,
+  deleteDlnaDevice,
+} from "./dlna";
+
+// Peek transcoding
+export {
+  getTranscodeSettings,
+  updateTranscodeSettings,
+  getTranscodeJobs,
+  stopTranscodeJob,
+} from "./transcode";
+
+// Downloads
+export {
+  getDownloads,
+  getDownloadFileUrl,
+  startSceneDownload,
+  pauseDownload,
+  resumeDownload,
+  cancelDownload,
+  updateDownloadPriority,
+  getDownloadSettings,
+  updateDownloadSettings,
+} from "./downloads";
+
+// Stash write-back
+export {
+  getStashWriteBack,
+  updateStashWriteBackSettings,
+  retryStashWriteBack,
+  discardStashWriteBack,
+} from "./stashWriteBack";
+
+// Audit log
+export {
+  getAuditLog,
+  getAuditLogExportUrl,
+  getAuditSettings,
+  updateAuditSettings,
+} from "./auditLog";
+
+// Metadata edits
+export {
+  getMetadataEdits,
+  getMetadataEdit,
+  approveMetadataEdit,
+  rejectMetadataEdit,
+  getMyMetadataEdits,
+  getMetadataEditHistory,
+} from "./metadataEdits";
+
+// Access schedules
+export {
+  getAccessStatus,
+  createStreamToken,
+  getUserAccessSchedule,
+  updateUserAccessSchedule,
+  updateUserAccessOverride,
+} from "./accessSchedule";
+
+// Watch party
+export {
+  createWatchParty,
+  getWatchParty,
+  joinWatchParty,
+  leaveWatchParty,
+  sendWatchPartyControl,
+  getWatchPartyEventsUrl,
+} from "./watchParty";
+
+// Live server events
+export { getServerEventsUrl } from "./events";
+
 // Clips
 export { getClips, getClipsForScene, getClipPreviewUrl } from "./clips";
 export type { GetClipsOptions } from "./clips";
@@ -58,6 +175,14 @@ export type { GetClipsOptions } from "./clips";
 // Image view history
 export { imageViewHistoryApi } from "./image-view-history";
 
+// Unified search
+export { searchApi } from "./search";
+export type { SearchOptions } from "./search";
+
+// User stats over time
+export { userStatsApi } from "./userStats";
+export type { TimeSeriesOptions, TrendsOptions } from "./userStats";
+
 // TanStack Query infrastructure
 export { queryClient } from "./queryClient";
 export { queryKeys } from "./queryKeys";
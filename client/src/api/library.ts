@@ -1,10 +1,18 @@
 /**
  * Library API — entity search and lookup endpoints.
  */
+import type { FolderEntityType, FolderListResponse, NormalizedScene } from "@peek/shared-types";
 import { apiFetch, apiGet, apiPost } from "./client";
 
 // ── Types ──────────────────────────────────────────────────────────────
 
+export interface SimilarScenesResponse {
+  scenes: NormalizedScene[];
+  count: number;
+  page: number;
+  perPage: number;
+}
+
 export interface LibrarySearchParams {
   filter?: Record<string, unknown>;
   scene_filter?: Record<string, unknown>;
@@ -97,6 +105,24 @@ export const libraryApi = {
       : null;
   },
 
+  // Scenes like the given one, best match first, 12 per page
+  findSimilarScenes: (sceneId: string, page = 1) =>
+    apiGet<SimilarScenesResponse>(`/library/scenes/${sceneId}/similar?page=${page}`),
+
+  // Folders on disk below a folder (or the library roots), with item counts
+  getFolders: (
+    type: FolderEntityType,
+    folder: { path: string; instanceId: string } | null = null,
+    signal?: AbortSignal
+  ) => {
+    const params = new URLSearchParams({ type });
+    if (folder) {
+      params.set("path", folder.path);
+      params.set("instanceId", folder.instanceId);
+    }
+    return apiGet<FolderListResponse>(`/library/folders?${params.toString()}`, signal);
+  },
+
   // Minimal endpoints
   findPerformersMinimal: async (params: LibrarySearchParams = {}) => {
     const result = await apiPost<Record<string, unknown>>("/library/performers/minimal", params);
@@ -0,0 +1,36 @@
+/**
+ * Metadata edit review queue (admin) and edit history.
+ */
+import { apiGet, apiPost } from "./client";
+import type {
+  GetMetadataEditHistoryResponse,
+  GetMetadataEditResponse,
+  GetMetadataEditsQuery,
+  GetMetadataEditsResponse,
+  GetMyMetadataEditsResponse,
+  MetadataEditEntityType,
+  ReviewMetadataEditResponse,
+} from "@peek/shared-types";
+
+export const getMetadataEdits = (query: GetMetadataEditsQuery = {}) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value) params.set(key, value);
+  }
+  const search = params.toString();
+  return apiGet<GetMetadataEditsResponse>(`/metadata-edits${search ? `?${search}` : ""}`);
+};
+
+export const getMetadataEdit = (id: number) =>
+  apiGet<GetMetadataEditResponse>(`/metadata-edits/${id}`);
+
+export const approveMetadataEdit = (id: number, note?: string) =>
+  apiPost<ReviewMetadataEditResponse>(`/metadata-edits/${id}/approve`, { note });
+
+export const rejectMetadataEdit = (id: number, note?: string) =>
+  apiPost<ReviewMetadataEditResponse>(`/metadata-edits/${id}/reject`, { note });
+
+export const getMyMetadataEdits = () => apiGet<GetMyMetadataEditsResponse>("/metadata-edits/mine");
+
+export const getMetadataEditHistory = (entityType: MetadataEditEntityType, entityId: string) =>
+  apiGet<GetMetadataEditHistoryResponse>(`/metadata-edits/history/${entityType}/${entityId}`);
@@ -15,6 +15,8 @@ export const queryKeys = {
       ["scenes", instanceId, "list", params] as const,
     detail: (instanceId: string | undefined, id: string) =>
       ["scenes", instanceId, "detail", id] as const,
+    similar: (instanceId: string | undefined, id: string, page: number) =>
+      ["scenes", instanceId, "similar", id, page] as const,
   },
   performers: {
     all: (instanceId?: string) => ["performers", instanceId] as const,
@@ -68,6 +70,14 @@ export const queryKeys = {
     list: (instanceId: string | undefined, params: Record<string, unknown>) =>
       ["images", instanceId, "list", params] as const,
   },
+  folders: {
+    all: () => ["folders"] as const,
+    list: (type: string, params: Record<string, unknown>) => ["folders", type, params] as const,
+  },
+  search: {
+    all: () => ["search"] as const,
+    results: (query: string, params: Record<string, unknown>) => ["search", query, params] as const,
+  },
 
   // ── Carousels ────────────────────────────────────────────────────────
   carousels: {
@@ -80,6 +90,10 @@ export const queryKeys = {
   // ── User data ────────────────────────────────────────────────────────
   user: {
     stats: () => ["user", "stats"] as const,
+    statsActivity: (year?: number) => ["user", "stats", "activity", year] as const,
+    statsTimeSeries: (params: Record<string, unknown>) => ["user", "stats", "timeseries", params] as const,
+    statsTrends: (params: Record<string, unknown>) => ["user", "stats", "trends", params] as const,
+    yearInReview: (year: number) => ["user", "stats", "yearInReview", year] as const,
     permissions: () => ["user", "permissions"] as const,
     filterPresets: () => ["user", "filterPresets"] as const,
     defaultPresets: () => ["user", "defaultPresets"] as const,
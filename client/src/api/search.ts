@@ -0,0 +1,19 @@
+/**
+ * Unified full-text search API endpoints.
+ */
+import type { SearchEntityType, SearchResponse } from "@peek/shared-types";
+import { apiGet } from "./client";
+
+export interface SearchOptions {
+  types?: SearchEntityType[];
+  limit?: number;
+}
+
+export const searchApi = {
+  search: (q: string, options: SearchOptions = {}, signal?: AbortSignal) => {
+    const params = new URLSearchParams({ q });
+    if (options.types?.length) params.set("types", options.types.join(","));
+    if (options.limit) params.set("limit", String(options.limit));
+    return apiGet<SearchResponse>(`/search?${params.toString()}`, signal);
+  },
+};
@@ -0,0 +1,20 @@
+/**
+ * Queue of rating and favorite changes being written back to Stash (admin only).
+ */
+import { apiDelete, apiGet, apiPost, apiPut } from "./client";
+import type {
+  GetStashWriteBackResponse,
+  RetryStashWriteBackResponse,
+  UpdateStashWriteBackSettingsBody,
+  UpdateStashWriteBackSettingsResponse,
+} from "@peek/shared-types";
+
+export const getStashWriteBack = () => apiGet<GetStashWriteBackResponse>("/sync/write-back");
+
+export const updateStashWriteBackSettings = (body: UpdateStashWriteBackSettingsBody) =>
+  apiPut<UpdateStashWriteBackSettingsResponse>("/sync/write-back/settings", body);
+
+export const retryStashWriteBack = () =>
+  apiPost<RetryStashWriteBackResponse>("/sync/write-back/retry");
+
+export const discardStashWriteBack = (id: number) => apiDelete(`/sync/write-back/${id}`);
@@ -0,0 +1,21 @@
+/**
+ * Peek-side transcoder settings and running encodes (admin only).
+ */
+import { apiDelete, apiGet, apiPut } from "./client";
+import type {
+  GetTranscodeJobsResponse,
+  GetTranscodeSettingsResponse,
+  UpdateTranscodeSettingsBody,
+  UpdateTranscodeSettingsResponse,
+} from "@peek/shared-types";
+
+export const getTranscodeSettings = () =>
+  apiGet<GetTranscodeSettingsResponse>("/transcode/settings");
+
+export const updateTranscodeSettings = (body: UpdateTranscodeSettingsBody) =>
+  apiPut<UpdateTranscodeSettingsResponse>("/transcode/settings", body);
+
+export const getTranscodeJobs = () => apiGet<GetTranscodeJobsResponse>("/transcode/jobs");
+
+export const stopTranscodeJob = (id: string) =>
+  apiDelete(`/transcode/jobs/${encodeURIComponent(id)}`);
@@ -0,0 +1,90 @@
+/**
+ * Two-factor authentication: the second step of password login and
+ * managing the current user's authenticator app, backup codes and
+ * security keys.
+ */
+import { apiDelete, apiGet, apiPost } from "./client";
+import type {
+  BeginTotpSetupResponse,
+  ConfirmTotpSetupResponse,
+  GetTwoFactorStatusResponse,
+  RegenerateBackupCodesResponse,
+  RegisterWebAuthnCredentialResponse,
+  TwoFactorStatusResponse,
+  WebAuthnAuthenticationResponseJSON,
+  WebAuthnLoginOptionsResponse,
+  WebAuthnRegistrationOptionsResponse,
+  WebAuthnRegistrationResponseJSON,
+} from "@peek/shared-types";
+import type { AuthUser } from "../contexts/AuthContextProvider";
+
+interface TwoFactorLoginResponse {
+  success: true;
+  user: AuthUser;
+  /** Only set when enrolling during login */
+  backupCodes?: string[] | null;
+}
+
+// Login
+
+export const verifyTwoFactorLogin = (loginToken: string, code: string) =>
+  apiPost<TwoFactorLoginResponse>("/auth/login/two-factor", { loginToken, code });
+
+export const getWebAuthnLoginOptions = (loginToken: string) =>
+  apiPost<WebAuthnLoginOptionsResponse>("/auth/login/two-factor/webauthn/options", {
+    loginToken,
+  });
+
+export const verifyWebAuthnLogin = (
+  loginToken: string,
+  response: WebAuthnAuthenticationResponseJSON
+) =>
+  apiPost<TwoFactorLoginResponse>("/auth/login/two-factor/webauthn", {
+    loginToken,
+    response,
+  });
+
+export const beginLoginTotpSetup = (loginToken: string) =>
+  apiPost<BeginTotpSetupResponse>("/auth/login/two-factor/setup", { loginToken });
+
+export const confirmLoginTotpSetup = (loginToken: string, code: string) =>
+  apiPost<TwoFactorLoginResponse>("/auth/login/two-factor/setup/confirm", {
+    loginToken,
+    code,
+  });
+
+// Own second factors
+
+export const getTwoFactorStatus = () =>
+  apiGet<GetTwoFactorStatusResponse>("/user/two-factor");
+
+export const beginTotpSetup = () => apiPost<BeginTotpSetupResponse>("/user/two-factor/totp");
+
+export const confirmTotpSetup = (code: string) =>
+  apiPost<ConfirmTotpSetupResponse>("/user/two-factor/totp/confirm", { code });
+
+export const disableTotp = (password: string) =>
+  apiPost<TwoFactorStatusResponse>("/user/two-factor/totp/disable", { password });
+
+export const regenerateBackupCodes = (password: string) =>
+  apiPost<RegenerateBackupCodesResponse>("/user/two-factor/backup-codes", { password });
+
+export const getWebAuthnRegistrationOptions = () =>
+  apiPost<WebAuthnRegistrationOptionsResponse>("/user/two-factor/webauthn/options");
+
+export const registerWebAuthnCredential = (
+  name: string,
+  response: WebAuthnRegistrationResponseJSON
+) =>
+  apiPost<RegisterWebAuthnCredentialResponse>("/user/two-factor/webauthn", {
+    name,
+    response,
+  });
+
+export const deleteWebAuthnCredential = (credentialId: number) =>
+  apiDelete<TwoFactorStatusResponse>(`/user/two-factor/webauthn/${credentialId}`);
+
+// Admin
+
+export const adminResetTwoFactor = (userId: number) =>
+  apiDelete<TwoFactorStatusResponse>(`/user/${userId}/two-factor`);
@@ -0,0 +1,19 @@
+/**
+ * Personal data export/import — ratings, history, playlists and settings
+ * as a portable JSON archive.
+ */
+import { apiPost } from "./client";
+import type { UserDataImportBody, UserDataImportResponse } from "@peek/shared-types";
+
+/**
+ * Browser navigation target that downloads the current user's archive
+ */
+export const getUserDataExportUrl = () => "/api/user/data-export";
+
+export const importUserData = (body: UserDataImportBody) =>
+  apiPost<UserDataImportResponse>("/user/data-import", body);
+
+export const adminGetUserDataExportUrl = (userId: number) => `/api/user/${userId}/data-export`;
+
+export const adminImportUserData = (userId: number, body: UserDataImportBody) =>
+  apiPost<UserDataImportResponse>(`/user/${userId}/data-import`, body);
@@ -0,0 +1,57 @@
+/**
+ * Viewing activity over time for the My Stats page.
+ */
+import type {
+  GetActivityResponse,
+  GetTimeSeriesResponse,
+  GetTrendsResponse,
+  GetYearInReviewResponse,
+  StatsGranularity,
+  TrendEntityType,
+  TrendMetric,
+} from "@peek/shared-types";
+import { apiGet } from "./client";
+
+/** The browser's timezone, so days and hours match the viewer's */
+const VIEWER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export interface TimeSeriesOptions {
+  granularity: StatsGranularity;
+  from?: string;
+  to?: string;
+  performerId?: string;
+  studioId?: string;
+  tagId?: string;
+}
+
+export interface TrendsOptions {
+  entityType: TrendEntityType;
+  granularity: StatsGranularity;
+  metric: TrendMetric;
+  limit?: number;
+  window?: number;
+  from?: string;
+  to?: string;
+}
+
+const withTimezone = (options: object) => {
+  const params = new URLSearchParams({ timezone: VIEWER_TIMEZONE });
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null && value !== "") params.set(key, String(value));
+  }
+  return params.toString();
+};
+
+export const userStatsApi = {
+  timeSeries: (options: TimeSeriesOptions) =>
+    apiGet<GetTimeSeriesResponse>(`/user-stats/timeseries?${withTimezone(options)}`),
+
+  activity: (year?: number) =>
+    apiGet<GetActivityResponse>(`/user-stats/activity?${withTimezone({ year })}`),
+
+  trends: (options: TrendsOptions) =>
+    apiGet<GetTrendsResponse>(`/user-stats/trends?${withTimezone(options)}`),
+
+  yearInReview: (year: number) =>
+    apiGet<GetYearInReviewResponse>(`/user-stats/year-in-review?${withTimezone({ year })}`),
+};
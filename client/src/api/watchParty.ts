@@ -0,0 +1,29 @@
+/**
+ * Watch party — synchronized group playback of a scene.
+ */
+import { apiGet, apiPost } from "./client";
+import type {
+  CreateWatchPartyBody,
+  LeaveWatchPartyResponse,
+  WatchPartyControlBody,
+  WatchPartyResponse,
+} from "@peek/shared-types";
+
+export const createWatchParty = (body: CreateWatchPartyBody) =>
+  apiPost<WatchPartyResponse>("/watch-party", body);
+
+export const getWatchParty = (partyId: string) =>
+  apiGet<WatchPartyResponse>(`/watch-party/${encodeURIComponent(partyId)}`);
+
+export const joinWatchParty = (partyId: string) =>
+  apiPost<WatchPartyResponse>(`/watch-party/${encodeURIComponent(partyId)}/join`);
+
+export const leaveWatchParty = (partyId: string) =>
+  apiPost<LeaveWatchPartyResponse>(`/watch-party/${encodeURIComponent(partyId)}/leave`);
+
+export const sendWatchPartyControl = (partyId: string, body: WatchPartyControlBody) =>
+  apiPost<WatchPartyResponse>(`/watch-party/${encodeURIComponent(partyId)}/control`, body);
+
+/** URL of the party's Server-Sent Events stream (for EventSource) */
+export const getWatchPartyEventsUrl = (partyId: string) =>
+  `/api/watch-party/${encodeURIComponent(partyId)}/events`;
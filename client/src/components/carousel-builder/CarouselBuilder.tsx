@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect } from "react";
 import { useNavigate, useParams } from "react-router-dom";
 import * as LucideIcons from "lucide-react";
 import type { LucideIcon } from "lucide-react";
@@ -6,39 +6,30 @@ import {
   ArrowLeft,
   Save,
   Eye,
-  Plus,
-  Trash2,
   AlertCircle,
   Loader2,
 } from "lucide-react";
+import {
+  countFilterRules,
+  createFilterRuleGroup,
+  type FilterRuleGroup,
+} from "@peek/shared-types";
 import { Button } from "../ui/index";
 import IconPickerButton from "./IconPickerButton";
-import RuleEditor from "./RuleEditor";
+import RuleGroupEditor from "./RuleGroupEditor";
 import CarouselPreview from "./CarouselPreview";
 import { libraryApi } from "../../api";
+import { SCENE_SORT_OPTIONS } from "../../utils/filterConfig";
 import {
-  SCENE_SORT_OPTIONS,
-  CAROUSEL_FILTER_DEFINITIONS,
-  buildSceneFilter,
-  carouselRulesToFilterState,
-} from "../../utils/filterConfig";
-
-// Simple ID generator for rule keys (doesn't need to be cryptographically secure)
-let ruleIdCounter = 0;
-const generateRuleId = () => `rule-${++ruleIdCounter}`;
-
-interface CarouselRule {
-  id: string;
-  filterKey: string;
-  value: unknown;
-  modifier?: string;
-  depth?: number;
-}
+  ruleGroupToStoredRules,
+  storedRulesToRuleGroup,
+  type CarouselRule,
+} from "./ruleConversion";
 
 /**
  * CarouselBuilder Component
  * Full-page editor for creating and editing custom carousels.
- * Supports adding filter rules, previewing results, and saving.
+ * Supports nested AND/OR/NOT rule groups, previewing results, and saving.
  */
 const CarouselBuilder = () => {
   const navigate = useNavigate();
@@ -48,7 +39,9 @@ const CarouselBuilder = () => {
   // Form state
   const [title, setTitle] = useState("");
   const [icon, setIcon] = useState("Film");
-  const [rules, setRules] = useState<CarouselRule[]>([]); // Array of rule objects
+  const [ruleTree, setRuleTree] = useState<FilterRuleGroup<CarouselRule>>(() =>
+    createFilterRuleGroup()
+  );
   const [sort, setSort] = useState("random");
   const [direction, setDirection] = useState("DESC");
 
@@ -75,10 +68,8 @@ const CarouselBuilder = () => {
         setSort(carousel.sort as string);
         setDirection(carousel.direction as string);
 
-        // Convert stored rules back to editable format
-        const filterState = carouselRulesToFilterState(carousel.rules as Record<string, unknown>[]);
-        const ruleList = convertFilterStateToRules(filterState);
-        setRules(ruleList);
+        // Convert stored rules (flat or versioned) back to an editable tree
+        setRuleTree(storedRulesToRuleGroup(carousel.rules));
       } catch (err) {
         setError((err as Error).message || "Failed to load carousel");
       } finally {
@@ -90,209 +81,21 @@ const CarouselBuilder = () => {
   }, [id, isEditing]);
 
   /**
-   * Convert filter state (flat object) to rule array for the editor
-   */
-  const convertFilterStateToRules = (filterState: Record<string, unknown>): CarouselRule[] => {
-    const ruleList: CarouselRule[] = [];
-
-    // Entity selection rules
-    if ((filterState.performerIds as unknown[] | undefined)?.length) {
-      ruleList.push({
-        id: generateRuleId(),
-        filterKey: "performerIds",
-        value: filterState.performerIds,
-        modifier: (filterState.performerIdsModifier as string) || "INCLUDES",
-      });
-    }
-
-    if (filterState.studioId) {
-      ruleList.push({
-        id: generateRuleId(),
-        filterKey: "studioId",
-        value: filterState.studioId,
-        depth: filterState.studioIdDepth as number | undefined,
-      });
-    }
-
-    if ((filterState.tagIds as unknown[] | undefined)?.length) {
-      ruleList.push({
-        id: generateRuleId(),
-        filterKey: "tagIds",
-        value: filterState.tagIds,
-        modifier: (filterState.tagIdsModifier as string) || "INCLUDES_ALL",
-        depth: filterState.tagIdsDepth as number | undefined,
-      });
-    }
-
-    if ((filterState.groupIds as unknown[] | undefined)?.length) {
-      ruleList.push({
-        id: generateRuleId(),
-        filterKey: "groupIds",
-        value: filterState.groupIds,
-        modifier: (filterState.groupIdsModifier as string) || "INCLUDES",
-      });
-    }
-
-    // Range rules
-    ["rating", "oCount", "duration", "playCount", "playDuration", "performerCount", "performerAge", "bitrate"].forEach(
-      (key) => {
-        const val = filterState[key] as Record<string, unknown> | undefined;
-        if (val?.min !== undefined || val?.max !== undefined) {
-          ruleList.push({
-            id: generateRuleId(),
-            filterKey: key,
-            value: filterState[key],
-          });
-        }
-      }
-    );
-
-    // Boolean rules
-    ["favorite", "performerFavorite", "studioFavorite", "tagFavorite"].forEach((key) => {
-      if (filterState[key] === true) {
-        ruleList.push({
-          id: generateRuleId(),
-          filterKey: key,
-          value: true,
-        });
-      }
-    });
-
-    // Resolution
-    if (filterState.resolution) {
-      ruleList.push({
-        id: generateRuleId(),
-        filterKey: "resolution",
-        value: filterState.resolution,
-        modifier: (filterState.resolutionModifier as string) || "EQUALS",
-      });
-    }
-
-    // Text rules
-    ["title", "details"].forEach((key) => {
-      if (filterState[key]) {
-        ruleList.push({
-          id: generateRuleId(),
-          filterKey: key,
-          value: filterState[key],
-        });
-      }
-    });
-
-    // Date range rules
-    ["date", "createdAt", "lastPlayedAt"].forEach((key) => {
-      const val = filterState[key] as Record<string, unknown> | undefined;
-      if (val?.min || val?.max) {
-        ruleList.push({
-          id: generateRuleId(),
-          filterKey: key,
-          value: filterState[key],
-        });
-      }
-    });
-
-    return ruleList;
-  };
-
-  /**
-   * Convert rule array back to filter state for buildSceneFilter
-   */
-  const convertRulesToFilterState = useCallback(() => {
-    const filterState: Record<string, unknown> = {};
-
-    rules.forEach((rule) => {
-      const def = CAROUSEL_FILTER_DEFINITIONS.find((d) => d.key === rule.filterKey);
-      if (!def) return;
-
-      switch (def.type) {
-        case "searchable-select":
-          if (def.multi) {
-            filterState[rule.filterKey] = rule.value || [];
-            if (def.modifierOptions && rule.modifier) {
-              filterState[`${rule.filterKey}Modifier`] = rule.modifier;
-            }
-          } else {
-            filterState[rule.filterKey] = rule.value || "";
-          }
-          if (def.supportsHierarchy && rule.depth !== undefined) {
-            filterState[`${rule.filterKey}Depth`] = rule.depth;
-          }
-          break;
-
-        case "range":
-          filterState[rule.filterKey] = rule.value || {};
-          break;
-
-        case "checkbox":
-          filterState[rule.filterKey] = rule.value === true;
-          break;
-
-        case "select":
-          filterState[rule.filterKey] = rule.value || "";
-          if (def.modifierOptions && rule.modifier) {
-            filterState[`${rule.filterKey}Modifier`] = rule.modifier;
-          }
-          break;
-
-        case "text":
-          filterState[rule.filterKey] = rule.value || "";
-          break;
-
-        case "date-range":
-          filterState[rule.filterKey] = rule.value || {};
-          break;
-      }
-    });
-
-    return filterState;
-  }, [rules]);
-
-  /**
-   * Add a new rule
-   */
-  const addRule = () => {
-    const usedKeys = new Set(rules.map((r) => r.filterKey));
-    const availableFilter = CAROUSEL_FILTER_DEFINITIONS.find((f) => !usedKeys.has(f.key));
-
-    if (!availableFilter) {
-      return; // All filters already used
-    }
-
-    const newRule = {
-      id: generateRuleId(),
-      filterKey: availableFilter.key,
-      value: availableFilter.type === "checkbox" ? true : availableFilter.multi ? [] : "",
-      modifier: availableFilter.defaultModifier,
-    };
-
-    setRules([...rules, newRule]);
-    setPreviewValid(false);
-    setPreviewScenes(null);
-  };
-
-  /**
-   * Update a rule
+   * Replace the rule tree; any change invalidates the preview
    */
-  const updateRule = (ruleId: string, updates: Partial<CarouselRule>) => {
-    setRules(rules.map((r) => (r.id === ruleId ? { ...r, ...updates } : r)));
+  const updateRuleTree = (tree: FilterRuleGroup<CarouselRule>) => {
+    setRuleTree(tree);
     setPreviewValid(false);
     setPreviewScenes(null);
   };
 
-  /**
-   * Remove a rule
-   */
-  const removeRule = (ruleId: string) => {
-    setRules(rules.filter((r) => r.id !== ruleId));
-    setPreviewValid(false);
-    setPreviewScenes(null);
-  };
+  const ruleCount = countFilterRules(ruleTree);
 
   /**
    * Preview the carousel results
    */
   const handlePreview = async () => {
-    if (rules.length === 0) {
+    if (ruleCount === 0) {
       setPreviewError("Add at least one rule to preview");
       return;
     }
@@ -301,11 +104,8 @@ const CarouselBuilder = () => {
     setPreviewError(null);
 
     try {
-      const filterState = convertRulesToFilterState();
-      const apiRules = buildSceneFilter(filterState);
-
       const result = await libraryApi.previewCarousel({
-        rules: apiRules,
+        rules: ruleGroupToStoredRules(ruleTree),
         sort,
         direction,
       }) as Record<string, unknown>;
@@ -330,7 +130,7 @@ const CarouselBuilder = () => {
       return;
     }
 
-    if (rules.length === 0) {
+    if (ruleCount === 0) {
       setError("Add at least one rule");
       return;
     }
@@ -344,13 +144,10 @@ const CarouselBuilder = () => {
     setError(null);
 
     try {
-      const filterState = convertRulesToFilterState();
-      const apiRules = buildSceneFilter(filterState);
-
       const carouselData = {
         title: title.trim(),
         icon,
-        rules: apiRules,
+        rules: ruleGroupToStoredRules(ruleTree),
         sort,
         direction,
       };
@@ -370,9 +167,7 @@ const CarouselBuilder = () => {
   };
 
   const IconComponent = (LucideIcons as unknown as Record<string, LucideIcon>)[icon] || LucideIcons.Film;
-  const canSave = title.trim() && rules.length > 0 && previewValid;
-  const usedFilterKeys = new Set(rules.map((r) => r.filterKey));
-  const hasMoreFilters = CAROUSEL_FILTER_DEFINITIONS.some((f) => !usedFilterKeys.has(f.key));
+  const canSave = title.trim() && ruleCount > 0 && previewValid;
 
   if (loading) {
     return (
@@ -406,7 +201,7 @@ const CarouselBuilder = () => {
             <Button
               variant="secondary"
               onClick={handlePreview}
-              disabled={previewing || rules.length === 0}
+              disabled={previewing || ruleCount === 0}
               icon={previewing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />}
             >
               Preview
@@ -495,44 +290,14 @@ const CarouselBuilder = () => {
         >
           <div className="flex items-center justify-between">
             <h2 className="text-sm font-semibold" style={{ color: "var(--text-secondary)" }}>
-              Filter Rules (ALL must match)
+              Filter Rules
             </h2>
             <span className="text-xs" style={{ color: "var(--text-muted)" }}>
-              {rules.length} rule{rules.length !== 1 ? "s" : ""}
+              {ruleCount} rule{ruleCount !== 1 ? "s" : ""}
             </span>
           </div>
 
-          {/* Rule List */}
-          <div className="space-y-3">
-            {rules.map((rule) => (
-              <RuleEditor
-                key={rule.id}
-                rule={rule}
-                usedFilterKeys={usedFilterKeys}
-                onChange={(updates) => updateRule(rule.id, updates)}
-                onRemove={() => removeRule(rule.id)}
-              />
-            ))}
-
-            {rules.length === 0 && (
-              <div
-                className="text-center py-8 text-sm"
-                style={{ color: "var(--text-secondary)" }}
-              >
-                No rules added yet. Click &quot;Add Rule&quot; to get started.
-              </div>
-            )}
-          </div>
-
-          {/* Add Rule Button */}
-          <Button
-            variant="secondary"
-            onClick={addRule}
-            disabled={!hasMoreFilters}
-            icon={<Plus className="w-4 h-4" />}
-          >
-            Add Rule
-          </Button>
+          <RuleGroupEditor group={ruleTree} onChange={updateRuleTree} />
         </div>
 
         {/* Sort Options */}
@@ -608,7 +373,7 @@ const CarouselBuilder = () => {
         />
 
         {/* Save Hint */}
-        {!previewValid && rules.length > 0 && (
+        {!previewValid && ruleCount > 0 && (
           <p className="text-center text-sm" style={{ color: "var(--text-muted)" }}>
             Preview your carousel to enable saving
           </p>
@@ -1,54 +1,46 @@
 import { Trash2 } from "lucide-react";
 import { Button } from "../ui/index";
-import { CAROUSEL_FILTER_DEFINITIONS } from "../../utils/filterConfig";
+import {
+  CAROUSEL_FILTER_DEFINITIONS,
+  type FilterOption,
+  type FilterRuleEntry,
+} from "../../utils/filterConfig";
 import SearchableSelect from "../ui/SearchableSelect";
 
-interface CarouselRule {
-  id: string;
-  filterKey: string;
-  value: unknown;
-  modifier?: string;
-  depth?: number;
-}
-
-interface FilterDefinition {
-  key: string;
-  label: string;
-  type: string;
-  multi?: boolean;
-  entityType?: string;
-  modifierOptions?: Array<{ value: string; label: string }>;
-  defaultModifier?: string;
-  supportsHierarchy?: boolean;
-  options?: Array<{ value: string; label: string }>;
-  placeholder?: string;
-  min?: number;
-  max?: number;
-  valueUnit?: string;
-}
+type CarouselRule = FilterRuleEntry;
+type FilterDefinition = FilterOption;
 
 interface Props {
   rule: CarouselRule;
-  usedFilterKeys: Set<string>;
+  /** Filters offered for the rule; defaults to the carousel's scene filters */
+  definitions?: FilterDefinition[];
+  /** Filters other rules already use, left out of the selector */
+  usedFilterKeys?: Set<string>;
   onChange: (updates: Partial<CarouselRule>) => void;
   onRemove: () => void;
 }
 
 /**
  * RuleEditor Component
- * Edits a single filter rule for the carousel builder.
+ * Edits a single filter rule in a rule group.
  * Renders appropriate input based on filter type.
  */
-const RuleEditor = ({ rule, usedFilterKeys, onChange, onRemove }: Props) => {
-  const filterDef = CAROUSEL_FILTER_DEFINITIONS.find((f) => f.key === rule.filterKey);
+const RuleEditor = ({
+  rule,
+  definitions = CAROUSEL_FILTER_DEFINITIONS,
+  usedFilterKeys,
+  onChange,
+  onRemove,
+}: Props) => {
+  const filterDef = definitions.find((f) => f.key === rule.filterKey);
 
   // Get available filters (current + unused)
-  const availableFilters = CAROUSEL_FILTER_DEFINITIONS.filter(
-    (f) => f.key === rule.filterKey || !usedFilterKeys.has(f.key)
+  const availableFilters = definitions.filter(
+    (f) => f.key === rule.filterKey || !usedFilterKeys?.has(f.key)
   );
 
   const handleFilterChange = (newFilterKey: string) => {
-    const newDef = CAROUSEL_FILTER_DEFINITIONS.find((f) => f.key === newFilterKey);
+    const newDef = definitions.find((f) => f.key === newFilterKey);
     if (!newDef) return;
 
     // Reset value when changing filter type
@@ -182,7 +174,7 @@ const RuleValueInput = ({ filterDef, rule, onChange }: RuleValueInputProps) => {
           value={rule.value as string | string[]}
           onChange={(val) => onChange({ value: val })}
           multi={filterDef.multi}
-          placeholder={`Select ${filterDef.label.toLowerCase()}...`}
+          placeholder={`Select ${(filterDef.label ?? "").toLowerCase()}...`}
         />
       );
 
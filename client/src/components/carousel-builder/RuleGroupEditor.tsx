@@ -0,0 +1,172 @@
+import { FolderPlus, Plus, Trash2 } from "lucide-react";
+import {
+  MAX_FILTER_RULE_DEPTH,
+  type FilterRuleGroup,
+  type FilterRuleNode,
+} from "@peek/shared-types";
+import { Button } from "../ui/index";
+import {
+  CAROUSEL_FILTER_DEFINITIONS,
+  createFilterRuleEntry,
+  describeRuleGroup,
+  generateRuleId,
+  type FilterOption,
+  type FilterRuleEntry,
+} from "../../utils/filterConfig";
+import RuleEditor from "./RuleEditor";
+
+type RuleGroup = FilterRuleGroup<FilterRuleEntry>;
+
+interface Props {
+  group: RuleGroup;
+  /** Filters offered for rules; defaults to the carousel's scene filters */
+  definitions?: FilterOption[];
+  onChange: (group: RuleGroup) => void;
+  /** Removes the group from its parent; omitted for the root group */
+  onRemove?: () => void;
+  /** Nesting level, 1 for the root group */
+  depth?: number;
+}
+
+const selectStyle = {
+  backgroundColor: "var(--bg-primary)",
+  borderColor: "var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+/**
+ * RuleGroupEditor Component
+ * Edits a group of rules matched with ALL of / ANY of, optionally negated,
+ * holding rules and nested groups. The root group also shows a summary of
+ * the whole query.
+ */
+const RuleGroupEditor = ({
+  group,
+  definitions = CAROUSEL_FILTER_DEFINITIONS,
+  onChange,
+  onRemove,
+  depth = 1,
+}: Props) => {
+  const updateChild = (index: number, child: FilterRuleNode<FilterRuleEntry>) => {
+    onChange({ ...group, children: group.children.map((c, i) => (i === index ? child : c)) });
+  };
+
+  const removeChild = (index: number) => {
+    onChange({ ...group, children: group.children.filter((_, i) => i !== index) });
+  };
+
+  const addRule = () => {
+    if (definitions.length === 0) return;
+    onChange({
+      ...group,
+      children: [...group.children, { type: "rule", filter: createFilterRuleEntry(definitions[0]) }],
+    });
+  };
+
+  const addGroup = () => {
+    onChange({
+      ...group,
+      children: [
+        ...group.children,
+        { type: "group", operator: group.operator === "AND" ? "OR" : "AND", children: [], id: generateRuleId() },
+      ],
+    });
+  };
+
+  const summary = depth === 1 ? describeRuleGroup(group, definitions) : "";
+
+  return (
+    <div
+      className="space-y-3 p-3 rounded-lg border"
+      style={{
+        backgroundColor: depth % 2 === 0 ? "var(--bg-primary)" : "var(--bg-card)",
+        borderColor: depth > 1 ? "var(--accent-primary)" : "var(--border-color)",
+      }}
+    >
+      {/* Operator */}
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-sm" style={{ color: "var(--text-primary)" }}>
+          <input
+            type="checkbox"
+            checked={Boolean(group.negate)}
+            onChange={(e) => onChange({ ...group, negate: e.target.checked || undefined })}
+            style={{ accentColor: "var(--accent-primary)" }}
+          />
+          NOT
+        </label>
+        <select
+          value={group.operator}
+          onChange={(e) => onChange({ ...group, operator: e.target.value as RuleGroup["operator"] })}
+          className="px-3 py-2 rounded-lg border text-sm"
+          style={selectStyle}
+          aria-label="Match"
+        >
+          <option value="AND">ALL of these match</option>
+          <option value="OR">ANY of these match</option>
+        </select>
+        {onRemove && (
+          <Button
+            variant="secondary"
+            onClick={onRemove}
+            className="p-2 ml-auto"
+            icon={<Trash2 className="w-4 h-4" />}
+            title="Remove group"
+          />
+        )}
+      </div>
+
+      {/* Rules and nested groups */}
+      {group.children.map((child, index) =>
+        child.type === "group" ? (
+          <RuleGroupEditor
+            key={child.id ?? `group-${index}`}
+            group={child}
+            definitions={definitions}
+            onChange={(updated) => updateChild(index, updated)}
+            onRemove={() => removeChild(index)}
+            depth={depth + 1}
+          />
+        ) : (
+          <RuleEditor
+            key={child.filter.id}
+            rule={child.filter}
+            definitions={definitions}
+            onChange={(updates) => updateChild(index, { type: "rule", filter: { ...child.filter, ...updates } })}
+            onRemove={() => removeChild(index)}
+          />
+        )
+      )}
+
+      {group.children.length === 0 && (
+        <div className="text-center py-4 text-sm" style={{ color: "var(--text-secondary)" }}>
+          No rules in this group yet.
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={addRule}
+          disabled={definitions.length === 0}
+          icon={<Plus className="w-4 h-4" />}
+        >
+          Add Rule
+        </Button>
+        {depth < MAX_FILTER_RULE_DEPTH && (
+          <Button variant="secondary" size="sm" onClick={addGroup} icon={<FolderPlus className="w-4 h-4" />}>
+            Add Group
+          </Button>
+        )}
+      </div>
+
+      {summary && (
+        <p className="text-xs" style={{ color: "var(--text-muted)" }}>
+          Matches: <span style={{ color: "var(--text-secondary)" }}>{summary}</span>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RuleGroupEditor;
@@ -0,0 +1,182 @@
+/**
+ * Conversion between the rule editor model used by the carousel and smart
+ * playlist builders, the flat filter state consumed by buildSceneFilter, and
+ * the versioned rule trees stored on the server.
+ */
+import {
+  FILTER_RULES_VERSION,
+  createFilterRuleGroup,
+  mapFilterRules,
+  migrateFilterRules,
+  type FilterRuleGroup,
+  type FilterRuleNode,
+  type VersionedFilterRules,
+} from "@peek/shared-types";
+import {
+  CAROUSEL_FILTER_DEFINITIONS,
+  buildSceneFilter,
+  carouselRulesToFilterState,
+  generateRuleId,
+  ruleToFilterState,
+  type FilterRuleEntry,
+} from "../../utils/filterConfig";
+
+export { generateRuleId };
+
+export type CarouselRule = FilterRuleEntry;
+
+/**
+ * Convert filter state (flat object) to rule array for the editor
+ */
+export const filterStateToRules = (filterState: Record<string, unknown>): CarouselRule[] => {
+  const ruleList: CarouselRule[] = [];
+
+  // Entity selection rules
+  if ((filterState.performerIds as unknown[] | undefined)?.length) {
+    ruleList.push({
+      id: generateRuleId(),
+      filterKey: "performerIds",
+      value: filterState.performerIds,
+      modifier: (filterState.performerIdsModifier as string) || "INCLUDES",
+    });
+  }
+
+  if (filterState.studioId) {
+    ruleList.push({
+      id: generateRuleId(),
+      filterKey: "studioId",
+      value: filterState.studioId,
+      depth: filterState.studioIdDepth as number | undefined,
+    });
+  }
+
+  if ((filterState.tagIds as unknown[] | undefined)?.length) {
+    ruleList.push({
+      id: generateRuleId(),
+      filterKey: "tagIds",
+      value: filterState.tagIds,
+      modifier: (filterState.tagIdsModifier as string) || "INCLUDES_ALL",
+      depth: filterState.tagIdsDepth as number | undefined,
+    });
+  }
+
+  if ((filterState.groupIds as unknown[] | undefined)?.length) {
+    ruleList.push({
+      id: generateRuleId(),
+      filterKey: "groupIds",
+      value: filterState.groupIds,
+      modifier: (filterState.groupIdsModifier as string) || "INCLUDES",
+    });
+  }
+
+  // Range rules
+  ["rating", "oCount", "duration", "playCount", "playDuration", "performerCount", "performerAge", "bitrate"].forEach(
+    (key) => {
+      const val = filterState[key] as Record<string, unknown> | undefined;
+      if (val?.min !== undefined || val?.max !== undefined) {
+        ruleList.push({
+          id: generateRuleId(),
+          filterKey: key,
+          value: filterState[key],
+        });
+      }
+    }
+  );
+
+  // Boolean rules
+  ["favorite", "performerFavorite", "studioFavorite", "tagFavorite"].forEach((key) => {
+    if (filterState[key] === true) {
+      ruleList.push({
+        id: generateRuleId(),
+        filterKey: key,
+        value: true,
+      });
+    }
+  });
+
+  // Resolution
+  if (filterState.resolution) {
+    ruleList.push({
+      id: generateRuleId(),
+      filterKey: "resolution",
+      value: filterState.resolution,
+      modifier: (filterState.resolutionModifier as string) || "EQUALS",
+    });
+  }
+
+  // Text rules
+  ["title", "details"].forEach((key) => {
+    if (filterState[key]) {
+      ruleList.push({
+        id: generateRuleId(),
+        filterKey: key,
+        value: filterState[key],
+      });
+    }
+  });
+
+  // Date range rules
+  ["date", "createdAt", "lastPlayedAt"].forEach((key) => {
+    const val = filterState[key] as Record<string, unknown> | undefined;
+    if (val?.min || val?.max) {
+      ruleList.push({
+        id: generateRuleId(),
+        filterKey: key,
+        value: filterState[key],
+      });
+    }
+  });
+
+  return ruleList;
+};
+
+/**
+ * Convert rule array back to filter state for buildSceneFilter
+ */
+export const rulesToFilterState = (rules: CarouselRule[]): Record<string, unknown> =>
+  rules.reduce<Record<string, unknown>>(
+    (filterState, rule) => ({ ...filterState, ...ruleToFilterState(rule, CAROUSEL_FILTER_DEFINITIONS) }),
+    {}
+  );
+
+/**
+ * Convert stored carousel or smart playlist rules (either version) into an
+ * editable tree. A stored filter holding several criteria becomes an AND
+ * group of one rule each.
+ */
+export const storedRulesToRuleGroup = (stored: unknown): FilterRuleGroup<CarouselRule> => {
+  const toEditable = (group: FilterRuleGroup<Record<string, unknown>>): FilterRuleGroup<CarouselRule> => ({
+    type: "group",
+    operator: group.operator,
+    ...(group.negate && { negate: true }),
+    id: generateRuleId(),
+    children: group.children.flatMap((child): FilterRuleNode<CarouselRule>[] => {
+      if (child.type === "group") return [toEditable(child)];
+
+      const rules = filterStateToRules(carouselRulesToFilterState(child.filter));
+      if (rules.length <= 1) return rules.map((rule) => ({ type: "rule", filter: rule }));
+      return [
+        {
+          ...createFilterRuleGroup<CarouselRule>(
+            "AND",
+            rules.map((rule) => ({ type: "rule", filter: rule }))
+          ),
+          id: generateRuleId(),
+        },
+      ];
+    }),
+  });
+
+  return toEditable(migrateFilterRules<Record<string, unknown>>(stored).root);
+};
+
+/**
+ * Convert an edited tree to the versioned rules the server stores, each rule
+ * as a scene filter
+ */
+export const ruleGroupToStoredRules = (
+  group: FilterRuleGroup<CarouselRule>
+): VersionedFilterRules<Record<string, unknown>> => ({
+  version: FILTER_RULES_VERSION,
+  root: mapFilterRules(group, (rule) => buildSceneFilter(rulesToFilterState([rule]))),
+});
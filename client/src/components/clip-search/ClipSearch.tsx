@@ -114,6 +114,11 @@ const ClipSearch = ({
         params.tagIds = clipFilter.tagIds as string[];
       }
 
+      // Handle primary tag IDs filter
+      if (clipFilter.primaryTagIds && (clipFilter.primaryTagIds as string[]).length > 0) {
+        params.primaryTagIds = clipFilter.primaryTagIds as string[];
+      }
+
       // Handle scene tag IDs filter
       if (clipFilter.sceneTagIds && (clipFilter.sceneTagIds as string[]).length > 0) {
         params.sceneTagIds = clipFilter.sceneTagIds as string[];
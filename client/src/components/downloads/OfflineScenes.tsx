@@ -0,0 +1,161 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Play, Trash2 } from "lucide-react";
+import { useConfig } from "../../contexts/ConfigContext";
+import { useOfflineScenes } from "../../hooks/useOfflineScenes";
+import { getEntityPath } from "../../utils/entityLinks";
+import { formatFileSize } from "../../utils/format";
+import {
+  getOfflinePoster,
+  isOfflineSupported,
+  removeOfflineScene,
+  type OfflineScene,
+} from "../../utils/offlineStore";
+import { showError, showSuccess } from "../../utils/toast";
+import { Button } from "../ui/index";
+
+/** Poster saved with the scene, so it shows without a connection */
+const OfflinePoster = ({ entryKey }: { entryKey: string }) => {
+  const [url, setUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    let objectUrl: string | null = null;
+    let cancelled = false;
+    getOfflinePoster(entryKey)
+      .then((poster) => {
+        if (cancelled || !poster) return;
+        objectUrl = URL.createObjectURL(poster);
+        setUrl(objectUrl);
+      })
+      .catch(() => undefined);
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [entryKey]);
+
+  return (
+    <div
+      className="flex-shrink-0 w-24 aspect-video rounded overflow-hidden"
+      style={{ backgroundColor: "var(--bg-tertiary)" }}
+    >
+      {url && <img src={url} alt="" className="w-full h-full object-cover" />}
+    </div>
+  );
+};
+
+/**
+ * Scenes saved in this browser for offline viewing, with the storage they
+ * use. Shown on the Downloads page and usable without a connection.
+ */
+const OfflineScenes = () => {
+  const navigate = useNavigate();
+  const { hasMultipleInstances } = useConfig();
+  const { scenes, usage, loading } = useOfflineScenes();
+
+  if (!isOfflineSupported() || loading || scenes.length === 0) return null;
+
+  const play = (startIndex: number) => {
+    const first = scenes[startIndex];
+    navigate(getEntityPath("scene", first.scene, hasMultipleInstances), {
+      state: {
+        scene: first.scene,
+        shouldAutoplay: true,
+        playlist: {
+          id: "virtual-offline",
+          name: "Available offline",
+          autoplayNext: true,
+          shuffle: false,
+          repeat: "none",
+          shuffleHistory: [],
+          scenes: scenes.map((entry, idx) => ({
+            sceneId: entry.sceneId,
+            instanceId: entry.instanceId,
+            scene: entry.scene,
+            position: idx,
+          })),
+          currentIndex: startIndex,
+        },
+      },
+    });
+  };
+
+  const handleRemove = async (entry: OfflineScene) => {
+    try {
+      await removeOfflineScene(entry.key);
+      showSuccess("Removed from offline videos");
+    } catch {
+      showError("Failed to remove offline video");
+    }
+  };
+
+  const free = usage?.quota != null && usage.usage != null ? usage.quota - usage.usage : null;
+
+  return (
+    <section className="mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-3">
+        <div>
+          <h2 className="text-lg font-semibold" style={{ color: "var(--text-primary)" }}>
+            Available offline
+          </h2>
+          {usage && (
+            <div className="text-sm" style={{ color: "var(--text-muted)" }}>
+              {usage.count} {usage.count === 1 ? "video" : "videos"} using {formatFileSize(usage.bytes)}
+              {free !== null && ` · ${formatFileSize(Math.max(free, 0))} free on this device`}
+              {!usage.persisted && " · The browser may clear these when space runs low"}
+            </div>
+          )}
+        </div>
+        <Button variant="primary" size="sm" onClick={() => play(0)} icon={<Play size={14} />}>
+          Play all
+        </Button>
+      </div>
+
+      <div className="space-y-3">
+        {scenes.map((entry, idx) => (
+          <div
+            key={entry.key}
+            className="p-3 rounded-lg flex items-center gap-4"
+            style={{
+              backgroundColor: "var(--bg-secondary)",
+              border: "1px solid var(--border-color)",
+            }}
+          >
+            <OfflinePoster entryKey={entry.key} />
+            <div className="flex-1 min-w-0">
+              <div className="font-medium truncate" style={{ color: "var(--text-primary)" }}>
+                {entry.title}
+              </div>
+              <div
+                className="text-sm flex items-center gap-3 flex-wrap"
+                style={{ color: "var(--text-muted)" }}
+              >
+                <span>{formatFileSize(entry.size)}</span>
+                <span>Saved {new Date(entry.savedAt).toLocaleDateString()}</span>
+                {entry.lastPlayedAt && (
+                  <span>Played {new Date(entry.lastPlayedAt).toLocaleDateString()}</span>
+                )}
+              </div>
+            </div>
+            <div className="flex items-center gap-2 flex-shrink-0">
+              <Button variant="secondary" size="sm" onClick={() => play(idx)} icon={<Play size={14} />}>
+                <span className="hidden sm:inline">Play</span>
+              </Button>
+              <Button
+                variant="destructive"
+                size="sm"
+                onClick={() => handleRemove(entry)}
+                icon={<Trash2 size={14} />}
+                title="Remove from this device"
+              >
+                <span className="hidden sm:inline">Remove</span>
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default OfflineScenes;
@@ -0,0 +1,206 @@
+// client/src/components/folder/DirectoryView.tsx
+import { useCallback, useEffect, useMemo, useRef, useState, type ReactNode } from "react";
+import { useSearchParams } from "react-router-dom";
+import { Play } from "lucide-react";
+import type { FolderEntityType } from "@peek/shared-types";
+import { useFolders } from "../../api/hooks";
+import { getGridClasses } from "../../constants/grids";
+import Button from "../ui/Button";
+import FolderBreadcrumb from "./FolderBreadcrumb";
+import FolderCard from "./FolderCard";
+
+/** A folder on one instance; the current folder of a directory view */
+export interface Directory {
+  path: string;
+  instanceId: string;
+}
+
+interface Props {
+  type: FolderEntityType;
+  /** Items anywhere below the current folder (the caller filters by folder) */
+  items: Array<Record<string, unknown>>;
+  renderItem: (item: Record<string, unknown>) => ReactNode;
+  gridDensity?: string;
+  loading?: boolean;
+  emptyMessage?: string;
+  onDirectoryChange?: (folder: Directory | null) => void;
+  /** Shows a "Play all" button inside a folder */
+  onPlayAll?: (folder: Directory, name: string) => Promise<void> | void;
+}
+
+// Breadcrumb ids carry the instance too, so equal paths on two instances stay apart
+const crumbId = (instanceId: string, path: string) => `${instanceId}\n${path}`;
+
+/**
+ * Directory view for browsing content by its folders on disk.
+ * Folders come from the synced file paths; the grid shows every item in
+ * the current folder and its subfolders. The folder is kept in the URL
+ * (dir + dirInstance) so back/forward and links work.
+ */
+const DirectoryView = ({
+  type,
+  items,
+  renderItem,
+  gridDensity = "medium",
+  loading = false,
+  emptyMessage = "No items found",
+  onDirectoryChange,
+  onPlayAll,
+}: Props) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [isStartingPlayback, setIsStartingPlayback] = useState(false);
+
+  const dirPath = searchParams.get("dir");
+  const dirInstance = searchParams.get("dirInstance");
+  const current = useMemo<Directory | null>(
+    () => (dirPath && dirInstance ? { path: dirPath, instanceId: dirInstance } : null),
+    [dirPath, dirInstance]
+  );
+
+  const { data, isLoading: foldersLoading } = useFolders(type, current);
+
+  // Track last notified folder to avoid duplicate notifications
+  const lastNotifiedRef = useRef<string | null | undefined>(undefined);
+  useEffect(() => {
+    const key = current ? crumbId(current.instanceId, current.path) : null;
+    if (key !== lastNotifiedRef.current) {
+      lastNotifiedRef.current = key;
+      onDirectoryChange?.(current);
+    }
+  }, [current, onDirectoryChange]);
+
+  // Update URL when the folder changes - also reset page to 1
+  const setCurrent = useCallback(
+    (folder: Directory | null, replace = false) => {
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          if (folder) {
+            next.set("dir", folder.path);
+            next.set("dirInstance", folder.instanceId);
+          } else {
+            next.delete("dir");
+            next.delete("dirInstance");
+          }
+          next.delete("page");
+          return next;
+        },
+        { replace }
+      );
+    },
+    [setSearchParams]
+  );
+
+  // A single library root has nothing to choose from, so open it
+  const roots = !current && data ? data.folders : null;
+  useEffect(() => {
+    if (roots?.length === 1) {
+      setCurrent({ path: roots[0].path, instanceId: roots[0].instanceId }, true);
+    }
+  }, [roots, setCurrent]);
+
+  const folders = data?.folders ?? [];
+  const breadcrumbs = useMemo(
+    () =>
+      current && data
+        ? data.breadcrumbs.map((crumb) => ({
+            id: crumbId(current.instanceId, crumb.path),
+            name: crumb.name,
+          }))
+        : [],
+    [current, data]
+  );
+
+  const handleBreadcrumbNavigate = useCallback(
+    (path: string[]) => {
+      const last = path[path.length - 1];
+      if (!last) {
+        setCurrent(null);
+        return;
+      }
+      const [instanceId, folderPath] = last.split("\n");
+      setCurrent({ path: folderPath, instanceId });
+    },
+    [setCurrent]
+  );
+
+  const handlePlayAll = async () => {
+    if (!current || !onPlayAll) return;
+    setIsStartingPlayback(true);
+    try {
+      await onPlayAll(current, breadcrumbs[breadcrumbs.length - 1]?.name ?? current.path);
+    } finally {
+      setIsStartingPlayback(false);
+    }
+  };
+
+  const gridClasses = getGridClasses("standard", gridDensity);
+  const isLoading = foldersLoading || (current !== null && loading);
+  // At the library roots only the roots are listed
+  const leafItems = current ? items : [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-4 flex-wrap">
+        <FolderBreadcrumb
+          breadcrumbs={breadcrumbs}
+          onNavigate={handleBreadcrumbNavigate}
+          className="flex-1"
+        />
+        {current && onPlayAll && items.length > 0 && (
+          <Button
+            variant="primary"
+            size="sm"
+            onClick={() => void handlePlayAll()}
+            loading={isStartingPlayback}
+            icon={<Play size={14} />}
+          >
+            Play all
+          </Button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className={gridClasses}>
+          {[...Array(12)].map((_, i) => (
+            <div
+              key={i}
+              className="rounded-lg animate-pulse"
+              style={{
+                backgroundColor: "var(--bg-tertiary)",
+                height: "12rem",
+              }}
+            />
+          ))}
+        </div>
+      ) : (
+        <>
+          <div className={gridClasses}>
+            {/* Folders first */}
+            {folders.map((folder) => (
+              <FolderCard
+                key={crumbId(folder.instanceId, folder.path)}
+                folder={{ id: crumbId(folder.instanceId, folder.path), name: folder.name, count: folder.count }}
+                onClick={() => setCurrent({ path: folder.path, instanceId: folder.instanceId })}
+              />
+            ))}
+
+            {/* Then everything in this folder and below */}
+            {leafItems.map((item) => renderItem(item))}
+          </div>
+
+          {folders.length === 0 && leafItems.length === 0 && (
+            <div
+              className="text-center py-12"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              {emptyMessage}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DirectoryView;
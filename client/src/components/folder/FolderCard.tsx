@@ -7,6 +7,7 @@ interface FolderData {
   id: string;
   name: string;
   thumbnail?: string | null;
+  count?: number;
 }
 
 interface Props {
@@ -16,11 +17,11 @@ interface Props {
 }
 
 /**
- * Card component for displaying a folder (tag) in folder view.
- * Shows thumbnail and folder name.
+ * Card component for displaying a folder (tag or directory) in folder view.
+ * Shows thumbnail, folder name and, when known, how many items it holds.
  */
 const FolderCard = ({ folder, onClick, className = "" }: Props) => {
-  const { name, thumbnail, id } = folder;
+  const { name, thumbnail, id, count } = folder;
   const isUntagged = id === UNTAGGED_FOLDER_ID;
 
   return (
@@ -69,6 +70,14 @@ const FolderCard = ({ folder, onClick, className = "" }: Props) => {
         >
           {name}
         </h3>
+        {count !== undefined && (
+          <p
+            className="text-xs text-left mt-0.5"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            {count.toLocaleString()} {count === 1 ? "item" : "items"}
+          </p>
+        )}
       </div>
     </button>
   );
@@ -3,3 +3,5 @@ export { default as FolderView } from "./FolderView";
 export { default as FolderCard } from "./FolderCard";
 export { default as FolderBreadcrumb } from "./FolderBreadcrumb";
 export { default as FolderTreeSidebar } from "./FolderTreeSidebar";
+export { default as DirectoryView } from "./DirectoryView";
+export type { Directory } from "./DirectoryView";
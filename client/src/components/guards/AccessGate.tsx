@@ -0,0 +1,140 @@
+import { useCallback, useEffect, type ReactNode } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Clock } from "lucide-react";
+import type { AccessStatus, GetAccessStatusResponse } from "@peek/shared-types";
+import { ACCESS_DENIED_EVENT, getAccessStatus } from "../../api";
+import { useServerEvent } from "../../contexts/ServerEventsContext";
+import { useAuth } from "../../hooks/useAuth";
+import { formatDurationHumanReadable } from "../../utils/format";
+import { showWarning } from "../../utils/toast";
+import Button from "../ui/Button";
+
+const ACCESS_QUERY_KEY = ["auth", "access"] as const;
+
+// A daily limit runs out while watching without any fixed closing time, so
+// restricted users re-check now and then
+const RESTRICTED_REFETCH_MS = 60 * 1000;
+
+// How long before a window closes the user is warned
+const CLOSING_WARNING_MS = 5 * 60 * 1000;
+
+// setTimeout can't wait longer than this
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const isToday = (date: Date) => date.toDateString() === new Date().toDateString();
+
+/** "at 6:00 PM" today, "on Monday, 6:00 PM" on another day */
+const formatWhen = (iso: string) => {
+  const date = new Date(iso);
+  return isToday(date)
+    ? `at ${date.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}`
+    : `on ${date.toLocaleString([], { weekday: "long", hour: "numeric", minute: "2-digit" })}`;
+};
+
+const describeDenial = (access: AccessStatus) =>
+  access.reason === "daily-limit"
+    ? `You've used today's ${formatDurationHumanReadable(access.dailyLimitSeconds ?? 0)} of watch time.`
+    : "Peek isn't available at this time.";
+
+/**
+ * Blocks the app with an explanation while the signed-in user's access
+ * schedule keeps them out, and lets them back in as soon as it opens or an
+ * admin lifts it. Warns shortly before an open window closes.
+ */
+const AccessGate = ({ children }: { children: ReactNode }) => {
+  const { isAuthenticated, user, logout } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data, refetch, isFetching } = useQuery({
+    queryKey: ACCESS_QUERY_KEY,
+    queryFn: getAccessStatus,
+    enabled: isAuthenticated && user?.role !== "ADMIN",
+    refetchInterval: (query) =>
+      query.state.data?.access.restricted ? RESTRICTED_REFETCH_MS : false,
+  });
+  const access = isAuthenticated ? data?.access : undefined;
+
+  const recheck = useCallback(() => {
+    queryClient.invalidateQueries({ queryKey: ACCESS_QUERY_KEY });
+  }, [queryClient]);
+
+  // The schedule, the user's groups or an override changed
+  useServerEvent("access", recheck);
+
+  // Any request the server refused because of the schedule
+  useEffect(() => {
+    const handleDenied = (event: Event) => {
+      const denied = (event as CustomEvent<AccessStatus | undefined>).detail;
+      if (denied) {
+        queryClient.setQueryData<GetAccessStatusResponse>(ACCESS_QUERY_KEY, {
+          access: denied,
+        });
+      } else {
+        recheck();
+      }
+    };
+    window.addEventListener(ACCESS_DENIED_EVENT, handleDenied);
+    return () => window.removeEventListener(ACCESS_DENIED_EVENT, handleDenied);
+  }, [queryClient, recheck]);
+
+  // Re-check the moment access opens or closes
+  const changesAt = access ? (access.allowed ? access.closesAt : access.opensAt) : null;
+  useEffect(() => {
+    if (!changesAt) return;
+    const delay = Math.min(new Date(changesAt).getTime() - Date.now() + 1000, MAX_TIMER_MS);
+    const timer = setTimeout(recheck, Math.max(delay, 0));
+    return () => clearTimeout(timer);
+  }, [changesAt, recheck]);
+
+  const closesAt = access?.allowed ? access.closesAt : null;
+  useEffect(() => {
+    if (!closesAt) return;
+    const delay = new Date(closesAt).getTime() - Date.now() - CLOSING_WARNING_MS;
+    if (delay > MAX_TIMER_MS) return;
+    const timer = setTimeout(
+      () => showWarning(`Peek closes ${formatWhen(closesAt)}`),
+      Math.max(delay, 0)
+    );
+    return () => clearTimeout(timer);
+  }, [closesAt]);
+
+  if (!access || access.allowed) return children;
+
+  return (
+    <div
+      className="min-h-screen flex items-center justify-center p-6"
+      style={{ backgroundColor: "var(--bg-primary)" }}
+    >
+      <div
+        role="alert"
+        className="max-w-md w-full rounded-lg p-8 text-center"
+        style={{
+          backgroundColor: "var(--bg-card)",
+          border: "1px solid var(--border-color)",
+          color: "var(--text-primary)",
+        }}
+      >
+        <Clock size={40} className="mx-auto mb-4" style={{ color: "var(--status-info)" }} />
+        <h1 className="text-xl font-semibold mb-2">Not available right now</h1>
+        <p className="mb-2" style={{ color: "var(--text-secondary)" }}>
+          {describeDenial(access)}
+        </p>
+        <p className="mb-6 text-sm" style={{ color: "var(--text-muted)" }}>
+          {access.opensAt
+            ? `You can use Peek again ${formatWhen(access.opensAt)}.`
+            : "Ask an admin if you need access."}
+        </p>
+        <div className="flex justify-center gap-3">
+          <Button variant="secondary" onClick={() => refetch()} loading={isFetching}>
+            Check again
+          </Button>
+          <Button variant="tertiary" onClick={() => logout()}>
+            Sign out
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccessGate;
@@ -1,32 +1,57 @@
-import { useEffect, useState, useCallback, useRef } from "react";
+import { useEffect, useState, useCallback } from "react";
+import type {
+  DownloadPriority,
+  DownloadUsage,
+  SerializedDownload,
+} from "@peek/shared-types";
+import {
+  useServerEvent,
+  useServerEventsReconnect,
+} from "../../contexts/ServerEventsContext";
 import { usePageTitle } from "../../hooks/usePageTitle";
 import { showError, showSuccess } from "../../utils/toast";
-import { apiGet, apiPost, apiDelete } from "../../api";
+import {
+  apiPost,
+  apiDelete,
+  cancelDownload,
+  getDownloads,
+  pauseDownload,
+  resumeDownload,
+  updateDownloadPriority,
+} from "../../api";
+import OfflineScenes from "../downloads/OfflineScenes";
 import { Button, PageHeader, PageLayout } from "../ui/index";
 
+const PRIORITY_OPTIONS: { value: DownloadPriority; label: string }[] = [
+  { value: "high", label: "High priority" },
+  { value: "normal", label: "Normal priority" },
+  { value: "low", label: "Low priority" },
+];
+
 /**
  * Format bytes to human readable string
- * @param {number} bytes - Size in bytes
+ * @param {number | string} size - Size in bytes; the API sends sizes as strings
  * @returns {string} Formatted size string
  */
-const formatSize = (bytes: number | null | undefined): string => {
-  if (bytes === null || bytes === undefined) return "-";
+const formatSize = (size: number | string | null | undefined): string => {
+  if (size === null || size === undefined) return "-";
+  const bytes = Number(size);
   if (bytes === 0) return "0 B";
 
   const units = ["B", "KB", "MB", "GB", "TB"];
   const k = 1024;
   const i = Math.floor(Math.log(bytes) / Math.log(k));
-  const size = bytes / Math.pow(k, i);
+  const value = bytes / Math.pow(k, i);
 
-  return `${size.toFixed(i > 0 ? 1 : 0)} ${units[i]}`;
+  return `${value.toFixed(i > 0 ? 1 : 0)} ${units[i]}`;
 };
 
 /**
  * Format ISO date string to locale string
- * @param {string} dateStr - ISO date string
+ * @param {string | Date} dateStr - ISO date string
  * @returns {string} Formatted date string
  */
-const formatDate = (dateStr: string | null | undefined): string => {
+const formatDate = (dateStr: string | Date | null | undefined): string => {
   if (!dateStr) return "-";
   const date = new Date(dateStr);
   return date.toLocaleString();
@@ -53,7 +78,7 @@ const getStatusBadge = (status: string) => {
     PENDING: {
       backgroundColor: "rgba(59, 130, 246, 0.2)",
       color: "rgb(59, 130, 246)",
-      text: "Pending",
+      text: "Queued",
     },
     PROCESSING: {
       backgroundColor: "rgba(234, 179, 8, 0.2)",
@@ -70,6 +95,21 @@ const getStatusBadge = (status: string) => {
       color: "rgb(239, 68, 68)",
       text: "Failed",
     },
+    PAUSED: {
+      backgroundColor: "rgba(168, 85, 247, 0.2)",
+      color: "rgb(168, 85, 247)",
+      text: "Paused",
+    },
+    CANCELLED: {
+      backgroundColor: "rgba(107, 114, 128, 0.2)",
+      color: "rgb(156, 163, 175)",
+      text: "Cancelled",
+    },
+    EXPIRED: {
+      backgroundColor: "rgba(107, 114, 128, 0.2)",
+      color: "rgb(156, 163, 175)",
+      text: "Expired",
+    },
   };
 
   const style = statusStyles[status as keyof typeof statusStyles] || statusStyles.PENDING;
@@ -92,7 +132,7 @@ const getStatusBadge = (status: string) => {
  * @param {Object} download - Download object
  * @returns {JSX.Element} Thumbnail or type icon
  */
-const getDownloadThumbnail = (download: Record<string, unknown>) => {
+const getDownloadThumbnail = (download: SerializedDownload) => {
   // For scenes and images, show actual thumbnail
   if (download.type === "SCENE" && download.entityId) {
     return (
@@ -176,66 +216,87 @@ const getDownloadThumbnail = (download: Record<string, unknown>) => {
 
 const Downloads = () => {
   usePageTitle("Downloads");
-  const [downloads, setDownloads] = useState<Record<string, unknown>[]>([]);
+  const [downloads, setDownloads] = useState<SerializedDownload[]>([]);
+  const [usage, setUsage] = useState<DownloadUsage | null>(null);
   const [loading, setLoading] = useState(true);
-  const pollIntervalRef = useRef<ReturnType<typeof setInterval> | null>(null);
 
   const loadDownloads = useCallback(async () => {
     try {
-      const response = await apiGet<{ downloads: Record<string, unknown>[] }>("/downloads");
+      const response = await getDownloads();
       setDownloads(response.downloads || []);
+      setUsage(response.usage);
     } catch {
-      showError("Failed to load downloads");
+      // Offline, the page still lists the scenes saved in this browser
+      if (navigator.onLine) showError("Failed to load downloads");
     } finally {
       setLoading(false);
     }
   }, []);
 
-  // Check if there are active downloads
-  const hasActiveDownloads = downloads.some(
-    (d) => d.status === "PENDING" || d.status === "PROCESSING"
-  );
+  const upsertDownload = useCallback((download: SerializedDownload) => {
+    setDownloads((current) =>
+      current.some((d) => d.id === download.id)
+        ? current.map((d) => (d.id === download.id ? download : d))
+        : [download, ...current]
+    );
+  }, []);
 
-  // Set up polling when there are active downloads
   useEffect(() => {
     loadDownloads();
   }, [loadDownloads]);
 
-  useEffect(() => {
-    if (hasActiveDownloads) {
-      pollIntervalRef.current = setInterval(loadDownloads, 3000);
-    } else if (pollIntervalRef.current) {
-      clearInterval(pollIntervalRef.current);
-      pollIntervalRef.current = null;
-    }
-
-    return () => {
-      if (pollIntervalRef.current) {
-        clearInterval(pollIntervalRef.current);
-      }
-    };
-  }, [hasActiveDownloads, loadDownloads]);
+  // Progress and status changes are pushed by the server
+  useServerEvent("download", (event) => upsertDownload(event.download));
+  useServerEvent("download-removed", (event) => {
+    setDownloads((current) => current.filter((d) => d.id !== event.id));
+  });
+  useServerEvent("download-usage", (event) => setUsage(event.usage));
+  useServerEventsReconnect(loadDownloads);
 
-  const handleDelete = async (id: string) => {
+  const handleDelete = async (id: number) => {
     try {
       await apiDelete(`/downloads/${id}`);
       showSuccess("Download removed");
-      loadDownloads();
+      setDownloads((current) => current.filter((d) => d.id !== id));
     } catch {
       showError("Failed to delete download");
     }
   };
 
-  const handleRetry = async (id: string) => {
+  const handleRetry = async (id: number) => {
     try {
-      await apiPost(`/downloads/${id}/retry`);
+      const response = await apiPost<{ download: SerializedDownload }>(
+        `/downloads/${id}/retry`
+      );
       showSuccess("Download queued for retry");
-      loadDownloads();
+      upsertDownload(response.download);
     } catch {
       showError("Failed to retry download");
     }
   };
 
+  const handleQueueAction = async (
+    action: (id: number) => Promise<{ download: SerializedDownload }>,
+    id: number,
+    failure: string
+  ) => {
+    try {
+      const response = await action(id);
+      upsertDownload(response.download);
+    } catch (err) {
+      showError((err as Error).message || failure);
+    }
+  };
+
+  const handlePriority = async (id: number, priority: DownloadPriority) => {
+    try {
+      const response = await updateDownloadPriority(id, priority);
+      upsertDownload(response.download);
+    } catch (err) {
+      showError((err as Error).message || "Failed to change priority");
+    }
+  };
+
   if (loading) {
     return (
       <PageLayout>
@@ -254,8 +315,19 @@ const Downloads = () => {
           title="Downloads"
           subtitle="Manage your offline downloads"
         />
+        {usage && (
+          <div className="text-sm md:text-right" style={{ color: "var(--text-muted)" }}>
+            <div>
+              Playlist ZIPs use {formatSize(usage.usedBytes)}
+              {usage.quotaBytes !== null && ` of ${formatSize(usage.quotaBytes)}`}
+            </div>
+            <div>Finished ZIPs are kept for {usage.expiryHours} hours</div>
+          </div>
+        )}
       </div>
 
+      <OfflineScenes />
+
       {/* Downloads List */}
       {downloads.length === 0 ? (
         <div className="text-center py-16">
@@ -291,11 +363,16 @@ const Downloads = () => {
       ) : (
         <div className="space-y-3">
           {downloads.map((download) => {
-            const isActive = (download.status === "PENDING" || download.status === "PROCESSING") && download.progress !== undefined;
+            const isActive = download.status === "PROCESSING";
             const hasFailed = download.status === "FAILED" && download.error;
+            const isPlaylist = download.type === "PLAYLIST";
+            const canPause =
+              isPlaylist && (download.status === "PENDING" || download.status === "PROCESSING");
+            const canReprioritize =
+              isPlaylist && (download.status === "PENDING" || download.status === "PAUSED");
             return (
             <div
-              key={download.id as string}
+              key={download.id}
               className="p-4 rounded-lg"
               style={{
                 backgroundColor: "var(--bg-secondary)",
@@ -313,9 +390,9 @@ const Downloads = () => {
                       className="font-medium truncate"
                       style={{ color: "var(--text-primary)" }}
                     >
-                      {getDisplayName(download.fileName as string | null | undefined)}
+                      {getDisplayName(download.fileName)}
                     </span>
-                    {getStatusBadge(download.status as string)}
+                    {getStatusBadge(download.status)}
                   </div>
 
                   <div
@@ -323,9 +400,12 @@ const Downloads = () => {
                     style={{ color: "var(--text-muted)" }}
                   >
                     {download.fileSize ? (
-                      <span>{formatSize(download.fileSize as number)}</span>
+                      <span>{formatSize(download.fileSize)}</span>
+                    ) : null}
+                    <span>{formatDate(download.createdAt)}</span>
+                    {download.status === "COMPLETED" && download.expiresAt && isPlaylist ? (
+                      <span>Expires {formatDate(download.expiresAt)}</span>
                     ) : null}
-                    <span>{formatDate(download.createdAt as string | null | undefined)}</span>
                   </div>
 
                   {/* Progress bar for active downloads */}
@@ -338,7 +418,7 @@ const Downloads = () => {
                           <div
                             className="h-full rounded-full transition-all duration-300"
                             style={{
-                              width: `${(download.progress as number) || 0}%`,
+                              width: `${download.progress || 0}%`,
                               backgroundColor: "var(--accent-primary)",
                             }}
                           />
@@ -347,7 +427,7 @@ const Downloads = () => {
                           className="text-xs mt-1"
                           style={{ color: "var(--text-muted)" }}
                         >
-                          {(download.progress as number) || 0}%
+                          {download.progress || 0}%
                         </div>
                       </div>
                     ) : null}
@@ -361,7 +441,7 @@ const Downloads = () => {
                         color: "rgb(239, 68, 68)",
                       }}
                     >
-                      {download.error as string}
+                      {download.error}
                     </div>
                   ) : null}
                 </div>
@@ -371,8 +451,8 @@ const Downloads = () => {
                   {/* Download button for completed */}
                   {download.status === "COMPLETED" && (
                     <a
-                      href={`/api/downloads/${download.id as string}/file`}
-                      download={download.fileName as string}
+                      href={`/api/downloads/${download.id}/file`}
+                      download={download.fileName}
                       className="inline-flex items-center justify-center px-3 py-1.5 text-sm rounded-lg font-medium transition-all"
                       style={{
                         backgroundColor: "var(--accent-primary)",
@@ -383,10 +463,69 @@ const Downloads = () => {
                     </a>
                   )}
 
-                  {/* Retry button for failed */}
-                  {download.status === "FAILED" && (
+                  {/* Queue controls for playlist ZIPs */}
+                  {canReprioritize && (
+                    <select
+                      value={download.priority}
+                      onChange={(e) =>
+                        handlePriority(download.id, e.target.value as DownloadPriority)
+                      }
+                      className="px-2 py-1.5 rounded-lg text-sm"
+                      style={{
+                        backgroundColor: "var(--bg-tertiary)",
+                        border: "1px solid var(--border-color)",
+                        color: "var(--text-primary)",
+                      }}
+                      aria-label="Queue priority"
+                    >
+                      {PRIORITY_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+
+                  {canPause && (
+                    <Button
+                      onClick={() =>
+                        handleQueueAction(pauseDownload, download.id, "Failed to pause download")
+                      }
+                      variant="secondary"
+                      size="sm"
+                    >
+                      Pause
+                    </Button>
+                  )}
+
+                  {download.status === "PAUSED" && (
+                    <Button
+                      onClick={() =>
+                        handleQueueAction(resumeDownload, download.id, "Failed to resume download")
+                      }
+                      variant="secondary"
+                      size="sm"
+                    >
+                      Resume
+                    </Button>
+                  )}
+
+                  {(canPause || download.status === "PAUSED") && (
+                    <Button
+                      onClick={() =>
+                        handleQueueAction(cancelDownload, download.id, "Failed to cancel download")
+                      }
+                      variant="secondary"
+                      size="sm"
+                    >
+                      Cancel
+                    </Button>
+                  )}
+
+                  {/* Retry button for failed or cancelled */}
+                  {(download.status === "FAILED" || download.status === "CANCELLED") && (
                     <Button
-                      onClick={() => handleRetry(download.id as string)}
+                      onClick={() => handleRetry(download.id)}
                       variant="secondary"
                       size="sm"
                     >
@@ -396,7 +535,7 @@ const Downloads = () => {
 
                   {/* Delete button for all */}
                   <Button
-                    onClick={() => handleDelete(download.id as string)}
+                    onClick={() => handleDelete(download.id)}
                     variant="destructive"
                     size="sm"
                   >
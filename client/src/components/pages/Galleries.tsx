@@ -23,7 +23,7 @@ import {
 import { TableView, ColumnConfigPopover } from "../table/index";
 import WallView from "../wall/WallView";
 import TimelineView from "../timeline/TimelineView";
-import { FolderView } from "../folder/index";
+import { DirectoryView, FolderView, type Directory } from "../folder/index";
 import { useFolderViewTags } from "../../hooks/useFolderViewTags";
 
 // View modes available for galleries page
@@ -33,6 +33,7 @@ const VIEW_MODES: { id: string; label: string }[] = [
   { id: "table", label: "Table view" },
   { id: "timeline", label: "Timeline view" },
   { id: "folder", label: "Folder view" },
+  { id: "directory", label: "Directory view" },
 ];
 
 const Galleries = () => {
@@ -82,6 +83,9 @@ const Galleries = () => {
   // Track folder tag filter for filtering by selected folder
   const [folderTagFilter, setFolderTagFilter] = useState<string | null>(null);
 
+  // Track the directory (folder on disk) for filtering to its subtree
+  const [directoryFilter, setDirectoryFilter] = useState<Directory | null>(null);
+
   // Merge timeline/folder filters into permanent filters based on view mode
   const effectivePermanentFilters = useMemo(() => {
     const filters: Record<string, unknown> = {};
@@ -100,8 +104,13 @@ const Galleries = () => {
       };
     }
 
+    // Add directory filter when in directory view (the folder and everything below it)
+    if (currentViewMode === "directory" && directoryFilter) {
+      filters.folder = directoryFilter;
+    }
+
     return filters;
-  }, [currentViewMode, timelineDateFilter, folderTagFilter]);
+  }, [currentViewMode, timelineDateFilter, folderTagFilter, directoryFilter]);
 
   const handleQueryChange = useCallback(
     (newQuery: LibrarySearchParams) => {
@@ -258,6 +267,23 @@ const Galleries = () => {
                   />
                 )}
               />
+            ) : viewMode === "directory" ? (
+              <DirectoryView
+                type="gallery"
+                items={currentGalleries}
+                gridDensity={gridDensity}
+                loading={isLoading}
+                emptyMessage="No galleries found"
+                onDirectoryChange={setDirectoryFilter}
+                renderItem={(gallery: Record<string, unknown>) => (
+                  <GalleryCard
+                    key={gallery.id as string}
+                    gallery={gallery as unknown as import("@peek/shared-types").NormalizedGallery}
+                    fromPageTitle="Galleries"
+                    tabIndex={0}
+                  />
+                )}
+              />
             ) : isLoading ? (
               <div className={getGridClasses("standard", gridDensity)}>
                 {[...Array(24)].map((_, i) => (
@@ -17,11 +17,17 @@ import { apiGet, libraryApi } from "../../api";
 import { ApiError } from "../../api/client";
 import {
   carouselRulesToFilterState,
+  RULE_GROUP_FILTER_KEY,
   SCENE_FILTER_OPTIONS,
   type FilterOption,
 } from "../../utils/filterConfig";
 import { buildSearchParams } from "../../utils/urlParams";
-import type { NormalizedScene } from "@peek/shared-types";
+import { storedRulesToRuleGroup } from "../carousel-builder/ruleConversion";
+import {
+  flattenFilterRules,
+  migrateFilterRules,
+  type NormalizedScene,
+} from "@peek/shared-types";
 
 interface CarouselDef {
   type: string;
@@ -46,6 +52,8 @@ import {
 } from "../ui/index";
 
 const SCENES_PER_CAROUSEL = 12;
+// Fallback retry while the server cache warms up
+const INITIALIZING_RETRY_MS = 30 * 1000;
 
 /**
  * Check if an ID is a custom carousel (prefixed with "custom-")
@@ -75,8 +83,11 @@ const buildCustomCarouselUrl = (rules: Record<string, unknown> | null | undefine
     return "/scenes";
   }
 
-  // Convert API rules format to UI filter state
-  const filterState = carouselRulesToFilterState(rules);
+  // Plain AND rules open as ordinary filters; OR and NOT need the rule group
+  const flatRules = flattenFilterRules(migrateFilterRules<Record<string, unknown>>(rules).root);
+  const filterState = flatRules
+    ? carouselRulesToFilterState(flatRules)
+    : { [RULE_GROUP_FILTER_KEY]: storedRulesToRuleGroup(rules) };
 
   // Build URL params using existing utility
   const params = buildSearchParams({
@@ -404,7 +415,6 @@ const HomeCarousel = ({
   onToggleSelect,
   onInitializing,
 }: HomeCarouselProps) => {
-  const [retryCount, setRetryCount] = useState(0);
   const queryClient = useQueryClient();
   const fetchFunction = carouselQueries[fetchKey];
   const queryKey = useMemo(() => ["homeCarousel", fetchKey] as const, [fetchKey]);
@@ -417,29 +427,21 @@ const HomeCarousel = ({
     queryFn: () => fetchFunction(),
   });
   const errorAny = error as (Error & { isInitializing?: boolean }) | null;
-  // Handle server initialization state
+
+  // Handle server initialization state. The carousel reloads when the first
+  // sync fills the cache (the server event stream announces it); the slow
+  // retry covers proxies that block the stream.
   useEffect(() => {
     if (errorAny?.isInitializing) {
-      if (retryCount < 60) {
-        // Max 60 retries (5 minutes at 5s intervals)
-        onInitializing(true);
-        const timer = setTimeout(() => {
-          setRetryCount((prev) => prev + 1);
-          queryClient.invalidateQueries({ queryKey: [...queryKey] });
-        }, 5000); // Retry every 5 seconds
-        return () => clearTimeout(timer);
-      } else {
-        onInitializing(false);
-        console.error(
-          `[${title}] Failed to load after ${retryCount} retries:`,
-          error
-        );
-      }
+      onInitializing(true);
+      const timer = setTimeout(() => {
+        queryClient.invalidateQueries({ queryKey: [...queryKey] });
+      }, INITIALIZING_RETRY_MS);
+      return () => clearTimeout(timer);
     } else if (!errorAny) {
       onInitializing(false);
-      setRetryCount(0); // Reset retry count on success
     }
-  }, [error, errorAny, queryClient, queryKey, retryCount, onInitializing, title]);
+  }, [errorAny, queryClient, queryKey, onInitializing]);
 
   // Silently skip failed carousels (non-initialization errors only)
   if (errorAny && !errorAny.isInitializing) {
@@ -25,7 +25,7 @@ import Lightbox from "../ui/Lightbox";
 import WallView from "../wall/WallView";
 import TimelineView from "../timeline/TimelineView";
 import { TableView, ColumnConfigPopover } from "../table/index";
-import { FolderView } from "../folder/index";
+import { DirectoryView, FolderView, type Directory } from "../folder/index";
 import { useFolderViewTags } from "../../hooks/useFolderViewTags";
 
 // View modes available for images page
@@ -35,6 +35,7 @@ const VIEW_MODES: { id: string; label: string }[] = [
   { id: "table", label: "Table view" },
   { id: "timeline", label: "Timeline view" },
   { id: "folder", label: "Folder view" },
+  { id: "directory", label: "Directory view" },
 ];
 
 const Images = () => {
@@ -74,6 +75,9 @@ const Images = () => {
   // Track folder tag filter for filtering by selected folder
   const [folderTagFilter, setFolderTagFilter] = useState<string | null>(null);
 
+  // Track the directory (folder on disk) for filtering to its subtree
+  const [directoryFilter, setDirectoryFilter] = useState<Directory | null>(null);
+
   // Merge timeline/folder filters into permanent filters based on view mode
   const effectivePermanentFilters = useMemo(() => {
     let filters: Record<string, unknown> = {};
@@ -92,8 +96,13 @@ const Images = () => {
       };
     }
 
+    // Add directory filter when in directory view (the folder and everything below it)
+    if (currentViewMode === "directory" && directoryFilter) {
+      filters.folder = directoryFilter;
+    }
+
     return filters;
-  }, [currentViewMode, timelineDateFilter, folderTagFilter]);
+  }, [currentViewMode, timelineDateFilter, folderTagFilter, directoryFilter]);
 
   // Extract URL pagination params early (needed for hooks)
   const urlPerPage = parseInt(searchParams.get("per_page") ?? "24") || 24;
@@ -348,6 +357,27 @@ const Images = () => {
                   />
                 )}
               />
+            ) : viewMode === "directory" ? (
+              <DirectoryView
+                type="image"
+                items={currentImages as Record<string, unknown>[]}
+                gridDensity={gridDensity}
+                loading={isLoading}
+                emptyMessage="No images found"
+                onDirectoryChange={setDirectoryFilter}
+                renderItem={(image: Record<string, unknown>) => (
+                  <ImageCard
+                    key={image.id as string}
+                    image={image as unknown as import("@peek/shared-types").NormalizedImage}
+                    onClick={() => handleImageClick(image)}
+                    fromPageTitle="Images"
+                    tabIndex={0}
+                    onOCounterChange={handleOCounterChange}
+                    onRatingChange={handleRatingChange}
+                    onFavoriteChange={handleFavoriteChange}
+                  />
+                )}
+              />
             ) : isLoading ? (
               <div className={getGridClasses("standard", gridDensity)}>
                 {[...Array(24)].map((_, i) => (
@@ -1,20 +1,141 @@
-import React, { useState } from "react";
-import { Link } from "react-router-dom";
+import React, { useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import type { GetAuthConfigResponse, TotpSetupData } from "@peek/shared-types";
+import type { AuthUser, LoginResult } from "../../contexts/AuthContextProvider";
 import { useAuth } from "../../hooks/useAuth";
 import { useTheme } from "../../themes/useTheme";
 import { Button } from "../ui/index";
-import { REDIRECT_STORAGE_KEY } from "../../api";
+import BackupCodesList from "../settings/BackupCodesList";
+import {
+  REDIRECT_STORAGE_KEY,
+  beginLoginTotpSetup,
+  confirmLoginTotpSetup,
+  getAuthConfig,
+  getOidcLoginUrl,
+  getWebAuthnLoginOptions,
+  verifyTwoFactorLogin,
+  verifyWebAuthnLogin,
+} from "../../api";
 import { getLandingPage } from "../../constants/navigation";
+import { getWebAuthnAssertion, isWebAuthnSupported } from "../../utils/webauthn";
+
+const redirectAfterLogin = (user?: AuthUser) => {
+  // Check for saved redirect URL (takes priority over preference)
+  const redirectUrl = sessionStorage.getItem(REDIRECT_STORAGE_KEY);
+  if (redirectUrl) {
+    sessionStorage.removeItem(REDIRECT_STORAGE_KEY);
+    window.location.href = redirectUrl;
+  } else {
+    // Use landing page preference if available
+    const destination = getLandingPage(user?.landingPagePreference);
+    window.location.href = destination;
+  }
+};
 
 const Login = () => {
   const { login } = useAuth();
   const { theme } = useTheme();
+  const [searchParams] = useSearchParams();
   const [credentials, setCredentials] = useState({
     username: "",
     password: "",
   });
-  const [error, setError] = useState("");
+  const [error, setError] = useState(() => searchParams.get("oidcError") || "");
   const [isLoading, setIsLoading] = useState(false);
+  const [authConfig, setAuthConfig] = useState<GetAuthConfigResponse | null>(null);
+
+  // Second step, once the password has been accepted
+  const [twoFactor, setTwoFactor] = useState<LoginResult["twoFactor"] | null>(null);
+  const [code, setCode] = useState("");
+  const [totpSetup, setTotpSetup] = useState<TotpSetupData | null>(null);
+  const [enrolled, setEnrolled] = useState<{ user: AuthUser; backupCodes: string[] } | null>(null);
+
+  useEffect(() => {
+    getAuthConfig()
+      .then(setAuthConfig)
+      .catch((err) => console.error("Failed to load sign-in options:", err));
+  }, []);
+
+  // Policy requires two-factor but the user has none yet: enroll now
+  useEffect(() => {
+    if (!twoFactor?.setupRequired) return;
+    beginLoginTotpSetup(twoFactor.loginToken)
+      .then(setTotpSetup)
+      .catch((err) => setError((err as Error).message || "Failed to start two-factor setup"));
+  }, [twoFactor]);
+
+  const resetTwoFactor = (message = "") => {
+    setTwoFactor(null);
+    setTotpSetup(null);
+    setCode("");
+    setError(message);
+  };
+
+  /**
+   * Expired or locked-out logins have to start over from the password
+   */
+  const handleSecondStepError = (err: unknown, fallback: string) => {
+    const status = (err as { status?: number }).status;
+    const message = (err as Error).message || fallback;
+    if (status === 423 || message === "Your sign-in expired. Please sign in again.") {
+      resetTwoFactor(message);
+    } else {
+      setError(message);
+    }
+  };
+
+  const handleCodeSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!twoFactor) return;
+    setIsLoading(true);
+    setError("");
+
+    try {
+      if (twoFactor.setupRequired) {
+        const response = await confirmLoginTotpSetup(twoFactor.loginToken, code.trim());
+        if (response.backupCodes) {
+          setEnrolled({ user: response.user, backupCodes: response.backupCodes });
+        } else {
+          redirectAfterLogin(response.user);
+        }
+      } else {
+        const response = await verifyTwoFactorLogin(twoFactor.loginToken, code.trim());
+        redirectAfterLogin(response.user);
+      }
+    } catch (err) {
+      setCode("");
+      handleSecondStepError(err, "Invalid code");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSecurityKey = async () => {
+    if (!twoFactor) return;
+    setIsLoading(true);
+    setError("");
+
+    try {
+      const { options } = await getWebAuthnLoginOptions(twoFactor.loginToken);
+      const assertion = await getWebAuthnAssertion(options);
+      const response = await verifyWebAuthnLogin(twoFactor.loginToken, assertion);
+      redirectAfterLogin(response.user);
+    } catch (err) {
+      handleSecondStepError(err, "Security key verification failed");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Password login stays available until we know otherwise
+  const passwordLoginEnabled = authConfig?.passwordLoginEnabled ?? true;
+  const oidc = authConfig?.oidc;
+
+  const handleOidcLogin = () => {
+    const redirectUrl = sessionStorage.getItem(REDIRECT_STORAGE_KEY);
+    sessionStorage.removeItem(REDIRECT_STORAGE_KEY);
+    window.location.href = getOidcLoginUrl(redirectUrl);
+  };
 
   const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
     e.preventDefault();
@@ -25,16 +146,10 @@ const Login = () => {
       const result = await login(credentials);
 
       if (result.success) {
-        // Check for saved redirect URL (takes priority over preference)
-        const redirectUrl = sessionStorage.getItem(REDIRECT_STORAGE_KEY);
-        if (redirectUrl) {
-          sessionStorage.removeItem(REDIRECT_STORAGE_KEY);
-          window.location.href = redirectUrl;
-        } else {
-          // Use landing page preference if available
-          const destination = getLandingPage(result.user?.landingPagePreference);
-          window.location.href = destination;
-        }
+        redirectAfterLogin(result.user);
+      } else if (result.twoFactor) {
+        setTwoFactor(result.twoFactor);
+        setCode("");
       } else {
         setError(result.error || "Login failed");
       }
@@ -79,20 +194,68 @@ const Login = () => {
           </p>
         </div>
 
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="rounded-md shadow-sm -space-y-px">
+        {enrolled ? (
+          <div className="mt-8">
+            <BackupCodesList
+              codes={enrolled.backupCodes}
+              onDone={() => redirectAfterLogin(enrolled.user)}
+            />
+          </div>
+        ) : twoFactor ? (
+          <form className="mt-8 space-y-6" onSubmit={handleCodeSubmit}>
+            {twoFactor.setupRequired ? (
+              <div
+                className="space-y-3 text-sm"
+                style={{
+                  color: theme?.properties?.["--text-secondary"] || "#b3b3b3",
+                }}
+              >
+                <p>
+                  Your account requires two-factor authentication. Scan this QR
+                  code with an authenticator app, then enter the 6-digit code it
+                  shows.
+                </p>
+                {totpSetup && (
+                  <>
+                    <img
+                      src={totpSetup.qrCodeDataUrl}
+                      alt="Authenticator QR code"
+                      className="w-48 h-48 mx-auto rounded bg-white p-2"
+                    />
+                    <p className="text-xs break-all">
+                      Can't scan it? Enter this key instead:{" "}
+                      <code className="font-mono">{totpSetup.secret}</code>
+                    </p>
+                  </>
+                )}
+              </div>
+            ) : (
+              <p
+                className="text-sm text-center"
+                style={{
+                  color: theme?.properties?.["--text-secondary"] || "#b3b3b3",
+                }}
+              >
+                {twoFactor.methods.includes("totp")
+                  ? "Enter the code from your authenticator app, or a backup code."
+                  : "Use your security key, or enter a backup code."}
+              </p>
+            )}
+
             <div>
-              <label htmlFor="username" className="sr-only">
-                Username
+              <label htmlFor="code" className="sr-only">
+                Authentication code
               </label>
               <input
-                id="username"
-                name="username"
+                id="code"
+                name="code"
                 type="text"
+                autoComplete="one-time-code"
+                autoFocus
                 required
-                value={credentials.username}
-                onChange={handleChange}
-                className="relative block w-full px-3 py-2 border rounded-t-md placeholder-gray-500 focus:outline-none focus:ring-2 focus:z-10 sm:text-sm"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="relative block w-full px-3 py-2 border rounded-md placeholder-gray-500 focus:outline-none focus:ring-2 focus:z-10 sm:text-sm font-mono"
                 style={{
                   backgroundColor:
                     theme?.properties?.["--bg-card"] || "#1f1f1f",
@@ -100,60 +263,159 @@ const Login = () => {
                     theme?.properties?.["--border-color"] || "#404040",
                   color: theme?.properties?.["--text-primary"] || "#ffffff",
                 }}
-                placeholder="Username"
+                placeholder={twoFactor.setupRequired ? "6-digit code" : "Code"}
               />
             </div>
-            <div>
-              <label htmlFor="password" className="sr-only">
-                Password
-              </label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                required
-                value={credentials.password}
-                onChange={handleChange}
-                className="relative block w-full px-3 py-2 border rounded-b-md placeholder-gray-500 focus:outline-none focus:ring-2 focus:z-10 sm:text-sm"
+
+            {error && (
+              <div className="text-red-500 text-sm text-center">{error}</div>
+            )}
+
+            <div className="space-y-3">
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                loading={isLoading}
+                disabled={twoFactor.setupRequired && !totpSetup}
+              >
+                Verify
+              </Button>
+              {twoFactor.methods.includes("webauthn") && isWebAuthnSupported() && (
+                <Button
+                  type="button"
+                  variant="secondary"
+                  fullWidth
+                  disabled={isLoading}
+                  onClick={handleSecurityKey}
+                >
+                  Use a security key
+                </Button>
+              )}
+            </div>
+
+            <div className="text-center">
+              <button
+                type="button"
+                onClick={() => resetTwoFactor()}
+                className="text-sm hover:underline"
                 style={{
-                  backgroundColor:
-                    theme?.properties?.["--bg-card"] || "#1f1f1f",
-                  borderColor:
-                    theme?.properties?.["--border-color"] || "#404040",
-                  color: theme?.properties?.["--text-primary"] || "#ffffff",
+                  color: theme?.properties?.["--text-muted"] || "#808080",
                 }}
-                placeholder="Password"
-              />
+              >
+                Back to sign in
+              </button>
             </div>
-          </div>
+          </form>
+        ) : (
+          <>
+            {oidc?.enabled && (
+              <div className="mt-8 space-y-6">
+                <Button
+                  type="button"
+                  variant={passwordLoginEnabled ? "secondary" : "primary"}
+                  fullWidth
+                  onClick={handleOidcLogin}
+                >
+                  {oidc.buttonLabel}
+                </Button>
 
-          {error && (
-            <div className="text-red-500 text-sm text-center">{error}</div>
-          )}
-
-          <div>
-            <Button
-              type="submit"
-              variant="primary"
-              fullWidth
-              loading={isLoading}
-            >
-              Sign in
-            </Button>
-          </div>
+                {passwordLoginEnabled && (
+                  <div
+                    className="text-center text-sm"
+                    style={{
+                      color: theme?.properties?.["--text-muted"] || "#808080",
+                    }}
+                  >
+                    or sign in with your password
+                  </div>
+                )}
+              </div>
+            )}
 
-          <div className="text-center">
-            <Link
-              to="/forgot-password"
-              className="text-sm hover:underline"
-              style={{
-                color: theme?.properties?.["--text-muted"] || "#808080",
-              }}
-            >
-              Forgot your password?
-            </Link>
-          </div>
-        </form>
+            {!passwordLoginEnabled && error && (
+              <div className="text-red-500 text-sm text-center">{error}</div>
+            )}
+
+            {passwordLoginEnabled && (
+              <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+                <div className="rounded-md shadow-sm -space-y-px">
+                  <div>
+                    <label htmlFor="username" className="sr-only">
+                      Username
+                    </label>
+                    <input
+                      id="username"
+                      name="username"
+                      type="text"
+                      required
+                      value={credentials.username}
+                      onChange={handleChange}
+                      className="relative block w-full px-3 py-2 border rounded-t-md placeholder-gray-500 focus:outline-none focus:ring-2 focus:z-10 sm:text-sm"
+                      style={{
+                        backgroundColor:
+                          theme?.properties?.["--bg-card"] || "#1f1f1f",
+                        borderColor:
+                          theme?.properties?.["--border-color"] || "#404040",
+                        color: theme?.properties?.["--text-primary"] || "#ffffff",
+                      }}
+                      placeholder="Username"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="password" className="sr-only">
+                      Password
+                    </label>
+                    <input
+                      id="password"
+                      name="password"
+                      type="password"
+                      required
+                      value={credentials.password}
+                      onChange={handleChange}
+                      className="relative block w-full px-3 py-2 border rounded-b-md placeholder-gray-500 focus:outline-none focus:ring-2 focus:z-10 sm:text-sm"
+                      style={{
+                        backgroundColor:
+                          theme?.properties?.["--bg-card"] || "#1f1f1f",
+                        borderColor:
+                          theme?.properties?.["--border-color"] || "#404040",
+                        color: theme?.properties?.["--text-primary"] || "#ffffff",
+                      }}
+                      placeholder="Password"
+                    />
+                  </div>
+                </div>
+
+                {error && (
+                  <div className="text-red-500 text-sm text-center">{error}</div>
+                )}
+
+                <div>
+                  <Button
+                    type="submit"
+                    variant="primary"
+                    fullWidth
+                    loading={isLoading}
+                  >
+                    Sign in
+                  </Button>
+                </div>
+
+                <div className="text-center">
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm hover:underline"
+                    style={{
+                      color: theme?.properties?.["--text-muted"] || "#808080",
+                    }}
+                  >
+                    Forgot your password?
+                  </Link>
+                </div>
+              </form>
+            )}
+          </>
+        )}
       </div>
     </div>
   );
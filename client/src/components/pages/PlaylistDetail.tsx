@@ -9,14 +9,18 @@ import {
   ChevronsDown,
   Copy,
   Edit2,
+  HardDriveDownload,
   MoreVertical,
   Play,
   Plus,
+  RefreshCw,
   Repeat,
   Repeat1,
   Save,
   Share2,
   Shuffle,
+  SlidersHorizontal,
+  Sparkles,
   Trash2,
   X,
 } from "lucide-react";
@@ -24,9 +28,11 @@ import { useNavigationState } from "../../hooks/useNavigationState";
 import { usePageTitle } from "../../hooks/usePageTitle";
 import { useConfig } from "../../contexts/ConfigContext";
 import { getEntityPath } from "../../utils/entityLinks";
+import { formatRelativeTime } from "../../utils/date";
 import { apiGet, apiPost, apiPut, apiDelete, duplicatePlaylist, getMyPermissions } from "../../api";
 import SharePlaylistModal from "../playlists/SharePlaylistModal";
 import { getSceneTitle } from "../../utils/format";
+import { isOfflineSupported, saveSceneOffline } from "../../utils/offlineStore";
 import { showError, showSuccess } from "../../utils/toast";
 import { ThemedIcon } from "../icons/index";
 import {
@@ -39,7 +45,12 @@ import {
   Paper,
   SceneListItem,
 } from "../ui/index";
-import type { NormalizedScene } from "@peek/shared-types";
+import type {
+  DownloadPriority,
+  NormalizedScene,
+  PlaylistZipLayout,
+  StartPlaylistDownloadBody,
+} from "@peek/shared-types";
 
 interface PlaylistResponse {
   playlist: Record<string, unknown>;
@@ -47,10 +58,23 @@ interface PlaylistResponse {
 }
 
 interface ApiError {
-  data?: { error?: string; totalSizeMB?: number; maxSizeMB?: number };
+  data?: { error?: string; details?: string; totalSizeMB?: number; maxSizeMB?: number };
   message?: string;
 }
 
+const ZIP_LAYOUT_OPTIONS: { value: PlaylistZipLayout; label: string }[] = [
+  { value: "flat", label: "Flat (videos and NFOs in one folder)" },
+  { value: "kodi", label: "Kodi (folder per scene, artwork, actor images)" },
+  { value: "jellyfin", label: "Jellyfin / Emby (folder per scene, movie.nfo)" },
+  { value: "plex", label: "Plex (folder per scene, artwork, no NFO)" },
+];
+
+const PRIORITY_OPTIONS: { value: DownloadPriority; label: string }[] = [
+  { value: "high", label: "High" },
+  { value: "normal", label: "Normal" },
+  { value: "low", label: "Low" },
+];
+
 const PlaylistDetail = () => {
   const { playlistId } = useParams<{ playlistId: string }>();
   const navigate = useNavigate();
@@ -68,6 +92,14 @@ const PlaylistDetail = () => {
   const [shuffle, setShuffle] = useState(false);
   const [repeat, setRepeat] = useState("none"); // "none", "all", "one"
   const [downloading, setDownloading] = useState(false);
+  const [downloadDialogOpen, setDownloadDialogOpen] = useState(false);
+  const [offlineProgress, setOfflineProgress] = useState<{ saved: number; total: number } | null>(null);
+  const [downloadOptions, setDownloadOptions] = useState<Required<StartPlaylistDownloadBody>>({
+    layout: "flat",
+    includeCaptions: false,
+    includeChapters: false,
+    priority: "normal",
+  });
   const [permissions, setPermissions] = useState<Record<string, unknown> | null>(null);
   const [isOwner, setIsOwner] = useState(true);
   const [ownerName, setOwnerName] = useState<string | null>(null);
@@ -319,17 +351,42 @@ const PlaylistDetail = () => {
     }
   };
 
+  // Save every scene for offline viewing, one at a time
+  const handleSaveOffline = async () => {
+    const toSave = scenes
+      .filter((s) => s.exists && s.scene)
+      .map((s) => s.scene as unknown as NormalizedScene);
+    let saved = 0;
+    setOfflineProgress({ saved, total: toSave.length });
+    try {
+      for (const scene of toSave) {
+        await saveSceneOffline(scene);
+        saved++;
+        setOfflineProgress({ saved, total: toSave.length });
+      }
+      showSuccess(`${saved} ${saved === 1 ? "video" : "videos"} available offline`);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : "Failed to save for offline viewing";
+      showError(`Saved ${saved} of ${toSave.length}. ${message}`);
+    } finally {
+      setOfflineProgress(null);
+    }
+  };
+
   // Handle playlist download
   const handleDownload = async () => {
     try {
       setDownloading(true);
-      await apiPost(`/downloads/playlist/${playlist!.id}`);
-      showSuccess("Download started - check Downloads page for progress");
+      setDownloadDialogOpen(false);
+      await apiPost(`/downloads/playlist/${playlist!.id}`, downloadOptions);
+      showSuccess("Download queued - check Downloads page for progress");
     } catch (err) {
       const error = err as ApiError;
       const message = error.data?.error || error.message || "Download failed";
       if (error.data?.totalSizeMB) {
         showError(`${message} (${error.data.totalSizeMB}MB exceeds ${error.data.maxSizeMB}MB limit)`);
+      } else if (error.data?.details) {
+        showError(`${message}. ${error.data.details}`);
       } else {
         showError(message);
       }
@@ -409,6 +466,9 @@ const PlaylistDetail = () => {
     );
   }
 
+  // Smart playlist contents come from saved rules, so manual edits are disabled
+  const isSmart = playlist.type === "smart";
+
   return (
     <>
       <PageLayout>
@@ -439,8 +499,32 @@ const PlaylistDetail = () => {
                   </Button>
                 )}
 
-                {/* Reorder button - owner only */}
-                {isOwner && scenes.length > 1 && (
+                {/* Edit Rules button - smart playlist owner only */}
+                {isOwner && isSmart && (
+                  <Button
+                    onClick={() => navigate(`/playlist/${playlistId}/rules`)}
+                    variant="secondary"
+                    icon={<SlidersHorizontal size={16} className="sm:w-4 sm:h-4" />}
+                    title="Edit Rules"
+                  >
+                    <span className="hidden sm:inline">Edit Rules</span>
+                  </Button>
+                )}
+
+                {/* Refresh button - smart playlists re-run their rules on load */}
+                {isSmart && (
+                  <Button
+                    onClick={loadPlaylist}
+                    variant="secondary"
+                    icon={<RefreshCw size={16} className="sm:w-4 sm:h-4" />}
+                    title="Refresh Smart Playlist"
+                  >
+                    <span className="hidden sm:inline">Refresh</span>
+                  </Button>
+                )}
+
+                {/* Reorder button - owner only, static playlists */}
+                {isOwner && !isSmart && scenes.length > 1 && (
                   <Button
                     onClick={() => { setSelectedScenes([]); setReorderMode(true); }}
                     variant="secondary"
@@ -454,7 +538,7 @@ const PlaylistDetail = () => {
                 {/* Download button - owner only */}
                 {isOwner && !!permissions?.canDownloadPlaylists && scenes.length > 0 && (
                   <Button
-                    onClick={handleDownload}
+                    onClick={() => setDownloadDialogOpen(true)}
                     variant="secondary"
                     disabled={downloading}
                     icon={<ThemedIcon name="download" size={16} />}
@@ -466,6 +550,23 @@ const PlaylistDetail = () => {
                   </Button>
                 )}
 
+                {/* Offline button - saves each scene in browser storage */}
+                {!!permissions?.canDownloadFiles && scenes.length > 0 && isOfflineSupported() && (
+                  <Button
+                    onClick={handleSaveOffline}
+                    variant="secondary"
+                    disabled={offlineProgress !== null}
+                    icon={<HardDriveDownload size={16} />}
+                    title="Make available offline"
+                  >
+                    <span className="hidden sm:inline">
+                      {offlineProgress
+                        ? `Saving ${Math.min(offlineProgress.saved + 1, offlineProgress.total)} of ${offlineProgress.total}...`
+                        : "Offline"}
+                    </span>
+                  </Button>
+                )}
+
                 {/* Share button - owner only with share permission */}
                 {isOwner && !!permissions?.canShare && (
                   <Button
@@ -656,10 +757,26 @@ const PlaylistDetail = () => {
                 </p>
               )}
               <p
-                className="text-sm mt-2"
+                className="text-sm mt-2 flex items-center gap-2 flex-wrap"
                 style={{ color: "var(--text-muted)" }}
               >
-                {scenes.length} {scenes.length === 1 ? "video" : "videos"}
+                <span>
+                  {scenes.length} {scenes.length === 1 ? "video" : "videos"}
+                </span>
+                {isSmart && (
+                  <>
+                    <span
+                      className="inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded"
+                      style={{ backgroundColor: "var(--bg-tertiary)", color: "var(--accent-primary)" }}
+                    >
+                      <Sparkles size={12} />
+                      Smart
+                    </span>
+                    {!!playlist.lastRefreshedAt && (
+                      <span>Updated {formatRelativeTime(playlist.lastRefreshedAt as string)}</span>
+                    )}
+                  </>
+                )}
               </p>
             </>
           )}
@@ -813,7 +930,7 @@ const PlaylistDetail = () => {
                 }
                 actionButtons={
                   <div className="flex items-center gap-2">
-                    {isOwner && (
+                    {isOwner && !isSmart && (
                       <Button
                         onClick={() => handleRemoveClick(item)}
                         variant="destructive"
@@ -863,7 +980,7 @@ const PlaylistDetail = () => {
                   excludePlaylistIds={[String(playlistId)]}
                   onSuccess={handleDeselectAll}
                 />
-                {isOwner && (
+                {isOwner && !isSmart && (
                   <Button
                     onClick={handleBulkRemoveClick}
                     variant="destructive"
@@ -911,6 +1028,89 @@ const PlaylistDetail = () => {
         confirmStyle="danger"
       />
 
+      {/* Download Options Dialog */}
+      <ConfirmDialog
+        isOpen={downloadDialogOpen}
+        onClose={() => setDownloadDialogOpen(false)}
+        onConfirm={handleDownload}
+        title="Download Playlist"
+        message={
+          <div className="space-y-3 text-sm">
+            <label className="block">
+              <span className="block mb-1">Folder layout</span>
+              <select
+                value={downloadOptions.layout}
+                onChange={(e) =>
+                  setDownloadOptions({
+                    ...downloadOptions,
+                    layout: e.target.value as PlaylistZipLayout,
+                  })
+                }
+                className="w-full px-3 py-2 rounded-lg"
+                style={{
+                  backgroundColor: "var(--bg-secondary)",
+                  border: "1px solid var(--border-color)",
+                  color: "var(--text-primary)",
+                }}
+              >
+                {ZIP_LAYOUT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={downloadOptions.includeCaptions}
+                onChange={(e) =>
+                  setDownloadOptions({ ...downloadOptions, includeCaptions: e.target.checked })
+                }
+              />
+              Include captions
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={downloadOptions.includeChapters}
+                onChange={(e) =>
+                  setDownloadOptions({ ...downloadOptions, includeChapters: e.target.checked })
+                }
+              />
+              Include markers as chapters
+            </label>
+            <label className="block">
+              <span className="block mb-1">Queue priority</span>
+              <select
+                value={downloadOptions.priority}
+                onChange={(e) =>
+                  setDownloadOptions({
+                    ...downloadOptions,
+                    priority: e.target.value as DownloadPriority,
+                  })
+                }
+                className="w-full px-3 py-2 rounded-lg"
+                style={{
+                  backgroundColor: "var(--bg-secondary)",
+                  border: "1px solid var(--border-color)",
+                  color: "var(--text-primary)",
+                }}
+              >
+                {PRIORITY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        }
+        confirmText="Download"
+        cancelText="Cancel"
+        confirmStyle="primary"
+      />
+
       <SharePlaylistModal
         playlistId={parseInt(playlistId!, 10)}
         playlistName={(playlist?.name as string) || ""}
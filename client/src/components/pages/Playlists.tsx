@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from "react";
-import { Link, useSearchParams } from "react-router-dom";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { Sparkles } from "lucide-react";
 import { usePageTitle } from "../../hooks/usePageTitle";
 import { showError, showSuccess } from "../../utils/toast";
 import { apiGet, apiPost, apiDelete, getSharedPlaylists } from "../../api";
@@ -26,6 +27,20 @@ interface PlaylistThumbnailGridProps {
   totalCount: number;
 }
 
+/**
+ * Badge shown next to the title of rule-driven playlists
+ */
+const SmartBadge = () => (
+  <span
+    className="inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded flex-shrink-0"
+    style={{ backgroundColor: "var(--bg-tertiary)", color: "var(--accent-primary)" }}
+    title="Smart playlist - scenes are picked by saved filter rules"
+  >
+    <Sparkles className="w-3 h-3" />
+    Smart
+  </span>
+);
+
 /**
  * Reusable 2x2 thumbnail grid for playlist preview
  */
@@ -73,6 +88,7 @@ const PlaylistThumbnailGrid = ({ items, totalCount }: PlaylistThumbnailGridProps
 
 const Playlists = () => {
   usePageTitle("Playlists");
+  const navigate = useNavigate();
   const [searchParams] = useSearchParams();
   const [playlists, setPlaylists] = useState<Record<string, unknown>[]>([]);
   const [loading, setLoading] = useState(true);
@@ -188,13 +204,23 @@ const Playlists = () => {
           Playlists
         </h1>
         {activeTab === "mine" && (
-          <Button
-            onClick={() => setShowCreateModal(true)}
-            variant="primary"
-            className="w-full md:w-auto"
-          >
-            + New Playlist
-          </Button>
+          <div className="flex flex-col md:flex-row gap-2">
+            <Button
+              onClick={() => navigate("/playlists/smart/new")}
+              variant="secondary"
+              className="w-full md:w-auto"
+              icon={<Sparkles className="w-4 h-4" />}
+            >
+              Smart Playlist
+            </Button>
+            <Button
+              onClick={() => setShowCreateModal(true)}
+              variant="primary"
+              className="w-full md:w-auto"
+            >
+              + New Playlist
+            </Button>
+          </div>
         )}
       </div>
 
@@ -245,14 +271,17 @@ const Playlists = () => {
                         totalCount={_count?.items || 0}
                       />
                       <div className="flex-1 min-w-0">
-                        <Link to={`/playlist/${playlist.id as string}`}>
-                          <h3
-                            className="text-lg font-semibold mb-2 hover:underline"
-                            style={{ color: "var(--text-primary)" }}
-                          >
-                            {playlist.name as string}
-                          </h3>
-                        </Link>
+                        <div className="flex items-center gap-2 mb-2">
+                          <Link to={`/playlist/${playlist.id as string}`} className="min-w-0">
+                            <h3
+                              className="text-lg font-semibold hover:underline truncate"
+                              style={{ color: "var(--text-primary)" }}
+                            >
+                              {playlist.name as string}
+                            </h3>
+                          </Link>
+                          {playlist.type === "smart" && <SmartBadge />}
+                        </div>
                         {playlist.description ? (
                           <p
                             className="text-sm mb-4 line-clamp-2"
@@ -319,14 +348,17 @@ const Playlists = () => {
                       totalCount={(playlist.sceneCount as number) || 0}
                     />
                     <div className="flex-1 min-w-0">
-                      <Link to={`/playlist/${playlist.id as string}`}>
-                        <h3
-                          className="text-lg font-semibold mb-1 hover:underline"
-                          style={{ color: "var(--text-primary)" }}
-                        >
-                          {playlist.name as string}
-                        </h3>
-                      </Link>
+                      <div className="flex items-center gap-2 mb-1">
+                        <Link to={`/playlist/${playlist.id as string}`} className="min-w-0">
+                          <h3
+                            className="text-lg font-semibold hover:underline truncate"
+                            style={{ color: "var(--text-primary)" }}
+                          >
+                            {playlist.name as string}
+                          </h3>
+                        </Link>
+                        {playlist.type === "smart" && <SmartBadge />}
+                      </div>
                       <p className="text-sm mb-2" style={{ color: "var(--text-muted)" }}>
                         by {owner?.username}
                       </p>
@@ -12,9 +12,40 @@ import {
   PageHeader,
   PageLayout,
   Pagination,
+  TabNavigation,
+  TAB_COUNT_LOADING,
   Tooltip,
 } from "../ui/index";
 
+type RecommendationReason =
+  | { type: "session"; sceneId: string; title: string }
+  | { type: "time-of-day"; daypart: string; weekend: boolean }
+  | { type: "performer" | "studio" | "tag"; id: string; name: string }
+  | { type: "history" };
+
+const RECOMMENDATION_TABS = [
+  { id: "for-you", label: "For You", count: TAB_COUNT_LOADING },
+  { id: "session", label: "Continue the Vibe", count: TAB_COUNT_LOADING },
+];
+
+const VIEWER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/** Short "why" line shown on each recommended scene */
+const describeReason = (reason: RecommendationReason) => {
+  switch (reason.type) {
+    case "session":
+      return `Because you watched ${reason.title}`;
+    case "time-of-day":
+      return `What you watch on ${reason.weekend ? "weekend" : "weekday"} ${reason.daypart === "night" ? "nights" : `${reason.daypart}s`}`;
+    case "performer":
+    case "studio":
+    case "tag":
+      return `Because you like ${reason.name}`;
+    case "history":
+      return "Based on your ratings and history";
+  }
+};
+
 const RecommendationInfoContent = () => (
   <div className="text-sm max-w-sm">
     <p className="mb-2">
@@ -36,10 +67,16 @@ const RecommendationInfoContent = () => (
       get a +30 boost. Scenes watched over 14 days ago get +20. Recently watched
       scenes are deprioritized.
     </p>
+    <p className="mb-1">
+      <span className="font-medium">Your viewing</span> &mdash; Scenes like the
+      ones in your latest viewing session, and what you tend to watch at this
+      time of day, score higher. Scenes you opened recently but gave up on are
+      held back.
+    </p>
     <p>
       <span className="font-medium">Diversity</span> &mdash; Scores are grouped
-      into tiers and shuffled within each tier daily, so you see variety even
-      among similarly-scored scenes.
+      into tiers and shuffled within each tier daily, and no studio or
+      performer is allowed to crowd a stretch of results.
     </p>
   </div>
 );
@@ -57,10 +94,12 @@ const Recommended = () => {
   const [message, setMessage] = useState<string | null>(null);
   const [initMessage, setInitMessage] = useState<string | null>(null);
   const [criteria, setCriteria] = useState<Record<string, number> | null>(null);
+  const [reasons, setReasons] = useState<Record<string, RecommendationReason>>({});
 
   // Get pagination params from URL
   const page = parseInt(searchParams.get("page") ?? "1") || 1;
   const perPage = parseInt(searchParams.get("per_page") ?? "24") || 24;
+  const sessionMode = searchParams.get("tab") === "session";
 
   // Calculate total pages
   const totalPages = Math.ceil(totalCount / perPage);
@@ -82,8 +121,14 @@ const Recommended = () => {
           count: number;
           message?: string;
           criteria?: Record<string, number>;
+          reasons?: Record<string, RecommendationReason>;
         }>(
-          `/library/scenes/recommended?page=${page}&per_page=${perPage}`
+          `/library/scenes/recommended?${new URLSearchParams({
+            page: String(page),
+            per_page: String(perPage),
+            timezone: VIEWER_TIMEZONE,
+            ...(sessionMode ? { mode: "session" } : {}),
+          })}`
         );
 
         const {
@@ -91,11 +136,13 @@ const Recommended = () => {
           count,
           message: msg,
           criteria: criteriaCounts,
+          reasons: sceneReasons,
         } = data;
 
         setScenes(fetchedScenes);
         setTotalCount(count);
         setCriteria(criteriaCounts || null);
+        setReasons(sceneReasons || {});
         if (msg) {
           setMessage(msg);
         }
@@ -125,7 +172,7 @@ const Recommended = () => {
     };
 
     fetchRecommended();
-  }, [page, perPage]);
+  }, [page, perPage, sessionMode]);
 
   // Handle page change
   const handlePageChange = (newPage: number) => {
@@ -239,7 +286,7 @@ const Recommended = () => {
         <div className="flex items-start gap-2">
           <PageHeader
             title="Recommended"
-            subtitle="Personalized recommendations based on your favorites and ratings"
+            subtitle="Personalized recommendations based on your favorites, ratings and viewing"
           />
           <Tooltip content={<RecommendationInfoContent />} position="bottom">
             <button
@@ -251,6 +298,8 @@ const Recommended = () => {
           </Tooltip>
         </div>
 
+        <TabNavigation tabs={RECOMMENDATION_TABS} defaultTab="for-you" showSingleTab />
+
         {initMessage && <SyncProgressBanner message={initMessage} />}
 
         {/* Top Pagination */}
@@ -283,11 +332,17 @@ const Recommended = () => {
           totalPages={totalPages}
           onPageChange={handlePageChange}
           onHideSuccess={handleHideSuccess as (sceneId: string, entityType: string) => void}
+          getSceneCaption={(scene) => {
+            const reason = reasons[scene.id];
+            return reason ? describeReason(reason) : undefined;
+          }}
           emptyMessage={message ?? "No Recommendations Yet"}
           emptyDescription={(
-            criteria
-              ? renderCriteriaFeedback()
-              : "Rate or Favorite more items to get personalized recommendations."
+            sessionMode
+              ? "Watch something and this tab will suggest more like it."
+              : criteria
+                ? renderCriteriaFeedback()
+                : "Rate or Favorite more items to get personalized recommendations."
           ) as string | undefined}
         />
       </div>
@@ -4,6 +4,7 @@ import {
   ScenePlayerProvider,
   useScenePlayer,
 } from "../../contexts/ScenePlayerContext";
+import { WatchPartyProvider } from "../../contexts/WatchPartyContext";
 import { useInitialFocus } from "../../hooks/useFocusTrap";
 import { useNavigationState } from "../../hooks/useNavigationState";
 import { usePageTitle } from "../../hooks/usePageTitle";
@@ -14,6 +15,7 @@ import PlaylistStatusCard from "../playlist/PlaylistStatusCard";
 import {
   Button,
   ExternalPlayerButton,
+  MoreLikeThisCarousel,
   Navigation,
   RecommendedSidebar,
   ScenesLikeThis,
@@ -21,6 +23,7 @@ import {
 import { GalleryGrid, GroupGrid } from "../grids/index";
 import PlaybackControls from "../video-player/PlaybackControls";
 import VideoPlayer from "../video-player/VideoPlayer";
+import WatchPartyPanel from "../watch-party/WatchPartyPanel";
 import ViewInStashButton from "../ui/ViewInStashButton";
 import SceneDetails from "./SceneDetails";
 import TabNavigation, { TAB_COUNT_LOADING } from "../ui/TabNavigation";
@@ -184,6 +187,7 @@ const SceneContent = () => {
           <div ref={leftColumnRef} className="flex flex-col gap-2">
             <VideoPlayer />
             <PlaybackControls />
+            <WatchPartyPanel />
 
             {/* Mobile-only playlist card (below controls on small screens) */}
             {playlist && (
@@ -191,6 +195,13 @@ const SceneContent = () => {
                 <PlaylistStatusCard />
               </div>
             )}
+
+            {/* Mobile-only similar scenes, in place of the sidebar */}
+            {!playlist && scene && (
+              <div className="lg:hidden mt-4">
+                <MoreLikeThisCarousel sceneId={scene.id as string} />
+              </div>
+            )}
           </div>
 
           {/* Right Column: Sidebar (only visible on lg+) */}
@@ -377,7 +388,9 @@ const Scene = () => {
       initialQuality={initialQuality}
       initialShouldAutoplay={shouldAutoplayFromState}
     >
-      <SceneContent />
+      <WatchPartyProvider>
+        <SceneContent />
+      </WatchPartyProvider>
     </ScenePlayerProvider>
   );
 };
@@ -14,7 +14,9 @@ import NavigationTab from "../settings/tabs/NavigationTab";
 import UserManagementTab from "../settings/tabs/UserManagementTab";
 import ServerConfigTab from "../settings/tabs/ServerConfigTab";
 import MergeRecoveryTab from "../settings/tabs/MergeRecoveryTab";
+import DuplicateScenesTab from "../settings/tabs/DuplicateScenesTab";
 import BackupTab from "../settings/tabs/BackupTab";
+import AuditLogTab from "../settings/tabs/AuditLogTab";
 
 // Tab definitions
 const USER_TABS = [
@@ -30,7 +32,9 @@ const SERVER_TABS = [
   { id: "server-config", label: "Server Configuration" },
   { id: "user-management", label: "User Management" },
   { id: "merge-recovery", label: "Merge Recovery" },
+  { id: "duplicates", label: "Duplicate Scenes" },
   { id: "backup", label: "Backup" },
+  { id: "audit-log", label: "Audit Log" },
 ];
 
 const SettingsPage = () => {
@@ -121,7 +125,9 @@ const SettingsPage = () => {
               {activeTab === "server-config" && <ServerConfigTab />}
               {activeTab === "user-management" && <UserManagementTab />}
               {activeTab === "merge-recovery" && <MergeRecoveryTab />}
+              {activeTab === "duplicates" && <DuplicateScenesTab />}
               {activeTab === "backup" && <BackupTab />}
+              {activeTab === "audit-log" && <AuditLogTab />}
             </>
           )}
         </SettingsLayout>
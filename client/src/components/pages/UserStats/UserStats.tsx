@@ -1,7 +1,8 @@
 // client/src/components/pages/UserStats/UserStats.tsx
 
 import { type ReactNode, useState } from "react";
-import { BarChart3, Info, RefreshCw } from "lucide-react";
+import { Link } from "react-router-dom";
+import { BarChart3, CalendarHeart, Info, RefreshCw } from "lucide-react";
 import { usePageTitle } from "../../../hooks/usePageTitle";
 import { useUserStats } from "../../../hooks/useUserStats";
 import { PageHeader, PageLayout, LoadingSpinner, Tooltip } from "../../ui/index";
@@ -10,6 +11,9 @@ import {
   EngagementTotals,
   TopList,
   HighlightCard,
+  ActivitySection,
+  ActivityOverTime,
+  TrendsChart,
 } from "./components/index";
 
 type TopListSortBy = "engagement" | "oCount" | "playCount";
@@ -65,6 +69,20 @@ const EngagementInfoContent = () => (
   </div>
 );
 
+const ActivityInfoContent = () => (
+  <div className="text-sm max-w-xs">
+    <p className="mb-2">
+      Built from the times of your plays, Os and image views, in your
+      timezone. A streak counts days in a row with any activity.
+    </p>
+    <p>
+      Peek stores total watch time per scene, not per session, so each
+      play&apos;s watch time is an estimate: the scene&apos;s total split
+      evenly across its plays.
+    </p>
+  </div>
+);
+
 const TopContentInfoContent = () => (
   <div className="text-sm max-w-xs">
     <p className="mb-2">
@@ -162,19 +180,29 @@ const UserStats = () => {
           title="My Stats"
           subtitle="Your viewing statistics"
         />
-        <button
-          onClick={handleRefresh}
-          disabled={refreshing || loading}
-          className="p-2 rounded-lg hover:bg-[var(--bg-secondary)] transition-colors disabled:opacity-50"
-          aria-label="Refresh stats"
-          title="Refresh stats"
-        >
-          <RefreshCw
-            size={20}
-            className={refreshing ? "animate-spin" : ""}
-            style={{ color: "var(--text-muted)" }}
-          />
-        </button>
+        <div className="flex items-center gap-1">
+          <Link
+            to={`/user-stats/year-in-review?year=${new Date().getFullYear()}`}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm hover:bg-[var(--bg-secondary)] transition-colors"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            <CalendarHeart size={18} />
+            <span className="hidden sm:inline">Year in Review</span>
+          </Link>
+          <button
+            onClick={handleRefresh}
+            disabled={refreshing || loading}
+            className="p-2 rounded-lg hover:bg-[var(--bg-secondary)] transition-colors disabled:opacity-50"
+            aria-label="Refresh stats"
+            title="Refresh stats"
+          >
+            <RefreshCw
+              size={20}
+              className={refreshing ? "animate-spin" : ""}
+              style={{ color: "var(--text-muted)" }}
+            />
+          </button>
+        </div>
       </div>
 
       <div className="space-y-8 pb-8">
@@ -215,6 +243,28 @@ const UserStats = () => {
               />
             </section>
 
+            {/* Activity over time */}
+            <section>
+              <div className="flex items-center gap-2 mb-4">
+                <h2
+                  className="text-lg font-semibold"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  Activity
+                </h2>
+                <SectionInfo>
+                  <ActivityInfoContent />
+                </SectionInfo>
+              </div>
+              <div className="space-y-6">
+                <ActivitySection />
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <ActivityOverTime />
+                  <TrendsChart />
+                </div>
+              </div>
+            </section>
+
             {/* Top Lists */}
             <section>
               <div className="flex items-center gap-2 mb-4">
@@ -0,0 +1,274 @@
+// client/src/components/pages/UserStats/YearInReview.tsx
+
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { ArrowLeft, Calendar, Clock, Flame, Image, Play, Share2, Sparkles } from "lucide-react";
+import type { YearInReviewItem } from "@peek/shared-types";
+import { usePageTitle } from "../../../hooks/usePageTitle";
+import { useYearInReview } from "../../../hooks/useUserStats";
+import { formatDate } from "../../../utils/date";
+import { formatDurationHumanReadable } from "../../../utils/format";
+import { showError, showSuccess } from "../../../utils/toast";
+import {
+  renderYearInReviewImage,
+  shareYearInReviewImage,
+} from "../../../utils/yearInReviewImage";
+import { Button, LoadingSpinner, PageHeader, PageLayout, Paper } from "../../ui/index";
+import { BarChart, StatCard, TopList } from "./components/index";
+import { WEEKDAYS, formatHour } from "./components/statsFormat";
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/** Shape TopList expects; year lists are ranked by plays */
+const toTopListItems = (items: YearInReviewItem[]) =>
+  items.map((item) => ({
+    id: item.id,
+    name: item.name,
+    imageUrl: item.imageUrl ?? undefined,
+    playDuration: item.watchTime,
+    playCount: item.playCount,
+    oCount: 0,
+    score: 0,
+  }));
+
+const parseYear = (value: string | null) => {
+  const year = Number(value);
+  return Number.isInteger(year) && year >= 1970 ? year : new Date().getFullYear();
+};
+
+/**
+ * One year of viewing summarized, with an image to share
+ */
+const YearInReview = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const year = parseYear(searchParams.get("year"));
+  usePageTitle(`${year} in Review`);
+
+  const { data, isLoading, error } = useYearInReview(year);
+  const [sharing, setSharing] = useState(false);
+
+  const handleShare = async () => {
+    if (!data) return;
+    setSharing(true);
+    try {
+      const blob = await renderYearInReviewImage(data);
+      const result = await shareYearInReviewImage(blob, year);
+      if (result === "downloaded") showSuccess("Image downloaded");
+    } catch (err) {
+      // Closing the share sheet isn't an error
+      if ((err as Error)?.name !== "AbortError") showError(err);
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  const years = Array.from(new Set([new Date().getFullYear(), year, ...(data?.years ?? [])])).sort(
+    (a, b) => b - a
+  );
+
+  const header = (
+    <div className="flex items-start justify-between gap-2">
+      <PageHeader title={`${year} in Review`} subtitle="Your year of viewing" />
+      <div className="flex items-center gap-2">
+        <select
+          value={year}
+          onChange={(e) => setSearchParams({ year: e.target.value })}
+          className="text-sm px-2 py-1 rounded border cursor-pointer"
+          style={{
+            backgroundColor: "var(--bg-secondary)",
+            borderColor: "var(--border-color)",
+            color: "var(--text-primary)",
+          }}
+          aria-label="Year"
+        >
+          {years.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+        <Button
+          variant="primary"
+          size="sm"
+          icon={<Share2 size={16} />}
+          onClick={handleShare}
+          loading={sharing}
+          disabled={!data || data.totals.playCount + data.totals.imageViews === 0}
+        >
+          Share image
+        </Button>
+      </div>
+    </div>
+  );
+
+  const backLink = (
+    <Link
+      to="/user-stats"
+      className="inline-flex items-center gap-1 text-sm mb-3 hover:underline"
+      style={{ color: "var(--text-secondary)" }}
+    >
+      <ArrowLeft size={16} />
+      My Stats
+    </Link>
+  );
+
+  if (isLoading) {
+    return (
+      <PageLayout fullHeight>
+        {backLink}
+        {header}
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner />
+        </div>
+      </PageLayout>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <PageLayout fullHeight>
+        {backLink}
+        {header}
+        <div className="text-center py-12" style={{ color: "var(--status-error)" }}>
+          Failed to load your year in review: {(error as Error)?.message ?? "Unknown error"}
+        </div>
+      </PageLayout>
+    );
+  }
+
+  const { totals } = data;
+
+  if (totals.playCount + totals.imageViews + totals.watchTime === 0) {
+    return (
+      <PageLayout fullHeight>
+        {backLink}
+        {header}
+        <div className="text-center py-12" style={{ color: "var(--text-muted)" }}>
+          No activity recorded in {year}.
+        </div>
+      </PageLayout>
+    );
+  }
+
+  const highlights = [
+    data.busiestDay && {
+      label: "Busiest day",
+      value: formatDate(data.busiestDay.date),
+      detail: `${formatDurationHumanReadable(data.busiestDay.watchTime)} watched`,
+    },
+    data.favoriteHour !== null && {
+      label: "Favorite time",
+      value: formatHour(data.favoriteHour),
+      detail: "Hour with the most plays",
+    },
+    data.favoriteWeekday !== null && {
+      label: "Favorite day",
+      value: WEEKDAYS[data.favoriteWeekday] ?? "",
+      detail: "Weekday with the most plays",
+    },
+    data.longestStreak.start &&
+      data.longestStreak.end && {
+        label: "Longest streak",
+        value: `${data.longestStreak.days} ${data.longestStreak.days === 1 ? "day" : "days"}`,
+        detail: `${formatDate(data.longestStreak.start)} – ${formatDate(data.longestStreak.end)}`,
+      },
+  ].filter((highlight): highlight is { label: string; value: string; detail: string } =>
+    Boolean(highlight)
+  );
+
+  return (
+    <PageLayout fullHeight>
+      {backLink}
+      {header}
+
+      <div className="space-y-8 pb-8">
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+          <StatCard
+            label="Watch Time"
+            value={formatDurationHumanReadable(totals.watchTime, { includeDays: false })}
+            icon={<Clock size={24} />}
+          />
+          <StatCard label="Plays" value={totals.playCount.toLocaleString()} icon={<Play size={24} />} />
+          <StatCard
+            label="Scenes Watched"
+            value={totals.scenesWatched.toLocaleString()}
+            subtitle={`${totals.newScenes.toLocaleString()} for the first time`}
+            icon={<Sparkles size={24} />}
+          />
+          <StatCard label="Os" value={totals.oCount.toLocaleString()} icon={<Flame size={24} />} />
+          <StatCard
+            label="Images Viewed"
+            value={totals.imageViews.toLocaleString()}
+            icon={<Image size={24} />}
+          />
+          <StatCard
+            label="Active Days"
+            value={totals.activeDays.toLocaleString()}
+            icon={<Calendar size={24} />}
+          />
+        </div>
+
+        <Paper padding="md">
+          <h3 className="font-semibold text-base mb-4" style={{ color: "var(--text-primary)" }}>
+            Watch Time by Month
+          </h3>
+          <BarChart
+            height={160}
+            items={data.months.map((month, index) => ({
+              key: String(index),
+              label: MONTHS[index] ?? "",
+              value: month.watchTime,
+              title: `${MONTHS[index]}: ${formatDurationHumanReadable(month.watchTime)}, ${month.playCount} plays`,
+            }))}
+          />
+        </Paper>
+
+        {highlights.length > 0 && (
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            {highlights.map((highlight) => (
+              <StatCard
+                key={highlight.label}
+                label={highlight.label}
+                value={highlight.value}
+                subtitle={highlight.detail}
+              />
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <TopList
+            title="Most Played Scenes"
+            items={toTopListItems(data.topScenes)}
+            linkPrefix="/scene"
+            entityType="scene"
+            sortBy="playCount"
+          />
+          <TopList
+            title="Top Performers"
+            items={toTopListItems(data.topPerformers)}
+            linkPrefix="/performer"
+            entityType="performer"
+            sortBy="playCount"
+          />
+          <TopList
+            title="Top Studios"
+            items={toTopListItems(data.topStudios)}
+            linkPrefix="/studio"
+            entityType="studio"
+            sortBy="playCount"
+          />
+          <TopList
+            title="Top Tags"
+            items={toTopListItems(data.topTags)}
+            linkPrefix="/tag"
+            entityType="tag"
+            sortBy="playCount"
+          />
+        </div>
+      </div>
+    </PageLayout>
+  );
+};
+
+export default YearInReview;
@@ -0,0 +1,140 @@
+// client/src/components/pages/UserStats/components/ActivityHeatmap.tsx
+
+import type { HeatmapDay } from "@peek/shared-types";
+import { formatDate } from "../../../../utils/date";
+import { formatDurationHumanReadable } from "../../../../utils/format";
+
+interface Props {
+  days: HeatmapDay[];
+}
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const WEEKDAY_LABELS = ["", "Mon", "", "Wed", "", "Fri", ""];
+const LEVEL_OPACITY = [0, 0.3, 0.5, 0.75, 1];
+const CELL = 12;
+const GAP = 3;
+
+const weekdayOf = (date: string) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Shade level 0-4: thresholds at quarters of the busiest day, so one
+ * marathon day doesn't wash out the rest
+ */
+const levelOf = (value: number, max: number) =>
+  value <= 0 || max <= 0 ? 0 : Math.min(4, Math.ceil((value / max) * 4));
+
+const describeDay = (day: HeatmapDay) => {
+  const parts = [formatDate(day.date)];
+  if (day.watchTime > 0) parts.push(formatDurationHumanReadable(day.watchTime));
+  if (day.playCount > 0) parts.push(`${day.playCount} ${day.playCount === 1 ? "play" : "plays"}`);
+  if (day.oCount > 0) parts.push(`${day.oCount} Os`);
+  if (day.imageViews > 0) parts.push(`${day.imageViews} image views`);
+  if (parts.length === 1) parts.push("No activity");
+  return parts.join(" • ");
+};
+
+/**
+ * Calendar heatmap of watch time: one column per week, Sunday at the top
+ */
+const ActivityHeatmap = ({ days }: Props) => {
+  if (days.length === 0) return null;
+
+  const max = Math.max(...days.map((day) => day.watchTime));
+  const firstDay = days[0] as HeatmapDay;
+  // Pad the first week so each row is one weekday
+  const cells: (HeatmapDay | null)[] = [
+    ...Array.from({ length: weekdayOf(firstDay.date) }, () => null),
+    ...days,
+  ];
+  const weeks: (HeatmapDay | null)[][] = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+
+  // Month label over the first week that starts in it
+  const monthLabels = weeks.map((week, index) => {
+    const first = week.find((day): day is HeatmapDay => day !== null);
+    if (!first) return "";
+    const month = Number(first.date.slice(5, 7)) - 1;
+    const previous = weeks[index - 1]?.find((day): day is HeatmapDay => day !== null);
+    return !previous || Number(previous.date.slice(5, 7)) - 1 !== month ? MONTHS[month] : "";
+  });
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="inline-flex gap-2">
+        <div className="flex flex-col" style={{ gap: GAP, marginTop: 16 }}>
+          {WEEKDAY_LABELS.map((label, index) => (
+            <div
+              key={index}
+              className="text-[10px] leading-none flex items-center"
+              style={{ height: CELL, color: "var(--text-muted)" }}
+            >
+              {label}
+            </div>
+          ))}
+        </div>
+        <div>
+          <div className="flex" style={{ gap: GAP, height: 16 }}>
+            {monthLabels.map((label, index) => (
+              <div
+                key={index}
+                className="text-[10px] leading-none whitespace-nowrap"
+                style={{ width: CELL, color: "var(--text-muted)" }}
+              >
+                {label}
+              </div>
+            ))}
+          </div>
+          <div className="flex" style={{ gap: GAP }}>
+            {weeks.map((week, weekIndex) => (
+              <div key={weekIndex} className="flex flex-col" style={{ gap: GAP }}>
+                {week.map((day, dayIndex) =>
+                  day ? (
+                    <div
+                      key={day.date}
+                      title={describeDay(day)}
+                      className="rounded-sm"
+                      style={{
+                        width: CELL,
+                        height: CELL,
+                        backgroundColor:
+                          levelOf(day.watchTime, max) > 0
+                            ? "var(--accent-primary)"
+                            : "var(--bg-tertiary)",
+                        opacity: LEVEL_OPACITY[levelOf(day.watchTime, max)] || 1,
+                      }}
+                    />
+                  ) : (
+                    <div key={`pad-${dayIndex}`} style={{ width: CELL, height: CELL }} />
+                  )
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+      <div
+        className="flex items-center justify-end gap-1 mt-2 text-xs"
+        style={{ color: "var(--text-muted)" }}
+      >
+        <span className="mr-1">Less</span>
+        {LEVEL_OPACITY.map((opacity, level) => (
+          <div
+            key={level}
+            className="rounded-sm"
+            style={{
+              width: CELL,
+              height: CELL,
+              backgroundColor: level > 0 ? "var(--accent-primary)" : "var(--bg-tertiary)",
+              opacity: opacity || 1,
+            }}
+          />
+        ))}
+        <span className="ml-1">More</span>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityHeatmap;
@@ -0,0 +1,105 @@
+// client/src/components/pages/UserStats/components/ActivityOverTime.tsx
+
+import { useState } from "react";
+import type { StatsGranularity, TimeSeriesPoint } from "@peek/shared-types";
+import { useUserStatsTimeSeries } from "../../../../hooks/useUserStats";
+import { formatDurationHumanReadable } from "../../../../utils/format";
+import { Paper } from "../../../ui/index";
+import BarChart from "./BarChart";
+import { localDateDaysAgo } from "./statsFormat";
+
+type Metric = "watchTime" | "playCount" | "oCount";
+
+const GRANULARITY_OPTIONS: { value: StatsGranularity; label: string; days: number | null }[] = [
+  { value: "days", label: "Daily (90 days)", days: 90 },
+  { value: "weeks", label: "Weekly (1 year)", days: 364 },
+  { value: "months", label: "Monthly (2 years)", days: 730 },
+  { value: "years", label: "Yearly (all time)", days: null },
+];
+
+const METRIC_OPTIONS: { value: Metric; label: string }[] = [
+  { value: "watchTime", label: "Watch Time" },
+  { value: "playCount", label: "Plays" },
+  { value: "oCount", label: "Os" },
+];
+
+const selectStyle = {
+  backgroundColor: "var(--bg-secondary)",
+  borderColor: "var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+const formatValue = (point: TimeSeriesPoint, metric: Metric) =>
+  metric === "watchTime"
+    ? formatDurationHumanReadable(point.watchTime)
+    : `${point[metric]} ${metric === "playCount" ? "plays" : "Os"}`;
+
+/**
+ * Watch time, plays or Os per day, week, month or year
+ */
+const ActivityOverTime = () => {
+  const [granularity, setGranularity] = useState<StatsGranularity>("weeks");
+  const [metric, setMetric] = useState<Metric>("watchTime");
+
+  const days = GRANULARITY_OPTIONS.find((option) => option.value === granularity)?.days ?? null;
+  const { data, isLoading } = useUserStatsTimeSeries({
+    granularity,
+    from: days === null ? undefined : localDateDaysAgo(days - 1),
+  });
+  const series = data?.series ?? [];
+  // Label roughly a dozen bars so the axis stays readable
+  const labelEvery = Math.max(1, Math.ceil(series.length / 12));
+
+  return (
+    <Paper padding="md">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="font-semibold text-base" style={{ color: "var(--text-primary)" }}>
+          Over Time
+        </h3>
+        <div className="flex gap-2">
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value as Metric)}
+            className="text-sm px-2 py-1 rounded border cursor-pointer"
+            style={selectStyle}
+            aria-label="Measure"
+          >
+            {METRIC_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={granularity}
+            onChange={(e) => setGranularity(e.target.value as StatsGranularity)}
+            className="text-sm px-2 py-1 rounded border cursor-pointer"
+            style={selectStyle}
+            aria-label="Period"
+          >
+            {GRANULARITY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {isLoading ? (
+        <div className="h-36" />
+      ) : (
+        <BarChart
+          height={140}
+          items={series.map((point, index) => ({
+            key: point.period,
+            label: index % labelEvery === 0 ? point.period : "",
+            value: point[metric],
+            title: `${point.period}: ${formatValue(point, metric)}`,
+          }))}
+        />
+      )}
+    </Paper>
+  );
+};
+
+export default ActivityOverTime;
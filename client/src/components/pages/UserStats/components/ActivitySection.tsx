@@ -0,0 +1,81 @@
+// client/src/components/pages/UserStats/components/ActivitySection.tsx
+
+import { useState } from "react";
+import { Flame, Trophy } from "lucide-react";
+import { useUserActivity } from "../../../../hooks/useUserStats";
+import { formatDate } from "../../../../utils/date";
+import { Paper } from "../../../ui/index";
+import ActivityHeatmap from "./ActivityHeatmap";
+import StatCard from "./StatCard";
+import TimeDistribution from "./TimeDistribution";
+
+const dayCount = (days: number) => `${days} ${days === 1 ? "day" : "days"}`;
+
+/**
+ * Calendar heatmap, streaks and time-of-day/weekday distributions for the
+ * last 365 days or a chosen year
+ */
+const ActivitySection = () => {
+  const [year, setYear] = useState<number | undefined>(undefined);
+  const { data, isLoading } = useUserActivity(year);
+
+  if (isLoading || !data) {
+    return <div className="h-48" />;
+  }
+
+  const { streaks } = data;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 gap-4">
+        <StatCard
+          label="Current Streak"
+          value={dayCount(streaks.current)}
+          subtitle={streaks.current > 0 ? "Days in a row with activity" : "Watch something to start one"}
+          icon={<Flame size={24} />}
+        />
+        <StatCard
+          label="Longest Streak"
+          value={dayCount(streaks.longest)}
+          subtitle={
+            streaks.longestStart && streaks.longestEnd
+              ? `${formatDate(streaks.longestStart)} – ${formatDate(streaks.longestEnd)}`
+              : undefined
+          }
+          icon={<Trophy size={24} />}
+        />
+      </div>
+
+      <Paper padding="md">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h3 className="font-semibold text-base" style={{ color: "var(--text-primary)" }}>
+            Watch Time Calendar
+          </h3>
+          <select
+            value={year ?? ""}
+            onChange={(e) => setYear(e.target.value ? Number(e.target.value) : undefined)}
+            className="text-sm px-2 py-1 rounded border cursor-pointer"
+            style={{
+              backgroundColor: "var(--bg-secondary)",
+              borderColor: "var(--border-color)",
+              color: "var(--text-primary)",
+            }}
+            aria-label="Year"
+          >
+            <option value="">Last 365 days</option>
+            {data.years.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        </div>
+        <ActivityHeatmap days={data.days} />
+      </Paper>
+
+      <TimeDistribution hourOfDay={data.hourOfDay} dayOfWeek={data.dayOfWeek} />
+    </div>
+  );
+};
+
+export default ActivitySection;
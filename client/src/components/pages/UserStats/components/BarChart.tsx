@@ -0,0 +1,61 @@
+// client/src/components/pages/UserStats/components/BarChart.tsx
+
+export interface BarChartItem {
+  key: string;
+  /** Axis label; leave empty to skip a label under busy charts */
+  label: string;
+  value: number;
+  /** Hover text */
+  title: string;
+}
+
+interface Props {
+  items: BarChartItem[];
+  height?: number;
+  /** Emphasize one bar, e.g. the current hour */
+  highlightKey?: string;
+}
+
+/**
+ * Simple vertical bar chart scaled to the largest value
+ */
+const BarChart = ({ items, height = 120, highlightKey }: Props) => {
+  const max = Math.max(...items.map((item) => item.value), 0);
+
+  return (
+    <div>
+      <div className="flex items-end gap-px" style={{ height }}>
+        {items.map((item) => (
+          <div
+            key={item.key}
+            className="flex-1 min-w-0 h-full flex items-end"
+            title={item.title}
+          >
+            <div
+              className="w-full rounded-t-sm"
+              style={{
+                height: max > 0 ? `${(item.value / max) * 100}%` : 0,
+                minHeight: item.value > 0 ? 2 : 0,
+                backgroundColor: "var(--accent-primary)",
+                opacity: highlightKey === undefined || highlightKey === item.key ? 1 : 0.55,
+              }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-px mt-1">
+        {items.map((item) => (
+          <div
+            key={item.key}
+            className="flex-1 min-w-0 text-center text-[10px] truncate"
+            style={{ color: "var(--text-muted)" }}
+          >
+            {item.label}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,51 @@
+// client/src/components/pages/UserStats/components/TimeDistribution.tsx
+
+import type { ActivityTotals } from "@peek/shared-types";
+import { formatDurationHumanReadable } from "../../../../utils/format";
+import { Paper } from "../../../ui/index";
+import BarChart from "./BarChart";
+import { WEEKDAYS, formatHour } from "./statsFormat";
+
+interface Props {
+  hourOfDay: ActivityTotals[];
+  dayOfWeek: ActivityTotals[];
+}
+
+const describe = (label: string, totals: ActivityTotals) =>
+  `${label}: ${totals.playCount} plays • ${formatDurationHumanReadable(totals.watchTime)}`;
+
+/**
+ * When plays happen: by hour of the day and by day of the week
+ */
+const TimeDistribution = ({ hourOfDay, dayOfWeek }: Props) => (
+  <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+    <Paper padding="md">
+      <h3 className="font-semibold text-base mb-4" style={{ color: "var(--text-primary)" }}>
+        Time of Day
+      </h3>
+      <BarChart
+        items={hourOfDay.map((totals, hour) => ({
+          key: String(hour),
+          label: hour % 6 === 0 ? formatHour(hour) : "",
+          value: totals.playCount,
+          title: describe(formatHour(hour), totals),
+        }))}
+      />
+    </Paper>
+    <Paper padding="md">
+      <h3 className="font-semibold text-base mb-4" style={{ color: "var(--text-primary)" }}>
+        Day of Week
+      </h3>
+      <BarChart
+        items={dayOfWeek.map((totals, weekday) => ({
+          key: String(weekday),
+          label: (WEEKDAYS[weekday] ?? "").slice(0, 3),
+          value: totals.playCount,
+          title: describe(WEEKDAYS[weekday] ?? "", totals),
+        }))}
+      />
+    </Paper>
+  </div>
+);
+
+export default TimeDistribution;
@@ -0,0 +1,159 @@
+// client/src/components/pages/UserStats/components/TrendsChart.tsx
+
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import type { TrendEntityType, TrendMetric } from "@peek/shared-types";
+import { useUserStatsTrends } from "../../../../hooks/useUserStats";
+import { formatDurationHumanReadable } from "../../../../utils/format";
+import { Paper } from "../../../ui/index";
+import { localDateDaysAgo } from "./statsFormat";
+
+const ENTITY_OPTIONS: { value: TrendEntityType; label: string }[] = [
+  { value: "performer", label: "Performers" },
+  { value: "studio", label: "Studios" },
+  { value: "tag", label: "Tags" },
+];
+
+const METRIC_OPTIONS: { value: TrendMetric; label: string }[] = [
+  { value: "playCount", label: "Plays" },
+  { value: "watchTime", label: "Watch Time" },
+];
+
+// One line color per entity, from the theme
+const LINE_COLORS = [
+  "var(--accent-primary)",
+  "var(--status-info)",
+  "var(--status-success)",
+  "var(--status-warning)",
+  "var(--accent-secondary)",
+];
+
+const WIDTH = 600;
+const HEIGHT = 160;
+const ROLLING_WINDOW = 3;
+
+const selectStyle = {
+  backgroundColor: "var(--bg-secondary)",
+  borderColor: "var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+/**
+ * Monthly trend lines (3-month rolling average) for the most watched
+ * performers, studios or tags of the last year
+ */
+const TrendsChart = () => {
+  const [entityType, setEntityType] = useState<TrendEntityType>("performer");
+  const [metric, setMetric] = useState<TrendMetric>("playCount");
+
+  const { data } = useUserStatsTrends({
+    entityType,
+    granularity: "months",
+    metric,
+    limit: LINE_COLORS.length,
+    window: ROLLING_WINDOW,
+    from: localDateDaysAgo(364),
+  });
+
+  const periods = data?.periods ?? [];
+  const series = data?.series ?? [];
+  const max = Math.max(...series.flatMap((entry) => entry.rolling), 0);
+  const x = (index: number) => (periods.length > 1 ? (index / (periods.length - 1)) * WIDTH : WIDTH / 2);
+  const y = (value: number) => HEIGHT - (max > 0 ? (value / max) * (HEIGHT - 8) : 0) - 4;
+  const formatTotal = (value: number) =>
+    metric === "watchTime" ? formatDurationHumanReadable(value) : `${value} plays`;
+
+  return (
+    <Paper padding="md">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="font-semibold text-base" style={{ color: "var(--text-primary)" }}>
+          Trends
+        </h3>
+        <div className="flex gap-2">
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value as TrendMetric)}
+            className="text-sm px-2 py-1 rounded border cursor-pointer"
+            style={selectStyle}
+            aria-label="Measure"
+          >
+            {METRIC_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={entityType}
+            onChange={(e) => setEntityType(e.target.value as TrendEntityType)}
+            className="text-sm px-2 py-1 rounded border cursor-pointer"
+            style={selectStyle}
+            aria-label="Entity type"
+          >
+            {ENTITY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {series.length === 0 ? (
+        <p className="text-sm py-8 text-center" style={{ color: "var(--text-muted)" }}>
+          Nothing watched in the last year yet.
+        </p>
+      ) : (
+        <>
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            preserveAspectRatio="none"
+            className="w-full"
+            style={{ height: HEIGHT }}
+            role="img"
+            aria-label={`${ROLLING_WINDOW}-month rolling average per month`}
+          >
+            {series.map((entry, index) => (
+              <polyline
+                key={entry.id}
+                fill="none"
+                stroke={LINE_COLORS[index % LINE_COLORS.length]}
+                strokeWidth={2}
+                vectorEffect="non-scaling-stroke"
+                points={entry.rolling.map((value, i) => `${x(i)},${y(value)}`).join(" ")}
+              >
+                <title>{entry.name}</title>
+              </polyline>
+            ))}
+          </svg>
+          <div className="flex justify-between text-[10px] mt-1" style={{ color: "var(--text-muted)" }}>
+            <span>{periods[0]}</span>
+            <span>{periods[periods.length - 1]}</span>
+          </div>
+          <ul className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-sm">
+            {series.map((entry, index) => (
+              <li key={entry.id} className="flex items-center gap-2 min-w-0">
+                <span
+                  className="w-3 h-3 rounded-full flex-shrink-0"
+                  style={{ backgroundColor: LINE_COLORS[index % LINE_COLORS.length] }}
+                />
+                <Link
+                  to={`/${entityType}/${entry.id}`}
+                  className="truncate hover:underline"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  {entry.name}
+                </Link>
+                <span className="ml-auto flex-shrink-0" style={{ color: "var(--text-muted)" }}>
+                  {formatTotal(entry.total)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default TrendsChart;
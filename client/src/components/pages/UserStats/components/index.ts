@@ -5,3 +5,9 @@ export { default as LibraryOverview } from "./LibraryOverview";
 export { default as EngagementTotals } from "./EngagementTotals";
 export { default as TopList } from "./TopList";
 export { default as HighlightCard } from "./HighlightCard";
+export { default as BarChart } from "./BarChart";
+export { default as ActivityHeatmap } from "./ActivityHeatmap";
+export { default as TimeDistribution } from "./TimeDistribution";
+export { default as ActivityOverTime } from "./ActivityOverTime";
+export { default as TrendsChart } from "./TrendsChart";
+export { default as ActivitySection } from "./ActivitySection";
@@ -0,0 +1,81 @@
+import { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { Users } from "lucide-react";
+import { ApiError, joinWatchParty } from "../../api";
+import { useConfig } from "../../contexts/ConfigContext";
+import { WATCH_PARTY_STORAGE_KEY } from "../../contexts/WatchPartyContext";
+import { usePageTitle } from "../../hooks/usePageTitle";
+import { getEntityPath } from "../../utils/entityLinks";
+import { Button, EmptyState, LoadingSpinner, PageLayout } from "../ui/index";
+
+/**
+ * WatchPartyJoin - Landing page for watch party invite links
+ * Joins the party and forwards to the scene it is watching
+ */
+const WatchPartyJoin = () => {
+  usePageTitle("Watch Party");
+
+  const { partyId } = useParams<{ partyId: string }>();
+  const navigate = useNavigate();
+  const { hasMultipleInstances } = useConfig();
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!partyId) return;
+    let cancelled = false;
+
+    joinWatchParty(partyId)
+      .then(({ party }) => {
+        if (cancelled) return;
+        sessionStorage.setItem(WATCH_PARTY_STORAGE_KEY, party.id);
+        navigate(
+          getEntityPath(
+            "scene",
+            { id: party.sceneId, instanceId: party.instanceId ?? undefined },
+            hasMultipleInstances
+          ),
+          { replace: true }
+        );
+      })
+      .catch((err: unknown) => {
+        if (cancelled) return;
+        setError(
+          err instanceof ApiError && (err.status === 403 || err.status === 404 || err.status === 409)
+            ? err.message
+            : "Failed to join the watch party"
+        );
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [partyId, navigate, hasMultipleInstances]);
+
+  return (
+    <PageLayout>
+      {error ? (
+        <EmptyState
+          icon={
+            <Users
+              className="w-16 h-16 mx-auto mb-4"
+              style={{ color: "var(--text-muted)" }}
+            />
+          }
+          title="Can't join this watch party"
+          description={error}
+          action={
+            <Button onClick={() => navigate("/scenes")} variant="primary">
+              Browse Scenes
+            </Button>
+          }
+        />
+      ) : (
+        <div className="flex justify-center py-24">
+          <LoadingSpinner />
+        </div>
+      )}
+    </PageLayout>
+  );
+};
+
+export default WatchPartyJoin;
@@ -0,0 +1,428 @@
+import { useState, useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import {
+  ArrowLeft,
+  Save,
+  Eye,
+  AlertCircle,
+  Loader2,
+  Sparkles,
+} from "lucide-react";
+import {
+  countFilterRules,
+  createFilterRuleGroup,
+  type FilterRuleGroup,
+} from "@peek/shared-types";
+import { Button } from "../ui/index";
+import RuleGroupEditor from "../carousel-builder/RuleGroupEditor";
+import CarouselPreview from "../carousel-builder/CarouselPreview";
+import { apiGet, apiPost, apiPut, libraryApi } from "../../api";
+import { usePageTitle } from "../../hooks/usePageTitle";
+import { SCENE_SORT_OPTIONS } from "../../utils/filterConfig";
+import {
+  ruleGroupToStoredRules,
+  storedRulesToRuleGroup,
+  type CarouselRule,
+} from "../carousel-builder/ruleConversion";
+
+/** Mirrors SMART_PLAYLIST_MAX_ITEMS on the server */
+const MAX_ITEMS = 500;
+
+const inputStyle = {
+  backgroundColor: "var(--bg-primary)",
+  borderColor: "var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+const sectionStyle = {
+  backgroundColor: "var(--bg-card)",
+  borderColor: "var(--border-color)",
+};
+
+/**
+ * SmartPlaylistBuilder Component
+ * Full-page editor for creating smart playlists and editing their rules.
+ * Uses the same rule editor and preview as custom carousels; the saved
+ * rules are re-evaluated every time the playlist is opened.
+ */
+const SmartPlaylistBuilder = () => {
+  const navigate = useNavigate();
+  const { playlistId } = useParams<{ playlistId: string }>();
+  const isEditing = Boolean(playlistId);
+  usePageTitle(isEditing ? "Edit Smart Playlist" : "New Smart Playlist");
+
+  // Form state
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [ruleTree, setRuleTree] = useState<FilterRuleGroup<CarouselRule>>(() =>
+    createFilterRuleGroup()
+  );
+  const [sort, setSort] = useState("date");
+  const [direction, setDirection] = useState("DESC");
+  const [itemLimit, setItemLimit] = useState("");
+
+  // UI state
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [previewScenes, setPreviewScenes] = useState<Record<string, unknown>[] | null>(null);
+  const [previewError, setPreviewError] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [previewValid, setPreviewValid] = useState(false);
+
+  // Load existing smart playlist if editing
+  useEffect(() => {
+    if (!isEditing || !playlistId) return;
+
+    const loadPlaylist = async () => {
+      setLoading(true);
+      try {
+        const result = await apiGet<{ playlist: Record<string, unknown> }>(
+          `/playlists/${playlistId}`
+        );
+        const playlist = result.playlist;
+        setName(playlist.name as string);
+        setDescription((playlist.description as string) || "");
+        setSort((playlist.sort as string) || "date");
+        setDirection((playlist.direction as string) || "DESC");
+        setItemLimit(playlist.itemLimit ? String(playlist.itemLimit) : "");
+
+        // Convert stored rules (flat or versioned) back to an editable tree
+        setRuleTree(storedRulesToRuleGroup(playlist.rules));
+      } catch (err) {
+        setError((err as Error).message || "Failed to load playlist");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPlaylist();
+  }, [playlistId, isEditing]);
+
+  const invalidatePreview = () => {
+    setPreviewValid(false);
+    setPreviewScenes(null);
+  };
+
+  const updateRuleTree = (tree: FilterRuleGroup<CarouselRule>) => {
+    setRuleTree(tree);
+    invalidatePreview();
+  };
+
+  const ruleCount = countFilterRules(ruleTree);
+
+  const parsedLimit = itemLimit.trim() === "" ? null : Number(itemLimit);
+  const limitValid =
+    parsedLimit === null ||
+    (Number.isInteger(parsedLimit) && parsedLimit >= 1 && parsedLimit <= MAX_ITEMS);
+
+  const handlePreview = async () => {
+    if (ruleCount === 0) {
+      setPreviewError("Add at least one rule to preview");
+      return;
+    }
+
+    setPreviewing(true);
+    setPreviewError(null);
+
+    try {
+      const result = await libraryApi.previewCarousel({
+        rules: ruleGroupToStoredRules(ruleTree),
+        sort,
+        direction,
+      }) as Record<string, unknown>;
+
+      setPreviewScenes(result.scenes as Record<string, unknown>[]);
+      setPreviewValid(true);
+    } catch (err) {
+      setPreviewError((err as Error).message || "Failed to preview playlist");
+      setPreviewValid(false);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      setError("Name is required");
+      return;
+    }
+
+    if (ruleCount === 0) {
+      setError("Add at least one rule");
+      return;
+    }
+
+    if (!limitValid) {
+      setError(`Scene limit must be between 1 and ${MAX_ITEMS}`);
+      return;
+    }
+
+    if (!previewValid) {
+      setError("Preview must succeed before saving");
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const playlistData = {
+        name: name.trim(),
+        description: description.trim() || null,
+        rules: ruleGroupToStoredRules(ruleTree),
+        sort,
+        direction,
+        itemLimit: parsedLimit,
+      };
+
+      if (isEditing) {
+        await apiPut(`/playlists/${playlistId}`, playlistData);
+        navigate(`/playlist/${playlistId}`);
+      } else {
+        const result = await apiPost<{ playlist: { id: number } }>("/playlists", {
+          ...playlistData,
+          description: playlistData.description || undefined,
+          type: "smart",
+        });
+        navigate(`/playlist/${result.playlist.id}`);
+      }
+    } catch (err) {
+      setError((err as Error).message || "Failed to save playlist");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleBack = () =>
+    navigate(isEditing ? `/playlist/${playlistId}` : "/playlists");
+
+  const canSave = name.trim() && ruleCount > 0 && previewValid && limitValid;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <Loader2 className="w-8 h-8 animate-spin" style={{ color: "var(--accent-primary)" }} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen" style={{ backgroundColor: "var(--bg-primary)" }}>
+      {/* Header */}
+      <div
+        className="sticky top-0 z-10 border-b px-4 py-3"
+        style={{
+          backgroundColor: "var(--bg-secondary)",
+          borderColor: "var(--border-color)",
+        }}
+      >
+        <div className="max-w-4xl mx-auto flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Button variant="secondary" onClick={handleBack} icon={<ArrowLeft className="w-4 h-4" />}>
+              Back
+            </Button>
+            <h1 className="text-lg font-semibold" style={{ color: "var(--text-primary)" }}>
+              {isEditing ? "Edit Smart Playlist" : "New Smart Playlist"}
+            </h1>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <Button
+              variant="secondary"
+              onClick={handlePreview}
+              disabled={previewing || ruleCount === 0}
+              icon={previewing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />}
+            >
+              Preview
+            </Button>
+            <Button
+              variant="primary"
+              onClick={handleSave}
+              disabled={!canSave || saving}
+              icon={saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            >
+              {isEditing ? "Update" : "Save"}
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      {/* Main Content */}
+      <div className="max-w-4xl mx-auto p-4 space-y-6">
+        {/* Error Banner */}
+        {error && (
+          <div
+            className="flex items-center gap-2 p-3 rounded-lg border"
+            style={{
+              backgroundColor: "var(--status-error-bg)",
+              borderColor: "var(--status-error)",
+              color: "var(--status-error)",
+            }}
+          >
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {/* Name & Description */}
+        <div className="rounded-lg border p-4 space-y-4" style={sectionStyle}>
+          <h2 className="text-sm font-semibold" style={{ color: "var(--text-secondary)" }}>
+            Playlist Details
+          </h2>
+
+          <div className="flex items-start gap-4">
+            <div
+              className="flex-shrink-0 w-14 h-14 rounded-lg flex items-center justify-center"
+              style={{ backgroundColor: "var(--bg-secondary)" }}
+            >
+              <Sparkles className="w-7 h-7" style={{ color: "var(--accent-primary)" }} />
+            </div>
+
+            <div className="flex-1 space-y-3">
+              <div className="space-y-2">
+                <label
+                  htmlFor="smartPlaylistName"
+                  className="block text-sm font-medium"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  Name
+                </label>
+                <input
+                  id="smartPlaylistName"
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="My Smart Playlist"
+                  className="w-full px-3 py-2 rounded-lg border text-base"
+                  style={inputStyle}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <label
+                  htmlFor="smartPlaylistDescription"
+                  className="block text-sm font-medium"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  Description (Optional)
+                </label>
+                <textarea
+                  id="smartPlaylistDescription"
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  rows={2}
+                  className="w-full px-3 py-2 rounded-lg border text-sm"
+                  style={inputStyle}
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Filter Rules */}
+        <div className="rounded-lg border p-4 space-y-4" style={sectionStyle}>
+          <div className="flex items-center justify-between">
+            <h2 className="text-sm font-semibold" style={{ color: "var(--text-secondary)" }}>
+              Filter Rules
+            </h2>
+            <span className="text-xs" style={{ color: "var(--text-muted)" }}>
+              {ruleCount} rule{ruleCount !== 1 ? "s" : ""}
+            </span>
+          </div>
+
+          <RuleGroupEditor group={ruleTree} onChange={updateRuleTree} />
+        </div>
+
+        {/* Sort & Limit */}
+        <div className="rounded-lg border p-4 space-y-4" style={sectionStyle}>
+          <h2 className="text-sm font-semibold" style={{ color: "var(--text-secondary)" }}>
+            Order &amp; Size
+          </h2>
+
+          <div className="flex flex-wrap gap-4">
+            <div className="space-y-1">
+              <label className="block text-xs" style={{ color: "var(--text-muted)" }}>
+                Sort By
+              </label>
+              <select
+                value={sort}
+                onChange={(e) => {
+                  setSort(e.target.value);
+                  invalidatePreview();
+                }}
+                className="px-3 py-2 rounded-lg border text-sm min-w-[150px]"
+                style={inputStyle}
+              >
+                {SCENE_SORT_OPTIONS.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="space-y-1">
+              <label className="block text-xs" style={{ color: "var(--text-muted)" }}>
+                Direction
+              </label>
+              <select
+                value={direction}
+                onChange={(e) => {
+                  setDirection(e.target.value);
+                  invalidatePreview();
+                }}
+                className="px-3 py-2 rounded-lg border text-sm"
+                style={inputStyle}
+              >
+                <option value="DESC">Descending</option>
+                <option value="ASC">Ascending</option>
+              </select>
+            </div>
+
+            <div className="space-y-1">
+              <label
+                htmlFor="smartPlaylistLimit"
+                className="block text-xs"
+                style={{ color: "var(--text-muted)" }}
+              >
+                Scene Limit
+              </label>
+              <input
+                id="smartPlaylistLimit"
+                type="number"
+                min={1}
+                max={MAX_ITEMS}
+                value={itemLimit}
+                onChange={(e) => setItemLimit(e.target.value)}
+                placeholder={`${MAX_ITEMS} (max)`}
+                className="px-3 py-2 rounded-lg border text-sm w-32"
+                style={{
+                  ...inputStyle,
+                  borderColor: limitValid ? "var(--border-color)" : "var(--status-error)",
+                }}
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Preview Section */}
+        <CarouselPreview
+          scenes={previewScenes as React.ComponentProps<typeof CarouselPreview>["scenes"]}
+          error={previewError}
+          loading={previewing}
+          onPreview={handlePreview}
+        />
+
+        {/* Save Hint */}
+        {!previewValid && ruleCount > 0 && (
+          <p className="text-center text-sm" style={{ color: "var(--text-muted)" }}>
+            Preview your rules to enable saving
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SmartPlaylistBuilder;
@@ -27,6 +27,8 @@ interface Props {
   onPageChange?: (page: number) => void;
   onSceneClick?: (scene: NormalizedScene) => void;
   onHideSuccess?: (sceneId: string, entityType: string) => void;
+  /** Optional line shown under each scene's title */
+  getSceneCaption?: (scene: NormalizedScene) => string | undefined;
   fromPageTitle?: string;
   emptyMessage?: string;
   emptyDescription?: string;
@@ -47,6 +49,7 @@ const SceneGrid = ({
   onPageChange,
   onSceneClick,
   onHideSuccess,
+  getSceneCaption,
   fromPageTitle,
   emptyMessage = "No scenes found",
   emptyDescription = "Check your media library configuration",
@@ -179,6 +182,7 @@ const SceneGrid = ({
               scene={scene}
               onClick={selectedScenes.length === 0 && onSceneClick ? () => onSceneClick(scene) : undefined}
               onHideSuccess={onHideSuccess}
+              caption={getSceneCaption?.(scene)}
               fromPageTitle={fromPageTitle}
               isSelected={selectedScenes.some((s) => s.id === scene.id)}
               onToggleSelect={handleToggleSelect}
@@ -7,7 +7,8 @@ import { useTableColumns } from "../../hooks/useTableColumns";
 import { useWallPlayback } from "../../hooks/useWallPlayback";
 import { useConfig } from "../../contexts/ConfigContext";
 import { getEntityPath } from "../../utils/entityLinks";
-import { type LibrarySearchParams } from "../../api";
+import { buildSceneFilter } from "../../utils/filterConfig";
+import { libraryApi, type LibrarySearchParams } from "../../api";
 import { useSceneList } from "../../api/hooks";
 import { ApiError } from "../../api/client";
 import { queryKeys } from "../../api/queryKeys";
@@ -23,7 +24,7 @@ import { TableView, ColumnConfigPopover } from "../table/index";
 import SceneGrid from "./SceneGrid";
 import WallView from "../wall/WallView";
 import TimelineView from "../timeline/TimelineView";
-import { FolderView } from "../folder/index";
+import { DirectoryView, FolderView, type Directory } from "../folder/index";
 import { useFolderViewTags } from "../../hooks/useFolderViewTags";
 
 // View modes available for scene search
@@ -33,8 +34,12 @@ const VIEW_MODES = [
   { id: "table", label: "Table view" },
   { id: "timeline", label: "Timeline view" },
   { id: "folder", label: "Folder view" },
+  { id: "directory", label: "Directory view" },
 ] as const;
 
+// Most scenes "Play all" queues from one folder
+const PLAY_ALL_LIMIT = 500;
+
 // Context settings for wall view preview behavior
 const WALL_VIEW_SETTINGS = [
   {
@@ -151,6 +156,9 @@ const SceneSearch = ({
   // Track folder tag filter for filtering by selected folder
   const [folderTagFilter, setFolderTagFilter] = useState<string | null>(null);
 
+  // Track the directory (folder on disk) for filtering to its subtree
+  const [directoryFilter, setDirectoryFilter] = useState<Directory | null>(null);
+
   // Merge timeline/folder filters into permanent filters based on view mode
   const effectivePermanentFilters = useMemo(() => {
     const filters: Record<string, unknown> = { ...permanentFilters };
@@ -171,8 +179,13 @@ const SceneSearch = ({
       };
     }
 
+    // Add directory filter when in directory view (the folder and everything below it)
+    if (currentViewMode === "directory" && directoryFilter) {
+      filters.folder = directoryFilter;
+    }
+
     return filters;
-  }, [permanentFilters, currentViewMode, timelineDateFilter, folderTagFilter]);
+  }, [permanentFilters, currentViewMode, timelineDateFilter, folderTagFilter, directoryFilter]);
 
   // Context settings only shown in wall view
   const contextSettings = useMemo(() => {
@@ -232,6 +245,39 @@ const SceneSearch = ({
     return true; // Prevent fallback navigation in SceneCard
   };
 
+  // Play every scene below a folder, in path order, as a temporary playlist
+  const handlePlayDirectory = async (directory: Directory, name: string) => {
+    const result = (await libraryApi.findScenes({
+      filter: { page: 1, per_page: PLAY_ALL_LIMIT, sort: "path", direction: "ASC" },
+      scene_filter: buildSceneFilter({ ...permanentFilters, folder: directory }),
+    })) as Record<string, unknown>;
+    const scenes = ((result?.findScenes as Record<string, unknown> | undefined)?.scenes as Record<string, unknown>[]) || [];
+    if (scenes.length === 0) return;
+
+    navigate(getEntityPath('scene', scenes[0], hasMultipleInstances), {
+      state: {
+        scene: scenes[0],
+        shouldAutoplay: true,
+        playlist: {
+          id: "virtual-directory",
+          name,
+          autoplayNext: true,
+          shuffle: false,
+          repeat: "none",
+          shuffleHistory: [],
+          scenes: scenes.map((s, idx) => ({
+            sceneId: s.id,
+            instanceId: s.instanceId,
+            scene: s,
+            position: idx,
+          })),
+          currentIndex: 0,
+        },
+        ...(fromPageTitle ? { fromPageTitle } : {}),
+      },
+    });
+  };
+
   const handleQueryChange = useCallback(
     (newQuery: LibrarySearchParams) => {
       setQueryParams(newQuery);
@@ -380,6 +426,25 @@ const SceneSearch = ({
                 />
               )}
             />
+          ) : viewMode === "directory" ? (
+            <DirectoryView
+              type="scene"
+              items={currentScenes}
+              gridDensity={gridDensity}
+              loading={isLoading}
+              emptyMessage="No scenes found"
+              onDirectoryChange={setDirectoryFilter}
+              onPlayAll={handlePlayDirectory}
+              renderItem={(scene: Record<string, unknown>) => (
+                <SceneCard
+                  key={scene.id as string}
+                  scene={scene as unknown as React.ComponentProps<typeof SceneCard>["scene"]}
+                  onHideSuccess={handleHideSuccess}
+                  fromPageTitle={fromPageTitle}
+                  tabIndex={0}
+                />
+              )}
+            />
           ) : (
             <SceneGrid
               scenes={currentScenes as unknown as React.ComponentProps<typeof SceneGrid>["scenes"]}
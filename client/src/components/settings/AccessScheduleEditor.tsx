@@ -0,0 +1,224 @@
+import { Plus, X } from "lucide-react";
+import type { AccessSchedule, AccessWindow } from "@peek/shared-types";
+import { Button } from "../ui/index";
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const inputStyle = {
+  backgroundColor: "var(--bg-secondary)",
+  border: "1px solid var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+const newWindow = (): AccessWindow => ({
+  days: [0, 1, 2, 3, 4, 5, 6],
+  start: "08:00",
+  end: "21:00",
+});
+
+const newSchedule = (): AccessSchedule => ({
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  windows: [newWindow()],
+  dailyLimitMinutes: null,
+});
+
+interface Props {
+  /** null leaves access unrestricted */
+  value: AccessSchedule | null;
+  onChange: (schedule: AccessSchedule | null) => void;
+  /** Label of the checkbox that turns the schedule on */
+  label: string;
+  description: string;
+  disabled?: boolean;
+}
+
+/**
+ * AccessScheduleEditor - Days, hours and a daily watch-time limit for when
+ * a user or group may use Peek. Validation happens on the server.
+ */
+const AccessScheduleEditor = ({ value, onChange, label, description, disabled }: Props) => {
+  const updateWindow = (index: number, changes: Partial<AccessWindow>) => {
+    if (!value) return;
+    onChange({
+      ...value,
+      windows: value.windows.map((w, i) => (i === index ? { ...w, ...changes } : w)),
+    });
+  };
+
+  const toggleDay = (index: number, day: number) => {
+    const days = value?.windows[index]?.days ?? [];
+    updateWindow(index, {
+      days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day].sort(),
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-start gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={value !== null}
+          onChange={(e) => onChange(e.target.checked ? newSchedule() : null)}
+          disabled={disabled}
+          className="w-4 h-4 rounded cursor-pointer mt-0.5"
+        />
+        <div className="flex-1">
+          <div className="text-sm font-medium" style={{ color: "var(--text-primary)" }}>
+            {label}
+          </div>
+          <div className="text-xs mt-0.5" style={{ color: "var(--text-muted)" }}>
+            {description}
+          </div>
+        </div>
+      </label>
+
+      {value && (
+        <div className="ml-7 space-y-3">
+          <div>
+            <label
+              className="block text-xs font-medium mb-1"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Timezone
+            </label>
+            <input
+              type="text"
+              value={value.timezone}
+              onChange={(e) => onChange({ ...value, timezone: e.target.value })}
+              disabled={disabled}
+              className="w-full px-3 py-2 rounded-lg text-sm"
+              style={inputStyle}
+              placeholder="e.g. Europe/London"
+            />
+          </div>
+
+          <div>
+            <div
+              className="block text-xs font-medium mb-1"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Open Hours
+            </div>
+            <div className="space-y-2">
+              {value.windows.map((window, index) => (
+                <div
+                  key={index}
+                  className="p-2 rounded-lg space-y-2"
+                  style={{ border: "1px solid var(--border-color)" }}
+                >
+                  <div className="flex flex-wrap gap-1">
+                    {DAYS.map((day, dayIndex) => {
+                      const selected = window.days.includes(dayIndex);
+                      return (
+                        <button
+                          key={day}
+                          type="button"
+                          onClick={() => toggleDay(index, dayIndex)}
+                          disabled={disabled}
+                          aria-pressed={selected}
+                          className="px-2 py-1 rounded text-xs"
+                          style={{
+                            backgroundColor: selected
+                              ? "var(--accent-primary)"
+                              : "var(--bg-secondary)",
+                            color: selected ? "white" : "var(--text-secondary)",
+                          }}
+                        >
+                          {day}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  <div className="flex items-center gap-2 text-sm">
+                    <input
+                      type="time"
+                      value={window.start}
+                      onChange={(e) => updateWindow(index, { start: e.target.value })}
+                      disabled={disabled}
+                      className="px-2 py-1 rounded-lg text-sm"
+                      style={inputStyle}
+                      aria-label="From"
+                    />
+                    <span style={{ color: "var(--text-muted)" }}>to</span>
+                    {/* Time inputs can't show 24:00, so midnight is entered as 00:00 */}
+                    <input
+                      type="time"
+                      value={window.end === "24:00" ? "00:00" : window.end}
+                      onChange={(e) =>
+                        updateWindow(index, {
+                          end: e.target.value === "00:00" ? "24:00" : e.target.value,
+                        })
+                      }
+                      disabled={disabled}
+                      className="px-2 py-1 rounded-lg text-sm"
+                      style={inputStyle}
+                      aria-label="Until"
+                    />
+                    <button
+                      type="button"
+                      onClick={() =>
+                        onChange({
+                          ...value,
+                          windows: value.windows.filter((_, i) => i !== index),
+                        })
+                      }
+                      disabled={disabled}
+                      className="ml-auto p-1 rounded hover:opacity-70"
+                      style={{ color: "var(--text-muted)" }}
+                      aria-label="Remove hours"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <Button
+              type="button"
+              variant="secondary"
+              size="sm"
+              onClick={() => onChange({ ...value, windows: [...value.windows, newWindow()] })}
+              disabled={disabled}
+              icon={<Plus className="w-4 h-4" />}
+              className="mt-2"
+            >
+              Add Hours
+            </Button>
+            <p className="text-xs mt-1" style={{ color: "var(--text-muted)" }}>
+              {value.windows.length === 0
+                ? "Open all day; only the daily limit applies."
+                : "Hours can't run past midnight; add the rest to the next day."}
+            </p>
+          </div>
+
+          <div>
+            <label
+              className="block text-xs font-medium mb-1"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Daily Watch Time (minutes)
+            </label>
+            <input
+              type="number"
+              min={1}
+              max={1440}
+              value={value.dailyLimitMinutes ?? ""}
+              onChange={(e) =>
+                onChange({
+                  ...value,
+                  dailyLimitMinutes: e.target.value ? Number(e.target.value) : null,
+                })
+              }
+              disabled={disabled}
+              className="w-full px-3 py-2 rounded-lg text-sm"
+              style={inputStyle}
+              placeholder="Unlimited"
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccessScheduleEditor;
@@ -0,0 +1,282 @@
+import { useState, useEffect } from "react";
+import { Copy, KeyRound, Trash2 } from "lucide-react";
+import type { ApiTokenData, ApiTokenScope } from "@peek/shared-types";
+import { createApiToken, getApiTokens, revokeApiToken } from "../../api";
+import { formatDate, formatRelativeTime } from "../../utils/date";
+import { showError, showSuccess } from "../../utils/toast";
+import { Button } from "../ui/index";
+
+const SCOPE_OPTIONS: { value: ApiTokenScope; label: string; description: string }[] = [
+  {
+    value: "library:read",
+    label: "Library (read)",
+    description: "Browse scenes, performers, playlists and other library content",
+  },
+  {
+    value: "watch-history:write",
+    label: "Watch history",
+    description: "Report playback progress and play counts",
+  },
+  {
+    value: "downloads",
+    label: "Downloads",
+    description: "Create and fetch downloads",
+  },
+];
+
+const scopeLabel = (scope: ApiTokenScope) =>
+  SCOPE_OPTIONS.find((option) => option.value === scope)?.label ?? scope;
+
+/**
+ * Personal API tokens: create, list and revoke long-lived tokens for
+ * scripts and external clients.
+ */
+const ApiTokensSection = () => {
+  const [tokens, setTokens] = useState<ApiTokenData[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState<ApiTokenScope[]>([]);
+  const [creating, setCreating] = useState(false);
+  const [newToken, setNewToken] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadTokens = async () => {
+      try {
+        const response = await getApiTokens();
+        setTokens(response.tokens);
+      } catch (err) {
+        console.error("Failed to load API tokens:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadTokens();
+  }, []);
+
+  const toggleScope = (scope: ApiTokenScope) => {
+    setScopes((current) =>
+      current.includes(scope)
+        ? current.filter((s) => s !== scope)
+        : [...current, scope]
+    );
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!name.trim()) {
+      showError("Token name is required");
+      return;
+    }
+
+    try {
+      setCreating(true);
+      const response = await createApiToken(name.trim(), scopes);
+      setTokens((current) => [response.apiToken, ...current]);
+      setNewToken(response.token);
+      setName("");
+      setScopes([]);
+      showSuccess("API token created");
+    } catch (err) {
+      showError((err as Error).message || "Failed to create API token");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token: ApiTokenData) => {
+    if (!confirm(`Revoke the API token "${token.name}"?\n\nAnything using it will stop working immediately.`)) {
+      return;
+    }
+
+    try {
+      await revokeApiToken(token.id);
+      setTokens((current) => current.filter((t) => t.id !== token.id));
+      showSuccess("API token revoked");
+    } catch {
+      showError("Failed to revoke API token");
+    }
+  };
+
+  const copyNewToken = () => {
+    navigator.clipboard.writeText(newToken!);
+    showSuccess("API token copied to clipboard");
+  };
+
+  return (
+    <div
+      className="p-6 rounded-lg border"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        borderColor: "var(--border-color)",
+      }}
+    >
+      <h3
+        className="text-lg font-semibold mb-2"
+        style={{ color: "var(--text-primary)" }}
+      >
+        API Tokens
+      </h3>
+      <p className="text-sm mb-4" style={{ color: "var(--text-muted)" }}>
+        Long-lived tokens for scripts and external clients. Send them as{" "}
+        <code>Authorization: Bearer &lt;token&gt;</code>. A token with no scopes
+        can do anything your account can.
+      </p>
+
+      {/* Newly created token, shown once */}
+      {newToken && (
+        <div
+          className="p-4 rounded-lg mb-4"
+          style={{
+            backgroundColor: "var(--bg-secondary)",
+            border: "1px solid var(--border-color)",
+          }}
+        >
+          <p className="text-sm mb-2" style={{ color: "var(--text-secondary)" }}>
+            Copy your new token now. You won't be able to see it again.
+          </p>
+          <div className="flex items-center gap-2">
+            <code
+              className="flex-1 px-3 py-2 rounded font-mono text-sm break-all"
+              style={{
+                backgroundColor: "var(--bg-tertiary)",
+                color: "var(--text-primary)",
+              }}
+            >
+              {newToken}
+            </code>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={copyNewToken}
+              title="Copy to clipboard"
+            >
+              <Copy size={16} />
+            </Button>
+          </div>
+          <div className="flex justify-end mt-2">
+            <Button variant="tertiary" size="sm" onClick={() => setNewToken(null)}>
+              Done
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {/* Create form */}
+      <form onSubmit={handleCreate} className="space-y-3 mb-6">
+        <div>
+          <label
+            htmlFor="apiTokenName"
+            className="block text-sm font-medium mb-2"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Token Name
+          </label>
+          <input
+            type="text"
+            id="apiTokenName"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Kodi living room"
+            maxLength={100}
+            className="w-full px-4 py-2 rounded-lg"
+            style={{
+              backgroundColor: "var(--bg-secondary)",
+              border: "1px solid var(--border-color)",
+              color: "var(--text-primary)",
+            }}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <span
+            className="block text-sm font-medium"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Scopes
+          </span>
+          {SCOPE_OPTIONS.map((option) => (
+            <label key={option.value} className="flex items-start gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={scopes.includes(option.value)}
+                onChange={() => toggleScope(option.value)}
+                className="mt-1"
+              />
+              <span>
+                <span className="text-sm" style={{ color: "var(--text-primary)" }}>
+                  {option.label}
+                </span>
+                <span className="block text-xs" style={{ color: "var(--text-muted)" }}>
+                  {option.description}
+                </span>
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex justify-end">
+          <Button
+            type="submit"
+            variant="primary"
+            size="sm"
+            disabled={creating}
+            loading={creating}
+          >
+            <KeyRound size={14} className="mr-1" />
+            Create Token
+          </Button>
+        </div>
+      </form>
+
+      {/* Existing tokens */}
+      {loading ? (
+        <p style={{ color: "var(--text-muted)" }}>Loading...</p>
+      ) : tokens.length === 0 ? (
+        <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+          You have no API tokens.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {tokens.map((token) => (
+            <li
+              key={token.id}
+              className="flex items-center justify-between gap-3 p-3 rounded-lg"
+              style={{
+                backgroundColor: "var(--bg-secondary)",
+                border: "1px solid var(--border-color)",
+              }}
+            >
+              <div className="min-w-0">
+                <div className="text-sm font-medium" style={{ color: "var(--text-primary)" }}>
+                  {token.name}{" "}
+                  <code className="text-xs font-mono" style={{ color: "var(--text-muted)" }}>
+                    {token.tokenPrefix}…
+                  </code>
+                </div>
+                <div className="text-xs" style={{ color: "var(--text-muted)" }}>
+                  {token.scopes ? token.scopes.map(scopeLabel).join(", ") : "Full access"}
+                  {" · "}Created {formatDate(String(token.createdAt))}
+                  {" · "}
+                  {token.lastUsedAt
+                    ? `Last used ${formatRelativeTime(String(token.lastUsedAt))}`
+                    : "Never used"}
+                </div>
+              </div>
+              <Button
+                variant="destructive"
+                size="sm"
+                onClick={() => handleRevoke(token)}
+                title="Revoke token"
+              >
+                <Trash2 size={14} />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ApiTokensSection;
@@ -0,0 +1,59 @@
+import { Copy } from "lucide-react";
+import { showSuccess } from "../../utils/toast";
+import { Button } from "../ui/index";
+
+interface Props {
+  codes: string[];
+  onDone: () => void;
+}
+
+/**
+ * Newly generated two-factor backup codes, shown once
+ */
+const BackupCodesList = ({ codes, onDone }: Props) => {
+  const copyCodes = () => {
+    navigator.clipboard.writeText(codes.join("\n"));
+    showSuccess("Backup codes copied to clipboard");
+  };
+
+  return (
+    <div
+      className="p-4 rounded-lg"
+      style={{
+        backgroundColor: "var(--bg-secondary)",
+        border: "1px solid var(--border-color)",
+      }}
+    >
+      <p className="text-sm mb-3" style={{ color: "var(--text-secondary)" }}>
+        Save these backup codes somewhere safe. Each one signs you in once if
+        you lose your authenticator or security key. You won't be able to see
+        them again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 mb-3">
+        {codes.map((code) => (
+          <li
+            key={code}
+            className="px-3 py-1 rounded font-mono text-sm text-center"
+            style={{
+              backgroundColor: "var(--bg-tertiary)",
+              color: "var(--text-primary)",
+            }}
+          >
+            {code}
+          </li>
+        ))}
+      </ul>
+      <div className="flex justify-end gap-2">
+        <Button variant="secondary" size="sm" onClick={copyCodes}>
+          <Copy size={14} className="mr-1" />
+          Copy
+        </Button>
+        <Button variant="primary" size="sm" onClick={onDone}>
+          I've saved them
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default BackupCodesList;
@@ -0,0 +1,359 @@
+import { useCallback, useEffect, useState } from "react";
+import { RefreshCw, Trash2 } from "lucide-react";
+import type { DlnaDeviceData, DlnaSettingsData } from "@peek/shared-types";
+import {
+  apiGet,
+  createDlnaDevice,
+  deleteDlnaDevice,
+  getDlnaDevices,
+  getDlnaSettings,
+  updateDlnaDevice,
+  updateDlnaSettings,
+} from "../../api";
+import { formatRelativeTime } from "../../utils/date";
+import { showError, showSuccess } from "../../utils/toast";
+import { Button, Paper, Switch } from "../ui/index";
+
+interface UserOption {
+  id: number;
+  username: string;
+}
+
+const inputStyle = {
+  backgroundColor: "var(--bg-secondary)",
+  border: "1px solid var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+interface UserSelectProps {
+  id: string;
+  users: UserOption[];
+  value: number | null;
+  onChange: (userId: number | null) => void;
+}
+
+const UserSelect = ({ id, users, value, onChange }: UserSelectProps) => (
+  <select
+    id={id}
+    value={value ?? ""}
+    onChange={(e) => onChange(e.target.value ? Number(e.target.value) : null)}
+    className="px-3 py-2 rounded-lg text-sm"
+    style={inputStyle}
+  >
+    <option value="">Not linked</option>
+    {users.map((u) => (
+      <option key={u.id} value={u.id}>
+        {u.username}
+      </option>
+    ))}
+  </select>
+);
+
+/**
+ * DLNA media server: discovery settings and the device-to-user bindings
+ * that decide whose library each TV or player browses.
+ */
+const DlnaSection = () => {
+  const [settings, setSettings] = useState<DlnaSettingsData | null>(null);
+  const [advertising, setAdvertising] = useState(false);
+  const [devices, setDevices] = useState<DlnaDeviceData[]>([]);
+  const [users, setUsers] = useState<UserOption[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [newAddress, setNewAddress] = useState("");
+  const [newUserId, setNewUserId] = useState<number | null>(null);
+
+  const loadDevices = useCallback(async () => {
+    const data = await getDlnaDevices();
+    setDevices(data.devices);
+  }, []);
+
+  useEffect(() => {
+    Promise.all([getDlnaSettings(), apiGet<{ users: UserOption[] }>("/user/all"), loadDevices()])
+      .then(([settingsData, userData]) => {
+        setSettings({
+          ...settingsData.settings,
+          // Prefill with the address this browser reached Peek on
+          baseUrl: settingsData.settings.baseUrl ?? window.location.origin,
+        });
+        setAdvertising(settingsData.advertising);
+        setUsers(userData.users || []);
+      })
+      .catch((err) => {
+        console.error("Failed to load DLNA settings:", err);
+        showError("Failed to load DLNA settings");
+      });
+  }, [loadDevices]);
+
+  if (!settings) return null;
+
+  const update = <K extends keyof DlnaSettingsData>(field: K, value: DlnaSettingsData[K]) => {
+    setSettings((current) => (current ? { ...current, [field]: value } : current));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const data = await updateDlnaSettings({
+        enabled: settings.enabled,
+        friendlyName: settings.friendlyName,
+        baseUrl: settings.baseUrl || null,
+      });
+      setSettings(data.settings);
+      setAdvertising(data.advertising);
+      if (data.settings.enabled && !data.advertising) {
+        showError("Settings saved, but discovery could not start. Check the server logs.");
+      } else {
+        showSuccess("DLNA settings saved");
+      }
+    } catch (err) {
+      showError((err as Error).message || "Failed to save DLNA settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const replaceDevice = (device: DlnaDeviceData) => {
+    setDevices((current) => current.map((d) => (d.id === device.id ? device : d)));
+  };
+
+  const handleDeviceUser = async (device: DlnaDeviceData, userId: number | null) => {
+    try {
+      const data = await updateDlnaDevice(device.id, { userId });
+      replaceDevice(data.device);
+      showSuccess(userId ? `${device.name || device.address} linked to ${data.device.username}` : "Device unlinked");
+    } catch (err) {
+      showError((err as Error).message || "Failed to update device");
+    }
+  };
+
+  const handleDeviceName = async (device: DlnaDeviceData, name: string) => {
+    if (name === (device.name ?? "")) return;
+    try {
+      const data = await updateDlnaDevice(device.id, { name: name || null });
+      replaceDevice(data.device);
+    } catch (err) {
+      showError((err as Error).message || "Failed to rename device");
+    }
+  };
+
+  const handleDelete = async (device: DlnaDeviceData) => {
+    if (!confirm(`Forget ${device.name || device.address}?\n\nIt will show up again, unlinked, the next time it browses Peek.`)) {
+      return;
+    }
+    try {
+      await deleteDlnaDevice(device.id);
+      setDevices((current) => current.filter((d) => d.id !== device.id));
+    } catch (err) {
+      showError((err as Error).message || "Failed to remove device");
+    }
+  };
+
+  const handleAdd = async () => {
+    try {
+      const data = await createDlnaDevice({ address: newAddress.trim(), userId: newUserId });
+      setDevices((current) => [data.device, ...current]);
+      setNewAddress("");
+      setNewUserId(null);
+      showSuccess("Device added");
+    } catch (err) {
+      showError((err as Error).message || "Failed to add device");
+    }
+  };
+
+  const handleRefresh = async () => {
+    try {
+      setRefreshing(true);
+      await loadDevices();
+    } catch {
+      showError("Failed to load DLNA devices");
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  return (
+    <Paper className="mb-6">
+      <Paper.Header
+        title="DLNA Media Server"
+        subtitle="Browse and play your library from smart TVs and other DLNA/UPnP players"
+      />
+      <Paper.Body>
+        <div className="space-y-6">
+          {/* Enable toggle */}
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <label
+                htmlFor="dlnaEnabled"
+                className="block text-sm font-medium"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                Enable DLNA Server
+              </label>
+              <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+                {advertising
+                  ? "Announcing Peek on the local network."
+                  : "Not announcing. Discovery needs host networking when Peek runs in Docker."}
+              </p>
+            </div>
+            <Switch
+              id="dlnaEnabled"
+              checked={settings.enabled}
+              onChange={(value) => update("enabled", value)}
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor="dlnaFriendlyName"
+              className="block text-sm font-medium mb-2"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Server Name
+            </label>
+            <input
+              id="dlnaFriendlyName"
+              type="text"
+              value={settings.friendlyName}
+              maxLength={64}
+              onChange={(e) => update("friendlyName", e.target.value)}
+              className="w-full px-4 py-2 rounded-lg"
+              style={inputStyle}
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor="dlnaBaseUrl"
+              className="block text-sm font-medium mb-2"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Server URL
+            </label>
+            <input
+              id="dlnaBaseUrl"
+              type="text"
+              value={settings.baseUrl ?? ""}
+              placeholder="http://192.168.1.10:6969"
+              onChange={(e) => update("baseUrl", e.target.value)}
+              className="w-full px-4 py-2 rounded-lg"
+              style={inputStyle}
+            />
+            <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+              The address players on your network use to reach Peek. Use the LAN IP rather than a
+              hostname; most TVs can't resolve local DNS names.
+            </p>
+          </div>
+
+          <div>
+            <Button variant="primary" onClick={handleSave} loading={saving}>
+              Save DLNA Settings
+            </Button>
+          </div>
+
+          {/* Devices */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-medium" style={{ color: "var(--text-secondary)" }}>
+                Devices
+              </span>
+              <Button
+                variant="tertiary"
+                size="sm"
+                onClick={handleRefresh}
+                disabled={refreshing}
+                loading={refreshing}
+              >
+                <RefreshCw size={14} className="mr-1" />
+                Refresh
+              </Button>
+            </div>
+            <p className="text-sm mb-3" style={{ color: "var(--text-muted)" }}>
+              DLNA has no login, so each device browses as the user it is linked to. Devices appear
+              here after they first contact Peek and see nothing until linked. Unlinked, unnamed devices
+              are removed after a week without contact.
+            </p>
+            {devices.length === 0 ? (
+              <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                No devices yet.
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {devices.map((device) => (
+                  <li
+                    key={device.id}
+                    className="p-3 rounded-lg"
+                    style={{
+                      backgroundColor: "var(--bg-secondary)",
+                      border: "1px solid var(--border-color)",
+                    }}
+                  >
+                    <div className="flex flex-wrap items-center gap-2">
+                      <input
+                        type="text"
+                        aria-label={`Name for ${device.address}`}
+                        defaultValue={device.name ?? ""}
+                        placeholder={device.address}
+                        maxLength={100}
+                        onBlur={(e) => handleDeviceName(device, e.target.value.trim())}
+                        className="flex-1 min-w-0 px-3 py-2 rounded-lg text-sm"
+                        style={inputStyle}
+                      />
+                      <UserSelect
+                        id={`dlnaDeviceUser-${device.id}`}
+                        users={users}
+                        value={device.userId}
+                        onChange={(userId) => handleDeviceUser(device, userId)}
+                      />
+                      <Button
+                        variant="destructive"
+                        size="sm"
+                        onClick={() => handleDelete(device)}
+                        title="Forget device"
+                      >
+                        <Trash2 size={14} />
+                      </Button>
+                    </div>
+                    <div className="text-xs mt-1" style={{ color: "var(--text-muted)" }}>
+                      <span className="font-mono">{device.address}</span>
+                      {device.userAgent && ` · ${device.userAgent}`}
+                      {` · last seen ${formatRelativeTime(device.lastSeenAt)}`}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Pre-register a device */}
+          <div>
+            <label
+              htmlFor="dlnaNewAddress"
+              className="block text-sm font-medium mb-2"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Add Device by IP Address
+            </label>
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                id="dlnaNewAddress"
+                type="text"
+                value={newAddress}
+                placeholder="192.168.1.50"
+                onChange={(e) => setNewAddress(e.target.value)}
+                className="flex-1 min-w-0 px-3 py-2 rounded-lg text-sm"
+                style={inputStyle}
+              />
+              <UserSelect id="dlnaNewUser" users={users} value={newUserId} onChange={setNewUserId} />
+              <Button variant="secondary" size="sm" onClick={handleAdd} disabled={!newAddress.trim()}>
+                Add
+              </Button>
+            </div>
+          </div>
+        </div>
+      </Paper.Body>
+    </Paper>
+  );
+};
+
+export default DlnaSection;
@@ -0,0 +1,142 @@
+import { useEffect, useState } from "react";
+import type { DownloadSettingsData } from "@peek/shared-types";
+import { getDownloadSettings, updateDownloadSettings } from "../../api";
+import { showError, showSuccess } from "../../utils/toast";
+import { Button, Paper } from "../ui/index";
+
+const inputStyle = {
+  backgroundColor: "var(--bg-secondary)",
+  border: "1px solid var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+/**
+ * How many playlist ZIPs are built at once and how long finished ones are
+ * kept. Per-group expiry and disk quotas live on each group.
+ */
+const DownloadSettingsSection = () => {
+  const [settings, setSettings] = useState<DownloadSettingsData | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getDownloadSettings()
+      .then((data) => setSettings(data.settings))
+      .catch((err) => {
+        console.error("Failed to load download settings:", err);
+        showError("Failed to load download settings");
+      });
+  }, []);
+
+  if (!settings) return null;
+
+  const update = <K extends keyof DownloadSettingsData>(
+    field: K,
+    value: DownloadSettingsData[K]
+  ) => {
+    setSettings((current) => (current ? { ...current, [field]: value } : current));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const data = await updateDownloadSettings(settings);
+      setSettings(data.settings);
+      showSuccess("Download settings saved");
+    } catch (err) {
+      showError((err as Error).message || "Failed to save download settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Paper className="mb-6">
+      <Paper.Header
+        title="Downloads"
+        subtitle="The playlist ZIP build queue and how long finished ZIPs are kept"
+      />
+      <Paper.Body>
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label
+                htmlFor="downloadMaxConcurrent"
+                className="block text-sm font-medium mb-2"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                Concurrent Builds
+              </label>
+              <input
+                id="downloadMaxConcurrent"
+                type="number"
+                min={1}
+                max={8}
+                value={settings.maxConcurrent}
+                onChange={(e) => update("maxConcurrent", Number(e.target.value))}
+                className="w-full px-4 py-2 rounded-lg"
+                style={inputStyle}
+              />
+              <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+                Playlist ZIPs built at once across all users.
+              </p>
+            </div>
+
+            <div>
+              <label
+                htmlFor="downloadMaxConcurrentPerUser"
+                className="block text-sm font-medium mb-2"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                Builds Per User
+              </label>
+              <input
+                id="downloadMaxConcurrentPerUser"
+                type="number"
+                min={1}
+                max={8}
+                value={settings.maxConcurrentPerUser}
+                onChange={(e) => update("maxConcurrentPerUser", Number(e.target.value))}
+                className="w-full px-4 py-2 rounded-lg"
+                style={inputStyle}
+              />
+              <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+                Keeps one user's queue from holding up everyone else's.
+              </p>
+            </div>
+
+            <div>
+              <label
+                htmlFor="downloadExpiryHours"
+                className="block text-sm font-medium mb-2"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                Keep ZIPs (hours)
+              </label>
+              <input
+                id="downloadExpiryHours"
+                type="number"
+                min={1}
+                max={720}
+                value={settings.expiryHours}
+                onChange={(e) => update("expiryHours", Number(e.target.value))}
+                className="w-full px-4 py-2 rounded-lg"
+                style={inputStyle}
+              />
+              <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+                Unless a user's group sets its own. Applies to ZIPs finished from now on.
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <Button variant="primary" onClick={handleSave} loading={saving}>
+              Save Download Settings
+            </Button>
+          </div>
+        </div>
+      </Paper.Body>
+    </Paper>
+  );
+};
+
+export default DownloadSettingsSection;
@@ -2,6 +2,12 @@ import { useEffect, useState } from "react";
 import { Users, X, Plus } from "lucide-react";
 import { Button, Paper } from "../ui/index";
 import { getGroup, createGroup, updateGroup, addGroupMember, removeGroupMember } from "../../api";
+import type {
+  AccessSchedule,
+  MetadataEditEntityType,
+  MetadataEditFieldAllowlist,
+} from "@peek/shared-types";
+import AccessScheduleEditor from "./AccessScheduleEditor";
 
 interface GroupData {
   id: number;
@@ -12,6 +18,82 @@ interface GroupData {
   canDownloadPlaylists?: boolean;
 }
 
+/**
+ * Fields a group's allowlist can grant, per entity type. Mirrors the Stash
+ * update fields the server accepts from non-admin editors.
+ */
+const METADATA_EDIT_FIELD_OPTIONS: {
+  type: MetadataEditEntityType;
+  label: string;
+  fields: { value: string; label: string }[];
+}[] = [
+  {
+    type: "scene",
+    label: "Scenes",
+    fields: [
+      { value: "title", label: "Title" },
+      { value: "code", label: "Studio code" },
+      { value: "details", label: "Details" },
+      { value: "director", label: "Director" },
+      { value: "date", label: "Date" },
+      { value: "urls", label: "URLs" },
+      { value: "studio_id", label: "Studio" },
+      { value: "performer_ids", label: "Performers" },
+      { value: "tag_ids", label: "Tags" },
+      { value: "gallery_ids", label: "Galleries" },
+    ],
+  },
+  {
+    type: "performer",
+    label: "Performers",
+    fields: [
+      { value: "name", label: "Name" },
+      { value: "disambiguation", label: "Disambiguation" },
+      { value: "alias_list", label: "Aliases" },
+      { value: "gender", label: "Gender" },
+      { value: "birthdate", label: "Birthdate" },
+      { value: "death_date", label: "Death date" },
+      { value: "country", label: "Country" },
+      { value: "ethnicity", label: "Ethnicity" },
+      { value: "hair_color", label: "Hair color" },
+      { value: "eye_color", label: "Eye color" },
+      { value: "height_cm", label: "Height" },
+      { value: "weight", label: "Weight" },
+      { value: "measurements", label: "Measurements" },
+      { value: "fake_tits", label: "Fake tits" },
+      { value: "tattoos", label: "Tattoos" },
+      { value: "piercings", label: "Piercings" },
+      { value: "career_length", label: "Career length" },
+      { value: "details", label: "Details" },
+      { value: "urls", label: "URLs" },
+      { value: "tag_ids", label: "Tags" },
+    ],
+  },
+  {
+    type: "studio",
+    label: "Studios",
+    fields: [
+      { value: "name", label: "Name" },
+      { value: "urls", label: "URLs" },
+      { value: "details", label: "Details" },
+      { value: "parent_id", label: "Parent studio" },
+      { value: "aliases", label: "Aliases" },
+      { value: "tag_ids", label: "Tags" },
+    ],
+  },
+  {
+    type: "tag",
+    label: "Tags",
+    fields: [
+      { value: "name", label: "Name" },
+      { value: "description", label: "Description" },
+      { value: "aliases", label: "Aliases" },
+      { value: "parent_ids", label: "Parent tags" },
+      { value: "child_ids", label: "Child tags" },
+    ],
+  },
+];
+
 interface UserItem {
   id: number;
   username: string;
@@ -38,6 +120,16 @@ const GroupModal = ({ group, onClose, onSave, users = [], onMessage }: Props) =>
   const [canShare, setCanShare] = useState(false);
   const [canDownloadFiles, setCanDownloadFiles] = useState(false);
   const [canDownloadPlaylists, setCanDownloadPlaylists] = useState(false);
+  const [oidcGroup, setOidcGroup] = useState("");
+  const [requireTwoFactor, setRequireTwoFactor] = useState(false);
+  const [canEditMetadata, setCanEditMetadata] = useState(false);
+  const [moderateMetadataEdits, setModerateMetadataEdits] = useState(false);
+  // null allows every editable field
+  const [metadataEditFields, setMetadataEditFields] = useState<MetadataEditFieldAllowlist | null>(null);
+  // Blank uses the server's expiry / leaves downloads unlimited
+  const [downloadExpiryHours, setDownloadExpiryHours] = useState("");
+  const [downloadQuotaMb, setDownloadQuotaMb] = useState("");
+  const [accessSchedule, setAccessSchedule] = useState<AccessSchedule | null>(null);
 
   // Members state (only used in edit mode)
   const [members, setMembers] = useState<Array<{ user: UserItem }>>([]);
@@ -70,6 +162,20 @@ const GroupModal = ({ group, onClose, onSave, users = [], onMessage }: Props) =>
       setCanShare((groupData.canShare as boolean) ?? false);
       setCanDownloadFiles((groupData.canDownloadFiles as boolean) ?? false);
       setCanDownloadPlaylists((groupData.canDownloadPlaylists as boolean) ?? false);
+      setOidcGroup((groupData.oidcGroup as string) || "");
+      setRequireTwoFactor((groupData.requireTwoFactor as boolean) ?? false);
+      setCanEditMetadata((groupData.canEditMetadata as boolean) ?? false);
+      setModerateMetadataEdits((groupData.moderateMetadataEdits as boolean) ?? false);
+      setMetadataEditFields(
+        (groupData.metadataEditFields as MetadataEditFieldAllowlist | null) ?? null
+      );
+      setDownloadExpiryHours(
+        groupData.downloadExpiryHours != null ? String(groupData.downloadExpiryHours) : ""
+      );
+      setDownloadQuotaMb(
+        groupData.downloadQuotaMb != null ? String(groupData.downloadQuotaMb) : ""
+      );
+      setAccessSchedule((groupData.accessSchedule as AccessSchedule | null) ?? null);
       setMembers((groupData.members as Array<{ user: UserItem }>) || []);
     } catch (err) {
       setError((err as Error).message || "Failed to load group details");
@@ -116,6 +222,18 @@ const GroupModal = ({ group, onClose, onSave, users = [], onMessage }: Props) =>
     }
   };
 
+  const toggleMetadataEditField = (type: MetadataEditEntityType, field: string) => {
+    setMetadataEditFields((current) => {
+      const allowed = current?.[type] ?? [];
+      return {
+        ...current,
+        [type]: allowed.includes(field)
+          ? allowed.filter((f) => f !== field)
+          : [...allowed, field],
+      };
+    });
+  };
+
   // Get users that are not already members
   const availableUsers = users.filter(
     (user) => !members.some((m) => m.user.id === user.id)
@@ -139,6 +257,14 @@ const GroupModal = ({ group, onClose, onSave, users = [], onMessage }: Props) =>
         canShare,
         canDownloadFiles,
         canDownloadPlaylists,
+        oidcGroup: oidcGroup.trim() || null,
+        requireTwoFactor,
+        canEditMetadata,
+        metadataEditFields,
+        moderateMetadataEdits,
+        downloadExpiryHours: downloadExpiryHours.trim() ? Number(downloadExpiryHours) : null,
+        downloadQuotaMb: downloadQuotaMb.trim() ? Number(downloadQuotaMb) : null,
+        accessSchedule,
       };
 
       if (isEditMode) {
@@ -266,6 +392,34 @@ const GroupModal = ({ group, onClose, onSave, users = [], onMessage }: Props) =>
                     />
                   </div>
 
+                  {/* IdP group field */}
+                  <div>
+                    <label
+                      htmlFor="groupOidcGroup"
+                      className="block text-sm font-medium mb-2"
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      Identity Provider Group
+                    </label>
+                    <input
+                      type="text"
+                      id="groupOidcGroup"
+                      value={oidcGroup}
+                      onChange={(e) => setOidcGroup(e.target.value)}
+                      className="w-full px-4 py-2 rounded-lg"
+                      style={{
+                        backgroundColor: "var(--bg-secondary)",
+                        border: "1px solid var(--border-color)",
+                        color: "var(--text-primary)",
+                      }}
+                      placeholder="Optional, e.g. peek-family"
+                    />
+                    <p className="text-xs mt-1" style={{ color: "var(--text-muted)" }}>
+                      Users signing in with single sign-on join or leave this group based
+                      on membership of this group at your identity provider.
+                    </p>
+                  </div>
+
                   {/* Permissions section */}
                   <div>
                     <h3
@@ -355,7 +509,227 @@ const GroupModal = ({ group, onClose, onSave, users = [], onMessage }: Props) =>
                           </p>
                         </div>
                       </label>
+
+                      {/* Can Edit Metadata */}
+                      <label className="flex items-start gap-3 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={canEditMetadata}
+                          onChange={(e) => setCanEditMetadata(e.target.checked)}
+                          className="w-4 h-4 rounded cursor-pointer mt-0.5"
+                          style={{ accentColor: "var(--primary-color)" }}
+                        />
+                        <div className="flex-1">
+                          <span
+                            className="text-sm font-medium"
+                            style={{ color: "var(--text-primary)" }}
+                          >
+                            Can Edit Metadata
+                          </span>
+                          <p
+                            className="text-xs mt-0.5"
+                            style={{ color: "var(--text-muted)" }}
+                          >
+                            Members can edit scene, performer, studio and tag details in Stash
+                          </p>
+                        </div>
+                      </label>
+
+                      {canEditMetadata && (
+                        <div className="ml-7 space-y-3">
+                          {/* Moderate Metadata Edits */}
+                          <label className="flex items-start gap-3 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={moderateMetadataEdits}
+                              onChange={(e) => setModerateMetadataEdits(e.target.checked)}
+                              className="w-4 h-4 rounded cursor-pointer mt-0.5"
+                              style={{ accentColor: "var(--primary-color)" }}
+                            />
+                            <div className="flex-1">
+                              <span
+                                className="text-sm font-medium"
+                                style={{ color: "var(--text-primary)" }}
+                              >
+                                Require Approval
+                              </span>
+                              <p
+                                className="text-xs mt-0.5"
+                                style={{ color: "var(--text-muted)" }}
+                              >
+                                Edits wait as suggestions until an admin approves them
+                              </p>
+                            </div>
+                          </label>
+
+                          {/* Field allowlist */}
+                          <label className="flex items-start gap-3 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={metadataEditFields !== null}
+                              onChange={(e) => setMetadataEditFields(e.target.checked ? {} : null)}
+                              className="w-4 h-4 rounded cursor-pointer mt-0.5"
+                              style={{ accentColor: "var(--primary-color)" }}
+                            />
+                            <div className="flex-1">
+                              <span
+                                className="text-sm font-medium"
+                                style={{ color: "var(--text-primary)" }}
+                              >
+                                Limit Editable Fields
+                              </span>
+                              <p
+                                className="text-xs mt-0.5"
+                                style={{ color: "var(--text-muted)" }}
+                              >
+                                Only the fields checked below can be edited
+                              </p>
+                            </div>
+                          </label>
+
+                          {metadataEditFields !== null &&
+                            METADATA_EDIT_FIELD_OPTIONS.map((option) => (
+                              <div key={option.type}>
+                                <span
+                                  className="block text-xs font-medium mb-1"
+                                  style={{ color: "var(--text-secondary)" }}
+                                >
+                                  {option.label}
+                                </span>
+                                <div className="grid grid-cols-2 gap-1">
+                                  {option.fields.map((field) => (
+                                    <label
+                                      key={field.value}
+                                      className="flex items-center gap-2 text-xs cursor-pointer"
+                                      style={{ color: "var(--text-primary)" }}
+                                    >
+                                      <input
+                                        type="checkbox"
+                                        checked={
+                                          metadataEditFields[option.type]?.includes(field.value) ??
+                                          false
+                                        }
+                                        onChange={() =>
+                                          toggleMetadataEditField(option.type, field.value)
+                                        }
+                                        style={{ accentColor: "var(--primary-color)" }}
+                                      />
+                                      {field.label}
+                                    </label>
+                                  ))}
+                                </div>
+                              </div>
+                            ))}
+                        </div>
+                      )}
+
+                      {/* Require Two-Factor */}
+                      <label className="flex items-start gap-3 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={requireTwoFactor}
+                          onChange={(e) => setRequireTwoFactor(e.target.checked)}
+                          className="w-4 h-4 rounded cursor-pointer mt-0.5"
+                          style={{ accentColor: "var(--primary-color)" }}
+                        />
+                        <div className="flex-1">
+                          <span
+                            className="text-sm font-medium"
+                            style={{ color: "var(--text-primary)" }}
+                          >
+                            Require Two-Factor Authentication
+                          </span>
+                          <p
+                            className="text-xs mt-0.5"
+                            style={{ color: "var(--text-muted)" }}
+                          >
+                            Members must set up an authenticator app or security key
+                            to sign in with a password
+                          </p>
+                        </div>
+                      </label>
+                    </div>
+                  </div>
+
+                  {/* Download limits section */}
+                  {(canDownloadFiles || canDownloadPlaylists) && (
+                    <div>
+                      <h3
+                        className="text-sm font-medium mb-3"
+                        style={{ color: "var(--text-secondary)" }}
+                      >
+                        Download Limits
+                      </h3>
+                      <div className="grid grid-cols-2 gap-3">
+                        <div>
+                          <label
+                            htmlFor="groupDownloadExpiry"
+                            className="block text-xs font-medium mb-1"
+                            style={{ color: "var(--text-secondary)" }}
+                          >
+                            Keep Playlist ZIPs (hours)
+                          </label>
+                          <input
+                            type="number"
+                            id="groupDownloadExpiry"
+                            min={1}
+                            value={downloadExpiryHours}
+                            onChange={(e) => setDownloadExpiryHours(e.target.value)}
+                            className="w-full px-3 py-2 rounded-lg text-sm"
+                            style={{
+                              backgroundColor: "var(--bg-secondary)",
+                              border: "1px solid var(--border-color)",
+                              color: "var(--text-primary)",
+                            }}
+                            placeholder="Server default"
+                          />
+                        </div>
+                        <div>
+                          <label
+                            htmlFor="groupDownloadQuota"
+                            className="block text-xs font-medium mb-1"
+                            style={{ color: "var(--text-secondary)" }}
+                          >
+                            Download Space (MB)
+                          </label>
+                          <input
+                            type="number"
+                            id="groupDownloadQuota"
+                            min={1}
+                            value={downloadQuotaMb}
+                            onChange={(e) => setDownloadQuotaMb(e.target.value)}
+                            className="w-full px-3 py-2 rounded-lg text-sm"
+                            style={{
+                              backgroundColor: "var(--bg-secondary)",
+                              border: "1px solid var(--border-color)",
+                              color: "var(--text-primary)",
+                            }}
+                            placeholder="Unlimited"
+                          />
+                        </div>
+                      </div>
+                      <p className="text-xs mt-1" style={{ color: "var(--text-muted)" }}>
+                        Members in several groups get the longest expiry and the most space
+                        of their groups.
+                      </p>
                     </div>
+                  )}
+
+                  {/* Access schedule section */}
+                  <div>
+                    <h3
+                      className="text-sm font-medium mb-3"
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      Access Schedule
+                    </h3>
+                    <AccessScheduleEditor
+                      value={accessSchedule}
+                      onChange={setAccessSchedule}
+                      label="Limit When Members Can Use Peek"
+                      description="Members in several groups get the most generous schedule. A schedule set on a user replaces their groups'."
+                      disabled={loading}
+                    />
                   </div>
 
                   {/* Members section (edit mode only) */}
@@ -0,0 +1,291 @@
+import { useCallback, useEffect, useState } from "react";
+import { Check, ChevronDown, ChevronRight, RefreshCw, X } from "lucide-react";
+import type {
+  GetMetadataEditResponse,
+  MetadataEditEntry,
+  MetadataEditStatus,
+} from "@peek/shared-types";
+import {
+  approveMetadataEdit,
+  getMetadataEdit,
+  getMetadataEdits,
+  rejectMetadataEdit,
+} from "../../api";
+import { useAuth } from "../../hooks/useAuth";
+import { formatRelativeTime } from "../../utils/date";
+import { showError, showSuccess } from "../../utils/toast";
+import { Button, Paper } from "../ui/index";
+
+const STATUS_OPTIONS: { value: MetadataEditStatus; label: string }[] = [
+  { value: "pending", label: "Waiting for review" },
+  { value: "applied", label: "Applied" },
+  { value: "rejected", label: "Rejected" },
+];
+
+const inputStyle = {
+  backgroundColor: "var(--bg-secondary)",
+  border: "1px solid var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+const formatValue = (value: unknown) =>
+  value === null || value === undefined || (Array.isArray(value) && value.length === 0)
+    ? "—"
+    : Array.isArray(value)
+      ? value.join(", ")
+      : typeof value === "string"
+        ? value
+        : JSON.stringify(value);
+
+/**
+ * Field-by-field comparison of what Stash had when the edit was submitted,
+ * what it has now, and what the edit proposes
+ */
+const EditDiff = ({ detail }: { detail: GetMetadataEditResponse }) => {
+  const { edit, current } = detail;
+  const showCurrent = edit.status === "pending";
+
+  return (
+    <table className="w-full text-xs mt-2">
+      <thead>
+        <tr style={{ color: "var(--text-muted)" }}>
+          <th className="text-left font-medium pr-2">Field</th>
+          <th className="text-left font-medium pr-2">Before</th>
+          {showCurrent && <th className="text-left font-medium pr-2">In Stash now</th>}
+          <th className="text-left font-medium">Proposed</th>
+        </tr>
+      </thead>
+      <tbody>
+        {Object.entries(edit.changes).map(([field, value]) => {
+          const changedSince =
+            showCurrent &&
+            current !== null &&
+            JSON.stringify(current[field]) !== JSON.stringify(edit.previous[field]);
+          return (
+            <tr key={field} className="align-top" style={{ color: "var(--text-secondary)" }}>
+              <td className="pr-2 py-1 font-medium">{field}</td>
+              <td className="pr-2 py-1 break-all">{formatValue(edit.previous[field])}</td>
+              {showCurrent && (
+                <td
+                  className="pr-2 py-1 break-all"
+                  style={changedSince ? { color: "rgb(245, 158, 11)" } : undefined}
+                >
+                  {current === null ? "Deleted" : formatValue(current[field])}
+                </td>
+              )}
+              <td className="py-1 break-all" style={{ color: "var(--text-primary)" }}>
+                {formatValue(value)}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+/**
+ * Review queue for metadata edits suggested by members of groups that
+ * require approval, plus the record of applied and rejected edits.
+ */
+const MetadataEditsSection = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === "ADMIN";
+
+  const [status, setStatus] = useState<MetadataEditStatus>("pending");
+  const [edits, setEdits] = useState<MetadataEditEntry[] | null>(null);
+  const [total, setTotal] = useState(0);
+  const [refreshing, setRefreshing] = useState(false);
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const [detail, setDetail] = useState<GetMetadataEditResponse | null>(null);
+  const [note, setNote] = useState("");
+  const [reviewing, setReviewing] = useState(false);
+
+  const load = useCallback(async () => {
+    const result = await getMetadataEdits({ status });
+    setEdits(result.edits);
+    setTotal(result.total);
+  }, [status]);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    setExpandedId(null);
+    load().catch((err) => console.error("Failed to load metadata edits:", err));
+  }, [isAdmin, load]);
+
+  const handleRefresh = async () => {
+    try {
+      setRefreshing(true);
+      await load();
+    } catch {
+      showError("Failed to load metadata edits");
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const toggleExpanded = async (id: number) => {
+    if (expandedId === id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(id);
+    setDetail(null);
+    setNote("");
+    try {
+      setDetail(await getMetadataEdit(id));
+    } catch (err) {
+      showError((err as Error).message || "Failed to load edit");
+    }
+  };
+
+  const handleReview = async (id: number, approve: boolean) => {
+    try {
+      setReviewing(true);
+      const trimmed = note.trim() || undefined;
+      await (approve ? approveMetadataEdit(id, trimmed) : rejectMetadataEdit(id, trimmed));
+      showSuccess(approve ? "Edit applied to Stash" : "Edit rejected");
+      setExpandedId(null);
+      await load();
+    } catch (err) {
+      showError((err as Error).message || "Failed to review edit");
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  if (!isAdmin) return null;
+
+  return (
+    <Paper className="mb-6">
+      <Paper.Header
+        title="Metadata Edits"
+        subtitle="Scene, performer, studio and tag edits made through Peek"
+      />
+      <Paper.Body>
+        <div className="flex items-center justify-between gap-2 mb-4">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value as MetadataEditStatus)}
+            className="px-3 py-2 rounded-lg text-sm"
+            style={inputStyle}
+            aria-label="Edit status"
+          >
+            {STATUS_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <Button
+            variant="tertiary"
+            size="sm"
+            onClick={handleRefresh}
+            disabled={refreshing}
+            loading={refreshing}
+          >
+            <RefreshCw size={14} className="mr-1" />
+            Refresh
+          </Button>
+        </div>
+
+        {!edits ? (
+          <p style={{ color: "var(--text-muted)" }}>Loading...</p>
+        ) : edits.length === 0 ? (
+          <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+            {status === "pending" ? "No edits are waiting for review." : "No edits yet."}
+          </p>
+        ) : (
+          <>
+            <ul className="space-y-2">
+              {edits.map((edit) => (
+                <li
+                  key={edit.id}
+                  className="p-3 rounded-lg text-sm"
+                  style={{
+                    backgroundColor: "var(--bg-secondary)",
+                    border: "1px solid var(--border-color)",
+                  }}
+                >
+                  <button
+                    type="button"
+                    className="w-full flex items-start gap-2 text-left"
+                    onClick={() => toggleExpanded(edit.id)}
+                  >
+                    {expandedId === edit.id ? (
+                      <ChevronDown size={16} className="mt-0.5 flex-shrink-0" />
+                    ) : (
+                      <ChevronRight size={16} className="mt-0.5 flex-shrink-0" />
+                    )}
+                    <div className="min-w-0">
+                      <div style={{ color: "var(--text-primary)" }}>
+                        {edit.entityType} {edit.entityLabel ?? edit.entityId}:{" "}
+                        {Object.keys(edit.changes).join(", ")}
+                      </div>
+                      <div className="text-xs mt-1" style={{ color: "var(--text-muted)" }}>
+                        {edit.authorUsername} · {formatRelativeTime(edit.createdAt)}
+                        {edit.reviewerUsername && ` · reviewed by ${edit.reviewerUsername}`}
+                        {edit.reviewNote && `: ${edit.reviewNote}`}
+                      </div>
+                    </div>
+                  </button>
+
+                  {expandedId === edit.id && (
+                    <div className="mt-2 ml-6">
+                      {!detail ? (
+                        <p className="text-xs" style={{ color: "var(--text-muted)" }}>
+                          Loading...
+                        </p>
+                      ) : (
+                        <>
+                          <EditDiff detail={detail} />
+                          {edit.status === "pending" && (
+                            <div className="flex flex-wrap items-center gap-2 mt-3">
+                              <input
+                                type="text"
+                                value={note}
+                                onChange={(e) => setNote(e.target.value)}
+                                placeholder="Optional note for the author"
+                                className="flex-1 min-w-0 px-3 py-1.5 rounded-lg text-sm"
+                                style={inputStyle}
+                              />
+                              <Button
+                                variant="primary"
+                                size="sm"
+                                onClick={() => handleReview(edit.id, true)}
+                                disabled={reviewing || detail.current === null}
+                              >
+                                <Check size={14} className="mr-1" />
+                                Approve
+                              </Button>
+                              <Button
+                                variant="destructive"
+                                size="sm"
+                                onClick={() => handleReview(edit.id, false)}
+                                disabled={reviewing}
+                              >
+                                <X size={14} className="mr-1" />
+                                Reject
+                              </Button>
+                            </div>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {total > edits.length && (
+              <p className="text-xs mt-2" style={{ color: "var(--text-muted)" }}>
+                Showing {edits.length} of {total}
+              </p>
+            )}
+          </>
+        )}
+      </Paper.Body>
+    </Paper>
+  );
+};
+
+export default MetadataEditsSection;
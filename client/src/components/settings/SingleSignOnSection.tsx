@@ -0,0 +1,307 @@
+import { useEffect, useState } from "react";
+import { Copy } from "lucide-react";
+import type { AuthSettingsData, UpdateAuthSettingsBody } from "@peek/shared-types";
+import { getAuthSettings, updateAuthSettings } from "../../api";
+import { showError, showSuccess } from "../../utils/toast";
+import { Button, Paper, Switch } from "../ui/index";
+
+type TextField =
+  | "oidcIssuerUrl"
+  | "oidcClientId"
+  | "oidcScopes"
+  | "oidcUsernameClaim"
+  | "oidcGroupsClaim"
+  | "oidcAdminGroup"
+  | "oidcButtonLabel";
+
+const TEXT_FIELDS: Array<{
+  field: TextField;
+  label: string;
+  placeholder?: string;
+  help?: string;
+}> = [
+  {
+    field: "oidcIssuerUrl",
+    label: "Issuer URL",
+    placeholder: "https://auth.example.com/application/o/peek/",
+    help: "Peek reads the provider's configuration from /.well-known/openid-configuration under this URL.",
+  },
+  { field: "oidcClientId", label: "Client ID" },
+  {
+    field: "oidcScopes",
+    label: "Scopes",
+    help: 'Space separated. Must include "openid"; add your provider\'s groups scope if it has one.',
+  },
+  {
+    field: "oidcUsernameClaim",
+    label: "Username Claim",
+    help: "Claim used as the Peek username for new accounts.",
+  },
+  {
+    field: "oidcGroupsClaim",
+    label: "Groups Claim",
+    help: 'Claim listing the user\'s IdP groups. Use a dot path for nested claims, e.g. "realm_access.roles".',
+  },
+  {
+    field: "oidcAdminGroup",
+    label: "Admin Group",
+    placeholder: "Leave empty to manage roles in Peek",
+    help: "Members of this IdP group become admins on login; everyone else becomes a regular user.",
+  },
+  { field: "oidcButtonLabel", label: "Login Button Label", placeholder: "Sign in with SSO" },
+];
+
+const inputStyle = {
+  backgroundColor: "var(--bg-secondary)",
+  border: "1px solid var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+interface ToggleProps {
+  id: string;
+  label: string;
+  description: string;
+  checked: boolean;
+  disabled?: boolean;
+  onChange: (value: boolean) => void;
+}
+
+const Toggle = ({ id, label, description, checked, disabled, onChange }: ToggleProps) => (
+  <div className="flex items-center justify-between gap-4">
+    <div>
+      <label
+        htmlFor={id}
+        className="block text-sm font-medium"
+        style={{ color: "var(--text-secondary)" }}
+      >
+        {label}
+      </label>
+      <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+        {description}
+      </p>
+    </div>
+    <Switch id={id} checked={checked} onChange={onChange} disabled={disabled} />
+  </div>
+);
+
+/**
+ * Single sign-on (OpenID Connect) provider settings and password login toggle
+ */
+const SingleSignOnSection = () => {
+  const [settings, setSettings] = useState<AuthSettingsData | null>(null);
+  const [redirectUri, setRedirectUri] = useState("");
+  // Blank means "keep the current secret"
+  const [clientSecret, setClientSecret] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getAuthSettings()
+      .then((data) => {
+        setSettings(data.settings);
+        setRedirectUri(data.redirectUri);
+      })
+      .catch((err) => {
+        console.error("Failed to load sign-in settings:", err);
+        showError("Failed to load single sign-on settings");
+      });
+  }, []);
+
+  if (!settings) return null;
+
+  const update = <K extends keyof AuthSettingsData>(field: K, value: AuthSettingsData[K]) => {
+    setSettings((current) => (current ? { ...current, [field]: value } : current));
+  };
+
+  const handleSave = async () => {
+    const body: UpdateAuthSettingsBody = {
+      passwordLoginEnabled: settings.passwordLoginEnabled,
+      oidcEnabled: settings.oidcEnabled,
+      oidcIssuerUrl: settings.oidcIssuerUrl,
+      oidcClientId: settings.oidcClientId,
+      oidcScopes: settings.oidcScopes,
+      oidcUsernameClaim: settings.oidcUsernameClaim,
+      oidcGroupsClaim: settings.oidcGroupsClaim,
+      oidcAdminGroup: settings.oidcAdminGroup,
+      oidcAutoProvision: settings.oidcAutoProvision,
+      oidcLinkExistingUsers: settings.oidcLinkExistingUsers,
+      oidcButtonLabel: settings.oidcButtonLabel,
+      requireTwoFactorForAdmins: settings.requireTwoFactorForAdmins,
+      ...(clientSecret && { oidcClientSecret: clientSecret }),
+    };
+
+    try {
+      setSaving(true);
+      const data = await updateAuthSettings(body);
+      setSettings(data.settings);
+      setClientSecret("");
+      showSuccess("Single sign-on settings saved");
+    } catch (err) {
+      showError((err as Error).message || "Failed to save single sign-on settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClearSecret = async () => {
+    if (!confirm("Remove the client secret? Peek will sign in as a public client.")) return;
+
+    try {
+      const data = await updateAuthSettings({ oidcClientSecret: null });
+      setSettings(data.settings);
+      showSuccess("Client secret removed");
+    } catch (err) {
+      showError((err as Error).message || "Failed to remove client secret");
+    }
+  };
+
+  const copyRedirectUri = () => {
+    navigator.clipboard.writeText(redirectUri);
+    showSuccess("Redirect URI copied to clipboard");
+  };
+
+  return (
+    <Paper className="mt-6">
+      <Paper.Header
+        title="Single Sign-On (OIDC)"
+        subtitle="Let users sign in with an OpenID Connect provider such as Authentik or Keycloak"
+      />
+      <Paper.Body>
+        <div className="space-y-6">
+          <Toggle
+            id="oidcEnabled"
+            label="Enable Single Sign-On"
+            description="Shows a sign-in button for your identity provider on the login page."
+            checked={settings.oidcEnabled}
+            onChange={(value) => update("oidcEnabled", value)}
+          />
+
+          {/* Redirect URI */}
+          <div>
+            <span className="block text-sm font-medium mb-2" style={{ color: "var(--text-secondary)" }}>
+              Redirect URI
+            </span>
+            <div className="flex items-center gap-2">
+              <code
+                className="flex-1 px-3 py-2 rounded text-sm font-mono break-all"
+                style={{ backgroundColor: "var(--bg-secondary)", color: "var(--text-primary)" }}
+              >
+                {redirectUri}
+              </code>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={copyRedirectUri}
+                title="Copy to clipboard"
+              >
+                <Copy size={16} />
+              </Button>
+            </div>
+            <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+              Register this URI with your provider. If it doesn't match the address you use
+              for Peek, check the TRUST_PROXY setting of your reverse proxy setup.
+            </p>
+          </div>
+
+          {TEXT_FIELDS.map(({ field, label, placeholder, help }) => (
+            <div key={field}>
+              <label
+                htmlFor={field}
+                className="block text-sm font-medium mb-2"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                {label}
+              </label>
+              <input
+                id={field}
+                type="text"
+                value={settings[field] ?? ""}
+                placeholder={placeholder}
+                onChange={(e) => update(field, e.target.value)}
+                className="w-full px-4 py-2 rounded-lg"
+                style={inputStyle}
+              />
+              {help && (
+                <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+                  {help}
+                </p>
+              )}
+            </div>
+          ))}
+
+          {/* Client secret (write-only) */}
+          <div>
+            <label
+              htmlFor="oidcClientSecret"
+              className="block text-sm font-medium mb-2"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Client Secret
+            </label>
+            <div className="flex items-center gap-2">
+              <input
+                id="oidcClientSecret"
+                type="password"
+                autoComplete="new-password"
+                value={clientSecret}
+                placeholder={settings.hasOidcClientSecret ? "Saved (leave blank to keep)" : "None (public client)"}
+                onChange={(e) => setClientSecret(e.target.value)}
+                className="flex-1 px-4 py-2 rounded-lg"
+                style={inputStyle}
+              />
+              {settings.hasOidcClientSecret && (
+                <Button variant="secondary" size="sm" onClick={handleClearSecret}>
+                  Remove
+                </Button>
+              )}
+            </div>
+          </div>
+
+          <Toggle
+            id="oidcAutoProvision"
+            label="Create Accounts Automatically"
+            description="Create a Peek user the first time someone signs in through the provider."
+            checked={settings.oidcAutoProvision}
+            onChange={(value) => update("oidcAutoProvision", value)}
+          />
+
+          <Toggle
+            id="oidcLinkExistingUsers"
+            label="Link Existing Accounts by Username"
+            description="A first sign-in whose username matches an existing Peek user signs in as that user. Only enable this if your provider controls usernames."
+            checked={settings.oidcLinkExistingUsers}
+            onChange={(value) => update("oidcLinkExistingUsers", value)}
+          />
+
+          <Toggle
+            id="passwordLoginEnabled"
+            label="Allow Password Login"
+            description="Turn off to require single sign-on. Password login stays available while single sign-on is disabled."
+            checked={settings.passwordLoginEnabled}
+            disabled={!settings.oidcEnabled}
+            onChange={(value) => update("passwordLoginEnabled", value)}
+          />
+
+          <Toggle
+            id="requireTwoFactorForAdmins"
+            label="Require Two-Factor for Admins"
+            description="Admins must set up an authenticator app or security key to sign in with a password. Require it for other users in each group's settings."
+            checked={settings.requireTwoFactorForAdmins}
+            onChange={(value) => update("requireTwoFactorForAdmins", value)}
+          />
+
+          <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+            IdP groups are mapped to Peek groups in each group's settings.
+          </p>
+
+          <div>
+            <Button variant="primary" onClick={handleSave} loading={saving}>
+              Save Single Sign-On Settings
+            </Button>
+          </div>
+        </div>
+      </Paper.Body>
+    </Paper>
+  );
+};
+
+export default SingleSignOnSection;
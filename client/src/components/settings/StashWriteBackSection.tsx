@@ -0,0 +1,316 @@
+import { useCallback, useEffect, useState } from "react";
+import { RefreshCw, Trash2 } from "lucide-react";
+import type {
+  GetStashWriteBackResponse,
+  StashWriteBackConflictPolicy,
+  StashWriteBackEntityType,
+  StashWriteBackValues,
+} from "@peek/shared-types";
+import {
+  discardStashWriteBack,
+  getStashWriteBack,
+  retryStashWriteBack,
+  updateStashWriteBackSettings,
+} from "../../api";
+import { useAuth } from "../../hooks/useAuth";
+import { formatRelativeTime } from "../../utils/date";
+import { showError, showSuccess } from "../../utils/toast";
+import { Button, Paper } from "../ui/index";
+
+const ENTITY_TYPE_OPTIONS: { value: StashWriteBackEntityType; label: string; fields: string }[] = [
+  { value: "scene", label: "Scenes", fields: "rating" },
+  { value: "performer", label: "Performers", fields: "rating, favorite" },
+  { value: "studio", label: "Studios", fields: "rating, favorite" },
+  { value: "tag", label: "Tags", fields: "favorite" },
+  { value: "group", label: "Groups", fields: "rating" },
+  { value: "gallery", label: "Galleries", fields: "rating" },
+  { value: "image", label: "Images", fields: "rating" },
+];
+
+const POLICY_OPTIONS: { value: StashWriteBackConflictPolicy; label: string }[] = [
+  { value: "peek", label: "Peek wins" },
+  { value: "stash", label: "Stash wins" },
+  { value: "newest", label: "Most recent change wins" },
+];
+
+const FAILING_COLOR = "rgb(239, 68, 68)";
+
+const inputStyle = {
+  backgroundColor: "var(--bg-secondary)",
+  border: "1px solid var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+const formatValues = (values: StashWriteBackValues) => {
+  const parts: string[] = [];
+  if (values.rating !== undefined) {
+    parts.push(values.rating === null ? "no rating" : `rating ${values.rating}`);
+  }
+  if (values.favorite !== undefined) {
+    parts.push(values.favorite ? "favorite" : "not favorite");
+  }
+  return parts.join(", ");
+};
+
+/**
+ * Stash write-back: which entity types are written back, how conflicts with
+ * changes made in Stash are settled, and the queue of changes still waiting
+ * to reach Stash.
+ */
+const StashWriteBackSection = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === "ADMIN";
+
+  const [data, setData] = useState<GetStashWriteBackResponse | null>(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [retrying, setRetrying] = useState(false);
+
+  const load = useCallback(async () => {
+    setData(await getStashWriteBack());
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    load().catch((err) => console.error("Failed to load write-back status:", err));
+  }, [isAdmin, load]);
+
+  const saveSettings = async (
+    body: { entityTypes?: StashWriteBackEntityType[]; conflictPolicy?: StashWriteBackConflictPolicy }
+  ) => {
+    if (!data) return;
+    const previous = data.settings;
+    setData({ ...data, settings: { ...previous, ...body } });
+    try {
+      const result = await updateStashWriteBackSettings(body);
+      setData((current) => current && { ...current, settings: result.settings });
+      showSuccess("Write-back settings saved");
+    } catch (err) {
+      setData((current) => current && { ...current, settings: previous });
+      showError((err as Error).message || "Failed to save write-back settings");
+    }
+  };
+
+  const toggleEntityType = (type: StashWriteBackEntityType) => {
+    if (!data) return;
+    const current = data.settings.entityTypes;
+    saveSettings({
+      entityTypes: current.includes(type) ? current.filter((t) => t !== type) : [...current, type],
+    });
+  };
+
+  const handleRefresh = async () => {
+    try {
+      setRefreshing(true);
+      await load();
+    } catch {
+      showError("Failed to load write-back queue");
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleRetry = async () => {
+    try {
+      setRetrying(true);
+      const { retried } = await retryStashWriteBack();
+      showSuccess(`Retrying ${retried} pending ${retried === 1 ? "change" : "changes"}`);
+      await load();
+    } catch (err) {
+      showError((err as Error).message || "Failed to retry write-backs");
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const handleDiscard = async (id: number) => {
+    if (!confirm("Discard this change?\n\nIt stays in Peek but won't be written to Stash.")) {
+      return;
+    }
+    try {
+      await discardStashWriteBack(id);
+      await load();
+    } catch (err) {
+      showError((err as Error).message || "Failed to discard change");
+    }
+  };
+
+  if (!isAdmin) return null;
+
+  return (
+    <Paper className="mb-6">
+      <Paper.Header
+        title="Stash Write-Back"
+        subtitle="Ratings and favorites from users with Sync to Stash enabled"
+      />
+      <Paper.Body>
+        {!data ? (
+          <p style={{ color: "var(--text-muted)" }}>Loading...</p>
+        ) : (
+          <div className="space-y-6">
+            {/* Entity types */}
+            <div>
+              <span className="block text-sm font-medium mb-2" style={{ color: "var(--text-secondary)" }}>
+                Write Back
+              </span>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {ENTITY_TYPE_OPTIONS.map((option) => (
+                  <label key={option.value} className="flex items-start gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={data.settings.entityTypes.includes(option.value)}
+                      onChange={() => toggleEntityType(option.value)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="text-sm" style={{ color: "var(--text-primary)" }}>
+                        {option.label}
+                      </span>
+                      <span className="block text-xs" style={{ color: "var(--text-muted)" }}>
+                        {option.fields}
+                      </span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {/* Conflict policy */}
+            <div>
+              <label
+                htmlFor="writeBackConflictPolicy"
+                className="block text-sm font-medium mb-2"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                When Stash Changed Too
+              </label>
+              <select
+                id="writeBackConflictPolicy"
+                value={data.settings.conflictPolicy}
+                onChange={(e) =>
+                  saveSettings({ conflictPolicy: e.target.value as StashWriteBackConflictPolicy })
+                }
+                className="px-3 py-2 rounded-lg text-sm"
+                style={inputStyle}
+              >
+                {POLICY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+                A conflict is a value that was changed in Stash after Peek last synced it.
+                When Stash wins, its value is copied into the user's Peek rating.
+              </p>
+            </div>
+
+            {/* Pending queue */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-medium" style={{ color: "var(--text-secondary)" }}>
+                  Pending ({data.pendingCount}
+                  {data.failingCount > 0 && (
+                    <span style={{ color: FAILING_COLOR }}>, {data.failingCount} failing</span>
+                  )}
+                  )
+                </span>
+                <div className="flex gap-2">
+                  {data.failingCount > 0 && (
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={handleRetry}
+                      disabled={retrying}
+                      loading={retrying}
+                    >
+                      Retry Now
+                    </Button>
+                  )}
+                  <Button
+                    variant="tertiary"
+                    size="sm"
+                    onClick={handleRefresh}
+                    disabled={refreshing}
+                    loading={refreshing}
+                  >
+                    <RefreshCw size={14} className="mr-1" />
+                    Refresh
+                  </Button>
+                </div>
+              </div>
+              {data.pending.length === 0 ? (
+                <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                  Everything has been written to Stash.
+                </p>
+              ) : (
+                <ul className="space-y-2">
+                  {data.pending.map((item) => (
+                    <li
+                      key={item.id}
+                      className="p-3 rounded-lg text-sm flex items-start justify-between gap-2"
+                      style={{
+                        backgroundColor: "var(--bg-secondary)",
+                        border: "1px solid var(--border-color)",
+                      }}
+                    >
+                      <div className="min-w-0">
+                        <div style={{ color: "var(--text-primary)" }}>
+                          {item.entityType} {item.entityId}: {formatValues(item.values)}
+                        </div>
+                        <div className="text-xs mt-1" style={{ color: "var(--text-muted)" }}>
+                          {item.username ?? "Unknown user"} · {item.instanceName ?? item.instanceId} ·{" "}
+                          {formatRelativeTime(item.changedAt)}
+                        </div>
+                        {item.lastError && (
+                          <div className="text-xs mt-1" style={{ color: FAILING_COLOR }}>
+                            {item.attempts} failed {item.attempts === 1 ? "attempt" : "attempts"}:{" "}
+                            {item.lastError} · next try {formatRelativeTime(item.nextAttemptAt)}
+                          </div>
+                        )}
+                      </div>
+                      <Button
+                        variant="destructive"
+                        size="sm"
+                        onClick={() => handleDiscard(item.id)}
+                        title="Discard change"
+                      >
+                        <Trash2 size={14} />
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Recent conflicts */}
+            <div>
+              <span className="block text-sm font-medium mb-2" style={{ color: "var(--text-secondary)" }}>
+                Recent Conflicts
+              </span>
+              {data.conflicts.length === 0 ? (
+                <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                  No conflicts yet.
+                </p>
+              ) : (
+                <ul className="space-y-1 text-xs font-mono max-h-64 overflow-y-auto">
+                  {data.conflicts.map((conflict) => (
+                    <li key={conflict.id} style={{ color: "var(--text-secondary)" }}>
+                      {formatRelativeTime(conflict.createdAt)} · {conflict.entityType} {conflict.entityId}{" "}
+                      ({conflict.username ?? "unknown user"}): Peek {formatValues(conflict.peek)}, Stash{" "}
+                      {formatValues(conflict.stash)} →{" "}
+                      <span style={{ color: "var(--text-primary)" }}>
+                        {conflict.resolution === "peek" ? "Peek" : "Stash"} kept
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </Paper.Body>
+    </Paper>
+  );
+};
+
+export default StashWriteBackSection;
@@ -1,6 +1,8 @@
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
+import type { SyncProgressEvent } from "@peek/shared-types";
 import { apiGet, apiPut } from "../../api";
 import { Paper } from "../ui/index";
+import { useServerEvent } from "../../contexts/ServerEventsContext";
 import { useAuth } from "../../hooks/useAuth";
 import { showSuccess, showError } from "../../utils/toast";
 
@@ -19,21 +21,48 @@ const SyncSettingsSection = () => {
   const isAdmin = user?.role === "ADMIN";
   const [syncInterval, setSyncInterval] = useState(60);
   const [loading, setLoading] = useState(true);
+  const [syncing, setSyncing] = useState(false);
+  const [progress, setProgress] = useState<SyncProgressEvent | null>(null);
+  const [lastError, setLastError] = useState<string | null>(null);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const data = await apiGet<{
+        settings?: { syncIntervalMinutes?: number };
+        inProgress?: boolean;
+      }>("/sync/status");
+      const minutes = data?.settings?.syncIntervalMinutes;
+      if (minutes) setSyncInterval(minutes);
+      setSyncing(!!data?.inProgress);
+    } catch (err) {
+      console.error("Failed to load sync settings:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
 
   useEffect(() => {
-    const loadSettings = async () => {
-      try {
-        const data = await apiGet<{ settings?: { syncIntervalMinutes?: number } }>("/sync/status");
-        const minutes = data?.settings?.syncIntervalMinutes;
-        if (minutes) setSyncInterval(minutes);
-      } catch (err) {
-        console.error("Failed to load sync settings:", err);
-      } finally {
-        setLoading(false);
-      }
-    };
     loadSettings();
-  }, []);
+  }, [loadSettings]);
+
+  // Another admin changed the interval
+  useServerEvent("sync-settings", loadSettings);
+
+  // Live state of the running sync
+  useServerEvent("sync-started", () => {
+    setSyncing(true);
+    setProgress(null);
+    setLastError(null);
+  });
+  useServerEvent("sync-progress", (event) => {
+    setSyncing(true);
+    setProgress(event);
+  });
+  useServerEvent("sync-finished", (event) => {
+    setSyncing(false);
+    setProgress(null);
+    setLastError(event.ok ? null : (event.message ?? "Unknown error"));
+  });
 
   const handleChange = async (e: React.ChangeEvent<HTMLSelectElement>) => {
     const value = Number(e.target.value);
@@ -88,6 +117,18 @@ const SyncSettingsSection = () => {
             How frequently Peek automatically syncs library data from Stash. Changes take
             effect immediately.
           </p>
+          {syncing && (
+            <p className="text-sm mt-3" style={{ color: "var(--status-info)" }}>
+              {progress && progress.total > 0
+                ? `Syncing ${progress.entityType}: ${progress.current} of ${progress.total}`
+                : "Syncing..."}
+            </p>
+          )}
+          {!syncing && lastError && (
+            <p className="text-sm mt-3" style={{ color: "var(--status-error)" }}>
+              Last sync failed: {lastError}
+            </p>
+          )}
         </div>
       </Paper.Body>
     </Paper>
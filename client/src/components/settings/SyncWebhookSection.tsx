@@ -0,0 +1,391 @@
+import { useCallback, useEffect, useState } from "react";
+import { Copy, Eye, EyeOff, RefreshCw, Trash2 } from "lucide-react";
+import type {
+  GetSyncWebhookInstancesResponse,
+  GetSyncWebhookLogResponse,
+  RegenerateSyncWebhookSecretResponse,
+  SyncWebhookInstance,
+  SyncWebhookLogEntry,
+  SyncWebhookLogStatus,
+} from "@peek/shared-types";
+import { apiDelete, apiGet, apiPost, apiPut } from "../../api";
+import { useAuth } from "../../hooks/useAuth";
+import { formatRelativeTime } from "../../utils/date";
+import { showError, showSuccess } from "../../utils/toast";
+import { Button, Paper, Switch } from "../ui/index";
+
+const STATUS_COLORS: Record<SyncWebhookLogStatus, string> = {
+  applied: "rgb(34, 197, 94)",
+  partial: "rgb(234, 179, 8)",
+  failed: "rgb(239, 68, 68)",
+  rejected: "rgb(239, 68, 68)",
+};
+
+// Events listed per log row before collapsing into "+N more"
+const EVENT_PREVIEW_COUNT = 5;
+
+const describeEntry = (entry: SyncWebhookLogEntry) => {
+  if (entry.status === "rejected") {
+    return entry.error ?? "Rejected";
+  }
+  const parts = [`${entry.appliedEvents} applied`];
+  if (entry.failedEvents > 0) parts.push(`${entry.failedEvents} failed`);
+  parts.push(
+    `${entry.receivedEvents} received in ${entry.deliveries} ${entry.deliveries === 1 ? "delivery" : "deliveries"}`
+  );
+  return parts.join(" · ");
+};
+
+/**
+ * Stash plugin webhook: enable toggle, per-instance signing secrets and
+ * the delivery log.
+ */
+const SyncWebhookSection = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === "ADMIN";
+
+  const [enabled, setEnabled] = useState(false);
+  const [instances, setInstances] = useState<SyncWebhookInstance[]>([]);
+  const [visibleSecrets, setVisibleSecrets] = useState<Set<string>>(new Set());
+  const [entries, setEntries] = useState<SyncWebhookLogEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshingLog, setRefreshingLog] = useState(false);
+
+  const loadLog = useCallback(async () => {
+    const data = await apiGet<GetSyncWebhookLogResponse>("/sync/webhook/log?limit=50");
+    setEntries(data.entries);
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    const load = async () => {
+      try {
+        const [status, instanceData] = await Promise.all([
+          apiGet<{ settings?: { enablePluginWebhook?: boolean } }>("/sync/status"),
+          apiGet<GetSyncWebhookInstancesResponse>("/sync/webhook/instances"),
+          loadLog(),
+        ]);
+        setEnabled(status?.settings?.enablePluginWebhook ?? false);
+        setInstances(instanceData.instances);
+      } catch (err) {
+        console.error("Failed to load webhook settings:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [isAdmin, loadLog]);
+
+  const handleToggle = async (value: boolean) => {
+    setEnabled(value);
+    try {
+      await apiPut("/sync/settings", { enablePluginWebhook: value });
+      showSuccess(value ? "Plugin webhook enabled" : "Plugin webhook disabled");
+    } catch (err) {
+      setEnabled(!value);
+      showError((err as Error).message || "Failed to update webhook setting");
+    }
+  };
+
+  const handleGenerateSecret = async (instance: SyncWebhookInstance) => {
+    if (
+      instance.webhookSecret &&
+      !confirm(`Regenerate the webhook secret for "${instance.name}"?\n\nThe Stash plugin must be updated with the new secret.`)
+    ) {
+      return;
+    }
+
+    try {
+      const data = await apiPost<RegenerateSyncWebhookSecretResponse>(
+        `/sync/webhook/instances/${instance.id}/secret`
+      );
+      setInstances((current) =>
+        current.map((i) => (i.id === instance.id ? { ...i, webhookSecret: data.webhookSecret } : i))
+      );
+      setVisibleSecrets((current) => new Set(current).add(instance.id));
+      showSuccess("Webhook secret generated");
+    } catch (err) {
+      showError((err as Error).message || "Failed to generate webhook secret");
+    }
+  };
+
+  const handleRemoveSecret = async (instance: SyncWebhookInstance) => {
+    if (!confirm(`Remove the webhook secret for "${instance.name}"?\n\nDeliveries from this instance will be rejected.`)) {
+      return;
+    }
+
+    try {
+      await apiDelete(`/sync/webhook/instances/${instance.id}/secret`);
+      setInstances((current) =>
+        current.map((i) => (i.id === instance.id ? { ...i, webhookSecret: null } : i))
+      );
+      showSuccess("Webhook secret removed");
+    } catch (err) {
+      showError((err as Error).message || "Failed to remove webhook secret");
+    }
+  };
+
+  const toggleSecretVisibility = (instanceId: string) => {
+    setVisibleSecrets((current) => {
+      const next = new Set(current);
+      if (next.has(instanceId)) {
+        next.delete(instanceId);
+      } else {
+        next.add(instanceId);
+      }
+      return next;
+    });
+  };
+
+  const copyToClipboard = (value: string, label: string) => {
+    navigator.clipboard.writeText(value);
+    showSuccess(`${label} copied to clipboard`);
+  };
+
+  const handleRefreshLog = async () => {
+    try {
+      setRefreshingLog(true);
+      await loadLog();
+    } catch {
+      showError("Failed to load webhook log");
+    } finally {
+      setRefreshingLog(false);
+    }
+  };
+
+  if (!isAdmin) return null;
+
+  const webhookUrl = `${window.location.origin}/api/sync/webhook`;
+
+  return (
+    <Paper className="mb-6">
+      <Paper.Header
+        title="Stash Plugin Webhook"
+        subtitle="Let a Stash plugin push changes to Peek as they happen"
+      />
+      <Paper.Body>
+        <div className="space-y-6">
+          {/* Enable toggle */}
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <label
+                htmlFor="enablePluginWebhook"
+                className="block text-sm font-medium"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                Accept Webhook Deliveries
+              </label>
+              <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+                Changes are applied within a few seconds. The sync interval above still
+                runs as a safety net.
+              </p>
+            </div>
+            <Switch
+              id="enablePluginWebhook"
+              checked={enabled}
+              onChange={handleToggle}
+              disabled={loading}
+            />
+          </div>
+
+          {/* Endpoint */}
+          <div>
+            <span className="block text-sm font-medium mb-2" style={{ color: "var(--text-secondary)" }}>
+              Webhook URL
+            </span>
+            <div className="flex items-center gap-2">
+              <code
+                className="flex-1 px-3 py-2 rounded text-sm font-mono break-all"
+                style={{
+                  backgroundColor: "var(--bg-secondary)",
+                  border: "1px solid var(--border-color)",
+                  color: "var(--text-primary)",
+                }}
+              >
+                {webhookUrl}
+              </code>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => copyToClipboard(webhookUrl, "Webhook URL")}
+                title="Copy to clipboard"
+              >
+                <Copy size={16} />
+              </Button>
+            </div>
+          </div>
+
+          {/* Per-instance secrets */}
+          <div>
+            <span className="block text-sm font-medium mb-2" style={{ color: "var(--text-secondary)" }}>
+              Instance Secrets
+            </span>
+            {loading ? (
+              <p style={{ color: "var(--text-muted)" }}>Loading...</p>
+            ) : instances.length === 0 ? (
+              <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                No Stash instances configured.
+              </p>
+            ) : (
+              <ul className="space-y-3">
+                {instances.map((instance) => {
+                  const showSecret = visibleSecrets.has(instance.id);
+                  return (
+                    <li
+                      key={instance.id}
+                      className="p-3 rounded-lg"
+                      style={{
+                        backgroundColor: "var(--bg-secondary)",
+                        border: "1px solid var(--border-color)",
+                      }}
+                    >
+                      <div className="flex items-center justify-between gap-2 mb-2">
+                        <div className="min-w-0">
+                          <div className="text-sm font-medium" style={{ color: "var(--text-primary)" }}>
+                            {instance.name}
+                          </div>
+                          <div className="text-xs font-mono" style={{ color: "var(--text-muted)" }}>
+                            ID: {instance.id}
+                          </div>
+                        </div>
+                        <div className="flex gap-2">
+                          <Button
+                            variant="secondary"
+                            size="sm"
+                            onClick={() => handleGenerateSecret(instance)}
+                          >
+                            <RefreshCw size={14} className="mr-1" />
+                            {instance.webhookSecret ? "Regenerate" : "Generate Secret"}
+                          </Button>
+                          {instance.webhookSecret && (
+                            <Button
+                              variant="destructive"
+                              size="sm"
+                              onClick={() => handleRemoveSecret(instance)}
+                              title="Remove secret"
+                            >
+                              <Trash2 size={14} />
+                            </Button>
+                          )}
+                        </div>
+                      </div>
+                      {instance.webhookSecret ? (
+                        <div className="flex items-center gap-2">
+                          <code
+                            className="flex-1 px-3 py-2 rounded text-sm font-mono break-all"
+                            style={{
+                              backgroundColor: "var(--bg-tertiary)",
+                              color: "var(--text-primary)",
+                            }}
+                          >
+                            {showSecret ? instance.webhookSecret : "••••••••••••••••••••••••••••••••"}
+                          </code>
+                          <Button
+                            variant="secondary"
+                            size="sm"
+                            onClick={() => toggleSecretVisibility(instance.id)}
+                            title={showSecret ? "Hide secret" : "Show secret"}
+                          >
+                            {showSecret ? <EyeOff size={16} /> : <Eye size={16} />}
+                          </Button>
+                          <Button
+                            variant="secondary"
+                            size="sm"
+                            onClick={() => copyToClipboard(instance.webhookSecret!, "Webhook secret")}
+                            title="Copy to clipboard"
+                          >
+                            <Copy size={16} />
+                          </Button>
+                        </div>
+                      ) : (
+                        <p className="text-xs" style={{ color: "var(--text-muted)" }}>
+                          No secret set. Deliveries from this instance are rejected.
+                        </p>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          {/* Delivery log */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-medium" style={{ color: "var(--text-secondary)" }}>
+                Delivery Log
+              </span>
+              <Button
+                variant="tertiary"
+                size="sm"
+                onClick={handleRefreshLog}
+                disabled={refreshingLog}
+                loading={refreshingLog}
+              >
+                <RefreshCw size={14} className="mr-1" />
+                Refresh
+              </Button>
+            </div>
+            {entries.length === 0 ? (
+              <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                No webhook deliveries yet.
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {entries.map((entry) => (
+                  <li
+                    key={entry.id}
+                    className="p-3 rounded-lg text-sm"
+                    style={{
+                      backgroundColor: "var(--bg-secondary)",
+                      border: "1px solid var(--border-color)",
+                    }}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="flex items-center gap-2">
+                        <span
+                          className="text-xs font-medium uppercase"
+                          style={{ color: STATUS_COLORS[entry.status] }}
+                        >
+                          {entry.status}
+                        </span>
+                        <span style={{ color: "var(--text-primary)" }}>
+                          {entry.instanceName ?? entry.stashInstanceId ?? "Unknown instance"}
+                        </span>
+                      </span>
+                      <span className="text-xs" style={{ color: "var(--text-muted)" }}>
+                        {formatRelativeTime(String(entry.createdAt))}
+                        {entry.durationMs !== null && ` · ${entry.durationMs}ms`}
+                      </span>
+                    </div>
+                    <div className="text-xs mt-1" style={{ color: "var(--text-muted)" }}>
+                      {describeEntry(entry)}
+                    </div>
+                    {entry.events.length > 0 && (
+                      <div className="text-xs mt-1 font-mono" style={{ color: "var(--text-secondary)" }}>
+                        {entry.events.slice(0, EVENT_PREVIEW_COUNT).map((event) => (
+                          <div key={`${event.entity}:${event.id}`}>
+                            {event.action} {event.entity} {event.id}
+                            {!event.ok && (
+                              <span style={{ color: STATUS_COLORS.failed }}> ({event.error})</span>
+                            )}
+                          </div>
+                        ))}
+                        {entry.events.length > EVENT_PREVIEW_COUNT && (
+                          <div>+{entry.events.length - EVENT_PREVIEW_COUNT} more</div>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </Paper.Body>
+    </Paper>
+  );
+};
+
+export default SyncWebhookSection;
@@ -0,0 +1,246 @@
+import { useCallback, useEffect, useState } from "react";
+import { RefreshCw, Square } from "lucide-react";
+import type {
+  GetTranscodeJobsResponse,
+  TranscodeSettingsData,
+} from "@peek/shared-types";
+import {
+  getTranscodeJobs,
+  getTranscodeSettings,
+  stopTranscodeJob,
+  updateTranscodeSettings,
+} from "../../api";
+import { formatRelativeTime } from "../../utils/date";
+import { formatDuration, formatFileSize } from "../../utils/format";
+import { showError, showSuccess } from "../../utils/toast";
+import { Button, Paper, Switch } from "../ui/index";
+
+const inputStyle = {
+  backgroundColor: "var(--bg-secondary)",
+  border: "1px solid var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+/**
+ * Peek's own HLS transcoder: the fallback for when Stash's transcode is
+ * slow or unavailable, its limits, and the encodes running right now.
+ */
+const TranscodeSection = () => {
+  const [settings, setSettings] = useState<TranscodeSettingsData | null>(null);
+  const [ffmpegVersion, setFfmpegVersion] = useState<string | null>(null);
+  const [status, setStatus] = useState<GetTranscodeJobsResponse | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const loadJobs = useCallback(async () => {
+    setStatus(await getTranscodeJobs());
+  }, []);
+
+  useEffect(() => {
+    Promise.all([getTranscodeSettings(), loadJobs()])
+      .then(([data]) => {
+        setSettings(data.settings);
+        setFfmpegVersion(data.ffmpegVersion);
+      })
+      .catch((err) => {
+        console.error("Failed to load transcode settings:", err);
+        showError("Failed to load transcode settings");
+      });
+  }, [loadJobs]);
+
+  if (!settings) return null;
+
+  const update = <K extends keyof TranscodeSettingsData>(
+    field: K,
+    value: TranscodeSettingsData[K]
+  ) => {
+    setSettings((current) => (current ? { ...current, [field]: value } : current));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const data = await updateTranscodeSettings(settings);
+      setSettings(data.settings);
+      await loadJobs();
+      showSuccess("Transcode settings saved");
+    } catch (err) {
+      showError((err as Error).message || "Failed to save transcode settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRefresh = async () => {
+    try {
+      setRefreshing(true);
+      await loadJobs();
+    } catch {
+      showError("Failed to load active transcodes");
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleStop = async (id: string) => {
+    try {
+      await stopTranscodeJob(id);
+      await loadJobs();
+    } catch (err) {
+      showError((err as Error).message || "Failed to stop transcode");
+    }
+  };
+
+  return (
+    <Paper className="mb-6">
+      <Paper.Header
+        title="Transcoding"
+        subtitle="Peek's own transcodes, for when Stash's are slow or unavailable"
+      />
+      <Paper.Body>
+        <div className="space-y-6">
+          {/* Enable toggle */}
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <label
+                htmlFor="transcodeEnabled"
+                className="block text-sm font-medium"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                Enable Peek Transcoding
+              </label>
+              <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+                {ffmpegVersion
+                  ? `Adds "(Peek)" quality options to the player's source menu. Using ${ffmpegVersion}.`
+                  : "ffmpeg was not found on the server. Install it or set FFMPEG_PATH."}
+              </p>
+            </div>
+            <Switch
+              id="transcodeEnabled"
+              checked={settings.enabled}
+              onChange={(value) => update("enabled", value)}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label
+                htmlFor="transcodeMaxConcurrent"
+                className="block text-sm font-medium mb-2"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                Concurrent Transcodes
+              </label>
+              <input
+                id="transcodeMaxConcurrent"
+                type="number"
+                min={1}
+                max={16}
+                value={settings.maxConcurrent}
+                onChange={(e) => update("maxConcurrent", Number(e.target.value))}
+                className="w-full px-4 py-2 rounded-lg"
+                style={inputStyle}
+              />
+              <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+                Each one keeps a CPU core busy. Players past the limit are told to try again.
+              </p>
+            </div>
+
+            <div>
+              <label
+                htmlFor="transcodeCacheLimit"
+                className="block text-sm font-medium mb-2"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                Cache Size (MB)
+              </label>
+              <input
+                id="transcodeCacheLimit"
+                type="number"
+                min={512}
+                step={512}
+                value={settings.cacheLimitMb}
+                onChange={(e) => update("cacheLimitMb", Number(e.target.value))}
+                className="w-full px-4 py-2 rounded-lg"
+                style={inputStyle}
+              />
+              <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
+                {status
+                  ? `${formatFileSize(status.cache.usedBytes)} used. The least recently watched are removed first.`
+                  : "The least recently watched are removed first."}
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <Button variant="primary" onClick={handleSave} loading={saving}>
+              Save Transcode Settings
+            </Button>
+          </div>
+
+          {/* Active transcodes */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-medium" style={{ color: "var(--text-secondary)" }}>
+                Active Transcodes
+                {status && ` (${status.jobs.length} of ${status.maxConcurrent})`}
+              </span>
+              <Button
+                variant="tertiary"
+                size="sm"
+                onClick={handleRefresh}
+                disabled={refreshing}
+                loading={refreshing}
+              >
+                <RefreshCw size={14} className="mr-1" />
+                Refresh
+              </Button>
+            </div>
+            {!status || status.jobs.length === 0 ? (
+              <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                Nothing is being transcoded.
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {status.jobs.map((job) => (
+                  <li
+                    key={job.id}
+                    className="flex items-center justify-between gap-3 p-3 rounded-lg"
+                    style={{
+                      backgroundColor: "var(--bg-secondary)",
+                      border: "1px solid var(--border-color)",
+                    }}
+                  >
+                    <div className="min-w-0">
+                      <div
+                        className="text-sm font-medium truncate"
+                        style={{ color: "var(--text-primary)" }}
+                      >
+                        {job.sceneTitle || `Scene ${job.sceneId}`} · {job.quality}
+                      </div>
+                      <div className="text-xs" style={{ color: "var(--text-muted)" }}>
+                        {job.username ?? "Unknown user"}
+                        {` · encoded ${formatDuration(job.startSeconds)}–${formatDuration(job.encodedSeconds)} of ${formatDuration(job.durationSeconds)}`}
+                        {` · last request ${formatRelativeTime(job.lastRequestAt)}`}
+                      </div>
+                    </div>
+                    <Button
+                      variant="destructive"
+                      size="sm"
+                      onClick={() => handleStop(job.id)}
+                      title="Stop transcode"
+                    >
+                      <Square size={14} />
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </Paper.Body>
+    </Paper>
+  );
+};
+
+export default TranscodeSection;
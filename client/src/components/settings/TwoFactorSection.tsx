@@ -0,0 +1,360 @@
+import { useState, useEffect } from "react";
+import { KeyRound, RefreshCw, ShieldCheck, Trash2 } from "lucide-react";
+import type { TotpSetupData, TwoFactorStatus, WebAuthnCredentialData } from "@peek/shared-types";
+import {
+  beginTotpSetup,
+  confirmTotpSetup,
+  deleteWebAuthnCredential,
+  disableTotp,
+  getTwoFactorStatus,
+  getWebAuthnRegistrationOptions,
+  regenerateBackupCodes,
+  registerWebAuthnCredential,
+} from "../../api";
+import { formatDate, formatRelativeTime } from "../../utils/date";
+import { showError, showSuccess } from "../../utils/toast";
+import { createWebAuthnCredential, isWebAuthnSupported } from "../../utils/webauthn";
+import { Button } from "../ui/index";
+import BackupCodesList from "./BackupCodesList";
+
+const inputStyle = {
+  backgroundColor: "var(--bg-secondary)",
+  border: "1px solid var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+/**
+ * Two-factor authentication: authenticator app, backup codes and
+ * security keys / passkeys for the current user.
+ */
+const TwoFactorSection = () => {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [backupCodes, setBackupCodes] = useState<string[] | null>(null);
+
+  // Authenticator setup
+  const [totpSetup, setTotpSetup] = useState<TotpSetupData | null>(null);
+  const [totpCode, setTotpCode] = useState("");
+
+  // Security key registration
+  const [keyName, setKeyName] = useState("");
+
+  useEffect(() => {
+    const loadStatus = async () => {
+      try {
+        const response = await getTwoFactorStatus();
+        setStatus(response.status);
+      } catch (err) {
+        console.error("Failed to load two-factor settings:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadStatus();
+  }, []);
+
+  const handleStartTotp = async () => {
+    try {
+      setBusy(true);
+      setTotpSetup(await beginTotpSetup());
+      setTotpCode("");
+    } catch (err) {
+      showError((err as Error).message || "Failed to start authenticator setup");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirmTotp = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      const response = await confirmTotpSetup(totpCode.trim());
+      setStatus(response.status);
+      setBackupCodes(response.backupCodes);
+      setTotpSetup(null);
+      showSuccess("Authenticator app enabled");
+    } catch (err) {
+      showError((err as Error).message || "Failed to enable authenticator app");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDisableTotp = async () => {
+    const password = prompt("Enter your password to turn off the authenticator app");
+    if (!password) return;
+
+    try {
+      setBusy(true);
+      const response = await disableTotp(password);
+      setStatus(response.status);
+      showSuccess("Authenticator app turned off");
+    } catch (err) {
+      showError((err as Error).message || "Failed to turn off authenticator app");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRegenerateCodes = async () => {
+    const password = prompt(
+      "Enter your password to generate new backup codes.\n\nYour old codes will stop working."
+    );
+    if (!password) return;
+
+    try {
+      setBusy(true);
+      const response = await regenerateBackupCodes(password);
+      setStatus(response.status);
+      setBackupCodes(response.backupCodes);
+    } catch (err) {
+      showError((err as Error).message || "Failed to generate backup codes");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddKey = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!keyName.trim()) {
+      showError("Give the security key a name");
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const { options } = await getWebAuthnRegistrationOptions();
+      const credential = await createWebAuthnCredential(options);
+      const response = await registerWebAuthnCredential(keyName.trim(), credential);
+      setStatus(response.status);
+      setBackupCodes(response.backupCodes);
+      setKeyName("");
+      showSuccess("Security key added");
+    } catch (err) {
+      showError((err as Error).message || "Failed to add security key");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemoveKey = async (credential: WebAuthnCredentialData) => {
+    if (!confirm(`Remove the security key "${credential.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await deleteWebAuthnCredential(credential.id);
+      setStatus(response.status);
+      showSuccess("Security key removed");
+    } catch (err) {
+      showError((err as Error).message || "Failed to remove security key");
+    }
+  };
+
+  const hasFactor = !!status && (status.totpEnabled || status.credentials.length > 0);
+
+  return (
+    <div
+      className="p-6 rounded-lg border"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        borderColor: "var(--border-color)",
+      }}
+    >
+      <h3
+        className="text-lg font-semibold mb-2"
+        style={{ color: "var(--text-primary)" }}
+      >
+        Two-Factor Authentication
+      </h3>
+      <p className="text-sm mb-4" style={{ color: "var(--text-muted)" }}>
+        Ask for a code from an authenticator app or a security key after your
+        password. Single sign-on logins use your identity provider's settings
+        instead.
+      </p>
+
+      {status?.required && (
+        <p className="text-sm mb-4" style={{ color: "var(--text-secondary)" }}>
+          <ShieldCheck size={14} className="inline mr-1" />
+          Your administrator requires two-factor authentication for your account.
+        </p>
+      )}
+
+      {backupCodes && (
+        <div className="mb-4">
+          <BackupCodesList codes={backupCodes} onDone={() => setBackupCodes(null)} />
+        </div>
+      )}
+
+      {loading ? (
+        <p style={{ color: "var(--text-muted)" }}>Loading...</p>
+      ) : status ? (
+        <div className="space-y-6">
+          {/* Authenticator app */}
+          <div>
+            <h4 className="font-medium mb-2" style={{ color: "var(--text-primary)" }}>
+              Authenticator App
+            </h4>
+            {status.totpEnabled ? (
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-sm" style={{ color: "var(--text-secondary)" }}>
+                  On
+                </span>
+                <Button
+                  variant="tertiary"
+                  size="sm"
+                  onClick={handleDisableTotp}
+                  disabled={busy}
+                >
+                  Turn Off
+                </Button>
+              </div>
+            ) : totpSetup ? (
+              <form onSubmit={handleConfirmTotp} className="space-y-3">
+                <p className="text-sm" style={{ color: "var(--text-secondary)" }}>
+                  Scan this QR code with your authenticator app, then enter the
+                  6-digit code it shows.
+                </p>
+                <img
+                  src={totpSetup.qrCodeDataUrl}
+                  alt="Authenticator QR code"
+                  className="w-48 h-48 rounded bg-white p-2"
+                />
+                <p className="text-xs" style={{ color: "var(--text-muted)" }}>
+                  Can't scan it? Enter this key instead:{" "}
+                  <code className="font-mono break-all">{totpSetup.secret}</code>
+                </p>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={totpCode}
+                    onChange={(e) => setTotpCode(e.target.value)}
+                    placeholder="123456"
+                    maxLength={6}
+                    className="w-32 px-4 py-2 rounded-lg font-mono"
+                    style={inputStyle}
+                  />
+                  <Button
+                    type="submit"
+                    variant="primary"
+                    size="sm"
+                    disabled={busy || totpCode.trim().length !== 6}
+                    loading={busy}
+                  >
+                    Verify
+                  </Button>
+                  <Button
+                    variant="tertiary"
+                    size="sm"
+                    onClick={() => setTotpSetup(null)}
+                  >
+                    Cancel
+                  </Button>
+                </div>
+              </form>
+            ) : (
+              <Button variant="secondary" size="sm" onClick={handleStartTotp} disabled={busy}>
+                Set Up Authenticator App
+              </Button>
+            )}
+          </div>
+
+          {/* Security keys and passkeys */}
+          <div>
+            <h4 className="font-medium mb-2" style={{ color: "var(--text-primary)" }}>
+              Security Keys and Passkeys
+            </h4>
+            {status.credentials.length > 0 && (
+              <ul className="space-y-2 mb-3">
+                {status.credentials.map((credential) => (
+                  <li
+                    key={credential.id}
+                    className="flex items-center justify-between gap-3 p-3 rounded-lg"
+                    style={{
+                      backgroundColor: "var(--bg-secondary)",
+                      border: "1px solid var(--border-color)",
+                    }}
+                  >
+                    <div className="min-w-0">
+                      <div className="text-sm font-medium" style={{ color: "var(--text-primary)" }}>
+                        {credential.name}
+                      </div>
+                      <div className="text-xs" style={{ color: "var(--text-muted)" }}>
+                        Added {formatDate(credential.createdAt)}
+                        {credential.lastUsedAt
+                          ? ` · last used ${formatRelativeTime(credential.lastUsedAt)}`
+                          : " · never used"}
+                      </div>
+                    </div>
+                    <Button
+                      variant="tertiary"
+                      size="sm"
+                      onClick={() => handleRemoveKey(credential)}
+                      title="Remove security key"
+                    >
+                      <Trash2 size={16} />
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {isWebAuthnSupported() ? (
+              <form onSubmit={handleAddKey} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={keyName}
+                  onChange={(e) => setKeyName(e.target.value)}
+                  placeholder="e.g. YubiKey or Phone"
+                  maxLength={64}
+                  className="flex-1 px-4 py-2 rounded-lg"
+                  style={inputStyle}
+                />
+                <Button type="submit" variant="secondary" size="sm" disabled={busy}>
+                  <KeyRound size={14} className="mr-1" />
+                  Add Security Key
+                </Button>
+              </form>
+            ) : (
+              <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                Security keys need a browser with WebAuthn support and Peek
+                served over HTTPS (or localhost).
+              </p>
+            )}
+          </div>
+
+          {/* Backup codes */}
+          {hasFactor && (
+            <div className="flex items-center justify-between gap-3">
+              <div>
+                <h4 className="font-medium" style={{ color: "var(--text-primary)" }}>
+                  Backup Codes
+                </h4>
+                <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                  {status.backupCodesRemaining} of 10 remaining
+                </p>
+              </div>
+              <Button
+                variant="tertiary"
+                size="sm"
+                onClick={handleRegenerateCodes}
+                disabled={busy}
+              >
+                <RefreshCw size={14} className="mr-1" />
+                New Codes
+              </Button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <p style={{ color: "var(--text-muted)" }}>Failed to load two-factor settings.</p>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSection;
@@ -0,0 +1,304 @@
+import { useRef, useState } from "react";
+import { Download, Upload } from "lucide-react";
+import type {
+  UserDataArchive,
+  UserDataImportMode,
+  UserDataImportResponse,
+  UserDataSection as UserDataSectionName,
+} from "@peek/shared-types";
+import {
+  adminGetUserDataExportUrl,
+  adminImportUserData,
+  getUserDataExportUrl,
+  importUserData,
+} from "../../api";
+import { showError, showSuccess } from "../../utils/toast";
+import { Button } from "../ui/index";
+
+const SECTION_LABELS: Record<UserDataSectionName, string> = {
+  preferences: "Preferences",
+  ratings: "Ratings & favorites",
+  watchHistory: "Watch history",
+  imageViewHistory: "Image views",
+  playlists: "Playlists",
+  carousels: "Custom carousels",
+  customThemes: "Custom themes",
+  hiddenEntities: "Hidden items",
+};
+
+const MODE_OPTIONS: { value: UserDataImportMode; label: string; description: string }[] = [
+  {
+    value: "merge",
+    label: "Merge",
+    description: "Keep existing ratings and settings, combine play counts and history",
+  },
+  {
+    value: "overwrite",
+    label: "Overwrite",
+    description: "Replace existing ratings, history and settings with the file's",
+  },
+];
+
+const formatValue = (value: unknown) => {
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+};
+
+interface UserDataTransferProps {
+  /** Export/import another user's data (admin only); defaults to the current user */
+  userId?: number;
+}
+
+/**
+ * Export button and import flow for a user's data archive. Picking a file
+ * runs a dry run first so the user can review counts and conflicts before
+ * anything is written.
+ */
+export const UserDataTransfer = ({ userId }: UserDataTransferProps) => {
+  const fileInput = useRef<HTMLInputElement>(null);
+  const [archive, setArchive] = useState<UserDataArchive | null>(null);
+  const [mode, setMode] = useState<UserDataImportMode>("merge");
+  const [preview, setPreview] = useState<UserDataImportResponse | null>(null);
+  const [working, setWorking] = useState(false);
+
+  const runImport = (body: { archive: UserDataArchive; mode: UserDataImportMode; dryRun: boolean }) =>
+    userId === undefined ? importUserData(body) : adminImportUserData(userId, body);
+
+  const loadPreview = async (nextArchive: UserDataArchive, nextMode: UserDataImportMode) => {
+    try {
+      setWorking(true);
+      setPreview(await runImport({ archive: nextArchive, mode: nextMode, dryRun: true }));
+    } catch (err) {
+      setArchive(null);
+      setPreview(null);
+      showError((err as Error).message || "Failed to read data file");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    let parsed: UserDataArchive;
+    try {
+      parsed = JSON.parse(await file.text()) as UserDataArchive;
+    } catch {
+      showError("That file isn't valid JSON");
+      return;
+    }
+
+    setArchive(parsed);
+    await loadPreview(parsed, mode);
+  };
+
+  const handleModeChange = (nextMode: UserDataImportMode) => {
+    setMode(nextMode);
+    if (archive) loadPreview(archive, nextMode);
+  };
+
+  const handleCancel = () => {
+    setArchive(null);
+    setPreview(null);
+  };
+
+  const handleImport = async () => {
+    if (!archive) return;
+    if (
+      mode === "overwrite" &&
+      !confirm("Overwrite existing ratings, history and settings with the file's?\n\nThis can't be undone.")
+    ) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      await runImport({ archive, mode, dryRun: false });
+      showSuccess("Data imported");
+      handleCancel();
+    } catch (err) {
+      showError((err as Error).message || "Failed to import data");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const exportUrl = userId === undefined ? getUserDataExportUrl() : adminGetUserDataExportUrl(userId);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => {
+            window.location.href = exportUrl;
+          }}
+        >
+          <Download size={14} className="mr-1" />
+          Export Data
+        </Button>
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => fileInput.current?.click()}
+          disabled={working}
+        >
+          <Upload size={14} className="mr-1" />
+          Import Data…
+        </Button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFile}
+          className="hidden"
+        />
+      </div>
+
+      {archive && (
+        <div
+          className="p-4 rounded-lg space-y-4"
+          style={{
+            backgroundColor: "var(--bg-secondary)",
+            border: "1px solid var(--border-color)",
+          }}
+        >
+          <p className="text-sm" style={{ color: "var(--text-secondary)" }}>
+            Export of <strong>{archive.username}</strong>
+            {archive.exportedAt && ` from ${new Date(archive.exportedAt).toLocaleString()}`}
+          </p>
+
+          <div className="space-y-2">
+            {MODE_OPTIONS.map((option) => (
+              <label key={option.value} className="flex items-start gap-2 cursor-pointer">
+                <input
+                  type="radio"
+                  name={`userDataImportMode-${userId ?? "self"}`}
+                  checked={mode === option.value}
+                  onChange={() => handleModeChange(option.value)}
+                  disabled={working}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="text-sm" style={{ color: "var(--text-primary)" }}>
+                    {option.label}
+                  </span>
+                  <span className="block text-xs" style={{ color: "var(--text-muted)" }}>
+                    {option.description}
+                  </span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {!preview ? (
+            <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+              Checking file...
+            </p>
+          ) : (
+            <>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr style={{ color: "var(--text-muted)" }}>
+                    <th className="text-left font-medium py-1">Section</th>
+                    <th className="text-right font-medium py-1">New</th>
+                    <th className="text-right font-medium py-1">Updated</th>
+                    <th className="text-right font-medium py-1">Unchanged</th>
+                    <th className="text-right font-medium py-1">Not found</th>
+                    <th className="text-right font-medium py-1">Skipped</th>
+                  </tr>
+                </thead>
+                <tbody style={{ color: "var(--text-primary)" }}>
+                  {(Object.keys(SECTION_LABELS) as UserDataSectionName[]).map((section) => {
+                    const report = preview.sections[section];
+                    return (
+                      <tr key={section}>
+                        <td className="py-1">{SECTION_LABELS[section]}</td>
+                        <td className="text-right py-1">{report.created}</td>
+                        <td className="text-right py-1">{report.updated}</td>
+                        <td className="text-right py-1">{report.unchanged}</td>
+                        <td className="text-right py-1">{report.unmatched}</td>
+                        <td className="text-right py-1">{report.skipped}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {preview.conflictCount > 0 && (
+                <div>
+                  <p className="text-sm mb-2" style={{ color: "var(--text-secondary)" }}>
+                    {preview.conflictCount} record{preview.conflictCount === 1 ? "" : "s"} differ
+                    {mode === "merge" ? " (existing values are kept)" : " (the file's values win)"}:
+                  </p>
+                  <ul
+                    className="text-xs font-mono space-y-1 max-h-48 overflow-y-auto"
+                    style={{ color: "var(--text-muted)" }}
+                  >
+                    {preview.conflicts.map((conflict, index) => (
+                      <li key={index}>
+                        {SECTION_LABELS[conflict.section]} · {conflict.label}:{" "}
+                        {formatValue(conflict.existing)} → {formatValue(conflict.incoming)}
+                      </li>
+                    ))}
+                    {preview.conflictCount > preview.conflicts.length && (
+                      <li>…and {preview.conflictCount - preview.conflicts.length} more</li>
+                    )}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <Button variant="tertiary" size="sm" onClick={handleCancel} disabled={working}>
+              Cancel
+            </Button>
+            <Button
+              variant={mode === "overwrite" ? "destructive" : "primary"}
+              size="sm"
+              onClick={handleImport}
+              disabled={working || !preview}
+              loading={working && !!preview}
+            >
+              Import
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Personal data export/import: download everything Peek stores about your
+ * activity, or restore it here or on another Peek server.
+ */
+const UserDataSection = () => (
+  <div
+    className="p-6 rounded-lg border"
+    style={{
+      backgroundColor: "var(--bg-card)",
+      borderColor: "var(--border-color)",
+    }}
+  >
+    <h3
+      className="text-lg font-semibold mb-2"
+      style={{ color: "var(--text-primary)" }}
+    >
+      Your Data
+    </h3>
+    <p className="text-sm mb-4" style={{ color: "var(--text-muted)" }}>
+      Download your ratings, favorites, watch history, playlists, carousels,
+      themes, hidden items and preferences as a JSON file, or import one from
+      this or another Peek server. Scenes are matched by fingerprint when the
+      Stash IDs differ.
+    </p>
+    <UserDataTransfer />
+  </div>
+);
+
+export default UserDataSection;
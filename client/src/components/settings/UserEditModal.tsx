@@ -1,9 +1,14 @@
  
 import { useState, useEffect } from "react";
-import { User, X, Shield, Users, Key, Trash2, Lock } from "lucide-react";
+import { User, X, Shield, Users, Key, KeyRound, Trash2, Lock, ShieldOff, Database, Clock } from "lucide-react";
+import type { AccessSchedule, AccessStatus, ApiTokenData, GetUserAccessScheduleResponse } from "@peek/shared-types";
 import { Button, Paper } from "../ui/index";
-import { apiPut, apiDelete, getUserGroupMemberships, addGroupMember, removeGroupMember, getUserPermissions, updateUserPermissionOverrides, adminResetPassword, adminRegenerateRecoveryKey } from "../../api";
+import { apiPut, apiDelete, getUserGroupMemberships, addGroupMember, removeGroupMember, getUserPermissions, updateUserPermissionOverrides, adminResetPassword, adminRegenerateRecoveryKey, adminResetTwoFactor, adminGetApiTokens, adminRevokeApiToken, getUserAccessSchedule, updateUserAccessSchedule, updateUserAccessOverride } from "../../api";
+import { formatRelativeTime } from "../../utils/date";
+import { formatDurationHumanReadable } from "../../utils/format";
+import AccessScheduleEditor from "./AccessScheduleEditor";
 import ContentRestrictionsModal from "./ContentRestrictionsModal";
+import { UserDataTransfer } from "./UserDataSection";
 
 interface UserData {
   id: number;
@@ -22,15 +27,35 @@ interface PermissionSources {
   canShare: string;
   canDownloadFiles: string;
   canDownloadPlaylists: string;
+  canEditMetadata: string;
 }
 
 interface UserPermissions {
   canShare: boolean;
   canDownloadFiles: boolean;
   canDownloadPlaylists: boolean;
+  canEditMetadata: boolean;
   sources: PermissionSources;
 }
 
+const formatAccessTime = (iso: string) =>
+  new Date(iso).toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" });
+
+/** One-line summary of where a user's schedule leaves them right now */
+const describeAccess = (access: AccessStatus) => {
+  if (!access.restricted) return "No schedule applies to this user.";
+  if (access.overrideUntil) {
+    return `Schedule lifted until ${formatAccessTime(access.overrideUntil)}.`;
+  }
+  if (!access.allowed) {
+    const why = access.reason === "daily-limit" ? "Daily limit reached" : "Outside allowed hours";
+    return access.opensAt ? `${why} until ${formatAccessTime(access.opensAt)}.` : `${why}.`;
+  }
+  return access.closesAt
+    ? `Can use Peek until ${formatAccessTime(access.closesAt)}.`
+    : "Can use Peek now.";
+};
+
 interface UserEditModalContentProps {
   user: UserData;
   groups?: GroupData[];
@@ -72,6 +97,14 @@ const UserEditModalContent = ({
   const [newPassword, setNewPassword] = useState("");
   const [generatedKey, setGeneratedKey] = useState<string | null>(null);
 
+  // API tokens owned by this user
+  const [apiTokens, setApiTokens] = useState<ApiTokenData[]>([]);
+
+  // Access schedule: what applies now, and the user's own schedule being edited
+  const [accessInfo, setAccessInfo] = useState<GetUserAccessScheduleResponse | null>(null);
+  const [scheduleDraft, setScheduleDraft] = useState<AccessSchedule | null>(null);
+  const [savingAccess, setSavingAccess] = useState(false);
+
   // Content restrictions modal state
   const [showContentRestrictionsModal, setShowContentRestrictionsModal] = useState(false);
 
@@ -112,6 +145,39 @@ const UserEditModalContent = ({
     }
   }, [user?.id, userGroups]); // Re-fetch when groups change
 
+  // Load user's API tokens
+  useEffect(() => {
+    const loadApiTokens = async () => {
+      try {
+        const response = await adminGetApiTokens(user.id);
+        setApiTokens(response.tokens);
+      } catch (err) {
+        console.error("Failed to load user API tokens:", err);
+      }
+    };
+
+    if (user?.id) {
+      loadApiTokens();
+    }
+  }, [user?.id]);
+
+  // Load the user's access schedule
+  useEffect(() => {
+    const loadAccessSchedule = async () => {
+      try {
+        const response = await getUserAccessSchedule(user.id);
+        setAccessInfo(response);
+        setScheduleDraft(response.schedule);
+      } catch (err) {
+        console.error("Failed to load access schedule:", err);
+      }
+    };
+
+    if (user?.id) {
+      loadAccessSchedule();
+    }
+  }, [user?.id, userGroups]); // Group schedules apply when the user has none
+
   const handleGroupToggle = async (groupId: number, isCurrentlyMember: boolean) => {
     try {
       if (isCurrentlyMember) {
@@ -210,6 +276,73 @@ const UserEditModalContent = ({
     }
   };
 
+  const handleResetTwoFactor = async () => {
+    if (!confirm(`Reset two-factor authentication for "${user.username}"?\n\nTheir authenticator app, security keys and backup codes will be removed. If a policy requires two-factor, they'll set it up again at their next sign-in.`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await adminResetTwoFactor(user.id);
+      onMessage?.(`Two-factor authentication reset for ${user.username}`);
+    } catch (err: unknown) {
+      setError((err as Error).message || "Failed to reset two-factor authentication");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevokeApiToken = async (token: ApiTokenData) => {
+    if (!confirm(`Revoke API token "${token.name}" for "${user.username}"?`)) {
+      return;
+    }
+
+    try {
+      await adminRevokeApiToken(user.id, token.id);
+      setApiTokens((current) => current.filter((t) => t.id !== token.id));
+      onMessage?.(`API token "${token.name}" revoked for ${user.username}`);
+    } catch (err: unknown) {
+      setError((err as Error).message || "Failed to revoke API token");
+    }
+  };
+
+  const handleSaveAccessSchedule = async () => {
+    try {
+      setSavingAccess(true);
+      const response = await updateUserAccessSchedule(user.id, scheduleDraft);
+      setAccessInfo((current) =>
+        current ? { ...current, schedule: scheduleDraft, access: response.access } : current
+      );
+      onMessage?.(`Access schedule updated for ${user.username}`);
+    } catch (err: unknown) {
+      setError((err as Error).message || "Failed to update access schedule");
+    } finally {
+      setSavingAccess(false);
+    }
+  };
+
+  /** Lift the schedule for `hours`, or end the override with null */
+  const handleAccessOverride = async (hours: number | null) => {
+    try {
+      setSavingAccess(true);
+      const until = hours === null ? null : new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+      const response = await updateUserAccessOverride(user.id, until);
+      setAccessInfo((current) => (current ? { ...current, access: response.access } : current));
+      onMessage?.(
+        hours === null
+          ? `Access override ended for ${user.username}`
+          : `Schedule lifted for ${user.username} for ${hours === 1 ? "an hour" : `${hours} hours`}`
+      );
+    } catch (err: unknown) {
+      setError((err as Error).message || "Failed to update access override");
+    } finally {
+      setSavingAccess(false);
+    }
+  };
+
+  const scheduleChanged =
+    accessInfo !== null && JSON.stringify(scheduleDraft) !== JSON.stringify(accessInfo.schedule);
+
   const renderInheritanceLabel = (source: string) => {
     if (source === "override") {
       return (
@@ -582,6 +715,50 @@ const UserEditModalContent = ({
                         />
                       </div>
                     </div>
+
+                    {/* Can Edit Metadata */}
+                    <div className="flex items-start justify-between gap-4">
+                      <div className="flex-1">
+                        <span
+                          className="text-sm font-medium"
+                          style={{ color: "var(--text-primary)" }}
+                        >
+                          Can edit metadata
+                        </span>
+                        <div className="mt-1">
+                          {renderInheritanceLabel(permissions.sources.canEditMetadata)}
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <select
+                          value={
+                            permissions.sources.canEditMetadata === "override"
+                              ? String(permissions.canEditMetadata)
+                              : "inherit"
+                          }
+                          onChange={(e) => {
+                            const val = e.target.value;
+                            handlePermissionOverride(
+                              "canEditMetadata",
+                              val === "inherit" ? null : val === "true"
+                            );
+                          }}
+                          className="px-2 py-1 rounded text-sm"
+                          style={{
+                            backgroundColor: "var(--bg-tertiary)",
+                            border: "1px solid var(--border-color)",
+                            color: "var(--text-primary)",
+                          }}
+                        >
+                          <option value="inherit">Inherit from groups</option>
+                          <option value="true">Force enabled</option>
+                          <option value="false">Force disabled</option>
+                        </select>
+                        <span
+                          className={`w-3 h-3 rounded-full ${permissions.canEditMetadata ? "bg-green-500" : "bg-gray-400"}`}
+                        />
+                      </div>
+                    </div>
                   </>
                 )}
               </div>
@@ -617,7 +794,183 @@ const UserEditModalContent = ({
               </div>
             </section>
 
-            {/* Section 5: Account Actions */}
+            {/* Section 5: Access Schedule */}
+            <section>
+              <h3
+                className="text-sm font-medium mb-3 flex items-center gap-2"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                <Clock size={16} />
+                Access Schedule
+              </h3>
+              <div
+                className="p-4 rounded-lg space-y-4"
+                style={{
+                  backgroundColor: "var(--bg-secondary)",
+                  border: "1px solid var(--border-color)",
+                }}
+              >
+                {role === "ADMIN" ? (
+                  <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                    Admins can always use Peek.
+                  </p>
+                ) : !accessInfo ? (
+                  <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                    Loading access schedule...
+                  </p>
+                ) : (
+                  <>
+                    <div>
+                      <p className="text-sm" style={{ color: "var(--text-primary)" }}>
+                        {describeAccess(accessInfo.access)}
+                      </p>
+                      {accessInfo.access.dailyLimitSeconds !== null && (
+                        <p className="text-xs mt-0.5" style={{ color: "var(--text-muted)" }}>
+                          Watched {formatDurationHumanReadable(accessInfo.access.watchedTodaySeconds)} of{" "}
+                          {formatDurationHumanReadable(accessInfo.access.dailyLimitSeconds)} today
+                        </p>
+                      )}
+                      {accessInfo.access.restricted && (
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {accessInfo.access.overrideUntil ? (
+                            <Button
+                              variant="secondary"
+                              size="sm"
+                              onClick={() => handleAccessOverride(null)}
+                              disabled={savingAccess}
+                            >
+                              End Override
+                            </Button>
+                          ) : (
+                            <>
+                              <Button
+                                variant="secondary"
+                                size="sm"
+                                onClick={() => handleAccessOverride(1)}
+                                disabled={savingAccess}
+                              >
+                                Allow 1 Hour
+                              </Button>
+                              <Button
+                                variant="secondary"
+                                size="sm"
+                                onClick={() => handleAccessOverride(3)}
+                                disabled={savingAccess}
+                              >
+                                Allow 3 Hours
+                              </Button>
+                            </>
+                          )}
+                        </div>
+                      )}
+                    </div>
+
+                    <AccessScheduleEditor
+                      value={scheduleDraft}
+                      onChange={setScheduleDraft}
+                      label="Give This User Their Own Schedule"
+                      description={
+                        accessInfo.groupSchedules.length > 0
+                          ? `Replaces the schedules of ${accessInfo.groupSchedules
+                              .map((g) => g.groupName)
+                              .join(", ")}. Without it, the most generous of them applies.`
+                          : "None of this user's groups has a schedule."
+                      }
+                      disabled={savingAccess}
+                    />
+
+                    {scheduleChanged && (
+                      <Button
+                        variant="primary"
+                        size="sm"
+                        onClick={handleSaveAccessSchedule}
+                        loading={savingAccess}
+                      >
+                        Save Schedule
+                      </Button>
+                    )}
+                  </>
+                )}
+              </div>
+            </section>
+
+            {/* Section 6: API Tokens */}
+            <section>
+              <h3
+                className="text-sm font-medium mb-3 flex items-center gap-2"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                <KeyRound size={16} />
+                API Tokens
+              </h3>
+              <div
+                className="p-4 rounded-lg"
+                style={{
+                  backgroundColor: "var(--bg-secondary)",
+                  border: "1px solid var(--border-color)",
+                }}
+              >
+                {apiTokens.length === 0 ? (
+                  <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                    This user has no API tokens.
+                  </p>
+                ) : (
+                  <ul className="space-y-2">
+                    {apiTokens.map((token) => (
+                      <li key={token.id} className="flex items-center justify-between gap-3">
+                        <div className="min-w-0">
+                          <div className="text-sm" style={{ color: "var(--text-primary)" }}>
+                            {token.name}{" "}
+                            <code className="text-xs font-mono" style={{ color: "var(--text-muted)" }}>
+                              {token.tokenPrefix}…
+                            </code>
+                          </div>
+                          <div className="text-xs" style={{ color: "var(--text-muted)" }}>
+                            {token.scopes ? token.scopes.join(", ") : "Full access"}
+                            {" · "}
+                            {token.lastUsedAt
+                              ? `Last used ${formatRelativeTime(String(token.lastUsedAt))}`
+                              : "Never used"}
+                          </div>
+                        </div>
+                        <Button
+                          variant="destructive"
+                          size="sm"
+                          onClick={() => handleRevokeApiToken(token)}
+                        >
+                          Revoke
+                        </Button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </section>
+
+            {/* Section 7: User Data */}
+            <section>
+              <h3
+                className="text-sm font-medium mb-3 flex items-center gap-2"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                <Database size={16} />
+                User Data
+              </h3>
+              <div
+                className="p-4 rounded-lg"
+                style={{
+                  backgroundColor: "var(--bg-secondary)",
+                  border: "1px solid var(--border-color)",
+                }}
+              >
+                <p className="text-sm mb-3" style={{ color: "var(--text-muted)" }}>
+                  Export or restore this user's ratings, history, playlists and preferences.
+                </p>
+                <UserDataTransfer userId={user.id} />
+              </div>
+            </section>
+
+            {/* Section 8: Account Actions */}
             <section>
               <h3
                 className="text-sm font-medium mb-3 flex items-center gap-2"
@@ -670,6 +1023,10 @@ const UserEditModalContent = ({
                           <Key size={14} className="mr-1" />
                           Regenerate Recovery Key
                         </Button>
+                        <Button variant="secondary" size="sm" onClick={handleResetTwoFactor} disabled={loading}>
+                          <ShieldOff size={14} className="mr-1" />
+                          Reset Two-Factor
+                        </Button>
                         <Button
                           variant="destructive"
                           size="sm"
@@ -1,5 +1,5 @@
 import { useEffect, useState } from "react";
-import { Users, Edit2, Trash2, Shield, Download, Share2, Plus } from "lucide-react";
+import { Users, Edit2, Trash2, Shield, Download, Share2, Plus, Pencil } from "lucide-react";
 import { apiPut, getGroups, deleteGroup } from "../../api";
 import { formatDate } from "../../utils/date";
 import CreateUserModal from "./CreateUserModal";
@@ -25,6 +25,8 @@ interface GroupItem {
   canShare?: boolean;
   canDownloadFiles?: boolean;
   canDownloadPlaylists?: boolean;
+  canEditMetadata?: boolean;
+  moderateMetadataEdits?: boolean;
 }
 
 interface Props {
@@ -155,6 +157,22 @@ const UserManagementSection = ({
       );
     }
 
+    if (group?.canEditMetadata) {
+      badges.push(
+        <span
+          key="edit-metadata"
+          className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs"
+          style={{
+            backgroundColor: "rgba(245, 158, 11, 0.1)",
+            color: "rgb(245, 158, 11)",
+          }}
+        >
+          <Pencil size={12} />
+          {group.moderateMetadataEdits ? "Suggest edits" : "Edit"}
+        </span>
+      );
+    }
+
     if (badges.length === 0) {
       return (
         <span
@@ -379,6 +397,9 @@ const UserManagementSection = ({
               aggregation).
               <br />
               Be cautious enabling for multiple users to avoid conflicts.
+              <br />
+              Changes are queued and retried if Stash is unreachable (see Stash
+              Write-Back under Server Configuration).
             </div>
           </div>
 
@@ -4,6 +4,9 @@ import { Copy, RefreshCw, Eye, EyeOff } from "lucide-react";
 import { showError, showSuccess } from "../../../utils/toast";
 import { Button } from "../../ui/index";
 import { getRecoveryKey, regenerateRecoveryKey } from "../../../api";
+import ApiTokensSection from "../ApiTokensSection";
+import TwoFactorSection from "../TwoFactorSection";
+import UserDataSection from "../UserDataSection";
 
 const AccountTab = () => {
   const [currentPassword, setCurrentPassword] = useState("");
@@ -275,6 +278,15 @@ const AccountTab = () => {
           </p>
         )}
       </div>
+
+      {/* Two-Factor Authentication Section */}
+      <TwoFactorSection />
+
+      {/* API Tokens Section */}
+      <ApiTokensSection />
+
+      {/* Data Export/Import Section */}
+      <UserDataSection />
     </div>
   );
 };
@@ -0,0 +1,353 @@
+import { useCallback, useEffect, useState } from "react";
+import { Download, RefreshCw } from "lucide-react";
+import type { AuditCategory, AuditLogEntry, AuditLogQuery } from "@peek/shared-types";
+import {
+  getAuditLog,
+  getAuditLogExportUrl,
+  getAuditSettings,
+  updateAuditSettings,
+} from "../../../api";
+import { showError, showSuccess } from "../../../utils/toast";
+import { Button, Paper } from "../../ui/index";
+
+const PER_PAGE = 50;
+
+const CATEGORIES: { value: AuditCategory; label: string }[] = [
+  { value: "auth", label: "Sign-in" },
+  { value: "user", label: "Users" },
+  { value: "group", label: "Groups" },
+  { value: "metadata", label: "Metadata edits" },
+  { value: "sync", label: "Sync" },
+  { value: "merge", label: "Merge recovery" },
+  { value: "backup", label: "Backups" },
+  { value: "audit", label: "Audit log" },
+];
+
+const inputStyle = {
+  backgroundColor: "var(--bg-secondary)",
+  border: "1px solid var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+const formatTimestamp = (dateString: string) =>
+  new Date(dateString).toLocaleString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+const formatValue = (value: unknown) =>
+  value === null || value === undefined
+    ? "—"
+    : typeof value === "string"
+      ? value
+      : JSON.stringify(value);
+
+/**
+ * Changed fields as "field: before → after" lines
+ */
+const ChangeList = ({ entry }: { entry: AuditLogEntry }) => {
+  const fields = [...new Set([...Object.keys(entry.before ?? {}), ...Object.keys(entry.after ?? {})])];
+  const details = Object.entries(entry.details ?? {});
+  if (fields.length === 0 && details.length === 0) return null;
+
+  return (
+    <ul className="text-xs mt-1 space-y-0.5 break-all" style={{ color: "var(--text-muted)" }}>
+      {fields.map((field) => (
+        <li key={field}>
+          <span className="font-medium">{field}:</span>{" "}
+          {entry.before && field in entry.before && formatValue(entry.before[field])}
+          {entry.before && entry.after && " → "}
+          {entry.after && field in entry.after && formatValue(entry.after[field])}
+        </li>
+      ))}
+      {details.map(([key, value]) => (
+        <li key={`details-${key}`}>
+          <span className="font-medium">{key}:</span> {formatValue(value)}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Audit log: filterable history of administrative and security-relevant
+ * actions, CSV export, and the retention setting.
+ */
+const AuditLogTab = () => {
+  const [filters, setFilters] = useState<AuditLogQuery>({});
+  const [page, setPage] = useState(1);
+  const [entries, setEntries] = useState<AuditLogEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [retentionDays, setRetentionDays] = useState<string>("");
+  const [savingRetention, setSavingRetention] = useState(false);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await getAuditLog({ ...filters, page: String(page), perPage: String(PER_PAGE) });
+      setEntries(data.entries);
+      setTotal(data.total);
+    } catch (err) {
+      showError((err as Error).message || "Failed to load audit log");
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  useEffect(() => {
+    getAuditSettings()
+      .then((data) => setRetentionDays(String(data.settings.retentionDays)))
+      .catch(() => showError("Failed to load audit log settings"));
+  }, []);
+
+  const updateFilter = <K extends keyof AuditLogQuery>(field: K, value: AuditLogQuery[K]) => {
+    setFilters((current) => ({ ...current, [field]: value || undefined }));
+    setPage(1);
+  };
+
+  const handleSaveRetention = async () => {
+    try {
+      setSavingRetention(true);
+      const data = await updateAuditSettings({ retentionDays: Number(retentionDays) });
+      setRetentionDays(String(data.settings.retentionDays));
+      showSuccess("Audit log retention saved");
+    } catch (err) {
+      showError((err as Error).message || "Failed to save audit log retention");
+    } finally {
+      setSavingRetention(false);
+    }
+  };
+
+  const totalPages = Math.max(1, Math.ceil(total / PER_PAGE));
+
+  return (
+    <div className="space-y-6">
+      <Paper>
+        <Paper.Header
+          title="Audit Log"
+          subtitle="Who changed users, groups, permissions and restrictions, and every sign-in attempt"
+        />
+        <Paper.Body>
+          <div className="space-y-4">
+            {/* Filters */}
+            <div className="flex flex-wrap items-end gap-3">
+              <div>
+                <label
+                  htmlFor="auditCategory"
+                  className="block text-xs font-medium mb-1"
+                  style={{ color: "var(--text-secondary)" }}
+                >
+                  Category
+                </label>
+                <select
+                  id="auditCategory"
+                  value={filters.category ?? ""}
+                  onChange={(e) => updateFilter("category", e.target.value as AuditCategory)}
+                  className="px-3 py-2 rounded-lg text-sm"
+                  style={inputStyle}
+                >
+                  <option value="">All</option>
+                  {CATEGORIES.map((category) => (
+                    <option key={category.value} value={category.value}>
+                      {category.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label
+                  htmlFor="auditActor"
+                  className="block text-xs font-medium mb-1"
+                  style={{ color: "var(--text-secondary)" }}
+                >
+                  User
+                </label>
+                <input
+                  id="auditActor"
+                  type="text"
+                  value={filters.actor ?? ""}
+                  placeholder="Username"
+                  onChange={(e) => updateFilter("actor", e.target.value)}
+                  className="px-3 py-2 rounded-lg text-sm"
+                  style={inputStyle}
+                />
+              </div>
+              <div>
+                <label
+                  htmlFor="auditFrom"
+                  className="block text-xs font-medium mb-1"
+                  style={{ color: "var(--text-secondary)" }}
+                >
+                  From
+                </label>
+                <input
+                  id="auditFrom"
+                  type="date"
+                  value={filters.from ?? ""}
+                  onChange={(e) => updateFilter("from", e.target.value)}
+                  className="px-3 py-2 rounded-lg text-sm"
+                  style={inputStyle}
+                />
+              </div>
+              <div>
+                <label
+                  htmlFor="auditTo"
+                  className="block text-xs font-medium mb-1"
+                  style={{ color: "var(--text-secondary)" }}
+                >
+                  To
+                </label>
+                <input
+                  id="auditTo"
+                  type="date"
+                  value={filters.to ?? ""}
+                  onChange={(e) => updateFilter("to", e.target.value)}
+                  className="px-3 py-2 rounded-lg text-sm"
+                  style={inputStyle}
+                />
+              </div>
+              <div className="flex gap-2 ml-auto">
+                <Button variant="tertiary" size="sm" onClick={loadEntries} disabled={loading}>
+                  <RefreshCw size={14} className="mr-1" />
+                  Refresh
+                </Button>
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => {
+                    window.location.href = getAuditLogExportUrl(filters);
+                  }}
+                >
+                  <Download size={14} className="mr-1" />
+                  Export CSV
+                </Button>
+              </div>
+            </div>
+
+            {/* Entries */}
+            {loading && entries.length === 0 ? (
+              <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                Loading audit log...
+              </p>
+            ) : entries.length === 0 ? (
+              <p className="text-sm" style={{ color: "var(--text-muted)" }}>
+                No entries match these filters.
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {entries.map((entry) => (
+                  <li
+                    key={entry.id}
+                    className="p-3 rounded-lg"
+                    style={{
+                      backgroundColor: "var(--bg-secondary)",
+                      border: "1px solid var(--border-color)",
+                    }}
+                  >
+                    <div className="flex flex-wrap items-baseline gap-x-2 text-sm">
+                      <span className="font-mono" style={{ color: "var(--text-primary)" }}>
+                        {entry.action}
+                      </span>
+                      {entry.targetLabel && (
+                        <span style={{ color: "var(--text-secondary)" }}>{entry.targetLabel}</span>
+                      )}
+                      <span className="ml-auto text-xs" style={{ color: "var(--text-muted)" }}>
+                        {formatTimestamp(entry.createdAt)}
+                      </span>
+                    </div>
+                    <div className="text-xs mt-1" style={{ color: "var(--text-muted)" }}>
+                      by {entry.actorUsername ?? "unknown"}
+                      {entry.actorId === null && entry.actorUsername && " (not signed in)"}
+                      {entry.ipAddress && (
+                        <>
+                          {" · "}
+                          <span className="font-mono">{entry.ipAddress}</span>
+                        </>
+                      )}
+                    </div>
+                    <ChangeList entry={entry} />
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {total > PER_PAGE && (
+              <div className="flex items-center justify-between">
+                <span className="text-sm" style={{ color: "var(--text-secondary)" }}>
+                  Page {page} of {totalPages} · {total} entries
+                </span>
+                <div className="flex gap-2">
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => setPage(page - 1)}
+                    disabled={page <= 1 || loading}
+                  >
+                    Previous
+                  </Button>
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => setPage(page + 1)}
+                    disabled={page >= totalPages || loading}
+                  >
+                    Next
+                  </Button>
+                </div>
+              </div>
+            )}
+          </div>
+        </Paper.Body>
+      </Paper>
+
+      <Paper>
+        <Paper.Header title="Retention" subtitle="Entries older than this are deleted once a day" />
+        <Paper.Body>
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label
+                htmlFor="auditRetentionDays"
+                className="block text-sm font-medium mb-2"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                Keep entries for (days)
+              </label>
+              <input
+                id="auditRetentionDays"
+                type="number"
+                min={0}
+                max={3650}
+                value={retentionDays}
+                onChange={(e) => setRetentionDays(e.target.value)}
+                className="w-32 px-4 py-2 rounded-lg"
+                style={inputStyle}
+              />
+            </div>
+            <Button
+              variant="primary"
+              onClick={handleSaveRetention}
+              loading={savingRetention}
+              disabled={retentionDays === ""}
+            >
+              Save
+            </Button>
+          </div>
+          <p className="text-sm mt-2" style={{ color: "var(--text-muted)" }}>
+            Set to 0 to keep entries forever.
+          </p>
+        </Paper.Body>
+      </Paper>
+    </div>
+  );
+};
+
+export default AuditLogTab;
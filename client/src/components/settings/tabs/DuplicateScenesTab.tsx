@@ -0,0 +1,324 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { apiGet, apiPost } from "../../../api";
+import { getEntityPath } from "../../../utils/entityLinks";
+import { formatBitRate, formatDuration, formatFileSize, formatResolution } from "../../../utils/format";
+import { showError, showSuccess } from "../../../utils/toast";
+import { Button } from "../../ui/index";
+
+interface DuplicateScene {
+  id: string;
+  instanceId: string;
+  instanceName: string;
+  title: string | null;
+  date: string | null;
+  duration: number | null;
+  path: string | null;
+  width: number | null;
+  height: number | null;
+  frameRate: number | null;
+  bitRate: number | null;
+  videoCodec: string | null;
+  audioCodec: string | null;
+  size: number | null;
+  userActivityCount: number;
+  recommended: boolean;
+}
+
+interface DuplicateGroup {
+  key: string;
+  match: "exact" | "near";
+  distance: number;
+  scenes: DuplicateScene[];
+}
+
+interface ResolveResult {
+  mergeRecordsCreated: number;
+  removed: Array<{ id: string; instanceId: string }>;
+  failed: Array<{ id: string; instanceId: string; error: string }>;
+}
+
+type StashAction = "none" | "delete" | "merge";
+
+// Same levels as Stash's duplicate checker
+const ACCURACY_OPTIONS = [
+  { value: 0, label: "Exact" },
+  { value: 4, label: "High" },
+  { value: 8, label: "Medium" },
+  { value: 10, label: "Low" },
+];
+
+const sceneKey = (scene: { id: string; instanceId: string }) => `${scene.instanceId}:${scene.id}`;
+
+const recommendedKey = (group: DuplicateGroup) =>
+  sceneKey(group.scenes.find((s) => s.recommended) ?? group.scenes[0]);
+
+const inputStyle = {
+  backgroundColor: "var(--bg-primary)",
+  borderColor: "var(--border-color)",
+  color: "var(--text-primary)",
+};
+
+const FILE_ROWS: Array<{ label: string; value: (scene: DuplicateScene) => string }> = [
+  { label: "Instance", value: (s) => s.instanceName },
+  {
+    label: "Resolution",
+    value: (s) => (s.width && s.height ? `${s.width}×${s.height} (${formatResolution(s.width, s.height)})` : "—"),
+  },
+  { label: "Bitrate", value: (s) => (s.bitRate ? formatBitRate(s.bitRate) : "—") },
+  { label: "Frame rate", value: (s) => (s.frameRate ? `${s.frameRate.toFixed(2)} fps` : "—") },
+  { label: "Codec", value: (s) => [s.videoCodec, s.audioCodec].filter(Boolean).join(" / ") || "—" },
+  { label: "Size", value: (s) => (s.size ? formatFileSize(s.size) : "—") },
+  { label: "Duration", value: (s) => (s.duration ? formatDuration(s.duration) : "—") },
+  { label: "User activity", value: (s) => String(s.userActivityCount) },
+  { label: "Path", value: (s) => s.path || "—" },
+];
+
+const DuplicateScenesTab = () => {
+  const [distance, setDistance] = useState(4);
+  const [groups, setGroups] = useState<DuplicateGroup[] | null>(null);
+  const [totalCount, setTotalCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [processing, setProcessing] = useState<string | null>(null);
+  const [keepers, setKeepers] = useState<Record<string, string>>({});
+  const [actions, setActions] = useState<Record<string, StashAction>>({});
+  const [deleteFiles, setDeleteFiles] = useState<Record<string, boolean>>({});
+
+  const handleScan = async () => {
+    try {
+      setLoading(true);
+      const data = await apiGet<{ groups: DuplicateGroup[]; totalCount: number }>(
+        `/admin/duplicate-scenes?distance=${distance}`
+      );
+      setGroups(data.groups);
+      setTotalCount(data.totalCount);
+      setKeepers({});
+      setActions({});
+      setDeleteFiles({});
+    } catch {
+      showError("Failed to find duplicate scenes");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResolve = async (group: DuplicateGroup) => {
+    const keeperKey = keepers[group.key] ?? recommendedKey(group);
+    const keeper = group.scenes.find((s) => sceneKey(s) === keeperKey);
+    if (!keeper) return;
+    const others = group.scenes.filter((s) => s !== keeper);
+    const stashAction = actions[group.key] ?? "none";
+    const removeFiles = stashAction === "delete" && !!deleteFiles[group.key];
+
+    const warnings: Record<StashAction, string> = {
+      none: `Move all user activity from ${others.length} other cop${others.length !== 1 ? "ies" : "y"} to "${keeper.title || keeper.id}"?`,
+      delete: removeFiles
+        ? `Move user activity to the kept scene and delete the other copies from Stash, including their files? This cannot be undone.`
+        : `Move user activity to the kept scene and delete the other copies from Stash? Their files stay on disk.`,
+      merge: `Move user activity to the kept scene and merge the other copies into it in Stash? This cannot be undone.`,
+    };
+    if (!confirm(warnings[stashAction])) {
+      return;
+    }
+
+    try {
+      setProcessing(group.key);
+      const result = await apiPost<ResolveResult>("/admin/duplicate-scenes/resolve", {
+        keeper: { id: keeper.id, instanceId: keeper.instanceId },
+        others: others.map((s) => ({ id: s.id, instanceId: s.instanceId })),
+        stashAction,
+        deleteFiles: removeFiles,
+      });
+      if (result.failed.length > 0) {
+        showError(`Stash couldn't remove ${result.failed.length} scene(s): ${result.failed[0].error}`);
+      } else {
+        showSuccess(
+          stashAction === "none"
+            ? `Transferred activity for ${result.mergeRecordsCreated} user record(s)`
+            : `Kept 1 scene, removed ${result.removed.length} from Stash`
+        );
+      }
+      setGroups((prev) => prev?.filter((g) => g.key !== group.key) ?? null);
+      setTotalCount((prev) => prev - 1);
+    } catch {
+      showError("Failed to resolve duplicates");
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div
+        className="p-6 rounded-lg border"
+        style={{
+          backgroundColor: "var(--bg-card)",
+          borderColor: "var(--border-color)",
+        }}
+      >
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+          <div>
+            <h3 className="text-lg font-semibold" style={{ color: "var(--text-primary)" }}>
+              Duplicate Scenes
+            </h3>
+            <p className="text-sm" style={{ color: "var(--text-secondary)" }}>
+              Find copies of the same video across all Stash instances by PHASH, keep the best one and
+              move everyone's activity to it
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <label className="text-sm" style={{ color: "var(--text-secondary)" }}>
+              Accuracy
+              <select
+                value={distance}
+                onChange={(e) => setDistance(Number(e.target.value))}
+                className="ml-2 p-2 rounded border"
+                style={inputStyle}
+              >
+                {ACCURACY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <Button onClick={handleScan} disabled={loading} variant="primary">
+              {loading ? "Searching..." : "Find Duplicates"}
+            </Button>
+          </div>
+        </div>
+
+        {groups === null ? (
+          <p style={{ color: "var(--text-secondary)" }}>
+            Choose an accuracy and search. Lower accuracy finds more re-encodes, and more false matches.
+          </p>
+        ) : groups.length === 0 ? (
+          <p style={{ color: "var(--text-secondary)" }}>No duplicate scenes found.</p>
+        ) : (
+          <div className="space-y-4">
+            <p style={{ color: "var(--text-secondary)" }}>
+              Found {totalCount} group{totalCount !== 1 ? "s" : ""} of duplicates
+              {totalCount > groups.length && ` (showing the first ${groups.length})`}
+            </p>
+
+            {groups.map((group) => {
+              const keeperKey = keepers[group.key] ?? recommendedKey(group);
+              const keeper = group.scenes.find((s) => sceneKey(s) === keeperKey);
+              const crossInstance = group.scenes.some((s) => s.instanceId !== keeper?.instanceId);
+              const stashAction = actions[group.key] ?? "none";
+
+              return (
+                <div
+                  key={group.key}
+                  className="p-4 rounded-lg border"
+                  style={{
+                    backgroundColor: "var(--bg-secondary)",
+                    borderColor: "var(--border-color)",
+                  }}
+                >
+                  <p className="text-sm mb-3" style={{ color: "var(--text-secondary)" }}>
+                    {group.scenes.length} copies |{" "}
+                    {group.match === "exact" ? "Exact PHASH match" : `Near match (up to ${group.distance} bits apart)`}
+                  </p>
+
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr>
+                          <th />
+                          {group.scenes.map((scene) => (
+                            <th key={sceneKey(scene)} className="p-2 text-left align-top font-normal">
+                              <label className="flex items-start gap-2 cursor-pointer">
+                                <input
+                                  type="radio"
+                                  name={`keeper-${group.key}`}
+                                  checked={sceneKey(scene) === keeperKey}
+                                  onChange={() => setKeepers((prev) => ({ ...prev, [group.key]: sceneKey(scene) }))}
+                                  className="mt-1"
+                                />
+                                <span>
+                                  <Link
+                                    to={getEntityPath("scene", scene, true)}
+                                    className="font-medium hover:underline"
+                                    style={{ color: "var(--text-primary)" }}
+                                  >
+                                    {scene.title || scene.id}
+                                  </Link>
+                                  {scene.recommended && (
+                                    <span className="block" style={{ color: "var(--text-secondary)" }}>
+                                      ★ Recommended
+                                    </span>
+                                  )}
+                                </span>
+                              </label>
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {FILE_ROWS.map((row) => (
+                          <tr key={row.label} className="border-t" style={{ borderColor: "var(--border-color)" }}>
+                            <td className="p-2 whitespace-nowrap" style={{ color: "var(--text-secondary)" }}>
+                              {row.label}
+                            </td>
+                            {group.scenes.map((scene) => (
+                              <td
+                                key={sceneKey(scene)}
+                                className="p-2 break-all"
+                                style={{ color: "var(--text-primary)" }}
+                              >
+                                {row.value(scene)}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <div className="mt-4 flex flex-wrap items-center gap-3">
+                    <select
+                      value={stashAction}
+                      onChange={(e) =>
+                        setActions((prev) => ({ ...prev, [group.key]: e.target.value as StashAction }))
+                      }
+                      className="p-2 rounded border text-sm"
+                      style={inputStyle}
+                    >
+                      <option value="none">Leave the other copies in Stash</option>
+                      <option value="delete">Delete the other copies from Stash</option>
+                      <option value="merge" disabled={crossInstance}>
+                        Merge the other copies into this one in Stash
+                        {crossInstance ? " (same instance only)" : ""}
+                      </option>
+                    </select>
+                    {stashAction === "delete" && (
+                      <label className="flex items-center gap-2 text-sm" style={{ color: "var(--text-primary)" }}>
+                        <input
+                          type="checkbox"
+                          checked={!!deleteFiles[group.key]}
+                          onChange={(e) => setDeleteFiles((prev) => ({ ...prev, [group.key]: e.target.checked }))}
+                        />
+                        Also delete their files
+                      </label>
+                    )}
+                    <Button
+                      onClick={() => handleResolve(group)}
+                      disabled={processing === group.key || (stashAction === "merge" && crossInstance)}
+                      variant={stashAction === "none" ? "primary" : "destructive"}
+                      size="sm"
+                    >
+                      {processing === group.key ? "Processing..." : "Keep Selected"}
+                    </Button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateScenesTab;
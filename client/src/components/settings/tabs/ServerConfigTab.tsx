@@ -1,7 +1,12 @@
 import packageJson from "../../../../package.json";
+import DlnaSection from "../DlnaSection";
+import DownloadSettingsSection from "../DownloadSettingsSection";
 import ServerStatsSection from "../ServerStatsSection";
 import StashInstanceSection from "../StashInstanceSection";
+import StashWriteBackSection from "../StashWriteBackSection";
 import SyncSettingsSection from "../SyncSettingsSection";
+import SyncWebhookSection from "../SyncWebhookSection";
+import TranscodeSection from "../TranscodeSection";
 import VersionInfoSection from "../VersionInfoSection";
 
 const ServerConfigTab = () => {
@@ -15,6 +20,21 @@ const ServerConfigTab = () => {
       {/* Sync Settings Section */}
       <SyncSettingsSection />
 
+      {/* Stash Plugin Webhook Section */}
+      <SyncWebhookSection />
+
+      {/* Stash Write-Back Section */}
+      <StashWriteBackSection />
+
+      {/* DLNA Media Server Section */}
+      <DlnaSection />
+
+      {/* Peek Transcoding Section */}
+      <TranscodeSection />
+
+      {/* Download Queue Section */}
+      <DownloadSettingsSection />
+
       {/* Server Statistics Section */}
       <ServerStatsSection />
 
@@ -1,6 +1,8 @@
 import { useEffect, useState } from "react";
 import { apiGet } from "../../../api";
 import { useAuth } from "../../../hooks/useAuth";
+import MetadataEditsSection from "../MetadataEditsSection";
+import SingleSignOnSection from "../SingleSignOnSection";
 import UserManagementSection from "../UserManagementSection";
 
 interface UserItem {
@@ -94,6 +96,12 @@ const UserManagementTab = () => {
         onMessage={showMessage}
         onError={showError}
       />
+
+      {/* Metadata Edit Review Section */}
+      <MetadataEditsSection />
+
+      {/* Single Sign-On Section */}
+      <SingleSignOnSection />
     </div>
   );
 };
@@ -1,5 +1,11 @@
 import { LucideX } from "lucide-react";
-import type { FilterOption } from "../../utils/filterConfig";
+import { isFilterRuleGroup, type FilterRuleGroup } from "@peek/shared-types";
+import {
+  describeRuleGroup,
+  getRuleFilterDefinitions,
+  type FilterOption,
+  type FilterRuleEntry,
+} from "../../utils/filterConfig";
 import Button from "./Button";
 
 interface PermanentFiltersMetadata {
@@ -90,6 +96,15 @@ const ActiveFilterChips = ({
         return `${label}: Before ${dateRange.end}`;
       }
 
+      case "rule-group": {
+        if (!isFilterRuleGroup(filterValue)) return null;
+        const summary = describeRuleGroup(
+          filterValue as FilterRuleGroup<FilterRuleEntry>,
+          getRuleFilterDefinitions(filterOptions)
+        );
+        return summary ? `Rules: ${summary}` : null;
+      }
+
       default:
         return null;
     }
@@ -101,7 +101,8 @@ const AddToPlaylistButton = ({
       const own = ownData.map((p: Record<string, unknown>) => ({ ...p, isShared: false })) as PlaylistItem[];
       const sharedData = sharedResult.status === "fulfilled" ? (sharedResult.value as { playlists?: Record<string, unknown>[] }).playlists || [] : [];
       const shared = sharedData.map((p: Record<string, unknown>) => ({ ...p, isShared: true })) as PlaylistItem[];
-      setPlaylists([...own, ...shared]);
+      // Smart playlists are filled by their rules and can't take manual adds
+      setPlaylists([...own, ...shared].filter((p) => p.type !== "smart"));
     } catch {
       // Error loading playlists - will show in UI
     } finally {
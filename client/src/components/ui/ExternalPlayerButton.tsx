@@ -1,6 +1,7 @@
 import { ExternalLink, ChevronDown, Copy } from "lucide-react";
 import { useState, useRef, useEffect, useLayoutEffect } from "react";
 import { createPortal } from "react-dom";
+import { createStreamToken } from "../../api";
 import { showSuccess, showError } from "../../utils/toast";
 
 interface Props {
@@ -41,14 +42,34 @@ export default function ExternalPlayerButton({
   const buttonRef = useRef<HTMLDivElement>(null);
   const dropdownRef = useRef<HTMLDivElement>(null);
 
+  // External players don't carry the session cookie, so the URL includes a stream token
+  const [streamToken, setStreamToken] = useState<string | null>(null);
+  useEffect(() => {
+    if (!sceneId) return;
+    let cancelled = false;
+    setStreamToken(null);
+    createStreamToken(sceneId)
+      .then(({ token }) => {
+        if (!cancelled) setStreamToken(token);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [sceneId]);
+
   const isAndroid = /(android)/i.test(navigator.userAgent);
   const isAppleDevice = /(ipod|iphone|ipad)/i.test(navigator.userAgent);
   const isMobile = isAndroid || isAppleDevice;
 
   // Build the direct stream URL (original file, no transcoding)
   // This needs to be an absolute URL for external players
+  const streamParams = new URLSearchParams();
+  if (instanceId) streamParams.set("instanceId", instanceId);
+  if (streamToken) streamParams.set("streamToken", streamToken);
+  const streamQuery = streamParams.toString();
   const streamUrl = sceneId
-    ? `${window.location.origin}/api/scene/${sceneId}/proxy-stream/stream${instanceId ? `?instanceId=${encodeURIComponent(instanceId)}` : ''}`
+    ? `${window.location.origin}/api/scene/${sceneId}/proxy-stream/stream${streamQuery ? `?${streamQuery}` : ''}`
     : null;
 
   /**
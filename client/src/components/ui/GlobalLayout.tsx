@@ -9,6 +9,9 @@ type NavPreference = ReturnType<typeof migrateNavPreferences>[number];
 import { useGlobalNavigation } from "../../hooks/useGlobalNavigation";
 import useScrollRestoration from "../../hooks/useScrollRestoration";
 import { apiGet } from "../../api";
+import GlobalSearch from "./GlobalSearch";
+import LibraryUpdatedIndicator from "./LibraryUpdatedIndicator";
+import OfflineIndicator from "./OfflineIndicator";
 import Sidebar from "./Sidebar";
 import TopBar from "./TopBar";
 
@@ -19,6 +22,9 @@ import TopBar from "./TopBar";
  * - Sidebar (hidden on mobile, visible lg+)
  * - TopBar (logo, help, settings, user menu)
  * - Main content area with responsive spacing
+ * - "Library updated" notice after a sync changes library data
+ * - Offline notice while the connection is down
+ * - Global search (omnibox)
  */
 const GlobalLayout = ({ children }: Props) => {
   const [navPreferences, setNavPreferences] = useState<NavPreference[]>([]);
@@ -53,6 +59,12 @@ const GlobalLayout = ({ children }: Props) => {
 
       {/* Main content area - full width after sidebar, Plex-style */}
       <main className="lg:ml-16 xl:ml-60 pt-16 lg:pt-0">{children}</main>
+
+      <LibraryUpdatedIndicator />
+
+      <OfflineIndicator />
+
+      <GlobalSearch />
     </div>
   );
 };
@@ -0,0 +1,226 @@
+import { useEffect, useMemo, useState } from "react";
+import type React from "react";
+import { createPortal } from "react-dom";
+import { useNavigate } from "react-router-dom";
+import type { SearchEntityType, SearchHit } from "@peek/shared-types";
+import { useSearch } from "../../api/hooks";
+import { useConfig } from "../../contexts/ConfigContext";
+import { useDebouncedValue } from "../../hooks/useDebounce";
+import { useFocusTrap } from "../../hooks/useFocusTrap";
+import { useKeyboardShortcuts } from "../../hooks/useKeyboardShortcuts";
+import { getEntityPath } from "../../utils/entityLinks";
+import { OPEN_GLOBAL_SEARCH_EVENT } from "../../utils/globalSearch";
+import { ThemedIcon } from "../icons/index";
+
+const TYPE_LABELS: Record<SearchEntityType, string> = {
+  scene: "Scenes",
+  performer: "Performers",
+  studio: "Studios",
+  tag: "Tags",
+  group: "Collections",
+  gallery: "Galleries",
+};
+
+// List pages, for "See all"
+const LIST_PATHS: Record<SearchEntityType, string> = {
+  scene: "/scenes",
+  performer: "/performers",
+  studio: "/studios",
+  tag: "/tags",
+  group: "/collections",
+  gallery: "/galleries",
+};
+
+const hitKey = (hit: SearchHit) => `${hit.type}:${hit.instanceId}:${hit.id}`;
+
+/**
+ * GlobalSearch - Omnibox searching every library type at once
+ *
+ * Opens with "/" or Ctrl+K, or from the search buttons in the Sidebar and
+ * TopBar. Results are grouped by type, best matches first, and leave out
+ * the user's hidden and restricted content.
+ */
+const GlobalSearch = () => {
+  const navigate = useNavigate();
+  const { hasMultipleInstances } = useConfig();
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const debouncedQuery = useDebouncedValue(query, 250);
+
+  const close = () => {
+    setIsOpen(false);
+    setQuery("");
+    setActiveIndex(0);
+  };
+
+  const containerRef = useFocusTrap(isOpen, close);
+  const { data, isFetching, isError } = useSearch(isOpen ? debouncedQuery : "");
+
+  useKeyboardShortcuts(
+    {
+      "/": () => setIsOpen(true),
+      "ctrl+k": () => setIsOpen(true),
+    },
+    { enabled: !isOpen, context: "global-search" }
+  );
+
+  useEffect(() => {
+    const handleOpen = () => setIsOpen(true);
+    window.addEventListener(OPEN_GLOBAL_SEARCH_EVENT, handleOpen);
+    return () => window.removeEventListener(OPEN_GLOBAL_SEARCH_EVENT, handleOpen);
+  }, []);
+
+  const groups = useMemo(() => (query.trim() ? data?.groups ?? [] : []), [data, query]);
+  const hits = useMemo(() => groups.flatMap((group) => group.hits), [groups]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [data]);
+
+  const openHit = (hit: SearchHit) => {
+    navigate(getEntityPath(hit.type, hit, hasMultipleInstances));
+    close();
+  };
+
+  const openList = (type: SearchEntityType) => {
+    navigate(`${LIST_PATHS[type]}?q=${encodeURIComponent(query.trim())}`);
+    close();
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((i) => Math.min(i + 1, hits.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((i) => Math.max(i - 1, 0));
+    } else if (e.key === "Enter" && hits[activeIndex]) {
+      e.preventDefault();
+      openHit(hits[activeIndex]);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const modal = (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 pt-[10vh]"
+      onClick={close}
+    >
+      <div
+        ref={containerRef as React.Ref<HTMLDivElement>}
+        className="rounded-lg shadow-lg max-w-2xl w-full mx-4 overflow-hidden"
+        style={{
+          backgroundColor: "var(--bg-card)",
+          border: "1px solid var(--border-color)",
+        }}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Search library"
+      >
+        <div
+          className="flex items-center gap-3 px-4 py-3 border-b"
+          style={{ borderColor: "var(--border-color)", color: "var(--text-secondary)" }}
+        >
+          <ThemedIcon name="search" size={20} />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search scenes, performers, studios, tags..."
+            className="flex-1 bg-transparent outline-none text-base"
+            style={{ color: "var(--text-primary)" }}
+            autoFocus
+            role="combobox"
+            aria-expanded={hits.length > 0}
+            aria-controls="global-search-results"
+            aria-activedescendant={hits[activeIndex] ? hitKey(hits[activeIndex]) : undefined}
+          />
+          {isFetching && <span className="text-xs">Searching...</span>}
+        </div>
+
+        <div id="global-search-results" role="listbox" className="max-h-[60vh] overflow-y-auto">
+          {!query.trim() ? (
+            <p className="px-4 py-3 text-sm" style={{ color: "var(--text-secondary)" }}>
+              Words match by their start. Use "quotes" for an exact phrase, -word to leave a word out and
+              OR for either word.
+            </p>
+          ) : isError ? (
+            <p className="px-4 py-3 text-sm" style={{ color: "var(--status-error)" }}>
+              Search failed
+            </p>
+          ) : groups.length === 0 && !isFetching && debouncedQuery === query ? (
+            <p className="px-4 py-3 text-sm" style={{ color: "var(--text-secondary)" }}>
+              No matches
+            </p>
+          ) : (
+            groups.map((group) => (
+              <div key={group.type} className="py-2">
+                <div
+                  className="flex items-center justify-between px-4 py-1 text-xs font-semibold uppercase"
+                  style={{ color: "var(--text-secondary)" }}
+                >
+                  <span>{TYPE_LABELS[group.type]}</span>
+                  {group.total > group.hits.length && (
+                    <button
+                      onClick={() => openList(group.type)}
+                      className="normal-case font-normal hover:underline"
+                    >
+                      See all {group.total}
+                    </button>
+                  )}
+                </div>
+                {group.hits.map((hit) => {
+                  const index = hits.indexOf(hit);
+                  const isActive = index === activeIndex;
+                  return (
+                    <button
+                      key={hitKey(hit)}
+                      id={hitKey(hit)}
+                      role="option"
+                      aria-selected={isActive}
+                      onClick={() => openHit(hit)}
+                      onMouseEnter={() => setActiveIndex(index)}
+                      className="w-full flex items-center gap-3 px-4 py-2 text-left"
+                      style={{
+                        backgroundColor: isActive ? "var(--bg-secondary)" : "transparent",
+                      }}
+                    >
+                      <div
+                        className="w-12 h-9 flex-shrink-0 rounded overflow-hidden flex items-center justify-center"
+                        style={{ backgroundColor: "var(--bg-secondary)", color: "var(--text-muted)" }}
+                      >
+                        {hit.imagePath ? (
+                          <img src={hit.imagePath} alt="" className="w-full h-full object-cover" loading="lazy" />
+                        ) : (
+                          <ThemedIcon name="image" size={16} />
+                        )}
+                      </div>
+                      <div className="min-w-0">
+                        <div className="truncate text-sm" style={{ color: "var(--text-primary)" }}>
+                          {hit.name}
+                        </div>
+                        {hit.subtitle && (
+                          <div className="truncate text-xs" style={{ color: "var(--text-secondary)" }}>
+                            {hit.subtitle}
+                          </div>
+                        )}
+                      </div>
+                    </button>
+                  );
+                })}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+
+  return createPortal(modal, document.body);
+};
+
+export default GlobalSearch;
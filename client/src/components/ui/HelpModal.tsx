@@ -187,6 +187,7 @@ const HelpModal = ({ onClose }: Props) => {
             keys: ["?"],
             description: "Show this help dialog",
           },
+          { keys: ["/", "Ctrl+K"], description: "Search the whole library" },
           { keys: ["g s"], description: "Navigate to Scenes page" },
           { keys: ["g r"], description: "Navigate to Recommended page" },
           { keys: ["g p"], description: "Navigate to Performers page" },
@@ -0,0 +1,51 @@
+import { useEffect } from "react";
+import { RefreshCw, X } from "lucide-react";
+import { useLibraryUpdate } from "../../contexts/ServerEventsContext";
+
+// Long enough to notice, short enough not to linger over the page
+const VISIBLE_MS = 8000;
+
+/**
+ * Small notice shown after a Stash sync changes library data. Open pages
+ * refetch by themselves; this tells the user why the content just moved.
+ */
+const LibraryUpdatedIndicator = () => {
+  const { libraryUpdatedAt, dismissLibraryUpdate } = useLibraryUpdate();
+
+  useEffect(() => {
+    if (!libraryUpdatedAt) return;
+    const timer = setTimeout(dismissLibraryUpdate, VISIBLE_MS);
+    return () => clearTimeout(timer);
+  }, [libraryUpdatedAt, dismissLibraryUpdate]);
+
+  if (!libraryUpdatedAt) return null;
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 right-4 z-40 flex items-center gap-2 px-4 py-2 rounded-lg shadow-lg text-sm"
+      style={{
+        backgroundColor: "var(--status-info-bg)",
+        border: "1px solid var(--status-info-border)",
+        color: "var(--text-primary)",
+      }}
+    >
+      <RefreshCw size={14} style={{ color: "var(--status-info)" }} />
+      <span>
+        Library updated at{" "}
+        {libraryUpdatedAt.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}
+      </span>
+      <button
+        type="button"
+        onClick={dismissLibraryUpdate}
+        className="ml-1 p-0.5 rounded"
+        style={{ color: "var(--text-muted)" }}
+        aria-label="Dismiss"
+      >
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
+
+export default LibraryUpdatedIndicator;
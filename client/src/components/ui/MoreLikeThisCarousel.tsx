@@ -0,0 +1,44 @@
+import { useNavigate } from "react-router-dom";
+import { Sparkles } from "lucide-react";
+import type { NormalizedScene } from "@peek/shared-types";
+import { useSimilarScenes } from "../../api/hooks";
+import { useConfig } from "../../contexts/ConfigContext";
+import { getEntityPath } from "../../utils/entityLinks";
+import SceneCarousel from "./SceneCarousel";
+
+interface Props {
+  sceneId: string;
+}
+
+/**
+ * More Like This carousel - scenes similar to the one being viewed
+ */
+const MoreLikeThisCarousel = ({ sceneId }: Props) => {
+  const navigate = useNavigate();
+  const { hasMultipleInstances } = useConfig();
+  const { data, isLoading } = useSimilarScenes(sceneId);
+  const scenes = data?.scenes ?? [];
+
+  const handleSceneClick = (scene: NormalizedScene) => {
+    navigate(getEntityPath('scene', scene as unknown as Parameters<typeof getEntityPath>[1], hasMultipleInstances), {
+      state: { scene, fromPageTitle: "More Like This" },
+    });
+    return true; // Prevent fallback navigation in SceneCard
+  };
+
+  if (!isLoading && scenes.length === 0) {
+    return null;
+  }
+
+  return (
+    <SceneCarousel
+      loading={isLoading}
+      title="More Like This"
+      titleIcon={<Sparkles className="w-6 h-6" style={{ color: "var(--accent-primary)" }} />}
+      scenes={scenes}
+      onSceneClick={handleSceneClick}
+    />
+  );
+};
+
+export default MoreLikeThisCarousel;
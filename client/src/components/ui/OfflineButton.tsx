@@ -0,0 +1,67 @@
+import { CircleCheck, HardDriveDownload } from "lucide-react";
+import type { NormalizedScene } from "@peek/shared-types";
+import { useOfflineSceneStatus } from "../../hooks/useOfflineScenes";
+import { isOfflineSupported, removeOfflineScene, saveSceneOffline } from "../../utils/offlineStore";
+import { showError, showSuccess } from "../../utils/toast";
+import Button from "./Button";
+
+interface Props {
+  scene: NormalizedScene;
+  disabled?: boolean;
+}
+
+/**
+ * Toggles whether a scene is available offline. Saving downloads the video
+ * into browser storage (shown as a percentage while it runs); clicking a
+ * saved scene removes it again. Callers check the "Can Download Files"
+ * permission.
+ *
+ * @param {Object} props
+ * @param {NormalizedScene} props.scene - Scene as loaded by the player
+ * @param {boolean} [props.disabled] - Disable while the scene is loading
+ */
+export default function OfflineButton({ scene, disabled = false }: Props) {
+  const { saved, progress, key } = useOfflineSceneStatus(scene.id, scene.instanceId);
+
+  if (!isOfflineSupported()) return null;
+
+  const isSaving = progress !== null;
+
+  const handleClick = async () => {
+    try {
+      if (saved && key) {
+        await removeOfflineScene(key);
+        showSuccess("Removed from offline videos");
+      } else {
+        await saveSceneOffline(scene);
+        showSuccess("Available offline");
+      }
+    } catch (error) {
+      showError(error instanceof Error ? error.message : "Failed to save for offline viewing");
+    }
+  };
+
+  return (
+    <Button
+      variant="secondary"
+      onClick={handleClick}
+      disabled={disabled || isSaving}
+      title={
+        isSaving
+          ? `Saving for offline viewing... ${progress}%`
+          : saved
+            ? "Available offline (click to remove)"
+            : "Make available offline"
+      }
+      aria-pressed={saved}
+    >
+      {isSaving ? (
+        <span className="text-sm tabular-nums">{progress}%</span>
+      ) : saved ? (
+        <CircleCheck size={16} style={{ color: "var(--status-success)" }} />
+      ) : (
+        <HardDriveDownload size={16} />
+      )}
+    </Button>
+  );
+}
@@ -0,0 +1,34 @@
+import { Link } from "react-router-dom";
+import { WifiOff } from "lucide-react";
+import { useOnlineStatus } from "../../hooks/useOnlineStatus";
+
+/**
+ * Small notice shown while the browser is offline, pointing at the scenes
+ * saved for offline viewing. Library pages can't load until the connection
+ * is back; playback of saved scenes keeps working.
+ */
+const OfflineIndicator = () => {
+  const isOnline = useOnlineStatus();
+
+  if (isOnline) return null;
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 left-4 lg:left-20 xl:left-64 z-40 flex items-center gap-2 px-4 py-2 rounded-lg shadow-lg text-sm"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        border: "1px solid var(--status-warning-border)",
+        color: "var(--text-primary)",
+      }}
+    >
+      <WifiOff size={14} style={{ color: "var(--status-warning)" }} />
+      <span>You're offline.</span>
+      <Link to="/downloads" className="underline" style={{ color: "var(--accent-primary)" }}>
+        Saved videos
+      </Link>
+    </div>
+  );
+};
+
+export default OfflineIndicator;
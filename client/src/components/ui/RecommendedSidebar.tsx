@@ -1,6 +1,5 @@
-import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { apiGet } from "../../api";
+import { useSimilarScenes } from "../../api/hooks";
 import { getSceneTitle } from "../../utils/format";
 import { useConfig } from "../../contexts/ConfigContext";
 import { getEntityPath } from "../../utils/entityLinks";
@@ -21,34 +20,10 @@ interface Props {
 const RecommendedSidebar = ({ sceneId, maxHeight }: Props) => {
   const navigate = useNavigate();
   const { hasMultipleInstances } = useConfig();
-  const [scenes, setScenes] = useState<NormalizedScene[]>([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState<string | null>(null);
-
-  useEffect(() => {
-    const fetchRecommendedScenes = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-
-        const data = await apiGet(
-          `/library/scenes/${sceneId}/similar?page=1`,
-        ) as { scenes: NormalizedScene[] };
-
-        // Only take first 12 scenes for sidebar
-        setScenes(data.scenes.slice(0, 12));
-      } catch (err) {
-        console.error("Error fetching recommended scenes:", err);
-        setError((err as Error).message || "Failed to load recommendations");
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    if (sceneId) {
-      fetchRecommendedScenes();
-    }
-  }, [sceneId]);
+  // Shares the first page of similar scenes with the carousel and end screen
+  const { data, isLoading: loading, error } = useSimilarScenes(sceneId);
+  // Only take first 12 scenes for sidebar
+  const scenes = data?.scenes.slice(0, 12) ?? [];
 
   const handleSceneClick = (scene: NormalizedScene) => {
     // Navigate to scene - this will trigger auto-playlist generation from similar scenes
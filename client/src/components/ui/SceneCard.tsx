@@ -31,6 +31,8 @@ interface Props {
   fromPageTitle?: string;
   enableKeyboard?: boolean;
   showProgress?: boolean;
+  /** Small line under the title, e.g. why the scene was recommended */
+  caption?: string;
 }
 
 /**
@@ -98,6 +100,7 @@ const SceneCard = forwardRef<HTMLDivElement, Props>(
       hideRatingControls = false,
       onHideSuccess,
       fromPageTitle,
+      caption,
     },
     ref
   ) => {
@@ -334,6 +337,11 @@ const SceneCard = forwardRef<HTMLDivElement, Props>(
         // Render slots
         renderOverlay={renderOverlay}
         renderImageContent={renderImageContent}
+        renderAfterTitle={caption ? () => (
+          <p className="text-xs truncate" style={{ color: "var(--text-muted)" }} title={caption}>
+            {caption}
+          </p>
+        ) : undefined}
         // Standard props
         className={className}
         onClick={onClick as ((e: React.MouseEvent<HTMLDivElement>) => void) | undefined}
@@ -32,8 +32,12 @@ import {
   buildSceneFilter,
   buildStudioFilter,
   buildTagFilter,
+  getRuleFilterDefinitions,
   type FilterOption,
+  type FilterRuleEntry,
 } from "../../utils/filterConfig";
+import type { FilterRuleGroup } from "@peek/shared-types";
+import RuleGroupEditor from "../carousel-builder/RuleGroupEditor";
 // Note: parseSearchParams and buildSearchParams now handled by useFilterState hook
 import {
   ActiveFilterChips,
@@ -956,8 +960,8 @@ const SearchControls = ({
           </div>
         )}
 
-        {/* Grid Density Slider - Shown in grid, folder, and timeline modes */}
-        {(viewMode === "grid" || viewMode === "folder" || viewMode === "timeline") && (
+        {/* Grid Density Slider - Shown in grid, folder, directory, and timeline modes */}
+        {(viewMode === "grid" || viewMode === "folder" || viewMode === "directory" || viewMode === "timeline") && (
           <div
             data-tv-search-item="grid-density"
             ref={(el) => searchZoneNav.setItemRef(6, el)}
@@ -1109,6 +1113,25 @@ const SearchControls = ({
             return null;
           }
 
+          // Render nested AND/OR/NOT rules built from the other filters
+          if (type === "rule-group") {
+            const group = (localFilters as Record<string, any>)[key] as
+              | FilterRuleGroup<FilterRuleEntry>
+              | undefined;
+
+            return (
+              <div key={`RuleGroup-${key}`} className="col-span-full" style={{ gridColumn: "1 / -1" }}>
+                <RuleGroupEditor
+                  group={group ?? { type: "group", operator: "AND", children: [] }}
+                  definitions={getRuleFilterDefinitions(filterOptions)}
+                  onChange={(updated) =>
+                    handleFilterChange(key, updated.children.length > 0 ? updated : undefined)
+                  }
+                />
+              </div>
+            );
+          }
+
           // Render regular filter control
           const {
             modifierOptions,
@@ -3,6 +3,7 @@ import { Link, useLocation, useNavigate } from "react-router-dom";
 import { getOrderedNavItems } from "../../constants/navigation";
 import { useAuth } from "../../hooks/useAuth";
 import { useTVMode } from "../../hooks/useTVMode";
+import { openGlobalSearch } from "../../utils/globalSearch";
 import { PeekLogo } from "../branding/PeekLogo";
 import { ThemedIcon } from "../icons/index";
 import Button from "./Button";
@@ -215,6 +216,31 @@ const Sidebar = ({ navPreferences = [] }: Props) => {
             <PeekLogo variant="auto" size="small" />
           </div>
 
+          {/* Search - opens the global search (also "/" or Ctrl+K) */}
+          <div className="px-2 pt-4">
+            <div className="xl:hidden">
+              <Tooltip content="Search" position="right">
+                <button
+                  onClick={openGlobalSearch}
+                  className="flex items-center justify-center h-12 w-12 rounded-lg transition-colors duration-200 nav-link"
+                  aria-label="Search"
+                >
+                  <ThemedIcon name="search" size={20} />
+                </button>
+              </Tooltip>
+            </div>
+            <button
+              onClick={openGlobalSearch}
+              className="hidden xl:flex w-full items-center gap-3 px-4 py-3 rounded-lg transition-colors duration-200 nav-link"
+            >
+              <ThemedIcon name="search" size={20} />
+              <span className="text-sm font-medium flex-1 text-left">Search</span>
+              <kbd className="text-xs px-1.5 rounded border" style={{ borderColor: "var(--border-color)" }}>
+                /
+              </kbd>
+            </button>
+          </div>
+
           {/* Navigation items */}
           <nav className="flex-1 overflow-y-auto py-4">
             <ul className="flex flex-col gap-1 px-2">
@@ -26,7 +26,7 @@ const SyncProgressBanner = ({ message, className = "" }: Props) => {
             {message || "Syncing library, please wait..."}
           </p>
           <p className="text-sm mt-1" style={{ color: "var(--text-muted)" }}>
-            This may take a minute on first sync. Checking every 5 seconds...
+            This may take a minute on first sync. The page loads as soon as it's done.
           </p>
         </div>
       </div>
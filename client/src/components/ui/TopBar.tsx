@@ -3,6 +3,7 @@ import { Link, useLocation } from "react-router-dom";
 import { getOrderedNavItems } from "../../constants/navigation";
 import { useKeyboardShortcuts } from "../../hooks/useKeyboardShortcuts";
 import { useScrollDirection } from "../../hooks/useScrollDirection";
+import { openGlobalSearch } from "../../utils/globalSearch";
 import { PeekLogo } from "../branding/PeekLogo";
 import { ThemedIcon } from "../icons/index";
 import Button from "./Button";
@@ -14,7 +15,7 @@ import UserMenu from "./UserMenu";
  *
  * Simplified top navigation bar for sidebar layout:
  * - Logo on left
- * - Help, Settings (admin), User menu on right
+ * - Search, Help, Settings (admin), User menu on right
  * - Mobile: Includes hamburger menu for navigation
  * - Desktop: Navigation is in sidebar
  * - Auto-hides on scroll down
@@ -91,8 +92,22 @@ const TopBar = ({ navPreferences = [] }: Props) => {
           {/* Logo */}
           <PeekLogo variant="auto" size="default" />
 
-          {/* Right side - Help, User Menu, Hamburger */}
+          {/* Right side - Search, Help, User Menu, Hamburger */}
           <div className="flex items-center gap-2">
+            {/* Search button */}
+            <button
+              onClick={openGlobalSearch}
+              className="p-2 rounded-lg hover:bg-opacity-80 transition-colors duration-200"
+              style={{
+                backgroundColor: "transparent",
+                color: "var(--text-primary)",
+                border: "1px solid transparent",
+              }}
+              aria-label="Search"
+            >
+              <ThemedIcon name="search" size={20} />
+            </button>
+
             {/* Help button */}
             <button
               onClick={() => setIsHelpModalOpen(true)}
@@ -1,6 +1,6 @@
 import { type LucideIcon } from "lucide-react";
 import { useState, useEffect, useRef } from "react";
-import { LucideGrid2X2, LucideSquare, LucideNetwork, LucideList, LucideCalendar, LucideFolderOpen, LucideChevronDown } from "lucide-react";
+import { LucideGrid2X2, LucideSquare, LucideNetwork, LucideList, LucideCalendar, LucideFolderOpen, LucideHardDrive, LucideChevronDown } from "lucide-react";
 
 interface ViewMode {
   id: string;
@@ -29,6 +29,7 @@ const MODE_ICONS = {
   table: LucideList,
   timeline: LucideCalendar,
   folder: LucideFolderOpen,
+  directory: LucideHardDrive,
 };
 
 /**
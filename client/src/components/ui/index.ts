@@ -37,12 +37,16 @@ export { default as GenderIcon } from "./GenderIcon";
 export { default as GlobalLayout } from "./GlobalLayout";
 export { default as HelpModal } from "./HelpModal";
 export { default as InfoMessage } from "./InfoMessage";
+export { default as LibraryUpdatedIndicator } from "./LibraryUpdatedIndicator";
 export { default as LazyThumbnail } from "./LazyThumbnail";
 export { default as Lightbox } from "./Lightbox";
 export { default as LoadingSpinner } from "./LoadingSpinner";
 export { default as MediaImage } from "./MediaImage";
+export { default as MoreLikeThisCarousel } from "./MoreLikeThisCarousel";
 export { default as Navigation } from "./Navigation";
 export { default as OCounterButton } from "./OCounterButton";
+export { default as OfflineButton } from "./OfflineButton";
+export { default as OfflineIndicator } from "./OfflineIndicator";
 export { default as PageHeader } from "./PageHeader";
 export { default as PageLayout } from "./PageLayout";
 export { default as Pagination } from "./Pagination";
@@ -0,0 +1,90 @@
+import { useNavigate } from "react-router-dom";
+import { RotateCcw } from "lucide-react";
+import type { NormalizedScene } from "@peek/shared-types";
+import { useSimilarScenes } from "../../api/hooks";
+import { useConfig } from "../../contexts/ConfigContext";
+import { getEntityPath } from "../../utils/entityLinks";
+import { getSceneTitle } from "../../utils/format";
+
+// How many suggestions fit over the player
+const SUGGESTION_COUNT = 4;
+
+interface Props {
+  sceneId: string;
+  onReplay: () => void;
+}
+
+/**
+ * EndScreenSuggestions - Similar scenes shown over the player when a scene
+ * finishes and nothing is queued after it
+ */
+const EndScreenSuggestions = ({ sceneId, onReplay }: Props) => {
+  const navigate = useNavigate();
+  const { hasMultipleInstances } = useConfig();
+  const { data } = useSimilarScenes(sceneId);
+  const scenes = data?.scenes.slice(0, SUGGESTION_COUNT) ?? [];
+
+  const handleSceneClick = (scene: NormalizedScene) => {
+    navigate(getEntityPath('scene', scene as unknown as Parameters<typeof getEntityPath>[1], hasMultipleInstances), {
+      state: { scene, fromPageTitle: "More Like This", shouldAutoplay: true },
+    });
+  };
+
+  return (
+    <div
+      className="flex flex-col items-center justify-center gap-3 p-4"
+      style={{
+        position: "absolute",
+        inset: 0,
+        backgroundColor: "rgba(0, 0, 0, 0.8)",
+        zIndex: 5,
+      }}
+    >
+      {scenes.length > 0 && (
+        <>
+          <h3 className="text-sm font-semibold uppercase tracking-wide text-white">
+            More Like This
+          </h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 w-full max-w-3xl">
+            {scenes.map((scene) => {
+              const title = getSceneTitle(scene);
+              return (
+                <button
+                  key={scene.id}
+                  type="button"
+                  onClick={() => handleSceneClick(scene)}
+                  className="group text-left rounded overflow-hidden focus:outline-none focus:ring-2"
+                  style={{ backgroundColor: "rgba(255, 255, 255, 0.08)" }}
+                >
+                  <div className="aspect-video bg-black">
+                    {scene.paths?.screenshot && (
+                      <img
+                        src={scene.paths.screenshot}
+                        alt={title}
+                        className="w-full h-full object-cover group-hover:opacity-80"
+                      />
+                    )}
+                  </div>
+                  <p className="text-xs text-white line-clamp-2 px-2 py-1 group-hover:underline">
+                    {title}
+                  </p>
+                </button>
+              );
+            })}
+          </div>
+        </>
+      )}
+      <button
+        type="button"
+        onClick={onReplay}
+        className="inline-flex items-center gap-2 px-3 py-1.5 rounded text-sm text-white hover:opacity-80"
+        style={{ border: "1px solid rgba(255, 255, 255, 0.4)" }}
+      >
+        <RotateCcw className="w-4 h-4" />
+        Replay
+      </button>
+    </div>
+  );
+};
+
+export default EndScreenSuggestions;
@@ -10,6 +10,7 @@ import {
   Button,
   FavoriteButton,
   OCounterButton,
+  OfflineButton,
   RatingSlider,
 } from "../ui/index";
 
@@ -172,14 +173,17 @@ const PlaybackControls = () => {
             )}
             <AddToPlaylistButton sceneId={scene?.id as string} disabled={isLoading} compact />
             {!!permissions?.canDownloadFiles && (
-              <Button
-                variant="secondary"
-                onClick={handleDownload}
-                disabled={downloading || isLoading}
-                title={downloading ? "Starting download..." : "Download"}
-              >
-                <ThemedIcon name="download" size={16} />
-              </Button>
+              <>
+                <Button
+                  variant="secondary"
+                  onClick={handleDownload}
+                  disabled={downloading || isLoading}
+                  title={downloading ? "Starting download..." : "Download"}
+                >
+                  <ThemedIcon name="download" size={16} />
+                </Button>
+                <OfflineButton scene={scene} disabled={isLoading} />
+              </>
             )}
           </div>
         </div>
@@ -230,14 +234,17 @@ const PlaybackControls = () => {
           <div className="flex items-center justify-end gap-4">
             <AddToPlaylistButton sceneId={scene?.id as string} disabled={isLoading} compact />
             {!!permissions?.canDownloadFiles && (
-              <Button
-                variant="secondary"
-                onClick={handleDownload}
-                disabled={downloading || isLoading}
-                title={downloading ? "Starting download..." : "Download"}
-              >
-                <ThemedIcon name="download" size={16} />
-              </Button>
+              <>
+                <Button
+                  variant="secondary"
+                  onClick={handleDownload}
+                  disabled={downloading || isLoading}
+                  title={downloading ? "Starting download..." : "Download"}
+                >
+                  <ThemedIcon name="download" size={16} />
+                </Button>
+                <OfflineButton scene={scene} disabled={isLoading} />
+              </>
             )}
           </div>
         </div>
@@ -268,14 +275,17 @@ const PlaybackControls = () => {
             )}
             <AddToPlaylistButton sceneId={scene?.id as string} disabled={isLoading} compact />
             {!!permissions?.canDownloadFiles && (
-              <Button
-                variant="secondary"
-                onClick={handleDownload}
-                disabled={downloading || isLoading}
-                title={downloading ? "Starting download..." : "Download"}
-              >
-                <ThemedIcon name="download" size={16} />
-              </Button>
+              <>
+                <Button
+                  variant="secondary"
+                  onClick={handleDownload}
+                  disabled={downloading || isLoading}
+                  title={downloading ? "Starting download..." : "Download"}
+                >
+                  <ThemedIcon name="download" size={16} />
+                </Button>
+                <OfflineButton scene={scene} disabled={isLoading} />
+              </>
             )}
           </div>
 
@@ -6,8 +6,10 @@ import { usePlaylistMediaKeys } from "../../hooks/useMediaKeys";
 import { useWatchHistory } from "../../hooks/useWatchHistory";
 import { apiGet, getClipsForScene } from "../../api";
 import "./VideoPlayer.css";
+import EndScreenSuggestions from "./EndScreenSuggestions";
 import { useOrientationFullscreen } from "./useOrientationFullscreen";
 import { useVideoPlayer } from "./useVideoPlayer";
+import { useWatchPartySync } from "./useWatchPartySync";
 
 /**
  * VideoPlayer
@@ -21,11 +23,12 @@ import { useVideoPlayer } from "./useVideoPlayer";
  * 2. useWatchHistory - Watch progress tracking
  * 3. usePlaylistMediaKeys - Keyboard shortcuts for playlist navigation
  * 4. useOrientationFullscreen - Auto-fullscreen on mobile orientation change
+ * 5. useWatchPartySync - Play/pause/seek sync when the tab is in a watch party
  *
  * RESPONSIBILITIES:
  * - Manage refs (videoRef, playerRef, hasResumedRef, initialResumeTimeRef)
  * - Fetch user settings (enableCast preference)
- * - Render video element and loading overlay
+ * - Render video element, loading overlay and end-of-playback suggestions
  *
  * DATA FLOW:
  * - ScenePlayerContext provides scene, video, quality, playlist state
@@ -177,6 +180,43 @@ const VideoPlayer = () => {
   // Auto-fullscreen on mobile orientation change
   useOrientationFullscreen(playerRef, scene?.id, true);
 
+  // Watch party playback sync (no-op outside a party)
+  useWatchPartySync(playerRef, scene?.id, ready);
+
+  // Suggest similar scenes when playback ends with nothing queued after it
+  const [ended, setEnded] = useState(false);
+  const playlistContinues =
+    !!playlist?.scenes &&
+    (playlist.repeat === "one" ||
+      (!!playlist.autoplayNext &&
+        (playlist.repeat === "all" ||
+          !!playlist.shuffle ||
+          currentIndex < playlist.scenes.length - 1)));
+
+  useEffect(() => {
+    setEnded(false);
+    const player = playerRef.current;
+    if (!player) return;
+
+    const handleEnded = () => setEnded(true);
+    const handlePlay = () => setEnded(false);
+    player.on("ended", handleEnded);
+    player.on("play", handlePlay);
+    return () => {
+      if (!player.isDisposed()) {
+        player.off("ended", handleEnded);
+        player.off("play", handlePlay);
+      }
+    };
+  }, [ready, scene?.id]);
+
+  const handleReplay = () => {
+    const player = playerRef.current;
+    if (!player) return;
+    player.currentTime(0);
+    player.play().catch((err: any) => console.error("Replay failed:", err));
+  };
+
   // Listen for seekToTime events (e.g., from ClipList clicks)
   useEffect(() => {
     const handleSeekToTime = (event: any) => {
@@ -251,6 +291,9 @@ const VideoPlayer = () => {
           </div>
         )}
 
+        {ended && !playlistContinues && scene?.id && (
+          <EndScreenSuggestions sceneId={scene.id as string} onReplay={handleReplay} />
+        )}
       </div>
     </section>
   );
@@ -6,8 +6,11 @@ import "@silvermine/videojs-chromecast/dist/silvermine-videojs-chromecast.css";
 import "videojs-seek-buttons";
 import "videojs-seek-buttons/dist/videojs-seek-buttons.css";
 import videojs from "video.js";
-import { apiPost } from "../../api";
+import { createStreamToken } from "../../api";
+import { useConfig } from "../../contexts/ConfigContext";
 import { getSceneTitle } from "../../utils/format";
+import { sendOrQueue } from "../../utils/offlineQueue";
+import { getOfflineVideo, markOfflinePlayed, offlineKey } from "../../utils/offlineStore";
 import { setupSubtitles, togglePlaybackRateControl } from "./videoPlayerUtils";
 import "./vtt-thumbnails.js";
 import "./plugins/big-buttons.js";
@@ -71,7 +74,7 @@ async function retryWithBackoff(fn: () => Promise<any>, maxAttempts = 3, baseDel
 
 /**
  * Quality presets in descending order of resolution
- * Must match the presets defined in TranscodingManager.ts
+ * Must match TRANSCODE_LADDER in the server's TranscodeService.ts
  */
 const QUALITY_PRESETS = [
   { height: 2160, quality: "2160p" },
@@ -107,11 +110,53 @@ function getBestTranscodeQuality(sourceHeight: number): string {
  * @param {number} sourceHeight - Height of the source video
  * @returns {Array<{quality: string, height: number}>} Available quality options
  */
-// eslint-disable-next-line @typescript-eslint/no-unused-vars
 function getAvailableQualities(sourceHeight: number) {
   return QUALITY_PRESETS.filter(preset => preset.height <= sourceHeight);
 }
 
+/**
+ * Sources for Peek's own HLS transcodes, offered after Stash's streams
+ * for when Stash's transcode is slow or unavailable.
+ * The preferred quality comes first so auto-advance lands on it.
+ *
+ * @param {Object} scene - Scene being played
+ * @param {string} preferredQuality - User's quality preference ("direct" or a preset)
+ * @param {number|undefined} duration - Scene duration in seconds
+ * @returns {Array} Sources for the sourceSelector plugin
+ */
+function buildPeekTranscodeSources(scene: any, preferredQuality: string, duration: number | undefined) {
+  const sourceHeight = scene.files?.[0]?.height || 1080;
+  const presets = getAvailableQualities(sourceHeight);
+  const available = presets.length > 0 ? presets : QUALITY_PRESETS.slice(-1);
+
+  const preferred = available.find(preset => preset.quality === preferredQuality);
+  const ordered = preferred
+    ? [preferred, ...available.filter(preset => preset !== preferred)]
+    : available;
+
+  return ordered.map(preset => ({
+    src: buildStreamUrl(scene.id, `transcode/${preset.quality}/index.m3u8`, scene.instanceId),
+    type: "application/x-mpegURL",
+    label: `${preset.quality} (Peek)`,
+    offset: false, // Playlist covers the whole scene, so no time offset
+    duration,
+  }));
+}
+
+/**
+ * Add a stream token to the Stash proxy sources, so a cast receiver (which
+ * doesn't have the session cookie) can fetch them
+ */
+function withStreamToken(sources: any[], token: string | null) {
+  if (!token) return sources;
+  return sources.map((source) => {
+    if (!source.src.includes("/proxy-stream/")) return source;
+    const url = new URL(source.src, window.location.origin);
+    url.searchParams.set("streamToken", token);
+    return { ...source, src: url.pathname + url.search };
+  });
+}
+
 /**
  * useVideoPlayer
  *
@@ -166,6 +211,9 @@ export function useVideoPlayer({
 }) {
   // Track previous scene for detecting changes
   const prevSceneIdRef = useRef(null);
+  // Object URL of the offline copy being played, revoked when replaced
+  const offlineUrlRef = useRef<string | null>(null);
+  const { transcodeEnabled } = useConfig();
 
   // ============================================================================
   // PLAYER INITIALIZATION (from useVideoPlayerLifecycle)
@@ -322,8 +370,9 @@ export function useVideoPlayer({
     // saveActivity is called periodically (every 10s) during playback
     trackActivityPlugin.saveActivity = async (resumeTime: number, playDuration: number) => {
       try {
+        // Queued for later when offline (e.g. playing a saved scene)
         await retryWithBackoff(() =>
-          apiPost("/watch-history/save-activity", {
+          sendOrQueue("/watch-history/save-activity", {
             sceneId,
             resumeTime,
             playDuration,
@@ -338,7 +387,7 @@ export function useVideoPlayer({
     trackActivityPlugin.incrementPlayCount = async () => {
       try {
         await retryWithBackoff(() =>
-          apiPost("/watch-history/increment-play-count", { sceneId })
+          sendOrQueue("/watch-history/increment-play-count", { sceneId })
         );
       } catch (error) {
         console.error("Failed to increment play count after 3 attempts:", error);
@@ -430,6 +479,7 @@ export function useVideoPlayer({
       // Only auto-fallback if we're currently on direct play
       const currentSrc = player.currentSrc();
       if (!currentSrc || currentSrc.includes('.m3u8')) return;  // Already on HLS
+      if (currentSrc.startsWith('blob:') && !navigator.onLine) return;  // Offline copy, no server to transcode
 
       // Determine best transcode quality based on source resolution
       const sourceHeight = scene?.files?.[0]?.height || 1080;
@@ -590,36 +640,85 @@ export function useVideoPlayer({
       });
     }
 
-    // Set sources using sourceSelector plugin
-    // Plugin handles source switching, fallback, and playback state preservation
-    sourceSelector.setSources(sources);
-
-    // Setup subtitles if available (using sourceSelector for track management)
-    if (scene.captions && scene.captions.length > 0) {
-      setupSubtitles(player, scene.id, scene.captions, scene.instanceId);
+    // Peek's own transcodes go last, as the fallback when Stash's can't keep up
+    if (transcodeEnabled) {
+      sources.push(...buildPeekTranscodeSources(scene, quality, scene.files?.[0]?.duration || undefined));
     }
 
-    // Configure player
-    togglePlaybackRateControl(player, isDirectPlay);
-    if (isDirectPlay) {
-      player.playbackRates([0.5, 1, 1.25, 1.5, 2]);
-    }
+    const applySources = (playSources: any[], isOffline: boolean) => {
+      // Set sources using sourceSelector plugin
+      // Plugin handles source switching, fallback, and playback state preservation
+      sourceSelector.setSources(playSources);
 
-    // Load the source (Stash line 693)
-    player.load();
-    player.focus();
+      // Setup subtitles if available (using sourceSelector for track management)
+      if (scene.captions && scene.captions.length > 0) {
+        setupSubtitles(player, scene.id, scene.captions, scene.instanceId);
+      }
 
-    // Use player.ready() callback like Stash does (line 696)
-    // This ensures player is truly ready to accept commands
-    player.ready(() => {
-      dispatch({ type: "SET_READY", payload: true });
-    });
+      // Configure player (an offline copy is the original file)
+      const canChangeRate = isDirectPlay || isOffline;
+      togglePlaybackRateControl(player, canChangeRate);
+      if (canChangeRate) {
+        player.playbackRates([0.5, 1, 1.25, 1.5, 2]);
+      }
+
+      // Load the source (Stash line 693)
+      player.load();
+      player.focus();
 
-    dispatch({ type: "SET_INITIALIZING", payload: false });
+      // Use player.ready() callback like Stash does (line 696)
+      // This ensures player is truly ready to accept commands
+      player.ready(() => {
+        dispatch({ type: "SET_READY", payload: true });
+      });
+
+      dispatch({ type: "SET_INITIALIZING", payload: false });
+    };
+
+    // Only needed when the scene can be cast; a failed request still plays here
+    const streamToken = enableCast
+      ? createStreamToken(scene.id).then(({ token }) => token).catch(() => null)
+      : Promise.resolve(null);
+
+    // A scene saved for offline viewing plays from browser storage instead
+    const sceneId = scene.id;
+    const key = offlineKey(scene.id, scene.instanceId);
+    Promise.all([getOfflineVideo(key).catch(() => null), streamToken])
+      .then(([video, token]) => {
+        // Another scene started loading meanwhile, or the player went away
+        if (prevSceneIdRef.current !== sceneId || playerRef.current !== player || player.isDisposed()) {
+          return;
+        }
+
+        if (offlineUrlRef.current) {
+          URL.revokeObjectURL(offlineUrlRef.current);
+          offlineUrlRef.current = null;
+        }
+        if (!video) {
+          applySources(withStreamToken(sources, token), false);
+          return;
+        }
+
+        offlineUrlRef.current = URL.createObjectURL(video);
+        markOfflinePlayed(key).catch(() => undefined);
+        applySources(
+          [{ src: offlineUrlRef.current, type: video.type || "video/mp4", label: "Offline" }],
+          true
+        );
+      });
 
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [scene?.id, quality]); // Stateless: only scene and quality matter
 
+  // Release the offline copy's object URL with the player
+  useEffect(() => {
+    return () => {
+      if (offlineUrlRef.current) {
+        URL.revokeObjectURL(offlineUrlRef.current);
+      }
+    };
+  }, []);
+
   // ============================================================================
   // QUALITY SWITCHING (from useVideoPlayerSources)
   // ============================================================================
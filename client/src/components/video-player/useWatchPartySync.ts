@@ -0,0 +1,121 @@
+import { useCallback, useEffect, useRef } from "react";
+import type { WatchPartyAction, WatchPartyState } from "@peek/shared-types";
+import { useWatchParty } from "../../contexts/WatchPartyContext";
+
+// Remote positions closer than this to ours are left alone, so small
+// network jitter doesn't cause constant re-seeking
+const DRIFT_TOLERANCE_SECONDS = 1.5;
+
+// Player events fired this soon after applying a remote event are its
+// side effects, not user input, and must not be sent back to the party
+const REMOTE_ECHO_WINDOW_MS = 750;
+
+/**
+ * useWatchPartySync
+ *
+ * Keeps the Video.js player in step with the tab's watch party:
+ * - applies the party's position/play state when the player becomes ready
+ * - applies play/pause/seek relayed from other participants
+ * - sends local play/pause/seek to the party
+ * - reports the current position when this tab starts a party
+ *
+ * Scene changes are handled by WatchPartyProvider. No-op outside a party.
+ */
+export function useWatchPartySync(
+  playerRef: React.MutableRefObject<any>,
+  sceneId: string | undefined,
+  ready: boolean
+) {
+  const watchParty = useWatchParty();
+  const party = watchParty?.party ?? null;
+  const partyId = party?.id ?? null;
+  const clientId = watchParty?.clientId;
+  const onControl = watchParty?.onControl;
+  const sendControl = watchParty?.sendControl;
+  const registerPlayback = watchParty?.registerPlayback;
+  const isOnPartyScene = watchParty?.isOnPartyScene ?? false;
+
+  const suppressUntilRef = useRef(0);
+  const syncedKeyRef = useRef<string | null>(null);
+
+  const applyState = useCallback(
+    (state: WatchPartyState) => {
+      const player = playerRef.current;
+      if (!player || player.isDisposed?.() || state.sceneId !== sceneId) return;
+
+      const elapsed = state.playing
+        ? Math.max(0, (Date.now() - state.positionUpdatedAt) / 1000)
+        : 0;
+      const target = state.position + elapsed;
+
+      suppressUntilRef.current = Date.now() + REMOTE_ECHO_WINDOW_MS;
+
+      if (Math.abs(player.currentTime() - target) > DRIFT_TOLERANCE_SECONDS) {
+        player.currentTime(target);
+      }
+      if (state.playing && player.paused()) {
+        player.play()?.catch((err: unknown) => console.error("[WATCH PARTY] Play failed:", err));
+      } else if (!state.playing && !player.paused()) {
+        player.pause();
+      }
+    },
+    [playerRef, sceneId]
+  );
+
+  // Report our position so a new party starts where we are
+  useEffect(() => {
+    if (!registerPlayback) return;
+
+    return registerPlayback(() => {
+      const player = playerRef.current;
+      if (!player || player.isDisposed?.()) return null;
+      return { position: player.currentTime() || 0, playing: !player.paused() };
+    });
+  }, [registerPlayback, playerRef]);
+
+  // Catch up with the party once the player is ready on its scene
+  useEffect(() => {
+    if (!ready || !party || party.sceneId !== sceneId) return;
+
+    const key = `${party.id}:${sceneId}`;
+    if (syncedKeyRef.current === key) return;
+    syncedKeyRef.current = key;
+    applyState(party);
+  }, [ready, party, sceneId, applyState]);
+
+  // Apply events from other participants
+  useEffect(() => {
+    if (!onControl) return;
+
+    return onControl((event) => {
+      if (event.clientId === clientId || event.action === "scene") return;
+      applyState(event.party);
+    });
+  }, [onControl, clientId, applyState]);
+
+  // Send our own play/pause/seek
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!player || !partyId || !isOnPartyScene || !sendControl) return;
+
+    const send = (action: WatchPartyAction) => () => {
+      if (Date.now() < suppressUntilRef.current) return;
+      sendControl({ action, position: player.currentTime() });
+    };
+    const handlePlay = send("play");
+    const handlePause = send("pause");
+    const handleSeeked = send("seek");
+
+    player.on("play", handlePlay);
+    player.on("pause", handlePause);
+    player.on("seeked", handleSeeked);
+
+    return () => {
+      if (!player.isDisposed?.()) {
+        player.off("play", handlePlay);
+        player.off("pause", handlePause);
+        player.off("seeked", handleSeeked);
+      }
+    };
+  }, [playerRef, partyId, isOnPartyScene, sendControl]);
+}
@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { Copy, Crown, LogOut, Users } from "lucide-react";
+import { useWatchParty } from "../../contexts/WatchPartyContext";
+import { showError, showSuccess } from "../../utils/toast";
+import { Button } from "../ui/index";
+
+/**
+ * WatchPartyPanel - Start, share and leave a watch party from the scene page
+ * Shows the invite link and participants while the tab is in a party
+ */
+const WatchPartyPanel = () => {
+  const watchParty = useWatchParty();
+  const [starting, setStarting] = useState(false);
+
+  if (!watchParty) return null;
+
+  const { party, isHost, isOnPartyScene, startParty, leaveParty, returnToPartyScene } =
+    watchParty;
+
+  const handleStart = async () => {
+    setStarting(true);
+    try {
+      await startParty();
+      showSuccess("Watch party started. Share the invite link to watch together.");
+    } catch (error) {
+      showError(error);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  if (!party) {
+    return (
+      <div className="flex justify-end">
+        <Button
+          onClick={handleStart}
+          variant="secondary"
+          size="sm"
+          loading={starting}
+          icon={<Users size={16} />}
+        >
+          Start Watch Party
+        </Button>
+      </div>
+    );
+  }
+
+  const inviteUrl = `${window.location.origin}/watch-party/${party.id}`;
+
+  const handleCopyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl);
+      showSuccess("Invite link copied");
+    } catch {
+      showError("Failed to copy invite link");
+    }
+  };
+
+  return (
+    <div
+      className="rounded-lg border p-3 flex flex-col gap-3"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        borderColor: "var(--border-color)",
+      }}
+    >
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <div className="flex items-center gap-2" style={{ color: "var(--text-primary)" }}>
+          <Users size={18} />
+          <span className="font-medium">Watch Party</span>
+          <span className="text-sm" style={{ color: "var(--text-muted)" }}>
+            {isHost ? "You're hosting" : "Playback is synced with the host"}
+          </span>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button onClick={handleCopyInvite} variant="secondary" size="sm" icon={<Copy size={14} />}>
+            Copy Invite Link
+          </Button>
+          <Button onClick={leaveParty} variant="destructive" size="sm" icon={<LogOut size={14} />}>
+            {isHost ? "End Party" : "Leave"}
+          </Button>
+        </div>
+      </div>
+
+      {!isOnPartyScene && (
+        <div
+          className="flex items-center justify-between gap-2 text-sm"
+          style={{ color: "var(--text-secondary)" }}
+        >
+          <span>The party is watching a different scene.</span>
+          <Button onClick={returnToPartyScene} variant="primary" size="sm">
+            Rejoin
+          </Button>
+        </div>
+      )}
+
+      <ul className="flex flex-wrap gap-2">
+        {party.participants.map((participant) => (
+          <li
+            key={participant.userId}
+            className="flex items-center gap-1 px-2 py-1 rounded text-sm"
+            style={{
+              backgroundColor: "var(--bg-secondary)",
+              color: participant.connected ? "var(--text-primary)" : "var(--text-muted)",
+            }}
+            title={participant.connected ? "Connected" : "Not connected"}
+          >
+            {participant.isHost && <Crown size={12} />}
+            {participant.username}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default WatchPartyPanel;
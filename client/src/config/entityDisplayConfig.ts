@@ -13,6 +13,7 @@ export const ENTITY_DISPLAY_CONFIG = {
       { id: "table", label: "Table" },
       { id: "timeline", label: "Timeline" },
       { id: "folder", label: "Folder" },
+      { id: "directory", label: "Directory" },
     ],
     defaultSettings: {
       defaultViewMode: "grid",
@@ -54,6 +55,7 @@ export const ENTITY_DISPLAY_CONFIG = {
       { id: "table", label: "Table" },
       { id: "timeline", label: "Timeline" },
       { id: "folder", label: "Folder" },
+      { id: "directory", label: "Directory" },
     ],
     defaultSettings: {
       defaultViewMode: "grid",
@@ -92,6 +94,7 @@ export const ENTITY_DISPLAY_CONFIG = {
       { id: "wall", label: "Wall" },
       { id: "timeline", label: "Timeline" },
       { id: "folder", label: "Folder" },
+      { id: "directory", label: "Directory" },
     ],
     defaultSettings: {
       defaultViewMode: "grid",
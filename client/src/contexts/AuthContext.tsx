@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from "react";
 import { AuthContext } from "./AuthContextProvider";
 import type { AuthUser } from "./AuthContextProvider";
+import { flushQueuedRequests, setOfflineQueueUser } from "../utils/offlineQueue";
+import { setOfflineStoreUser } from "../utils/offlineStore";
 
 export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -41,6 +43,17 @@ export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
 
     const data = await response.json();
 
+    if (response.ok && (data.twoFactorRequired || data.twoFactorSetupRequired)) {
+      return {
+        success: false,
+        twoFactor: {
+          loginToken: data.loginToken,
+          methods: data.methods ?? [],
+          setupRequired: !!data.twoFactorSetupRequired,
+        },
+      };
+    }
+
     if (response.ok) {
       setIsAuthenticated(true);
       setUser(data.user);
@@ -52,6 +65,8 @@ export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
 
   const logout = async () => {
     try {
+      // Deliver queued writes while the session is still this user's
+      await flushQueuedRequests();
       await fetch("/api/auth/logout", {
         method: "POST",
         credentials: "include",
@@ -76,6 +91,13 @@ export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
     checkAuth();
   }, []);
 
+  // Offline writes and saved scenes belong to whoever is signed in
+  const userId = user?.id ?? null;
+  useEffect(() => {
+    setOfflineStoreUser(userId);
+    setOfflineQueueUser(userId);
+  }, [userId]);
+
   const value = {
     isAuthenticated,
     isLoading,
@@ -1,4 +1,5 @@
 import { createContext } from "react";
+import type { TwoFactorMethod } from "@peek/shared-types";
 
 export interface AuthUser {
   id: number;
@@ -16,6 +17,13 @@ export interface LoginResult {
   success: boolean;
   user?: AuthUser;
   error?: string;
+  /** Password was right; finish with a second factor using this token */
+  twoFactor?: {
+    loginToken: string;
+    methods: TwoFactorMethod[];
+    /** No second factor yet, but policy requires one */
+    setupRequired: boolean;
+  };
 }
 
 export interface AuthContextValue {
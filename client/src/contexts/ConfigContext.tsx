@@ -4,17 +4,20 @@ import { setupApi } from "../api";
 
 /**
  * Config context for app-wide configuration values.
- * Currently provides hasMultipleInstances for multi-Stash support.
+ * Provides hasMultipleInstances for multi-Stash support and whether the
+ * player can offer Peek's own transcodes.
  */
 
 const ConfigContext = createContext({
   hasMultipleInstances: false,
+  transcodeEnabled: false,
   isLoading: true,
 });
 
 export function ConfigProvider({ children }: { children: React.ReactNode }) {
   const [config, setConfig] = useState({
     hasMultipleInstances: false,
+    transcodeEnabled: false,
     isLoading: true,
   });
 
@@ -26,6 +29,7 @@ export function ConfigProvider({ children }: { children: React.ReactNode }) {
         const hasMultiple = (status.stashInstanceCount || 0) > 1;
         setConfig({
           hasMultipleInstances: hasMultiple,
+          transcodeEnabled: !!status.transcodeEnabled,
           isLoading: false,
         });
       } catch (error) {
@@ -7,10 +7,11 @@ import {
   type Dispatch,
 } from "react";
 import type { NormalizedScene } from "@peek/shared-types";
-import { apiPost } from "../api";
+import { ApiError, apiPost } from "../api";
 import { initialState, scenePlayerReducer, type ScenePlayerReducerState } from "./scenePlayerReducer";
 import { useConfig } from "./ConfigContext";
 import { getEntityPath } from "../utils/entityLinks";
+import { getOfflineScene } from "../utils/offlineStore";
 
 // Use the reducer's state type directly
 type ScenePlayerState = ScenePlayerReducerState;
@@ -100,6 +101,20 @@ export function ScenePlayerProvider({
         },
       });
     } catch (error) {
+      // Without a connection, a scene saved for offline viewing still plays
+      if (!(error instanceof ApiError)) {
+        const offline = await getOfflineScene(sceneIdToLoad, sceneInstanceId).catch(() => null);
+        if (offline) {
+          dispatch({
+            type: "LOAD_SCENE_SUCCESS",
+            payload: {
+              scene: offline.scene,
+              oCounter: offline.scene.o_counter || 0,
+            },
+          });
+          return;
+        }
+      }
       console.error("Error loading scene:", error);
       dispatch({
         type: "LOAD_SCENE_ERROR",
@@ -0,0 +1,232 @@
+/* eslint-disable react-refresh/only-export-components */
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import type { ServerEvent, ServerEventType } from "@peek/shared-types";
+import { getServerEventsUrl } from "../api";
+import { useAuth } from "../hooks/useAuth";
+import { showError, showSuccess } from "../utils/toast";
+
+type ServerEventOf<T extends ServerEventType> = Extract<ServerEvent, { type: T }>;
+type EventListener = (event: ServerEvent) => void;
+type ReconnectListener = () => void;
+
+/** Every event the stream can send, so each gets an EventSource listener */
+const SERVER_EVENT_TYPES: ServerEventType[] = [
+  "sync-started",
+  "sync-finished",
+  "sync-progress",
+  "library-updated",
+  "sync-settings",
+  "exclusions",
+  "scene-merged",
+  "download",
+  "download-removed",
+  "download-usage",
+  "access",
+];
+
+/** Query key roots holding synced library data */
+const LIBRARY_QUERY_ROOTS = [
+  "scenes",
+  "performers",
+  "studios",
+  "tags",
+  "galleries",
+  "groups",
+  "images",
+  "clips",
+  "homeCarousel",
+  "carousels",
+];
+
+// A sync ends with every user's exclusions being recomputed, so wait for the
+// burst to pass before refetching
+const LIBRARY_REFRESH_DELAY_MS = 1000;
+
+interface ServerEventsContextValue {
+  /** When synced library data last changed, until dismissed */
+  libraryUpdatedAt: Date | null;
+  dismissLibraryUpdate: () => void;
+  subscribe: (listener: EventListener) => () => void;
+  onReconnect: (listener: ReconnectListener) => () => void;
+}
+
+const ServerEventsContext = createContext<ServerEventsContextValue>({
+  libraryUpdatedAt: null,
+  dismissLibraryUpdate: () => {},
+  subscribe: () => () => {},
+  onReconnect: () => () => {},
+});
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+/**
+ * Holds the signed-in user's server event stream. Refetches library pages
+ * when synced data or the user's exclusions change and toasts finished
+ * playlist downloads; pages listen for anything more specific with
+ * useServerEvent.
+ */
+export function ServerEventsProvider({ children }: { children: React.ReactNode }) {
+  const { isAuthenticated } = useAuth();
+  const queryClient = useQueryClient();
+
+  const [libraryUpdatedAt, setLibraryUpdatedAt] = useState<Date | null>(null);
+
+  const listenersRef = useRef(new Set<EventListener>());
+  const reconnectListenersRef = useRef(new Set<ReconnectListener>());
+  const refreshTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  const refreshLibrary = useCallback(() => {
+    if (refreshTimerRef.current) clearTimeout(refreshTimerRef.current);
+    refreshTimerRef.current = setTimeout(() => {
+      refreshTimerRef.current = null;
+      for (const root of LIBRARY_QUERY_ROOTS) {
+        queryClient.invalidateQueries({ queryKey: [root] });
+      }
+    }, LIBRARY_REFRESH_DELAY_MS);
+  }, [queryClient]);
+
+  const handleEvent = useCallback(
+    (event: ServerEvent) => {
+      switch (event.type) {
+        case "library-updated":
+          setLibraryUpdatedAt(new Date(event.at));
+          refreshLibrary();
+          break;
+        case "exclusions":
+          refreshLibrary();
+          break;
+        case "scene-merged":
+          queryClient.invalidateQueries({ queryKey: ["user", "watchHistory"] });
+          queryClient.invalidateQueries({ queryKey: ["scenes"] });
+          break;
+        case "download": {
+          // Scene and image downloads start straight away; only playlist
+          // ZIPs finish in the background
+          const { download } = event;
+          if (download.type !== "PLAYLIST") break;
+          if (download.status === "COMPLETED") {
+            showSuccess(`${download.fileName} is ready to download`);
+          } else if (download.status === "FAILED") {
+            showError(`${download.fileName} failed: ${download.error ?? "Unknown error"}`);
+          }
+          break;
+        }
+      }
+      listenersRef.current.forEach((listener) => listener(event));
+    },
+    [queryClient, refreshLibrary]
+  );
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const source = new EventSource(getServerEventsUrl(), {
+      withCredentials: true,
+    });
+    let connected = false;
+
+    for (const type of SERVER_EVENT_TYPES) {
+      source.addEventListener(type, (event) => {
+        handleEvent(JSON.parse((event as MessageEvent<string>).data) as ServerEvent);
+      });
+    }
+
+    // EventSource reconnects by itself; pages reload what they show to
+    // catch up on anything missed meanwhile
+    source.onopen = () => {
+      if (connected) {
+        reconnectListenersRef.current.forEach((listener) => listener());
+        refreshLibrary();
+      }
+      connected = true;
+    };
+
+    return () => {
+      source.close();
+    };
+  }, [isAuthenticated, handleEvent, refreshLibrary]);
+
+  useEffect(
+    () => () => {
+      if (refreshTimerRef.current) clearTimeout(refreshTimerRef.current);
+    },
+    []
+  );
+
+  const dismissLibraryUpdate = useCallback(() => setLibraryUpdatedAt(null), []);
+
+  const subscribe = useCallback((listener: EventListener) => {
+    listenersRef.current.add(listener);
+    return () => {
+      listenersRef.current.delete(listener);
+    };
+  }, []);
+
+  const onReconnect = useCallback((listener: ReconnectListener) => {
+    reconnectListenersRef.current.add(listener);
+    return () => {
+      reconnectListenersRef.current.delete(listener);
+    };
+  }, []);
+
+  const value = { libraryUpdatedAt, dismissLibraryUpdate, subscribe, onReconnect };
+
+  return (
+    <ServerEventsContext.Provider value={value}>{children}</ServerEventsContext.Provider>
+  );
+}
+
+// ============================================================================
+// CUSTOM HOOKS
+// ============================================================================
+
+/**
+ * Call `listener` for each server event of the given type
+ */
+export function useServerEvent<T extends ServerEventType>(
+  type: T,
+  listener: (event: ServerEventOf<T>) => void
+) {
+  const { subscribe } = useContext(ServerEventsContext);
+  const listenerRef = useRef(listener);
+
+  useEffect(() => {
+    listenerRef.current = listener;
+  });
+
+  useEffect(
+    () =>
+      subscribe((event) => {
+        if (event.type === type) listenerRef.current(event as ServerEventOf<T>);
+      }),
+    [subscribe, type]
+  );
+}
+
+/**
+ * Call `listener` when the event stream reconnects, so a page can reload
+ * anything it may have missed while disconnected
+ */
+export function useServerEventsReconnect(listener: () => void) {
+  const { onReconnect } = useContext(ServerEventsContext);
+
+  useEffect(() => onReconnect(listener), [onReconnect, listener]);
+}
+
+/**
+ * When synced library data last changed, for the "library updated" indicator
+ */
+export function useLibraryUpdate() {
+  const { libraryUpdatedAt, dismissLibraryUpdate } = useContext(ServerEventsContext);
+  return { libraryUpdatedAt, dismissLibraryUpdate };
+}
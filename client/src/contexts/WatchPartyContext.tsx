@@ -0,0 +1,283 @@
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import { useNavigate } from "react-router-dom";
+import type {
+  WatchPartyControlBody,
+  WatchPartyState,
+  WatchPartyStreamEvent,
+} from "@peek/shared-types";
+import {
+  createWatchParty,
+  getWatchPartyEventsUrl,
+  leaveWatchParty,
+  sendWatchPartyControl,
+} from "../api";
+import { useAuth } from "../hooks/useAuth";
+import { getEntityPath } from "../utils/entityLinks";
+import { showError, showWarning } from "../utils/toast";
+import { useConfig } from "./ConfigContext";
+import { useScenePlayer } from "./ScenePlayerContext";
+
+/**
+ * Active party for this tab. sessionStorage (not localStorage) so each tab
+ * joins independently and a closed tab doesn't keep following the party.
+ */
+export const WATCH_PARTY_STORAGE_KEY = "watchPartyId";
+
+export type WatchPartyControlEvent = Extract<WatchPartyStreamEvent, { type: "control" }>;
+type ControlListener = (event: WatchPartyControlEvent) => void;
+
+export interface WatchPartyPlayback {
+  position: number;
+  playing: boolean;
+}
+type PlaybackGetter = () => WatchPartyPlayback | null;
+
+interface WatchPartyContextValue {
+  party: WatchPartyState | null;
+  isHost: boolean;
+  /** Random per-tab ID used to ignore our own events when they're relayed back */
+  clientId: string;
+  /** Whether this tab is showing the scene the party is watching */
+  isOnPartyScene: boolean;
+  startParty: () => Promise<void>;
+  leaveParty: () => Promise<void>;
+  sendControl: (body: Omit<WatchPartyControlBody, "clientId">) => void;
+  onControl: (listener: ControlListener) => () => void;
+  /** Let the player report its position/play state (used when starting a party) */
+  registerPlayback: (getter: PlaybackGetter) => () => void;
+  returnToPartyScene: () => void;
+}
+
+const WatchPartyContext = createContext<WatchPartyContextValue | null>(null);
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+/**
+ * Holds the tab's watch party membership and its event stream.
+ * Must be rendered inside ScenePlayerProvider.
+ */
+export function WatchPartyProvider({ children }: { children: React.ReactNode }) {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { hasMultipleInstances } = useConfig();
+  const { scene, playlist, currentIndex } = useScenePlayer();
+
+  const [partyId, setPartyId] = useState<string | null>(() =>
+    sessionStorage.getItem(WATCH_PARTY_STORAGE_KEY)
+  );
+  const [party, setParty] = useState<WatchPartyState | null>(null);
+
+  const clientIdRef = useRef(Math.random().toString(36).slice(2));
+  const listenersRef = useRef(new Set<ControlListener>());
+  const playbackRef = useRef<PlaybackGetter | null>(null);
+  // Scene the host last announced, so it isn't sent twice while the echo is in flight
+  const announcedSceneRef = useRef<string | null>(null);
+
+  const isHost = !!party && party.hostUserId === user?.id;
+  const isOnPartyScene = !!party && !!scene && party.sceneId === scene.id;
+
+  const clearParty = useCallback(() => {
+    sessionStorage.removeItem(WATCH_PARTY_STORAGE_KEY);
+    setPartyId(null);
+    setParty(null);
+    announcedSceneRef.current = null;
+  }, []);
+
+  const goToScene = useCallback(
+    (target: WatchPartyState) => {
+      navigate(
+        getEntityPath(
+          "scene",
+          { id: target.sceneId, instanceId: target.instanceId ?? undefined },
+          hasMultipleInstances
+        )
+      );
+    },
+    [navigate, hasMultipleInstances]
+  );
+
+  // ============================================================================
+  // EVENT STREAM
+  // ============================================================================
+
+  useEffect(() => {
+    if (!partyId) return;
+
+    const source = new EventSource(getWatchPartyEventsUrl(partyId), {
+      withCredentials: true,
+    });
+    const parse = (event: Event) =>
+      JSON.parse((event as MessageEvent<string>).data) as WatchPartyStreamEvent;
+
+    source.addEventListener("state", (event) => {
+      const data = parse(event);
+      if (data.type === "state") setParty(data.party);
+    });
+
+    source.addEventListener("control", (event) => {
+      const data = parse(event);
+      if (data.type !== "control") return;
+      setParty(data.party);
+      listenersRef.current.forEach((listener) => listener(data));
+    });
+
+    const handleClosed = (event: Event) => {
+      const data = parse(event);
+      source.close();
+      clearParty();
+      if (data.type === "removed" || data.type === "ended") {
+        showWarning(data.reason);
+      }
+    };
+    source.addEventListener("removed", handleClosed);
+    source.addEventListener("ended", handleClosed);
+
+    source.onerror = () => {
+      // EventSource retries dropped connections itself; CLOSED means the
+      // server refused the stream (party gone or we're no longer in it)
+      if (source.readyState === EventSource.CLOSED) {
+        clearParty();
+        showError("Lost connection to the watch party");
+      }
+    };
+
+    return () => {
+      source.close();
+    };
+  }, [partyId, clearParty]);
+
+  // ============================================================================
+  // SCENE CHANGES
+  // ============================================================================
+
+  // Host: announce scene changes (manual navigation or playlist advance)
+  useEffect(() => {
+    if (!partyId || !isHost || !party || !scene?.id) return;
+    if (scene.id === party.sceneId || announcedSceneRef.current === scene.id) return;
+
+    announcedSceneRef.current = scene.id;
+    sendWatchPartyControl(partyId, {
+      action: "scene",
+      sceneId: scene.id,
+      instanceId: scene.instanceId ?? null,
+      playlistIndex: playlist ? currentIndex : null,
+      clientId: clientIdRef.current,
+    }).catch((error: unknown) => {
+      announcedSceneRef.current = null;
+      showError(error);
+    });
+  }, [partyId, isHost, party, scene?.id, scene?.instanceId, playlist, currentIndex]);
+
+  // Guests: follow the host to the new scene
+  useEffect(() => {
+    const listeners = listenersRef.current;
+    const listener: ControlListener = (event) => {
+      if (event.action === "scene" && event.party.hostUserId !== user?.id) {
+        goToScene(event.party);
+      }
+    };
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  }, [goToScene, user?.id]);
+
+  // ============================================================================
+  // ACTIONS
+  // ============================================================================
+
+  const startParty = useCallback(async () => {
+    if (!scene?.id) return;
+    const playback = playbackRef.current?.();
+    const { party: created } = await createWatchParty({
+      sceneId: scene.id,
+      instanceId: scene.instanceId ?? null,
+      playlistIndex: playlist ? currentIndex : null,
+      position: playback?.position ?? 0,
+      playing: playback?.playing ?? false,
+    });
+    sessionStorage.setItem(WATCH_PARTY_STORAGE_KEY, created.id);
+    announcedSceneRef.current = created.sceneId;
+    setParty(created);
+    setPartyId(created.id);
+  }, [scene?.id, scene?.instanceId, playlist, currentIndex]);
+
+  const leaveParty = useCallback(async () => {
+    if (!partyId) return;
+    // Close the stream first so the host doesn't get its own "ended" event
+    clearParty();
+    try {
+      await leaveWatchParty(partyId);
+    } catch (error) {
+      console.error("Failed to leave watch party:", error);
+    }
+  }, [partyId, clearParty]);
+
+  const sendControl = useCallback(
+    (body: Omit<WatchPartyControlBody, "clientId">) => {
+      if (!partyId) return;
+      sendWatchPartyControl(partyId, { ...body, clientId: clientIdRef.current }).catch(
+        (error: unknown) => {
+          console.error("Failed to send watch party event:", error);
+        }
+      );
+    },
+    [partyId]
+  );
+
+  const onControl = useCallback((listener: ControlListener) => {
+    listenersRef.current.add(listener);
+    return () => {
+      listenersRef.current.delete(listener);
+    };
+  }, []);
+
+  const registerPlayback = useCallback((getter: PlaybackGetter) => {
+    playbackRef.current = getter;
+    return () => {
+      if (playbackRef.current === getter) playbackRef.current = null;
+    };
+  }, []);
+
+  const returnToPartyScene = useCallback(() => {
+    if (party) goToScene(party);
+  }, [party, goToScene]);
+
+  const value = {
+    party,
+    isHost,
+    clientId: clientIdRef.current,
+    isOnPartyScene,
+    startParty,
+    leaveParty,
+    sendControl,
+    onControl,
+    registerPlayback,
+    returnToPartyScene,
+  };
+
+  return (
+    <WatchPartyContext.Provider value={value}>{children}</WatchPartyContext.Provider>
+  );
+}
+
+// ============================================================================
+// CUSTOM HOOK
+// ============================================================================
+
+/**
+ * Watch party state for the current scene page, or null outside of one
+ */
+// eslint-disable-next-line react-refresh/only-export-components
+export function useWatchParty() {
+  return useContext(WatchPartyContext);
+}
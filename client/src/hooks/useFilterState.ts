@@ -218,8 +218,9 @@ export const useFilterState = ({
       timelinePeriod: state.timelinePeriod,
     });
 
-    // Preserve specific params we don't manage (folderPath from FolderView)
-    const preserveParams = ["folderPath", "instance"];
+    // Preserve specific params we don't manage (folderPath from FolderView,
+    // dir/dirInstance from DirectoryView)
+    const preserveParams = ["folderPath", "dir", "dirInstance", "instance"];
 
     setSearchParams((prev) => {
       // Start with new params
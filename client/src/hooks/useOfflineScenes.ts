@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  getOfflineScene,
+  getOfflineUsage,
+  getSavingProgress,
+  listOfflineScenes,
+  offlineKey,
+  OFFLINE_CHANGE_EVENT,
+  OFFLINE_PROGRESS_EVENT,
+  type OfflineProgress,
+  type OfflineScene,
+  type OfflineUsage,
+} from "../utils/offlineStore";
+
+/**
+ * Hook for the scenes saved for offline viewing and the storage they use.
+ * Refreshes whenever a scene is saved or removed anywhere in the app.
+ *
+ * @returns {Object} Saved scenes, storage usage and loading state
+ */
+export function useOfflineScenes() {
+  const [scenes, setScenes] = useState<OfflineScene[]>([]);
+  const [usage, setUsage] = useState<OfflineUsage | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [list, storage] = await Promise.all([listOfflineScenes(), getOfflineUsage()]);
+      setScenes(list);
+      setUsage(storage);
+    } catch (err) {
+      console.error("Error loading offline scenes:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const handleChange = () => void refresh();
+    window.addEventListener(OFFLINE_CHANGE_EVENT, handleChange);
+    return () => window.removeEventListener(OFFLINE_CHANGE_EVENT, handleChange);
+  }, [refresh]);
+
+  return { scenes, usage, loading, refresh };
+}
+
+/**
+ * Hook for one scene's offline state: whether it's saved, and how far along
+ * the download is while it's being saved.
+ *
+ * @param {string} sceneId - Stash scene ID
+ * @param {string} instanceId - Stash instance the scene belongs to
+ * @returns {Object} saved flag and progress percent (null when not saving)
+ */
+export function useOfflineSceneStatus(sceneId: string | undefined, instanceId: string | null | undefined) {
+  const key = sceneId ? offlineKey(sceneId, instanceId) : null;
+  const [saved, setSaved] = useState(false);
+  const [progress, setProgress] = useState<number | null>(null);
+
+  useEffect(() => {
+    if (!sceneId || !key) return;
+    let cancelled = false;
+
+    const check = () => {
+      getOfflineScene(sceneId, instanceId)
+        .then((entry) => {
+          if (!cancelled) setSaved(entry !== null);
+        })
+        .catch(() => undefined);
+      setProgress(getSavingProgress(key));
+    };
+    const handleProgress = (event: Event) => {
+      const detail = (event as CustomEvent<OfflineProgress>).detail;
+      if (detail.key === key) setProgress(detail.percent);
+    };
+
+    check();
+    window.addEventListener(OFFLINE_CHANGE_EVENT, check);
+    window.addEventListener(OFFLINE_PROGRESS_EVENT, handleProgress);
+    return () => {
+      cancelled = true;
+      window.removeEventListener(OFFLINE_CHANGE_EVENT, check);
+      window.removeEventListener(OFFLINE_PROGRESS_EVENT, handleProgress);
+    };
+  }, [sceneId, instanceId, key]);
+
+  return { saved, progress, key };
+}
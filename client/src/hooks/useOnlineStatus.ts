@@ -0,0 +1,24 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Hook to track whether the browser has a network connection.
+ *
+ * @returns {boolean} false while the browser reports being offline
+ */
+export function useOnlineStatus() {
+  const [isOnline, setIsOnline] = useState(() =>
+    typeof navigator === "undefined" ? true : navigator.onLine
+  );
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  return isOnline;
+}
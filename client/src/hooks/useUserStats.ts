@@ -1,9 +1,9 @@
 /**
- * Hook for fetching user stats via TanStack Query.
+ * Hooks for fetching user stats via TanStack Query.
  */
-import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { keepPreviousData, useQuery, useQueryClient } from "@tanstack/react-query";
 import { useAuth } from "./useAuth";
-import { apiGet } from "../api";
+import { apiGet, userStatsApi, type TimeSeriesOptions, type TrendsOptions } from "../api";
 import { queryKeys } from "../api/queryKeys";
 
 type TopListSortBy = "engagement" | "oCount" | "playCount";
@@ -41,3 +41,46 @@ export function useUserStats({ sortBy = "engagement" }: UseUserStatsOptions = {}
     refresh,
   };
 }
+
+/**
+ * Calendar heatmap, hour/weekday distributions and streaks for a year, or
+ * the last 365 days without one
+ */
+export function useUserActivity(year?: number) {
+  const { isAuthenticated } = useAuth();
+  return useQuery({
+    queryKey: queryKeys.user.statsActivity(year),
+    queryFn: () => userStatsApi.activity(year),
+    enabled: isAuthenticated,
+    placeholderData: keepPreviousData,
+  });
+}
+
+export function useUserStatsTimeSeries(options: TimeSeriesOptions) {
+  const { isAuthenticated } = useAuth();
+  return useQuery({
+    queryKey: queryKeys.user.statsTimeSeries({ ...options }),
+    queryFn: () => userStatsApi.timeSeries(options),
+    enabled: isAuthenticated,
+    placeholderData: keepPreviousData,
+  });
+}
+
+export function useUserStatsTrends(options: TrendsOptions) {
+  const { isAuthenticated } = useAuth();
+  return useQuery({
+    queryKey: queryKeys.user.statsTrends({ ...options }),
+    queryFn: () => userStatsApi.trends(options),
+    enabled: isAuthenticated,
+    placeholderData: keepPreviousData,
+  });
+}
+
+export function useYearInReview(year: number) {
+  const { isAuthenticated } = useAuth();
+  return useQuery({
+    queryKey: queryKeys.user.yearInReview(year),
+    queryFn: () => userStatsApi.yearInReview(year),
+    enabled: isAuthenticated,
+  });
+}
@@ -1,8 +1,13 @@
 import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App";
+import { startOfflineQueue } from "./utils/offlineQueue";
+import { registerServiceWorker } from "./utils/serviceWorker";
 import "./index.css";
 
+registerServiceWorker();
+startOfflineQueue();
+
 createRoot(document.getElementById("root")!).render(
   <StrictMode>
     <App />
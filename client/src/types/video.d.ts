@@ -86,11 +86,14 @@ declare module "videojs-seek-buttons" {
 }
 
 declare module "localforage" {
-  const localForage: {
+  interface LocalForage {
     getItem<T = any>(key: string): Promise<T | null>;
     setItem<T = any>(key: string, value: T): Promise<T>;
     removeItem(key: string): Promise<void>;
+    keys(): Promise<string[]>;
+    createInstance(options: { name?: string; storeName?: string; description?: string }): LocalForage;
     [key: string]: any;
-  };
+  }
+  const localForage: LocalForage;
   export default localForage;
 }
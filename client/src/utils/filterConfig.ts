@@ -2,6 +2,14 @@
  * Sorting and filtering configuration for all entity types
  */
 
+import {
+  countFilterRules,
+  describeFilterRules,
+  isFilterRuleGroup,
+  isVersionedFilterRules,
+  mapFilterRules,
+  type FilterRuleGroup,
+} from "@peek/shared-types";
 import {
   UNITS,
   feetInchesToCm,
@@ -252,6 +260,23 @@ const GROUP_MODIFIER_OPTIONS = [
   { value: "EXCLUDES", label: "NOT in these" },
 ];
 
+// Nested AND/OR/NOT rules, built from the entity's other filters
+const RULE_GROUP_FILTER_OPTIONS = [
+  {
+    type: "section-header",
+    label: "Rule Groups",
+    key: "section-rule-groups",
+    collapsible: true,
+    defaultOpen: false,
+  },
+  {
+    key: "ruleGroup",
+    label: "Rule Groups",
+    type: "rule-group",
+    defaultValue: undefined,
+  },
+];
+
 export const SCENE_FILTER_OPTIONS = [
   // Common Filters
   {
@@ -533,7 +558,7 @@ export const SCENE_FILTER_OPTIONS = [
     min: 0,
     max: 50,
   },
-
+  ...RULE_GROUP_FILTER_OPTIONS,
 ];
 
 export const PERFORMER_FILTER_OPTIONS = [
@@ -782,6 +807,7 @@ export const PERFORMER_FILTER_OPTIONS = [
     defaultValue: "",
     placeholder: "Search details...",
   },
+  ...RULE_GROUP_FILTER_OPTIONS,
 ];
 
 export const STUDIO_FILTER_OPTIONS = [
@@ -883,6 +909,7 @@ export const STUDIO_FILTER_OPTIONS = [
     type: "date-range",
     defaultValue: {},
   },
+  ...RULE_GROUP_FILTER_OPTIONS,
 ];
 
 export const TAG_FILTER_OPTIONS = [
@@ -1013,6 +1040,7 @@ export const TAG_FILTER_OPTIONS = [
     type: "date-range",
     defaultValue: {},
   },
+  ...RULE_GROUP_FILTER_OPTIONS,
 ];
 
 export const GROUP_FILTER_OPTIONS = [
@@ -1157,6 +1185,7 @@ export const GROUP_FILTER_OPTIONS = [
     defaultValue: "",
     placeholder: "Select scene...",
   },
+  ...RULE_GROUP_FILTER_OPTIONS,
 ];
 
 export const GALLERY_FILTER_OPTIONS = [
@@ -1250,6 +1279,7 @@ export const GALLERY_FILTER_OPTIONS = [
     defaultValue: false,
     placeholder: "Has at least one favorited image",
   },
+  ...RULE_GROUP_FILTER_OPTIONS,
 ];
 
 // Image filter options (with gallery-umbrella inheritance)
@@ -1343,6 +1373,7 @@ export const IMAGE_FILTER_OPTIONS = [
     min: 0,
     max: 1000,
   },
+  ...RULE_GROUP_FILTER_OPTIONS,
 ];
 
 // Clip filter options (Peek server API)
@@ -1367,6 +1398,15 @@ export const CLIP_FILTER_OPTIONS = [
     modifierKey: "tagIdsModifier",
     defaultModifier: "INCLUDES",
   },
+  {
+    key: "primaryTagIds",
+    label: "Primary Tag",
+    type: "searchable-select",
+    entityType: "tags",
+    multi: true,
+    defaultValue: [],
+    placeholder: "Filter by primary tag...",
+  },
   {
     key: "sceneTagIds",
     label: "Scene Tags",
@@ -1907,7 +1947,12 @@ export const buildSceneFilter = (filters: Record<string, any>): Record<string, a
     };
   }
 
-  return sceneFilter;
+  // Folder subtree (for directory view)
+  if (filters.folder?.path) {
+    sceneFilter.folder = filters.folder;
+  }
+
+  return withRuleGroup(sceneFilter, filters, SCENE_FILTER_OPTIONS, buildSceneFilter);
 };
 
 /**
@@ -2417,7 +2462,9 @@ export const buildPerformerFilter = (filters: Record<string, any>, unitPreferenc
     };
   }
 
-  return performerFilter;
+  return withRuleGroup(performerFilter, filters, PERFORMER_FILTER_OPTIONS, (filterState) =>
+    buildPerformerFilter(filterState, unitPreference)
+  );
 };
 
 export const buildStudioFilter = (filters: Record<string, any>): Record<string, any> => {
@@ -2589,7 +2636,7 @@ export const buildStudioFilter = (filters: Record<string, any>): Record<string,
     };
   }
 
-  return studioFilter;
+  return withRuleGroup(studioFilter, filters, STUDIO_FILTER_OPTIONS, buildStudioFilter);
 };
 
 export const buildTagFilter = (filters: Record<string, any>): Record<string, any> => {
@@ -2781,7 +2828,7 @@ export const buildTagFilter = (filters: Record<string, any>): Record<string, any
     };
   }
 
-  return tagFilter;
+  return withRuleGroup(tagFilter, filters, TAG_FILTER_OPTIONS, buildTagFilter);
 };
 
 export const buildGroupFilter = (filters: Record<string, any>): Record<string, any> => {
@@ -2961,7 +3008,7 @@ export const buildGroupFilter = (filters: Record<string, any>): Record<string, a
     };
   }
 
-  return groupFilter;
+  return withRuleGroup(groupFilter, filters, GROUP_FILTER_OPTIONS, buildGroupFilter);
 };
 
 export const buildGalleryFilter = (filters: Record<string, any>): Record<string, any> => {
@@ -3082,7 +3129,12 @@ export const buildGalleryFilter = (filters: Record<string, any>): Record<string,
     if (filters.date.end) galleryFilter.date.value2 = filters.date.end;
   }
 
-  return galleryFilter;
+  // Folder subtree (for directory view)
+  if (filters.folder?.path) {
+    galleryFilter.folder = filters.folder;
+  }
+
+  return withRuleGroup(galleryFilter, filters, GALLERY_FILTER_OPTIONS, buildGalleryFilter);
 };
 
 export const buildImageFilter = (filters: Record<string, any>): Record<string, any> => {
@@ -3195,7 +3247,12 @@ export const buildImageFilter = (filters: Record<string, any>): Record<string, a
     if (filters.date.end) imageFilter.date.value2 = filters.date.end;
   }
 
-  return imageFilter;
+  // Folder subtree (for directory view)
+  if (filters.folder?.path) {
+    imageFilter.folder = filters.folder;
+  }
+
+  return withRuleGroup(imageFilter, filters, IMAGE_FILTER_OPTIONS, buildImageFilter);
 };
 
 /**
@@ -3211,6 +3268,11 @@ export const buildClipFilter = (filters: Record<string, any>): Record<string, an
     clipParams.tagIds = filters.tagIds;
   }
 
+  // Primary tag filters (ignores secondary clip tags)
+  if (filters.primaryTagIds && filters.primaryTagIds.length > 0) {
+    clipParams.primaryTagIds = filters.primaryTagIds;
+  }
+
   // Scene tag filters
   if (filters.sceneTagIds && filters.sceneTagIds.length > 0) {
     clipParams.sceneTagIds = filters.sceneTagIds;
@@ -3653,5 +3715,206 @@ const dateRangeFromApi = (dateFilter: Record<string, any> | null | undefined): R
  */
 export const countCarouselRules = (rules: Record<string, any> | null | undefined): number => {
   if (!rules || typeof rules !== "object") return 0;
+  if (isVersionedFilterRules(rules)) return countFilterRules(rules.root);
   return Object.keys(rules).length;
 };
+
+// ============================================================================
+// RULE GROUPS
+// ============================================================================
+
+/** Filter state key holding a browse page's rule group */
+export const RULE_GROUP_FILTER_KEY = "ruleGroup";
+
+/** Filter types that can be used as a rule inside a group */
+const RULE_FILTER_TYPES = new Set([
+  "searchable-select",
+  "range",
+  "checkbox",
+  "select",
+  "text",
+  "date-range",
+]);
+
+// Per-load prefix so ids restored from presets never collide with new ones
+const RULE_ID_PREFIX = Math.random().toString(36).slice(2, 8);
+let ruleIdCounter = 0;
+
+/**
+ * Key for a rule or group in the rule editors
+ */
+export const generateRuleId = () => `rule-${RULE_ID_PREFIX}-${++ruleIdCounter}`;
+
+/**
+ * One rule as edited in the rule editors: a single filter with its value,
+ * modifier and hierarchy depth. Date ranges use { min, max }.
+ */
+export interface FilterRuleEntry {
+  id: string;
+  filterKey: string;
+  value: unknown;
+  modifier?: string;
+  depth?: number;
+}
+
+/**
+ * Filter options that can be used as rules (labelled inputs, no section
+ * headers or unit-specific inputs)
+ */
+export const getRuleFilterDefinitions = (options: FilterOption[]): FilterOption[] =>
+  options.filter((option) => Boolean(option.label) && RULE_FILTER_TYPES.has(option.type));
+
+/**
+ * A new rule for a filter with an empty value and the default modifier
+ */
+export const createFilterRuleEntry = (definition: FilterOption): FilterRuleEntry => ({
+  id: generateRuleId(),
+  filterKey: definition.key,
+  value: definition.type === "checkbox" ? true : definition.multi ? [] : "",
+  modifier: definition.defaultModifier,
+});
+
+/**
+ * Convert one rule to the filter state the entity's build function expects.
+ * Rules for unknown filters give an empty state.
+ */
+export const ruleToFilterState = (
+  rule: FilterRuleEntry,
+  definitions: FilterOption[]
+): Record<string, unknown> => {
+  const def = definitions.find((d) => d.key === rule.filterKey);
+  if (!def) return {};
+
+  const filterState: Record<string, unknown> = {};
+  const modifierKey = def.modifierKey ?? `${def.key}Modifier`;
+
+  switch (def.type) {
+    case "searchable-select":
+      filterState[def.key] = rule.value || (def.multi ? [] : "");
+      if (def.modifierOptions && rule.modifier) {
+        filterState[modifierKey] = rule.modifier;
+      }
+      if (def.supportsHierarchy && rule.depth !== undefined) {
+        filterState[def.hierarchyKey ?? `${def.key}Depth`] = rule.depth;
+      }
+      break;
+
+    case "range":
+      filterState[def.key] = rule.value || {};
+      break;
+
+    case "checkbox":
+      filterState[def.key] = rule.value === true;
+      break;
+
+    case "select":
+      filterState[def.key] = rule.value || "";
+      if (def.modifierOptions && rule.modifier) {
+        filterState[modifierKey] = rule.modifier;
+      }
+      break;
+
+    case "text":
+      filterState[def.key] = rule.value || "";
+      break;
+
+    case "date-range": {
+      // Build functions read { start, end }
+      const range = (rule.value || {}) as { min?: string; max?: string };
+      filterState[def.key] = {
+        ...(range.min && { start: range.min }),
+        ...(range.max && { end: range.max }),
+      };
+      break;
+    }
+  }
+
+  return filterState;
+};
+
+/**
+ * Short label for one rule, in the style of the active filter chips.
+ * Returns an empty string for rules without a value.
+ */
+export const describeFilterRule = (rule: FilterRuleEntry, definitions: FilterOption[]): string => {
+  const def = definitions.find((d) => d.key === rule.filterKey);
+  if (!def) return "";
+
+  const { label, options } = def;
+  const modifier = def.modifierOptions?.find((opt) => opt.value === rule.modifier)?.label;
+  const name = modifier ? `${label} (${modifier.toLowerCase()})` : label;
+  const value = rule.value;
+
+  switch (def.type) {
+    case "checkbox":
+      return value === true ? label ?? "" : "";
+
+    case "searchable-select":
+      if (Array.isArray(value)) {
+        return value.length > 0 ? `${name}: ${value.length} selected` : "";
+      }
+      return value ? `${name}: selected` : "";
+
+    case "select": {
+      if (!value) return "";
+      const selected = options?.find((opt) => opt.value === value);
+      return `${name}: ${selected?.label ?? value}`;
+    }
+
+    case "text":
+      return value ? `${label}: "${value}"` : "";
+
+    case "range": {
+      const range = (value || {}) as { min?: string | number; max?: string | number };
+      const unit = def.valueUnit ? ` ${def.valueUnit}` : "";
+      const hasMin = range.min !== undefined && range.min !== "";
+      const hasMax = range.max !== undefined && range.max !== "";
+      if (hasMin && hasMax) return `${label}: ${range.min} - ${range.max}${unit}`;
+      if (hasMin) return `${label}: ≥ ${range.min}${unit}`;
+      if (hasMax) return `${label}: ≤ ${range.max}${unit}`;
+      return "";
+    }
+
+    case "date-range": {
+      const range = (value || {}) as { min?: string; max?: string };
+      if (range.min && range.max) return `${label}: ${range.min} to ${range.max}`;
+      if (range.min) return `${label}: After ${range.min}`;
+      if (range.max) return `${label}: Before ${range.max}`;
+      return "";
+    }
+
+    default:
+      return "";
+  }
+};
+
+/**
+ * Readable summary of a rule group, e.g.
+ * `Tags (has all of these): 2 selected AND (Rating: ≥ 80 OR Favorite)`
+ */
+export const describeRuleGroup = (
+  group: FilterRuleGroup<FilterRuleEntry>,
+  definitions: FilterOption[]
+): string => describeFilterRules(group, (rule) => describeFilterRule(rule, definitions));
+
+/**
+ * Add the rule group from a browse page's filter state to an API filter as
+ * `filter_group`, converting each rule with the entity's own build function
+ */
+const withRuleGroup = (
+  apiFilter: Record<string, any>,
+  filters: Record<string, any>,
+  options: FilterOption[],
+  build: (filterState: Record<string, any>) => Record<string, any>
+): Record<string, any> => {
+  const group = filters[RULE_GROUP_FILTER_KEY];
+  if (!isFilterRuleGroup(group) || countFilterRules(group) === 0) return apiFilter;
+
+  const definitions = getRuleFilterDefinitions(options);
+  return {
+    ...apiFilter,
+    filter_group: mapFilterRules(group as FilterRuleGroup<FilterRuleEntry>, (rule) =>
+      build(ruleToFilterState(rule, definitions))
+    ),
+  };
+};
@@ -0,0 +1,5 @@
+/** Window event the GlobalSearch omnibox listens for */
+export const OPEN_GLOBAL_SEARCH_EVENT = "openGlobalSearch";
+
+/** Open the global search from anywhere (nav buttons) */
+export const openGlobalSearch = () => window.dispatchEvent(new Event(OPEN_GLOBAL_SEARCH_EVENT));
@@ -0,0 +1,131 @@
+/**
+ * Watch-history calls made without a connection (typically while playing a
+ * scene saved for offline viewing). They're kept in IndexedDB and replayed
+ * in order once the browser is back online, so play time and resume points
+ * still reach the server.
+ *
+ * Each user has their own queue, and only the signed-in user's is replayed,
+ * so one account's history never lands in another's on a shared device.
+ */
+import localForage from "localforage";
+import { ApiError, apiPost } from "../api";
+
+interface QueuedRequest {
+  endpoint: string;
+  body: unknown;
+  queuedAt: string;
+}
+
+const store = localForage.createInstance({
+  name: "peek-sync",
+  storeName: "queue",
+  description: "Requests waiting for a connection",
+});
+const QUEUE_KEY = "pending";
+
+// A day of 10-second activity saves; older entries are dropped first
+const MAX_QUEUED = 10000;
+
+// Set by the auth context; null while signed out
+let currentUserId: number | null = null;
+let flushing: { userId: number; promise: Promise<void> } | null = null;
+
+const queueKey = (userId: number) => `${QUEUE_KEY}:${userId}`;
+
+// Refused for good (bad request, scene gone) rather than for now
+const isRejected = (error: unknown): error is ApiError =>
+  error instanceof ApiError &&
+  error.status >= 400 &&
+  error.status < 500 &&
+  error.status !== 401 &&
+  error.status !== 403;
+
+async function readQueue(userId: number): Promise<QueuedRequest[]> {
+  return (await store.getItem<QueuedRequest[]>(queueKey(userId))) ?? [];
+}
+
+async function enqueue(endpoint: string, body: unknown) {
+  // Nobody to send it as later
+  const userId = currentUserId;
+  if (userId === null) return;
+
+  const queue = await readQueue(userId);
+  queue.push({ endpoint, body, queuedAt: new Date().toISOString() });
+  await store.setItem(queueKey(userId), queue.slice(-MAX_QUEUED));
+}
+
+/**
+ * Switch to the signed-in user's queue (null when signed out) and replay it.
+ * Other users' queues are kept for when they sign in again.
+ */
+export function setOfflineQueueUser(userId: number | null) {
+  if (userId === currentUserId) return;
+  currentUserId = userId;
+  if (userId !== null && navigator.onLine) void flushQueuedRequests();
+}
+
+/**
+ * POST now, or queue for later when there's no connection. Server errors
+ * are thrown as usual; only requests that never reached the server wait.
+ */
+export async function sendOrQueue(endpoint: string, body: unknown): Promise<void> {
+  if (!navigator.onLine) {
+    await enqueue(endpoint, body);
+    return;
+  }
+  try {
+    await apiPost(endpoint, body);
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    await enqueue(endpoint, body);
+  }
+}
+
+/**
+ * Replay the signed-in user's queued requests oldest first. Stops at the
+ * first one that can't be delivered yet (offline again, signed out, server
+ * down) and keeps the rest; requests the server rejects outright are dropped.
+ */
+export function flushQueuedRequests(): Promise<void> {
+  const userId = currentUserId;
+  if (userId === null) return Promise.resolve();
+
+  if (flushing) {
+    // A flush for the previous user finishes first
+    return flushing.userId === userId
+      ? flushing.promise
+      : flushing.promise.then(() => flushQueuedRequests());
+  }
+
+  const promise = (async () => {
+    const queue = await readQueue(userId);
+    let sent = 0;
+    for (const request of queue) {
+      // Signed out or switched account: the session is no longer theirs
+      if (currentUserId !== userId) break;
+      try {
+        await apiPost(request.endpoint, request.body);
+      } catch (error) {
+        if (!isRejected(error)) break;
+        console.warn(`[OfflineQueue] Dropping ${request.endpoint}:`, error.message);
+      }
+      sent++;
+    }
+    if (sent > 0) {
+      // Requests queued while flushing were appended after the ones sent
+      const latest = await readQueue(userId);
+      await store.setItem(queueKey(userId), latest.slice(sent));
+    }
+  })()
+    .catch((error) => console.error("[OfflineQueue] Flush failed:", error))
+    .finally(() => {
+      flushing = null;
+    });
+  flushing = { userId, promise };
+  return promise;
+}
+
+/** Replay whenever the connection comes back; signing in replays too */
+export function startOfflineQueue() {
+  window.addEventListener("online", () => void flushQueuedRequests());
+}
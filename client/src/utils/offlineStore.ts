@@ -0,0 +1,339 @@
+/**
+ * Scenes saved for offline viewing.
+ *
+ * The video is fetched through the regular download pipeline
+ * (POST /downloads/scene/:id, then its file) and kept in IndexedDB next to
+ * the scene as it was loaded, so the scene page and the player work without
+ * a connection. Nothing here expires; the user removes what they no longer
+ * want from the Downloads page.
+ *
+ * Saved scenes belong to the user who saved them: entries are stored under
+ * that user's id and only the signed-in user's are listed or played, so
+ * nobody else on the device gets past their own restrictions with them.
+ */
+import localForage from "localforage";
+import type { NormalizedScene } from "@peek/shared-types";
+import { getDownloadFileUrl, startSceneDownload } from "../api";
+import { formatFileSize } from "./format";
+
+/** Window event fired whenever an offline scene is added or removed */
+export const OFFLINE_CHANGE_EVENT = "peekOfflineChange";
+
+/** Window event with { key, percent } while a scene downloads */
+export const OFFLINE_PROGRESS_EVENT = "peekOfflineProgress";
+
+export interface OfflineScene {
+  key: string;
+  sceneId: string;
+  instanceId: string | null;
+  title: string;
+  /** The scene as the library returned it when saved */
+  scene: NormalizedScene;
+  size: number;
+  mimeType: string;
+  savedAt: string;
+  lastPlayedAt: string | null;
+}
+
+export interface OfflineUsage {
+  count: number;
+  /** Bytes used by saved videos and posters */
+  bytes: number;
+  /** Browser storage estimate for the whole site, when available */
+  quota: number | null;
+  usage: number | null;
+  /** Whether the browser promised not to evict the site's storage */
+  persisted: boolean;
+}
+
+export interface OfflineProgress {
+  key: string;
+  percent: number;
+}
+
+// Entries share one store, told apart by user and prefix
+const store = localForage.createInstance({
+  name: "peek-offline",
+  storeName: "scenes",
+  description: "Scenes saved for offline viewing",
+});
+const META_PREFIX = "meta:";
+const VIDEO_PREFIX = "video:";
+const POSTER_PREFIX = "poster:";
+
+// Space left free beyond the video itself, for the poster and the browser's own bookkeeping
+const SPACE_HEADROOM = 1.05;
+
+// Received chunks are folded into a Blob every so often so browsers can
+// move them out of memory while a long video downloads
+const CHUNK_FLUSH_BYTES = 32 * 1024 * 1024;
+
+// Saves in progress by storage key, so a second request for the same scene joins the first
+const saving = new Map<string, { promise: Promise<OfflineScene>; percent: number }>();
+
+// Set by the auth context; null while signed out
+let currentUserId: number | null = null;
+
+/** Prefix of the signed-in user's entries, or null while signed out */
+const userPrefix = () => (currentUserId === null ? null : `user:${currentUserId}:`);
+
+export const offlineKey = (sceneId: string, instanceId?: string | null) =>
+  `${instanceId ?? ""}:${sceneId}`;
+
+/** IndexedDB can hold video Blobs in every browser Peek supports, but not in private windows of some */
+export const isOfflineSupported = () => typeof indexedDB !== "undefined";
+
+const notifyChange = () => {
+  window.dispatchEvent(new CustomEvent(OFFLINE_CHANGE_EVENT));
+};
+
+/**
+ * Switch to the signed-in user's saved scenes (null when signed out).
+ * Other users' scenes stay stored but can't be listed or played.
+ */
+export function setOfflineStoreUser(userId: number | null) {
+  if (userId === currentUserId) return;
+  currentUserId = userId;
+  notifyChange();
+}
+
+const isQuotaError = (error: unknown) =>
+  error instanceof DOMException &&
+  (error.name === "QuotaExceededError" || error.name === "NS_ERROR_DOM_QUOTA_REACHED");
+
+export async function listOfflineScenes(): Promise<OfflineScene[]> {
+  const prefix = userPrefix();
+  if (!prefix) return [];
+
+  const keys = await store.keys();
+  const entries = await Promise.all(
+    keys
+      .filter((key) => key.startsWith(prefix + META_PREFIX))
+      .map((key) => store.getItem<OfflineScene>(key))
+  );
+  return entries
+    .filter((entry): entry is OfflineScene => entry !== null)
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/** The saved scene, matching any instance when instanceId isn't known */
+export async function getOfflineScene(
+  sceneId: string,
+  instanceId?: string | null
+): Promise<OfflineScene | null> {
+  const prefix = userPrefix();
+  if (!isOfflineSupported() || !prefix) return null;
+  if (instanceId) {
+    return store.getItem<OfflineScene>(prefix + META_PREFIX + offlineKey(sceneId, instanceId));
+  }
+  const scenes = await listOfflineScenes();
+  return scenes.find((entry) => entry.sceneId === sceneId) ?? null;
+}
+
+export async function getOfflineVideo(key: string): Promise<Blob | null> {
+  const prefix = userPrefix();
+  return prefix ? store.getItem<Blob>(prefix + VIDEO_PREFIX + key) : null;
+}
+
+export async function getOfflinePoster(key: string): Promise<Blob | null> {
+  const prefix = userPrefix();
+  return prefix ? store.getItem<Blob>(prefix + POSTER_PREFIX + key) : null;
+}
+
+/** Percent downloaded while the scene is being saved, otherwise null */
+export const getSavingProgress = (key: string): number | null =>
+  saving.get((userPrefix() ?? "") + key)?.percent ?? null;
+
+/** Record a playback so the Downloads page can show what was watched last */
+export async function markOfflinePlayed(key: string): Promise<void> {
+  const prefix = userPrefix();
+  if (!prefix) return;
+  const entry = await store.getItem<OfflineScene>(prefix + META_PREFIX + key);
+  if (!entry) return;
+  await store.setItem(prefix + META_PREFIX + key, { ...entry, lastPlayedAt: new Date().toISOString() });
+}
+
+export async function removeOfflineScene(key: string): Promise<void> {
+  const prefix = userPrefix();
+  if (!prefix) return;
+  await Promise.all([
+    store.removeItem(prefix + META_PREFIX + key),
+    store.removeItem(prefix + VIDEO_PREFIX + key),
+    store.removeItem(prefix + POSTER_PREFIX + key),
+  ]);
+  notifyChange();
+}
+
+export async function getOfflineUsage(): Promise<OfflineUsage> {
+  const scenes = await listOfflineScenes();
+  const posters = await Promise.all(scenes.map((entry) => getOfflinePoster(entry.key)));
+  const bytes =
+    scenes.reduce((sum, entry) => sum + entry.size, 0) +
+    posters.reduce((sum, poster) => sum + (poster?.size ?? 0), 0);
+
+  const estimate = await navigator.storage?.estimate?.().catch(() => null);
+  const persisted = (await navigator.storage?.persisted?.().catch(() => false)) ?? false;
+
+  return {
+    count: scenes.length,
+    bytes,
+    quota: estimate?.quota ?? null,
+    usage: estimate?.usage ?? null,
+    persisted,
+  };
+}
+
+/**
+ * Refuse up front when the browser says there isn't room, rather than
+ * failing after downloading most of a large video.
+ */
+async function ensureSpace(bytes: number) {
+  const estimate = await navigator.storage?.estimate?.().catch(() => null);
+  if (!estimate?.quota || !bytes) return;
+
+  const available = estimate.quota - (estimate.usage ?? 0);
+  if (bytes * SPACE_HEADROOM > available) {
+    throw new Error(
+      `Not enough storage space: needs ${formatFileSize(bytes)}, ${formatFileSize(Math.max(available, 0))} free. ` +
+        "Remove some offline videos and try again."
+    );
+  }
+}
+
+async function readBody(response: Response, expected: number, onProgress?: (percent: number) => void) {
+  const mimeType = response.headers.get("content-type") || "video/mp4";
+  if (!response.body) {
+    return response.blob();
+  }
+
+  const reader = response.body.getReader();
+  const parts: BlobPart[] = [];
+  let pending: BlobPart[] = [];
+  let pendingBytes = 0;
+  let received = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    pending.push(value as BlobPart);
+    pendingBytes += value.byteLength;
+    received += value.byteLength;
+
+    if (pendingBytes >= CHUNK_FLUSH_BYTES) {
+      parts.push(new Blob(pending));
+      pending = [];
+      pendingBytes = 0;
+    }
+    if (expected > 0) {
+      onProgress?.(Math.min(99, Math.floor((received / expected) * 100)));
+    }
+  }
+
+  return new Blob([...parts, ...pending], { type: mimeType });
+}
+
+async function fetchPoster(url: string | null | undefined): Promise<Blob | null> {
+  if (!url) return null;
+  try {
+    const response = await fetch(url, { credentials: "include" });
+    return response.ok ? await response.blob() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Download a scene's video into browser storage. Resolves with the saved
+ * entry, or the existing one when the scene was already saved.
+ * Needs the "Can Download Files" permission, like a regular download.
+ */
+export async function saveSceneOffline(scene: NormalizedScene): Promise<OfflineScene> {
+  if (!isOfflineSupported()) {
+    throw new Error("This browser can't store videos offline");
+  }
+  const prefix = userPrefix();
+  if (!prefix) {
+    throw new Error("Sign in to save videos offline");
+  }
+
+  const key = offlineKey(scene.id, scene.instanceId);
+  const savingKey = prefix + key;
+  const inProgress = saving.get(savingKey);
+  if (inProgress) return inProgress.promise;
+
+  const setProgress = (percent: number) => {
+    const state = saving.get(savingKey);
+    if (!state || state.percent === percent) return;
+    state.percent = percent;
+    window.dispatchEvent(
+      new CustomEvent<OfflineProgress>(OFFLINE_PROGRESS_EVENT, { detail: { key, percent } })
+    );
+  };
+  const promise = downloadScene(scene, prefix, key, setProgress);
+  saving.set(savingKey, { promise, percent: 0 });
+
+  try {
+    return await promise;
+  } finally {
+    // Saved or failed, listeners re-check once the save is no longer in progress
+    saving.delete(savingKey);
+    notifyChange();
+  }
+}
+
+async function downloadScene(
+  scene: NormalizedScene,
+  prefix: string,
+  key: string,
+  onProgress: (percent: number) => void
+): Promise<OfflineScene> {
+  const existing = await store.getItem<OfflineScene>(prefix + META_PREFIX + key);
+  if (existing) return existing;
+
+  const expected = Number(scene.files?.[0]?.size) || 0;
+  await ensureSpace(expected);
+
+  // Ask once; browsers that grant it won't evict offline videos under pressure
+  await navigator.storage?.persist?.().catch(() => false);
+
+  const { download } = await startSceneDownload(scene.id);
+  const response = await fetch(getDownloadFileUrl(download.id), { credentials: "include" });
+  if (!response.ok) {
+    throw new Error(`Download failed (HTTP ${response.status})`);
+  }
+
+  const total = Number(response.headers.get("content-length")) || expected;
+  const video = await readBody(response, total, onProgress);
+  const poster = await fetchPoster(scene.paths?.screenshot);
+
+  const entry: OfflineScene = {
+    key,
+    sceneId: scene.id,
+    instanceId: scene.instanceId ?? null,
+    title: scene.title || scene.files?.[0]?.path?.split(/[\\/]/).pop() || `Scene ${scene.id}`,
+    scene,
+    size: video.size,
+    mimeType: video.type || "video/mp4",
+    savedAt: new Date().toISOString(),
+    lastPlayedAt: null,
+  };
+
+  try {
+    await store.setItem(prefix + VIDEO_PREFIX + key, video);
+    if (poster) await store.setItem(prefix + POSTER_PREFIX + key, poster);
+    // Written last: an entry only exists once its video does
+    await store.setItem(prefix + META_PREFIX + key, entry);
+  } catch (error) {
+    await Promise.all([
+      store.removeItem(prefix + VIDEO_PREFIX + key),
+      store.removeItem(prefix + POSTER_PREFIX + key),
+    ]).catch(() => undefined);
+    if (isQuotaError(error)) {
+      throw new Error("Not enough storage space. Remove some offline videos and try again.");
+    }
+    throw error;
+  }
+
+  onProgress(100);
+  return entry;
+}
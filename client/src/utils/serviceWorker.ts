@@ -0,0 +1,19 @@
+/**
+ * Service worker registration for the installable app and its offline shell.
+ * The worker itself is public/sw.js, served from the site root so its scope
+ * covers every route.
+ */
+
+/**
+ * Register the service worker once the page has loaded. Browsers only
+ * allow it on https:// or localhost; elsewhere this is a no-op.
+ */
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((error) => {
+      console.error("Service worker registration failed:", error);
+    });
+  });
+}
@@ -1,8 +1,13 @@
 /**
  * Utility functions for persisting filter/sort state to URL query parameters
  */
+import {
+  countFilterRules,
+  validateFilterRuleGroup,
+  type FilterRuleGroup,
+} from "@peek/shared-types";
 import { makeCompositeKey } from "./compositeKey";
-import type { FilterOption } from "./filterConfig";
+import { generateRuleId, type FilterOption, type FilterRuleEntry } from "./filterConfig";
 
 interface SearchState {
   searchText: string;
@@ -18,6 +23,19 @@ interface SearchState {
   timelinePeriod: string | null;
 }
 
+/**
+ * Give every rule and group of a tree read from the URL a fresh editor key
+ */
+const assignRuleIds = (group: FilterRuleGroup<FilterRuleEntry>): FilterRuleGroup<FilterRuleEntry> => ({
+  ...group,
+  id: generateRuleId(),
+  children: group.children.map((child) =>
+    child.type === "group"
+      ? assignRuleIds(child)
+      : { type: "rule", filter: { ...child.filter, id: generateRuleId() } }
+  ),
+});
+
 const filtersToUrlParams = (filters: Record<string, unknown>, filterOptions: FilterOption[]) => {
   const params = new URLSearchParams();
 
@@ -77,6 +95,15 @@ const filtersToUrlParams = (filters: Record<string, unknown>, filterOptions: Fil
         if (dateVal?.end) params.set(`${key}_end`, dateVal.end);
         break;
       }
+
+      case "rule-group": {
+        // Serialized as JSON without the editor keys
+        const group = value as FilterRuleGroup<FilterRuleEntry>;
+        if (countFilterRules(group) > 0) {
+          params.set(key, JSON.stringify(group, (k, v) => (k === "id" ? undefined : v)));
+        }
+        break;
+      }
     }
   });
 
@@ -184,6 +211,20 @@ const urlParamsToFilters = (searchParams: URLSearchParams, filterOptions: Filter
         }
         break;
       }
+
+      case "rule-group": {
+        const json = searchParams.get(key);
+        if (!json) break;
+        try {
+          const group = JSON.parse(json);
+          if (validateFilterRuleGroup(group) === null) {
+            filters[key] = assignRuleIds(group);
+          }
+        } catch {
+          // Ignore malformed rule groups
+        }
+        break;
+      }
     }
   });
 
@@ -0,0 +1,114 @@
+/**
+ * Browser side of WebAuthn (security keys and passkeys)
+ *
+ * The server sends options with binary fields base64url-encoded;
+ * navigator.credentials needs ArrayBuffers, and the results go back the
+ * other way.
+ */
+import type {
+  WebAuthnAuthenticationOptionsJSON,
+  WebAuthnAuthenticationResponseJSON,
+  WebAuthnCredentialDescriptorJSON,
+  WebAuthnRegistrationOptionsJSON,
+  WebAuthnRegistrationResponseJSON,
+} from "@peek/shared-types";
+
+function base64urlToBuffer(value: string): ArrayBuffer {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+function bufferToBase64url(buffer: ArrayBuffer): string {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+const toDescriptor = (credential: WebAuthnCredentialDescriptorJSON): PublicKeyCredentialDescriptor => ({
+  id: base64urlToBuffer(credential.id),
+  type: credential.type,
+  transports: credential.transports as AuthenticatorTransport[] | undefined,
+});
+
+/**
+ * Whether this browser can use security keys at all. WebAuthn also needs a
+ * secure context (HTTPS, or localhost).
+ */
+export function isWebAuthnSupported() {
+  return typeof window !== "undefined" && !!window.PublicKeyCredential && window.isSecureContext;
+}
+
+/**
+ * Register a new security key or passkey
+ */
+export async function createWebAuthnCredential(
+  options: WebAuthnRegistrationOptionsJSON
+): Promise<WebAuthnRegistrationResponseJSON> {
+  const credential = (await navigator.credentials.create({
+    publicKey: {
+      ...(options as unknown as PublicKeyCredentialCreationOptions),
+      challenge: base64urlToBuffer(options.challenge),
+      user: { ...options.user, id: base64urlToBuffer(options.user.id) },
+      excludeCredentials: options.excludeCredentials?.map(toDescriptor),
+    },
+  })) as PublicKeyCredential | null;
+  if (!credential) {
+    throw new Error("Security key registration was cancelled");
+  }
+
+  const response = credential.response as AuthenticatorAttestationResponse;
+  return {
+    id: credential.id,
+    rawId: bufferToBase64url(credential.rawId),
+    type: "public-key",
+    response: {
+      clientDataJSON: bufferToBase64url(response.clientDataJSON),
+      attestationObject: bufferToBase64url(response.attestationObject),
+      transports: response.getTransports?.(),
+    },
+    clientExtensionResults: credential.getClientExtensionResults(),
+    authenticatorAttachment: credential.authenticatorAttachment ?? undefined,
+  };
+}
+
+/**
+ * Sign a login challenge with a registered security key or passkey
+ */
+export async function getWebAuthnAssertion(
+  options: WebAuthnAuthenticationOptionsJSON
+): Promise<WebAuthnAuthenticationResponseJSON> {
+  const credential = (await navigator.credentials.get({
+    publicKey: {
+      ...(options as unknown as PublicKeyCredentialRequestOptions),
+      challenge: base64urlToBuffer(options.challenge),
+      allowCredentials: options.allowCredentials?.map(toDescriptor),
+    },
+  })) as PublicKeyCredential | null;
+  if (!credential) {
+    throw new Error("Security key sign-in was cancelled");
+  }
+
+  const response = credential.response as AuthenticatorAssertionResponse;
+  return {
+    id: credential.id,
+    rawId: bufferToBase64url(credential.rawId),
+    type: "public-key",
+    response: {
+      clientDataJSON: bufferToBase64url(response.clientDataJSON),
+      authenticatorData: bufferToBase64url(response.authenticatorData),
+      signature: bufferToBase64url(response.signature),
+      userHandle: response.userHandle ? bufferToBase64url(response.userHandle) : undefined,
+    },
+    clientExtensionResults: credential.getClientExtensionResults(),
+    authenticatorAttachment: credential.authenticatorAttachment ?? undefined,
+  };
+}
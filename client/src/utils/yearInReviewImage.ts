@@ -0,0 +1,150 @@
+/**
+ * Shareable image of a year in review, drawn on a canvas in the current
+ * theme's colors. Names and numbers only, no artwork.
+ */
+import type { GetYearInReviewResponse, YearInReviewItem } from "@peek/shared-types";
+import { formatDurationHumanReadable } from "./format";
+
+const WIDTH = 1080;
+const HEIGHT = 1350;
+const PADDING = 72;
+const MONTHS = ["J", "F", "M", "A", "M", "J", "J", "A", "S", "O", "N", "D"];
+
+/** A theme color from the page's CSS variables */
+const themeColor = (name: string, fallback: string) =>
+  getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+
+/** Shorten text with an ellipsis to fit `maxWidth` */
+function fitText(ctx: CanvasRenderingContext2D, text: string, maxWidth: number) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let shortened = text;
+  while (shortened.length > 1 && ctx.measureText(`${shortened}…`).width > maxWidth) {
+    shortened = shortened.slice(0, -1);
+  }
+  return `${shortened}…`;
+}
+
+/**
+ * Draw the summary and resolve with a PNG
+ */
+export async function renderYearInReviewImage(review: GetYearInReviewResponse): Promise<Blob> {
+  const canvas = document.createElement("canvas");
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error("Canvas is not supported");
+
+  const colors = {
+    background: themeColor("--bg-primary", "#0a0a0b"),
+    card: themeColor("--bg-secondary", "#1a1a1d"),
+    text: themeColor("--text-primary", "#ffffff"),
+    muted: themeColor("--text-muted", "#9ca3af"),
+    accent: themeColor("--accent-primary", "#6366f1"),
+  };
+  const font = (size: number, weight = 400) =>
+    `${weight} ${size}px system-ui, -apple-system, "Segoe UI", sans-serif`;
+
+  ctx.fillStyle = colors.background;
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  // Title
+  ctx.fillStyle = colors.accent;
+  ctx.font = font(40, 600);
+  ctx.fillText("Peek", PADDING, PADDING + 30);
+  ctx.fillStyle = colors.text;
+  ctx.font = font(84, 800);
+  ctx.fillText(`My ${review.year}`, PADDING, PADDING + 130);
+
+  // Headline numbers, two rows of three
+  const { totals } = review;
+  const stats = [
+    { label: "watched", value: formatDurationHumanReadable(totals.watchTime) },
+    { label: "plays", value: totals.playCount.toLocaleString() },
+    { label: "scenes", value: totals.scenesWatched.toLocaleString() },
+    { label: "new scenes", value: totals.newScenes.toLocaleString() },
+    { label: "active days", value: totals.activeDays.toLocaleString() },
+    { label: "longest streak", value: `${review.longestStreak.days}d` },
+  ];
+  const cardWidth = (WIDTH - PADDING * 2 - 32) / 3;
+  stats.forEach((stat, index) => {
+    const x = PADDING + (index % 3) * (cardWidth + 16);
+    const y = PADDING + 190 + Math.floor(index / 3) * 156;
+    ctx.fillStyle = colors.card;
+    ctx.beginPath();
+    ctx.roundRect(x, y, cardWidth, 140, 20);
+    ctx.fill();
+    ctx.fillStyle = colors.text;
+    ctx.font = font(48, 700);
+    ctx.fillText(fitText(ctx, stat.value, cardWidth - 48), x + 24, y + 72);
+    ctx.fillStyle = colors.muted;
+    ctx.font = font(26);
+    ctx.fillText(stat.label, x + 24, y + 114);
+  });
+
+  // Watch time per month
+  const chartTop = PADDING + 530;
+  const chartHeight = 180;
+  const barGap = 12;
+  const barWidth = (WIDTH - PADDING * 2 - barGap * 11) / 12;
+  const maxMonth = Math.max(...review.months.map((month) => month.watchTime), 0);
+  review.months.forEach((month, index) => {
+    const x = PADDING + index * (barWidth + barGap);
+    const height = maxMonth > 0 ? (month.watchTime / maxMonth) * chartHeight : 0;
+    ctx.fillStyle = colors.accent;
+    ctx.beginPath();
+    ctx.roundRect(x, chartTop + chartHeight - height, barWidth, Math.max(height, 4), 6);
+    ctx.fill();
+    ctx.fillStyle = colors.muted;
+    ctx.font = font(24);
+    ctx.textAlign = "center";
+    ctx.fillText(MONTHS[index] ?? "", x + barWidth / 2, chartTop + chartHeight + 36);
+    ctx.textAlign = "left";
+  });
+
+  // Favorites
+  const favorites: [string, YearInReviewItem | undefined][] = [
+    ["Top performer", review.topPerformers[0]],
+    ["Top studio", review.topStudios[0]],
+    ["Top tag", review.topTags[0]],
+    ["Most played", review.topScenes[0]],
+  ];
+  let y = chartTop + chartHeight + 110;
+  for (const [label, item] of favorites) {
+    if (!item) continue;
+    ctx.fillStyle = colors.muted;
+    ctx.font = font(26);
+    ctx.fillText(label, PADDING, y);
+    ctx.fillStyle = colors.text;
+    ctx.font = font(38, 600);
+    ctx.fillText(fitText(ctx, item.name, WIDTH - PADDING * 2), PADDING, y + 46);
+    y += 104;
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Failed to create image"))),
+      "image/png"
+    );
+  });
+}
+
+/**
+ * Open the share sheet with the image where the browser can share files,
+ * otherwise download it
+ */
+export async function shareYearInReviewImage(blob: Blob, year: number): Promise<"shared" | "downloaded"> {
+  const file = new File([blob], `peek-${year}-in-review.png`, { type: "image/png" });
+
+  if (navigator.canShare?.({ files: [file] })) {
+    await navigator.share({ files: [file], title: `My ${year} in Peek` });
+    return "shared";
+  }
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = file.name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  return "downloaded";
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from "vitest";
+import {
+  filterStateToRules,
+  ruleGroupToStoredRules,
+  rulesToFilterState,
+  storedRulesToRuleGroup,
+} from "../../../src/components/carousel-builder/ruleConversion";
+
+describe("ruleConversion", () => {
+  describe("filterStateToRules", () => {
+    it("creates one rule per populated filter", () => {
+      const rules = filterStateToRules({
+        performerIds: ["1", "2"],
+        performerIdsModifier: "INCLUDES_ALL",
+        rating: { min: 80 },
+        favorite: true,
+        title: "",
+      });
+
+      expect(rules.map((r) => r.filterKey)).toEqual(["performerIds", "rating", "favorite"]);
+      expect(rules[0]).toMatchObject({ value: ["1", "2"], modifier: "INCLUDES_ALL" });
+    });
+
+    it("assigns unique rule ids", () => {
+      const rules = filterStateToRules({ favorite: true, rating: { max: 20 } });
+      expect(new Set(rules.map((r) => r.id)).size).toBe(rules.length);
+    });
+
+    it("returns no rules for an empty filter state", () => {
+      expect(filterStateToRules({})).toEqual([]);
+    });
+  });
+
+  describe("rulesToFilterState", () => {
+    it("round-trips rules produced by filterStateToRules", () => {
+      const filterState = {
+        performerIds: ["1"],
+        performerIdsModifier: "INCLUDES",
+        rating: { min: 60, max: 90 },
+        favorite: true,
+      };
+
+      expect(rulesToFilterState(filterStateToRules(filterState))).toEqual(filterState);
+    });
+
+    it("ignores rules for unknown filter keys", () => {
+      expect(
+        rulesToFilterState([{ id: "rule-x", filterKey: "notAFilter", value: 1 }])
+      ).toEqual({});
+    });
+  });
+
+  describe("storedRulesToRuleGroup", () => {
+    it("turns flat stored rules into an AND group of single rules", () => {
+      const group = storedRulesToRuleGroup({
+        favorite: true,
+        rating100: { value: 80, modifier: "GREATER_THAN" },
+      });
+
+      expect(group.operator).toBe("AND");
+      expect(group.children.map((c) => c.type === "rule" && c.filter.filterKey)).toEqual([
+        "favorite",
+        "rating",
+      ]);
+    });
+
+    it("keeps operators and negation of versioned rules", () => {
+      const group = storedRulesToRuleGroup({
+        version: 2,
+        root: {
+          type: "group",
+          operator: "OR",
+          children: [
+            { type: "rule", filter: { favorite: true } },
+            { type: "group", operator: "AND", negate: true, children: [] },
+          ],
+        },
+      });
+
+      expect(group.operator).toBe("OR");
+      expect(group.children[1]).toMatchObject({ type: "group", negate: true });
+    });
+  });
+
+  describe("ruleGroupToStoredRules", () => {
+    it("stores each rule as a scene filter under the current version", () => {
+      const group = storedRulesToRuleGroup({ favorite: true });
+      const stored = ruleGroupToStoredRules({ ...group, operator: "OR" });
+
+      expect(stored.version).toBe(2);
+      expect(stored.root).toMatchObject({
+        type: "group",
+        operator: "OR",
+        children: [{ type: "rule", filter: { favorite: true } }],
+      });
+    });
+  });
+});
@@ -0,0 +1,205 @@
+// client/tests/components/folder/DirectoryView.test.tsx
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { MemoryRouter, useSearchParams } from "react-router-dom";
+import type { FolderListResponse } from "@peek/shared-types";
+
+const mockUseFolders = vi.fn();
+vi.mock("../../../src/api/hooks", () => ({
+  useFolders: (...args: unknown[]) => mockUseFolders(...args),
+}));
+
+import DirectoryView from "../../../src/components/folder/DirectoryView";
+
+// Helper to capture URL search params
+let capturedSearchParams: URLSearchParams | null = null;
+const SearchParamsCapture = ({ children }: { children: React.ReactNode }) => {
+  const [searchParams] = useSearchParams();
+  capturedSearchParams = searchParams;
+  return children;
+};
+
+// Wrapper to provide router context with initial URL
+const createWrapper = (initialEntries = ["/"]) => {
+  return ({ children }: { children: React.ReactNode }) => (
+    <MemoryRouter initialEntries={initialEntries}>
+      <SearchParamsCapture>{children}</SearchParamsCapture>
+    </MemoryRouter>
+  );
+};
+
+// Sample folder listings keyed by "instanceId:path" ("" for the roots)
+const listings: Record<string, Partial<FolderListResponse>> = {
+  "": {
+    breadcrumbs: [],
+    folders: [
+      { name: "/media/videos", path: "/media/videos", instanceId: "inst-1", count: 3 },
+      { name: "/media/other", path: "/media/other", instanceId: "inst-2", count: 1 },
+    ],
+  },
+  "inst-1:/media/videos": {
+    breadcrumbs: [{ name: "/media/videos", path: "/media/videos" }],
+    folders: [{ name: "holiday", path: "/media/videos/holiday", instanceId: "inst-1", count: 2 }],
+  },
+  "inst-1:/media/videos/holiday": {
+    breadcrumbs: [
+      { name: "/media/videos", path: "/media/videos" },
+      { name: "holiday", path: "/media/videos/holiday" },
+    ],
+    folders: [],
+  },
+};
+
+const sampleItems = [{ id: "item1" }, { id: "item2" }];
+
+const renderItem = (item: Record<string, unknown>) => (
+  <div key={item.id as string} data-testid={`item-${item.id}`}>
+    {item.id as string}
+  </div>
+);
+
+const folderCard = (name: string) =>
+  screen.getAllByRole("button").find((btn) => btn.querySelector("h3")?.textContent === name)!;
+
+describe("DirectoryView", () => {
+  beforeEach(() => {
+    capturedSearchParams = null;
+    mockUseFolders.mockReset();
+    mockUseFolders.mockImplementation(
+      (_type: string, folder: { path: string; instanceId: string } | null) => ({
+        data: listings[folder ? `${folder.instanceId}:${folder.path}` : ""],
+        isLoading: false,
+      })
+    );
+  });
+
+  describe("folder navigation", () => {
+    it("lists the library roots without items", () => {
+      render(<DirectoryView type="scene" items={sampleItems} renderItem={renderItem} />, {
+        wrapper: createWrapper(),
+      });
+
+      expect(folderCard("/media/videos")).toBeInTheDocument();
+      expect(folderCard("/media/other")).toBeInTheDocument();
+      expect(screen.queryByTestId("item-item1")).not.toBeInTheDocument();
+    });
+
+    it("opens a folder and resets the page", () => {
+      const onDirectoryChange = vi.fn();
+      render(
+        <DirectoryView
+          type="scene"
+          items={sampleItems}
+          renderItem={renderItem}
+          onDirectoryChange={onDirectoryChange}
+        />,
+        { wrapper: createWrapper(["/?page=4"]) }
+      );
+
+      fireEvent.click(folderCard("/media/videos"));
+
+      expect(capturedSearchParams!.get("dir")).toBe("/media/videos");
+      expect(capturedSearchParams!.get("dirInstance")).toBe("inst-1");
+      expect(capturedSearchParams!.get("page")).toBeNull();
+      expect(onDirectoryChange).toHaveBeenLastCalledWith({ path: "/media/videos", instanceId: "inst-1" });
+
+      // Subfolders first, then the items below the folder
+      expect(folderCard("holiday")).toBeInTheDocument();
+      expect(screen.getByTestId("item-item1")).toBeInTheDocument();
+    });
+
+    it("opens the only library root automatically", () => {
+      mockUseFolders.mockImplementation((_type: string, folder: unknown) => ({
+        data: folder
+          ? listings["inst-1:/media/videos"]
+          : { breadcrumbs: [], folders: [listings[""].folders![0]] },
+        isLoading: false,
+      }));
+
+      render(<DirectoryView type="scene" items={sampleItems} renderItem={renderItem} />, {
+        wrapper: createWrapper(),
+      });
+
+      expect(capturedSearchParams!.get("dir")).toBe("/media/videos");
+      expect(capturedSearchParams!.get("dirInstance")).toBe("inst-1");
+    });
+
+    it("navigates up through the breadcrumbs", () => {
+      render(<DirectoryView type="scene" items={sampleItems} renderItem={renderItem} />, {
+        wrapper: createWrapper(["/?dir=/media/videos/holiday&dirInstance=inst-1&page=2"]),
+      });
+
+      const breadcrumbNav = screen.getByRole("navigation", { name: /folder navigation/i });
+      fireEvent.click(within(breadcrumbNav).getByText("/media/videos"));
+
+      expect(capturedSearchParams!.get("dir")).toBe("/media/videos");
+      expect(capturedSearchParams!.get("dirInstance")).toBe("inst-1");
+      expect(capturedSearchParams!.get("page")).toBeNull();
+
+      fireEvent.click(within(screen.getByRole("navigation", { name: /folder navigation/i })).getByText("All"));
+
+      expect(capturedSearchParams!.get("dir")).toBeNull();
+      expect(capturedSearchParams!.get("dirInstance")).toBeNull();
+    });
+
+    it("shows the empty message when a folder holds nothing", () => {
+      render(
+        <DirectoryView type="scene" items={[]} renderItem={renderItem} emptyMessage="Nothing here" />,
+        { wrapper: createWrapper(["/?dir=/media/videos/holiday&dirInstance=inst-1"]) }
+      );
+
+      expect(screen.getByText("Nothing here")).toBeInTheDocument();
+    });
+  });
+
+  describe("entity types", () => {
+    it.each(["scene", "image", "gallery"] as const)("loads %s folders for the current folder", (type) => {
+      render(<DirectoryView type={type} items={sampleItems} renderItem={renderItem} />, {
+        wrapper: createWrapper(["/?dir=/media/videos&dirInstance=inst-1"]),
+      });
+
+      expect(mockUseFolders).toHaveBeenCalledWith(type, { path: "/media/videos", instanceId: "inst-1" });
+    });
+
+    it("reloads folders when the type changes", () => {
+      const Wrapper = createWrapper();
+      const { rerender } = render(
+        <DirectoryView type="scene" items={sampleItems} renderItem={renderItem} />,
+        { wrapper: Wrapper }
+      );
+      expect(mockUseFolders).toHaveBeenLastCalledWith("scene", null);
+
+      rerender(<DirectoryView type="gallery" items={sampleItems} renderItem={renderItem} />);
+      expect(mockUseFolders).toHaveBeenLastCalledWith("gallery", null);
+    });
+  });
+
+  describe("play all", () => {
+    it("plays the current folder by its name", async () => {
+      const onPlayAll = vi.fn();
+      render(
+        <DirectoryView type="scene" items={sampleItems} renderItem={renderItem} onPlayAll={onPlayAll} />,
+        { wrapper: createWrapper(["/?dir=/media/videos/holiday&dirInstance=inst-1"]) }
+      );
+
+      fireEvent.click(screen.getByText("Play all"));
+
+      await waitFor(() => {
+        expect(onPlayAll).toHaveBeenCalledWith({ path: "/media/videos/holiday", instanceId: "inst-1" }, "holiday");
+      });
+      // The button leaves its loading state once playback has started
+      await waitFor(() => {
+        expect(screen.getByText("Play all").closest("button")).not.toBeDisabled();
+      });
+    });
+
+    it("hides play all at the library roots", () => {
+      render(
+        <DirectoryView type="scene" items={sampleItems} renderItem={renderItem} onPlayAll={vi.fn()} />,
+        { wrapper: createWrapper() }
+      );
+
+      expect(screen.queryByText("Play all")).not.toBeInTheDocument();
+    });
+  });
+});
@@ -69,8 +69,12 @@ vi.mock("@/utils/entityLinks", () => ({
 }));
 vi.mock("@/utils/filterConfig", () => ({
   carouselRulesToFilterState: vi.fn(() => ({})),
+  RULE_GROUP_FILTER_KEY: "ruleGroup",
   SCENE_FILTER_OPTIONS: [],
 }));
+vi.mock("@/components/carousel-builder/ruleConversion", () => ({
+  storedRulesToRuleGroup: vi.fn(),
+}));
 vi.mock("@/utils/urlParams", () => ({
   buildSearchParams: vi.fn(() => new URLSearchParams()),
 }));
@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+
+const mockGetAuthConfig = vi.fn();
+
+vi.mock("../../../src/api", () => ({
+  REDIRECT_STORAGE_KEY: "peek-redirect",
+  getAuthConfig: (...args: unknown[]) => mockGetAuthConfig(...args),
+  getOidcLoginUrl: (returnTo?: string | null) =>
+    returnTo ? `/api/auth/oidc/login?returnTo=${returnTo}` : "/api/auth/oidc/login",
+}));
+
+vi.mock("../../../src/hooks/useAuth", () => ({
+  useAuth: () => ({ login: vi.fn() }),
+}));
+
+vi.mock("../../../src/themes/useTheme", () => ({
+  useTheme: () => ({ theme: null }),
+}));
+
+import Login from "../../../src/components/pages/Login";
+
+const renderPage = (path = "/login") => {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <Login />
+    </MemoryRouter>
+  );
+};
+
+describe("Login", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("shows only the password form when single sign-on is off", async () => {
+    mockGetAuthConfig.mockResolvedValue({
+      passwordLoginEnabled: true,
+      oidc: { enabled: false, buttonLabel: "Sign in with SSO" },
+    });
+    renderPage();
+
+    await waitFor(() => expect(mockGetAuthConfig).toHaveBeenCalled());
+    expect(screen.getByPlaceholderText("Username")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Sign in with SSO" })).not.toBeInTheDocument();
+  });
+
+  it("offers the provider button alongside the password form", async () => {
+    mockGetAuthConfig.mockResolvedValue({
+      passwordLoginEnabled: true,
+      oidc: { enabled: true, buttonLabel: "Sign in with Authentik" },
+    });
+    renderPage();
+
+    expect(
+      await screen.findByRole("button", { name: "Sign in with Authentik" })
+    ).toBeInTheDocument();
+    expect(screen.getByPlaceholderText("Username")).toBeInTheDocument();
+  });
+
+  it("hides the password form when password login is disabled", async () => {
+    mockGetAuthConfig.mockResolvedValue({
+      passwordLoginEnabled: false,
+      oidc: { enabled: true, buttonLabel: "Sign in with SSO" },
+    });
+    renderPage();
+
+    expect(await screen.findByRole("button", { name: "Sign in with SSO" })).toBeInTheDocument();
+    expect(screen.queryByPlaceholderText("Username")).not.toBeInTheDocument();
+    expect(screen.queryByText("Forgot your password?")).not.toBeInTheDocument();
+  });
+
+  it("shows the error returned from a failed single sign-on", async () => {
+    mockGetAuthConfig.mockResolvedValue({
+      passwordLoginEnabled: false,
+      oidc: { enabled: true, buttonLabel: "Sign in with SSO" },
+    });
+    renderPage("/login?oidcError=No%20Peek%20account%20exists");
+
+    await screen.findByRole("button", { name: "Sign in with SSO" });
+    expect(screen.getByText("No Peek account exists")).toBeInTheDocument();
+  });
+});
@@ -299,13 +299,14 @@ describe("CardDisplaySettings", () => {
       const dropdown = screen.getByRole("combobox");
       const options = dropdown.querySelectorAll("option");
 
-      // Scene has grid, wall, table, timeline, folder
-      expect(options.length).toBe(5);
+      // Scene has grid, wall, table, timeline, folder, directory
+      expect(options.length).toBe(6);
       expect(options[0]).toHaveValue("grid");
       expect(options[1]).toHaveValue("wall");
       expect(options[2]).toHaveValue("table");
       expect(options[3]).toHaveValue("timeline");
       expect(options[4]).toHaveValue("folder");
+      expect(options[5]).toHaveValue("directory");
     });
 
     it("calls updateSettings when view mode changes", async () => {
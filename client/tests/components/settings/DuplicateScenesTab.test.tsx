@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import DuplicateScenesTab from "../../../src/components/settings/tabs/DuplicateScenesTab";
+
+vi.mock("../../../src/api", () => ({
+  apiGet: vi.fn(),
+  apiPost: vi.fn(),
+}));
+
+vi.mock("../../../src/utils/toast", () => ({
+  showError: vi.fn(),
+  showSuccess: vi.fn(),
+}));
+
+import { apiGet, apiPost } from "../../../src/api";
+import { showError, showSuccess } from "../../../src/utils/toast";
+
+const mockApiGet = apiGet as ReturnType<typeof vi.fn>;
+const mockApiPost = apiPost as ReturnType<typeof vi.fn>;
+
+const scene = (id: string, instanceId: string, overrides: Record<string, unknown> = {}) => ({
+  id,
+  instanceId,
+  instanceName: instanceId === "inst-a" ? "Main" : "Backup",
+  title: `Scene ${id}`,
+  date: null,
+  duration: 600,
+  path: `/media/${id}.mp4`,
+  width: 1920,
+  height: 1080,
+  frameRate: 30,
+  bitRate: 8000000,
+  videoCodec: "h264",
+  audioCodec: "aac",
+  size: 1000000,
+  userActivityCount: 0,
+  recommended: false,
+  ...overrides,
+});
+
+const crossInstanceGroup = {
+  key: "inst-a:1",
+  match: "exact",
+  distance: 0,
+  scenes: [scene("1", "inst-a", { recommended: true }), scene("2", "inst-b")],
+};
+
+const renderAndScan = async (groups: unknown[] = [crossInstanceGroup]) => {
+  mockApiGet.mockResolvedValue({ groups, totalCount: groups.length });
+  render(
+    <MemoryRouter>
+      <DuplicateScenesTab />
+    </MemoryRouter>
+  );
+  fireEvent.click(screen.getByRole("button", { name: "Find Duplicates" }));
+  await waitFor(() => {
+    expect(screen.getByText(/Found \d+ group/)).toBeInTheDocument();
+  });
+};
+
+const originalConfirm = window.confirm;
+
+describe("DuplicateScenesTab", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    window.confirm = vi.fn(() => true);
+  });
+
+  afterEach(() => {
+    window.confirm = originalConfirm;
+  });
+
+  it("searches with the chosen accuracy", async () => {
+    await renderAndScan();
+
+    expect(mockApiGet).toHaveBeenCalledWith("/admin/duplicate-scenes?distance=4");
+    expect(screen.getByText("Main")).toBeInTheDocument();
+    expect(screen.getByText("Backup")).toBeInTheDocument();
+    expect(screen.getByText("★ Recommended")).toBeInTheDocument();
+  });
+
+  it("keeps the recommended scene by default and removes the group once resolved", async () => {
+    mockApiPost.mockResolvedValue({ mergeRecordsCreated: 2, removed: [], failed: [] });
+    await renderAndScan();
+
+    fireEvent.click(screen.getByRole("button", { name: "Keep Selected" }));
+
+    await waitFor(() => {
+      expect(mockApiPost).toHaveBeenCalledWith("/admin/duplicate-scenes/resolve", {
+        keeper: { id: "1", instanceId: "inst-a" },
+        others: [{ id: "2", instanceId: "inst-b" }],
+        stashAction: "none",
+        deleteFiles: false,
+      });
+    });
+    await waitFor(() => {
+      expect(screen.queryByRole("button", { name: "Keep Selected" })).not.toBeInTheDocument();
+    });
+    expect(showSuccess).toHaveBeenCalledWith("Transferred activity for 2 user record(s)");
+  });
+
+  it("keeps the scene the admin picks and sends the Stash delete choice", async () => {
+    mockApiPost.mockResolvedValue({
+      mergeRecordsCreated: 0,
+      removed: [{ id: "1", instanceId: "inst-a" }],
+      failed: [],
+    });
+    await renderAndScan();
+
+    fireEvent.click(screen.getAllByRole("radio")[1]);
+    fireEvent.change(screen.getByDisplayValue("Leave the other copies in Stash"), {
+      target: { value: "delete" },
+    });
+    fireEvent.click(screen.getByLabelText("Also delete their files"));
+    fireEvent.click(screen.getByRole("button", { name: "Keep Selected" }));
+
+    await waitFor(() => {
+      expect(mockApiPost).toHaveBeenCalledWith("/admin/duplicate-scenes/resolve", {
+        keeper: { id: "2", instanceId: "inst-b" },
+        others: [{ id: "1", instanceId: "inst-a" }],
+        stashAction: "delete",
+        deleteFiles: true,
+      });
+    });
+  });
+
+  it("doesn't offer a Stash merge across instances", async () => {
+    await renderAndScan();
+
+    const merge = screen.getByRole("option", { name: /Merge the other copies/ });
+    expect(merge).toBeDisabled();
+    expect(merge).toHaveTextContent("(same instance only)");
+  });
+
+  it("merges copies from the same instance", async () => {
+    mockApiPost.mockResolvedValue({
+      mergeRecordsCreated: 1,
+      removed: [{ id: "3", instanceId: "inst-a" }],
+      failed: [],
+    });
+    await renderAndScan([
+      { ...crossInstanceGroup, scenes: [scene("1", "inst-a", { recommended: true }), scene("3", "inst-a")] },
+    ]);
+
+    fireEvent.change(screen.getByDisplayValue("Leave the other copies in Stash"), {
+      target: { value: "merge" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Keep Selected" }));
+
+    await waitFor(() => {
+      expect(mockApiPost).toHaveBeenCalledWith(
+        "/admin/duplicate-scenes/resolve",
+        expect.objectContaining({ stashAction: "merge", keeper: { id: "1", instanceId: "inst-a" } })
+      );
+    });
+    await waitFor(() => {
+      expect(showSuccess).toHaveBeenCalledWith("Kept 1 scene, removed 1 from Stash");
+    });
+  });
+
+  it("leaves the group alone when the admin dismisses the confirmation", async () => {
+    window.confirm = vi.fn(() => false);
+    await renderAndScan();
+
+    fireEvent.click(screen.getByRole("button", { name: "Keep Selected" }));
+
+    expect(window.confirm).toHaveBeenCalled();
+    expect(mockApiPost).not.toHaveBeenCalled();
+    expect(screen.getByRole("button", { name: "Keep Selected" })).toBeInTheDocument();
+  });
+
+  it("keeps the group and reports the error when resolving fails", async () => {
+    mockApiPost.mockRejectedValue(new Error("boom"));
+    await renderAndScan();
+
+    fireEvent.click(screen.getByRole("button", { name: "Keep Selected" }));
+
+    await waitFor(() => {
+      expect(showError).toHaveBeenCalledWith("Failed to resolve duplicates");
+    });
+    expect(screen.getByRole("button", { name: "Keep Selected" })).toBeInTheDocument();
+  });
+});
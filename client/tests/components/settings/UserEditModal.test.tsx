@@ -7,6 +7,8 @@
  * - Permission inheritance labels
  * - Current user restrictions
  * - Close/cancel behavior
+ * - API token listing and revocation
+ * - User data export link
  */
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import { render, screen, fireEvent, waitFor } from "@testing-library/react";
@@ -18,12 +20,20 @@ const {
   mockRemoveGroupMember,
   mockGetUserPermissions,
   mockUpdateUserPermissionOverrides,
+  mockAdminGetApiTokens,
+  mockAdminRevokeApiToken,
+  mockAdminGetUserDataExportUrl,
+  mockAdminImportUserData,
 } = vi.hoisted(() => ({
   mockGetUserGroupMemberships: vi.fn(),
   mockAddGroupMember: vi.fn(),
   mockRemoveGroupMember: vi.fn(),
   mockGetUserPermissions: vi.fn(),
   mockUpdateUserPermissionOverrides: vi.fn(),
+  mockAdminGetApiTokens: vi.fn(),
+  mockAdminRevokeApiToken: vi.fn(),
+  mockAdminGetUserDataExportUrl: vi.fn(),
+  mockAdminImportUserData: vi.fn(),
 }));
 
 // Mock API functions
@@ -33,6 +43,12 @@ vi.mock("../../../src/api", () => ({
   removeGroupMember: mockRemoveGroupMember,
   getUserPermissions: mockGetUserPermissions,
   updateUserPermissionOverrides: mockUpdateUserPermissionOverrides,
+  adminGetApiTokens: mockAdminGetApiTokens,
+  adminRevokeApiToken: mockAdminRevokeApiToken,
+  adminGetUserDataExportUrl: mockAdminGetUserDataExportUrl,
+  adminImportUserData: mockAdminImportUserData,
+  getUserDataExportUrl: vi.fn(),
+  importUserData: vi.fn(),
 }));
 
 // Import component after mocks
@@ -71,6 +87,10 @@ describe("UserEditModal", () => {
     vi.clearAllMocks();
     mockGetUserGroupMemberships.mockResolvedValue({ groups: [{ id: 1 }] });
     mockGetUserPermissions.mockResolvedValue({ permissions: mockPermissions });
+    mockAdminGetApiTokens.mockResolvedValue({ tokens: [] });
+    mockAdminGetUserDataExportUrl.mockImplementation(
+      (userId: number) => `/api/user/${userId}/data-export`
+    );
   });
 
   describe("Rendering", () => {
@@ -440,4 +460,94 @@ describe("UserEditModal", () => {
       expect(options[1]).toHaveValue("ADMIN");
     });
   });
+
+  describe("API Tokens Section", () => {
+    const mockToken = {
+      id: 5,
+      name: "Kodi",
+      tokenPrefix: "peek_abcdefg",
+      scopes: ["library:read"],
+      lastUsedAt: null,
+      createdAt: "2026-01-01T00:00:00.000Z",
+    };
+
+    it("lists the user's tokens", async () => {
+      mockAdminGetApiTokens.mockResolvedValue({ tokens: [mockToken] });
+
+      render(
+        <UserEditModal
+          user={mockUser}
+          groups={mockGroups}
+          currentUser={mockCurrentUser}
+          onClose={vi.fn()}
+          onSave={vi.fn()}
+        />
+      );
+
+      await waitFor(() => {
+        expect(screen.getByText("Kodi")).toBeInTheDocument();
+      });
+      expect(mockAdminGetApiTokens).toHaveBeenCalledWith(1);
+      expect(screen.getByText(/library:read/)).toBeInTheDocument();
+    });
+
+    it("revokes a token after confirmation", async () => {
+      mockAdminGetApiTokens.mockResolvedValue({ tokens: [mockToken] });
+      mockAdminRevokeApiToken.mockResolvedValue({ success: true });
+      vi.spyOn(window, "confirm").mockReturnValue(true);
+      const onMessage = vi.fn();
+
+      render(
+        <UserEditModal
+          user={mockUser}
+          groups={mockGroups}
+          currentUser={mockCurrentUser}
+          onClose={vi.fn()}
+          onSave={vi.fn()}
+          onMessage={onMessage}
+        />
+      );
+
+      await waitFor(() => {
+        expect(screen.getByText("Kodi")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText("Revoke"));
+
+      await waitFor(() => {
+        expect(mockAdminRevokeApiToken).toHaveBeenCalledWith(1, 5);
+        expect(screen.queryByText("Kodi")).not.toBeInTheDocument();
+      });
+      expect(onMessage).toHaveBeenCalled();
+    });
+  });
+
+  describe("User Data Section", () => {
+    it("exports the edited user's data", async () => {
+      const originalLocation = window.location;
+      Object.defineProperty(window, "location", {
+        configurable: true,
+        value: { ...originalLocation, href: "" },
+      });
+
+      try {
+        render(
+          <UserEditModal
+            user={mockUser}
+            groups={mockGroups}
+            currentUser={mockCurrentUser}
+            onClose={vi.fn()}
+            onSave={vi.fn()}
+          />
+        );
+
+        fireEvent.click(screen.getByText("Export Data"));
+
+        expect(mockAdminGetUserDataExportUrl).toHaveBeenCalledWith(1);
+        expect(window.location.href).toBe("/api/user/1/data-export");
+      } finally {
+        Object.defineProperty(window, "location", { configurable: true, value: originalLocation });
+      }
+    });
+  });
 });
@@ -4,6 +4,17 @@ import { describe, it, expect, vi, beforeEach } from "vitest";
 import React from "react";
 import { AuthProvider } from "../../src/contexts/AuthContext";
 import { useAuth } from "../../src/hooks/useAuth";
+import { flushQueuedRequests, setOfflineQueueUser } from "../../src/utils/offlineQueue";
+import { setOfflineStoreUser } from "../../src/utils/offlineStore";
+
+vi.mock("../../src/utils/offlineQueue", () => ({
+  flushQueuedRequests: vi.fn(() => Promise.resolve()),
+  setOfflineQueueUser: vi.fn(),
+}));
+
+vi.mock("../../src/utils/offlineStore", () => ({
+  setOfflineStoreUser: vi.fn(),
+}));
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -291,10 +302,37 @@ describe("logout()", () => {
     expect(result.current.isAuthenticated).toBe(false);
     expect(result.current.user).toBeNull();
   });
+
+  // 10. Offline writes and saved scenes follow the signed-in user
+  it("sends queued writes before logging out and detaches the offline stores", async () => {
+    const { result } = renderWithAuth();
+
+    await waitFor(() => {
+      expect(setOfflineStoreUser).toHaveBeenLastCalledWith(mockUser.id);
+    });
+    expect(setOfflineQueueUser).toHaveBeenLastCalledWith(mockUser.id);
+
+    const calls: string[] = [];
+    vi.mocked(flushQueuedRequests).mockImplementationOnce(async () => {
+      calls.push("flush");
+    });
+    globalThis.fetch = vi.fn().mockImplementation((url: string) => {
+      calls.push(url);
+      return okResponse({});
+    });
+
+    await act(async () => {
+      await result.current.logout();
+    });
+
+    expect(calls).toEqual(["flush", "/api/auth/logout"]);
+    expect(setOfflineStoreUser).toHaveBeenLastCalledWith(null);
+    expect(setOfflineQueueUser).toHaveBeenLastCalledWith(null);
+  });
 });
 
 describe("updateUser()", () => {
-  // 10. Partial update merges into existing user
+  // 11. Partial update merges into existing user
   it("merges partial data into existing user", async () => {
     const { result } = renderWithAuth();
 
@@ -314,7 +352,7 @@ describe("updateUser()", () => {
     });
   });
 
-  // 11. Update when user is null returns null
+  // 12. Update when user is null returns null
   it("returns null when user is null (does not crash)", async () => {
     globalThis.fetch = vi.fn().mockImplementation(() => errorResponse(401));
 
@@ -335,7 +373,7 @@ describe("updateUser()", () => {
 });
 
 describe("useAuth hook", () => {
-  // 12. Throws outside provider
+  // 13. Throws outside provider
   it('throws "useAuth must be used within an AuthProvider" outside provider', () => {
     // Suppress React error boundary console output
     const consoleSpy = vi.spyOn(console, "error").mockImplementation(() => {});
@@ -347,7 +385,7 @@ describe("useAuth hook", () => {
     consoleSpy.mockRestore();
   });
 
-  // 13. Returns context inside provider
+  // 14. Returns context inside provider
   it("returns context with all expected properties inside provider", async () => {
     const { result } = renderWithAuth();
 
@@ -365,7 +403,7 @@ describe("useAuth hook", () => {
 });
 
 describe("Context shape", () => {
-  // 14. Provides all expected values with correct types
+  // 15. Provides all expected values with correct types
   it("provides isAuthenticated, isLoading, user, login, logout, updateUser", async () => {
     const { result } = renderWithAuth();
 
@@ -6,8 +6,17 @@ import { describe, it, expect, vi, beforeEach } from "vitest";
 // ---------------------------------------------------------------------------
 
 const mockPost = vi.fn();
-vi.mock("@/api", () => ({
-  apiPost: (...args: unknown[]) => mockPost(...args),
+vi.mock("@/api", async () => {
+  const { ApiError } = await vi.importActual<typeof import("@/api/client")>("@/api/client");
+  return {
+    ApiError,
+    apiPost: (...args: unknown[]) => mockPost(...args),
+  };
+});
+
+const mockGetOfflineScene = vi.fn();
+vi.mock("@/utils/offlineStore", () => ({
+  getOfflineScene: (...args: unknown[]) => mockGetOfflineScene(...args),
 }));
 
 vi.mock("@/contexts/ConfigContext", () => ({
@@ -22,6 +31,7 @@ vi.mock("@/utils/entityLinks", () => ({
 // Imports (after mocks are registered)
 // ---------------------------------------------------------------------------
 
+import { ApiError } from "@/api/client";
 import { useConfig } from "@/contexts/ConfigContext";
 import { getEntityPath } from "@/utils/entityLinks";
 import {
@@ -77,6 +87,8 @@ describe("ScenePlayerContext", () => {
     vi.clearAllMocks();
     // Default: API returns a scene
     mockPost.mockResolvedValue(mockApiResponse());
+    // Default: nothing saved for offline viewing
+    mockGetOfflineScene.mockResolvedValue(null);
     // Suppress console.error from intentional error tests
     vi.spyOn(console, "error").mockImplementation(() => {});
     // Spy on window.history.replaceState
@@ -271,6 +283,43 @@ describe("ScenePlayerContext", () => {
       expect(result.current.sceneError).toBe(networkError);
     });
 
+    it("falls back to the offline copy when the server can't be reached", async () => {
+      const offlineScene = { ...mockScene, title: "Saved Scene", o_counter: 2 };
+      mockPost.mockRejectedValue(new TypeError("Failed to fetch"));
+      mockGetOfflineScene.mockResolvedValue({ sceneId: "scene-42", scene: offlineScene });
+
+      const { result } = renderHook(() => useScenePlayer(), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.sceneLoading).toBe(false);
+      });
+
+      expect(mockGetOfflineScene).toHaveBeenCalledWith("scene-42", "inst-1");
+      expect(result.current.scene).toEqual(offlineScene);
+      expect(result.current.oCounter).toBe(2);
+      expect(result.current.sceneError).toBeNull();
+    });
+
+    it("does not use the offline copy when the server answers with an error", async () => {
+      const apiError = new ApiError("Forbidden", 403);
+      mockPost.mockRejectedValue(apiError);
+      mockGetOfflineScene.mockResolvedValue({ sceneId: "scene-42", scene: mockScene });
+
+      const { result } = renderHook(() => useScenePlayer(), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.sceneLoading).toBe(false);
+      });
+
+      expect(mockGetOfflineScene).not.toHaveBeenCalled();
+      expect(result.current.scene).toBeNull();
+      expect(result.current.sceneError).toBe(apiError);
+    });
+
     it("includes scene_filter with instance_id when instanceId is provided", async () => {
       const { result } = renderHook(() => useScenePlayer(), {
         wrapper: createWrapper({ instanceId: "inst-abc" }),
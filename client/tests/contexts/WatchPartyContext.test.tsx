@@ -0,0 +1,246 @@
+import { renderHook, act } from "@testing-library/react";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+// ---------------------------------------------------------------------------
+// Mocks (must be defined before imports that use them)
+// ---------------------------------------------------------------------------
+
+const mockCreate = vi.fn();
+const mockLeave = vi.fn();
+const mockControl = vi.fn();
+vi.mock("@/api", () => ({
+  createWatchParty: (...args: unknown[]) => mockCreate(...args),
+  leaveWatchParty: (...args: unknown[]) => mockLeave(...args),
+  sendWatchPartyControl: (...args: unknown[]) => mockControl(...args),
+  getWatchPartyEventsUrl: (id: string) => `/api/watch-party/${id}/events`,
+}));
+
+const mockNavigate = vi.fn();
+vi.mock("react-router-dom", () => ({
+  useNavigate: () => mockNavigate,
+}));
+
+const mockUser = { id: 2 };
+vi.mock("@/hooks/useAuth", () => ({
+  useAuth: () => ({ user: mockUser }),
+}));
+
+vi.mock("@/contexts/ConfigContext", () => ({
+  useConfig: () => ({ hasMultipleInstances: false }),
+}));
+
+let mockScenePlayer: Record<string, unknown> = {};
+vi.mock("@/contexts/ScenePlayerContext", () => ({
+  useScenePlayer: () => mockScenePlayer,
+}));
+
+const mockShowWarning = vi.fn();
+vi.mock("@/utils/toast", () => ({
+  showError: vi.fn(),
+  showWarning: (...args: unknown[]) => mockShowWarning(...args),
+}));
+
+// ---------------------------------------------------------------------------
+// Imports (after mocks are registered)
+// ---------------------------------------------------------------------------
+
+import {
+  WATCH_PARTY_STORAGE_KEY,
+  WatchPartyProvider,
+  useWatchParty,
+} from "@/contexts/WatchPartyContext";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+class MockEventSource {
+  static CLOSED = 2;
+  static instances: MockEventSource[] = [];
+
+  url: string;
+  readyState = 1;
+  closed = false;
+  onerror: (() => void) | null = null;
+  private listeners = new Map<string, (event: MessageEvent) => void>();
+
+  constructor(url: string) {
+    this.url = url;
+    MockEventSource.instances.push(this);
+  }
+
+  addEventListener(type: string, listener: (event: MessageEvent) => void) {
+    this.listeners.set(type, listener);
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  emit(data: { type: string } & Record<string, unknown>) {
+    this.listeners.get(data.type)?.({ data: JSON.stringify(data) } as MessageEvent);
+  }
+}
+
+const makeParty = (overrides = {}) => ({
+  id: "party-1",
+  hostUserId: 1,
+  sceneId: "scene-1",
+  instanceId: "inst-1",
+  playlistIndex: null,
+  playing: false,
+  position: 0,
+  positionUpdatedAt: 0,
+  participants: [],
+  createdAt: "2026-01-01T00:00:00.000Z",
+  ...overrides,
+});
+
+const wrapper = ({ children }: { children: React.ReactNode }) => (
+  <WatchPartyProvider>{children}</WatchPartyProvider>
+);
+
+const latestSource = () => MockEventSource.instances.at(-1)!;
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe("WatchPartyContext", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sessionStorage.clear();
+    MockEventSource.instances = [];
+    vi.stubGlobal("EventSource", MockEventSource);
+    mockScenePlayer = {
+      scene: { id: "scene-1", instanceId: "inst-1" },
+      playlist: null,
+      currentIndex: 0,
+    };
+    mockControl.mockResolvedValue({ party: makeParty() });
+    mockLeave.mockResolvedValue({ success: true, ended: false });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("returns null outside of a provider", () => {
+    const { result } = renderHook(() => useWatchParty());
+    expect(result.current).toBeNull();
+  });
+
+  it("does not open a stream when the tab is not in a party", () => {
+    const { result } = renderHook(() => useWatchParty(), { wrapper });
+
+    expect(result.current?.party).toBeNull();
+    expect(MockEventSource.instances).toHaveLength(0);
+  });
+
+  it("connects to the party stored for this tab and follows its state", () => {
+    sessionStorage.setItem(WATCH_PARTY_STORAGE_KEY, "party-1");
+    const { result } = renderHook(() => useWatchParty(), { wrapper });
+
+    expect(latestSource().url).toBe("/api/watch-party/party-1/events");
+
+    act(() => {
+      latestSource().emit({ type: "state", party: makeParty() });
+    });
+
+    expect(result.current?.party?.id).toBe("party-1");
+    expect(result.current?.isHost).toBe(false);
+    expect(result.current?.isOnPartyScene).toBe(true);
+  });
+
+  it("starts a party from the current scene and playback position", async () => {
+    mockUser.id = 1;
+    mockCreate.mockResolvedValue({ party: makeParty({ position: 30 }) });
+    const { result } = renderHook(() => useWatchParty(), { wrapper });
+
+    act(() => {
+      result.current?.registerPlayback(() => ({ position: 30, playing: true }));
+    });
+    await act(async () => {
+      await result.current?.startParty();
+    });
+
+    expect(mockCreate).toHaveBeenCalledWith({
+      sceneId: "scene-1",
+      instanceId: "inst-1",
+      playlistIndex: null,
+      position: 30,
+      playing: true,
+    });
+    expect(sessionStorage.getItem(WATCH_PARTY_STORAGE_KEY)).toBe("party-1");
+    expect(result.current?.isHost).toBe(true);
+    mockUser.id = 2;
+  });
+
+  it("sends control events tagged with this tab's clientId", () => {
+    sessionStorage.setItem(WATCH_PARTY_STORAGE_KEY, "party-1");
+    const { result } = renderHook(() => useWatchParty(), { wrapper });
+
+    act(() => {
+      result.current?.sendControl({ action: "seek", position: 12 });
+    });
+
+    expect(mockControl).toHaveBeenCalledWith("party-1", {
+      action: "seek",
+      position: 12,
+      clientId: result.current?.clientId,
+    });
+  });
+
+  it("navigates guests to the new scene when the host changes it", () => {
+    sessionStorage.setItem(WATCH_PARTY_STORAGE_KEY, "party-1");
+    renderHook(() => useWatchParty(), { wrapper });
+
+    act(() => {
+      latestSource().emit({
+        type: "control",
+        action: "scene",
+        fromUserId: 1,
+        clientId: "host-tab",
+        party: makeParty({ sceneId: "scene-2" }),
+      });
+    });
+
+    expect(mockNavigate).toHaveBeenCalledWith("/scene/scene-2");
+  });
+
+  it("leaves the party when removed by the server", () => {
+    sessionStorage.setItem(WATCH_PARTY_STORAGE_KEY, "party-1");
+    const { result } = renderHook(() => useWatchParty(), { wrapper });
+
+    act(() => {
+      latestSource().emit({ type: "state", party: makeParty() });
+    });
+    act(() => {
+      latestSource().emit({
+        type: "removed",
+        reason: "The party moved to a scene that isn't available for your account",
+      });
+    });
+
+    expect(latestSource().closed).toBe(true);
+    expect(result.current?.party).toBeNull();
+    expect(sessionStorage.getItem(WATCH_PARTY_STORAGE_KEY)).toBeNull();
+    expect(mockShowWarning).toHaveBeenCalledWith(
+      "The party moved to a scene that isn't available for your account"
+    );
+  });
+
+  it("closes the stream before telling the server it left", async () => {
+    sessionStorage.setItem(WATCH_PARTY_STORAGE_KEY, "party-1");
+    const { result } = renderHook(() => useWatchParty(), { wrapper });
+    const source = latestSource();
+
+    await act(async () => {
+      await result.current?.leaveParty();
+    });
+
+    expect(source.closed).toBe(true);
+    expect(mockLeave).toHaveBeenCalledWith("party-1");
+    expect(result.current?.party).toBeNull();
+  });
+});
@@ -10,6 +10,10 @@ import {
   buildGalleryFilter,
   buildImageFilter,
   buildPerformerFilter,
+  describeRuleGroup,
+  getRuleFilterDefinitions,
+  ruleToFilterState,
+  SCENE_FILTER_OPTIONS,
 } from "../../src/utils/filterConfig";
 
 describe("buildSceneFilter", () => {
@@ -962,3 +966,71 @@ describe("buildPerformerFilter", () => {
     });
   });
 });
+
+describe("rule groups", () => {
+  const definitions = getRuleFilterDefinitions(SCENE_FILTER_OPTIONS);
+  const rule = (filterKey: string, value: unknown, modifier?: string) => ({
+    type: "rule" as const,
+    filter: { id: `rule-${filterKey}`, filterKey, value, modifier },
+  });
+
+  it("offers labelled inputs only", () => {
+    const types = new Set(definitions.map((d) => d.type));
+    expect(types.has("section-header")).toBe(false);
+    expect(types.has("rule-group")).toBe(false);
+    expect(definitions.some((d) => d.key === "tagIds")).toBe(true);
+  });
+
+  it("converts date rules to the start/end state build functions read", () => {
+    expect(ruleToFilterState(rule("date", { min: "2024-01-01" }).filter, definitions)).toEqual({
+      date: { start: "2024-01-01" },
+    });
+  });
+
+  it("adds the rule group to the scene filter as filter_group", () => {
+    const result = buildSceneFilter({
+      favorite: true,
+      ruleGroup: {
+        type: "group",
+        operator: "OR",
+        negate: true,
+        children: [rule("rating", { min: 80 }), rule("tagIds", ["1"], "INCLUDES")],
+      },
+    });
+
+    expect(result.favorite).toBe(true);
+    expect(result.filter_group).toEqual({
+      type: "group",
+      operator: "OR",
+      negate: true,
+      children: [
+        { type: "rule", filter: buildSceneFilter({ rating: { min: 80 } }) },
+        { type: "rule", filter: buildSceneFilter({ tagIds: ["1"], tagIdsModifier: "INCLUDES" }) },
+      ],
+    });
+  });
+
+  it("leaves out rule groups without rules", () => {
+    const result = buildSceneFilter({ ruleGroup: { type: "group", operator: "AND", children: [] } });
+    expect(result.filter_group).toBeUndefined();
+  });
+
+  it("describes a rule group", () => {
+    const group = {
+      type: "group" as const,
+      operator: "AND" as const,
+      children: [
+        rule("favorite", true),
+        {
+          type: "group" as const,
+          operator: "OR" as const,
+          children: [rule("rating", { min: 80 }), rule("title", "beach")],
+        },
+      ],
+    };
+
+    expect(describeRuleGroup(group, definitions)).toBe(
+      'Favorite Scenes AND (Rating (0-100): ≥ 80 OR Title Search: "beach")'
+    );
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+const { mockPost, storage, MockApiError } = vi.hoisted(() => {
+  class MockApiError extends Error {
+    status: number;
+    constructor(message: string, status: number) {
+      super(message);
+      this.status = status;
+    }
+  }
+  return {
+    mockPost: vi.fn(),
+    storage: new Map<string, unknown>(),
+    MockApiError,
+  };
+});
+
+vi.mock("../../src/api", () => ({
+  apiPost: (...args: unknown[]) => mockPost(...args),
+  ApiError: MockApiError,
+}));
+
+// In-memory stand-in for IndexedDB
+vi.mock("localforage", () => ({
+  default: {
+    createInstance: () => ({
+      getItem: async (key: string) => storage.get(key) ?? null,
+      setItem: async (key: string, value: unknown) => {
+        storage.set(key, structuredClone(value));
+        return value;
+      },
+      removeItem: async (key: string) => {
+        storage.delete(key);
+      },
+    }),
+  },
+}));
+
+import {
+  flushQueuedRequests,
+  sendOrQueue,
+  setOfflineQueueUser,
+} from "../../src/utils/offlineQueue";
+
+const setOnline = (online: boolean) => {
+  vi.spyOn(navigator, "onLine", "get").mockReturnValue(online);
+};
+
+const queued = (userId = 1) =>
+  ((storage.get(`pending:${userId}`) as Array<{ endpoint: string; body: unknown }>) ?? []).map(
+    (request) => request.body,
+  );
+
+describe("offlineQueue", () => {
+  beforeEach(() => {
+    storage.clear();
+    mockPost.mockReset();
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    setOfflineQueueUser(null);
+    setOfflineQueueUser(1);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("sendOrQueue", () => {
+    it("posts straight away when online", async () => {
+      setOnline(true);
+      mockPost.mockResolvedValue({});
+
+      await sendOrQueue("/watch-history/save-activity", { sceneId: "1" });
+
+      expect(mockPost).toHaveBeenCalledWith("/watch-history/save-activity", { sceneId: "1" });
+      expect(queued()).toEqual([]);
+    });
+
+    it("queues without trying when the browser is offline", async () => {
+      setOnline(false);
+
+      await sendOrQueue("/watch-history/save-activity", { sceneId: "1" });
+
+      expect(mockPost).not.toHaveBeenCalled();
+      expect(queued()).toEqual([{ sceneId: "1" }]);
+    });
+
+    it("queues when the request never reaches the server", async () => {
+      setOnline(true);
+      mockPost.mockRejectedValue(new TypeError("Failed to fetch"));
+
+      await sendOrQueue("/watch-history/increment-play-count", { sceneId: "2" });
+
+      expect(queued()).toEqual([{ sceneId: "2" }]);
+    });
+
+    it("throws server errors instead of queueing", async () => {
+      setOnline(true);
+      mockPost.mockRejectedValue(new MockApiError("boom", 500));
+
+      await expect(
+        sendOrQueue("/watch-history/save-activity", { sceneId: "1" }),
+      ).rejects.toThrow("boom");
+      expect(queued()).toEqual([]);
+    });
+  });
+
+  describe("flushQueuedRequests", () => {
+    beforeEach(async () => {
+      setOnline(false);
+      await sendOrQueue("/watch-history/save-activity", { n: 1 });
+      await sendOrQueue("/watch-history/save-activity", { n: 2 });
+      await sendOrQueue("/watch-history/save-activity", { n: 3 });
+      setOnline(true);
+    });
+
+    it("replays queued requests in order and empties the queue", async () => {
+      mockPost.mockResolvedValue({});
+
+      await flushQueuedRequests();
+
+      expect(mockPost.mock.calls.map((call) => call[1])).toEqual([{ n: 1 }, { n: 2 }, { n: 3 }]);
+      expect(queued()).toEqual([]);
+    });
+
+    it("stops at a request that can't be delivered yet and keeps the rest", async () => {
+      mockPost
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new TypeError("Failed to fetch"));
+
+      await flushQueuedRequests();
+
+      expect(mockPost).toHaveBeenCalledTimes(2);
+      expect(queued()).toEqual([{ n: 2 }, { n: 3 }]);
+    });
+
+    it("keeps requests while signed out", async () => {
+      mockPost.mockRejectedValue(new MockApiError("Unauthorized", 401));
+
+      await flushQueuedRequests();
+
+      expect(queued()).toEqual([{ n: 1 }, { n: 2 }, { n: 3 }]);
+    });
+
+    it("drops requests the server rejects outright", async () => {
+      mockPost
+        .mockRejectedValueOnce(new MockApiError("Scene not found", 404))
+        .mockResolvedValue({});
+
+      await flushQueuedRequests();
+
+      expect(mockPost).toHaveBeenCalledTimes(3);
+      expect(queued()).toEqual([]);
+    });
+  });
+
+  describe("per-user queues", () => {
+    it("doesn't replay one user's requests for the next user to sign in", async () => {
+      setOnline(false);
+      await sendOrQueue("/watch-history/save-activity", { n: 1 });
+      setOfflineQueueUser(null);
+
+      setOnline(true);
+      mockPost.mockResolvedValue({});
+      setOfflineQueueUser(2);
+      await flushQueuedRequests();
+
+      expect(mockPost).not.toHaveBeenCalled();
+      expect(queued(1)).toEqual([{ n: 1 }]);
+      expect(queued(2)).toEqual([]);
+    });
+
+    it("replays a user's requests when they sign in again", async () => {
+      setOnline(false);
+      await sendOrQueue("/watch-history/save-activity", { n: 1 });
+      setOfflineQueueUser(null);
+
+      setOnline(true);
+      mockPost.mockResolvedValue({});
+      setOfflineQueueUser(1);
+      await flushQueuedRequests();
+
+      expect(mockPost).toHaveBeenCalledWith("/watch-history/save-activity", { n: 1 });
+      expect(queued(1)).toEqual([]);
+    });
+
+    it("stops replaying when the user signs out mid-flush", async () => {
+      setOnline(false);
+      await sendOrQueue("/watch-history/save-activity", { n: 1 });
+      await sendOrQueue("/watch-history/save-activity", { n: 2 });
+
+      setOnline(true);
+      mockPost.mockImplementationOnce(async () => {
+        setOfflineQueueUser(null);
+        return {};
+      });
+      await flushQueuedRequests();
+
+      expect(mockPost).toHaveBeenCalledTimes(1);
+      expect(queued(1)).toEqual([{ n: 2 }]);
+    });
+
+    it("doesn't queue while signed out", async () => {
+      setOfflineQueueUser(null);
+      setOnline(false);
+
+      await sendOrQueue("/watch-history/save-activity", { n: 1 });
+
+      expect([...storage.keys()]).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+const { storage } = vi.hoisted(() => ({ storage: new Map<string, unknown>() }));
+
+vi.mock("../../src/api", () => ({
+  getDownloadFileUrl: vi.fn(),
+  startSceneDownload: vi.fn(),
+}));
+
+// In-memory stand-in for IndexedDB
+vi.mock("localforage", () => ({
+  default: {
+    createInstance: () => ({
+      keys: async () => [...storage.keys()],
+      getItem: async (key: string) => storage.get(key) ?? null,
+      setItem: async (key: string, value: unknown) => {
+        storage.set(key, value);
+        return value;
+      },
+      removeItem: async (key: string) => {
+        storage.delete(key);
+      },
+    }),
+  },
+}));
+
+import type { NormalizedScene } from "@peek/shared-types";
+import {
+  getOfflineScene,
+  getOfflineVideo,
+  listOfflineScenes,
+  removeOfflineScene,
+  saveSceneOffline,
+  setOfflineStoreUser,
+} from "../../src/utils/offlineStore";
+
+const saveFor = (userId: number, sceneId: string) => {
+  const key = `inst-1:${sceneId}`;
+  storage.set(`user:${userId}:meta:${key}`, {
+    key,
+    sceneId,
+    instanceId: "inst-1",
+    title: `Scene ${sceneId}`,
+    scene: { id: sceneId },
+    size: 4,
+    mimeType: "video/mp4",
+    savedAt: "2026-01-01T00:00:00.000Z",
+    lastPlayedAt: null,
+  });
+  storage.set(`user:${userId}:video:${key}`, new Blob(["data"]));
+  return key;
+};
+
+describe("offlineStore", () => {
+  beforeEach(() => {
+    storage.clear();
+    vi.stubGlobal("indexedDB", {});
+    setOfflineStoreUser(null);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("lists and plays only the signed-in user's scenes", async () => {
+    const key = saveFor(1, "5");
+    saveFor(2, "6");
+
+    setOfflineStoreUser(1);
+    expect((await listOfflineScenes()).map((entry) => entry.sceneId)).toEqual(["5"]);
+    expect(await getOfflineScene("5")).not.toBeNull();
+    expect(await getOfflineVideo(key)).not.toBeNull();
+    expect(await getOfflineScene("6")).toBeNull();
+  });
+
+  it("hides a user's scenes from the next user to sign in", async () => {
+    const key = saveFor(1, "5");
+
+    setOfflineStoreUser(2);
+    expect(await listOfflineScenes()).toEqual([]);
+    expect(await getOfflineScene("5")).toBeNull();
+    expect(await getOfflineScene("5", "inst-1")).toBeNull();
+    expect(await getOfflineVideo(key)).toBeNull();
+  });
+
+  it("offers nothing while signed out", async () => {
+    saveFor(1, "5");
+
+    expect(await listOfflineScenes()).toEqual([]);
+    expect(await getOfflineScene("5")).toBeNull();
+    await expect(saveSceneOffline({ id: "5" } as NormalizedScene)).rejects.toThrow(
+      "Sign in to save videos offline",
+    );
+  });
+
+  it("removes only the signed-in user's copy", async () => {
+    const key = saveFor(1, "5");
+    saveFor(2, "5");
+
+    setOfflineStoreUser(2);
+    await removeOfflineScene(key);
+
+    expect(storage.has(`user:2:meta:${key}`)).toBe(false);
+    expect(storage.has(`user:1:meta:${key}`)).toBe(true);
+  });
+
+  it("tells listeners to reload when the user changes", () => {
+    const listener = vi.fn();
+    window.addEventListener("peekOfflineChange", listener);
+
+    setOfflineStoreUser(1);
+    setOfflineStoreUser(1);
+    setOfflineStoreUser(null);
+
+    window.removeEventListener("peekOfflineChange", listener);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+});
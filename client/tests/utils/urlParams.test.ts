@@ -526,3 +526,60 @@ describe("composite key round-tripping", () => {
     expect(multiResult.filters.tagIds).toEqual(["82", "15"]);
   });
 });
+
+describe("rule group params", () => {
+  const ruleGroupOptions = [{ key: "ruleGroup", type: "rule-group" }];
+  const group = {
+    type: "group",
+    operator: "OR",
+    id: "rule-a",
+    children: [
+      { type: "rule", filter: { id: "rule-b", filterKey: "favorite", value: true } },
+      {
+        type: "group",
+        operator: "AND",
+        negate: true,
+        id: "rule-c",
+        children: [{ type: "rule", filter: { id: "rule-d", filterKey: "tagIds", value: ["1"] } }],
+      },
+    ],
+  };
+
+  it("round-trips a rule group as JSON with fresh editor ids", () => {
+    const params = buildSearchParams({
+      searchText: "",
+      sortField: "",
+      sortDirection: "",
+      currentPage: 1,
+      perPage: 24,
+      filters: { ruleGroup: group },
+      filterOptions: ruleGroupOptions,
+    });
+
+    expect(params.get("ruleGroup")).not.toContain("rule-a");
+
+    const result = parseSearchParams(params, ruleGroupOptions);
+    const parsed = result.filters.ruleGroup as typeof group;
+    expect(parsed.operator).toBe("OR");
+    expect(parsed.children[0]).toMatchObject({ filter: { filterKey: "favorite", value: true } });
+    expect(parsed.children[1]).toMatchObject({ operator: "AND", negate: true });
+    expect(parsed.id).toEqual(expect.any(String));
+    expect(parsed.id).not.toBe("rule-a");
+  });
+
+  it("skips empty and malformed rule groups", () => {
+    const params = buildSearchParams({
+      searchText: "",
+      sortField: "",
+      sortDirection: "",
+      currentPage: 1,
+      perPage: 24,
+      filters: { ruleGroup: { type: "group", operator: "AND", children: [] } },
+      filterOptions: ruleGroupOptions,
+    });
+    expect(params.has("ruleGroup")).toBe(false);
+
+    const malformed = new URLSearchParams(`ruleGroup=${encodeURIComponent('{"type":"group"')}`);
+    expect(parseSearchParams(malformed, ruleGroupOptions).filters.ruleGroup).toBeUndefined();
+  });
+});
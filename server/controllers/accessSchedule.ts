@@ -0,0 +1,227 @@
+/**
+ * Access Schedule Controller
+ *
+ * Lets users see whether their access schedule lets them in, and lets admins
+ * set a user's own schedule or lift it for a while. Group schedules are
+ * managed with the rest of the group in controllers/groups.ts.
+ */
+import { Prisma } from "@prisma/client";
+import prisma from "../prisma/singleton.js";
+import {
+  accessScheduleService,
+  parseAccessSchedule,
+  readAccessSchedule,
+} from "../services/AccessScheduleService.js";
+import { auditLogService, type AuditTarget } from "../services/AuditLogService.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import type {
+  AccessSchedule,
+  GetAccessStatusResponse,
+  GetUserAccessScheduleParams,
+  GetUserAccessScheduleResponse,
+  UpdateUserAccessOverrideBody,
+  UpdateUserAccessResponse,
+  UpdateUserAccessScheduleBody,
+} from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+
+/** Longest an admin can lift a user's schedule for */
+const MAX_OVERRIDE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const userTarget = (user: { id: number; username: string }): AuditTarget => ({
+  type: "user",
+  id: user.id,
+  label: user.username,
+});
+
+const toJsonSchedule = (schedule: AccessSchedule | null) =>
+  schedule === null ? Prisma.DbNull : (schedule as unknown as Prisma.InputJsonValue);
+
+const parseUserId = (value: string): number | null => {
+  const userId = parseInt(value, 10);
+  return isNaN(userId) ? null : userId;
+};
+
+/**
+ * GET /api/auth/access
+ * Whether the current user may use Peek right now, and until when.
+ * Reachable while their schedule keeps them out.
+ */
+export const getAccessStatus = async (
+  req: TypedAuthRequest,
+  res: TypedResponse<GetAccessStatusResponse | ApiErrorResponse>
+) => {
+  try {
+    res.json({ access: await accessScheduleService.getStatus(req.user.id) });
+  } catch (error) {
+    logger.error("Error getting access status", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to get access status" });
+  }
+};
+
+/**
+ * GET /api/user/:userId/access-schedule (admin only)
+ * The user's own schedule, their groups' schedules and where that leaves them
+ */
+export const getUserAccessSchedule = async (
+  req: TypedAuthRequest<never, GetUserAccessScheduleParams>,
+  res: TypedResponse<GetUserAccessScheduleResponse | ApiErrorResponse>
+) => {
+  try {
+    if (req.user?.role !== "ADMIN") {
+      return res.status(403).json({ error: "Forbidden: Admin access required" });
+    }
+
+    const userId = parseUserId(req.params.userId);
+    if (userId === null) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        accessSchedule: true,
+        groupMemberships: {
+          select: { group: { select: { id: true, name: true, accessSchedule: true } } },
+          orderBy: { groupId: "asc" },
+        },
+      },
+    });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const groupSchedules = user.groupMemberships.flatMap(({ group }) => {
+      const schedule = readAccessSchedule(group.accessSchedule);
+      return schedule ? [{ groupId: group.id, groupName: group.name, schedule }] : [];
+    });
+
+    res.json({
+      schedule: readAccessSchedule(user.accessSchedule),
+      groupSchedules,
+      access: await accessScheduleService.getStatus(userId),
+    });
+  } catch (error) {
+    logger.error("Error getting user access schedule", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to get access schedule" });
+  }
+};
+
+/**
+ * PUT /api/user/:userId/access-schedule (admin only)
+ * Set the user's own schedule, which replaces their groups'; null falls
+ * back to them
+ */
+export const updateUserAccessSchedule = async (
+  req: TypedAuthRequest<UpdateUserAccessScheduleBody, GetUserAccessScheduleParams>,
+  res: TypedResponse<UpdateUserAccessResponse | ApiErrorResponse>
+) => {
+  try {
+    if (req.user?.role !== "ADMIN") {
+      return res.status(403).json({ error: "Forbidden: Admin access required" });
+    }
+
+    const userId = parseUserId(req.params.userId);
+    if (userId === null) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const schedule = parseAccessSchedule(req.body?.schedule ?? null);
+    if (typeof schedule === "string") {
+      return res.status(400).json({ error: schedule });
+    }
+
+    const previous = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { username: true, accessSchedule: true },
+    });
+    if (!previous) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { accessSchedule: toJsonSchedule(schedule) },
+    });
+
+    await auditLogService.recordRequest(req, {
+      action: "user.access_schedule_update",
+      target: userTarget({ id: userId, username: previous.username }),
+      before: { accessSchedule: previous.accessSchedule },
+      after: { accessSchedule: schedule },
+    });
+
+    accessScheduleService.scheduleChanged([userId]);
+    res.json({ access: await accessScheduleService.getStatus(userId) });
+  } catch (error) {
+    logger.error("Error updating user access schedule", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to update access schedule" });
+  }
+};
+
+/**
+ * PUT /api/user/:userId/access-override (admin only)
+ * Lift the user's schedule until a given time, up to a week ahead; null
+ * ends the override
+ */
+export const updateUserAccessOverride = async (
+  req: TypedAuthRequest<UpdateUserAccessOverrideBody, GetUserAccessScheduleParams>,
+  res: TypedResponse<UpdateUserAccessResponse | ApiErrorResponse>
+) => {
+  try {
+    if (req.user?.role !== "ADMIN") {
+      return res.status(403).json({ error: "Forbidden: Admin access required" });
+    }
+
+    const userId = parseUserId(req.params.userId);
+    if (userId === null) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const until = req.body?.until ?? null;
+    let overrideUntil: Date | null = null;
+    if (until !== null) {
+      overrideUntil = typeof until === "string" ? new Date(until) : null;
+      const ms = overrideUntil ? overrideUntil.getTime() - Date.now() : NaN;
+      if (!overrideUntil || isNaN(ms) || ms <= 0 || ms > MAX_OVERRIDE_MS) {
+        return res
+          .status(400)
+          .json({ error: "Override must end in the future, within a week" });
+      }
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { username: true },
+    });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { accessOverrideUntil: overrideUntil },
+    });
+
+    await auditLogService.recordRequest(req, {
+      action: "user.access_override",
+      target: userTarget({ id: userId, username: user.username }),
+      details: { until: overrideUntil?.toISOString() ?? null },
+    });
+
+    accessScheduleService.scheduleChanged([userId]);
+    res.json({ access: await accessScheduleService.getStatus(userId) });
+  } catch (error) {
+    logger.error("Error updating user access override", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to update access override" });
+  }
+};
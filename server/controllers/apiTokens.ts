@@ -0,0 +1,197 @@
+import prisma from "../prisma/singleton.js";
+import {
+  MAX_API_TOKENS_PER_USER,
+  MAX_API_TOKEN_NAME_LENGTH,
+  countApiTokens,
+  createApiToken as createToken,
+  listApiTokens,
+  revokeApiToken as revokeToken,
+  validateScopes,
+} from "../services/ApiTokenService.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type {
+  AdminGetApiTokensParams,
+  AdminRevokeApiTokenParams,
+  CreateApiTokenBody,
+  CreateApiTokenResponse,
+  GetApiTokensResponse,
+  RevokeApiTokenParams,
+  RevokeApiTokenResponse,
+} from "../types/api/apiTokens.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * List current user's API tokens
+ */
+export const getApiTokens = async (
+  req: TypedAuthRequest,
+  res: TypedResponse<GetApiTokensResponse | ApiErrorResponse>
+) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const tokens = await listApiTokens(userId);
+    res.json({ tokens });
+  } catch (error) {
+    logger.error("Error getting API tokens", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Failed to get API tokens" });
+  }
+};
+
+/**
+ * Create a new API token for the current user.
+ * The plaintext token is only returned in this response.
+ */
+export const createApiToken = async (
+  req: TypedAuthRequest<CreateApiTokenBody>,
+  res: TypedResponse<CreateApiTokenResponse | ApiErrorResponse>
+) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+
+    if (!name) {
+      return res.status(400).json({ error: "Token name is required" });
+    }
+
+    if (name.length > MAX_API_TOKEN_NAME_LENGTH) {
+      return res.status(400).json({
+        error: `Token name must be ${MAX_API_TOKEN_NAME_LENGTH} characters or less`,
+      });
+    }
+
+    const scopeResult = validateScopes(req.body.scopes);
+    if (!scopeResult.valid) {
+      return res.status(400).json({ error: scopeResult.error });
+    }
+
+    const existingCount = await countApiTokens(userId);
+    if (existingCount >= MAX_API_TOKENS_PER_USER) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_API_TOKENS_PER_USER} API tokens`,
+      });
+    }
+
+    const result = await createToken(userId, name, scopeResult.scopes);
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error("Error creating API token", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Failed to create API token" });
+  }
+};
+
+/**
+ * Revoke one of the current user's API tokens
+ */
+export const revokeApiToken = async (
+  req: TypedAuthRequest<unknown, RevokeApiTokenParams>,
+  res: TypedResponse<RevokeApiTokenResponse | ApiErrorResponse>
+) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const tokenId = parseInt(req.params.tokenId, 10);
+    if (isNaN(tokenId)) {
+      return res.status(400).json({ error: "Invalid token ID" });
+    }
+
+    const revoked = await revokeToken(userId, tokenId);
+    if (!revoked) {
+      return res.status(404).json({ error: "API token not found" });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error("Error revoking API token", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Failed to revoke API token" });
+  }
+};
+
+/**
+ * List any user's API tokens (admin only)
+ */
+export const adminGetApiTokens = async (
+  req: TypedAuthRequest<unknown, AdminGetApiTokensParams>,
+  res: TypedResponse<GetApiTokensResponse | ApiErrorResponse>
+) => {
+  try {
+    if (req.user?.role !== "ADMIN") {
+      return res
+        .status(403)
+        .json({ error: "Forbidden: Admin access required" });
+    }
+
+    const userId = parseInt(req.params.userId, 10);
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const tokens = await listApiTokens(userId);
+    res.json({ tokens });
+  } catch (error) {
+    logger.error("Error getting user API tokens", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Failed to get user API tokens" });
+  }
+};
+
+/**
+ * Revoke any user's API token (admin only)
+ */
+export const adminRevokeApiToken = async (
+  req: TypedAuthRequest<unknown, AdminRevokeApiTokenParams>,
+  res: TypedResponse<RevokeApiTokenResponse | ApiErrorResponse>
+) => {
+  try {
+    if (req.user?.role !== "ADMIN") {
+      return res
+        .status(403)
+        .json({ error: "Forbidden: Admin access required" });
+    }
+
+    const userId = parseInt(req.params.userId, 10);
+    const tokenId = parseInt(req.params.tokenId, 10);
+
+    if (isNaN(userId) || isNaN(tokenId)) {
+      return res.status(400).json({ error: "Invalid user or token ID" });
+    }
+
+    const revoked = await revokeToken(userId, tokenId);
+    if (!revoked) {
+      return res.status(404).json({ error: "API token not found" });
+    }
+
+    logger.info("Admin revoked API token", {
+      adminId: req.user.id,
+      userId,
+      tokenId,
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error("Error revoking user API token", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Failed to revoke user API token" });
+  }
+};
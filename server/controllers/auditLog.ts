@@ -0,0 +1,218 @@
+/**
+ * Audit Log Controller
+ *
+ * Admin endpoints for browsing and exporting the audit log and for its
+ * retention setting.
+ */
+import type { Response } from "express";
+import {
+  auditLogService,
+  diffFields,
+  toAuditSettingsData,
+  type AuditLogFilters,
+} from "../services/AuditLogService.js";
+import type {
+  AuditAction,
+  AuditCategory,
+  AuditLogEntry,
+  AuditLogQuery,
+  GetAuditLogResponse,
+  GetAuditSettingsResponse,
+  UpdateAuditSettingsBody,
+  UpdateAuditSettingsResponse,
+} from "../types/api/auditLog.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import { logger } from "../utils/logger.js";
+
+const DEFAULT_PER_PAGE = 50;
+const MAX_PER_PAGE = 200;
+const MAX_RETENTION_DAYS = 3650;
+
+const CSV_COLUMNS = [
+  "time",
+  "actor",
+  "action",
+  "target_type",
+  "target_id",
+  "target",
+  "ip_address",
+  "before",
+  "after",
+  "details",
+] as const;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseDate = (value: string | undefined, endOfDay: boolean): Date | null | undefined => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+};
+
+/**
+ * Filters from the query string, or an error message
+ */
+const parseFilters = (query: AuditLogQuery): AuditLogFilters | string => {
+  const from = parseDate(query.from, false);
+  const to = parseDate(query.to, true);
+  if (from === null || to === null) {
+    return "Invalid date";
+  }
+  return {
+    category: (query.category || undefined) as AuditCategory | undefined,
+    action: (query.action || undefined) as AuditAction | undefined,
+    actor: query.actor?.trim() || undefined,
+    from,
+    to,
+  };
+};
+
+const csvCell = (value: string | Record<string, unknown> | null): string => {
+  if (value === null) return "";
+  let text = typeof value === "string" ? value : JSON.stringify(value);
+  // Spreadsheets run cells starting with these as formulas; a leading ' keeps them text
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatAuditCsvRow = (entry: AuditLogEntry): string =>
+  [
+    entry.createdAt,
+    entry.actorUsername,
+    entry.action,
+    entry.targetType,
+    entry.targetId,
+    entry.targetLabel,
+    entry.ipAddress,
+    entry.before,
+    entry.after,
+    entry.details,
+  ]
+    .map(csvCell)
+    .join(",");
+
+/**
+ * GET /api/admin/audit-log
+ */
+export const getAuditLog = async (
+  req: TypedAuthRequest<never, Record<string, string>, AuditLogQuery>,
+  res: TypedResponse<GetAuditLogResponse | ApiErrorResponse>
+) => {
+  const filters = parseFilters(req.query);
+  if (typeof filters === "string") {
+    return res.status(400).json({ error: filters });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page ?? "1", 10) || 1);
+  const perPage = Math.min(
+    MAX_PER_PAGE,
+    Math.max(1, parseInt(req.query.perPage ?? String(DEFAULT_PER_PAGE), 10) || DEFAULT_PER_PAGE)
+  );
+
+  try {
+    const { entries, total } = await auditLogService.query(filters, page, perPage);
+    res.json({ entries, total, page, perPage });
+  } catch (error) {
+    logger.error("Error reading audit log", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    res.status(500).json({ error: "Failed to read audit log" });
+  }
+};
+
+/**
+ * GET /api/admin/audit-log/export.csv
+ *
+ * Streams every entry matching the same filters as the list endpoint.
+ */
+export const exportAuditLog = async (
+  req: TypedAuthRequest<never, Record<string, string>, AuditLogQuery>,
+  res: Response
+) => {
+  const filters = parseFilters(req.query);
+  if (typeof filters === "string") {
+    return res.status(400).json({ error: filters });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="peek-audit-log-${date}.csv"`);
+
+  try {
+    res.write(`${CSV_COLUMNS.join(",")}\r\n`);
+    for await (const batch of auditLogService.iterate(filters)) {
+      res.write(batch.map((entry) => `${formatAuditCsvRow(entry)}\r\n`).join(""));
+    }
+    res.end();
+  } catch (error) {
+    logger.error("Error exporting audit log", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    // Headers are already sent; cut the download short rather than end it cleanly
+    res.destroy();
+  }
+};
+
+/**
+ * GET /api/admin/audit-log/settings
+ */
+export const getAuditSettings = async (
+  _req: TypedAuthRequest,
+  res: TypedResponse<GetAuditSettingsResponse | ApiErrorResponse>
+) => {
+  try {
+    const settings = await auditLogService.getSettings();
+    res.json({ settings: toAuditSettingsData(settings) });
+  } catch (error) {
+    logger.error("Error getting audit settings", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    res.status(500).json({ error: "Failed to get audit log settings" });
+  }
+};
+
+/**
+ * PUT /api/admin/audit-log/settings
+ */
+export const updateAuditSettings = async (
+  req: TypedAuthRequest<UpdateAuditSettingsBody>,
+  res: TypedResponse<UpdateAuditSettingsResponse | ApiErrorResponse>
+) => {
+  const { retentionDays } = req.body;
+  if (
+    typeof retentionDays !== "number" ||
+    !Number.isInteger(retentionDays) ||
+    retentionDays < 0 ||
+    retentionDays > MAX_RETENTION_DAYS
+  ) {
+    return res.status(400).json({
+      error: `Retention must be a whole number of days between 0 and ${MAX_RETENTION_DAYS}`,
+    });
+  }
+
+  try {
+    const previous = await auditLogService.getSettings();
+    const settings = await auditLogService.updateSettings(retentionDays);
+
+    await auditLogService.recordRequest(req, {
+      action: "audit.settings_update",
+      target: { type: "settings", label: "Audit log" },
+      ...diffFields(toAuditSettingsData(previous), toAuditSettingsData(settings)),
+    });
+
+    res.json({ settings: toAuditSettingsData(settings) });
+  } catch (error) {
+    logger.error("Error updating audit settings", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    res.status(500).json({ error: "Failed to update audit log settings" });
+  }
+};
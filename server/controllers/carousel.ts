@@ -4,6 +4,12 @@ import { stashEntityService } from "../services/StashEntityService.js";
 import { entityExclusionHelper } from "../services/EntityExclusionHelper.js";
 import { sceneQueryBuilder } from "../services/SceneQueryBuilder.js";
 import type { NormalizedScene, PeekSceneFilter } from "../types/index.js";
+import {
+  flattenFilterRules,
+  migrateFilterRules,
+  parseFilterRules,
+  type VersionedFilterRules,
+} from "@peek/shared-types/filterRules.js";
 import type {
   TypedAuthRequest,
   TypedResponse,
@@ -126,6 +132,11 @@ export const createCarousel = async (
       return res.status(400).json({ error: "Rules are required" });
     }
 
+    const parsedRules = parseFilterRules<PeekSceneFilter>(rules);
+    if (!parsedRules.valid) {
+      return res.status(400).json({ error: parsedRules.error });
+    }
+
     // Check carousel limit
     const count = await prisma.userCarousel.count({
       where: { userId },
@@ -142,7 +153,7 @@ export const createCarousel = async (
         userId,
         title: title.trim(),
         icon: icon || "Film",
-        rules: rules as unknown as Prisma.InputJsonValue,
+        rules: parsedRules.value as unknown as Prisma.InputJsonValue,
         sort: sort || "random",
         direction: direction || "DESC",
       },
@@ -212,12 +223,17 @@ export const updateCarousel = async (
       return res.status(400).json({ error: "Title cannot be empty" });
     }
 
+    const parsedRules = rules !== undefined ? parseFilterRules<PeekSceneFilter>(rules) : undefined;
+    if (parsedRules && !parsedRules.valid) {
+      return res.status(400).json({ error: parsedRules.error });
+    }
+
     const carousel = await prisma.userCarousel.update({
       where: { id: carouselId },
       data: {
         ...(title !== undefined && { title: title.trim() }),
         ...(icon !== undefined && { icon }),
-        ...(rules !== undefined && { rules: rules as unknown as Prisma.InputJsonValue }),
+        ...(parsedRules?.valid && { rules: parsedRules.value as unknown as Prisma.InputJsonValue }),
         ...(sort !== undefined && { sort }),
         ...(direction !== undefined && { direction }),
       },
@@ -289,10 +305,15 @@ export const previewCarousel = async (
       return res.status(400).json({ error: "Rules are required" });
     }
 
+    const parsedRules = parseFilterRules<PeekSceneFilter>(rules);
+    if (!parsedRules.valid) {
+      return res.status(400).json({ error: parsedRules.error });
+    }
+
     // Execute the carousel query
     const scenes = await executeCarouselQuery(
       userId,
-      rules as PeekSceneFilter,
+      parsedRules.value,
       sort || "random",
       direction || "DESC"
     );
@@ -310,23 +331,27 @@ export const previewCarousel = async (
  *
  * OPTIMIZED: For carousels without filters, uses DB pagination with pre-computed exclusions
  * For carousels with filters, still needs to load scenes but uses optimized exclusion checking
+ *
+ * The legacy in-memory path only understands flat filters, so rule trees
+ * with OR or NOT always go through the SQL query builder.
  */
 export async function executeCarouselQuery(
   userId: number,
-  rules: PeekSceneFilter,
+  ruleTree: VersionedFilterRules<PeekSceneFilter>,
   sort: string,
   direction: string
 ): Promise<NormalizedScene[]> {
   const startTime = Date.now();
+  const rules = USE_SQL_QUERY_BUILDER ? null : flattenFilterRules(ruleTree.root);
 
   // NEW: Use SQL query builder if enabled
-  if (USE_SQL_QUERY_BUILDER) {
+  if (rules === null) {
     logger.info("executeCarouselQuery: using SQL query builder path");
 
     // Execute query (applyExclusions defaults to true)
     const result = await sceneQueryBuilder.execute({
       userId,
-      filters: rules,
+      filters: { filter_group: ruleTree.root },
       sort,
       sortDirection: direction.toUpperCase() as "ASC" | "DESC",
       page: 1,
@@ -474,7 +499,7 @@ export const executeCarouselById = async (
     // Execute the query
     const scenes = await executeCarouselQuery(
       userId,
-      carousel.rules as PeekSceneFilter,
+      migrateFilterRules<PeekSceneFilter>(carousel.rules),
       carousel.sort,
       carousel.direction
     );
@@ -28,6 +28,7 @@ export const getClips = async (req: TypedAuthRequest<never, Record<string, strin
       isGenerated = "true",
       sceneId,
       tagIds,
+      primaryTagIds,
       sceneTagIds,
       performerIds,
       studioId,
@@ -46,6 +47,7 @@ export const getClips = async (req: TypedAuthRequest<never, Record<string, strin
       isGenerated: isGenerated === "true",
       sceneId,
       tagIds: tagIds ? tagIds.split(",") : undefined,
+      primaryTagIds: primaryTagIds ? primaryTagIds.split(",") : undefined,
       sceneTagIds: sceneTagIds ? sceneTagIds.split(",") : undefined,
       performerIds: performerIds ? performerIds.split(",") : undefined,
       studioId,
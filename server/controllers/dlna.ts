@@ -0,0 +1,566 @@
+/**
+ * DLNA Controller
+ *
+ * UPnP MediaServer endpoints used by renderers (device description, SOAP
+ * control, media streaming) and the admin endpoints that configure the
+ * server and bind devices to users.
+ *
+ * The UPnP endpoints have no session auth. The requesting device's address
+ * decides which user's library it sees; unbound devices see nothing.
+ */
+import { randomUUID } from "crypto";
+import net from "net";
+import type { Request, Response } from "express";
+import type { DlnaSettings } from "@prisma/client";
+import prisma from "../prisma/singleton.js";
+import {
+  DlnaObjectNotFoundError,
+  dlnaBrowseService,
+  type DlnaBrowseContext,
+} from "../services/DlnaBrowseService.js";
+import {
+  dlnaService,
+  toDlnaDeviceData,
+  toDlnaSettingsData,
+} from "../services/DlnaService.js";
+import { stashEntityService } from "../services/StashEntityService.js";
+import { getUserAllowedInstanceIds } from "../services/UserInstanceService.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type {
+  CreateDlnaDeviceBody,
+  DlnaDeviceResponse,
+  GetDlnaDevicesResponse,
+  GetDlnaSettingsResponse,
+  UpdateDlnaDeviceBody,
+  UpdateDlnaSettingsBody,
+  UpdateDlnaSettingsResponse,
+} from "../types/api/dlna.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import { getClientAddress, normalizeAddress } from "../utils/clientAddress.js";
+import {
+  CONNECTION_MANAGER_SCPD,
+  CONNECTION_MANAGER_SERVICE_TYPE,
+  CONTENT_DIRECTORY_SCPD,
+  CONTENT_DIRECTORY_SERVICE_TYPE,
+  DLNA_CONTENT_FEATURES,
+  SOURCE_PROTOCOL_INFO,
+  UPNP_ERROR,
+  parseSoapAction,
+  readSoapArgument,
+  renderDeviceDescription,
+  renderDidl,
+  renderSoapFault,
+  renderSoapResponse,
+} from "../utils/dlnaXml.js";
+import { logger } from "../utils/logger.js";
+import { streamFromStash } from "./video.js";
+
+const MAX_FRIENDLY_NAME_LENGTH = 64;
+const MAX_DEVICE_NAME_LENGTH = 100;
+
+/**
+ * Settings if the server is enabled; otherwise answers 404 and returns null
+ */
+const loadEnabledSettings = async (res: Response): Promise<DlnaSettings | null> => {
+  const settings = await dlnaService.getSettings();
+  if (!settings.enabled) {
+    res.status(404).end();
+    return null;
+  }
+  return settings;
+};
+
+/**
+ * Browse context for the requesting device, or null if it isn't bound
+ */
+const resolveContext = async (
+  req: Request,
+  settings: DlnaSettings
+): Promise<DlnaBrowseContext | null> => {
+  const device = await dlnaService.touchDevice(getClientAddress(req), req.get("user-agent"));
+  if (!device.userId) return null;
+
+  return {
+    userId: device.userId,
+    allowedInstanceIds: await getUserAllowedInstanceIds(device.userId),
+    baseUrl: settings.baseUrl ?? `${req.protocol}://${req.get("host") ?? "localhost"}`,
+  };
+};
+
+const sendXml = (res: Response, xml: string, status = 200) => {
+  res.status(status).type('text/xml; charset="utf-8"').send(xml);
+};
+
+const sendFault = (res: Response, code: number, description: string) => {
+  sendXml(res, renderSoapFault(code, description), 500);
+};
+
+// ============================================================================
+// UPNP ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/dlna/description.xml
+ * Root device description (the SSDP LOCATION)
+ */
+export const getDeviceDescription = async (req: Request, res: Response) => {
+  try {
+    const settings = await loadEnabledSettings(res);
+    if (!settings) return;
+
+    // Record the device so it shows up for binding before it browses
+    await dlnaService.touchDevice(getClientAddress(req), req.get("user-agent"));
+
+    sendXml(
+      res,
+      renderDeviceDescription({
+        friendlyName: settings.friendlyName,
+        deviceUuid: settings.deviceUuid,
+        version: process.env.npm_package_version || "1.0.0",
+      })
+    );
+  } catch (error) {
+    logger.error("DLNA: error serving device description", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    res.status(500).end();
+  }
+};
+
+/**
+ * GET /api/dlna/ContentDirectory.xml
+ */
+export const getContentDirectoryScpd = (_req: Request, res: Response) => {
+  sendXml(res, CONTENT_DIRECTORY_SCPD);
+};
+
+/**
+ * GET /api/dlna/ConnectionManager.xml
+ */
+export const getConnectionManagerScpd = (_req: Request, res: Response) => {
+  sendXml(res, CONNECTION_MANAGER_SCPD);
+};
+
+/**
+ * POST /api/dlna/control/ContentDirectory
+ * SOAP actions: Browse, GetSystemUpdateID, GetSearchCapabilities, GetSortCapabilities
+ */
+export const contentDirectoryControl = async (req: Request, res: Response) => {
+  try {
+    const settings = await loadEnabledSettings(res);
+    if (!settings) return;
+
+    const soapAction = parseSoapAction(req.get("soapaction"));
+    const body = typeof req.body === "string" ? req.body : "";
+    const reply = (values: Record<string, string | number>) =>
+      sendXml(res, renderSoapResponse(CONTENT_DIRECTORY_SERVICE_TYPE, soapAction?.action ?? "", values));
+
+    // SystemUpdateID is a ui4; derive it from the last sync so renderers refresh after one
+    const updateId = Math.floor((await stashEntityService.getCacheVersion()) / 1000) % 2 ** 32;
+
+    switch (soapAction?.action) {
+      case "Browse": {
+        const objectId = readSoapArgument(body, "ObjectID");
+        const browseFlag = readSoapArgument(body, "BrowseFlag");
+        if (
+          objectId === undefined ||
+          (browseFlag !== "BrowseMetadata" && browseFlag !== "BrowseDirectChildren")
+        ) {
+          return sendFault(res, UPNP_ERROR.INVALID_ARGS, "Invalid Args");
+        }
+
+        const context = await resolveContext(req, settings);
+        try {
+          const { objects, totalMatches } = await dlnaBrowseService.browse(
+            context,
+            objectId,
+            browseFlag === "BrowseMetadata" ? "metadata" : "children",
+            parseInt(readSoapArgument(body, "StartingIndex") ?? "0", 10) || 0,
+            parseInt(readSoapArgument(body, "RequestedCount") ?? "0", 10) || 0
+          );
+          return reply({
+            Result: renderDidl(objects),
+            NumberReturned: objects.length,
+            TotalMatches: totalMatches,
+            UpdateID: updateId,
+          });
+        } catch (error) {
+          if (error instanceof DlnaObjectNotFoundError) {
+            return sendFault(res, UPNP_ERROR.NO_SUCH_OBJECT, "No such object");
+          }
+          throw error;
+        }
+      }
+      case "GetSystemUpdateID":
+        return reply({ Id: updateId });
+      case "GetSearchCapabilities":
+        return reply({ SearchCaps: "" });
+      case "GetSortCapabilities":
+        return reply({ SortCaps: "" });
+      default:
+        return sendFault(res, UPNP_ERROR.INVALID_ACTION, "Invalid Action");
+    }
+  } catch (error) {
+    logger.error("DLNA: ContentDirectory action failed", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    sendFault(res, UPNP_ERROR.ACTION_FAILED, "Action Failed");
+  }
+};
+
+/**
+ * POST /api/dlna/control/ConnectionManager
+ */
+export const connectionManagerControl = async (req: Request, res: Response) => {
+  try {
+    const settings = await loadEnabledSettings(res);
+    if (!settings) return;
+
+    const action = parseSoapAction(req.get("soapaction"))?.action ?? "";
+    const reply = (values: Record<string, string | number>) =>
+      sendXml(res, renderSoapResponse(CONNECTION_MANAGER_SERVICE_TYPE, action, values));
+
+    switch (action) {
+      case "GetProtocolInfo":
+        return reply({ Source: SOURCE_PROTOCOL_INFO, Sink: "" });
+      case "GetCurrentConnectionIDs":
+        return reply({ ConnectionIDs: "0" });
+      case "GetCurrentConnectionInfo":
+        return reply({
+          RcsID: -1,
+          AVTransportID: -1,
+          ProtocolInfo: "",
+          PeerConnectionManager: "",
+          PeerConnectionID: -1,
+          Direction: "Output",
+          Status: "OK",
+        });
+      default:
+        return sendFault(res, UPNP_ERROR.INVALID_ACTION, "Invalid Action");
+    }
+  } catch (error) {
+    logger.error("DLNA: ConnectionManager action failed", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    sendFault(res, UPNP_ERROR.ACTION_FAILED, "Action Failed");
+  }
+};
+
+/**
+ * SUBSCRIBE /api/dlna/event/:service
+ * Some renderers refuse servers that reject subscriptions. Accept them;
+ * no events are sent since state variables don't change mid-session.
+ */
+export const subscribeEvents = (_req: Request, res: Response) => {
+  res.set({ SID: `uuid:${randomUUID()}`, TIMEOUT: "Second-1800" }).status(200).end();
+};
+
+/**
+ * UNSUBSCRIBE /api/dlna/event/:service
+ */
+export const unsubscribeEvents = (_req: Request, res: Response) => {
+  res.status(200).end();
+};
+
+/**
+ * GET|HEAD /api/dlna/media/:instanceId/:sceneId
+ * Streams the scene file through the Stash stream proxy
+ */
+export const streamDlnaMedia = async (
+  req: Request<{ instanceId: string; sceneId: string }>,
+  res: Response
+) => {
+  try {
+    const settings = await loadEnabledSettings(res);
+    if (!settings) return;
+
+    const context = await resolveContext(req, settings);
+    if (!context) {
+      return res.status(403).send("This device is not linked to a Peek user");
+    }
+
+    const { instanceId, sceneId } = req.params;
+    const scene = await dlnaBrowseService.getScene(context, instanceId, sceneId);
+    if (!scene) {
+      return res.status(404).send("Scene not found");
+    }
+
+    res.setHeader("transferMode.dlna.org", "Streaming");
+    res.setHeader("contentFeatures.dlna.org", DLNA_CONTENT_FEATURES);
+
+    await streamFromStash(req, res, {
+      sceneId,
+      streamPath: "stream",
+      instanceId,
+      userId: context.userId,
+    });
+  } catch (error) {
+    logger.error("DLNA: error streaming media", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    if (!res.headersSent) {
+      res.status(500).send("Stream failed");
+    }
+  }
+};
+
+// ============================================================================
+// ADMIN ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/dlna/settings (admin only)
+ */
+export const getDlnaSettings = async (
+  _req: TypedAuthRequest,
+  res: TypedResponse<GetDlnaSettingsResponse | ApiErrorResponse>
+) => {
+  try {
+    const settings = await dlnaService.getSettings();
+    res.json({
+      settings: toDlnaSettingsData(settings),
+      advertising: dlnaService.isAdvertising(),
+    });
+  } catch (error) {
+    logger.error("Error loading DLNA settings", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to load DLNA settings" });
+  }
+};
+
+/**
+ * PUT /api/dlna/settings (admin only)
+ * Saving restarts SSDP discovery with the new settings
+ */
+export const updateDlnaSettings = async (
+  req: TypedAuthRequest<UpdateDlnaSettingsBody>,
+  res: TypedResponse<UpdateDlnaSettingsResponse | ApiErrorResponse>
+) => {
+  try {
+    const { enabled, friendlyName, baseUrl } = req.body;
+    const data: { enabled?: boolean; friendlyName?: string; baseUrl?: string | null } = {};
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== "boolean") {
+        return res.status(400).json({ error: "enabled must be a boolean" });
+      }
+      data.enabled = enabled;
+    }
+
+    if (friendlyName !== undefined) {
+      if (typeof friendlyName !== "string" || friendlyName.trim() === "") {
+        return res.status(400).json({ error: "Server name cannot be empty" });
+      }
+      if (friendlyName.trim().length > MAX_FRIENDLY_NAME_LENGTH) {
+        return res
+          .status(400)
+          .json({ error: `Server name must be ${MAX_FRIENDLY_NAME_LENGTH} characters or less` });
+      }
+      data.friendlyName = friendlyName.trim();
+    }
+
+    if (baseUrl !== undefined) {
+      if (baseUrl !== null && typeof baseUrl !== "string") {
+        return res.status(400).json({ error: "baseUrl must be a string" });
+      }
+      const trimmed = baseUrl?.trim().replace(/\/+$/, "") || null;
+      if (trimmed) {
+        let parsed: URL;
+        try {
+          parsed = new URL(trimmed);
+        } catch {
+          return res.status(400).json({ error: "Server URL is not a valid URL" });
+        }
+        if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+          return res.status(400).json({ error: "Server URL must start with http:// or https://" });
+        }
+      }
+      data.baseUrl = trimmed;
+    }
+
+    const merged = { ...(await dlnaService.getSettings()), ...data };
+    if (merged.enabled && !merged.baseUrl) {
+      return res
+        .status(400)
+        .json({ error: "Server URL is required to enable the DLNA server" });
+    }
+
+    const settings = await dlnaService.updateSettings(data);
+    const advertising = await dlnaService.applySettings();
+
+    logger.info("DLNA settings updated", {
+      userId: req.user.id,
+      enabled: settings.enabled,
+      advertising,
+    });
+
+    res.json({ settings: toDlnaSettingsData(settings), advertising });
+  } catch (error) {
+    logger.error("Error updating DLNA settings", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to update DLNA settings" });
+  }
+};
+
+/**
+ * GET /api/dlna/devices (admin only)
+ */
+export const getDlnaDevices = async (
+  _req: TypedAuthRequest,
+  res: TypedResponse<GetDlnaDevicesResponse | ApiErrorResponse>
+) => {
+  try {
+    const devices = await dlnaService.listDevices();
+    res.json({ devices: devices.map(toDlnaDeviceData) });
+  } catch (error) {
+    logger.error("Error listing DLNA devices", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to list DLNA devices" });
+  }
+};
+
+/**
+ * Validate name/userId shared by create and update.
+ * Returns an error message, or null when valid.
+ */
+const validateDeviceFields = async (
+  body: UpdateDlnaDeviceBody
+): Promise<string | null> => {
+  if (body.name !== undefined && body.name !== null) {
+    if (typeof body.name !== "string") return "name must be a string";
+    if (body.name.trim().length > MAX_DEVICE_NAME_LENGTH) {
+      return `Device name must be ${MAX_DEVICE_NAME_LENGTH} characters or less`;
+    }
+  }
+  if (body.userId !== undefined && body.userId !== null) {
+    if (typeof body.userId !== "number" || !Number.isInteger(body.userId)) {
+      return "userId must be an integer";
+    }
+    const user = await prisma.user.findUnique({ where: { id: body.userId }, select: { id: true } });
+    if (!user) return "User not found";
+  }
+  return null;
+};
+
+/**
+ * POST /api/dlna/devices (admin only)
+ * Bind an address ahead of time, before the device has connected
+ */
+export const createDlnaDevice = async (
+  req: TypedAuthRequest<CreateDlnaDeviceBody>,
+  res: TypedResponse<DlnaDeviceResponse | ApiErrorResponse>
+) => {
+  try {
+    const { address, name, userId } = req.body;
+
+    if (typeof address !== "string" || net.isIP(address.trim()) === 0) {
+      return res.status(400).json({ error: "A valid IP address is required" });
+    }
+    const validationError = await validateDeviceFields({ name, userId });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const normalized = normalizeAddress(address.trim());
+    const existing = await prisma.dlnaDevice.findUnique({ where: { address: normalized } });
+    if (existing) {
+      return res.status(409).json({ error: "A device with this address already exists" });
+    }
+
+    const device = await prisma.dlnaDevice.create({
+      data: { address: normalized, name: name?.trim() || null, userId: userId ?? null },
+      include: { user: { select: { username: true } } },
+    });
+    dlnaService.invalidateDevices();
+
+    res.status(201).json({ device: toDlnaDeviceData(device) });
+  } catch (error) {
+    logger.error("Error creating DLNA device", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to create DLNA device" });
+  }
+};
+
+/**
+ * PUT /api/dlna/devices/:id (admin only)
+ * Rename a device or change the user it browses as
+ */
+export const updateDlnaDevice = async (
+  req: TypedAuthRequest<UpdateDlnaDeviceBody, { id: string }>,
+  res: TypedResponse<DlnaDeviceResponse | ApiErrorResponse>
+) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: "Invalid device ID" });
+    }
+
+    const existing = await prisma.dlnaDevice.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    const { name, userId } = req.body;
+    const validationError = await validateDeviceFields({ name, userId });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const device = await prisma.dlnaDevice.update({
+      where: { id },
+      data: {
+        ...(name !== undefined && { name: name?.trim() || null }),
+        ...(userId !== undefined && { userId }),
+      },
+      include: { user: { select: { username: true } } },
+    });
+    dlnaService.invalidateDevices();
+
+    logger.info("DLNA device updated", {
+      deviceId: id,
+      address: device.address,
+      userId: device.userId,
+      updatedBy: req.user.id,
+    });
+
+    res.json({ device: toDlnaDeviceData(device) });
+  } catch (error) {
+    logger.error("Error updating DLNA device", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to update DLNA device" });
+  }
+};
+
+/**
+ * DELETE /api/dlna/devices/:id (admin only)
+ * The device reappears unbound if it connects again
+ */
+export const deleteDlnaDevice = async (
+  req: TypedAuthRequest<unknown, { id: string }>,
+  res: TypedResponse<{ success: true } | ApiErrorResponse>
+) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: "Invalid device ID" });
+    }
+
+    const { count } = await prisma.dlnaDevice.deleteMany({ where: { id } });
+    if (count === 0) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+    dlnaService.invalidateDevices();
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error("Error deleting DLNA device", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to delete DLNA device" });
+  }
+};
@@ -1,7 +1,16 @@
 import { DownloadStatus, DownloadType } from "@prisma/client";
-import { downloadService } from "../services/DownloadService.js";
-import { playlistZipService } from "../services/PlaylistZipService.js";
+import { AppError } from "../middleware/errorHandler.js";
+import { downloadQueueService } from "../services/DownloadQueueService.js";
+import {
+  MAX_DOWNLOAD_CONCURRENT_LIMIT,
+  MAX_DOWNLOAD_EXPIRY_HOURS,
+  downloadService,
+  isDownloadPriority,
+  serializeDownload,
+  toDownloadSettingsData,
+} from "../services/DownloadService.js";
 import { resolveUserPermissions } from "../services/PermissionService.js";
+import { smartPlaylistService } from "../services/SmartPlaylistService.js";
 import { stashInstanceManager } from "../services/StashInstanceManager.js";
 import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
 import type { ApiErrorResponse } from "../types/api/common.js";
@@ -11,6 +20,7 @@ import type {
   StartImageDownloadParams,
   StartImageDownloadResponse,
   StartPlaylistDownloadParams,
+  StartPlaylistDownloadBody,
   StartPlaylistDownloadResponse,
   GetUserDownloadsResponse,
   GetDownloadStatusParams,
@@ -20,9 +30,22 @@ import type {
   DeleteDownloadResponse,
   RetryDownloadParams,
   RetryDownloadResponse,
+  DownloadQueueActionParams,
+  DownloadQueueActionResponse,
+  UpdateDownloadPriorityParams,
+  UpdateDownloadPriorityBody,
+  UpdateDownloadPriorityResponse,
+  GetDownloadSettingsResponse,
+  UpdateDownloadSettingsBody,
+  UpdateDownloadSettingsResponse,
 } from "../types/api/download.js";
 import { logger } from "../utils/logger.js";
 import { pipeResponseToClient } from "../utils/streamProxy.js";
+import {
+  DEFAULT_PLAYLIST_ZIP_LAYOUT,
+  PLAYLIST_ZIP_LAYOUTS,
+  isPlaylistZipLayout,
+} from "../utils/zipLayouts.js";
 
 /**
  * Maximum playlist download size in MB (default: 10GB)
@@ -33,33 +56,6 @@ const MAX_PLAYLIST_SIZE_MB = parseInt(
 );
 const MAX_PLAYLIST_SIZE_BYTES = BigInt(MAX_PLAYLIST_SIZE_MB) * BigInt(1024 * 1024);
 
-/**
- * Serialize a download record for JSON response.
- * Converts BigInt fileSize to string since JSON doesn't support BigInt.
- */
-function serializeDownload(download: {
-  id: number;
-  userId: number;
-  type: string;
-  status: string;
-  playlistId: number | null;
-  entityType: string | null;
-  entityId: string | null;
-  fileName: string;
-  fileSize: bigint | null;
-  filePath: string | null;
-  progress: number;
-  error: string | null;
-  createdAt: Date;
-  completedAt: Date | null;
-  expiresAt: Date | null;
-}) {
-  return {
-    ...download,
-    fileSize: download.fileSize !== null ? download.fileSize.toString() : null,
-  };
-}
-
 /**
  * Start a scene download.
  * POST /api/downloads/scene/:sceneId
@@ -147,7 +143,7 @@ export async function startImageDownload(
  * POST /api/downloads/playlist/:playlistId
  */
 export async function startPlaylistDownload(
-  req: TypedAuthRequest<never, StartPlaylistDownloadParams>,
+  req: TypedAuthRequest<StartPlaylistDownloadBody, StartPlaylistDownloadParams>,
   res: TypedResponse<StartPlaylistDownloadResponse | ApiErrorResponse>
 ) {
   try {
@@ -161,6 +157,23 @@ export async function startPlaylistDownload(
       return res.status(400).json({ error: "Invalid playlist ID" });
     }
 
+    const {
+      layout = DEFAULT_PLAYLIST_ZIP_LAYOUT,
+      includeCaptions,
+      includeChapters,
+      priority = "normal",
+    } = req.body ?? {};
+    if (!isPlaylistZipLayout(layout)) {
+      return res.status(400).json({
+        error: `layout must be one of ${PLAYLIST_ZIP_LAYOUTS.join(", ")}`,
+      });
+    }
+    if (!isDownloadPriority(priority)) {
+      return res
+        .status(400)
+        .json({ error: "priority must be one of low, normal, high" });
+    }
+
     // Check permission
     const permissions = await resolveUserPermissions(userId);
     if (!permissions || !permissions.canDownloadPlaylists) {
@@ -169,6 +182,10 @@ export async function startPlaylistDownload(
         .json({ error: "You do not have permission to download playlists" });
     }
 
+    // Re-evaluate smart playlists so the ZIP matches what the user sees
+    // (no-op for static playlists)
+    await smartPlaylistService.refresh(playlistId);
+
     // Check size limit
     const totalSize = await downloadService.calculatePlaylistSize(playlistId);
     if (totalSize > MAX_PLAYLIST_SIZE_BYTES) {
@@ -179,25 +196,42 @@ export async function startPlaylistDownload(
       });
     }
 
+    // Check the user's group quota for finished ZIPs
+    const [{ quotaBytes }, usedBytes] = await Promise.all([
+      downloadService.getUserLimits(userId),
+      downloadService.getUsedBytes(userId),
+    ]);
+    if (quotaBytes !== null && usedBytes + totalSize > quotaBytes) {
+      const toMB = (bytes: bigint) => Math.ceil(Number(bytes) / (1024 * 1024));
+      const left = quotaBytes > usedBytes ? quotaBytes - usedBytes : BigInt(0);
+      return res.status(400).json({
+        error: "Not enough download space",
+        details: `Needs ${toMB(totalSize)}MB, ${toMB(left)}MB of ${toMB(quotaBytes)}MB left. Delete finished downloads to free space.`,
+      });
+    }
+
     // Create download record
     const download = await downloadService.createPlaylistDownload(
       userId,
-      playlistId
+      playlistId,
+      {
+        layout,
+        includeCaptions: includeCaptions === true,
+        includeChapters: includeChapters === true,
+        priority,
+      }
     );
 
     logger.info("Playlist download created", {
       downloadId: download.id,
       userId,
       playlistId,
+      layout,
+      priority,
     });
 
-    // Start zip creation in background (don't await)
-    playlistZipService.createZip(download.id).catch((error) => {
-      logger.error("Background zip creation failed", {
-        downloadId: download.id,
-        error: error instanceof Error ? error.message : String(error),
-      });
-    });
+    // Queued; the ZIP is built once a slot is free
+    void downloadQueueService.pump();
 
     return res.json({ download: serializeDownload(download) });
   } catch (error) {
@@ -222,10 +256,14 @@ export async function getUserDownloads(
       return res.status(401).json({ error: "Unauthorized" });
     }
 
-    const downloads = await downloadService.getUserDownloads(userId);
+    const [downloads, usage] = await Promise.all([
+      downloadService.getUserDownloads(userId),
+      downloadService.getUsage(userId),
+    ]);
 
     return res.json({
       downloads: downloads.map(serializeDownload),
+      usage,
     });
   } catch (error) {
     logger.error("Error getting user downloads", {
@@ -273,6 +311,68 @@ export async function getDownloadStatus(
   }
 }
 
+/**
+ * Headers passed back from Stash, including the ones a ranged response needs
+ */
+const FILE_PROXY_HEADERS = [
+  "content-type",
+  "content-length",
+  "accept-ranges",
+  "content-range",
+  "etag",
+  "last-modified",
+];
+
+/**
+ * Proxy a scene or image file from Stash as an attachment. Range and
+ * If-Range are forwarded so browsers and curl can resume the download.
+ */
+async function proxyStashFile(
+  req: TypedAuthRequest<never, GetDownloadFileParams>,
+  res: TypedResponse<ApiErrorResponse>,
+  stashPath: string,
+  fileName: string,
+  what: "scene" | "image"
+) {
+  const headers: Record<string, string> = {
+    ApiKey: stashInstanceManager.getApiKey(),
+  };
+  if (req.headers.range) {
+    headers.Range = req.headers.range;
+  }
+  const ifRange = req.headers["if-range"];
+  if (typeof ifRange === "string") {
+    headers["If-Range"] = ifRange;
+  }
+
+  // Abort the upstream fetch if the client disconnects
+  const abort = new AbortController();
+  res.on("close", () => abort.abort());
+
+  const upstream = await fetch(
+    `${stashInstanceManager.getBaseUrl()}${stashPath}`,
+    { headers, signal: abort.signal }
+  );
+
+  if (upstream.status === 416) {
+    const contentRange = upstream.headers.get("content-range");
+    if (contentRange) res.setHeader("Content-Range", contentRange);
+    return res.status(416).json({ error: "Requested range not satisfiable" });
+  }
+
+  if (!upstream.ok) {
+    return res.status(upstream.status).json({
+      error: `Failed to fetch ${what} from Stash`,
+    });
+  }
+
+  // Set headers for download; 206 when Stash answered a range
+  res.status(upstream.status);
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+  await pipeResponseToClient(upstream, res, "[DOWNLOAD]", FILE_PROXY_HEADERS);
+}
+
 /**
  * Get the actual download file.
  * GET /api/downloads/:id/file
@@ -313,7 +413,8 @@ export async function getDownloadFile(
     // Handle different download types
     switch (download.type) {
       case DownloadType.PLAYLIST:
-        // Serve the zip file from filePath
+        // Serve the zip file from filePath. sendFile answers Range and
+        // If-Range requests itself, so interrupted downloads can resume.
         if (!download.filePath) {
           return res.status(500).json({ error: "Download file path missing" });
         }
@@ -323,74 +424,24 @@ export async function getDownloadFile(
           },
         });
 
-      case DownloadType.SCENE: {
-        // Proxy scene stream with Content-Disposition header for download
-        const stashBaseUrl = stashInstanceManager.getBaseUrl();
-        const apiKey = stashInstanceManager.getApiKey();
-        const sceneUrl = `${stashBaseUrl}/scene/${download.entityId}/stream`;
-
-        // Abort the upstream fetch if the client disconnects
-        const sceneAbort = new AbortController();
-        res.on("close", () => sceneAbort.abort());
-
-        const sceneResponse = await fetch(sceneUrl, {
-          headers: { ApiKey: apiKey },
-          signal: sceneAbort.signal,
-        });
-
-        if (!sceneResponse.ok) {
-          return res.status(sceneResponse.status).json({
-            error: "Failed to fetch scene from Stash",
-          });
-        }
-
-        // Set headers for download
-        res.setHeader(
-          "Content-Disposition",
-          `attachment; filename="${download.fileName}"`
+      case DownloadType.SCENE:
+        return await proxyStashFile(
+          req,
+          res,
+          `/scene/${download.entityId}/stream`,
+          download.fileName,
+          "scene"
         );
 
-        await pipeResponseToClient(sceneResponse, res, "[DOWNLOAD]", [
-          "content-type",
-          "content-length",
-        ]);
-        return;
-      }
-
-      case DownloadType.IMAGE: {
-        // Proxy image with Content-Disposition header for download
-        const stashBaseUrl2 = stashInstanceManager.getBaseUrl();
-        const apiKey2 = stashInstanceManager.getApiKey();
-        const imageUrl = `${stashBaseUrl2}/image/${download.entityId}/image`;
-
-        // Abort the upstream fetch if the client disconnects
-        const imageAbort = new AbortController();
-        res.on("close", () => imageAbort.abort());
-
-        const imageResponse = await fetch(imageUrl, {
-          headers: { ApiKey: apiKey2 },
-          signal: imageAbort.signal,
-        });
-
-        if (!imageResponse.ok) {
-          return res.status(imageResponse.status).json({
-            error: "Failed to fetch image from Stash",
-          });
-        }
-
-        // Set headers for download
-        res.setHeader(
-          "Content-Disposition",
-          `attachment; filename="${download.fileName}"`
+      case DownloadType.IMAGE:
+        return await proxyStashFile(
+          req,
+          res,
+          `/image/${download.entityId}/image`,
+          download.fileName,
+          "image"
         );
 
-        await pipeResponseToClient(imageResponse, res, "[DOWNLOAD]", [
-          "content-type",
-          "content-length",
-        ]);
-        return;
-      }
-
       default:
         return res.status(400).json({ error: "Unknown download type" });
     }
@@ -421,6 +472,12 @@ export async function deleteDownload(
       return res.status(400).json({ error: "Invalid download ID" });
     }
 
+    // Stop the ZIP build first so it doesn't write to a deleted record
+    const existing = await downloadService.getDownload(downloadId);
+    if (existing?.userId === userId) {
+      await downloadQueueService.abort(downloadId);
+    }
+
     await downloadService.deleteDownload(downloadId, userId);
 
     logger.info("Download deleted", { downloadId, userId });
@@ -442,7 +499,7 @@ export async function deleteDownload(
 }
 
 /**
- * Retry a failed playlist download.
+ * Retry a failed or cancelled playlist download.
  * POST /api/downloads/:id/retry
  */
 export async function retryDownload(
@@ -477,32 +534,21 @@ export async function retryDownload(
       });
     }
 
-    if (download.status !== DownloadStatus.FAILED) {
+    if (
+      download.status !== DownloadStatus.FAILED &&
+      download.status !== DownloadStatus.CANCELLED
+    ) {
       return res.status(400).json({
-        error: "Only failed downloads can be retried",
+        error: "Only failed or cancelled downloads can be retried",
         details: `Current status: ${download.status}`,
       });
     }
 
-    // Reset progress and restart zip creation
-    await downloadService.updateProgress(downloadId, 0);
+    // Back into the queue; the ZIP is rebuilt from the start
+    const updatedDownload = await downloadQueueService.retry(downloadId);
 
     logger.info("Retrying playlist download", { downloadId, userId });
 
-    // Start zip creation in background (don't await)
-    playlistZipService.createZip(downloadId).catch((error) => {
-      logger.error("Background zip retry failed", {
-        downloadId,
-        error: error instanceof Error ? error.message : String(error),
-      });
-    });
-
-    // Fetch updated download record
-    const updatedDownload = await downloadService.getDownload(downloadId);
-    if (!updatedDownload) {
-      return res.status(500).json({ error: "Failed to retrieve updated download" });
-    }
-
     return res.json({ download: serializeDownload(updatedDownload) });
   } catch (error) {
     logger.error("Error retrying download", {
@@ -511,3 +557,203 @@ export async function retryDownload(
     return res.status(500).json({ error: "Failed to retry download" });
   }
 }
+
+const sendError = (
+  res: TypedResponse<ApiErrorResponse>,
+  error: unknown,
+  message: string
+) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(message, {
+    error: error instanceof Error ? error.message : String(error),
+  });
+  return res.status(500).json({ error: message });
+};
+
+/**
+ * Pause a queued or running playlist download.
+ * POST /api/downloads/:id/pause
+ */
+export async function pauseDownload(
+  req: TypedAuthRequest<never, DownloadQueueActionParams>,
+  res: TypedResponse<DownloadQueueActionResponse | ApiErrorResponse>
+) {
+  try {
+    const downloadId = parseInt(req.params.id, 10);
+    if (isNaN(downloadId)) {
+      return res.status(400).json({ error: "Invalid download ID" });
+    }
+
+    const download = await downloadQueueService.pause(downloadId, req.user.id);
+    logger.info("Playlist download paused", {
+      downloadId,
+      userId: req.user.id,
+    });
+    return res.json({ download: serializeDownload(download) });
+  } catch (error) {
+    return sendError(res, error, "Failed to pause download");
+  }
+}
+
+/**
+ * Queue a paused playlist download again.
+ * POST /api/downloads/:id/resume
+ */
+export async function resumeDownload(
+  req: TypedAuthRequest<never, DownloadQueueActionParams>,
+  res: TypedResponse<DownloadQueueActionResponse | ApiErrorResponse>
+) {
+  try {
+    const downloadId = parseInt(req.params.id, 10);
+    if (isNaN(downloadId)) {
+      return res.status(400).json({ error: "Invalid download ID" });
+    }
+
+    const download = await downloadQueueService.resume(downloadId, req.user.id);
+    logger.info("Playlist download resumed", {
+      downloadId,
+      userId: req.user.id,
+    });
+    return res.json({ download: serializeDownload(download) });
+  } catch (error) {
+    return sendError(res, error, "Failed to resume download");
+  }
+}
+
+/**
+ * Cancel an unfinished playlist download. The record stays so it can be
+ * retried.
+ * POST /api/downloads/:id/cancel
+ */
+export async function cancelDownload(
+  req: TypedAuthRequest<never, DownloadQueueActionParams>,
+  res: TypedResponse<DownloadQueueActionResponse | ApiErrorResponse>
+) {
+  try {
+    const downloadId = parseInt(req.params.id, 10);
+    if (isNaN(downloadId)) {
+      return res.status(400).json({ error: "Invalid download ID" });
+    }
+
+    const download = await downloadQueueService.cancel(downloadId, req.user.id);
+    logger.info("Playlist download cancelled", {
+      downloadId,
+      userId: req.user.id,
+    });
+    return res.json({ download: serializeDownload(download) });
+  } catch (error) {
+    return sendError(res, error, "Failed to cancel download");
+  }
+}
+
+/**
+ * Change where a waiting playlist download sits in the queue.
+ * PUT /api/downloads/:id/priority
+ */
+export async function updateDownloadPriority(
+  req: TypedAuthRequest<
+    UpdateDownloadPriorityBody,
+    UpdateDownloadPriorityParams
+  >,
+  res: TypedResponse<UpdateDownloadPriorityResponse | ApiErrorResponse>
+) {
+  try {
+    const downloadId = parseInt(req.params.id, 10);
+    if (isNaN(downloadId)) {
+      return res.status(400).json({ error: "Invalid download ID" });
+    }
+
+    const { priority } = req.body ?? {};
+    if (!isDownloadPriority(priority)) {
+      return res
+        .status(400)
+        .json({ error: "priority must be one of low, normal, high" });
+    }
+
+    const download = await downloadQueueService.setPriority(
+      downloadId,
+      req.user.id,
+      priority
+    );
+    return res.json({ download: serializeDownload(download) });
+  } catch (error) {
+    return sendError(res, error, "Failed to change download priority");
+  }
+}
+
+/**
+ * GET /api/downloads/settings (admin only)
+ */
+export async function getDownloadSettings(
+  _req: TypedAuthRequest,
+  res: TypedResponse<GetDownloadSettingsResponse | ApiErrorResponse>
+) {
+  try {
+    const settings = await downloadService.getSettings();
+    return res.json({ settings: toDownloadSettingsData(settings) });
+  } catch (error) {
+    return sendError(res, error, "Failed to load download settings");
+  }
+}
+
+/**
+ * PUT /api/downloads/settings (admin only)
+ * Raising the limits starts waiting builds straight away; lowering them
+ * lets running builds finish.
+ */
+export async function updateDownloadSettings(
+  req: TypedAuthRequest<UpdateDownloadSettingsBody>,
+  res: TypedResponse<UpdateDownloadSettingsResponse | ApiErrorResponse>
+) {
+  try {
+    const { maxConcurrent, maxConcurrentPerUser, expiryHours } = req.body;
+    const data: UpdateDownloadSettingsBody = {};
+
+    const isWholeNumber = (value: unknown, max: number): value is number =>
+      typeof value === "number" &&
+      Number.isInteger(value) &&
+      value >= 1 &&
+      value <= max;
+
+    if (maxConcurrent !== undefined) {
+      if (!isWholeNumber(maxConcurrent, MAX_DOWNLOAD_CONCURRENT_LIMIT)) {
+        return res.status(400).json({
+          error: `Concurrent builds must be a whole number between 1 and ${MAX_DOWNLOAD_CONCURRENT_LIMIT}`,
+        });
+      }
+      data.maxConcurrent = maxConcurrent;
+    }
+
+    if (maxConcurrentPerUser !== undefined) {
+      if (!isWholeNumber(maxConcurrentPerUser, MAX_DOWNLOAD_CONCURRENT_LIMIT)) {
+        return res.status(400).json({
+          error: `Concurrent builds per user must be a whole number between 1 and ${MAX_DOWNLOAD_CONCURRENT_LIMIT}`,
+        });
+      }
+      data.maxConcurrentPerUser = maxConcurrentPerUser;
+    }
+
+    if (expiryHours !== undefined) {
+      if (!isWholeNumber(expiryHours, MAX_DOWNLOAD_EXPIRY_HOURS)) {
+        return res.status(400).json({
+          error: `Expiry must be a whole number of hours between 1 and ${MAX_DOWNLOAD_EXPIRY_HOURS}`,
+        });
+      }
+      data.expiryHours = expiryHours;
+    }
+
+    const settings = await downloadService.updateSettings(data);
+
+    logger.info("Download settings updated", {
+      userId: req.user.id,
+      ...toDownloadSettingsData(settings),
+    });
+
+    void downloadQueueService.pump();
+    return res.json({ settings: toDownloadSettingsData(settings) });
+  } catch (error) {
+    return sendError(res, error, "Failed to update download settings");
+  }
+}
@@ -0,0 +1,42 @@
+import { eventBusService } from "../services/EventBusService.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+
+// Comment line sent periodically so proxies don't close an idle stream
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Stream the current user's server events (Server-Sent Events)
+ * GET /api/events
+ */
+export const streamServerEvents = (
+  req: TypedAuthRequest,
+  res: TypedResponse<ApiErrorResponse>
+) => {
+  const user = req.user;
+
+  if (!user) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  const unsubscribe = eventBusService.subscribe(user, {
+    send: (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    },
+  });
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
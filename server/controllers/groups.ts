@@ -5,7 +5,16 @@
  * Admin-only for management operations, with a user-facing endpoint
  * to get their own group memberships.
  */
+import { Prisma, type UserGroup } from "@prisma/client";
 import prisma from "../prisma/singleton.js";
+import {
+  accessScheduleService,
+  parseAccessSchedule,
+  readAccessSchedule,
+} from "../services/AccessScheduleService.js";
+import { auditLogService, diffFields, type AuditTarget } from "../services/AuditLogService.js";
+import { MAX_DOWNLOAD_EXPIRY_HOURS } from "../services/DownloadService.js";
+import { parseFieldAllowlist } from "../services/MetadataEditService.js";
 import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
 import type { ApiErrorResponse } from "../types/api/common.js";
 import type {
@@ -26,6 +35,82 @@ import type {
   RemoveMemberResponse,
   GetCurrentUserGroupsResponse,
 } from "../types/api/groups.js";
+import type { AccessSchedule, MetadataEditFieldAllowlist } from "../types/api/index.js";
+
+const groupTarget = (group: Pick<UserGroup, "id" | "name">): AuditTarget => ({
+  type: "group",
+  id: group.id,
+  label: group.name,
+});
+
+/**
+ * Group fields as recorded in the audit log
+ */
+const toGroupSnapshot = (group: UserGroup) => ({
+  name: group.name,
+  description: group.description,
+  canShare: group.canShare,
+  canDownloadFiles: group.canDownloadFiles,
+  canDownloadPlaylists: group.canDownloadPlaylists,
+  canEditMetadata: group.canEditMetadata,
+  metadataEditFields: group.metadataEditFields,
+  moderateMetadataEdits: group.moderateMetadataEdits,
+  oidcGroup: group.oidcGroup,
+  requireTwoFactor: group.requireTwoFactor,
+  downloadExpiryHours: group.downloadExpiryHours,
+  downloadQuotaMb: group.downloadQuotaMb,
+  accessSchedule: group.accessSchedule,
+});
+
+/**
+ * Group as returned by create/update
+ */
+const toGroupResponse = (group: UserGroup) => ({
+  ...group,
+  metadataEditFields: group.metadataEditFields as MetadataEditFieldAllowlist | null,
+  accessSchedule: readAccessSchedule(group.accessSchedule),
+});
+
+const toJsonAllowlist = (fields: MetadataEditFieldAllowlist | null) =>
+  fields === null ? Prisma.DbNull : (fields as Prisma.InputJsonValue);
+
+const toJsonSchedule = (schedule: AccessSchedule | null) =>
+  schedule === null ? Prisma.DbNull : (schedule as unknown as Prisma.InputJsonValue);
+
+/**
+ * Members' access schedules changed along with the group
+ */
+const groupScheduleChanged = async (groupId: number) => {
+  const members = await prisma.userGroupMembership.findMany({
+    where: { groupId },
+    select: { userId: true },
+  });
+  accessScheduleService.scheduleChanged(members.map((m) => m.userId));
+};
+
+/**
+ * Download expiry and quota are positive whole numbers, or null for the
+ * server default expiry / unlimited space. Returns an error message for
+ * anything else.
+ */
+const parseDownloadLimit = (
+  value: unknown,
+  label: string,
+  max?: number
+): number | null | string => {
+  if (value === null) return null;
+  if (
+    typeof value !== "number" ||
+    !Number.isInteger(value) ||
+    value < 1 ||
+    (max !== undefined && value > max)
+  ) {
+    return max !== undefined
+      ? `${label} must be a whole number between 1 and ${max}`
+      : `${label} must be a positive whole number`;
+  }
+  return value;
+};
 
 /**
  * Get all groups with member counts (admin only)
@@ -55,6 +140,14 @@ export const getAllGroups = async (
       canShare: group.canShare,
       canDownloadFiles: group.canDownloadFiles,
       canDownloadPlaylists: group.canDownloadPlaylists,
+      canEditMetadata: group.canEditMetadata,
+      metadataEditFields: group.metadataEditFields as MetadataEditFieldAllowlist | null,
+      moderateMetadataEdits: group.moderateMetadataEdits,
+      oidcGroup: group.oidcGroup,
+      requireTwoFactor: group.requireTwoFactor,
+      downloadExpiryHours: group.downloadExpiryHours,
+      downloadQuotaMb: group.downloadQuotaMb,
+      accessSchedule: readAccessSchedule(group.accessSchedule),
       memberCount: group._count.members,
       createdAt: group.createdAt,
       updatedAt: group.updatedAt,
@@ -104,6 +197,14 @@ export const getGroup = async (req: TypedAuthRequest<never, GetUserGroupParams>,
       canShare: group.canShare,
       canDownloadFiles: group.canDownloadFiles,
       canDownloadPlaylists: group.canDownloadPlaylists,
+      canEditMetadata: group.canEditMetadata,
+      metadataEditFields: group.metadataEditFields as MetadataEditFieldAllowlist | null,
+      moderateMetadataEdits: group.moderateMetadataEdits,
+      oidcGroup: group.oidcGroup,
+      requireTwoFactor: group.requireTwoFactor,
+      downloadExpiryHours: group.downloadExpiryHours,
+      downloadQuotaMb: group.downloadQuotaMb,
+      accessSchedule: readAccessSchedule(group.accessSchedule),
       createdAt: group.createdAt,
       updatedAt: group.updatedAt,
       members: group.members.map((m) => ({
@@ -127,8 +228,21 @@ export const createGroup = async (req: TypedAuthRequest<CreateUserGroupBody>, re
     return res.status(403).json({ error: "Admin access required" });
   }
 
-  const { name, description, canShare, canDownloadFiles, canDownloadPlaylists } =
-    req.body;
+  const {
+    name,
+    description,
+    canShare,
+    canDownloadFiles,
+    canDownloadPlaylists,
+    canEditMetadata,
+    metadataEditFields,
+    moderateMetadataEdits,
+    oidcGroup,
+    requireTwoFactor,
+    downloadExpiryHours = null,
+    downloadQuotaMb = null,
+    accessSchedule = null,
+  } = req.body;
 
   if (!name || typeof name !== "string" || name.trim() === "") {
     return res.status(400).json({ error: "Group name is required" });
@@ -143,6 +257,28 @@ export const createGroup = async (req: TypedAuthRequest<CreateUserGroupBody>, re
     return res.status(409).json({ error: "A group with this name already exists" });
   }
 
+  const allowlist = parseFieldAllowlist(metadataEditFields ?? null);
+  if (typeof allowlist === "string") {
+    return res.status(400).json({ error: allowlist });
+  }
+
+  const expiryHours = parseDownloadLimit(
+    downloadExpiryHours,
+    "Download expiry",
+    MAX_DOWNLOAD_EXPIRY_HOURS
+  );
+  if (typeof expiryHours === "string") {
+    return res.status(400).json({ error: expiryHours });
+  }
+  const quotaMb = parseDownloadLimit(downloadQuotaMb, "Download quota");
+  if (typeof quotaMb === "string") {
+    return res.status(400).json({ error: quotaMb });
+  }
+  const schedule = parseAccessSchedule(accessSchedule);
+  if (typeof schedule === "string") {
+    return res.status(400).json({ error: schedule });
+  }
+
   const group = await prisma.userGroup.create({
     data: {
       name: name.trim(),
@@ -150,10 +286,24 @@ export const createGroup = async (req: TypedAuthRequest<CreateUserGroupBody>, re
       canShare: canShare === true,
       canDownloadFiles: canDownloadFiles === true,
       canDownloadPlaylists: canDownloadPlaylists === true,
+      canEditMetadata: canEditMetadata === true,
+      metadataEditFields: toJsonAllowlist(allowlist),
+      moderateMetadataEdits: moderateMetadataEdits === true,
+      oidcGroup: typeof oidcGroup === "string" ? oidcGroup.trim() || null : null,
+      requireTwoFactor: requireTwoFactor === true,
+      downloadExpiryHours: expiryHours,
+      downloadQuotaMb: quotaMb,
+      accessSchedule: toJsonSchedule(schedule),
     },
   });
 
-  return res.status(201).json({ group });
+  await auditLogService.recordRequest(req, {
+    action: "group.create",
+    target: groupTarget(group),
+    after: toGroupSnapshot(group),
+  });
+
+  return res.status(201).json({ group: toGroupResponse(group) });
 };
 
 /**
@@ -177,8 +327,21 @@ export const updateGroup = async (req: TypedAuthRequest<UpdateUserGroupBody, Upd
     return res.status(404).json({ error: "Group not found" });
   }
 
-  const { name, description, canShare, canDownloadFiles, canDownloadPlaylists } =
-    req.body;
+  const {
+    name,
+    description,
+    canShare,
+    canDownloadFiles,
+    canDownloadPlaylists,
+    canEditMetadata,
+    metadataEditFields,
+    moderateMetadataEdits,
+    oidcGroup,
+    requireTwoFactor,
+    downloadExpiryHours,
+    downloadQuotaMb,
+    accessSchedule,
+  } = req.body;
 
   // Build update data, only including provided fields
   const updateData: {
@@ -187,6 +350,14 @@ export const updateGroup = async (req: TypedAuthRequest<UpdateUserGroupBody, Upd
     canShare?: boolean;
     canDownloadFiles?: boolean;
     canDownloadPlaylists?: boolean;
+    canEditMetadata?: boolean;
+    metadataEditFields?: Prisma.InputJsonValue | typeof Prisma.DbNull;
+    moderateMetadataEdits?: boolean;
+    oidcGroup?: string | null;
+    requireTwoFactor?: boolean;
+    downloadExpiryHours?: number | null;
+    downloadQuotaMb?: number | null;
+    accessSchedule?: Prisma.InputJsonValue | typeof Prisma.DbNull;
   } = {};
 
   if (name !== undefined) {
@@ -212,12 +383,74 @@ export const updateGroup = async (req: TypedAuthRequest<UpdateUserGroupBody, Upd
     updateData.canDownloadPlaylists = canDownloadPlaylists === true;
   }
 
+  if (canEditMetadata !== undefined) {
+    updateData.canEditMetadata = canEditMetadata === true;
+  }
+
+  if (metadataEditFields !== undefined) {
+    const allowlist = parseFieldAllowlist(metadataEditFields);
+    if (typeof allowlist === "string") {
+      return res.status(400).json({ error: allowlist });
+    }
+    updateData.metadataEditFields = toJsonAllowlist(allowlist);
+  }
+
+  if (moderateMetadataEdits !== undefined) {
+    updateData.moderateMetadataEdits = moderateMetadataEdits === true;
+  }
+
+  if (oidcGroup !== undefined) {
+    updateData.oidcGroup = typeof oidcGroup === "string" ? oidcGroup.trim() || null : null;
+  }
+
+  if (requireTwoFactor !== undefined) {
+    updateData.requireTwoFactor = requireTwoFactor === true;
+  }
+
+  if (downloadExpiryHours !== undefined) {
+    const expiryHours = parseDownloadLimit(
+      downloadExpiryHours,
+      "Download expiry",
+      MAX_DOWNLOAD_EXPIRY_HOURS
+    );
+    if (typeof expiryHours === "string") {
+      return res.status(400).json({ error: expiryHours });
+    }
+    updateData.downloadExpiryHours = expiryHours;
+  }
+
+  if (downloadQuotaMb !== undefined) {
+    const quotaMb = parseDownloadLimit(downloadQuotaMb, "Download quota");
+    if (typeof quotaMb === "string") {
+      return res.status(400).json({ error: quotaMb });
+    }
+    updateData.downloadQuotaMb = quotaMb;
+  }
+
+  if (accessSchedule !== undefined) {
+    const schedule = parseAccessSchedule(accessSchedule);
+    if (typeof schedule === "string") {
+      return res.status(400).json({ error: schedule });
+    }
+    updateData.accessSchedule = toJsonSchedule(schedule);
+  }
+
   const group = await prisma.userGroup.update({
     where: { id: groupId },
     data: updateData,
   });
 
-  return res.json({ group });
+  await auditLogService.recordRequest(req, {
+    action: "group.update",
+    target: groupTarget(group),
+    ...diffFields(toGroupSnapshot(existing), toGroupSnapshot(group)),
+  });
+
+  if (accessSchedule !== undefined) {
+    await groupScheduleChanged(groupId);
+  }
+
+  return res.json({ group: toGroupResponse(group) });
 };
 
 /**
@@ -241,9 +474,24 @@ export const deleteGroup = async (req: TypedAuthRequest<never, DeleteUserGroupPa
     return res.status(404).json({ error: "Group not found" });
   }
 
+  // Memberships go with the group, so find whose schedule changes first
+  const members = existing.accessSchedule
+    ? await prisma.userGroupMembership.findMany({
+        where: { groupId },
+        select: { userId: true },
+      })
+    : [];
+
   await prisma.userGroup.delete({
     where: { id: groupId },
   });
+  accessScheduleService.scheduleChanged(members.map((m) => m.userId));
+
+  await auditLogService.recordRequest(req, {
+    action: "group.delete",
+    target: groupTarget(existing),
+    before: toGroupSnapshot(existing),
+  });
 
   return res.json({ success: true });
 };
@@ -295,6 +543,16 @@ export const addMember = async (req: TypedAuthRequest<AddMemberBody, AddMemberPa
     },
   });
 
+  await auditLogService.recordRequest(req, {
+    action: "group.member_add",
+    target: groupTarget(group),
+    details: { userId },
+  });
+
+  if (group.accessSchedule) {
+    accessScheduleService.scheduleChanged([userId]);
+  }
+
   return res.status(201).json({ membership });
 };
 
@@ -323,6 +581,10 @@ export const removeMember = async (
         groupId,
       },
     },
+    include: {
+      group: { select: { id: true, name: true, accessSchedule: true } },
+      user: { select: { username: true } },
+    },
   });
 
   if (!existing) {
@@ -338,6 +600,16 @@ export const removeMember = async (
     },
   });
 
+  await auditLogService.recordRequest(req, {
+    action: "group.member_remove",
+    target: groupTarget(existing.group),
+    details: { userId, username: existing.user.username },
+  });
+
+  if (existing.group.accessSchedule) {
+    accessScheduleService.scheduleChanged([userId]);
+  }
+
   return res.json({ success: true });
 };
 
@@ -0,0 +1,54 @@
+import type {
+  ApiErrorResponse,
+  FolderListQueryParams,
+  FolderListResponse,
+  TypedAuthRequest,
+  TypedResponse,
+} from "../../types/api/index.js";
+import { fileFolderService, isFolderEntityType } from "../../services/FileFolderService.js";
+import { getUserAllowedInstanceIds } from "../../services/UserInstanceService.js";
+import { logger } from "../../utils/logger.js";
+
+/**
+ * GET /api/library/folders
+ * Folders on disk below a folder (or the library roots), with item counts
+ */
+export const listFolders = async (
+  req: TypedAuthRequest<unknown, Record<string, string>, FolderListQueryParams>,
+  res: TypedResponse<FolderListResponse | ApiErrorResponse>
+) => {
+  const type = req.query.type || "scene";
+  if (!isFolderEntityType(type)) {
+    return res.status(400).json({ error: `Invalid folder type: ${type}` });
+  }
+
+  const path = req.query.path?.trim() || undefined;
+  const instanceId = req.query.instanceId || undefined;
+  if (path && !instanceId) {
+    return res.status(400).json({ error: "instanceId is required with path" });
+  }
+
+  try {
+    const allowedInstanceIds = await getUserAllowedInstanceIds(req.user.id);
+    if (instanceId && allowedInstanceIds.length > 0 && !allowedInstanceIds.includes(instanceId)) {
+      return res.status(403).json({ error: "Access denied to this instance" });
+    }
+
+    // Same visibility as the matching list: admins see every image and gallery
+    const applyExclusions = type === "scene" || req.user.role !== "ADMIN";
+
+    const result = await fileFolderService.listFolders(type, {
+      userId: req.user.id,
+      applyExclusions,
+      allowedInstanceIds,
+      path,
+      instanceId,
+    });
+    return res.json(result);
+  } catch (error) {
+    logger.error("Error listing folders", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return res.status(500).json({ error: "Failed to list folders" });
+  }
+};
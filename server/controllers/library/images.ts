@@ -215,6 +215,13 @@ export const findImages = async (
       };
     }
 
+    if (image_filter?.folder?.path) {
+      filters.folder = {
+        path: String(image_filter.folder.path),
+        instanceId: image_filter.folder.instanceId,
+      };
+    }
+
     // Admins skip exclusions
     const applyExclusions = requestingUser?.role !== "ADMIN";
 
@@ -8,13 +8,15 @@ import type {
   UpdatePerformerParams,
   UpdatePerformerRequest,
   UpdatePerformerResponse,
+  PendingMetadataEditResponse,
   ApiErrorResponse,
   AmbiguousLookupResponse,
 } from "../../types/api/index.js";
+import { AppError } from "../../middleware/errorHandler.js";
 import prisma from "../../prisma/singleton.js";
 import { stashEntityService } from "../../services/StashEntityService.js";
 import { entityExclusionHelper } from "../../services/EntityExclusionHelper.js";
-import { stashInstanceManager } from "../../services/StashInstanceManager.js";
+import { metadataEditService } from "../../services/MetadataEditService.js";
 import { userStatsService } from "../../services/UserStatsService.js";
 import { performerQueryBuilder } from "../../services/PerformerQueryBuilder.js";
 import { getUserAllowedInstanceIds } from "../../services/UserInstanceService.js";
@@ -22,7 +24,7 @@ import type {
   NormalizedPerformer,
   PeekPerformerFilter,
 } from "../../types/index.js";
-import { disambiguateEntityNames, getEntityInstanceId } from "../../utils/entityInstanceId.js";
+import { disambiguateEntityNames } from "../../utils/entityInstanceId.js";
 import { coerceEntityRefs } from "@peek/shared-types/instanceAwareId.js";
 import { hydrateEntityTags } from "../../utils/hierarchyUtils.js";
 import { logger } from "../../utils/logger.js";
@@ -885,31 +887,24 @@ export const findPerformersMinimal = async (
 
 export const updatePerformer = async (
   req: TypedAuthRequest<UpdatePerformerRequest, UpdatePerformerParams>,
-  res: TypedResponse<UpdatePerformerResponse | ApiErrorResponse>
+  res: TypedResponse<UpdatePerformerResponse | PendingMetadataEditResponse | ApiErrorResponse>
 ) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
 
-    const instanceId = await getEntityInstanceId('performer', id);
-    const stash = stashInstanceManager.get(instanceId);
-    if (!stash) {
-      return res.status(404).json({ error: "Stash instance not found for performer" });
-    }
+    const result = await metadataEditService.submit(req.user, "performer", id, updateData);
 
-    const updatedPerformer = await stash.performerUpdate({
-      input: {
-        id,
-        ...updateData,
-      },
-    });
-
-    if (!updatedPerformer.performerUpdate) {
-      return res.status(500).json({ error: "Performer update returned null" });
+    // Moderated edits wait for an admin instead of reaching Stash now
+    if (result.status === "pending") {
+      return res.status(202).json({ success: true, pending: true, edit: result.edit });
     }
 
-    res.json({ success: true, performer: updatedPerformer.performerUpdate as unknown as NormalizedPerformer });
+    res.json({ success: true, performer: result.entity as unknown as NormalizedPerformer });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     logger.error("Error updating performer", { error: error instanceof Error ? error.message : "Unknown error" });
     res.status(500).json({ error: "Failed to update performer" });
   }
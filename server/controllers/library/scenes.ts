@@ -8,18 +8,23 @@ import type {
   FindSimilarScenesResponse,
   GetRecommendedScenesQuery,
   GetRecommendedScenesResponse,
+  RecommendationReason,
   UpdateSceneParams,
   UpdateSceneRequest,
   UpdateSceneResponse,
+  PendingMetadataEditResponse,
   ApiErrorResponse,
   AmbiguousLookupResponse,
   ScoredSceneId,
 } from "../../types/api/index.js";
+import { AppError } from "../../middleware/errorHandler.js";
 import prisma from "../../prisma/singleton.js";
 import { stashEntityService } from "../../services/StashEntityService.js";
-import { stashInstanceManager } from "../../services/StashInstanceManager.js";
+import { metadataEditService } from "../../services/MetadataEditService.js";
 import { entityExclusionHelper } from "../../services/EntityExclusionHelper.js";
 import { sceneQueryBuilder } from "../../services/SceneQueryBuilder.js";
+import { sceneSimilarityService } from "../../services/SceneSimilarityService.js";
+import { searchService } from "../../services/SearchService.js";
 import { getUserAllowedInstanceIds } from "../../services/UserInstanceService.js";
 import rankingComputeService from "../../services/RankingComputeService.js";
 import {
@@ -32,12 +37,23 @@ import {
   type SceneRatingInput,
   type EntityRankingData,
 } from "../../services/RecommendationScoringService.js";
+import {
+  buildContextAffinity,
+  buildSessionSeeds,
+  diversifyByEntities,
+  findLastSession,
+  getViewingContext,
+  isRecentlyAbandoned,
+  parsePlayTimes,
+  scoreByContext,
+  scoreBySession,
+  type WatchEntry,
+} from "../../services/SessionScoringService.js";
 import type { NormalizedScene, PeekSceneFilter } from "../../types/index.js";
 import { OrientationEnum } from "../../graphql/generated/graphql.js";
 import { isSceneStreamable } from "../../utils/codecDetection.js";
 import { expandStudioIds, expandTagIds } from "../../utils/hierarchyUtils.js";
 import { parseCompositeFilterValues } from "../../utils/sqlFilterBuilders.js";
-import { getEntityInstanceId } from "../../utils/entityInstanceId.js";
 import { coerceEntityRefs } from "@peek/shared-types/instanceAwareId.js";
 import { logger } from "../../utils/logger.js";
 import { SeededRandom, parseRandomSort, generateDailySeed } from "../../utils/seededRandom.js";
@@ -1105,26 +1121,7 @@ export const findScenes = async (
 
       // Step 3: Apply search query
       if (searchQuery) {
-        const lowerQuery = searchQuery.toLowerCase();
-        scenes = scenes.filter((s) => {
-          const title = s.title || "";
-          const details = s.details || "";
-          const filePath = s.files?.[0]?.path || "";
-          const performers = (s.performers || [])
-            .map((p) => p.name || "")
-            .join(" ");
-          const studio = s.studio?.name || "";
-          const tags = (s.tags || []).map((t) => t.name || "").join(" ");
-
-          return (
-            title.toLowerCase().includes(lowerQuery) ||
-            details.toLowerCase().includes(lowerQuery) ||
-            filePath.toLowerCase().includes(lowerQuery) ||
-            performers.toLowerCase().includes(lowerQuery) ||
-            studio.toLowerCase().includes(lowerQuery) ||
-            tags.toLowerCase().includes(lowerQuery)
-          );
-        });
+        scenes = await searchService.filterByQuery("scene", scenes, searchQuery);
       }
 
       // Step 4: Apply all filters (quick + expensive)
@@ -1165,26 +1162,7 @@ export const findScenes = async (
 
       // Step 2: Apply search query
       if (searchQuery) {
-        const lowerQuery = searchQuery.toLowerCase();
-        scenes = scenes.filter((s) => {
-          const title = s.title || "";
-          const details = s.details || "";
-          const filePath = s.files?.[0]?.path || "";
-          const performers = (s.performers || [])
-            .map((p) => p.name || "")
-            .join(" ");
-          const studio = s.studio?.name || "";
-          const tags = (s.tags || []).map((t) => t.name || "").join(" ");
-
-          return (
-            title.toLowerCase().includes(lowerQuery) ||
-            details.toLowerCase().includes(lowerQuery) ||
-            filePath.toLowerCase().includes(lowerQuery) ||
-            performers.toLowerCase().includes(lowerQuery) ||
-            studio.toLowerCase().includes(lowerQuery) ||
-            tags.toLowerCase().includes(lowerQuery)
-          );
-        });
+        scenes = await searchService.filterByQuery("scene", scenes, searchQuery);
       }
 
       // Step 3: Apply quick filters (don't need user data)
@@ -1247,51 +1225,41 @@ export const findScenes = async (
 
 export const updateScene = async (
   req: TypedAuthRequest<UpdateSceneRequest, UpdateSceneParams>,
-  res: TypedResponse<UpdateSceneResponse | ApiErrorResponse>
+  res: TypedResponse<UpdateSceneResponse | PendingMetadataEditResponse | ApiErrorResponse>
 ) => {
   try {
     const { id } = req.params;
     const userId = req.user?.id;
     const updateData = req.body;
 
-    const instanceId = await getEntityInstanceId('scene', id);
-    const stash = stashInstanceManager.get(instanceId);
-    if (!stash) {
-      return res.status(404).json({ error: "Stash instance not found for scene" });
-    }
-
-    const updatedScene = await stash.sceneUpdate({
-      input: {
-        id,
-        ...updateData,
-      },
-    });
+    const result = await metadataEditService.submit(req.user, "scene", id, updateData);
 
-    if (!updatedScene.sceneUpdate) {
-      return res.status(500).json({ error: "Scene update returned null" });
+    // Moderated edits wait for an admin instead of reaching Stash now
+    if (result.status === "pending") {
+      return res.status(202).json({ success: true, pending: true, edit: result.edit });
     }
 
     // Override with per-user watch history
     const sceneWithUserHistory = await mergeScenesWithUserData(
-      [updatedScene.sceneUpdate] as unknown as NormalizedScene[],
+      [result.entity] as unknown as NormalizedScene[],
       userId
     );
 
     res.json({ success: true, scene: sceneWithUserHistory[0] as NormalizedScene });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     logger.error("Error updating scene", { error: error instanceof Error ? error.message : "Unknown error" });
     res.status(500).json({ error: "Failed to update scene" });
   }
 };
 
 /**
- * Find similar scenes based on weighted scoring
- * Performers: 3 points each
- * Studio: 2 points
- * Tags: 1 point each
+ * Find similar scenes
  *
- * Uses SQL-based candidate selection (max 500 candidates) for scalability:
- * 1. SQL query finds scenes sharing performers, tags, or studio with weights
+ * 1. SceneSimilarityService scores scenes sharing performers, tags, studio or
+ *    studio network from its index (max 500 candidates)
  * 2. SceneQueryBuilder fetches full scene data for paginated results
  */
 export const findSimilarScenes = async (
@@ -1312,13 +1280,14 @@ export const findSimilarScenes = async (
     // Get pre-computed scene exclusions for this user
     const excludedIds = await entityExclusionHelper.getExcludedIds(userId, 'scene');
 
-    // Use SQL-based candidate selection (max 500 candidates)
-    // This replaces loading ALL scenes and scoring in memory
-    const candidates = await stashEntityService.getSimilarSceneCandidates(
-      id,
+    // Get user's allowed instance IDs for multi-instance filtering
+    const allowedInstanceIds = await getUserAllowedInstanceIds(userId);
+
+    const candidates = await sceneSimilarityService.findSimilar(id, {
       excludedIds,
-      500 // Max candidates
-    );
+      allowedInstanceIds,
+      limit: 500, // Max candidates
+    });
 
     // Empty result if no candidates found
     if (candidates.length === 0) {
@@ -1330,7 +1299,7 @@ export const findSimilarScenes = async (
       });
     }
 
-    // Paginate candidate IDs (already sorted by weight desc, date desc from SQL)
+    // Paginate candidate IDs (already sorted by score desc, date desc)
     const startIndex = (page - 1) * perPage;
     const paginatedIds = candidates
       .slice(startIndex, startIndex + perPage)
@@ -1345,9 +1314,6 @@ export const findSimilarScenes = async (
       });
     }
 
-    // Get user's allowed instance IDs for multi-instance filtering
-    const allowedInstanceIds = await getUserAllowedInstanceIds(userId);
-
     // Fetch full scene data via SceneQueryBuilder
     const { scenes } = await sceneQueryBuilder.getByIds({
       userId,
@@ -1381,9 +1347,80 @@ export const findSimilarScenes = async (
   }
 };
 
+/**
+ * The performer, studio or tag a recommendation most likely came from:
+ * a favorite, then a highly rated one, then the one most weighted by rated
+ * scenes and engagement
+ */
+function explainByPreferences(
+  scene: NormalizedScene,
+  prefs: LightweightEntityPreferences
+): RecommendationReason {
+  const instId = scene.instanceId || "";
+  const strength = (
+    id: string,
+    favorites: Set<string>,
+    rated: Set<string>,
+    derived: Map<string, number>,
+    implicit: Map<string, number>
+  ) => {
+    const key = `${id}\0${instId}`;
+    if (favorites.has(key)) return 1000;
+    if (rated.has(key)) return 500;
+    return (derived.get(id) ?? 0) + (implicit.get(id) ?? 0);
+  };
+
+  const candidates: Array<{ reason: RecommendationReason; strength: number }> = [];
+  for (const performer of scene.performers ?? []) {
+    candidates.push({
+      reason: { type: "performer", id: String(performer.id), name: performer.name },
+      strength: strength(
+        String(performer.id),
+        prefs.favoritePerformers,
+        prefs.highlyRatedPerformers,
+        prefs.derivedPerformerWeights,
+        prefs.implicitPerformerWeights
+      ),
+    });
+  }
+  if (scene.studio) {
+    candidates.push({
+      reason: { type: "studio", id: String(scene.studio.id), name: scene.studio.name ?? "" },
+      strength: strength(
+        String(scene.studio.id),
+        prefs.favoriteStudios,
+        prefs.highlyRatedStudios,
+        prefs.derivedStudioWeights,
+        prefs.implicitStudioWeights
+      ) * 0.9,
+    });
+  }
+  for (const tag of scene.tags ?? []) {
+    candidates.push({
+      reason: { type: "tag", id: String(tag.id), name: tag.name },
+      strength: strength(
+        String(tag.id),
+        prefs.favoriteTags,
+        prefs.highlyRatedTags,
+        prefs.derivedTagWeights,
+        prefs.implicitTagWeights
+      ) * 0.5,
+    });
+  }
+
+  const best = candidates.reduce<(typeof candidates)[number] | null>(
+    (top, candidate) => (candidate.strength > (top?.strength ?? 0) ? candidate : top),
+    null
+  );
+  return best ? best.reason : { type: "history" };
+}
+
 /**
  * Get recommended scenes based on user preferences and watch history
- * Uses favorites, ratings (80+), watch status, and engagement quality
+ * Uses favorites, ratings (80+), watch status, engagement quality, the
+ * latest viewing session and what the user watches at this time of day.
+ * With mode=session, recommends only scenes that follow on from the latest
+ * session ("continue the vibe").
  *
  * Two-phase query architecture:
  * 1. Lightweight scoring: Score all scenes using IDs only (SceneScoringData)
@@ -1397,6 +1434,8 @@ export const getRecommendedScenes = async (
   try {
     const page = parseInt(req.query.page as string) || 1;
     const perPage = parseInt(req.query.per_page as string) || 24;
+    const sessionMode = req.query.mode === "session";
+    const timezone = req.query.timezone;
     const userId = req.user?.id;
 
     if (!userId) {
@@ -1481,8 +1520,52 @@ export const getRecommendedScenes = async (
       sceneRatings
     );
 
-    // Check if user has any criteria (now includes scenes)
-    if (!hasAnyCriteria(criteriaCounts)) {
+    // Filter excluded scenes from scoring data (instance-aware)
+    const scoringData = allScoringData.filter((s) => !entityExclusionHelper.isExcluded(s.id, s.instanceId, exclusionData));
+    const scoringDataMap = new Map(scoringData.map((s) => [s.id, s]));
+    const getScoringDataById = (id: string) => scoringDataMap.get(id);
+
+    // Scene lengths tell a scene given up on early from one watched through
+    const watchedIds = watchHistory.map((wh) => wh.sceneId);
+    const sceneDurations =
+      watchedIds.length > 0
+        ? await prisma.stashScene.findMany({
+            where: { id: { in: watchedIds }, deletedAt: null },
+            select: { id: true, duration: true },
+          })
+        : [];
+    const durationMap = new Map(sceneDurations.map((s) => [s.id, s.duration]));
+
+    const watchEntries: WatchEntry[] = watchHistory.map((wh) => ({
+      sceneId: wh.sceneId,
+      playCount: wh.playCount || 0,
+      playDuration: wh.playDuration || 0,
+      lastPlayedAt: wh.lastPlayedAt,
+      playTimes: parsePlayTimes(wh.playHistory),
+      sceneDuration: durationMap.get(wh.sceneId) ?? null,
+    }));
+
+    // Session and time-of-day signals
+    const now = new Date();
+    const sessionSeeds = buildSessionSeeds(findLastSession(watchEntries, now), getScoringDataById);
+    const viewingContext = getViewingContext(now, timezone);
+    const contextAffinity = sessionMode
+      ? null
+      : buildContextAffinity(watchEntries, getScoringDataById, viewingContext, timezone);
+
+    if (sessionMode && sessionSeeds.length === 0) {
+      return res.json({
+        scenes: [],
+        count: 0,
+        page,
+        perPage,
+        message: "No recent viewing session",
+      });
+    }
+
+    // Check if user has any criteria (now includes scenes); a recent session
+    // is enough to go on
+    if (!hasAnyCriteria(criteriaCounts) && sessionSeeds.length === 0) {
       return res.json({
         scenes: [],
         count: 0,
@@ -1495,28 +1578,20 @@ export const getRecommendedScenes = async (
 
     // Build watch history map
     const watchMap = new Map(
-      watchHistory.map((wh) => {
-        const playHistory = (Array.isArray(wh.playHistory)
-          ? wh.playHistory
-          : JSON.parse((wh.playHistory as string) || "[]")) as string[];
-        const lastEntry = playHistory[playHistory.length - 1];
-        const lastPlayedAt = lastEntry != null
-            ? new Date(lastEntry)
-            : null;
+      watchEntries.map((entry) => {
+        const lastEntry = entry.playTimes[entry.playTimes.length - 1];
 
         return [
-          wh.sceneId,
+          entry.sceneId,
           {
-            playCount: wh.playCount || 0,
-            lastPlayedAt,
+            playCount: entry.playCount,
+            lastPlayedAt: lastEntry ?? null,
+            recentlyAbandoned: isRecentlyAbandoned(entry, now),
           },
         ];
       })
     );
 
-    // Filter excluded scenes from scoring data (instance-aware)
-    const scoringData = allScoringData.filter((s) => !entityExclusionHelper.isExcluded(s.id, s.instanceId, exclusionData));
-
     // Build derived weights from rated/favorited scenes using lightweight data
     const sceneRatingsForDerived: SceneRatingInput[] = sceneRatings.map((r) => ({
       sceneId: r.sceneId,
@@ -1524,9 +1599,6 @@ export const getRecommendedScenes = async (
       favorite: r.favorite,
     }));
 
-    const scoringDataMap = new Map(scoringData.map((s) => [s.id, s]));
-    const getScoringDataById = (id: string) => scoringDataMap.get(id);
-
     const {
       derivedPerformerWeights,
       derivedStudioWeights,
@@ -1565,10 +1637,21 @@ export const getRecommendedScenes = async (
 
     // Phase 1: Score all scenes using lightweight data
     const scoredScenes: ScoredSceneId[] = [];
-    const now = new Date();
+    // What each score came from, to explain the recommendation
+    const scoreSources = new Map<
+      string,
+      { preferences: number; session: number; context: number; seedSceneId: string | null }
+    >();
+    const sessionSceneIds = new Set(sessionSeeds.map((seed) => seed.sceneId));
 
     for (const data of scoringData) {
-      const baseScore = scoreScoringDataByPreferences(data, prefs);
+      // The session's own scenes were just watched
+      if (sessionMode && sessionSceneIds.has(data.id)) continue;
+
+      const preferences = sessionMode ? 0 : scoreScoringDataByPreferences(data, prefs);
+      const session = scoreBySession(data, sessionSeeds);
+      const context = scoreByContext(data, contextAffinity);
+      const baseScore = preferences + session.score + context;
 
       // Skip if no base score (doesn't match any criteria)
       if (baseScore === 0) continue;
@@ -1576,7 +1659,10 @@ export const getRecommendedScenes = async (
       // Watch status modifier (reduced dominance: was +100/-100, now +30/-30)
       let adjustedScore = baseScore;
       const watchData = watchMap.get(data.id);
-      if (!watchData || watchData.playCount === 0) {
+      if (watchData?.recentlyAbandoned) {
+        // Opened in the last month but given up on early
+        adjustedScore -= 30;
+      } else if (!watchData || watchData.playCount === 0) {
         // Never watched
         adjustedScore += 30;
       } else if (watchData.lastPlayedAt) {
@@ -1603,6 +1689,12 @@ export const getRecommendedScenes = async (
       // Only include scenes with positive final scores
       if (finalScore > 0) {
         scoredScenes.push({ id: data.id, score: finalScore, oCounter: data.oCounter });
+        scoreSources.set(data.id, {
+          preferences,
+          session: session.score,
+          context,
+          seedSceneId: session.seedSceneId,
+        });
       }
     }
 
@@ -1647,8 +1739,9 @@ export const getRecommendedScenes = async (
       }
     }
 
-    // Cap at top 500 recommendations
-    const cappedScenes = diversifiedScenes.slice(0, 500);
+    // Cap at top 500 recommendations, then keep any one studio or performer
+    // from crowding a stretch of them
+    const cappedScenes = diversifyByEntities(diversifiedScenes.slice(0, 500), getScoringDataById);
 
     // If no recommendations after scoring, include criteria for feedback
     if (cappedScenes.length === 0) {
@@ -1658,7 +1751,7 @@ export const getRecommendedScenes = async (
         page,
         perPage,
         message: "No matching recommendations found",
-        criteria: criteriaCounts,
+        ...(sessionMode ? {} : { criteria: criteriaCounts }),
       });
     }
 
@@ -1683,6 +1776,38 @@ export const getRecommendedScenes = async (
       .map((id) => sceneMap.get(id))
       .filter((s): s is NormalizedScene => s !== undefined);
 
+    // Titles of the session scenes results follow on from
+    const seedIds = new Set(
+      orderedScenes
+        .map((scene) => scoreSources.get(scene.id)?.seedSceneId)
+        .filter((id): id is string => !!id)
+    );
+    const seedScenes =
+      seedIds.size > 0
+        ? await prisma.stashScene.findMany({
+            where: { id: { in: [...seedIds] } },
+            select: { id: true, title: true },
+          })
+        : [];
+    const seedTitles = new Map(seedScenes.map((s) => [s.id, s.title]));
+
+    const reasons: Record<string, RecommendationReason> = {};
+    for (const scene of orderedScenes) {
+      const sources = scoreSources.get(scene.id);
+      if (!sources) continue;
+      if (sources.seedSceneId && sources.session >= sources.preferences && sources.session >= sources.context) {
+        reasons[scene.id] = {
+          type: "session",
+          sceneId: sources.seedSceneId,
+          title: seedTitles.get(sources.seedSceneId) || "a recent scene",
+        };
+      } else if (sources.context > sources.preferences) {
+        reasons[scene.id] = { type: "time-of-day", ...viewingContext };
+      } else {
+        reasons[scene.id] = explainByPreferences(scene, prefs);
+      }
+    }
+
     logger.info("getRecommendedScenes completed", {
       totalTime: `${Date.now() - startTime}ms`,
       userId,
@@ -1696,6 +1821,7 @@ export const getRecommendedScenes = async (
       count: cappedScenes.length,
       page,
       perPage,
+      reasons,
     });
   } catch (error) {
     const err = error as Error;
@@ -8,18 +8,20 @@ import type {
   UpdateStudioParams,
   UpdateStudioRequest,
   UpdateStudioResponse,
+  PendingMetadataEditResponse,
   ApiErrorResponse,
   AmbiguousLookupResponse,
 } from "../../types/api/index.js";
+import { AppError } from "../../middleware/errorHandler.js";
 import prisma from "../../prisma/singleton.js";
 import { entityExclusionHelper } from "../../services/EntityExclusionHelper.js";
 import { stashEntityService } from "../../services/StashEntityService.js";
-import { stashInstanceManager } from "../../services/StashInstanceManager.js";
+import { metadataEditService } from "../../services/MetadataEditService.js";
 import { studioQueryBuilder } from "../../services/StudioQueryBuilder.js";
 import { getUserAllowedInstanceIds } from "../../services/UserInstanceService.js";
 import { userStatsService } from "../../services/UserStatsService.js";
 import type { NormalizedStudio, PeekStudioFilter } from "../../types/index.js";
-import { disambiguateEntityNames, getEntityInstanceId } from "../../utils/entityInstanceId.js";
+import { disambiguateEntityNames } from "../../utils/entityInstanceId.js";
 import { coerceEntityRefs } from "@peek/shared-types/instanceAwareId.js";
 import { hydrateStudioRelationships } from "../../utils/hierarchyUtils.js";
 import { logger } from "../../utils/logger.js";
@@ -530,31 +532,24 @@ export const findStudiosMinimal = async (
 
 export const updateStudio = async (
   req: TypedAuthRequest<UpdateStudioRequest, UpdateStudioParams>,
-  res: TypedResponse<UpdateStudioResponse | ApiErrorResponse>
+  res: TypedResponse<UpdateStudioResponse | PendingMetadataEditResponse | ApiErrorResponse>
 ) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
 
-    const instanceId = await getEntityInstanceId('studio', id);
-    const stash = stashInstanceManager.get(instanceId);
-    if (!stash) {
-      return res.status(404).json({ error: "Stash instance not found for studio" });
-    }
+    const result = await metadataEditService.submit(req.user, "studio", id, updateData);
 
-    const updatedStudio = await stash.studioUpdate({
-      input: {
-        id,
-        ...updateData,
-      },
-    });
-
-    if (!updatedStudio.studioUpdate) {
-      return res.status(500).json({ error: "Studio update returned null" });
+    // Moderated edits wait for an admin instead of reaching Stash now
+    if (result.status === "pending") {
+      return res.status(202).json({ success: true, pending: true, edit: result.edit });
     }
 
-    res.json({ success: true, studio: updatedStudio.studioUpdate as unknown as NormalizedStudio });
+    res.json({ success: true, studio: result.entity as unknown as NormalizedStudio });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     logger.error("Error updating studio", { error: error instanceof Error ? error.message : "Unknown error" });
     res.status(500).json({ error: "Failed to update studio" });
   }
@@ -8,18 +8,20 @@ import type {
   UpdateTagParams,
   UpdateTagRequest,
   UpdateTagResponse,
+  PendingMetadataEditResponse,
   ApiErrorResponse,
   AmbiguousLookupResponse,
 } from "../../types/api/index.js";
+import { AppError } from "../../middleware/errorHandler.js";
 import prisma from "../../prisma/singleton.js";
 import { entityExclusionHelper } from "../../services/EntityExclusionHelper.js";
 import { stashEntityService } from "../../services/StashEntityService.js";
-import { stashInstanceManager } from "../../services/StashInstanceManager.js";
+import { metadataEditService } from "../../services/MetadataEditService.js";
 import { tagQueryBuilder } from "../../services/TagQueryBuilder.js";
 import { getUserAllowedInstanceIds } from "../../services/UserInstanceService.js";
 import { userStatsService } from "../../services/UserStatsService.js";
 import type { NormalizedTag, PeekTagFilter } from "../../types/index.js";
-import { disambiguateEntityNames, getEntityInstanceId } from "../../utils/entityInstanceId.js";
+import { disambiguateEntityNames } from "../../utils/entityInstanceId.js";
 import { coerceEntityRefs } from "@peek/shared-types/instanceAwareId.js";
 import { hydrateTagRelationships } from "../../utils/hierarchyUtils.js";
 import { logger } from "../../utils/logger.js";
@@ -742,31 +744,24 @@ export const findTagsForScenes = async (
 
 export const updateTag = async (
   req: TypedAuthRequest<UpdateTagRequest, UpdateTagParams>,
-  res: TypedResponse<UpdateTagResponse | ApiErrorResponse>
+  res: TypedResponse<UpdateTagResponse | PendingMetadataEditResponse | ApiErrorResponse>
 ) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
 
-    const instanceId = await getEntityInstanceId('tag', id);
-    const stash = stashInstanceManager.get(instanceId);
-    if (!stash) {
-      return res.status(404).json({ error: "Stash instance not found for tag" });
-    }
+    const result = await metadataEditService.submit(req.user, "tag", id, updateData);
 
-    const updatedTag = await stash.tagUpdate({
-      input: {
-        id,
-        ...updateData,
-      },
-    });
-
-    if (!updatedTag.tagUpdate) {
-      return res.status(500).json({ error: "Tag update returned null" });
+    // Moderated edits wait for an admin instead of reaching Stash now
+    if (result.status === "pending") {
+      return res.status(202).json({ success: true, pending: true, edit: result.edit });
     }
 
-    res.json({ success: true, tag: updatedTag.tagUpdate as unknown as NormalizedTag });
+    res.json({ success: true, tag: result.entity as unknown as NormalizedTag });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     logger.error("Error updating tag", { error: error instanceof Error ? error.message : "Unknown error" });
     res.status(500).json({ error: "Failed to update tag" });
   }
@@ -0,0 +1,205 @@
+/**
+ * Metadata Edits Controller
+ *
+ * Admin review queue for edits suggested by members of moderated groups,
+ * plus edit history per entity and a user's own submissions. Edits are
+ * submitted through the library update endpoints.
+ */
+import { AppError } from "../middleware/errorHandler.js";
+import { auditLogService } from "../services/AuditLogService.js";
+import {
+  isMetadataEditEntityType,
+  isMetadataEditStatus,
+  metadataEditService,
+} from "../services/MetadataEditService.js";
+import { resolveUserPermissions } from "../services/PermissionService.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import type {
+  GetMetadataEditHistoryResponse,
+  GetMetadataEditResponse,
+  GetMetadataEditsQuery,
+  GetMetadataEditsResponse,
+  GetMyMetadataEditsResponse,
+  MetadataEditEntry,
+  MetadataEditHistoryParams,
+  MetadataEditParams,
+  ReviewMetadataEditBody,
+  ReviewMetadataEditResponse,
+} from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+
+const DEFAULT_PER_PAGE = 50;
+const MAX_PER_PAGE = 200;
+
+const sendError = (
+  res: TypedResponse<ApiErrorResponse>,
+  error: unknown,
+  message: string
+) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(message, {
+    error: error instanceof Error ? error.message : "Unknown error",
+  });
+  return res.status(500).json({ error: message });
+};
+
+const editTarget = (edit: MetadataEditEntry) => ({
+  type: edit.entityType,
+  id: edit.entityId,
+  label: edit.entityLabel,
+});
+
+/**
+ * GET /api/metadata-edits (admin only)
+ * Pending edits oldest first by default; other statuses newest first
+ */
+export const getMetadataEdits = async (
+  req: TypedAuthRequest<never, Record<string, string>, GetMetadataEditsQuery>,
+  res: TypedResponse<GetMetadataEditsResponse | ApiErrorResponse>
+) => {
+  const status = req.query.status ?? "pending";
+  if (!isMetadataEditStatus(status)) {
+    return res.status(400).json({ error: 'status must be "pending", "applied" or "rejected"' });
+  }
+  const { entityType } = req.query;
+  if (entityType !== undefined && !isMetadataEditEntityType(entityType)) {
+    return res.status(400).json({ error: "entityType must be scene, performer, studio or tag" });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page ?? "1", 10) || 1);
+  const perPage = Math.min(
+    MAX_PER_PAGE,
+    Math.max(1, parseInt(req.query.perPage ?? String(DEFAULT_PER_PAGE), 10) || DEFAULT_PER_PAGE)
+  );
+
+  try {
+    const { edits, total } = await metadataEditService.list({ status, entityType, page, perPage });
+    res.json({ edits, total, page, perPage });
+  } catch (error) {
+    sendError(res, error, "Failed to get metadata edits");
+  }
+};
+
+/**
+ * GET /api/metadata-edits/mine
+ * The current user's submitted edits and their review status
+ */
+export const getMyMetadataEdits = async (
+  req: TypedAuthRequest,
+  res: TypedResponse<GetMyMetadataEditsResponse | ApiErrorResponse>
+) => {
+  try {
+    const edits = await metadataEditService.listForAuthor(req.user.id);
+    res.json({ edits });
+  } catch (error) {
+    sendError(res, error, "Failed to get your edits");
+  }
+};
+
+/**
+ * GET /api/metadata-edits/history/:entityType/:entityId
+ * Admins and users who can edit metadata
+ */
+export const getMetadataEditHistory = async (
+  req: TypedAuthRequest<never, MetadataEditHistoryParams>,
+  res: TypedResponse<GetMetadataEditHistoryResponse | ApiErrorResponse>
+) => {
+  const { entityType, entityId } = req.params;
+  if (!isMetadataEditEntityType(entityType)) {
+    return res.status(400).json({ error: "entityType must be scene, performer, studio or tag" });
+  }
+
+  try {
+    if (req.user.role !== "ADMIN") {
+      const permissions = await resolveUserPermissions(req.user.id);
+      if (!permissions?.canEditMetadata) {
+        return res.status(403).json({ error: "You don't have permission to edit metadata" });
+      }
+    }
+
+    const edits = await metadataEditService.history(entityType, entityId);
+    res.json({ edits });
+  } catch (error) {
+    sendError(res, error, "Failed to get edit history");
+  }
+};
+
+/**
+ * GET /api/metadata-edits/:id (admin only)
+ * The edit plus the edited fields' current values in Stash
+ */
+export const getMetadataEdit = async (
+  req: TypedAuthRequest<never, MetadataEditParams>,
+  res: TypedResponse<GetMetadataEditResponse | ApiErrorResponse>
+) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: "Invalid ID" });
+  }
+
+  try {
+    res.json(await metadataEditService.get(id));
+  } catch (error) {
+    sendError(res, error, "Failed to get metadata edit");
+  }
+};
+
+/**
+ * POST /api/metadata-edits/:id/approve (admin only)
+ * Write a pending edit to Stash
+ */
+export const approveMetadataEdit = async (
+  req: TypedAuthRequest<ReviewMetadataEditBody, MetadataEditParams>,
+  res: TypedResponse<ReviewMetadataEditResponse | ApiErrorResponse>
+) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: "Invalid ID" });
+  }
+
+  try {
+    const edit = await metadataEditService.approve(id, req.user, req.body?.note);
+
+    await auditLogService.recordRequest(req, {
+      action: "metadata.edit_approve",
+      target: editTarget(edit),
+      before: edit.previous,
+      after: edit.changes,
+      details: { editId: edit.id, author: edit.authorUsername },
+    });
+
+    res.json({ edit });
+  } catch (error) {
+    sendError(res, error, "Failed to approve metadata edit");
+  }
+};
+
+/**
+ * POST /api/metadata-edits/:id/reject (admin only)
+ */
+export const rejectMetadataEdit = async (
+  req: TypedAuthRequest<ReviewMetadataEditBody, MetadataEditParams>,
+  res: TypedResponse<ReviewMetadataEditResponse | ApiErrorResponse>
+) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: "Invalid ID" });
+  }
+
+  try {
+    const edit = await metadataEditService.reject(id, req.user, req.body?.note);
+
+    await auditLogService.recordRequest(req, {
+      action: "metadata.edit_reject",
+      target: editTarget(edit),
+      details: { editId: edit.id, author: edit.authorUsername, note: edit.reviewNote },
+    });
+
+    res.json({ edit });
+  } catch (error) {
+    sendError(res, error, "Failed to reject metadata edit");
+  }
+};
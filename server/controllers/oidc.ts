@@ -0,0 +1,285 @@
+/**
+ * OIDC / Sign-in Settings Controller
+ *
+ * Handles the public login options, the OpenID Connect redirect/callback
+ * pair, and the admin settings that configure them.
+ */
+import type { Request, Response } from "express";
+import { generateToken, setTokenCookie } from "../middleware/auth.js";
+import { AppError } from "../middleware/errorHandler.js";
+import { auditLogService, diffFields } from "../services/AuditLogService.js";
+import {
+  DEFAULT_OIDC_BUTTON_LABEL,
+  getAuthSettings,
+  isOidcConfigured,
+  isPasswordLoginEnabled,
+  toAuthSettingsData,
+  updateAuthSettings,
+  type AuthSettingsValues,
+} from "../services/AuthSettingsService.js";
+import { OIDC_LOGIN_TTL_MS, oidcService } from "../services/OidcService.js";
+import rankingComputeService from "../services/RankingComputeService.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import type {
+  GetAuthConfigResponse,
+  GetAuthSettingsResponse,
+  UpdateAuthSettingsBody,
+  UpdateAuthSettingsResponse,
+} from "../types/api/auth.js";
+import { logger } from "../utils/logger.js";
+
+const OIDC_STATE_COOKIE = "oidc_state";
+const OIDC_COOKIE_PATH = "/api/auth/oidc";
+
+/**
+ * Callback URL registered with the identity provider. Built from the
+ * request, so set TRUST_PROXY when Peek runs behind a reverse proxy.
+ */
+const getOidcRedirectUri = (req: Request) =>
+  `${req.protocol}://${req.get("host") ?? "localhost"}${OIDC_COOKIE_PATH}/callback`;
+
+const redirectToLogin = (res: Response, message: string) => {
+  res.redirect(`/login?oidcError=${encodeURIComponent(message)}`);
+};
+
+/**
+ * GET /api/auth/config
+ * Sign-in options for the login page (no auth required)
+ */
+export const getAuthConfig = async (
+  _req: Request,
+  res: TypedResponse<GetAuthConfigResponse | ApiErrorResponse>
+) => {
+  try {
+    const settings = await getAuthSettings();
+    res.json({
+      passwordLoginEnabled: isPasswordLoginEnabled(settings),
+      oidc: {
+        enabled: isOidcConfigured(settings),
+        buttonLabel: settings.oidcButtonLabel || DEFAULT_OIDC_BUTTON_LABEL,
+      },
+    });
+  } catch (error) {
+    logger.error("Error loading auth config", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to load sign-in options" });
+  }
+};
+
+/**
+ * GET /api/auth/oidc/login?returnTo=/path
+ * Redirects the browser to the identity provider
+ */
+export const startOidcLogin = async (req: Request, res: Response) => {
+  try {
+    const { authorizationUrl, state } = await oidcService.startLogin(
+      getOidcRedirectUri(req),
+      req.query.returnTo
+    );
+
+    // Lax, not strict: the callback is a top-level navigation from the IdP
+    res.cookie(OIDC_STATE_COOKIE, state, {
+      httpOnly: true,
+      secure: process.env.SECURE_COOKIES === "true",
+      sameSite: "lax",
+      path: OIDC_COOKIE_PATH,
+      maxAge: OIDC_LOGIN_TTL_MS,
+    });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    logger.error("Error starting OIDC login", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    redirectToLogin(
+      res,
+      error instanceof AppError ? error.message : "Single sign-on failed. Please try again."
+    );
+  }
+};
+
+/**
+ * GET /api/auth/oidc/callback
+ * Completes the login and signs the user in with the normal session cookie
+ */
+export const oidcCallback = async (req: Request, res: Response) => {
+  const cookieState: unknown = req.cookies?.[OIDC_STATE_COOKIE];
+  res.clearCookie(OIDC_STATE_COOKIE, { path: OIDC_COOKIE_PATH });
+
+  const providerError = req.query.error;
+  if (typeof providerError === "string") {
+    const description = req.query.error_description;
+    return redirectToLogin(
+      res,
+      typeof description === "string" && description ? description : providerError
+    );
+  }
+
+  try {
+    const { user, returnTo } = await oidcService.completeLogin({
+      state: req.query.state,
+      code: req.query.code,
+      cookieState,
+    });
+
+    setTokenCookie(res, generateToken(user));
+
+    await auditLogService.recordRequest(req, {
+      action: "auth.login",
+      actor: user,
+      details: { method: "oidc" },
+    });
+
+    // Recompute rankings asynchronously on login (fire-and-forget)
+    rankingComputeService.recomputeAllRankings(user.id).catch((err) => {
+      logger.error("Failed to recompute rankings on login", { error: err instanceof Error ? err.message : "Unknown error" });
+    });
+
+    res.redirect(returnTo);
+  } catch (error) {
+    logger.error("OIDC login failed", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    await auditLogService.recordRequest(req, {
+      action: "auth.login_failed",
+      details: {
+        method: "oidc",
+        reason: error instanceof Error ? error.message : "Unknown error",
+      },
+    });
+    redirectToLogin(
+      res,
+      error instanceof AppError ? error.message : "Single sign-on failed. Please try again."
+    );
+  }
+};
+
+/**
+ * GET /api/auth/settings (admin only)
+ */
+export const getAuthSettingsAdmin = async (
+  req: TypedAuthRequest,
+  res: TypedResponse<GetAuthSettingsResponse | ApiErrorResponse>
+) => {
+  try {
+    const settings = await getAuthSettings();
+    res.json({
+      settings: toAuthSettingsData(settings),
+      redirectUri: getOidcRedirectUri(req),
+    });
+  } catch (error) {
+    logger.error("Error loading auth settings", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to load sign-in settings" });
+  }
+};
+
+const STRING_FIELDS = ["oidcScopes", "oidcUsernameClaim", "oidcGroupsClaim"] as const;
+const NULLABLE_STRING_FIELDS = [
+  "oidcIssuerUrl",
+  "oidcClientId",
+  "oidcClientSecret",
+  "oidcAdminGroup",
+  "oidcButtonLabel",
+] as const;
+const BOOLEAN_FIELDS = [
+  "passwordLoginEnabled",
+  "oidcEnabled",
+  "oidcAutoProvision",
+  "oidcLinkExistingUsers",
+  "requireTwoFactorForAdmins",
+] as const;
+
+/**
+ * PUT /api/auth/settings (admin only)
+ * Enabling OIDC checks that the provider's discovery document can be read
+ */
+export const updateAuthSettingsAdmin = async (
+  req: TypedAuthRequest<UpdateAuthSettingsBody>,
+  res: TypedResponse<UpdateAuthSettingsResponse | ApiErrorResponse>
+) => {
+  try {
+    const body = req.body;
+    const data: Partial<AuthSettingsValues> = {};
+
+    for (const field of BOOLEAN_FIELDS) {
+      const value = body[field];
+      if (value === undefined) continue;
+      if (typeof value !== "boolean") {
+        return res.status(400).json({ error: `${field} must be a boolean` });
+      }
+      data[field] = value;
+    }
+
+    for (const field of STRING_FIELDS) {
+      const value = body[field];
+      if (value === undefined) continue;
+      if (typeof value !== "string" || value.trim() === "") {
+        return res.status(400).json({ error: `${field} cannot be empty` });
+      }
+      data[field] = value.trim();
+    }
+
+    for (const field of NULLABLE_STRING_FIELDS) {
+      const value = body[field];
+      if (value === undefined) continue;
+      if (value !== null && typeof value !== "string") {
+        return res.status(400).json({ error: `${field} must be a string` });
+      }
+      data[field] = value?.trim() || null;
+    }
+
+    if (data.oidcIssuerUrl) {
+      try {
+        new URL(data.oidcIssuerUrl);
+      } catch {
+        return res.status(400).json({ error: "Issuer URL is not a valid URL" });
+      }
+    }
+
+    const previous = await getAuthSettings();
+    const merged = { ...previous, ...data };
+    if (merged.oidcEnabled) {
+      if (!merged.oidcIssuerUrl || !merged.oidcClientId) {
+        return res
+          .status(400)
+          .json({ error: "Issuer URL and client ID are required to enable single sign-on" });
+      }
+      if (!merged.oidcScopes.split(/\s+/).includes("openid")) {
+        return res.status(400).json({ error: 'Scopes must include "openid"' });
+      }
+
+      oidcService.clearCache();
+      try {
+        await oidcService.getDiscoveryDocument(merged.oidcIssuerUrl);
+      } catch (error) {
+        return res.status(400).json({
+          error: `Could not load the provider's discovery document: ${error instanceof Error ? error.message : "Unknown error"}`,
+        });
+      }
+    }
+
+    const settings = await updateAuthSettings(data);
+    oidcService.clearCache();
+
+    logger.info("Sign-in settings updated", {
+      userId: req.user?.id,
+      passwordLoginEnabled: settings.passwordLoginEnabled,
+      oidcEnabled: settings.oidcEnabled,
+    });
+    await auditLogService.recordRequest(req, {
+      action: "auth.settings_update",
+      target: { type: "settings", label: "Sign-in" },
+      ...diffFields(previous, settings),
+    });
+
+    res.json({ settings: toAuthSettingsData(settings) });
+  } catch (error) {
+    logger.error("Error updating auth settings", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to update sign-in settings" });
+  }
+};
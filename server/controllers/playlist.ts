@@ -4,7 +4,16 @@ import { getEntityInstanceId, getEntityInstanceIds } from "../utils/entityInstan
 import { entityExclusionHelper } from "../services/EntityExclusionHelper.js";
 import { getPlaylistAccess, getUserGroups } from "../services/PlaylistAccessService.js";
 import { resolveUserPermissions } from "../services/PermissionService.js";
-import type { NormalizedScene } from "../types/index.js";
+import {
+  PLAYLIST_TYPE_SMART,
+  PLAYLIST_TYPE_STATIC,
+  isSmartPlaylist,
+  smartPlaylistService,
+  validateItemLimit,
+} from "../services/SmartPlaylistService.js";
+import type { Prisma } from "@prisma/client";
+import type { NormalizedScene, PeekSceneFilter } from "../types/index.js";
+import { parseFilterRules } from "@peek/shared-types/filterRules.js";
 import type {
   TypedAuthRequest,
   TypedResponse,
@@ -32,6 +41,9 @@ import type {
   UpdatePlaylistSharesRequest,
   UpdatePlaylistSharesResponse,
   DuplicatePlaylistResponse,
+  PlaylistType,
+  RefreshSmartPlaylistParams,
+  RefreshSmartPlaylistResponse,
 } from "../types/api/index.js";
 import { logger } from "../utils/logger.js";
 import { transformScene } from "../utils/stashUrlProxy.js";
@@ -266,6 +278,7 @@ export const getSharedPlaylists = async (
           id: p.id,
           name: p.name,
           description: p.description,
+          type: p.type,
           sceneCount: p._count.items,
           owner: { id: p.user.id, username: p.user.username },
           sharedViaGroups: p.shares.map((s) => s.group.name),
@@ -311,21 +324,38 @@ export const getPlaylist = async (
       return res.status(404).json({ error: "Playlist not found" });
     }
 
-    const playlist = await prisma.playlist.findUnique({
-      where: { id: playlistId },
-      include: {
-        items: {
-          orderBy: {
-            position: "asc",
+    const loadPlaylist = () =>
+      prisma.playlist.findUnique({
+        where: { id: playlistId },
+        include: {
+          items: {
+            orderBy: {
+              position: "asc",
+            },
           },
         },
-      },
-    });
+      });
+
+    let playlist = await loadPlaylist();
 
     if (!playlist) {
       return res.status(404).json({ error: "Playlist not found" });
     }
 
+    // Smart playlists are re-evaluated every time they're opened
+    if (isSmartPlaylist(playlist)) {
+      try {
+        await smartPlaylistService.refresh(playlistId);
+        playlist = (await loadPlaylist()) ?? playlist;
+      } catch (refreshError) {
+        // Fall back to the last materialized items
+        logger.error("Error refreshing smart playlist", {
+          playlistId,
+          error: refreshError instanceof Error ? refreshError.message : "Unknown error",
+        });
+      }
+    }
+
     // Fetch scene details from cache for all items
     if (playlist.items.length > 0) {
       try {
@@ -427,18 +457,52 @@ export const createPlaylist = async (
       return res.status(401).json({ error: "Unauthorized" });
     }
 
-    const { name, description, isPublic } = req.body;
+    const { name, description, isPublic, type, rules, sort, direction, itemLimit } = req.body;
 
     if (!name || name.trim() === "") {
       return res.status(400).json({ error: "Playlist name is required" });
     }
 
-    const playlist = await prisma.playlist.create({
+    const playlistType: PlaylistType = type ?? PLAYLIST_TYPE_STATIC;
+    if (playlistType !== PLAYLIST_TYPE_STATIC && playlistType !== PLAYLIST_TYPE_SMART) {
+      return res.status(400).json({ error: "Invalid playlist type" });
+    }
+
+    let smartFields: Pick<
+      Prisma.PlaylistUncheckedCreateInput,
+      "type" | "rules" | "sort" | "direction" | "itemLimit"
+    > = {};
+    if (playlistType === PLAYLIST_TYPE_SMART) {
+      if (!rules || typeof rules !== "object") {
+        return res.status(400).json({ error: "Rules are required for smart playlists" });
+      }
+
+      const parsedRules = parseFilterRules<PeekSceneFilter>(rules);
+      if (!parsedRules.valid) {
+        return res.status(400).json({ error: parsedRules.error });
+      }
+
+      const limit = validateItemLimit(itemLimit);
+      if (!limit.valid) {
+        return res.status(400).json({ error: limit.error });
+      }
+
+      smartFields = {
+        type: PLAYLIST_TYPE_SMART,
+        rules: parsedRules.value as unknown as Prisma.InputJsonValue,
+        sort: sort || "date",
+        direction: direction || "DESC",
+        itemLimit: limit.value,
+      };
+    }
+
+    let playlist = await prisma.playlist.create({
       data: {
         name: name.trim(),
         description: description?.trim() || null,
         isPublic: isPublic === true,
         userId,
+        ...smartFields,
       },
       include: {
         _count: {
@@ -447,6 +511,20 @@ export const createPlaylist = async (
       },
     });
 
+    // Materialize smart playlist items right away so counts and previews are populated
+    if (playlistType === PLAYLIST_TYPE_SMART) {
+      await smartPlaylistService.refresh(playlist.id);
+      playlist =
+        (await prisma.playlist.findUnique({
+          where: { id: playlist.id },
+          include: {
+            _count: {
+              select: { items: true },
+            },
+          },
+        })) ?? playlist;
+    }
+
     res.status(201).json({ playlist });
   } catch (error) {
     logger.error("Error creating playlist", { error: error instanceof Error ? error.message : "Unknown error" });
@@ -473,7 +551,8 @@ export const updatePlaylist = async (
       return res.status(400).json({ error: "Invalid playlist ID" });
     }
 
-    const { name, description, isPublic, shuffle, repeat } = req.body;
+    const { name, description, isPublic, shuffle, repeat, rules, sort, direction, itemLimit } =
+      req.body;
 
     // Check ownership
     const existing = await prisma.playlist.findFirst({
@@ -487,7 +566,24 @@ export const updatePlaylist = async (
       return res.status(404).json({ error: "Playlist not found" });
     }
 
-    const playlist = await prisma.playlist.update({
+    const changesDefinition =
+      rules !== undefined || sort !== undefined || direction !== undefined || itemLimit !== undefined;
+
+    if (changesDefinition && !isSmartPlaylist(existing)) {
+      return res.status(400).json({ error: "Only smart playlists have rules" });
+    }
+
+    const parsedRules = rules !== undefined ? parseFilterRules<PeekSceneFilter>(rules) : undefined;
+    if (parsedRules && !parsedRules.valid) {
+      return res.status(400).json({ error: parsedRules.error });
+    }
+
+    const limit = validateItemLimit(itemLimit);
+    if (!limit.valid) {
+      return res.status(400).json({ error: limit.error });
+    }
+
+    let playlist = await prisma.playlist.update({
       where: { id: playlistId },
       data: {
         ...(name !== undefined && { name: name.trim() }),
@@ -497,6 +593,10 @@ export const updatePlaylist = async (
         ...(isPublic !== undefined && { isPublic: isPublic === true }),
         ...(shuffle !== undefined && { shuffle: shuffle === true }),
         ...(repeat !== undefined && { repeat }),
+        ...(parsedRules?.valid && { rules: parsedRules.value as unknown as Prisma.InputJsonValue }),
+        ...(sort !== undefined && { sort }),
+        ...(direction !== undefined && { direction }),
+        ...(itemLimit !== undefined && { itemLimit: limit.value }),
       },
       include: {
         _count: {
@@ -505,6 +605,20 @@ export const updatePlaylist = async (
       },
     });
 
+    // Rebuild items immediately when the query changed
+    if (changesDefinition) {
+      await smartPlaylistService.refresh(playlistId);
+      playlist =
+        (await prisma.playlist.findUnique({
+          where: { id: playlistId },
+          include: {
+            _count: {
+              select: { items: true },
+            },
+          },
+        })) ?? playlist;
+    }
+
     res.json({ playlist });
   } catch (error) {
     logger.error("Error updating playlist", { error: error instanceof Error ? error.message : "Unknown error" });
@@ -603,6 +717,10 @@ export const addSceneToPlaylist = async (
       return res.status(404).json({ error: "Playlist not found" });
     }
 
+    if (isSmartPlaylist(playlist)) {
+      return res.status(400).json({ error: "Smart playlist contents are managed by its rules" });
+    }
+
     // Get scene instanceId
     const instanceId = await getEntityInstanceId('scene', sceneId);
 
@@ -673,6 +791,10 @@ export const removeSceneFromPlaylist = async (
       return res.status(404).json({ error: "Playlist not found" });
     }
 
+    if (isSmartPlaylist(playlist)) {
+      return res.status(400).json({ error: "Smart playlist contents are managed by its rules" });
+    }
+
     // Get scene instanceId
     const instanceId = await getEntityInstanceId('scene', sceneId);
 
@@ -731,6 +853,10 @@ export const reorderPlaylist = async (
       return res.status(404).json({ error: "Playlist not found" });
     }
 
+    if (isSmartPlaylist(playlist)) {
+      return res.status(400).json({ error: "Smart playlists are ordered by their sort settings" });
+    }
+
     // Get instanceIds for all scenes
     const sceneIds = items.map((item) => item.sceneId);
     const instanceIdMap = await getEntityInstanceIds('scene', sceneIds);
@@ -949,6 +1075,12 @@ export const duplicatePlaylist = async (
         isPublic: false,
         shuffle: original.shuffle,
         repeat: original.repeat,
+        type: original.type,
+        rules: original.rules ?? undefined,
+        sort: original.sort,
+        direction: original.direction,
+        itemLimit: original.itemLimit,
+        lastRefreshedAt: original.lastRefreshedAt,
         items: {
           create: original.items.map((item) => ({
             sceneId: item.sceneId,
@@ -970,3 +1102,40 @@ export const duplicatePlaylist = async (
     res.status(500).json({ error: "Failed to duplicate playlist" });
   }
 };
+
+/**
+ * Re-evaluate a smart playlist's rules and rebuild its items
+ * (requires access - owner or shared)
+ */
+export const refreshSmartPlaylist = async (
+  req: TypedAuthRequest<unknown, RefreshSmartPlaylistParams>,
+  res: TypedResponse<RefreshSmartPlaylistResponse | ApiErrorResponse>
+) => {
+  try {
+    const userId = req.user?.id;
+    const playlistId = parseInt(req.params.id);
+
+    if (!userId) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    if (isNaN(playlistId)) {
+      return res.status(400).json({ error: "Invalid playlist ID" });
+    }
+
+    const access = await getPlaylistAccess(playlistId, userId);
+    if (access.level === "none") {
+      return res.status(404).json({ error: "Playlist not found" });
+    }
+
+    const itemCount = await smartPlaylistService.refresh(playlistId);
+    if (itemCount < 0) {
+      return res.status(400).json({ error: "Playlist is not a smart playlist" });
+    }
+
+    res.json({ success: true, itemCount });
+  } catch (error) {
+    logger.error("Error refreshing smart playlist", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Failed to refresh playlist" });
+  }
+};
@@ -13,7 +13,10 @@ import type {
   ApiErrorResponse,
 } from "../types/api/index.js";
 import prisma from "../prisma/singleton.js";
-import { stashInstanceManager } from "../services/StashInstanceManager.js";
+import {
+  stashWriteBackService,
+  type WriteBackChange,
+} from "../services/StashWriteBackService.js";
 import { logger } from "../utils/logger.js";
 import { getEntityInstanceId } from "../utils/entityInstanceId.js";
 
@@ -25,6 +28,9 @@ import { getEntityInstanceId } from "../utils/entityInstanceId.js";
  * - FAVORITES: Will sync to Stash for entities that support it
  *   (Scene, Performer, Studio, Gallery, Group support favorite in Stash)
  *   (Tags support favorite, Images do NOT support favorite in Stash)
+ * - Changes go through StashWriteBackService's outbox, which retries while
+ *   Stash is unreachable and applies the conflict policy from sync settings
+ *   when the value was also changed in Stash
  *
  * WARNING for multi-user setups:
  * - O Counters AGGREGATE (multiple users increment the same counter)
@@ -41,6 +47,22 @@ import { getEntityInstanceId } from "../utils/entityInstanceId.js";
  * - Image: rating100 ✓, favorite ✗ (Stash doesn't support)
  */
 
+/**
+ * Queue a change for write-back to Stash. Never fails the request - Peek DB
+ * is source of truth. Fields Stash doesn't support are dropped by the service.
+ */
+async function queueWriteBack(change: WriteBackChange) {
+  try {
+    await stashWriteBackService.enqueue(change);
+  } catch (error) {
+    logger.error("Failed to queue rating write-back to Stash", {
+      entityType: change.entityType,
+      entityId: change.entityId,
+      error,
+    });
+  }
+}
+
 /**
  * Update rating and/or favorite for a scene
  * Syncs rating to Stash if user.syncToStash is enabled (favorite NOT synced for scenes)
@@ -108,30 +130,16 @@ export async function updateSceneRating(
 
     logger.info("Scene rating updated", { userId, sceneId, rating, favorite });
 
-
-    // Sync rating to Stash if enabled (only rating, NOT favorite for scenes)
-    if (user?.syncToStash && rating !== undefined) {
-      try {
-        const stash = stashInstanceManager.getForSync(instanceId);
-        if (stash) {
-          await stash.sceneUpdate({
-            input: {
-              id: sceneId,
-              rating100: rating,
-            },
-          });
-          logger.info("Successfully synced scene rating to Stash", {
-            sceneId,
-            rating,
-          });
-        }
-      } catch (stashError) {
-        logger.error("Failed to sync scene rating to Stash", {
-          sceneId,
-          error: stashError,
-        });
-        // Don't fail the request - Peek DB is source of truth
-      }
+    // Queue for write-back to Stash if enabled
+    if (user?.syncToStash) {
+      await queueWriteBack({
+        userId,
+        instanceId,
+        entityType: "scene",
+        entityId: sceneId,
+        rating,
+        favorite,
+      });
     }
 
     res.json({
@@ -216,31 +224,16 @@ export async function updatePerformerRating(
       favorite,
     });
 
-
-    // Sync to Stash if enabled (performer supports both rating and favorite)
-    if (user?.syncToStash && (rating !== undefined || favorite !== undefined)) {
-      try {
-        const stash = stashInstanceManager.getForSync(instanceId);
-        if (stash) {
-          await stash.performerUpdate({
-            input: {
-              id: performerId,
-              ...(rating !== undefined && { rating100: rating }),
-              ...(favorite !== undefined && { favorite }),
-            },
-          });
-          logger.info("Successfully synced performer rating to Stash", {
-            performerId,
-            rating,
-            favorite,
-          });
-        }
-      } catch (stashError) {
-        logger.error("Failed to sync performer rating to Stash", {
-          performerId,
-          error: stashError,
-        });
-      }
+    // Queue for write-back to Stash if enabled
+    if (user?.syncToStash) {
+      await queueWriteBack({
+        userId,
+        instanceId,
+        entityType: "performer",
+        entityId: performerId,
+        rating,
+        favorite,
+      });
     }
 
     res.json({
@@ -325,31 +318,16 @@ export async function updateStudioRating(
       favorite,
     });
 
-
-    // Sync to Stash if enabled (studio supports both rating and favorite)
-    if (user?.syncToStash && (rating !== undefined || favorite !== undefined)) {
-      try {
-        const stash = stashInstanceManager.getForSync(instanceId);
-        if (stash) {
-          await stash.studioUpdate({
-            input: {
-              id: studioId,
-              ...(rating !== undefined && { rating100: rating }),
-              ...(favorite !== undefined && { favorite }),
-            },
-          });
-          logger.info("Successfully synced studio rating to Stash", {
-            studioId,
-            rating,
-            favorite,
-          });
-        }
-      } catch (stashError) {
-        logger.error("Failed to sync studio rating to Stash", {
-          studioId,
-          error: stashError,
-        });
-      }
+    // Queue for write-back to Stash if enabled
+    if (user?.syncToStash) {
+      await queueWriteBack({
+        userId,
+        instanceId,
+        entityType: "studio",
+        entityId: studioId,
+        rating,
+        favorite,
+      });
     }
 
     res.json({
@@ -429,29 +407,16 @@ export async function updateTagRating(
 
     logger.info("Tag rating updated", { userId, tagId, rating, favorite });
 
-
-    // Sync favorite only to Stash if enabled (tags don't have rating100 in Stash)
-    if (user?.syncToStash && favorite !== undefined) {
-      try {
-        const stash = stashInstanceManager.getForSync(instanceId);
-        if (stash) {
-          await stash.tagUpdate({
-            input: {
-              id: tagId,
-              favorite,
-            },
-          });
-          logger.info("Successfully synced tag favorite to Stash", {
-            tagId,
-            favorite,
-          });
-        }
-      } catch (stashError) {
-        logger.error("Failed to sync tag favorite to Stash", {
-          tagId,
-          error: stashError,
-        });
-      }
+    // Queue for write-back to Stash if enabled
+    if (user?.syncToStash) {
+      await queueWriteBack({
+        userId,
+        instanceId,
+        entityType: "tag",
+        entityId: tagId,
+        rating,
+        favorite,
+      });
     }
 
     res.json({
@@ -536,29 +501,16 @@ export async function updateGalleryRating(
       favorite,
     });
 
-
-    // Sync rating only to Stash if enabled (galleries don't have favorite in Stash)
-    if (user?.syncToStash && rating !== undefined) {
-      try {
-        const stash = stashInstanceManager.getForSync(instanceId);
-        if (stash) {
-          await stash.galleryUpdate({
-            input: {
-              id: galleryId,
-              rating100: rating,
-            },
-          });
-          logger.info("Successfully synced gallery rating to Stash", {
-            galleryId,
-            rating,
-          });
-        }
-      } catch (stashError) {
-        logger.error("Failed to sync gallery rating to Stash", {
-          galleryId,
-          error: stashError,
-        });
-      }
+    // Queue for write-back to Stash if enabled
+    if (user?.syncToStash) {
+      await queueWriteBack({
+        userId,
+        instanceId,
+        entityType: "gallery",
+        entityId: galleryId,
+        rating,
+        favorite,
+      });
     }
 
     res.json({
@@ -638,29 +590,16 @@ export async function updateGroupRating(
 
     logger.info("Group rating updated", { userId, groupId, rating, favorite });
 
-
-    // Sync rating only to Stash if enabled (groups don't have favorite in Stash)
-    if (user?.syncToStash && rating !== undefined) {
-      try {
-        const stash = stashInstanceManager.getForSync(instanceId);
-        if (stash) {
-          await stash.groupUpdate({
-            input: {
-              id: groupId,
-              rating100: rating,
-            },
-          });
-          logger.info("Successfully synced group rating to Stash", {
-            groupId,
-            rating,
-          });
-        }
-      } catch (stashError) {
-        logger.error("Failed to sync group rating to Stash", {
-          groupId,
-          error: stashError,
-        });
-      }
+    // Queue for write-back to Stash if enabled
+    if (user?.syncToStash) {
+      await queueWriteBack({
+        userId,
+        instanceId,
+        entityType: "group",
+        entityId: groupId,
+        rating,
+        favorite,
+      });
     }
 
     res.json({
@@ -740,29 +679,16 @@ export async function updateImageRating(
 
     logger.info("Image rating updated", { userId, imageId, rating, favorite });
 
-
-    // Sync rating only to Stash if enabled (images don't have favorite in Stash)
-    if (user?.syncToStash && rating !== undefined) {
-      try {
-        const stash = stashInstanceManager.getForSync(instanceId);
-        if (stash) {
-          await stash.imageUpdate({
-            input: {
-              id: imageId,
-              rating100: rating,
-            },
-          });
-          logger.info("Successfully synced image rating to Stash", {
-            imageId,
-            rating,
-          });
-        }
-      } catch (stashError) {
-        logger.error("Failed to sync image rating to Stash", {
-          imageId,
-          error: stashError,
-        });
-      }
+    // Queue for write-back to Stash if enabled
+    if (user?.syncToStash) {
+      await queueWriteBack({
+        userId,
+        instanceId,
+        entityType: "image",
+        entityId: imageId,
+        rating,
+        favorite,
+      });
     }
 
     res.json({
@@ -0,0 +1,60 @@
+// server/controllers/search.ts
+import type { SearchEntityType } from "@peek/shared-types/api/search.js";
+import { isSearchEntityType, searchService, SEARCH_ENTITY_TYPES } from "../services/SearchService.js";
+import { getUserAllowedInstanceIds } from "../services/UserInstanceService.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import type { SearchQueryParams, SearchResponse } from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 50;
+
+/**
+ * GET /api/search
+ * Full-text search across all cached entity types, grouped by type
+ */
+export async function search(
+  req: TypedAuthRequest<never, Record<string, string>, SearchQueryParams>,
+  res: TypedResponse<SearchResponse | ApiErrorResponse>
+): Promise<void> {
+  const query = (req.query.q ?? "").trim();
+
+  let types: readonly SearchEntityType[] = SEARCH_ENTITY_TYPES;
+  if (req.query.types) {
+    const requested = req.query.types.split(",").map((t) => t.trim());
+    const invalid = requested.filter((t) => !isSearchEntityType(t));
+    if (invalid.length > 0) {
+      res.status(400).json({ error: `Invalid search type: ${invalid.join(", ")}` });
+      return;
+    }
+    types = requested as SearchEntityType[];
+  }
+
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_LIMIT;
+  if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+    return;
+  }
+
+  if (!query) {
+    res.json({ query, groups: [] });
+    return;
+  }
+
+  try {
+    const allowedInstanceIds = await getUserAllowedInstanceIds(req.user.id);
+    const groups = await searchService.search(query, {
+      userId: req.user.id,
+      types,
+      limit,
+      allowedInstanceIds,
+    });
+    res.json({ query, groups });
+  } catch (error) {
+    logger.error("Error searching library", {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+    res.status(500).json({ error: "Failed to search library" });
+  }
+}
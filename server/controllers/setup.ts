@@ -4,6 +4,7 @@ import { StashClient } from "../graphql/StashClient.js";
 import prisma from "../prisma/singleton.js";
 import { stashSyncService } from "../services/StashSyncService.js";
 import { stashInstanceManager } from "../services/StashInstanceManager.js";
+import { transcodeService } from "../services/TranscodeService.js";
 import type {
   TypedRequest,
   TypedResponse,
@@ -65,12 +66,16 @@ export const getSetupStatus = async (
     // Setup is complete if both users and Stash instance exist
     const setupComplete = hasUsers && hasStashInstance;
 
+    // Lets the player offer Peek's own transcodes
+    const transcodeSettings = await transcodeService.getSettings();
+
     res.json({
       setupComplete,
       hasUsers,
       hasStashInstance,
       userCount,
       stashInstanceCount,
+      transcodeEnabled: transcodeSettings.enabled,
     });
   } catch (error) {
     logger.error("Failed to get setup status", { error });
@@ -0,0 +1,132 @@
+/**
+ * Stash Write-Back Controller
+ *
+ * Admin view of the queue of rating and favorite changes waiting to be
+ * written back to Stash, the conflicts found while writing them, and the
+ * settings that control both.
+ */
+import { AppError } from "../middleware/errorHandler.js";
+import {
+  isWriteBackConflictPolicy,
+  isWriteBackEntityType,
+  stashWriteBackService,
+} from "../services/StashWriteBackService.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import type {
+  DiscardStashWriteBackParams,
+  GetStashWriteBackResponse,
+  RetryStashWriteBackResponse,
+  StashWriteBackSettingsData,
+  UpdateStashWriteBackSettingsBody,
+  UpdateStashWriteBackSettingsResponse,
+} from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+
+const sendError = (
+  res: TypedResponse<ApiErrorResponse>,
+  error: unknown,
+  message: string
+) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(message, {
+    error: error instanceof Error ? error.message : "Unknown error",
+  });
+  return res.status(500).json({ error: message });
+};
+
+/**
+ * GET /api/sync/write-back (admin only)
+ * Settings, pending changes and recent conflicts
+ */
+export const getStashWriteBack = async (
+  _req: TypedAuthRequest,
+  res: TypedResponse<GetStashWriteBackResponse | ApiErrorResponse>
+) => {
+  try {
+    res.json(await stashWriteBackService.getStatus());
+  } catch (error) {
+    sendError(res, error, "Failed to get write-back status");
+  }
+};
+
+/**
+ * PUT /api/sync/write-back/settings (admin only)
+ */
+export const updateStashWriteBackSettings = async (
+  req: TypedAuthRequest<UpdateStashWriteBackSettingsBody>,
+  res: TypedResponse<UpdateStashWriteBackSettingsResponse | ApiErrorResponse>
+) => {
+  try {
+    const { entityTypes, conflictPolicy } = req.body;
+    const data: Partial<StashWriteBackSettingsData> = {};
+
+    if (entityTypes !== undefined) {
+      if (!Array.isArray(entityTypes) || !entityTypes.every(isWriteBackEntityType)) {
+        return res.status(400).json({
+          error: "entityTypes must be a list of scene, performer, studio, tag, group, gallery or image",
+        });
+      }
+      data.entityTypes = [...new Set(entityTypes)];
+    }
+
+    if (conflictPolicy !== undefined) {
+      if (!isWriteBackConflictPolicy(conflictPolicy)) {
+        return res.status(400).json({
+          error: 'conflictPolicy must be "peek", "stash" or "newest"',
+        });
+      }
+      data.conflictPolicy = conflictPolicy;
+    }
+
+    const settings = await stashWriteBackService.updateSettings(data);
+
+    logger.info("Stash write-back settings updated", {
+      userId: req.user.id,
+      ...settings,
+    });
+
+    res.json({ settings });
+  } catch (error) {
+    sendError(res, error, "Failed to update write-back settings");
+  }
+};
+
+/**
+ * POST /api/sync/write-back/retry (admin only)
+ * Retry every pending change now instead of waiting for its backoff
+ */
+export const retryStashWriteBack = async (
+  _req: TypedAuthRequest,
+  res: TypedResponse<RetryStashWriteBackResponse | ApiErrorResponse>
+) => {
+  try {
+    const retried = await stashWriteBackService.retryAll();
+    res.json({ retried });
+  } catch (error) {
+    sendError(res, error, "Failed to retry write-backs");
+  }
+};
+
+/**
+ * DELETE /api/sync/write-back/:id (admin only)
+ * Drop a pending change without writing it to Stash
+ */
+export const discardStashWriteBack = async (
+  req: TypedAuthRequest<unknown, DiscardStashWriteBackParams>,
+  res: TypedResponse<{ ok: true } | ApiErrorResponse>
+) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: "Invalid ID" });
+  }
+
+  try {
+    await stashWriteBackService.discard(id);
+    res.json({ ok: true });
+  } catch (error) {
+    sendError(res, error, "Failed to discard write-back");
+  }
+};
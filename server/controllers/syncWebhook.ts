@@ -0,0 +1,73 @@
+import {
+  parseWebhookEvents,
+  syncWebhookService,
+  verifySignature,
+} from "../services/SyncWebhookService.js";
+import type { TypedRequest, TypedResponse } from "../types/api/express.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type { SyncWebhookResponse } from "../types/api/syncWebhook.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Receive entity change events from the Stash plugin
+ * POST /api/sync/webhook
+ *
+ * Not session-authenticated: deliveries are signed with the instance's
+ * webhook secret. The route is mounted with a raw body parser so the
+ * signature can be checked against the exact bytes that were sent.
+ */
+export const receiveSyncWebhook = async (
+  req: TypedRequest<Buffer | undefined>,
+  res: TypedResponse<SyncWebhookResponse | ApiErrorResponse>
+) => {
+  try {
+    if (!(await syncWebhookService.isEnabled())) {
+      return res.status(403).json({
+        error: "Webhook disabled",
+        message: "Plugin webhook is not enabled in sync settings",
+      });
+    }
+
+    const instanceId = req.get("x-peek-instance");
+    const secret = instanceId ? await syncWebhookService.getSecret(instanceId) : null;
+
+    // Unknown instance and missing secret look the same to the caller
+    if (!instanceId || !secret) {
+      return res.status(401).json({ error: "Invalid webhook signature" });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+    const signed = verifySignature(
+      secret,
+      req.get("x-peek-timestamp"),
+      req.get("x-peek-signature"),
+      rawBody
+    );
+
+    if (!signed) {
+      await syncWebhookService.logRejected(instanceId, "Invalid signature or timestamp");
+      return res.status(401).json({ error: "Invalid webhook signature" });
+    }
+
+    let body: unknown;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      await syncWebhookService.logRejected(instanceId, "Body is not valid JSON");
+      return res.status(400).json({ error: "Body must be valid JSON" });
+    }
+
+    const parsed = parseWebhookEvents(body);
+    if (!parsed.valid) {
+      await syncWebhookService.logRejected(instanceId, parsed.error);
+      return res.status(400).json({ error: "Invalid events", message: parsed.error });
+    }
+
+    syncWebhookService.enqueue(instanceId, parsed.events);
+
+    res.status(202).json({ ok: true, accepted: parsed.events.length });
+  } catch (error) {
+    logger.error("Error receiving sync webhook", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Failed to process webhook" });
+  }
+};
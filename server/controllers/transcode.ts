@@ -0,0 +1,253 @@
+/**
+ * Transcode Controller
+ *
+ * Serves Peek's own HLS transcodes to the player (the playlist and its
+ * segments) and lets admins configure the transcoder and watch or stop
+ * the encodes that are running.
+ */
+import { AppError, NotFoundError, ValidationError } from "../middleware/errorHandler.js";
+import {
+  MAX_CONCURRENT_LIMIT,
+  MIN_CACHE_LIMIT_MB,
+  buildTranscodePlaylist,
+  isTranscodeQuality,
+  toTranscodeSettingsData,
+  transcodeService,
+  type TranscodeSource,
+} from "../services/TranscodeService.js";
+import { getUserAllowedInstanceIds } from "../services/UserInstanceService.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import type {
+  GetTranscodeJobsResponse,
+  GetTranscodeSettingsResponse,
+  StopTranscodeJobParams,
+  TranscodeQuality,
+  UpdateTranscodeSettingsBody,
+  UpdateTranscodeSettingsResponse,
+} from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+
+type TranscodeParams = { sceneId: string; quality: string };
+type TranscodeSegmentParams = TranscodeParams & { segment: string };
+type TranscodeQuery = { instanceId?: string };
+
+const sendError = (
+  res: TypedResponse<ApiErrorResponse>,
+  error: unknown,
+  message: string
+) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(message, {
+    error: error instanceof Error ? error.message : "Unknown error",
+  });
+  return res.status(500).json({ error: message });
+};
+
+/**
+ * Check the transcoder is on and the user can see the scene's instance
+ */
+const loadSource = async (
+  req: TypedAuthRequest<unknown, TranscodeParams, TranscodeQuery>
+): Promise<{ source: TranscodeSource; quality: TranscodeQuality }> => {
+  const { sceneId, quality } = req.params;
+  if (!isTranscodeQuality(quality)) {
+    throw new ValidationError("Unknown transcode quality");
+  }
+
+  const settings = await transcodeService.getSettings();
+  if (!settings.enabled) {
+    throw new NotFoundError("Transcoding is not enabled");
+  }
+
+  const source = await transcodeService.resolveSource(sceneId, req.query.instanceId);
+  const allowed = await getUserAllowedInstanceIds(req.user.id);
+  if (!allowed.includes(source.instanceId)) {
+    throw new NotFoundError("Scene not found");
+  }
+
+  return { source, quality };
+};
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+/**
+ * GET /api/scene/:sceneId/transcode/:quality/index.m3u8?instanceId=xxx
+ * Lists every segment up front; they're encoded as they're requested
+ */
+export const getTranscodePlaylist = async (
+  req: TypedAuthRequest<never, TranscodeParams, TranscodeQuery>,
+  res: TypedResponse<string | ApiErrorResponse>
+) => {
+  try {
+    const { source } = await loadSource(req);
+    const query = req.query.instanceId
+      ? `?instanceId=${encodeURIComponent(req.query.instanceId)}`
+      : "";
+
+    res.setHeader("content-type", "application/vnd.apple.mpegurl");
+    res.setHeader("cache-control", "no-cache");
+    res.send(buildTranscodePlaylist(source.durationSeconds, query));
+  } catch (error) {
+    sendError(res, error, "Failed to build transcode playlist");
+  }
+};
+
+/**
+ * GET /api/scene/:sceneId/transcode/:quality/:segment.ts?instanceId=xxx
+ * Waits for the encoder if the segment isn't cached yet
+ */
+export const getTranscodeSegment = async (
+  req: TypedAuthRequest<never, TranscodeSegmentParams, TranscodeQuery>,
+  res: TypedResponse<ApiErrorResponse>
+) => {
+  try {
+    const match = /^(\d+)\.ts$/.exec(req.params.segment);
+    if (!match) {
+      return res.status(404).json({ error: "Segment not found" });
+    }
+
+    const { source, quality } = await loadSource(req);
+    const file = await transcodeService.getSegment(
+      source,
+      quality,
+      parseInt(match[1] as string, 10),
+      req.user.username
+    );
+
+    res.sendFile(file, {
+      headers: {
+        "content-type": "video/mp2t",
+        "cache-control": "private, max-age=86400",
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to serve transcode segment");
+  }
+};
+
+// ============================================================================
+// ADMIN ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/transcode/settings (admin only)
+ */
+export const getTranscodeSettings = async (
+  _req: TypedAuthRequest,
+  res: TypedResponse<GetTranscodeSettingsResponse | ApiErrorResponse>
+) => {
+  try {
+    const [settings, ffmpegVersion] = await Promise.all([
+      transcodeService.getSettings(),
+      transcodeService.getFfmpegVersion(),
+    ]);
+    res.json({ settings: toTranscodeSettingsData(settings), ffmpegVersion });
+  } catch (error) {
+    sendError(res, error, "Failed to load transcode settings");
+  }
+};
+
+/**
+ * PUT /api/transcode/settings (admin only)
+ * Turning transcoding off stops any running encodes
+ */
+export const updateTranscodeSettings = async (
+  req: TypedAuthRequest<UpdateTranscodeSettingsBody>,
+  res: TypedResponse<UpdateTranscodeSettingsResponse | ApiErrorResponse>
+) => {
+  try {
+    const { enabled, maxConcurrent, cacheLimitMb } = req.body;
+    const data: { enabled?: boolean; maxConcurrent?: number; cacheLimitMb?: number } = {};
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== "boolean") {
+        return res.status(400).json({ error: "enabled must be a boolean" });
+      }
+      data.enabled = enabled;
+    }
+
+    if (maxConcurrent !== undefined) {
+      if (
+        typeof maxConcurrent !== "number" ||
+        !Number.isInteger(maxConcurrent) ||
+        maxConcurrent < 1 ||
+        maxConcurrent > MAX_CONCURRENT_LIMIT
+      ) {
+        return res.status(400).json({
+          error: `Concurrent transcodes must be a whole number between 1 and ${MAX_CONCURRENT_LIMIT}`,
+        });
+      }
+      data.maxConcurrent = maxConcurrent;
+    }
+
+    if (cacheLimitMb !== undefined) {
+      if (
+        typeof cacheLimitMb !== "number" ||
+        !Number.isInteger(cacheLimitMb) ||
+        cacheLimitMb < MIN_CACHE_LIMIT_MB
+      ) {
+        return res.status(400).json({
+          error: `Cache size must be a whole number of at least ${MIN_CACHE_LIMIT_MB} MB`,
+        });
+      }
+      data.cacheLimitMb = cacheLimitMb;
+    }
+
+    const settings = await transcodeService.updateSettings(data);
+
+    logger.info("Transcode settings updated", {
+      userId: req.user.id,
+      ...toTranscodeSettingsData(settings),
+    });
+
+    res.json({ settings: toTranscodeSettingsData(settings) });
+  } catch (error) {
+    sendError(res, error, "Failed to update transcode settings");
+  }
+};
+
+/**
+ * GET /api/transcode/jobs (admin only)
+ * Running encodes and how full the segment cache is
+ */
+export const getTranscodeJobs = async (
+  _req: TypedAuthRequest,
+  res: TypedResponse<GetTranscodeJobsResponse | ApiErrorResponse>
+) => {
+  try {
+    const settings = await transcodeService.getSettings();
+    const jobs = await transcodeService.listJobs();
+    const entries = await transcodeService.getCacheEntries();
+
+    res.json({
+      jobs,
+      maxConcurrent: settings.maxConcurrent,
+      cache: {
+        usedBytes: entries.reduce((sum, entry) => sum + entry.sizeBytes, 0),
+        limitBytes: settings.cacheLimitMb * 1024 * 1024,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to list transcodes");
+  }
+};
+
+/**
+ * DELETE /api/transcode/jobs/:id (admin only)
+ */
+export const stopTranscodeJob = (
+  req: TypedAuthRequest<never, StopTranscodeJobParams>,
+  res: TypedResponse<{ success: true } | ApiErrorResponse>
+) => {
+  if (!transcodeService.stopJob(req.params.id)) {
+    return res.status(404).json({ error: "Transcode is not running" });
+  }
+
+  logger.info("Transcode stopped by admin", { userId: req.user.id, jobId: req.params.id });
+  res.json({ success: true });
+};
@@ -0,0 +1,325 @@
+/**
+ * Two-Factor Authentication Controller
+ *
+ * Lets users manage their own second factors (authenticator app, backup
+ * codes, security keys and passkeys) and lets admins reset a user's second
+ * factors. The login side lives in routes/auth.ts.
+ */
+import bcrypt from "bcryptjs";
+import { AppError } from "../middleware/errorHandler.js";
+import prisma from "../prisma/singleton.js";
+import { auditLogService, type AuditTarget } from "../services/AuditLogService.js";
+import {
+  MAX_CREDENTIAL_NAME_LENGTH,
+  getRelyingParty,
+  twoFactorService,
+} from "../services/TwoFactorService.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import type {
+  AdminResetTwoFactorParams,
+  BeginTotpSetupResponse,
+  ConfirmTotpSetupBody,
+  ConfirmTotpSetupResponse,
+  DeleteWebAuthnCredentialParams,
+  GetTwoFactorStatusResponse,
+  RegenerateBackupCodesResponse,
+  RegisterWebAuthnCredentialBody,
+  RegisterWebAuthnCredentialResponse,
+  TwoFactorPasswordBody,
+  TwoFactorStatus,
+  TwoFactorStatusResponse,
+  WebAuthnRegistrationOptionsResponse,
+} from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+
+const REQUIRED_FACTOR_ERROR =
+  "Two-factor authentication is required for your account. Add another method before removing this one.";
+
+const userTarget = (user: { id: number; username: string }): AuditTarget => ({
+  type: "user",
+  id: user.id,
+  label: user.username,
+});
+
+/**
+ * Authenticator app plus security keys; backup codes don't count on their own
+ */
+const countFactors = (status: TwoFactorStatus) =>
+  (status.totpEnabled ? 1 : 0) + status.credentials.length;
+
+/**
+ * Confirm the current password before a sensitive change. A wrong password
+ * is a 400, not a 401, so the client doesn't treat it as a lost session.
+ */
+const checkPassword = async (userId: number, password: unknown): Promise<boolean> => {
+  if (typeof password !== "string" || !password) return false;
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { password: true },
+  });
+  return !!user && (await bcrypt.compare(password, user.password));
+};
+
+const sendError = (
+  res: TypedResponse<ApiErrorResponse>,
+  error: unknown,
+  message: string
+) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(message, {
+    error: error instanceof Error ? error.message : "Unknown error",
+  });
+  return res.status(500).json({ error: message });
+};
+
+/**
+ * GET /api/user/two-factor
+ */
+export const getTwoFactorStatus = async (
+  req: TypedAuthRequest,
+  res: TypedResponse<GetTwoFactorStatusResponse | ApiErrorResponse>
+) => {
+  try {
+    res.json({ status: await twoFactorService.getStatus(req.user.id) });
+  } catch (error) {
+    sendError(res, error, "Failed to load two-factor settings");
+  }
+};
+
+/**
+ * POST /api/user/two-factor/totp
+ * Starts authenticator app setup; nothing changes until it's confirmed
+ */
+export const beginTotpSetup = async (
+  req: TypedAuthRequest,
+  res: TypedResponse<BeginTotpSetupResponse | ApiErrorResponse>
+) => {
+  try {
+    res.json(await twoFactorService.beginTotpSetup(req.user));
+  } catch (error) {
+    sendError(res, error, "Failed to start authenticator setup");
+  }
+};
+
+/**
+ * POST /api/user/two-factor/totp/confirm
+ */
+export const confirmTotpSetup = async (
+  req: TypedAuthRequest<ConfirmTotpSetupBody>,
+  res: TypedResponse<ConfirmTotpSetupResponse | ApiErrorResponse>
+) => {
+  try {
+    const { code } = req.body;
+    if (typeof code !== "string" || !code.trim()) {
+      return res.status(400).json({ error: "Code is required" });
+    }
+
+    const backupCodes = await twoFactorService.confirmTotpSetup(req.user.id, code);
+
+    await auditLogService.recordRequest(req, {
+      action: "user.two_factor_enable",
+      target: userTarget(req.user),
+      details: { method: "totp" },
+    });
+
+    res.json({ status: await twoFactorService.getStatus(req.user.id), backupCodes });
+  } catch (error) {
+    sendError(res, error, "Failed to enable authenticator app");
+  }
+};
+
+/**
+ * POST /api/user/two-factor/totp/disable
+ */
+export const disableTotp = async (
+  req: TypedAuthRequest<TwoFactorPasswordBody>,
+  res: TypedResponse<TwoFactorStatusResponse | ApiErrorResponse>
+) => {
+  try {
+    if (!(await checkPassword(req.user.id, req.body.password))) {
+      return res.status(400).json({ error: "Password is incorrect" });
+    }
+
+    const status = await twoFactorService.getStatus(req.user.id);
+    if (!status.totpEnabled) {
+      return res.status(400).json({ error: "No authenticator app is set up" });
+    }
+    if (status.required && countFactors(status) <= 1) {
+      return res.status(400).json({ error: REQUIRED_FACTOR_ERROR });
+    }
+
+    await twoFactorService.disableTotp(req.user.id);
+
+    await auditLogService.recordRequest(req, {
+      action: "user.two_factor_disable",
+      target: userTarget(req.user),
+      details: { method: "totp" },
+    });
+
+    res.json({ status: await twoFactorService.getStatus(req.user.id) });
+  } catch (error) {
+    sendError(res, error, "Failed to disable authenticator app");
+  }
+};
+
+/**
+ * POST /api/user/two-factor/backup-codes
+ * Replaces every backup code. The new codes are only returned here.
+ */
+export const regenerateBackupCodes = async (
+  req: TypedAuthRequest<TwoFactorPasswordBody>,
+  res: TypedResponse<RegenerateBackupCodesResponse | ApiErrorResponse>
+) => {
+  try {
+    if (!(await checkPassword(req.user.id, req.body.password))) {
+      return res.status(400).json({ error: "Password is incorrect" });
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user.id);
+
+    await auditLogService.recordRequest(req, {
+      action: "user.backup_codes_regenerate",
+      target: userTarget(req.user),
+    });
+
+    res.json({ status: await twoFactorService.getStatus(req.user.id), backupCodes });
+  } catch (error) {
+    sendError(res, error, "Failed to regenerate backup codes");
+  }
+};
+
+/**
+ * POST /api/user/two-factor/webauthn/options
+ */
+export const getWebAuthnRegistrationOptions = async (
+  req: TypedAuthRequest,
+  res: TypedResponse<WebAuthnRegistrationOptionsResponse | ApiErrorResponse>
+) => {
+  try {
+    const options = await twoFactorService.getRegistrationOptions(req.user, getRelyingParty(req));
+    res.json({ options });
+  } catch (error) {
+    sendError(res, error, "Failed to start security key registration");
+  }
+};
+
+/**
+ * POST /api/user/two-factor/webauthn
+ */
+export const registerWebAuthnCredential = async (
+  req: TypedAuthRequest<RegisterWebAuthnCredentialBody>,
+  res: TypedResponse<RegisterWebAuthnCredentialResponse | ApiErrorResponse>
+) => {
+  try {
+    const { name, response } = req.body;
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "Name is required" });
+    }
+    if (name.trim().length > MAX_CREDENTIAL_NAME_LENGTH) {
+      return res
+        .status(400)
+        .json({ error: `Name must be ${MAX_CREDENTIAL_NAME_LENGTH} characters or less` });
+    }
+    if (!response || typeof response !== "object") {
+      return res.status(400).json({ error: "Security key response is required" });
+    }
+
+    const { credential, backupCodes } = await twoFactorService.registerCredential(
+      req.user.id,
+      name.trim(),
+      response,
+      getRelyingParty(req)
+    );
+
+    await auditLogService.recordRequest(req, {
+      action: "user.passkey_add",
+      target: userTarget(req.user),
+      details: { credentialId: credential.id, name: credential.name },
+    });
+
+    res
+      .status(201)
+      .json({ status: await twoFactorService.getStatus(req.user.id), backupCodes });
+  } catch (error) {
+    sendError(res, error, "Failed to register security key");
+  }
+};
+
+/**
+ * DELETE /api/user/two-factor/webauthn/:credentialId
+ */
+export const deleteWebAuthnCredential = async (
+  req: TypedAuthRequest<never, DeleteWebAuthnCredentialParams>,
+  res: TypedResponse<TwoFactorStatusResponse | ApiErrorResponse>
+) => {
+  try {
+    const credentialId = parseInt(req.params.credentialId, 10);
+    if (isNaN(credentialId)) {
+      return res.status(400).json({ error: "Invalid security key ID" });
+    }
+
+    const status = await twoFactorService.getStatus(req.user.id);
+    const credential = status.credentials.find((c) => c.id === credentialId);
+    if (!credential) {
+      return res.status(404).json({ error: "Security key not found" });
+    }
+    if (status.required && countFactors(status) <= 1) {
+      return res.status(400).json({ error: REQUIRED_FACTOR_ERROR });
+    }
+
+    await twoFactorService.removeCredential(req.user.id, credentialId);
+
+    await auditLogService.recordRequest(req, {
+      action: "user.passkey_remove",
+      target: userTarget(req.user),
+      details: { credentialId, name: credential.name },
+    });
+
+    res.json({ status: await twoFactorService.getStatus(req.user.id) });
+  } catch (error) {
+    sendError(res, error, "Failed to remove security key");
+  }
+};
+
+/**
+ * DELETE /api/user/:userId/two-factor (admin only)
+ * For users who lost their device and backup codes. If a policy requires
+ * two-factor, they enroll again at their next login.
+ */
+export const adminResetTwoFactor = async (
+  req: TypedAuthRequest<never, AdminResetTwoFactorParams>,
+  res: TypedResponse<TwoFactorStatusResponse | ApiErrorResponse>
+) => {
+  try {
+    if (req.user?.role !== "ADMIN") {
+      return res.status(403).json({ error: "Forbidden: Admin access required" });
+    }
+
+    const userId = parseInt(req.params.userId, 10);
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, username: true },
+    });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await twoFactorService.reset(userId);
+
+    await auditLogService.recordRequest(req, {
+      action: "user.two_factor_reset",
+      target: userTarget(user),
+    });
+
+    res.json({ status: await twoFactorService.getStatus(userId) });
+  } catch (error) {
+    sendError(res, error, "Failed to reset two-factor authentication");
+  }
+};
@@ -1,6 +1,8 @@
 import bcrypt from "bcryptjs";
 import { randomUUID } from "crypto";
+import { FILTER_RULES_VERSION } from "@peek/shared-types/filterRules.js";
 import prisma from "../prisma/singleton.js";
+import { auditLogService, diffFields, type AuditTarget } from "../services/AuditLogService.js";
 import { exclusionComputationService } from "../services/ExclusionComputationService.js";
 import type { EntityType } from "../services/UserHiddenEntityService.js";
 import { resolveUserPermissions } from "../services/PermissionService.js";
@@ -88,6 +90,12 @@ const getDefaultCarouselPreferences = (): CarouselPreference[] => [
   { id: "favoriteTagScenes", enabled: true, order: 7 },
 ];
 
+const userTarget = (user: { id: number; username?: string | null }): AuditTarget => ({
+  type: "user",
+  id: user.id,
+  label: user.username ?? null,
+});
+
 /**
  * Get user settings
  */
@@ -541,6 +549,11 @@ export const changePassword = async (
       data: { password: hashedPassword },
     });
 
+    await auditLogService.recordRequest(req, {
+      action: "user.password_change",
+      target: userTarget(user),
+    });
+
     res.json({ success: true, message: "Password changed successfully" });
   } catch (error) {
     logger.error("Error changing password", { error: error instanceof Error ? error.message : "Unknown error" });
@@ -720,6 +733,12 @@ export const createUser = async (req: TypedAuthRequest<CreateUserBody>, res: Typ
       },
     });
 
+    await auditLogService.recordRequest(req, {
+      action: "user.create",
+      target: userTarget(newUser),
+      after: { username: newUser.username, role: newUser.role },
+    });
+
     res.status(201).json({ success: true, user: newUser });
   } catch (error) {
     logger.error("Error creating user", { error: error instanceof Error ? error.message : "Unknown error" });
@@ -765,6 +784,12 @@ export const deleteUser = async (req: TypedAuthRequest<never, DeleteUserParams>,
       where: { id: userIdInt },
     });
 
+    await auditLogService.recordRequest(req, {
+      action: "user.delete",
+      target: userTarget(user),
+      before: { username: user.username, role: user.role },
+    });
+
     res.json({ success: true, message: "User deleted successfully" });
   } catch (error) {
     logger.error("Error deleting user", { error: error instanceof Error ? error.message : "Unknown error" });
@@ -806,6 +831,15 @@ export const updateUserRole = async (
       return res.status(400).json({ error: "Cannot change your own role" });
     }
 
+    const existingUser = await prisma.user.findUnique({
+      where: { id: userIdInt },
+      select: { role: true },
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
     // Update user role
     const updatedUser = await prisma.user.update({
       where: { id: userIdInt },
@@ -818,6 +852,15 @@ export const updateUserRole = async (
       },
     });
 
+    if (existingUser.role !== updatedUser.role) {
+      await auditLogService.recordRequest(req, {
+        action: "user.role_change",
+        target: userTarget(updatedUser),
+        before: { role: existingUser.role },
+        after: { role: updatedUser.role },
+      });
+    }
+
     res.json({ success: true, user: updatedUser });
   } catch (error) {
     logger.error("Error updating user role", { error: error instanceof Error ? error.message : "Unknown error" });
@@ -958,6 +1001,7 @@ export const saveFilterPreset = async (
       tableColumns: tableColumns || null,
       perPage: perPage || null,
       createdAt: new Date().toISOString(),
+      version: FILTER_RULES_VERSION,
     };
 
     // Add preset to the appropriate artifact type array
@@ -1948,6 +1992,40 @@ export const getUserRestrictions = async (
   }
 };
 
+/**
+ * Restriction as recorded in the audit log
+ */
+const toRestrictionSnapshot = (
+  r: Pick<UserRestriction, "entityType" | "mode" | "entityIds" | "restrictEmpty">
+) => ({
+  entityType: r.entityType,
+  mode: r.mode,
+  entityIds: typeof r.entityIds === "string" ? (JSON.parse(r.entityIds) as string[]) : r.entityIds,
+  restrictEmpty: r.restrictEmpty || false,
+});
+
+/**
+ * Stored restrictions for a user, as recorded in the audit log
+ */
+const snapshotRestrictions = async (userId: number) => {
+  const rows = await prisma.userContentRestriction.findMany({
+    where: { userId },
+  });
+  return rows.map(toRestrictionSnapshot);
+};
+
+/**
+ * Audit target for the user whose restrictions changed. The routes don't
+ * otherwise load the user, so the username is looked up here.
+ */
+const restrictionTarget = async (userId: number): Promise<AuditTarget> => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { username: true },
+  });
+  return userTarget({ id: userId, username: user?.username });
+};
+
 /**
  * Update content restrictions for a user (Admin only)
  * Replaces all existing restrictions with new ones
@@ -1994,6 +2072,8 @@ export const updateUserRestrictions = async (
       }
     }
 
+    const previous = await snapshotRestrictions(targetUserId);
+
     // Delete existing restrictions
     await prisma.userContentRestriction.deleteMany({
       where: { userId: targetUserId },
@@ -2017,6 +2097,15 @@ export const updateUserRestrictions = async (
     // Recompute exclusions for this user after restriction change
     await exclusionComputationService.recomputeForUser(targetUserId);
 
+    await auditLogService.recordRequest(req, {
+      action: "user.restrictions_update",
+      target: await restrictionTarget(targetUserId),
+      ...diffFields(
+        { restrictions: previous },
+        { restrictions: restrictions.map(toRestrictionSnapshot) }
+      ),
+    });
+
     res.json({
       success: true,
       message: "Content restrictions updated successfully",
@@ -2052,6 +2141,8 @@ export const deleteUserRestrictions = async (
 
     const targetUserId = parseInt(userId);
 
+    const previous = await snapshotRestrictions(targetUserId);
+
     await prisma.userContentRestriction.deleteMany({
       where: { userId: targetUserId },
     });
@@ -2059,6 +2150,12 @@ export const deleteUserRestrictions = async (
     // Recompute exclusions for this user after restriction removal
     await exclusionComputationService.recomputeForUser(targetUserId);
 
+    await auditLogService.recordRequest(req, {
+      action: "user.restrictions_clear",
+      target: await restrictionTarget(targetUserId),
+      before: { restrictions: previous },
+    });
+
     res.json({
       success: true,
       message: "All content restrictions removed successfully",
@@ -2526,8 +2623,12 @@ export const updateUserPermissionOverrides = async (
       return res.status(400).json({ error: "Invalid user ID" });
     }
 
-    const { canShareOverride, canDownloadFilesOverride, canDownloadPlaylistsOverride } =
-      req.body;
+    const {
+      canShareOverride,
+      canDownloadFilesOverride,
+      canDownloadPlaylistsOverride,
+      canEditMetadataOverride,
+    } = req.body;
 
     // Validate values (must be boolean or null)
     const validateOverride = (value: unknown): boolean | null | undefined => {
@@ -2549,15 +2650,41 @@ export const updateUserPermissionOverrides = async (
       const playlistsOverride = validateOverride(canDownloadPlaylistsOverride);
       if (playlistsOverride !== undefined) updates.canDownloadPlaylistsOverride = playlistsOverride;
 
+      const metadataOverride = validateOverride(canEditMetadataOverride);
+      if (metadataOverride !== undefined) updates.canEditMetadataOverride = metadataOverride;
+
       if (Object.keys(updates).length === 0) {
         return res.status(400).json({ error: "No valid updates provided" });
       }
 
+      const previous = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          username: true,
+          canShareOverride: true,
+          canDownloadFilesOverride: true,
+          canDownloadPlaylistsOverride: true,
+          canEditMetadataOverride: true,
+        },
+      });
+
+      if (!previous) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const { username, ...previousOverrides } = previous;
+
       await prisma.user.update({
         where: { id: userId },
         data: updates,
       });
 
+      await auditLogService.recordRequest(req, {
+        action: "user.permissions_update",
+        target: userTarget({ id: userId, username }),
+        ...diffFields(previousOverrides, { ...previousOverrides, ...updates }),
+      });
+
       // Return updated permissions
       const permissions = await resolveUserPermissions(userId);
       res.json({ success: true, permissions });
@@ -2662,6 +2789,11 @@ export const adminResetPassword = async (
       data: { password: hashedPassword },
     });
 
+    await auditLogService.recordRequest(req, {
+      action: "user.password_reset",
+      target: userTarget(user),
+    });
+
     res.json({ success: true });
   } catch (error) {
     logger.error("Error resetting user password", { error: error instanceof Error ? error.message : "Unknown error" });
@@ -2709,6 +2841,11 @@ export const adminRegenerateRecoveryKey = async (
       data: { recoveryKey: newKey },
     });
 
+    await auditLogService.recordRequest(req, {
+      action: "user.recovery_key_regenerate",
+      target: userTarget(user),
+    });
+
     // Return formatted key
     res.json({ recoveryKey: formatRecoveryKey(newKey) });
   } catch (error) {
@@ -0,0 +1,163 @@
+/**
+ * User Data Controller
+ *
+ * Self-service export and import of a user's ratings, history, playlists,
+ * carousels, themes, hidden items and preferences. Admins can do the same
+ * on behalf of any user, which is recorded in the audit log.
+ */
+import { AppError } from "../middleware/errorHandler.js";
+import prisma from "../prisma/singleton.js";
+import { auditLogService, type AuditTarget } from "../services/AuditLogService.js";
+import { userDataTransferService } from "../services/UserDataTransferService.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import type {
+  UserDataImportBody,
+  UserDataImportResponse,
+  UserDataUserParams,
+} from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+
+const userTarget = (user: { id: number; username?: string | null }): AuditTarget => ({
+  type: "user",
+  id: user.id,
+  label: user.username ?? null,
+});
+
+const sendError = (
+  res: TypedResponse<ApiErrorResponse>,
+  error: unknown,
+  message: string
+) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(message, {
+    error: error instanceof Error ? error.message : "Unknown error",
+  });
+  return res.status(500).json({ error: message });
+};
+
+const sendArchive = async (res: TypedResponse<string | ApiErrorResponse>, userId: number) => {
+  const archive = await userDataTransferService.exportUser(userId);
+  const date = archive.exportedAt.slice(0, 10);
+  const name = archive.username.replace(/[^\w.-]+/g, "_");
+
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="peek-user-data-${name}-${date}.json"`
+  );
+  res.send(JSON.stringify(archive, null, 2));
+  return archive;
+};
+
+const runImport = (userId: number, body: UserDataImportBody) => {
+  const mode = body.mode ?? "merge";
+  if (mode !== "merge" && mode !== "overwrite") {
+    return { error: 'mode must be "merge" or "overwrite"' } as const;
+  }
+  if (body.dryRun !== undefined && typeof body.dryRun !== "boolean") {
+    return { error: "dryRun must be a boolean" } as const;
+  }
+  return userDataTransferService.importUser(userId, body.archive, mode, body.dryRun ?? false);
+};
+
+const parseUserId = (value: string) => {
+  const userId = parseInt(value, 10);
+  return isNaN(userId) ? null : userId;
+};
+
+/**
+ * GET /api/user/data-export
+ * Downloads the current user's data as a JSON archive
+ */
+export const exportUserData = async (
+  req: TypedAuthRequest,
+  res: TypedResponse<string | ApiErrorResponse>
+) => {
+  try {
+    await sendArchive(res, req.user.id);
+  } catch (error) {
+    sendError(res, error, "Failed to export user data");
+  }
+};
+
+/**
+ * POST /api/user/data-import
+ * Imports an archive into the current user's account, or with dryRun,
+ * reports what the import would do
+ */
+export const importUserData = async (
+  req: TypedAuthRequest<UserDataImportBody>,
+  res: TypedResponse<UserDataImportResponse | ApiErrorResponse>
+) => {
+  try {
+    const result = await runImport(req.user.id, req.body);
+    if ("error" in result) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to import user data");
+  }
+};
+
+/**
+ * GET /api/user/:userId/data-export (admin only)
+ */
+export const adminExportUserData = async (
+  req: TypedAuthRequest<unknown, UserDataUserParams>,
+  res: TypedResponse<string | ApiErrorResponse>
+) => {
+  const userId = parseUserId(req.params.userId);
+  if (userId === null) {
+    return res.status(400).json({ error: "Invalid user ID" });
+  }
+
+  try {
+    const archive = await sendArchive(res, userId);
+    await auditLogService.recordRequest(req, {
+      action: "user.data_export",
+      target: userTarget({ id: userId, username: archive.username }),
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to export user data");
+  }
+};
+
+/**
+ * POST /api/user/:userId/data-import (admin only)
+ */
+export const adminImportUserData = async (
+  req: TypedAuthRequest<UserDataImportBody, UserDataUserParams>,
+  res: TypedResponse<UserDataImportResponse | ApiErrorResponse>
+) => {
+  const userId = parseUserId(req.params.userId);
+  if (userId === null) {
+    return res.status(400).json({ error: "Invalid user ID" });
+  }
+
+  try {
+    const result = await runImport(userId, req.body);
+    if ("error" in result) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    if (!result.dryRun) {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { username: true },
+      });
+      await auditLogService.recordRequest(req, {
+        action: "user.data_import",
+        target: userTarget({ id: userId, username: user?.username }),
+        details: { mode: result.mode, sections: result.sections },
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to import user data");
+  }
+};
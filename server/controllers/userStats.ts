@@ -3,14 +3,32 @@ import type {
   TypedResponse,
   ApiErrorResponse,
   UserStatsResponse,
+  StatsGranularity,
+  TrendEntityType,
+  TrendMetric,
+  GetTimeSeriesQuery,
+  GetTimeSeriesResponse,
+  GetActivityQuery,
+  GetActivityResponse,
+  GetTrendsQuery,
+  GetTrendsResponse,
+  GetYearInReviewQuery,
+  GetYearInReviewResponse,
 } from "../types/api/index.js";
 import { userStatsAggregationService, type TopListSortBy } from "../services/UserStatsAggregationService.js";
+import { userActivityStatsService, isDay } from "../services/UserActivityStatsService.js";
 import rankingComputeService from "../services/RankingComputeService.js";
 import prisma from "../prisma/singleton.js";
 import { logger } from "../utils/logger.js";
 
 const ONE_HOUR_MS = 60 * 60 * 1000;
 
+const VALID_GRANULARITIES: StatsGranularity[] = ["years", "months", "weeks", "days"];
+const VALID_TREND_ENTITY_TYPES: TrendEntityType[] = ["performer", "studio", "tag"];
+const VALID_TREND_METRICS: TrendMetric[] = ["playCount", "watchTime"];
+const MAX_TREND_LIMIT = 20;
+const MAX_TREND_WINDOW = 52;
+
 /**
  * Validate sortBy query parameter
  */
@@ -18,6 +36,35 @@ function isValidSortBy(value: unknown): value is TopListSortBy {
   return value === "engagement" || value === "oCount" || value === "playCount";
 }
 
+/**
+ * Validate a from/to date range; returns an error message or null
+ */
+function checkRange(from: unknown, to: unknown): string | null {
+  if (from !== undefined && !isDay(from)) return "Invalid from date";
+  if (to !== undefined && !isDay(to)) return "Invalid to date";
+  if (isDay(from) && isDay(to) && from > to) return "from must not be after to";
+  return null;
+}
+
+/**
+ * Parse a year query parameter
+ */
+function parseYear(value: unknown): number | null {
+  const year = Number(value);
+  return typeof value === "string" && Number.isInteger(year) && year >= 1970 && year <= 9999
+    ? year
+    : null;
+}
+
+/**
+ * Parse a whole-number query parameter within bounds, or the default when absent
+ */
+function parseBoundedInt(value: unknown, fallback: number, max: number): number | null {
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 1 && parsed <= max ? parsed : null;
+}
+
 /**
  * Ensure rankings are fresh for the given user.
  * If rankings are stale (>1 hour) or missing, awaits a full recompute.
@@ -74,3 +121,170 @@ export async function getUserStats(
     res.status(500).json({ error: "Failed to fetch user stats" });
   }
 }
+
+/**
+ * Get activity per period
+ *
+ * Query parameters:
+ * - granularity: "years" | "months" | "weeks" | "days" (default: "months")
+ * - from, to: YYYY-MM-DD (default: first activity to today)
+ * - timezone: IANA timezone the dates are in (default: UTC)
+ * - performerId, studioId, tagId: only count scenes featuring it
+ */
+export async function getUserStatsTimeSeries(
+  req: TypedAuthRequest<never, Record<string, string>, GetTimeSeriesQuery>,
+  res: TypedResponse<GetTimeSeriesResponse | ApiErrorResponse>
+) {
+  const granularity = req.query.granularity ?? "months";
+  if (!VALID_GRANULARITIES.includes(granularity as StatsGranularity)) {
+    return res.status(400).json({ error: "Invalid granularity" });
+  }
+  const rangeError = checkRange(req.query.from, req.query.to);
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
+
+  try {
+    const series = await userActivityStatsService.getTimeSeries(req.user.id, {
+      granularity: granularity as StatsGranularity,
+      from: req.query.from,
+      to: req.query.to,
+      timezone: req.query.timezone,
+      performerId: req.query.performerId,
+      studioId: req.query.studioId,
+      tagId: req.query.tagId,
+    });
+    res.json(series);
+  } catch (error) {
+    logger.error("Error fetching user stats time series", {
+      error: error instanceof Error ? error.message : "Unknown error",
+      stack: error instanceof Error ? error.stack : undefined,
+    });
+    res.status(500).json({ error: "Failed to fetch time series" });
+  }
+}
+
+/**
+ * Get the activity heatmap, hour/weekday distributions and streaks
+ *
+ * Query parameters:
+ * - year: calendar year to cover (default: the last 365 days)
+ * - timezone: IANA timezone (default: UTC)
+ */
+export async function getUserActivity(
+  req: TypedAuthRequest<never, Record<string, string>, GetActivityQuery>,
+  res: TypedResponse<GetActivityResponse | ApiErrorResponse>
+) {
+  const year = req.query.year === undefined ? undefined : parseYear(req.query.year);
+  if (year === null) {
+    return res.status(400).json({ error: "Invalid year" });
+  }
+
+  try {
+    const activity = await userActivityStatsService.getActivity(req.user.id, {
+      year,
+      timezone: req.query.timezone,
+    });
+    res.json(activity);
+  } catch (error) {
+    logger.error("Error fetching user activity", {
+      error: error instanceof Error ? error.message : "Unknown error",
+      stack: error instanceof Error ? error.stack : undefined,
+    });
+    res.status(500).json({ error: "Failed to fetch activity" });
+  }
+}
+
+/**
+ * Get per-period trends for the most watched performers, studios or tags
+ *
+ * Query parameters:
+ * - entityType: "performer" | "studio" | "tag" (default: "performer")
+ * - granularity: as for /timeseries (default: "months")
+ * - metric: "playCount" | "watchTime" (default: "playCount")
+ * - limit: entities to return, 1-20 (default: 5)
+ * - window: periods in the rolling average, 1-52 (default: 3)
+ * - from, to, timezone: as for /timeseries
+ */
+export async function getUserStatsTrends(
+  req: TypedAuthRequest<never, Record<string, string>, GetTrendsQuery>,
+  res: TypedResponse<GetTrendsResponse | ApiErrorResponse>
+) {
+  const entityType = req.query.entityType ?? "performer";
+  const granularity = req.query.granularity ?? "months";
+  const metric = req.query.metric ?? "playCount";
+  const limit = parseBoundedInt(req.query.limit, 5, MAX_TREND_LIMIT);
+  const window = parseBoundedInt(req.query.window, 3, MAX_TREND_WINDOW);
+
+  if (!VALID_TREND_ENTITY_TYPES.includes(entityType as TrendEntityType)) {
+    return res.status(400).json({ error: "Invalid entity type" });
+  }
+  if (!VALID_GRANULARITIES.includes(granularity as StatsGranularity)) {
+    return res.status(400).json({ error: "Invalid granularity" });
+  }
+  if (!VALID_TREND_METRICS.includes(metric as TrendMetric)) {
+    return res.status(400).json({ error: "Invalid metric" });
+  }
+  if (limit === null) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_TREND_LIMIT}` });
+  }
+  if (window === null) {
+    return res.status(400).json({ error: `window must be between 1 and ${MAX_TREND_WINDOW}` });
+  }
+  const rangeError = checkRange(req.query.from, req.query.to);
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
+
+  try {
+    const trends = await userActivityStatsService.getTrends(req.user.id, {
+      entityType: entityType as TrendEntityType,
+      granularity: granularity as StatsGranularity,
+      metric: metric as TrendMetric,
+      limit,
+      window,
+      from: req.query.from,
+      to: req.query.to,
+      timezone: req.query.timezone,
+    });
+    res.json(trends);
+  } catch (error) {
+    logger.error("Error fetching user stats trends", {
+      error: error instanceof Error ? error.message : "Unknown error",
+      stack: error instanceof Error ? error.stack : undefined,
+    });
+    res.status(500).json({ error: "Failed to fetch trends" });
+  }
+}
+
+/**
+ * Get the year in review summary
+ *
+ * Query parameters:
+ * - year: calendar year (default: the current year)
+ * - timezone: IANA timezone (default: UTC)
+ */
+export async function getYearInReview(
+  req: TypedAuthRequest<never, Record<string, string>, GetYearInReviewQuery>,
+  res: TypedResponse<GetYearInReviewResponse | ApiErrorResponse>
+) {
+  const year =
+    req.query.year === undefined ? new Date().getUTCFullYear() : parseYear(req.query.year);
+  if (year === null) {
+    return res.status(400).json({ error: "Invalid year" });
+  }
+
+  try {
+    const review = await userActivityStatsService.getYearInReview(req.user.id, {
+      year,
+      timezone: req.query.timezone,
+    });
+    res.json(review);
+  } catch (error) {
+    logger.error("Error fetching year in review", {
+      error: error instanceof Error ? error.message : "Unknown error",
+      stack: error instanceof Error ? error.stack : undefined,
+    });
+    res.status(500).json({ error: "Failed to fetch year in review" });
+  }
+}
@@ -1,6 +1,10 @@
-import type { Response } from "express";
+import type { Request, Response } from "express";
+import { STREAM_TOKEN_TTL_SECONDS, generateStreamToken } from "../middleware/auth.js";
+import { ForbiddenError } from "../middleware/errorHandler.js";
+import { accessScheduleService } from "../services/AccessScheduleService.js";
 import { stashInstanceManager } from "../services/StashInstanceManager.js";
-import type { TypedRequest } from "../types/api/express.js";
+import type { TypedAuthRequest, TypedRequest, TypedResponse } from "../types/api/express.js";
+import type { CreateStreamTokenResponse } from "../types/api/index.js";
 import { logger } from "../utils/logger.js";
 import { pipeResponseToClient } from "../utils/streamProxy.js";
 
@@ -43,8 +47,15 @@ function getInstanceCredentials(instanceId?: string): { baseUrl: string; apiKey:
  * - Just segment: segment_0.ts?apikey=xxx
  *
  * All should be rewritten to: /api/scene/{sceneId}/proxy-stream/{path}?{params without apikey}&instanceId=xxx
+ * A stream token the playlist was fetched with is passed on to the segments.
  */
-function rewriteHlsPlaylist(content: string, sceneId: string, _stashBaseUrl: string, instanceId?: string): string {
+function rewriteHlsPlaylist(
+  content: string,
+  sceneId: string,
+  _stashBaseUrl: string,
+  instanceId?: string,
+  streamToken?: string
+): string {
   const lines = content.split('\n');
 
   return lines.map(line => {
@@ -84,6 +95,9 @@ function rewriteHlsPlaylist(content: string, sceneId: string, _stashBaseUrl: str
       if (instanceId) {
         queryParams.set('instanceId', instanceId);
       }
+      if (streamToken) {
+        queryParams.set('streamToken', streamToken);
+      }
 
       // Extract the stream path (everything after /scene/{id}/)
       let streamPath: string;
@@ -123,18 +137,87 @@ function rewriteHlsPlaylist(content: string, sceneId: string, _stashBaseUrl: str
  * SECURITY: For HLS playlists (.m3u8), we rewrite internal URLs to strip the Stash API key
  * and route segment requests through Peek's proxy.
  */
-export const proxyStashStream = async (req: TypedRequest<never, { sceneId: string; streamPath: string; subPath?: string }, { instanceId?: string }>, res: Response) => {
-  try {
-    const { sceneId, streamPath, subPath } = req.params;
-    const instanceId = req.query.instanceId;
+export const proxyStashStream = async (req: TypedRequest<never, { sceneId: string; streamPath: string; subPath?: string }, { instanceId?: string; streamToken?: string }>, res: Response) => {
+  const { sceneId, streamPath, subPath } = req.params;
+
+  // Combine path segments if subPath exists (for HLS segments like stream/segment_0.ts)
+  const fullStreamPath = subPath ? `${streamPath}/${subPath}` : streamPath;
+
+  // Parse query string from original request, but remove instanceId and
+  // streamToken (they're for Peek only)
+  const urlParams = new URLSearchParams(req.url.split('?')[1] || '');
+  urlParams.delete('instanceId');
+  urlParams.delete('streamToken');
+
+  await streamFromStash(req, res, {
+    sceneId,
+    streamPath: fullStreamPath,
+    instanceId: req.query.instanceId,
+    queryString: urlParams.toString(),
+    userId: req.user?.id,
+    streamToken: req.query.streamToken,
+  });
+};
+
+/**
+ * Issue a stream token for players that can't send the session cookie
+ * (cast receivers, external players). It only lasts until the user's
+ * current access window closes.
+ *
+ * POST /api/scene/:sceneId/stream-token
+ */
+export const createStreamToken = async (
+  req: TypedAuthRequest<never, { sceneId: string }>,
+  res: TypedResponse<CreateStreamTokenResponse>
+) => {
+  const access = await accessScheduleService.getStatus(req.user.id);
+  if (!access.allowed) {
+    throw new ForbiddenError("Playback isn't available at this time");
+  }
 
-    // Combine path segments if subPath exists (for HLS segments like stream/segment_0.ts)
-    const fullStreamPath = subPath ? `${streamPath}/${subPath}` : streamPath;
+  let ttlSeconds = STREAM_TOKEN_TTL_SECONDS;
+  if (access.closesAt) {
+    const secondsLeft = Math.ceil((Date.parse(access.closesAt) - Date.now()) / 1000);
+    ttlSeconds = Math.max(1, Math.min(ttlSeconds, secondsLeft));
+  }
 
-    // Parse query string from original request, but remove instanceId (it's for Peek routing only)
-    const urlParams = new URLSearchParams(req.url.split('?')[1] || '');
-    urlParams.delete('instanceId');
-    const queryString = urlParams.toString();
+  res.json({
+    token: generateStreamToken(req.user.id, req.params.sceneId, ttlSeconds),
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+  });
+};
+
+/**
+ * Stream a scene path from Stash to the client.
+ * Shared by the browser player proxy and the DLNA media server. With a
+ * userId the stream is cut off when the user's access schedule closes.
+ */
+export async function streamFromStash(
+  req: Request,
+  res: Response,
+  options: {
+    sceneId: string;
+    streamPath: string;
+    instanceId?: string;
+    queryString?: string;
+    userId?: number;
+    /** Passed on to the segment URLs of HLS playlists */
+    streamToken?: string;
+  }
+): Promise<void> {
+  try {
+    const { sceneId, streamPath: fullStreamPath, instanceId, queryString, userId, streamToken } = options;
+
+    if (userId !== undefined) {
+      const access = await accessScheduleService.getStatus(userId);
+      if (!access.allowed) {
+        res.status(403).send("Playback isn't available at this time");
+        return;
+      }
+      if (access.restricted) {
+        accessScheduleService.guardStream(userId, res);
+      }
+    }
 
     // Get Stash instance configuration
     let stashBaseUrl: string;
@@ -146,7 +229,8 @@ export const proxyStashStream = async (req: TypedRequest<never, { sceneId: strin
       apiKey = creds.apiKey;
     } catch (error) {
       logger.error("[PROXY] Failed to get Stash instance credentials", { error, instanceId });
-      return res.status(500).send("Stash not configured");
+      res.status(500).send("Stash not configured");
+      return;
     }
 
     const stashUrl = `${stashBaseUrl}/scene/${sceneId}/${fullStreamPath}${queryString ? '?' + queryString : ''}`;
@@ -165,13 +249,16 @@ export const proxyStashStream = async (req: TypedRequest<never, { sceneId: strin
     }
 
     const response = await fetch(stashUrl, {
+      // Renderers probe with HEAD before playing; don't pull the file for those
+      ...(req.method === 'HEAD' && { method: 'HEAD' }),
       headers,
       signal: abortController.signal,
     });
 
     if (!response.ok) {
       logger.warn(`[PROXY] Stash returned ${response.status} for ${stashUrl}`);
-      return res.status(response.status).send(`Stash stream error: ${response.statusText}`);
+      res.status(response.status).send(`Stash stream error: ${response.statusText}`);
+      return;
     }
 
     // Check if this is an HLS playlist that needs URL rewriting
@@ -183,7 +270,7 @@ export const proxyStashStream = async (req: TypedRequest<never, { sceneId: strin
     if (isHlsPlaylist) {
       // For HLS playlists, read the entire response and rewrite URLs
       const playlistContent = await response.text();
-      const rewrittenContent = rewriteHlsPlaylist(playlistContent, sceneId, stashBaseUrl, instanceId);
+      const rewrittenContent = rewriteHlsPlaylist(playlistContent, sceneId, stashBaseUrl, instanceId, streamToken);
 
       // Set headers for the rewritten playlist
       res.status(response.status);
@@ -220,7 +307,7 @@ export const proxyStashStream = async (req: TypedRequest<never, { sceneId: strin
       res.status(500).send("Stream proxy failed");
     }
   }
-};
+}
 
 // ============================================================================
 // CAPTION PROXY
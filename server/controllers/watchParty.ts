@@ -0,0 +1,194 @@
+import { AppError } from "../middleware/errorHandler.js";
+import {
+  watchPartyService,
+  type WatchPartyStream,
+} from "../services/WatchPartyService.js";
+import type { TypedAuthRequest, TypedResponse } from "../types/api/express.js";
+import type { ApiErrorResponse } from "../types/api/common.js";
+import type {
+  CreateWatchPartyBody,
+  LeaveWatchPartyResponse,
+  WatchPartyControlBody,
+  WatchPartyParams,
+  WatchPartyResponse,
+} from "../types/api/watchParty.js";
+import { logger } from "../utils/logger.js";
+
+// Comment line sent periodically so proxies don't close an idle stream
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Create a watch party for the scene the current user is watching
+ * POST /api/watch-party
+ */
+export const createWatchParty = async (
+  req: TypedAuthRequest<CreateWatchPartyBody>,
+  res: TypedResponse<WatchPartyResponse | ApiErrorResponse>
+) => {
+  try {
+    const user = req.user;
+
+    if (!user?.id) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const { sceneId, instanceId, playlistIndex, position, playing } = req.body;
+
+    if (!sceneId || typeof sceneId !== "string") {
+      return res.status(400).json({ error: "sceneId is required" });
+    }
+
+    const party = await watchPartyService.create(
+      { id: user.id, username: user.username },
+      {
+        sceneId,
+        instanceId: instanceId ?? null,
+        playlistIndex: typeof playlistIndex === "number" ? playlistIndex : null,
+        position: typeof position === "number" && Number.isFinite(position) ? position : 0,
+        playing: playing === true,
+      }
+    );
+
+    res.status(201).json({ party });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    logger.error("Error creating watch party", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Failed to create watch party" });
+  }
+};
+
+/**
+ * Get a party's current state (participants only)
+ * GET /api/watch-party/:partyId
+ */
+export const getWatchParty = (
+  req: TypedAuthRequest<unknown, WatchPartyParams>,
+  res: TypedResponse<WatchPartyResponse | ApiErrorResponse>
+) => {
+  const userId = req.user?.id;
+
+  if (!userId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const party = watchPartyService.get(req.params.partyId, userId);
+  res.json({ party });
+};
+
+/**
+ * Join a party from an invite link
+ * POST /api/watch-party/:partyId/join
+ *
+ * Returns 403 when the party's scene is hidden or restricted for the user.
+ */
+export const joinWatchParty = async (
+  req: TypedAuthRequest<unknown, WatchPartyParams>,
+  res: TypedResponse<WatchPartyResponse | ApiErrorResponse>
+) => {
+  try {
+    const user = req.user;
+
+    if (!user?.id) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const party = await watchPartyService.join(req.params.partyId, {
+      id: user.id,
+      username: user.username,
+    });
+
+    res.json({ party });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    logger.error("Error joining watch party", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Failed to join watch party" });
+  }
+};
+
+/**
+ * Leave a party (ends it if the caller is the host)
+ * POST /api/watch-party/:partyId/leave
+ */
+export const leaveWatchParty = (
+  req: TypedAuthRequest<unknown, WatchPartyParams>,
+  res: TypedResponse<LeaveWatchPartyResponse | ApiErrorResponse>
+) => {
+  const userId = req.user?.id;
+
+  if (!userId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const ended = watchPartyService.leave(req.params.partyId, userId);
+  res.json({ success: true, ended });
+};
+
+/**
+ * Send a playback event to the party
+ * POST /api/watch-party/:partyId/control
+ */
+export const controlWatchParty = async (
+  req: TypedAuthRequest<WatchPartyControlBody, WatchPartyParams>,
+  res: TypedResponse<WatchPartyResponse | ApiErrorResponse>
+) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const party = await watchPartyService.control(req.params.partyId, userId, req.body);
+    res.json({ party });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    logger.error("Error controlling watch party", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Failed to update watch party" });
+  }
+};
+
+/**
+ * Stream party events to a participant (Server-Sent Events)
+ * GET /api/watch-party/:partyId/events
+ */
+export const streamWatchPartyEvents = (
+  req: TypedAuthRequest<unknown, WatchPartyParams>,
+  res: TypedResponse<ApiErrorResponse>
+) => {
+  const userId = req.user?.id;
+
+  if (!userId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { partyId } = req.params;
+
+  // Validate membership before switching the response to a stream
+  watchPartyService.get(partyId, userId);
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  const stream: WatchPartyStream = {
+    send: (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    },
+    close: () => {
+      res.end();
+    },
+  };
+
+  const unsubscribe = watchPartyService.subscribe(partyId, userId, stream);
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
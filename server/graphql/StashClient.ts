@@ -103,6 +103,10 @@ export class StashClient {
   sceneDestroy = (...args: Parameters<ReturnType<typeof getSdk>["sceneDestroy"]>) =>
     this.sdk.sceneDestroy(...args);
 
+  // Merge operations
+  sceneMerge = (...args: Parameters<ReturnType<typeof getSdk>["sceneMerge"]>) =>
+    this.sdk.sceneMerge(...args);
+
   // Activity operations
   sceneIncrementO = (...args: Parameters<ReturnType<typeof getSdk>["sceneIncrementO"]>) =>
     this.sdk.sceneIncrementO(...args);
@@ -5576,6 +5576,13 @@ export type SceneIncrementOMutationVariables = Exact<{
 
 export type SceneIncrementOMutation = { sceneIncrementO: number };
 
+export type SceneMergeMutationVariables = Exact<{
+  input: SceneMergeInput;
+}>;
+
+
+export type SceneMergeMutation = { sceneMerge?: { id: string } | null };
+
 export type SceneSaveActivityMutationVariables = Exact<{
   id: Scalars['ID']['input'];
   resume_time?: InputMaybe<Scalars['Float']['input']>;
@@ -6669,6 +6676,13 @@ export const SceneIncrementODocument = gql`
   sceneIncrementO(id: $id)
 }
     `;
+export const SceneMergeDocument = gql`
+    mutation sceneMerge($input: SceneMergeInput!) {
+  sceneMerge(input: $input) {
+    id
+  }
+}
+    `;
 export const SceneSaveActivityDocument = gql`
     mutation SceneSaveActivity($id: ID!, $resume_time: Float, $playDuration: Float) {
   sceneSaveActivity(
@@ -7160,6 +7174,9 @@ export function getSdk(client: GraphQLClient, withWrapper: SdkFunctionWrapper =
     sceneIncrementO(variables: SceneIncrementOMutationVariables, requestHeaders?: GraphQLClientRequestHeaders, signal?: RequestInit['signal']): Promise<SceneIncrementOMutation> {
       return withWrapper((wrappedRequestHeaders) => client.request<SceneIncrementOMutation>({ document: SceneIncrementODocument, variables, requestHeaders: { ...requestHeaders, ...wrappedRequestHeaders }, signal }), 'sceneIncrementO', 'mutation', variables);
     },
+    sceneMerge(variables: SceneMergeMutationVariables, requestHeaders?: GraphQLClientRequestHeaders, signal?: RequestInit['signal']): Promise<SceneMergeMutation> {
+      return withWrapper((wrappedRequestHeaders) => client.request<SceneMergeMutation>({ document: SceneMergeDocument, variables, requestHeaders: { ...requestHeaders, ...wrappedRequestHeaders }, signal }), 'sceneMerge', 'mutation', variables);
+    },
     SceneSaveActivity(variables: SceneSaveActivityMutationVariables, requestHeaders?: GraphQLClientRequestHeaders, signal?: RequestInit['signal']): Promise<SceneSaveActivityMutation> {
       return withWrapper((wrappedRequestHeaders) => client.request<SceneSaveActivityMutation>({ document: SceneSaveActivityDocument, variables, requestHeaders: { ...requestHeaders, ...wrappedRequestHeaders }, signal }), 'SceneSaveActivity', 'mutation', variables);
     },
@@ -6,11 +6,17 @@ import { initializeCache } from "./initializers/cache.js";
 import { initializeDatabase } from "./initializers/database.js";
 import { initializeStashInstances } from "./initializers/stashInstance.js";
 import { validateStartup } from "./initializers/validate.js";
+import { scheduleAuditLogCleanup } from "./jobs/auditLogCleanup.js";
 import { scheduleDownloadCleanup } from "./jobs/downloadCleanup.js";
 import prisma, { configureSQLite } from "./prisma/singleton.js";
 import { dataMigrationService } from "./services/DataMigrationService.js";
+import { dlnaService } from "./services/DlnaService.js";
+import { downloadQueueService } from "./services/DownloadQueueService.js";
 import { stashInstanceManager } from "./services/StashInstanceManager.js";
 import { stashSyncService } from "./services/StashSyncService.js";
+import { stashWriteBackService } from "./services/StashWriteBackService.js";
+import { transcodeService } from "./services/TranscodeService.js";
+import { watchPartyService } from "./services/WatchPartyService.js";
 import { logger } from "./utils/logger.js";
 
 // ES module equivalent of __dirname
@@ -51,6 +57,24 @@ const main = async () => {
 
   // Schedule background jobs
   scheduleDownloadCleanup();
+  scheduleAuditLogCleanup();
+
+  // Build queued playlist ZIPs, including ones interrupted by a restart
+  downloadQueueService.start().catch((error: unknown) => {
+    logger.warn("Download queue failed to start", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  });
+
+  // Deliver rating changes queued for Stash, including any from before a restart
+  stashWriteBackService.start();
+
+  // Announce the DLNA media server on the LAN if an admin enabled it
+  dlnaService.applySettings().catch((error: unknown) => {
+    logger.warn("DLNA media server failed to start", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  });
 
   // Only initialize cache if we have Stash instances configured
   if (stashConfig.needsSetup) {
@@ -78,10 +102,18 @@ main().catch(async (e) => {
 // Cleanup on exit
 process.on("SIGTERM", () => {
   stashSyncService.abort();
+  stashWriteBackService.stop();
+  watchPartyService.endAll();
+  void dlnaService.shutdown();
+  transcodeService.shutdown();
   void prisma.$disconnect();
 });
 
 process.on("SIGINT", () => {
   stashSyncService.abort();
+  stashWriteBackService.stop();
+  watchPartyService.endAll();
+  void dlnaService.shutdown();
+  transcodeService.shutdown();
   void prisma.$disconnect();
 });
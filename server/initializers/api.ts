@@ -12,12 +12,14 @@ import {
   proxyStashMedia,
 } from "../controllers/proxy.js";
 import * as statsController from "../controllers/stats.js";
+import { receiveSyncWebhook } from "../controllers/syncWebhook.js";
 import { authenticate, requireAdmin, requireCacheReady } from "../middleware/auth.js";
 import { getClipsForScene } from "../controllers/clips.js";
 import authRoutes from "../routes/auth.js";
 import carouselRoutes from "../routes/carousel.js";
 import customThemeRoutes from "../routes/customTheme.js";
 import imageViewHistoryRoutes from "../routes/imageViewHistory.js";
+import libraryFoldersRoutes from "../routes/library/folders.js";
 import libraryGalleriesRoutes from "../routes/library/galleries.js";
 import libraryGroupsRoutes from "../routes/library/groups.js";
 import libraryImagesRoutes from "../routes/library/images.js";
@@ -32,14 +34,21 @@ import syncRoutes from "../routes/sync.js";
 import exclusionsRoutes from "../routes/exclusions.js";
 import mergeReconciliationRoutes from "../routes/mergeReconciliation.js";
 import databaseBackupRoutes from "../routes/databaseBackup.js";
+import auditLogRoutes from "../routes/auditLog.js";
+import metadataEditRoutes from "../routes/metadataEdits.js";
+import dlnaRoutes from "../routes/dlna.js";
+import transcodeRoutes from "../routes/transcode.js";
 import downloadRoutes from "../routes/download.js";
+import eventRoutes from "../routes/events.js";
 import userRoutes from "../routes/user.js";
 import groupRoutes from "../routes/groups.js";
 import videoRoutes from "../routes/video.js";
 import watchHistoryRoutes from "../routes/watchHistory.js";
+import watchPartyRoutes from "../routes/watchParty.js";
 import userStatsRoutes from "../routes/userStats.js";
 import timelineRoutes from "../routes/timeline.js";
 import clipsRoutes from "../routes/clips.js";
+import searchRoutes from "../routes/search.js";
 import { authenticated } from "../utils/routeHelpers.js";
 import { errorHandler } from "../middleware/errorHandler.js";
 import { logger } from "../utils/logger.js";
@@ -70,7 +79,24 @@ export const setupAPI = () => {
       origin: ["http://localhost:5173", "http://localhost:6969"], // Add your client URLs
     })
   );
-  app.use(express.json()); // Add JSON body parsing for POST/PUT requests
+
+  // Stash plugin webhook (signed, no session auth). Registered before the
+  // JSON parser because the HMAC is computed over the raw body.
+  app.post(
+    "/api/sync/webhook",
+    express.raw({ type: "*/*", limit: "1mb" }),
+    receiveSyncWebhook
+  );
+
+  // Add JSON body parsing for POST/PUT requests. Data imports are left to
+  // their routes (routes/user.ts), which parse a larger body once the caller
+  // is authenticated.
+  const dataImportPath = /^\/api\/user\/(\d+\/)?data-import$/;
+  const jsonParser = express.json();
+  app.use((req, res, next) => {
+    if (dataImportPath.test(req.path)) return next();
+    jsonParser(req, res, next);
+  });
   app.use(cookieParser()); // Parse cookies for JWT
 
   // Health check endpoint (no auth required)
@@ -148,24 +174,36 @@ export const setupAPI = () => {
   // Database backup routes (admin only)
   app.use("/api/admin", databaseBackupRoutes);
 
+  // Audit log routes (admin only)
+  app.use("/api/admin/audit-log", auditLogRoutes);
+
   // User settings routes (protected)
   app.use("/api/user", userRoutes);
 
   // User group routes (protected, mostly admin only)
   app.use("/api/groups", groupRoutes);
 
+  // Metadata edit review queue and history (protected, review is admin only)
+  app.use("/api/metadata-edits", metadataEditRoutes);
+
   // Playlist routes (protected)
   app.use("/api/playlists", playlistRoutes);
 
   // Download routes (protected)
   app.use("/api/downloads", downloadRoutes);
 
+  // Live update stream (protected)
+  app.use("/api/events", eventRoutes);
+
   // Custom carousel routes (protected)
   app.use("/api/carousels", carouselRoutes);
 
   // Watch history routes (protected)
   app.use("/api/watch-history", watchHistoryRoutes);
 
+  // Watch party routes (protected)
+  app.use("/api/watch-party", watchPartyRoutes);
+
   // User stats routes (protected)
   app.use("/api/user-stats", userStatsRoutes);
 
@@ -184,6 +222,9 @@ export const setupAPI = () => {
   // Clips routes (protected)
   app.use("/api/clips", clipsRoutes);
 
+  // Unified full-text search (protected)
+  app.use("/api/search", searchRoutes);
+
   // Scene clips endpoint (get clips for a specific scene)
   app.get(
     "/api/scenes/:id/clips",
@@ -200,6 +241,13 @@ export const setupAPI = () => {
   app.use("/api/library", libraryGroupsRoutes);
   app.use("/api/library", libraryGalleriesRoutes);
   app.use("/api/library", libraryImagesRoutes);
+  app.use("/api/library", libraryFoldersRoutes);
+
+  // DLNA media server (UPnP endpoints for TVs plus admin settings)
+  app.use("/api/dlna", dlnaRoutes);
+
+  // Peek-side transcoder settings and running encodes (admin only)
+  app.use("/api/transcode", transcodeRoutes);
 
   // Video routes (playback, sessions, HLS streaming)
   app.use("/api", videoRoutes);
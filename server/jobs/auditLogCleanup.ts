@@ -0,0 +1,39 @@
+import { auditLogService } from "../services/AuditLogService.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Cleanup interval in milliseconds (1 day)
+ */
+const CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delete audit log entries older than the configured retention period
+ */
+export async function cleanupAuditLog(): Promise<void> {
+  try {
+    const deleted = await auditLogService.prune();
+    if (deleted > 0) {
+      logger.info(`Pruned ${deleted} audit log entr${deleted === 1 ? "y" : "ies"} past retention`);
+    }
+  } catch (error) {
+    logger.error("Audit log cleanup job failed", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  }
+}
+
+/**
+ * Schedule the audit log cleanup job to run periodically
+ *
+ * Runs cleanup immediately on startup, then once a day.
+ */
+export function scheduleAuditLogCleanup(): void {
+  logger.info("Scheduling audit log cleanup job (runs daily)");
+
+  // Run immediately on startup
+  void cleanupAuditLog();
+
+  setInterval(() => {
+    void cleanupAuditLog();
+  }, CLEANUP_INTERVAL_MS);
+}
@@ -28,16 +28,23 @@ export const checkAccountLockout = (username: string): LockoutCheckResult => {
   return { locked: false };
 };
 
-export const recordFailedAttempt = (username: string): void => {
+/**
+ * Count a failed login
+ *
+ * @returns true if this attempt locked the account
+ */
+export const recordFailedAttempt = (username: string): boolean => {
   const key = username.toLowerCase();
   const record = failedAttempts.get(key) || { count: 0, lockedUntil: null };
   record.count++;
 
+  const wasLocked = record.lockedUntil !== null;
   if (record.count >= MAX_FAILED_ATTEMPTS) {
     record.lockedUntil = Date.now() + LOCKOUT_DURATION_MS;
   }
 
   failedAttempts.set(key, record);
+  return !wasLocked && record.lockedUntil !== null;
 };
 
 export const clearFailedAttempts = (username: string): void => {
@@ -3,7 +3,20 @@ import type { JsonValue } from "@prisma/client/runtime/library";
 import { NextFunction, Request, Response } from "express";
 import jwt from "jsonwebtoken";
 import prisma from "../prisma/singleton.js";
+import {
+  accessScheduleService,
+  describeAccessDenial,
+} from "../services/AccessScheduleService.js";
+import {
+  apiTokenAllowsRequest,
+  findApiToken,
+  isApiToken,
+  parseStoredScopes,
+  touchApiToken,
+} from "../services/ApiTokenService.js";
 import { stashEntityService } from "../services/StashEntityService.js";
+import type { AccessDeniedResponse } from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
 
 const JWT_SECRET =
   process.env.JWT_SECRET || "your-secret-key-change-in-production";
@@ -14,6 +27,17 @@ const JWT_SECRET =
 const TOKEN_EXPIRY_HOURS = 2;
 const TOKEN_REFRESH_THRESHOLD_HOURS = 1;
 
+// Stream tokens get their own key so one can never pass as a session token
+const STREAM_TOKEN_SECRET = `${JWT_SECRET}:stream`;
+
+// Long enough to start a long scene on a cast device; the access schedule
+// is still checked on every request made with the token
+export const STREAM_TOKEN_TTL_SECONDS = 4 * 60 * 60;
+
+// Reachable while an access schedule keeps a user out, so the client can
+// show why and hear when an admin lets them back in
+const ACCESS_EXEMPT_PREFIXES = ["/api/auth/", "/api/events"];
+
 /**
  * User information attached to request by auth middleware
  */
@@ -59,6 +83,28 @@ export const setTokenCookie = (res: Response, token: string) => {
   });
 };
 
+/**
+ * Sign a token that lets players without the session cookie stream one
+ * scene as the user
+ */
+export const generateStreamToken = (
+  userId: number,
+  sceneId: string,
+  expiresInSeconds: number
+) => {
+  return jwt.sign({ id: userId, sceneId }, STREAM_TOKEN_SECRET, {
+    expiresIn: expiresInSeconds,
+  });
+};
+
+export const verifyStreamToken = (token: string) => {
+  return jwt.verify(token, STREAM_TOKEN_SECRET) as {
+    id: number;
+    sceneId: string;
+    exp?: number;
+  };
+};
+
 export const verifyToken = (token: string) => {
   return jwt.verify(token, JWT_SECRET) as {
     id: number;
@@ -84,6 +130,44 @@ export const authenticate = async (
   return await authenticateToken(req, res, next);
 };
 
+/**
+ * Authenticate scene stream requests. Signed-in players use their session;
+ * cast receivers and external players, which fetch without the session
+ * cookie, pass a stream token issued to the user for this scene. Either
+ * way the user's access schedule is checked on every request.
+ */
+export const authenticateStream = async (
+  req: Request,
+  res: Response,
+  next: NextFunction
+) => {
+  const proxyAuthHeader = process.env.PROXY_AUTH_HEADER;
+  const hasCredentials = Boolean(
+    req.cookies?.token ||
+      req.header("Authorization") ||
+      (proxyAuthHeader && req.header(proxyAuthHeader))
+  );
+  const streamToken = req.query?.streamToken;
+  if (hasCredentials || typeof streamToken !== "string") {
+    return await authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = verifyStreamToken(streamToken);
+    if (decoded.sceneId !== req.params?.sceneId) {
+      return res.status(403).json({ error: "Invalid stream token." });
+    }
+    const user = await lookupUser({ id: decoded.id });
+    if (!user) {
+      return res.status(401).json({ error: "Invalid token. User not found." });
+    }
+
+    await admitUser(user, req, res, next);
+  } catch {
+    res.status(403).json({ error: "Invalid stream token." });
+  }
+};
+
 const lookupUser = (where: Prisma.UserWhereUniqueInput) =>
   prisma.user.findUnique({
     where,
@@ -102,6 +186,46 @@ const lookupUser = (where: Prisma.UserWhereUniqueInput) =>
     },
   });
 
+/**
+ * Attach the authenticated user to the request and let it through, unless
+ * the user's access schedule keeps them out right now
+ */
+const admitUser = async (
+  user: RequestUser,
+  req: Request,
+  res: Response,
+  next: NextFunction
+) => {
+  // Cast to AuthenticatedRequest to set user property
+  (req as AuthenticatedRequest).user = user;
+
+  const path = (req.originalUrl || req.url || "").split("?")[0] ?? "";
+  if (
+    user.role !== "ADMIN" &&
+    !ACCESS_EXEMPT_PREFIXES.some((prefix) => path.startsWith(prefix))
+  ) {
+    try {
+      const access = await accessScheduleService.getStatus(user.id);
+      if (!access.allowed) {
+        const body: AccessDeniedResponse = {
+          error: describeAccessDenial(access),
+          code: "ACCESS_SCHEDULE",
+          access,
+        };
+        return res.status(403).json(body);
+      }
+    } catch (error) {
+      // Don't lock everyone out over a failed check
+      logger.error("Failed to check access schedule", {
+        userId: user.id,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  next();
+};
+
 const authenticateUser = async (
   username: string,
   req: Request,
@@ -116,9 +240,7 @@ const authenticateUser = async (
       );
     }
 
-    // Cast to AuthenticatedRequest to set user property
-    (req as AuthenticatedRequest).user = user;
-    next();
+    await admitUser(user, req, res, next);
   } catch {
     return await authenticateToken(req, res, next);
   }
@@ -136,6 +258,10 @@ export const authenticateToken = async (
     return res.status(401).json({ error: "Access denied. No token provided." });
   }
 
+  if (typeof token === "string" && isApiToken(token)) {
+    return await authenticateApiToken(token, req, res, next);
+  }
+
   try {
     const decoded = verifyToken(token as string);
     const user = await lookupUser({ id: decoded.id });
@@ -157,9 +283,43 @@ export const authenticateToken = async (
       }
     }
 
-    // Cast to AuthenticatedRequest to set user property
-    (req as AuthenticatedRequest).user = user;
-    next();
+    await admitUser(user, req, res, next);
+  } catch {
+    res.status(403).json({ error: "Invalid token." });
+  }
+};
+
+/**
+ * Authenticate a long-lived personal API token (Bearer peek_...).
+ * Scoped tokens are limited to the routes their scopes grant.
+ */
+const authenticateApiToken = async (
+  token: string,
+  req: Request,
+  res: Response,
+  next: NextFunction
+) => {
+  try {
+    const apiToken = await findApiToken(token);
+    if (!apiToken) {
+      return res.status(401).json({ error: "Invalid API token." });
+    }
+
+    const user = await lookupUser({ id: apiToken.userId });
+    if (!user) {
+      return res.status(401).json({ error: "Invalid token. User not found." });
+    }
+
+    const path = (req.originalUrl || req.url || "").split("?")[0] ?? "";
+    if (!apiTokenAllowsRequest(parseStoredScopes(apiToken.scopes), req.method, path)) {
+      return res
+        .status(403)
+        .json({ error: "API token does not have access to this endpoint." });
+    }
+
+    touchApiToken(apiToken);
+
+    await admitUser(user, req, res, next);
   } catch {
     res.status(403).json({ error: "Invalid token." });
   }
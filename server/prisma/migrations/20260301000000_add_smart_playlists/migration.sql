@@ -0,0 +1,7 @@
+-- Smart playlists: playlist contents driven by a saved scene filter
+ALTER TABLE "Playlist" ADD COLUMN "type" TEXT NOT NULL DEFAULT 'static';
+ALTER TABLE "Playlist" ADD COLUMN "rules" JSONB;
+ALTER TABLE "Playlist" ADD COLUMN "sort" TEXT;
+ALTER TABLE "Playlist" ADD COLUMN "direction" TEXT;
+ALTER TABLE "Playlist" ADD COLUMN "itemLimit" INTEGER;
+ALTER TABLE "Playlist" ADD COLUMN "lastRefreshedAt" DATETIME;
@@ -0,0 +1,20 @@
+-- Per-instance HMAC secret for the Stash plugin webhook
+ALTER TABLE "StashInstance" ADD COLUMN "webhookSecret" TEXT;
+
+-- Delivery log for applied webhook batches
+CREATE TABLE "SyncWebhookLog" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "stashInstanceId" TEXT,
+    "status" TEXT NOT NULL,
+    "deliveries" INTEGER NOT NULL DEFAULT 0,
+    "receivedEvents" INTEGER NOT NULL DEFAULT 0,
+    "appliedEvents" INTEGER NOT NULL DEFAULT 0,
+    "failedEvents" INTEGER NOT NULL DEFAULT 0,
+    "events" JSONB,
+    "error" TEXT,
+    "durationMs" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "SyncWebhookLog_createdAt_idx" ON "SyncWebhookLog"("createdAt");
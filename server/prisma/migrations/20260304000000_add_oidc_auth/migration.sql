@@ -0,0 +1,27 @@
+-- OpenID Connect identity for users signing in through an IdP
+ALTER TABLE "User" ADD COLUMN "oidcIssuer" TEXT;
+ALTER TABLE "User" ADD COLUMN "oidcSubject" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_oidcIssuer_oidcSubject_key" ON "User"("oidcIssuer", "oidcSubject");
+
+-- IdP group mapped to each user group
+ALTER TABLE "UserGroup" ADD COLUMN "oidcGroup" TEXT;
+
+-- Authentication settings (singleton)
+CREATE TABLE "AuthSettings" (
+    "id" INTEGER NOT NULL PRIMARY KEY DEFAULT 1,
+    "passwordLoginEnabled" BOOLEAN NOT NULL DEFAULT true,
+    "oidcEnabled" BOOLEAN NOT NULL DEFAULT false,
+    "oidcIssuerUrl" TEXT,
+    "oidcClientId" TEXT,
+    "oidcClientSecret" TEXT,
+    "oidcScopes" TEXT NOT NULL DEFAULT 'openid profile email',
+    "oidcUsernameClaim" TEXT NOT NULL DEFAULT 'preferred_username',
+    "oidcGroupsClaim" TEXT NOT NULL DEFAULT 'groups',
+    "oidcAdminGroup" TEXT,
+    "oidcAutoProvision" BOOLEAN NOT NULL DEFAULT true,
+    "oidcLinkExistingUsers" BOOLEAN NOT NULL DEFAULT false,
+    "oidcButtonLabel" TEXT,
+    "updatedAt" DATETIME NOT NULL
+);
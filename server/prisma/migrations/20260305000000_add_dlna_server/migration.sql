@@ -0,0 +1,27 @@
+-- DLNA media server settings (singleton)
+CREATE TABLE "DlnaSettings" (
+    "id" INTEGER NOT NULL PRIMARY KEY DEFAULT 1,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "friendlyName" TEXT NOT NULL DEFAULT 'Peek',
+    "baseUrl" TEXT,
+    "deviceUuid" TEXT NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- DLNA renderers and the Peek user each one browses as
+CREATE TABLE "DlnaDevice" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "address" TEXT NOT NULL,
+    "userAgent" TEXT,
+    "name" TEXT,
+    "userId" INTEGER,
+    "lastSeenAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "DlnaDevice_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DlnaDevice_address_key" ON "DlnaDevice"("address");
+
+-- CreateIndex
+CREATE INDEX "DlnaDevice_userId_idx" ON "DlnaDevice"("userId");
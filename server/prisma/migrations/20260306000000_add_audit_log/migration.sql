@@ -0,0 +1,31 @@
+-- Append-only audit log of administrative and security-relevant actions
+CREATE TABLE "AuditLog" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "action" TEXT NOT NULL,
+    "actorId" INTEGER,
+    "actorUsername" TEXT,
+    "targetType" TEXT,
+    "targetId" TEXT,
+    "targetLabel" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "details" JSONB,
+    "ipAddress" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_createdAt_idx" ON "AuditLog"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_action_idx" ON "AuditLog"("action");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_actorId_idx" ON "AuditLog"("actorId");
+
+-- Audit log retention (singleton)
+CREATE TABLE "AuditSettings" (
+    "id" INTEGER NOT NULL PRIMARY KEY DEFAULT 1,
+    "retentionDays" INTEGER NOT NULL DEFAULT 365,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,29 @@
+-- TOTP and backup codes
+ALTER TABLE "User" ADD COLUMN "totpSecret" TEXT;
+ALTER TABLE "User" ADD COLUMN "totpEnabledAt" DATETIME;
+ALTER TABLE "User" ADD COLUMN "totpLastUsedStep" INTEGER;
+ALTER TABLE "User" ADD COLUMN "twoFactorBackupCodes" JSONB;
+
+-- WebAuthn security keys and passkeys
+CREATE TABLE "WebAuthnCredential" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "credentialId" TEXT NOT NULL,
+    "publicKey" TEXT NOT NULL,
+    "counter" INTEGER NOT NULL DEFAULT 0,
+    "transports" JSONB,
+    "name" TEXT NOT NULL,
+    "lastUsedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "WebAuthnCredential_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WebAuthnCredential_credentialId_key" ON "WebAuthnCredential"("credentialId");
+
+-- CreateIndex
+CREATE INDEX "WebAuthnCredential_userId_idx" ON "WebAuthnCredential"("userId");
+
+-- Two-factor policy
+ALTER TABLE "UserGroup" ADD COLUMN "requireTwoFactor" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "AuthSettings" ADD COLUMN "requireTwoFactorForAdmins" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,8 @@
+-- Peek-side HLS transcoding settings (singleton)
+CREATE TABLE "TranscodeSettings" (
+    "id" INTEGER NOT NULL PRIMARY KEY DEFAULT 1,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "maxConcurrent" INTEGER NOT NULL DEFAULT 2,
+    "cacheLimitMb" INTEGER NOT NULL DEFAULT 10240,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,45 @@
+-- Which entity types are written back to Stash, and how conflicts resolve
+ALTER TABLE "SyncSettings" ADD COLUMN "writeBackEntityTypes" JSONB NOT NULL DEFAULT '["scene","performer","studio","tag","group","gallery","image"]';
+ALTER TABLE "SyncSettings" ADD COLUMN "writeBackConflictPolicy" TEXT NOT NULL DEFAULT 'peek';
+
+-- Outbox of rating/favorite changes waiting to be written to Stash
+CREATE TABLE "StashWriteBack" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "stashInstanceId" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "rating" INTEGER,
+    "ratingChanged" BOOLEAN NOT NULL DEFAULT false,
+    "favorite" BOOLEAN,
+    "baseRating" INTEGER,
+    "baseFavorite" BOOLEAN,
+    "changedAt" DATETIME NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "StashWriteBack_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StashWriteBack_stashInstanceId_entityType_entityId_key" ON "StashWriteBack"("stashInstanceId", "entityType", "entityId");
+CREATE INDEX "StashWriteBack_nextAttemptAt_idx" ON "StashWriteBack"("nextAttemptAt");
+CREATE INDEX "StashWriteBack_userId_idx" ON "StashWriteBack"("userId");
+
+-- Conflicts found while writing back, and how they were resolved
+CREATE TABLE "StashWriteBackConflict" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "stashInstanceId" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "userId" INTEGER,
+    "username" TEXT,
+    "peekValues" JSONB NOT NULL,
+    "stashValues" JSONB NOT NULL,
+    "resolution" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "StashWriteBackConflict_createdAt_idx" ON "StashWriteBackConflict"("createdAt");
@@ -0,0 +1,28 @@
+-- Metadata edit permission: group default, per-type field allowlist, moderation
+ALTER TABLE "UserGroup" ADD COLUMN "canEditMetadata" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "UserGroup" ADD COLUMN "metadataEditFields" JSONB;
+ALTER TABLE "UserGroup" ADD COLUMN "moderateMetadataEdits" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "User" ADD COLUMN "canEditMetadataOverride" BOOLEAN;
+
+-- Edit history and moderation queue
+CREATE TABLE "MetadataEdit" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "stashInstanceId" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "entityLabel" TEXT,
+    "authorId" INTEGER,
+    "authorUsername" TEXT NOT NULL,
+    "changes" JSONB NOT NULL,
+    "previous" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "reviewerId" INTEGER,
+    "reviewerUsername" TEXT,
+    "reviewNote" TEXT,
+    "reviewedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX "MetadataEdit_status_createdAt_idx" ON "MetadataEdit"("status", "createdAt");
+CREATE INDEX "MetadataEdit_entityType_entityId_idx" ON "MetadataEdit"("entityType", "entityId");
+CREATE INDEX "MetadataEdit_authorId_idx" ON "MetadataEdit"("authorId");
@@ -0,0 +1,4 @@
+-- Layout and extras for playlist ZIP downloads
+ALTER TABLE "Download" ADD COLUMN "zipLayout" TEXT;
+ALTER TABLE "Download" ADD COLUMN "zipCaptions" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Download" ADD COLUMN "zipChapters" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,18 @@
+-- Playlist ZIP queue: priority and start time (new PAUSED/CANCELLED statuses need no DDL)
+ALTER TABLE "Download" ADD COLUMN "priority" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Download" ADD COLUMN "startedAt" DATETIME;
+
+CREATE INDEX "Download_status_priority_createdAt_idx" ON "Download"("status", "priority", "createdAt");
+
+-- Per-group expiry and disk quota for finished ZIPs
+ALTER TABLE "UserGroup" ADD COLUMN "downloadExpiryHours" INTEGER;
+ALTER TABLE "UserGroup" ADD COLUMN "downloadQuotaMb" INTEGER;
+
+-- Queue limits and default expiry
+CREATE TABLE "DownloadSettings" (
+    "id" INTEGER NOT NULL PRIMARY KEY DEFAULT 1,
+    "maxConcurrent" INTEGER NOT NULL DEFAULT 2,
+    "maxConcurrentPerUser" INTEGER NOT NULL DEFAULT 1,
+    "expiryHours" INTEGER NOT NULL DEFAULT 24,
+    "updatedAt" DATETIME NOT NULL
+);
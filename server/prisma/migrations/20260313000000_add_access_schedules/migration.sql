@@ -0,0 +1,8 @@
+-- Per-user and per-group access schedules
+ALTER TABLE "User" ADD COLUMN "accessSchedule" JSONB;
+ALTER TABLE "User" ADD COLUMN "accessOverrideUntil" DATETIME;
+ALTER TABLE "UserGroup" ADD COLUMN "accessSchedule" JSONB;
+
+-- Daily watch-time bookkeeping
+ALTER TABLE "User" ADD COLUMN "watchTimeDate" TEXT;
+ALTER TABLE "User" ADD COLUMN "watchTimeBaseline" REAL NOT NULL DEFAULT 0;
@@ -0,0 +1,79 @@
+-- Full-text search index over cached entities
+--
+-- One FTS5 table per entity type, each row keyed by the rowid of its cache
+-- row. StashSyncService keeps them up to date as it syncs, so the old
+-- trigger-maintained scene_fts (which matched scenes by ID alone) goes.
+DROP TRIGGER IF EXISTS scene_fts_insert;
+DROP TRIGGER IF EXISTS scene_fts_delete;
+DROP TRIGGER IF EXISTS scene_fts_update;
+DROP TABLE IF EXISTS scene_fts;
+
+-- Scenes also carry their performers', studio's and tags' names, so a query
+-- can match "performer + title words" in one scene
+CREATE VIRTUAL TABLE scene_fts USING fts5(
+    title, code, director, details, path, performers, studio, tags,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+CREATE VIRTUAL TABLE performer_fts USING fts5(
+    name, aliases, disambiguation,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+CREATE VIRTUAL TABLE studio_fts USING fts5(
+    name, details,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+CREATE VIRTUAL TABLE tag_fts USING fts5(
+    name, aliases, description,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+CREATE VIRTUAL TABLE group_fts USING fts5(
+    name, director, synopsis,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+CREATE VIRTUAL TABLE gallery_fts USING fts5(
+    title, code, photographer, details, path,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+-- Index what's already cached
+INSERT INTO scene_fts (rowid, title, code, director, details, path, performers, studio, tags)
+SELECT s.rowid, s.title, s.code, s.director, s.details, s.filePath,
+    (SELECT group_concat(p.name, ' ')
+        FROM ScenePerformer sp
+        JOIN StashPerformer p ON p.id = sp.performerId AND p.stashInstanceId = sp.performerInstanceId
+        WHERE sp.sceneId = s.id AND sp.sceneInstanceId = s.stashInstanceId AND p.deletedAt IS NULL),
+    (SELECT st.name FROM StashStudio st
+        WHERE st.id = s.studioId AND st.stashInstanceId = s.stashInstanceId AND st.deletedAt IS NULL),
+    (SELECT group_concat(t.name, ' ')
+        FROM SceneTag stg
+        JOIN StashTag t ON t.id = stg.tagId AND t.stashInstanceId = stg.tagInstanceId
+        WHERE stg.sceneId = s.id AND stg.sceneInstanceId = s.stashInstanceId AND t.deletedAt IS NULL)
+FROM StashScene s
+WHERE s.deletedAt IS NULL;
+
+INSERT INTO performer_fts (rowid, name, aliases, disambiguation)
+SELECT rowid, name, aliasList, disambiguation FROM StashPerformer WHERE deletedAt IS NULL;
+
+INSERT INTO studio_fts (rowid, name, details)
+SELECT rowid, name, details FROM StashStudio WHERE deletedAt IS NULL;
+
+INSERT INTO tag_fts (rowid, name, aliases, description)
+SELECT rowid, name, aliases, description FROM StashTag WHERE deletedAt IS NULL;
+
+INSERT INTO group_fts (rowid, name, director, synopsis)
+SELECT rowid, name, director, synopsis FROM StashGroup WHERE deletedAt IS NULL;
+
+INSERT INTO gallery_fts (rowid, title, code, photographer, details, path)
+SELECT rowid, title, code, photographer, details, COALESCE(folderPath, fileBasename)
+FROM StashGallery WHERE deletedAt IS NULL;
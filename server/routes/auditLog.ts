@@ -0,0 +1,30 @@
+/**
+ * Audit Log Routes (Admin Only)
+ *
+ * - GET /api/admin/audit-log - Filtered, paginated entries
+ * - GET /api/admin/audit-log/export.csv - CSV export with the same filters
+ * - GET /api/admin/audit-log/settings - Retention setting
+ * - PUT /api/admin/audit-log/settings - Update retention
+ */
+import express from "express";
+import {
+  exportAuditLog,
+  getAuditLog,
+  getAuditSettings,
+  updateAuditSettings,
+} from "../controllers/auditLog.js";
+import { authenticate, requireAdmin } from "../middleware/auth.js";
+import { authenticated } from "../utils/routeHelpers.js";
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(authenticate);
+router.use(requireAdmin);
+
+router.get("/", authenticated(getAuditLog));
+router.get("/export.csv", authenticated(exportAuditLog));
+router.get("/settings", authenticated(getAuditSettings));
+router.put("/settings", authenticated(updateAuditSettings));
+
+export default router;
@@ -1,11 +1,22 @@
 import bcrypt from "bcryptjs";
+import type { User } from "@prisma/client";
 import express, { Response } from "express";
 import {
   AuthenticatedRequest,
   authenticate,
   generateToken,
+  requireAdmin,
   setTokenCookie,
 } from "../middleware/auth.js";
+import { getAccessStatus } from "../controllers/accessSchedule.js";
+import {
+  getAuthConfig,
+  getAuthSettingsAdmin,
+  oidcCallback,
+  startOidcLogin,
+  updateAuthSettingsAdmin,
+} from "../controllers/oidc.js";
+import { ValidationError } from "../middleware/errorHandler.js";
 import { authRateLimiter } from "../middleware/rateLimiter.js";
 import {
   checkAccountLockout,
@@ -13,7 +24,25 @@ import {
   clearFailedAttempts,
 } from "../middleware/accountLockout.js";
 import prisma from "../prisma/singleton.js";
+import { auditLogService } from "../services/AuditLogService.js";
+import {
+  getAuthSettings,
+  isPasswordLoginEnabled,
+} from "../services/AuthSettingsService.js";
 import rankingComputeService from "../services/RankingComputeService.js";
+import {
+  getRelyingParty,
+  twoFactorService,
+  type PendingTwoFactorLogin,
+} from "../services/TwoFactorService.js";
+import type {
+  BeginLoginTotpSetupBody,
+  ConfirmLoginTotpSetupBody,
+  TwoFactorMethod,
+  VerifyTwoFactorLoginBody,
+  VerifyWebAuthnLoginBody,
+  WebAuthnLoginOptionsBody,
+} from "../types/api/index.js";
 import { generateRecoveryKey } from "../utils/recoveryKey.js";
 import { validatePassword } from "../utils/passwordValidation.js";
 import { logger } from "../utils/logger.js";
@@ -21,9 +50,203 @@ import { authenticated } from "../utils/routeHelpers.js";
 
 const router = express.Router();
 
+const PASSWORD_LOGIN_DISABLED_ERROR =
+  "Password login is disabled. Sign in with single sign-on instead.";
+
+const TWO_FACTOR_LOGIN_EXPIRED_ERROR = "Your sign-in expired. Please sign in again.";
+
+type FailedLoginReason = "unknown_user" | "bad_password" | "bad_code" | "locked";
+
+/**
+ * Audit a failed password or second-factor login, counting it toward
+ * lockout unless the account is already locked
+ *
+ * @returns true if this attempt locked the account
+ */
+const recordFailedLogin = async (
+  req: express.Request,
+  username: string,
+  reason: FailedLoginReason,
+  method: "password" | TwoFactorMethod = "password"
+) => {
+  const lockedNow = reason !== "locked" && recordFailedAttempt(username);
+
+  await auditLogService.recordRequest(req, {
+    action: "auth.login_failed",
+    actorUsername: username,
+    details: { method, reason },
+  });
+  if (lockedNow) {
+    await auditLogService.recordRequest(req, {
+      action: "auth.lockout",
+      actorUsername: username,
+      target: { type: "user", label: username },
+    });
+  }
+  return lockedNow;
+};
+
+const sendLockedOut = (res: Response, remainingMs = 0) => {
+  const retryAfterSeconds = Math.ceil(remainingMs / 1000);
+  res.setHeader("Retry-After", retryAfterSeconds.toString());
+  return res.status(423).json({
+    error: "Account temporarily locked due to too many failed attempts",
+    retryAfterSeconds,
+  });
+};
+
+type LoginUser = Pick<
+  User,
+  "id" | "username" | "role" | "landingPagePreference" | "recoveryKey" | "setupCompleted"
+>;
+
+const LOGIN_USER_SELECT = {
+  id: true,
+  username: true,
+  role: true,
+  landingPagePreference: true,
+  recoveryKey: true,
+  setupCompleted: true,
+} as const;
+
+/**
+ * Sign the user in once every required factor has been checked
+ */
+const completeLogin = async (
+  req: express.Request,
+  res: Response,
+  user: LoginUser,
+  secondFactor: TwoFactorMethod | null,
+  extra: Record<string, unknown> = {}
+) => {
+  // Clear failed attempts on successful login
+  clearFailedAttempts(user.username);
+
+  // Generate recovery key if user doesn't have one
+  if (!user.recoveryKey) {
+    const recoveryKey = generateRecoveryKey();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { recoveryKey },
+    });
+    user.recoveryKey = recoveryKey;
+  }
+
+  const token = generateToken({
+    id: user.id,
+    username: user.username,
+    role: user.role,
+  });
+
+  // Set HTTP-only cookie
+  setTokenCookie(res, token);
+
+  await auditLogService.recordRequest(req, {
+    action: "auth.login",
+    actor: user,
+    details: { method: "password", secondFactor },
+  });
+
+  // Recompute rankings asynchronously on login (fire-and-forget)
+  rankingComputeService.recomputeAllRankings(user.id).catch((err) => {
+    logger.error("Failed to recompute rankings on login", { error: err instanceof Error ? err.message : "Unknown error" });
+  });
+
+  res.json({
+    success: true,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      landingPagePreference: user.landingPagePreference || { pages: ["home"], randomize: false },
+      setupCompleted: user.setupCompleted,
+    },
+    ...extra,
+  });
+};
+
+/**
+ * Look up the pending login for a second-step request, answering the
+ * request itself when the login has expired or the account is locked
+ */
+const resolvePendingLogin = (
+  res: Response,
+  loginToken: unknown
+): { token: string; pending: PendingTwoFactorLogin } | null => {
+  const pending = twoFactorService.getPendingLogin(loginToken);
+  if (!pending) {
+    res.status(401).json({ error: TWO_FACTOR_LOGIN_EXPIRED_ERROR });
+    return null;
+  }
+
+  const token = loginToken as string;
+  const lockoutStatus = checkAccountLockout(pending.username);
+  if (lockoutStatus.locked) {
+    twoFactorService.endLogin(token);
+    sendLockedOut(res, lockoutStatus.remainingMs);
+    return null;
+  }
+  return { token, pending };
+};
+
+/**
+ * Record a wrong second factor and answer the request
+ */
+const rejectSecondFactor = async (
+  req: express.Request,
+  res: Response,
+  token: string,
+  pending: PendingTwoFactorLogin,
+  method: TwoFactorMethod,
+  message: string
+) => {
+  if (await recordFailedLogin(req, pending.username, "bad_code", method)) {
+    twoFactorService.endLogin(token);
+    return sendLockedOut(res, checkAccountLockout(pending.username).remainingMs);
+  }
+  return res.status(401).json({ error: message });
+};
+
+/**
+ * Finish a pending login whose second factor just passed
+ */
+const completePendingLogin = async (
+  req: express.Request,
+  res: Response,
+  token: string,
+  pending: PendingTwoFactorLogin,
+  method: TwoFactorMethod,
+  extra?: Record<string, unknown>
+) => {
+  twoFactorService.endLogin(token);
+  const user = await prisma.user.findUnique({
+    where: { id: pending.userId },
+    select: LOGIN_USER_SELECT,
+  });
+  if (!user) {
+    return res.status(401).json({ error: TWO_FACTOR_LOGIN_EXPIRED_ERROR });
+  }
+  return completeLogin(req, res, user, method, extra);
+};
+
+// Sign-in options for the login page
+router.get("/config", getAuthConfig);
+
+// OpenID Connect login (browser redirects, not JSON)
+router.get("/oidc/login", authRateLimiter, startOidcLogin);
+router.get("/oidc/callback", authRateLimiter, oidcCallback);
+
+// Sign-in settings (admin only)
+router.get("/settings", authenticate, requireAdmin, authenticated(getAuthSettingsAdmin));
+router.put("/settings", authenticate, requireAdmin, authenticated(updateAuthSettingsAdmin));
+
 // Login endpoint
 router.post("/login", authRateLimiter, async (req, res) => {
   try {
+    if (!isPasswordLoginEnabled(await getAuthSettings())) {
+      return res.status(403).json({ error: PASSWORD_LOGIN_DISABLED_ERROR });
+    }
+
     const { username, password } = req.body as { username: string; password: string };
 
     if (!username || !password) {
@@ -35,77 +258,179 @@ router.post("/login", authRateLimiter, async (req, res) => {
     // Check if account is locked out
     const lockoutStatus = checkAccountLockout(username);
     if (lockoutStatus.locked) {
-      const retryAfterSeconds = Math.ceil((lockoutStatus.remainingMs || 0) / 1000);
-      res.setHeader("Retry-After", retryAfterSeconds.toString());
-      return res.status(423).json({
-        error: "Account temporarily locked due to too many failed attempts",
-        retryAfterSeconds,
-      });
+      await recordFailedLogin(req, username, "locked");
+      return sendLockedOut(res, lockoutStatus.remainingMs);
     }
 
     const user = await prisma.user.findUnique({
       where: { username },
-      select: {
-        id: true,
-        username: true,
-        password: true,
-        role: true,
-        landingPagePreference: true,
-        recoveryKey: true,
-        setupCompleted: true,
-      },
+      select: { ...LOGIN_USER_SELECT, password: true },
     });
 
     if (!user) {
-      recordFailedAttempt(username);
+      await recordFailedLogin(req, username, "unknown_user");
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
     const validPassword = await bcrypt.compare(password, user.password);
     if (!validPassword) {
-      recordFailedAttempt(username);
+      await recordFailedLogin(req, username, "bad_password");
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    // Clear failed attempts on successful login
-    clearFailedAttempts(username);
-
-    // Generate recovery key if user doesn't have one
-    if (!user.recoveryKey) {
-      const recoveryKey = generateRecoveryKey();
-      await prisma.user.update({
-        where: { id: user.id },
-        data: { recoveryKey },
+    // Password is right; a second factor may still be needed. Failed
+    // attempts aren't cleared until it has been checked.
+    const methods = await twoFactorService.getMethods(user.id);
+    if (methods.length > 0) {
+      return res.json({
+        twoFactorRequired: true,
+        loginToken: twoFactorService.startLogin(user, false),
+        methods,
+      });
+    }
+    if (await twoFactorService.isRequired(user)) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        loginToken: twoFactorService.startLogin(user, true),
       });
-      user.recoveryKey = recoveryKey;
     }
 
-    const token = generateToken({
-      id: user.id,
-      username: user.username,
-      role: user.role,
-    });
+    await completeLogin(req, res, user, null);
+  } catch (error) {
+    logger.error("Login error", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    // Set HTTP-only cookie
-    setTokenCookie(res, token);
+// Second step: authenticator or backup code
+router.post("/login/two-factor", authRateLimiter, async (req, res) => {
+  try {
+    const { loginToken, code } = req.body as VerifyTwoFactorLoginBody;
+    const resolved = resolvePendingLogin(res, loginToken);
+    if (!resolved) return;
+    const { token, pending } = resolved;
 
-    // Recompute rankings asynchronously on login (fire-and-forget)
-    rankingComputeService.recomputeAllRankings(user.id).catch((err) => {
-      logger.error("Failed to recompute rankings on login", { error: err instanceof Error ? err.message : "Unknown error" });
-    });
+    if (pending.setupRequired) {
+      return res.status(400).json({ error: "Set up two-factor authentication to continue" });
+    }
+    if (typeof code !== "string" || !code.trim()) {
+      return res.status(400).json({ error: "Code is required" });
+    }
 
-    res.json({
-      success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        landingPagePreference: user.landingPagePreference || { pages: ["home"], randomize: false },
-        setupCompleted: user.setupCompleted,
-      },
+    const method = await twoFactorService.verifyCode(pending.userId, code);
+    if (!method) {
+      return await rejectSecondFactor(req, res, token, pending, "totp", "Invalid code");
+    }
+    await completePendingLogin(req, res, token, pending, method);
+  } catch (error) {
+    logger.error("Two-factor login error", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Second step: security key or passkey
+router.post("/login/two-factor/webauthn/options", authRateLimiter, async (req, res) => {
+  try {
+    const { loginToken } = req.body as WebAuthnLoginOptionsBody;
+    const resolved = resolvePendingLogin(res, loginToken);
+    if (!resolved) return;
+
+    const options = await twoFactorService.getAuthenticationOptions(
+      resolved.token,
+      getRelyingParty(req)
+    );
+    if (!options) {
+      return res.status(400).json({ error: "No security keys are registered for this account" });
+    }
+    res.json({ options });
+  } catch (error) {
+    logger.error("WebAuthn login options error", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/login/two-factor/webauthn", authRateLimiter, async (req, res) => {
+  try {
+    const { loginToken, response } = req.body as VerifyWebAuthnLoginBody;
+    const resolved = resolvePendingLogin(res, loginToken);
+    if (!resolved) return;
+    const { token, pending } = resolved;
+
+    const verified = await twoFactorService.verifyAuthentication(
+      pending,
+      response,
+      getRelyingParty(req)
+    );
+    if (!verified) {
+      return await rejectSecondFactor(
+        req,
+        res,
+        token,
+        pending,
+        "webauthn",
+        "Security key verification failed"
+      );
+    }
+    await completePendingLogin(req, res, token, pending, "webauthn");
+  } catch (error) {
+    logger.error("WebAuthn login error", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Enrollment during login, for users a policy requires to have two-factor
+router.post("/login/two-factor/setup", authRateLimiter, async (req, res) => {
+  try {
+    const { loginToken } = req.body as BeginLoginTotpSetupBody;
+    const resolved = resolvePendingLogin(res, loginToken);
+    if (!resolved) return;
+    const { pending } = resolved;
+
+    if (!pending.setupRequired) {
+      return res.status(400).json({ error: "Two-factor authentication is already set up" });
+    }
+    res.json(
+      await twoFactorService.beginTotpSetup({ id: pending.userId, username: pending.username })
+    );
+  } catch (error) {
+    logger.error("Two-factor setup error", { error: error instanceof Error ? error.message : "Unknown error" });
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/login/two-factor/setup/confirm", authRateLimiter, async (req, res) => {
+  try {
+    const { loginToken, code } = req.body as ConfirmLoginTotpSetupBody;
+    const resolved = resolvePendingLogin(res, loginToken);
+    if (!resolved) return;
+    const { token, pending } = resolved;
+
+    if (!pending.setupRequired) {
+      return res.status(400).json({ error: "Two-factor authentication is already set up" });
+    }
+    if (typeof code !== "string" || !code.trim()) {
+      return res.status(400).json({ error: "Code is required" });
+    }
+
+    let backupCodes: string[] | null;
+    try {
+      backupCodes = await twoFactorService.confirmTotpSetup(pending.userId, code);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return await rejectSecondFactor(req, res, token, pending, "totp", error.message);
+      }
+      throw error;
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: "user.two_factor_enable",
+      actor: { id: pending.userId, username: pending.username },
+      target: { type: "user", id: pending.userId, label: pending.username },
+      details: { method: "totp" },
     });
+    await completePendingLogin(req, res, token, pending, "totp", { backupCodes });
   } catch (error) {
-    logger.error("Login error", { error: error instanceof Error ? error.message : "Unknown error" });
+    logger.error("Two-factor setup error", { error: error instanceof Error ? error.message : "Unknown error" });
     res.status(500).json({ error: "Server error" });
   }
 });
@@ -136,9 +461,16 @@ router.get(
   })
 );
 
+// Whether the user's access schedule lets them in right now
+router.get("/access", authenticate, authenticated(getAccessStatus));
+
 // Forgot password - check username and get recovery method
 router.post("/forgot-password/init", authRateLimiter, async (req, res) => {
   try {
+    if (!isPasswordLoginEnabled(await getAuthSettings())) {
+      return res.status(403).json({ error: PASSWORD_LOGIN_DISABLED_ERROR });
+    }
+
     const { username } = req.body as { username: string };
 
     if (!username) {
@@ -165,6 +497,10 @@ router.post("/forgot-password/init", authRateLimiter, async (req, res) => {
 // Forgot password - verify recovery key and set new password
 router.post("/forgot-password/reset", authRateLimiter, async (req, res) => {
   try {
+    if (!isPasswordLoginEnabled(await getAuthSettings())) {
+      return res.status(403).json({ error: PASSWORD_LOGIN_DISABLED_ERROR });
+    }
+
     const { username, recoveryKey, newPassword } = req.body as { username: string; recoveryKey: string; newPassword: string };
 
     if (!username || !recoveryKey || !newPassword) {
@@ -190,6 +526,11 @@ router.post("/forgot-password/reset", authRateLimiter, async (req, res) => {
     // Normalize and compare recovery key
     const normalizedInput = recoveryKey.replace(/-/g, "").toUpperCase();
     if (normalizedInput !== user.recoveryKey) {
+      await auditLogService.recordRequest(req, {
+        action: "auth.login_failed",
+        actorUsername: username,
+        details: { method: "recovery_key", reason: "bad_recovery_key" },
+      });
       return res
         .status(401)
         .json({ error: "Invalid username or recovery key" });
@@ -202,6 +543,12 @@ router.post("/forgot-password/reset", authRateLimiter, async (req, res) => {
       data: { password: hashedPassword },
     });
 
+    await auditLogService.recordRequest(req, {
+      action: "auth.password_recovered",
+      actor: { id: user.id, username },
+      target: { type: "user", id: user.id, label: username },
+    });
+
     res.json({ success: true });
   } catch (error) {
     logger.error("Forgot password reset error", { error: error instanceof Error ? error.message : "Unknown error" });
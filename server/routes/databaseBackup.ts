@@ -8,6 +8,7 @@
  */
 import express from "express";
 import { authenticate, requireAdmin } from "../middleware/auth.js";
+import { auditLogService } from "../services/AuditLogService.js";
 import { databaseBackupService } from "../services/DatabaseBackupService.js";
 import { authenticated } from "../utils/routeHelpers.js";
 
@@ -42,9 +43,14 @@ router.get(
  */
 router.post(
   "/database/backup",
-  authenticated(async (_req, res) => {
+  authenticated(async (req, res) => {
     try {
       const backup = await databaseBackupService.createBackup();
+      await auditLogService.recordRequest(req, {
+        action: "backup.create",
+        target: { type: "backup", label: backup.filename },
+        details: { size: backup.size },
+      });
       res.json({ backup });
     } catch (error) {
       res.status(500).json({
@@ -65,6 +71,10 @@ router.delete(
     try {
       const { filename } = req.params;
       await databaseBackupService.deleteBackup(filename as string);
+      await auditLogService.recordRequest(req, {
+        action: "backup.delete",
+        target: { type: "backup", label: filename as string },
+      });
       res.json({ ok: true });
     } catch (error) {
       const message = error instanceof Error ? error.message : String(error);
@@ -0,0 +1,48 @@
+import express from "express";
+import {
+  connectionManagerControl,
+  contentDirectoryControl,
+  createDlnaDevice,
+  deleteDlnaDevice,
+  getConnectionManagerScpd,
+  getContentDirectoryScpd,
+  getDeviceDescription,
+  getDlnaDevices,
+  getDlnaSettings,
+  streamDlnaMedia,
+  subscribeEvents,
+  unsubscribeEvents,
+  updateDlnaDevice,
+  updateDlnaSettings,
+} from "../controllers/dlna.js";
+import { authenticate, requireAdmin } from "../middleware/auth.js";
+import { authenticated } from "../utils/routeHelpers.js";
+
+const router = express.Router();
+
+// SOAP bodies arrive with assorted (or missing) XML content types
+const soapBody = express.text({ type: () => true, limit: "64kb" });
+
+// UPnP endpoints for renderers (no session auth - devices are bound by address)
+router.get("/description.xml", getDeviceDescription);
+router.get("/ContentDirectory.xml", getContentDirectoryScpd);
+router.get("/ConnectionManager.xml", getConnectionManagerScpd);
+router.post("/control/ContentDirectory", soapBody, contentDirectoryControl);
+router.post("/control/ConnectionManager", soapBody, connectionManagerControl);
+router.subscribe("/event/:service", subscribeEvents);
+router.unsubscribe("/event/:service", unsubscribeEvents);
+
+// Scene file stream (GET also answers HEAD probes)
+router.get("/media/:instanceId/:sceneId", streamDlnaMedia);
+
+// Server settings (admin only)
+router.get("/settings", authenticate, requireAdmin, authenticated(getDlnaSettings));
+router.put("/settings", authenticate, requireAdmin, authenticated(updateDlnaSettings));
+
+// Device-to-user bindings (admin only)
+router.get("/devices", authenticate, requireAdmin, authenticated(getDlnaDevices));
+router.post("/devices", authenticate, requireAdmin, authenticated(createDlnaDevice));
+router.put("/devices/:id", authenticate, requireAdmin, authenticated(updateDlnaDevice));
+router.delete("/devices/:id", authenticate, requireAdmin, authenticated(deleteDlnaDevice));
+
+export default router;
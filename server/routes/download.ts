@@ -1,15 +1,21 @@
 import express from "express";
 import {
+  cancelDownload,
   deleteDownload,
   getDownloadFile,
+  getDownloadSettings,
   getDownloadStatus,
   getUserDownloads,
+  pauseDownload,
+  resumeDownload,
   retryDownload,
   startImageDownload,
   startPlaylistDownload,
   startSceneDownload,
+  updateDownloadPriority,
+  updateDownloadSettings,
 } from "../controllers/download.js";
-import { authenticate } from "../middleware/auth.js";
+import { authenticate, requireAdmin } from "../middleware/auth.js";
 import { authenticated } from "../utils/routeHelpers.js";
 
 const router = express.Router();
@@ -20,6 +26,10 @@ router.use(authenticate);
 // Get all user downloads
 router.get("/", authenticated(getUserDownloads));
 
+// Queue limits and default expiry (admin only)
+router.get("/settings", requireAdmin, authenticated(getDownloadSettings));
+router.put("/settings", requireAdmin, authenticated(updateDownloadSettings));
+
 // Get specific download status
 router.get("/:id", authenticated(getDownloadStatus));
 
@@ -41,4 +51,10 @@ router.delete("/:id", authenticated(deleteDownload));
 // Retry failed download
 router.post("/:id/retry", authenticated(retryDownload));
 
+// Queue control for playlist downloads
+router.post("/:id/pause", authenticated(pauseDownload));
+router.post("/:id/resume", authenticated(resumeDownload));
+router.post("/:id/cancel", authenticated(cancelDownload));
+router.put("/:id/priority", authenticated(updateDownloadPriority));
+
 export default router;
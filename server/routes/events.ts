@@ -0,0 +1,14 @@
+import express from "express";
+import { streamServerEvents } from "../controllers/events.js";
+import { authenticate } from "../middleware/auth.js";
+import { authenticated } from "../utils/routeHelpers.js";
+
+const router = express.Router();
+
+// All event routes require authentication
+router.use(authenticate);
+
+// Live updates for open pages (Server-Sent Events)
+router.get("/", authenticated(streamServerEvents));
+
+export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { listFolders } from "../../controllers/library/folders.js";
+import { authenticate, requireCacheReady } from "../../middleware/auth.js";
+import { authenticated } from "../../utils/routeHelpers.js";
+
+const router = express.Router();
+
+// Browse scenes, images or galleries by their folders on disk
+router.get(
+  "/folders",
+  authenticate,
+  requireCacheReady,
+  authenticated(listFolders)
+);
+
+export default router;
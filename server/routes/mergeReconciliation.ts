@@ -7,9 +7,19 @@
  * - POST /api/admin/orphaned-scenes/:id/reconcile - Transfer data to target scene
  * - POST /api/admin/orphaned-scenes/:id/discard - Delete orphaned user data
  * - POST /api/admin/reconcile-all - Auto-reconcile all with exact phash matches
+ * - GET /api/admin/duplicate-scenes - Groups of duplicate scenes across instances
+ * - POST /api/admin/duplicate-scenes/resolve - Keep one scene of a duplicate group
  */
 import express from "express";
 import { authenticate, requireAdmin, type AuthenticatedRequest } from "../middleware/auth.js";
+import { AppError } from "../middleware/errorHandler.js";
+import { auditLogService } from "../services/AuditLogService.js";
+import {
+  DUPLICATE_STASH_ACTIONS,
+  duplicateSceneService,
+  type DuplicateSceneRef,
+  type DuplicateStashAction,
+} from "../services/DuplicateSceneService.js";
 import { mergeReconciliationService } from "../services/MergeReconciliationService.js";
 import { authenticated } from "../utils/routeHelpers.js";
 
@@ -83,6 +93,16 @@ router.post(
         req.user.id // Admin who initiated
       );
 
+      await auditLogService.recordRequest(req, {
+        action: "merge.reconcile",
+        target: { type: "scene", id: id as string },
+        details: {
+          targetSceneId,
+          usersReconciled: result.usersReconciled,
+          mergeRecordsCreated: result.mergeRecordsCreated,
+        },
+      });
+
       res.json({
         ok: true,
         ...result,
@@ -107,6 +127,12 @@ router.post(
       const { id } = req.params;
       const result = await mergeReconciliationService.discardOrphanedData(id as string);
 
+      await auditLogService.recordRequest(req, {
+        action: "merge.discard",
+        target: { type: "scene", id: id as string },
+        details: result,
+      });
+
       res.json({
         ok: true,
         ...result,
@@ -154,6 +180,11 @@ router.post(
         }
       }
 
+      await auditLogService.recordRequest(req, {
+        action: "merge.reconcile_all",
+        details: { reconciled, skipped },
+      });
+
       res.json({
         ok: true,
         reconciled,
@@ -168,4 +199,92 @@ router.post(
   })
 );
 
+/**
+ * GET /api/admin/duplicate-scenes?distance=4
+ * Groups of scenes with matching phashes, across all instances
+ */
+router.get(
+  "/duplicate-scenes",
+  authenticated(async (req, res) => {
+    try {
+      const distance = req.query.distance === undefined ? undefined : Number(req.query.distance);
+      const result = await duplicateSceneService.findDuplicateGroups(distance);
+      res.json(result);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      res.status(500).json({
+        error: "Failed to find duplicate scenes",
+        message: error instanceof Error ? error.message : String(error),
+      });
+    }
+  })
+);
+
+/**
+ * POST /api/admin/duplicate-scenes/resolve
+ * Move user data from the other copies to the kept scene, and optionally
+ * have Stash delete the other copies or merge them into it
+ */
+router.post(
+  "/duplicate-scenes/resolve",
+  authenticated(async (req: AuthenticatedRequest, res) => {
+    try {
+      const { keeper, others, stashAction = "none", deleteFiles = false } = req.body as {
+        keeper?: DuplicateSceneRef;
+        others?: DuplicateSceneRef[];
+        stashAction?: DuplicateStashAction;
+        deleteFiles?: boolean;
+      };
+
+      const isRef = (ref: unknown): ref is DuplicateSceneRef =>
+        typeof ref === "object" &&
+        ref !== null &&
+        typeof (ref as DuplicateSceneRef).id === "string" &&
+        typeof (ref as DuplicateSceneRef).instanceId === "string";
+
+      if (!isRef(keeper) || !Array.isArray(others) || !others.every(isRef)) {
+        return res.status(400).json({ error: "keeper and others must be scenes ({ id, instanceId })" });
+      }
+      if (!DUPLICATE_STASH_ACTIONS.includes(stashAction)) {
+        return res.status(400).json({ error: `stashAction must be one of: ${DUPLICATE_STASH_ACTIONS.join(", ")}` });
+      }
+
+      const result = await duplicateSceneService.resolveGroup(keeper, others, stashAction, {
+        deleteFiles: deleteFiles === true,
+        reconciledBy: req.user.id,
+      });
+
+      await auditLogService.recordRequest(req, {
+        action: "merge.resolve_duplicates",
+        target: { type: "scene", id: keeper.id },
+        details: {
+          instanceId: keeper.instanceId,
+          others,
+          stashAction,
+          deleteFiles: stashAction === "delete" && deleteFiles === true,
+          usersReconciled: result.usersReconciled,
+          mergeRecordsCreated: result.mergeRecordsCreated,
+          removed: result.removed.length,
+          failed: result.failed.length,
+        },
+      });
+
+      res.json({
+        ok: true,
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      res.status(500).json({
+        error: "Failed to resolve duplicate scenes",
+        message: error instanceof Error ? error.message : String(error),
+      });
+    }
+  })
+);
+
 export default router;
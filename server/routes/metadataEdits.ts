@@ -0,0 +1,35 @@
+/**
+ * Metadata Edit Routes
+ *
+ * - GET /api/metadata-edits/mine - Current user's submitted edits
+ * - GET /api/metadata-edits/history/:entityType/:entityId - Edit history of an entity
+ * - GET /api/metadata-edits - Review queue, filtered by status (admin only)
+ * - GET /api/metadata-edits/:id - Edit with current Stash values (admin only)
+ * - POST /api/metadata-edits/:id/approve - Write a pending edit to Stash (admin only)
+ * - POST /api/metadata-edits/:id/reject - Decline a pending edit (admin only)
+ */
+import express from "express";
+import {
+  approveMetadataEdit,
+  getMetadataEdit,
+  getMetadataEditHistory,
+  getMetadataEdits,
+  getMyMetadataEdits,
+  rejectMetadataEdit,
+} from "../controllers/metadataEdits.js";
+import { authenticate, requireAdmin } from "../middleware/auth.js";
+import { authenticated } from "../utils/routeHelpers.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/mine", authenticated(getMyMetadataEdits));
+router.get("/history/:entityType/:entityId", authenticated(getMetadataEditHistory));
+
+router.get("/", requireAdmin, authenticated(getMetadataEdits));
+router.get("/:id", requireAdmin, authenticated(getMetadataEdit));
+router.post("/:id/approve", requireAdmin, authenticated(approveMetadataEdit));
+router.post("/:id/reject", requireAdmin, authenticated(rejectMetadataEdit));
+
+export default router;
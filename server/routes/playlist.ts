@@ -8,6 +8,7 @@ import {
   getPlaylistShares,
   getSharedPlaylists,
   getUserPlaylists,
+  refreshSmartPlaylist,
   removeSceneFromPlaylist,
   reorderPlaylist,
   updatePlaylist,
@@ -57,4 +58,7 @@ router.put("/:id/shares", authenticated(updatePlaylistShares));
 // Duplicate a playlist
 router.post("/:id/duplicate", authenticated(duplicatePlaylist));
 
+// Re-evaluate a smart playlist's rules
+router.post("/:id/refresh", authenticated(refreshSmartPlaylist));
+
 export default router;
@@ -0,0 +1,11 @@
+import express from "express";
+import { search } from "../controllers/search.js";
+import { authenticate, requireCacheReady } from "../middleware/auth.js";
+import { authenticated } from "../utils/routeHelpers.js";
+
+const router = express.Router();
+
+// Unified full-text search across scenes, performers, studios, tags, groups and galleries
+router.get("/", authenticate, requireCacheReady, authenticated(search));
+
+export default router;
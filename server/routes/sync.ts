@@ -5,12 +5,32 @@
  * - GET /api/sync/status - Get current sync status
  * - POST /api/sync/trigger - Trigger manual sync (admin only)
  * - POST /api/sync/notify - Webhook for Stash plugin (admin only)
+ * - GET /api/sync/webhook/instances - Webhook secrets per instance (admin only)
+ * - POST /api/sync/webhook/instances/:instanceId/secret - Generate secret (admin only)
+ * - DELETE /api/sync/webhook/instances/:instanceId/secret - Remove secret (admin only)
+ * - GET /api/sync/webhook/log - Webhook delivery log (admin only)
  * - PUT /api/sync/settings - Update sync settings (admin only)
+ * - GET /api/sync/write-back - Rating write-back queue and conflicts (admin only)
+ * - PUT /api/sync/write-back/settings - Update write-back settings (admin only)
+ * - POST /api/sync/write-back/retry - Retry pending write-backs now (admin only)
+ * - DELETE /api/sync/write-back/:id - Discard a pending write-back (admin only)
  */
 import express from "express";
+import {
+  discardStashWriteBack,
+  getStashWriteBack,
+  retryStashWriteBack,
+  updateStashWriteBackSettings,
+} from "../controllers/stashWriteBack.js";
 import { authenticate, requireAdmin } from "../middleware/auth.js";
+import prisma from "../prisma/singleton.js";
+import { auditLogService } from "../services/AuditLogService.js";
 import { stashSyncService } from "../services/StashSyncService.js";
 import { syncScheduler } from "../services/SyncScheduler.js";
+import {
+  generateWebhookSecret,
+  syncWebhookService,
+} from "../services/SyncWebhookService.js";
 import { authenticated } from "../utils/routeHelpers.js";
 
 const router = express.Router();
@@ -47,7 +67,7 @@ router.get(
 router.post(
   "/trigger",
   requireAdmin,
-  authenticated((req, res) => {
+  authenticated(async (req, res) => {
     try {
       const { type = "incremental" } = (req.body || {}) as { type?: string };
 
@@ -63,6 +83,7 @@ router.post(
         syncScheduler.triggerFullSync().catch(() => {
           // Error is logged by the service
         });
+        await auditLogService.recordRequest(req, { action: "sync.full" });
       } else {
         syncScheduler.triggerIncrementalSync().catch(() => {
           // Error is logged by the service
@@ -184,6 +205,131 @@ router.post(
   })
 );
 
+/**
+ * GET /api/sync/webhook/instances
+ * List Stash instances with their webhook secrets (admin only)
+ *
+ * Note: POST /api/sync/webhook itself is mounted in initializers/api.ts,
+ * ahead of the JSON body parser and session auth.
+ */
+router.get(
+  "/webhook/instances",
+  requireAdmin,
+  authenticated(async (req, res) => {
+    try {
+      const instances = await prisma.stashInstance.findMany({
+        select: { id: true, name: true, webhookSecret: true },
+        orderBy: { priority: "asc" },
+      });
+
+      res.json({ instances });
+    } catch (error) {
+      res.status(500).json({
+        error: "Failed to get webhook instances",
+        message: error instanceof Error ? error.message : String(error),
+      });
+    }
+  })
+);
+
+/**
+ * POST /api/sync/webhook/instances/:instanceId/secret
+ * Generate (or regenerate) an instance's webhook secret (admin only)
+ */
+router.post(
+  "/webhook/instances/:instanceId/secret",
+  requireAdmin,
+  authenticated(async (req, res) => {
+    try {
+      const { instanceId } = req.params as { instanceId: string };
+
+      const existing = await prisma.stashInstance.findUnique({
+        where: { id: instanceId },
+        select: { id: true },
+      });
+      if (!existing) {
+        return res.status(404).json({ error: "Stash instance not found" });
+      }
+
+      const webhookSecret = generateWebhookSecret();
+      await prisma.stashInstance.update({
+        where: { id: instanceId },
+        data: { webhookSecret },
+      });
+
+      res.json({ webhookSecret });
+    } catch (error) {
+      res.status(500).json({
+        error: "Failed to generate webhook secret",
+        message: error instanceof Error ? error.message : String(error),
+      });
+    }
+  })
+);
+
+/**
+ * DELETE /api/sync/webhook/instances/:instanceId/secret
+ * Remove an instance's webhook secret, rejecting further deliveries (admin only)
+ */
+router.delete(
+  "/webhook/instances/:instanceId/secret",
+  requireAdmin,
+  authenticated(async (req, res) => {
+    try {
+      const { instanceId } = req.params as { instanceId: string };
+
+      const result = await prisma.stashInstance.updateMany({
+        where: { id: instanceId },
+        data: { webhookSecret: null },
+      });
+      if (result.count === 0) {
+        return res.status(404).json({ error: "Stash instance not found" });
+      }
+
+      res.json({ ok: true });
+    } catch (error) {
+      res.status(500).json({
+        error: "Failed to remove webhook secret",
+        message: error instanceof Error ? error.message : String(error),
+      });
+    }
+  })
+);
+
+/**
+ * GET /api/sync/webhook/log
+ * Recent webhook batches and rejected deliveries (admin only)
+ *
+ * Query: { limit?: number } (default 100, max 500)
+ */
+router.get(
+  "/webhook/log",
+  requireAdmin,
+  authenticated(async (req, res) => {
+    try {
+      const { limit: limitParam } = req.query as { limit?: string };
+      const requested = parseInt(limitParam ?? "", 10);
+      const limit = Number.isNaN(requested)
+        ? 100
+        : Math.min(Math.max(requested, 1), 500);
+
+      const entries = await syncWebhookService.getLog(limit);
+      res.json({ entries });
+    } catch (error) {
+      res.status(500).json({
+        error: "Failed to get webhook log",
+        message: error instanceof Error ? error.message : String(error),
+      });
+    }
+  })
+);
+
+// Rating/favorite write-back to Stash (admin only)
+router.get("/write-back", requireAdmin, authenticated(getStashWriteBack));
+router.put("/write-back/settings", requireAdmin, authenticated(updateStashWriteBackSettings));
+router.post("/write-back/retry", requireAdmin, authenticated(retryStashWriteBack));
+router.delete("/write-back/:id", requireAdmin, authenticated(discardStashWriteBack));
+
 /**
  * POST /api/sync/reprobe-clips
  * Re-probe clips that were synced before previews were generated (admin only)
@@ -0,0 +1,24 @@
+import express from "express";
+import {
+  getTranscodeJobs,
+  getTranscodeSettings,
+  stopTranscodeJob,
+  updateTranscodeSettings,
+} from "../controllers/transcode.js";
+import { authenticate, requireAdmin } from "../middleware/auth.js";
+import { authenticated } from "../utils/routeHelpers.js";
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(authenticate);
+router.use(requireAdmin);
+
+router.get("/settings", authenticated(getTranscodeSettings));
+router.put("/settings", authenticated(updateTranscodeSettings));
+
+// Running encodes
+router.get("/jobs", authenticated(getTranscodeJobs));
+router.delete("/jobs/:id", authenticated(stopTranscodeJob));
+
+export default router;
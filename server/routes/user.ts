@@ -36,11 +36,44 @@ import {
   updateUserSettings,
   updateUserStashInstances,
 } from "../controllers/user.js";
+import {
+  getUserAccessSchedule,
+  updateUserAccessOverride,
+  updateUserAccessSchedule,
+} from "../controllers/accessSchedule.js";
+import {
+  adminGetApiTokens,
+  adminRevokeApiToken,
+  createApiToken,
+  getApiTokens,
+  revokeApiToken,
+} from "../controllers/apiTokens.js";
+import {
+  adminExportUserData,
+  adminImportUserData,
+  exportUserData,
+  importUserData,
+} from "../controllers/userData.js";
+import {
+  adminResetTwoFactor,
+  beginTotpSetup,
+  confirmTotpSetup,
+  deleteWebAuthnCredential,
+  disableTotp,
+  getTwoFactorStatus,
+  getWebAuthnRegistrationOptions,
+  regenerateBackupCodes,
+  registerWebAuthnCredential,
+} from "../controllers/twoFactor.js";
 import { authenticate, requireAdmin } from "../middleware/auth.js";
 import { authenticated } from "../utils/routeHelpers.js";
 
 const router = express.Router();
 
+// Data imports carry a user's whole history, well past the default 100kb.
+// Mounted after authentication so anonymous callers can't send large bodies.
+const parseImportBody = express.json({ limit: "50mb" });
+
 // All user routes require authentication
 router.use(authenticate);
 
@@ -53,6 +86,28 @@ router.post("/change-password", authenticated(changePassword));
 router.get("/recovery-key", authenticated(getRecoveryKey));
 router.post("/recovery-key/regenerate", authenticated(regenerateRecoveryKey));
 
+// Two-factor authentication routes
+router.get("/two-factor", authenticated(getTwoFactorStatus));
+router.post("/two-factor/totp", authenticated(beginTotpSetup));
+router.post("/two-factor/totp/confirm", authenticated(confirmTotpSetup));
+router.post("/two-factor/totp/disable", authenticated(disableTotp));
+router.post("/two-factor/backup-codes", authenticated(regenerateBackupCodes));
+router.post("/two-factor/webauthn/options", authenticated(getWebAuthnRegistrationOptions));
+router.post("/two-factor/webauthn", authenticated(registerWebAuthnCredential));
+router.delete(
+  "/two-factor/webauthn/:credentialId",
+  authenticated(deleteWebAuthnCredential)
+);
+
+// Personal API token routes
+router.get("/api-tokens", authenticated(getApiTokens));
+router.post("/api-tokens", authenticated(createApiToken));
+router.delete("/api-tokens/:tokenId", authenticated(revokeApiToken));
+
+// Personal data export/import
+router.get("/data-export", authenticated(exportUserData));
+router.post("/data-import", parseImportBody, authenticated(importUserData));
+
 // Setup wizard routes
 router.get("/setup-status", authenticated(getSetupStatus));
 router.post("/complete-setup", authenticated(completeSetup));
@@ -100,6 +155,23 @@ router.put(
   authenticated(updateUserPermissionOverrides)
 );
 
+// Admin: get/set a user's access schedule, or lift it for a while
+router.get(
+  "/:userId/access-schedule",
+  requireAdmin,
+  authenticated(getUserAccessSchedule)
+);
+router.put(
+  "/:userId/access-schedule",
+  requireAdmin,
+  authenticated(updateUserAccessSchedule)
+);
+router.put(
+  "/:userId/access-override",
+  requireAdmin,
+  authenticated(updateUserAccessOverride)
+);
+
 // Admin: get user's group memberships
 router.get(
   "/:userId/groups",
@@ -121,6 +193,38 @@ router.post(
   authenticated(adminRegenerateRecoveryKey)
 );
 
+// Admin: remove a user's second factors
+router.delete(
+  "/:userId/two-factor",
+  requireAdmin,
+  authenticated(adminResetTwoFactor)
+);
+
+// Admin: view/revoke any user's API tokens
+router.get(
+  "/:userId/api-tokens",
+  requireAdmin,
+  authenticated(adminGetApiTokens)
+);
+router.delete(
+  "/:userId/api-tokens/:tokenId",
+  requireAdmin,
+  authenticated(adminRevokeApiToken)
+);
+
+// Admin: export/import any user's data
+router.get(
+  "/:userId/data-export",
+  requireAdmin,
+  authenticated(adminExportUserData)
+);
+router.post(
+  "/:userId/data-import",
+  requireAdmin,
+  parseImportBody,
+  authenticated(adminImportUserData)
+);
+
 // Admin-only content restriction routes
 router.get(
   "/:userId/restrictions",
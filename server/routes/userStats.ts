@@ -1,5 +1,11 @@
 import express from "express";
-import { getUserStats } from "../controllers/userStats.js";
+import {
+  getUserStats,
+  getUserStatsTimeSeries,
+  getUserActivity,
+  getUserStatsTrends,
+  getYearInReview,
+} from "../controllers/userStats.js";
 import { authenticate } from "../middleware/auth.js";
 import { authenticated } from "../utils/routeHelpers.js";
 
@@ -11,4 +17,10 @@ router.use(authenticate);
 // Get user stats
 router.get("/", authenticated(getUserStats));
 
+// Activity over time
+router.get("/timeseries", authenticated(getUserStatsTimeSeries));
+router.get("/activity", authenticated(getUserActivity));
+router.get("/trends", authenticated(getUserStatsTrends));
+router.get("/year-in-review", authenticated(getYearInReview));
+
 export default router;
@@ -1,8 +1,15 @@
 import express from "express";
 import {
+  getTranscodePlaylist,
+  getTranscodeSegment,
+} from "../controllers/transcode.js";
+import {
+  createStreamToken,
   getCaption,
   proxyStashStream,
 } from "../controllers/video.js";
+import { authenticate, authenticateStream } from "../middleware/auth.js";
+import { authenticated } from "../utils/routeHelpers.js";
 
 const router = express.Router();
 
@@ -10,8 +17,37 @@ const router = express.Router();
 // Two routes to handle both single-segment and multi-segment paths:
 //   /scene/123/proxy-stream/stream.m3u8 -> streamPath = "stream.m3u8"
 //   /scene/123/proxy-stream/stream/segment_0.ts -> streamPath = "stream", subPath = "segment_0.ts"
-router.get("/scene/:sceneId/proxy-stream/:streamPath/:subPath", proxyStashStream);
-router.get("/scene/:sceneId/proxy-stream/:streamPath", proxyStashStream);
+// Cast receivers and external players fetch these without the session
+// cookie, so they may pass a stream token instead (see below)
+router.get(
+  "/scene/:sceneId/proxy-stream/:streamPath/:subPath",
+  authenticateStream,
+  proxyStashStream
+);
+router.get(
+  "/scene/:sceneId/proxy-stream/:streamPath",
+  authenticateStream,
+  proxyStashStream
+);
+
+// Short-lived stream token for the above, issued to a signed-in user
+router.post(
+  "/scene/:sceneId/stream-token",
+  authenticate,
+  authenticated(createStreamToken)
+);
+
+// Peek's own HLS transcodes (authenticated - each one can start an ffmpeg process)
+router.get(
+  "/scene/:sceneId/transcode/:quality/index.m3u8",
+  authenticate,
+  authenticated(getTranscodePlaylist)
+);
+router.get(
+  "/scene/:sceneId/transcode/:quality/:segment",
+  authenticate,
+  authenticated(getTranscodeSegment)
+);
 
 // Caption/subtitle proxy
 router.get("/scene/:sceneId/caption", getCaption);
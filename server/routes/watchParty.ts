@@ -0,0 +1,36 @@
+import express from "express";
+import {
+  controlWatchParty,
+  createWatchParty,
+  getWatchParty,
+  joinWatchParty,
+  leaveWatchParty,
+  streamWatchPartyEvents,
+} from "../controllers/watchParty.js";
+import { authenticate } from "../middleware/auth.js";
+import { authenticated } from "../utils/routeHelpers.js";
+
+const router = express.Router();
+
+// All watch party routes require authentication
+router.use(authenticate);
+
+// Create a party for the current scene (caller becomes host)
+router.post("/", authenticated(createWatchParty));
+
+// Get party state (participants only)
+router.get("/:partyId", authenticated(getWatchParty));
+
+// Join from an invite link (refused if the scene is restricted for the caller)
+router.post("/:partyId/join", authenticated(joinWatchParty));
+
+// Leave the party (the host leaving ends it)
+router.post("/:partyId/leave", authenticated(leaveWatchParty));
+
+// Play / pause / seek / scene change
+router.post("/:partyId/control", authenticated(controlWatchParty));
+
+// Server-Sent Events stream of party state and playback events
+router.get("/:partyId/events", authenticated(streamWatchPartyEvents));
+
+export default router;
@@ -0,0 +1,460 @@
+/**
+ * AccessScheduleService
+ *
+ * When non-admin users may use Peek. An admin gives a user or a group a
+ * schedule: open hours per day of the week in the schedule's timezone, and
+ * optionally a daily watch-time limit. A user's own schedule replaces their
+ * groups'; with several group schedules the most generous one applies. An
+ * admin can also lift a user's schedule until a given time.
+ *
+ * Today's watch time is how much the user's total WatchHistory.playDuration
+ * has grown since the schedule's day began: the total is recorded as a
+ * baseline the first time it's checked each day.
+ *
+ * `authenticate` checks every request, so statuses are cached briefly; open
+ * streams are re-checked so playback stops when access ends.
+ */
+import type { Prisma } from "@prisma/client";
+import type { Response } from "express";
+import prisma from "../prisma/singleton.js";
+import type {
+  AccessSchedule,
+  AccessStatus,
+  AccessWindow,
+} from "../types/api/index.js";
+import { eventBusService } from "./EventBusService.js";
+import { logger } from "../utils/logger.js";
+
+/** Longest daily watch-time limit, in minutes */
+export const MAX_DAILY_LIMIT_MINUTES = 24 * 60;
+
+// A status is reused this long, or until the window it was computed for
+// opens or closes
+const STATUS_CACHE_MS = 30 * 1000;
+
+// How often an open stream re-checks its user's access
+const STREAM_CHECK_INTERVAL_MS = 60 * 1000;
+
+const DAY_MINUTES = 24 * 60;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const UNRESTRICTED: AccessStatus = {
+  restricted: false,
+  allowed: true,
+  reason: null,
+  opensAt: null,
+  closesAt: null,
+  watchedTodaySeconds: 0,
+  dailyLimitSeconds: null,
+  overrideUntil: null,
+};
+
+type WeekRange = [start: number, end: number];
+
+const toMinutes = (time: string): number => {
+  const [hours, minutes] = time.split(":");
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const isValidTimezone = (timezone: string): boolean => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate an access schedule from a request body. Returns an error message
+ * for anything malformed.
+ */
+export function parseAccessSchedule(
+  value: unknown
+): AccessSchedule | null | string {
+  if (value === null) return null;
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return "Access schedule must be an object";
+  }
+
+  const { timezone, windows, dailyLimitMinutes = null } = value as Record<
+    string,
+    unknown
+  >;
+
+  if (typeof timezone !== "string" || !isValidTimezone(timezone)) {
+    return "Access schedule needs a valid timezone";
+  }
+  if (!Array.isArray(windows)) {
+    return "Access schedule windows must be a list";
+  }
+
+  const parsedWindows: AccessWindow[] = [];
+  for (const window of windows as unknown[]) {
+    if (typeof window !== "object" || window === null) {
+      return "Each access window needs days, a start and an end";
+    }
+    const { days, start, end } = window as Record<string, unknown>;
+    if (
+      !Array.isArray(days) ||
+      days.length === 0 ||
+      !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      return "Access window days must be 0 (Sunday) to 6 (Saturday)";
+    }
+    if (
+      typeof start !== "string" ||
+      typeof end !== "string" ||
+      !TIME_PATTERN.test(start) ||
+      !TIME_PATTERN.test(end) ||
+      start === "24:00"
+    ) {
+      return 'Access window times must be "HH:MM"';
+    }
+    if (toMinutes(start) >= toMinutes(end)) {
+      return "Access windows must end after they start; use a second window to run past midnight";
+    }
+    parsedWindows.push({
+      days: [...new Set(days as number[])].sort((a, b) => a - b),
+      start,
+      end,
+    });
+  }
+
+  if (
+    dailyLimitMinutes !== null &&
+    (typeof dailyLimitMinutes !== "number" ||
+      !Number.isInteger(dailyLimitMinutes) ||
+      dailyLimitMinutes < 1 ||
+      dailyLimitMinutes > MAX_DAILY_LIMIT_MINUTES)
+  ) {
+    return `Daily limit must be a whole number of minutes between 1 and ${MAX_DAILY_LIMIT_MINUTES}`;
+  }
+
+  return { timezone, windows: parsedWindows, dailyLimitMinutes };
+}
+
+/**
+ * Read a stored schedule; anything no longer valid (a timezone the runtime
+ * dropped) counts as no schedule
+ */
+export function readAccessSchedule(
+  value: Prisma.JsonValue | null
+): AccessSchedule | null {
+  if (value === null) return null;
+  const schedule = parseAccessSchedule(value);
+  if (typeof schedule === "string") {
+    logger.warn("Ignoring invalid stored access schedule", { error: schedule });
+    return null;
+  }
+  return schedule;
+}
+
+/**
+ * Day of the week, time and calendar date in a timezone, as minutes since
+ * Sunday midnight
+ */
+function localTime(now: Date, timezone: string) {
+  const parts: Record<string, string> = {};
+  for (const part of new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekMinute:
+      WEEKDAYS.indexOf(parts.weekday ?? "") * DAY_MINUTES +
+      Number(parts.hour) * 60 +
+      Number(parts.minute) +
+      Number(parts.second) / 60,
+  };
+}
+
+/**
+ * Open minutes of the week as sorted, merged ranges, repeated for a second
+ * week so windows that run across Saturday midnight join up. Null when open
+ * around the clock.
+ */
+function weekRanges(windows: AccessWindow[]): WeekRange[] | null {
+  const ranges = windows.flatMap((window) =>
+    window.days.map(
+      (day): WeekRange => [
+        day * DAY_MINUTES + toMinutes(window.start),
+        day * DAY_MINUTES + toMinutes(window.end),
+      ]
+    )
+  );
+
+  const merge = (list: WeekRange[]): WeekRange[] => {
+    const merged: WeekRange[] = [];
+    for (const range of [...list].sort((a, b) => a[0] - b[0])) {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([range[0], range[1]]);
+      }
+    }
+    return merged;
+  };
+
+  const week = merge(ranges);
+  const [first] = week;
+  if (!first || (week.length === 1 && first[0] === 0 && first[1] === WEEK_MINUTES)) {
+    return null;
+  }
+  return merge([
+    ...week,
+    ...week.map(([start, end]): WeekRange => [start + WEEK_MINUTES, end + WEEK_MINUTES]),
+  ]);
+}
+
+/** First open minute at or after `from` */
+const nextOpen = (ranges: WeekRange[], from: number): number | null => {
+  const range = ranges.find(([, end]) => end > from);
+  return range ? Math.max(range[0], from) : null;
+};
+
+/**
+ * Whether a schedule lets its user in at `now`, given how much they've
+ * watched today
+ */
+export function evaluateSchedule(
+  schedule: AccessSchedule,
+  now: Date,
+  watchedTodaySeconds: number
+): AccessStatus {
+  const { weekMinute } = localTime(now, schedule.timezone);
+  const ranges = weekRanges(schedule.windows);
+  const at = (minute: number | null) =>
+    minute === null
+      ? null
+      : new Date(now.getTime() + (minute - weekMinute) * 60 * 1000).toISOString();
+
+  const dailyLimitSeconds =
+    schedule.dailyLimitMinutes === null ? null : schedule.dailyLimitMinutes * 60;
+  const base = {
+    restricted: true,
+    watchedTodaySeconds,
+    dailyLimitSeconds,
+    overrideUntil: null,
+  };
+
+  const open = ranges?.find(([start, end]) => start <= weekMinute && weekMinute < end);
+  if (ranges && !open) {
+    return {
+      ...base,
+      allowed: false,
+      reason: "outside-hours",
+      opensAt: at(nextOpen(ranges, weekMinute)),
+      closesAt: null,
+    };
+  }
+
+  if (dailyLimitSeconds !== null && watchedTodaySeconds >= dailyLimitSeconds) {
+    const tomorrow = (Math.floor(weekMinute / DAY_MINUTES) + 1) * DAY_MINUTES;
+    return {
+      ...base,
+      allowed: false,
+      reason: "daily-limit",
+      opensAt: at(ranges ? nextOpen(ranges, tomorrow) : tomorrow),
+      closesAt: null,
+    };
+  }
+
+  return {
+    ...base,
+    allowed: true,
+    reason: null,
+    opensAt: null,
+    closesAt: at(open ? open[1] : null),
+  };
+}
+
+/**
+ * Of several schedules' verdicts: the one that stays open longest if any
+ * lets the user in, else the one that opens soonest
+ */
+function mostGenerous(statuses: AccessStatus[]): AccessStatus {
+  const allowed = statuses.filter((status) => status.allowed);
+  if (allowed.length > 0) {
+    return allowed.reduce((best, status) =>
+      best.closesAt !== null &&
+      (status.closesAt === null || status.closesAt > best.closesAt)
+        ? status
+        : best
+    );
+  }
+  return statuses.reduce((best, status) =>
+    status.opensAt !== null && (best.opensAt === null || status.opensAt < best.opensAt)
+      ? status
+      : best
+  );
+}
+
+/**
+ * Message sent with the 403 while a schedule keeps a user out
+ */
+export function describeAccessDenial(status: AccessStatus): string {
+  return status.reason === "daily-limit"
+    ? "Today's watch time is used up"
+    : "Peek isn't available at this time";
+}
+
+class AccessScheduleService {
+  private cache = new Map<number, { status: AccessStatus; expiresAt: number }>();
+
+  /**
+   * Whether the user may use Peek right now. Admins are never restricted.
+   */
+  async getStatus(userId: number): Promise<AccessStatus> {
+    const cached = this.cache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.status;
+    }
+
+    const status = await this.computeStatus(userId, new Date());
+    const changesAt = [status.opensAt, status.closesAt]
+      .filter((time): time is string => time !== null)
+      .map((time) => Date.parse(time));
+    this.cache.set(userId, {
+      status,
+      expiresAt: Math.min(Date.now() + STATUS_CACHE_MS, ...changesAt),
+    });
+    return status;
+  }
+
+  /**
+   * Schedules apply to these users as of now: drop their cached statuses and
+   * tell their open pages to re-check
+   */
+  scheduleChanged(userIds: number[]): void {
+    for (const userId of userIds) {
+      this.cache.delete(userId);
+      eventBusService.publishToUser(userId, { type: "access" });
+    }
+  }
+
+  /**
+   * Re-check the user's access while their stream is open, and end it once
+   * access closes
+   */
+  guardStream(userId: number, res: Response): void {
+    const timer = setInterval(() => {
+      this.getStatus(userId)
+        .then((status) => {
+          if (!status.allowed) {
+            logger.info("Ending stream: access schedule closed", {
+              userId,
+              reason: status.reason,
+            });
+            res.destroy();
+          }
+        })
+        .catch((error) => {
+          logger.error("Failed to re-check stream access", {
+            userId,
+            error: error instanceof Error ? error.message : String(error),
+          });
+        });
+    }, STREAM_CHECK_INTERVAL_MS);
+    res.on("close", () => clearInterval(timer));
+  }
+
+  // ==================== Private Methods ====================
+
+  private async computeStatus(userId: number, now: Date): Promise<AccessStatus> {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        role: true,
+        accessSchedule: true,
+        accessOverrideUntil: true,
+        watchTimeDate: true,
+        watchTimeBaseline: true,
+        groupMemberships: {
+          select: { group: { select: { accessSchedule: true } } },
+          orderBy: { groupId: "asc" },
+        },
+      },
+    });
+    if (!user || user.role === "ADMIN") {
+      return UNRESTRICTED;
+    }
+
+    const own = readAccessSchedule(user.accessSchedule);
+    const schedules = own
+      ? [own]
+      : user.groupMemberships
+          .map((m) => readAccessSchedule(m.group.accessSchedule))
+          .filter((schedule): schedule is AccessSchedule => schedule !== null);
+    const [first] = schedules;
+    if (!first) {
+      return UNRESTRICTED;
+    }
+
+    // Households normally share one timezone; the first schedule's decides
+    // when the day starts
+    const watched = await this.watchedToday(userId, first.timezone, now, user);
+    const status = mostGenerous(
+      schedules.map((schedule) => evaluateSchedule(schedule, now, watched))
+    );
+
+    if (!user.accessOverrideUntil || user.accessOverrideUntil <= now) {
+      return status;
+    }
+    const overrideUntil = user.accessOverrideUntil.toISOString();
+    const staysOpenLonger =
+      status.allowed && (status.closesAt === null || status.closesAt > overrideUntil);
+    return {
+      ...status,
+      allowed: true,
+      reason: null,
+      opensAt: null,
+      closesAt: staysOpenLonger ? status.closesAt : overrideUntil,
+      overrideUntil,
+    };
+  }
+
+  /**
+   * Seconds of playback since the day began in the given timezone
+   */
+  private async watchedToday(
+    userId: number,
+    timezone: string,
+    now: Date,
+    user: { watchTimeDate: string | null; watchTimeBaseline: number }
+  ): Promise<number> {
+    const { date } = localTime(now, timezone);
+    const totals = await prisma.watchHistory.aggregate({
+      where: { userId },
+      _sum: { playDuration: true },
+    });
+    const total = totals._sum.playDuration ?? 0;
+
+    // A new day starts counting from the current total; so does a total
+    // that shrank because history was cleared
+    if (user.watchTimeDate !== date || total < user.watchTimeBaseline) {
+      await prisma.user.update({
+        where: { id: userId },
+        data: { watchTimeDate: date, watchTimeBaseline: total },
+      });
+      return 0;
+    }
+    return total - user.watchTimeBaseline;
+  }
+}
+
+export const accessScheduleService = new AccessScheduleService();
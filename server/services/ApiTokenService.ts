@@ -0,0 +1,274 @@
+/**
+ * ApiTokenService
+ *
+ * Long-lived personal API tokens for scripts and external clients that can't
+ * keep a 2-hour session cookie alive (Kodi add-ons, home automation hooks).
+ *
+ * Tokens look like `peek_<random>` and are only stored as a SHA-256 hash.
+ * A token without scopes acts as its owner; a scoped token may only reach
+ * the route prefixes its scopes grant (see SCOPE_ROUTES).
+ */
+import type { ApiToken } from "@prisma/client";
+import crypto from "crypto";
+import prisma from "../prisma/singleton.js";
+import type { ApiTokenData, ApiTokenScope } from "../types/api/apiTokens.js";
+import { logger } from "../utils/logger.js";
+
+export const API_TOKEN_PREFIX = "peek_";
+
+export const API_TOKEN_SCOPES: readonly ApiTokenScope[] = [
+  "library:read",
+  "watch-history:write",
+  "downloads",
+];
+
+/** Maximum number of tokens a single user may hold */
+export const MAX_API_TOKENS_PER_USER = 25;
+
+/** Maximum length of a token's display name */
+export const MAX_API_TOKEN_NAME_LENGTH = 100;
+
+// Number of leading characters kept in plaintext so users can tell tokens apart
+const TOKEN_PREFIX_DISPLAY_LENGTH = 12;
+
+// lastUsedAt is only written when older than this, so busy clients
+// don't turn every request into a database write
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+interface ScopeRoutes {
+  prefixes: string[];
+  // Read-only scopes allow GET/HEAD, plus POST on query-style endpoints
+  readOnly: boolean;
+}
+
+const SCOPE_ROUTES: Record<ApiTokenScope, ScopeRoutes> = {
+  "library:read": {
+    prefixes: [
+      "/api/library",
+      "/api/playlists",
+      "/api/carousels",
+      "/api/clips",
+      "/api/scenes",
+      "/api/search",
+      "/api/timeline",
+      // Scene video and captions (/api/scene/:sceneId/...), so external players can stream
+      "/api/scene",
+    ],
+    readOnly: true,
+  },
+  "watch-history:write": {
+    prefixes: ["/api/watch-history", "/api/image-view-history"],
+    readOnly: false,
+  },
+  downloads: {
+    prefixes: ["/api/downloads"],
+    readOnly: false,
+  },
+};
+
+// Library search endpoints are POSTs with a filter body, not mutations
+const QUERY_POST_PREFIXES = ["/api/library"];
+
+export type ScopeValidation =
+  | { valid: true; scopes: ApiTokenScope[] | null }
+  | { valid: false; error: string };
+
+const matchesPrefix = (path: string, prefix: string) =>
+  path === prefix || path.startsWith(`${prefix}/`);
+
+/**
+ * Generate a new plaintext API token
+ */
+export function generateApiToken(): string {
+  return `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+/**
+ * Hash a plaintext token for storage/lookup
+ */
+export function hashApiToken(token: string): string {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Whether a bearer credential is a personal API token (vs. a session JWT)
+ */
+export function isApiToken(token: string): boolean {
+  return token.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * Validate user-supplied scopes. Empty or missing means full access (null).
+ */
+export function validateScopes(value: unknown): ScopeValidation {
+  if (value === null || value === undefined) {
+    return { valid: true, scopes: null };
+  }
+
+  if (!Array.isArray(value)) {
+    return { valid: false, error: "Scopes must be an array" };
+  }
+
+  const invalid = value.filter(
+    (scope) => !API_TOKEN_SCOPES.includes(scope as ApiTokenScope)
+  );
+  if (invalid.length > 0) {
+    return { valid: false, error: `Unknown scope: ${String(invalid[0])}` };
+  }
+
+  const scopes = [...new Set(value as ApiTokenScope[])];
+  return { valid: true, scopes: scopes.length > 0 ? scopes : null };
+}
+
+/**
+ * Check whether a token's scopes allow a request.
+ * Unscoped tokens (null) can do anything their owner can.
+ */
+export function apiTokenAllowsRequest(
+  scopes: ApiTokenScope[] | null,
+  method: string,
+  path: string
+): boolean {
+  if (!scopes) {
+    return true;
+  }
+
+  const upperMethod = method.toUpperCase();
+  return scopes.some((scope) => {
+    const routes = SCOPE_ROUTES[scope];
+    if (!routes.prefixes.some((prefix) => matchesPrefix(path, prefix))) {
+      return false;
+    }
+    if (!routes.readOnly) {
+      return true;
+    }
+    if (upperMethod === "GET" || upperMethod === "HEAD") {
+      return true;
+    }
+    return (
+      upperMethod === "POST" &&
+      QUERY_POST_PREFIXES.some((prefix) => matchesPrefix(path, prefix))
+    );
+  });
+}
+
+/**
+ * Read the stored scopes column back into a typed array
+ */
+export function parseStoredScopes(value: ApiToken["scopes"]): ApiTokenScope[] | null {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const scopes = value.filter((scope): scope is ApiTokenScope =>
+    API_TOKEN_SCOPES.includes(scope as ApiTokenScope)
+  );
+  return scopes.length > 0 ? scopes : null;
+}
+
+/**
+ * Convert a database row to the public API shape (no hash)
+ */
+export function serializeApiToken(token: ApiToken): ApiTokenData {
+  return {
+    id: token.id,
+    name: token.name,
+    tokenPrefix: token.tokenPrefix,
+    scopes: parseStoredScopes(token.scopes),
+    lastUsedAt: token.lastUsedAt,
+    createdAt: token.createdAt,
+  };
+}
+
+/**
+ * Create a token for a user. Returns the plaintext token, which is not
+ * recoverable afterwards.
+ */
+export async function createApiToken(
+  userId: number,
+  name: string,
+  scopes: ApiTokenScope[] | null
+): Promise<{ apiToken: ApiTokenData; token: string }> {
+  const token = generateApiToken();
+
+  const record = await prisma.apiToken.create({
+    data: {
+      userId,
+      name,
+      tokenHash: hashApiToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX_DISPLAY_LENGTH),
+      scopes: scopes ?? undefined,
+    },
+  });
+
+  logger.info("API token created", { userId, tokenId: record.id, scopes });
+
+  return { apiToken: serializeApiToken(record), token };
+}
+
+/**
+ * List a user's tokens, newest first
+ */
+export async function listApiTokens(userId: number): Promise<ApiTokenData[]> {
+  const tokens = await prisma.apiToken.findMany({
+    where: { userId },
+    orderBy: { createdAt: "desc" },
+  });
+  return tokens.map(serializeApiToken);
+}
+
+/**
+ * Count a user's tokens (for the per-user limit)
+ */
+export function countApiTokens(userId: number): Promise<number> {
+  return prisma.apiToken.count({ where: { userId } });
+}
+
+/**
+ * Revoke (delete) a user's token. Returns false if it doesn't exist or
+ * belongs to someone else.
+ */
+export async function revokeApiToken(
+  userId: number,
+  tokenId: number
+): Promise<boolean> {
+  const result = await prisma.apiToken.deleteMany({
+    where: { id: tokenId, userId },
+  });
+
+  if (result.count > 0) {
+    logger.info("API token revoked", { userId, tokenId });
+  }
+
+  return result.count > 0;
+}
+
+/**
+ * Look up a presented plaintext token
+ */
+export function findApiToken(token: string): Promise<ApiToken | null> {
+  return prisma.apiToken.findUnique({
+    where: { tokenHash: hashApiToken(token) },
+  });
+}
+
+/**
+ * Record token usage (throttled, fire-and-forget)
+ */
+export function touchApiToken(token: Pick<ApiToken, "id" | "lastUsedAt">): void {
+  const now = Date.now();
+  if (
+    token.lastUsedAt &&
+    now - token.lastUsedAt.getTime() < LAST_USED_UPDATE_INTERVAL_MS
+  ) {
+    return;
+  }
+
+  prisma.apiToken
+    .update({ where: { id: token.id }, data: { lastUsedAt: new Date(now) } })
+    .catch((error: unknown) => {
+      logger.warn("Failed to update API token last-used time", {
+        tokenId: token.id,
+        error: error instanceof Error ? error.message : "Unknown error",
+      });
+    });
+}
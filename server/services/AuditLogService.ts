@@ -0,0 +1,248 @@
+/**
+ * AuditLogService
+ *
+ * Append-only log of administrative and security-relevant actions: user and
+ * group management, permission and restriction changes, logins and
+ * lockouts, full syncs, merge reconciliation and database backups.
+ *
+ * Recording never throws. A failed audit write is logged and the action
+ * that triggered it carries on. Rows are only ever deleted by retention
+ * pruning.
+ */
+import type { AuditLog, AuditSettings, Prisma } from "@prisma/client";
+import type { Request } from "express";
+import prisma from "../prisma/singleton.js";
+import type {
+  AuditAction,
+  AuditCategory,
+  AuditLogEntry,
+  AuditSettingsData,
+} from "../types/api/index.js";
+import { getClientAddress } from "../utils/clientAddress.js";
+import { logger } from "../utils/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Values of fields whose names match are never written to the log
+const SENSITIVE_FIELD_PATTERN = /password|secret|token|recoverykey/i;
+const REDACTED = "[redacted]";
+
+export interface AuditActor {
+  id: number;
+  username: string;
+}
+
+export interface AuditTarget {
+  type: string;
+  id?: string | number | null;
+  label?: string | null;
+}
+
+export interface AuditEvent {
+  action: AuditAction;
+  actor?: AuditActor | null;
+  /** Attempted username for events without an authenticated actor */
+  actorUsername?: string | null;
+  target?: AuditTarget;
+  before?: Record<string, unknown> | null;
+  after?: Record<string, unknown> | null;
+  details?: Record<string, unknown> | null;
+  ipAddress?: string | null;
+}
+
+export interface AuditLogFilters {
+  category?: AuditCategory;
+  action?: AuditAction;
+  actor?: string;
+  from?: Date;
+  to?: Date;
+}
+
+type AuditRequest = Pick<Request, "ip" | "socket" | "get"> & { user?: AuditActor };
+
+/**
+ * Reduce before/after snapshots to the fields that changed
+ */
+export function diffFields<T extends object>(
+  before: T,
+  after: T
+): { before: Record<string, unknown>; after: Record<string, unknown> } {
+  const from = before as Record<string, unknown>;
+  const to = after as Record<string, unknown>;
+  const changedBefore: Record<string, unknown> = {};
+  const changedAfter: Record<string, unknown> = {};
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (JSON.stringify(from[key]) !== JSON.stringify(to[key])) {
+      changedBefore[key] = from[key] ?? null;
+      changedAfter[key] = to[key] ?? null;
+    }
+  }
+  return { before: changedBefore, after: changedAfter };
+}
+
+function redact(values: Record<string, unknown> | null | undefined) {
+  if (!values) return undefined;
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [
+      key,
+      SENSITIVE_FIELD_PATTERN.test(key) && value !== null ? REDACTED : value,
+    ])
+  ) as Prisma.InputJsonObject;
+}
+
+export function buildAuditWhere(filters: AuditLogFilters): Prisma.AuditLogWhereInput {
+  return {
+    ...(filters.action
+      ? { action: filters.action }
+      : filters.category && { action: { startsWith: `${filters.category}.` } }),
+    ...(filters.actor && { actorUsername: { contains: filters.actor } }),
+    ...((filters.from || filters.to) && {
+      createdAt: {
+        ...(filters.from && { gte: filters.from }),
+        ...(filters.to && { lte: filters.to }),
+      },
+    }),
+  };
+}
+
+export function toAuditLogEntry(row: AuditLog): AuditLogEntry {
+  return {
+    id: row.id,
+    action: row.action as AuditAction,
+    actorId: row.actorId,
+    actorUsername: row.actorUsername,
+    targetType: row.targetType,
+    targetId: row.targetId,
+    targetLabel: row.targetLabel,
+    before: row.before as Record<string, unknown> | null,
+    after: row.after as Record<string, unknown> | null,
+    details: row.details as Record<string, unknown> | null,
+    ipAddress: row.ipAddress,
+    createdAt: row.createdAt.toISOString(),
+  };
+}
+
+export function toAuditSettingsData(settings: AuditSettings): AuditSettingsData {
+  return { retentionDays: settings.retentionDays };
+}
+
+class AuditLogService {
+  /**
+   * Append an entry
+   */
+  async record(event: AuditEvent): Promise<void> {
+    try {
+      await prisma.auditLog.create({
+        data: {
+          action: event.action,
+          actorId: event.actor?.id ?? null,
+          actorUsername: event.actor?.username ?? event.actorUsername ?? null,
+          targetType: event.target?.type ?? null,
+          targetId: event.target?.id != null ? String(event.target.id) : null,
+          targetLabel: event.target?.label ?? null,
+          before: redact(event.before),
+          after: redact(event.after),
+          details: redact(event.details),
+          ipAddress: event.ipAddress ?? null,
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to write audit log entry", {
+        action: event.action,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  /**
+   * Append an entry for a request, taking the IP and (unless the event
+   * names one) the actor from it
+   */
+  async recordRequest(req: AuditRequest, event: Omit<AuditEvent, "ipAddress">): Promise<void> {
+    let ipAddress: string | null = null;
+    try {
+      ipAddress = getClientAddress(req);
+    } catch {
+      // No socket (e.g. synthetic requests); record without an address
+    }
+    const actor = event.actor ?? req.user;
+    await this.record({
+      ...event,
+      actor: actor ? { id: actor.id, username: actor.username } : null,
+      ipAddress,
+    });
+  }
+
+  /**
+   * Newest-first page of entries matching the filters
+   */
+  async query(
+    filters: AuditLogFilters,
+    page: number,
+    perPage: number
+  ): Promise<{ entries: AuditLogEntry[]; total: number }> {
+    const where = buildAuditWhere(filters);
+    const [rows, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { id: "desc" },
+        skip: (page - 1) * perPage,
+        take: perPage,
+      }),
+      prisma.auditLog.count({ where }),
+    ]);
+    return { entries: rows.map(toAuditLogEntry), total };
+  }
+
+  /**
+   * Walk every matching entry newest-first in batches, for exports
+   */
+  async *iterate(filters: AuditLogFilters, batchSize = 1000): AsyncGenerator<AuditLogEntry[]> {
+    const where = buildAuditWhere(filters);
+    let cursor: number | undefined;
+    for (;;) {
+      const rows = await prisma.auditLog.findMany({
+        where: cursor === undefined ? where : { AND: [where, { id: { lt: cursor } }] },
+        orderBy: { id: "desc" },
+        take: batchSize,
+      });
+      const last = rows[rows.length - 1];
+      if (!last) return;
+      yield rows.map(toAuditLogEntry);
+      if (rows.length < batchSize) return;
+      cursor = last.id;
+    }
+  }
+
+  getSettings(): Promise<AuditSettings> {
+    return prisma.auditSettings.upsert({
+      where: { id: 1 },
+      create: { id: 1 },
+      update: {},
+    });
+  }
+
+  updateSettings(retentionDays: number): Promise<AuditSettings> {
+    return prisma.auditSettings.upsert({
+      where: { id: 1 },
+      create: { id: 1, retentionDays },
+      update: { retentionDays },
+    });
+  }
+
+  /**
+   * Delete entries older than the retention period
+   *
+   * @returns Number of entries deleted
+   */
+  async prune(now = new Date()): Promise<number> {
+    const { retentionDays } = await this.getSettings();
+    if (retentionDays <= 0) return 0;
+
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+    const { count } = await prisma.auditLog.deleteMany({ where: { createdAt: { lt: cutoff } } });
+    return count;
+  }
+}
+
+export const auditLogService = new AuditLogService();
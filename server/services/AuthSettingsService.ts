@@ -0,0 +1,77 @@
+/**
+ * AuthSettingsService
+ *
+ * Reads and updates the singleton AuthSettings row that controls how users
+ * sign in (local passwords and/or OpenID Connect) and the two-factor policy
+ * for admins.
+ */
+import type { AuthSettings } from "@prisma/client";
+import prisma from "../prisma/singleton.js";
+import type { AuthSettingsData } from "../types/api/auth.js";
+
+export const DEFAULT_OIDC_BUTTON_LABEL = "Sign in with SSO";
+
+export type AuthSettingsValues = Omit<AuthSettings, "id" | "updatedAt">;
+
+const DEFAULT_AUTH_SETTINGS: AuthSettingsValues = {
+  passwordLoginEnabled: true,
+  oidcEnabled: false,
+  oidcIssuerUrl: null,
+  oidcClientId: null,
+  oidcClientSecret: null,
+  oidcScopes: "openid profile email",
+  oidcUsernameClaim: "preferred_username",
+  oidcGroupsClaim: "groups",
+  oidcAdminGroup: null,
+  oidcAutoProvision: true,
+  oidcLinkExistingUsers: false,
+  oidcButtonLabel: null,
+  requireTwoFactorForAdmins: false,
+};
+
+/**
+ * Current settings, falling back to defaults before anything has been saved
+ */
+export async function getAuthSettings(): Promise<AuthSettingsValues> {
+  const settings = await prisma.authSettings.findFirst();
+  if (!settings) return { ...DEFAULT_AUTH_SETTINGS };
+
+  const { id: _id, updatedAt: _updatedAt, ...values } = settings;
+  return values;
+}
+
+export async function updateAuthSettings(
+  data: Partial<AuthSettingsValues>
+): Promise<AuthSettingsValues> {
+  await prisma.authSettings.upsert({
+    where: { id: 1 },
+    update: data,
+    create: { id: 1, ...DEFAULT_AUTH_SETTINGS, ...data },
+  });
+  return getAuthSettings();
+}
+
+/**
+ * Whether OIDC is switched on and has enough configuration to start a login
+ */
+export function isOidcConfigured(settings: AuthSettingsValues): boolean {
+  return settings.oidcEnabled && !!settings.oidcIssuerUrl && !!settings.oidcClientId;
+}
+
+/**
+ * Password login can only be turned off while OIDC is usable, so a broken
+ * OIDC configuration never locks everyone out. ALLOW_PASSWORD_LOGIN=true
+ * re-enables it as a recovery hatch when the identity provider is down.
+ */
+export function isPasswordLoginEnabled(settings: AuthSettingsValues): boolean {
+  if (process.env.ALLOW_PASSWORD_LOGIN === "true") return true;
+  return settings.passwordLoginEnabled || !isOidcConfigured(settings);
+}
+
+/**
+ * Settings as returned to admins (the client secret is never sent back)
+ */
+export function toAuthSettingsData(settings: AuthSettingsValues): AuthSettingsData {
+  const { oidcClientSecret, ...rest } = settings;
+  return { ...rest, hasOidcClientSecret: !!oidcClientSecret };
+}
@@ -24,6 +24,7 @@ export interface ClipQueryOptions {
   isGenerated?: boolean;
   sceneId?: string;
   tagIds?: string[];
+  primaryTagIds?: string[];
   sceneTagIds?: string[];
   performerIds?: string[];
   studioId?: string;
@@ -110,12 +111,28 @@ class ClipQueryBuilder {
   }
 
   /**
-   * Build base WHERE clause (always filter deleted and excluded)
+   * Build base WHERE clause (always filter deleted and excluded).
+   * Scene exclusions come from the FROM clause JOIN; clips whose own primary
+   * tag or clip tags are hidden/restricted are dropped here. Tags excluded only
+   * for being "empty" are ignored, since marker-only tags have no scenes.
    */
-  private buildBaseWhere(): FilterClause {
+  private buildBaseWhere(userId: number): FilterClause {
     return {
-      sql: "c.deletedAt IS NULL AND s.deletedAt IS NULL AND e.id IS NULL",
-      params: [],
+      sql: `c.deletedAt IS NULL AND s.deletedAt IS NULL AND e.id IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM UserExcludedEntity pte
+          WHERE pte.userId = ? AND pte.entityType = 'tag' AND pte.reason != 'empty'
+          AND pte.entityId = c.primaryTagId
+          AND (pte.instanceId = '' OR pte.instanceId = c.primaryTagInstanceId)
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM ClipTag ect
+          JOIN UserExcludedEntity cte ON cte.userId = ? AND cte.entityType = 'tag' AND cte.reason != 'empty'
+            AND cte.entityId = ect.tagId
+            AND (cte.instanceId = '' OR cte.instanceId = ect.tagInstanceId)
+          WHERE ect.clipId = c.id AND ect.clipInstanceId = c.stashInstanceId
+        )`,
+      params: [userId, userId],
     };
   }
 
@@ -219,6 +236,21 @@ class ClipQueryBuilder {
     };
   }
 
+  /**
+   * Build primary tag filter (matches clips whose primary tag is ANY of these)
+   */
+  private buildPrimaryTagFilter(primaryTagIds: string[] | undefined): FilterClause {
+    if (!primaryTagIds || primaryTagIds.length === 0) {
+      return { sql: "", params: [] };
+    }
+    return buildDirectFilter(
+      coerceEntityRefs(primaryTagIds),
+      "c.primaryTagId",
+      "c.primaryTagInstanceId",
+      "INCLUDES"
+    );
+  }
+
   /**
    * Build scene tag filter (matches clips from scenes with ANY of these tags).
    * Note: parent alias is "c" (clip) — joins via c.sceneId/c.sceneInstanceId.
@@ -455,6 +487,7 @@ class ClipQueryBuilder {
       isGenerated,
       sceneId,
       tagIds,
+      primaryTagIds,
       sceneTagIds,
       performerIds,
       studioId,
@@ -465,7 +498,7 @@ class ClipQueryBuilder {
 
     // Build query components
     const fromClause = this.buildFromClause(userId);
-    const baseWhere = this.buildBaseWhere();
+    const baseWhere = this.buildBaseWhere(userId);
 
     const filters = this.combineFilters([
       baseWhere,
@@ -474,6 +507,7 @@ class ClipQueryBuilder {
       this.buildSceneIdFilter(sceneId),
       this.buildSearchFilter(q),
       this.buildTagFilter(tagIds),
+      this.buildPrimaryTagFilter(primaryTagIds),
       this.buildSceneTagFilter(sceneTagIds),
       this.buildPerformerFilter(performerIds),
       this.buildStudioFilter(studioId),
@@ -531,7 +565,7 @@ class ClipQueryBuilder {
     allowedInstanceIds?: string[]
   ): Promise<ClipWithRelations[]> {
     const fromClause = this.buildFromClause(userId);
-    const baseWhere = this.buildBaseWhere();
+    const baseWhere = this.buildBaseWhere(userId);
 
     const filters = this.combineFilters([
       baseWhere,
@@ -574,7 +608,7 @@ class ClipQueryBuilder {
     allowedInstanceIds?: string[]
   ): Promise<ClipWithRelations | null> {
     const fromClause = this.buildFromClause(userId);
-    const baseWhere = this.buildBaseWhere();
+    const baseWhere = this.buildBaseWhere(userId);
 
     const filters = this.combineFilters([
       baseWhere,
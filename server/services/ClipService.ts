@@ -8,6 +8,7 @@ export interface ClipQueryOptions {
   isGenerated?: boolean;
   sceneId?: string;
   tagIds?: string[];
+  primaryTagIds?: string[];
   sceneTagIds?: string[];
   performerIds?: string[];
   studioId?: string;
@@ -1,3 +1,10 @@
+import type { Prisma } from "@prisma/client";
+import {
+  FILTER_RULES_VERSION,
+  isVersionedFilterRules,
+  migrateFilterRules,
+} from "@peek/shared-types/filterRules.js";
+import type { FilterPresets } from "@peek/shared-types/api/user.js";
 import prisma from "../prisma/singleton.js";
 import { logger } from "../utils/logger.js";
 import { userStatsService } from "./UserStatsService.js";
@@ -93,6 +100,79 @@ const migrations: Migration[] = [
       }
     },
   },
+  {
+    name: "003_versioned_filter_rules",
+    description:
+      "Convert flat carousel and smart playlist rules to versioned rule groups and tag filter presets with their version",
+    run: async () => {
+      const asJson = (value: unknown) => value as Prisma.InputJsonValue;
+
+      const carousels = await prisma.userCarousel.findMany({
+        select: { id: true, rules: true },
+      });
+      let carouselCount = 0;
+      for (const carousel of carousels) {
+        if (isVersionedFilterRules(carousel.rules)) continue;
+        await prisma.userCarousel.update({
+          where: { id: carousel.id },
+          data: { rules: asJson(migrateFilterRules(carousel.rules)) },
+        });
+        carouselCount++;
+      }
+
+      const playlists = await prisma.playlist.findMany({
+        where: { type: "smart" },
+        select: { id: true, rules: true, updatedAt: true },
+      });
+      let playlistCount = 0;
+      for (const playlist of playlists) {
+        if (playlist.rules === null || isVersionedFilterRules(playlist.rules)) continue;
+        await prisma.playlist.update({
+          where: { id: playlist.id },
+          // Keep updatedAt so the playlist isn't reported as changed
+          data: {
+            rules: asJson(migrateFilterRules(playlist.rules)),
+            updatedAt: playlist.updatedAt,
+          },
+        });
+        playlistCount++;
+      }
+
+      // A preset's flat filters already read as the top-level AND group, so
+      // presets only need the version stamped on them
+      const users = await prisma.user.findMany({
+        select: { id: true, filterPresets: true },
+      });
+      let presetCount = 0;
+      for (const user of users) {
+        const presets = user.filterPresets as FilterPresets | null;
+        if (!presets) continue;
+
+        let changed = false;
+        for (const list of Object.values(presets)) {
+          for (const preset of list ?? []) {
+            if (preset.version === undefined) {
+              preset.version = FILTER_RULES_VERSION;
+              changed = true;
+              presetCount++;
+            }
+          }
+        }
+        if (changed) {
+          await prisma.user.update({
+            where: { id: user.id },
+            data: { filterPresets: asJson(presets) },
+          });
+        }
+      }
+
+      logger.info("[Migration 003] Versioned filter rules", {
+        carousels: carouselCount,
+        smartPlaylists: playlistCount,
+        filterPresets: presetCount,
+      });
+    },
+  },
 ];
 
 class DataMigrationService {
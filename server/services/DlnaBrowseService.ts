@@ -0,0 +1,508 @@
+/**
+ * DlnaBrowseService
+ *
+ * Builds the per-user ContentDirectory tree served to DLNA renderers:
+ *
+ *   0 (root)
+ *   ├── recent                      Recently Added scenes
+ *   ├── playlists
+ *   │   └── playlist/<id>           scenes in playlist order
+ *   ├── performers
+ *   │   └── performer/<inst>/<id>   scenes featuring the performer
+ *   ├── studios
+ *   │   └── studio/<inst>/<id>
+ *   ├── tags
+ *   │   └── tag/<inst>/<id>
+ *   └── favorites                   favorited scenes
+ *
+ * Scenes are leaf items with ID scene/<inst>/<id>. Every listing goes
+ * through the query builders as the bound user, so UserExcludedEntity and
+ * instance selection apply exactly as they do in the web UI.
+ */
+import { makeEntityRef } from "@peek/shared-types/instanceAwareId.js";
+import type { NormalizedScene } from "@peek/shared-types";
+import { CriterionModifier } from "../graphql/generated/graphql.js";
+import prisma from "../prisma/singleton.js";
+import type { PeekSceneFilter } from "../types/index.js";
+import { DLNA_PATH, videoMimeType } from "../utils/dlnaXml.js";
+import type { DidlContainer, DidlItem, DidlObject } from "../utils/dlnaXml.js";
+import { getSceneFallbackTitle } from "../utils/titleUtils.js";
+import { performerQueryBuilder } from "./PerformerQueryBuilder.js";
+import { sceneQueryBuilder } from "./SceneQueryBuilder.js";
+import { isSmartPlaylist, smartPlaylistService } from "./SmartPlaylistService.js";
+import { stashInstanceManager } from "./StashInstanceManager.js";
+import { studioQueryBuilder } from "./StudioQueryBuilder.js";
+import { tagQueryBuilder } from "./TagQueryBuilder.js";
+
+/** Largest page returned for one Browse call (RequestedCount 0 means "all") */
+export const DLNA_MAX_PAGE_SIZE = 200;
+
+/** How many scenes "Recently Added" lists */
+export const DLNA_RECENT_LIMIT = 200;
+
+export const DLNA_ROOT_ID = "0";
+
+/** Shown at the root for devices an admin hasn't bound to a user yet */
+export const DLNA_UNLINKED_ID = "unlinked";
+
+export interface DlnaBrowseContext {
+  userId: number;
+  allowedInstanceIds: string[];
+  /** Absolute base URL (no trailing slash) used for stream and artwork links */
+  baseUrl: string;
+}
+
+export interface DlnaBrowseResult {
+  objects: DidlObject[];
+  totalMatches: number;
+}
+
+/**
+ * Thrown for object IDs that don't exist or aren't visible to the user.
+ * Mapped to UPnP error 701 (No such object).
+ */
+export class DlnaObjectNotFoundError extends Error {
+  constructor(objectId: string) {
+    super(`No such object: ${objectId}`);
+    this.name = "DlnaObjectNotFoundError";
+  }
+}
+
+type EntityKind = "performer" | "studio" | "tag";
+
+interface Page<T> {
+  items: T[];
+  total: number;
+}
+
+const TOP_LEVEL: Array<{ id: string; title: string }> = [
+  { id: "recent", title: "Recently Added" },
+  { id: "playlists", title: "Playlists" },
+  { id: "performers", title: "Performers" },
+  { id: "studios", title: "Studios" },
+  { id: "tags", title: "Tags" },
+  { id: "favorites", title: "Favorites" },
+];
+
+const ENTITY_LIST_IDS: Record<string, EntityKind> = {
+  performers: "performer",
+  studios: "studio",
+  tags: "tag",
+};
+
+/**
+ * Fetch the window [start, start + count) using a page-based query.
+ * Renderers almost always request aligned pages; unaligned windows fall
+ * back to reading from the top and slicing.
+ */
+async function fetchWindow<T>(
+  start: number,
+  count: number,
+  fetchPage: (page: number, perPage: number) => Promise<Page<T>>
+): Promise<Page<T>> {
+  if (start % count === 0) {
+    return fetchPage(start / count + 1, count);
+  }
+  const { items, total } = await fetchPage(1, start + count);
+  return { items: items.slice(start), total };
+}
+
+function parseEntityId(objectId: string): { kind: string; instanceId: string; id: string } | null {
+  const parts = objectId.split("/");
+  if (parts.length !== 3 || !parts[1] || !parts[2]) return null;
+  return { kind: parts[0] as string, instanceId: parts[1], id: parts[2] };
+}
+
+class DlnaBrowseService {
+  /**
+   * Browse the tree. `context` is null for devices that aren't bound to a
+   * user; they only see a placeholder folder.
+   */
+  async browse(
+    context: DlnaBrowseContext | null,
+    objectId: string,
+    mode: "metadata" | "children",
+    startingIndex: number,
+    requestedCount: number
+  ): Promise<DlnaBrowseResult> {
+    const start = Math.max(0, startingIndex);
+    const count =
+      requestedCount <= 0 || requestedCount > DLNA_MAX_PAGE_SIZE
+        ? DLNA_MAX_PAGE_SIZE
+        : requestedCount;
+
+    if (!context) {
+      return this.browseUnlinked(objectId, mode);
+    }
+
+    if (mode === "metadata") {
+      const object = await this.getMetadata(context, objectId);
+      return { objects: [object], totalMatches: 1 };
+    }
+
+    return this.getChildren(context, objectId, start, count);
+  }
+
+  /**
+   * Look up a scene the user is allowed to stream
+   */
+  async getScene(
+    context: DlnaBrowseContext,
+    instanceId: string,
+    sceneId: string
+  ): Promise<NormalizedScene | null> {
+    const { scenes } = await this.queryScenes(
+      context,
+      { ids: { value: [makeEntityRef(sceneId, instanceId)], modifier: "INCLUDES" } },
+      "created_at",
+      "DESC",
+      1,
+      1
+    );
+    return scenes[0] ?? null;
+  }
+
+  private browseUnlinked(objectId: string, mode: "metadata" | "children"): DlnaBrowseResult {
+    const placeholder: DidlContainer = {
+      kind: "container",
+      id: DLNA_UNLINKED_ID,
+      parentId: DLNA_ROOT_ID,
+      title: "Ask a Peek admin to link this device",
+      childCount: 0,
+    };
+
+    if (objectId === DLNA_ROOT_ID) {
+      return mode === "metadata"
+        ? { objects: [this.rootContainer(1)], totalMatches: 1 }
+        : { objects: [placeholder], totalMatches: 1 };
+    }
+    if (objectId === DLNA_UNLINKED_ID) {
+      return mode === "metadata"
+        ? { objects: [placeholder], totalMatches: 1 }
+        : { objects: [], totalMatches: 0 };
+    }
+    throw new DlnaObjectNotFoundError(objectId);
+  }
+
+  private rootContainer(childCount: number): DidlContainer {
+    return { kind: "container", id: DLNA_ROOT_ID, parentId: "-1", title: "Peek", childCount };
+  }
+
+  private async getMetadata(context: DlnaBrowseContext, objectId: string): Promise<DidlObject> {
+    if (objectId === DLNA_ROOT_ID) {
+      return this.rootContainer(TOP_LEVEL.length);
+    }
+
+    const topLevel = TOP_LEVEL.find((entry) => entry.id === objectId);
+    if (topLevel) {
+      return { kind: "container", id: topLevel.id, parentId: DLNA_ROOT_ID, title: topLevel.title };
+    }
+
+    if (objectId.startsWith("playlist/")) {
+      const playlist = await this.findPlaylist(context, objectId);
+      return this.playlistContainer(playlist);
+    }
+
+    const parsed = parseEntityId(objectId);
+    if (parsed?.kind === "scene") {
+      const scene = await this.getScene(context, parsed.instanceId, parsed.id);
+      if (!scene) throw new DlnaObjectNotFoundError(objectId);
+      // Renderers don't need the real parent of a leaf; root is always valid
+      return this.sceneItem(context, scene, DLNA_ROOT_ID);
+    }
+    if (parsed && (parsed.kind === "performer" || parsed.kind === "studio" || parsed.kind === "tag")) {
+      const { items } = await this.queryEntities(
+        context,
+        parsed.kind,
+        1,
+        1,
+        [makeEntityRef(parsed.id, parsed.instanceId)]
+      );
+      if (!items[0]) throw new DlnaObjectNotFoundError(objectId);
+      return items[0];
+    }
+
+    throw new DlnaObjectNotFoundError(objectId);
+  }
+
+  private async getChildren(
+    context: DlnaBrowseContext,
+    objectId: string,
+    start: number,
+    count: number
+  ): Promise<DlnaBrowseResult> {
+    if (objectId === DLNA_ROOT_ID) {
+      const all: DidlContainer[] = TOP_LEVEL.map((entry) => ({
+        kind: "container",
+        id: entry.id,
+        parentId: DLNA_ROOT_ID,
+        title: entry.title,
+      }));
+      return { objects: all.slice(start, start + count), totalMatches: all.length };
+    }
+
+    if (objectId === "recent") {
+      if (start >= DLNA_RECENT_LIMIT) {
+        return { objects: [], totalMatches: DLNA_RECENT_LIMIT };
+      }
+      const page = await this.sceneWindow(
+        context,
+        objectId,
+        {},
+        "created_at",
+        "DESC",
+        start,
+        Math.min(count, DLNA_RECENT_LIMIT - start)
+      );
+      return { ...page, totalMatches: Math.min(page.totalMatches, DLNA_RECENT_LIMIT) };
+    }
+
+    if (objectId === "favorites") {
+      return this.sceneWindow(context, objectId, { favorite: true }, "title", "ASC", start, count);
+    }
+
+    if (objectId === "playlists") {
+      const where = { userId: context.userId };
+      const [playlists, total] = await Promise.all([
+        prisma.playlist.findMany({
+          where,
+          orderBy: { name: "asc" },
+          skip: start,
+          take: count,
+          include: { _count: { select: { items: true } } },
+        }),
+        prisma.playlist.count({ where }),
+      ]);
+      return {
+        objects: playlists.map((playlist) => this.playlistContainer(playlist)),
+        totalMatches: total,
+      };
+    }
+
+    if (objectId.startsWith("playlist/")) {
+      return this.playlistChildren(context, objectId, start, count);
+    }
+
+    const listKind = ENTITY_LIST_IDS[objectId];
+    if (listKind) {
+      const page = await fetchWindow(start, count, (p, perPage) =>
+        this.queryEntities(context, listKind, p, perPage)
+      );
+      return { objects: page.items, totalMatches: page.total };
+    }
+
+    const parsed = parseEntityId(objectId);
+    if (parsed && (parsed.kind === "performer" || parsed.kind === "studio" || parsed.kind === "tag")) {
+      const ref = {
+        value: [makeEntityRef(parsed.id, parsed.instanceId)],
+        modifier: CriterionModifier.Includes,
+      };
+      const filter: PeekSceneFilter =
+        parsed.kind === "performer"
+          ? { performers: ref }
+          : parsed.kind === "studio"
+            ? { studios: ref }
+            : { tags: ref };
+      return this.sceneWindow(context, objectId, filter, "date", "DESC", start, count);
+    }
+
+    throw new DlnaObjectNotFoundError(objectId);
+  }
+
+  private async sceneWindow(
+    context: DlnaBrowseContext,
+    parentId: string,
+    filters: PeekSceneFilter,
+    sort: string,
+    direction: "ASC" | "DESC",
+    start: number,
+    count: number
+  ): Promise<DlnaBrowseResult> {
+    const page = await fetchWindow(start, count, async (p, perPage) => {
+      const { scenes, total } = await this.queryScenes(context, filters, sort, direction, p, perPage);
+      return { items: scenes, total };
+    });
+    return {
+      objects: page.items.map((scene) => this.sceneItem(context, scene, parentId)),
+      totalMatches: page.total,
+    };
+  }
+
+  private queryScenes(
+    context: DlnaBrowseContext,
+    filters: PeekSceneFilter,
+    sort: string,
+    sortDirection: "ASC" | "DESC",
+    page: number,
+    perPage: number
+  ) {
+    return sceneQueryBuilder.execute({
+      userId: context.userId,
+      filters,
+      allowedInstanceIds: context.allowedInstanceIds,
+      sort,
+      sortDirection,
+      page,
+      perPage,
+    });
+  }
+
+  private async queryEntities(
+    context: DlnaBrowseContext,
+    kind: EntityKind,
+    page: number,
+    perPage: number,
+    ids?: ReturnType<typeof makeEntityRef>[]
+  ): Promise<Page<DidlContainer>> {
+    const options = {
+      userId: context.userId,
+      allowedInstanceIds: context.allowedInstanceIds,
+      sort: "name",
+      sortDirection: "ASC" as const,
+      page,
+      perPage,
+    };
+    // Listings skip entities without scenes; a renderer can't play an empty folder
+    const filters = ids
+      ? { ids: { value: ids, modifier: "INCLUDES" } }
+      : { scene_count: { value: 0, modifier: CriterionModifier.GreaterThan } };
+    const listId = `${kind}s`;
+
+    const toContainer = (entity: {
+      id: string;
+      instanceId: string;
+      name: string;
+      image_path?: string | null;
+      scene_count?: number | null;
+    }): DidlContainer => ({
+      kind: "container",
+      id: `${kind}/${entity.instanceId}/${entity.id}`,
+      parentId: listId,
+      title: entity.name,
+      childCount: entity.scene_count ?? undefined,
+      artUrl: this.absoluteUrl(context, entity.image_path),
+    });
+
+    if (kind === "performer") {
+      const { performers, total } = await performerQueryBuilder.execute({ ...options, filters });
+      return { items: performers.map(toContainer), total };
+    }
+    if (kind === "studio") {
+      const { studios, total } = await studioQueryBuilder.execute({ ...options, filters });
+      return { items: studios.map(toContainer), total };
+    }
+    const { tags, total } = await tagQueryBuilder.execute({ ...options, filters });
+    return { items: tags.map(toContainer), total };
+  }
+
+  private async findPlaylist(context: DlnaBrowseContext, objectId: string) {
+    const playlistId = Number(objectId.slice("playlist/".length));
+    const playlist = Number.isInteger(playlistId)
+      ? await prisma.playlist.findFirst({
+          where: { id: playlistId, userId: context.userId },
+          include: { _count: { select: { items: true } } },
+        })
+      : null;
+    if (!playlist) throw new DlnaObjectNotFoundError(objectId);
+    return playlist;
+  }
+
+  private playlistContainer(playlist: {
+    id: number;
+    name: string;
+    _count: { items: number };
+  }): DidlContainer {
+    return {
+      kind: "container",
+      id: `playlist/${playlist.id}`,
+      parentId: "playlists",
+      title: playlist.name,
+      childCount: playlist._count.items,
+    };
+  }
+
+  private async playlistChildren(
+    context: DlnaBrowseContext,
+    objectId: string,
+    start: number,
+    count: number
+  ): Promise<DlnaBrowseResult> {
+    const playlist = await this.findPlaylist(context, objectId);
+    // Smart playlists only materialize their items when opened
+    if (isSmartPlaylist(playlist) && start === 0) {
+      await smartPlaylistService.refresh(playlist.id);
+    }
+
+    // Items saved before multi-instance support have no instance; they belong to the default one
+    const defaultInstanceId = stashInstanceManager.getDefaultConfig().id;
+    const items = (
+      await prisma.playlistItem.findMany({
+        where: { playlistId: playlist.id },
+        orderBy: { position: "asc" },
+        select: { sceneId: true, instanceId: true },
+      })
+    ).map((item) => ({ sceneId: item.sceneId, instanceId: item.instanceId ?? defaultInstanceId }));
+    if (items.length === 0) {
+      return { objects: [], totalMatches: 0 };
+    }
+
+    // Drops excluded scenes and instances the user can no longer see
+    const { scenes } = await this.queryScenes(
+      context,
+      {
+        ids: {
+          value: items.map((item) => makeEntityRef(item.sceneId, item.instanceId)),
+          modifier: "INCLUDES",
+        },
+      },
+      "created_at",
+      "DESC",
+      1,
+      items.length
+    );
+    const byKey = new Map(scenes.map((scene) => [`${scene.id}:${scene.instanceId}`, scene]));
+    const ordered = items
+      .map((item) => byKey.get(`${item.sceneId}:${item.instanceId}`))
+      .filter((scene): scene is NormalizedScene => scene !== undefined);
+
+    return {
+      objects: ordered
+        .slice(start, start + count)
+        .map((scene) => this.sceneItem(context, scene, objectId)),
+      totalMatches: ordered.length,
+    };
+  }
+
+  private sceneItem(context: DlnaBrowseContext, scene: NormalizedScene, parentId: string): DidlItem {
+    const file = scene.files[0];
+    return {
+      kind: "item",
+      id: `scene/${scene.instanceId}/${scene.id}`,
+      parentId,
+      title: scene.title || getSceneFallbackTitle(file?.path ?? null) || `Scene ${scene.id}`,
+      date: scene.date,
+      description: scene.details,
+      artUrl: this.absoluteUrl(context, scene.paths.screenshot),
+      resource: {
+        url: `${context.baseUrl}${DLNA_PATH}/media/${encodeURIComponent(scene.instanceId)}/${encodeURIComponent(scene.id)}`,
+        mimeType: videoMimeType(file?.path),
+        size: file?.size,
+        duration: file?.duration,
+        width: file?.width,
+        height: file?.height,
+        bitrate: file?.bit_rate,
+      },
+    };
+  }
+
+  /**
+   * Artwork paths are Peek proxy paths (/api/proxy/...); renderers need
+   * absolute URLs.
+   */
+  private absoluteUrl(context: DlnaBrowseContext, url: string | null | undefined): string | null {
+    if (!url) return null;
+    return url.startsWith("/") ? `${context.baseUrl}${url}` : url;
+  }
+}
+
+export const dlnaBrowseService = new DlnaBrowseService();
@@ -0,0 +1,179 @@
+/**
+ * DlnaService
+ *
+ * Settings and device registry for the DLNA media server, and the switch
+ * that starts or stops SSDP discovery to match the saved settings.
+ *
+ * DLNA has no login: renderers are identified by IP address. Every address
+ * that talks to the server is recorded so an admin can bind it to the Peek
+ * user it browses as; unbound devices see an empty library. Since anything
+ * on the network can do that, devices an admin hasn't bound or named are
+ * dropped once stale, and only the most recently seen of them are kept.
+ */
+import { randomUUID } from "crypto";
+import type { DlnaDevice, DlnaSettings } from "@prisma/client";
+import prisma from "../prisma/singleton.js";
+import type { DlnaDeviceData, DlnaSettingsData } from "../types/api/index.js";
+import { normalizeAddress } from "../utils/clientAddress.js";
+import { DLNA_PATH } from "../utils/dlnaXml.js";
+import { logger } from "../utils/logger.js";
+import { ssdpServer } from "./SsdpServer.js";
+
+/** Minimum time between lastSeenAt writes for the same device */
+const DEVICE_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/** Unbound, unnamed devices kept for binding; the least recently seen go first */
+export const MAX_UNCLAIMED_DEVICES = 50;
+
+/** Unbound, unnamed devices not seen for this long are removed */
+const UNCLAIMED_DEVICE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Devices an admin hasn't bound to a user or given a name */
+const UNCLAIMED_DEVICE_WHERE = { userId: null, name: null };
+
+export type DlnaDeviceWithUser = DlnaDevice & { user: { username: string } | null };
+
+export function toDlnaSettingsData(settings: DlnaSettings): DlnaSettingsData {
+  return {
+    enabled: settings.enabled,
+    friendlyName: settings.friendlyName,
+    baseUrl: settings.baseUrl,
+    deviceUuid: settings.deviceUuid,
+  };
+}
+
+export function toDlnaDeviceData(device: DlnaDeviceWithUser): DlnaDeviceData {
+  return {
+    id: device.id,
+    address: device.address,
+    userAgent: device.userAgent,
+    name: device.name,
+    userId: device.userId,
+    username: device.user?.username ?? null,
+    lastSeenAt: device.lastSeenAt.toISOString(),
+    createdAt: device.createdAt.toISOString(),
+  };
+}
+
+class DlnaService {
+  // Recently seen devices by address, so streaming doesn't hit the DB per range request
+  private devices = new Map<string, { device: DlnaDevice; touchedAt: number }>();
+
+  /**
+   * Read settings, creating the row (and the device UUID) on first use
+   */
+  async getSettings(): Promise<DlnaSettings> {
+    const existing = await prisma.dlnaSettings.findFirst();
+    if (existing) return existing;
+
+    return prisma.dlnaSettings.upsert({
+      where: { id: 1 },
+      create: { id: 1, deviceUuid: randomUUID() },
+      update: {},
+    });
+  }
+
+  async updateSettings(
+    data: Partial<Pick<DlnaSettings, "enabled" | "friendlyName" | "baseUrl">>
+  ): Promise<DlnaSettings> {
+    await this.getSettings();
+    return prisma.dlnaSettings.update({ where: { id: 1 }, data });
+  }
+
+  /**
+   * Start or stop SSDP discovery to match the saved settings.
+   * Returns whether the server is being advertised.
+   */
+  async applySettings(): Promise<boolean> {
+    const settings = await this.getSettings();
+
+    if (!settings.enabled || !settings.baseUrl) {
+      if (ssdpServer.isRunning()) {
+        await ssdpServer.stop();
+        logger.info("DLNA media server stopped");
+      }
+      return false;
+    }
+
+    return ssdpServer.start({
+      deviceUuid: settings.deviceUuid,
+      location: `${settings.baseUrl}${DLNA_PATH}/description.xml`,
+    });
+  }
+
+  isAdvertising(): boolean {
+    return ssdpServer.isRunning();
+  }
+
+  async shutdown(): Promise<void> {
+    await ssdpServer.stop();
+  }
+
+  /**
+   * Record that a device made a request and return its current binding
+   */
+  async touchDevice(address: string, userAgent: string | undefined): Promise<DlnaDevice> {
+    const key = normalizeAddress(address);
+    const cached = this.devices.get(key);
+    if (cached && Date.now() - cached.touchedAt < DEVICE_TOUCH_INTERVAL_MS) {
+      return cached.device;
+    }
+
+    const agent = userAgent ? userAgent.slice(0, 255) : null;
+    const known = await prisma.dlnaDevice.findUnique({ where: { address: key }, select: { id: true } });
+    if (!known) {
+      await this.pruneUnclaimedDevices();
+    }
+
+    const device = await prisma.dlnaDevice.upsert({
+      where: { address: key },
+      create: { address: key, userAgent: agent },
+      update: { lastSeenAt: new Date(), ...(agent && { userAgent: agent }) },
+    });
+    this.devices.set(key, { device, touchedAt: Date.now() });
+    return device;
+  }
+
+  /**
+   * Make room for a new device: remove stale unclaimed devices, then the
+   * least recently seen ones beyond the limit
+   */
+  private async pruneUnclaimedDevices(): Promise<void> {
+    await prisma.dlnaDevice.deleteMany({
+      where: { ...UNCLAIMED_DEVICE_WHERE, lastSeenAt: { lt: new Date(Date.now() - UNCLAIMED_DEVICE_TTL_MS) } },
+    });
+
+    const excess = await prisma.dlnaDevice.findMany({
+      where: UNCLAIMED_DEVICE_WHERE,
+      orderBy: { lastSeenAt: "desc" },
+      skip: MAX_UNCLAIMED_DEVICES - 1,
+      select: { id: true, address: true },
+    });
+    // Expired cache entries would be re-read anyway; drop them with the rows
+    for (const [address, { touchedAt }] of this.devices) {
+      if (Date.now() - touchedAt >= DEVICE_TOUCH_INTERVAL_MS) this.devices.delete(address);
+    }
+    if (excess.length === 0) return;
+
+    await prisma.dlnaDevice.deleteMany({ where: { id: { in: excess.map((d) => d.id) } } });
+    for (const { address } of excess) {
+      this.devices.delete(address);
+    }
+  }
+
+  /**
+   * Drop cached bindings after an admin change so it applies immediately
+   */
+  invalidateDevices(): void {
+    this.devices.clear();
+  }
+
+  async listDevices(): Promise<DlnaDeviceWithUser[]> {
+    return prisma.dlnaDevice.findMany({
+      include: { user: { select: { username: true } } },
+      orderBy: { lastSeenAt: "desc" },
+    });
+  }
+}
+
+export const dlnaService = new DlnaService();
@@ -0,0 +1,206 @@
+/**
+ * DownloadQueueService
+ *
+ * Runs playlist ZIP builds from the PENDING downloads in the database, so
+ * the queue survives restarts.
+ *
+ * - At most DownloadSettings.maxConcurrent builds run at once, and at most
+ *   maxConcurrentPerUser for any one user
+ * - Higher priorities start first, then the oldest. A user at their limit
+ *   doesn't hold up other users' downloads behind them
+ * - Pausing or cancelling a running build aborts it and frees its slot.
+ *   The ZIP is written in one pass, so a resumed build starts over
+ */
+import { AppError, NotFoundError } from "../middleware/errorHandler.js";
+import type { DownloadPriority } from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+import { downloadService } from "./DownloadService.js";
+import { playlistZipService } from "./PlaylistZipService.js";
+
+interface RunningBuild {
+  userId: number;
+  controller: AbortController;
+  /** Settles once the build has stopped and cleaned up */
+  done: Promise<void>;
+}
+
+class DownloadQueueService {
+  private running = new Map<number, RunningBuild>();
+  private pumping: Promise<void> | null = null;
+  // Set when the queue changes during a pump, so the pump looks again
+  private dirty = false;
+
+  /**
+   * Requeue builds interrupted by a restart and start the queue
+   */
+  async start(): Promise<void> {
+    const requeued = await downloadService.requeueInterrupted();
+    if (requeued > 0) {
+      logger.info(`Requeued ${requeued} interrupted playlist download(s)`);
+    }
+    await this.pump();
+  }
+
+  /**
+   * Start as many queued builds as the limits allow. Concurrent calls share
+   * one run.
+   */
+  pump(): Promise<void> {
+    this.dirty = true;
+    this.pumping ??= this.fill().finally(() => {
+      this.pumping = null;
+    });
+    return this.pumping;
+  }
+
+  /**
+   * Stop a queued or running build; it keeps its place in history as PAUSED
+   */
+  async pause(downloadId: number, userId: number) {
+    const download = await this.getOwned(downloadId, userId);
+    if (download.status !== "PENDING" && download.status !== "PROCESSING") {
+      throw new AppError("Only queued or running downloads can be paused", 400);
+    }
+
+    await this.abort(downloadId);
+    const paused = await downloadService.setQueueStatus(downloadId, "PAUSED");
+    void this.pump();
+    return paused;
+  }
+
+  /**
+   * Queue a paused build again
+   */
+  async resume(downloadId: number, userId: number) {
+    const download = await this.getOwned(downloadId, userId);
+    if (download.status !== "PAUSED") {
+      throw new AppError("Only paused downloads can be resumed", 400);
+    }
+
+    const queued = await downloadService.setQueueStatus(downloadId, "PENDING");
+    void this.pump();
+    return queued;
+  }
+
+  /**
+   * Stop a build for good and drop its partial ZIP
+   */
+  async cancel(downloadId: number, userId: number) {
+    const download = await this.getOwned(downloadId, userId);
+    if (!["PENDING", "PROCESSING", "PAUSED"].includes(download.status)) {
+      throw new AppError("Only unfinished downloads can be cancelled", 400);
+    }
+
+    await this.abort(downloadId);
+    const cancelled = await downloadService.setQueueStatus(
+      downloadId,
+      "CANCELLED"
+    );
+    void this.pump();
+    return cancelled;
+  }
+
+  /**
+   * Queue a failed or cancelled build again
+   */
+  async retry(downloadId: number) {
+    const queued = await downloadService.setQueueStatus(downloadId, "PENDING");
+    void this.pump();
+    return queued;
+  }
+
+  async setPriority(
+    downloadId: number,
+    userId: number,
+    priority: DownloadPriority
+  ) {
+    const download = await this.getOwned(downloadId, userId);
+    if (download.status !== "PENDING" && download.status !== "PAUSED") {
+      throw new AppError(
+        "Only queued or paused downloads can be reprioritized",
+        400
+      );
+    }
+
+    const updated = await downloadService.setPriority(downloadId, priority);
+    void this.pump();
+    return updated;
+  }
+
+  /**
+   * Abort a running build, if any, and wait for it to stop. Used before a
+   * download is deleted.
+   */
+  async abort(downloadId: number): Promise<void> {
+    const build = this.running.get(downloadId);
+    if (!build) return;
+    build.controller.abort();
+    await build.done;
+  }
+
+  // ==================== Private Methods ====================
+
+  private async getOwned(downloadId: number, userId: number) {
+    const download = await downloadService.getDownload(downloadId);
+    if (
+      !download ||
+      download.userId !== userId ||
+      download.type !== "PLAYLIST"
+    ) {
+      throw new NotFoundError("Download not found");
+    }
+    return download;
+  }
+
+  private async fill(): Promise<void> {
+    try {
+      while (this.dirty) {
+        this.dirty = false;
+        const settings = await downloadService.getSettings();
+        if (this.running.size >= settings.maxConcurrent) return;
+
+        const perUser = new Map<number, number>();
+        for (const build of this.running.values()) {
+          perUser.set(build.userId, (perUser.get(build.userId) ?? 0) + 1);
+        }
+
+        for (const download of await downloadService.getQueued()) {
+          if (this.running.size >= settings.maxConcurrent) break;
+          if (this.running.has(download.id)) continue;
+          const userCount = perUser.get(download.userId) ?? 0;
+          if (userCount >= settings.maxConcurrentPerUser) continue;
+
+          // Skip downloads paused or cancelled since the queue was read
+          if (!(await downloadService.claimQueued(download.id))) continue;
+          perUser.set(download.userId, userCount + 1);
+          this.run(download.id, download.userId);
+        }
+      }
+    } catch (error) {
+      logger.error("Download queue run failed", {
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  private run(downloadId: number, userId: number): void {
+    const controller = new AbortController();
+    const done = playlistZipService
+      .createZip(downloadId, controller.signal)
+      .catch((error: unknown) => {
+        if (controller.signal.aborted) return;
+        logger.error("Background zip creation failed", {
+          downloadId,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      })
+      .finally(() => {
+        this.running.delete(downloadId);
+        void this.pump();
+      });
+
+    this.running.set(downloadId, { userId, controller, done });
+  }
+}
+
+export const downloadQueueService = new DownloadQueueService();
@@ -1,8 +1,45 @@
+import fs from "fs/promises";
 import prisma from "../prisma/singleton.js";
-import type { Download, DownloadType, DownloadStatus } from "@prisma/client";
+import type {
+  Download,
+  DownloadSettings,
+  DownloadType,
+  DownloadStatus,
+} from "@prisma/client";
+import type {
+  DownloadPriority,
+  DownloadSettingsData,
+  DownloadUsage,
+  PlaylistZipLayout,
+  SerializedDownload,
+} from "../types/api/index.js";
+import {
+  DEFAULT_PLAYLIST_ZIP_LAYOUT,
+  isPlaylistZipLayout,
+} from "../utils/zipLayouts.js";
+import { eventBusService } from "./EventBusService.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const MAX_DOWNLOAD_CONCURRENT_LIMIT = 8;
+export const MAX_DOWNLOAD_EXPIRY_HOURS = 24 * 30;
+
+/** Stored Download.priority for each named priority */
+export const DOWNLOAD_PRIORITIES: Record<DownloadPriority, number> = {
+  low: -1,
+  normal: 0,
+  high: 1,
+};
+
+export function isDownloadPriority(value: unknown): value is DownloadPriority {
+  return (
+    typeof value === "string" &&
+    Object.keys(DOWNLOAD_PRIORITIES).includes(value)
+  );
+}
 
-/** 24 hours in milliseconds for download expiry */
-const DOWNLOAD_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const priorityName = (priority: number | undefined): DownloadPriority =>
+  !priority ? "normal" : priority > 0 ? "high" : "low";
 
 export interface DownloadRecord {
   id: number;
@@ -18,8 +55,54 @@ export interface DownloadRecord {
   progress: number;
   error: string | null;
   createdAt: Date;
+  startedAt: Date | null;
   completedAt: Date | null;
   expiresAt: Date | null;
+  priority: number;
+  zipLayout: string | null;
+  zipCaptions: boolean;
+  zipChapters: boolean;
+}
+
+export interface PlaylistZipOptions {
+  layout: PlaylistZipLayout;
+  includeCaptions: boolean;
+  includeChapters: boolean;
+  priority?: DownloadPriority;
+}
+
+/** Limits on a user's finished playlist ZIPs, from their groups */
+export interface DownloadLimits {
+  expiryHours: number;
+  /** null when unlimited */
+  quotaBytes: bigint | null;
+}
+
+/**
+ * Serialize a download record for JSON response.
+ * Converts BigInt fileSize to string since JSON doesn't support BigInt.
+ */
+export function serializeDownload(
+  download: DownloadRecord
+): SerializedDownload {
+  return {
+    ...download,
+    fileSize: download.fileSize !== null ? download.fileSize.toString() : null,
+    priority: priorityName(download.priority),
+    zipLayout: isPlaylistZipLayout(download.zipLayout)
+      ? download.zipLayout
+      : null,
+  };
+}
+
+export function toDownloadSettingsData(
+  settings: DownloadSettings
+): DownloadSettingsData {
+  return {
+    maxConcurrent: settings.maxConcurrent,
+    maxConcurrentPerUser: settings.maxConcurrentPerUser,
+    expiryHours: settings.expiryHours,
+  };
 }
 
 export class DownloadService {
@@ -111,7 +194,12 @@ export class DownloadService {
    */
   async createPlaylistDownload(
     userId: number,
-    playlistId: number
+    playlistId: number,
+    options: PlaylistZipOptions = {
+      layout: DEFAULT_PLAYLIST_ZIP_LAYOUT,
+      includeCaptions: false,
+      includeChapters: false,
+    }
   ): Promise<DownloadRecord> {
     const playlist = await prisma.playlist.findUnique({
       where: { id: playlistId },
@@ -132,9 +220,14 @@ export class DownloadService {
         playlistId,
         fileName,
         progress: 0,
+        zipLayout: options.layout,
+        zipCaptions: options.includeCaptions,
+        zipChapters: options.includeChapters,
+        priority: DOWNLOAD_PRIORITIES[options.priority ?? "normal"],
       },
     });
 
+    this.publish(download);
     return download as DownloadRecord;
   }
 
@@ -197,24 +290,36 @@ export class DownloadService {
     downloadId: number,
     progress: number
   ): Promise<Download> {
-    return prisma.download.update({
+    const download = await prisma.download.update({
       where: { id: downloadId },
       data: { progress, status: "PROCESSING" },
     });
+    this.publish(download);
+    return download;
   }
 
   /**
-   * Mark a download as completed with file path and 24h expiry.
+   * Mark a download as completed, expiring after the user's group limit or
+   * the server default.
    */
   async markCompleted(
     downloadId: number,
     filePath: string,
     fileSize: bigint
   ): Promise<Download> {
+    const existing = await prisma.download.findUnique({
+      where: { id: downloadId },
+      select: { userId: true },
+    });
+    if (!existing) {
+      throw new Error("Download not found");
+    }
+    const { userId } = existing;
+    const { expiryHours } = await this.getUserLimits(userId);
     const now = new Date();
-    const expiresAt = new Date(now.getTime() + DOWNLOAD_EXPIRY_MS);
+    const expiresAt = new Date(now.getTime() + expiryHours * HOUR_MS);
 
-    return prisma.download.update({
+    const download = await prisma.download.update({
       where: { id: downloadId },
       data: {
         status: "COMPLETED",
@@ -225,25 +330,174 @@ export class DownloadService {
         expiresAt,
       },
     });
+    this.publish(download);
+    await this.publishUsage(userId);
+    return download;
   }
 
   /**
    * Mark a download as failed with an error message.
    */
   async markFailed(downloadId: number, error: string): Promise<Download> {
-    return prisma.download.update({
+    const download = await prisma.download.update({
       where: { id: downloadId },
       data: { status: "FAILED", error },
     });
+    this.publish(download);
+    return download;
+  }
+
+  /**
+   * Move a playlist download through the queue: PENDING waits for a slot,
+   * PAUSED and CANCELLED were stopped by the user. Requeueing starts the
+   * build over, so progress and errors are cleared.
+   */
+  async setQueueStatus(
+    downloadId: number,
+    status: "PENDING" | "PAUSED" | "CANCELLED"
+  ): Promise<Download> {
+    const download = await prisma.download.update({
+      where: { id: downloadId },
+      data:
+        status === "PENDING"
+          ? { status, progress: 0, error: null, startedAt: null }
+          : { status, startedAt: null },
+    });
+    this.publish(download);
+    return download;
   }
 
   /**
-   * Delete a download record. Only the owner can delete.
+   * Give a queued download a build slot. Returns null if it's no longer
+   * PENDING, e.g. paused since the queue was read.
+   */
+  async claimQueued(downloadId: number): Promise<Download | null> {
+    const { count } = await prisma.download.updateMany({
+      where: { id: downloadId, status: "PENDING" },
+      data: { status: "PROCESSING", progress: 0, startedAt: new Date() },
+    });
+    if (count === 0) return null;
+
+    const download = await this.getDownload(downloadId);
+    if (download) this.publish(download);
+    return download;
+  }
+
+  async setPriority(
+    downloadId: number,
+    priority: DownloadPriority
+  ): Promise<Download> {
+    const download = await prisma.download.update({
+      where: { id: downloadId },
+      data: { priority: DOWNLOAD_PRIORITIES[priority] },
+    });
+    this.publish(download);
+    return download;
+  }
+
+  /**
+   * Playlist downloads waiting for a slot, in the order they should run
+   */
+  async getQueued(): Promise<Download[]> {
+    return prisma.download.findMany({
+      where: { type: "PLAYLIST", status: "PENDING" },
+      orderBy: [{ priority: "desc" }, { createdAt: "asc" }],
+    });
+  }
+
+  /**
+   * Put builds that were running when the server stopped back in the queue.
+   * Returns how many were requeued.
+   */
+  async requeueInterrupted(): Promise<number> {
+    const { count } = await prisma.download.updateMany({
+      where: { type: "PLAYLIST", status: "PROCESSING" },
+      data: { status: "PENDING", progress: 0, startedAt: null },
+    });
+    return count;
+  }
+
+  async getSettings(): Promise<DownloadSettings> {
+    const existing = await prisma.downloadSettings.findFirst();
+    if (existing) return existing;
+
+    return prisma.downloadSettings.upsert({
+      where: { id: 1 },
+      create: { id: 1 },
+      update: {},
+    });
+  }
+
+  async updateSettings(
+    data: Partial<DownloadSettingsData>
+  ): Promise<DownloadSettings> {
+    await this.getSettings();
+    return prisma.downloadSettings.update({ where: { id: 1 }, data });
+  }
+
+  /**
+   * The most generous limits among the user's groups. Users in no group get
+   * the server default expiry and no quota.
+   */
+  async getUserLimits(userId: number): Promise<DownloadLimits> {
+    const [settings, memberships] = await Promise.all([
+      this.getSettings(),
+      prisma.userGroupMembership.findMany({
+        where: { userId },
+        select: {
+          group: {
+            select: { downloadExpiryHours: true, downloadQuotaMb: true },
+          },
+        },
+      }),
+    ]);
+    const groups = memberships.map((m) => m.group);
+
+    if (groups.length === 0) {
+      return { expiryHours: settings.expiryHours, quotaBytes: null };
+    }
+
+    const expiryHours = Math.max(
+      ...groups.map((g) => g.downloadExpiryHours ?? settings.expiryHours)
+    );
+    const quotas = groups.map((g) => g.downloadQuotaMb);
+    const quotaBytes = quotas.some((quota) => quota === null)
+      ? null
+      : BigInt(Math.max(...(quotas as number[]))) * BigInt(1024 * 1024);
+
+    return { expiryHours, quotaBytes };
+  }
+
+  /**
+   * Disk used by the user's finished playlist ZIPs
+   */
+  async getUsedBytes(userId: number): Promise<bigint> {
+    const result = await prisma.download.aggregate({
+      where: { userId, type: "PLAYLIST", status: "COMPLETED" },
+      _sum: { fileSize: true },
+    });
+    return result._sum.fileSize ?? BigInt(0);
+  }
+
+  async getUsage(userId: number): Promise<DownloadUsage> {
+    const [usedBytes, limits] = await Promise.all([
+      this.getUsedBytes(userId),
+      this.getUserLimits(userId),
+    ]);
+    return {
+      usedBytes: usedBytes.toString(),
+      quotaBytes: limits.quotaBytes?.toString() ?? null,
+      expiryHours: limits.expiryHours,
+    };
+  }
+
+  /**
+   * Delete a download record and its ZIP file. Only the owner can delete.
    */
   async deleteDownload(downloadId: number, userId: number): Promise<void> {
     const download = await prisma.download.findUnique({
       where: { id: downloadId },
-      select: { id: true, userId: true },
+      select: { id: true, userId: true, filePath: true },
     });
 
     if (!download) {
@@ -257,6 +511,32 @@ export class DownloadService {
     await prisma.download.delete({
       where: { id: downloadId },
     });
+
+    if (download.filePath) {
+      await fs.rm(download.filePath, { force: true });
+    }
+
+    eventBusService.publishToUser(userId, {
+      type: "download-removed",
+      id: downloadId,
+    });
+    await this.publishUsage(userId);
+  }
+
+  private publish(download: Download): void {
+    if (!eventBusService.hasUser(download.userId)) return;
+    eventBusService.publishToUser(download.userId, {
+      type: "download",
+      download: serializeDownload(download),
+    });
+  }
+
+  private async publishUsage(userId: number): Promise<void> {
+    if (!eventBusService.hasUser(userId)) return;
+    eventBusService.publishToUser(userId, {
+      type: "download-usage",
+      usage: await this.getUsage(userId),
+    });
   }
 
   /**
@@ -0,0 +1,408 @@
+/**
+ * DuplicateSceneService
+ *
+ * Finds copies of the same video across all Stash instances by perceptual
+ * hash, and resolves a group of copies: the admin picks the one to keep,
+ * every user's watch history, ratings and playlist entries move to it, and
+ * Stash can optionally delete the other copies or merge them into it.
+ *
+ * Near matches are found without comparing every pair of scenes: split the
+ * 64-bit hash into (distance + 1) chunks, and two hashes within the distance
+ * must share at least one chunk exactly. Only scenes sharing a chunk are
+ * compared.
+ */
+import { ValidationError, NotFoundError } from "../middleware/errorHandler.js";
+import prisma from "../prisma/singleton.js";
+import { logger } from "../utils/logger.js";
+import { NEAR_DUPLICATE_DISTANCE, parsePhash, parseScenePhashes, popcount32 } from "../utils/phash.js";
+import { mergeReconciliationService } from "./MergeReconciliationService.js";
+import { stashInstanceManager } from "./StashInstanceManager.js";
+
+// Stash's "low accuracy" threshold; beyond it matches are mostly noise
+export const MAX_DUPLICATE_DISTANCE = 10;
+
+// Groups returned at most, largest first
+const MAX_GROUPS = 500;
+
+export type DuplicateStashAction = "none" | "delete" | "merge";
+
+export const DUPLICATE_STASH_ACTIONS: readonly DuplicateStashAction[] = ["none", "delete", "merge"];
+
+export interface DuplicateSceneRef {
+  id: string;
+  instanceId: string;
+}
+
+export interface DuplicateSceneInfo extends DuplicateSceneRef {
+  instanceName: string;
+  title: string | null;
+  date: string | null;
+  duration: number | null;
+  phash: string | null;
+  path: string | null;
+  width: number | null;
+  height: number | null;
+  frameRate: number | null;
+  bitRate: number | null;
+  videoCodec: string | null;
+  audioCodec: string | null;
+  size: number | null;
+  /** Watch history and rating rows across all users */
+  userActivityCount: number;
+  /** Best file of the group: highest resolution, then bitrate, then size */
+  recommended: boolean;
+}
+
+export interface DuplicateSceneGroup {
+  /** Stable key: the first member's instance and ID */
+  key: string;
+  match: "exact" | "near";
+  /** Largest hash distance between linked members */
+  distance: number;
+  scenes: DuplicateSceneInfo[];
+}
+
+export interface DuplicateGroupsResult {
+  groups: DuplicateSceneGroup[];
+  totalCount: number;
+  distance: number;
+}
+
+export interface ResolveDuplicatesResult {
+  keeper: DuplicateSceneRef;
+  usersReconciled: number;
+  mergeRecordsCreated: number;
+  stashAction: DuplicateStashAction;
+  /** Copies Stash deleted or merged away */
+  removed: DuplicateSceneRef[];
+  /** Copies Stash failed to delete or merge, with the reason */
+  failed: Array<DuplicateSceneRef & { error: string }>;
+}
+
+interface DuplicateSceneRow {
+  id: string;
+  stashInstanceId: string;
+  title: string | null;
+  date: string | null;
+  duration: number | null;
+  phash: string | null;
+  phashes: string | null;
+  filePath: string | null;
+  fileWidth: number | null;
+  fileHeight: number | null;
+  fileFrameRate: number | null;
+  fileBitRate: number | null;
+  fileVideoCodec: string | null;
+  fileAudioCodec: string | null;
+  fileSize: bigint | number | null;
+}
+
+interface ActivityRow {
+  sceneId: string;
+  instanceId: string;
+  count: bigint | number;
+}
+
+interface HashEntry {
+  scene: number;
+  high: number;
+  low: number;
+}
+
+function compositeKey(instanceId: string, id: string): string {
+  return `${instanceId}\0${id}`;
+}
+
+/**
+ * Split a hash into `count` chunks of near-equal bit width, as lookup keys
+ */
+function chunkKeys(entry: HashEntry, count: number): string[] {
+  const value = (BigInt(entry.high) << 32n) | BigInt(entry.low);
+  const keys: string[] = [];
+  let offset = 0;
+  for (let i = 0; i < count; i++) {
+    const width = Math.floor(64 / count) + (i < 64 % count ? 1 : 0);
+    const chunk = (value >> BigInt(offset)) & ((1n << BigInt(width)) - 1n);
+    keys.push(`${i}:${chunk.toString(16)}`);
+    offset += width;
+  }
+  return keys;
+}
+
+/** Ranks files for the suggested keeper; larger is better */
+function fileQuality(scene: DuplicateSceneInfo): number[] {
+  return [
+    (scene.width ?? 0) * (scene.height ?? 0),
+    scene.bitRate ?? 0,
+    scene.size ?? 0,
+    scene.userActivityCount,
+  ];
+}
+
+function compareQuality(a: DuplicateSceneInfo, b: DuplicateSceneInfo): number {
+  const qa = fileQuality(a);
+  const qb = fileQuality(b);
+  for (let i = 0; i < qa.length; i++) {
+    const diff = (qb[i] ?? 0) - (qa[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+class DuplicateSceneService {
+  /**
+   * Groups of scenes whose phashes are within `distance` bits of each other,
+   * across all instances. Copies link transitively: if A matches B and B
+   * matches C, all three are one group.
+   */
+  async findDuplicateGroups(distance: number = NEAR_DUPLICATE_DISTANCE): Promise<DuplicateGroupsResult> {
+    if (!Number.isInteger(distance) || distance < 0 || distance > MAX_DUPLICATE_DISTANCE) {
+      throw new ValidationError(`distance must be a whole number from 0 to ${MAX_DUPLICATE_DISTANCE}`);
+    }
+
+    const rows = await prisma.$queryRawUnsafe<DuplicateSceneRow[]>(`
+      SELECT id, stashInstanceId, title, date, duration, phash, phashes,
+             filePath, fileWidth, fileHeight, fileFrameRate, fileBitRate,
+             fileVideoCodec, fileAudioCodec, fileSize
+      FROM StashScene
+      WHERE deletedAt IS NULL AND (phash IS NOT NULL OR phashes IS NOT NULL)
+    `);
+
+    // Every hash of every scene; a scene has one per file
+    const entries: HashEntry[] = [];
+    rows.forEach((row, scene) => {
+      for (const hash of parseScenePhashes(row.phash, row.phashes)) {
+        const parsed = parsePhash(hash);
+        if (parsed) entries.push({ scene, high: parsed[0], low: parsed[1] });
+      }
+    });
+
+    // Union-find over scenes, remembering the largest distance that joined
+    // each group
+    const parent = rows.map((_, i) => i);
+    const find = (i: number): number => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i] as number] as number;
+        i = parent[i] as number;
+      }
+      return i;
+    };
+    const linkDistance = new Map<number, number>();
+    const union = (a: number, b: number, d: number) => {
+      const ra = find(a);
+      const rb = find(b);
+      const joined = Math.max(d, linkDistance.get(ra) ?? 0, linkDistance.get(rb) ?? 0);
+      if (ra !== rb) {
+        parent[rb] = ra;
+        linkDistance.delete(rb);
+      }
+      linkDistance.set(ra, joined);
+    };
+
+    const chunkCount = distance + 1;
+    const buckets = new Map<string, number[]>();
+    entries.forEach((entry, index) => {
+      for (const key of chunkKeys(entry, chunkCount)) {
+        const bucket = buckets.get(key);
+        if (bucket) bucket.push(index);
+        else buckets.set(key, [index]);
+      }
+    });
+
+    for (const bucket of buckets.values()) {
+      for (let i = 0; i < bucket.length; i++) {
+        const a = entries[bucket[i] as number] as HashEntry;
+        for (let j = i + 1; j < bucket.length; j++) {
+          const b = entries[bucket[j] as number] as HashEntry;
+          if (a.scene === b.scene) continue;
+          const d = popcount32((a.high ^ b.high) >>> 0) + popcount32((a.low ^ b.low) >>> 0);
+          if (d <= distance) union(a.scene, b.scene, d);
+        }
+      }
+    }
+
+    const members = new Map<number, number[]>();
+    for (let i = 0; i < rows.length; i++) {
+      const root = find(i);
+      if (root === i && !linkDistance.has(root)) continue;
+      const list = members.get(root);
+      if (list) list.push(i);
+      else members.set(root, [i]);
+    }
+
+    const activity = await this.getActivityCounts();
+    const groups: DuplicateSceneGroup[] = [];
+    for (const [root, indexes] of members) {
+      if (indexes.length < 2) continue;
+      const scenes = indexes.map((i) => this.toSceneInfo(rows[i] as DuplicateSceneRow, activity));
+      scenes.sort(compareQuality);
+      (scenes[0] as DuplicateSceneInfo).recommended = true;
+
+      const groupDistance = linkDistance.get(root) ?? 0;
+      const first = scenes[0] as DuplicateSceneInfo;
+      groups.push({
+        key: compositeKey(first.instanceId, first.id),
+        match: groupDistance === 0 ? "exact" : "near",
+        distance: groupDistance,
+        scenes,
+      });
+    }
+
+    groups.sort((a, b) => b.scenes.length - a.scenes.length || a.distance - b.distance);
+
+    logger.info("Found duplicate scene groups", { groups: groups.length, distance });
+
+    return { groups: groups.slice(0, MAX_GROUPS), totalCount: groups.length, distance };
+  }
+
+  /**
+   * Keep one scene of a duplicate group: move every user's data from the
+   * other copies to it, then optionally have Stash delete the other copies
+   * or merge them into it. Stash can only merge scenes within one instance.
+   */
+  async resolveGroup(
+    keeper: DuplicateSceneRef,
+    others: DuplicateSceneRef[],
+    stashAction: DuplicateStashAction,
+    options: { deleteFiles?: boolean; reconciledBy: number }
+  ): Promise<ResolveDuplicatesResult> {
+    if (others.length === 0) {
+      throw new ValidationError("Choose at least one other scene");
+    }
+    const keeperKey = compositeKey(keeper.instanceId, keeper.id);
+    if (others.some((o) => compositeKey(o.instanceId, o.id) === keeperKey)) {
+      throw new ValidationError("The scene to keep can't also be removed");
+    }
+    if (stashAction === "merge" && others.some((o) => o.instanceId !== keeper.instanceId)) {
+      throw new ValidationError("Stash can only merge scenes from the same instance");
+    }
+
+    const refs = [keeper, ...others];
+    const found = await prisma.stashScene.findMany({
+      where: {
+        deletedAt: null,
+        OR: refs.map((ref) => ({ id: ref.id, stashInstanceId: ref.instanceId })),
+      },
+      select: { id: true, stashInstanceId: true, phash: true },
+    });
+    const byKey = new Map(found.map((s) => [compositeKey(s.stashInstanceId, s.id), s]));
+    for (const ref of refs) {
+      if (!byKey.has(compositeKey(ref.instanceId, ref.id))) {
+        throw new NotFoundError(`Scene ${ref.id} not found`);
+      }
+    }
+    if (stashAction !== "none" && !stashInstanceManager.get(keeper.instanceId)) {
+      throw new NotFoundError("Stash instance not found");
+    }
+
+    let usersReconciled = 0;
+    let mergeRecordsCreated = 0;
+    const matchedByPhash = byKey.get(keeperKey)?.phash ?? null;
+    for (const other of others) {
+      const result = await mergeReconciliationService.reconcileScene(
+        other.id,
+        keeper.id,
+        matchedByPhash,
+        options.reconciledBy,
+        { sourceInstanceId: other.instanceId, targetInstanceId: keeper.instanceId }
+      );
+      usersReconciled += result.usersReconciled;
+      mergeRecordsCreated += result.mergeRecordsCreated;
+    }
+
+    const removed: DuplicateSceneRef[] = [];
+    const failed: ResolveDuplicatesResult["failed"] = [];
+    const message = (error: unknown) => (error instanceof Error ? error.message : String(error));
+
+    if (stashAction === "merge") {
+      try {
+        await stashInstanceManager.get(keeper.instanceId)?.sceneMerge({
+          input: {
+            destination: keeper.id,
+            source: others.map((o) => o.id),
+            play_history: true,
+            o_history: true,
+          },
+        });
+        removed.push(...others);
+      } catch (error) {
+        failed.push(...others.map((o) => ({ ...o, error: message(error) })));
+      }
+    } else if (stashAction === "delete") {
+      for (const other of others) {
+        const stash = stashInstanceManager.get(other.instanceId);
+        if (!stash) {
+          failed.push({ ...other, error: "Stash instance not found" });
+          continue;
+        }
+        try {
+          await stash.sceneDestroy({
+            input: { id: other.id, delete_file: options.deleteFiles ?? false, delete_generated: true },
+          });
+          removed.push(other);
+        } catch (error) {
+          failed.push({ ...other, error: message(error) });
+        }
+      }
+    }
+
+    // Gone from Stash; the next sync would find the same
+    const now = new Date();
+    for (const scene of removed) {
+      await prisma.stashScene.update({
+        where: { id_stashInstanceId: { id: scene.id, stashInstanceId: scene.instanceId } },
+        data: { deletedAt: now },
+      });
+    }
+
+    if (failed.length > 0) {
+      logger.warn("Stash couldn't remove some duplicate scenes", { stashAction, failed });
+    }
+    logger.info("Resolved duplicate scenes", {
+      keeper,
+      others: others.length,
+      stashAction,
+      removed: removed.length,
+      mergeRecordsCreated,
+    });
+
+    return { keeper, usersReconciled, mergeRecordsCreated, stashAction, removed, failed };
+  }
+
+  /** Watch history and rating rows per scene, across all users */
+  private async getActivityCounts(): Promise<Map<string, number>> {
+    const rows = await prisma.$queryRawUnsafe<ActivityRow[]>(`
+      SELECT sceneId, instanceId, COUNT(*) AS count FROM (
+        SELECT sceneId, instanceId FROM WatchHistory
+        UNION ALL
+        SELECT sceneId, instanceId FROM SceneRating
+      )
+      GROUP BY sceneId, instanceId
+    `);
+    return new Map(rows.map((r) => [compositeKey(r.instanceId, r.sceneId), Number(r.count)]));
+  }
+
+  private toSceneInfo(row: DuplicateSceneRow, activity: Map<string, number>): DuplicateSceneInfo {
+    return {
+      id: row.id,
+      instanceId: row.stashInstanceId,
+      instanceName: stashInstanceManager.getConfig(row.stashInstanceId)?.name ?? row.stashInstanceId,
+      title: row.title,
+      date: row.date,
+      duration: row.duration,
+      phash: row.phash,
+      path: row.filePath,
+      width: row.fileWidth,
+      height: row.fileHeight,
+      frameRate: row.fileFrameRate,
+      bitRate: row.fileBitRate,
+      videoCodec: row.fileVideoCodec,
+      audioCodec: row.fileAudioCodec,
+      size: row.fileSize === null ? null : Number(row.fileSize),
+      userActivityCount: activity.get(compositeKey(row.stashInstanceId, row.id)) ?? 0,
+      recommended: false,
+    };
+  }
+}
+
+export const duplicateSceneService = new DuplicateSceneService();
@@ -0,0 +1,84 @@
+/**
+ * EventBusService
+ *
+ * Fans server events out to the open GET /api/events streams. Services
+ * publish to one user, to admins, or to everyone; each stream only gets the
+ * events meant for its user. Nothing is buffered, so a client that
+ * reconnects reloads what it shows rather than replaying missed events.
+ */
+import type { ServerEvent } from "../types/api/index.js";
+
+export interface EventStream {
+  send(event: ServerEvent): void;
+}
+
+interface Subscriber {
+  userId: number;
+  isAdmin: boolean;
+  stream: EventStream;
+}
+
+class EventBusService {
+  private subscribers = new Set<Subscriber>();
+
+  /**
+   * Listen for events addressed to a user. Returns an unsubscribe function.
+   */
+  subscribe(
+    user: { id: number; role: string },
+    stream: EventStream
+  ): () => void {
+    const subscriber = {
+      userId: user.id,
+      isAdmin: user.role === "ADMIN",
+      stream,
+    };
+    this.subscribers.add(subscriber);
+    return () => {
+      this.subscribers.delete(subscriber);
+    };
+  }
+
+  /**
+   * Whether the user has an open stream, so callers can skip building
+   * events nobody will receive
+   */
+  hasUser(userId: number): boolean {
+    for (const subscriber of this.subscribers) {
+      if (subscriber.userId === userId) return true;
+    }
+    return false;
+  }
+
+  hasAdmins(): boolean {
+    for (const subscriber of this.subscribers) {
+      if (subscriber.isAdmin) return true;
+    }
+    return false;
+  }
+
+  publishToUser(userId: number, event: ServerEvent): void {
+    this.send(event, (subscriber) => subscriber.userId === userId);
+  }
+
+  publishToAdmins(event: ServerEvent): void {
+    this.send(event, (subscriber) => subscriber.isAdmin);
+  }
+
+  publishToAll(event: ServerEvent): void {
+    this.send(event, () => true);
+  }
+
+  // ==================== Private Methods ====================
+
+  private send(
+    event: ServerEvent,
+    matches: (subscriber: Subscriber) => boolean
+  ): void {
+    for (const subscriber of this.subscribers) {
+      if (matches(subscriber)) subscriber.stream.send(event);
+    }
+  }
+}
+
+export const eventBusService = new EventBusService();
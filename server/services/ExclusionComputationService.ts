@@ -17,6 +17,7 @@ import { Prisma } from "@prisma/client";
 import { parseEntityRef } from "@peek/shared-types/instanceAwareId.js";
 import prisma from "../prisma/singleton.js";
 import { logger } from "../utils/logger.js";
+import { eventBusService } from "./EventBusService.js";
 import { getUserAllowedInstanceIds, buildInstanceFilterClause } from "./UserInstanceService.js";
 
 /**
@@ -135,6 +136,9 @@ class ExclusionComputationService {
     } finally {
       this.pendingRecomputes.delete(userId);
     }
+
+    // The user's open pages refetch without (or with) the changed content
+    eventBusService.publishToUser(userId, { type: "exclusions" });
   }
 
   /**
@@ -1117,6 +1121,8 @@ class ExclusionComputationService {
       instanceId,
       durationMs: Date.now() - startTime,
     });
+
+    eventBusService.publishToUser(userId, { type: "exclusions" });
   }
 
   /**
@@ -0,0 +1,327 @@
+/**
+ * FileFolderService
+ *
+ * Browses the library by its folders on disk, using the file paths already
+ * synced into the cache (StashScene.filePath, StashImage.filePath and
+ * StashGallery.folderPath). Nothing is read from the filesystem.
+ *
+ * The top level is each instance's library roots, as configured in Stash
+ * (configuration.general.stashes). When Stash can't be reached, the common
+ * parent folder of the instance's cached paths stands in for them.
+ *
+ * Windows paths are compared with "/" separators. Zip galleries have no
+ * folder path and don't appear.
+ */
+import type {
+  FolderBreadcrumb,
+  FolderEntityType,
+  FolderListResponse,
+  FolderNode,
+} from "@peek/shared-types/api/folders.js";
+import prisma from "../prisma/singleton.js";
+import { logger } from "../utils/logger.js";
+import { normalizeFolderPath, normalizedPathSql } from "../utils/sqlFilterBuilders.js";
+import { stashInstanceManager } from "./StashInstanceManager.js";
+
+export const FOLDER_ENTITY_TYPES: readonly FolderEntityType[] = ["scene", "image", "gallery"];
+
+export function isFolderEntityType(type: string): type is FolderEntityType {
+  return (FOLDER_ENTITY_TYPES as readonly string[]).includes(type);
+}
+
+const FOLDER_SOURCES: Record<FolderEntityType, { table: string; pathColumn: string }> = {
+  scene: { table: "StashScene", pathColumn: "filePath" },
+  image: { table: "StashImage", pathColumn: "filePath" },
+  gallery: { table: "StashGallery", pathColumn: "folderPath" },
+};
+
+// Library roots rarely change; an unreachable Stash is retried sooner
+const ROOTS_CACHE_TTL_MS = 10 * 60 * 1000;
+const ROOTS_RETRY_MS = 60 * 1000;
+
+interface LibraryRoot {
+  path: string;
+  excludeVideo: boolean;
+  excludeImage: boolean;
+}
+
+export interface FolderListOptions {
+  userId: number;
+  /** Leave out the user's hidden and restricted items (admins may skip this) */
+  applyExclusions?: boolean;
+  allowedInstanceIds?: string[];
+  /** Folder to list; omit for the library roots */
+  path?: string;
+  /** Required together with path */
+  instanceId?: string;
+}
+
+/** Prefix every item below a folder starts with */
+function childPrefix(folderPath: string): string {
+  return folderPath.endsWith("/") ? folderPath : `${folderPath}/`;
+}
+
+/** Longest common parent folder of two paths, "" if they share none */
+function commonParent(a: string, b: string): string {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  const shared = a.slice(0, i);
+  const cut = shared.lastIndexOf("/");
+  if (cut < 0) return "";
+  return cut === 0 ? "/" : shared.slice(0, cut);
+}
+
+class FileFolderService {
+  private rootsCache = new Map<string, { roots: LibraryRoot[] | null; fetchedAt: number }>();
+
+  /**
+   * List the folders directly below a folder (or the library roots), with
+   * the number of visible items in each subtree.
+   */
+  async listFolders(type: FolderEntityType, options: FolderListOptions): Promise<FolderListResponse> {
+    if (!options.path || !options.instanceId) {
+      return {
+        type,
+        path: null,
+        instanceId: null,
+        breadcrumbs: [],
+        folders: await this.listRoots(type, options),
+        fileCount: 0,
+      };
+    }
+
+    const folderPath = normalizeFolderPath(options.path);
+    const instanceId = options.instanceId;
+    const counts = await this.countChildren(type, folderPath, instanceId, options);
+
+    const prefix = childPrefix(folderPath);
+    const folders: FolderNode[] = [];
+    let fileCount = 0;
+    for (const [name, count] of counts) {
+      if (name === null) {
+        fileCount = count;
+      } else if (name) {
+        folders.push({ name, path: prefix + name, instanceId, count });
+      }
+    }
+    folders.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: "base" }));
+
+    const roots = await this.getRootPaths(type, instanceId, options);
+    return {
+      type,
+      path: folderPath,
+      instanceId,
+      breadcrumbs: this.buildBreadcrumbs(folderPath, roots),
+      folders,
+      fileCount,
+    };
+  }
+
+  /**
+   * Forget the cached library roots, e.g. after an instance's settings change
+   */
+  clearRootsCache(instanceId?: string): void {
+    if (instanceId) {
+      this.rootsCache.delete(instanceId);
+    } else {
+      this.rootsCache.clear();
+    }
+  }
+
+  /** Path from the library root down to the folder */
+  buildBreadcrumbs(folderPath: string, roots: string[]): FolderBreadcrumb[] {
+    const root = roots
+      .filter((r) => r === folderPath || folderPath.startsWith(childPrefix(r)))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (!root) {
+      return [{ name: folderPath, path: folderPath }];
+    }
+
+    const breadcrumbs: FolderBreadcrumb[] = [{ name: root, path: root }];
+    const rest = folderPath.slice(childPrefix(root).length);
+    let current = root;
+    for (const segment of rest ? rest.split("/") : []) {
+      current = childPrefix(current) + segment;
+      breadcrumbs.push({ name: segment, path: current });
+    }
+    return breadcrumbs;
+  }
+
+  private async listRoots(type: FolderEntityType, options: FolderListOptions): Promise<FolderNode[]> {
+    const instanceIds = await this.getInstanceIds(type, options.allowedInstanceIds);
+    const folders: FolderNode[] = [];
+
+    for (const instanceId of instanceIds) {
+      for (const root of await this.getRootPaths(type, instanceId, options)) {
+        const count = await this.countSubtree(type, root, instanceId, options);
+        if (count > 0) {
+          folders.push({ name: root, path: root, instanceId, count });
+        }
+      }
+    }
+
+    return folders;
+  }
+
+  /** Instances that have items of this type the user may see */
+  private async getInstanceIds(type: FolderEntityType, allowedInstanceIds?: string[]): Promise<string[]> {
+    const { table } = FOLDER_SOURCES[type];
+    const params: string[] = [];
+    let instanceFilter = "";
+    if (allowedInstanceIds && allowedInstanceIds.length > 0) {
+      instanceFilter = `AND stashInstanceId IN (${allowedInstanceIds.map(() => "?").join(", ")})`;
+      params.push(...allowedInstanceIds);
+    }
+
+    const rows = await prisma.$queryRawUnsafe<Array<{ stashInstanceId: string }>>(
+      `SELECT DISTINCT stashInstanceId FROM ${table}
+       WHERE deletedAt IS NULL AND stashInstanceId IS NOT NULL ${instanceFilter}
+       ORDER BY stashInstanceId`,
+      ...params
+    );
+    return rows.map((row) => row.stashInstanceId);
+  }
+
+  /**
+   * Library roots of an instance that can hold this type, outermost only.
+   * Falls back to the common parent of the cached paths.
+   */
+  private async getRootPaths(
+    type: FolderEntityType,
+    instanceId: string,
+    options: FolderListOptions
+  ): Promise<string[]> {
+    const configured = await this.getLibraryRoots(instanceId);
+    if (configured) {
+      const paths = configured
+        .filter((root) => (type === "scene" ? !root.excludeVideo : !root.excludeImage))
+        .map((root) => normalizeFolderPath(root.path))
+        .filter(Boolean);
+      const outermost = [...new Set(paths)].filter(
+        (path) => !paths.some((other) => other !== path && path.startsWith(childPrefix(other)))
+      );
+      if (outermost.length > 0) return outermost;
+    }
+
+    const fallback = await this.getCommonParent(type, instanceId, options);
+    return fallback ? [fallback] : [];
+  }
+
+  private async getLibraryRoots(instanceId: string): Promise<LibraryRoot[] | null> {
+    const cached = this.rootsCache.get(instanceId);
+    if (cached && Date.now() - cached.fetchedAt < (cached.roots ? ROOTS_CACHE_TTL_MS : ROOTS_RETRY_MS)) {
+      return cached.roots;
+    }
+
+    let roots: LibraryRoot[] | null = null;
+    const stash = stashInstanceManager.get(instanceId);
+    if (stash) {
+      try {
+        const result = await stash.configuration();
+        roots = (result.configuration.general.stashes ?? []).map((stashPath) => ({
+          path: stashPath.path,
+          excludeVideo: Boolean(stashPath.excludeVideo),
+          excludeImage: Boolean(stashPath.excludeImage),
+        }));
+      } catch (error) {
+        logger.warn("Could not load library roots from Stash, using cached paths", {
+          instanceId,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    }
+
+    this.rootsCache.set(instanceId, { roots, fetchedAt: Date.now() });
+    return roots;
+  }
+
+  private async getCommonParent(
+    type: FolderEntityType,
+    instanceId: string,
+    options: FolderListOptions
+  ): Promise<string> {
+    const { table, pathColumn } = FOLDER_SOURCES[type];
+    const path = normalizedPathSql(`e.${pathColumn}`);
+    const exclusion = this.buildExclusionJoin(type, options);
+
+    // The lowest and highest paths share the prefix every path shares
+    const rows = await prisma.$queryRawUnsafe<Array<{ first: string | null; last: string | null }>>(
+      `SELECT MIN(${path}) AS first, MAX(${path}) AS last
+       FROM ${table} e ${exclusion.join}
+       WHERE e.deletedAt IS NULL AND e.stashInstanceId = ? AND e.${pathColumn} IS NOT NULL ${exclusion.where}`,
+      ...exclusion.params,
+      instanceId
+    );
+
+    const { first, last } = rows[0] ?? {};
+    if (!first || !last) return "";
+    return commonParent(first, last);
+  }
+
+  private async countSubtree(
+    type: FolderEntityType,
+    folderPath: string,
+    instanceId: string,
+    options: FolderListOptions
+  ): Promise<number> {
+    let total = 0;
+    for (const count of (await this.countChildren(type, folderPath, instanceId, options)).values()) {
+      total += count;
+    }
+    return total;
+  }
+
+  /**
+   * Visible items below a folder, grouped by the next path segment.
+   * Items directly in the folder are grouped under null.
+   */
+  private async countChildren(
+    type: FolderEntityType,
+    folderPath: string,
+    instanceId: string,
+    options: FolderListOptions
+  ): Promise<Map<string | null, number>> {
+    const { table, pathColumn } = FOLDER_SOURCES[type];
+    const path = normalizedPathSql(`e.${pathColumn}`);
+    const prefix = childPrefix(folderPath);
+    // SQLite substr() counts characters, not UTF-16 code units
+    const prefixLength = Array.from(prefix).length;
+    const exclusion = this.buildExclusionJoin(type, options);
+
+    const rows = await prisma.$queryRawUnsafe<Array<{ name: string | null; count: number | bigint }>>(
+      `SELECT
+         CASE WHEN instr(rest, '/') = 0 THEN NULL ELSE substr(rest, 1, instr(rest, '/') - 1) END AS name,
+         COUNT(*) AS count
+       FROM (
+         SELECT substr(${path}, ?) AS rest
+         FROM ${table} e ${exclusion.join}
+         WHERE e.deletedAt IS NULL AND e.stashInstanceId = ? AND substr(${path}, 1, ?) = ? ${exclusion.where}
+       )
+       GROUP BY name`,
+      prefixLength + 1,
+      ...exclusion.params,
+      instanceId,
+      prefixLength,
+      prefix
+    );
+
+    return new Map(rows.map((row) => [row.name, Number(row.count)]));
+  }
+
+  private buildExclusionJoin(
+    type: FolderEntityType,
+    options: FolderListOptions
+  ): { join: string; where: string; params: number[] } {
+    if (options.applyExclusions === false) {
+      return { join: "", where: "", params: [] };
+    }
+    return {
+      join: `LEFT JOIN UserExcludedEntity x ON x.userId = ? AND x.entityType = '${type}' AND x.entityId = e.id AND (x.instanceId = '' OR x.instanceId = e.stashInstanceId)`,
+      where: "AND x.id IS NULL",
+      params: [options.userId],
+    };
+  }
+}
+
+export const fileFolderService = new FileFolderService();
@@ -11,7 +11,8 @@ import { logger } from "../utils/logger.js";
 import { expandStudioIds, expandTagIds } from "../utils/hierarchyUtils.js";
 import { getGalleryFallbackTitle } from "../utils/titleUtils.js";
 import { parseJsonArray } from "../utils/sqlHelpers.js";
-import { buildNumericFilter, buildDateFilter, buildTextFilter, buildFavoriteFilter, buildJunctionFilter, buildDirectFilter, parseCompositeFilterValues, type FilterClause } from "../utils/sqlFilterBuilders.js";
+import { buildNumericFilter, buildDateFilter, buildTextFilter, buildFavoriteFilter, buildJunctionFilter, buildDirectFilter, buildFolderFilter, parseCompositeFilterValues, buildRuleGroupFilter, type FilterClause } from "../utils/sqlFilterBuilders.js";
+import { searchService } from "./SearchService.js";
 import { coerceEntityRefs } from "@peek/shared-types/instanceAwareId.js";
 
 // Query builder options
@@ -288,18 +289,10 @@ class GalleryQueryBuilder {
   }
 
   /**
-   * Build search query filter (searches title, details, photographer)
+   * Build search query filter (full-text search of title, code, photographer, details and path)
    */
   private buildSearchFilter(searchQuery: string | undefined): FilterClause {
-    if (!searchQuery || searchQuery.trim() === "") {
-      return { sql: "", params: [] };
-    }
-
-    const lowerQuery = `%${searchQuery.toLowerCase()}%`;
-    return {
-      sql: "(LOWER(g.title) LIKE ? OR LOWER(g.details) LIKE ? OR LOWER(g.photographer) LIKE ?)",
-      params: [lowerQuery, lowerQuery, lowerQuery],
-    };
+    return searchService.buildMatchFilter("gallery", "g", searchQuery);
   }
 
   /**
@@ -341,35 +334,16 @@ class GalleryQueryBuilder {
     return `${sortExpr}, g.id ${dir}`;
   }
 
-  async execute(options: GalleryQueryOptions): Promise<GalleryQueryResult> {
-    const startTime = Date.now();
-    const { userId, page, perPage, applyExclusions = true, filters, searchQuery, allowedInstanceIds, specificInstanceId, randomSeed } = options;
-
-    // Build FROM clause with optional exclusion JOIN
-    const fromClause = this.buildFromClause(userId, applyExclusions);
-
-    // Build WHERE clauses
-    const whereClauses: FilterClause[] = [this.buildBaseWhere(applyExclusions)];
-
-    // Instance filter (multi-instance support)
-    const instanceFilter = this.buildInstanceFilter(allowedInstanceIds);
-    if (instanceFilter.sql) {
-      whereClauses.push(instanceFilter);
-    }
-
-    // Specific instance filter (for disambiguation on detail pages)
-    if (specificInstanceId) {
-      const specificFilter = this.buildSpecificInstanceFilter(specificInstanceId);
-      if (specificFilter.sql) {
-        whereClauses.push(specificFilter);
-      }
-    }
-
-    // Search query
-    const searchFilter = this.buildSearchFilter(searchQuery);
-    if (searchFilter.sql) {
-      whereClauses.push(searchFilter);
-    }
+  /**
+   * Build the WHERE clauses for a filter's criteria. The rules inside a
+   * filter_group are built with this same method, so every criterion works
+   * at any depth of the group.
+   */
+  private async buildFilterClauses(
+    filters: PeekGalleryFilter | undefined,
+    userId: number
+  ): Promise<FilterClause[]> {
+    const whereClauses: FilterClause[] = [];
 
     // ID filter
     if (filters?.ids) {
@@ -449,6 +423,14 @@ class GalleryQueryBuilder {
       }
     }
 
+    // Folder subtree filter
+    if (filters?.folder) {
+      const folderFilter = buildFolderFilter(filters.folder, "g.folderPath", "g.stashInstanceId");
+      if (folderFilter.sql) {
+        whereClauses.push(folderFilter);
+      }
+    }
+
     // Date filters
     if (filters?.date) {
       const dateFilter = buildDateFilter(filters.date, "g.date");
@@ -471,6 +453,52 @@ class GalleryQueryBuilder {
       }
     }
 
+    // Nested AND/OR/NOT rule group
+    if (filters?.filter_group) {
+      const groupFilter = await buildRuleGroupFilter(filters.filter_group, (rule) =>
+        this.buildFilterClauses(rule, userId)
+      );
+      if (groupFilter.sql) {
+        whereClauses.push(groupFilter);
+      }
+    }
+
+    return whereClauses;
+  }
+
+  async execute(options: GalleryQueryOptions): Promise<GalleryQueryResult> {
+    const startTime = Date.now();
+    const { userId, page, perPage, applyExclusions = true, filters, searchQuery, allowedInstanceIds, specificInstanceId, randomSeed } = options;
+
+    // Build FROM clause with optional exclusion JOIN
+    const fromClause = this.buildFromClause(userId, applyExclusions);
+
+    // Build WHERE clauses
+    const whereClauses: FilterClause[] = [this.buildBaseWhere(applyExclusions)];
+
+    // Instance filter (multi-instance support)
+    const instanceFilter = this.buildInstanceFilter(allowedInstanceIds);
+    if (instanceFilter.sql) {
+      whereClauses.push(instanceFilter);
+    }
+
+    // Specific instance filter (for disambiguation on detail pages)
+    if (specificInstanceId) {
+      const specificFilter = this.buildSpecificInstanceFilter(specificInstanceId);
+      if (specificFilter.sql) {
+        whereClauses.push(specificFilter);
+      }
+    }
+
+    // Search query
+    const searchFilter = this.buildSearchFilter(searchQuery);
+    if (searchFilter.sql) {
+      whereClauses.push(searchFilter);
+    }
+
+    // Filter criteria, including nested rule groups
+    whereClauses.push(...(await this.buildFilterClauses(filters, userId)));
+
     // Combine WHERE clauses
     const whereSQL = whereClauses.map((c) => c.sql).filter(Boolean).join(" AND ");
     const whereParams = whereClauses.flatMap((c) => c.params);
@@ -511,7 +539,9 @@ class GalleryQueryBuilder {
     const hasUserDataFilters =
       filters?.favorite !== undefined ||
       filters?.rating100 !== undefined ||
-      filters?.hasFavoriteImage;
+      filters?.hasFavoriteImage ||
+      // Rules inside a group may read user data too
+      filters?.filter_group !== undefined;
 
     if (hasUserDataFilters || applyExclusions) {
       const countSql = `
@@ -11,7 +11,8 @@ import { logger } from "../utils/logger.js";
 import { expandTagIds, expandStudioIds } from "../utils/hierarchyUtils.js";
 import { getGalleryFallbackTitle } from "../utils/titleUtils.js";
 import { parseJsonArray } from "../utils/sqlHelpers.js";
-import { buildNumericFilter, buildDateFilter, buildTextFilter, buildFavoriteFilter, buildJunctionFilter, parseCompositeFilterValues, type FilterClause } from "../utils/sqlFilterBuilders.js";
+import { buildNumericFilter, buildDateFilter, buildTextFilter, buildFavoriteFilter, buildJunctionFilter, parseCompositeFilterValues, buildRuleGroupFilter, type FilterClause } from "../utils/sqlFilterBuilders.js";
+import { searchService } from "./SearchService.js";
 import { coerceEntityRefs } from "@peek/shared-types/instanceAwareId.js";
 
 // Query builder options
@@ -320,18 +321,10 @@ class GroupQueryBuilder {
   }
 
   /**
-   * Build search query filter (searches name and synopsis)
+   * Build search query filter (full-text search of name, director and synopsis)
    */
   private buildSearchFilter(searchQuery: string | undefined): FilterClause {
-    if (!searchQuery || searchQuery.trim() === "") {
-      return { sql: "", params: [] };
-    }
-
-    const lowerQuery = `%${searchQuery.toLowerCase()}%`;
-    return {
-      sql: "(LOWER(g.name) LIKE ? OR LOWER(g.synopsis) LIKE ?)",
-      params: [lowerQuery, lowerQuery],
-    };
+    return searchService.buildMatchFilter("group", "g", searchQuery);
   }
 
   /**
@@ -370,35 +363,16 @@ class GroupQueryBuilder {
     return `${sortExpr}, g.id ${dir}`;
   }
 
-  async execute(options: GroupQueryOptions): Promise<GroupQueryResult> {
-    const startTime = Date.now();
-    const { userId, page, perPage, applyExclusions = true, filters, searchQuery, allowedInstanceIds, specificInstanceId, randomSeed } = options;
-
-    // Build FROM clause with optional exclusion JOIN
-    const fromClause = this.buildFromClause(userId, applyExclusions);
-
-    // Build WHERE clauses
-    const whereClauses: FilterClause[] = [this.buildBaseWhere(applyExclusions)];
-
-    // Instance filter (multi-instance support)
-    const instanceFilter = this.buildInstanceFilter(allowedInstanceIds);
-    if (instanceFilter.sql) {
-      whereClauses.push(instanceFilter);
-    }
-
-    // Specific instance filter (for disambiguation on detail pages)
-    if (specificInstanceId) {
-      const specificFilter = this.buildSpecificInstanceFilter(specificInstanceId);
-      if (specificFilter.sql) {
-        whereClauses.push(specificFilter);
-      }
-    }
-
-    // Search query
-    const searchFilter = this.buildSearchFilter(searchQuery);
-    if (searchFilter.sql) {
-      whereClauses.push(searchFilter);
-    }
+  /**
+   * Build the WHERE clauses for a filter's criteria. The rules inside a
+   * filter_group are built with this same method, so every criterion works
+   * at any depth of the group.
+   */
+  private async buildFilterClauses(
+    filters: PeekGroupFilter | undefined,
+    userId: number
+  ): Promise<FilterClause[]> {
+    const whereClauses: FilterClause[] = [];
 
     // ID filter
     if (filters?.ids) {
@@ -500,6 +474,52 @@ class GroupQueryBuilder {
       }
     }
 
+    // Nested AND/OR/NOT rule group
+    if (filters?.filter_group) {
+      const groupFilter = await buildRuleGroupFilter(filters.filter_group, (rule) =>
+        this.buildFilterClauses(rule, userId)
+      );
+      if (groupFilter.sql) {
+        whereClauses.push(groupFilter);
+      }
+    }
+
+    return whereClauses;
+  }
+
+  async execute(options: GroupQueryOptions): Promise<GroupQueryResult> {
+    const startTime = Date.now();
+    const { userId, page, perPage, applyExclusions = true, filters, searchQuery, allowedInstanceIds, specificInstanceId, randomSeed } = options;
+
+    // Build FROM clause with optional exclusion JOIN
+    const fromClause = this.buildFromClause(userId, applyExclusions);
+
+    // Build WHERE clauses
+    const whereClauses: FilterClause[] = [this.buildBaseWhere(applyExclusions)];
+
+    // Instance filter (multi-instance support)
+    const instanceFilter = this.buildInstanceFilter(allowedInstanceIds);
+    if (instanceFilter.sql) {
+      whereClauses.push(instanceFilter);
+    }
+
+    // Specific instance filter (for disambiguation on detail pages)
+    if (specificInstanceId) {
+      const specificFilter = this.buildSpecificInstanceFilter(specificInstanceId);
+      if (specificFilter.sql) {
+        whereClauses.push(specificFilter);
+      }
+    }
+
+    // Search query
+    const searchFilter = this.buildSearchFilter(searchQuery);
+    if (searchFilter.sql) {
+      whereClauses.push(searchFilter);
+    }
+
+    // Filter criteria, including nested rule groups
+    whereClauses.push(...(await this.buildFilterClauses(filters, userId)));
+
     // Combine WHERE clauses
     const whereSQL = whereClauses.map((c) => c.sql).filter(Boolean).join(" AND ");
     const whereParams = whereClauses.flatMap((c) => c.params);
@@ -539,7 +559,9 @@ class GroupQueryBuilder {
     // Check if we have any user-data filters that require the JOINs
     const hasUserDataFilters =
       filters?.favorite !== undefined ||
-      filters?.rating100 !== undefined;
+      filters?.rating100 !== undefined ||
+      // Rules inside a group may read user data too
+      filters?.filter_group !== undefined;
 
     if (hasUserDataFilters || applyExclusions) {
       const countSql = `
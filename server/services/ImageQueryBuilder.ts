@@ -7,8 +7,9 @@
 import prisma from "../prisma/singleton.js";
 import { logger } from "../utils/logger.js";
 import { getImageFallbackTitle } from "../utils/titleUtils.js";
-import { buildFavoriteFilter, buildDateFilter, buildJunctionFilter, buildDirectFilter, type FilterClause } from "../utils/sqlFilterBuilders.js";
+import { buildFavoriteFilter, buildDateFilter, buildJunctionFilter, buildDirectFilter, buildFolderFilter, buildRuleGroupFilter, type FilterClause } from "../utils/sqlFilterBuilders.js";
 import { coerceEntityRefs } from "@peek/shared-types/instanceAwareId.js";
+import type { FilterRuleGroup } from "@peek/shared-types/filterRules.js";
 import type { NormalizedImage, PerformerRef, TagRef, GalleryRef } from "../types/index.js";
 
 // Query builder options
@@ -26,6 +27,7 @@ export interface ImageQueryOptions {
 
 // Image filter type
 export interface ImageFilter {
+  filter_group?: FilterRuleGroup<ImageFilter>;
   ids?: { value: string[]; modifier?: string };
   favorite?: boolean;
   rating100?: { value: number; value2?: number; modifier: string };
@@ -39,6 +41,8 @@ export interface ImageFilter {
   date?: { value?: string; value2?: string; modifier?: string };
   created_at?: { value?: string; value2?: string; modifier?: string };
   updated_at?: { value?: string; value2?: string; modifier?: string };
+  // Only images whose file lies below this folder on disk
+  folder?: { path: string; instanceId?: string };
 }
 
 // Query result
@@ -401,21 +405,16 @@ class ImageQueryBuilder {
     })) as unknown as NormalizedImage[];
   }
 
-  async execute(options: ImageQueryOptions): Promise<ImageQueryResult> {
-    const startTime = Date.now();
-    const { userId, page, perPage, applyExclusions = true, allowedInstanceIds, filters } = options;
-
-    // Build FROM clause with optional exclusion JOIN
-    const fromClause = this.buildFromClause(userId, applyExclusions);
-
-    // Build WHERE clauses
-    const whereClauses: FilterClause[] = [this.buildBaseWhere(applyExclusions)];
-
-    // Instance filter (multi-instance support)
-    const instanceFilter = this.buildInstanceFilter(allowedInstanceIds);
-    if (instanceFilter.sql) {
-      whereClauses.push(instanceFilter);
-    }
+  /**
+   * Build the WHERE clauses for a filter's criteria. The rules inside a
+   * filter_group are built with this same method, so every criterion works
+   * at any depth of the group.
+   */
+  private async buildFilterClauses(
+    filters: ImageFilter | undefined,
+    userId: number
+  ): Promise<FilterClause[]> {
+    const whereClauses: FilterClause[] = [];
 
     // Add user data filters
     if (filters?.favorite !== undefined) {
@@ -482,6 +481,44 @@ class ImageQueryBuilder {
       if (updatedAtFilter.sql) whereClauses.push(updatedAtFilter);
     }
 
+    // Folder subtree filter
+    if (filters?.folder) {
+      const folderFilter = buildFolderFilter(filters.folder, "i.filePath", "i.stashInstanceId");
+      if (folderFilter.sql) whereClauses.push(folderFilter);
+    }
+
+    // Nested AND/OR/NOT rule group
+    if (filters?.filter_group) {
+      const groupFilter = await buildRuleGroupFilter(filters.filter_group, (rule) =>
+        this.buildFilterClauses(rule, userId)
+      );
+      if (groupFilter.sql) {
+        whereClauses.push(groupFilter);
+      }
+    }
+
+    return whereClauses;
+  }
+
+  async execute(options: ImageQueryOptions): Promise<ImageQueryResult> {
+    const startTime = Date.now();
+    const { userId, page, perPage, applyExclusions = true, allowedInstanceIds, filters } = options;
+
+    // Build FROM clause with optional exclusion JOIN
+    const fromClause = this.buildFromClause(userId, applyExclusions);
+
+    // Build WHERE clauses
+    const whereClauses: FilterClause[] = [this.buildBaseWhere(applyExclusions)];
+
+    // Instance filter (multi-instance support)
+    const instanceFilter = this.buildInstanceFilter(allowedInstanceIds);
+    if (instanceFilter.sql) {
+      whereClauses.push(instanceFilter);
+    }
+
+    // Filter criteria, including nested rule groups
+    whereClauses.push(...(await this.buildFilterClauses(filters, userId)));
+
     // Combine WHERE clauses
     const whereSQL = whereClauses
       .map((c) => c.sql)
@@ -8,6 +8,7 @@ import { Prisma } from "@prisma/client";
 import prisma from "../prisma/singleton.js";
 import { logger } from "../utils/logger.js";
 import { getEntityInstanceId } from "../utils/entityInstanceId.js";
+import { eventBusService } from "./EventBusService.js";
 
 /**
  * Merge two JSON arrays (for oHistory and playHistory).
@@ -74,6 +75,15 @@ export interface PhashMatch {
   recommended: boolean;
 }
 
+/**
+ * Instances of the two scenes, when known. Scene IDs are only unique within
+ * an instance, so merges across instances must name them.
+ */
+export interface MergeInstances {
+  sourceInstanceId: string;
+  targetInstanceId: string;
+}
+
 export interface ReconcileResult {
   sourceSceneId: string;
   targetSceneId: string;
@@ -204,13 +214,14 @@ class MergeReconciliationService {
     targetSceneId: string,
     userId: number,
     matchedByPhash: string | null,
-    reconciledBy: number | null
+    reconciledBy: number | null,
+    instances?: MergeInstances
   ): Promise<{ success: boolean; mergeRecordId?: string }> {
     // Get instanceIds for both scenes
-    const [sourceInstanceId, targetInstanceId] = await Promise.all([
-      getEntityInstanceId('scene', sourceSceneId),
-      getEntityInstanceId('scene', targetSceneId),
-    ]);
+    const { sourceInstanceId, targetInstanceId } = instances ?? {
+      sourceInstanceId: await getEntityInstanceId('scene', sourceSceneId),
+      targetInstanceId: await getEntityInstanceId('scene', targetSceneId),
+    };
 
     const sourceHistory = await prisma.watchHistory.findUnique({
       where: { userId_instanceId_sceneId: { userId, instanceId: sourceInstanceId, sceneId: sourceSceneId } },
@@ -294,7 +305,7 @@ class MergeReconciliationService {
 
     // Transfer PlaylistItems for this user's playlists
     const playlistItems = await prisma.playlistItem.findMany({
-      where: { sceneId: sourceSceneId },
+      where: { sceneId: sourceSceneId, ...(instances && { instanceId: sourceInstanceId }) },
       include: { playlist: { select: { userId: true } } },
     });
 
@@ -304,7 +315,11 @@ class MergeReconciliationService {
     for (const item of userPlaylistItems) {
       // Check if target scene already exists in this playlist
       const existing = await prisma.playlistItem.findFirst({
-        where: { playlistId: item.playlistId, sceneId: targetSceneId },
+        where: {
+          playlistId: item.playlistId,
+          sceneId: targetSceneId,
+          ...(instances && { instanceId: targetInstanceId }),
+        },
       });
 
       if (existing) {
@@ -330,6 +345,8 @@ class MergeReconciliationService {
       data: {
         sourceSceneId,
         targetSceneId,
+        sourceInstanceId,
+        targetInstanceId,
         matchedByPhash,
         userId,
         playCountTransferred: sourceHistory?.playCount ?? 0,
@@ -356,6 +373,13 @@ class MergeReconciliationService {
 
     logger.info(`Transferred user data from scene ${sourceSceneId} to ${targetSceneId} for user ${userId}`);
 
+    // Pages showing the old scene's history or ratings refetch
+    eventBusService.publishToUser(userId, {
+      type: "scene-merged",
+      sourceSceneId,
+      targetSceneId,
+    });
+
     return { success: true, mergeRecordId: mergeRecord.id };
   }
 
@@ -366,16 +390,21 @@ class MergeReconciliationService {
     sourceSceneId: string,
     targetSceneId: string,
     matchedByPhash: string | null,
-    reconciledBy: number | null
+    reconciledBy: number | null,
+    instances?: MergeInstances
   ): Promise<ReconcileResult> {
     // Find all users with activity on the source scene
+    const sourceWhere = {
+      sceneId: sourceSceneId,
+      ...(instances && { instanceId: instances.sourceInstanceId }),
+    };
     const usersWithHistory = await prisma.watchHistory.findMany({
-      where: { sceneId: sourceSceneId },
+      where: sourceWhere,
       select: { userId: true },
     });
 
     const usersWithRatings = await prisma.sceneRating.findMany({
-      where: { sceneId: sourceSceneId },
+      where: sourceWhere,
       select: { userId: true },
     });
 
@@ -393,7 +422,8 @@ class MergeReconciliationService {
         targetSceneId,
         userId,
         matchedByPhash,
-        reconciledBy
+        reconciledBy,
+        instances
       );
       if (result.success) {
         mergeRecordsCreated++;
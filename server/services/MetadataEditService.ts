@@ -0,0 +1,456 @@
+/**
+ * MetadataEditService
+ *
+ * Every scene, performer, studio and tag edit made through Peek goes through
+ * here on its way to Stash.
+ *
+ * - Admins can edit any field; other users need canEditMetadata, and only
+ *   the fields their groups allow, on entities they can see
+ * - Members of moderated groups submit suggestions: the edit is stored as
+ *   pending and only written to Stash once an admin approves it
+ * - Applied, pending and rejected edits are all kept in MetadataEdit, along
+ *   with the values they replaced, as the entity's edit history
+ */
+import type { MetadataEdit, Prisma } from "@prisma/client";
+import type { StashClient } from "../graphql/StashClient.js";
+import {
+  AppError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../middleware/errorHandler.js";
+import prisma from "../prisma/singleton.js";
+import type {
+  MetadataEditEntityType,
+  MetadataEditEntry,
+  MetadataEditFieldAllowlist,
+  MetadataEditStatus,
+} from "../types/api/index.js";
+import { getEntityInstanceId } from "../utils/entityInstanceId.js";
+import { logger } from "../utils/logger.js";
+import { entityExclusionHelper } from "./EntityExclusionHelper.js";
+import { resolveMetadataEditAccess } from "./PermissionService.js";
+import { stashInstanceManager } from "./StashInstanceManager.js";
+import { getUserAllowedInstanceIds } from "./UserInstanceService.js";
+
+export const METADATA_EDIT_ENTITY_TYPES: readonly MetadataEditEntityType[] = [
+  "scene",
+  "performer",
+  "studio",
+  "tag",
+];
+
+export const METADATA_EDIT_STATUSES: readonly MetadataEditStatus[] = [
+  "pending",
+  "applied",
+  "rejected",
+];
+
+/**
+ * Stash update input fields non-admins can be allowed to edit. Anything else
+ * (ratings, play counts, organized flags, ...) stays admin-only.
+ */
+export const METADATA_EDIT_FIELDS: Record<MetadataEditEntityType, readonly string[]> = {
+  scene: [
+    "title",
+    "code",
+    "details",
+    "director",
+    "date",
+    "urls",
+    "studio_id",
+    "performer_ids",
+    "tag_ids",
+    "gallery_ids",
+  ],
+  performer: [
+    "name",
+    "disambiguation",
+    "alias_list",
+    "gender",
+    "birthdate",
+    "death_date",
+    "country",
+    "ethnicity",
+    "hair_color",
+    "eye_color",
+    "height_cm",
+    "weight",
+    "measurements",
+    "fake_tits",
+    "tattoos",
+    "piercings",
+    "career_length",
+    "details",
+    "urls",
+    "tag_ids",
+  ],
+  studio: ["name", "urls", "details", "parent_id", "aliases", "tag_ids"],
+  tag: ["name", "description", "aliases", "parent_ids", "child_ids"],
+};
+
+// Edits returned for one entity's history or one author's submissions
+const HISTORY_LIMIT = 100;
+
+// Update input fields whose value lives under a differently named relation
+const RELATION_FIELDS: Record<string, string> = {
+  studio_id: "studio",
+  parent_id: "parent_studio",
+  performer_ids: "performers",
+  tag_ids: "tags",
+  gallery_ids: "galleries",
+  parent_ids: "parents",
+  child_ids: "children",
+};
+
+export function isMetadataEditEntityType(value: unknown): value is MetadataEditEntityType {
+  return METADATA_EDIT_ENTITY_TYPES.includes(value as MetadataEditEntityType);
+}
+
+export function isMetadataEditStatus(value: unknown): value is MetadataEditStatus {
+  return METADATA_EDIT_STATUSES.includes(value as MetadataEditStatus);
+}
+
+type StashEntity = Record<string, unknown>;
+
+/**
+ * Read the current value of each update input field from a Stash entity,
+ * e.g. performer_ids from performers[].id, so edits can be diffed
+ */
+export function readEditedFields(entity: StashEntity, fields: string[]): Record<string, unknown> {
+  const values: Record<string, unknown> = {};
+  for (const field of fields) {
+    const relation = RELATION_FIELDS[field];
+    if (!relation) {
+      values[field] = entity[field] ?? null;
+    } else if (field.endsWith("_ids")) {
+      const related = entity[relation] as { id: string }[] | undefined;
+      values[field] = related ? related.map((r) => r.id) : [];
+    } else {
+      values[field] = (entity[relation] as { id: string } | null | undefined)?.id ?? null;
+    }
+  }
+  return values;
+}
+
+/**
+ * A group's field allowlist from a request body, or an error message. null
+ * allows every editable field.
+ */
+export function parseFieldAllowlist(value: unknown): MetadataEditFieldAllowlist | null | string {
+  if (value === null) return null;
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return "metadataEditFields must be an object of field lists per entity type, or null";
+  }
+
+  const allowlist: MetadataEditFieldAllowlist = {};
+  for (const [type, fields] of Object.entries(value as Record<string, unknown>)) {
+    if (!isMetadataEditEntityType(type)) {
+      return `Unknown entity type in metadataEditFields: ${type}`;
+    }
+    if (!Array.isArray(fields)) {
+      return `metadataEditFields.${type} must be a list of fields`;
+    }
+    const unknown = fields.filter((f) => !METADATA_EDIT_FIELDS[type].includes(f as string));
+    if (unknown.length > 0) {
+      return `Unknown ${type} fields in metadataEditFields: ${unknown.join(", ")}`;
+    }
+    allowlist[type] = [...new Set(fields as string[])];
+  }
+  return allowlist;
+}
+
+export function toMetadataEditEntry(row: MetadataEdit): MetadataEditEntry {
+  return {
+    id: row.id,
+    instanceId: row.stashInstanceId,
+    entityType: row.entityType as MetadataEditEntityType,
+    entityId: row.entityId,
+    entityLabel: row.entityLabel,
+    authorId: row.authorId,
+    authorUsername: row.authorUsername,
+    changes: row.changes as Record<string, unknown>,
+    previous: row.previous as Record<string, unknown>,
+    status: row.status as MetadataEditStatus,
+    reviewerUsername: row.reviewerUsername,
+    reviewNote: row.reviewNote,
+    reviewedAt: row.reviewedAt?.toISOString() ?? null,
+    createdAt: row.createdAt.toISOString(),
+  };
+}
+
+interface EditTarget {
+  fetch(stash: StashClient, id: string): Promise<StashEntity | null>;
+  /** Write the changes; returns the updated entity, or null if Stash returned nothing */
+  update(stash: StashClient, id: string, changes: Record<string, unknown>): Promise<StashEntity | null>;
+}
+
+const EDIT_TARGETS: Record<MetadataEditEntityType, EditTarget> = {
+  scene: {
+    fetch: async (stash, id) =>
+      ((await stash.findScenes({ ids: [id] })).findScenes.scenes[0] as StashEntity | undefined) ?? null,
+    update: async (stash, id, changes) =>
+      ((await stash.sceneUpdate({ input: { id, ...changes } })).sceneUpdate as StashEntity | null) ?? null,
+  },
+  performer: {
+    fetch: async (stash, id) =>
+      ((await stash.findPerformers({ ids: [id] })).findPerformers.performers[0] as StashEntity | undefined) ?? null,
+    update: async (stash, id, changes) =>
+      ((await stash.performerUpdate({ input: { id, ...changes } })).performerUpdate as StashEntity | null) ??
+      null,
+  },
+  studio: {
+    fetch: async (stash, id) =>
+      ((await stash.findStudios({ ids: [id] })).findStudios.studios[0] as StashEntity | undefined) ?? null,
+    update: async (stash, id, changes) =>
+      ((await stash.studioUpdate({ input: { id, ...changes } })).studioUpdate as StashEntity | null) ?? null,
+  },
+  tag: {
+    fetch: async (stash, id) =>
+      ((await stash.findTags({ ids: [id] })).findTags.tags[0] as StashEntity | undefined) ?? null,
+    update: async (stash, id, changes) =>
+      ((await stash.tagUpdate({ input: { id, ...changes } })).tagUpdate as StashEntity | null) ?? null,
+  },
+};
+
+const ENTITY_NAMES: Record<MetadataEditEntityType, string> = {
+  scene: "Scene",
+  performer: "Performer",
+  studio: "Studio",
+  tag: "Tag",
+};
+
+export interface MetadataEditor {
+  id: number;
+  username: string;
+  role: string;
+}
+
+export type MetadataEditResult =
+  | { status: "applied"; entity: StashEntity; edit: MetadataEditEntry }
+  | { status: "pending"; edit: MetadataEditEntry };
+
+export interface MetadataEditListOptions {
+  status: MetadataEditStatus;
+  entityType?: MetadataEditEntityType;
+  page: number;
+  perPage: number;
+}
+
+class MetadataEditService {
+  /**
+   * Apply an edit, or queue it for review if the editor's groups are
+   * moderated. Throws ForbiddenError for users without edit access or for
+   * fields outside their allowlist, and NotFoundError for entities hidden
+   * from a non-admin editor.
+   */
+  async submit(
+    editor: MetadataEditor,
+    entityType: MetadataEditEntityType,
+    entityId: string,
+    input: Record<string, unknown>
+  ): Promise<MetadataEditResult> {
+    const { id: _id, ...changes } = input;
+    const fields = Object.keys(changes);
+    if (fields.length === 0) {
+      throw new ValidationError("No changes to apply");
+    }
+
+    let moderated = false;
+    if (editor.role !== "ADMIN") {
+      const access = await resolveMetadataEditAccess(editor.id);
+      if (!access.allowed) {
+        throw new ForbiddenError("You don't have permission to edit metadata");
+      }
+      const allowed = access.fields === null ? METADATA_EDIT_FIELDS[entityType] : access.fields[entityType] ?? [];
+      const denied = fields.filter((f) => !allowed.includes(f));
+      if (denied.length > 0) {
+        throw new ForbiddenError(`You can't edit these ${entityType} fields: ${denied.join(", ")}`);
+      }
+      moderated = access.moderated;
+    }
+
+    const instanceId = await getEntityInstanceId(entityType, entityId);
+    if (editor.role !== "ADMIN" && !(await this.isVisible(editor.id, entityType, entityId, instanceId))) {
+      throw new NotFoundError(`${ENTITY_NAMES[entityType]} not found`);
+    }
+
+    const stash = stashInstanceManager.get(instanceId);
+    if (!stash) {
+      throw new NotFoundError(`Stash instance not found for ${entityType}`);
+    }
+
+    const target = EDIT_TARGETS[entityType];
+    const entity = await target.fetch(stash, entityId);
+    if (!entity) {
+      throw new NotFoundError(`${ENTITY_NAMES[entityType]} not found`);
+    }
+
+    const data = {
+      stashInstanceId: instanceId,
+      entityType,
+      entityId,
+      entityLabel: ((entity.title || entity.name) as string | undefined) ?? null,
+      authorId: editor.id,
+      authorUsername: editor.username,
+      changes: changes as Prisma.InputJsonValue,
+      previous: readEditedFields(entity, fields) as Prisma.InputJsonValue,
+    };
+
+    if (moderated) {
+      const row = await prisma.metadataEdit.create({ data: { ...data, status: "pending" } });
+      logger.info("Metadata edit submitted for review", {
+        editId: row.id,
+        entityType,
+        entityId,
+        userId: editor.id,
+      });
+      return { status: "pending", edit: toMetadataEditEntry(row) };
+    }
+
+    const updated = await target.update(stash, entityId, changes);
+    if (!updated) {
+      throw new AppError(`${ENTITY_NAMES[entityType]} update returned null`, 500);
+    }
+
+    const row = await prisma.metadataEdit.create({ data: { ...data, status: "applied" } });
+    return { status: "applied", entity: updated, edit: toMetadataEditEntry(row) };
+  }
+
+  /**
+   * Whether the user can browse to the entity: it's on one of their
+   * instances and not hidden or restricted for them, as in the library
+   */
+  private async isVisible(
+    userId: number,
+    entityType: MetadataEditEntityType,
+    entityId: string,
+    instanceId: string
+  ): Promise<boolean> {
+    const allowedInstanceIds = await getUserAllowedInstanceIds(userId);
+    if (!allowedInstanceIds.includes(instanceId)) {
+      return false;
+    }
+    const visible = await entityExclusionHelper.filterExcluded([{ id: entityId, instanceId }], userId, entityType);
+    return visible.length > 0;
+  }
+
+  async list(options: MetadataEditListOptions): Promise<{ edits: MetadataEditEntry[]; total: number }> {
+    const where: Prisma.MetadataEditWhereInput = {
+      status: options.status,
+      ...(options.entityType && { entityType: options.entityType }),
+    };
+    const [rows, total] = await Promise.all([
+      prisma.metadataEdit.findMany({
+        where,
+        // Oldest first for the review queue, newest first for history
+        orderBy: { createdAt: options.status === "pending" ? "asc" : "desc" },
+        skip: (options.page - 1) * options.perPage,
+        take: options.perPage,
+      }),
+      prisma.metadataEdit.count({ where }),
+    ]);
+    return { edits: rows.map(toMetadataEditEntry), total };
+  }
+
+  async listForAuthor(authorId: number): Promise<MetadataEditEntry[]> {
+    const rows = await prisma.metadataEdit.findMany({
+      where: { authorId },
+      orderBy: { createdAt: "desc" },
+      take: HISTORY_LIMIT,
+    });
+    return rows.map(toMetadataEditEntry);
+  }
+
+  /** Edit history of one entity, newest first */
+  async history(entityType: MetadataEditEntityType, entityId: string): Promise<MetadataEditEntry[]> {
+    const rows = await prisma.metadataEdit.findMany({
+      where: { entityType, entityId },
+      orderBy: { createdAt: "desc" },
+      take: HISTORY_LIMIT,
+    });
+    return rows.map(toMetadataEditEntry);
+  }
+
+  /**
+   * An edit plus the current Stash values of the fields it changes, so a
+   * reviewer can see whether the entity changed since it was submitted
+   */
+  async get(id: number): Promise<{ edit: MetadataEditEntry; current: Record<string, unknown> | null }> {
+    const row = await this.findOrThrow(id);
+    const edit = toMetadataEditEntry(row);
+    const stash = stashInstanceManager.get(row.stashInstanceId);
+    if (!stash) {
+      throw new AppError("Stash instance is not connected", 503);
+    }
+    const entity = await EDIT_TARGETS[edit.entityType].fetch(stash, row.entityId);
+    return { edit, current: entity ? readEditedFields(entity, Object.keys(edit.changes)) : null };
+  }
+
+  /** Write a pending edit to Stash */
+  async approve(id: number, reviewer: MetadataEditor, note?: string | null): Promise<MetadataEditEntry> {
+    const row = await this.findPendingOrThrow(id);
+    const stash = stashInstanceManager.get(row.stashInstanceId);
+    if (!stash) {
+      throw new AppError("Stash instance is not connected", 503);
+    }
+
+    const entityType = row.entityType as MetadataEditEntityType;
+    const updated = await EDIT_TARGETS[entityType].update(
+      stash,
+      row.entityId,
+      row.changes as Record<string, unknown>
+    );
+    if (!updated) {
+      throw new NotFoundError(`${ENTITY_NAMES[entityType]} no longer exists in Stash`);
+    }
+
+    return this.review(row.id, "applied", reviewer, note);
+  }
+
+  async reject(id: number, reviewer: MetadataEditor, note?: string | null): Promise<MetadataEditEntry> {
+    const row = await this.findPendingOrThrow(id);
+    return this.review(row.id, "rejected", reviewer, note);
+  }
+
+  private async review(
+    id: number,
+    status: "applied" | "rejected",
+    reviewer: MetadataEditor,
+    note?: string | null
+  ): Promise<MetadataEditEntry> {
+    const row = await prisma.metadataEdit.update({
+      where: { id },
+      data: {
+        status,
+        reviewerId: reviewer.id,
+        reviewerUsername: reviewer.username,
+        reviewNote: note?.trim() || null,
+        reviewedAt: new Date(),
+      },
+    });
+    logger.info(`Metadata edit ${status === "applied" ? "approved" : "rejected"}`, {
+      editId: id,
+      reviewerId: reviewer.id,
+    });
+    return toMetadataEditEntry(row);
+  }
+
+  private async findOrThrow(id: number): Promise<MetadataEdit> {
+    const row = await prisma.metadataEdit.findUnique({ where: { id } });
+    if (!row) {
+      throw new NotFoundError("Edit not found");
+    }
+    return row;
+  }
+
+  private async findPendingOrThrow(id: number): Promise<MetadataEdit> {
+    const row = await this.findOrThrow(id);
+    if (row.status !== "pending") {
+      throw new AppError(`This edit was already ${row.status}`, 409, "CONFLICT");
+    }
+    return row;
+  }
+}
+
+export const metadataEditService = new MetadataEditService();
@@ -0,0 +1,572 @@
+/**
+ * OidcService
+ *
+ * OpenID Connect sign-in using the authorization code flow with PKCE:
+ * - reads the provider's discovery document and signing keys (cached)
+ * - builds the authorization redirect and remembers its state/nonce/verifier
+ * - exchanges the returned code and verifies the ID token
+ * - finds, links or provisions the Peek user and syncs IdP groups/admin role
+ *
+ * Pending logins are kept in memory (like account lockouts) and expire
+ * after OIDC_LOGIN_TTL_MS.
+ */
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { AppError, ForbiddenError, ValidationError } from "../middleware/errorHandler.js";
+import prisma from "../prisma/singleton.js";
+import { logger } from "../utils/logger.js";
+import { auditLogService } from "./AuditLogService.js";
+import {
+  getAuthSettings,
+  isOidcConfigured,
+  type AuthSettingsValues,
+} from "./AuthSettingsService.js";
+
+export const OIDC_LOGIN_TTL_MS = 10 * 60 * 1000;
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+// Unknown key IDs trigger a JWKS refetch at most this often (key rotation)
+const JWKS_REFRESH_MIN_INTERVAL_MS = 60 * 1000;
+const PROVIDER_TIMEOUT_MS = 10 * 1000;
+const SUPPORTED_ALGORITHMS: jwt.Algorithm[] = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512",
+];
+
+export interface OidcDiscoveryDocument {
+  issuer: string;
+  authorization_endpoint: string;
+  token_endpoint: string;
+  jwks_uri: string;
+  userinfo_endpoint?: string;
+  token_endpoint_auth_methods_supported?: string[];
+}
+
+interface JwksDocument {
+  keys: (crypto.JsonWebKey & { kid?: string; use?: string })[];
+}
+
+interface TokenResponse {
+  id_token?: string;
+  access_token?: string;
+  error?: string;
+  error_description?: string;
+}
+
+interface PendingLogin {
+  nonce: string;
+  codeVerifier: string;
+  redirectUri: string;
+  returnTo: string;
+  expiresAt: number;
+}
+
+export interface OidcIdentity {
+  issuer: string;
+  subject: string;
+  username: string;
+  groups: string[];
+}
+
+export interface OidcLoginResult {
+  user: { id: number; username: string; role: string };
+  returnTo: string;
+}
+
+class OidcProviderError extends AppError {
+  constructor(message: string) {
+    super(message, 502, "OIDC_PROVIDER_ERROR");
+  }
+}
+
+const base64url = (buffer: Buffer) => buffer.toString("base64url");
+
+/**
+ * Read a claim by dot path ("realm_access.roles") from a claims object
+ */
+export function readClaim(claims: Record<string, unknown>, path: string): unknown {
+  let value: unknown = claims;
+  for (const part of path.split(".")) {
+    if (!value || typeof value !== "object") return undefined;
+    value = (value as Record<string, unknown>)[part];
+  }
+  return value;
+}
+
+/**
+ * Map verified claims to the identity Peek cares about
+ */
+export function extractIdentity(
+  claims: Record<string, unknown>,
+  issuer: string,
+  settings: Pick<AuthSettingsValues, "oidcUsernameClaim" | "oidcGroupsClaim">
+): OidcIdentity {
+  const subject = claims.sub;
+  if (typeof subject !== "string" || !subject) {
+    throw new OidcProviderError("The identity provider did not return a subject");
+  }
+
+  const candidates = [
+    readClaim(claims, settings.oidcUsernameClaim),
+    claims.preferred_username,
+    claims.email,
+    subject,
+  ];
+  const username = candidates.find(
+    (value): value is string => typeof value === "string" && value.trim() !== ""
+  );
+
+  const rawGroups = readClaim(claims, settings.oidcGroupsClaim);
+  const groups = Array.isArray(rawGroups)
+    ? rawGroups.filter((g): g is string => typeof g === "string")
+    : typeof rawGroups === "string"
+      ? [rawGroups]
+      : [];
+
+  return { issuer, subject, username: (username ?? subject).trim(), groups };
+}
+
+// Placeholder origin for resolving post-login paths; never contacted
+const RETURN_TO_ORIGIN = "http://peek.invalid";
+
+/**
+ * Only same-origin paths are allowed as post-login destinations. Browsers
+ * treat backslashes like slashes and drop tabs/newlines, so "/\evil.com"
+ * would leave the site; those are refused outright, and whatever is left
+ * must still resolve to our own origin.
+ */
+export function sanitizeReturnTo(returnTo: unknown): string {
+  if (
+    typeof returnTo !== "string" ||
+    !returnTo.startsWith("/") ||
+    returnTo.includes("\\") ||
+    Array.from(returnTo).some((ch) => ch.charCodeAt(0) < 0x20 || ch.charCodeAt(0) === 0x7f)
+  ) {
+    return "/";
+  }
+  let url: URL;
+  try {
+    url = new URL(returnTo, RETURN_TO_ORIGIN);
+  } catch {
+    return "/";
+  }
+  if (url.origin !== RETURN_TO_ORIGIN) {
+    return "/";
+  }
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+class OidcService {
+  private pendingLogins = new Map<string, PendingLogin>();
+  private discoveryCache = new Map<string, { document: OidcDiscoveryDocument; fetchedAt: number }>();
+  private jwksCache = new Map<string, { keys: JwksDocument["keys"]; fetchedAt: number }>();
+
+  // ==================== Provider metadata ====================
+
+  /**
+   * Fetch (or reuse) the discovery document for an issuer URL
+   */
+  async getDiscoveryDocument(issuerUrl: string): Promise<OidcDiscoveryDocument> {
+    const cached = this.discoveryCache.get(issuerUrl);
+    if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_TTL_MS) {
+      return cached.document;
+    }
+
+    const trimmed = issuerUrl.replace(/\/+$/, "");
+    const url = trimmed.endsWith("/.well-known/openid-configuration")
+      ? trimmed
+      : `${trimmed}/.well-known/openid-configuration`;
+
+    const document = await this.fetchJson<OidcDiscoveryDocument>(url);
+    for (const field of ["issuer", "authorization_endpoint", "token_endpoint", "jwks_uri"] as const) {
+      if (typeof document[field] !== "string" || !document[field]) {
+        throw new OidcProviderError(`Discovery document is missing "${field}"`);
+      }
+    }
+
+    this.discoveryCache.set(issuerUrl, { document, fetchedAt: Date.now() });
+    return document;
+  }
+
+  private async getSigningKey(jwksUri: string, kid: string | undefined): Promise<crypto.KeyObject> {
+    const findKey = (keys: JwksDocument["keys"]) => {
+      const signingKeys = keys.filter((key) => key.use !== "enc");
+      if (kid) return signingKeys.find((key) => key.kid === kid);
+      return signingKeys.length === 1 ? signingKeys[0] : undefined;
+    };
+
+    let cached = this.jwksCache.get(jwksUri);
+    let key = cached && Date.now() - cached.fetchedAt < METADATA_CACHE_TTL_MS
+      ? findKey(cached.keys)
+      : undefined;
+
+    if (!key && (!cached || Date.now() - cached.fetchedAt > JWKS_REFRESH_MIN_INTERVAL_MS)) {
+      const jwks = await this.fetchJson<JwksDocument>(jwksUri);
+      cached = { keys: Array.isArray(jwks.keys) ? jwks.keys : [], fetchedAt: Date.now() };
+      this.jwksCache.set(jwksUri, cached);
+      key = findKey(cached.keys);
+    }
+
+    if (!key) {
+      throw new OidcProviderError("No matching signing key for the ID token");
+    }
+    return crypto.createPublicKey({ key, format: "jwk" });
+  }
+
+  private async fetchJson<T>(url: string, init?: RequestInit): Promise<T> {
+    let response: Response;
+    try {
+      response = await fetch(url, { ...init, signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS) });
+    } catch (error) {
+      logger.warn("OIDC provider request failed", {
+        url,
+        error: error instanceof Error ? error.message : "Unknown error",
+      });
+      throw new OidcProviderError("Could not reach the identity provider");
+    }
+
+    const body = (await response.json().catch(() => null)) as (T & TokenResponse) | null;
+    if (!response.ok || !body) {
+      logger.warn("OIDC provider returned an error", {
+        url,
+        status: response.status,
+        error: body?.error_description ?? body?.error,
+      });
+      throw new OidcProviderError(
+        body?.error_description ?? `Identity provider request failed (${response.status})`
+      );
+    }
+    return body;
+  }
+
+  /**
+   * Forget cached metadata (after the admin changes provider settings)
+   */
+  clearCache(): void {
+    this.discoveryCache.clear();
+    this.jwksCache.clear();
+  }
+
+  // ==================== Login flow ====================
+
+  /**
+   * Start a login: returns the provider URL to redirect to and the state
+   * value the browser must present again on the callback
+   */
+  async startLogin(
+    redirectUri: string,
+    returnTo?: unknown
+  ): Promise<{ authorizationUrl: string; state: string }> {
+    const settings = await getAuthSettings();
+    if (!isOidcConfigured(settings) || !settings.oidcIssuerUrl || !settings.oidcClientId) {
+      throw new ForbiddenError("Single sign-on is not enabled");
+    }
+
+    const discovery = await this.getDiscoveryDocument(settings.oidcIssuerUrl);
+
+    this.prunePendingLogins();
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+
+    this.pendingLogins.set(state, {
+      nonce,
+      codeVerifier,
+      redirectUri,
+      returnTo: sanitizeReturnTo(returnTo),
+      expiresAt: Date.now() + OIDC_LOGIN_TTL_MS,
+    });
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.searchParams.set("response_type", "code");
+    url.searchParams.set("client_id", settings.oidcClientId);
+    url.searchParams.set("redirect_uri", redirectUri);
+    url.searchParams.set("scope", settings.oidcScopes);
+    url.searchParams.set("state", state);
+    url.searchParams.set("nonce", nonce);
+    url.searchParams.set("code_challenge", codeChallenge);
+    url.searchParams.set("code_challenge_method", "S256");
+
+    return { authorizationUrl: url.toString(), state };
+  }
+
+  /**
+   * Finish a login from the provider's callback parameters.
+   * `cookieState` is the state remembered in the browser that started the
+   * login, so a callback URL can't be replayed in someone else's browser.
+   */
+  async completeLogin(params: {
+    state: unknown;
+    code: unknown;
+    cookieState: unknown;
+  }): Promise<OidcLoginResult> {
+    const { state, code, cookieState } = params;
+    if (typeof state !== "string" || !state || state !== cookieState) {
+      throw new ValidationError("Sign-in request is invalid or has expired. Please try again.");
+    }
+
+    const pending = this.pendingLogins.get(state);
+    this.pendingLogins.delete(state);
+    if (!pending || pending.expiresAt < Date.now()) {
+      throw new ValidationError("Sign-in request is invalid or has expired. Please try again.");
+    }
+    if (typeof code !== "string" || !code) {
+      throw new ValidationError("The identity provider did not return an authorization code");
+    }
+
+    const settings = await getAuthSettings();
+    if (!isOidcConfigured(settings) || !settings.oidcIssuerUrl || !settings.oidcClientId) {
+      throw new ForbiddenError("Single sign-on is not enabled");
+    }
+
+    const discovery = await this.getDiscoveryDocument(settings.oidcIssuerUrl);
+    const tokens = await this.exchangeCode(discovery, settings, code, pending);
+    if (!tokens.id_token) {
+      throw new OidcProviderError("The identity provider did not return an ID token");
+    }
+
+    const claims = await this.verifyIdToken(tokens.id_token, discovery, settings.oidcClientId);
+    if (claims.nonce !== pending.nonce) {
+      throw new ValidationError("Sign-in request is invalid or has expired. Please try again.");
+    }
+
+    // Some providers only put groups in the userinfo response
+    if (
+      readClaim(claims, settings.oidcGroupsClaim) === undefined &&
+      discovery.userinfo_endpoint &&
+      tokens.access_token
+    ) {
+      const userinfo = await this.fetchJson<Record<string, unknown>>(discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+      if (userinfo.sub === claims.sub) {
+        Object.assign(claims, { ...userinfo, ...claims });
+      }
+    }
+
+    const identity = extractIdentity(claims, discovery.issuer, settings);
+    const user = await this.resolveUser(identity, settings);
+    return { user, returnTo: pending.returnTo };
+  }
+
+  private async exchangeCode(
+    discovery: OidcDiscoveryDocument,
+    settings: AuthSettingsValues,
+    code: string,
+    pending: PendingLogin
+  ): Promise<TokenResponse> {
+    const clientId = settings.oidcClientId ?? "";
+    const body = new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: pending.redirectUri,
+      code_verifier: pending.codeVerifier,
+      client_id: clientId,
+    });
+    const headers: Record<string, string> = {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    };
+
+    if (settings.oidcClientSecret) {
+      // client_secret_basic is the spec default when the provider doesn't say
+      const methods = discovery.token_endpoint_auth_methods_supported;
+      if (!methods || methods.includes("client_secret_basic")) {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(settings.oidcClientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+      } else {
+        body.set("client_secret", settings.oidcClientSecret);
+      }
+    }
+
+    return this.fetchJson<TokenResponse>(discovery.token_endpoint, {
+      method: "POST",
+      headers,
+      body: body.toString(),
+    });
+  }
+
+  private async verifyIdToken(
+    idToken: string,
+    discovery: OidcDiscoveryDocument,
+    clientId: string
+  ): Promise<jwt.JwtPayload> {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || typeof decoded.payload === "string") {
+      throw new OidcProviderError("The identity provider returned a malformed ID token");
+    }
+
+    const key = await this.getSigningKey(discovery.jwks_uri, decoded.header.kid);
+    try {
+      return jwt.verify(idToken, key, {
+        algorithms: SUPPORTED_ALGORITHMS,
+        issuer: discovery.issuer,
+        audience: clientId,
+        clockTolerance: 60,
+      }) as jwt.JwtPayload;
+    } catch (error) {
+      logger.warn("OIDC ID token rejected", {
+        error: error instanceof Error ? error.message : "Unknown error",
+      });
+      throw new OidcProviderError("The identity provider returned an invalid ID token");
+    }
+  }
+
+  // ==================== Users ====================
+
+  /**
+   * Find the user linked to this identity, link an existing local user, or
+   * create one; then sync admin role and mapped groups from the IdP
+   */
+  private async resolveUser(
+    identity: OidcIdentity,
+    settings: AuthSettingsValues
+  ): Promise<OidcLoginResult["user"]> {
+    const select = { id: true, username: true, role: true, oidcSubject: true } as const;
+
+    let user = await prisma.user.findFirst({
+      where: { oidcIssuer: identity.issuer, oidcSubject: identity.subject },
+      select,
+    });
+
+    if (!user) {
+      const sameName = await prisma.user.findUnique({
+        where: { username: identity.username },
+        select,
+      });
+
+      if (sameName) {
+        if (!settings.oidcLinkExistingUsers || sameName.oidcSubject) {
+          throw new ForbiddenError(
+            `A Peek account named "${identity.username}" already exists and is not linked to this sign-in. Ask an admin for help.`
+          );
+        }
+        user = await prisma.user.update({
+          where: { id: sameName.id },
+          data: { oidcIssuer: identity.issuer, oidcSubject: identity.subject },
+          select,
+        });
+        logger.info("Linked OIDC identity to existing user", { userId: user.id });
+      } else {
+        if (!settings.oidcAutoProvision) {
+          throw new ForbiddenError(
+            `No Peek account exists for "${identity.username}". Ask an admin to create one.`
+          );
+        }
+        // Password login is never used for these users; store an unguessable hash
+        const password = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+        user = await prisma.user.create({
+          data: {
+            username: identity.username,
+            password,
+            role: "USER",
+            oidcIssuer: identity.issuer,
+            oidcSubject: identity.subject,
+          },
+          select,
+        });
+        logger.info("Provisioned user from OIDC login", { userId: user.id });
+        await auditLogService.record({
+          action: "user.create",
+          actor: user,
+          target: { type: "user", id: user.id, label: user.username },
+          after: { username: user.username, role: user.role },
+          details: { via: "oidc" },
+        });
+      }
+    }
+
+    const role = await this.syncRole(user, identity.groups, settings.oidcAdminGroup);
+    await this.syncGroups(user.id, identity.groups);
+
+    return { id: user.id, username: user.username, role };
+  }
+
+  /**
+   * Grant or revoke ADMIN from the admin group claim. The last admin is
+   * never demoted, so a misconfigured claim can't lock everyone out.
+   */
+  private async syncRole(
+    user: { id: number; username: string; role: string },
+    groups: string[],
+    adminGroup: string | null
+  ): Promise<string> {
+    if (!adminGroup) return user.role;
+
+    const desired = groups.includes(adminGroup) ? "ADMIN" : "USER";
+    if (desired === user.role) return user.role;
+
+    if (desired === "USER") {
+      const adminCount = await prisma.user.count({ where: { role: "ADMIN" } });
+      if (adminCount <= 1) {
+        logger.warn("Not removing ADMIN from the last admin user", { userId: user.id });
+        return user.role;
+      }
+    }
+
+    await prisma.user.update({ where: { id: user.id }, data: { role: desired } });
+    logger.info("Updated user role from OIDC groups", { userId: user.id, role: desired });
+    await auditLogService.record({
+      action: "user.role_change",
+      actor: user,
+      target: { type: "user", id: user.id, label: user.username },
+      before: { role: user.role },
+      after: { role: desired },
+      details: { via: "oidc", group: adminGroup },
+    });
+    return desired;
+  }
+
+  /**
+   * Match memberships of groups that have an IdP group mapped to the
+   * groups claim. Memberships of unmapped groups are left alone.
+   */
+  private async syncGroups(userId: number, groups: string[]): Promise<void> {
+    const mappedGroups = await prisma.userGroup.findMany({
+      where: { oidcGroup: { not: null } },
+      select: { id: true, oidcGroup: true },
+    });
+    if (mappedGroups.length === 0) return;
+
+    const wanted = new Set(
+      mappedGroups
+        .filter((g) => g.oidcGroup !== null && groups.includes(g.oidcGroup))
+        .map((g) => g.id)
+    );
+    const mappedIds = mappedGroups.map((g) => g.id);
+
+    const current = await prisma.userGroupMembership.findMany({
+      where: { userId, groupId: { in: mappedIds } },
+      select: { groupId: true },
+    });
+    const currentIds = new Set(current.map((m) => m.groupId));
+
+    const toAdd = [...wanted].filter((id) => !currentIds.has(id));
+    const toRemove = [...currentIds].filter((id) => !wanted.has(id));
+    if (toAdd.length === 0 && toRemove.length === 0) return;
+
+    await prisma.$transaction([
+      prisma.userGroupMembership.deleteMany({ where: { userId, groupId: { in: toRemove } } }),
+      prisma.userGroupMembership.createMany({
+        data: toAdd.map((groupId) => ({ userId, groupId })),
+      }),
+    ]);
+  }
+
+  private prunePendingLogins(): void {
+    const now = Date.now();
+    for (const [state, pending] of this.pendingLogins) {
+      if (pending.expiresAt < now) this.pendingLogins.delete(state);
+    }
+  }
+}
+
+export const oidcService = new OidcService();
@@ -12,7 +12,8 @@ import { expandTagIds } from "../utils/hierarchyUtils.js";
 import { getGalleryFallbackTitle } from "../utils/titleUtils.js";
 import { parseJsonArray } from "../utils/sqlHelpers.js";
 import { KEY_SEP } from "./UserStatsService.js";
-import { buildNumericFilter, buildDateFilter, buildTextFilter, buildFavoriteFilter, buildJunctionFilter, parseCompositeFilterValues, type FilterClause } from "../utils/sqlFilterBuilders.js";
+import { buildNumericFilter, buildDateFilter, buildTextFilter, buildFavoriteFilter, buildJunctionFilter, parseCompositeFilterValues, buildRuleGroupFilter, type FilterClause } from "../utils/sqlFilterBuilders.js";
+import { searchService } from "./SearchService.js";
 import { coerceEntityRefs } from "@peek/shared-types/instanceAwareId.js";
 
 /** Deduplicate composite key objects by id+stashInstanceId */
@@ -469,18 +470,10 @@ class PerformerQueryBuilder {
   }
 
   /**
-   * Build search query filter (searches name and aliases)
+   * Build search query filter (full-text search of name, aliases and disambiguation)
    */
   private buildSearchFilter(searchQuery: string | undefined): FilterClause {
-    if (!searchQuery || searchQuery.trim() === "") {
-      return { sql: "", params: [] };
-    }
-
-    const lowerQuery = `%${searchQuery.toLowerCase()}%`;
-    return {
-      sql: "(LOWER(p.name) LIKE ? OR LOWER(p.aliasList) LIKE ?)",
-      params: [lowerQuery, lowerQuery],
-    };
+    return searchService.buildMatchFilter("performer", "p", searchQuery);
   }
 
   /**
@@ -528,35 +521,16 @@ class PerformerQueryBuilder {
     return `${sortExpr}, p.id ${dir}`;
   }
 
-  async execute(options: PerformerQueryOptions): Promise<PerformerQueryResult> {
-    const startTime = Date.now();
-    const { userId, page, perPage, applyExclusions = true, allowedInstanceIds, specificInstanceId, filters, searchQuery, randomSeed } = options;
-
-    // Build FROM clause with optional exclusion JOIN
-    const fromClause = this.buildFromClause(userId, applyExclusions);
-
-    // Build WHERE clauses
-    const whereClauses: FilterClause[] = [this.buildBaseWhere(applyExclusions)];
-
-    // Instance filter (multi-instance support)
-    const instanceFilter = this.buildInstanceFilter(allowedInstanceIds);
-    if (instanceFilter.sql) {
-      whereClauses.push(instanceFilter);
-    }
-
-    // Specific instance filter (for disambiguation on detail pages)
-    if (specificInstanceId) {
-      const specificFilter = this.buildSpecificInstanceFilter(specificInstanceId);
-      if (specificFilter.sql) {
-        whereClauses.push(specificFilter);
-      }
-    }
-
-    // Search query
-    const searchFilter = this.buildSearchFilter(searchQuery);
-    if (searchFilter.sql) {
-      whereClauses.push(searchFilter);
-    }
+  /**
+   * Build the WHERE clauses for a filter's criteria. The rules inside a
+   * filter_group are built with this same method, so every criterion works
+   * at any depth of the group.
+   */
+  private async buildFilterClauses(
+    filters: PeekPerformerFilter | undefined,
+    userId: number
+  ): Promise<FilterClause[]> {
+    const whereClauses: FilterClause[] = [];
 
     // ID filter
     if (filters?.ids) {
@@ -786,6 +760,52 @@ class PerformerQueryBuilder {
       }
     }
 
+    // Nested AND/OR/NOT rule group
+    if (filters?.filter_group) {
+      const groupFilter = await buildRuleGroupFilter(filters.filter_group, (rule) =>
+        this.buildFilterClauses(rule, userId)
+      );
+      if (groupFilter.sql) {
+        whereClauses.push(groupFilter);
+      }
+    }
+
+    return whereClauses;
+  }
+
+  async execute(options: PerformerQueryOptions): Promise<PerformerQueryResult> {
+    const startTime = Date.now();
+    const { userId, page, perPage, applyExclusions = true, allowedInstanceIds, specificInstanceId, filters, searchQuery, randomSeed } = options;
+
+    // Build FROM clause with optional exclusion JOIN
+    const fromClause = this.buildFromClause(userId, applyExclusions);
+
+    // Build WHERE clauses
+    const whereClauses: FilterClause[] = [this.buildBaseWhere(applyExclusions)];
+
+    // Instance filter (multi-instance support)
+    const instanceFilter = this.buildInstanceFilter(allowedInstanceIds);
+    if (instanceFilter.sql) {
+      whereClauses.push(instanceFilter);
+    }
+
+    // Specific instance filter (for disambiguation on detail pages)
+    if (specificInstanceId) {
+      const specificFilter = this.buildSpecificInstanceFilter(specificInstanceId);
+      if (specificFilter.sql) {
+        whereClauses.push(specificFilter);
+      }
+    }
+
+    // Search query
+    const searchFilter = this.buildSearchFilter(searchQuery);
+    if (searchFilter.sql) {
+      whereClauses.push(searchFilter);
+    }
+
+    // Filter criteria, including nested rule groups
+    whereClauses.push(...(await this.buildFilterClauses(filters, userId)));
+
     // Combine WHERE clauses
     const whereSQL = whereClauses.map((c) => c.sql).filter(Boolean).join(" AND ");
     const whereParams = whereClauses.flatMap((c) => c.params);
@@ -827,7 +847,9 @@ class PerformerQueryBuilder {
       filters?.favorite !== undefined ||
       filters?.rating100 !== undefined ||
       filters?.play_count !== undefined ||
-      filters?.o_counter !== undefined;
+      filters?.o_counter !== undefined ||
+      // Rules inside a group may read user data too
+      filters?.filter_group !== undefined;
 
     if (hasUserDataFilters || applyExclusions) {
       const countSql = `
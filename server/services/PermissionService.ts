@@ -1,26 +1,34 @@
 import prisma from "../prisma/singleton.js";
+import type {
+  MetadataEditEntityType,
+  MetadataEditFieldAllowlist,
+} from "../types/api/index.js";
 
 export interface UserPermissions {
   canShare: boolean;
   canDownloadFiles: boolean;
   canDownloadPlaylists: boolean;
+  canEditMetadata: boolean;
   sources: {
     canShare: string; // "default", "override", or group name
     canDownloadFiles: string;
     canDownloadPlaylists: string;
+    canEditMetadata: string;
   };
 }
 
-type PermissionKey = "canShare" | "canDownloadFiles" | "canDownloadPlaylists";
+type PermissionKey = "canShare" | "canDownloadFiles" | "canDownloadPlaylists" | "canEditMetadata";
 type OverrideKey =
   | "canShareOverride"
   | "canDownloadFilesOverride"
-  | "canDownloadPlaylistsOverride";
+  | "canDownloadPlaylistsOverride"
+  | "canEditMetadataOverride";
 
 const PERMISSION_KEYS: { permission: PermissionKey; override: OverrideKey }[] = [
   { permission: "canShare", override: "canShareOverride" },
   { permission: "canDownloadFiles", override: "canDownloadFilesOverride" },
   { permission: "canDownloadPlaylists", override: "canDownloadPlaylistsOverride" },
+  { permission: "canEditMetadata", override: "canEditMetadataOverride" },
 ];
 
 export async function resolveUserPermissions(
@@ -32,6 +40,7 @@ export async function resolveUserPermissions(
       canShareOverride: true,
       canDownloadFilesOverride: true,
       canDownloadPlaylistsOverride: true,
+      canEditMetadataOverride: true,
       groupMemberships: {
         select: {
           group: {
@@ -41,6 +50,7 @@ export async function resolveUserPermissions(
               canShare: true,
               canDownloadFiles: true,
               canDownloadPlaylists: true,
+              canEditMetadata: true,
             },
           },
         },
@@ -56,10 +66,12 @@ export async function resolveUserPermissions(
     canShare: false,
     canDownloadFiles: false,
     canDownloadPlaylists: false,
+    canEditMetadata: false,
     sources: {
       canShare: "default",
       canDownloadFiles: "default",
       canDownloadPlaylists: "default",
+      canEditMetadata: "default",
     },
   };
 
@@ -86,3 +98,71 @@ export async function resolveUserPermissions(
 
   return result;
 }
+
+export interface MetadataEditAccess {
+  allowed: boolean;
+  /** Edits wait for an admin's approval instead of going straight to Stash */
+  moderated: boolean;
+  /**
+   * Editable fields per entity type: null allows every editable field, and
+   * entity types left out can't be edited
+   */
+  fields: MetadataEditFieldAllowlist | null;
+}
+
+/**
+ * Resolve what a non-admin user may edit. Access comes from canEditMetadata
+ * like other permissions; the allowlist is the union of the granting groups'
+ * allowlists, and edits are moderated only if every granting group moderates.
+ * A user override with no granting group allows every field unmoderated.
+ */
+export async function resolveMetadataEditAccess(
+  userId: number
+): Promise<MetadataEditAccess> {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      canEditMetadataOverride: true,
+      groupMemberships: {
+        select: {
+          group: {
+            select: {
+              canEditMetadata: true,
+              metadataEditFields: true,
+              moderateMetadataEdits: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  const denied: MetadataEditAccess = { allowed: false, moderated: false, fields: {} };
+  if (!user || user.canEditMetadataOverride === false) {
+    return denied;
+  }
+
+  const granting = user.groupMemberships
+    .map((m) => m.group)
+    .filter((g) => g.canEditMetadata);
+
+  if (granting.length === 0) {
+    return user.canEditMetadataOverride === true
+      ? { allowed: true, moderated: false, fields: null }
+      : denied;
+  }
+
+  const moderated = granting.every((g) => g.moderateMetadataEdits);
+  if (granting.some((g) => g.metadataEditFields === null)) {
+    return { allowed: true, moderated, fields: null };
+  }
+
+  const fields: MetadataEditFieldAllowlist = {};
+  for (const group of granting) {
+    const allowlist = group.metadataEditFields as MetadataEditFieldAllowlist;
+    for (const [type, names] of Object.entries(allowlist) as [MetadataEditEntityType, string[]][]) {
+      fields[type] = [...new Set([...(fields[type] ?? []), ...names])];
+    }
+  }
+  return { allowed: true, moderated, fields };
+}
@@ -7,10 +7,33 @@ import { downloadService } from "./DownloadService.js";
 import { generateSceneNfo } from "../utils/nfoGenerator.js";
 import { stashInstanceManager } from "./StashInstanceManager.js";
 import { logger } from "../utils/logger.js";
+import {
+  DEFAULT_PLAYLIST_ZIP_LAYOUT,
+  actorImageName,
+  captionPath,
+  chaptersPath,
+  generateChapterFile,
+  isPlaylistZipLayout,
+  planScenePaths,
+  sanitizeFileName,
+  sceneBaseName,
+  uniqueName,
+  videoExtension,
+} from "../utils/zipLayouts.js";
+
+/**
+ * Stash returns full URLs for screenshots and images; older syncs may
+ * have stored bare paths
+ */
+const toStashUrl = (urlOrPath: string, baseUrl: string) =>
+  /^https?:\/\//.test(urlOrPath)
+    ? urlOrPath
+    : `${baseUrl}${urlOrPath.startsWith("/") ? "" : "/"}${urlOrPath}`;
 
 /**
  * Service for creating zip archives of playlists.
- * Streams video files from Stash and includes NFO metadata files.
+ * Streams video files from Stash and lays them out with NFO metadata,
+ * artwork, captions and chapters for the chosen media center.
  */
 export class PlaylistZipService {
   /**
@@ -29,13 +52,36 @@ export class PlaylistZipService {
   }
 
   /**
-   * Sanitize a filename by replacing invalid characters
+   * Fetch an optional extra (artwork, captions) from Stash. Failures are
+   * logged and skipped rather than failing the whole archive.
    */
-  private sanitizeFileName(name: string): string {
-    if (!name || name.trim() === "") {
-      return "download";
+  private async fetchOptional(
+    url: string,
+    apiKey: string,
+    what: string,
+    signal?: AbortSignal
+  ): Promise<Buffer | null> {
+    try {
+      const response = await fetch(url, {
+        headers: { ApiKey: apiKey },
+        signal,
+      });
+      if (!response.ok) {
+        logger.warn(`Skipping ${what} for zip`, {
+          url,
+          status: response.status,
+        });
+        return null;
+      }
+      return Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+      signal?.throwIfAborted();
+      logger.warn(`Skipping ${what} for zip`, {
+        url,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return null;
     }
-    return name.trim().replace(/[<>:"/\\|?*]/g, "_");
   }
 
   /**
@@ -56,9 +102,11 @@ export class PlaylistZipService {
   }
 
   /**
-   * Create a zip archive for a download
+   * Create a zip archive for a download. Aborting the signal stops the
+   * build and removes the partial file without marking the download failed,
+   * since the caller sets its status.
    */
-  async createZip(downloadId: number): Promise<void> {
+  async createZip(downloadId: number, signal?: AbortSignal): Promise<void> {
     // Get the download record
     const download = await downloadService.getDownload(downloadId);
     if (!download) {
@@ -100,7 +148,11 @@ export class PlaylistZipService {
 
     const zipFileName = `download-${downloadId}.zip`;
     const zipFilePath = path.join(userDir, zipFileName);
-    const playlistDirName = this.sanitizeFileName(playlist.name);
+    const playlistDirName = sanitizeFileName(playlist.name);
+    const layout = isPlaylistZipLayout(download.zipLayout)
+      ? download.zipLayout
+      : DEFAULT_PLAYLIST_ZIP_LAYOUT;
+    const usedNames = new Set<string>();
 
     // Create write stream and archiver
     const output = fs.createWriteStream(zipFilePath);
@@ -115,7 +167,21 @@ export class PlaylistZipService {
       fileName: string;
     }> = [];
 
+    // Rejects if the archive fails or the build is stopped, so a stalled
+    // finalize can't keep the build running
+    const stopped = new Promise<never>((_resolve, reject) => {
+      archive.on("error", reject);
+      signal?.addEventListener(
+        "abort",
+        () => reject(new Error("Playlist zip creation stopped")),
+        { once: true }
+      );
+    });
+    stopped.catch(() => {});
+
     try {
+      signal?.throwIfAborted();
+
       // Pipe archive to file
       archive.pipe(output);
 
@@ -124,6 +190,8 @@ export class PlaylistZipService {
       let processedItems = 0;
 
       for (const item of playlist.items) {
+        signal?.throwIfAborted();
+
         // Get scene with relations for NFO generation
         // Use findFirst since composite primary key [id, stashInstanceId] requires both fields for findUnique
         const scene = await prisma.stashScene.findFirst({
@@ -135,7 +203,7 @@ export class PlaylistZipService {
             performers: {
               include: {
                 performer: {
-                  select: { name: true },
+                  select: { name: true, imagePath: true },
                 },
               },
             },
@@ -146,6 +214,15 @@ export class PlaylistZipService {
                 },
               },
             },
+            // Always selected so the result keeps its typing; only written when zipChapters is on
+            clips: {
+              where: { deletedAt: null },
+              select: {
+                title: true,
+                seconds: true,
+                primaryTag: { select: { name: true } },
+              },
+            },
           },
         });
 
@@ -170,36 +247,127 @@ export class PlaylistZipService {
         }
 
         const sceneTitle = scene.title || scene.id;
-        const sanitizedTitle = this.sanitizeFileName(sceneTitle);
-        const videoFileName = `${sanitizedTitle}.mp4`;
-        const nfoFileName = `${sanitizedTitle}.nfo`;
+        const paths = planScenePaths(
+          layout,
+          playlistDirName,
+          uniqueName(sceneBaseName(layout, sceneTitle, scene.date), usedNames),
+          videoExtension(scene.filePath)
+        );
 
         logger.debug(`Processing scene for zip`, {
           sceneId: scene.id,
           title: sceneTitle,
+          layout,
         });
 
+        const stashBaseUrl = stashInstanceManager.getBaseUrl(
+          scene.stashInstanceId
+        );
+        const apiKey = stashInstanceManager.getApiKey(scene.stashInstanceId);
+
+        // Artwork from the scene screenshot
+        if (paths.poster && paths.fanart && scene.pathScreenshot) {
+          const screenshot = await this.fetchOptional(
+            toStashUrl(scene.pathScreenshot, stashBaseUrl),
+            apiKey,
+            "screenshot",
+            signal
+          );
+          if (screenshot) {
+            archive.append(screenshot, { name: paths.poster });
+            archive.append(screenshot, { name: paths.fanart });
+          }
+        }
+
+        // Performer images for the NFO's actor thumbs
+        const performerThumbs: Record<string, string> = {};
+        if (paths.actorsDir) {
+          for (const { performer } of scene.performers) {
+            if (!performer.imagePath || performerThumbs[performer.name])
+              continue;
+            const image = await this.fetchOptional(
+              toStashUrl(performer.imagePath, stashBaseUrl),
+              apiKey,
+              "performer image",
+              signal
+            );
+            if (image) {
+              const imagePath = `${paths.actorsDir}/${actorImageName(performer.name)}`;
+              archive.append(image, { name: imagePath });
+              performerThumbs[performer.name] = path.posix.relative(
+                paths.dir,
+                imagePath
+              );
+            }
+          }
+        }
+
         // Generate NFO content
-        const nfoContent = generateSceneNfo({
-          id: scene.id,
-          title: scene.title,
-          details: scene.details,
-          date: scene.date,
-          rating100: scene.rating100,
-          studioName,
-          performerNames: scene.performers.map((p) => p.performer.name),
-          tagNames: scene.tags.map((t) => t.tag.name),
-          fileName: videoFileName,
-        });
+        if (paths.nfo) {
+          const nfoContent = generateSceneNfo({
+            id: scene.id,
+            title: scene.title,
+            details: scene.details,
+            date: scene.date,
+            rating100: scene.rating100,
+            studioName,
+            performerNames: scene.performers.map((p) => p.performer.name),
+            tagNames: scene.tags.map((t) => t.tag.name),
+            fileName: path.posix.basename(paths.video),
+            director: scene.director,
+            setName: playlist.name,
+            performerThumbs,
+            poster: paths.poster && path.posix.basename(paths.poster),
+            fanart: paths.fanart && path.posix.basename(paths.fanart),
+            file: {
+              videoCodec: scene.fileVideoCodec,
+              audioCodec: scene.fileAudioCodec,
+              width: scene.fileWidth,
+              height: scene.fileHeight,
+              duration: scene.duration,
+            },
+          });
 
-        // Add NFO to archive
-        archive.append(nfoContent, {
-          name: `${playlistDirName}/${nfoFileName}`,
-        });
+          archive.append(nfoContent, { name: paths.nfo });
+        }
+
+        // Captions, which Stash serves as VTT whatever the source format
+        if (download.zipCaptions && scene.captions) {
+          const captions = JSON.parse(scene.captions) as {
+            language_code: string;
+            caption_type: string;
+          }[];
+          const languages = new Set<string>();
+          for (const caption of captions) {
+            const language = caption.language_code || "und";
+            if (languages.has(language)) continue;
+            const text = await this.fetchOptional(
+              `${stashBaseUrl}/scene/${scene.id}/caption?lang=${encodeURIComponent(caption.language_code)}&type=${encodeURIComponent(caption.caption_type)}`,
+              apiKey,
+              "caption",
+              signal
+            );
+            if (text) {
+              languages.add(language);
+              archive.append(text, { name: captionPath(paths, language) });
+            }
+          }
+        }
+
+        // Scene markers as chapters
+        if (download.zipChapters && scene.clips.length > 0) {
+          archive.append(
+            generateChapterFile(
+              scene.clips.map((clip) => ({
+                title: clip.title || clip.primaryTag?.name || "Chapter",
+                seconds: clip.seconds,
+              }))
+            ),
+            { name: chaptersPath(paths) }
+          );
+        }
 
         // Stream video file from Stash
-        const stashBaseUrl = stashInstanceManager.getBaseUrl();
-        const apiKey = stashInstanceManager.getApiKey();
         const streamUrl = `${stashBaseUrl}/scene/${scene.id}/stream`;
 
         logger.debug(`Fetching video from Stash`, {
@@ -211,6 +379,7 @@ export class PlaylistZipService {
           headers: {
             ApiKey: apiKey,
           },
+          signal,
         });
 
         if (!response.ok) {
@@ -232,15 +401,13 @@ export class PlaylistZipService {
         const nodeStream = Readable.fromWeb(
           response.body as import("stream/web").ReadableStream
         );
-        archive.append(nodeStream, {
-          name: `${playlistDirName}/${videoFileName}`,
-        });
+        archive.append(nodeStream, { name: paths.video });
 
-        // Track for M3U
+        // Track for M3U, relative to the playlist folder
         m3uItems.push({
           title: sceneTitle,
           duration: scene.duration,
-          fileName: videoFileName,
+          fileName: path.posix.relative(playlistDirName, paths.video),
         });
 
         // Update progress
@@ -261,13 +428,16 @@ export class PlaylistZipService {
       });
 
       // Finalize the archive
-      await archive.finalize();
+      await Promise.race([archive.finalize(), stopped]);
 
       // Wait for the output stream to finish
-      await new Promise<void>((resolve, reject) => {
-        output.on("close", resolve);
-        output.on("error", reject);
-      });
+      await Promise.race([
+        new Promise<void>((resolve, reject) => {
+          output.on("close", resolve);
+          output.on("error", reject);
+        }),
+        stopped,
+      ]);
 
       // Get final file size
       const stats = await fs.promises.stat(zipFilePath);
@@ -283,6 +453,9 @@ export class PlaylistZipService {
         fileSize: stats.size,
       });
     } catch (error) {
+      archive.abort();
+      output.destroy();
+
       // Clean up partial file on error
       try {
         await fs.promises.unlink(zipFilePath);
@@ -290,6 +463,11 @@ export class PlaylistZipService {
         // Ignore cleanup errors
       }
 
+      if (signal?.aborted) {
+        logger.info(`Playlist zip creation stopped`, { downloadId });
+        throw error;
+      }
+
       const errorMessage =
         error instanceof Error ? error.message : String(error);
       logger.error(`Playlist zip creation failed`, {
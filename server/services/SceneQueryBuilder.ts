@@ -11,7 +11,8 @@ import { logger } from "../utils/logger.js";
 import { expandStudioIds, expandTagIds } from "../utils/hierarchyUtils.js";
 import { getSceneFallbackTitle } from "../utils/titleUtils.js";
 import { parseJsonArray } from "../utils/sqlHelpers.js";
-import { type FilterClause, buildNumericFilter, buildDateFilter, buildFavoriteFilter, buildJunctionFilter, buildDirectFilter, parseCompositeFilterValues } from "../utils/sqlFilterBuilders.js";
+import { type FilterClause, buildNumericFilter, buildDateFilter, buildFavoriteFilter, buildJunctionFilter, buildDirectFilter, buildFolderFilter, buildRuleGroupFilter, parseCompositeFilterValues } from "../utils/sqlFilterBuilders.js";
+import { searchService } from "./SearchService.js";
 import { coerceEntityRefs } from "@peek/shared-types/instanceAwareId.js";
 
 // Query builder options
@@ -391,46 +392,11 @@ class SceneQueryBuilder {
   }
 
   /**
-   * Build text search filter clause (searches across title, details, path, performers, studio, tags)
-   * Uses LIKE with wildcard for broad text matching
+   * Build text search filter clause (full-text search of title, code, director,
+   * details, path, performers, studio and tags)
    */
   private buildSearchQueryFilter(searchQuery: string | undefined): FilterClause {
-    if (!searchQuery || searchQuery.trim() === "") {
-      return { sql: "", params: [] };
-    }
-
-    const query = searchQuery.trim();
-    const likeParam = `%${query}%`;
-
-    // Build OR clause that searches across multiple fields including relations via subqueries
-    // Using LOWER() for case-insensitive matching
-    const sql = `(
-      LOWER(s.title) LIKE LOWER(?) OR
-      LOWER(s.details) LIKE LOWER(?) OR
-      LOWER(s.filePath) LIKE LOWER(?) OR
-      EXISTS (
-        SELECT 1 FROM ScenePerformer sp
-        INNER JOIN StashPerformer p ON sp.performerId = p.id AND sp.performerInstanceId = p.stashInstanceId
-        WHERE sp.sceneId = s.id AND sp.sceneInstanceId = s.stashInstanceId
-        AND LOWER(p.name) LIKE LOWER(?)
-      ) OR
-      EXISTS (
-        SELECT 1 FROM StashStudio st
-        WHERE st.id = s.studioId AND st.stashInstanceId = s.stashInstanceId
-        AND LOWER(st.name) LIKE LOWER(?)
-      ) OR
-      EXISTS (
-        SELECT 1 FROM SceneTag stag
-        INNER JOIN StashTag t ON stag.tagId = t.id AND stag.tagInstanceId = t.stashInstanceId
-        WHERE stag.sceneId = s.id AND stag.sceneInstanceId = s.stashInstanceId
-        AND LOWER(t.name) LIKE LOWER(?)
-      )
-    )`;
-
-    return {
-      sql,
-      params: [likeParam, likeParam, likeParam, likeParam, likeParam, likeParam],
-    };
+    return searchService.buildMatchFilter("scene", "s", searchQuery);
   }
 
   /**
@@ -885,29 +851,16 @@ class SceneQueryBuilder {
     return `${sortExpr}, s.id ${dir}`;
   }
 
-  async execute(options: SceneQueryOptions): Promise<SceneQueryResult> {
-    const startTime = Date.now();
-    const { userId, page, perPage, applyExclusions = true, allowedInstanceIds, specificInstanceId, filters } = options;
-
-    // Build FROM clause with optional exclusion JOIN
-    const fromClause = this.buildFromClause(userId, applyExclusions);
-
-    // Build WHERE clauses
-    const whereClauses: FilterClause[] = [this.buildBaseWhere(applyExclusions)];
-
-    // Instance filter (multi-instance support)
-    const instanceFilter = this.buildInstanceFilter(allowedInstanceIds);
-    if (instanceFilter.sql) {
-      whereClauses.push(instanceFilter);
-    }
-
-    // Specific instance filter (for disambiguation on detail pages)
-    if (specificInstanceId) {
-      const specificFilter = this.buildSpecificInstanceFilter(specificInstanceId);
-      if (specificFilter.sql) {
-        whereClauses.push(specificFilter);
-      }
-    }
+  /**
+   * Build the WHERE clauses for a filter's criteria. The rules inside a
+   * filter_group are built with this same method, so every criterion works
+   * at any depth of the group.
+   */
+  private async buildFilterClauses(
+    filters: PeekSceneFilter | undefined,
+    userId: number
+  ): Promise<FilterClause[]> {
+    const whereClauses: FilterClause[] = [];
 
     // ID filter
     if (filters?.ids) {
@@ -1012,6 +965,14 @@ class SceneQueryBuilder {
       }
     }
 
+    // Folder subtree filter
+    if (filters?.folder) {
+      const folderFilter = buildFolderFilter(filters.folder, "s.filePath", "s.stashInstanceId");
+      if (folderFilter.sql) {
+        whereClauses.push(folderFilter);
+      }
+    }
+
     // Date filters
     if (filters?.date) {
       const dateFilter = buildDateFilter(filters.date, "s.date");
@@ -1123,6 +1084,46 @@ class SceneQueryBuilder {
       whereClauses.push(this.buildTagFavoriteFilter(userId));
     }
 
+    // Nested AND/OR/NOT rule group
+    if (filters?.filter_group) {
+      const groupFilter = await buildRuleGroupFilter(filters.filter_group, (rule) =>
+        this.buildFilterClauses(rule, userId)
+      );
+      if (groupFilter.sql) {
+        whereClauses.push(groupFilter);
+      }
+    }
+
+    return whereClauses;
+  }
+
+  async execute(options: SceneQueryOptions): Promise<SceneQueryResult> {
+    const startTime = Date.now();
+    const { userId, page, perPage, applyExclusions = true, allowedInstanceIds, specificInstanceId, filters } = options;
+
+    // Build FROM clause with optional exclusion JOIN
+    const fromClause = this.buildFromClause(userId, applyExclusions);
+
+    // Build WHERE clauses
+    const whereClauses: FilterClause[] = [this.buildBaseWhere(applyExclusions)];
+
+    // Instance filter (multi-instance support)
+    const instanceFilter = this.buildInstanceFilter(allowedInstanceIds);
+    if (instanceFilter.sql) {
+      whereClauses.push(instanceFilter);
+    }
+
+    // Specific instance filter (for disambiguation on detail pages)
+    if (specificInstanceId) {
+      const specificFilter = this.buildSpecificInstanceFilter(specificInstanceId);
+      if (specificFilter.sql) {
+        whereClauses.push(specificFilter);
+      }
+    }
+
+    // Filter criteria, including nested rule groups
+    whereClauses.push(...(await this.buildFilterClauses(filters, userId)));
+
     // Text search query (searches across title, details, path, performers, studio, tags)
     if (options.searchQuery) {
       const searchFilter = this.buildSearchQueryFilter(options.searchQuery);
@@ -1182,7 +1183,9 @@ class SceneQueryBuilder {
       filters?.play_duration !== undefined ||
       filters?.performer_favorite === true ||
       filters?.studio_favorite === true ||
-      filters?.tag_favorite === true;
+      filters?.tag_favorite === true ||
+      // Rules inside a group may read user data too
+      filters?.filter_group !== undefined;
 
     // Need full JOINs if user data filters OR exclusions are applied
     if (hasUserDataFilters || applyExclusions) {
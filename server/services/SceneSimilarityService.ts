@@ -0,0 +1,365 @@
+// server/services/SceneSimilarityService.ts
+/**
+ * SceneSimilarityService
+ *
+ * Finds scenes similar to a given scene from the local cache. An in-memory
+ * index of each scene's performers, tags (direct and inherited), studio and
+ * studio network, date, duration and phashes is built on first use and
+ * rebuilt after every sync.
+ *
+ * Scoring, for each candidate sharing something with the scene:
+ * - Shared performer: 3 points, less for performers in many scenes
+ * - Same studio: 2 points; same studio network (common top-level parent): 1
+ * - Shared tag: 1 point, half if either scene only inherits it, less for
+ *   common tags; tags on over a fifth of a large library are ignored
+ * - Up to 1 point for a release date close to the scene's
+ * - Up to 0.5 points for a similar length
+ *
+ * Near-duplicates (phash within a few bits) of the scene or of a better
+ * match are left out: they're the same video, not more like it.
+ */
+import prisma from "../prisma/singleton.js";
+import { logger } from "../utils/logger.js";
+import { isNearDuplicate, parseScenePhashes } from "../utils/phash.js";
+
+export const SIMILARITY_WEIGHTS = {
+  performer: 3,
+  studio: 2,
+  studioNetwork: 1,
+  tag: 1,
+  date: 1,
+  duration: 0.5,
+};
+
+// Inherited tags (from performers, studio, groups) count for less than the
+// scene's own
+const INHERITED_TAG_STRENGTH = 0.5;
+// Tags on more of the library than this say nothing about similarity (small
+// libraries keep tags on up to COMMON_TAG_MIN_SCENES scenes)
+const COMMON_TAG_SHARE = 0.2;
+const COMMON_TAG_MIN_SCENES = 50;
+// Shared performers and tags keep at least this share of their weight
+// however common they are
+const MIN_RARITY = 0.25;
+// Date closeness halves roughly every 250 days
+const DATE_SCALE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+interface IndexedScene {
+  key: string;
+  id: string;
+  studioKey: string | null;
+  networkKey: string | null;
+  performerKeys: string[];
+  /** Tag key -> 1 for the scene's own tags, INHERITED_TAG_STRENGTH for inherited */
+  tags: Map<string, number>;
+  /** Days since epoch */
+  day: number | null;
+  duration: number | null;
+  phashes: string[];
+}
+
+interface SimilarityIndex {
+  scenes: Map<string, IndexedScene>;
+  /** Scene ID -> scene keys, one per instance the ID exists in */
+  keysById: Map<string, string[]>;
+  byPerformer: Map<string, string[]>;
+  byStudio: Map<string, string[]>;
+  byNetwork: Map<string, string[]>;
+  byTag: Map<string, string[]>;
+}
+
+export interface SimilarSceneCandidate {
+  sceneId: string;
+  score: number;
+}
+
+export interface FindSimilarOptions {
+  /** Scene IDs to leave out (e.g. the user's exclusions) */
+  excludedIds?: Set<string>;
+  /** Instances the user can see; the scene is looked up in these first */
+  allowedInstanceIds?: string[];
+  /** Maximum number of results (default 500) */
+  limit?: number;
+}
+
+const KEY_SEP = "\0";
+const compositeKey = (id: string, instanceId: string) => `${id}${KEY_SEP}${instanceId}`;
+
+const addPosting = (postings: Map<string, string[]>, key: string, sceneKey: string) => {
+  const list = postings.get(key);
+  if (list) list.push(sceneKey);
+  else postings.set(key, [sceneKey]);
+};
+
+const parseDay = (date: string | null): number | null => {
+  if (!date) return null;
+  const time = Date.parse(date);
+  return Number.isNaN(time) ? null : Math.floor(time / DAY_MS);
+};
+
+const parseTagIds = (json: string | null): string[] => {
+  if (!json) return [];
+  try {
+    const parsed: unknown = JSON.parse(json);
+    return Array.isArray(parsed)
+      ? parsed.filter((id): id is string => typeof id === "string")
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+class SceneSimilarityService {
+  private index: SimilarityIndex | null = null;
+  private indexPromise: Promise<SimilarityIndex> | null = null;
+
+  /**
+   * Rebuild the index from the cache. Called after sync; on failure the
+   * previous index stays in use.
+   */
+  async rebuildIndex(): Promise<void> {
+    try {
+      this.index = await this.loadIndex();
+    } catch (error) {
+      logger.error("Failed to build scene similarity index", {
+        error: error instanceof Error ? error.message : "Unknown error",
+      });
+    }
+  }
+
+  /**
+   * Scenes similar to the given one, best match first
+   */
+  async findSimilar(
+    sceneId: string,
+    options: FindSimilarOptions = {}
+  ): Promise<SimilarSceneCandidate[]> {
+    const { excludedIds = new Set<string>(), allowedInstanceIds, limit = 500 } = options;
+    const index = await this.getIndex();
+
+    const keys = index.keysById.get(sceneId) ?? [];
+    const sourceKey =
+      keys.find((key) =>
+        allowedInstanceIds?.some((instanceId) => key === compositeKey(sceneId, instanceId))
+      ) ?? keys[0];
+    const source = sourceKey ? index.scenes.get(sourceKey) : undefined;
+    if (!source) return [];
+
+    const scores = this.scoreCandidates(index, source);
+
+    const ranked = [...scores.entries()]
+      .map(([key, score]) => ({ scene: index.scenes.get(key) as IndexedScene, score }))
+      .filter(({ scene }) => !excludedIds.has(scene.id))
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          (b.scene.day ?? -Infinity) - (a.scene.day ?? -Infinity) ||
+          a.scene.id.localeCompare(b.scene.id)
+      );
+
+    const kept: IndexedScene[] = [];
+    const result: SimilarSceneCandidate[] = [];
+    for (const { scene, score } of ranked) {
+      if (result.length >= limit) break;
+      if (
+        scene.phashes.length > 0 &&
+        (isNearDuplicate(scene.phashes, source.phashes) ||
+          kept.some((other) => isNearDuplicate(scene.phashes, other.phashes)))
+      ) {
+        continue;
+      }
+      kept.push(scene);
+      result.push({ sceneId: scene.id, score });
+    }
+
+    return result;
+  }
+
+  private scoreCandidates(index: SimilarityIndex, source: IndexedScene): Map<string, number> {
+    const total = index.scenes.size;
+    // 1 for an entity in a single scene down to MIN_RARITY for one in all of them
+    const rarity = (count: number) =>
+      total > 1
+        ? MIN_RARITY + (1 - MIN_RARITY) * Math.max(0, 1 - Math.log(count) / Math.log(total))
+        : 1;
+
+    const scores = new Map<string, number>();
+    const add = (sceneKey: string, points: number) => {
+      if (sceneKey === source.key) return;
+      scores.set(sceneKey, (scores.get(sceneKey) ?? 0) + points);
+    };
+
+    for (const performerKey of source.performerKeys) {
+      const sceneKeys = index.byPerformer.get(performerKey) ?? [];
+      const points = SIMILARITY_WEIGHTS.performer * rarity(sceneKeys.length);
+      for (const key of sceneKeys) add(key, points);
+    }
+
+    if (source.studioKey) {
+      for (const key of index.byStudio.get(source.studioKey) ?? []) {
+        add(key, SIMILARITY_WEIGHTS.studio);
+      }
+    }
+    if (source.networkKey) {
+      for (const key of index.byNetwork.get(source.networkKey) ?? []) {
+        if (index.scenes.get(key)?.studioKey !== source.studioKey) {
+          add(key, SIMILARITY_WEIGHTS.studioNetwork);
+        }
+      }
+    }
+
+    const commonTagScenes = Math.max(total * COMMON_TAG_SHARE, COMMON_TAG_MIN_SCENES);
+    for (const [tagKey, strength] of source.tags) {
+      const sceneKeys = index.byTag.get(tagKey) ?? [];
+      if (sceneKeys.length > commonTagScenes) continue;
+      const points = SIMILARITY_WEIGHTS.tag * rarity(sceneKeys.length);
+      for (const key of sceneKeys) {
+        const candidateStrength = index.scenes.get(key)?.tags.get(tagKey) ?? 0;
+        add(key, points * Math.min(strength, candidateStrength));
+      }
+    }
+
+    // Date and length only tell apart scenes that already have something in common
+    for (const [key, score] of scores) {
+      const candidate = index.scenes.get(key) as IndexedScene;
+      let bonus = 0;
+      if (source.day !== null && candidate.day !== null) {
+        bonus +=
+          SIMILARITY_WEIGHTS.date * Math.exp(-Math.abs(source.day - candidate.day) / DATE_SCALE_DAYS);
+      }
+      if (source.duration && candidate.duration) {
+        bonus +=
+          (SIMILARITY_WEIGHTS.duration * Math.min(source.duration, candidate.duration)) /
+          Math.max(source.duration, candidate.duration);
+      }
+      scores.set(key, score + bonus);
+    }
+
+    return scores;
+  }
+
+  private getIndex(): Promise<SimilarityIndex> {
+    if (this.index) return Promise.resolve(this.index);
+    if (!this.indexPromise) {
+      this.indexPromise = this.loadIndex()
+        .then((index) => {
+          this.index = index;
+          return index;
+        })
+        .finally(() => {
+          this.indexPromise = null;
+        });
+    }
+    return this.indexPromise;
+  }
+
+  private async loadIndex(): Promise<SimilarityIndex> {
+    const startTime = Date.now();
+
+    const [sceneRows, performerRows, tagRows, studioRows] = await Promise.all([
+      prisma.$queryRawUnsafe<Array<{
+        id: string;
+        stashInstanceId: string;
+        studioId: string | null;
+        date: string | null;
+        duration: number | null;
+        phash: string | null;
+        phashes: string | null;
+        inheritedTagIds: string | null;
+      }>>(`
+        SELECT id, stashInstanceId, studioId, date, duration, phash, phashes, inheritedTagIds
+        FROM StashScene
+        WHERE deletedAt IS NULL
+      `),
+      prisma.$queryRawUnsafe<Array<{ sceneId: string; sceneInstanceId: string; performerId: string }>>(
+        `SELECT sceneId, sceneInstanceId, performerId FROM ScenePerformer`
+      ),
+      prisma.$queryRawUnsafe<Array<{ sceneId: string; sceneInstanceId: string; tagId: string }>>(
+        `SELECT sceneId, sceneInstanceId, tagId FROM SceneTag`
+      ),
+      prisma.$queryRawUnsafe<Array<{ id: string; stashInstanceId: string; parentId: string | null }>>(
+        `SELECT id, stashInstanceId, parentId FROM StashStudio WHERE deletedAt IS NULL`
+      ),
+    ]);
+
+    // Studio network: the studio's top-level parent
+    const parents = new Map<string, string | null>(
+      studioRows.map((row) => [
+        compositeKey(row.id, row.stashInstanceId),
+        row.parentId ? compositeKey(row.parentId, row.stashInstanceId) : null,
+      ])
+    );
+    const networkOf = (studioKey: string) => {
+      let current = studioKey;
+      const seen = new Set<string>();
+      let parent = parents.get(current);
+      while (parent && !seen.has(parent)) {
+        seen.add(current);
+        current = parent;
+        parent = parents.get(current);
+      }
+      return current;
+    };
+
+    const index: SimilarityIndex = {
+      scenes: new Map(),
+      keysById: new Map(),
+      byPerformer: new Map(),
+      byStudio: new Map(),
+      byNetwork: new Map(),
+      byTag: new Map(),
+    };
+
+    for (const row of sceneRows) {
+      const key = compositeKey(row.id, row.stashInstanceId);
+      const studioKey = row.studioId ? compositeKey(row.studioId, row.stashInstanceId) : null;
+      const tags = new Map<string, number>();
+      for (const tagId of parseTagIds(row.inheritedTagIds)) {
+        tags.set(compositeKey(tagId, row.stashInstanceId), INHERITED_TAG_STRENGTH);
+      }
+
+      index.scenes.set(key, {
+        key,
+        id: row.id,
+        studioKey,
+        networkKey: studioKey ? networkOf(studioKey) : null,
+        performerKeys: [],
+        tags,
+        day: parseDay(row.date),
+        duration: row.duration ? Number(row.duration) : null,
+        phashes: parseScenePhashes(row.phash, row.phashes),
+      });
+      addPosting(index.keysById, row.id, key);
+    }
+
+    for (const row of performerRows) {
+      const scene = index.scenes.get(compositeKey(row.sceneId, row.sceneInstanceId));
+      if (!scene) continue;
+      const performerKey = compositeKey(row.performerId, row.sceneInstanceId);
+      if (scene.performerKeys.includes(performerKey)) continue;
+      scene.performerKeys.push(performerKey);
+      addPosting(index.byPerformer, performerKey, scene.key);
+    }
+
+    for (const row of tagRows) {
+      const scene = index.scenes.get(compositeKey(row.sceneId, row.sceneInstanceId));
+      if (!scene) continue;
+      scene.tags.set(compositeKey(row.tagId, row.sceneInstanceId), 1);
+    }
+
+    for (const scene of index.scenes.values()) {
+      if (scene.studioKey) addPosting(index.byStudio, scene.studioKey, scene.key);
+      if (scene.networkKey) addPosting(index.byNetwork, scene.networkKey, scene.key);
+      for (const tagKey of scene.tags.keys()) addPosting(index.byTag, tagKey, scene.key);
+    }
+
+    logger.info(
+      `Scene similarity index built in ${Date.now() - startTime}ms for ${index.scenes.size} scenes`
+    );
+
+    return index;
+  }
+}
+
+export const sceneSimilarityService = new SceneSimilarityService();
@@ -0,0 +1,424 @@
+/**
+ * SearchService
+ *
+ * Full-text search over the cached Stash entities, backed by one SQLite
+ * FTS5 table per entity type (scene_fts, performer_fts, ...). Each FTS row
+ * has the rowid of the cache row it indexes, so updating or joining an
+ * entity's index row is a rowid lookup.
+ *
+ * StashSyncService keeps the index current: every synced batch is
+ * re-indexed, and after an incremental sync the scenes of renamed
+ * performers, studios and tags follow (scene rows carry their names).
+ * A full sync rebuilds the index.
+ *
+ * Query syntax is described in utils/searchQuery.ts.
+ */
+import type { SearchEntityType, SearchHit, SearchResultGroup } from "@peek/shared-types/api/search.js";
+import prisma from "../prisma/singleton.js";
+import { logger } from "../utils/logger.js";
+import { parseSearchQuery } from "../utils/searchQuery.js";
+import type { FilterClause } from "../utils/sqlFilterBuilders.js";
+import { transformUrl } from "./UserStatsAggregationService.js";
+
+export const SEARCH_ENTITY_TYPES: readonly SearchEntityType[] = [
+  "scene",
+  "performer",
+  "studio",
+  "tag",
+  "group",
+  "gallery",
+];
+
+export function isSearchEntityType(type: string): type is SearchEntityType {
+  return (SEARCH_ENTITY_TYPES as readonly string[]).includes(type);
+}
+
+// SQLite's bound-parameter limit leaves room for this many IDs per statement
+const BATCH_SIZE = 500;
+
+interface SearchIndex {
+  /** Cache table */
+  table: string;
+  fts: string;
+  /** FTS columns, and the expressions (over cache row `e`) that fill them */
+  columns: Array<{ name: string; value: string; weight: number }>;
+  /** Display fields of a hit */
+  display: { name: string; subtitle: string; image: string };
+}
+
+const SEARCH_INDEXES: Record<SearchEntityType, SearchIndex> = {
+  scene: {
+    table: "StashScene",
+    fts: "scene_fts",
+    columns: [
+      { name: "title", value: "e.title", weight: 10 },
+      { name: "code", value: "e.code", weight: 6 },
+      { name: "director", value: "e.director", weight: 3 },
+      { name: "details", value: "e.details", weight: 1 },
+      { name: "path", value: "e.filePath", weight: 2 },
+      {
+        name: "performers",
+        value: `(SELECT group_concat(p.name, ' ')
+          FROM ScenePerformer sp
+          JOIN StashPerformer p ON p.id = sp.performerId AND p.stashInstanceId = sp.performerInstanceId
+          WHERE sp.sceneId = e.id AND sp.sceneInstanceId = e.stashInstanceId AND p.deletedAt IS NULL)`,
+        weight: 6,
+      },
+      {
+        name: "studio",
+        value: `(SELECT st.name FROM StashStudio st
+          WHERE st.id = e.studioId AND st.stashInstanceId = e.stashInstanceId AND st.deletedAt IS NULL)`,
+        weight: 4,
+      },
+      {
+        name: "tags",
+        value: `(SELECT group_concat(t.name, ' ')
+          FROM SceneTag stg
+          JOIN StashTag t ON t.id = stg.tagId AND t.stashInstanceId = stg.tagInstanceId
+          WHERE stg.sceneId = e.id AND stg.sceneInstanceId = e.stashInstanceId AND t.deletedAt IS NULL)`,
+        weight: 2,
+      },
+    ],
+    display: { name: "COALESCE(NULLIF(e.title, ''), e.filePath)", subtitle: "e.date", image: "e.pathScreenshot" },
+  },
+  performer: {
+    table: "StashPerformer",
+    fts: "performer_fts",
+    columns: [
+      { name: "name", value: "e.name", weight: 10 },
+      { name: "aliases", value: "e.aliasList", weight: 6 },
+      { name: "disambiguation", value: "e.disambiguation", weight: 2 },
+    ],
+    display: { name: "e.name", subtitle: "e.disambiguation", image: "e.imagePath" },
+  },
+  studio: {
+    table: "StashStudio",
+    fts: "studio_fts",
+    columns: [
+      { name: "name", value: "e.name", weight: 10 },
+      { name: "details", value: "e.details", weight: 1 },
+    ],
+    display: { name: "e.name", subtitle: "NULL", image: "e.imagePath" },
+  },
+  tag: {
+    table: "StashTag",
+    fts: "tag_fts",
+    columns: [
+      { name: "name", value: "e.name", weight: 10 },
+      { name: "aliases", value: "e.aliases", weight: 6 },
+      { name: "description", value: "e.description", weight: 1 },
+    ],
+    display: { name: "e.name", subtitle: "NULL", image: "e.imagePath" },
+  },
+  group: {
+    table: "StashGroup",
+    fts: "group_fts",
+    columns: [
+      { name: "name", value: "e.name", weight: 10 },
+      { name: "director", value: "e.director", weight: 3 },
+      { name: "synopsis", value: "e.synopsis", weight: 1 },
+    ],
+    display: { name: "e.name", subtitle: "e.date", image: "e.frontImagePath" },
+  },
+  gallery: {
+    table: "StashGallery",
+    fts: "gallery_fts",
+    columns: [
+      { name: "title", value: "e.title", weight: 10 },
+      { name: "code", value: "e.code", weight: 6 },
+      { name: "photographer", value: "e.photographer", weight: 3 },
+      { name: "details", value: "e.details", weight: 1 },
+      { name: "path", value: "COALESCE(e.folderPath, e.fileBasename)", weight: 2 },
+    ],
+    display: {
+      name: "COALESCE(NULLIF(e.title, ''), e.fileBasename, e.folderPath)",
+      subtitle: "e.date",
+      image: "e.coverPath",
+    },
+  },
+};
+
+// Types whose names are indexed on their scenes too
+type LinkedType = "performer" | "studio" | "tag";
+
+const LINKED_SCENES_SQL: Record<LinkedType, string> = {
+  performer: "SELECT sceneId AS id, sceneInstanceId AS instanceId FROM ScenePerformer WHERE performerInstanceId = ? AND performerId IN",
+  studio: "SELECT id, stashInstanceId AS instanceId FROM StashScene WHERE stashInstanceId = ? AND studioId IN",
+  tag: "SELECT sceneId AS id, sceneInstanceId AS instanceId FROM SceneTag WHERE tagInstanceId = ? AND tagId IN",
+};
+
+interface HitRow {
+  id: string;
+  instanceId: string;
+  name: string | null;
+  subtitle: string | null;
+  image: string | null;
+}
+
+function chunk<T>(items: T[], size: number): T[][] {
+  const chunks: T[][] = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/** A file path's last segment, for scenes shown by file name */
+function displayName(type: SearchEntityType, name: string | null): string {
+  if (!name) return "";
+  if ((type === "scene" || type === "gallery") && /[\\/]/.test(name)) {
+    return name.split(/[\\/]/).pop() || name;
+  }
+  return name;
+}
+
+class SearchService {
+  // Performers, studios and tags synced since the last applyPendingChanges,
+  // by instance
+  private pendingLinked: Record<LinkedType, Map<string, Set<string>>> = {
+    performer: new Map(),
+    studio: new Map(),
+    tag: new Map(),
+  };
+
+  /**
+   * Re-index entities after they were synced. Deleted entities drop out of
+   * the index.
+   */
+  async indexEntities(type: SearchEntityType, instanceId: string, ids: string[]): Promise<void> {
+    if (ids.length === 0) return;
+    const index = SEARCH_INDEXES[type];
+    const columns = index.columns.map((c) => c.name).join(", ");
+    const values = index.columns.map((c) => c.value).join(", ");
+
+    try {
+      for (const batch of chunk(ids, BATCH_SIZE)) {
+        const placeholders = batch.map(() => "?").join(", ");
+        await prisma.$executeRawUnsafe(
+          `DELETE FROM ${index.fts} WHERE rowid IN (
+            SELECT rowid FROM ${index.table} WHERE stashInstanceId = ? AND id IN (${placeholders})
+          )`,
+          instanceId,
+          ...batch
+        );
+        await prisma.$executeRawUnsafe(
+          `INSERT INTO ${index.fts} (rowid, ${columns})
+          SELECT e.rowid, ${values} FROM ${index.table} e
+          WHERE e.stashInstanceId = ? AND e.id IN (${placeholders}) AND e.deletedAt IS NULL`,
+          instanceId,
+          ...batch
+        );
+      }
+    } catch (error) {
+      // Search falls behind until the next full sync, but sync carries on
+      logger.error("Failed to update search index", {
+        type,
+        count: ids.length,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return;
+    }
+
+    if (type === "performer" || type === "studio" || type === "tag") {
+      const pending = this.pendingLinked[type].get(instanceId) ?? new Set<string>();
+      for (const id of ids) pending.add(id);
+      this.pendingLinked[type].set(instanceId, pending);
+    }
+  }
+
+  /**
+   * Finish an incremental sync: re-index the scenes of performers, studios
+   * and tags that changed, and drop entities the sync marked deleted.
+   */
+  async applyPendingChanges(): Promise<void> {
+    const startTime = Date.now();
+    let scenes = 0;
+
+    try {
+      for (const type of Object.keys(this.pendingLinked) as LinkedType[]) {
+        const byInstance = this.pendingLinked[type];
+        this.pendingLinked[type] = new Map();
+
+        for (const [instanceId, ids] of byInstance) {
+          const sceneIds = new Map<string, Set<string>>();
+          for (const batch of chunk([...ids], BATCH_SIZE)) {
+            const rows = await prisma.$queryRawUnsafe<Array<{ id: string; instanceId: string }>>(
+              `${LINKED_SCENES_SQL[type]} (${batch.map(() => "?").join(", ")})`,
+              instanceId,
+              ...batch
+            );
+            for (const row of rows) {
+              const set = sceneIds.get(row.instanceId) ?? new Set<string>();
+              set.add(row.id);
+              sceneIds.set(row.instanceId, set);
+            }
+          }
+          for (const [sceneInstanceId, set] of sceneIds) {
+            scenes += set.size;
+            await this.indexEntities("scene", sceneInstanceId, [...set]);
+          }
+        }
+      }
+
+      for (const type of SEARCH_ENTITY_TYPES) {
+        const index = SEARCH_INDEXES[type];
+        await prisma.$executeRawUnsafe(
+          `DELETE FROM ${index.fts} WHERE rowid IN (SELECT rowid FROM ${index.table} WHERE deletedAt IS NOT NULL)`
+        );
+      }
+
+      logger.info("Search index updated", { linkedScenes: scenes, durationMs: Date.now() - startTime });
+    } catch (error) {
+      logger.error("Failed to update search index", {
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  /**
+   * Rebuild the whole index from the cache
+   */
+  async rebuild(): Promise<void> {
+    const startTime = Date.now();
+    for (const type of Object.keys(this.pendingLinked) as LinkedType[]) {
+      this.pendingLinked[type] = new Map();
+    }
+
+    try {
+      for (const type of SEARCH_ENTITY_TYPES) {
+        const index = SEARCH_INDEXES[type];
+        await prisma.$executeRawUnsafe(`DELETE FROM ${index.fts}`);
+        await prisma.$executeRawUnsafe(
+          `INSERT INTO ${index.fts} (rowid, ${index.columns.map((c) => c.name).join(", ")})
+          SELECT e.rowid, ${index.columns.map((c) => c.value).join(", ")} FROM ${index.table} e
+          WHERE e.deletedAt IS NULL`
+        );
+      }
+      logger.info("Search index rebuilt", { durationMs: Date.now() - startTime });
+    } catch (error) {
+      logger.error("Failed to rebuild search index", {
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  /**
+   * WHERE clause limiting a query builder's rows (cache table alias `alias`)
+   * to those matching a search box query. Empty when there's nothing to
+   * search for.
+   */
+  buildMatchFilter(type: SearchEntityType, alias: string, searchQuery: string | undefined): FilterClause {
+    const parsed = parseSearchQuery(searchQuery);
+    if (!parsed) return { sql: "", params: [] };
+
+    const { fts } = SEARCH_INDEXES[type];
+    const clauses: string[] = [];
+    const params: string[] = [];
+    if (parsed.include) {
+      clauses.push(`${alias}.rowid IN (SELECT rowid FROM ${fts} WHERE ${fts} MATCH ?)`);
+      params.push(parsed.include);
+    }
+    if (parsed.exclude) {
+      clauses.push(`${alias}.rowid NOT IN (SELECT rowid FROM ${fts} WHERE ${fts} MATCH ?)`);
+      params.push(parsed.exclude);
+    }
+    return { sql: `(${clauses.join(" AND ")})`, params };
+  }
+
+  /**
+   * Keep the items matching a search box query, in their order
+   */
+  async filterByQuery<T extends { id: string; instanceId?: string | null }>(
+    type: SearchEntityType,
+    items: T[],
+    searchQuery: string
+  ): Promise<T[]> {
+    const filter = this.buildMatchFilter(type, "e", searchQuery);
+    if (!filter.sql) return items;
+
+    const rows = await prisma.$queryRawUnsafe<Array<{ id: string; instanceId: string }>>(
+      `SELECT e.id, e.stashInstanceId AS instanceId FROM ${SEARCH_INDEXES[type].table} e
+      WHERE e.deletedAt IS NULL AND ${filter.sql}`,
+      ...filter.params
+    );
+    const matches = new Set(rows.map((r) => `${r.instanceId}\0${r.id}`));
+    return items.filter((item) => matches.has(`${item.instanceId ?? ""}\0${item.id}`));
+  }
+
+  /**
+   * Best matches of each type for a user, most relevant first, leaving out
+   * their excluded entities and instances they can't see
+   */
+  async search(
+    searchQuery: string,
+    options: {
+      userId: number;
+      types?: readonly SearchEntityType[];
+      limit?: number;
+      allowedInstanceIds?: string[];
+    }
+  ): Promise<SearchResultGroup[]> {
+    const parsed = parseSearchQuery(searchQuery);
+    // Negations alone don't make a search
+    if (!parsed?.include) return [];
+
+    const { userId, types = SEARCH_ENTITY_TYPES, limit = 5, allowedInstanceIds } = options;
+    const groups: SearchResultGroup[] = [];
+
+    for (const type of types) {
+      const index = SEARCH_INDEXES[type];
+      const where = [
+        `${index.fts} MATCH ?`,
+        "e.deletedAt IS NULL",
+        "x.id IS NULL",
+      ];
+      const params: Array<string | number> = [userId, parsed.include];
+      if (parsed.exclude) {
+        where.push(`f.rowid NOT IN (SELECT rowid FROM ${index.fts} WHERE ${index.fts} MATCH ?)`);
+        params.push(parsed.exclude);
+      }
+      if (allowedInstanceIds && allowedInstanceIds.length > 0) {
+        where.push(`e.stashInstanceId IN (${allowedInstanceIds.map(() => "?").join(", ")})`);
+        params.push(...allowedInstanceIds);
+      }
+
+      const from = `FROM ${index.fts} f
+        JOIN ${index.table} e ON e.rowid = f.rowid
+        LEFT JOIN UserExcludedEntity x ON x.userId = ? AND x.entityType = '${type}'
+          AND x.entityId = e.id AND (x.instanceId = '' OR x.instanceId = e.stashInstanceId)
+        WHERE ${where.join(" AND ")}`;
+      const weights = index.columns.map((c) => c.weight.toFixed(1)).join(", ");
+
+      const [rows, countRows] = await Promise.all([
+        prisma.$queryRawUnsafe<HitRow[]>(
+          `SELECT e.id, e.stashInstanceId AS instanceId, ${index.display.name} AS name,
+            ${index.display.subtitle} AS subtitle, ${index.display.image} AS image
+          ${from}
+          ORDER BY bm25(${index.fts}, ${weights})
+          LIMIT ?`,
+          ...params,
+          limit
+        ),
+        prisma.$queryRawUnsafe<Array<{ total: number | bigint }>>(`SELECT COUNT(*) AS total ${from}`, ...params),
+      ]);
+
+      if (rows.length === 0) continue;
+      groups.push({
+        type,
+        total: Number(countRows[0]?.total ?? rows.length),
+        hits: rows.map(
+          (row): SearchHit => ({
+            id: row.id,
+            instanceId: row.instanceId,
+            type,
+            name: displayName(type, row.name) || row.id,
+            subtitle: row.subtitle,
+            imagePath: transformUrl(row.image, row.instanceId),
+          })
+        ),
+      });
+    }
+
+    return groups;
+  }
+}
+
+export const searchService = new SearchService();
@@ -0,0 +1,348 @@
+// server/services/SessionScoringService.ts
+/**
+ * Viewing-session signals for recommendations
+ *
+ * Watch history keeps one row per scene: when it was last played, the total
+ * time played and the times of counted plays. These helpers rebuild the
+ * user's latest viewing session from that, learn what they tend to watch at
+ * this time of day, spot scenes they gave up on, and spread a ranked list
+ * across studios and performers.
+ */
+import type { SceneScoringData } from "../types/index.js";
+
+// Sessions: scenes played within this gap of each other belong together
+export const SESSION_GAP_MS = 45 * 60 * 1000;
+// A last session older than this no longer says much about the mood
+export const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+export const SESSION_MAX_SCENES = 10;
+
+// Overlap with a session scene (most recent scene counts fully, older ones less)
+export const SESSION_PERFORMER_WEIGHT = 4;
+export const SESSION_STUDIO_WEIGHT = 2;
+export const SESSION_TAG_WEIGHT = 0.6;
+
+// Time of day: plays needed in a context before it's trusted, and how much
+// an entity's over-representation in it counts
+export const CONTEXT_MIN_PLAYS = 5;
+export const CONTEXT_WEIGHT = 3;
+
+// Abandoned: opened but stopped early without counting as a play
+export const ABANDON_MAX_FRACTION = 0.15;
+export const ABANDON_MAX_SECONDS = 5 * 60; // when the scene's length is unknown
+export const ABANDON_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Diversity: within any run of this many results, at most this many from
+// one studio or with one performer
+export const DIVERSITY_WINDOW = 8;
+export const DIVERSITY_MAX_REPEATS = 2;
+const DIVERSITY_LOOKAHEAD = 50;
+
+export type Daypart = "night" | "morning" | "afternoon" | "evening";
+
+export interface ViewingContext {
+  daypart: Daypart;
+  weekend: boolean;
+}
+
+/**
+ * One scene's watch history, as the scoring needs it
+ */
+export interface WatchEntry {
+  sceneId: string;
+  playCount: number;
+  /** Seconds played in total */
+  playDuration: number;
+  lastPlayedAt: Date | null;
+  /** Times of counted plays */
+  playTimes: Date[];
+  /** Scene length in seconds, if known */
+  sceneDuration: number | null;
+}
+
+/** A recently watched scene recommendations can follow on from */
+export interface SessionSeed {
+  sceneId: string;
+  weight: number;
+  studioId: string | null;
+  performerIds: Set<string>;
+  tagIds: Set<string>;
+}
+
+export interface ContextAffinity {
+  context: ViewingContext;
+  performerWeights: Map<string, number>;
+  studioWeights: Map<string, number>;
+  tagWeights: Map<string, number>;
+}
+
+/**
+ * Parse WatchHistory.playHistory (ISO timestamps, stored as JSON) into dates
+ */
+export function parsePlayTimes(playHistory: unknown): Date[] {
+  let values: unknown = playHistory;
+  if (typeof values === "string") {
+    try {
+      values = JSON.parse(values || "[]");
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(values)) return [];
+  return values
+    .filter((value): value is string => typeof value === "string")
+    .map((value) => new Date(value))
+    .filter((date) => !isNaN(date.getTime()));
+}
+
+/**
+ * Daypart and weekday/weekend of a moment in the given timezone (UTC if
+ * the timezone isn't valid)
+ */
+export function getViewingContext(date: Date, timezone?: string): ViewingContext {
+  let parts: Intl.DateTimeFormatPart[];
+  try {
+    parts = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone || "UTC",
+      weekday: "short",
+      hour: "numeric",
+      hourCycle: "h23",
+    }).formatToParts(date);
+  } catch {
+    return getViewingContext(date, "UTC");
+  }
+  const hour = Number(parts.find((p) => p.type === "hour")?.value ?? 0);
+  const weekday = parts.find((p) => p.type === "weekday")?.value;
+
+  const daypart: Daypart =
+    hour < 6 ? "night" : hour < 12 ? "morning" : hour < 18 ? "afternoon" : "evening";
+  return { daypart, weekend: weekday === "Sat" || weekday === "Sun" };
+}
+
+/**
+ * Whether the user opened the scene but stopped early: it never counted as
+ * a play and only a small part of it was watched
+ */
+export function isAbandoned(entry: WatchEntry): boolean {
+  if (entry.playCount > 0 || !entry.lastPlayedAt) return false;
+  if (entry.sceneDuration && entry.sceneDuration > 0) {
+    return entry.playDuration / entry.sceneDuration < ABANDON_MAX_FRACTION;
+  }
+  return entry.playDuration < ABANDON_MAX_SECONDS;
+}
+
+/**
+ * Whether the scene was abandoned recently enough to hold it back
+ */
+export function isRecentlyAbandoned(entry: WatchEntry, now: Date): boolean {
+  return (
+    isAbandoned(entry) &&
+    entry.lastPlayedAt !== null &&
+    now.getTime() - entry.lastPlayedAt.getTime() <= ABANDON_WINDOW_MS
+  );
+}
+
+/**
+ * Scenes of the user's current or most recent viewing session, newest
+ * first. Abandoned scenes keep the session together but aren't returned.
+ * Empty when the last session is over a week old.
+ */
+export function findLastSession(entries: WatchEntry[], now: Date): WatchEntry[] {
+  const played = entries
+    .filter((entry): entry is WatchEntry & { lastPlayedAt: Date } => entry.lastPlayedAt !== null)
+    .sort((a, b) => b.lastPlayedAt.getTime() - a.lastPlayedAt.getTime());
+
+  const [latest] = played;
+  if (!latest || now.getTime() - latest.lastPlayedAt.getTime() > SESSION_MAX_AGE_MS) {
+    return [];
+  }
+
+  const session: WatchEntry[] = [];
+  let previous = latest.lastPlayedAt;
+  for (const entry of played) {
+    if (previous.getTime() - entry.lastPlayedAt.getTime() > SESSION_GAP_MS) break;
+    previous = entry.lastPlayedAt;
+    if (!isAbandoned(entry)) session.push(entry);
+    if (session.length >= SESSION_MAX_SCENES) break;
+  }
+  return session;
+}
+
+/**
+ * Seeds for "continue the vibe" from session scenes, the newest weighing most
+ */
+export function buildSessionSeeds(
+  session: WatchEntry[],
+  getScoringDataById: (sceneId: string) => SceneScoringData | undefined
+): SessionSeed[] {
+  const seeds: SessionSeed[] = [];
+  for (const entry of session) {
+    const data = getScoringDataById(entry.sceneId);
+    if (!data) continue;
+    seeds.push({
+      sceneId: entry.sceneId,
+      weight: 1 / (seeds.length + 1),
+      studioId: data.studioId,
+      performerIds: new Set(data.performerIds),
+      tagIds: new Set(data.tagIds),
+    });
+  }
+  return seeds;
+}
+
+/**
+ * How closely a scene follows on from the session, and which session scene
+ * it follows most closely
+ */
+export function scoreBySession(
+  scoringData: SceneScoringData,
+  seeds: SessionSeed[]
+): { score: number; seedSceneId: string | null } {
+  let score = 0;
+  let best = 0;
+  let seedSceneId: string | null = null;
+
+  for (const seed of seeds) {
+    if (seed.sceneId === scoringData.id) continue;
+
+    const sharedPerformers = scoringData.performerIds.filter((id) => seed.performerIds.has(id)).length;
+    const sharedTags = scoringData.tagIds.filter((id) => seed.tagIds.has(id)).length;
+    const sameStudio = seed.studioId !== null && seed.studioId === scoringData.studioId;
+
+    const overlap =
+      SESSION_PERFORMER_WEIGHT * Math.sqrt(sharedPerformers) +
+      (sameStudio ? SESSION_STUDIO_WEIGHT : 0) +
+      SESSION_TAG_WEIGHT * Math.sqrt(sharedTags);
+    const contribution = overlap * seed.weight;
+
+    score += contribution;
+    if (contribution > best) {
+      best = contribution;
+      seedSceneId = seed.sceneId;
+    }
+  }
+
+  return { score, seedSceneId };
+}
+
+/**
+ * Performers, studios and tags the user watches more of in the given
+ * context (daypart, and weekday or weekend) than overall. Each weight is
+ * how much larger the entity's share of plays is in the context. Falls
+ * back to the daypart alone when the exact context has too few plays, and
+ * returns null when even that has too few.
+ */
+export function buildContextAffinity(
+  entries: WatchEntry[],
+  getScoringDataById: (sceneId: string) => SceneScoringData | undefined,
+  context: ViewingContext,
+  timezone?: string
+): ContextAffinity | null {
+  const plays: Array<{ data: SceneScoringData; context: ViewingContext }> = [];
+  for (const entry of entries) {
+    const data = getScoringDataById(entry.sceneId);
+    if (!data) continue;
+    // Scenes watched without reaching the play count threshold still say
+    // when the user watches
+    let times = entry.playTimes;
+    if (times.length === 0 && entry.lastPlayedAt && !isAbandoned(entry)) {
+      times = [entry.lastPlayedAt];
+    }
+    for (const time of times) {
+      plays.push({ data, context: getViewingContext(time, timezone) });
+    }
+  }
+
+  const exact = plays.filter(
+    (play) => play.context.daypart === context.daypart && play.context.weekend === context.weekend
+  );
+  const inContext =
+    exact.length >= CONTEXT_MIN_PLAYS
+      ? exact
+      : plays.filter((play) => play.context.daypart === context.daypart);
+  if (inContext.length < CONTEXT_MIN_PLAYS || inContext.length === plays.length) {
+    return null;
+  }
+
+  const lift = (pick: (data: SceneScoringData) => Array<string | null>) => {
+    const count = (list: typeof plays) => {
+      const counts = new Map<string, number>();
+      for (const { data } of list) {
+        for (const id of new Set(pick(data))) {
+          if (id !== null) counts.set(id, (counts.get(id) ?? 0) + 1);
+        }
+      }
+      return counts;
+    };
+    const overall = count(plays);
+    const weights = new Map<string, number>();
+    for (const [id, n] of count(inContext)) {
+      const difference = n / inContext.length - (overall.get(id) ?? 0) / plays.length;
+      if (n >= 2 && difference > 0) weights.set(id, difference);
+    }
+    return weights;
+  };
+
+  return {
+    context,
+    performerWeights: lift((data) => data.performerIds),
+    studioWeights: lift((data) => [data.studioId]),
+    tagWeights: lift((data) => data.tagIds),
+  };
+}
+
+/**
+ * Score a scene by how well it fits what the user watches at this time
+ */
+export function scoreByContext(scoringData: SceneScoringData, affinity: ContextAffinity | null): number {
+  if (!affinity) return 0;
+
+  let lift = 0;
+  for (const id of scoringData.performerIds) lift += affinity.performerWeights.get(id) ?? 0;
+  if (scoringData.studioId) lift += affinity.studioWeights.get(scoringData.studioId) ?? 0;
+  // Tags are many per scene, so each counts for less
+  for (const id of scoringData.tagIds) lift += (affinity.tagWeights.get(id) ?? 0) / 2;
+
+  // Lifts are differences of shares (0-1); scale so a strong fit is on a par
+  // with a favorite performer
+  return lift > 0 ? CONTEXT_WEIGHT * Math.sqrt(lift * 10) : 0;
+}
+
+/**
+ * Re-rank a list so that no studio or performer crowds a stretch of it.
+ * Walks the list in order and takes the first upcoming scene that doesn't
+ * repeat a studio or performer too often within the window; if none of the
+ * next few does, takes the next scene anyway.
+ */
+export function diversifyByEntities<T extends { id: string }>(
+  ranked: T[],
+  getScoringDataById: (sceneId: string) => SceneScoringData | undefined
+): T[] {
+  const remaining = [...ranked];
+  const result: T[] = [];
+
+  const fits = (item: T) => {
+    const data = getScoringDataById(item.id);
+    if (!data) return true;
+    const recent = result.slice(-DIVERSITY_WINDOW + 1).map((r) => getScoringDataById(r.id));
+
+    if (data.studioId) {
+      const sameStudio = recent.filter((r) => r?.studioId === data.studioId).length;
+      if (sameStudio >= DIVERSITY_MAX_REPEATS) return false;
+    }
+    for (const performerId of data.performerIds) {
+      const withPerformer = recent.filter((r) => r?.performerIds.includes(performerId)).length;
+      if (withPerformer >= DIVERSITY_MAX_REPEATS) return false;
+    }
+    return true;
+  };
+
+  while (remaining.length > 0) {
+    const lookahead = Math.min(remaining.length, DIVERSITY_LOOKAHEAD);
+    let index = 0;
+    while (index < lookahead && !fits(remaining[index] as T)) index++;
+    if (index === lookahead) index = 0;
+    result.push(...remaining.splice(index, 1));
+  }
+
+  return result;
+}
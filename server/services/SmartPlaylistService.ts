@@ -0,0 +1,162 @@
+/**
+ * SmartPlaylistService
+ *
+ * Smart playlists store a scene filter rule tree (same format as UserCarousel.rules)
+ * instead of a hand-curated list. Their PlaylistItem rows are a materialized
+ * snapshot of that query, rebuilt whenever the playlist is opened, so every
+ * consumer of PlaylistItem (detail page, player sidebar, sharing, ZIP
+ * downloads) keeps working without knowing about smart playlists.
+ *
+ * The query is evaluated as the playlist owner: the owner's exclusions and
+ * instance selection decide what gets materialized, and viewers of a shared
+ * playlist still get their own exclusions applied on read.
+ */
+import type { Playlist, Prisma } from "@prisma/client";
+import prisma from "../prisma/singleton.js";
+import type { PeekSceneFilter } from "../types/index.js";
+import { migrateFilterRules, type VersionedFilterRules } from "@peek/shared-types/filterRules.js";
+import { logger } from "../utils/logger.js";
+import { sceneQueryBuilder } from "./SceneQueryBuilder.js";
+import { getUserAllowedInstanceIds } from "./UserInstanceService.js";
+
+export const PLAYLIST_TYPE_STATIC = "static";
+export const PLAYLIST_TYPE_SMART = "smart";
+
+/** Hard upper bound on materialized items for a smart playlist */
+export const SMART_PLAYLIST_MAX_ITEMS = 500;
+
+export interface SmartPlaylistDefinition {
+  rules: VersionedFilterRules<PeekSceneFilter>;
+  sort: string;
+  direction: "ASC" | "DESC";
+  itemLimit: number | null;
+}
+
+export type ItemLimitValidation =
+  | { valid: true; value: number | null }
+  | { valid: false; error: string };
+
+/**
+ * Whether a playlist row is a smart playlist
+ */
+export function isSmartPlaylist(playlist: Pick<Playlist, "type">): boolean {
+  return playlist.type === PLAYLIST_TYPE_SMART;
+}
+
+/**
+ * Validate a user-supplied item cap.
+ * null/undefined means "no cap" (bounded by SMART_PLAYLIST_MAX_ITEMS).
+ */
+export function validateItemLimit(value: unknown): ItemLimitValidation {
+  if (value === null || value === undefined) {
+    return { valid: true, value: null };
+  }
+
+  if (typeof value !== "number" || !Number.isInteger(value)) {
+    return { valid: false, error: "itemLimit must be an integer" };
+  }
+
+  if (value < 1 || value > SMART_PLAYLIST_MAX_ITEMS) {
+    return {
+      valid: false,
+      error: `itemLimit must be between 1 and ${SMART_PLAYLIST_MAX_ITEMS}`,
+    };
+  }
+
+  return { valid: true, value };
+}
+
+export class SmartPlaylistService {
+  // In-flight refreshes keyed by playlist ID, so concurrent opens share one query
+  private inFlight = new Map<number, Promise<number>>();
+
+  /**
+   * Read the smart definition from a playlist row, applying defaults
+   */
+  getDefinition(
+    playlist: Pick<Playlist, "rules" | "sort" | "direction" | "itemLimit">
+  ): SmartPlaylistDefinition {
+    const direction = (playlist.direction || "DESC").toUpperCase();
+    return {
+      rules: migrateFilterRules<PeekSceneFilter>(playlist.rules),
+      sort: playlist.sort || "date",
+      direction: direction === "ASC" ? "ASC" : "DESC",
+      itemLimit: playlist.itemLimit,
+    };
+  }
+
+  /**
+   * Re-evaluate a smart playlist's query and replace its items.
+   * Returns the number of materialized items. No-op (returns -1) for
+   * static playlists.
+   */
+  async refresh(playlistId: number): Promise<number> {
+    const pending = this.inFlight.get(playlistId);
+    if (pending) {
+      return pending;
+    }
+
+    const promise = this.doRefresh(playlistId).finally(() => {
+      this.inFlight.delete(playlistId);
+    });
+    this.inFlight.set(playlistId, promise);
+    return promise;
+  }
+
+  private async doRefresh(playlistId: number): Promise<number> {
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+    });
+
+    if (!playlist || !isSmartPlaylist(playlist)) {
+      return -1;
+    }
+
+    const startTime = Date.now();
+    const definition = this.getDefinition(playlist);
+    const limit = definition.itemLimit ?? SMART_PLAYLIST_MAX_ITEMS;
+    const allowedInstanceIds = await getUserAllowedInstanceIds(playlist.userId);
+
+    const result = await sceneQueryBuilder.execute({
+      userId: playlist.userId,
+      filters: { filter_group: definition.rules.root },
+      allowedInstanceIds,
+      sort: definition.sort,
+      sortDirection: definition.direction,
+      page: 1,
+      perPage: limit,
+      // Stable seed so a "random" smart playlist doesn't reshuffle on every open
+      randomSeed: playlist.id,
+    });
+
+    const items: Prisma.PlaylistItemCreateManyInput[] = result.scenes.map(
+      (scene, position) => ({
+        playlistId,
+        instanceId: scene.instanceId,
+        sceneId: scene.id,
+        position,
+      })
+    );
+
+    await prisma.$transaction([
+      prisma.playlistItem.deleteMany({ where: { playlistId } }),
+      prisma.playlistItem.createMany({ data: items }),
+      prisma.playlist.update({
+        where: { id: playlistId },
+        // Keep updatedAt as-is so opening a playlist doesn't reorder the list
+        data: { lastRefreshedAt: new Date(), updatedAt: playlist.updatedAt },
+      }),
+    ]);
+
+    logger.info("Smart playlist refreshed", {
+      playlistId,
+      itemCount: items.length,
+      totalMatches: result.total,
+      durationMs: Date.now() - startTime,
+    });
+
+    return items.length;
+  }
+}
+
+export const smartPlaylistService = new SmartPlaylistService();
@@ -0,0 +1,249 @@
+/**
+ * SsdpServer
+ *
+ * Minimal SSDP (UPnP discovery) responder for the DLNA media server.
+ * Answers M-SEARCH requests on the multicast group and periodically
+ * announces the device with NOTIFY ssdp:alive, sending ssdp:byebye on stop.
+ *
+ * Multicast only reaches Peek when the container uses host networking (or
+ * Peek runs outside Docker); renderers that can't discover the server can
+ * still be pointed at the description URL manually.
+ */
+import dgram from "dgram";
+import os from "os";
+import {
+  CONNECTION_MANAGER_SERVICE_TYPE,
+  CONTENT_DIRECTORY_SERVICE_TYPE,
+  MEDIA_SERVER_DEVICE_TYPE,
+} from "../utils/dlnaXml.js";
+import { logger } from "../utils/logger.js";
+
+const SSDP_ADDRESS = "239.255.255.250";
+const SSDP_PORT = 1900;
+
+/** Advertisement lifetime; re-announced at half this interval */
+const MAX_AGE_SECONDS = 1800;
+
+/** Upper bound on the random M-SEARCH response delay, whatever MX says */
+const MAX_RESPONSE_DELAY_MS = 3000;
+
+export interface SsdpAdvertisement {
+  deviceUuid: string;
+  /** Absolute URL of the device description */
+  location: string;
+}
+
+/**
+ * Parse an SSDP datagram into its start line and upper-cased headers
+ */
+export function parseSsdpMessage(message: string): {
+  startLine: string;
+  headers: Record<string, string>;
+} {
+  const [startLine = "", ...lines] = message.split(/\r?\n/);
+  const headers: Record<string, string> = {};
+  for (const line of lines) {
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+    headers[line.slice(0, colon).trim().toUpperCase()] = line.slice(colon + 1).trim();
+  }
+  return { startLine: startLine.trim(), headers };
+}
+
+/**
+ * Notification types this device answers to
+ */
+export function getNotificationTypes(deviceUuid: string): string[] {
+  return [
+    "upnp:rootdevice",
+    `uuid:${deviceUuid}`,
+    MEDIA_SERVER_DEVICE_TYPE,
+    CONTENT_DIRECTORY_SERVICE_TYPE,
+    CONNECTION_MANAGER_SERVICE_TYPE,
+  ];
+}
+
+function usnFor(deviceUuid: string, notificationType: string): string {
+  const udn = `uuid:${deviceUuid}`;
+  return notificationType === udn ? udn : `${udn}::${notificationType}`;
+}
+
+function serverHeader(): string {
+  return `${os.type()}/${os.release()} UPnP/1.0 Peek/1.0`;
+}
+
+/**
+ * Search targets to answer for an M-SEARCH ST header (empty = not for us)
+ */
+export function matchSearchTarget(searchTarget: string, deviceUuid: string): string[] {
+  const types = getNotificationTypes(deviceUuid);
+  if (searchTarget === "ssdp:all") return types;
+  return types.includes(searchTarget) ? [searchTarget] : [];
+}
+
+/**
+ * Unicast response to an M-SEARCH
+ */
+export function buildSearchResponse(ad: SsdpAdvertisement, searchTarget: string): string {
+  return [
+    "HTTP/1.1 200 OK",
+    `CACHE-CONTROL: max-age=${MAX_AGE_SECONDS}`,
+    `DATE: ${new Date().toUTCString()}`,
+    "EXT:",
+    `LOCATION: ${ad.location}`,
+    `SERVER: ${serverHeader()}`,
+    `ST: ${searchTarget}`,
+    `USN: ${usnFor(ad.deviceUuid, searchTarget)}`,
+    "",
+    "",
+  ].join("\r\n");
+}
+
+/**
+ * Multicast NOTIFY (ssdp:alive or ssdp:byebye)
+ */
+export function buildNotify(
+  ad: SsdpAdvertisement,
+  notificationType: string,
+  subType: "ssdp:alive" | "ssdp:byebye"
+): string {
+  const lines = [
+    "NOTIFY * HTTP/1.1",
+    `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+    `NT: ${notificationType}`,
+    `NTS: ${subType}`,
+    `USN: ${usnFor(ad.deviceUuid, notificationType)}`,
+  ];
+  if (subType === "ssdp:alive") {
+    lines.push(
+      `CACHE-CONTROL: max-age=${MAX_AGE_SECONDS}`,
+      `LOCATION: ${ad.location}`,
+      `SERVER: ${serverHeader()}`
+    );
+  }
+  return [...lines, "", ""].join("\r\n");
+}
+
+class SsdpServer {
+  private socket: dgram.Socket | null = null;
+  private advertisement: SsdpAdvertisement | null = null;
+  private announceTimer: NodeJS.Timeout | null = null;
+
+  /**
+   * Whether the server is currently bound and announcing
+   */
+  isRunning(): boolean {
+    return this.socket !== null;
+  }
+
+  /**
+   * Start (or restart with a new advertisement). Resolves false when the
+   * SSDP port can't be bound, e.g. another media server is running.
+   */
+  async start(ad: SsdpAdvertisement): Promise<boolean> {
+    await this.stop();
+
+    const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+    socket.on("message", (msg, rinfo) => this.handleMessage(msg.toString("utf8"), rinfo));
+
+    const bound = await new Promise<boolean>((resolve) => {
+      socket.once("error", (error) => {
+        logger.warn("SSDP: could not bind discovery port", {
+          port: SSDP_PORT,
+          error: error.message,
+        });
+        socket.close();
+        resolve(false);
+      });
+      socket.bind(SSDP_PORT, () => {
+        try {
+          socket.addMembership(SSDP_ADDRESS);
+          socket.setMulticastTTL(4);
+          resolve(true);
+        } catch (error) {
+          logger.warn("SSDP: could not join multicast group", {
+            error: error instanceof Error ? error.message : String(error),
+          });
+          socket.close();
+          resolve(false);
+        }
+      });
+    });
+
+    if (!bound) return false;
+
+    socket.on("error", (error) => {
+      logger.warn("SSDP socket error", { error: error.message });
+    });
+
+    this.socket = socket;
+    this.advertisement = ad;
+    this.announce("ssdp:alive");
+    this.announceTimer = setInterval(
+      () => this.announce("ssdp:alive"),
+      (MAX_AGE_SECONDS / 2) * 1000
+    );
+    this.announceTimer.unref();
+
+    logger.info("SSDP: advertising DLNA media server", { location: ad.location });
+    return true;
+  }
+
+  /**
+   * Send ssdp:byebye and release the socket
+   */
+  async stop(): Promise<void> {
+    if (this.announceTimer) {
+      clearInterval(this.announceTimer);
+      this.announceTimer = null;
+    }
+    const socket = this.socket;
+    if (!socket) return;
+
+    this.announce("ssdp:byebye");
+    this.socket = null;
+    this.advertisement = null;
+    // Give the byebye datagrams a moment to leave before closing
+    await new Promise<void>((resolve) => setTimeout(resolve, 100));
+    socket.close();
+  }
+
+  private announce(subType: "ssdp:alive" | "ssdp:byebye"): void {
+    const { socket, advertisement } = this;
+    if (!socket || !advertisement) return;
+    for (const nt of getNotificationTypes(advertisement.deviceUuid)) {
+      this.send(buildNotify(advertisement, nt, subType), SSDP_PORT, SSDP_ADDRESS);
+    }
+  }
+
+  private handleMessage(message: string, rinfo: dgram.RemoteInfo): void {
+    const ad = this.advertisement;
+    if (!ad) return;
+
+    const { startLine, headers } = parseSsdpMessage(message);
+    if (!startLine.startsWith("M-SEARCH") || headers.MAN?.replace(/"/g, "") !== "ssdp:discover") {
+      return;
+    }
+
+    const targets = matchSearchTarget(headers.ST ?? "", ad.deviceUuid);
+    if (targets.length === 0) return;
+
+    const mx = Math.max(1, Number(headers.MX) || 1);
+    const delay = Math.random() * Math.min(mx * 1000, MAX_RESPONSE_DELAY_MS);
+    setTimeout(() => {
+      for (const target of targets) {
+        this.send(buildSearchResponse(ad, target), rinfo.port, rinfo.address);
+      }
+    }, delay).unref();
+  }
+
+  private send(message: string, port: number, address: string): void {
+    this.socket?.send(message, port, address, (error) => {
+      if (error) {
+        logger.debug("SSDP: send failed", { address, error: error.message });
+      }
+    });
+  }
+}
+
+export const ssdpServer = new SsdpServer();
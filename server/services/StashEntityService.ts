@@ -23,6 +23,7 @@ import type {
   SceneScoringData,
 } from "../types/index.js";
 import { logger } from "../utils/logger.js";
+import { parseSearchQuery } from "../utils/searchQuery.js";
 import { getSceneFallbackTitle, getGalleryFallbackTitle, getImageFallbackTitle } from "../utils/titleUtils.js";
 
 /**
@@ -375,106 +376,6 @@ class StashEntityService {
     return result;
   }
 
-  /**
-   * Get candidate scene IDs for similarity matching using SQL
-   * Returns up to maxCandidates scenes that share performers, tags, or studio
-   * with the given scene, weighted by relationship type.
-   *
-   * Weights:
-   * - Shared performer: 3 points
-   * - Same studio: 2 points
-   * - Shared tag: 1 point
-   *
-   * @param sceneId - The scene to find similar scenes for
-   * @param excludedIds - Set of scene IDs to exclude (e.g., user exclusions)
-   * @param maxCandidates - Maximum number of candidates to return (default 500)
-   * @returns Array of candidate scene IDs with weights and dates, sorted by weight desc then date desc
-   */
-  async getSimilarSceneCandidates(
-    sceneId: string,
-    excludedIds: Set<string>,
-    maxCandidates: number = 500
-  ): Promise<Array<{ sceneId: string; weight: number; date: string | null }>> {
-    const startTime = Date.now();
-
-    // Convert excludedIds to array for SQL IN clause
-    // If empty, use a dummy value that won't match any ID
-    const excludedArray = excludedIds.size > 0
-      ? Array.from(excludedIds)
-      : ['__NONE__'];
-
-    // SQL query to find candidate scenes sharing performers, tags, or studio
-    // Uses UNION ALL to combine weighted matches, then groups and sums weights
-    // Includes date for secondary sorting
-    // Note: Performer and tag matching is instance-aware (same ID + same instance)
-    const sql = `
-      WITH candidates AS (
-        -- Scenes sharing performers (weight: 3 per match)
-        SELECT sp2.sceneId, 3 as weight
-        FROM ScenePerformer sp1
-        JOIN ScenePerformer sp2 ON sp2.performerId = sp1.performerId AND sp2.performerInstanceId = sp1.performerInstanceId
-        JOIN StashScene s ON s.id = sp2.sceneId AND s.stashInstanceId = sp2.sceneInstanceId AND s.deletedAt IS NULL
-        WHERE sp1.sceneId = ?
-          AND sp2.sceneId != ?
-
-        UNION ALL
-
-        -- Scenes from same studio (weight: 2) - scoped to same instance
-        SELECT s2.id as sceneId, 2 as weight
-        FROM StashScene s1
-        JOIN StashScene s2 ON s2.studioId = s1.studioId
-          AND s2.stashInstanceId = s1.stashInstanceId
-          AND s2.deletedAt IS NULL
-        WHERE s1.id = ?
-          AND s2.id != ?
-          AND s1.studioId IS NOT NULL
-
-        UNION ALL
-
-        -- Scenes sharing tags (weight: 1 per match)
-        SELECT st2.sceneId, 1 as weight
-        FROM SceneTag st1
-        JOIN SceneTag st2 ON st2.tagId = st1.tagId AND st2.tagInstanceId = st1.tagInstanceId
-        JOIN StashScene s ON s.id = st2.sceneId AND s.stashInstanceId = st2.sceneInstanceId AND s.deletedAt IS NULL
-        WHERE st1.sceneId = ?
-          AND st2.sceneId != ?
-      )
-      SELECT c.sceneId, SUM(c.weight) as totalWeight, s.date
-      FROM candidates c
-      JOIN StashScene s ON s.id = c.sceneId
-      WHERE c.sceneId NOT IN (${excludedArray.map(() => '?').join(',')})
-      GROUP BY c.sceneId
-      ORDER BY totalWeight DESC, s.date DESC
-      LIMIT ?
-    `;
-
-    // Build params array: sceneId appears 6 times (for each WHERE clause),
-    // then excludedIds, then maxCandidates
-    const params = [
-      sceneId, sceneId,  // performers
-      sceneId, sceneId,  // studio
-      sceneId, sceneId,  // tags
-      ...excludedArray,
-      maxCandidates,
-    ];
-
-    const rows = await prisma.$queryRawUnsafe<Array<{
-      sceneId: string;
-      totalWeight: number;
-      date: string | null;
-    }>>(sql, ...params);
-
-    const result = rows.map(row => ({
-      sceneId: row.sceneId,
-      weight: Number(row.totalWeight),
-      date: row.date,
-    }));
-
-    logger.info(`getSimilarSceneCandidates: ${Date.now() - startTime}ms, candidates=${result.length}`);
-
-    return result;
-  }
-
   /**
    * Get lightweight scene data for entity visibility filtering
    * Returns only IDs needed to determine which entities appear in scenes
@@ -847,16 +748,22 @@ class StashEntityService {
   }
 
   /**
-   * Search scenes using FTS5
+   * Search scenes using FTS5 (search box syntax, see utils/searchQuery.ts)
    */
   async searchScenes(query: string, limit = 100): Promise<NormalizedScene[]> {
+    const parsed = parseSearchQuery(query);
+    if (!parsed?.include) return [];
+
     try {
       // Use raw SQL for FTS5 search - select all scene columns
       const results = await prisma.$queryRaw<FtsSceneRow[]>`
         SELECT s.*
         FROM scene_fts
-        INNER JOIN StashScene s ON scene_fts.id = s.id
-        WHERE scene_fts MATCH ${query}
+        INNER JOIN StashScene s ON s.rowid = scene_fts.rowid
+        WHERE scene_fts MATCH ${parsed.include}
+          AND (${parsed.exclude} IS NULL OR s.rowid NOT IN (
+            SELECT rowid FROM scene_fts WHERE scene_fts MATCH ${parsed.exclude}
+          ))
           AND s.deletedAt IS NULL
         ORDER BY rank
         LIMIT ${limit}
@@ -864,7 +771,7 @@ class StashEntityService {
 
       return results.map((r) => this.transformScene(r));
     } catch (error) {
-      // FTS might fail with special characters, fall back to LIKE search
+      // The index may be missing before the first sync, fall back to LIKE search
       logger.warn("FTS5 search failed, falling back to LIKE", { error });
       return this.searchScenesLike(query, limit);
     }
@@ -1000,15 +907,21 @@ class StashEntityService {
   }
 
   /**
-   * Search performers using FTS5
+   * Search performers using FTS5 (search box syntax, see utils/searchQuery.ts)
    */
   async searchPerformers(query: string, limit = 100): Promise<NormalizedPerformer[]> {
+    const parsed = parseSearchQuery(query);
+    if (!parsed?.include) return [];
+
     try {
       const results = await prisma.$queryRaw<FtsPerformerRow[]>`
         SELECT p.*
         FROM performer_fts
-        INNER JOIN StashPerformer p ON performer_fts.id = p.id
-        WHERE performer_fts MATCH ${query}
+        INNER JOIN StashPerformer p ON p.rowid = performer_fts.rowid
+        WHERE performer_fts MATCH ${parsed.include}
+          AND (${parsed.exclude} IS NULL OR p.rowid NOT IN (
+            SELECT rowid FROM performer_fts WHERE performer_fts MATCH ${parsed.exclude}
+          ))
           AND p.deletedAt IS NULL
         ORDER BY rank
         LIMIT ${limit}
@@ -8,7 +8,7 @@
  * - Paginated fetches (5000 per batch) to avoid memory issues
  * - Incremental sync via updated_at timestamps
  * - Junction table management for many-to-many relationships
- * - Progress events for UI feedback
+ * - Progress events for UI feedback, relayed to admins' event streams
  * - Soft delete for removed entities
  */
 
@@ -34,6 +34,7 @@ import type {
 } from "../graphql/generated/graphql.js";
 import type { SyncState, SyncSettings } from "@prisma/client";
 import prisma from "../prisma/singleton.js";
+import type { SyncKind } from "../types/api/index.js";
 import { logger } from "../utils/logger.js";
 // Transform functions no longer needed - URLs transformed at read time
 import { entityImageCountService } from "./EntityImageCountService.js";
@@ -42,8 +43,11 @@ import { sceneTagInheritanceService } from "./SceneTagInheritanceService.js";
 import { stashInstanceManager } from "./StashInstanceManager.js";
 import { userStatsService } from "./UserStatsService.js";
 import { exclusionComputationService } from "./ExclusionComputationService.js";
+import { sceneSimilarityService } from "./SceneSimilarityService.js";
 import { mergeReconciliationService } from "./MergeReconciliationService.js";
 import { clipPreviewProber } from "./ClipPreviewProber.js";
+import { eventBusService } from "./EventBusService.js";
+import { isSearchEntityType, searchService } from "./SearchService.js";
 
 // Type aliases for query-specific entity types returned by the GraphQL SDK.
 // These carry the exact field sets from the queries (including fields like stash_ids, tags, etc.)
@@ -212,6 +216,19 @@ class StashSyncService extends EventEmitter {
   private abortController: AbortController | null = null;
   private batchItemCount = 0; // Track items within current batch for progress logging
 
+  constructor() {
+    super();
+    this.on("progress", (progress: SyncProgress) => {
+      eventBusService.publishToAdmins({
+        type: "sync-progress",
+        entityType: progress.entityType,
+        phase: progress.phase,
+        current: progress.current,
+        total: progress.total,
+      });
+    });
+  }
+
   /**
    * Get the Stash client for the specified instance ID, or default if not specified.
    * This ensures sync operations target the correct Stash instance.
@@ -260,6 +277,42 @@ class StashSyncService extends EventEmitter {
     }
   }
 
+  /**
+   * Run a sync, telling admins when it starts and finishes and everyone
+   * when it changed library data
+   */
+  private async announce(
+    kind: SyncKind,
+    run: () => Promise<SyncResult[]>
+  ): Promise<SyncResult[]> {
+    eventBusService.publishToAdmins({ type: "sync-started", kind });
+    try {
+      const results = await run();
+      eventBusService.publishToAdmins({ type: "sync-finished", kind, ok: true });
+      // A full sync is also what first fills the cache, even from an empty
+      // Stash, so pages waiting on it always hear about it
+      if (kind === "full" || results.some((r) => r.synced > 0 || r.deleted > 0)) {
+        this.announceLibraryUpdated();
+      }
+      return results;
+    } catch (error) {
+      eventBusService.publishToAdmins({
+        type: "sync-finished",
+        kind,
+        ok: false,
+        message: error instanceof Error ? error.message : String(error),
+      });
+      throw error;
+    }
+  }
+
+  private announceLibraryUpdated(): void {
+    eventBusService.publishToAll({
+      type: "library-updated",
+      at: new Date().toISOString(),
+    });
+  }
+
   /**
    * Full sync - fetches all entities from Stash
    * Used on first run or when incremental sync fails
@@ -277,10 +330,11 @@ class StashSyncService extends EventEmitter {
 
     try {
       // If no instance specified, sync all enabled instances
-      if (!stashInstanceId) {
-        return await this.fullSyncAllInstances();
-      }
-      return await this.fullSyncInstance(stashInstanceId);
+      return await this.announce("full", () =>
+        stashInstanceId
+          ? this.fullSyncInstance(stashInstanceId)
+          : this.fullSyncAllInstances()
+      );
     } finally {
       this.syncInProgress = false;
       this.abortController = null;
@@ -409,6 +463,12 @@ class StashSyncService extends EventEmitter {
       await exclusionComputationService.recomputeAllUsers();
       logger.info("User exclusions recomputed");
 
+      // Rebuild the similar-scenes index (needs inherited tags)
+      await sceneSimilarityService.rebuildIndex();
+
+      // Rebuild the search index
+      await searchService.rebuild();
+
       const duration = Date.now() - startTime;
       logger.info("Full sync completed", {
         durationMs: duration,
@@ -450,10 +510,11 @@ class StashSyncService extends EventEmitter {
 
     try {
       // If no instance specified, sync all enabled instances
-      if (!stashInstanceId) {
-        return await this.smartIncrementalSyncAllInstances();
-      }
-      return await this.smartIncrementalSyncInstance(stashInstanceId);
+      return await this.announce("smart", () =>
+        stashInstanceId
+          ? this.smartIncrementalSyncInstance(stashInstanceId)
+          : this.smartIncrementalSyncAllInstances()
+      );
     } finally {
       this.syncInProgress = false;
       this.abortController = null;
@@ -602,6 +663,12 @@ class StashSyncService extends EventEmitter {
       await exclusionComputationService.recomputeAllUsers();
       logger.info("User exclusions recomputed");
 
+      // Rebuild the similar-scenes index (needs inherited tags)
+      await sceneSimilarityService.rebuildIndex();
+
+      // Re-index scenes of changed performers, studios and tags
+      await searchService.applyPendingChanges();
+
       const duration = Date.now() - startTime;
       logger.info("Smart incremental sync completed", {
         durationMs: duration,
@@ -784,10 +851,11 @@ class StashSyncService extends EventEmitter {
 
     try {
       // If no instance specified, sync all enabled instances
-      if (!stashInstanceId) {
-        return await this.incrementalSyncAllInstances();
-      }
-      return await this.incrementalSyncInstance(stashInstanceId);
+      return await this.announce("incremental", () =>
+        stashInstanceId
+          ? this.incrementalSyncInstance(stashInstanceId)
+          : this.incrementalSyncAllInstances()
+      );
     } finally {
       this.syncInProgress = false;
       this.abortController = null;
@@ -924,6 +992,12 @@ class StashSyncService extends EventEmitter {
       await exclusionComputationService.recomputeAllUsers();
       logger.info("User exclusions recomputed");
 
+      // Rebuild the similar-scenes index (needs inherited tags)
+      await sceneSimilarityService.rebuildIndex();
+
+      // Re-index scenes of changed performers, studios and tags
+      await searchService.applyPendingChanges();
+
       const duration = Date.now() - startTime;
       logger.info("Incremental sync completed", {
         durationMs: duration,
@@ -966,6 +1040,11 @@ class StashSyncService extends EventEmitter {
     if (action === "delete") {
       // Soft delete the entity
       await this.softDeleteEntity(entityType, entityId, instanceId);
+      if (isSearchEntityType(entityType)) {
+        await searchService.indexEntities(entityType, instanceId, [entityId]);
+        await searchService.applyPendingChanges();
+      }
+      this.announceLibraryUpdated();
       return;
     }
 
@@ -1029,6 +1108,9 @@ class StashSyncService extends EventEmitter {
         break;
       }
     }
+
+    await searchService.applyPendingChanges();
+    this.announceLibraryUpdated();
   }
 
   /**
@@ -1353,6 +1435,7 @@ class StashSyncService extends EventEmitter {
 
     await Promise.all(inserts);
 
+    await searchService.indexEntities("scene", stashInstanceId, sceneIds);
   }
 
   /**
@@ -1879,6 +1962,8 @@ class StashSyncService extends EventEmitter {
         `INSERT OR IGNORE INTO PerformerTag (performerId, performerInstanceId, tagId, tagInstanceId) VALUES ${tagValues}`
       );
     }
+
+    await searchService.indexEntities("performer", stashInstanceId, validPerformers.map((p) => p.id));
   }
 
   // ==================== Studio Sync ====================
@@ -2068,6 +2153,8 @@ class StashSyncService extends EventEmitter {
         }
       }
     }
+
+    await searchService.indexEntities("studio", stashInstanceId, validStudios.map((s) => s.id));
   }
 
   // ==================== Tag Sync ====================
@@ -2237,6 +2324,8 @@ class StashSyncService extends EventEmitter {
       syncedAt = excluded.syncedAt,
       deletedAt = NULL
   `);
+
+    await searchService.indexEntities("tag", stashInstanceId, validTags.map((t) => t.id));
   }
 
   // ==================== Group Sync ====================
@@ -2415,6 +2504,8 @@ class StashSyncService extends EventEmitter {
         }
       }
     }
+
+    await searchService.indexEntities("group", stashInstanceId, validGroups.map((g) => g.id));
   }
 
   // ==================== Gallery Sync ====================
@@ -2643,6 +2734,8 @@ class StashSyncService extends EventEmitter {
         VALUES ${tagValues}
       `);
     }
+
+    await searchService.indexEntities("gallery", stashInstanceId, validGalleries.map((g) => g.id));
   }
 
   // ==================== Image Sync ====================
@@ -0,0 +1,663 @@
+/**
+ * StashWriteBackService
+ *
+ * Writes rating and favorite changes made by "Sync to Stash" users back to
+ * Stash through a persistent outbox (StashWriteBack), so changes made while
+ * Stash is down are delivered once it's back.
+ *
+ * - One outbox row per entity; repeated changes replace the pending values
+ * - Each row remembers the Stash values Peek saw before the change. If Stash
+ *   has a different value by the time the row is delivered, someone changed
+ *   it in Stash meanwhile, and the conflict policy decides which side wins
+ * - Failed deliveries are retried with exponential backoff, never dropped
+ * - Resolved conflicts are written to StashWriteBackConflict for the sync
+ *   settings page
+ */
+import { Prisma } from "@prisma/client";
+import type { StashClient } from "../graphql/StashClient.js";
+import { NotFoundError } from "../middleware/errorHandler.js";
+import prisma from "../prisma/singleton.js";
+import type {
+  GetStashWriteBackResponse,
+  StashWriteBackConflictEntry,
+  StashWriteBackConflictPolicy,
+  StashWriteBackEntityType,
+  StashWriteBackPendingItem,
+  StashWriteBackSettingsData,
+  StashWriteBackValues,
+} from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+import { stashInstanceManager } from "./StashInstanceManager.js";
+
+export const WRITE_BACK_ENTITY_TYPES: readonly StashWriteBackEntityType[] = [
+  "scene",
+  "performer",
+  "studio",
+  "tag",
+  "group",
+  "gallery",
+  "image",
+];
+
+export const WRITE_BACK_CONFLICT_POLICIES: readonly StashWriteBackConflictPolicy[] = [
+  "peek",
+  "stash",
+  "newest",
+];
+
+// How often due rows are looked for, in case a retry came due
+const POLL_INTERVAL_MS = 30 * 1000;
+
+// Let a burst of rating clicks settle before delivering
+const DELIVERY_DELAY_MS = 1000;
+
+// Retry backoff: 30s, 1m, 2m, ... capped at an hour
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+const BATCH_SIZE = 50;
+
+// Conflict rows kept (oldest pruned after each write)
+const CONFLICT_RETENTION_COUNT = 200;
+
+// Rows returned by getStatus
+const STATUS_PENDING_LIMIT = 100;
+const STATUS_CONFLICT_LIMIT = 50;
+
+type WriteBackField = "rating" | "favorite";
+
+/** Values as they are in Stash, plus when the entity last changed there */
+interface LiveValues {
+  rating: number | null;
+  favorite: boolean;
+  updatedAt: string | null;
+}
+
+interface WriteBackTarget {
+  /** Which of Peek's fields Stash stores for this entity type */
+  fields: readonly WriteBackField[];
+  /** Peek's synced copy of the entity, i.e. the values Peek last saw in Stash */
+  readMirror(instanceId: string, id: string): Promise<{ rating: number | null; favorite: boolean } | null>;
+  writeMirror(instanceId: string, id: string, values: StashWriteBackValues): Promise<void>;
+  fetchLive(stash: StashClient, id: string): Promise<LiveValues | null>;
+  push(stash: StashClient, id: string, values: StashWriteBackValues): Promise<void>;
+  /** Copy values into the user's Peek rating (when Stash wins a conflict) */
+  adopt(userId: number, instanceId: string, id: string, values: StashWriteBackValues): Promise<void>;
+}
+
+interface WriteBackRow {
+  id: number;
+  userId: number;
+  stashInstanceId: string;
+  entityType: string;
+  entityId: string;
+  rating: number | null;
+  ratingChanged: boolean;
+  favorite: boolean | null;
+  baseRating: number | null;
+  baseFavorite: boolean | null;
+  changedAt: Date;
+  attempts: number;
+}
+
+export interface WriteBackChange {
+  userId: number;
+  instanceId: string;
+  entityType: StashWriteBackEntityType;
+  entityId: string;
+  /** undefined = unchanged, null = cleared */
+  rating?: number | null;
+  favorite?: boolean;
+}
+
+const toStashInput = (values: StashWriteBackValues) => ({
+  ...(values.rating !== undefined && { rating100: values.rating }),
+  ...(values.favorite !== undefined && { favorite: values.favorite }),
+});
+
+const toMirrorData = (values: StashWriteBackValues) => ({
+  ...(values.rating !== undefined && { rating100: values.rating }),
+  ...(values.favorite !== undefined && { favorite: values.favorite }),
+});
+
+const live = (
+  entity: { rating100?: number | null; favorite?: boolean | null; updated_at?: string | null } | null | undefined
+): LiveValues | null =>
+  entity
+    ? {
+        rating: entity.rating100 ?? null,
+        favorite: entity.favorite ?? false,
+        updatedAt: entity.updated_at ?? null,
+      }
+    : null;
+
+const mirrorKey = (instanceId: string, id: string) => ({
+  id_stashInstanceId: { id, stashInstanceId: instanceId },
+});
+
+// Stash's support differs per type (see the policy notes in controllers/ratings.ts);
+// otherwise the seven targets only differ in model and mutation names
+const WRITE_BACK_TARGETS: Record<StashWriteBackEntityType, WriteBackTarget> = {
+  scene: {
+    fields: ["rating"],
+    readMirror: async (instanceId, id) => {
+      const row = await prisma.stashScene.findUnique({ where: mirrorKey(instanceId, id), select: { rating100: true } });
+      return row ? { rating: row.rating100, favorite: false } : null;
+    },
+    writeMirror: async (instanceId, id, values) => {
+      await prisma.stashScene.updateMany({ where: { id, stashInstanceId: instanceId }, data: toMirrorData(values) });
+    },
+    fetchLive: async (stash, id) => live((await stash.findScenes({ ids: [id] })).findScenes.scenes[0]),
+    push: async (stash, id, values) => {
+      await stash.sceneUpdate({ input: { id, ...toStashInput(values) } });
+    },
+    adopt: async (userId, instanceId, sceneId, values) => {
+      await prisma.sceneRating.updateMany({ where: { userId, instanceId, sceneId }, data: values });
+    },
+  },
+  performer: {
+    fields: ["rating", "favorite"],
+    readMirror: async (instanceId, id) => {
+      const row = await prisma.stashPerformer.findUnique({
+        where: mirrorKey(instanceId, id),
+        select: { rating100: true, favorite: true },
+      });
+      return row ? { rating: row.rating100, favorite: row.favorite } : null;
+    },
+    writeMirror: async (instanceId, id, values) => {
+      await prisma.stashPerformer.updateMany({ where: { id, stashInstanceId: instanceId }, data: toMirrorData(values) });
+    },
+    fetchLive: async (stash, id) => live((await stash.findPerformers({ ids: [id] })).findPerformers.performers[0]),
+    push: async (stash, id, values) => {
+      await stash.performerUpdate({ input: { id, ...toStashInput(values) } });
+    },
+    adopt: async (userId, instanceId, performerId, values) => {
+      await prisma.performerRating.updateMany({ where: { userId, instanceId, performerId }, data: values });
+    },
+  },
+  studio: {
+    fields: ["rating", "favorite"],
+    readMirror: async (instanceId, id) => {
+      const row = await prisma.stashStudio.findUnique({
+        where: mirrorKey(instanceId, id),
+        select: { rating100: true, favorite: true },
+      });
+      return row ? { rating: row.rating100, favorite: row.favorite } : null;
+    },
+    writeMirror: async (instanceId, id, values) => {
+      await prisma.stashStudio.updateMany({ where: { id, stashInstanceId: instanceId }, data: toMirrorData(values) });
+    },
+    fetchLive: async (stash, id) => live((await stash.findStudios({ ids: [id] })).findStudios.studios[0]),
+    push: async (stash, id, values) => {
+      await stash.studioUpdate({ input: { id, ...toStashInput(values) } });
+    },
+    adopt: async (userId, instanceId, studioId, values) => {
+      await prisma.studioRating.updateMany({ where: { userId, instanceId, studioId }, data: values });
+    },
+  },
+  tag: {
+    fields: ["favorite"],
+    readMirror: async (instanceId, id) => {
+      const row = await prisma.stashTag.findUnique({ where: mirrorKey(instanceId, id), select: { favorite: true } });
+      return row ? { rating: null, favorite: row.favorite } : null;
+    },
+    writeMirror: async (instanceId, id, values) => {
+      await prisma.stashTag.updateMany({ where: { id, stashInstanceId: instanceId }, data: toMirrorData(values) });
+    },
+    fetchLive: async (stash, id) => live((await stash.findTags({ ids: [id] })).findTags.tags[0]),
+    push: async (stash, id, values) => {
+      await stash.tagUpdate({ input: { id, ...toStashInput(values) } });
+    },
+    adopt: async (userId, instanceId, tagId, values) => {
+      await prisma.tagRating.updateMany({ where: { userId, instanceId, tagId }, data: values });
+    },
+  },
+  group: {
+    fields: ["rating"],
+    readMirror: async (instanceId, id) => {
+      const row = await prisma.stashGroup.findUnique({ where: mirrorKey(instanceId, id), select: { rating100: true } });
+      return row ? { rating: row.rating100, favorite: false } : null;
+    },
+    writeMirror: async (instanceId, id, values) => {
+      await prisma.stashGroup.updateMany({ where: { id, stashInstanceId: instanceId }, data: toMirrorData(values) });
+    },
+    fetchLive: async (stash, id) => live((await stash.findGroup({ id })).findGroup),
+    push: async (stash, id, values) => {
+      await stash.groupUpdate({ input: { id, ...toStashInput(values) } });
+    },
+    adopt: async (userId, instanceId, groupId, values) => {
+      await prisma.groupRating.updateMany({ where: { userId, instanceId, groupId }, data: values });
+    },
+  },
+  gallery: {
+    fields: ["rating"],
+    readMirror: async (instanceId, id) => {
+      const row = await prisma.stashGallery.findUnique({ where: mirrorKey(instanceId, id), select: { rating100: true } });
+      return row ? { rating: row.rating100, favorite: false } : null;
+    },
+    writeMirror: async (instanceId, id, values) => {
+      await prisma.stashGallery.updateMany({ where: { id, stashInstanceId: instanceId }, data: toMirrorData(values) });
+    },
+    fetchLive: async (stash, id) => live((await stash.findGallery({ id })).findGallery),
+    push: async (stash, id, values) => {
+      await stash.galleryUpdate({ input: { id, ...toStashInput(values) } });
+    },
+    adopt: async (userId, instanceId, galleryId, values) => {
+      await prisma.galleryRating.updateMany({ where: { userId, instanceId, galleryId }, data: values });
+    },
+  },
+  image: {
+    fields: ["rating"],
+    readMirror: async (instanceId, id) => {
+      const row = await prisma.stashImage.findUnique({ where: mirrorKey(instanceId, id), select: { rating100: true } });
+      return row ? { rating: row.rating100, favorite: false } : null;
+    },
+    writeMirror: async (instanceId, id, values) => {
+      await prisma.stashImage.updateMany({ where: { id, stashInstanceId: instanceId }, data: toMirrorData(values) });
+    },
+    fetchLive: async (stash, id) =>
+      live((await stash.findImages({ image_ids: [parseInt(id, 10)] })).findImages.images[0]),
+    push: async (stash, id, values) => {
+      await stash.imageUpdate({ input: { id, ...toStashInput(values) } });
+    },
+    adopt: async (userId, instanceId, imageId, values) => {
+      await prisma.imageRating.updateMany({ where: { userId, instanceId, imageId }, data: values });
+    },
+  },
+};
+
+export function isWriteBackEntityType(value: unknown): value is StashWriteBackEntityType {
+  return WRITE_BACK_ENTITY_TYPES.includes(value as StashWriteBackEntityType);
+}
+
+export function isWriteBackConflictPolicy(value: unknown): value is StashWriteBackConflictPolicy {
+  return WRITE_BACK_CONFLICT_POLICIES.includes(value as StashWriteBackConflictPolicy);
+}
+
+/**
+ * Delay before the next attempt after `attempts` failures
+ */
+export function retryDelayMs(attempts: number): number {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+/**
+ * The part of a change Stash can store for this entity type
+ */
+export function writableValues(
+  entityType: StashWriteBackEntityType,
+  values: StashWriteBackValues
+): StashWriteBackValues {
+  const { fields } = WRITE_BACK_TARGETS[entityType];
+  return {
+    ...(fields.includes("rating") && values.rating !== undefined && { rating: values.rating }),
+    ...(fields.includes("favorite") && values.favorite !== undefined && { favorite: values.favorite }),
+  };
+}
+
+const pendingValues = (row: WriteBackRow): StashWriteBackValues => ({
+  ...(row.ratingChanged && { rating: row.rating }),
+  ...(row.favorite !== null && { favorite: row.favorite }),
+});
+
+const pick = (values: StashWriteBackValues, fields: WriteBackField[]): StashWriteBackValues =>
+  Object.fromEntries(fields.map((field) => [field, values[field]])) as StashWriteBackValues;
+
+const fieldsOf = (values: StashWriteBackValues) =>
+  (Object.keys(values) as WriteBackField[]).filter((field) => values[field] !== undefined);
+
+const parseEntityTypes = (value: unknown): StashWriteBackEntityType[] =>
+  Array.isArray(value) ? WRITE_BACK_ENTITY_TYPES.filter((type) => value.includes(type)) : [...WRITE_BACK_ENTITY_TYPES];
+
+class StashWriteBackService {
+  private pollTimer: NodeJS.Timeout | null = null;
+  private deliveryTimer: NodeJS.Timeout | null = null;
+  private running: Promise<void> | null = null;
+  // Set when changes arrive during a run, so the run picks them up
+  private dirty = false;
+
+  /**
+   * Start delivering queued changes, including any left over from before a restart
+   */
+  start(): void {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => {
+      void this.processDue();
+    }, POLL_INTERVAL_MS);
+    void this.processDue();
+  }
+
+  stop(): void {
+    if (this.pollTimer) clearInterval(this.pollTimer);
+    if (this.deliveryTimer) clearTimeout(this.deliveryTimer);
+    this.pollTimer = null;
+    this.deliveryTimer = null;
+  }
+
+  async getSettings(): Promise<StashWriteBackSettingsData> {
+    const settings = await prisma.syncSettings.findFirst();
+    return {
+      entityTypes: parseEntityTypes(settings?.writeBackEntityTypes),
+      conflictPolicy: isWriteBackConflictPolicy(settings?.writeBackConflictPolicy)
+        ? settings.writeBackConflictPolicy
+        : "peek",
+    };
+  }
+
+  async updateSettings(data: Partial<StashWriteBackSettingsData>): Promise<StashWriteBackSettingsData> {
+    const update = {
+      ...(data.entityTypes && { writeBackEntityTypes: data.entityTypes }),
+      ...(data.conflictPolicy && { writeBackConflictPolicy: data.conflictPolicy }),
+    };
+    await prisma.syncSettings.upsert({
+      where: { id: 1 },
+      update,
+      create: { id: 1, ...update },
+    });
+    return this.getSettings();
+  }
+
+  /**
+   * Queue a Peek rating change for Stash. Fields Stash doesn't store for the
+   * entity type, and types not enabled in settings, are ignored.
+   */
+  async enqueue(change: WriteBackChange): Promise<void> {
+    const settings = await this.getSettings();
+    if (!settings.entityTypes.includes(change.entityType)) return;
+
+    const values = writableValues(change.entityType, change);
+    if (fieldsOf(values).length === 0) return;
+
+    const { instanceId, entityType, entityId } = change;
+    const base = await WRITE_BACK_TARGETS[entityType].readMirror(instanceId, entityId);
+    const changedAt = new Date();
+    const pending = {
+      userId: change.userId,
+      changedAt,
+      ...(values.rating !== undefined && { rating: values.rating, ratingChanged: true }),
+      ...(values.favorite !== undefined && { favorite: values.favorite }),
+    };
+
+    await prisma.stashWriteBack.upsert({
+      where: {
+        stashInstanceId_entityType_entityId: { stashInstanceId: instanceId, entityType, entityId },
+      },
+      update: pending,
+      create: {
+        stashInstanceId: instanceId,
+        entityType,
+        entityId,
+        baseRating: base?.rating ?? null,
+        baseFavorite: base?.favorite ?? null,
+        ...pending,
+      },
+    });
+
+    this.scheduleDelivery();
+  }
+
+  /**
+   * Deliver every row that is due. Concurrent calls share one run.
+   */
+  processDue(): Promise<void> {
+    this.dirty = true;
+    this.running ??= this.drain().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  /**
+   * Make every pending row due now
+   */
+  async retryAll(): Promise<number> {
+    const { count } = await prisma.stashWriteBack.updateMany({
+      where: { nextAttemptAt: { gt: new Date() } },
+      data: { nextAttemptAt: new Date() },
+    });
+    this.scheduleDelivery();
+    return count;
+  }
+
+  /**
+   * Drop a pending change without writing it
+   */
+  async discard(id: number): Promise<void> {
+    const { count } = await prisma.stashWriteBack.deleteMany({ where: { id } });
+    if (count === 0) {
+      throw new NotFoundError("Pending change not found");
+    }
+  }
+
+  async getStatus(): Promise<GetStashWriteBackResponse> {
+    const [settings, pendingCount, failingCount, pending, conflicts] = await Promise.all([
+      this.getSettings(),
+      prisma.stashWriteBack.count(),
+      prisma.stashWriteBack.count({ where: { attempts: { gt: 0 } } }),
+      prisma.stashWriteBack.findMany({
+        orderBy: { id: "asc" },
+        take: STATUS_PENDING_LIMIT,
+        include: { user: { select: { username: true } } },
+      }),
+      prisma.stashWriteBackConflict.findMany({
+        orderBy: { id: "desc" },
+        take: STATUS_CONFLICT_LIMIT,
+      }),
+    ]);
+
+    const instanceName = (instanceId: string) => stashInstanceManager.getConfig(instanceId)?.name ?? null;
+
+    return {
+      settings,
+      pendingCount,
+      failingCount,
+      pending: pending.map(
+        (row): StashWriteBackPendingItem => ({
+          id: row.id,
+          instanceId: row.stashInstanceId,
+          instanceName: instanceName(row.stashInstanceId),
+          entityType: row.entityType as StashWriteBackEntityType,
+          entityId: row.entityId,
+          username: row.user?.username ?? null,
+          values: pendingValues(row),
+          attempts: row.attempts,
+          nextAttemptAt: row.nextAttemptAt.toISOString(),
+          lastError: row.lastError,
+          changedAt: row.changedAt.toISOString(),
+        })
+      ),
+      conflicts: conflicts.map(
+        (row): StashWriteBackConflictEntry => ({
+          id: row.id,
+          instanceId: row.stashInstanceId,
+          instanceName: instanceName(row.stashInstanceId),
+          entityType: row.entityType as StashWriteBackEntityType,
+          entityId: row.entityId,
+          username: row.username,
+          peek: row.peekValues as StashWriteBackValues,
+          stash: row.stashValues as StashWriteBackValues,
+          resolution: row.resolution as "peek" | "stash",
+          createdAt: row.createdAt.toISOString(),
+        })
+      ),
+    };
+  }
+
+  // ==================== Private Methods ====================
+
+  private scheduleDelivery(): void {
+    if (this.deliveryTimer) return;
+    this.deliveryTimer = setTimeout(() => {
+      this.deliveryTimer = null;
+      void this.processDue();
+    }, DELIVERY_DELAY_MS);
+  }
+
+  private async drain(): Promise<void> {
+    try {
+      while (this.dirty) {
+        this.dirty = false;
+        const { conflictPolicy } = await this.getSettings();
+
+        let batch: WriteBackRow[];
+        do {
+          batch = await prisma.stashWriteBack.findMany({
+            where: { nextAttemptAt: { lte: new Date() } },
+            orderBy: { id: "asc" },
+            take: BATCH_SIZE,
+          });
+          for (const row of batch) {
+            await this.attempt(row, conflictPolicy);
+          }
+        } while (batch.length === BATCH_SIZE);
+      }
+    } catch (error) {
+      logger.error("Stash write-back run failed", {
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  private async attempt(row: WriteBackRow, policy: StashWriteBackConflictPolicy): Promise<void> {
+    try {
+      await this.deliver(row, policy);
+    } catch (error) {
+      const attempts = row.attempts + 1;
+      const message = error instanceof Error ? error.message : String(error);
+      logger.warn("Stash write-back failed, will retry", {
+        instanceId: row.stashInstanceId,
+        entityType: row.entityType,
+        entityId: row.entityId,
+        attempts,
+        error: message,
+      });
+      await prisma.stashWriteBack.updateMany({
+        where: { id: row.id },
+        data: {
+          attempts,
+          lastError: message,
+          nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts)),
+        },
+      });
+    }
+  }
+
+  private async deliver(row: WriteBackRow, policy: StashWriteBackConflictPolicy): Promise<void> {
+    const entityType = row.entityType as StashWriteBackEntityType;
+    const target = WRITE_BACK_TARGETS[entityType];
+    const { stashInstanceId: instanceId, entityId } = row;
+
+    const stash = stashInstanceManager.getForSync(instanceId);
+    if (!stash) {
+      throw new Error("Stash instance is not connected");
+    }
+
+    const current = await target.fetchLive(stash, entityId);
+    if (!current) {
+      logger.warn("Entity no longer exists in Stash, dropping write-back", {
+        instanceId,
+        entityType,
+        entityId,
+      });
+      await prisma.stashWriteBack.deleteMany({ where: { id: row.id } });
+      return;
+    }
+
+    const wanted = pendingValues(row);
+    const base = { rating: row.baseRating, favorite: row.baseFavorite };
+    const wantedFields = fieldsOf(wanted);
+
+    // Changed in Stash since Peek last saw it, to something other than Peek's
+    // value. Without a base (entity not synced yet) there's nothing to compare.
+    const hasBase = row.baseFavorite !== null;
+    const conflicted = wantedFields.filter(
+      (field) => hasBase && current[field] !== base[field] && current[field] !== wanted[field]
+    );
+
+    let toWrite = wanted;
+    if (conflicted.length > 0) {
+      const stashIsNewer =
+        current.updatedAt !== null && Date.parse(current.updatedAt) > row.changedAt.getTime();
+      const resolution = policy === "newest" ? (stashIsNewer ? "stash" : "peek") : policy;
+
+      await this.recordConflict(row, pick(wanted, conflicted), pick(current, conflicted), resolution);
+
+      if (resolution === "stash") {
+        await target.adopt(row.userId, instanceId, entityId, pick(current, conflicted));
+        toWrite = pick(wanted, wantedFields.filter((field) => !conflicted.includes(field)));
+      }
+    }
+
+    const changed = fieldsOf(toWrite).filter((field) => current[field] !== toWrite[field]);
+    if (changed.length > 0) {
+      await target.push(stash, entityId, pick(toWrite, changed));
+    }
+
+    // What Stash holds now, for the mirror and as the base of any newer change
+    const inStash = { ...pick(current, wantedFields), ...toWrite };
+    await target.writeMirror(instanceId, entityId, inStash);
+
+    logger.info("Wrote rating change back to Stash", {
+      instanceId,
+      entityType,
+      entityId,
+      ...inStash,
+    });
+
+    const { count } = await prisma.stashWriteBack.deleteMany({
+      where: { id: row.id, changedAt: row.changedAt },
+    });
+    if (count === 0) {
+      // Changed again while this was being written; deliver that next
+      await prisma.stashWriteBack.updateMany({
+        where: { id: row.id },
+        data: {
+          ...(inStash.rating !== undefined && { baseRating: inStash.rating }),
+          ...(inStash.favorite !== undefined && { baseFavorite: inStash.favorite }),
+        },
+      });
+      this.dirty = true;
+    }
+  }
+
+  private async recordConflict(
+    row: WriteBackRow,
+    peekValues: StashWriteBackValues,
+    stashValues: StashWriteBackValues,
+    resolution: "peek" | "stash"
+  ): Promise<void> {
+    logger.info("Stash write-back conflict", {
+      instanceId: row.stashInstanceId,
+      entityType: row.entityType,
+      entityId: row.entityId,
+      peekValues,
+      stashValues,
+      resolution,
+    });
+
+    const user = await prisma.user.findUnique({ where: { id: row.userId }, select: { username: true } });
+    await prisma.stashWriteBackConflict.create({
+      data: {
+        stashInstanceId: row.stashInstanceId,
+        entityType: row.entityType,
+        entityId: row.entityId,
+        userId: row.userId,
+        username: user?.username ?? null,
+        peekValues: peekValues as unknown as Prisma.InputJsonValue,
+        stashValues: stashValues as unknown as Prisma.InputJsonValue,
+        resolution,
+      },
+    });
+
+    const cutoff = await prisma.stashWriteBackConflict.findFirst({
+      orderBy: { id: "desc" },
+      skip: CONFLICT_RETENTION_COUNT - 1,
+      select: { id: true },
+    });
+    if (cutoff) {
+      await prisma.stashWriteBackConflict.deleteMany({ where: { id: { lt: cutoff.id } } });
+    }
+  }
+}
+
+export const stashWriteBackService = new StashWriteBackService();
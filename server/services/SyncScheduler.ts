@@ -13,6 +13,7 @@
 import { wereMigrationsApplied } from "../initializers/database.js";
 import prisma from "../prisma/singleton.js";
 import { logger } from "../utils/logger.js";
+import { eventBusService } from "./EventBusService.js";
 import { stashInstanceManager } from "./StashInstanceManager.js";
 import { stashSyncService, type SyncProgress } from "./StashSyncService.js";
 
@@ -126,6 +127,9 @@ class SyncScheduler {
       // Just update in-memory settings
       this.currentSettings = await this.loadSettings();
     }
+
+    // Other admins' open settings pages reload
+    eventBusService.publishToAdmins({ type: "sync-settings" });
   }
 
   /**
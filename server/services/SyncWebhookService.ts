@@ -0,0 +1,396 @@
+/**
+ * SyncWebhookService
+ *
+ * Receives entity change events from the Stash plugin webhook and applies
+ * them through StashSyncService.syncSingleEntity.
+ *
+ * - Deliveries are signed with a per-instance HMAC secret (see verifySignature)
+ * - Events are queued per instance and flushed after a quiet period, so a
+ *   burst (e.g. a scan touching hundreds of scenes) becomes one batch
+ * - Repeated events for the same entity are coalesced; the latest action wins
+ * - Every flush (and every rejected delivery) is written to SyncWebhookLog
+ */
+import crypto from "crypto";
+import prisma from "../prisma/singleton.js";
+import type {
+  SyncWebhookAction,
+  SyncWebhookEntityType,
+  SyncWebhookEvent,
+  SyncWebhookLogEntry,
+  SyncWebhookLogEvent,
+  SyncWebhookLogStatus,
+} from "../types/api/syncWebhook.js";
+import { logger } from "../utils/logger.js";
+import { stashInstanceManager } from "./StashInstanceManager.js";
+import { stashSyncService } from "./StashSyncService.js";
+
+export const SYNC_WEBHOOK_ENTITIES: readonly SyncWebhookEntityType[] = [
+  "scene",
+  "performer",
+  "studio",
+  "tag",
+  "group",
+  "gallery",
+  "image",
+];
+
+export const SYNC_WEBHOOK_ACTIONS: readonly SyncWebhookAction[] = [
+  "create",
+  "update",
+  "delete",
+];
+
+/** Maximum events accepted in a single delivery */
+export const MAX_EVENTS_PER_DELIVERY = 500;
+
+/** Maximum age (either direction) of a delivery's timestamp */
+export const MAX_TIMESTAMP_SKEW_SECONDS = 5 * 60;
+
+// Flush once no new events have arrived for this long...
+const DEBOUNCE_MS = 2000;
+// ...but never hold events longer than this during a continuous burst
+const MAX_WAIT_MS = 10000;
+
+// Delivery log rows kept (oldest pruned after each write)
+const LOG_RETENTION_COUNT = 500;
+
+// Per-event results stored on a log row
+const MAX_LOGGED_EVENTS = 200;
+
+// Referenced entities first, so a new scene's performers/studio/tags exist
+// by the time the scene itself is upserted
+const ENTITY_APPLY_ORDER: Record<SyncWebhookEntityType, number> = {
+  tag: 0,
+  studio: 1,
+  performer: 2,
+  group: 3,
+  gallery: 4,
+  scene: 5,
+  image: 6,
+};
+
+export type EventParseResult =
+  | { valid: true; events: SyncWebhookEvent[] }
+  | { valid: false; error: string };
+
+interface PendingBatch {
+  events: Map<string, SyncWebhookEvent>;
+  deliveries: number;
+  receivedEvents: number;
+  firstQueuedAt: number;
+  timer: NodeJS.Timeout | null;
+}
+
+/**
+ * Generate a new webhook secret
+ */
+export function generateWebhookSecret(): string {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Compute the expected signature header value for a delivery
+ */
+export function signWebhookPayload(
+  secret: string,
+  timestamp: string,
+  rawBody: string
+): string {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a delivery's signature and timestamp
+ */
+export function verifySignature(
+  secret: string,
+  timestamp: string | undefined,
+  signature: string | undefined,
+  rawBody: string,
+  now: number = Date.now()
+): boolean {
+  if (!timestamp || !signature || !/^\d+$/.test(timestamp)) {
+    return false;
+  }
+
+  const skewSeconds = Math.abs(now / 1000 - parseInt(timestamp, 10));
+  if (skewSeconds > MAX_TIMESTAMP_SKEW_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, rawBody));
+  const received = Buffer.from(signature);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+/**
+ * Validate a parsed webhook body: either { events: [...] } or a single event
+ */
+export function parseWebhookEvents(body: unknown): EventParseResult {
+  if (!body || typeof body !== "object") {
+    return { valid: false, error: "Body must be a JSON object" };
+  }
+
+  const rawEvents: unknown[] = Array.isArray((body as { events?: unknown }).events)
+    ? (body as { events: unknown[] }).events
+    : [body];
+
+  if (rawEvents.length === 0) {
+    return { valid: false, error: "No events in delivery" };
+  }
+
+  if (rawEvents.length > MAX_EVENTS_PER_DELIVERY) {
+    return {
+      valid: false,
+      error: `A delivery may contain at most ${MAX_EVENTS_PER_DELIVERY} events`,
+    };
+  }
+
+  const events: SyncWebhookEvent[] = [];
+  for (const raw of rawEvents) {
+    const { entity, id, action } = (raw || {}) as Record<string, unknown>;
+
+    if (!SYNC_WEBHOOK_ENTITIES.includes(entity as SyncWebhookEntityType)) {
+      return {
+        valid: false,
+        error: `Entity must be one of: ${SYNC_WEBHOOK_ENTITIES.join(", ")}`,
+      };
+    }
+    if (!SYNC_WEBHOOK_ACTIONS.includes(action as SyncWebhookAction)) {
+      return {
+        valid: false,
+        error: `Action must be one of: ${SYNC_WEBHOOK_ACTIONS.join(", ")}`,
+      };
+    }
+    if ((typeof id !== "string" && typeof id !== "number") || String(id) === "") {
+      return { valid: false, error: "Each event requires an id" };
+    }
+
+    events.push({
+      entity: entity as SyncWebhookEntityType,
+      id: String(id),
+      action: action as SyncWebhookAction,
+    });
+  }
+
+  return { valid: true, events };
+}
+
+class SyncWebhookService {
+  private pending = new Map<string, PendingBatch>();
+  // Flushes run one at a time so batches never interleave
+  private flushChain: Promise<void> = Promise.resolve();
+
+  /**
+   * Whether the plugin webhook is enabled in sync settings
+   */
+  async isEnabled(): Promise<boolean> {
+    const settings = await prisma.syncSettings.findFirst();
+    return settings?.enablePluginWebhook ?? false;
+  }
+
+  /**
+   * Look up the webhook secret for an instance (null if unknown or unset)
+   */
+  async getSecret(instanceId: string): Promise<string | null> {
+    const instance = await prisma.stashInstance.findUnique({
+      where: { id: instanceId },
+      select: { webhookSecret: true, enabled: true },
+    });
+    if (!instance?.enabled) {
+      return null;
+    }
+    return instance.webhookSecret;
+  }
+
+  /**
+   * Queue events for an instance. They're applied after the debounce window.
+   */
+  enqueue(instanceId: string, events: SyncWebhookEvent[]): void {
+    const now = Date.now();
+    let batch = this.pending.get(instanceId);
+    if (!batch) {
+      batch = {
+        events: new Map(),
+        deliveries: 0,
+        receivedEvents: 0,
+        firstQueuedAt: now,
+        timer: null,
+      };
+      this.pending.set(instanceId, batch);
+    }
+
+    batch.deliveries += 1;
+    batch.receivedEvents += events.length;
+    for (const event of events) {
+      const key = `${event.entity}:${event.id}`;
+      // Re-insert so iteration order follows the latest change
+      batch.events.delete(key);
+      batch.events.set(key, event);
+    }
+
+    if (batch.timer) {
+      clearTimeout(batch.timer);
+    }
+    const delay = Math.max(
+      0,
+      Math.min(DEBOUNCE_MS, batch.firstQueuedAt + MAX_WAIT_MS - now)
+    );
+    batch.timer = setTimeout(() => {
+      void this.flush(instanceId);
+    }, delay);
+  }
+
+  /**
+   * Apply an instance's pending events now
+   */
+  flush(instanceId: string): Promise<void> {
+    const batch = this.pending.get(instanceId);
+    if (!batch) {
+      return this.flushChain;
+    }
+
+    this.pending.delete(instanceId);
+    if (batch.timer) {
+      clearTimeout(batch.timer);
+    }
+
+    this.flushChain = this.flushChain.then(() =>
+      this.applyBatch(instanceId, batch).catch((error: unknown) => {
+        logger.error("Failed to apply webhook batch", {
+          instanceId,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      })
+    );
+    return this.flushChain;
+  }
+
+  /**
+   * Record a delivery that was rejected before being queued
+   */
+  async logRejected(instanceId: string | null, error: string): Promise<void> {
+    try {
+      await prisma.syncWebhookLog.create({
+        data: {
+          stashInstanceId: instanceId,
+          status: "rejected",
+          deliveries: 1,
+          error,
+        },
+      });
+      await this.pruneLog();
+    } catch (err) {
+      logger.warn("Failed to write webhook log", {
+        error: err instanceof Error ? err.message : String(err),
+      });
+    }
+  }
+
+  /**
+   * Most recent delivery log rows, newest first
+   */
+  async getLog(limit = 100): Promise<SyncWebhookLogEntry[]> {
+    const rows = await prisma.syncWebhookLog.findMany({
+      orderBy: { id: "desc" },
+      take: limit,
+    });
+
+    return rows.map((row) => ({
+      id: row.id,
+      stashInstanceId: row.stashInstanceId,
+      instanceName: row.stashInstanceId
+        ? stashInstanceManager.getConfig(row.stashInstanceId)?.name ?? null
+        : null,
+      status: row.status as SyncWebhookLogStatus,
+      deliveries: row.deliveries,
+      receivedEvents: row.receivedEvents,
+      appliedEvents: row.appliedEvents,
+      failedEvents: row.failedEvents,
+      events: Array.isArray(row.events)
+        ? (row.events as unknown as SyncWebhookLogEvent[])
+        : [],
+      error: row.error,
+      durationMs: row.durationMs,
+      createdAt: row.createdAt,
+    }));
+  }
+
+  // ==================== Private Methods ====================
+
+  private async applyBatch(instanceId: string, batch: PendingBatch): Promise<void> {
+    const startTime = Date.now();
+    const events = [...batch.events.values()].sort(
+      (a, b) => ENTITY_APPLY_ORDER[a.entity] - ENTITY_APPLY_ORDER[b.entity]
+    );
+
+    const results: SyncWebhookLogEvent[] = [];
+    for (const event of events) {
+      try {
+        await stashSyncService.syncSingleEntity(
+          event.entity,
+          event.id,
+          event.action,
+          instanceId
+        );
+        results.push({ ...event, ok: true });
+      } catch (error) {
+        results.push({
+          ...event,
+          ok: false,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    }
+
+    const failedEvents = results.filter((r) => !r.ok).length;
+    const appliedEvents = results.length - failedEvents;
+    const status: SyncWebhookLogStatus =
+      failedEvents === 0 ? "applied" : appliedEvents === 0 ? "failed" : "partial";
+    const durationMs = Date.now() - startTime;
+
+    logger.info("Applied webhook batch", {
+      instanceId,
+      deliveries: batch.deliveries,
+      receivedEvents: batch.receivedEvents,
+      appliedEvents,
+      failedEvents,
+      durationMs,
+    });
+
+    await prisma.syncWebhookLog.create({
+      data: {
+        stashInstanceId: instanceId,
+        status,
+        deliveries: batch.deliveries,
+        receivedEvents: batch.receivedEvents,
+        appliedEvents,
+        failedEvents,
+        events: results.slice(0, MAX_LOGGED_EVENTS) as object[],
+        error: results.find((r) => !r.ok)?.error ?? null,
+        durationMs,
+      },
+    });
+    await this.pruneLog();
+  }
+
+  private async pruneLog(): Promise<void> {
+    const cutoff = await prisma.syncWebhookLog.findFirst({
+      orderBy: { id: "desc" },
+      skip: LOG_RETENTION_COUNT - 1,
+      select: { id: true },
+    });
+    if (cutoff) {
+      await prisma.syncWebhookLog.deleteMany({ where: { id: { lt: cutoff.id } } });
+    }
+  }
+}
+
+export const syncWebhookService = new SyncWebhookService();
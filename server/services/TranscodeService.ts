@@ -0,0 +1,670 @@
+/**
+ * TranscodeService
+ *
+ * Peek's own HLS transcoder, for when Stash's live transcode is slow or
+ * unavailable. ffmpeg reads the scene's direct stream from Stash and
+ * encodes it with libx264 and AAC (no hardware acceleration needed) into
+ * fixed-length segments cached on disk.
+ *
+ * Playlists list every segment up front so players can seek anywhere. A
+ * request for a segment the running encode won't reach soon restarts ffmpeg
+ * at that point. Finished segments stay cached until the cache outgrows its
+ * limit, then the least recently watched scenes are evicted first.
+ */
+import { spawn, type ChildProcess } from "child_process";
+import { promises as fs } from "fs";
+import path from "path";
+import type { TranscodeSettings } from "@prisma/client";
+import { AppError, NotFoundError } from "../middleware/errorHandler.js";
+import prisma from "../prisma/singleton.js";
+import type {
+  TranscodeJobData,
+  TranscodeQuality,
+  TranscodeSettingsData,
+} from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+import { stashInstanceManager } from "./StashInstanceManager.js";
+
+/** Segment length in seconds. Keyframes are forced on these boundaries. */
+export const SEGMENT_SECONDS = 6;
+
+export const MAX_CONCURRENT_LIMIT = 16;
+export const MIN_CACHE_LIMIT_MB = 512;
+
+/** How far past the encoder a request can be before ffmpeg restarts there */
+const MAX_SEGMENT_LOOKAHEAD = 4;
+
+/** How long a segment request waits for the encoder */
+const SEGMENT_WAIT_TIMEOUT_MS = 60 * 1000;
+const SEGMENT_POLL_INTERVAL_MS = 250;
+
+/** Encodes nobody has requested a segment from in this long are stopped */
+const IDLE_JOB_TIMEOUT_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+/** ffmpeg's own playlist, used to tell how far an encode has got */
+const ENCODER_PLAYLIST = "ffmpeg.m3u8";
+
+export interface QualityRung {
+  height: number;
+  /** kbit/s */
+  videoBitrate: number;
+  /** kbit/s */
+  audioBitrate: number;
+}
+
+/**
+ * Quality ladder, highest first. Must match QUALITY_PRESETS in the
+ * client's useVideoPlayer.ts.
+ */
+export const TRANSCODE_LADDER: Record<TranscodeQuality, QualityRung> = {
+  "2160p": { height: 2160, videoBitrate: 16000, audioBitrate: 192 },
+  "1080p": { height: 1080, videoBitrate: 6000, audioBitrate: 160 },
+  "720p": { height: 720, videoBitrate: 3000, audioBitrate: 128 },
+  "480p": { height: 480, videoBitrate: 1500, audioBitrate: 128 },
+  "360p": { height: 360, videoBitrate: 800, audioBitrate: 96 },
+};
+
+export function isTranscodeQuality(value: unknown): value is TranscodeQuality {
+  return typeof value === "string" && Object.keys(TRANSCODE_LADDER).includes(value);
+}
+
+/** The scene a transcode reads from */
+export interface TranscodeSource {
+  sceneId: string;
+  instanceId: string;
+  title: string | null;
+  durationSeconds: number;
+}
+
+interface TranscodeJob {
+  id: string;
+  source: TranscodeSource;
+  quality: TranscodeQuality;
+  dir: string;
+  process: ChildProcess;
+  startSegment: number;
+  /** Highest segment this encode has finished, or startSegment - 1 */
+  lastSegment: number;
+  username: string | null;
+  startedAt: Date;
+  lastRequestAt: number;
+  exited: boolean;
+  stopped: boolean;
+  /** Tail of ffmpeg's stderr, logged if it fails */
+  stderr: string;
+}
+
+export interface CacheEntry {
+  name: string;
+  sizeBytes: number;
+  lastUsedAt: number;
+}
+
+export function toTranscodeSettingsData(settings: TranscodeSettings): TranscodeSettingsData {
+  return {
+    enabled: settings.enabled,
+    maxConcurrent: settings.maxConcurrent,
+    cacheLimitMb: settings.cacheLimitMb,
+  };
+}
+
+export function segmentCount(durationSeconds: number): number {
+  return Math.max(1, Math.ceil(durationSeconds / SEGMENT_SECONDS));
+}
+
+export function segmentFileName(index: number): string {
+  return `segment_${String(index).padStart(5, "0")}.ts`;
+}
+
+/**
+ * VOD playlist listing every segment of the scene, whether or not it has
+ * been encoded yet. Segment URLs are relative, so anything the segment
+ * requests need (the instance ID) comes in as `query`.
+ */
+export function buildTranscodePlaylist(durationSeconds: number, query = ""): string {
+  const count = segmentCount(durationSeconds);
+  const lines = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    `#EXT-X-TARGETDURATION:${SEGMENT_SECONDS}`,
+    "#EXT-X-MEDIA-SEQUENCE:0",
+    "#EXT-X-PLAYLIST-TYPE:VOD",
+  ];
+
+  for (let i = 0; i < count; i++) {
+    const remaining = durationSeconds - i * SEGMENT_SECONDS;
+    const length = remaining > 0 ? Math.min(SEGMENT_SECONDS, remaining) : SEGMENT_SECONDS;
+    lines.push(`#EXTINF:${length.toFixed(3)},`, `${i}.ts${query}`);
+  }
+
+  lines.push("#EXT-X-ENDLIST", "");
+  return lines.join("\n");
+}
+
+/**
+ * ffmpeg arguments for encoding from `startSegment` to the end of the scene.
+ * Output timestamps are offset to the segment's place in the scene so
+ * segments from a restarted encode line up with the ones before them.
+ */
+export function buildFfmpegArgs(options: {
+  inputUrl: string;
+  apiKey: string;
+  quality: TranscodeQuality;
+  startSegment: number;
+  outputDir: string;
+}): string[] {
+  const { height, videoBitrate, audioBitrate } = TRANSCODE_LADDER[options.quality];
+  const startSeconds = options.startSegment * SEGMENT_SECONDS;
+
+  return [
+    "-hide_banner",
+    "-loglevel", "error",
+    "-nostdin",
+    "-headers", `ApiKey: ${options.apiKey}\r\n`,
+    ...(startSeconds > 0 ? ["-ss", String(startSeconds)] : []),
+    "-i", options.inputUrl,
+    "-map", "0:v:0",
+    "-map", "0:a:0?",
+    // Never upscale; libx264 with yuv420p needs even dimensions
+    "-vf", `scale=-2:'min(${height},trunc(ih/2)*2)'`,
+    "-c:v", "libx264",
+    "-preset", "veryfast",
+    "-pix_fmt", "yuv420p",
+    "-b:v", `${videoBitrate}k`,
+    "-maxrate", `${videoBitrate}k`,
+    "-bufsize", `${videoBitrate * 2}k`,
+    "-force_key_frames", `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+    "-sc_threshold", "0",
+    "-c:a", "aac",
+    "-b:a", `${audioBitrate}k`,
+    "-ac", "2",
+    "-output_ts_offset", String(startSeconds),
+    "-f", "hls",
+    "-hls_time", String(SEGMENT_SECONDS),
+    "-hls_list_size", "0",
+    "-hls_flags", "temp_file",
+    "-start_number", String(options.startSegment),
+    "-hls_segment_filename", path.join(options.outputDir, "segment_%05d.ts"),
+    path.join(options.outputDir, ENCODER_PLAYLIST),
+  ];
+}
+
+/**
+ * Highest segment index listed in ffmpeg's own playlist, or null if it
+ * hasn't finished one yet
+ */
+export function lastEncodedSegment(encoderPlaylist: string): number | null {
+  const matches = [...encoderPlaylist.matchAll(/segment_(\d+)\.ts/g)];
+  const last = matches[matches.length - 1];
+  return last ? parseInt(last[1] as string, 10) : null;
+}
+
+/**
+ * Cache entries to delete, least recently used first, to bring the cache
+ * under `limitBytes`. Entries in `inUse` are never chosen.
+ */
+export function selectEvictions(
+  entries: CacheEntry[],
+  limitBytes: number,
+  inUse: Set<string>
+): CacheEntry[] {
+  let total = entries.reduce((sum, entry) => sum + entry.sizeBytes, 0);
+  if (total <= limitBytes) return [];
+
+  const evictions: CacheEntry[] = [];
+  const candidates = entries
+    .filter((entry) => !inUse.has(entry.name))
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+
+  for (const entry of candidates) {
+    if (total <= limitBytes) break;
+    evictions.push(entry);
+    total -= entry.sizeBytes;
+  }
+  return evictions;
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const fileExists = async (file: string) => {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/** Directory-safe form of an ID */
+const safeName = (value: string) => value.replace(/[^a-zA-Z0-9-]/g, "_");
+
+class TranscodeService {
+  private jobs = new Map<string, TranscodeJob>();
+  // Last segment request per cache directory; falls back to the directory's mtime
+  private lastUsed = new Map<string, number>();
+  private sweepTimer: NodeJS.Timeout | null = null;
+  private ffmpegVersion: Promise<string | null> | null = null;
+  private evicting: Promise<void> | null = null;
+
+  getCacheDir(): string {
+    return (
+      process.env.TRANSCODE_CACHE_DIR ||
+      path.join(process.env.CONFIG_DIR || "/app/data", "transcodes")
+    );
+  }
+
+  private getFfmpegPath(): string {
+    return process.env.FFMPEG_PATH || "ffmpeg";
+  }
+
+  /**
+   * Read settings, creating the row on first use
+   */
+  async getSettings(): Promise<TranscodeSettings> {
+    const existing = await prisma.transcodeSettings.findFirst();
+    if (existing) return existing;
+
+    return prisma.transcodeSettings.upsert({
+      where: { id: 1 },
+      create: { id: 1 },
+      update: {},
+    });
+  }
+
+  async updateSettings(
+    data: Partial<Pick<TranscodeSettings, "enabled" | "maxConcurrent" | "cacheLimitMb">>
+  ): Promise<TranscodeSettings> {
+    await this.getSettings();
+    const settings = await prisma.transcodeSettings.update({ where: { id: 1 }, data });
+
+    if (!settings.enabled) {
+      this.stopAll();
+    } else {
+      void this.enforceCacheLimit();
+    }
+    return settings;
+  }
+
+  /**
+   * First line of `ffmpeg -version`, or null if ffmpeg can't be run.
+   * Checked once per process.
+   */
+  getFfmpegVersion(): Promise<string | null> {
+    this.ffmpegVersion ??= new Promise((resolve) => {
+      let output = "";
+      const child = spawn(this.getFfmpegPath(), ["-version"], {
+        stdio: ["ignore", "pipe", "ignore"],
+      });
+      child.stdout.on("data", (chunk: Buffer) => {
+        output += chunk.toString();
+      });
+      child.on("error", () => resolve(null));
+      child.on("close", (code) => {
+        resolve(code === 0 ? (output.split("\n")[0] ?? "").trim() || null : null);
+      });
+    });
+    return this.ffmpegVersion;
+  }
+
+  /**
+   * Look up the scene to transcode. A missing or "default" instance ID
+   * means the default Stash instance, as with the stream proxy.
+   */
+  async resolveSource(sceneId: string, instanceId?: string): Promise<TranscodeSource> {
+    let resolvedInstanceId: string;
+    try {
+      resolvedInstanceId =
+        instanceId && instanceId !== "default"
+          ? instanceId
+          : stashInstanceManager.getDefaultConfig().id;
+    } catch {
+      throw new AppError("Stash not configured", 500);
+    }
+
+    const scene = await prisma.stashScene.findFirst({
+      where: { id: sceneId, stashInstanceId: resolvedInstanceId, deletedAt: null },
+      select: { title: true, duration: true },
+    });
+    if (!scene) {
+      throw new NotFoundError("Scene not found");
+    }
+    if (!scene.duration) {
+      throw new AppError("Scene duration is unknown, so it can't be transcoded", 422);
+    }
+
+    return {
+      sceneId,
+      instanceId: resolvedInstanceId,
+      title: scene.title,
+      durationSeconds: scene.duration,
+    };
+  }
+
+  /**
+   * Path to a finished segment, starting or restarting an encode to
+   * produce it if needed
+   */
+  async getSegment(
+    source: TranscodeSource,
+    quality: TranscodeQuality,
+    index: number,
+    username: string | null
+  ): Promise<string> {
+    if (index < 0 || index >= segmentCount(source.durationSeconds)) {
+      throw new NotFoundError("Segment not found");
+    }
+
+    const name = this.cacheName(source, quality);
+    const file = path.join(this.getCacheDir(), name, segmentFileName(index));
+    const id = this.jobId(source, quality);
+    this.lastUsed.set(name, Date.now());
+
+    const job = this.jobs.get(id);
+    if (job) job.lastRequestAt = Date.now();
+
+    if (await fileExists(file)) return file;
+
+    if (job) await this.refreshProgress(job);
+    if (
+      !job ||
+      job.exited ||
+      index < job.startSegment ||
+      index > job.lastSegment + 1 + MAX_SEGMENT_LOOKAHEAD
+    ) {
+      await this.startJob(source, quality, index, username);
+    }
+
+    return this.waitForSegment(id, file);
+  }
+
+  /**
+   * Active encodes, most recently started first
+   */
+  async listJobs(): Promise<TranscodeJobData[]> {
+    const jobs = [...this.jobs.values()];
+    await Promise.all(jobs.map((job) => this.refreshProgress(job)));
+
+    return jobs
+      .sort((a, b) => b.startedAt.getTime() - a.startedAt.getTime())
+      .map((job) => ({
+        id: job.id,
+        sceneId: job.source.sceneId,
+        instanceId: job.source.instanceId,
+        sceneTitle: job.source.title,
+        quality: job.quality,
+        username: job.username,
+        startSeconds: job.startSegment * SEGMENT_SECONDS,
+        encodedSeconds: Math.min(
+          (job.lastSegment + 1) * SEGMENT_SECONDS,
+          job.source.durationSeconds
+        ),
+        durationSeconds: job.source.durationSeconds,
+        startedAt: job.startedAt.toISOString(),
+        lastRequestAt: new Date(job.lastRequestAt).toISOString(),
+      }));
+  }
+
+  /**
+   * Stop one encode. Returns false if it isn't running.
+   */
+  stopJob(id: string): boolean {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+    this.stop(job);
+    return true;
+  }
+
+  stopAll(): void {
+    for (const job of [...this.jobs.values()]) {
+      this.stop(job);
+    }
+  }
+
+  /**
+   * Size of every cached scene and quality
+   */
+  async getCacheEntries(): Promise<CacheEntry[]> {
+    const cacheDir = this.getCacheDir();
+    let dirents;
+    try {
+      dirents = await fs.readdir(cacheDir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const entries: CacheEntry[] = [];
+    for (const dirent of dirents) {
+      if (!dirent.isDirectory()) continue;
+      const dir = path.join(cacheDir, dirent.name);
+      try {
+        const [dirStat, files] = await Promise.all([fs.stat(dir), fs.readdir(dir)]);
+        const sizes = await Promise.all(
+          files.map((file) =>
+            fs.stat(path.join(dir, file)).then(
+              (stat) => stat.size,
+              () => 0
+            )
+          )
+        );
+        entries.push({
+          name: dirent.name,
+          sizeBytes: sizes.reduce((sum, size) => sum + size, 0),
+          lastUsedAt: this.lastUsed.get(dirent.name) ?? dirStat.mtimeMs,
+        });
+      } catch {
+        // Removed while we were looking
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Evict least recently watched scenes until the cache fits its limit.
+   * Scenes being encoded are left alone.
+   */
+  enforceCacheLimit(): Promise<void> {
+    this.evicting ??= this.evict().finally(() => {
+      this.evicting = null;
+    });
+    return this.evicting;
+  }
+
+  shutdown(): void {
+    this.stopAll();
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  private jobId(source: TranscodeSource, quality: TranscodeQuality): string {
+    return `${source.instanceId}:${source.sceneId}:${quality}`;
+  }
+
+  private cacheName(source: TranscodeSource, quality: TranscodeQuality): string {
+    return `${safeName(source.instanceId)}_${safeName(source.sceneId)}_${quality}`;
+  }
+
+  private async startJob(
+    source: TranscodeSource,
+    quality: TranscodeQuality,
+    startSegment: number,
+    username: string | null
+  ): Promise<TranscodeJob> {
+    const settings = await this.getSettings();
+    if (!settings.enabled) {
+      throw new NotFoundError("Transcoding is not enabled");
+    }
+
+    const id = this.jobId(source, quality);
+    const existing = this.jobs.get(id);
+    if (existing) {
+      // Seeking: restart this scene's encode rather than run two
+      this.stop(existing);
+    } else if (this.jobs.size >= settings.maxConcurrent) {
+      throw new AppError("Too many transcodes are running. Try again shortly.", 503);
+    }
+
+    const name = this.cacheName(source, quality);
+    const dir = path.join(this.getCacheDir(), name);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.rm(path.join(dir, ENCODER_PLAYLIST), { force: true });
+
+    const args = buildFfmpegArgs({
+      inputUrl: `${stashInstanceManager.getBaseUrl(source.instanceId)}/scene/${source.sceneId}/stream`,
+      apiKey: stashInstanceManager.getApiKey(source.instanceId),
+      quality,
+      startSegment,
+      outputDir: dir,
+    });
+
+    const child = spawn(this.getFfmpegPath(), args, { stdio: ["ignore", "ignore", "pipe"] });
+    const job: TranscodeJob = {
+      id,
+      source,
+      quality,
+      dir,
+      process: child,
+      startSegment,
+      lastSegment: startSegment - 1,
+      username,
+      startedAt: new Date(),
+      lastRequestAt: Date.now(),
+      exited: false,
+      stopped: false,
+      stderr: "",
+    };
+
+    child.stderr?.on("data", (chunk: Buffer) => {
+      job.stderr = (job.stderr + chunk.toString()).slice(-2000);
+    });
+    child.on("error", (error) => {
+      job.exited = true;
+      job.stderr = error.message;
+      this.finish(job);
+    });
+    child.on("exit", (code) => {
+      job.exited = true;
+      if (code !== 0 && !job.stopped) {
+        logger.warn("[TRANSCODE] ffmpeg failed", {
+          sceneId: source.sceneId,
+          quality,
+          code,
+          stderr: job.stderr.trim(),
+        });
+      }
+      this.finish(job);
+    });
+
+    this.jobs.set(id, job);
+    this.lastUsed.set(name, Date.now());
+    this.startSweep();
+    void this.enforceCacheLimit();
+
+    logger.info("[TRANSCODE] Started", {
+      sceneId: source.sceneId,
+      instanceId: source.instanceId,
+      quality,
+      startSeconds: startSegment * SEGMENT_SECONDS,
+      username,
+    });
+    return job;
+  }
+
+  private async waitForSegment(id: string, file: string): Promise<string> {
+    const deadline = Date.now() + SEGMENT_WAIT_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+      if (await fileExists(file)) return file;
+
+      const job = this.jobs.get(id);
+      if (!job) {
+        // The encode ended; it may have written the segment as it finished
+        if (await fileExists(file)) return file;
+        throw new AppError("Transcode stopped before this segment was ready", 502);
+      }
+      await sleep(SEGMENT_POLL_INTERVAL_MS);
+    }
+
+    throw new AppError("Timed out waiting for the transcoder", 504);
+  }
+
+  private async refreshProgress(job: TranscodeJob): Promise<void> {
+    try {
+      const playlist = await fs.readFile(path.join(job.dir, ENCODER_PLAYLIST), "utf8");
+      const last = lastEncodedSegment(playlist);
+      if (last !== null) job.lastSegment = last;
+    } catch {
+      // Nothing written yet
+    }
+  }
+
+  private stop(job: TranscodeJob): void {
+    job.stopped = true;
+    this.finish(job);
+    if (!job.exited) {
+      job.process.kill("SIGKILL");
+    }
+  }
+
+  private finish(job: TranscodeJob): void {
+    if (this.jobs.get(job.id) !== job) return;
+    this.jobs.delete(job.id);
+
+    if (this.jobs.size === 0 && this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    void this.enforceCacheLimit();
+  }
+
+  /**
+   * Stop encodes for players that have gone away
+   */
+  private startSweep(): void {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => {
+      const cutoff = Date.now() - IDLE_JOB_TIMEOUT_MS;
+      for (const job of [...this.jobs.values()]) {
+        if (job.lastRequestAt < cutoff) {
+          logger.info("[TRANSCODE] Stopping idle encode", {
+            sceneId: job.source.sceneId,
+            quality: job.quality,
+          });
+          this.stop(job);
+        }
+      }
+    }, SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  private async evict(): Promise<void> {
+    try {
+      const settings = await this.getSettings();
+      const inUse = new Set([...this.jobs.values()].map((job) => path.basename(job.dir)));
+      const evictions = selectEvictions(
+        await this.getCacheEntries(),
+        settings.cacheLimitMb * 1024 * 1024,
+        inUse
+      );
+
+      for (const entry of evictions) {
+        await fs.rm(path.join(this.getCacheDir(), entry.name), { recursive: true, force: true });
+        this.lastUsed.delete(entry.name);
+      }
+      if (evictions.length > 0) {
+        logger.info("[TRANSCODE] Evicted cached transcodes", {
+          count: evictions.length,
+          freedBytes: evictions.reduce((sum, entry) => sum + entry.sizeBytes, 0),
+        });
+      }
+    } catch (error) {
+      logger.error("[TRANSCODE] Cache eviction failed", {
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+}
+
+export const transcodeService = new TranscodeService();
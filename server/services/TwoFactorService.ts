@@ -0,0 +1,679 @@
+/**
+ * TwoFactorService
+ *
+ * Second factors for password login: TOTP authenticator apps (RFC 6238)
+ * with single-use backup codes, and WebAuthn security keys and passkeys.
+ *
+ * A password login that needs a second step gets a short-lived login token
+ * instead of a session. Pending logins and WebAuthn challenges are kept in
+ * memory and expire after TWO_FACTOR_LOGIN_TTL_MS, like pending OIDC logins.
+ *
+ * OIDC logins skip this; the identity provider is responsible for MFA.
+ */
+import crypto from "crypto";
+import {
+  generateAuthenticationOptions,
+  generateRegistrationOptions,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+  type AuthenticationResponseJSON,
+  type RegistrationResponseJSON,
+} from "@simplewebauthn/server";
+import type { WebAuthnCredential } from "@prisma/client";
+import type { Request } from "express";
+import QRCode from "qrcode";
+import { ValidationError } from "../middleware/errorHandler.js";
+import prisma from "../prisma/singleton.js";
+import type {
+  TotpSetupData,
+  TwoFactorMethod,
+  TwoFactorStatus,
+  WebAuthnAuthenticationOptionsJSON,
+  WebAuthnAuthenticationResponseJSON,
+  WebAuthnCredentialData,
+  WebAuthnRegistrationOptionsJSON,
+  WebAuthnRegistrationResponseJSON,
+} from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+import { getAuthSettings } from "./AuthSettingsService.js";
+
+export const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000;
+export const MAX_CREDENTIAL_NAME_LENGTH = 64;
+
+const ISSUER = "Peek";
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next code too, to allow for clock drift
+const TOTP_WINDOW = 1;
+const TOTP_SECRET_BYTES = 20;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const BACKUP_CODE_COUNT = 10;
+// Excludes ambiguous characters: 0/o, 1/i/l
+const BACKUP_CODE_CHARS = "abcdefghjkmnpqrstuvwxyz23456789";
+
+export interface RelyingParty {
+  rpID: string;
+  origin: string;
+}
+
+export interface PendingTwoFactorLogin {
+  userId: number;
+  username: string;
+  /** The user has no second factor yet but policy requires one */
+  setupRequired: boolean;
+  webauthnChallenge?: string;
+  expiresAt: number;
+}
+
+interface PendingChallenge {
+  challenge: string;
+  expiresAt: number;
+}
+
+// ==================== TOTP ====================
+
+export function base32Encode(buffer: Buffer): string {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET.charAt((value >>> (bits - 5)) & 31);
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET.charAt((value << (5 - bits)) & 31);
+  }
+  return output;
+}
+
+export function base32Decode(input: string): Buffer {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes: number[] = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateTotpSecret(): string {
+  return base32Encode(crypto.randomBytes(TOTP_SECRET_BYTES));
+}
+
+/**
+ * Time step a timestamp falls in
+ */
+export function getTotpStep(now = Date.now()): number {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * HOTP code (RFC 4226) for a time step
+ */
+export function generateTotpCode(secret: string, step: number): string {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = (hmac[hmac.length - 1] ?? 0) & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Time step the code belongs to, or null if it matches none in the window
+ */
+export function findTotpStep(secret: string, code: string, now = Date.now()): number | null {
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) return null;
+  const current = getTotpStep(now);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    const expected = generateTotpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+export function buildOtpauthUrl(username: string, secret: string): string {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ==================== Backup codes ====================
+
+/**
+ * Generate backup codes formatted as xxxx-xxxx
+ */
+export function generateBackupCodes(): string[] {
+  return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const bytes = crypto.randomBytes(8);
+    let code = "";
+    for (const byte of bytes) {
+      code += BACKUP_CODE_CHARS.charAt(byte % BACKUP_CODE_CHARS.length);
+    }
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  });
+}
+
+/**
+ * Codes are random, so a fast hash is enough; dashes, spaces and case
+ * don't matter when a user types one in
+ */
+export function hashBackupCode(code: string): string {
+  const normalized = code.replace(/[\s-]/g, "").toLowerCase();
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+const parseBackupCodeHashes = (value: unknown): string[] =>
+  Array.isArray(value) ? value.filter((v): v is string => typeof v === "string") : [];
+
+// ==================== WebAuthn ====================
+
+/**
+ * Relying party for WebAuthn, from the address the browser used to reach Peek
+ */
+export function getRelyingParty(req: Pick<Request, "protocol" | "hostname" | "get">): RelyingParty {
+  return {
+    rpID: req.hostname,
+    origin: `${req.protocol}://${req.get("host") ?? req.hostname}`,
+  };
+}
+
+export function toWebAuthnCredentialData(credential: WebAuthnCredential): WebAuthnCredentialData {
+  return {
+    id: credential.id,
+    name: credential.name,
+    lastUsedAt: credential.lastUsedAt?.toISOString() ?? null,
+    createdAt: credential.createdAt.toISOString(),
+  };
+}
+
+const parseTransports = (value: unknown): string[] | undefined =>
+  Array.isArray(value) ? value.filter((t): t is string => typeof t === "string") : undefined;
+
+class TwoFactorService {
+  private pendingLogins = new Map<string, PendingTwoFactorLogin>();
+  private registrationChallenges = new Map<number, PendingChallenge>();
+
+  // ==================== Status and policy ====================
+
+  async getStatus(userId: number): Promise<TwoFactorStatus> {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        role: true,
+        totpEnabledAt: true,
+        twoFactorBackupCodes: true,
+        webauthnCredentials: { orderBy: { createdAt: "asc" } },
+      },
+    });
+    if (!user) {
+      throw new ValidationError("User not found");
+    }
+
+    return {
+      totpEnabled: user.totpEnabledAt !== null,
+      backupCodesRemaining: parseBackupCodeHashes(user.twoFactorBackupCodes).length,
+      credentials: user.webauthnCredentials.map(toWebAuthnCredentialData),
+      required: await this.isRequired({ id: userId, role: user.role }),
+    };
+  }
+
+  /**
+   * Methods the user can complete a login with; empty if they have no second factor
+   */
+  async getMethods(userId: number): Promise<TwoFactorMethod[]> {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        totpEnabledAt: true,
+        twoFactorBackupCodes: true,
+        _count: { select: { webauthnCredentials: true } },
+      },
+    });
+    if (!user) return [];
+
+    const hasTotp = user.totpEnabledAt !== null;
+    const hasWebAuthn = user._count.webauthnCredentials > 0;
+    if (!hasTotp && !hasWebAuthn) return [];
+
+    const methods: TwoFactorMethod[] = [];
+    if (hasTotp) methods.push("totp");
+    if (hasWebAuthn) methods.push("webauthn");
+    if (parseBackupCodeHashes(user.twoFactorBackupCodes).length > 0) methods.push("backup_code");
+    return methods;
+  }
+
+  /**
+   * Whether policy requires this user to have a second factor: admins when
+   * the sign-in settings say so, and members of groups that require it
+   */
+  async isRequired(user: { id: number; role: string }): Promise<boolean> {
+    if (user.role === "ADMIN" && (await getAuthSettings()).requireTwoFactorForAdmins) {
+      return true;
+    }
+    const membership = await prisma.userGroupMembership.findFirst({
+      where: { userId: user.id, group: { requireTwoFactor: true } },
+      select: { id: true },
+    });
+    return membership !== null;
+  }
+
+  // ==================== TOTP enrollment ====================
+
+  /**
+   * Generate a new secret for the user to add to their authenticator app.
+   * It only takes effect once confirmed with a code from the app.
+   */
+  async beginTotpSetup(user: { id: number; username: string }): Promise<TotpSetupData> {
+    const existing = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: { totpEnabledAt: true },
+    });
+    if (existing?.totpEnabledAt) {
+      throw new ValidationError("An authenticator app is already set up");
+    }
+
+    const secret = generateTotpSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpSecret: secret, totpLastUsedStep: null },
+    });
+
+    const otpauthUrl = buildOtpauthUrl(user.username, secret);
+    return { secret, otpauthUrl, qrCodeDataUrl: await QRCode.toDataURL(otpauthUrl) };
+  }
+
+  /**
+   * Turn on TOTP once the user proves their app has the secret
+   *
+   * @returns New backup codes if the user had none, otherwise null
+   */
+  async confirmTotpSetup(userId: number, code: string): Promise<string[] | null> {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { totpSecret: true, totpEnabledAt: true, twoFactorBackupCodes: true },
+    });
+    if (!user?.totpSecret || user.totpEnabledAt) {
+      throw new ValidationError("Start authenticator setup first");
+    }
+
+    const step = findTotpStep(user.totpSecret, code.trim());
+    if (step === null) {
+      throw new ValidationError("That code didn't match. Check your device's clock and try again.");
+    }
+
+    const backupCodes =
+      parseBackupCodeHashes(user.twoFactorBackupCodes).length === 0 ? generateBackupCodes() : null;
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        totpEnabledAt: new Date(),
+        totpLastUsedStep: step,
+        ...(backupCodes && { twoFactorBackupCodes: backupCodes.map(hashBackupCode) }),
+      },
+    });
+    return backupCodes;
+  }
+
+  async disableTotp(userId: number): Promise<void> {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null },
+    });
+    await this.clearBackupCodesIfUnused(userId);
+  }
+
+  /**
+   * Replace all backup codes
+   */
+  async regenerateBackupCodes(userId: number): Promise<string[]> {
+    if ((await this.getMethods(userId)).length === 0) {
+      throw new ValidationError("Set up an authenticator app or security key first");
+    }
+    const codes = generateBackupCodes();
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorBackupCodes: codes.map(hashBackupCode) },
+    });
+    return codes;
+  }
+
+  /**
+   * Remove every second factor (admin reset for a user who lost their device)
+   */
+  async reset(userId: number): Promise<void> {
+    await prisma.webAuthnCredential.deleteMany({ where: { userId } });
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        totpSecret: null,
+        totpEnabledAt: null,
+        totpLastUsedStep: null,
+        twoFactorBackupCodes: [],
+      },
+    });
+    this.registrationChallenges.delete(userId);
+    for (const [token, pending] of this.pendingLogins) {
+      if (pending.userId === userId) this.pendingLogins.delete(token);
+    }
+  }
+
+  /**
+   * Backup codes are only a fallback, so they go when the last real factor does
+   */
+  private async clearBackupCodesIfUnused(userId: number): Promise<void> {
+    if ((await this.getMethods(userId)).length === 0) {
+      await prisma.user.update({
+        where: { id: userId },
+        data: { twoFactorBackupCodes: [] },
+      });
+    }
+  }
+
+  // ==================== Code verification ====================
+
+  /**
+   * Check an authenticator code or backup code. Each TOTP code and each
+   * backup code is accepted once.
+   *
+   * @returns The method that matched, or null
+   */
+  async verifyCode(userId: number, code: string): Promise<"totp" | "backup_code" | null> {
+    const input = code.replace(/\s/g, "");
+    if (!input) return null;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        totpSecret: true,
+        totpEnabledAt: true,
+        totpLastUsedStep: true,
+        twoFactorBackupCodes: true,
+      },
+    });
+    if (!user) return null;
+
+    if (user.totpEnabledAt && user.totpSecret && input.length === TOTP_DIGITS) {
+      const step = findTotpStep(user.totpSecret, input);
+      if (step === null || (user.totpLastUsedStep !== null && step <= user.totpLastUsedStep)) {
+        return null;
+      }
+      // Conditional update so two requests can't both spend the same code
+      const { count } = await prisma.user.updateMany({
+        where: {
+          id: userId,
+          OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }],
+        },
+        data: { totpLastUsedStep: step },
+      });
+      return count === 1 ? "totp" : null;
+    }
+
+    const hash = hashBackupCode(input);
+    if (!parseBackupCodeHashes(user.twoFactorBackupCodes).includes(hash)) return null;
+
+    // Removed in one statement, and only while still present, so two requests
+    // can't both spend the same code or restore each other's
+    const count = await prisma.$executeRaw`
+      UPDATE "User"
+      SET "twoFactorBackupCodes" = (
+        SELECT json_group_array(value) FROM json_each("User"."twoFactorBackupCodes") WHERE value <> ${hash}
+      )
+      WHERE id = ${userId}
+        AND EXISTS (SELECT 1 FROM json_each("User"."twoFactorBackupCodes") WHERE value = ${hash})
+    `;
+    return count === 1 ? "backup_code" : null;
+  }
+
+  // ==================== WebAuthn ====================
+
+  async getRegistrationOptions(
+    user: { id: number; username: string },
+    rp: RelyingParty
+  ): Promise<WebAuthnRegistrationOptionsJSON> {
+    const existing = await prisma.webAuthnCredential.findMany({
+      where: { userId: user.id },
+      select: { credentialId: true, transports: true },
+    });
+
+    const options = await generateRegistrationOptions({
+      rpName: ISSUER,
+      rpID: rp.rpID,
+      userName: user.username,
+      userID: new TextEncoder().encode(`peek-user-${user.id}`),
+      attestationType: "none",
+      excludeCredentials: existing.map((c) => ({
+        id: c.credentialId,
+        transports: parseTransports(c.transports),
+      })),
+      authenticatorSelection: { residentKey: "preferred", userVerification: "preferred" },
+    });
+
+    this.pruneExpired();
+    this.registrationChallenges.set(user.id, {
+      challenge: options.challenge,
+      expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS,
+    });
+    return options as WebAuthnRegistrationOptionsJSON;
+  }
+
+  /**
+   * Verify and store a new security key or passkey
+   *
+   * @returns New backup codes if the user had none, otherwise null
+   */
+  async registerCredential(
+    userId: number,
+    name: string,
+    response: WebAuthnRegistrationResponseJSON,
+    rp: RelyingParty
+  ): Promise<{ credential: WebAuthnCredentialData; backupCodes: string[] | null }> {
+    const pending = this.registrationChallenges.get(userId);
+    this.registrationChallenges.delete(userId);
+    if (!pending || pending.expiresAt < Date.now()) {
+      throw new ValidationError("Security key registration expired. Please try again.");
+    }
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response: response as RegistrationResponseJSON,
+        expectedChallenge: pending.challenge,
+        expectedOrigin: rp.origin,
+        expectedRPID: rp.rpID,
+        requireUserVerification: false,
+      });
+    } catch (error) {
+      logger.warn("WebAuthn registration failed", {
+        userId,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      throw new ValidationError("The security key could not be verified");
+    }
+    if (!verification.verified) {
+      throw new ValidationError("The security key could not be verified");
+    }
+
+    const { credential: verified } = verification.registrationInfo;
+    const hadFactor = (await this.getMethods(userId)).length > 0;
+    const credential = await prisma.webAuthnCredential.create({
+      data: {
+        userId,
+        credentialId: verified.id,
+        publicKey: Buffer.from(verified.publicKey).toString("base64url"),
+        counter: verified.counter,
+        transports: verified.transports ?? response.response.transports ?? [],
+        name,
+      },
+    });
+
+    let backupCodes: string[] | null = null;
+    if (!hadFactor) {
+      backupCodes = generateBackupCodes();
+      await prisma.user.update({
+        where: { id: userId },
+        data: { twoFactorBackupCodes: backupCodes.map(hashBackupCode) },
+      });
+    }
+
+    return { credential: toWebAuthnCredentialData(credential), backupCodes };
+  }
+
+  /**
+   * @returns false if the credential doesn't belong to the user
+   */
+  async removeCredential(userId: number, credentialId: number): Promise<boolean> {
+    const { count } = await prisma.webAuthnCredential.deleteMany({
+      where: { id: credentialId, userId },
+    });
+    if (count === 0) return false;
+    await this.clearBackupCodesIfUnused(userId);
+    return true;
+  }
+
+  /**
+   * Challenge for the second step of a pending login
+   */
+  async getAuthenticationOptions(
+    loginToken: string,
+    rp: RelyingParty
+  ): Promise<WebAuthnAuthenticationOptionsJSON | null> {
+    const pending = this.getPendingLogin(loginToken);
+    if (!pending) return null;
+
+    const credentials = await prisma.webAuthnCredential.findMany({
+      where: { userId: pending.userId },
+      select: { credentialId: true, transports: true },
+    });
+    if (credentials.length === 0) return null;
+
+    const options = await generateAuthenticationOptions({
+      rpID: rp.rpID,
+      allowCredentials: credentials.map((c) => ({
+        id: c.credentialId,
+        transports: parseTransports(c.transports),
+      })),
+      userVerification: "preferred",
+    });
+    pending.webauthnChallenge = options.challenge;
+    return options as WebAuthnAuthenticationOptionsJSON;
+  }
+
+  /**
+   * Check a security key response against the pending login's challenge.
+   * The challenge is spent either way.
+   */
+  async verifyAuthentication(
+    pending: PendingTwoFactorLogin,
+    response: WebAuthnAuthenticationResponseJSON,
+    rp: RelyingParty
+  ): Promise<boolean> {
+    const expectedChallenge = pending.webauthnChallenge;
+    pending.webauthnChallenge = undefined;
+    if (!expectedChallenge || typeof response?.id !== "string") return false;
+
+    const stored = await prisma.webAuthnCredential.findFirst({
+      where: { userId: pending.userId, credentialId: response.id },
+    });
+    if (!stored) return false;
+
+    try {
+      const verification = await verifyAuthenticationResponse({
+        response: response as AuthenticationResponseJSON,
+        expectedChallenge,
+        expectedOrigin: rp.origin,
+        expectedRPID: rp.rpID,
+        credential: {
+          id: stored.credentialId,
+          publicKey: Buffer.from(stored.publicKey, "base64url"),
+          counter: stored.counter,
+          transports: parseTransports(stored.transports),
+        },
+        requireUserVerification: false,
+      });
+      if (!verification.verified) return false;
+
+      await prisma.webAuthnCredential.update({
+        where: { id: stored.id },
+        data: { counter: verification.authenticationInfo.newCounter, lastUsedAt: new Date() },
+      });
+      return true;
+    } catch (error) {
+      logger.warn("WebAuthn authentication failed", {
+        userId: pending.userId,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return false;
+    }
+  }
+
+  // ==================== Pending logins ====================
+
+  /**
+   * Remember a login whose password was correct
+   *
+   * @returns Token the client presents to the two-factor endpoints
+   */
+  startLogin(user: { id: number; username: string }, setupRequired: boolean): string {
+    this.pruneExpired();
+    const token = crypto.randomBytes(24).toString("base64url");
+    this.pendingLogins.set(token, {
+      userId: user.id,
+      username: user.username,
+      setupRequired,
+      expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS,
+    });
+    return token;
+  }
+
+  getPendingLogin(token: unknown): PendingTwoFactorLogin | null {
+    if (typeof token !== "string") return null;
+    const pending = this.pendingLogins.get(token);
+    if (!pending || pending.expiresAt < Date.now()) {
+      this.pendingLogins.delete(token);
+      return null;
+    }
+    return pending;
+  }
+
+  /**
+   * Forget a pending login (completed, or abandoned after a lockout)
+   */
+  endLogin(token: string): void {
+    this.pendingLogins.delete(token);
+  }
+
+  private pruneExpired(): void {
+    const now = Date.now();
+    for (const [token, pending] of this.pendingLogins) {
+      if (pending.expiresAt < now) this.pendingLogins.delete(token);
+    }
+    for (const [userId, pending] of this.registrationChallenges) {
+      if (pending.expiresAt < now) this.registrationChallenges.delete(userId);
+    }
+  }
+}
+
+export const twoFactorService = new TwoFactorService();
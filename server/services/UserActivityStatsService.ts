@@ -0,0 +1,801 @@
+// server/services/UserActivityStatsService.ts
+/**
+ * Viewing activity over time for the My Stats page.
+ *
+ * Watch history keeps one row per scene with the times of its counted plays
+ * (playHistory) and Os (oHistory); image history keeps the times of views
+ * and Os. These become dated events in the user's timezone, bucketed into a
+ * calendar heatmap, hour-of-day and weekday distributions, streaks,
+ * per-entity trends and a yearly summary.
+ *
+ * Play time is only stored per scene, not per session, so each play's watch
+ * time is the scene's total split evenly across its plays. Time watched
+ * without a counted play is dated at the scene's last play.
+ */
+
+import prisma from "../prisma/singleton.js";
+import type {
+  ActivityTotals,
+  GetActivityResponse,
+  GetTimeSeriesResponse,
+  GetTrendsResponse,
+  GetYearInReviewResponse,
+  HeatmapDay,
+  StatsGranularity,
+  StreakStats,
+  TimeSeriesPoint,
+  TrendEntityType,
+  TrendMetric,
+  YearInReviewItem,
+} from "../types/api/index.js";
+import { parsePlayTimes } from "./SessionScoringService.js";
+import { transformUrl } from "./UserStatsAggregationService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest series returned; longer ranges keep their most recent periods
+export const MAX_SERIES_POINTS = 1000;
+// Heatmap range when no year is given
+export const ACTIVITY_DAYS = 365;
+export const YEAR_TOP_LIMIT = 5;
+
+/**
+ * Something the user did at a moment: a play, time watched, an O or an
+ * image view. Scene events carry the scene.
+ */
+export interface ActivityEvent {
+  at: Date;
+  sceneId: string | null;
+  instanceId: string | null;
+  watchTime: number;
+  playCount: number;
+  oCount: number;
+  imageViews: number;
+}
+
+interface LocalEvent extends ActivityEvent {
+  date: string; // YYYY-MM-DD in the user's timezone
+  hour: number;
+}
+
+interface WatchRow {
+  sceneId: string;
+  instanceId: string | null;
+  playDuration: number;
+  lastPlayedAt: Date | null;
+  playHistory: unknown;
+  oHistory: unknown;
+}
+
+interface ImageRow {
+  imageId: string;
+  instanceId: string | null;
+  viewHistory: unknown;
+  oHistory: unknown;
+}
+
+interface SceneInfo {
+  id: string;
+  instanceId: string;
+  name: string;
+  imageUrl: string | null;
+  studioId: string | null;
+  performerIds: string[];
+  tagIds: string[];
+}
+
+export interface TimeSeriesOptions {
+  granularity: StatsGranularity;
+  from?: string;
+  to?: string;
+  timezone?: string;
+  performerId?: string;
+  studioId?: string;
+  tagId?: string;
+}
+
+export interface TrendsOptions {
+  entityType: TrendEntityType;
+  granularity: StatsGranularity;
+  metric: TrendMetric;
+  limit: number;
+  window: number;
+  from?: string;
+  to?: string;
+  timezone?: string;
+}
+
+// ==================== Dates ====================
+
+const dayToMs = (date: string) => Date.parse(`${date}T00:00:00Z`);
+const msToDay = (ms: number) => new Date(ms).toISOString().slice(0, 10);
+
+export const addDays = (date: string, days: number) => msToDay(dayToMs(date) + days * DAY_MS);
+
+/** 0 = Sunday */
+export const weekdayOf = (date: string) => new Date(dayToMs(date)).getUTCDay();
+
+/**
+ * Whether a string is a real YYYY-MM-DD date
+ */
+export function isDay(value: unknown): value is string {
+  return (
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(dayToMs(value)) &&
+    msToDay(dayToMs(value)) === value
+  );
+}
+
+/**
+ * Calendar date and hour of a moment in the given timezone (UTC if the
+ * timezone isn't valid)
+ */
+export function createLocalizer(timezone?: string): (at: Date) => { date: string; hour: number } {
+  let format: Intl.DateTimeFormat;
+  try {
+    format = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone || "UTC",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      hourCycle: "h23",
+    });
+  } catch {
+    return createLocalizer("UTC");
+  }
+
+  return (at) => {
+    const parts: Record<string, string> = {};
+    for (const part of format.formatToParts(at)) {
+      parts[part.type] = part.value;
+    }
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+  };
+}
+
+/**
+ * The period a day falls in, in the formats TimelineService's strftime
+ * patterns produce ("%Y", "%Y-%m", "%Y-W%W", "%Y-%m-%d")
+ */
+export function periodOf(date: string, granularity: StatsGranularity): string {
+  switch (granularity) {
+    case "years":
+      return date.slice(0, 4);
+    case "months":
+      return date.slice(0, 7);
+    case "weeks": {
+      // %W: weeks start on Monday; days before the year's first Monday are week 00
+      const ms = dayToMs(date);
+      const year = new Date(ms).getUTCFullYear();
+      const yearDay = Math.round((ms - Date.UTC(year, 0, 1)) / DAY_MS);
+      const daysSinceMonday = (weekdayOf(date) + 6) % 7;
+      const week = Math.floor((yearDay + 7 - daysSinceMonday) / 7);
+      return `${date.slice(0, 4)}-W${String(week).padStart(2, "0")}`;
+    }
+    case "days":
+    default:
+      return date;
+  }
+}
+
+/**
+ * Every period from the one containing `from` to the one containing `to`
+ */
+export function periodsBetween(from: string, to: string, granularity: StatsGranularity): string[] {
+  const periods: string[] = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const period = periodOf(day, granularity);
+    if (periods[periods.length - 1] !== period) {
+      periods.push(period);
+    }
+  }
+  return periods;
+}
+
+// ==================== Aggregation ====================
+
+export const emptyTotals = (): ActivityTotals => ({
+  watchTime: 0,
+  playCount: 0,
+  oCount: 0,
+  imageViews: 0,
+});
+
+function addEvent(totals: ActivityTotals, event: ActivityEvent) {
+  totals.watchTime += event.watchTime;
+  totals.playCount += event.playCount;
+  totals.oCount += event.oCount;
+  totals.imageViews += event.imageViews;
+}
+
+/** Watch time to whole seconds, for responses */
+const rounded = <T extends ActivityTotals>(totals: T): T => ({
+  ...totals,
+  watchTime: Math.round(totals.watchTime),
+});
+
+/**
+ * Turn history rows into events. Rows' JSON arrays hold ISO timestamps;
+ * anything unreadable is skipped.
+ */
+export function buildEvents(watchRows: WatchRow[], imageRows: ImageRow[]): ActivityEvent[] {
+  const events: ActivityEvent[] = [];
+  const base = { watchTime: 0, playCount: 0, oCount: 0, imageViews: 0 };
+
+  for (const row of watchRows) {
+    const scene = { sceneId: row.sceneId, instanceId: row.instanceId };
+    const plays = parsePlayTimes(row.playHistory);
+    if (plays.length > 0) {
+      const perPlay = row.playDuration / plays.length;
+      for (const at of plays) {
+        events.push({ ...base, ...scene, at, watchTime: perPlay, playCount: 1 });
+      }
+    } else if (row.playDuration > 0 && row.lastPlayedAt) {
+      events.push({ ...base, ...scene, at: row.lastPlayedAt, watchTime: row.playDuration });
+    }
+    // oHistory holds timestamps in the same format as playHistory
+    for (const at of parsePlayTimes(row.oHistory)) {
+      events.push({ ...base, ...scene, at, oCount: 1 });
+    }
+  }
+
+  for (const row of imageRows) {
+    const image = { sceneId: null, instanceId: row.instanceId };
+    for (const at of parsePlayTimes(row.viewHistory)) {
+      events.push({ ...base, ...image, at, imageViews: 1 });
+    }
+    for (const at of parsePlayTimes(row.oHistory)) {
+      events.push({ ...base, ...image, at, oCount: 1 });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Current and longest runs of consecutive active days. A run that reached
+ * yesterday still counts as current until today is over.
+ */
+export function computeStreaks(activeDays: Iterable<string>, today: string): StreakStats {
+  const days = new Set(activeDays);
+  const streaks: StreakStats = { current: 0, longest: 0, longestStart: null, longestEnd: null };
+
+  let runStart: string | null = null;
+  let runLength = 0;
+  let previous: string | null = null;
+  for (const day of [...days].sort()) {
+    if (previous !== null && addDays(previous, 1) === day) {
+      runLength++;
+    } else {
+      runStart = day;
+      runLength = 1;
+    }
+    if (runLength > streaks.longest) {
+      streaks.longest = runLength;
+      streaks.longestStart = runStart;
+      streaks.longestEnd = day;
+    }
+    previous = day;
+  }
+
+  let cursor = days.has(today) ? today : addDays(today, -1);
+  while (days.has(cursor)) {
+    streaks.current++;
+    cursor = addDays(cursor, -1);
+  }
+
+  return streaks;
+}
+
+/**
+ * Trailing average over `window` values; the first few average what's there
+ */
+export function rollingAverage(values: number[], window: number): number[] {
+  let sum = 0;
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= window) sum -= values[index - window] ?? 0;
+    const count = Math.min(index + 1, window);
+    return Math.round((sum / count) * 100) / 100;
+  });
+}
+
+/** Index of the largest value, or null when all are zero */
+function peakIndex(values: number[]): number | null {
+  let best: number | null = null;
+  values.forEach((value, index) => {
+    if (value > 0 && (best === null || value > (values[best] ?? 0))) best = index;
+  });
+  return best;
+}
+
+const hasActivity = (totals: ActivityTotals) =>
+  totals.watchTime > 0 || totals.playCount > 0 || totals.oCount > 0 || totals.imageViews > 0;
+
+const sceneKey = (event: { sceneId: string | null; instanceId: string | null }) =>
+  `${event.instanceId ?? ""}:${event.sceneId}`;
+
+/** Years with any activity, newest first */
+const activeYears = (events: LocalEvent[]) =>
+  [...new Set(events.map((event) => Number(event.date.slice(0, 4))))].sort((a, b) => b - a);
+
+class UserActivityStatsService {
+  /**
+   * Activity per period. With a performer, studio or tag, only scenes
+   * featuring it count (images are left out).
+   */
+  async getTimeSeries(
+    userId: number,
+    options: TimeSeriesOptions,
+    now: Date = new Date()
+  ): Promise<GetTimeSeriesResponse> {
+    const { granularity, performerId, studioId, tagId } = options;
+    const localize = createLocalizer(options.timezone);
+    let events = await this.loadEvents(userId);
+
+    if (performerId || studioId || tagId) {
+      const scenes = await this.loadScenes(events);
+      events = events.filter((event) => {
+        const scene = event.sceneId ? this.findScene(scenes, event) : undefined;
+        return (
+          scene !== undefined &&
+          (!performerId || scene.performerIds.includes(performerId)) &&
+          (!studioId || scene.studioId === studioId) &&
+          (!tagId || scene.tagIds.includes(tagId))
+        );
+      });
+    }
+
+    const local = this.localizeAll(events, localize);
+    const to = options.to ?? localize(now).date;
+    const from = options.from ?? local.reduce((first, event) => (event.date < first ? event.date : first), to);
+
+    const buckets = new Map<string, TimeSeriesPoint>();
+    for (const period of periodsBetween(from, to, granularity).slice(-MAX_SERIES_POINTS)) {
+      buckets.set(period, { period, ...emptyTotals() });
+    }
+    for (const event of local) {
+      if (event.date < from || event.date > to) continue;
+      const bucket = buckets.get(periodOf(event.date, granularity));
+      if (bucket) addEvent(bucket, event);
+    }
+
+    return { granularity, series: [...buckets.values()].map(rounded) };
+  }
+
+  /**
+   * Calendar heatmap and hour/weekday distributions for a year (or the last
+   * 365 days), plus streaks over all history
+   */
+  async getActivity(
+    userId: number,
+    options: { year?: number; timezone?: string },
+    now: Date = new Date()
+  ): Promise<GetActivityResponse> {
+    const localize = createLocalizer(options.timezone);
+    const today = localize(now).date;
+    const local = this.localizeAll(await this.loadEvents(userId), localize);
+
+    const from = options.year ? `${options.year}-01-01` : addDays(today, -(ACTIVITY_DAYS - 1));
+    const to = options.year ? `${options.year}-12-31` : today;
+
+    const days = new Map<string, HeatmapDay>();
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+      days.set(day, { date: day, ...emptyTotals() });
+    }
+    const hourOfDay = Array.from({ length: 24 }, emptyTotals);
+    const dayOfWeek = Array.from({ length: 7 }, emptyTotals);
+
+    for (const event of local) {
+      const day = days.get(event.date);
+      if (!day) continue;
+      addEvent(day, event);
+      addEvent(hourOfDay[event.hour] as ActivityTotals, event);
+      addEvent(dayOfWeek[weekdayOf(event.date)] as ActivityTotals, event);
+    }
+
+    return {
+      from,
+      to,
+      days: [...days.values()].map(rounded),
+      hourOfDay: hourOfDay.map(rounded),
+      dayOfWeek: dayOfWeek.map(rounded),
+      streaks: computeStreaks(
+        local.filter(hasActivity).map((event) => event.date),
+        today
+      ),
+      years: activeYears(local),
+    };
+  }
+
+  /**
+   * Per-period plays or watch time for the performers, studios or tags
+   * with the highest total in the range
+   */
+  async getTrends(
+    userId: number,
+    options: TrendsOptions,
+    now: Date = new Date()
+  ): Promise<GetTrendsResponse> {
+    const { entityType, granularity, metric, limit, window } = options;
+    const localize = createLocalizer(options.timezone);
+    const events = (await this.loadEvents(userId)).filter(
+      (event) => event.sceneId !== null && event[metric] > 0
+    );
+    const local = this.localizeAll(events, localize);
+
+    const to = options.to ?? localize(now).date;
+    const from = options.from ?? local.reduce((first, event) => (event.date < first ? event.date : first), to);
+    const periods = periodsBetween(from, to, granularity).slice(-MAX_SERIES_POINTS);
+    const periodIndex = new Map(periods.map((period, index) => [period, index]));
+
+    const [scenes, excluded] = await Promise.all([
+      this.loadScenes(events),
+      this.loadExcluded(userId, entityType),
+    ]);
+
+    const values = new Map<string, number[]>();
+    for (const event of local) {
+      if (event.date < from || event.date > to) continue;
+      const index = periodIndex.get(periodOf(event.date, granularity));
+      const scene = this.findScene(scenes, event);
+      if (index === undefined || !scene) continue;
+
+      for (const entityId of this.entityIds(scene, entityType)) {
+        if (excluded.has(entityId)) continue;
+        let series = values.get(entityId);
+        if (!series) {
+          series = new Array<number>(periods.length).fill(0);
+          values.set(entityId, series);
+        }
+        series[index] = (series[index] ?? 0) + event[metric];
+      }
+    }
+
+    const top = [...values.entries()]
+      .map(([id, series]) => ({ id, series, total: series.reduce((sum, value) => sum + value, 0) }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, limit);
+    const entities = await this.loadEntities(entityType, top.map((entry) => entry.id));
+
+    return {
+      entityType,
+      granularity,
+      metric,
+      window,
+      periods,
+      series: top.map(({ id, series, total }) => {
+        const entity = entities.get(id);
+        const roundedSeries = series.map((value) => Math.round(value));
+        return {
+          id,
+          name: entity?.name ?? "Unknown",
+          imageUrl: entity?.imageUrl ?? null,
+          total: Math.round(total),
+          values: roundedSeries,
+          rolling: rollingAverage(roundedSeries, window),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Summary of one calendar year: totals, months, busiest day, favorite
+   * times, longest streak and the most played content
+   */
+  async getYearInReview(
+    userId: number,
+    options: { year: number; timezone?: string }
+  ): Promise<GetYearInReviewResponse> {
+    const { year } = options;
+    const localize = createLocalizer(options.timezone);
+    const events = await this.loadEvents(userId);
+    const local = this.localizeAll(events, localize);
+    const inYear = local.filter((event) => event.date.startsWith(`${year}-`));
+
+    const totals = emptyTotals();
+    const months = Array.from({ length: 12 }, emptyTotals);
+    const days = new Map<string, HeatmapDay>();
+    const hourPlays = new Array<number>(24).fill(0);
+    const weekdayPlays = new Array<number>(7).fill(0);
+    const scenesWatched = new Set<string>();
+
+    for (const event of inYear) {
+      addEvent(totals, event);
+      addEvent(months[Number(event.date.slice(5, 7)) - 1] as ActivityTotals, event);
+      let day = days.get(event.date);
+      if (!day) {
+        day = { date: event.date, ...emptyTotals() };
+        days.set(event.date, day);
+      }
+      addEvent(day, event);
+      hourPlays[event.hour] = (hourPlays[event.hour] ?? 0) + event.playCount;
+      const weekday = weekdayOf(event.date);
+      weekdayPlays[weekday] = (weekdayPlays[weekday] ?? 0) + event.playCount;
+      if (event.sceneId && (event.playCount > 0 || event.watchTime > 0)) {
+        scenesWatched.add(sceneKey(event));
+      }
+    }
+
+    // A scene is new this year when its first play or watch time falls in it
+    const firstWatched = new Map<string, string>();
+    for (const event of local) {
+      if (!event.sceneId || (event.playCount === 0 && event.watchTime === 0)) continue;
+      const key = sceneKey(event);
+      const first = firstWatched.get(key);
+      if (!first || event.date < first) firstWatched.set(key, event.date);
+    }
+    const newScenes = [...scenesWatched].filter((key) =>
+      firstWatched.get(key)?.startsWith(`${year}-`)
+    ).length;
+
+    const busiestDay = [...days.values()].reduce<HeatmapDay | null>(
+      (best, day) =>
+        day.watchTime > 0 &&
+        (!best ||
+          day.watchTime > best.watchTime ||
+          (day.watchTime === best.watchTime && day.playCount > best.playCount))
+          ? day
+          : best,
+      null
+    );
+    const streak = computeStreaks(
+      inYear.filter(hasActivity).map((event) => event.date),
+      `${year}-12-31`
+    );
+
+    const watched = inYear.filter(
+      (event) => event.sceneId !== null && (event.playCount > 0 || event.watchTime > 0)
+    );
+    const [topScenes, topPerformers, topStudios, topTags] = await this.getYearTopLists(userId, watched);
+
+    return {
+      year,
+      totals: {
+        ...rounded(totals),
+        scenesWatched: scenesWatched.size,
+        newScenes,
+        activeDays: [...days.values()].filter(hasActivity).length,
+      },
+      months: months.map(rounded),
+      busiestDay: busiestDay ? rounded(busiestDay) : null,
+      favoriteHour: peakIndex(hourPlays),
+      favoriteWeekday: peakIndex(weekdayPlays),
+      longestStreak: { days: streak.longest, start: streak.longestStart, end: streak.longestEnd },
+      topScenes,
+      topPerformers,
+      topStudios,
+      topTags,
+      years: activeYears(local),
+    };
+  }
+
+  // ==================== Private Methods ====================
+
+  /**
+   * The user's activity events, leaving out excluded scenes and images
+   */
+  private async loadEvents(userId: number): Promise<ActivityEvent[]> {
+    const [watchRows, imageRows, excluded] = await Promise.all([
+      prisma.watchHistory.findMany({
+        where: { userId },
+        select: {
+          sceneId: true,
+          instanceId: true,
+          playDuration: true,
+          lastPlayedAt: true,
+          playHistory: true,
+          oHistory: true,
+        },
+      }),
+      prisma.imageViewHistory.findMany({
+        where: { userId },
+        select: { imageId: true, instanceId: true, viewHistory: true, oHistory: true },
+      }),
+      prisma.userExcludedEntity.findMany({
+        where: { userId, entityType: { in: ["scene", "image"] } },
+        select: { entityType: true, entityId: true },
+      }),
+    ]);
+
+    const hidden = new Set(excluded.map((entry) => `${entry.entityType}:${entry.entityId}`));
+    return buildEvents(
+      watchRows.filter((row) => !hidden.has(`scene:${row.sceneId}`)),
+      imageRows.filter((row) => !hidden.has(`image:${row.imageId}`))
+    );
+  }
+
+  private localizeAll(
+    events: ActivityEvent[],
+    localize: (at: Date) => { date: string; hour: number }
+  ): LocalEvent[] {
+    return events.map((event) => ({ ...event, ...localize(event.at) }));
+  }
+
+  /** IDs of the user's excluded entities of one type */
+  private async loadExcluded(userId: number, entityType: string): Promise<Set<string>> {
+    const rows = await prisma.userExcludedEntity.findMany({
+      where: { userId, entityType },
+      select: { entityId: true },
+    });
+    return new Set(rows.map((row) => row.entityId));
+  }
+
+  /**
+   * Studio, performers and tags of the events' scenes, keyed by
+   * instance and scene ID
+   */
+  private async loadScenes(events: ActivityEvent[]): Promise<Map<string, SceneInfo>> {
+    const ids = [...new Set(events.flatMap((event) => (event.sceneId ? [event.sceneId] : [])))];
+    if (ids.length === 0) return new Map();
+
+    const scenes = await prisma.stashScene.findMany({
+      where: { id: { in: ids } },
+      select: {
+        id: true,
+        stashInstanceId: true,
+        title: true,
+        filePath: true,
+        pathScreenshot: true,
+        studioId: true,
+        performers: { select: { performerId: true } },
+        tags: { select: { tagId: true } },
+      },
+    });
+
+    return new Map(
+      scenes.map((scene) => [
+        `${scene.stashInstanceId}:${scene.id}`,
+        {
+          id: scene.id,
+          instanceId: scene.stashInstanceId,
+          name: scene.title || scene.filePath?.split(/[\\/]/).pop() || `Scene ${scene.id}`,
+          imageUrl: transformUrl(scene.pathScreenshot, scene.stashInstanceId),
+          studioId: scene.studioId,
+          performerIds: scene.performers.map((p) => p.performerId),
+          tagIds: scene.tags.map((t) => t.tagId),
+        },
+      ])
+    );
+  }
+
+  /**
+   * The event's scene; legacy history without an instance matches the
+   * scene on any instance
+   */
+  private findScene(scenes: Map<string, SceneInfo>, event: ActivityEvent): SceneInfo | undefined {
+    if (event.instanceId) {
+      return scenes.get(sceneKey(event));
+    }
+    for (const scene of scenes.values()) {
+      if (scene.id === event.sceneId) return scene;
+    }
+    return undefined;
+  }
+
+  private entityIds(scene: SceneInfo, entityType: TrendEntityType): string[] {
+    switch (entityType) {
+      case "performer":
+        return scene.performerIds;
+      case "studio":
+        return scene.studioId ? [scene.studioId] : [];
+      case "tag":
+        return scene.tagIds;
+    }
+  }
+
+  /** Names and images of performers, studios or tags */
+  private async loadEntities(
+    entityType: TrendEntityType,
+    ids: string[]
+  ): Promise<Map<string, { name: string; imageUrl: string | null }>> {
+    if (ids.length === 0) return new Map();
+    const select = { id: true, name: true, imagePath: true, stashInstanceId: true };
+    const where = { id: { in: ids } };
+    const rows =
+      entityType === "performer"
+        ? await prisma.stashPerformer.findMany({ where, select })
+        : entityType === "studio"
+          ? await prisma.stashStudio.findMany({ where, select })
+          : await prisma.stashTag.findMany({ where, select });
+
+    return new Map(
+      rows.map((row) => [
+        row.id,
+        { name: row.name ?? "Unknown", imageUrl: transformUrl(row.imagePath, row.stashInstanceId) },
+      ])
+    );
+  }
+
+  /**
+   * Most played scenes, performers, studios and tags among a year's watch
+   * events (by plays, then watch time)
+   */
+  private async getYearTopLists(
+    userId: number,
+    watched: LocalEvent[]
+  ): Promise<[YearInReviewItem[], YearInReviewItem[], YearInReviewItem[], YearInReviewItem[]]> {
+    if (watched.length === 0) return [[], [], [], []];
+
+    const [scenes, excludedPerformers, excludedStudios, excludedTags] = await Promise.all([
+      this.loadScenes(watched),
+      this.loadExcluded(userId, "performer"),
+      this.loadExcluded(userId, "studio"),
+      this.loadExcluded(userId, "tag"),
+    ]);
+
+    type Tally = { playCount: number; watchTime: number };
+    const tally = (map: Map<string, Tally>, id: string, event: LocalEvent) => {
+      const entry = map.get(id) ?? { playCount: 0, watchTime: 0 };
+      entry.playCount += event.playCount;
+      entry.watchTime += event.watchTime;
+      map.set(id, entry);
+    };
+
+    const sceneTally = new Map<string, Tally>();
+    const sceneByKey = new Map<string, SceneInfo>();
+    const byType: Record<TrendEntityType, Map<string, Tally>> = {
+      performer: new Map(),
+      studio: new Map(),
+      tag: new Map(),
+    };
+    const excludedByType: Record<TrendEntityType, Set<string>> = {
+      performer: excludedPerformers,
+      studio: excludedStudios,
+      tag: excludedTags,
+    };
+
+    for (const event of watched) {
+      const scene = this.findScene(scenes, event);
+      if (!scene) continue;
+      const key = `${scene.instanceId}:${scene.id}`;
+      sceneByKey.set(key, scene);
+      tally(sceneTally, key, event);
+      for (const entityType of ["performer", "studio", "tag"] as const) {
+        for (const id of this.entityIds(scene, entityType)) {
+          if (!excludedByType[entityType].has(id)) tally(byType[entityType], id, event);
+        }
+      }
+    }
+
+    const topOf = (map: Map<string, Tally>) =>
+      [...map.entries()]
+        .sort(([, a], [, b]) => b.playCount - a.playCount || b.watchTime - a.watchTime)
+        .slice(0, YEAR_TOP_LIMIT);
+
+    const entityList = async (entityType: TrendEntityType): Promise<YearInReviewItem[]> => {
+      const top = topOf(byType[entityType]);
+      const entities = await this.loadEntities(entityType, top.map(([id]) => id));
+      return top.map(([id, { playCount, watchTime }]) => ({
+        id,
+        name: entities.get(id)?.name ?? "Unknown",
+        imageUrl: entities.get(id)?.imageUrl ?? null,
+        playCount,
+        watchTime: Math.round(watchTime),
+      }));
+    };
+
+    const topScenes = topOf(sceneTally).map(([key, { playCount, watchTime }]) => {
+      const scene = sceneByKey.get(key) as SceneInfo;
+      return {
+        id: scene.id,
+        name: scene.name,
+        imageUrl: scene.imageUrl,
+        playCount,
+        watchTime: Math.round(watchTime),
+      };
+    });
+
+    return [
+      topScenes,
+      await entityList("performer"),
+      await entityList("studio"),
+      await entityList("tag"),
+    ];
+  }
+}
+
+export const userActivityStatsService = new UserActivityStatsService();
+export default userActivityStatsService;
@@ -0,0 +1,1522 @@
+/**
+ * UserDataTransferService
+ *
+ * Exports one user's activity (ratings, watch and image view history,
+ * playlists, carousels, custom themes, hidden items and preferences) as a
+ * versioned JSON archive, and imports such an archive into an account on
+ * this server or another one.
+ *
+ * Stash IDs only mean something on the instance they came from, so every
+ * entity in the archive carries its instance and, where Stash has them,
+ * the scene's phash or the performer/studio/tag's stash IDs. Imports use
+ * the same ID when the instance is present and fall back to those hashes
+ * on any instance the user can see.
+ */
+import type { Prisma } from "@prisma/client";
+import { migrateFilterRules } from "@peek/shared-types/filterRules.js";
+import { NotFoundError, ValidationError } from "../middleware/errorHandler.js";
+import prisma from "../prisma/singleton.js";
+import type {
+  UserDataArchive,
+  UserDataCarousel,
+  UserDataCustomTheme,
+  UserDataEntityRef,
+  UserDataEntityType,
+  UserDataHiddenEntity,
+  UserDataImageView,
+  UserDataImportConflict,
+  UserDataImportMode,
+  UserDataImportResponse,
+  UserDataPlaylist,
+  UserDataPreferences,
+  UserDataRating,
+  UserDataSection,
+  UserDataSectionReport,
+  UserDataWatchHistory,
+} from "../types/api/index.js";
+import { logger } from "../utils/logger.js";
+import { exclusionComputationService } from "./ExclusionComputationService.js";
+import { rankingComputeService } from "./RankingComputeService.js";
+import { getUserAllowedInstanceIds } from "./UserInstanceService.js";
+import { userStatsService } from "./UserStatsService.js";
+
+export const USER_DATA_FORMAT = "peek-user-data";
+export const USER_DATA_VERSION = 1;
+
+// Same cap the carousel controller enforces
+const MAX_CAROUSELS_PER_USER = 15;
+const MAX_REPORTED_CONFLICTS = 100;
+// Keeps raw IN (...) lists under SQLite's bound parameter limit
+const SQL_BATCH_SIZE = 500;
+const IMPORT_TRANSACTION_TIMEOUT_MS = 120 * 1000;
+
+type Db = Prisma.TransactionClient;
+
+const ENTITY_TYPES: UserDataEntityType[] = [
+  "scene",
+  "performer",
+  "studio",
+  "tag",
+  "group",
+  "gallery",
+  "image",
+];
+
+const ENTITY_TABLES: Record<UserDataEntityType, string> = {
+  scene: "StashScene",
+  performer: "StashPerformer",
+  studio: "StashStudio",
+  tag: "StashTag",
+  group: "StashGroup",
+  gallery: "StashGallery",
+  image: "StashImage",
+};
+
+// Entity types whose rows carry StashDB-style stash IDs
+const STASH_ID_TYPES = new Set<UserDataEntityType>(["performer", "studio", "tag"]);
+
+type PreferenceKind = "string" | "boolean" | "number" | "json";
+
+/**
+ * Preferences carried in the archive, with the column defaults from the
+ * schema. An account still on the default is treated as not having chosen,
+ * so a merge fills it in instead of reporting a conflict.
+ */
+const PREFERENCE_FIELDS: Record<
+  keyof UserDataPreferences,
+  { kind: PreferenceKind; default: unknown }
+> = {
+  preferredQuality: { kind: "string", default: "auto" },
+  preferredPlaybackMode: { kind: "string", default: "auto" },
+  preferredPreviewQuality: { kind: "string", default: "sprite" },
+  wallPlayback: { kind: "string", default: "autoplay" },
+  enableCast: { kind: "boolean", default: true },
+  theme: { kind: "string", default: "dark" },
+  carouselPreferences: { kind: "json", default: null },
+  navPreferences: { kind: "json", default: null },
+  filterPresets: { kind: "json", default: null },
+  defaultFilterPresets: { kind: "json", default: null },
+  unitPreference: { kind: "string", default: "metric" },
+  tableColumnDefaults: { kind: "json", default: null },
+  cardDisplaySettings: { kind: "json", default: null },
+  landingPagePreference: { kind: "json", default: { pages: ["home"], randomize: false } },
+  lightboxDoubleTapAction: { kind: "string", default: "favorite" },
+  minimumPlayPercent: { kind: "number", default: 20 },
+  hideConfirmationDisabled: { kind: "boolean", default: false },
+};
+
+const PREFERENCE_KEYS = Object.keys(PREFERENCE_FIELDS) as Array<keyof UserDataPreferences>;
+
+const PREFERENCE_SELECT = Object.fromEntries(PREFERENCE_KEYS.map((key) => [key, true])) as Record<
+  keyof UserDataPreferences,
+  true
+>;
+
+const SECTIONS: UserDataSection[] = [
+  "preferences",
+  "ratings",
+  "watchHistory",
+  "imageViewHistory",
+  "playlists",
+  "carousels",
+  "customThemes",
+  "hiddenEntities",
+];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isDateString = (value: unknown): value is string =>
+  typeof value === "string" && !Number.isNaN(Date.parse(value));
+
+const isCount = (value: unknown): value is number =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+const sameValue = (a: unknown, b: unknown) => JSON.stringify(a) === JSON.stringify(b);
+
+const toIso = (date: Date | null) => (date ? date.toISOString() : null);
+
+const entityKey = (instanceId: string | null, id: string) => `${instanceId ?? ""}\0${id}`;
+
+function parseJsonArray(value: unknown): unknown[] {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") {
+    try {
+      const parsed: unknown = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+}
+
+function parseStashIds(value: string | null): Array<{ endpoint: string; stash_id: string }> {
+  return parseJsonArray(value).filter(
+    (entry): entry is { endpoint: string; stash_id: string } =>
+      isRecord(entry) && typeof entry.endpoint === "string" && typeof entry.stash_id === "string"
+  );
+}
+
+/**
+ * Combine two history arrays (timestamps or play sessions), dropping
+ * duplicates and keeping them in time order
+ */
+export function unionHistory(a: unknown[], b: unknown[]): unknown[] {
+  const seen = new Set<string>();
+  const merged = [...a, ...b].filter((entry) => {
+    const key = JSON.stringify(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  const time = (entry: unknown) => {
+    if (typeof entry === "string") return entry;
+    if (isRecord(entry)) {
+      const value = entry.startTime ?? entry.time;
+      return typeof value === "string" ? value : "";
+    }
+    return "";
+  };
+  return merged.sort((x, y) => time(x).localeCompare(time(y)));
+}
+
+function laterDate(a: string | null, b: string | null): string | null {
+  if (!a) return b;
+  if (!b) return a;
+  return Date.parse(a) >= Date.parse(b) ? a : b;
+}
+
+async function inBatches<T>(values: string[], run: (batch: string[]) => Promise<T[]>) {
+  const results: T[] = [];
+  for (let i = 0; i < values.length; i += SQL_BATCH_SIZE) {
+    results.push(...(await run(values.slice(i, i + SQL_BATCH_SIZE))));
+  }
+  return results;
+}
+
+const placeholders = (count: number) => new Array<string>(count).fill("?").join(", ");
+
+const emptyReport = (): UserDataSectionReport => ({
+  created: 0,
+  updated: 0,
+  unchanged: 0,
+  unmatched: 0,
+  skipped: 0,
+});
+
+// ============================================================================
+// RATING TABLES
+// ============================================================================
+
+interface RatingRow {
+  id: number;
+  instanceId: string | null;
+  entityId: string;
+  rating: number | null;
+  favorite: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+interface RatingValues {
+  rating: number | null;
+  favorite: boolean;
+}
+
+interface RatingStore {
+  list(db: Db, userId: number): Promise<RatingRow[]>;
+  create(
+    db: Db,
+    userId: number,
+    instanceId: string,
+    entityId: string,
+    values: RatingValues & { createdAt: Date }
+  ): Promise<number>;
+  update(db: Db, id: number, values: RatingValues): Promise<void>;
+}
+
+// The seven rating tables only differ in the name of the entity column
+const RATING_STORES: Record<UserDataEntityType, RatingStore> = {
+  scene: {
+    list: async (db, userId) =>
+      (await db.sceneRating.findMany({ where: { userId } })).map((r) => ({ ...r, entityId: r.sceneId })),
+    create: async (db, userId, instanceId, sceneId, values) =>
+      (await db.sceneRating.create({ data: { userId, instanceId, sceneId, ...values } })).id,
+    update: async (db, id, values) => {
+      await db.sceneRating.update({ where: { id }, data: values });
+    },
+  },
+  performer: {
+    list: async (db, userId) =>
+      (await db.performerRating.findMany({ where: { userId } })).map((r) => ({ ...r, entityId: r.performerId })),
+    create: async (db, userId, instanceId, performerId, values) =>
+      (await db.performerRating.create({ data: { userId, instanceId, performerId, ...values } })).id,
+    update: async (db, id, values) => {
+      await db.performerRating.update({ where: { id }, data: values });
+    },
+  },
+  studio: {
+    list: async (db, userId) =>
+      (await db.studioRating.findMany({ where: { userId } })).map((r) => ({ ...r, entityId: r.studioId })),
+    create: async (db, userId, instanceId, studioId, values) =>
+      (await db.studioRating.create({ data: { userId, instanceId, studioId, ...values } })).id,
+    update: async (db, id, values) => {
+      await db.studioRating.update({ where: { id }, data: values });
+    },
+  },
+  tag: {
+    list: async (db, userId) =>
+      (await db.tagRating.findMany({ where: { userId } })).map((r) => ({ ...r, entityId: r.tagId })),
+    create: async (db, userId, instanceId, tagId, values) =>
+      (await db.tagRating.create({ data: { userId, instanceId, tagId, ...values } })).id,
+    update: async (db, id, values) => {
+      await db.tagRating.update({ where: { id }, data: values });
+    },
+  },
+  group: {
+    list: async (db, userId) =>
+      (await db.groupRating.findMany({ where: { userId } })).map((r) => ({ ...r, entityId: r.groupId })),
+    create: async (db, userId, instanceId, groupId, values) =>
+      (await db.groupRating.create({ data: { userId, instanceId, groupId, ...values } })).id,
+    update: async (db, id, values) => {
+      await db.groupRating.update({ where: { id }, data: values });
+    },
+  },
+  gallery: {
+    list: async (db, userId) =>
+      (await db.galleryRating.findMany({ where: { userId } })).map((r) => ({ ...r, entityId: r.galleryId })),
+    create: async (db, userId, instanceId, galleryId, values) =>
+      (await db.galleryRating.create({ data: { userId, instanceId, galleryId, ...values } })).id,
+    update: async (db, id, values) => {
+      await db.galleryRating.update({ where: { id }, data: values });
+    },
+  },
+  image: {
+    list: async (db, userId) =>
+      (await db.imageRating.findMany({ where: { userId } })).map((r) => ({ ...r, entityId: r.imageId })),
+    create: async (db, userId, instanceId, imageId, values) =>
+      (await db.imageRating.create({ data: { userId, instanceId, imageId, ...values } })).id,
+    update: async (db, id, values) => {
+      await db.imageRating.update({ where: { id }, data: values });
+    },
+  },
+};
+
+// ============================================================================
+// ARCHIVE VALIDATION
+// ============================================================================
+
+function isEntityRef(value: unknown): value is UserDataEntityRef {
+  return (
+    isRecord(value) &&
+    typeof value.id === "string" &&
+    value.id !== "" &&
+    (value.instanceId === null || typeof value.instanceId === "string") &&
+    (value.phash === undefined || value.phash === null || typeof value.phash === "string") &&
+    (value.stashIds === undefined || Array.isArray(value.stashIds))
+  );
+}
+
+const isEntityType = (value: unknown): value is UserDataEntityType =>
+  typeof value === "string" && (ENTITY_TYPES as string[]).includes(value);
+
+function checkEntries<T>(
+  archive: Record<string, unknown>,
+  section: UserDataSection,
+  isValid: (entry: Record<string, unknown>) => boolean
+): T[] {
+  const entries = archive[section];
+  if (!Array.isArray(entries)) {
+    throw new ValidationError(`Archive is missing its ${section} list`);
+  }
+  entries.forEach((entry, index) => {
+    if (!isRecord(entry) || !isValid(entry)) {
+      throw new ValidationError(`Invalid ${section} entry at position ${index + 1}`);
+    }
+  });
+  return entries as T[];
+}
+
+/**
+ * Check an uploaded archive's format, version and record shapes, so the
+ * import itself can trust them
+ */
+export function parseUserDataArchive(input: unknown): UserDataArchive {
+  if (!isRecord(input) || input.format !== USER_DATA_FORMAT) {
+    throw new ValidationError("This file is not a Peek user data export");
+  }
+  if (typeof input.version !== "number" || !Number.isInteger(input.version) || input.version < 1) {
+    throw new ValidationError("The export has an invalid version");
+  }
+  if (input.version > USER_DATA_VERSION) {
+    throw new ValidationError(
+      "This export was made by a newer version of Peek. Update Peek to import it."
+    );
+  }
+
+  const preferences = input.preferences ?? {};
+  if (!isRecord(preferences)) {
+    throw new ValidationError("Invalid preferences");
+  }
+  for (const key of PREFERENCE_KEYS) {
+    const value = preferences[key];
+    if (value === undefined || value === null) continue;
+    const kind = PREFERENCE_FIELDS[key].kind;
+    if (kind !== "json" && typeof value !== kind) {
+      throw new ValidationError(`Invalid preference: ${key}`);
+    }
+  }
+  if (
+    preferences.minimumPlayPercent !== undefined &&
+    !(
+      Number.isInteger(preferences.minimumPlayPercent) &&
+      (preferences.minimumPlayPercent as number) >= 0 &&
+      (preferences.minimumPlayPercent as number) <= 100
+    )
+  ) {
+    throw new ValidationError("Invalid preference: minimumPlayPercent");
+  }
+
+  const isRating = (value: unknown) =>
+    value === null ||
+    (typeof value === "number" && Number.isInteger(value) && value >= 0 && value <= 100);
+
+  return {
+    format: USER_DATA_FORMAT,
+    version: input.version,
+    exportedAt: typeof input.exportedAt === "string" ? input.exportedAt : "",
+    username: typeof input.username === "string" ? input.username : "",
+    instances: Array.isArray(input.instances)
+      ? (input.instances as UserDataArchive["instances"])
+      : [],
+    preferences: preferences as UserDataPreferences,
+    ratings: checkEntries<UserDataRating>(
+      input,
+      "ratings",
+      (entry) =>
+        isEntityType(entry.entityType) &&
+        isEntityRef(entry.entity) &&
+        isRating(entry.rating) &&
+        typeof entry.favorite === "boolean"
+    ),
+    watchHistory: checkEntries<UserDataWatchHistory>(
+      input,
+      "watchHistory",
+      (entry) =>
+        isEntityRef(entry.scene) &&
+        isCount(entry.playCount) &&
+        isCount(entry.playDuration) &&
+        (entry.resumeTime === null || isCount(entry.resumeTime)) &&
+        (entry.lastPlayedAt === null || isDateString(entry.lastPlayedAt)) &&
+        isCount(entry.oCount) &&
+        Array.isArray(entry.oHistory) &&
+        Array.isArray(entry.playHistory)
+    ),
+    imageViewHistory: checkEntries<UserDataImageView>(
+      input,
+      "imageViewHistory",
+      (entry) =>
+        isEntityRef(entry.image) &&
+        isCount(entry.viewCount) &&
+        Array.isArray(entry.viewHistory) &&
+        isCount(entry.oCount) &&
+        Array.isArray(entry.oHistory) &&
+        (entry.lastViewedAt === null || isDateString(entry.lastViewedAt))
+    ),
+    playlists: checkEntries<UserDataPlaylist>(
+      input,
+      "playlists",
+      (entry) =>
+        typeof entry.name === "string" &&
+        entry.name.trim() !== "" &&
+        (entry.type === "static" || entry.type === "smart") &&
+        ["none", "all", "one"].includes(entry.repeat as string) &&
+        typeof entry.isPublic === "boolean" &&
+        typeof entry.shuffle === "boolean" &&
+        Array.isArray(entry.items) &&
+        entry.items.every(isEntityRef)
+    ),
+    carousels: checkEntries<UserDataCarousel>(
+      input,
+      "carousels",
+      (entry) =>
+        typeof entry.id === "string" &&
+        typeof entry.title === "string" &&
+        entry.title.trim() !== "" &&
+        typeof entry.icon === "string" &&
+        isRecord(entry.rules) &&
+        typeof entry.sort === "string" &&
+        typeof entry.direction === "string"
+    ),
+    customThemes: checkEntries<UserDataCustomTheme>(
+      input,
+      "customThemes",
+      (entry) =>
+        typeof entry.id === "number" &&
+        typeof entry.name === "string" &&
+        entry.name.trim() !== "" &&
+        isRecord(entry.config)
+    ),
+    hiddenEntities: checkEntries<UserDataHiddenEntity>(
+      input,
+      "hiddenEntities",
+      (entry) =>
+        isEntityType(entry.entityType) && isEntityRef(entry.entity) && isDateString(entry.hiddenAt)
+    ),
+  };
+}
+
+// ============================================================================
+// ENTITY MATCHING
+// ============================================================================
+
+interface EntityRow {
+  id: string;
+  stashInstanceId: string;
+  phash?: string | null;
+  stashIds?: string | null;
+}
+
+export interface EntityMatch {
+  instanceId: string;
+  id: string;
+}
+
+/**
+ * Rows of one entity table by ID. A null instance (data from before
+ * multi-instance support) matches the ID on any instance.
+ */
+async function selectEntities(
+  type: UserDataEntityType,
+  instanceId: string | null,
+  ids: string[]
+): Promise<EntityRow[]> {
+  const columns = [
+    "id",
+    "stashInstanceId",
+    ...(type === "scene" ? ["phash"] : []),
+    ...(STASH_ID_TYPES.has(type) ? ["stashIds"] : []),
+  ].join(", ");
+
+  return inBatches(ids, (batch) => {
+    const instanceClause = instanceId === null ? "" : "AND stashInstanceId = ?";
+    return prisma.$queryRawUnsafe<EntityRow[]>(
+      `SELECT ${columns} FROM ${ENTITY_TABLES[type]}
+       WHERE deletedAt IS NULL ${instanceClause} AND id IN (${placeholders(batch.length)})`,
+      ...(instanceId === null ? [] : [instanceId]),
+      ...batch
+    );
+  });
+}
+
+/**
+ * Maps archive references to entities on this server that the importing
+ * user can see: same instance and ID first, then scene phash, then
+ * performer/studio/tag stash IDs.
+ */
+export class EntityMatcher {
+  private matches = new Map<string, EntityMatch | null>();
+
+  constructor(private allowedInstanceIds: string[]) {}
+
+  private key(type: UserDataEntityType, ref: UserDataEntityRef) {
+    return `${type}\0${entityKey(ref.instanceId, ref.id)}`;
+  }
+
+  resolve(type: UserDataEntityType, ref: UserDataEntityRef): EntityMatch | null {
+    return this.matches.get(this.key(type, ref)) ?? null;
+  }
+
+  async prepare(type: UserDataEntityType, refs: UserDataEntityRef[]): Promise<void> {
+    const pending = new Map<string, UserDataEntityRef>();
+    for (const ref of refs) {
+      const key = this.key(type, ref);
+      if (!this.matches.has(key)) pending.set(key, ref);
+    }
+    if (pending.size === 0) return;
+
+    const settle = (ref: UserDataEntityRef, match: EntityMatch) => {
+      const key = this.key(type, ref);
+      if (pending.has(key)) {
+        this.matches.set(key, match);
+        pending.delete(key);
+      }
+    };
+
+    // Same ID on the same instance, or any visible instance for legacy refs
+    for (const instanceId of this.allowedInstanceIds) {
+      const candidates = [...pending.values()].filter(
+        (ref) => (ref.instanceId ?? instanceId) === instanceId
+      );
+      if (candidates.length === 0) continue;
+
+      const rows = await selectEntities(type, instanceId, candidates.map((ref) => ref.id));
+      const found = new Set(rows.map((row) => row.id));
+      for (const ref of candidates) {
+        if (found.has(ref.id)) settle(ref, { instanceId, id: ref.id });
+      }
+    }
+
+    if (pending.size > 0 && type === "scene") {
+      await this.matchByPhash([...pending.values()], settle);
+    }
+    if (pending.size > 0 && STASH_ID_TYPES.has(type)) {
+      await this.matchByStashIds(type, [...pending.values()], settle);
+    }
+
+    for (const key of pending.keys()) {
+      this.matches.set(key, null);
+    }
+  }
+
+  private async matchByPhash(
+    refs: UserDataEntityRef[],
+    settle: (ref: UserDataEntityRef, match: EntityMatch) => void
+  ) {
+    const phashes = [...new Set(refs.map((ref) => ref.phash).filter((p): p is string => !!p))];
+    if (phashes.length === 0 || this.allowedInstanceIds.length === 0) return;
+
+    const rows = await inBatches(phashes, (batch) =>
+      prisma.$queryRawUnsafe<EntityRow[]>(
+        `SELECT id, stashInstanceId, phash FROM StashScene
+         WHERE deletedAt IS NULL
+           AND stashInstanceId IN (${placeholders(this.allowedInstanceIds.length)})
+           AND phash IN (${placeholders(batch.length)})`,
+        ...this.allowedInstanceIds,
+        ...batch
+      )
+    );
+
+    const byPhash = new Map<string, EntityMatch>();
+    for (const row of this.byInstancePriority(rows)) {
+      if (row.phash && !byPhash.has(row.phash)) {
+        byPhash.set(row.phash, { instanceId: row.stashInstanceId, id: row.id });
+      }
+    }
+    for (const ref of refs) {
+      const match = ref.phash ? byPhash.get(ref.phash) : undefined;
+      if (match) settle(ref, match);
+    }
+  }
+
+  private async matchByStashIds(
+    type: UserDataEntityType,
+    refs: UserDataEntityRef[],
+    settle: (ref: UserDataEntityRef, match: EntityMatch) => void
+  ) {
+    if (!refs.some((ref) => ref.stashIds?.length) || this.allowedInstanceIds.length === 0) return;
+
+    const rows = await prisma.$queryRawUnsafe<EntityRow[]>(
+      `SELECT id, stashInstanceId, stashIds FROM ${ENTITY_TABLES[type]}
+       WHERE deletedAt IS NULL AND stashIds IS NOT NULL
+         AND stashInstanceId IN (${placeholders(this.allowedInstanceIds.length)})`,
+      ...this.allowedInstanceIds
+    );
+
+    const byStashId = new Map<string, EntityMatch>();
+    for (const row of this.byInstancePriority(rows)) {
+      for (const { endpoint, stash_id } of parseStashIds(row.stashIds ?? null)) {
+        const key = `${endpoint}\0${stash_id}`;
+        if (!byStashId.has(key)) {
+          byStashId.set(key, { instanceId: row.stashInstanceId, id: row.id });
+        }
+      }
+    }
+    for (const ref of refs) {
+      const match = ref.stashIds
+        ?.map(({ endpoint, stash_id }) => byStashId.get(`${endpoint}\0${stash_id}`))
+        .find(Boolean);
+      if (match) settle(ref, match);
+    }
+  }
+
+  // Prefer the user's higher-priority instances when an entity is on several
+  private byInstancePriority(rows: EntityRow[]) {
+    const rank = (row: EntityRow) => this.allowedInstanceIds.indexOf(row.stashInstanceId);
+    return [...rows].sort((a, b) => rank(a) - rank(b));
+  }
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+type ExistingPlaylist = Prisma.PlaylistGetPayload<{ include: { items: true } }>;
+
+class ImportRun {
+  sections = Object.fromEntries(
+    SECTIONS.map((section) => [section, emptyReport()])
+  ) as Record<UserDataSection, UserDataSectionReport>;
+  conflicts: UserDataImportConflict[] = [];
+  conflictCount = 0;
+  carouselIds = new Map<string, string>();
+  themeIds = new Map<number, number>();
+
+  constructor(
+    readonly db: Db,
+    readonly userId: number,
+    readonly mode: UserDataImportMode,
+    readonly dryRun: boolean,
+    readonly matcher: EntityMatcher
+  ) {}
+
+  get write() {
+    return !this.dryRun;
+  }
+
+  conflict(section: UserDataSection, label: string, existing: unknown, incoming: unknown) {
+    this.conflictCount++;
+    if (this.conflicts.length < MAX_REPORTED_CONFLICTS) {
+      this.conflicts.push({ section, label, existing, incoming });
+    }
+  }
+
+  changed(section: UserDataSection) {
+    const report = this.sections[section];
+    return report.created + report.updated > 0;
+  }
+}
+
+class UserDataTransferService {
+  // ==========================================================================
+  // EXPORT
+  // ==========================================================================
+
+  async exportUser(userId: number): Promise<UserDataArchive> {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { username: true, ...PREFERENCE_SELECT },
+    });
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    const ratings: Array<{ entityType: UserDataEntityType; row: RatingRow }> = [];
+    for (const entityType of ENTITY_TYPES) {
+      const rows = await RATING_STORES[entityType].list(prisma, userId);
+      ratings.push(...rows.map((row) => ({ entityType, row })));
+    }
+    const watchHistory = await prisma.watchHistory.findMany({
+      where: { userId },
+      orderBy: { id: "asc" },
+    });
+    const imageViews = await prisma.imageViewHistory.findMany({
+      where: { userId },
+      orderBy: { id: "asc" },
+    });
+    const playlists = await prisma.playlist.findMany({
+      where: { userId },
+      include: { items: { orderBy: { position: "asc" } } },
+      orderBy: { id: "asc" },
+    });
+    const carousels = await prisma.userCarousel.findMany({
+      where: { userId },
+      orderBy: { createdAt: "asc" },
+    });
+    const themes = await prisma.customTheme.findMany({ where: { userId }, orderBy: { id: "asc" } });
+    const hidden = await prisma.userHiddenEntity.findMany({
+      where: { userId },
+      orderBy: { id: "asc" },
+    });
+
+    // Look up the phash / stash IDs that let another server find each entity
+    const wanted = new Map<UserDataEntityType, Array<{ instanceId: string | null; id: string }>>();
+    const want = (type: UserDataEntityType, instanceId: string | null, id: string) => {
+      const list = wanted.get(type) ?? [];
+      list.push({ instanceId: instanceId || null, id });
+      wanted.set(type, list);
+    };
+    ratings.forEach(({ entityType, row }) => want(entityType, row.instanceId, row.entityId));
+    watchHistory.forEach((row) => want("scene", row.instanceId, row.sceneId));
+    imageViews.forEach((row) => want("image", row.instanceId, row.imageId));
+    playlists.forEach((p) => p.items.forEach((item) => want("scene", item.instanceId, item.sceneId)));
+    hidden.forEach((row) => want(row.entityType as UserDataEntityType, row.instanceId, row.entityId));
+
+    const details = new Map<string, EntityRow>();
+    for (const [type, refs] of wanted) {
+      if (type !== "scene" && !STASH_ID_TYPES.has(type)) continue;
+      const byInstance = new Map<string | null, Set<string>>();
+      for (const ref of refs) {
+        const ids = byInstance.get(ref.instanceId) ?? new Set<string>();
+        ids.add(ref.id);
+        byInstance.set(ref.instanceId, ids);
+      }
+      for (const [instanceId, ids] of byInstance) {
+        for (const row of await selectEntities(type, instanceId, [...ids])) {
+          const key = `${type}\0${entityKey(instanceId, row.id)}`;
+          if (!details.has(key)) details.set(key, row);
+        }
+      }
+    }
+
+    const ref = (type: UserDataEntityType, instanceId: string | null, id: string): UserDataEntityRef => {
+      const normalized = instanceId || null;
+      const row = details.get(`${type}\0${entityKey(normalized, id)}`);
+      const result: UserDataEntityRef = { instanceId: normalized, id };
+      if (type === "scene") result.phash = row?.phash ?? null;
+      if (STASH_ID_TYPES.has(type)) result.stashIds = parseStashIds(row?.stashIds ?? null);
+      return result;
+    };
+
+    const instanceIds = new Set<string>();
+    for (const refs of wanted.values()) {
+      refs.forEach((r) => r.instanceId && instanceIds.add(r.instanceId));
+    }
+    const instances = await prisma.stashInstance.findMany({
+      where: { id: { in: [...instanceIds] } },
+      select: { id: true, name: true },
+    });
+
+    const preferences: UserDataPreferences = {};
+    const userFields = user as unknown as Record<string, unknown>;
+    for (const key of PREFERENCE_KEYS) {
+      (preferences as Record<string, unknown>)[key] = userFields[key] ?? null;
+    }
+
+    return {
+      format: USER_DATA_FORMAT,
+      version: USER_DATA_VERSION,
+      exportedAt: new Date().toISOString(),
+      username: user.username,
+      instances,
+      preferences,
+      ratings: ratings.map(({ entityType, row }) => ({
+        entityType,
+        entity: ref(entityType, row.instanceId, row.entityId),
+        rating: row.rating,
+        favorite: row.favorite,
+        createdAt: row.createdAt.toISOString(),
+        updatedAt: row.updatedAt.toISOString(),
+      })),
+      watchHistory: watchHistory.map((row) => ({
+        scene: ref("scene", row.instanceId, row.sceneId),
+        playCount: row.playCount,
+        playDuration: row.playDuration,
+        resumeTime: row.resumeTime,
+        lastPlayedAt: toIso(row.lastPlayedAt),
+        oCount: row.oCount,
+        oHistory: parseJsonArray(row.oHistory),
+        playHistory: parseJsonArray(row.playHistory),
+      })),
+      imageViewHistory: imageViews.map((row) => ({
+        image: ref("image", row.instanceId, row.imageId),
+        viewCount: row.viewCount,
+        viewHistory: parseJsonArray(row.viewHistory),
+        oCount: row.oCount,
+        oHistory: parseJsonArray(row.oHistory),
+        lastViewedAt: toIso(row.lastViewedAt),
+      })),
+      playlists: playlists.map((p) => ({
+        name: p.name,
+        description: p.description,
+        isPublic: p.isPublic,
+        shuffle: p.shuffle,
+        repeat: p.repeat,
+        type: p.type,
+        rules: p.rules ?? null,
+        sort: p.sort,
+        direction: p.direction,
+        itemLimit: p.itemLimit,
+        // Smart playlist items are rebuilt from the rules when opened
+        items: p.type === "smart" ? [] : p.items.map((item) => ref("scene", item.instanceId, item.sceneId)),
+      })),
+      carousels: carousels.map((c) => ({
+        id: c.id,
+        title: c.title,
+        icon: c.icon,
+        rules: c.rules,
+        sort: c.sort,
+        direction: c.direction,
+      })),
+      customThemes: themes.map((t) => ({ id: t.id, name: t.name, config: t.config })),
+      hiddenEntities: hidden.map((row) => ({
+        entityType: row.entityType as UserDataEntityType,
+        entity: ref(row.entityType as UserDataEntityType, row.instanceId, row.entityId),
+        hiddenAt: row.hiddenAt.toISOString(),
+      })),
+    };
+  }
+
+  // ==========================================================================
+  // IMPORT
+  // ==========================================================================
+
+  /**
+   * Import an archive into a user's account. A dry run reports what would
+   * be created, updated or left unmatched, and the conflicts the chosen
+   * mode would resolve, without writing anything. A real import applies
+   * everything in one transaction.
+   */
+  async importUser(
+    userId: number,
+    input: unknown,
+    mode: UserDataImportMode,
+    dryRun: boolean
+  ): Promise<UserDataImportResponse> {
+    const archive = parseUserDataArchive(input);
+
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    const matcher = new EntityMatcher(await getUserAllowedInstanceIds(userId));
+    for (const type of ENTITY_TYPES) {
+      await matcher.prepare(type, [
+        ...archive.ratings.filter((r) => r.entityType === type).map((r) => r.entity),
+        ...archive.hiddenEntities.filter((h) => h.entityType === type).map((h) => h.entity),
+        ...(type === "scene"
+          ? [
+              ...archive.watchHistory.map((w) => w.scene),
+              ...archive.playlists.flatMap((p) => p.items),
+            ]
+          : []),
+        ...(type === "image" ? archive.imageViewHistory.map((v) => v.image) : []),
+      ]);
+    }
+
+    const apply = async (db: Db) => {
+      const run = new ImportRun(db, userId, mode, dryRun, matcher);
+      // Themes and carousels first, so preferences can point at their new IDs
+      await this.importCustomThemes(run, archive.customThemes);
+      await this.importCarousels(run, archive.carousels);
+      await this.importPreferences(run, archive.preferences);
+      await this.importRatings(run, archive.ratings);
+      await this.importWatchHistory(run, archive.watchHistory);
+      await this.importImageViews(run, archive.imageViewHistory);
+      await this.importPlaylists(run, archive.playlists);
+      await this.importHiddenEntities(run, archive.hiddenEntities);
+      return run;
+    };
+
+    const run = dryRun
+      ? await apply(prisma)
+      : await prisma.$transaction(apply, { timeout: IMPORT_TRANSACTION_TIMEOUT_MS });
+
+    if (!dryRun) {
+      logger.info("User data imported", { userId, mode, sections: run.sections });
+      await this.refreshDerivedData(run);
+    }
+
+    return {
+      dryRun,
+      mode,
+      sections: run.sections,
+      conflicts: run.conflicts,
+      conflictCount: run.conflictCount,
+    };
+  }
+
+  /**
+   * Rebuild what's computed from the imported data: exclusions from hidden
+   * items now, stats and rankings from history and ratings in the background
+   */
+  private async refreshDerivedData(run: ImportRun) {
+    if (run.changed("hiddenEntities")) {
+      await exclusionComputationService.recomputeForUser(run.userId);
+    }
+    if (run.changed("watchHistory") || run.changed("ratings")) {
+      userStatsService
+        .rebuildAllStatsForUser(run.userId)
+        .then(() => rankingComputeService.recomputeAllRankings(run.userId))
+        .catch((error) => {
+          logger.error("Failed to rebuild stats after data import", {
+            userId: run.userId,
+            error: error instanceof Error ? error.message : String(error),
+          });
+        });
+    }
+  }
+
+  private async importCustomThemes(run: ImportRun, themes: UserDataCustomTheme[]) {
+    const report = run.sections.customThemes;
+    const existing = new Map(
+      (await run.db.customTheme.findMany({ where: { userId: run.userId } })).map((t) => [t.name, t])
+    );
+
+    for (const theme of themes) {
+      const current = existing.get(theme.name);
+      if (!current) {
+        report.created++;
+        if (run.write) {
+          const created = await run.db.customTheme.create({
+            data: {
+              userId: run.userId,
+              name: theme.name,
+              config: theme.config as Prisma.InputJsonValue,
+            },
+          });
+          run.themeIds.set(theme.id, created.id);
+          existing.set(theme.name, created);
+        }
+        continue;
+      }
+
+      run.themeIds.set(theme.id, current.id);
+      if (sameValue(current.config, theme.config)) {
+        report.unchanged++;
+        continue;
+      }
+      run.conflict("customThemes", theme.name, current.config, theme.config);
+      if (run.mode === "overwrite") {
+        report.updated++;
+        if (run.write) {
+          await run.db.customTheme.update({
+            where: { id: current.id },
+            data: { config: theme.config as Prisma.InputJsonValue },
+          });
+        }
+      } else {
+        report.unchanged++;
+      }
+    }
+  }
+
+  private async importCarousels(run: ImportRun, carousels: UserDataCarousel[]) {
+    const report = run.sections.carousels;
+    const existing = await run.db.userCarousel.findMany({ where: { userId: run.userId } });
+    const byTitle = new Map(existing.map((c) => [c.title, c]));
+    let count = existing.length;
+
+    for (const carousel of carousels) {
+      // Exports from before rule groups carry flat rules
+      const rules = migrateFilterRules(carousel.rules);
+      const incoming = {
+        icon: carousel.icon,
+        rules,
+        sort: carousel.sort,
+        direction: carousel.direction,
+      };
+      const current = byTitle.get(carousel.title);
+
+      if (!current) {
+        if (count >= MAX_CAROUSELS_PER_USER) {
+          report.skipped++;
+          continue;
+        }
+        count++;
+        report.created++;
+        if (run.write) {
+          const created = await run.db.userCarousel.create({
+            data: {
+              userId: run.userId,
+              title: carousel.title,
+              ...incoming,
+              rules: rules as unknown as Prisma.InputJsonValue,
+            },
+          });
+          run.carouselIds.set(carousel.id, created.id);
+          byTitle.set(created.title, created);
+        }
+        continue;
+      }
+
+      run.carouselIds.set(carousel.id, current.id);
+      const currentValues = {
+        icon: current.icon,
+        rules: current.rules,
+        sort: current.sort,
+        direction: current.direction,
+      };
+      if (sameValue(currentValues, incoming)) {
+        report.unchanged++;
+        continue;
+      }
+      run.conflict("carousels", carousel.title, currentValues, incoming);
+      if (run.mode === "overwrite") {
+        report.updated++;
+        if (run.write) {
+          await run.db.userCarousel.update({
+            where: { id: current.id },
+            data: { ...incoming, rules: rules as unknown as Prisma.InputJsonValue },
+          });
+        }
+      } else {
+        report.unchanged++;
+      }
+    }
+  }
+
+  /**
+   * Point "custom-<id>" references (selected theme, carousel order) at the
+   * themes and carousels created by this import. Returns undefined when a
+   * reference can't be resolved, so the preference is left alone.
+   */
+  private remapPreference(run: ImportRun, key: keyof UserDataPreferences, value: unknown): unknown {
+    if (key === "theme" && typeof value === "string" && value.startsWith("custom-")) {
+      const id = run.themeIds.get(Number(value.slice("custom-".length)));
+      return id === undefined ? undefined : `custom-${id}`;
+    }
+    if (key === "carouselPreferences" && Array.isArray(value)) {
+      return value.flatMap((entry: unknown): unknown[] => {
+        if (!isRecord(entry) || typeof entry.id !== "string" || !entry.id.startsWith("custom-")) {
+          return [entry];
+        }
+        const id = run.carouselIds.get(entry.id.slice("custom-".length));
+        return id === undefined ? [] : [{ ...entry, id: `custom-${id}` }];
+      });
+    }
+    return value;
+  }
+
+  private async importPreferences(run: ImportRun, preferences: UserDataPreferences) {
+    const report = run.sections.preferences;
+    const user = await run.db.user.findUnique({
+      where: { id: run.userId },
+      select: PREFERENCE_SELECT,
+    });
+    const current = (user ?? {}) as Record<string, unknown>;
+    const data: Record<string, unknown> = {};
+
+    for (const key of PREFERENCE_KEYS) {
+      const raw = preferences[key];
+      if (raw === undefined || raw === null) continue;
+      const incoming = this.remapPreference(run, key, raw);
+      if (incoming === undefined) {
+        report.skipped++;
+        continue;
+      }
+
+      const existing = current[key] ?? null;
+      if (sameValue(existing, incoming)) {
+        report.unchanged++;
+        continue;
+      }
+      const isDefault = existing === null || sameValue(existing, PREFERENCE_FIELDS[key].default);
+      if (!isDefault) {
+        run.conflict("preferences", key, existing, incoming);
+      }
+      if (isDefault || run.mode === "overwrite") {
+        report.updated++;
+        data[key] = incoming;
+      } else {
+        report.unchanged++;
+      }
+    }
+
+    if (run.write && Object.keys(data).length > 0) {
+      await run.db.user.update({
+        where: { id: run.userId },
+        data: data as Prisma.UserUpdateInput,
+      });
+    }
+  }
+
+  private async importRatings(run: ImportRun, ratings: UserDataRating[]) {
+    const report = run.sections.ratings;
+
+    for (const entityType of ENTITY_TYPES) {
+      const store = RATING_STORES[entityType];
+      const existing = new Map(
+        (await store.list(run.db, run.userId)).map((row) => [entityKey(row.instanceId, row.entityId), row])
+      );
+
+      for (const rating of ratings.filter((r) => r.entityType === entityType)) {
+        const match = run.matcher.resolve(entityType, rating.entity);
+        if (!match) {
+          report.unmatched++;
+          continue;
+        }
+
+        const key = entityKey(match.instanceId, match.id);
+        const current = existing.get(key);
+        const incoming = { rating: rating.rating, favorite: rating.favorite };
+
+        if (!current) {
+          report.created++;
+          const createdAt = new Date(rating.createdAt);
+          const id = run.write
+            ? await store.create(run.db, run.userId, match.instanceId, match.id, {
+                ...incoming,
+                createdAt,
+              })
+            : -1;
+          existing.set(key, {
+            id,
+            instanceId: match.instanceId,
+            entityId: match.id,
+            ...incoming,
+            createdAt,
+            updatedAt: createdAt,
+          });
+          continue;
+        }
+
+        const currentValues = { rating: current.rating, favorite: current.favorite };
+        if (sameValue(currentValues, incoming)) {
+          report.unchanged++;
+          continue;
+        }
+
+        run.conflict("ratings", `${entityType} ${match.id}`, currentValues, incoming);
+        // Merge keeps an existing rating and favorites either side's favorites
+        const next =
+          run.mode === "overwrite"
+            ? incoming
+            : {
+                rating: current.rating ?? incoming.rating,
+                favorite: current.favorite || incoming.favorite,
+              };
+        if (sameValue(currentValues, next)) {
+          report.unchanged++;
+          continue;
+        }
+        report.updated++;
+        if (run.write && current.id > 0) {
+          await store.update(run.db, current.id, next);
+        }
+        existing.set(key, { ...current, ...next });
+      }
+    }
+  }
+
+  private async importWatchHistory(run: ImportRun, entries: UserDataWatchHistory[]) {
+    const report = run.sections.watchHistory;
+    const existing = new Map(
+      (await run.db.watchHistory.findMany({ where: { userId: run.userId } })).map((row) => [
+        entityKey(row.instanceId, row.sceneId),
+        {
+          id: row.id,
+          playCount: row.playCount,
+          playDuration: row.playDuration,
+          resumeTime: row.resumeTime,
+          lastPlayedAt: toIso(row.lastPlayedAt),
+          oCount: row.oCount,
+          oHistory: parseJsonArray(row.oHistory),
+          playHistory: parseJsonArray(row.playHistory),
+        },
+      ])
+    );
+
+    for (const entry of entries) {
+      const match = run.matcher.resolve("scene", entry.scene);
+      if (!match) {
+        report.unmatched++;
+        continue;
+      }
+
+      const key = entityKey(match.instanceId, match.id);
+      const { scene: _scene, ...incoming } = entry;
+      const current = existing.get(key);
+
+      if (!current) {
+        report.created++;
+        const created = run.write
+          ? await run.db.watchHistory.create({
+              data: {
+                userId: run.userId,
+                instanceId: match.instanceId,
+                sceneId: match.id,
+                ...this.watchHistoryData(incoming),
+              },
+            })
+          : null;
+        existing.set(key, { id: created?.id ?? -1, ...incoming });
+        continue;
+      }
+
+      const { id, ...currentValues } = current;
+      if (sameValue(currentValues, incoming)) {
+        report.unchanged++;
+        continue;
+      }
+
+      run.conflict("watchHistory", `scene ${match.id}`, currentValues, incoming);
+      // Merge combines both sides: the higher counts, every session and O,
+      // and the resume point from whichever side played it last
+      const newer =
+        laterDate(currentValues.lastPlayedAt, incoming.lastPlayedAt) === incoming.lastPlayedAt
+          ? incoming
+          : currentValues;
+      const oHistory = unionHistory(currentValues.oHistory, incoming.oHistory);
+      const next =
+        run.mode === "overwrite"
+          ? incoming
+          : {
+              playCount: Math.max(currentValues.playCount, incoming.playCount),
+              playDuration: Math.max(currentValues.playDuration, incoming.playDuration),
+              resumeTime: newer.resumeTime,
+              lastPlayedAt: newer.lastPlayedAt,
+              oCount: Math.max(currentValues.oCount, incoming.oCount, oHistory.length),
+              oHistory,
+              playHistory: unionHistory(currentValues.playHistory, incoming.playHistory),
+            };
+      if (sameValue(currentValues, next)) {
+        report.unchanged++;
+        continue;
+      }
+      report.updated++;
+      if (run.write && id > 0) {
+        await run.db.watchHistory.update({ where: { id }, data: this.watchHistoryData(next) });
+      }
+      existing.set(key, { id, ...next });
+    }
+  }
+
+  private watchHistoryData(values: Omit<UserDataWatchHistory, "scene">) {
+    return {
+      playCount: values.playCount,
+      playDuration: values.playDuration,
+      resumeTime: values.resumeTime,
+      lastPlayedAt: values.lastPlayedAt ? new Date(values.lastPlayedAt) : null,
+      oCount: values.oCount,
+      oHistory: values.oHistory as Prisma.InputJsonValue,
+      playHistory: values.playHistory as Prisma.InputJsonValue,
+    };
+  }
+
+  private async importImageViews(run: ImportRun, entries: UserDataImageView[]) {
+    const report = run.sections.imageViewHistory;
+    const existing = new Map(
+      (await run.db.imageViewHistory.findMany({ where: { userId: run.userId } })).map((row) => [
+        entityKey(row.instanceId, row.imageId),
+        {
+          id: row.id,
+          viewCount: row.viewCount,
+          viewHistory: parseJsonArray(row.viewHistory),
+          oCount: row.oCount,
+          oHistory: parseJsonArray(row.oHistory),
+          lastViewedAt: toIso(row.lastViewedAt),
+        },
+      ])
+    );
+
+    for (const entry of entries) {
+      const match = run.matcher.resolve("image", entry.image);
+      if (!match) {
+        report.unmatched++;
+        continue;
+      }
+
+      const key = entityKey(match.instanceId, match.id);
+      const { image: _image, ...incoming } = entry;
+      const current = existing.get(key);
+
+      if (!current) {
+        report.created++;
+        const created = run.write
+          ? await run.db.imageViewHistory.create({
+              data: {
+                userId: run.userId,
+                instanceId: match.instanceId,
+                imageId: match.id,
+                ...this.imageViewData(incoming),
+              },
+            })
+          : null;
+        existing.set(key, { id: created?.id ?? -1, ...incoming });
+        continue;
+      }
+
+      const { id, ...currentValues } = current;
+      if (sameValue(currentValues, incoming)) {
+        report.unchanged++;
+        continue;
+      }
+
+      run.conflict("imageViewHistory", `image ${match.id}`, currentValues, incoming);
+      const viewHistory = unionHistory(currentValues.viewHistory, incoming.viewHistory);
+      const oHistory = unionHistory(currentValues.oHistory, incoming.oHistory);
+      const next =
+        run.mode === "overwrite"
+          ? incoming
+          : {
+              viewCount: Math.max(currentValues.viewCount, incoming.viewCount, viewHistory.length),
+              viewHistory,
+              oCount: Math.max(currentValues.oCount, incoming.oCount, oHistory.length),
+              oHistory,
+              lastViewedAt: laterDate(currentValues.lastViewedAt, incoming.lastViewedAt),
+            };
+      if (sameValue(currentValues, next)) {
+        report.unchanged++;
+        continue;
+      }
+      report.updated++;
+      if (run.write && id > 0) {
+        await run.db.imageViewHistory.update({ where: { id }, data: this.imageViewData(next) });
+      }
+      existing.set(key, { id, ...next });
+    }
+  }
+
+  private imageViewData(values: Omit<UserDataImageView, "image">) {
+    return {
+      viewCount: values.viewCount,
+      viewHistory: values.viewHistory as Prisma.InputJsonValue,
+      oCount: values.oCount,
+      oHistory: values.oHistory as Prisma.InputJsonValue,
+      lastViewedAt: values.lastViewedAt ? new Date(values.lastViewedAt) : null,
+    };
+  }
+
+  private async importPlaylists(run: ImportRun, playlists: UserDataPlaylist[]) {
+    const report = run.sections.playlists;
+    // Names aren't unique, so the nth playlist with a name pairs with the nth
+    // existing one
+    const existing = new Map<string, ExistingPlaylist[]>();
+    const rows = await run.db.playlist.findMany({
+      where: { userId: run.userId },
+      include: { items: { orderBy: { position: "asc" } } },
+      orderBy: { id: "asc" },
+    });
+    for (const row of rows) {
+      existing.set(row.name, [...(existing.get(row.name) ?? []), row]);
+    }
+
+    for (const playlist of playlists) {
+      // Resolve items, dropping ones that don't exist here and duplicates
+      // that matched the same scene
+      const items: EntityMatch[] = [];
+      const seen = new Set<string>();
+      for (const item of playlist.items) {
+        const match = run.matcher.resolve("scene", item);
+        if (!match) {
+          report.unmatched++;
+          continue;
+        }
+        const key = entityKey(match.instanceId, match.id);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        items.push(match);
+      }
+
+      const settings = {
+        description: playlist.description ?? null,
+        isPublic: playlist.isPublic,
+        shuffle: playlist.shuffle,
+        repeat: playlist.repeat,
+        type: playlist.type,
+        // Exports from before rule groups carry flat rules
+        rules: playlist.rules ? migrateFilterRules(playlist.rules) : null,
+        sort: playlist.sort ?? null,
+        direction: playlist.direction ?? null,
+        itemLimit: playlist.itemLimit ?? null,
+      };
+      const settingsData = {
+        ...settings,
+        rules: (settings.rules ?? undefined) as Prisma.InputJsonValue | undefined,
+      };
+      const itemRows = (list: EntityMatch[], offset = 0) =>
+        list.map((item, index) => ({
+          instanceId: item.instanceId,
+          sceneId: item.id,
+          position: offset + index,
+        }));
+
+      const current = existing.get(playlist.name)?.shift();
+      if (!current) {
+        report.created++;
+        if (run.write) {
+          await run.db.playlist.create({
+            data: {
+              userId: run.userId,
+              name: playlist.name,
+              ...settingsData,
+              items: { create: itemRows(items) },
+            },
+          });
+        }
+        continue;
+      }
+
+      const currentSettings = {
+        description: current.description,
+        isPublic: current.isPublic,
+        shuffle: current.shuffle,
+        repeat: current.repeat,
+        type: current.type,
+        rules: current.rules ?? null,
+        sort: current.sort,
+        direction: current.direction,
+        itemLimit: current.itemLimit,
+      };
+      const currentItems = current.items.map((item) => ({
+        instanceId: item.instanceId ?? "",
+        id: item.sceneId,
+      }));
+      if (sameValue(currentSettings, settings) && sameValue(currentItems, items)) {
+        report.unchanged++;
+        continue;
+      }
+
+      run.conflict(
+        "playlists",
+        playlist.name,
+        { ...currentSettings, items: currentItems.length },
+        { ...settings, items: items.length }
+      );
+
+      if (run.mode === "overwrite") {
+        report.updated++;
+        if (run.write) {
+          await run.db.playlistItem.deleteMany({ where: { playlistId: current.id } });
+          await run.db.playlist.update({
+            where: { id: current.id },
+            data: { ...settingsData, items: { create: itemRows(items) } },
+          });
+        }
+        continue;
+      }
+
+      // Merge keeps the playlist's settings and appends scenes it doesn't have
+      const present = new Set(currentItems.map((item) => entityKey(item.instanceId, item.id)));
+      const missing = items.filter((item) => !present.has(entityKey(item.instanceId, item.id)));
+      if (current.type === "smart" || missing.length === 0) {
+        report.unchanged++;
+        continue;
+      }
+      report.updated++;
+      if (run.write) {
+        const last = current.items[current.items.length - 1];
+        await run.db.playlistItem.createMany({
+          data: itemRows(missing, (last?.position ?? -1) + 1).map((row) => ({
+            ...row,
+            playlistId: current.id,
+          })),
+        });
+      }
+    }
+  }
+
+  private async importHiddenEntities(run: ImportRun, entries: UserDataHiddenEntity[]) {
+    const report = run.sections.hiddenEntities;
+    const existing = new Set(
+      (await run.db.userHiddenEntity.findMany({ where: { userId: run.userId } })).map(
+        (row) => `${row.entityType}\0${entityKey(row.instanceId, row.entityId)}`
+      )
+    );
+
+    for (const entry of entries) {
+      const match = run.matcher.resolve(entry.entityType, entry.entity);
+      if (!match) {
+        report.unmatched++;
+        continue;
+      }
+      const key = `${entry.entityType}\0${entityKey(match.instanceId, match.id)}`;
+      if (existing.has(key)) {
+        report.unchanged++;
+        continue;
+      }
+      existing.add(key);
+      report.created++;
+      if (run.write) {
+        await run.db.userHiddenEntity.create({
+          data: {
+            userId: run.userId,
+            entityType: entry.entityType,
+            entityId: match.id,
+            instanceId: match.instanceId,
+            hiddenAt: new Date(entry.hiddenAt),
+          },
+        });
+      }
+    }
+  }
+}
+
+export const userDataTransferService = new UserDataTransferService();
@@ -0,0 +1,446 @@
+/**
+ * WatchPartyService
+ *
+ * In-memory rooms that keep several users' scene players in sync.
+ *
+ * - The host creates a party for the scene they're watching and shares its ID
+ * - Participants receive events over a Server-Sent Events stream and send
+ *   play/pause/seek (anyone) or scene changes (host only) over POST
+ * - Each participant's own content restrictions apply: joining is refused,
+ *   and a participant is removed on scene change, when the scene is hidden
+ *   or restricted for them
+ * - Watch history stays per user, since every participant plays the scene
+ *   in their own player
+ *
+ * Parties are not persisted; they end when the host leaves, after a period
+ * with no connected participants, or when the server restarts.
+ */
+import crypto from "crypto";
+import {
+  AppError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../middleware/errorHandler.js";
+import prisma from "../prisma/singleton.js";
+import type {
+  WatchPartyAction,
+  WatchPartyControlBody,
+  WatchPartyParticipant,
+  WatchPartyState,
+  WatchPartyStreamEvent,
+} from "../types/api/watchParty.js";
+import { logger } from "../utils/logger.js";
+import { entityExclusionHelper } from "./EntityExclusionHelper.js";
+import { getUserAllowedInstanceIds } from "./UserInstanceService.js";
+
+export const WATCH_PARTY_ACTIONS: readonly WatchPartyAction[] = [
+  "play",
+  "pause",
+  "seek",
+  "scene",
+];
+
+/** Maximum participants in one party, host included */
+export const MAX_WATCH_PARTY_PARTICIPANTS = 20;
+
+/** Parties with no connected participants are closed after this long */
+export const WATCH_PARTY_IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+
+const SCENE_UNAVAILABLE = "This scene is not available for your account";
+
+/**
+ * A participant's open event stream (an SSE response in production)
+ */
+export interface WatchPartyStream {
+  send(event: WatchPartyStreamEvent): void;
+  close(): void;
+}
+
+interface Participant {
+  userId: number;
+  username: string;
+  joinedAt: Date;
+  streams: Set<WatchPartyStream>;
+}
+
+interface Party {
+  id: string;
+  hostUserId: number;
+  sceneId: string;
+  instanceId: string | null;
+  playlistIndex: number | null;
+  playing: boolean;
+  position: number;
+  positionUpdatedAt: number;
+  participants: Map<number, Participant>;
+  createdAt: Date;
+  idleTimer: NodeJS.Timeout | null;
+}
+
+interface PartyUser {
+  id: number;
+  username: string;
+}
+
+interface CreatePartyOptions {
+  sceneId: string;
+  instanceId: string | null;
+  playlistIndex?: number | null;
+  position?: number;
+  playing?: boolean;
+}
+
+class WatchPartyService {
+  private parties = new Map<string, Party>();
+
+  /**
+   * Check whether a user may watch a scene.
+   * Returns null when allowed, otherwise the reason it isn't.
+   */
+  async checkSceneAccess(
+    userId: number,
+    sceneId: string,
+    instanceId: string | null
+  ): Promise<string | null> {
+    const scene = await prisma.stashScene.findFirst({
+      where: {
+        id: sceneId,
+        deletedAt: null,
+        ...(instanceId ? { stashInstanceId: instanceId } : {}),
+      },
+      select: { id: true, stashInstanceId: true },
+    });
+    if (!scene) {
+      return "Scene not found";
+    }
+
+    const allowedInstanceIds = await getUserAllowedInstanceIds(userId);
+    if (!allowedInstanceIds.includes(scene.stashInstanceId)) {
+      return SCENE_UNAVAILABLE;
+    }
+
+    const excludedIds = await entityExclusionHelper.getExcludedIds(
+      userId,
+      "scene",
+      scene.stashInstanceId
+    );
+    if (excludedIds.has(scene.id)) {
+      return SCENE_UNAVAILABLE;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a party hosted by `host`, starting on the given scene
+   */
+  async create(host: PartyUser, options: CreatePartyOptions): Promise<WatchPartyState> {
+    const { sceneId, instanceId, playlistIndex = null, position = 0, playing = false } = options;
+    const denied = await this.checkSceneAccess(host.id, sceneId, instanceId);
+    if (denied) {
+      throw new ForbiddenError(denied);
+    }
+
+    const party: Party = {
+      id: crypto.randomBytes(9).toString("base64url"),
+      hostUserId: host.id,
+      sceneId,
+      instanceId,
+      playlistIndex,
+      playing,
+      position: Math.max(0, position),
+      positionUpdatedAt: Date.now(),
+      participants: new Map(),
+      createdAt: new Date(),
+      idleTimer: null,
+    };
+    party.participants.set(host.id, this.newParticipant(host));
+    this.parties.set(party.id, party);
+    this.scheduleIdleClose(party);
+
+    logger.info("Watch party created", { partyId: party.id, hostUserId: host.id, sceneId });
+    return this.toState(party);
+  }
+
+  /**
+   * Current state of a party, for one of its participants
+   */
+  get(partyId: string, userId: number): WatchPartyState {
+    const party = this.requireParty(partyId);
+    this.requireParticipant(party, userId);
+    return this.toState(party);
+  }
+
+  /**
+   * Join a party. Refused if the party's scene is unavailable to the user.
+   */
+  async join(partyId: string, user: PartyUser): Promise<WatchPartyState> {
+    const party = this.requireParty(partyId);
+
+    if (!party.participants.has(user.id)) {
+      if (party.participants.size >= MAX_WATCH_PARTY_PARTICIPANTS) {
+        throw new AppError("This watch party is full", 409, "CONFLICT");
+      }
+
+      const denied = await this.checkSceneAccess(user.id, party.sceneId, party.instanceId);
+      if (denied) {
+        throw new ForbiddenError(denied);
+      }
+
+      party.participants.set(user.id, this.newParticipant(user));
+      this.broadcastState(party);
+    }
+
+    return this.toState(party);
+  }
+
+  /**
+   * Leave a party. The party ends when its host leaves.
+   * Returns whether the party ended.
+   */
+  leave(partyId: string, userId: number): boolean {
+    const party = this.requireParty(partyId);
+    const participant = this.requireParticipant(party, userId);
+
+    if (userId === party.hostUserId) {
+      this.end(party, "The host ended the watch party");
+      return true;
+    }
+
+    party.participants.delete(userId);
+    for (const stream of participant.streams) {
+      stream.close();
+    }
+    this.broadcastState(party);
+    this.scheduleIdleClose(party);
+    return false;
+  }
+
+  /**
+   * Attach an event stream for a participant. The current state is sent
+   * immediately. Returns a function to call when the stream closes.
+   */
+  subscribe(partyId: string, userId: number, stream: WatchPartyStream): () => void {
+    const party = this.requireParty(partyId);
+    const participant = this.requireParticipant(party, userId);
+
+    participant.streams.add(stream);
+    if (party.idleTimer) {
+      clearTimeout(party.idleTimer);
+      party.idleTimer = null;
+    }
+
+    // Everyone else sees the participant come online; the new stream gets the same state
+    this.broadcastState(party);
+
+    return () => {
+      participant.streams.delete(stream);
+      if (this.parties.get(party.id) === party && party.participants.get(userId) === participant) {
+        this.broadcastState(party);
+        this.scheduleIdleClose(party);
+      }
+    };
+  }
+
+  /**
+   * Apply a playback event from a participant and relay it to everyone
+   */
+  async control(
+    partyId: string,
+    userId: number,
+    body: WatchPartyControlBody
+  ): Promise<WatchPartyState> {
+    const party = this.requireParty(partyId);
+    this.requireParticipant(party, userId);
+
+    if (!WATCH_PARTY_ACTIONS.includes(body.action)) {
+      throw new ValidationError(
+        `Action must be one of: ${WATCH_PARTY_ACTIONS.join(", ")}`
+      );
+    }
+
+    const position =
+      typeof body.position === "number" && Number.isFinite(body.position)
+        ? Math.max(0, body.position)
+        : this.currentPosition(party);
+
+    switch (body.action) {
+      case "play":
+        party.playing = true;
+        break;
+      case "pause":
+        party.playing = false;
+        break;
+      case "seek":
+        break;
+      case "scene":
+        await this.changeScene(party, userId, body);
+        break;
+    }
+
+    party.position = body.action === "scene" ? 0 : position;
+    party.positionUpdatedAt = Date.now();
+
+    const state = this.toState(party);
+    this.broadcast(party, {
+      type: "control",
+      action: body.action,
+      fromUserId: userId,
+      clientId: body.clientId ?? null,
+      party: state,
+    });
+    return state;
+  }
+
+  /**
+   * Close every party (used on shutdown and in tests)
+   */
+  endAll(): void {
+    for (const party of [...this.parties.values()]) {
+      this.end(party, "The server is shutting down");
+    }
+  }
+
+  // ==================== Private Methods ====================
+
+  private async changeScene(
+    party: Party,
+    userId: number,
+    body: WatchPartyControlBody
+  ): Promise<void> {
+    if (userId !== party.hostUserId) {
+      throw new ForbiddenError("Only the host can change the scene");
+    }
+    if (!body.sceneId) {
+      throw new ValidationError("sceneId is required to change scene");
+    }
+
+    const instanceId = body.instanceId ?? null;
+    const denied = await this.checkSceneAccess(userId, body.sceneId, instanceId);
+    if (denied) {
+      throw new ForbiddenError(denied);
+    }
+
+    party.sceneId = body.sceneId;
+    party.instanceId = instanceId;
+    party.playlistIndex =
+      typeof body.playlistIndex === "number" ? body.playlistIndex : null;
+
+    // Drop participants who can't see the new scene before anyone is told about it
+    for (const participant of [...party.participants.values()]) {
+      if (participant.userId === party.hostUserId) continue;
+
+      const reason = await this.checkSceneAccess(participant.userId, body.sceneId, instanceId);
+      if (reason) {
+        party.participants.delete(participant.userId);
+        for (const stream of participant.streams) {
+          stream.send({
+            type: "removed",
+            reason: "The host switched to a scene that isn't available for your account",
+          });
+          stream.close();
+        }
+      }
+    }
+  }
+
+  private newParticipant(user: PartyUser): Participant {
+    return {
+      userId: user.id,
+      username: user.username,
+      joinedAt: new Date(),
+      streams: new Set(),
+    };
+  }
+
+  private requireParty(partyId: string): Party {
+    const party = this.parties.get(partyId);
+    if (!party) {
+      throw new NotFoundError("Watch party not found");
+    }
+    return party;
+  }
+
+  private requireParticipant(party: Party, userId: number): Participant {
+    const participant = party.participants.get(userId);
+    if (!participant) {
+      throw new ForbiddenError("You are not in this watch party");
+    }
+    return participant;
+  }
+
+  private currentPosition(party: Party): number {
+    if (!party.playing) {
+      return party.position;
+    }
+    return party.position + (Date.now() - party.positionUpdatedAt) / 1000;
+  }
+
+  private toState(party: Party): WatchPartyState {
+    const participants: WatchPartyParticipant[] = [...party.participants.values()].map(
+      (p) => ({
+        userId: p.userId,
+        username: p.username,
+        isHost: p.userId === party.hostUserId,
+        connected: p.streams.size > 0,
+        joinedAt: p.joinedAt,
+      })
+    );
+
+    return {
+      id: party.id,
+      hostUserId: party.hostUserId,
+      sceneId: party.sceneId,
+      instanceId: party.instanceId,
+      playlistIndex: party.playlistIndex,
+      playing: party.playing,
+      position: party.position,
+      positionUpdatedAt: party.positionUpdatedAt,
+      participants,
+      createdAt: party.createdAt,
+    };
+  }
+
+  private broadcast(party: Party, event: WatchPartyStreamEvent): void {
+    for (const participant of party.participants.values()) {
+      for (const stream of participant.streams) {
+        stream.send(event);
+      }
+    }
+  }
+
+  private broadcastState(party: Party): void {
+    this.broadcast(party, { type: "state", party: this.toState(party) });
+  }
+
+  private scheduleIdleClose(party: Party): void {
+    const connected = [...party.participants.values()].some((p) => p.streams.size > 0);
+    if (connected || party.idleTimer) {
+      return;
+    }
+
+    party.idleTimer = setTimeout(() => {
+      party.idleTimer = null;
+      this.end(party, "The watch party was idle");
+    }, WATCH_PARTY_IDLE_TIMEOUT_MS);
+    party.idleTimer.unref();
+  }
+
+  private end(party: Party, reason: string): void {
+    if (party.idleTimer) {
+      clearTimeout(party.idleTimer);
+    }
+    this.parties.delete(party.id);
+
+    for (const participant of party.participants.values()) {
+      for (const stream of participant.streams) {
+        stream.send({ type: "ended", reason });
+        stream.close();
+      }
+    }
+    logger.info("Watch party ended", { partyId: party.id, reason });
+  }
+}
+
+export const watchPartyService = new WatchPartyService();
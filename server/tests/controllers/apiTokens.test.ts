@@ -0,0 +1,218 @@
+/**
+ * Unit Tests for API Token Controllers
+ *
+ * Tests creating, listing, and revoking personal API tokens, plus the
+ * admin endpoints for viewing and revoking another user's tokens.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    user: { findUnique: vi.fn() },
+  },
+}));
+
+// Mock ApiTokenService (keep validation helpers real)
+vi.mock("../../services/ApiTokenService.js", async (importOriginal) => {
+  const actual =
+    await importOriginal<typeof import("../../services/ApiTokenService.js")>();
+  return {
+    ...actual,
+    countApiTokens: vi.fn(),
+    createApiToken: vi.fn(),
+    listApiTokens: vi.fn(),
+    revokeApiToken: vi.fn(),
+  };
+});
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import {
+  MAX_API_TOKENS_PER_USER,
+  countApiTokens,
+  createApiToken as createToken,
+  listApiTokens,
+  revokeApiToken as revokeToken,
+} from "../../services/ApiTokenService.js";
+import {
+  adminGetApiTokens,
+  adminRevokeApiToken,
+  createApiToken,
+  getApiTokens,
+  revokeApiToken,
+} from "../../controllers/apiTokens.js";
+import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
+
+const mockPrisma = vi.mocked(prisma);
+const mockCount = vi.mocked(countApiTokens);
+const mockCreate = vi.mocked(createToken);
+const mockList = vi.mocked(listApiTokens);
+const mockRevoke = vi.mocked(revokeToken);
+
+const USER = { id: 1, username: "testuser", role: "USER" };
+const ADMIN = { id: 2, username: "admin", role: "ADMIN" };
+
+const TOKEN_DATA = {
+  id: 7,
+  name: "Kodi",
+  tokenPrefix: "peek_abcdefg",
+  scopes: null,
+  lastUsedAt: null,
+  createdAt: new Date("2026-01-01T00:00:00Z"),
+};
+
+describe("API Token Controllers", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("getApiTokens", () => {
+    it("returns the current user's tokens", async () => {
+      mockList.mockResolvedValue([TOKEN_DATA]);
+      const res = mockRes();
+
+      await getApiTokens(mockReq({}, {}, USER), res);
+
+      expect(mockList).toHaveBeenCalledWith(1);
+      expect(res._getBody()).toEqual({ tokens: [TOKEN_DATA] });
+    });
+
+    it("returns 401 without a user", async () => {
+      const res = mockRes();
+
+      await getApiTokens(mockReq(), res);
+
+      expect(res._getStatus()).toBe(401);
+    });
+  });
+
+  describe("createApiToken", () => {
+    it("creates a scoped token and returns the plaintext", async () => {
+      mockCount.mockResolvedValue(0);
+      mockCreate.mockResolvedValue({ apiToken: TOKEN_DATA, token: "peek_secret" });
+      const res = mockRes();
+
+      await createApiToken(
+        mockReq({ name: "  Kodi  ", scopes: ["library:read"] }, {}, USER),
+        res
+      );
+
+      expect(mockCreate).toHaveBeenCalledWith(1, "Kodi", ["library:read"]);
+      expect(res._getStatus()).toBe(201);
+      expect(res._getBody()).toEqual({ apiToken: TOKEN_DATA, token: "peek_secret" });
+    });
+
+    it("rejects a missing name", async () => {
+      const res = mockRes();
+
+      await createApiToken(mockReq({ name: "  " }, {}, USER), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(res._getBody()).toEqual({ error: "Token name is required" });
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it("rejects unknown scopes", async () => {
+      const res = mockRes();
+
+      await createApiToken(mockReq({ name: "Bad", scopes: ["admin"] }, {}, USER), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it("enforces the per-user token limit", async () => {
+      mockCount.mockResolvedValue(MAX_API_TOKENS_PER_USER);
+      const res = mockRes();
+
+      await createApiToken(mockReq({ name: "One too many" }, {}, USER), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("revokeApiToken", () => {
+    it("revokes the user's own token", async () => {
+      mockRevoke.mockResolvedValue(true);
+      const res = mockRes();
+
+      await revokeApiToken(mockReq({}, { tokenId: "7" }, USER), res);
+
+      expect(mockRevoke).toHaveBeenCalledWith(1, 7);
+      expect(res._getBody()).toEqual({ success: true });
+    });
+
+    it("returns 404 for another user's token", async () => {
+      mockRevoke.mockResolvedValue(false);
+      const res = mockRes();
+
+      await revokeApiToken(mockReq({}, { tokenId: "7" }, USER), res);
+
+      expect(res._getStatus()).toBe(404);
+    });
+
+    it("returns 400 for an invalid token ID", async () => {
+      const res = mockRes();
+
+      await revokeApiToken(mockReq({}, { tokenId: "abc" }, USER), res);
+
+      expect(res._getStatus()).toBe(400);
+    });
+  });
+
+  describe("adminGetApiTokens", () => {
+    it("returns 403 for non-admins", async () => {
+      const res = mockRes();
+
+      await adminGetApiTokens(mockReq({}, { userId: "1" }, USER), res);
+
+      expect(res._getStatus()).toBe(403);
+      expect(mockList).not.toHaveBeenCalled();
+    });
+
+    it("lists another user's tokens", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 1 } as any);
+      mockList.mockResolvedValue([TOKEN_DATA]);
+      const res = mockRes();
+
+      await adminGetApiTokens(mockReq({}, { userId: "1" }, ADMIN), res);
+
+      expect(mockList).toHaveBeenCalledWith(1);
+      expect(res._getBody()).toEqual({ tokens: [TOKEN_DATA] });
+    });
+
+    it("returns 404 for an unknown user", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(null);
+      const res = mockRes();
+
+      await adminGetApiTokens(mockReq({}, { userId: "99" }, ADMIN), res);
+
+      expect(res._getStatus()).toBe(404);
+    });
+  });
+
+  describe("adminRevokeApiToken", () => {
+    it("revokes another user's token", async () => {
+      mockRevoke.mockResolvedValue(true);
+      const res = mockRes();
+
+      await adminRevokeApiToken(mockReq({}, { userId: "1", tokenId: "7" }, ADMIN), res);
+
+      expect(mockRevoke).toHaveBeenCalledWith(1, 7);
+      expect(res._getBody()).toEqual({ success: true });
+    });
+
+    it("returns 403 for non-admins", async () => {
+      const res = mockRes();
+
+      await adminRevokeApiToken(mockReq({}, { userId: "1", tokenId: "7" }, USER), res);
+
+      expect(res._getStatus()).toBe(403);
+      expect(mockRevoke).not.toHaveBeenCalled();
+    });
+  });
+});
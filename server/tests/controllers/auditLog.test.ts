@@ -0,0 +1,183 @@
+/**
+ * Unit Tests for audit log controllers
+ *
+ * Tests query parsing and pagination, CSV export formatting and retention
+ * validation. Storage is covered by AuditLogService tests.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({ default: {} }));
+
+vi.mock("../../services/AuditLogService.js", async (importOriginal) => {
+  const actual = await importOriginal<typeof import("../../services/AuditLogService.js")>();
+  return {
+    ...actual,
+    auditLogService: {
+      query: vi.fn(),
+      iterate: vi.fn(),
+      getSettings: vi.fn(),
+      updateSettings: vi.fn(),
+      recordRequest: vi.fn(),
+    },
+  };
+});
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import {
+  exportAuditLog,
+  formatAuditCsvRow,
+  getAuditLog,
+  updateAuditSettings,
+} from "../../controllers/auditLog.js";
+import { auditLogService } from "../../services/AuditLogService.js";
+import type { AuditLogEntry } from "../../types/api/index.js";
+import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
+
+const mockAudit = vi.mocked(auditLogService);
+
+const ADMIN = { id: 1, username: "admin", role: "ADMIN" };
+
+const entry = (overrides: Partial<AuditLogEntry> = {}): AuditLogEntry => ({
+  id: 1,
+  action: "group.update",
+  actorId: 1,
+  actorUsername: "admin",
+  targetType: "group",
+  targetId: "3",
+  targetLabel: "Family",
+  before: { name: "Family" },
+  after: { name: "Family, Friends" },
+  details: null,
+  ipAddress: "192.168.1.20",
+  createdAt: "2026-03-01T10:00:00.000Z",
+  ...overrides,
+});
+
+describe("Audit log controllers", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("getAuditLog", () => {
+    it("passes filters through and clamps pagination", async () => {
+      mockAudit.query.mockResolvedValue({ entries: [entry()], total: 1 });
+      const req = mockReq({}, {}, ADMIN, {
+        category: "group",
+        actor: " adm ",
+        from: "2026-03-01",
+        to: "2026-03-01",
+        page: "0",
+        perPage: "1000",
+      });
+      const res = mockRes();
+
+      await getAuditLog(req, res);
+
+      expect(mockAudit.query).toHaveBeenCalledWith(
+        {
+          category: "group",
+          action: undefined,
+          actor: "adm",
+          from: new Date("2026-03-01T00:00:00.000Z"),
+          // A bare "to" date covers the whole day
+          to: new Date("2026-03-01T23:59:59.999Z"),
+        },
+        1,
+        200
+      );
+      expect(res._getBody()).toMatchObject({ total: 1, page: 1, perPage: 200 });
+    });
+
+    it("rejects invalid dates", async () => {
+      const res = mockRes();
+
+      await getAuditLog(mockReq({}, {}, ADMIN, { from: "yesterday-ish" }), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockAudit.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("formatAuditCsvRow", () => {
+    it("quotes JSON and values containing commas", () => {
+      expect(formatAuditCsvRow(entry())).toBe(
+        '2026-03-01T10:00:00.000Z,admin,group.update,group,3,Family,192.168.1.20,' +
+          '"{""name"":""Family""}","{""name"":""Family, Friends""}",'
+      );
+    });
+
+    it("neutralizes cells that spreadsheets would run as formulas", () => {
+      const row = formatAuditCsvRow(
+        entry({
+          actorUsername: "=HYPERLINK(\"http://evil\")",
+          targetType: "\tcmd",
+          targetId: "+1",
+          targetLabel: "-2",
+          ipAddress: "@SUM(A1)",
+          before: null,
+          after: null,
+        })
+      );
+
+      expect(row).toBe(
+        '2026-03-01T10:00:00.000Z,"\'=HYPERLINK(""http://evil"")",group.update,\'\tcmd,\'+1,\'-2,\'@SUM(A1),,,'
+      );
+    });
+  });
+
+  describe("exportAuditLog", () => {
+    it("streams a header and every batch", async () => {
+      mockAudit.iterate.mockImplementation(async function* () {
+        yield [entry({ id: 2 })];
+        yield [entry({ id: 1, action: "sync.full", before: null, after: null })];
+      });
+      const res = Object.assign(mockRes(), {
+        setHeader: vi.fn(),
+        write: vi.fn(),
+        end: vi.fn(),
+        destroy: vi.fn(),
+      });
+
+      await exportAuditLog(mockReq({}, {}, ADMIN, { category: "sync" }), res);
+
+      expect(res.setHeader).toHaveBeenCalledWith("Content-Type", "text/csv; charset=utf-8");
+      expect(res.write).toHaveBeenCalledTimes(3);
+      expect(res.write.mock.calls[0][0]).toMatch(/^time,actor,action,/);
+      expect(res.write.mock.calls[2][0]).toContain(",sync.full,");
+      expect(res.end).toHaveBeenCalled();
+    });
+  });
+
+  describe("updateAuditSettings", () => {
+    it.each([-1, 1.5, "30", 4000])("rejects retention of %s", async (retentionDays) => {
+      const res = mockRes();
+
+      await updateAuditSettings(mockReq({ retentionDays }, {}, ADMIN), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockAudit.updateSettings).not.toHaveBeenCalled();
+    });
+
+    it("saves retention and audits the change", async () => {
+      mockAudit.getSettings.mockResolvedValue({ id: 1, retentionDays: 365 } as any);
+      mockAudit.updateSettings.mockResolvedValue({ id: 1, retentionDays: 90 } as any);
+      const req = mockReq({ retentionDays: 90 }, {}, ADMIN);
+      const res = mockRes();
+
+      await updateAuditSettings(req, res);
+
+      expect(res._getBody()).toEqual({ settings: { retentionDays: 90 } });
+      expect(mockAudit.recordRequest).toHaveBeenCalledWith(
+        req,
+        expect.objectContaining({
+          action: "audit.settings_update",
+          before: { retentionDays: 365 },
+          after: { retentionDays: 90 },
+        })
+      );
+    });
+  });
+});
@@ -4,7 +4,7 @@
  * Tests the carousel endpoints including:
  * - getUserCarousels (list all user carousels)
  * - getCarousel (single carousel retrieval)
- * - createCarousel (carousel creation with validation)
+ * - createCarousel (carousel creation with validation and rule migration)
  * - updateCarousel (partial update with ownership check)
  * - deleteCarousel (deletion with ownership check)
  * - previewCarousel (preview carousel query results)
@@ -206,14 +206,14 @@ describe("Carousel Controller", () => {
 
   describe("createCarousel", () => {
     it("returns 401 when user is not authenticated", async () => {
-      const req = mockReq({ title: "New", rules: [{ field: "rating" }] });
+      const req = mockReq({ title: "New", rules: { rating100: { value: 80, modifier: "GREATER_THAN" } } });
       const res = mockRes();
       await createCarousel(req, res);
       expect(res._getStatus()).toBe(401);
     });
 
     it("returns 400 when title is empty", async () => {
-      const req = mockReq({ title: "", rules: [{ field: "rating" }] }, {}, USER);
+      const req = mockReq({ title: "", rules: { rating100: { value: 80, modifier: "GREATER_THAN" } } }, {}, USER);
       const res = mockRes();
       await createCarousel(req, res);
       expect(res._getStatus()).toBe(400);
@@ -221,7 +221,7 @@ describe("Carousel Controller", () => {
     });
 
     it("returns 400 when title is missing", async () => {
-      const req = mockReq({ rules: [{ field: "rating" }] }, {}, USER);
+      const req = mockReq({ rules: { rating100: { value: 80, modifier: "GREATER_THAN" } } }, {}, USER);
       const res = mockRes();
       await createCarousel(req, res);
       expect(res._getStatus()).toBe(400);
@@ -235,11 +235,53 @@ describe("Carousel Controller", () => {
       expect(res._getBody().error).toMatch(/Rules are required/i);
     });
 
+    it("returns 400 when rule groups are nested too deeply", async () => {
+      let root: any = { type: "rule", filter: { favorite: true } };
+      for (let i = 0; i < 6; i++) {
+        root = { type: "group", operator: "AND", children: [root] };
+      }
+
+      const req = mockReq({ title: "Deep", rules: { version: 2, root } }, {}, USER);
+      const res = mockRes();
+      await createCarousel(req, res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(res._getBody().error).toMatch(/nested at most 5/i);
+      expect(mockPrisma.userCarousel.create).not.toHaveBeenCalled();
+    });
+
+    it("stores flat rules as a versioned AND group", async () => {
+      mockPrisma.userCarousel.count.mockResolvedValue(0);
+      mockPrisma.userCarousel.create.mockResolvedValue(SAMPLE_CAROUSEL as any);
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 1, carouselPreferences: [] } as any);
+      mockPrisma.user.update.mockResolvedValue({} as any);
+
+      const req = mockReq({ title: "Flat", rules: { favorite: true } }, {}, USER);
+      const res = mockRes();
+      await createCarousel(req, res);
+
+      expect(res._getStatus()).toBe(201);
+      expect(mockPrisma.userCarousel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            rules: {
+              version: 2,
+              root: {
+                type: "group",
+                operator: "AND",
+                children: [{ type: "rule", filter: { favorite: true } }],
+              },
+            },
+          }),
+        })
+      );
+    });
+
     it("returns 400 when user is at maximum carousel limit (15)", async () => {
       mockPrisma.userCarousel.count.mockResolvedValue(15);
 
       const req = mockReq(
-        { title: "One Too Many", rules: [{ field: "rating" }] },
+        { title: "One Too Many", rules: { rating100: { value: 80, modifier: "GREATER_THAN" } } },
         {},
         USER
       );
@@ -267,7 +309,7 @@ describe("Carousel Controller", () => {
       mockPrisma.user.update.mockResolvedValue({} as any);
 
       const req = mockReq(
-        { title: "New Carousel", rules: [{ field: "rating", operator: "gte", value: 50 }] },
+        { title: "New Carousel", rules: { rating100: { value: 50, modifier: "GREATER_THAN" } } },
         {},
         USER
       );
@@ -300,7 +342,7 @@ describe("Carousel Controller", () => {
       mockPrisma.user.update.mockResolvedValue({} as any);
 
       const req = mockReq(
-        { title: "Defaults Test", rules: [{ field: "tag", value: "action" }] },
+        { title: "Defaults Test", rules: { tags: { value: ["action"], modifier: "INCLUDES" } } },
         {},
         USER
       );
@@ -334,7 +376,7 @@ describe("Carousel Controller", () => {
       mockPrisma.user.update.mockResolvedValue({} as any);
 
       const req = mockReq(
-        { title: "Prefs Test", rules: [{ field: "rating" }] },
+        { title: "Prefs Test", rules: { rating100: { value: 80, modifier: "GREATER_THAN" } } },
         {},
         USER
       );
@@ -357,7 +399,7 @@ describe("Carousel Controller", () => {
       mockPrisma.userCarousel.count.mockRejectedValue(new Error("DB error"));
 
       const req = mockReq(
-        { title: "Error Test", rules: [{ field: "rating" }] },
+        { title: "Error Test", rules: { rating100: { value: 80, modifier: "GREATER_THAN" } } },
         {},
         USER
       );
@@ -479,7 +521,7 @@ describe("Carousel Controller", () => {
 
   describe("previewCarousel", () => {
     it("returns 401 when user is not authenticated", async () => {
-      const req = mockReq({ rules: [{ field: "rating" }] });
+      const req = mockReq({ rules: { rating100: { value: 80, modifier: "GREATER_THAN" } } });
       const res = mockRes();
       await previewCarousel(req, res);
       expect(res._getStatus()).toBe(401);
@@ -499,7 +541,7 @@ describe("Carousel Controller", () => {
 
       const req = mockReq(
         {
-          rules: [{ field: "rating", operator: "gte", value: 80 }],
+          rules: { rating100: { value: 80, modifier: "GREATER_THAN" } },
           sort: "rating",
           direction: "DESC",
         },
@@ -517,7 +559,7 @@ describe("Carousel Controller", () => {
       mockQueryBuilder.execute.mockRejectedValue(new Error("Query failed"));
 
       const req = mockReq(
-        { rules: [{ field: "rating" }], sort: "rating" },
+        { rules: { rating100: { value: 80, modifier: "GREATER_THAN" } }, sort: "rating" },
         {},
         USER
       );
@@ -588,7 +630,7 @@ describe("Carousel Controller", () => {
 
       const req = mockReq(
         {
-          rules: [{ field: "rating", operator: "gte", value: 70 }],
+          rules: { rating100: { value: 70, modifier: "GREATER_THAN" } },
           sort: "rating",
           direction: "DESC",
         },
@@ -609,7 +651,7 @@ describe("Carousel Controller", () => {
 
       const req = mockReq(
         {
-          rules: [{ field: "tag", value: "action" }],
+          rules: { tags: { value: ["action"], modifier: "INCLUDES" } },
           sort: "random",
         },
         {},
@@ -621,6 +663,32 @@ describe("Carousel Controller", () => {
       expect(mockAddStreamability).toHaveBeenCalled();
     });
 
+    it("passes the rule tree to the query builder as a filter group", async () => {
+      mockQueryBuilder.execute.mockResolvedValue({ scenes: [] } as any);
+      mockAddStreamability.mockReturnValue([] as any);
+
+      const root = {
+        type: "group",
+        operator: "OR",
+        children: [
+          { type: "rule", filter: { favorite: true } },
+          {
+            type: "group",
+            operator: "AND",
+            negate: true,
+            children: [{ type: "rule", filter: { rating100: { value: 20, modifier: "LESS_THAN" } } }],
+          },
+        ],
+      };
+      const req = mockReq({ rules: { version: 2, root }, sort: "random" }, {}, USER);
+      const res = mockRes();
+      await previewCarousel(req, res);
+
+      expect(mockQueryBuilder.execute).toHaveBeenCalledWith(
+        expect.objectContaining({ filters: { filter_group: root } })
+      );
+    });
+
     it("passes CAROUSEL_SCENE_LIMIT (12) as perPage to query builder", async () => {
       const scenes = [SAMPLE_SCENE];
       mockQueryBuilder.execute.mockResolvedValue({ scenes } as any);
@@ -628,7 +696,7 @@ describe("Carousel Controller", () => {
 
       const req = mockReq(
         {
-          rules: [{ field: "rating", operator: "gte", value: 0 }],
+          rules: { rating100: { value: 0, modifier: "GREATER_THAN" } },
           sort: "title",
           direction: "ASC",
         },
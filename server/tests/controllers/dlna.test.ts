@@ -0,0 +1,269 @@
+/**
+ * Unit Tests for DLNA controllers
+ *
+ * Tests SOAP dispatch, the unbound-device and disabled-server responses,
+ * and admin settings validation. The browse tree itself is covered by
+ * DlnaBrowseService tests.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    user: { findUnique: vi.fn() },
+    dlnaDevice: { findUnique: vi.fn(), create: vi.fn(), update: vi.fn(), deleteMany: vi.fn() },
+  },
+}));
+
+vi.mock("../../services/DlnaService.js", async (importOriginal) => ({
+  ...(await importOriginal<typeof import("../../services/DlnaService.js")>()),
+  dlnaService: {
+    getSettings: vi.fn(),
+    updateSettings: vi.fn(),
+    applySettings: vi.fn(),
+    isAdvertising: vi.fn(),
+    touchDevice: vi.fn(),
+    invalidateDevices: vi.fn(),
+    listDevices: vi.fn(),
+  },
+}));
+
+vi.mock("../../services/DlnaBrowseService.js", async (importOriginal) => ({
+  ...(await importOriginal<typeof import("../../services/DlnaBrowseService.js")>()),
+  dlnaBrowseService: { browse: vi.fn(), getScene: vi.fn() },
+}));
+
+vi.mock("../../services/StashEntityService.js", () => ({
+  stashEntityService: { getCacheVersion: vi.fn().mockResolvedValue(1700000000000) },
+}));
+
+vi.mock("../../services/UserInstanceService.js", () => ({
+  getUserAllowedInstanceIds: vi.fn().mockResolvedValue(["inst-1"]),
+}));
+
+vi.mock("../../controllers/video.js", () => ({
+  streamFromStash: vi.fn(),
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import {
+  contentDirectoryControl,
+  streamDlnaMedia,
+  updateDlnaSettings,
+} from "../../controllers/dlna.js";
+import { streamFromStash } from "../../controllers/video.js";
+import { DlnaObjectNotFoundError, dlnaBrowseService } from "../../services/DlnaBrowseService.js";
+import { dlnaService } from "../../services/DlnaService.js";
+import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
+
+const mockDlna = vi.mocked(dlnaService);
+const mockBrowse = vi.mocked(dlnaBrowseService);
+
+const SETTINGS = {
+  id: 1,
+  enabled: true,
+  friendlyName: "Peek",
+  baseUrl: "http://192.168.1.10:6969",
+  deviceUuid: "uuid-1",
+  updatedAt: new Date(),
+};
+
+const ADMIN = { id: 1, username: "admin", role: "ADMIN" };
+
+function upnpReq(options: {
+  action?: string;
+  body?: string;
+  params?: Record<string, string>;
+  remoteAddress?: string;
+  headers?: Record<string, string>;
+}) {
+  const headers: Record<string, string> = {
+    "user-agent": "SEC_HHP_[TV] Samsung/1.0",
+    ...(options.action && {
+      soapaction: `"urn:schemas-upnp-org:service:ContentDirectory:1#${options.action}"`,
+    }),
+    ...options.headers,
+  };
+  return {
+    body: options.body ?? "",
+    params: options.params ?? {},
+    query: {},
+    ip: options.remoteAddress ?? "::ffff:192.168.1.50",
+    method: "GET",
+    protocol: "http",
+    socket: { remoteAddress: options.remoteAddress ?? "::ffff:192.168.1.50" },
+    get: (name: string) => headers[name.toLowerCase()],
+  } as any;
+}
+
+function xmlRes() {
+  const res: any = {
+    headersSent: false,
+    status: vi.fn().mockReturnThis(),
+    type: vi.fn().mockReturnThis(),
+    send: vi.fn().mockReturnThis(),
+    end: vi.fn().mockReturnThis(),
+    set: vi.fn().mockReturnThis(),
+    setHeader: vi.fn(),
+    _getStatus: () => res.status.mock.calls[0]?.[0] ?? 200,
+    _getSent: () => res.send.mock.calls[0]?.[0] as string,
+  };
+  return res;
+}
+
+const browseBody = (objectId: string, flag = "BrowseDirectChildren") =>
+  `<s:Envelope><s:Body><u:Browse><ObjectID>${objectId}</ObjectID><BrowseFlag>${flag}</BrowseFlag><StartingIndex>0</StartingIndex><RequestedCount>10</RequestedCount></u:Browse></s:Body></s:Envelope>`;
+
+describe("DLNA controllers", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDlna.getSettings.mockResolvedValue(SETTINGS);
+    mockDlna.touchDevice.mockResolvedValue({ id: 1, address: "192.168.1.50", userId: 7 } as any);
+  });
+
+  describe("contentDirectoryControl", () => {
+    it("browses as the device's bound user", async () => {
+      mockBrowse.browse.mockResolvedValue({
+        objects: [{ kind: "container", id: "recent", parentId: "0", title: "Recently Added" }],
+        totalMatches: 6,
+      });
+      const res = xmlRes();
+
+      await contentDirectoryControl(upnpReq({ action: "Browse", body: browseBody("0") }), res);
+
+      expect(mockDlna.touchDevice).toHaveBeenCalledWith("192.168.1.50", "SEC_HHP_[TV] Samsung/1.0");
+      expect(mockBrowse.browse).toHaveBeenCalledWith(
+        { userId: 7, allowedInstanceIds: ["inst-1"], baseUrl: "http://192.168.1.10:6969" },
+        "0",
+        "children",
+        0,
+        10
+      );
+      const xml = res._getSent();
+      expect(xml).toContain("<u:BrowseResponse");
+      expect(xml).toContain("<NumberReturned>1</NumberReturned>");
+      expect(xml).toContain("<TotalMatches>6</TotalMatches>");
+      expect(xml).toContain("Recently Added");
+    });
+
+    it("passes a null context for unbound devices", async () => {
+      mockDlna.touchDevice.mockResolvedValue({ id: 2, address: "192.168.1.50", userId: null } as any);
+      mockBrowse.browse.mockResolvedValue({ objects: [], totalMatches: 0 });
+
+      await contentDirectoryControl(upnpReq({ action: "Browse", body: browseBody("0") }), xmlRes());
+
+      expect(mockBrowse.browse).toHaveBeenCalledWith(null, "0", "children", 0, 10);
+    });
+
+    it("maps unknown objects to UPnP error 701", async () => {
+      mockBrowse.browse.mockRejectedValue(new DlnaObjectNotFoundError("nope"));
+      const res = xmlRes();
+
+      await contentDirectoryControl(upnpReq({ action: "Browse", body: browseBody("nope") }), res);
+
+      expect(res._getStatus()).toBe(500);
+      expect(res._getSent()).toContain("<errorCode>701</errorCode>");
+    });
+
+    it("rejects unsupported actions and bad arguments", async () => {
+      const unknown = xmlRes();
+      await contentDirectoryControl(upnpReq({ action: "Search" }), unknown);
+      expect(unknown._getSent()).toContain("<errorCode>401</errorCode>");
+
+      const badFlag = xmlRes();
+      await contentDirectoryControl(
+        upnpReq({ action: "Browse", body: browseBody("0", "BrowseEverything") }),
+        badFlag
+      );
+      expect(badFlag._getSent()).toContain("<errorCode>402</errorCode>");
+    });
+
+    it("answers 404 while the server is disabled", async () => {
+      mockDlna.getSettings.mockResolvedValue({ ...SETTINGS, enabled: false });
+      const res = xmlRes();
+
+      await contentDirectoryControl(upnpReq({ action: "Browse", body: browseBody("0") }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(mockBrowse.browse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("streamDlnaMedia", () => {
+    it("refuses unbound devices", async () => {
+      mockDlna.touchDevice.mockResolvedValue({ id: 2, address: "192.168.1.50", userId: null } as any);
+      const res = xmlRes();
+
+      await streamDlnaMedia(upnpReq({ params: { instanceId: "inst-1", sceneId: "4" } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(streamFromStash).not.toHaveBeenCalled();
+    });
+
+    it("refuses scenes excluded for the bound user", async () => {
+      mockBrowse.getScene.mockResolvedValue(null);
+      const res = xmlRes();
+
+      await streamDlnaMedia(upnpReq({ params: { instanceId: "inst-1", sceneId: "4" } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(streamFromStash).not.toHaveBeenCalled();
+    });
+
+    it("streams visible scenes with DLNA headers", async () => {
+      mockBrowse.getScene.mockResolvedValue({ id: "4", instanceId: "inst-1" } as any);
+      const req = upnpReq({ params: { instanceId: "inst-1", sceneId: "4" } });
+      const res = xmlRes();
+
+      await streamDlnaMedia(req, res);
+
+      expect(res.setHeader).toHaveBeenCalledWith("transferMode.dlna.org", "Streaming");
+      expect(streamFromStash).toHaveBeenCalledWith(req, res, {
+        sceneId: "4",
+        streamPath: "stream",
+        instanceId: "inst-1",
+        userId: 7,
+      });
+    });
+  });
+
+  describe("updateDlnaSettings", () => {
+    it("requires a server URL to enable", async () => {
+      mockDlna.getSettings.mockResolvedValue({ ...SETTINGS, enabled: false, baseUrl: null });
+      const res = mockRes();
+
+      await updateDlnaSettings(mockReq({ enabled: true }, {}, ADMIN), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockDlna.updateSettings).not.toHaveBeenCalled();
+    });
+
+    it("normalizes the URL and restarts discovery", async () => {
+      mockDlna.updateSettings.mockResolvedValue(SETTINGS);
+      mockDlna.applySettings.mockResolvedValue(true);
+      const res = mockRes();
+
+      await updateDlnaSettings(
+        mockReq({ enabled: true, baseUrl: " http://192.168.1.10:6969/ " }, {}, ADMIN),
+        res
+      );
+
+      expect(mockDlna.updateSettings).toHaveBeenCalledWith({
+        enabled: true,
+        baseUrl: "http://192.168.1.10:6969",
+      });
+      expect(mockDlna.applySettings).toHaveBeenCalled();
+      expect(res._getBody()).toMatchObject({ advertising: true });
+    });
+
+    it("rejects non-HTTP URLs", async () => {
+      const res = mockRes();
+
+      await updateDlnaSettings(mockReq({ baseUrl: "ftp://peek.lan" }, {}, ADMIN), res);
+
+      expect(res._getStatus()).toBe(400);
+    });
+  });
+});
@@ -4,6 +4,19 @@ import type { AuthenticatedRequest } from "../../middleware/auth.js";
 
 // Mock the services
 vi.mock("../../services/DownloadService.js", () => ({
+  MAX_DOWNLOAD_CONCURRENT_LIMIT: 8,
+  MAX_DOWNLOAD_EXPIRY_HOURS: 720,
+  isDownloadPriority: (value: unknown) =>
+    value === "low" || value === "normal" || value === "high",
+  serializeDownload: (download: { fileSize: bigint | null }) => ({
+    ...download,
+    fileSize: download.fileSize !== null ? download.fileSize.toString() : null,
+  }),
+  toDownloadSettingsData: (settings: Record<string, unknown>) => ({
+    maxConcurrent: settings.maxConcurrent,
+    maxConcurrentPerUser: settings.maxConcurrentPerUser,
+    expiryHours: settings.expiryHours,
+  }),
   downloadService: {
     createSceneDownload: vi.fn(),
     createImageDownload: vi.fn(),
@@ -13,12 +26,20 @@ vi.mock("../../services/DownloadService.js", () => ({
     getDownload: vi.fn(),
     deleteDownload: vi.fn(),
     updateProgress: vi.fn(),
+    getUserLimits: vi.fn(),
+    getUsedBytes: vi.fn(),
+    getUsage: vi.fn(),
+    updateSettings: vi.fn(),
   },
 }));
 
-vi.mock("../../services/PlaylistZipService.js", () => ({
-  playlistZipService: {
-    createZip: vi.fn(),
+vi.mock("../../services/DownloadQueueService.js", () => ({
+  downloadQueueService: {
+    pump: vi.fn(),
+    pause: vi.fn(),
+    cancel: vi.fn(),
+    retry: vi.fn(),
+    abort: vi.fn(),
   },
 }));
 
@@ -26,6 +47,12 @@ vi.mock("../../services/PermissionService.js", () => ({
   resolveUserPermissions: vi.fn(),
 }));
 
+vi.mock("../../services/SmartPlaylistService.js", () => ({
+  smartPlaylistService: {
+    refresh: vi.fn().mockResolvedValue(-1),
+  },
+}));
+
 vi.mock("../../utils/logger.js", () => ({
   logger: {
     info: vi.fn(),
@@ -54,14 +81,18 @@ import {
   getDownloadFile,
   deleteDownload,
   retryDownload,
+  pauseDownload,
+  cancelDownload,
+  updateDownloadSettings,
 } from "../../controllers/download.js";
+import { AppError } from "../../middleware/errorHandler.js";
+import { downloadQueueService } from "../../services/DownloadQueueService.js";
 import { downloadService } from "../../services/DownloadService.js";
-import { playlistZipService } from "../../services/PlaylistZipService.js";
 import { resolveUserPermissions } from "../../services/PermissionService.js";
 import { pipeResponseToClient } from "../../utils/streamProxy.js";
 
 const mockDownloadService = vi.mocked(downloadService);
-const mockPlaylistZipService = vi.mocked(playlistZipService);
+const mockDownloadQueueService = vi.mocked(downloadQueueService);
 const mockResolveUserPermissions = vi.mocked(resolveUserPermissions);
 const mockPipeResponseToClient = vi.mocked(pipeResponseToClient);
 
@@ -100,6 +131,12 @@ describe("Download Controller", () => {
 
     // Mock global fetch for scene/image downloads
     global.fetch = vi.fn();
+
+    mockDownloadService.getUserLimits.mockResolvedValue({
+      expiryHours: 24,
+      quotaBytes: null,
+    });
+    mockDownloadService.getUsedBytes.mockResolvedValue(BigInt(0));
   });
 
   describe("startSceneDownload", () => {
@@ -241,6 +278,139 @@ describe("Download Controller", () => {
         error: "You do not have permission to download playlists",
       });
     });
+
+    it("should return 400 for an unknown archive layout", async () => {
+      mockRequest = {
+        user: { id: 1, username: "testuser", role: "USER" },
+        params: { playlistId: "5" },
+        body: { layout: "emby" },
+      };
+
+      await startPlaylistDownload(
+        mockRequest as AuthenticatedRequest,
+        mockResponse as Response
+      );
+
+      expect(responseStatus).toHaveBeenCalledWith(400);
+      expect(responseJson).toHaveBeenCalledWith({
+        error: "layout must be one of flat, kodi, jellyfin, plex",
+      });
+      expect(mockDownloadService.createPlaylistDownload).not.toHaveBeenCalled();
+    });
+
+    it("should pass the archive options to the download record", async () => {
+      mockRequest = {
+        user: { id: 1, username: "testuser", role: "USER" },
+        params: { playlistId: "5" },
+        body: { layout: "jellyfin", includeCaptions: true },
+      };
+      mockResolveUserPermissions.mockResolvedValue({
+        canShare: false,
+        canDownloadFiles: false,
+        canDownloadPlaylists: true,
+        sources: {
+          canShare: "default",
+          canDownloadFiles: "default",
+          canDownloadPlaylists: "override",
+        },
+      });
+      mockDownloadService.calculatePlaylistSize.mockResolvedValue(BigInt(1000));
+      mockDownloadService.createPlaylistDownload.mockResolvedValue({
+        id: 3,
+        userId: 1,
+        type: "PLAYLIST",
+        status: "PENDING",
+        entityType: "playlist",
+        entityId: "5",
+        fileName: "Favorites.zip",
+        fileSize: null,
+        filePath: null,
+        progress: 0,
+        error: null,
+        playlistId: 5,
+        createdAt: new Date("2024-01-01"),
+        completedAt: null,
+        expiresAt: null,
+        zipLayout: "jellyfin",
+        zipCaptions: true,
+        zipChapters: false,
+      });
+
+      await startPlaylistDownload(
+        mockRequest as AuthenticatedRequest,
+        mockResponse as Response
+      );
+
+      expect(mockDownloadService.createPlaylistDownload).toHaveBeenCalledWith(1, 5, {
+        layout: "jellyfin",
+        includeCaptions: true,
+        includeChapters: false,
+        priority: "normal",
+      });
+      expect(mockDownloadQueueService.pump).toHaveBeenCalled();
+      expect(responseJson).toHaveBeenCalledWith({
+        download: expect.objectContaining({
+          zipLayout: "jellyfin",
+          zipCaptions: true,
+          zipChapters: false,
+        }),
+      });
+    });
+
+    it("should return 400 when the ZIP would go over the group quota", async () => {
+      mockRequest = {
+        user: { id: 1, username: "testuser", role: "USER" },
+        params: { playlistId: "5" },
+        body: {},
+      };
+      mockResolveUserPermissions.mockResolvedValue({
+        canShare: false,
+        canDownloadFiles: false,
+        canDownloadPlaylists: true,
+        sources: {
+          canShare: "default",
+          canDownloadFiles: "default",
+          canDownloadPlaylists: "override",
+        },
+      });
+      const MB = BigInt(1024 * 1024);
+      mockDownloadService.calculatePlaylistSize.mockResolvedValue(BigInt(300) * MB);
+      mockDownloadService.getUserLimits.mockResolvedValue({
+        expiryHours: 24,
+        quotaBytes: BigInt(1024) * MB,
+      });
+      mockDownloadService.getUsedBytes.mockResolvedValue(BigInt(800) * MB);
+
+      await startPlaylistDownload(
+        mockRequest as AuthenticatedRequest,
+        mockResponse as Response
+      );
+
+      expect(responseStatus).toHaveBeenCalledWith(400);
+      expect(responseJson).toHaveBeenCalledWith({
+        error: "Not enough download space",
+        details: expect.stringContaining("224MB of 1024MB left"),
+      });
+      expect(mockDownloadService.createPlaylistDownload).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 for an unknown priority", async () => {
+      mockRequest = {
+        user: { id: 1, username: "testuser", role: "USER" },
+        params: { playlistId: "5" },
+        body: { priority: "urgent" },
+      };
+
+      await startPlaylistDownload(
+        mockRequest as AuthenticatedRequest,
+        mockResponse as Response
+      );
+
+      expect(responseStatus).toHaveBeenCalledWith(400);
+      expect(responseJson).toHaveBeenCalledWith({
+        error: "priority must be one of low, normal, high",
+      });
+    });
   });
 
   describe("getUserDownloads", () => {
@@ -284,7 +454,9 @@ describe("Download Controller", () => {
           expiresAt: null,
         },
       ];
+      const usage = { usedBytes: "0", quotaBytes: null, expiryHours: 24 };
       mockDownloadService.getUserDownloads.mockResolvedValue(mockDownloads);
+      mockDownloadService.getUsage.mockResolvedValue(usage);
 
       await getUserDownloads(
         mockRequest as AuthenticatedRequest,
@@ -306,6 +478,7 @@ describe("Download Controller", () => {
             progress: 50,
           }),
         ],
+        usage,
       });
     });
 
@@ -414,6 +587,7 @@ describe("Download Controller", () => {
       mockRequest = {
         user: { id: 1, username: "testuser", role: "USER" },
         params: { id: "1" },
+        headers: {},
       };
       const mockDownload = {
         id: 1,
@@ -437,6 +611,7 @@ describe("Download Controller", () => {
       // Mock fetch response
       (global.fetch as ReturnType<typeof vi.fn>).mockResolvedValue({
         ok: true,
+        status: 200,
         headers: new Headers([
           ["content-type", "video/mp4"],
           ["content-length", "1000"],
@@ -461,7 +636,7 @@ describe("Download Controller", () => {
         expect.objectContaining({ ok: true }),
         mockResponse,
         "[DOWNLOAD]",
-        ["content-type", "content-length"],
+        expect.arrayContaining(["content-type", "content-length", "content-range"]),
       );
     });
 
@@ -469,6 +644,7 @@ describe("Download Controller", () => {
       mockRequest = {
         user: { id: 1, username: "testuser", role: "USER" },
         params: { id: "1" },
+        headers: {},
       };
       const mockDownload = {
         id: 1,
@@ -492,6 +668,7 @@ describe("Download Controller", () => {
       // Mock fetch response
       (global.fetch as ReturnType<typeof vi.fn>).mockResolvedValue({
         ok: true,
+        status: 200,
         headers: new Headers([
           ["content-type", "image/jpeg"],
           ["content-length", "1000"],
@@ -516,10 +693,55 @@ describe("Download Controller", () => {
         expect.objectContaining({ ok: true }),
         mockResponse,
         "[DOWNLOAD]",
-        ["content-type", "content-length"],
+        expect.arrayContaining(["content-type", "content-length", "content-range"]),
       );
     });
 
+    it("should forward Range requests to Stash and answer with 206", async () => {
+      mockRequest = {
+        user: { id: 1, username: "testuser", role: "USER" },
+        params: { id: "1" },
+        headers: { range: "bytes=500-", "if-range": '"abc"' },
+      };
+      mockDownloadService.getDownload.mockResolvedValue({
+        id: 1,
+        userId: 1,
+        type: "SCENE",
+        status: "COMPLETED",
+        entityType: "scene",
+        entityId: "scene-123",
+        fileName: "test.mp4",
+        fileSize: BigInt(1000),
+        filePath: null,
+        progress: 100,
+        error: null,
+        playlistId: null,
+        createdAt: new Date(),
+        completedAt: new Date(),
+        expiresAt: null,
+      });
+      (global.fetch as ReturnType<typeof vi.fn>).mockResolvedValue({
+        ok: true,
+        status: 206,
+        headers: new Headers([["content-range", "bytes 500-999/1000"]]),
+        body: new ReadableStream(),
+      });
+
+      await getDownloadFile(
+        mockRequest as AuthenticatedRequest,
+        mockResponse as Response
+      );
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "http://stash:9999/scene/scene-123/stream",
+        {
+          headers: { ApiKey: "test-api-key", Range: "bytes=500-", "If-Range": '"abc"' },
+          signal: expect.any(AbortSignal),
+        }
+      );
+      expect(responseStatus).toHaveBeenCalledWith(206);
+    });
+
     it("should return 400 if download is not completed", async () => {
       mockRequest = {
         user: { id: 1, username: "testuser", role: "USER" },
@@ -637,22 +859,19 @@ describe("Download Controller", () => {
         completedAt: null,
         expiresAt: null,
       };
-      const retriedDownload = { ...failedDownload, status: "PROCESSING", progress: 0, error: null };
+      const retriedDownload = { ...failedDownload, status: "PENDING", progress: 0, error: null };
 
-      mockDownloadService.getDownload
-        .mockResolvedValueOnce(failedDownload)
-        .mockResolvedValueOnce(retriedDownload);
-      mockDownloadService.updateProgress.mockResolvedValue({} as any);
-      mockPlaylistZipService.createZip.mockResolvedValue(undefined);
+      mockDownloadService.getDownload.mockResolvedValueOnce(failedDownload);
+      mockDownloadQueueService.retry.mockResolvedValue(retriedDownload as any);
 
       await retryDownload(
         mockRequest as AuthenticatedRequest,
         mockResponse as Response
       );
 
-      expect(mockDownloadService.updateProgress).toHaveBeenCalledWith(1, 0);
+      expect(mockDownloadQueueService.retry).toHaveBeenCalledWith(1);
       expect(responseJson).toHaveBeenCalledWith({
-        download: expect.objectContaining({ id: 1, status: "PROCESSING" }),
+        download: expect.objectContaining({ id: 1, status: "PENDING" }),
       });
     });
 
@@ -694,7 +913,7 @@ describe("Download Controller", () => {
       });
     });
 
-    it("should return 400 if download status is not FAILED", async () => {
+    it("should return 400 if download status is not FAILED or CANCELLED", async () => {
       mockDownloadService.getDownload.mockReset();
 
       mockRequest = {
@@ -727,9 +946,98 @@ describe("Download Controller", () => {
 
       expect(responseStatus).toHaveBeenCalledWith(400);
       expect(responseJson).toHaveBeenCalledWith({
-        error: "Only failed downloads can be retried",
+        error: "Only failed or cancelled downloads can be retried",
         details: "Current status: COMPLETED",
       });
     });
   });
+
+  describe("queue control", () => {
+    it("should pause a download through the queue", async () => {
+      mockRequest = {
+        user: { id: 1, username: "testuser", role: "USER" },
+        params: { id: "4" },
+      };
+      mockDownloadQueueService.pause.mockResolvedValue({
+        id: 4,
+        status: "PAUSED",
+        fileSize: null,
+      } as any);
+
+      await pauseDownload(
+        mockRequest as AuthenticatedRequest,
+        mockResponse as Response
+      );
+
+      expect(mockDownloadQueueService.pause).toHaveBeenCalledWith(4, 1);
+      expect(responseJson).toHaveBeenCalledWith({
+        download: expect.objectContaining({ id: 4, status: "PAUSED" }),
+      });
+    });
+
+    it("should report invalid transitions from the queue", async () => {
+      mockRequest = {
+        user: { id: 1, username: "testuser", role: "USER" },
+        params: { id: "4" },
+      };
+      mockDownloadQueueService.cancel.mockRejectedValue(
+        new AppError("Only unfinished downloads can be cancelled", 400)
+      );
+
+      await cancelDownload(
+        mockRequest as AuthenticatedRequest,
+        mockResponse as Response
+      );
+
+      expect(responseStatus).toHaveBeenCalledWith(400);
+      expect(responseJson).toHaveBeenCalledWith({
+        error: "Only unfinished downloads can be cancelled",
+      });
+    });
+  });
+
+  describe("updateDownloadSettings", () => {
+    it("should reject limits outside the allowed range", async () => {
+      mockRequest = {
+        user: { id: 1, username: "admin", role: "ADMIN" },
+        body: { maxConcurrent: 20 },
+      };
+
+      await updateDownloadSettings(
+        mockRequest as AuthenticatedRequest,
+        mockResponse as Response
+      );
+
+      expect(responseStatus).toHaveBeenCalledWith(400);
+      expect(mockDownloadService.updateSettings).not.toHaveBeenCalled();
+    });
+
+    it("should save the settings and start any builds the new limits allow", async () => {
+      mockRequest = {
+        user: { id: 1, username: "admin", role: "ADMIN" },
+        body: { maxConcurrent: 3, expiryHours: 48 },
+      };
+      mockDownloadService.updateSettings.mockResolvedValue({
+        id: 1,
+        maxConcurrent: 3,
+        maxConcurrentPerUser: 1,
+        expiryHours: 48,
+        updatedAt: new Date(),
+      } as any);
+
+      await updateDownloadSettings(
+        mockRequest as AuthenticatedRequest,
+        mockResponse as Response
+      );
+
+      expect(mockDownloadService.updateSettings).toHaveBeenCalledWith({
+        maxConcurrent: 3,
+        expiryHours: 48,
+      });
+      expect(mockDownloadQueueService.pump).toHaveBeenCalled();
+      expect(responseJson).toHaveBeenCalledWith({
+        settings: { maxConcurrent: 3, maxConcurrentPerUser: 1, expiryHours: 48 },
+      });
+    });
+  });
 });
@@ -193,6 +193,21 @@ describe("Groups Controller", () => {
       });
       expect(responseStatus).toHaveBeenCalledWith(201);
     });
+
+    it("should return 400 for unknown metadata edit fields", async () => {
+      mockRequest = {
+        user: { id: 1, role: "ADMIN" },
+        body: { name: "Editors", canEditMetadata: true, metadataEditFields: { scene: ["rating100"] } },
+      };
+
+      await createGroup(mockRequest as AuthenticatedRequest, mockResponse as Response);
+
+      expect(responseStatus).toHaveBeenCalledWith(400);
+      expect(responseJson).toHaveBeenCalledWith({
+        error: "Unknown scene fields in metadataEditFields: rating100",
+      });
+      expect(mockPrisma.userGroup.create).not.toHaveBeenCalled();
+    });
   });
 
   describe("updateGroup", () => {
@@ -244,6 +259,53 @@ describe("Groups Controller", () => {
         group: expect.objectContaining({ name: "Updated Family" }),
       });
     });
+
+    it("should set and clear the mapped IdP group", async () => {
+      mockPrisma.userGroup.findUnique.mockResolvedValue({ id: 1, name: "Family" } as never);
+      mockPrisma.userGroup.update.mockResolvedValue({ id: 1, name: "Family" } as never);
+
+      mockRequest = { user: { id: 1, role: "ADMIN" }, params: { id: "1" }, body: { oidcGroup: " family " } };
+      await updateGroup(mockRequest as AuthenticatedRequest, mockResponse as Response);
+      expect(mockPrisma.userGroup.update).toHaveBeenLastCalledWith({
+        where: { id: 1 },
+        data: { oidcGroup: "family" },
+      });
+
+      mockRequest = { user: { id: 1, role: "ADMIN" }, params: { id: "1" }, body: { oidcGroup: "" } };
+      await updateGroup(mockRequest as AuthenticatedRequest, mockResponse as Response);
+      expect(mockPrisma.userGroup.update).toHaveBeenLastCalledWith({
+        where: { id: 1 },
+        data: { oidcGroup: null },
+      });
+    });
+
+    it("should set download limits and reject invalid ones", async () => {
+      mockPrisma.userGroup.findUnique.mockResolvedValue({ id: 1, name: "Family" } as never);
+      mockPrisma.userGroup.update.mockResolvedValue({ id: 1, name: "Family" } as never);
+
+      mockRequest = {
+        user: { id: 1, role: "ADMIN" },
+        params: { id: "1" },
+        body: { downloadExpiryHours: 72, downloadQuotaMb: null },
+      };
+      await updateGroup(mockRequest as AuthenticatedRequest, mockResponse as Response);
+      expect(mockPrisma.userGroup.update).toHaveBeenLastCalledWith({
+        where: { id: 1 },
+        data: { downloadExpiryHours: 72, downloadQuotaMb: null },
+      });
+
+      mockRequest = {
+        user: { id: 1, role: "ADMIN" },
+        params: { id: "1" },
+        body: { downloadQuotaMb: 0.5 },
+      };
+      await updateGroup(mockRequest as AuthenticatedRequest, mockResponse as Response);
+      expect(responseStatus).toHaveBeenCalledWith(400);
+      expect(responseJson).toHaveBeenLastCalledWith({
+        error: "Download quota must be a positive whole number",
+      });
+      expect(mockPrisma.userGroup.update).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe("deleteGroup", () => {
@@ -381,7 +443,11 @@ describe("Groups Controller", () => {
         user: { id: 1, role: "ADMIN" },
         params: { id: "1", userId: "2" },
       };
-      mockPrisma.userGroupMembership.findUnique.mockResolvedValue({ id: 1 } as never);
+      mockPrisma.userGroupMembership.findUnique.mockResolvedValue({
+        id: 1,
+        group: { id: 1, name: "Family" },
+        user: { username: "user2" },
+      } as never);
       mockPrisma.userGroupMembership.delete.mockResolvedValue({ id: 1 } as never);
 
       await removeMember(mockRequest as AuthenticatedRequest, mockResponse as Response);
@@ -27,6 +27,10 @@ vi.mock("../../../services/StashInstanceManager.js", () => ({
   },
 }));
 
+vi.mock("../../../services/MetadataEditService.js", () => ({
+  metadataEditService: { submit: vi.fn() },
+}));
+
 vi.mock("../../../services/EntityExclusionHelper.js", () => ({
   entityExclusionHelper: { filterExcluded: vi.fn().mockImplementation((items) => items) },
 }));
@@ -85,9 +89,9 @@ import {
 import prisma from "../../../prisma/singleton.js";
 import { performerQueryBuilder } from "../../../services/PerformerQueryBuilder.js";
 import { stashEntityService } from "../../../services/StashEntityService.js";
-import { stashInstanceManager } from "../../../services/StashInstanceManager.js";
+import { metadataEditService } from "../../../services/MetadataEditService.js";
+import { NotFoundError } from "../../../middleware/errorHandler.js";
 import { userStatsService } from "../../../services/UserStatsService.js";
-import { getEntityInstanceId } from "../../../utils/entityInstanceId.js";
 import { entityExclusionHelper } from "../../../services/EntityExclusionHelper.js";
 
 // ---------------------------------------------------------------------------
@@ -647,30 +651,41 @@ describe("findPerformersMinimal", () => {
 });
 
 describe("updatePerformer", () => {
-  it("updates a performer via the stash instance", async () => {
-    const mockStash = {
-      performerUpdate: vi.fn().mockResolvedValue({
-        performerUpdate: { id: "p1", name: "Updated" },
-      }),
-    };
-    vi.mocked(getEntityInstanceId).mockResolvedValue("default");
-    vi.mocked(stashInstanceManager.get).mockReturnValue(mockStash as any);
+  it("updates a performer through the metadata edit service", async () => {
+    vi.mocked(metadataEditService.submit).mockResolvedValue({
+      status: "applied",
+      entity: { id: "p1", name: "Updated" },
+      edit: {} as any,
+    });
+    const user = { id: 1, role: "ADMIN" };
 
-    const req = mockReq({ name: "Updated" }, { id: "p1" }, { id: 1, role: "ADMIN" });
+    const req = mockReq({ name: "Updated" }, { id: "p1" }, user);
     const res = mockRes();
 
     await updatePerformer(req, res);
 
     expect(res._getStatus()).toBe(200);
-    expect(res._getBody()).toMatchObject({ success: true });
-    expect(mockStash.performerUpdate).toHaveBeenCalledWith({
-      input: { id: "p1", name: "Updated" },
-    });
+    expect(res._getBody()).toMatchObject({ success: true, performer: { id: "p1", name: "Updated" } });
+    expect(metadataEditService.submit).toHaveBeenCalledWith(user, "performer", "p1", { name: "Updated" });
+  });
+
+  it("returns 202 when the edit needs review", async () => {
+    const edit = { id: 9, status: "pending" } as any;
+    vi.mocked(metadataEditService.submit).mockResolvedValue({ status: "pending", edit });
+
+    const req = mockReq({ name: "Updated" }, { id: "p1" }, { id: 2, role: "USER" });
+    const res = mockRes();
+
+    await updatePerformer(req, res);
+
+    expect(res._getStatus()).toBe(202);
+    expect(res._getBody()).toEqual({ success: true, pending: true, edit });
   });
 
   it("returns 404 when stash instance is not found", async () => {
-    vi.mocked(getEntityInstanceId).mockResolvedValue("missing");
-    vi.mocked(stashInstanceManager.get).mockReturnValue(undefined as any);
+    vi.mocked(metadataEditService.submit).mockRejectedValue(
+      new NotFoundError("Stash instance not found for performer")
+    );
 
     const req = mockReq({}, { id: "p1" }, { id: 1, role: "ADMIN" });
     const res = mockRes();
@@ -682,10 +697,7 @@ describe("updatePerformer", () => {
   });
 
   it("returns 500 when stash API throws", async () => {
-    vi.mocked(getEntityInstanceId).mockResolvedValue("default");
-    vi.mocked(stashInstanceManager.get).mockReturnValue({
-      performerUpdate: vi.fn().mockRejectedValue(new Error("network error")),
-    } as any);
+    vi.mocked(metadataEditService.submit).mockRejectedValue(new Error("network error"));
 
     const req = mockReq({}, { id: "p1" }, { id: 1, role: "ADMIN" });
     const res = mockRes();
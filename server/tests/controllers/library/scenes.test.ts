@@ -30,7 +30,6 @@ vi.mock("../../../services/StashEntityService.js", () => ({
     getAllScenes: vi.fn().mockResolvedValue([]),
     getAllPerformers: vi.fn().mockResolvedValue([]),
     generateSceneStreams: vi.fn().mockReturnValue([]),
-    getSimilarSceneCandidates: vi.fn().mockResolvedValue([]),
     getScenesPaginated: vi.fn().mockResolvedValue({ scenes: [], total: 0 }),
     getScenesForScoring: vi.fn().mockResolvedValue([]),
   },
@@ -43,6 +42,10 @@ vi.mock("../../../services/StashInstanceManager.js", () => ({
   },
 }));
 
+vi.mock("../../../services/MetadataEditService.js", () => ({
+  metadataEditService: { submit: vi.fn() },
+}));
+
 vi.mock("../../../services/EntityExclusionHelper.js", () => ({
   entityExclusionHelper: {
     filterExcluded: vi.fn().mockImplementation((items: unknown[]) => items),
@@ -62,6 +65,12 @@ vi.mock("../../../services/SceneQueryBuilder.js", () => ({
   },
 }));
 
+vi.mock("../../../services/SceneSimilarityService.js", () => ({
+  sceneSimilarityService: {
+    findSimilar: vi.fn().mockResolvedValue([]),
+  },
+}));
+
 vi.mock("../../../services/UserInstanceService.js", () => ({
   getUserAllowedInstanceIds: vi.fn().mockResolvedValue(["default"]),
 }));
@@ -188,9 +197,10 @@ import {
 import prisma from "../../../prisma/singleton.js";
 import { isSceneStreamable } from "../../../utils/codecDetection.js";
 import { sceneQueryBuilder } from "../../../services/SceneQueryBuilder.js";
-import { stashInstanceManager } from "../../../services/StashInstanceManager.js";
+import { sceneSimilarityService } from "../../../services/SceneSimilarityService.js";
 import { stashEntityService } from "../../../services/StashEntityService.js";
-import { getEntityInstanceId } from "../../../utils/entityInstanceId.js";
+import { metadataEditService } from "../../../services/MetadataEditService.js";
+import { NotFoundError } from "../../../middleware/errorHandler.js";
 import {
   hasAnyCriteria,
   countUserCriteria,
@@ -199,9 +209,9 @@ import {
 const mockPrisma = vi.mocked(prisma);
 const mockIsSceneStreamable = vi.mocked(isSceneStreamable);
 const mockSceneQueryBuilder = vi.mocked(sceneQueryBuilder);
-const mockStashInstanceManager = vi.mocked(stashInstanceManager);
-const mockGetEntityInstanceId = vi.mocked(getEntityInstanceId);
+const mockSceneSimilarityService = vi.mocked(sceneSimilarityService);
 const mockStashEntityService = vi.mocked(stashEntityService);
+const mockMetadataEditService = vi.mocked(metadataEditService);
 const mockHasAnyCriteria = vi.mocked(hasAnyCriteria);
 const mockCountUserCriteria = vi.mocked(countUserCriteria);
 
@@ -1342,9 +1352,25 @@ describe("findScenes", () => {
 });
 
 describe("updateScene", () => {
-  it("returns 404 when stash instance is not found", async () => {
-    mockGetEntityInstanceId.mockResolvedValue("unknown");
-    mockStashInstanceManager.get.mockReturnValue(undefined as any);
+  it("submits the edit as the requesting user", async () => {
+    mockMetadataEditService.submit.mockResolvedValue({
+      status: "applied",
+      entity: createMockScene({ id: "123" }),
+      edit: {} as any,
+    });
+    const user = { id: 1, role: "USER" };
+
+    await updateScene(mockReq({ title: "Updated Title" }, { id: "123" }, user), mockRes());
+
+    expect(mockMetadataEditService.submit).toHaveBeenCalledWith(user, "scene", "123", {
+      title: "Updated Title",
+    });
+  });
+
+  it("returns the error status from the edit service", async () => {
+    mockMetadataEditService.submit.mockRejectedValue(
+      new NotFoundError("Stash instance not found for scene")
+    );
 
     const req = mockReq(
       { title: "Updated Title" },
@@ -1361,10 +1387,9 @@ describe("updateScene", () => {
     });
   });
 
-  it("returns 500 when sceneUpdate returns null", async () => {
-    mockGetEntityInstanceId.mockResolvedValue("default");
-    const mockStash = { sceneUpdate: vi.fn().mockResolvedValue({ sceneUpdate: null }) };
-    mockStashInstanceManager.get.mockReturnValue(mockStash as any);
+  it("returns 202 with the edit when it needs review", async () => {
+    const edit = { id: 9, status: "pending" } as any;
+    mockMetadataEditService.submit.mockResolvedValue({ status: "pending", edit });
 
     const req = mockReq(
       { title: "Updated Title" },
@@ -1375,19 +1400,17 @@ describe("updateScene", () => {
 
     await updateScene(req, res);
 
-    expect(res._getStatus()).toBe(500);
-    expect(res._getBody()).toMatchObject({
-      error: "Scene update returned null",
-    });
+    expect(res._getStatus()).toBe(202);
+    expect(res._getBody()).toEqual({ success: true, pending: true, edit });
   });
 
   it("returns updated scene on success", async () => {
-    mockGetEntityInstanceId.mockResolvedValue("default");
     const updatedScene = createMockScene({ id: "123", title: "Updated Title" });
-    const mockStash = {
-      sceneUpdate: vi.fn().mockResolvedValue({ sceneUpdate: updatedScene }),
-    };
-    mockStashInstanceManager.get.mockReturnValue(mockStash as any);
+    mockMetadataEditService.submit.mockResolvedValue({
+      status: "applied",
+      entity: updatedScene,
+      edit: {} as any,
+    });
     // Ensure mergeScenesWithUserData returns the scene unchanged
     mockPrisma.watchHistory.findMany.mockResolvedValue([]);
     mockPrisma.sceneRating.findMany.mockResolvedValue([]);
@@ -1411,7 +1434,7 @@ describe("updateScene", () => {
   });
 
   it("returns 500 on unexpected error", async () => {
-    mockGetEntityInstanceId.mockRejectedValue(new Error("DB crash"));
+    mockMetadataEditService.submit.mockRejectedValue(new Error("DB crash"));
 
     const req = mockReq(
       { title: "x" },
@@ -1438,7 +1461,7 @@ describe("findSimilarScenes", () => {
   });
 
   it("returns empty result when no candidates found", async () => {
-    mockStashEntityService.getSimilarSceneCandidates.mockResolvedValue([]);
+    mockSceneSimilarityService.findSimilar.mockResolvedValue([]);
 
     const req = mockReq({}, { id: "s1" }, { id: 1, role: "USER" }, { page: "1" });
     const res = mockRes();
@@ -1453,10 +1476,10 @@ describe("findSimilarScenes", () => {
 
   it("returns paginated similar scenes", async () => {
     const candidates = [
-      { sceneId: "c1", weight: 10, date: "2025-01-01" },
-      { sceneId: "c2", weight: 8, date: "2025-01-02" },
+      { sceneId: "c1", score: 10 },
+      { sceneId: "c2", score: 8 },
     ];
-    mockStashEntityService.getSimilarSceneCandidates.mockResolvedValue(candidates);
+    mockSceneSimilarityService.findSimilar.mockResolvedValue(candidates);
 
     const scene1 = createMockScene({ id: "c1" });
     const scene2 = createMockScene({ id: "c2" });
@@ -1478,7 +1501,7 @@ describe("findSimilarScenes", () => {
   });
 
   it("returns 500 on error", async () => {
-    mockStashEntityService.getSimilarSceneCandidates.mockRejectedValue(
+    mockSceneSimilarityService.findSimilar.mockRejectedValue(
       new Error("DB error")
     );
 
@@ -1515,6 +1538,19 @@ describe("getRecommendedScenes", () => {
     expect(body.message).toBe("No recommendations yet");
   });
 
+  it("says so when asked to continue a session there isn't one for", async () => {
+    const req = mockReq({}, {}, { id: 1, role: "USER" }, { page: "1", mode: "session" });
+    const res = mockRes();
+
+    await getRecommendedScenes(req, res);
+
+    expect(res._getStatus()).toBe(200);
+    expect(res._getBody()).toMatchObject({
+      scenes: [],
+      message: "No recent viewing session",
+    });
+  });
+
   it("returns 500 on unexpected error", async () => {
     // Force an error by making prisma throw
     mockPrisma.performerRating.findMany.mockRejectedValue(
@@ -36,6 +36,10 @@ vi.mock("../../../services/StashInstanceManager.js", () => ({
   },
 }));
 
+vi.mock("../../../services/MetadataEditService.js", () => ({
+  metadataEditService: { submit: vi.fn() },
+}));
+
 vi.mock("../../../services/EntityExclusionHelper.js", () => ({
   entityExclusionHelper: {
     filterExcluded: vi.fn().mockImplementation((items) => items),
@@ -83,8 +87,8 @@ import prisma from "../../../prisma/singleton.js";
 import { stashEntityService } from "../../../services/StashEntityService.js";
 import { studioQueryBuilder } from "../../../services/StudioQueryBuilder.js";
 import { userStatsService } from "../../../services/UserStatsService.js";
-import { stashInstanceManager } from "../../../services/StashInstanceManager.js";
-import { getEntityInstanceId } from "../../../utils/entityInstanceId.js";
+import { metadataEditService } from "../../../services/MetadataEditService.js";
+import { NotFoundError } from "../../../middleware/errorHandler.js";
 import {
   mergeStudiosWithUserData,
   applyStudioFilters,
@@ -99,8 +103,7 @@ const mockPrisma = vi.mocked(prisma);
 const mockStashEntityService = vi.mocked(stashEntityService);
 const mockStudioQueryBuilder = vi.mocked(studioQueryBuilder);
 const mockUserStatsService = vi.mocked(userStatsService);
-const mockStashInstanceManager = vi.mocked(stashInstanceManager);
-const mockGetEntityInstanceId = vi.mocked(getEntityInstanceId);
+const mockMetadataEditService = vi.mocked(metadataEditService);
 
 const defaultUser = { id: 1, role: "USER" };
 const adminUser = { id: 1, role: "ADMIN" };
@@ -561,53 +564,52 @@ describe("Studios Controller", () => {
 
   describe("updateStudio", () => {
     it("updates studio on happy path", async () => {
-      mockGetEntityInstanceId.mockResolvedValue("default");
-      const mockStash = {
-        studioUpdate: vi.fn().mockResolvedValue({
-          studioUpdate: { id: "s1", name: "Updated" },
-        }),
-      };
-      mockStashInstanceManager.get.mockReturnValue(mockStash as any);
+      mockMetadataEditService.submit.mockResolvedValue({
+        status: "applied",
+        entity: { id: "s1", name: "Updated" },
+        edit: {} as any,
+      });
 
       const req = mockReq({ name: "Updated" }, { id: "s1" }, defaultUser);
       const res = mockRes();
 
       await updateStudio(req, res);
 
+      expect(mockMetadataEditService.submit).toHaveBeenCalledWith(defaultUser, "studio", "s1", {
+        name: "Updated",
+      });
       expect(res._getStatus()).toBe(200);
       expect(res._getBody().success).toBe(true);
     });
 
-    it("returns 404 when stash instance not found", async () => {
-      mockGetEntityInstanceId.mockResolvedValue("unknown");
-      mockStashInstanceManager.get.mockReturnValue(undefined as any);
+    it("returns 202 when the edit needs review", async () => {
+      const edit = { id: 9, status: "pending" } as any;
+      mockMetadataEditService.submit.mockResolvedValue({ status: "pending", edit });
 
-      const req = mockReq({}, { id: "s1" }, defaultUser);
+      const req = mockReq({ name: "Updated" }, { id: "s1" }, defaultUser);
       const res = mockRes();
 
       await updateStudio(req, res);
 
-      expect(res._getStatus()).toBe(404);
+      expect(res._getStatus()).toBe(202);
+      expect(res._getBody()).toEqual({ success: true, pending: true, edit });
     });
 
-    it("returns 500 when studioUpdate returns null", async () => {
-      mockGetEntityInstanceId.mockResolvedValue("default");
-      const mockStash = {
-        studioUpdate: vi.fn().mockResolvedValue({ studioUpdate: null }),
-      };
-      mockStashInstanceManager.get.mockReturnValue(mockStash as any);
+    it("returns 404 when stash instance not found", async () => {
+      mockMetadataEditService.submit.mockRejectedValue(
+        new NotFoundError("Stash instance not found for studio")
+      );
 
-      const req = mockReq({ name: "X" }, { id: "s1" }, defaultUser);
+      const req = mockReq({}, { id: "s1" }, defaultUser);
       const res = mockRes();
 
       await updateStudio(req, res);
 
-      expect(res._getStatus()).toBe(500);
-      expect(res._getBody().error).toBe("Studio update returned null");
+      expect(res._getStatus()).toBe(404);
     });
 
     it("returns 500 on unexpected error", async () => {
-      mockGetEntityInstanceId.mockRejectedValue(new Error("lookup fail"));
+      mockMetadataEditService.submit.mockRejectedValue(new Error("lookup fail"));
 
       const req = mockReq({}, { id: "s1" }, defaultUser);
       const res = mockRes();
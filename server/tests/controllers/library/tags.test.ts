@@ -40,6 +40,10 @@ vi.mock("../../../services/StashInstanceManager.js", () => ({
   },
 }));
 
+vi.mock("../../../services/MetadataEditService.js", () => ({
+  metadataEditService: { submit: vi.fn() },
+}));
+
 vi.mock("../../../services/EntityExclusionHelper.js", () => ({
   entityExclusionHelper: {
     filterExcluded: vi.fn().mockImplementation((items) => items),
@@ -87,8 +91,8 @@ import prisma from "../../../prisma/singleton.js";
 import { stashEntityService } from "../../../services/StashEntityService.js";
 import { tagQueryBuilder } from "../../../services/TagQueryBuilder.js";
 import { userStatsService } from "../../../services/UserStatsService.js";
-import { stashInstanceManager } from "../../../services/StashInstanceManager.js";
-import { getEntityInstanceId } from "../../../utils/entityInstanceId.js";
+import { metadataEditService } from "../../../services/MetadataEditService.js";
+import { NotFoundError } from "../../../middleware/errorHandler.js";
 import {
   mergeTagsWithUserData,
   applyTagFilters,
@@ -104,8 +108,7 @@ const mockPrisma = vi.mocked(prisma);
 const mockStashEntityService = vi.mocked(stashEntityService);
 const mockTagQueryBuilder = vi.mocked(tagQueryBuilder);
 const mockUserStatsService = vi.mocked(userStatsService);
-const mockStashInstanceManager = vi.mocked(stashInstanceManager);
-const mockGetEntityInstanceId = vi.mocked(getEntityInstanceId);
+const mockMetadataEditService = vi.mocked(metadataEditService);
 
 const defaultUser = { id: 1, role: "USER" };
 const adminUser = { id: 1, role: "ADMIN" };
@@ -654,53 +657,52 @@ describe("Tags Controller", () => {
 
   describe("updateTag", () => {
     it("updates tag on happy path", async () => {
-      mockGetEntityInstanceId.mockResolvedValue("default");
-      const mockStash = {
-        tagUpdate: vi.fn().mockResolvedValue({
-          tagUpdate: { id: "t1", name: "Updated" },
-        }),
-      };
-      mockStashInstanceManager.get.mockReturnValue(mockStash as any);
+      mockMetadataEditService.submit.mockResolvedValue({
+        status: "applied",
+        entity: { id: "t1", name: "Updated" },
+        edit: {} as any,
+      });
 
       const req = mockReq({ name: "Updated" }, { id: "t1" }, defaultUser);
       const res = mockRes();
 
       await updateTag(req, res);
 
+      expect(mockMetadataEditService.submit).toHaveBeenCalledWith(defaultUser, "tag", "t1", {
+        name: "Updated",
+      });
       expect(res._getStatus()).toBe(200);
       expect(res._getBody().success).toBe(true);
     });
 
-    it("returns 404 when stash instance not found", async () => {
-      mockGetEntityInstanceId.mockResolvedValue("unknown");
-      mockStashInstanceManager.get.mockReturnValue(undefined as any);
+    it("returns 202 when the edit needs review", async () => {
+      const edit = { id: 9, status: "pending" } as any;
+      mockMetadataEditService.submit.mockResolvedValue({ status: "pending", edit });
 
-      const req = mockReq({}, { id: "t1" }, defaultUser);
+      const req = mockReq({ name: "Updated" }, { id: "t1" }, defaultUser);
       const res = mockRes();
 
       await updateTag(req, res);
 
-      expect(res._getStatus()).toBe(404);
+      expect(res._getStatus()).toBe(202);
+      expect(res._getBody()).toEqual({ success: true, pending: true, edit });
     });
 
-    it("returns 500 when tagUpdate returns null", async () => {
-      mockGetEntityInstanceId.mockResolvedValue("default");
-      const mockStash = {
-        tagUpdate: vi.fn().mockResolvedValue({ tagUpdate: null }),
-      };
-      mockStashInstanceManager.get.mockReturnValue(mockStash as any);
+    it("returns 404 when stash instance not found", async () => {
+      mockMetadataEditService.submit.mockRejectedValue(
+        new NotFoundError("Stash instance not found for tag")
+      );
 
-      const req = mockReq({ name: "X" }, { id: "t1" }, defaultUser);
+      const req = mockReq({}, { id: "t1" }, defaultUser);
       const res = mockRes();
 
       await updateTag(req, res);
 
-      expect(res._getStatus()).toBe(500);
-      expect(res._getBody().error).toBe("Tag update returned null");
+      expect(res._getStatus()).toBe(404);
     });
 
     it("returns 500 on unexpected error", async () => {
-      mockGetEntityInstanceId.mockRejectedValue(new Error("lookup fail"));
+      mockMetadataEditService.submit.mockRejectedValue(new Error("lookup fail"));
 
       const req = mockReq({}, { id: "t1" }, defaultUser);
       const res = mockRes();
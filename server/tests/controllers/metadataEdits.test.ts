@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for the metadata edits controller
+ *
+ * Tests query validation on the review queue, the history permission check,
+ * and audit entries for approvals and rejections.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../services/MetadataEditService.js", async (importOriginal) => {
+  const actual = await importOriginal<typeof import("../../services/MetadataEditService.js")>();
+  return {
+    ...actual,
+    metadataEditService: {
+      list: vi.fn(),
+      listForAuthor: vi.fn(),
+      history: vi.fn(),
+      get: vi.fn(),
+      approve: vi.fn(),
+      reject: vi.fn(),
+    },
+  };
+});
+
+vi.mock("../../services/PermissionService.js", () => ({
+  resolveUserPermissions: vi.fn(),
+}));
+
+vi.mock("../../services/AuditLogService.js", () => ({
+  auditLogService: { recordRequest: vi.fn() },
+}));
+
+vi.mock("../../prisma/singleton.js", () => ({ default: {} }));
+
+vi.mock("../../services/StashInstanceManager.js", () => ({
+  stashInstanceManager: { get: vi.fn() },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import {
+  approveMetadataEdit,
+  getMetadataEditHistory,
+  getMetadataEdits,
+  rejectMetadataEdit,
+} from "../../controllers/metadataEdits.js";
+import { AppError } from "../../middleware/errorHandler.js";
+import { auditLogService } from "../../services/AuditLogService.js";
+import { metadataEditService } from "../../services/MetadataEditService.js";
+import { resolveUserPermissions } from "../../services/PermissionService.js";
+import type { MetadataEditEntry } from "../../types/api/index.js";
+import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
+
+const mockService = vi.mocked(metadataEditService);
+const mockAudit = vi.mocked(auditLogService);
+const mockPermissions = vi.mocked(resolveUserPermissions);
+
+const ADMIN = { id: 1, username: "admin", role: "ADMIN" };
+const USER = { id: 5, username: "bob", role: "USER" };
+
+const entry = (overrides: Partial<MetadataEditEntry> = {}): MetadataEditEntry => ({
+  id: 9,
+  instanceId: "instance-1",
+  entityType: "scene",
+  entityId: "42",
+  entityLabel: "Old title",
+  authorId: 5,
+  authorUsername: "bob",
+  changes: { title: "New title" },
+  previous: { title: "Old title" },
+  status: "applied",
+  reviewerUsername: "admin",
+  reviewNote: null,
+  reviewedAt: "2026-03-10T13:00:00.000Z",
+  createdAt: "2026-03-10T12:00:00.000Z",
+  ...overrides,
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("getMetadataEdits", () => {
+  it("lists pending edits by default", async () => {
+    mockService.list.mockResolvedValue({ edits: [], total: 0 });
+    const res = mockRes();
+
+    await getMetadataEdits(mockReq({}, {}, ADMIN, { perPage: "500" }), res);
+
+    expect(mockService.list).toHaveBeenCalledWith({
+      status: "pending",
+      entityType: undefined,
+      page: 1,
+      perPage: 200,
+    });
+    expect(res._getBody()).toEqual({ edits: [], total: 0, page: 1, perPage: 200 });
+  });
+
+  it("rejects unknown statuses and entity types", async () => {
+    const statusRes = mockRes();
+    await getMetadataEdits(mockReq({}, {}, ADMIN, { status: "approved" }), statusRes);
+    expect(statusRes._getStatus()).toBe(400);
+
+    const typeRes = mockRes();
+    await getMetadataEdits(mockReq({}, {}, ADMIN, { entityType: "image" }), typeRes);
+    expect(typeRes._getStatus()).toBe(400);
+
+    expect(mockService.list).not.toHaveBeenCalled();
+  });
+});
+
+describe("getMetadataEditHistory", () => {
+  it("returns 403 for users who can't edit metadata", async () => {
+    mockPermissions.mockResolvedValue({ canEditMetadata: false } as never);
+    const res = mockRes();
+
+    await getMetadataEditHistory(mockReq({}, { entityType: "scene", entityId: "42" }, USER), res);
+
+    expect(res._getStatus()).toBe(403);
+    expect(mockService.history).not.toHaveBeenCalled();
+  });
+
+  it("returns history for editors", async () => {
+    mockPermissions.mockResolvedValue({ canEditMetadata: true } as never);
+    mockService.history.mockResolvedValue([entry()]);
+    const res = mockRes();
+
+    await getMetadataEditHistory(mockReq({}, { entityType: "scene", entityId: "42" }, USER), res);
+
+    expect(mockService.history).toHaveBeenCalledWith("scene", "42");
+    expect(res._getBody().edits).toHaveLength(1);
+  });
+});
+
+describe("approveMetadataEdit", () => {
+  it("approves the edit and records an audit entry", async () => {
+    mockService.approve.mockResolvedValue(entry());
+    const req = mockReq({ note: "Thanks" }, { id: "9" }, ADMIN);
+    const res = mockRes();
+
+    await approveMetadataEdit(req, res);
+
+    expect(mockService.approve).toHaveBeenCalledWith(9, ADMIN, "Thanks");
+    expect(mockAudit.recordRequest).toHaveBeenCalledWith(req, {
+      action: "metadata.edit_approve",
+      target: { type: "scene", id: "42", label: "Old title" },
+      before: { title: "Old title" },
+      after: { title: "New title" },
+      details: { editId: 9, author: "bob" },
+    });
+    expect(res._getBody().edit.status).toBe("applied");
+  });
+
+  it("passes service errors through with their status", async () => {
+    mockService.approve.mockRejectedValue(new AppError("This edit was already rejected", 409, "CONFLICT"));
+    const res = mockRes();
+
+    await approveMetadataEdit(mockReq({}, { id: "9" }, ADMIN), res);
+
+    expect(res._getStatus()).toBe(409);
+    expect(mockAudit.recordRequest).not.toHaveBeenCalled();
+  });
+
+  it("returns 400 for a non-numeric id", async () => {
+    const res = mockRes();
+
+    await approveMetadataEdit(mockReq({}, { id: "abc" }, ADMIN), res);
+
+    expect(res._getStatus()).toBe(400);
+    expect(mockService.approve).not.toHaveBeenCalled();
+  });
+});
+
+describe("rejectMetadataEdit", () => {
+  it("rejects the edit and records the note", async () => {
+    mockService.reject.mockResolvedValue(entry({ status: "rejected", reviewNote: "Wrong studio" }));
+    const res = mockRes();
+
+    await rejectMetadataEdit(mockReq({ note: "Wrong studio" }, { id: "9" }, ADMIN), res);
+
+    expect(mockAudit.recordRequest).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        action: "metadata.edit_reject",
+        details: { editId: 9, author: "bob", note: "Wrong studio" },
+      })
+    );
+    expect(res._getBody().edit.status).toBe("rejected");
+  });
+});
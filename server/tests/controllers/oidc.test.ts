@@ -0,0 +1,226 @@
+/**
+ * Unit Tests for OIDC / sign-in settings controllers
+ *
+ * Tests the public login options, callback redirects and admin settings
+ * validation. The OIDC flow itself is covered by OidcService tests.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    authSettings: { findFirst: vi.fn(), upsert: vi.fn() },
+  },
+}));
+
+vi.mock("../../services/OidcService.js", () => ({
+  OIDC_LOGIN_TTL_MS: 600000,
+  oidcService: {
+    startLogin: vi.fn(),
+    completeLogin: vi.fn(),
+    getDiscoveryDocument: vi.fn(),
+    clearCache: vi.fn(),
+  },
+}));
+
+vi.mock("../../services/RankingComputeService.js", () => ({
+  default: { recomputeAllRankings: vi.fn().mockResolvedValue(undefined) },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import {
+  getAuthConfig,
+  oidcCallback,
+  updateAuthSettingsAdmin,
+} from "../../controllers/oidc.js";
+import { ForbiddenError } from "../../middleware/errorHandler.js";
+import prisma from "../../prisma/singleton.js";
+import { oidcService } from "../../services/OidcService.js";
+import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
+
+const mockPrisma = vi.mocked(prisma, true);
+const mockOidc = vi.mocked(oidcService);
+
+const ADMIN = { id: 1, username: "admin", role: "ADMIN" };
+
+const storedSettings = (overrides: Record<string, unknown> = {}) => ({
+  id: 1,
+  passwordLoginEnabled: true,
+  oidcEnabled: false,
+  oidcIssuerUrl: null,
+  oidcClientId: null,
+  oidcClientSecret: null,
+  oidcScopes: "openid profile email",
+  oidcUsernameClaim: "preferred_username",
+  oidcGroupsClaim: "groups",
+  oidcAdminGroup: null,
+  oidcAutoProvision: true,
+  oidcLinkExistingUsers: false,
+  oidcButtonLabel: null,
+  updatedAt: new Date(),
+  ...overrides,
+});
+
+const configured = {
+  oidcEnabled: true,
+  oidcIssuerUrl: "https://idp.example.com",
+  oidcClientId: "peek",
+};
+
+function redirectRes() {
+  return Object.assign(mockRes(), {
+    redirect: vi.fn(),
+    cookie: vi.fn(),
+    clearCookie: vi.fn(),
+  });
+}
+
+describe("OIDC controllers", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.authSettings.findFirst.mockResolvedValue(storedSettings() as never);
+  });
+
+  afterEach(() => {
+    delete process.env.ALLOW_PASSWORD_LOGIN;
+  });
+
+  describe("getAuthConfig", () => {
+    it("offers SSO and hides password login when configured", async () => {
+      mockPrisma.authSettings.findFirst.mockResolvedValue(
+        storedSettings({ ...configured, passwordLoginEnabled: false, oidcButtonLabel: "Authentik" }) as never
+      );
+      const res = mockRes();
+
+      await getAuthConfig(mockReq(), res);
+
+      expect(res._getBody()).toEqual({
+        passwordLoginEnabled: false,
+        oidc: { enabled: true, buttonLabel: "Authentik" },
+      });
+    });
+
+    it("keeps password login on while OIDC is not usable", async () => {
+      mockPrisma.authSettings.findFirst.mockResolvedValue(
+        storedSettings({ passwordLoginEnabled: false, oidcEnabled: true }) as never
+      );
+      const res = mockRes();
+
+      await getAuthConfig(mockReq(), res);
+
+      expect(res._getBody()).toMatchObject({
+        passwordLoginEnabled: true,
+        oidc: { enabled: false },
+      });
+    });
+
+    it("lets ALLOW_PASSWORD_LOGIN override the setting", async () => {
+      process.env.ALLOW_PASSWORD_LOGIN = "true";
+      mockPrisma.authSettings.findFirst.mockResolvedValue(
+        storedSettings({ ...configured, passwordLoginEnabled: false }) as never
+      );
+      const res = mockRes();
+
+      await getAuthConfig(mockReq(), res);
+
+      expect(res._getBody()).toMatchObject({ passwordLoginEnabled: true });
+    });
+  });
+
+  describe("oidcCallback", () => {
+    it("sets the session cookie and redirects to the saved destination", async () => {
+      mockOidc.completeLogin.mockResolvedValue({
+        user: { id: 5, username: "alice", role: "USER" },
+        returnTo: "/scenes",
+      });
+      const req = { ...mockReq({}, {}, undefined, { state: "s", code: "c" }), cookies: { oidc_state: "s" } };
+      const res = redirectRes();
+
+      await oidcCallback(req, res);
+
+      expect(mockOidc.completeLogin).toHaveBeenCalledWith({ state: "s", code: "c", cookieState: "s" });
+      expect(res.cookie).toHaveBeenCalledWith("token", expect.any(String), expect.any(Object));
+      expect(res.redirect).toHaveBeenCalledWith("/scenes");
+    });
+
+    it("sends refused logins back to the login page with the reason", async () => {
+      mockOidc.completeLogin.mockRejectedValue(
+        new ForbiddenError('No Peek account exists for "alice". Ask an admin to create one.')
+      );
+      const res = redirectRes();
+
+      await oidcCallback(mockReq({}, {}, undefined, { state: "s", code: "c" }), res);
+
+      expect(res.cookie).not.toHaveBeenCalled();
+      expect(res.redirect).toHaveBeenCalledWith(
+        `/login?oidcError=${encodeURIComponent('No Peek account exists for "alice". Ask an admin to create one.')}`
+      );
+    });
+
+    it("passes provider errors through without attempting a login", async () => {
+      const res = redirectRes();
+
+      await oidcCallback(
+        mockReq({}, {}, undefined, { error: "access_denied", error_description: "User cancelled" }),
+        res
+      );
+
+      expect(mockOidc.completeLogin).not.toHaveBeenCalled();
+      expect(res.redirect).toHaveBeenCalledWith("/login?oidcError=User%20cancelled");
+    });
+  });
+
+  describe("updateAuthSettingsAdmin", () => {
+    it("requires an issuer and client ID to enable OIDC", async () => {
+      const res = mockRes();
+
+      await updateAuthSettingsAdmin(mockReq({ oidcEnabled: true }, {}, ADMIN), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockPrisma.authSettings.upsert).not.toHaveBeenCalled();
+    });
+
+    it("refuses to enable OIDC when discovery fails", async () => {
+      mockOidc.getDiscoveryDocument.mockRejectedValue(new Error("Could not reach the identity provider"));
+      const res = mockRes();
+
+      await updateAuthSettingsAdmin(mockReq(configured, {}, ADMIN), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(res._getBody().error).toContain("Could not reach the identity provider");
+      expect(mockPrisma.authSettings.upsert).not.toHaveBeenCalled();
+    });
+
+    it("saves settings without ever returning the client secret", async () => {
+      mockOidc.getDiscoveryDocument.mockResolvedValue({} as never);
+      mockPrisma.authSettings.findFirst
+        .mockResolvedValueOnce(storedSettings() as never)
+        .mockResolvedValueOnce(storedSettings({ ...configured, oidcClientSecret: "secret" }) as never);
+      const res = mockRes();
+
+      await updateAuthSettingsAdmin(
+        mockReq({ ...configured, oidcClientSecret: " secret " }, {}, ADMIN),
+        res
+      );
+
+      expect(mockPrisma.authSettings.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          update: expect.objectContaining({ oidcClientSecret: "secret", oidcEnabled: true }),
+        })
+      );
+      const body = res._getBody();
+      expect(body.settings.hasOidcClientSecret).toBe(true);
+      expect(body.settings).not.toHaveProperty("oidcClientSecret");
+    });
+
+    it("rejects scopes without openid", async () => {
+      const res = mockRes();
+
+      await updateAuthSettingsAdmin(mockReq({ ...configured, oidcScopes: "profile" }, {}, ADMIN), res);
+
+      expect(res._getStatus()).toBe(400);
+    });
+  });
+});
@@ -1,9 +1,9 @@
 /**
  * Unit Tests for Playlist Controller Operations
  *
- * Tests createPlaylist, updatePlaylist, deletePlaylist, and duplicatePlaylist
- * controller functions. Covers validation, ownership checks, and the
- * access-control-based duplicate flow.
+ * Tests createPlaylist, updatePlaylist, deletePlaylist, duplicatePlaylist,
+ * and refreshSmartPlaylist controller functions. Covers validation, ownership
+ * checks, smart playlist rules, and the access-control-based duplicate flow.
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 
@@ -65,6 +65,16 @@ vi.mock("../../services/PermissionService.js", () => ({
   resolveUserPermissions: vi.fn(async () => ({ canShare: true })),
 }));
 
+// Mock SmartPlaylistService (keep the pure helpers real)
+vi.mock("../../services/SmartPlaylistService.js", async (importOriginal) => {
+  const actual =
+    await importOriginal<typeof import("../../services/SmartPlaylistService.js")>();
+  return {
+    ...actual,
+    smartPlaylistService: { refresh: vi.fn() },
+  };
+});
+
 // Mock logger
 vi.mock("../../utils/logger.js", () => ({
   logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
@@ -73,12 +83,15 @@ vi.mock("../../utils/logger.js", () => ({
 import prisma from "../../prisma/singleton.js";
 import { getPlaylistAccess, getUserGroups } from "../../services/PlaylistAccessService.js";
 import { resolveUserPermissions } from "../../services/PermissionService.js";
+import { smartPlaylistService } from "../../services/SmartPlaylistService.js";
 import {
+  addSceneToPlaylist,
   createPlaylist,
   updatePlaylist,
   deletePlaylist,
   duplicatePlaylist,
   getPlaylistShares,
+  refreshSmartPlaylist,
   updatePlaylistShares,
 } from "../../controllers/playlist.js";
 import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
@@ -87,6 +100,7 @@ const mockPrisma = vi.mocked(prisma);
 const mockGetAccess = vi.mocked(getPlaylistAccess);
 const mockGetUserGroups = vi.mocked(getUserGroups);
 const mockResolvePermissions = vi.mocked(resolveUserPermissions);
+const mockRefresh = vi.mocked(smartPlaylistService.refresh);
 
 const USER = { id: 1, username: "testuser", role: "USER" };
 
@@ -183,6 +197,90 @@ describe("Playlist Controller Operations", () => {
 
       expect(res._getStatus()).toBe(401);
     });
+
+    it("creates a smart playlist and materializes its items", async () => {
+      const rules = { rating100: { value: 80, modifier: "GREATER_THAN" } };
+      mockPrisma.playlist.create.mockResolvedValue({
+        id: 5,
+        name: "Top Rated",
+        type: "smart",
+        _count: { items: 0 },
+      } as any);
+      mockRefresh.mockResolvedValue(12);
+      mockPrisma.playlist.findUnique.mockResolvedValue({
+        id: 5,
+        name: "Top Rated",
+        type: "smart",
+        _count: { items: 12 },
+      } as any);
+
+      const req = mockReq(
+        { name: "Top Rated", type: "smart", rules, sort: "rating", itemLimit: 50 },
+        {},
+        USER
+      );
+      const res = mockRes();
+
+      await createPlaylist(req, res);
+
+      expect(res._getStatus()).toBe(201);
+      expect(mockPrisma.playlist.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            type: "smart",
+            // Flat rules are stored as a versioned AND group
+            rules: {
+              version: 2,
+              root: { type: "group", operator: "AND", children: [{ type: "rule", filter: rules }] },
+            },
+            sort: "rating",
+            direction: "DESC",
+            itemLimit: 50,
+          }),
+        })
+      );
+      expect(mockRefresh).toHaveBeenCalledWith(5);
+      expect(res._getBody()).toEqual({
+        playlist: expect.objectContaining({ _count: { items: 12 } }),
+      });
+    });
+
+    it("rejects a smart playlist without rules", async () => {
+      const req = mockReq({ name: "Empty", type: "smart" }, {}, USER);
+      const res = mockRes();
+
+      await createPlaylist(req, res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(res._getBody()).toEqual({
+        error: "Rules are required for smart playlists",
+      });
+      expect(mockPrisma.playlist.create).not.toHaveBeenCalled();
+    });
+
+    it("rejects an out-of-range item limit", async () => {
+      const req = mockReq(
+        { name: "Huge", type: "smart", rules: {}, itemLimit: 10000 },
+        {},
+        USER
+      );
+      const res = mockRes();
+
+      await createPlaylist(req, res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockPrisma.playlist.create).not.toHaveBeenCalled();
+    });
+
+    it("rejects an unknown playlist type", async () => {
+      const req = mockReq({ name: "Odd", type: "dynamic" as any }, {}, USER);
+      const res = mockRes();
+
+      await createPlaylist(req, res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(res._getBody()).toEqual({ error: "Invalid playlist type" });
+    });
   });
 
   describe("updatePlaylist", () => {
@@ -232,6 +330,122 @@ describe("Playlist Controller Operations", () => {
         error: "Invalid playlist ID",
       });
     });
+
+    it("rejects rules on a static playlist", async () => {
+      mockPrisma.playlist.findFirst.mockResolvedValue({
+        id: 1,
+        userId: 1,
+        type: "static",
+      } as any);
+
+      const req = mockReq({ rules: { organized: true } }, { id: "1" }, USER);
+      const res = mockRes();
+
+      await updatePlaylist(req, res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(res._getBody()).toEqual({ error: "Only smart playlists have rules" });
+      expect(mockPrisma.playlist.update).not.toHaveBeenCalled();
+    });
+
+    it("updates smart playlist rules and refreshes items", async () => {
+      const rules = {
+        version: 2,
+        root: {
+          type: "group",
+          operator: "OR",
+          children: [
+            { type: "rule", filter: { favorite: true } },
+            { type: "rule", filter: { rating100: { value: 80, modifier: "GREATER_THAN" } } },
+          ],
+        },
+      };
+      mockPrisma.playlist.findFirst.mockResolvedValue({
+        id: 1,
+        userId: 1,
+        type: "smart",
+      } as any);
+      mockPrisma.playlist.update.mockResolvedValue({
+        id: 1,
+        _count: { items: 3 },
+      } as any);
+      mockRefresh.mockResolvedValue(7);
+      mockPrisma.playlist.findUnique.mockResolvedValue({
+        id: 1,
+        _count: { items: 7 },
+      } as any);
+
+      const req = mockReq({ rules, direction: "ASC" }, { id: "1" }, USER);
+      const res = mockRes();
+
+      await updatePlaylist(req, res);
+
+      expect(mockPrisma.playlist.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ rules, direction: "ASC" }),
+        })
+      );
+      expect(mockRefresh).toHaveBeenCalledWith(1);
+      expect(res._getBody()).toEqual({
+        playlist: expect.objectContaining({ _count: { items: 7 } }),
+      });
+    });
+
+    it("rejects malformed rule groups", async () => {
+      mockPrisma.playlist.findFirst.mockResolvedValue({
+        id: 1,
+        userId: 1,
+        type: "smart",
+      } as any);
+
+      const req = mockReq(
+        { rules: { version: 2, root: { type: "group", operator: "XOR", children: [] } } },
+        { id: "1" },
+        USER
+      );
+      const res = mockRes();
+
+      await updatePlaylist(req, res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockPrisma.playlist.update).not.toHaveBeenCalled();
+    });
+
+    it("does not refresh when only metadata changes", async () => {
+      mockPrisma.playlist.findFirst.mockResolvedValue({
+        id: 1,
+        userId: 1,
+        type: "smart",
+      } as any);
+      mockPrisma.playlist.update.mockResolvedValue({ id: 1, name: "Renamed" } as any);
+
+      const req = mockReq({ name: "Renamed" }, { id: "1" }, USER);
+      const res = mockRes();
+
+      await updatePlaylist(req, res);
+
+      expect(mockRefresh).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("addSceneToPlaylist", () => {
+    it("rejects manual adds to a smart playlist", async () => {
+      mockGetAccess.mockResolvedValue({ level: "owner" });
+      mockPrisma.playlist.findUnique.mockResolvedValue({
+        id: 1,
+        userId: 1,
+        type: "smart",
+        items: [],
+      } as any);
+
+      const req = mockReq({ sceneId: "s1" }, { id: "1" }, USER);
+      const res = mockRes();
+
+      await addSceneToPlaylist(req, res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockPrisma.playlistItem.create).not.toHaveBeenCalled();
+    });
   });
 
   describe("deletePlaylist", () => {
@@ -351,6 +565,45 @@ describe("Playlist Controller Operations", () => {
     });
   });
 
+  describe("refreshSmartPlaylist", () => {
+    it("refreshes a smart playlist the user can access", async () => {
+      mockGetAccess.mockResolvedValue({ level: "shared", groups: ["Family"] });
+      mockRefresh.mockResolvedValue(25);
+
+      const req = mockReq({}, { id: "4" }, USER);
+      const res = mockRes();
+
+      await refreshSmartPlaylist(req, res);
+
+      expect(mockRefresh).toHaveBeenCalledWith(4);
+      expect(res._getBody()).toEqual({ success: true, itemCount: 25 });
+    });
+
+    it("returns 404 without access", async () => {
+      mockGetAccess.mockResolvedValue({ level: "none" });
+
+      const req = mockReq({}, { id: "4" }, USER);
+      const res = mockRes();
+
+      await refreshSmartPlaylist(req, res);
+
+      expect(res._getStatus()).toBe(404);
+      expect(mockRefresh).not.toHaveBeenCalled();
+    });
+
+    it("returns 400 for a static playlist", async () => {
+      mockGetAccess.mockResolvedValue({ level: "owner" });
+      mockRefresh.mockResolvedValue(-1);
+
+      const req = mockReq({}, { id: "4" }, USER);
+      const res = mockRes();
+
+      await refreshSmartPlaylist(req, res);
+
+      expect(res._getStatus()).toBe(400);
+    });
+  });
+
   describe("getPlaylistShares", () => {
     it("returns shares for owned playlist", async () => {
       mockPrisma.playlist.findFirst.mockResolvedValue({
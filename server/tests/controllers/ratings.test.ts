@@ -3,7 +3,8 @@
  *
  * Tests all 7 entity rating endpoints (scene, performer, studio, tag, gallery,
  * group, image). Covers input validation, auth checks, Prisma upsert logic,
- * sync-to-Stash policy per entity type, and error handling.
+ * queueing changes for Stash write-back, and error handling. Which fields
+ * reach Stash per entity type is covered by StashWriteBackService tests.
  */
 import { describe, it, expect, beforeEach, vi } from "vitest";
 
@@ -26,10 +27,10 @@ vi.mock("../../utils/logger.js", () => ({
   logger: { error: vi.fn(), warn: vi.fn(), info: vi.fn(), debug: vi.fn() },
 }));
 
-// Mock StashInstanceManager
-vi.mock("../../services/StashInstanceManager.js", () => ({
-  stashInstanceManager: {
-    getForSync: vi.fn(),
+// Mock StashWriteBackService
+vi.mock("../../services/StashWriteBackService.js", () => ({
+  stashWriteBackService: {
+    enqueue: vi.fn(),
   },
 }));
 
@@ -39,7 +40,7 @@ vi.mock("../../utils/entityInstanceId.js", () => ({
 }));
 
 import prisma from "../../prisma/singleton.js";
-import { stashInstanceManager } from "../../services/StashInstanceManager.js";
+import { stashWriteBackService } from "../../services/StashWriteBackService.js";
 import { getEntityInstanceId } from "../../utils/entityInstanceId.js";
 import {
   updateSceneRating,
@@ -53,7 +54,7 @@ import {
 import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
 
 const mockPrisma = vi.mocked(prisma);
-const mockInstanceManager = vi.mocked(stashInstanceManager);
+const mockWriteBack = vi.mocked(stashWriteBackService);
 const mockGetEntityInstanceId = vi.mocked(getEntityInstanceId);
 
 const USER = { id: 1, username: "testuser", role: "USER" };
@@ -275,233 +276,70 @@ describe("Ratings Controller", () => {
     });
   });
 
-  // ─── Sync-to-Stash policy ───
-
-  describe("sync-to-Stash policy", () => {
-    const mockStash = {
-      sceneUpdate: vi.fn().mockResolvedValue({}),
-      performerUpdate: vi.fn().mockResolvedValue({}),
-      studioUpdate: vi.fn().mockResolvedValue({}),
-      tagUpdate: vi.fn().mockResolvedValue({}),
-      galleryUpdate: vi.fn().mockResolvedValue({}),
-      groupUpdate: vi.fn().mockResolvedValue({}),
-      imageUpdate: vi.fn().mockResolvedValue({}),
-    };
+  // ─── Sync-to-Stash write-back ───
 
+  describe("sync-to-Stash write-back", () => {
     beforeEach(() => {
       mockPrisma.user.findUnique.mockResolvedValue({ syncToStash: true } as any);
-      mockInstanceManager.getForSync.mockReturnValue(mockStash as any);
+      mockWriteBack.enqueue.mockResolvedValue(undefined);
     });
 
-    it("does not sync when syncToStash is disabled", async () => {
+    it("does not queue when syncToStash is disabled", async () => {
       mockPrisma.user.findUnique.mockResolvedValue({ syncToStash: false } as any);
       mockPrisma.sceneRating.upsert.mockResolvedValue(UPSERT_RESULT as any);
       const req = mockReq({ rating: 50 }, { sceneId: "1" }, USER);
       const res = mockRes();
       await updateSceneRating(req, res);
 
-      expect(mockInstanceManager.getForSync).not.toHaveBeenCalled();
+      expect(mockWriteBack.enqueue).not.toHaveBeenCalled();
       expect(res._getBody().success).toBe(true);
     });
 
-    it("does not sync when getForSync returns null (no stash client)", async () => {
-      mockInstanceManager.getForSync.mockReturnValue(null as any);
+    it("succeeds even when queueing throws (non-blocking)", async () => {
+      mockWriteBack.enqueue.mockRejectedValue(new Error("Database busy"));
       mockPrisma.sceneRating.upsert.mockResolvedValue(UPSERT_RESULT as any);
       const req = mockReq({ rating: 50 }, { sceneId: "1" }, USER);
       const res = mockRes();
       await updateSceneRating(req, res);
 
-      expect(mockStash.sceneUpdate).not.toHaveBeenCalled();
       expect(res._getBody().success).toBe(true);
     });
 
-    it("succeeds even when Stash sync throws (non-blocking)", async () => {
-      mockStash.sceneUpdate.mockRejectedValue(new Error("Stash down"));
-      mockPrisma.sceneRating.upsert.mockResolvedValue(UPSERT_RESULT as any);
-      const req = mockReq({ rating: 50 }, { sceneId: "1" }, USER);
+    it("queues the change with the entity's instance", async () => {
+      mockPrisma.performerRating.upsert.mockResolvedValue(UPSERT_RESULT as any);
+      const req = mockReq({ rating: 95, favorite: true }, { performerId: "10" }, USER);
       const res = mockRes();
-      await updateSceneRating(req, res);
-
-      expect(res._getBody().success).toBe(true);
-    });
-
-    // Scene: syncs rating only, NOT favorite
-    describe("scene sync policy", () => {
-      beforeEach(() => {
-        mockPrisma.sceneRating.upsert.mockResolvedValue(UPSERT_RESULT as any);
-      });
-
-      it("syncs rating to Stash as rating100", async () => {
-        const req = mockReq({ rating: 85 }, { sceneId: "42" }, USER);
-        const res = mockRes();
-        await updateSceneRating(req, res);
-
-        expect(mockStash.sceneUpdate).toHaveBeenCalledWith({
-          input: { id: "42", rating100: 85 },
-        });
-      });
-
-      it("does NOT sync favorite to Stash (scene policy)", async () => {
-        const req = mockReq({ favorite: true }, { sceneId: "42" }, USER);
-        const res = mockRes();
-        await updateSceneRating(req, res);
-
-        expect(mockStash.sceneUpdate).not.toHaveBeenCalled();
-      });
-    });
-
-    // Performer: syncs both rating AND favorite
-    describe("performer sync policy", () => {
-      beforeEach(() => {
-        mockPrisma.performerRating.upsert.mockResolvedValue(UPSERT_RESULT as any);
-      });
-
-      it("syncs rating to Stash", async () => {
-        const req = mockReq({ rating: 90 }, { performerId: "10" }, USER);
-        const res = mockRes();
-        await updatePerformerRating(req, res);
-
-        expect(mockStash.performerUpdate).toHaveBeenCalledWith({
-          input: { id: "10", rating100: 90 },
-        });
-      });
-
-      it("syncs favorite to Stash", async () => {
-        const req = mockReq({ favorite: true }, { performerId: "10" }, USER);
-        const res = mockRes();
-        await updatePerformerRating(req, res);
-
-        expect(mockStash.performerUpdate).toHaveBeenCalledWith({
-          input: { id: "10", favorite: true },
-        });
-      });
-
-      it("syncs both rating and favorite together", async () => {
-        const req = mockReq({ rating: 95, favorite: true }, { performerId: "10" }, USER);
-        const res = mockRes();
-        await updatePerformerRating(req, res);
-
-        expect(mockStash.performerUpdate).toHaveBeenCalledWith({
-          input: { id: "10", rating100: 95, favorite: true },
-        });
-      });
-    });
-
-    // Studio: syncs both rating AND favorite
-    describe("studio sync policy", () => {
-      beforeEach(() => {
-        mockPrisma.studioRating.upsert.mockResolvedValue(UPSERT_RESULT as any);
-      });
-
-      it("syncs both rating and favorite", async () => {
-        const req = mockReq({ rating: 80, favorite: true }, { studioId: "5" }, USER);
-        const res = mockRes();
-        await updateStudioRating(req, res);
-
-        expect(mockStash.studioUpdate).toHaveBeenCalledWith({
-          input: { id: "5", rating100: 80, favorite: true },
-        });
+      await updatePerformerRating(req, res);
+
+      expect(mockWriteBack.enqueue).toHaveBeenCalledWith({
+        userId: 1,
+        instanceId: "instance-1",
+        entityType: "performer",
+        entityId: "10",
+        rating: 95,
+        favorite: true,
       });
     });
 
-    // Tag: syncs favorite ONLY (no rating in Stash)
-    describe("tag sync policy", () => {
-      beforeEach(() => {
-        mockPrisma.tagRating.upsert.mockResolvedValue(UPSERT_RESULT as any);
-      });
-
-      it("syncs favorite to Stash", async () => {
-        const req = mockReq({ favorite: true }, { tagId: "7" }, USER);
-        const res = mockRes();
-        await updateTagRating(req, res);
-
-        expect(mockStash.tagUpdate).toHaveBeenCalledWith({
-          input: { id: "7", favorite: true },
-        });
-      });
-
-      it("does NOT sync rating to Stash (tag policy)", async () => {
-        const req = mockReq({ rating: 60 }, { tagId: "7" }, USER);
-        const res = mockRes();
-        await updateTagRating(req, res);
-
-        expect(mockStash.tagUpdate).not.toHaveBeenCalled();
-      });
-    });
-
-    // Gallery: syncs rating ONLY (no favorite in Stash)
-    describe("gallery sync policy", () => {
-      beforeEach(() => {
-        mockPrisma.galleryRating.upsert.mockResolvedValue(UPSERT_RESULT as any);
-      });
-
-      it("syncs rating to Stash", async () => {
-        const req = mockReq({ rating: 70 }, { galleryId: "3" }, USER);
-        const res = mockRes();
-        await updateGalleryRating(req, res);
-
-        expect(mockStash.galleryUpdate).toHaveBeenCalledWith({
-          input: { id: "3", rating100: 70 },
-        });
-      });
-
-      it("does NOT sync favorite to Stash (gallery policy)", async () => {
-        const req = mockReq({ favorite: true }, { galleryId: "3" }, USER);
-        const res = mockRes();
-        await updateGalleryRating(req, res);
-
-        expect(mockStash.galleryUpdate).not.toHaveBeenCalled();
-      });
-    });
-
-    // Group: syncs rating ONLY
-    describe("group sync policy", () => {
-      beforeEach(() => {
-        mockPrisma.groupRating.upsert.mockResolvedValue(UPSERT_RESULT as any);
-      });
-
-      it("syncs rating to Stash", async () => {
-        const req = mockReq({ rating: 55 }, { groupId: "8" }, USER);
-        const res = mockRes();
-        await updateGroupRating(req, res);
-
-        expect(mockStash.groupUpdate).toHaveBeenCalledWith({
-          input: { id: "8", rating100: 55 },
-        });
-      });
-
-      it("does NOT sync favorite to Stash (group policy)", async () => {
-        const req = mockReq({ favorite: true }, { groupId: "8" }, USER);
-        const res = mockRes();
-        await updateGroupRating(req, res);
-
-        expect(mockStash.groupUpdate).not.toHaveBeenCalled();
-      });
-    });
-
-    // Image: syncs rating ONLY
-    describe("image sync policy", () => {
-      beforeEach(() => {
-        mockPrisma.imageRating.upsert.mockResolvedValue(UPSERT_RESULT as any);
-      });
-
-      it("syncs rating to Stash", async () => {
-        const req = mockReq({ rating: 40 }, { imageId: "99" }, USER);
-        const res = mockRes();
-        await updateImageRating(req, res);
-
-        expect(mockStash.imageUpdate).toHaveBeenCalledWith({
-          input: { id: "99", rating100: 40 },
-        });
-      });
+    const cases: [string, typeof updateSceneRating, string, keyof typeof mockPrisma][] = [
+      ["scene", updateSceneRating, "sceneId", "sceneRating"],
+      ["performer", updatePerformerRating, "performerId", "performerRating"],
+      ["studio", updateStudioRating, "studioId", "studioRating"],
+      ["tag", updateTagRating, "tagId", "tagRating"],
+      ["gallery", updateGalleryRating, "galleryId", "galleryRating"],
+      ["group", updateGroupRating, "groupId", "groupRating"],
+      ["image", updateImageRating, "imageId", "imageRating"],
+    ];
 
-      it("does NOT sync favorite to Stash (image policy)", async () => {
-        const req = mockReq({ favorite: true }, { imageId: "99" }, USER);
-        const res = mockRes();
-        await updateImageRating(req, res);
+    it.each(cases)("queues %s changes", async (entityType, handler, param, model) => {
+      (mockPrisma[model] as any).upsert.mockResolvedValue(UPSERT_RESULT);
+      const req = mockReq({ favorite: true }, { [param]: "7" }, USER);
+      const res = mockRes();
+      await handler(req as any, res);
 
-        expect(mockStash.imageUpdate).not.toHaveBeenCalled();
-      });
+      expect(mockWriteBack.enqueue).toHaveBeenCalledWith(
+        expect.objectContaining({ entityType, entityId: "7", favorite: true })
+      );
     });
   });
 
@@ -26,6 +26,9 @@ vi.mock("../../prisma/singleton.js", () => ({
       deleteMany: vi.fn().mockResolvedValue({}),
       aggregate: vi.fn().mockResolvedValue({ _max: { priority: null } }),
     },
+    transcodeSettings: {
+      findFirst: vi.fn().mockResolvedValue({ id: 1, enabled: false }),
+    },
   },
 }));
 
@@ -142,6 +145,15 @@ describe("Setup Controller", () => {
         where: { enabled: true },
       });
     });
+
+    it("reports whether Peek transcoding is enabled", async () => {
+      mockPrisma.transcodeSettings.findFirst.mockResolvedValue({ id: 1, enabled: true } as any);
+
+      const res = mockRes();
+      await getSetupStatus(mockReq(), res);
+
+      expect(res._getBody().transcodeEnabled).toBe(true);
+    });
   });
 
   describe("createFirstAdmin", () => {
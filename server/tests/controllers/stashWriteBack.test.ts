@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for the Stash write-back controller
+ *
+ * Tests settings validation and the retry/discard actions on the queue.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../services/StashWriteBackService.js", async (importOriginal) => {
+  const actual = await importOriginal<typeof import("../../services/StashWriteBackService.js")>();
+  return {
+    ...actual,
+    stashWriteBackService: {
+      getStatus: vi.fn(),
+      updateSettings: vi.fn(),
+      retryAll: vi.fn(),
+      discard: vi.fn(),
+    },
+  };
+});
+
+vi.mock("../../prisma/singleton.js", () => ({ default: {} }));
+
+vi.mock("../../services/StashInstanceManager.js", () => ({
+  stashInstanceManager: { getForSync: vi.fn(), getConfig: vi.fn() },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import {
+  discardStashWriteBack,
+  retryStashWriteBack,
+  updateStashWriteBackSettings,
+} from "../../controllers/stashWriteBack.js";
+import { NotFoundError } from "../../middleware/errorHandler.js";
+import { stashWriteBackService } from "../../services/StashWriteBackService.js";
+import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
+
+const mockService = vi.mocked(stashWriteBackService);
+const ADMIN = { id: 1, role: "ADMIN" };
+
+describe("updateStashWriteBackSettings", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockService.updateSettings.mockImplementation(async (data) => ({
+      entityTypes: data.entityTypes ?? ["scene"],
+      conflictPolicy: data.conflictPolicy ?? "peek",
+    }));
+  });
+
+  it("saves valid settings", async () => {
+    const res = mockRes();
+
+    await updateStashWriteBackSettings(
+      mockReq({ entityTypes: ["scene", "tag", "scene"], conflictPolicy: "newest" }, {}, ADMIN),
+      res
+    );
+
+    expect(mockService.updateSettings).toHaveBeenCalledWith({
+      entityTypes: ["scene", "tag"],
+      conflictPolicy: "newest",
+    });
+    expect(res._getBody()).toEqual({
+      settings: { entityTypes: ["scene", "tag"], conflictPolicy: "newest" },
+    });
+  });
+
+  it("rejects unknown entity types", async () => {
+    const res = mockRes();
+
+    await updateStashWriteBackSettings(mockReq({ entityTypes: ["scene", "marker"] }, {}, ADMIN), res);
+
+    expect(res._getStatus()).toBe(400);
+    expect(mockService.updateSettings).not.toHaveBeenCalled();
+  });
+
+  it("rejects unknown conflict policies", async () => {
+    const res = mockRes();
+
+    await updateStashWriteBackSettings(mockReq({ conflictPolicy: "oldest" }, {}, ADMIN), res);
+
+    expect(res._getStatus()).toBe(400);
+    expect(res._getBody().error).toContain("conflictPolicy");
+  });
+});
+
+describe("retryStashWriteBack", () => {
+  it("returns how many changes were rescheduled", async () => {
+    mockService.retryAll.mockResolvedValue(4);
+    const res = mockRes();
+
+    await retryStashWriteBack(mockReq({}, {}, ADMIN), res);
+
+    expect(res._getBody()).toEqual({ retried: 4 });
+  });
+});
+
+describe("discardStashWriteBack", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("discards the change", async () => {
+    mockService.discard.mockResolvedValue(undefined);
+    const res = mockRes();
+
+    await discardStashWriteBack(mockReq({}, { id: "7" }, ADMIN), res);
+
+    expect(mockService.discard).toHaveBeenCalledWith(7);
+    expect(res._getBody()).toEqual({ ok: true });
+  });
+
+  it("returns 400 for a non-numeric id", async () => {
+    const res = mockRes();
+
+    await discardStashWriteBack(mockReq({}, { id: "abc" }, ADMIN), res);
+
+    expect(res._getStatus()).toBe(400);
+    expect(mockService.discard).not.toHaveBeenCalled();
+  });
+
+  it("returns 404 when the change is gone", async () => {
+    mockService.discard.mockRejectedValue(new NotFoundError("Pending change not found"));
+    const res = mockRes();
+
+    await discardStashWriteBack(mockReq({}, { id: "7" }, ADMIN), res);
+
+    expect(res._getStatus()).toBe(404);
+  });
+});
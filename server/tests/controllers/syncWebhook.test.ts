@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for the Stash plugin webhook controller
+ *
+ * Tests POST /api/sync/webhook: settings gate, instance/signature checks,
+ * payload validation, and queueing of accepted events.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../services/SyncWebhookService.js", async (importOriginal) => {
+  const actual = await importOriginal<typeof import("../../services/SyncWebhookService.js")>();
+  return {
+    ...actual,
+    syncWebhookService: {
+      isEnabled: vi.fn(),
+      getSecret: vi.fn(),
+      enqueue: vi.fn(),
+      logRejected: vi.fn(),
+    },
+  };
+});
+
+vi.mock("../../prisma/singleton.js", () => ({ default: {} }));
+
+vi.mock("../../services/StashSyncService.js", () => ({
+  stashSyncService: { syncSingleEntity: vi.fn() },
+}));
+
+vi.mock("../../services/StashInstanceManager.js", () => ({
+  stashInstanceManager: { getConfig: vi.fn() },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { receiveSyncWebhook } from "../../controllers/syncWebhook.js";
+import {
+  signWebhookPayload,
+  syncWebhookService,
+} from "../../services/SyncWebhookService.js";
+import { mockRes } from "../helpers/controllerTestUtils.js";
+
+const mockService = vi.mocked(syncWebhookService);
+
+const SECRET = "instance-secret";
+
+function webhookReq(
+  payload: unknown,
+  options: { instanceId?: string; secret?: string; timestamp?: string } = {}
+) {
+  const rawBody = typeof payload === "string" ? payload : JSON.stringify(payload);
+  const timestamp = options.timestamp ?? String(Math.floor(Date.now() / 1000));
+  const headers: Record<string, string> = {
+    "x-peek-instance": options.instanceId ?? "instance-1",
+    "x-peek-timestamp": timestamp,
+    "x-peek-signature": signWebhookPayload(options.secret ?? SECRET, timestamp, rawBody),
+  };
+  return {
+    body: Buffer.from(rawBody),
+    params: {},
+    query: {},
+    get: (name: string) => headers[name.toLowerCase()],
+  } as any;
+}
+
+describe("receiveSyncWebhook", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockService.isEnabled.mockResolvedValue(true);
+    mockService.getSecret.mockResolvedValue(SECRET);
+  });
+
+  it("returns 403 when the webhook is disabled", async () => {
+    mockService.isEnabled.mockResolvedValue(false);
+    const res = mockRes();
+
+    await receiveSyncWebhook(webhookReq({ entity: "scene", id: "1", action: "update" }), res);
+
+    expect(res._getStatus()).toBe(403);
+    expect(mockService.enqueue).not.toHaveBeenCalled();
+  });
+
+  it("returns 401 for an instance without a secret", async () => {
+    mockService.getSecret.mockResolvedValue(null);
+    const res = mockRes();
+
+    await receiveSyncWebhook(webhookReq({ entity: "scene", id: "1", action: "update" }), res);
+
+    expect(res._getStatus()).toBe(401);
+    expect(mockService.logRejected).not.toHaveBeenCalled();
+  });
+
+  it("returns 401 and logs a rejection for a bad signature", async () => {
+    const res = mockRes();
+
+    await receiveSyncWebhook(
+      webhookReq({ entity: "scene", id: "1", action: "update" }, { secret: "wrong" }),
+      res
+    );
+
+    expect(res._getStatus()).toBe(401);
+    expect(mockService.logRejected).toHaveBeenCalledWith(
+      "instance-1",
+      "Invalid signature or timestamp"
+    );
+    expect(mockService.enqueue).not.toHaveBeenCalled();
+  });
+
+  it("returns 400 for malformed JSON", async () => {
+    const res = mockRes();
+
+    await receiveSyncWebhook(webhookReq("{not json"), res);
+
+    expect(res._getStatus()).toBe(400);
+    expect(mockService.logRejected).toHaveBeenCalled();
+  });
+
+  it("returns 400 for invalid events", async () => {
+    const res = mockRes();
+
+    await receiveSyncWebhook(
+      webhookReq({ events: [{ entity: "scene", id: "1", action: "explode" }] }),
+      res
+    );
+
+    expect(res._getStatus()).toBe(400);
+    expect(res._getBody().error).toBe("Invalid events");
+  });
+
+  it("queues a signed batch and returns 202", async () => {
+    const res = mockRes();
+
+    await receiveSyncWebhook(
+      webhookReq({
+        events: [
+          { entity: "scene", id: "1", action: "update" },
+          { entity: "gallery", id: "4", action: "delete" },
+        ],
+      }),
+      res
+    );
+
+    expect(res._getStatus()).toBe(202);
+    expect(res._getBody()).toEqual({ ok: true, accepted: 2 });
+    expect(mockService.enqueue).toHaveBeenCalledWith("instance-1", [
+      { entity: "scene", id: "1", action: "update" },
+      { entity: "gallery", id: "4", action: "delete" },
+    ]);
+  });
+});
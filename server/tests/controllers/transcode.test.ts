@@ -0,0 +1,213 @@
+/**
+ * Unit Tests for transcode controllers
+ *
+ * Tests that playback checks the transcoder is on and the user can see the
+ * scene's instance, segment name parsing, settings validation and stopping
+ * encodes. Encoding itself is covered by TranscodeService tests.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../services/TranscodeService.js", () => ({
+  MAX_CONCURRENT_LIMIT: 16,
+  MIN_CACHE_LIMIT_MB: 512,
+  buildTranscodePlaylist: vi.fn(() => "#EXTM3U\n"),
+  isTranscodeQuality: (value: unknown) => value === "720p" || value === "480p",
+  toTranscodeSettingsData: (settings: Record<string, unknown>) => ({
+    enabled: settings.enabled,
+    maxConcurrent: settings.maxConcurrent,
+    cacheLimitMb: settings.cacheLimitMb,
+  }),
+  transcodeService: {
+    getSettings: vi.fn(),
+    updateSettings: vi.fn(),
+    resolveSource: vi.fn(),
+    getSegment: vi.fn(),
+    stopJob: vi.fn(),
+  },
+}));
+
+vi.mock("../../services/UserInstanceService.js", () => ({
+  getUserAllowedInstanceIds: vi.fn(),
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import {
+  getTranscodePlaylist,
+  getTranscodeSegment,
+  stopTranscodeJob,
+  updateTranscodeSettings,
+} from "../../controllers/transcode.js";
+import { NotFoundError } from "../../middleware/errorHandler.js";
+import { buildTranscodePlaylist, transcodeService } from "../../services/TranscodeService.js";
+import { getUserAllowedInstanceIds } from "../../services/UserInstanceService.js";
+import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
+
+const mockService = vi.mocked(transcodeService);
+const mockAllowed = vi.mocked(getUserAllowedInstanceIds);
+
+const USER = { id: 3, username: "alice", role: "USER" };
+const ADMIN = { id: 1, username: "admin", role: "ADMIN" };
+
+const SOURCE = { sceneId: "42", instanceId: "inst-1", title: "Scene", durationSeconds: 600 };
+
+const settings = (overrides = {}) => ({
+  id: 1,
+  enabled: true,
+  maxConcurrent: 2,
+  cacheLimitMb: 10240,
+  ...overrides,
+});
+
+const streamRes = () =>
+  Object.assign(mockRes(), { setHeader: vi.fn(), send: vi.fn(), sendFile: vi.fn() });
+
+describe("Transcode controllers", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockService.getSettings.mockResolvedValue(settings() as any);
+    mockService.resolveSource.mockResolvedValue(SOURCE);
+    mockAllowed.mockResolvedValue(["inst-1"]);
+  });
+
+  describe("getTranscodePlaylist", () => {
+    it("sends the playlist with the instance ID on segment URLs", async () => {
+      const req = mockReq({}, { sceneId: "42", quality: "720p" }, USER, { instanceId: "inst-1" });
+      const res = streamRes();
+
+      await getTranscodePlaylist(req, res);
+
+      expect(mockService.resolveSource).toHaveBeenCalledWith("42", "inst-1");
+      expect(buildTranscodePlaylist).toHaveBeenCalledWith(600, "?instanceId=inst-1");
+      expect(res.setHeader).toHaveBeenCalledWith("content-type", "application/vnd.apple.mpegurl");
+      expect(res.send).toHaveBeenCalledWith("#EXTM3U\n");
+    });
+
+    it("rejects unknown qualities", async () => {
+      const res = streamRes();
+      await getTranscodePlaylist(mockReq({}, { sceneId: "42", quality: "999p" }, USER), res);
+      expect(res._getStatus()).toBe(400);
+    });
+
+    it("is not found while transcoding is off", async () => {
+      mockService.getSettings.mockResolvedValue(settings({ enabled: false }) as any);
+
+      const res = streamRes();
+      await getTranscodePlaylist(mockReq({}, { sceneId: "42", quality: "720p" }, USER), res);
+
+      expect(res._getStatus()).toBe(404);
+      expect(mockService.resolveSource).not.toHaveBeenCalled();
+    });
+
+    it("hides scenes from instances the user can't see", async () => {
+      mockAllowed.mockResolvedValue(["inst-2"]);
+
+      const res = streamRes();
+      await getTranscodePlaylist(mockReq({}, { sceneId: "42", quality: "720p" }, USER), res);
+
+      expect(res._getStatus()).toBe(404);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+
+    it("passes through missing scenes", async () => {
+      mockService.resolveSource.mockRejectedValue(new NotFoundError("Scene not found"));
+
+      const res = streamRes();
+      await getTranscodePlaylist(mockReq({}, { sceneId: "42", quality: "720p" }, USER), res);
+
+      expect(res._getStatus()).toBe(404);
+      expect(res._getBody()).toEqual({ error: "Scene not found" });
+    });
+  });
+
+  describe("getTranscodeSegment", () => {
+    it("serves the segment for the requesting user", async () => {
+      mockService.getSegment.mockResolvedValue("/cache/inst-1_42_480p/segment_00012.ts");
+
+      const res = streamRes();
+      await getTranscodeSegment(
+        mockReq({}, { sceneId: "42", quality: "480p", segment: "12.ts" }, USER),
+        res
+      );
+
+      expect(mockService.getSegment).toHaveBeenCalledWith(SOURCE, "480p", 12, "alice");
+      expect(res.sendFile).toHaveBeenCalledWith(
+        "/cache/inst-1_42_480p/segment_00012.ts",
+        expect.objectContaining({
+          headers: expect.objectContaining({ "content-type": "video/mp2t" }),
+        })
+      );
+    });
+
+    it("rejects malformed segment names", async () => {
+      const res = streamRes();
+      await getTranscodeSegment(
+        mockReq({}, { sceneId: "42", quality: "480p", segment: "../x.ts" }, USER),
+        res
+      );
+
+      expect(res._getStatus()).toBe(404);
+      expect(mockService.getSegment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateTranscodeSettings", () => {
+    it("saves valid settings", async () => {
+      mockService.updateSettings.mockResolvedValue(
+        settings({ maxConcurrent: 4, cacheLimitMb: 2048 }) as any
+      );
+
+      const res = mockRes();
+      await updateTranscodeSettings(
+        mockReq({ enabled: true, maxConcurrent: 4, cacheLimitMb: 2048 }, {}, ADMIN),
+        res
+      );
+
+      expect(mockService.updateSettings).toHaveBeenCalledWith({
+        enabled: true,
+        maxConcurrent: 4,
+        cacheLimitMb: 2048,
+      });
+      expect(res._getBody()).toEqual({
+        settings: { enabled: true, maxConcurrent: 4, cacheLimitMb: 2048 },
+      });
+    });
+
+    it.each([
+      [{ enabled: "yes" }],
+      [{ maxConcurrent: 0 }],
+      [{ maxConcurrent: 17 }],
+      [{ maxConcurrent: 1.5 }],
+      [{ cacheLimitMb: 100 }],
+    ])("rejects %o", async (body) => {
+      const res = mockRes();
+      await updateTranscodeSettings(mockReq(body, {}, ADMIN), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockService.updateSettings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("stopTranscodeJob", () => {
+    it("stops a running encode", () => {
+      mockService.stopJob.mockReturnValue(true);
+
+      const res = mockRes();
+      stopTranscodeJob(mockReq({}, { id: "inst-1:42:720p" }, ADMIN), res);
+
+      expect(mockService.stopJob).toHaveBeenCalledWith("inst-1:42:720p");
+      expect(res._getBody()).toEqual({ success: true });
+    });
+
+    it("is not found when the encode isn't running", () => {
+      mockService.stopJob.mockReturnValue(false);
+
+      const res = mockRes();
+      stopTranscodeJob(mockReq({}, { id: "nope" }, ADMIN), res);
+
+      expect(res._getStatus()).toBe(404);
+    });
+  });
+});
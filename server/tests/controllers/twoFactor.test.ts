@@ -0,0 +1,242 @@
+/**
+ * Unit Tests for two-factor controllers
+ *
+ * Tests password confirmation, the rule that a required second factor can't
+ * be removed, credential ownership, the admin reset and audit entries.
+ * TOTP and WebAuthn verification are covered by TwoFactorService tests.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    user: { findUnique: vi.fn() },
+  },
+}));
+
+vi.mock("bcryptjs", () => ({
+  default: { compare: vi.fn() },
+}));
+
+vi.mock("../../services/TwoFactorService.js", () => ({
+  MAX_CREDENTIAL_NAME_LENGTH: 64,
+  getRelyingParty: vi.fn(() => ({ rpID: "localhost", origin: "http://localhost" })),
+  twoFactorService: {
+    getStatus: vi.fn(),
+    confirmTotpSetup: vi.fn(),
+    disableTotp: vi.fn(),
+    regenerateBackupCodes: vi.fn(),
+    registerCredential: vi.fn(),
+    removeCredential: vi.fn(),
+    reset: vi.fn(),
+  },
+}));
+
+vi.mock("../../services/AuditLogService.js", () => ({
+  auditLogService: { recordRequest: vi.fn() },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import bcrypt from "bcryptjs";
+import {
+  adminResetTwoFactor,
+  confirmTotpSetup,
+  deleteWebAuthnCredential,
+  disableTotp,
+  registerWebAuthnCredential,
+} from "../../controllers/twoFactor.js";
+import { ValidationError } from "../../middleware/errorHandler.js";
+import prisma from "../../prisma/singleton.js";
+import { auditLogService } from "../../services/AuditLogService.js";
+import { twoFactorService } from "../../services/TwoFactorService.js";
+import type { TwoFactorStatus } from "../../types/api/index.js";
+import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
+
+const mockPrisma = vi.mocked(prisma, true);
+const mockBcrypt = vi.mocked(bcrypt);
+const mockService = vi.mocked(twoFactorService);
+const mockAudit = vi.mocked(auditLogService);
+
+const USER = { id: 2, username: "alice", role: "USER" };
+const ADMIN = { id: 1, username: "admin", role: "ADMIN" };
+
+const status = (overrides: Partial<TwoFactorStatus> = {}): TwoFactorStatus => ({
+  totpEnabled: true,
+  backupCodesRemaining: 10,
+  credentials: [],
+  required: false,
+  ...overrides,
+});
+
+const passkey = { id: 5, name: "YubiKey", lastUsedAt: null, createdAt: "2026-03-07T00:00:00.000Z" };
+
+describe("two-factor controllers", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.user.findUnique.mockResolvedValue({ password: "hash" } as any);
+  });
+
+  describe("confirmTotpSetup", () => {
+    it("requires a code", async () => {
+      const res = mockRes();
+      await confirmTotpSetup(mockReq({}, {}, USER), res);
+      expect(res._getStatus()).toBe(400);
+    });
+
+    it("returns the service's validation message", async () => {
+      mockService.confirmTotpSetup.mockRejectedValue(new ValidationError("That code didn't match"));
+      const res = mockRes();
+
+      await confirmTotpSetup(mockReq({ code: "000000" }, {}, USER), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(res._getBody()).toEqual({ error: "That code didn't match" });
+      expect(mockAudit.recordRequest).not.toHaveBeenCalled();
+    });
+
+    it("returns new backup codes and audits the change", async () => {
+      mockService.confirmTotpSetup.mockResolvedValue(["abcd-efgh"]);
+      mockService.getStatus.mockResolvedValue(status());
+      const res = mockRes();
+
+      await confirmTotpSetup(mockReq({ code: "123456" }, {}, USER), res);
+
+      expect(res._getBody()).toEqual({ status: status(), backupCodes: ["abcd-efgh"] });
+      expect(mockAudit.recordRequest).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ action: "user.two_factor_enable" })
+      );
+    });
+  });
+
+  describe("disableTotp", () => {
+    it("rejects a wrong password", async () => {
+      mockBcrypt.compare.mockResolvedValue(false as never);
+      const res = mockRes();
+
+      await disableTotp(mockReq({ password: "nope" }, {}, USER), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockService.disableTotp).not.toHaveBeenCalled();
+    });
+
+    it("won't remove the only factor when policy requires one", async () => {
+      mockBcrypt.compare.mockResolvedValue(true as never);
+      mockService.getStatus.mockResolvedValue(status({ required: true }));
+      const res = mockRes();
+
+      await disableTotp(mockReq({ password: "pw" }, {}, USER), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockService.disableTotp).not.toHaveBeenCalled();
+    });
+
+    it("allows it when a security key remains", async () => {
+      mockBcrypt.compare.mockResolvedValue(true as never);
+      mockService.getStatus.mockResolvedValue(status({ required: true, credentials: [passkey] }));
+      const res = mockRes();
+
+      await disableTotp(mockReq({ password: "pw" }, {}, USER), res);
+
+      expect(res._getStatus()).toBe(200);
+      expect(mockService.disableTotp).toHaveBeenCalledWith(USER.id);
+      expect(mockAudit.recordRequest).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ action: "user.two_factor_disable" })
+      );
+    });
+  });
+
+  describe("registerWebAuthnCredential", () => {
+    it("requires a name", async () => {
+      const res = mockRes();
+      await registerWebAuthnCredential(mockReq({ name: " ", response: {} }, {}, USER), res);
+      expect(res._getStatus()).toBe(400);
+    });
+
+    it("limits the name length", async () => {
+      const res = mockRes();
+      await registerWebAuthnCredential(
+        mockReq({ name: "x".repeat(65), response: {} }, {}, USER),
+        res
+      );
+      expect(res._getStatus()).toBe(400);
+      expect(mockService.registerCredential).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deleteWebAuthnCredential", () => {
+    it("returns 404 for another user's key", async () => {
+      mockService.getStatus.mockResolvedValue(status({ credentials: [passkey] }));
+      const res = mockRes();
+
+      await deleteWebAuthnCredential(mockReq({}, { credentialId: "99" }, USER), res);
+
+      expect(res._getStatus()).toBe(404);
+      expect(mockService.removeCredential).not.toHaveBeenCalled();
+    });
+
+    it("won't remove the only factor when policy requires one", async () => {
+      mockService.getStatus.mockResolvedValue(
+        status({ totpEnabled: false, required: true, credentials: [passkey] })
+      );
+      const res = mockRes();
+
+      await deleteWebAuthnCredential(mockReq({}, { credentialId: "5" }, USER), res);
+
+      expect(res._getStatus()).toBe(400);
+    });
+
+    it("removes the key and audits it", async () => {
+      mockService.getStatus.mockResolvedValue(status({ credentials: [passkey] }));
+      const res = mockRes();
+
+      await deleteWebAuthnCredential(mockReq({}, { credentialId: "5" }, USER), res);
+
+      expect(mockService.removeCredential).toHaveBeenCalledWith(USER.id, 5);
+      expect(mockAudit.recordRequest).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          action: "user.passkey_remove",
+          details: { credentialId: 5, name: "YubiKey" },
+        })
+      );
+    });
+  });
+
+  describe("adminResetTwoFactor", () => {
+    it("requires admin", async () => {
+      const res = mockRes();
+      await adminResetTwoFactor(mockReq({}, { userId: "2" }, USER), res);
+      expect(res._getStatus()).toBe(403);
+    });
+
+    it("returns 404 for an unknown user", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(null);
+      const res = mockRes();
+
+      await adminResetTwoFactor(mockReq({}, { userId: "42" }, ADMIN), res);
+
+      expect(res._getStatus()).toBe(404);
+    });
+
+    it("resets the user's factors and audits it", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 2, username: "alice" } as any);
+      mockService.getStatus.mockResolvedValue(status({ totpEnabled: false }));
+      const res = mockRes();
+
+      await adminResetTwoFactor(mockReq({}, { userId: "2" }, ADMIN), res);
+
+      expect(mockService.reset).toHaveBeenCalledWith(2);
+      expect(mockAudit.recordRequest).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          action: "user.two_factor_reset",
+          target: { type: "user", id: 2, label: "alice" },
+        })
+      );
+    });
+  });
+});
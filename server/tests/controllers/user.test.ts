@@ -773,6 +773,7 @@ describe("User Controller", () => {
     });
 
     it("updates role successfully", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ role: "USER" } as any);
       mockPrisma.user.update.mockResolvedValue({
         id: 3,
         username: "user3",
@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for user data export/import controllers
+ *
+ * Tests the download headers, import option validation, and that admins
+ * acting on another user's data are audited. Matching and merging are
+ * covered by UserDataTransferService tests.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: { user: { findUnique: vi.fn() } },
+}));
+
+vi.mock("../../services/UserDataTransferService.js", () => ({
+  userDataTransferService: {
+    exportUser: vi.fn(),
+    importUser: vi.fn(),
+  },
+}));
+
+vi.mock("../../services/AuditLogService.js", () => ({
+  auditLogService: { recordRequest: vi.fn() },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import {
+  adminExportUserData,
+  adminImportUserData,
+  exportUserData,
+  importUserData,
+} from "../../controllers/userData.js";
+import { ValidationError } from "../../middleware/errorHandler.js";
+import prisma from "../../prisma/singleton.js";
+import { auditLogService } from "../../services/AuditLogService.js";
+import { userDataTransferService } from "../../services/UserDataTransferService.js";
+import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
+
+const mockService = vi.mocked(userDataTransferService);
+const mockAudit = vi.mocked(auditLogService);
+const mockPrisma = vi.mocked(prisma, true);
+
+const USER = { id: 3, username: "alice", role: "USER" };
+const ADMIN = { id: 1, username: "admin", role: "ADMIN" };
+
+const ARCHIVE = { exportedAt: "2026-03-01T12:00:00.000Z", username: "alice b" };
+
+const RESULT = {
+  dryRun: false,
+  mode: "merge",
+  sections: {},
+  conflicts: [],
+  conflictCount: 0,
+};
+
+const downloadRes = () => Object.assign(mockRes(), { setHeader: vi.fn(), send: vi.fn() });
+
+describe("User data controllers", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockService.exportUser.mockResolvedValue(ARCHIVE as any);
+    mockService.importUser.mockResolvedValue(RESULT as any);
+    mockPrisma.user.findUnique.mockResolvedValue({ username: "bob" } as any);
+  });
+
+  describe("exportUserData", () => {
+    it("downloads the current user's archive", async () => {
+      const res = downloadRes();
+      await exportUserData(mockReq({}, {}, USER), res as any);
+
+      expect(mockService.exportUser).toHaveBeenCalledWith(3);
+      expect(res.setHeader).toHaveBeenCalledWith(
+        "Content-Disposition",
+        'attachment; filename="peek-user-data-alice_b-2026-03-01.json"'
+      );
+      expect(JSON.parse(res.send.mock.calls[0]?.[0] as string)).toEqual(ARCHIVE);
+      expect(mockAudit.recordRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("importUserData", () => {
+    it("defaults to a merge", async () => {
+      const res = mockRes();
+      await importUserData(mockReq({ archive: { format: "x" } }, {}, USER), res);
+
+      expect(mockService.importUser).toHaveBeenCalledWith(3, { format: "x" }, "merge", false);
+      expect(res._getBody()).toEqual(RESULT);
+    });
+
+    it("passes dry runs and overwrite through", async () => {
+      const res = mockRes();
+      await importUserData(
+        mockReq({ archive: {}, mode: "overwrite", dryRun: true }, {}, USER),
+        res
+      );
+
+      expect(mockService.importUser).toHaveBeenCalledWith(3, {}, "overwrite", true);
+    });
+
+    it("rejects unknown modes", async () => {
+      const res = mockRes();
+      await importUserData(mockReq({ archive: {}, mode: "replace" }, {}, USER), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockService.importUser).not.toHaveBeenCalled();
+    });
+
+    it("reports invalid archives as bad requests", async () => {
+      mockService.importUser.mockRejectedValue(
+        new ValidationError("This file is not a Peek user data export")
+      );
+
+      const res = mockRes();
+      await importUserData(mockReq({ archive: {} }, {}, USER), res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(res._getBody()).toEqual({ error: "This file is not a Peek user data export" });
+    });
+  });
+
+  describe("adminExportUserData", () => {
+    it("exports another user's data and audits it", async () => {
+      const res = downloadRes();
+      await adminExportUserData(mockReq({}, { userId: "7" }, ADMIN), res as any);
+
+      expect(mockService.exportUser).toHaveBeenCalledWith(7);
+      expect(mockAudit.recordRequest).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          action: "user.data_export",
+          target: { type: "user", id: 7, label: "alice b" },
+        })
+      );
+    });
+
+    it("rejects invalid user IDs", async () => {
+      const res = downloadRes();
+      await adminExportUserData(mockReq({}, { userId: "abc" }, ADMIN), res as any);
+
+      expect(res._getStatus()).toBe(400);
+    });
+  });
+
+  describe("adminImportUserData", () => {
+    it("imports into another user's account and audits it", async () => {
+      const res = mockRes();
+      await adminImportUserData(mockReq({ archive: {} }, { userId: "7" }, ADMIN), res);
+
+      expect(mockService.importUser).toHaveBeenCalledWith(7, {}, "merge", false);
+      expect(mockAudit.recordRequest).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          action: "user.data_import",
+          target: { type: "user", id: 7, label: "bob" },
+          details: { mode: "merge", sections: {} },
+        })
+      );
+    });
+
+    it("doesn't audit dry runs", async () => {
+      mockService.importUser.mockResolvedValue({ ...RESULT, dryRun: true } as any);
+
+      const res = mockRes();
+      await adminImportUserData(
+        mockReq({ archive: {}, dryRun: true }, { userId: "7" }, ADMIN),
+        res
+      );
+
+      expect(mockAudit.recordRequest).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -482,6 +482,7 @@ describe("User Controller — Features", () => {
     });
 
     it("replaces all restrictions and recomputes exclusions", async () => {
+      mockPrisma.userContentRestriction.findMany.mockResolvedValue([]);
       mockPrisma.userContentRestriction.deleteMany.mockResolvedValue({ count: 1 } as any);
       mockPrisma.userContentRestriction.create.mockResolvedValue({ id: 1 } as any);
       const req = mockReq(
@@ -512,6 +513,7 @@ describe("User Controller — Features", () => {
     });
 
     it("deletes all restrictions and recomputes exclusions", async () => {
+      mockPrisma.userContentRestriction.findMany.mockResolvedValue([]);
       mockPrisma.userContentRestriction.deleteMany.mockResolvedValue({ count: 3 } as any);
       const req = mockReq({}, { userId: "2" }, ADMIN);
       const res = mockRes();
@@ -774,6 +776,7 @@ describe("User Controller — Features", () => {
     });
 
     it("updates overrides and returns permissions", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ username: "user3", canShareOverride: null } as any);
       mockPrisma.user.update.mockResolvedValue({} as any);
       mockResolvePermissions.mockResolvedValue({ canShare: true } as any);
       const req = mockReq({ canShareOverride: true }, { userId: "3" }, ADMIN);
@@ -784,6 +787,7 @@ describe("User Controller — Features", () => {
     });
 
     it("accepts null to clear overrides", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ username: "user3", canShareOverride: true } as any);
       mockPrisma.user.update.mockResolvedValue({} as any);
       mockResolvePermissions.mockResolvedValue({} as any);
       const req = mockReq({ canShareOverride: null }, { userId: "3" }, ADMIN);
@@ -3,7 +3,7 @@
  *
  * Tests the getUserStats endpoint including auth checks, sortBy validation
  * (with default fallback), ranking freshness logic (ensureFreshRankings),
- * and error handling.
+ * and error handling, plus query validation for the activity endpoints.
  */
 import { describe, it, expect, beforeEach, vi } from "vitest";
 
@@ -14,6 +14,16 @@ vi.mock("../../services/UserStatsAggregationService.js", () => ({
   },
 }));
 
+vi.mock("../../services/UserActivityStatsService.js", async (importOriginal) => ({
+  ...(await importOriginal<typeof import("../../services/UserActivityStatsService.js")>()),
+  userActivityStatsService: {
+    getTimeSeries: vi.fn(),
+    getActivity: vi.fn(),
+    getTrends: vi.fn(),
+    getYearInReview: vi.fn(),
+  },
+}));
+
 vi.mock("../../services/RankingComputeService.js", () => ({
   default: {
     recomputeAllRankings: vi.fn(),
@@ -35,10 +45,18 @@ vi.mock("../../utils/logger.js", () => ({
 import { userStatsAggregationService } from "../../services/UserStatsAggregationService.js";
 import rankingComputeService from "../../services/RankingComputeService.js";
 import prisma from "../../prisma/singleton.js";
-import { getUserStats } from "../../controllers/userStats.js";
+import { userActivityStatsService } from "../../services/UserActivityStatsService.js";
+import {
+  getUserStats,
+  getUserStatsTimeSeries,
+  getUserActivity,
+  getUserStatsTrends,
+  getYearInReview,
+} from "../../controllers/userStats.js";
 import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
 
 const mockStatsService = vi.mocked(userStatsAggregationService);
+const mockActivityService = vi.mocked(userActivityStatsService);
 const mockRankingService = vi.mocked(rankingComputeService);
 const mockPrisma = vi.mocked(prisma);
 
@@ -209,4 +227,153 @@ describe("UserStats Controller", () => {
       expect(res._getStatus()).toBe(500);
     });
   });
+
+  // ─── Activity endpoints ───────────────────────────────────────────────────
+
+  describe("getUserStatsTimeSeries", () => {
+    beforeEach(() => {
+      mockActivityService.getTimeSeries.mockResolvedValue({ granularity: "months", series: [] });
+    });
+
+    it("defaults to monthly periods", async () => {
+      const req = mockReq({}, {}, USER, { timezone: "Europe/Berlin" });
+      const res = mockRes();
+
+      await getUserStatsTimeSeries(req, res);
+
+      expect(res._getStatus()).toBe(200);
+      expect(mockActivityService.getTimeSeries).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ granularity: "months", timezone: "Europe/Berlin" })
+      );
+    });
+
+    it("passes the entity filter through", async () => {
+      const req = mockReq({}, {}, USER, { granularity: "weeks", performerId: "p1" });
+      const res = mockRes();
+
+      await getUserStatsTimeSeries(req, res);
+
+      expect(mockActivityService.getTimeSeries).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ granularity: "weeks", performerId: "p1" })
+      );
+    });
+
+    it("returns 400 for an invalid granularity", async () => {
+      const req = mockReq({}, {}, USER, { granularity: "hours" });
+      const res = mockRes();
+
+      await getUserStatsTimeSeries(req, res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockActivityService.getTimeSeries).not.toHaveBeenCalled();
+    });
+
+    it("returns 400 for an invalid or reversed date range", async () => {
+      for (const query of [{ from: "2024-02-30" }, { from: "2024-03-01", to: "2024-02-01" }]) {
+        const req = mockReq({}, {}, USER, query);
+        const res = mockRes();
+
+        await getUserStatsTimeSeries(req, res);
+
+        expect(res._getStatus()).toBe(400);
+      }
+    });
+
+    it("returns 500 when the service throws", async () => {
+      mockActivityService.getTimeSeries.mockRejectedValue(new Error("boom"));
+      const req = mockReq({}, {}, USER, {});
+      const res = mockRes();
+
+      await getUserStatsTimeSeries(req, res);
+
+      expect(res._getStatus()).toBe(500);
+    });
+  });
+
+  describe("getUserActivity", () => {
+    it("covers the last 365 days without a year", async () => {
+      mockActivityService.getActivity.mockResolvedValue({} as any);
+      const req = mockReq({}, {}, USER, {});
+      const res = mockRes();
+
+      await getUserActivity(req, res);
+
+      expect(mockActivityService.getActivity).toHaveBeenCalledWith(1, {
+        year: undefined,
+        timezone: undefined,
+      });
+    });
+
+    it("returns 400 for an invalid year", async () => {
+      const req = mockReq({}, {}, USER, { year: "twenty" });
+      const res = mockRes();
+
+      await getUserActivity(req, res);
+
+      expect(res._getStatus()).toBe(400);
+    });
+  });
+
+  describe("getUserStatsTrends", () => {
+    it("applies defaults", async () => {
+      mockActivityService.getTrends.mockResolvedValue({} as any);
+      const req = mockReq({}, {}, USER, {});
+      const res = mockRes();
+
+      await getUserStatsTrends(req, res);
+
+      expect(mockActivityService.getTrends).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({
+          entityType: "performer",
+          granularity: "months",
+          metric: "playCount",
+          limit: 5,
+          window: 3,
+        })
+      );
+    });
+
+    it.each([
+      [{ entityType: "scene" }],
+      [{ metric: "oCount" }],
+      [{ limit: "0" }],
+      [{ limit: "50" }],
+      [{ window: "1.5" }],
+    ])("returns 400 for %o", async (query) => {
+      const req = mockReq({}, {}, USER, query);
+      const res = mockRes();
+
+      await getUserStatsTrends(req, res);
+
+      expect(res._getStatus()).toBe(400);
+      expect(mockActivityService.getTrends).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getYearInReview", () => {
+    it("passes the requested year", async () => {
+      mockActivityService.getYearInReview.mockResolvedValue({} as any);
+      const req = mockReq({}, {}, USER, { year: "2024" });
+      const res = mockRes();
+
+      await getYearInReview(req, res);
+
+      expect(mockActivityService.getYearInReview).toHaveBeenCalledWith(1, {
+        year: 2024,
+        timezone: undefined,
+      });
+    });
+
+    it("returns 400 for an invalid year", async () => {
+      const req = mockReq({}, {}, USER, { year: "1900" });
+      const res = mockRes();
+
+      await getYearInReview(req, res);
+
+      expect(res._getStatus()).toBe(400);
+    });
+  });
 });
@@ -25,14 +25,24 @@ vi.mock("../../utils/streamProxy.js", () => ({
   pipeResponseToClient: vi.fn().mockResolvedValue(undefined),
 }));
 
+vi.mock("../../services/AccessScheduleService.js", () => ({
+  accessScheduleService: {
+    getStatus: vi.fn(),
+    guardStream: vi.fn(),
+  },
+}));
+
 // ---------------------------------------------------------------------------
 // Imports (after mocks)
 // ---------------------------------------------------------------------------
 
-import { proxyStashStream, getCaption } from "../../controllers/video.js";
+import { createStreamToken, proxyStashStream, getCaption } from "../../controllers/video.js";
+import { STREAM_TOKEN_TTL_SECONDS, verifyStreamToken } from "../../middleware/auth.js";
+import { accessScheduleService } from "../../services/AccessScheduleService.js";
 import { stashInstanceManager } from "../../services/StashInstanceManager.js";
 import { pipeResponseToClient } from "../../utils/streamProxy.js";
 
+const mockAccess = vi.mocked(accessScheduleService);
 const mockInstanceManager = vi.mocked(stashInstanceManager);
 const mockPipeResponseToClient = vi.mocked(pipeResponseToClient);
 
@@ -473,6 +483,118 @@ describe("Video Controller", () => {
         expect(res.on).toHaveBeenCalledWith("close", expect.any(Function));
       });
     });
+
+    // -----------------------------------------------------------------------
+    // Access schedules
+    // -----------------------------------------------------------------------
+    describe("access schedules", () => {
+      const mp4Req = () =>
+        createMockReq({
+          params: { sceneId: "123", streamPath: "stream.mp4" },
+          url: "/api/scene/123/proxy-stream/stream.mp4",
+          user: { id: 5, username: "kid", role: "USER" },
+        });
+
+      it("refuses signed-in users whose schedule is closed", async () => {
+        mockAccess.getStatus.mockResolvedValue({ allowed: false, restricted: true } as any);
+        const res = createMockRes();
+
+        await proxyStashStream(mp4Req(), res);
+
+        expect(mockAccess.getStatus).toHaveBeenCalledWith(5);
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(global.fetch).not.toHaveBeenCalled();
+      });
+
+      it("guards streams of restricted users so they end with the window", async () => {
+        mockAccess.getStatus.mockResolvedValue({ allowed: true, restricted: true } as any);
+        (global.fetch as ReturnType<typeof vi.fn>).mockResolvedValue(
+          makeFetchResponse("", { contentType: "video/mp4" }),
+        );
+        const res = createMockRes();
+
+        await proxyStashStream(mp4Req(), res);
+
+        expect(mockAccess.guardStream).toHaveBeenCalledWith(5, res);
+        expect(mockPipeResponseToClient).toHaveBeenCalled();
+      });
+
+      it("leaves the schedule to the caller when there's no user (DLNA)", async () => {
+        (global.fetch as ReturnType<typeof vi.fn>).mockResolvedValue(
+          makeFetchResponse("", { contentType: "video/mp4" }),
+        );
+
+        await proxyStashStream(createMockReq(), createMockRes());
+
+        expect(mockAccess.getStatus).not.toHaveBeenCalled();
+      });
+    });
+
+    // -----------------------------------------------------------------------
+    // Stream tokens
+    // -----------------------------------------------------------------------
+    describe("stream tokens", () => {
+      it("passes the stream token on to segments but not to Stash", async () => {
+        const req = createMockReq({
+          query: { instanceId: "inst-a", streamToken: "tok" },
+          url: "/api/scene/123/proxy-stream/stream.m3u8?instanceId=inst-a&streamToken=tok&resolution=FULL_HD",
+        });
+        const res = createMockRes();
+        (global.fetch as ReturnType<typeof vi.fn>).mockResolvedValue(
+          makeFetchResponse("#EXTM3U\nsegment_0.ts?apikey=secret\n"),
+        );
+
+        await proxyStashStream(req, res);
+
+        const stashUrl: string = (global.fetch as ReturnType<typeof vi.fn>).mock.calls[0][0];
+        expect(stashUrl).not.toContain("streamToken");
+        expect(stashUrl).toContain("resolution=FULL_HD");
+        const sentContent: string = res.send.mock.calls[0][0];
+        expect(sentContent).toContain(
+          "/api/scene/123/proxy-stream/segment_0.ts?instanceId=inst-a&streamToken=tok",
+        );
+      });
+    });
+  });
+
+  // =========================================================================
+  // createStreamToken
+  // =========================================================================
+  describe("createStreamToken", () => {
+    const tokenReq = () => ({ params: { sceneId: "123" }, user: { id: 5, username: "kid", role: "USER" } }) as any;
+
+    it("issues a token for the user and scene", async () => {
+      mockAccess.getStatus.mockResolvedValue({ allowed: true, restricted: false, closesAt: null } as any);
+      const res = createMockRes();
+
+      await createStreamToken(tokenReq(), res);
+
+      const { token, expiresAt } = res.json.mock.calls[0][0];
+      expect(verifyStreamToken(token)).toMatchObject({ id: 5, sceneId: "123" });
+      const ttl = Date.parse(expiresAt) - Date.now();
+      expect(ttl).toBeGreaterThan((STREAM_TOKEN_TTL_SECONDS - 60) * 1000);
+      expect(ttl).toBeLessThanOrEqual(STREAM_TOKEN_TTL_SECONDS * 1000);
+    });
+
+    it("ends the token when the user's window closes", async () => {
+      const closesAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      mockAccess.getStatus.mockResolvedValue({ allowed: true, restricted: true, closesAt } as any);
+      const res = createMockRes();
+
+      await createStreamToken(tokenReq(), res);
+
+      const { token, expiresAt } = res.json.mock.calls[0][0];
+      expect(Math.abs(Date.parse(expiresAt) - Date.parse(closesAt))).toBeLessThan(2000);
+      expect(verifyStreamToken(token).exp! * 1000).toBeLessThanOrEqual(Date.parse(closesAt) + 1000);
+    });
+
+    it("refuses users whose schedule is closed", async () => {
+      mockAccess.getStatus.mockResolvedValue({ allowed: false, restricted: true } as any);
+
+      await expect(createStreamToken(tokenReq(), createMockRes())).rejects.toMatchObject({
+        statusCode: 403,
+      });
+    });
   });
 
   // =========================================================================
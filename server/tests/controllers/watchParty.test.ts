@@ -0,0 +1,137 @@
+/**
+ * Unit Tests for watch party controllers
+ *
+ * Tests request validation, error propagation, and the Server-Sent Events
+ * stream wiring. Party behavior itself is covered by WatchPartyService tests.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { EventEmitter } from "events";
+
+vi.mock("../../services/WatchPartyService.js", () => ({
+  watchPartyService: {
+    create: vi.fn(),
+    get: vi.fn(),
+    join: vi.fn(),
+    leave: vi.fn(),
+    control: vi.fn(),
+    subscribe: vi.fn(),
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import {
+  createWatchParty,
+  joinWatchParty,
+  streamWatchPartyEvents,
+} from "../../controllers/watchParty.js";
+import { ForbiddenError } from "../../middleware/errorHandler.js";
+import { watchPartyService } from "../../services/WatchPartyService.js";
+import { mockReq, mockRes } from "../helpers/controllerTestUtils.js";
+
+const mockService = vi.mocked(watchPartyService);
+
+const USER = { id: 2, username: "guest", role: "USER" };
+
+describe("Watch party controllers", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("createWatchParty", () => {
+    it("returns 401 without a user", async () => {
+      const res = mockRes();
+      await createWatchParty(mockReq({ sceneId: "1" }), res);
+      expect(res._getStatus()).toBe(401);
+    });
+
+    it("requires a sceneId", async () => {
+      const res = mockRes();
+      await createWatchParty(mockReq({}, {}, USER), res);
+      expect(res._getStatus()).toBe(400);
+      expect(mockService.create).not.toHaveBeenCalled();
+    });
+
+    it("creates a party hosted by the caller", async () => {
+      mockService.create.mockResolvedValue({ id: "abc" } as any);
+      const res = mockRes();
+
+      await createWatchParty(
+        mockReq({ sceneId: "10", instanceId: "inst-1", position: 12 }, {}, USER),
+        res
+      );
+
+      expect(mockService.create).toHaveBeenCalledWith(
+        { id: USER.id, username: USER.username },
+        { sceneId: "10", instanceId: "inst-1", playlistIndex: null, position: 12, playing: false }
+      );
+      expect(res._getStatus()).toBe(201);
+      expect(res._getBody()).toEqual({ party: { id: "abc" } });
+    });
+  });
+
+  describe("joinWatchParty", () => {
+    it("passes restriction errors to the error handler", async () => {
+      mockService.join.mockRejectedValue(
+        new ForbiddenError("This scene is not available for your account")
+      );
+
+      await expect(
+        joinWatchParty(mockReq({}, { partyId: "abc" }, USER), mockRes())
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it("returns 500 for unexpected errors", async () => {
+      mockService.join.mockRejectedValue(new Error("boom"));
+      const res = mockRes();
+
+      await joinWatchParty(mockReq({}, { partyId: "abc" }, USER), res);
+
+      expect(res._getStatus()).toBe(500);
+    });
+  });
+
+  describe("streamWatchPartyEvents", () => {
+    it("opens an event stream and unsubscribes when the client disconnects", () => {
+      const unsubscribe = vi.fn();
+      mockService.subscribe.mockReturnValue(unsubscribe);
+
+      const req = Object.assign(new EventEmitter(), mockReq({}, { partyId: "abc" }, USER));
+      const res = Object.assign(mockRes(), {
+        setHeader: vi.fn(),
+        flushHeaders: vi.fn(),
+        write: vi.fn(),
+        end: vi.fn(),
+      });
+
+      streamWatchPartyEvents(req, res);
+
+      expect(mockService.get).toHaveBeenCalledWith("abc", USER.id);
+      expect(res.setHeader).toHaveBeenCalledWith("Content-Type", "text/event-stream");
+
+      const stream = mockService.subscribe.mock.calls[0][2];
+      stream.send({ type: "ended", reason: "done" });
+      expect(res.write).toHaveBeenCalledWith(
+        'event: ended\ndata: {"type":"ended","reason":"done"}\n\n'
+      );
+
+      req.emit("close");
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    it("does not open a stream for non-participants", () => {
+      mockService.get.mockImplementation(() => {
+        throw new ForbiddenError("You are not in this watch party");
+      });
+      const res = Object.assign(mockRes(), { setHeader: vi.fn(), flushHeaders: vi.fn() });
+
+      expect(() =>
+        streamWatchPartyEvents(mockReq({}, { partyId: "abc" }, USER), res)
+      ).toThrow("You are not in this watch party");
+      expect(res.flushHeaders).not.toHaveBeenCalled();
+      expect(mockService.subscribe).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,3 +1,5 @@
+import type { Server } from "http";
+import type { AddressInfo } from "net";
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 
 // Store the original env
@@ -50,3 +52,45 @@ describe("setupAPI - trust proxy configuration", () => {
     expect(app.get("trust proxy")).toBeFalsy();
   });
 });
+
+describe("setupAPI - JSON body parsing", () => {
+  let server: Server;
+  let baseUrl: string;
+
+  beforeEach(async () => {
+    vi.resetModules();
+    process.env = { ...originalEnv };
+    delete process.env.PROXY_AUTH_HEADER;
+    const { setupAPI } = await import("../../initializers/api.js");
+    server = setupAPI().listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    process.env = originalEnv;
+  });
+
+  const postJson = (path: string, size: number) =>
+    fetch(`${baseUrl}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ archive: "x".repeat(size) }),
+    });
+
+  it("rejects anonymous data imports before reading a large body", async () => {
+    const own = await postJson("/api/user/data-import", 1024 * 1024);
+    expect(own.status).toBe(401);
+
+    const admin = await postJson("/api/user/5/data-import", 1024 * 1024);
+    expect(admin.status).toBe(401);
+  });
+
+  it("keeps the default limit on other routes", async () => {
+    // Refused by the app-wide parser, before authentication runs
+    const res = await postJson("/api/user/settings", 1024 * 1024);
+    expect(res.status).toBeGreaterThanOrEqual(400);
+    expect(res.status).not.toBe(401);
+  });
+});
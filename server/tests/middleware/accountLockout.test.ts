@@ -94,6 +94,11 @@ describe("accountLockout", () => {
       expect(checkAccountLockout("user1").locked).toBe(true);
       expect(checkAccountLockout("user2").locked).toBe(false);
     });
+
+    it("should report only the attempt that locks the account", () => {
+      const results = Array.from({ length: 6 }, () => recordFailedAttempt("testuser"));
+      expect(results).toEqual([false, false, false, false, true, false]);
+    });
   });
 
   describe("clearFailedAttempts", () => {
@@ -3,8 +3,9 @@
  *
  * Tests authenticate, authenticateToken, requireAdmin, and requireCacheReady
  * middleware functions with mocked Prisma and StashEntityService.
- * Covers proxy auth flow, JWT token validation, token refresh, role checks,
- * and cache readiness.
+ * Covers proxy auth flow, JWT token validation, token refresh, personal API
+ * tokens and their scopes, stream tokens, role checks, cache readiness and
+ * access schedules.
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 
@@ -12,6 +13,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 vi.mock("../../prisma/singleton.js", () => ({
   default: {
     user: { findUnique: vi.fn() },
+    apiToken: { findUnique: vi.fn(), update: vi.fn() },
   },
 }));
 
@@ -22,6 +24,14 @@ vi.mock("../../services/StashEntityService.js", () => ({
   },
 }));
 
+// Mock AccessScheduleService; everyone is let in unless a test says otherwise
+vi.mock("../../services/AccessScheduleService.js", () => ({
+  accessScheduleService: {
+    getStatus: vi.fn().mockResolvedValue({ allowed: true, restricted: false }),
+  },
+  describeAccessDenial: vi.fn().mockReturnValue("Peek isn't available at this time"),
+}));
+
 // Mock logger
 vi.mock("../../utils/logger.js", () => ({
   logger: {
@@ -34,19 +44,24 @@ vi.mock("../../utils/logger.js", () => ({
 }));
 
 import prisma from "../../prisma/singleton.js";
+import { accessScheduleService } from "../../services/AccessScheduleService.js";
 import { stashEntityService } from "../../services/StashEntityService.js";
 import {
   authenticate,
+  authenticateStream,
   authenticateToken,
+  generateStreamToken,
   requireAdmin,
   requireCacheReady,
   generateToken,
   setTokenCookie,
 } from "../../middleware/auth.js";
+import { hashApiToken } from "../../services/ApiTokenService.js";
 import type { Request, Response, NextFunction } from "express";
 
 const mockPrisma = vi.mocked(prisma);
 const mockEntityService = vi.mocked(stashEntityService);
+const mockAccess = vi.mocked(accessScheduleService);
 
 const MOCK_USER = {
   id: 1,
@@ -356,6 +371,245 @@ describe("Auth Middleware", () => {
     });
   });
 
+  describe("API token authentication", () => {
+    const API_TOKEN = "peek_testtoken123";
+
+    function createApiTokenReq(method: string, originalUrl: string) {
+      const headerFn = vi.fn((name: string) => {
+        if (name === "Authorization") return `Bearer ${API_TOKEN}`;
+        return undefined;
+      });
+      return createMockReq({ header: headerFn, method, originalUrl } as any);
+    }
+
+    beforeEach(() => {
+      mockPrisma.apiToken.update.mockResolvedValue({} as any);
+    });
+
+    it("authenticates a valid unscoped API token by its hash", async () => {
+      mockPrisma.apiToken.findUnique.mockResolvedValue({
+        id: 5,
+        userId: MOCK_USER.id,
+        scopes: null,
+        lastUsedAt: null,
+      } as any);
+      mockPrisma.user.findUnique.mockResolvedValue(MOCK_USER as any);
+      const req = createApiTokenReq("PUT", "/api/user/settings");
+      const { res } = createMockRes();
+
+      await authenticateToken(req as Request, res as Response, nextFn);
+
+      expect(mockPrisma.apiToken.findUnique).toHaveBeenCalledWith({
+        where: { tokenHash: hashApiToken(API_TOKEN) },
+      });
+      expect(nextFn).toHaveBeenCalled();
+      expect((req as any).user.id).toBe(MOCK_USER.id);
+      expect(mockPrisma.apiToken.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { lastUsedAt: expect.any(Date) },
+      });
+    });
+
+    it("returns 401 for an unknown API token", async () => {
+      mockPrisma.apiToken.findUnique.mockResolvedValue(null);
+      const req = createApiTokenReq("GET", "/api/library/scenes");
+      const { res, statusFn, jsonFn } = createMockRes();
+
+      await authenticateToken(req as Request, res as Response, nextFn);
+
+      expect(statusFn).toHaveBeenCalledWith(401);
+      expect(jsonFn).toHaveBeenCalledWith({ error: "Invalid API token." });
+      expect(nextFn).not.toHaveBeenCalled();
+    });
+
+    it("allows scoped tokens on routes their scope grants", async () => {
+      mockPrisma.apiToken.findUnique.mockResolvedValue({
+        id: 5,
+        userId: MOCK_USER.id,
+        scopes: ["library:read"],
+        lastUsedAt: new Date(),
+      } as any);
+      mockPrisma.user.findUnique.mockResolvedValue(MOCK_USER as any);
+      const req = createApiTokenReq("POST", "/api/library/scenes?page=1");
+      const { res } = createMockRes();
+
+      await authenticateToken(req as Request, res as Response, nextFn);
+
+      expect(nextFn).toHaveBeenCalled();
+      // Recently used - no write
+      expect(mockPrisma.apiToken.update).not.toHaveBeenCalled();
+    });
+
+    it("returns 403 when a scoped token calls a route outside its scopes", async () => {
+      mockPrisma.apiToken.findUnique.mockResolvedValue({
+        id: 5,
+        userId: MOCK_USER.id,
+        scopes: ["library:read"],
+        lastUsedAt: null,
+      } as any);
+      mockPrisma.user.findUnique.mockResolvedValue(MOCK_USER as any);
+      const req = createApiTokenReq("PUT", "/api/library/scenes/12");
+      const { res, statusFn, jsonFn } = createMockRes();
+
+      await authenticateToken(req as Request, res as Response, nextFn);
+
+      expect(statusFn).toHaveBeenCalledWith(403);
+      expect(jsonFn).toHaveBeenCalledWith({
+        error: "API token does not have access to this endpoint.",
+      });
+      expect(nextFn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("access schedules", () => {
+    const CLOSED = {
+      restricted: true,
+      allowed: false,
+      reason: "outside-hours",
+      opensAt: "2026-03-14T08:00:00.000Z",
+    } as any;
+
+    const cookieReq = (user: { id: number; username: string; role: string }, url: string) =>
+      createMockReq({
+        cookies: { token: generateToken(user) },
+        originalUrl: url,
+      });
+
+    it("turns users away while their schedule is closed", async () => {
+      const req = cookieReq(MOCK_USER, "/api/library/scenes");
+      const { res, statusFn, jsonFn } = createMockRes();
+      mockPrisma.user.findUnique.mockResolvedValue(MOCK_USER as any);
+      mockAccess.getStatus.mockResolvedValueOnce(CLOSED);
+
+      await authenticateToken(req as Request, res as Response, nextFn);
+
+      expect(mockAccess.getStatus).toHaveBeenCalledWith(MOCK_USER.id);
+      expect(statusFn).toHaveBeenCalledWith(403);
+      expect(jsonFn).toHaveBeenCalledWith({
+        error: "Peek isn't available at this time",
+        code: "ACCESS_SCHEDULE",
+        access: CLOSED,
+      });
+      expect(nextFn).not.toHaveBeenCalled();
+    });
+
+    it("still serves auth endpoints so the client can show why", async () => {
+      const req = cookieReq(MOCK_USER, "/api/auth/access");
+      const { res } = createMockRes();
+      mockPrisma.user.findUnique.mockResolvedValue(MOCK_USER as any);
+
+      await authenticateToken(req as Request, res as Response, nextFn);
+
+      expect(nextFn).toHaveBeenCalled();
+      expect(mockAccess.getStatus).not.toHaveBeenCalled();
+    });
+
+    it("never checks admins", async () => {
+      const req = cookieReq(MOCK_ADMIN, "/api/library/scenes");
+      const { res } = createMockRes();
+      mockPrisma.user.findUnique.mockResolvedValue(MOCK_ADMIN as any);
+
+      await authenticateToken(req as Request, res as Response, nextFn);
+
+      expect(nextFn).toHaveBeenCalled();
+      expect(mockAccess.getStatus).not.toHaveBeenCalled();
+    });
+
+    it("lets the request through if the check fails", async () => {
+      const req = cookieReq(MOCK_USER, "/api/library/scenes");
+      const { res } = createMockRes();
+      mockPrisma.user.findUnique.mockResolvedValue(MOCK_USER as any);
+      mockAccess.getStatus.mockRejectedValueOnce(new Error("db down"));
+
+      await authenticateToken(req as Request, res as Response, nextFn);
+
+      expect(nextFn).toHaveBeenCalled();
+    });
+  });
+
+  describe("authenticateStream", () => {
+    const streamReq = (query: Record<string, string>, overrides: Partial<Request> = {}) =>
+      createMockReq({
+        params: { sceneId: "42" },
+        query,
+        originalUrl: "/api/scene/42/proxy-stream/stream",
+        ...overrides,
+      });
+
+    it("refuses requests without credentials or a stream token", async () => {
+      const { res, statusFn } = createMockRes();
+
+      await authenticateStream(streamReq({}) as Request, res as Response, nextFn);
+
+      expect(statusFn).toHaveBeenCalledWith(401);
+      expect(nextFn).not.toHaveBeenCalled();
+    });
+
+    it("admits a stream token issued for the scene", async () => {
+      const req = streamReq({ streamToken: generateStreamToken(MOCK_USER.id, "42", 60) });
+      const { res } = createMockRes();
+      mockPrisma.user.findUnique.mockResolvedValue(MOCK_USER as any);
+
+      await authenticateStream(req as Request, res as Response, nextFn);
+
+      expect(nextFn).toHaveBeenCalled();
+      expect((req as any).user).toEqual(MOCK_USER);
+      expect(mockAccess.getStatus).toHaveBeenCalledWith(MOCK_USER.id);
+    });
+
+    it("checks the schedule again when the token is used", async () => {
+      const req = streamReq({ streamToken: generateStreamToken(MOCK_USER.id, "42", 60) });
+      const { res, statusFn } = createMockRes();
+      mockPrisma.user.findUnique.mockResolvedValue(MOCK_USER as any);
+      mockAccess.getStatus.mockResolvedValueOnce({ allowed: false, restricted: true } as any);
+
+      await authenticateStream(req as Request, res as Response, nextFn);
+
+      expect(statusFn).toHaveBeenCalledWith(403);
+      expect(nextFn).not.toHaveBeenCalled();
+    });
+
+    it("refuses a token issued for another scene", async () => {
+      const req = streamReq({ streamToken: generateStreamToken(MOCK_USER.id, "7", 60) });
+      const { res, statusFn } = createMockRes();
+
+      await authenticateStream(req as Request, res as Response, nextFn);
+
+      expect(statusFn).toHaveBeenCalledWith(403);
+      expect(mockPrisma.user.findUnique).not.toHaveBeenCalled();
+    });
+
+    it("refuses session tokens passed as stream tokens", async () => {
+      const req = streamReq({ streamToken: generateToken(MOCK_USER) });
+      const { res, statusFn } = createMockRes();
+
+      await authenticateStream(req as Request, res as Response, nextFn);
+
+      expect(statusFn).toHaveBeenCalledWith(403);
+      expect(nextFn).not.toHaveBeenCalled();
+    });
+
+    it("doesn't accept stream tokens as sessions", async () => {
+      const req = createMockReq({ cookies: { token: generateStreamToken(MOCK_USER.id, "42", 60) } });
+      const { res, statusFn } = createMockRes();
+
+      await authenticateToken(req as Request, res as Response, nextFn);
+
+      expect(statusFn).toHaveBeenCalledWith(403);
+      expect(nextFn).not.toHaveBeenCalled();
+    });
+
+    it("uses the session when the player is signed in", async () => {
+      const req = streamReq({}, { cookies: { token: generateToken(MOCK_USER) } });
+      const { res } = createMockRes();
+      mockPrisma.user.findUnique.mockResolvedValue(MOCK_USER as any);
+
+      await authenticateStream(req as Request, res as Response, nextFn);
+
+      expect(nextFn).toHaveBeenCalled();
+    });
+  });
+
   describe("requireAdmin", () => {
     it("calls next for admin users", () => {
       const req = createMockReq();
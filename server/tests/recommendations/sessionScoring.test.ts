@@ -0,0 +1,244 @@
+// server/tests/recommendations/sessionScoring.test.ts
+import { describe, it, expect } from "vitest";
+import {
+  buildContextAffinity,
+  buildSessionSeeds,
+  diversifyByEntities,
+  findLastSession,
+  getViewingContext,
+  isAbandoned,
+  isRecentlyAbandoned,
+  parsePlayTimes,
+  scoreByContext,
+  scoreBySession,
+  SESSION_GAP_MS,
+  type WatchEntry,
+} from "../../services/SessionScoringService.js";
+import type { SceneScoringData } from "../../types/index.js";
+
+const NOW = new Date("2026-03-16T20:00:00Z"); // Monday evening
+const minutesAgo = (minutes: number) => new Date(NOW.getTime() - minutes * 60 * 1000);
+
+const entry = (overrides: Partial<WatchEntry> & { sceneId: string }): WatchEntry => ({
+  playCount: 1,
+  playDuration: 1200,
+  lastPlayedAt: null,
+  playTimes: [],
+  sceneDuration: 1800,
+  ...overrides,
+});
+
+const scene = (
+  id: string,
+  overrides: Partial<SceneScoringData> = {}
+): SceneScoringData => ({
+  id,
+  instanceId: "inst",
+  studioId: null,
+  performerIds: [],
+  tagIds: [],
+  oCounter: 0,
+  date: null,
+  ...overrides,
+});
+
+const lookup = (scenes: SceneScoringData[]) => {
+  const map = new Map(scenes.map((s) => [s.id, s]));
+  return (id: string) => map.get(id);
+};
+
+describe("SessionScoringService", () => {
+  describe("parsePlayTimes", () => {
+    it("reads arrays and JSON strings of timestamps", () => {
+      const times = ["2026-03-01T10:00:00.000Z", "2026-03-02T10:00:00.000Z"];
+      expect(parsePlayTimes(times)).toHaveLength(2);
+      expect(parsePlayTimes(JSON.stringify(times))[1]?.toISOString()).toBe(times[1]);
+    });
+
+    it("ignores anything that isn't a timestamp", () => {
+      expect(parsePlayTimes(["nope", 5, { startTime: "x" }])).toEqual([]);
+      expect(parsePlayTimes("{broken")).toEqual([]);
+    });
+  });
+
+  describe("getViewingContext", () => {
+    it("uses the viewer's timezone", () => {
+      expect(getViewingContext(NOW)).toEqual({ daypart: "evening", weekend: false });
+      // 20:00 UTC Monday is 07:00 Tuesday in Sydney
+      expect(getViewingContext(NOW, "Australia/Sydney")).toEqual({
+        daypart: "morning",
+        weekend: false,
+      });
+    });
+
+    it("falls back to UTC for an unknown timezone", () => {
+      expect(getViewingContext(NOW, "Not/AZone")).toEqual({ daypart: "evening", weekend: false });
+    });
+  });
+
+  describe("isAbandoned", () => {
+    it("flags scenes stopped early without counting as a play", () => {
+      expect(isAbandoned(entry({ sceneId: "s", playCount: 0, playDuration: 60, lastPlayedAt: NOW }))).toBe(true);
+    });
+
+    it("doesn't flag counted plays or scenes watched a good part of", () => {
+      expect(isAbandoned(entry({ sceneId: "s", playDuration: 60, lastPlayedAt: NOW }))).toBe(false);
+      expect(isAbandoned(entry({ sceneId: "s", playCount: 0, playDuration: 600, lastPlayedAt: NOW }))).toBe(false);
+    });
+
+    it("uses a fixed cut-off when the scene's length is unknown", () => {
+      const unknownLength = { sceneId: "s", playCount: 0, lastPlayedAt: NOW, sceneDuration: null };
+      expect(isAbandoned(entry({ ...unknownLength, playDuration: 120 }))).toBe(true);
+      expect(isAbandoned(entry({ ...unknownLength, playDuration: 900 }))).toBe(false);
+    });
+
+    it("forgets abandonment after a month", () => {
+      const old = entry({
+        sceneId: "s",
+        playCount: 0,
+        playDuration: 30,
+        lastPlayedAt: new Date("2026-01-01T00:00:00Z"),
+      });
+      expect(isRecentlyAbandoned(old, NOW)).toBe(false);
+    });
+  });
+
+  describe("findLastSession", () => {
+    it("chains scenes played close together, newest first", () => {
+      const session = findLastSession(
+        [
+          entry({ sceneId: "a", lastPlayedAt: minutesAgo(10) }),
+          entry({ sceneId: "b", lastPlayedAt: minutesAgo(40) }),
+          entry({ sceneId: "c", lastPlayedAt: minutesAgo(70) }),
+          // Previous evening
+          entry({ sceneId: "d", lastPlayedAt: minutesAgo(24 * 60) }),
+        ],
+        NOW
+      );
+
+      expect(session.map((e) => e.sceneId)).toEqual(["a", "b", "c"]);
+    });
+
+    it("keeps abandoned scenes out of the session without splitting it", () => {
+      const session = findLastSession(
+        [
+          entry({ sceneId: "a", lastPlayedAt: minutesAgo(5) }),
+          entry({ sceneId: "skipped", playCount: 0, playDuration: 20, lastPlayedAt: minutesAgo(40) }),
+          entry({ sceneId: "b", lastPlayedAt: minutesAgo(80) }),
+        ],
+        NOW
+      );
+
+      expect(session.map((e) => e.sceneId)).toEqual(["a", "b"]);
+    });
+
+    it("ignores a last session older than a week", () => {
+      expect(
+        findLastSession([entry({ sceneId: "a", lastPlayedAt: minutesAgo(8 * 24 * 60) })], NOW)
+      ).toEqual([]);
+    });
+
+    it("ends the session at a long gap", () => {
+      const session = findLastSession(
+        [
+          entry({ sceneId: "a", lastPlayedAt: minutesAgo(0) }),
+          entry({ sceneId: "b", lastPlayedAt: new Date(NOW.getTime() - SESSION_GAP_MS - 1) }),
+        ],
+        NOW
+      );
+      expect(session.map((e) => e.sceneId)).toEqual(["a"]);
+    });
+  });
+
+  describe("scoreBySession", () => {
+    const seeds = buildSessionSeeds(
+      [entry({ sceneId: "newest" }), entry({ sceneId: "older" })],
+      lookup([
+        scene("newest", { performerIds: ["p1"], studioId: "st1" }),
+        scene("older", { performerIds: ["p2"], tagIds: ["t1"] }),
+      ])
+    );
+
+    it("weighs the newest session scene most", () => {
+      const likeNewest = scoreBySession(scene("x", { performerIds: ["p1"] }), seeds);
+      const likeOlder = scoreBySession(scene("y", { performerIds: ["p2"] }), seeds);
+
+      expect(likeNewest.score).toBeGreaterThan(likeOlder.score);
+      expect(likeNewest.seedSceneId).toBe("newest");
+      expect(likeOlder.seedSceneId).toBe("older");
+    });
+
+    it("scores nothing for unrelated scenes or the seed itself", () => {
+      expect(scoreBySession(scene("z", { performerIds: ["p9"] }), seeds)).toEqual({
+        score: 0,
+        seedSceneId: null,
+      });
+      expect(scoreBySession(scene("newest", { performerIds: ["p1"] }), seeds).seedSceneId).toBeNull();
+    });
+  });
+
+  describe("buildContextAffinity", () => {
+    // Evenings are for p1; mornings for p2
+    const scenes = [
+      scene("eve1", { performerIds: ["p1"] }),
+      scene("eve2", { performerIds: ["p1"] }),
+      scene("eve3", { performerIds: ["p1", "p3"] }),
+      scene("morn1", { performerIds: ["p2"] }),
+      scene("morn2", { performerIds: ["p2", "p3"] }),
+    ];
+    const evening = (day: number) => new Date(`2026-03-${String(day).padStart(2, "0")}T21:00:00Z`);
+    const morning = (day: number) => new Date(`2026-03-${String(day).padStart(2, "0")}T09:00:00Z`);
+    const entries = [
+      entry({ sceneId: "eve1", playTimes: [evening(2), evening(3)] }),
+      entry({ sceneId: "eve2", playTimes: [evening(4)] }),
+      entry({ sceneId: "eve3", playTimes: [evening(5), evening(9)] }),
+      entry({ sceneId: "morn1", playTimes: [morning(2), morning(3), morning(4)] }),
+      entry({ sceneId: "morn2", playTimes: [morning(5)] }),
+    ];
+
+    it("favors what the user watches more of at this time of day", () => {
+      const affinity = buildContextAffinity(entries, lookup(scenes), {
+        daypart: "evening",
+        weekend: false,
+      });
+
+      expect(affinity?.performerWeights.has("p1")).toBe(true);
+      expect(affinity?.performerWeights.has("p2")).toBe(false);
+      expect(scoreByContext(scene("new", { performerIds: ["p1"] }), affinity)).toBeGreaterThan(0);
+      expect(scoreByContext(scene("new", { performerIds: ["p2"] }), affinity)).toBe(0);
+    });
+
+    it("needs enough plays at this time of day", () => {
+      expect(
+        buildContextAffinity(entries, lookup(scenes), { daypart: "night", weekend: false })
+      ).toBeNull();
+    });
+  });
+
+  describe("diversifyByEntities", () => {
+    it("stops one studio crowding the top of the list", () => {
+      const scenes = [
+        scene("a1", { studioId: "A" }),
+        scene("a2", { studioId: "A" }),
+        scene("a3", { studioId: "A" }),
+        scene("a4", { studioId: "A" }),
+        scene("b1", { studioId: "B" }),
+      ];
+
+      const ranked = diversifyByEntities(
+        scenes.map((s) => ({ id: s.id })),
+        lookup(scenes)
+      );
+
+      expect(ranked.map((r) => r.id)).toEqual(["a1", "a2", "b1", "a3", "a4"]);
+    });
+
+    it("keeps the order when nothing repeats", () => {
+      const scenes = [scene("x", { performerIds: ["p1"] }), scene("y", { performerIds: ["p2"] })];
+      expect(diversifyByEntities([{ id: "x" }, { id: "y" }], lookup(scenes))).toEqual([
+        { id: "x" },
+        { id: "y" },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for the Duplicate Scene Routes (Admin API)
+ *
+ * Runs the real router against a local server to cover:
+ * - GET /api/admin/duplicate-scenes - Admin only, passes the distance through
+ * - POST /api/admin/duplicate-scenes/resolve - Admin only, requires each
+ *   scene's instance, and records the resolution in the audit log
+ *
+ * The duplicate search and merge logic is covered by DuplicateSceneService tests.
+ */
+import type { Server } from "http";
+import type { AddressInfo } from "net";
+import express, { type NextFunction, type Request, type Response } from "express";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+
+vi.mock("../../services/DuplicateSceneService.js", async (importOriginal) => ({
+  ...(await importOriginal<typeof import("../../services/DuplicateSceneService.js")>()),
+  duplicateSceneService: {
+    findDuplicateGroups: vi.fn(),
+    resolveGroup: vi.fn(),
+  },
+}));
+
+vi.mock("../../services/MergeReconciliationService.js", () => ({
+  mergeReconciliationService: {},
+}));
+
+vi.mock("../../services/AuditLogService.js", () => ({
+  auditLogService: { recordRequest: vi.fn() },
+}));
+
+// Signed in as the role named in the x-test-role header, if any
+vi.mock("../../middleware/auth.js", async (importOriginal) => ({
+  ...(await importOriginal<typeof import("../../middleware/auth.js")>()),
+  authenticate: vi.fn((req: Request, res: Response, next: NextFunction) => {
+    const role = req.header("x-test-role");
+    if (!role) {
+      return res.status(401).json({ error: "Access denied. No token provided." });
+    }
+    (req as Request & { user: unknown }).user = { id: 1, username: "test", role };
+    next();
+  }),
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { ValidationError } from "../../middleware/errorHandler.js";
+import mergeReconciliationRoutes from "../../routes/mergeReconciliation.js";
+import { auditLogService } from "../../services/AuditLogService.js";
+import { duplicateSceneService } from "../../services/DuplicateSceneService.js";
+
+const mockService = vi.mocked(duplicateSceneService);
+const mockAudit = vi.mocked(auditLogService);
+
+const resolveResult = {
+  keeper: { id: "1", instanceId: "inst-a" },
+  usersReconciled: 2,
+  mergeRecordsCreated: 1,
+  removed: [{ id: "2", instanceId: "inst-b" }],
+  failed: [],
+};
+
+describe("Duplicate Scene Routes", () => {
+  let server: Server;
+  let baseUrl: string;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const app = express();
+    app.use(express.json());
+    app.use("/api/admin", mergeReconciliationRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const request = (path: string, role?: string, body?: unknown) =>
+    fetch(`${baseUrl}/api/admin${path}`, {
+      method: body === undefined ? "GET" : "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(role && { "x-test-role": role }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+  describe("access", () => {
+    it("rejects signed-out requests", async () => {
+      expect((await request("/duplicate-scenes")).status).toBe(401);
+      expect((await request("/duplicate-scenes/resolve", undefined, {})).status).toBe(401);
+      expect(mockService.findDuplicateGroups).not.toHaveBeenCalled();
+    });
+
+    it("rejects users who aren't admins", async () => {
+      expect((await request("/duplicate-scenes", "USER")).status).toBe(403);
+      const resolve = await request("/duplicate-scenes/resolve", "USER", {
+        keeper: { id: "1", instanceId: "inst-a" },
+        others: [{ id: "2", instanceId: "inst-b" }],
+      });
+      expect(resolve.status).toBe(403);
+      expect(mockService.findDuplicateGroups).not.toHaveBeenCalled();
+      expect(mockService.resolveGroup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /duplicate-scenes", () => {
+    it("returns the groups for the requested distance", async () => {
+      mockService.findDuplicateGroups.mockResolvedValue({ groups: [], distance: 4 } as never);
+
+      const res = await request("/duplicate-scenes?distance=4", "ADMIN");
+
+      expect(res.status).toBe(200);
+      expect(await res.json()).toEqual({ groups: [], distance: 4 });
+      expect(mockService.findDuplicateGroups).toHaveBeenCalledWith(4);
+    });
+
+    it("uses the default distance when none is given", async () => {
+      mockService.findDuplicateGroups.mockResolvedValue({ groups: [] } as never);
+
+      await request("/duplicate-scenes", "ADMIN");
+
+      expect(mockService.findDuplicateGroups).toHaveBeenCalledWith(undefined);
+    });
+
+    it("reports an invalid distance as a bad request", async () => {
+      mockService.findDuplicateGroups.mockRejectedValue(
+        new ValidationError("distance must be a whole number from 0 to 10")
+      );
+
+      const res = await request("/duplicate-scenes?distance=99", "ADMIN");
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("POST /duplicate-scenes/resolve", () => {
+    it("resolves the group with each scene's instance and records it", async () => {
+      mockService.resolveGroup.mockResolvedValue(resolveResult as never);
+
+      const res = await request("/duplicate-scenes/resolve", "ADMIN", {
+        keeper: { id: "1", instanceId: "inst-a" },
+        others: [{ id: "2", instanceId: "inst-b" }],
+        stashAction: "delete",
+        deleteFiles: true,
+      });
+
+      expect(res.status).toBe(200);
+      expect(await res.json()).toEqual({ ok: true, ...resolveResult });
+      expect(mockService.resolveGroup).toHaveBeenCalledWith(
+        { id: "1", instanceId: "inst-a" },
+        [{ id: "2", instanceId: "inst-b" }],
+        "delete",
+        { deleteFiles: true, reconciledBy: 1 }
+      );
+      expect(mockAudit.recordRequest).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          action: "merge.resolve_duplicates",
+          target: { type: "scene", id: "1" },
+          details: expect.objectContaining({ instanceId: "inst-a", removed: 1, failed: 0 }),
+        })
+      );
+    });
+
+    it("requires an instance for every scene", async () => {
+      const missingKeeperInstance = await request("/duplicate-scenes/resolve", "ADMIN", {
+        keeper: { id: "1" },
+        others: [{ id: "2", instanceId: "inst-b" }],
+      });
+      const missingOtherInstance = await request("/duplicate-scenes/resolve", "ADMIN", {
+        keeper: { id: "1", instanceId: "inst-a" },
+        others: [{ id: "2" }],
+      });
+
+      expect(missingKeeperInstance.status).toBe(400);
+      expect(missingOtherInstance.status).toBe(400);
+      expect(mockService.resolveGroup).not.toHaveBeenCalled();
+    });
+
+    it("rejects unknown Stash actions", async () => {
+      const res = await request("/duplicate-scenes/resolve", "ADMIN", {
+        keeper: { id: "1", instanceId: "inst-a" },
+        others: [{ id: "2", instanceId: "inst-a" }],
+        stashAction: "purge",
+      });
+
+      expect(res.status).toBe(400);
+      expect(mockService.resolveGroup).not.toHaveBeenCalled();
+    });
+
+    it("reports refused resolutions without recording them", async () => {
+      mockService.resolveGroup.mockRejectedValue(
+        new ValidationError("Stash can only merge scenes from the same instance")
+      );
+
+      const res = await request("/duplicate-scenes/resolve", "ADMIN", {
+        keeper: { id: "1", instanceId: "inst-a" },
+        others: [{ id: "2", instanceId: "inst-b" }],
+        stashAction: "merge",
+      });
+
+      expect(res.status).toBe(400);
+      expect(await res.json()).toEqual({
+        error: "Stash can only merge scenes from the same instance",
+      });
+      expect(mockAudit.recordRequest).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Unit Tests for AccessScheduleService
+ *
+ * Tests schedule validation, when windows and daily limits open and close
+ * (including across midnight and in other timezones), how a user's own,
+ * group and override settings combine, and the daily watch-time baseline.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    user: { findUnique: vi.fn(), update: vi.fn() },
+    watchHistory: { aggregate: vi.fn() },
+  },
+}));
+
+vi.mock("../../services/EventBusService.js", () => ({
+  eventBusService: { publishToUser: vi.fn() },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import {
+  accessScheduleService,
+  evaluateSchedule,
+  parseAccessSchedule,
+} from "../../services/AccessScheduleService.js";
+import { eventBusService } from "../../services/EventBusService.js";
+import type { AccessSchedule } from "../../types/api/index.js";
+
+const mockPrisma = vi.mocked(prisma);
+
+// Saturday 14 March 2026
+const SATURDAY = "2026-03-14";
+const EVENINGS: AccessSchedule = {
+  timezone: "UTC",
+  windows: [{ days: [1, 2, 3, 4, 5], start: "18:00", end: "21:00" }],
+  dailyLimitMinutes: null,
+};
+
+const at = (time: string) => new Date(`${time}Z`);
+
+describe("AccessScheduleService", () => {
+  describe("parseAccessSchedule", () => {
+    it("accepts a valid schedule and tidies its days", () => {
+      expect(
+        parseAccessSchedule({
+          timezone: "Europe/London",
+          windows: [{ days: [6, 0, 6], start: "09:00", end: "24:00" }],
+          dailyLimitMinutes: 90,
+        })
+      ).toEqual({
+        timezone: "Europe/London",
+        windows: [{ days: [0, 6], start: "09:00", end: "24:00" }],
+        dailyLimitMinutes: 90,
+      });
+    });
+
+    it("treats null as no schedule", () => {
+      expect(parseAccessSchedule(null)).toBeNull();
+    });
+
+    it.each([
+      [{ timezone: "Mars/Olympus", windows: [] }, /timezone/],
+      [{ timezone: "UTC", windows: [{ days: [7], start: "09:00", end: "10:00" }] }, /days/],
+      [{ timezone: "UTC", windows: [{ days: [1], start: "9am", end: "10:00" }] }, /HH:MM/],
+      [{ timezone: "UTC", windows: [{ days: [1], start: "22:00", end: "02:00" }] }, /past midnight/],
+      [{ timezone: "UTC", windows: [], dailyLimitMinutes: 0 }, /Daily limit/],
+    ])("rejects %j", (input, message) => {
+      expect(parseAccessSchedule(input)).toMatch(message);
+    });
+  });
+
+  describe("evaluateSchedule", () => {
+    it("lets users in during a window and says when it closes", () => {
+      const status = evaluateSchedule(EVENINGS, at("2026-03-16T19:30:00"), 0);
+
+      expect(status).toMatchObject({ restricted: true, allowed: true, reason: null });
+      expect(status.closesAt).toBe("2026-03-16T21:00:00.000Z");
+    });
+
+    it("keeps users out between windows and says when the next opens", () => {
+      const status = evaluateSchedule(EVENINGS, at(`${SATURDAY}T19:30:00`), 0);
+
+      expect(status).toMatchObject({ allowed: false, reason: "outside-hours" });
+      expect(status.opensAt).toBe("2026-03-16T18:00:00.000Z");
+    });
+
+    it("joins windows that run across midnight", () => {
+      const lateNights: AccessSchedule = {
+        timezone: "UTC",
+        windows: [
+          { days: [6], start: "20:00", end: "24:00" },
+          { days: [0], start: "00:00", end: "01:30" },
+        ],
+        dailyLimitMinutes: null,
+      };
+
+      const status = evaluateSchedule(lateNights, at(`${SATURDAY}T23:00:00`), 0);
+
+      expect(status.closesAt).toBe("2026-03-15T01:30:00.000Z");
+    });
+
+    it("reads windows in the schedule's timezone", () => {
+      const newYork = { ...EVENINGS, timezone: "America/New_York" };
+
+      // 23:30 UTC on Monday is 19:30 in New York (EDT, UTC-4)
+      const status = evaluateSchedule(newYork, at("2026-03-16T23:30:00"), 0);
+
+      expect(status.allowed).toBe(true);
+      expect(status.closesAt).toBe("2026-03-17T01:00:00.000Z");
+    });
+
+    it("closes for the day once the daily limit is used up", () => {
+      const limited = { ...EVENINGS, dailyLimitMinutes: 60 };
+
+      const status = evaluateSchedule(limited, at("2026-03-16T19:30:00"), 3600);
+
+      expect(status).toMatchObject({
+        allowed: false,
+        reason: "daily-limit",
+        watchedTodaySeconds: 3600,
+        dailyLimitSeconds: 3600,
+      });
+      expect(status.opensAt).toBe("2026-03-17T18:00:00.000Z");
+    });
+
+    it("is open all day with a limit and no windows", () => {
+      const limitOnly: AccessSchedule = { timezone: "UTC", windows: [], dailyLimitMinutes: 120 };
+
+      const status = evaluateSchedule(limitOnly, at(`${SATURDAY}T03:00:00`), 600);
+
+      expect(status).toMatchObject({ allowed: true, closesAt: null });
+    });
+  });
+
+  describe("getStatus", () => {
+    const userRow = (overrides: Record<string, unknown> = {}) => ({
+      role: "USER",
+      accessSchedule: null,
+      accessOverrideUntil: null,
+      watchTimeDate: SATURDAY,
+      watchTimeBaseline: 1000,
+      groupMemberships: [],
+      ...overrides,
+    });
+    const group = (schedule: AccessSchedule | null) => ({ group: { accessSchedule: schedule } });
+
+    let userId = 100;
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      vi.useFakeTimers();
+      vi.setSystemTime(at(`${SATURDAY}T19:30:00`));
+      mockPrisma.watchHistory.aggregate.mockResolvedValue({
+        _sum: { playDuration: 1000 },
+      } as any);
+      // A fresh user per test so cached statuses don't carry over
+      userId++;
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("never restricts admins", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(
+        userRow({ role: "ADMIN", accessSchedule: EVENINGS }) as any
+      );
+
+      const status = await accessScheduleService.getStatus(userId);
+
+      expect(status).toMatchObject({ restricted: false, allowed: true });
+    });
+
+    it("leaves users without any schedule unrestricted", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(userRow() as any);
+
+      expect(await accessScheduleService.getStatus(userId)).toMatchObject({
+        restricted: false,
+      });
+    });
+
+    it("lets the user's own schedule replace their groups'", async () => {
+      const weekends: AccessSchedule = {
+        timezone: "UTC",
+        windows: [{ days: [0, 6], start: "10:00", end: "22:00" }],
+        dailyLimitMinutes: null,
+      };
+      mockPrisma.user.findUnique.mockResolvedValue(
+        userRow({ accessSchedule: EVENINGS, groupMemberships: [group(weekends)] }) as any
+      );
+
+      expect(await accessScheduleService.getStatus(userId)).toMatchObject({
+        allowed: false,
+        reason: "outside-hours",
+      });
+    });
+
+    it("applies the most generous group schedule", async () => {
+      const weekends: AccessSchedule = {
+        timezone: "UTC",
+        windows: [{ days: [0, 6], start: "10:00", end: "22:00" }],
+        dailyLimitMinutes: null,
+      };
+      mockPrisma.user.findUnique.mockResolvedValue(
+        userRow({ groupMemberships: [group(EVENINGS), group(null), group(weekends)] }) as any
+      );
+
+      const status = await accessScheduleService.getStatus(userId);
+
+      expect(status.allowed).toBe(true);
+      expect(status.closesAt).toBe(`${SATURDAY}T22:00:00.000Z`);
+    });
+
+    it("counts today's watch time from the day's baseline", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(
+        userRow({
+          accessSchedule: { timezone: "UTC", windows: [], dailyLimitMinutes: 30 },
+        }) as any
+      );
+      mockPrisma.watchHistory.aggregate.mockResolvedValue({
+        _sum: { playDuration: 2800 },
+      } as any);
+
+      const status = await accessScheduleService.getStatus(userId);
+
+      expect(status).toMatchObject({
+        allowed: false,
+        reason: "daily-limit",
+        watchedTodaySeconds: 1800,
+      });
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it("starts a new baseline on a new day", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(
+        userRow({
+          accessSchedule: { timezone: "UTC", windows: [], dailyLimitMinutes: 30 },
+          watchTimeDate: "2026-03-13",
+        }) as any
+      );
+      mockPrisma.watchHistory.aggregate.mockResolvedValue({
+        _sum: { playDuration: 2800 },
+      } as any);
+
+      const status = await accessScheduleService.getStatus(userId);
+
+      expect(status).toMatchObject({ allowed: true, watchedTodaySeconds: 0 });
+      expect(mockPrisma.user.update).toHaveBeenCalledWith({
+        where: { id: userId },
+        data: { watchTimeDate: SATURDAY, watchTimeBaseline: 2800 },
+      });
+    });
+
+    it("lets users in while an admin override lasts", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(
+        userRow({
+          accessSchedule: EVENINGS,
+          accessOverrideUntil: at(`${SATURDAY}T21:00:00`),
+        }) as any
+      );
+
+      const status = await accessScheduleService.getStatus(userId);
+
+      expect(status).toMatchObject({
+        allowed: true,
+        reason: null,
+        closesAt: `${SATURDAY}T21:00:00.000Z`,
+        overrideUntil: `${SATURDAY}T21:00:00.000Z`,
+      });
+    });
+
+    it("reuses a status until a schedule change drops it", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(userRow() as any);
+
+      await accessScheduleService.getStatus(userId);
+      await accessScheduleService.getStatus(userId);
+      expect(mockPrisma.user.findUnique).toHaveBeenCalledTimes(1);
+
+      accessScheduleService.scheduleChanged([userId]);
+      await accessScheduleService.getStatus(userId);
+
+      expect(mockPrisma.user.findUnique).toHaveBeenCalledTimes(2);
+      expect(eventBusService.publishToUser).toHaveBeenCalledWith(userId, {
+        type: "access",
+      });
+    });
+  });
+});
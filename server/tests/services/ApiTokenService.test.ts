@@ -0,0 +1,230 @@
+/**
+ * Unit Tests for ApiTokenService
+ *
+ * Tests token generation/hashing, scope validation, scope-to-route matching,
+ * and the create/list/revoke/touch database helpers.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// Mock prisma
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    apiToken: {
+      create: vi.fn(),
+      findMany: vi.fn(),
+      findUnique: vi.fn(),
+      count: vi.fn(),
+      deleteMany: vi.fn(),
+      update: vi.fn(),
+    },
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import {
+  API_TOKEN_PREFIX,
+  apiTokenAllowsRequest,
+  createApiToken,
+  generateApiToken,
+  hashApiToken,
+  isApiToken,
+  listApiTokens,
+  parseStoredScopes,
+  revokeApiToken,
+  touchApiToken,
+  validateScopes,
+} from "../../services/ApiTokenService.js";
+
+const mockPrisma = vi.mocked(prisma);
+
+describe("ApiTokenService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("token generation", () => {
+    it("generates unique prefixed tokens", () => {
+      const a = generateApiToken();
+      const b = generateApiToken();
+
+      expect(a.startsWith(API_TOKEN_PREFIX)).toBe(true);
+      expect(a).not.toBe(b);
+      expect(isApiToken(a)).toBe(true);
+    });
+
+    it("does not treat JWTs as API tokens", () => {
+      expect(isApiToken("eyJhbGciOiJIUzI1NiJ9.payload.sig")).toBe(false);
+    });
+
+    it("hashes deterministically with SHA-256", () => {
+      const hash = hashApiToken("peek_abc");
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(hashApiToken("peek_abc")).toBe(hash);
+      expect(hashApiToken("peek_abd")).not.toBe(hash);
+    });
+  });
+
+  describe("validateScopes", () => {
+    it("treats missing or empty scopes as full access", () => {
+      expect(validateScopes(undefined)).toEqual({ valid: true, scopes: null });
+      expect(validateScopes(null)).toEqual({ valid: true, scopes: null });
+      expect(validateScopes([])).toEqual({ valid: true, scopes: null });
+    });
+
+    it("accepts known scopes and removes duplicates", () => {
+      expect(validateScopes(["downloads", "library:read", "downloads"])).toEqual({
+        valid: true,
+        scopes: ["downloads", "library:read"],
+      });
+    });
+
+    it("rejects unknown scopes and non-arrays", () => {
+      expect(validateScopes(["admin"])).toEqual({
+        valid: false,
+        error: "Unknown scope: admin",
+      });
+      expect(validateScopes("downloads").valid).toBe(false);
+    });
+  });
+
+  describe("apiTokenAllowsRequest", () => {
+    it("allows everything for unscoped tokens", () => {
+      expect(apiTokenAllowsRequest(null, "DELETE", "/api/user/5")).toBe(true);
+    });
+
+    it("limits library:read to reads and library queries", () => {
+      const scopes = ["library:read" as const];
+
+      expect(apiTokenAllowsRequest(scopes, "GET", "/api/playlists/3")).toBe(true);
+      expect(apiTokenAllowsRequest(scopes, "POST", "/api/library/scenes")).toBe(true);
+      expect(apiTokenAllowsRequest(scopes, "PUT", "/api/library/scenes/3")).toBe(false);
+      expect(apiTokenAllowsRequest(scopes, "POST", "/api/playlists")).toBe(false);
+      expect(apiTokenAllowsRequest(scopes, "GET", "/api/user/settings")).toBe(false);
+    });
+
+    it("lets library:read use global search", () => {
+      expect(apiTokenAllowsRequest(["library:read"], "GET", "/api/search")).toBe(true);
+      expect(apiTokenAllowsRequest(["downloads"], "GET", "/api/search")).toBe(false);
+    });
+
+    it("lets library:read stream scenes but not issue stream tokens", () => {
+      const scopes = ["library:read" as const];
+
+      expect(
+        apiTokenAllowsRequest(scopes, "GET", "/api/scene/12/proxy-stream/stream.m3u8")
+      ).toBe(true);
+      expect(
+        apiTokenAllowsRequest(scopes, "GET", "/api/scene/12/proxy-stream/stream/segment_0.ts")
+      ).toBe(true);
+      expect(apiTokenAllowsRequest(scopes, "POST", "/api/scene/12/stream-token")).toBe(false);
+      expect(
+        apiTokenAllowsRequest(["downloads"], "GET", "/api/scene/12/proxy-stream/stream")
+      ).toBe(false);
+    });
+
+    it("allows writes for watch-history and downloads scopes", () => {
+      expect(
+        apiTokenAllowsRequest(["watch-history:write"], "POST", "/api/watch-history/ping")
+      ).toBe(true);
+      expect(apiTokenAllowsRequest(["downloads"], "POST", "/api/downloads/scene/4")).toBe(true);
+      expect(apiTokenAllowsRequest(["downloads"], "POST", "/api/watch-history/ping")).toBe(false);
+    });
+
+    it("matches whole path segments only", () => {
+      expect(apiTokenAllowsRequest(["downloads"], "GET", "/api/downloadsX")).toBe(false);
+    });
+  });
+
+  describe("parseStoredScopes", () => {
+    it("drops unknown values and treats empty as null", () => {
+      expect(parseStoredScopes(["downloads", "bogus"])).toEqual(["downloads"]);
+      expect(parseStoredScopes(["bogus"])).toBeNull();
+      expect(parseStoredScopes(null)).toBeNull();
+    });
+  });
+
+  describe("createApiToken", () => {
+    it("stores only the hash and returns the plaintext once", async () => {
+      mockPrisma.apiToken.create.mockImplementation(
+        (async ({ data }: any) => ({
+          id: 1,
+          ...data,
+          lastUsedAt: null,
+          createdAt: new Date(),
+        })) as any
+      );
+
+      const result = await createApiToken(3, "Kodi", ["library:read"]);
+
+      const data = mockPrisma.apiToken.create.mock.calls[0]![0].data as any;
+      expect(data.tokenHash).toBe(hashApiToken(result.token));
+      expect(data).not.toHaveProperty("token");
+      expect(result.token.startsWith(data.tokenPrefix)).toBe(true);
+      expect(result.apiToken).toEqual(
+        expect.objectContaining({ id: 1, name: "Kodi", scopes: ["library:read"] })
+      );
+      expect(result.apiToken).not.toHaveProperty("tokenHash");
+    });
+  });
+
+  describe("listApiTokens", () => {
+    it("returns serialized tokens for the user", async () => {
+      mockPrisma.apiToken.findMany.mockResolvedValue([
+        {
+          id: 2,
+          userId: 3,
+          name: "Script",
+          tokenHash: "secret",
+          tokenPrefix: "peek_abcdefg",
+          scopes: null,
+          lastUsedAt: null,
+          createdAt: new Date(),
+        },
+      ] as any);
+
+      const tokens = await listApiTokens(3);
+
+      expect(mockPrisma.apiToken.findMany).toHaveBeenCalledWith({
+        where: { userId: 3 },
+        orderBy: { createdAt: "desc" },
+      });
+      expect(tokens[0]).not.toHaveProperty("tokenHash");
+      expect(tokens[0]!.scopes).toBeNull();
+    });
+  });
+
+  describe("revokeApiToken", () => {
+    it("only deletes tokens owned by the user", async () => {
+      mockPrisma.apiToken.deleteMany.mockResolvedValue({ count: 0 });
+
+      const revoked = await revokeApiToken(3, 9);
+
+      expect(revoked).toBe(false);
+      expect(mockPrisma.apiToken.deleteMany).toHaveBeenCalledWith({
+        where: { id: 9, userId: 3 },
+      });
+    });
+  });
+
+  describe("touchApiToken", () => {
+    it("skips the write when used within the last minute", () => {
+      touchApiToken({ id: 1, lastUsedAt: new Date() });
+      expect(mockPrisma.apiToken.update).not.toHaveBeenCalled();
+    });
+
+    it("updates lastUsedAt when stale", () => {
+      mockPrisma.apiToken.update.mockResolvedValue({} as any);
+
+      touchApiToken({ id: 1, lastUsedAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+      expect(mockPrisma.apiToken.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { lastUsedAt: expect.any(Date) },
+      });
+    });
+  });
+});
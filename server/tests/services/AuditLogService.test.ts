@@ -0,0 +1,208 @@
+/**
+ * Unit Tests for AuditLogService
+ *
+ * Tests field diffing, redaction of sensitive values, filter building,
+ * request-derived actor and IP, failure isolation and retention pruning.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    auditLog: {
+      create: vi.fn(),
+      findMany: vi.fn(),
+      count: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    auditSettings: { upsert: vi.fn() },
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import {
+  auditLogService,
+  buildAuditWhere,
+  diffFields,
+} from "../../services/AuditLogService.js";
+import { logger } from "../../utils/logger.js";
+
+const mockPrisma = vi.mocked(prisma, true);
+
+const auditReq = (user?: { id: number; username: string }) =>
+  ({
+    ip: "::ffff:192.168.1.20",
+    socket: { remoteAddress: "::ffff:192.168.1.20" },
+    get: () => undefined,
+    user,
+  }) as any;
+
+const row = (id: number) => ({
+  id,
+  action: "user.create",
+  actorId: 1,
+  actorUsername: "admin",
+  targetType: "user",
+  targetId: "2",
+  targetLabel: "bob",
+  before: null,
+  after: { role: "USER" },
+  details: null,
+  ipAddress: "192.168.1.20",
+  createdAt: new Date("2026-03-01T10:00:00Z"),
+});
+
+describe("AuditLogService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("diffFields", () => {
+    it("keeps only changed fields", () => {
+      expect(
+        diffFields(
+          { name: "Family", canShare: false, tags: ["a"] },
+          { name: "Family", canShare: true, tags: ["a"] }
+        )
+      ).toEqual({ before: { canShare: false }, after: { canShare: true } });
+    });
+
+    it("treats missing fields as null", () => {
+      expect(diffFields({ a: 1 } as Record<string, unknown>, { b: 2 })).toEqual({
+        before: { a: 1, b: null },
+        after: { a: null, b: 2 },
+      });
+    });
+  });
+
+  describe("buildAuditWhere", () => {
+    it("filters by category prefix", () => {
+      expect(buildAuditWhere({ category: "group" })).toEqual({
+        action: { startsWith: "group." },
+      });
+    });
+
+    it("prefers an exact action over the category", () => {
+      expect(buildAuditWhere({ category: "auth", action: "auth.lockout" })).toEqual({
+        action: "auth.lockout",
+      });
+    });
+
+    it("combines actor and date range", () => {
+      const from = new Date("2026-03-01T00:00:00Z");
+      const to = new Date("2026-03-02T00:00:00Z");
+      expect(buildAuditWhere({ actor: "adm", from, to })).toEqual({
+        actorUsername: { contains: "adm" },
+        createdAt: { gte: from, lte: to },
+      });
+    });
+
+    it("matches everything without filters", () => {
+      expect(buildAuditWhere({})).toEqual({});
+    });
+  });
+
+  describe("record", () => {
+    it("redacts sensitive fields", async () => {
+      mockPrisma.auditLog.create.mockResolvedValue({} as any);
+
+      await auditLogService.record({
+        action: "auth.settings_update",
+        before: { oidcClientSecret: "old", oidcEnabled: false },
+        after: { oidcClientSecret: "new", oidcEnabled: true },
+      });
+
+      const data = mockPrisma.auditLog.create.mock.calls[0][0].data;
+      expect(data.before).toEqual({ oidcClientSecret: "[redacted]", oidcEnabled: false });
+      expect(data.after).toEqual({ oidcClientSecret: "[redacted]", oidcEnabled: true });
+    });
+
+    it("logs and swallows write failures", async () => {
+      mockPrisma.auditLog.create.mockRejectedValue(new Error("database is locked"));
+
+      await expect(auditLogService.record({ action: "sync.full" })).resolves.toBeUndefined();
+      expect(logger.error).toHaveBeenCalledWith(
+        "Failed to write audit log entry",
+        expect.objectContaining({ action: "sync.full" })
+      );
+    });
+  });
+
+  describe("recordRequest", () => {
+    it("takes the actor and IP from the request", async () => {
+      mockPrisma.auditLog.create.mockResolvedValue({} as any);
+
+      await auditLogService.recordRequest(auditReq({ id: 1, username: "admin" }), {
+        action: "group.delete",
+        target: { type: "group", id: 4, label: "Family" },
+      });
+
+      expect(mockPrisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: "group.delete",
+          actorId: 1,
+          actorUsername: "admin",
+          targetType: "group",
+          targetId: "4",
+          targetLabel: "Family",
+          ipAddress: "192.168.1.20",
+        }),
+      });
+    });
+
+    it("records the attempted username for anonymous events", async () => {
+      mockPrisma.auditLog.create.mockResolvedValue({} as any);
+
+      await auditLogService.recordRequest(auditReq(), {
+        action: "auth.login_failed",
+        actorUsername: "mallory",
+      });
+
+      expect(mockPrisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ actorId: null, actorUsername: "mallory" }),
+      });
+    });
+  });
+
+  describe("iterate", () => {
+    it("pages through entries by id cursor", async () => {
+      mockPrisma.auditLog.findMany
+        .mockResolvedValueOnce([row(5), row(4)] as any)
+        .mockResolvedValueOnce([row(3)] as any);
+
+      const batches = [];
+      for await (const batch of auditLogService.iterate({}, 2)) {
+        batches.push(batch.map((entry) => entry.id));
+      }
+
+      expect(batches).toEqual([[5, 4], [3]]);
+      expect(mockPrisma.auditLog.findMany.mock.calls[1][0]).toMatchObject({
+        where: { AND: [{}, { id: { lt: 4 } }] },
+      });
+    });
+  });
+
+  describe("prune", () => {
+    it("deletes entries older than the retention period", async () => {
+      mockPrisma.auditSettings.upsert.mockResolvedValue({ id: 1, retentionDays: 30 } as any);
+      mockPrisma.auditLog.deleteMany.mockResolvedValue({ count: 12 });
+
+      const deleted = await auditLogService.prune(new Date("2026-03-31T00:00:00Z"));
+
+      expect(deleted).toBe(12);
+      expect(mockPrisma.auditLog.deleteMany).toHaveBeenCalledWith({
+        where: { createdAt: { lt: new Date("2026-03-01T00:00:00Z") } },
+      });
+    });
+
+    it("keeps everything when retention is 0", async () => {
+      mockPrisma.auditSettings.upsert.mockResolvedValue({ id: 1, retentionDays: 0 } as any);
+
+      expect(await auditLogService.prune()).toBe(0);
+      expect(mockPrisma.auditLog.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+});
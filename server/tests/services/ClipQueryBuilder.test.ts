@@ -91,6 +91,21 @@ describe("ClipQueryBuilder", () => {
       expect(mainQuerySql).toContain("c.deletedAt IS NULL");
       expect(mainQuerySql).toContain("s.deletedAt IS NULL");
     });
+
+    it("excludes clips whose primary tag or clip tags are excluded", async () => {
+      await clipQueryBuilder.getClips({ userId: 7 });
+
+      const mainQuerySql = mockPrisma.$queryRawUnsafe.mock
+        .calls[0][0] as string;
+
+      expect(mainQuerySql).toContain("pte.entityId = c.primaryTagId");
+      expect(mainQuerySql).toContain("cte.entityId = ect.tagId");
+      // Marker-only tags are "empty" (no scenes) and must not hide clips
+      expect(mainQuerySql).toContain("reason != 'empty'");
+
+      const mainQueryParams = mockPrisma.$queryRawUnsafe.mock.calls[0].slice(1);
+      expect(mainQueryParams.slice(0, 3)).toEqual([7, 7, 7]);
+    });
   });
 
   describe("filters", () => {
@@ -150,6 +165,24 @@ describe("ClipQueryBuilder", () => {
       expect(mainQuerySql).toContain("ClipTag");
     });
 
+    it("filters by primary tag IDs without matching clip tags", async () => {
+      await clipQueryBuilder.getClips({
+        userId: 1,
+        primaryTagIds: ["5:inst-a", "6"],
+      });
+
+      const mainQuerySql = mockPrisma.$queryRawUnsafe.mock
+        .calls[0][0] as string;
+
+      expect(mainQuerySql).toContain(
+        "(c.primaryTagId = ? AND c.primaryTagInstanceId = ?)"
+      );
+      expect(mainQuerySql).toContain("(c.primaryTagId = ?)");
+
+      const mainQueryParams = mockPrisma.$queryRawUnsafe.mock.calls[0].slice(1);
+      expect(mainQueryParams).toEqual(expect.arrayContaining(["5", "inst-a", "6"]));
+    });
+
     it("filters by performer IDs", async () => {
       await clipQueryBuilder.getClips({
         userId: 1,
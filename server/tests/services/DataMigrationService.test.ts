@@ -3,7 +3,8 @@
  *
  * Tests the one-time data migration system that runs on server startup.
  * Critical for verifying that migrations like 002_rebuild_stats_multi_instance
- * execute correctly and handle failures properly.
+ * execute correctly and handle failures properly, and that
+ * 003_versioned_filter_rules rewrites stored rules.
  */
 import { describe, it, expect, beforeEach, vi, afterEach } from "vitest";
 
@@ -16,6 +17,15 @@ vi.mock("../../prisma/singleton.js", () => ({
     },
     user: {
       findMany: vi.fn(),
+      update: vi.fn(),
+    },
+    userCarousel: {
+      findMany: vi.fn(),
+      update: vi.fn(),
+    },
+    playlist: {
+      findMany: vi.fn(),
+      update: vi.fn(),
     },
   },
 }));
@@ -48,6 +58,9 @@ const mockStatsService = vi.mocked(userStatsService);
 describe("DataMigrationService", () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    // Nothing for 003 to convert unless a test says otherwise
+    mockPrisma.userCarousel.findMany.mockResolvedValue([]);
+    mockPrisma.playlist.findMany.mockResolvedValue([]);
   });
 
   afterEach(() => {
@@ -64,6 +77,7 @@ describe("DataMigrationService", () => {
       mockPrisma.dataMigration.findMany.mockResolvedValue([
         { id: 1, name: "001_rebuild_user_stats", appliedAt: new Date() },
         { id: 2, name: "002_rebuild_stats_multi_instance", appliedAt: new Date() },
+        { id: 3, name: "003_versioned_filter_rules", appliedAt: new Date() },
       ] as any);
 
       const { logger } = await import("../../utils/logger.js");
@@ -92,20 +106,24 @@ describe("DataMigrationService", () => {
       const service = await importFresh();
       await service.runPendingMigrations();
 
-      // Both migrations should be marked as applied
-      expect(mockPrisma.dataMigration.create).toHaveBeenCalledTimes(2);
+      // All migrations should be marked as applied
+      expect(mockPrisma.dataMigration.create).toHaveBeenCalledTimes(3);
       expect(mockPrisma.dataMigration.create).toHaveBeenCalledWith({
         data: { name: "001_rebuild_user_stats" },
       });
       expect(mockPrisma.dataMigration.create).toHaveBeenCalledWith({
         data: { name: "002_rebuild_stats_multi_instance" },
       });
+      expect(mockPrisma.dataMigration.create).toHaveBeenCalledWith({
+        data: { name: "003_versioned_filter_rules" },
+      });
     });
 
     it("skips already-applied migration and only runs pending ones", async () => {
-      // 001 already applied, 002 pending
+      // 001 and 003 already applied, 002 pending
       mockPrisma.dataMigration.findMany.mockResolvedValue([
         { id: 1, name: "001_rebuild_user_stats", appliedAt: new Date() },
+        { id: 3, name: "003_versioned_filter_rules", appliedAt: new Date() },
       ] as any);
       mockPrisma.dataMigration.create.mockResolvedValue({} as any);
       mockStatsService.rebuildAllStats.mockResolvedValue();
@@ -197,6 +215,75 @@ describe("DataMigrationService", () => {
       expect(mockPrisma.dataMigration.create).not.toHaveBeenCalled();
     });
 
+    it("converts flat rules and stamps preset versions in migration 003", async () => {
+      mockPrisma.dataMigration.findMany.mockResolvedValue([
+        { id: 1, name: "001_rebuild_user_stats", appliedAt: new Date() },
+        { id: 2, name: "002_rebuild_stats_multi_instance", appliedAt: new Date() },
+      ] as any);
+      mockPrisma.dataMigration.create.mockResolvedValue({} as any);
+
+      const versioned = {
+        version: 2,
+        root: { type: "group", operator: "OR", children: [] },
+      };
+      const updatedAt = new Date("2026-01-01");
+      mockPrisma.userCarousel.findMany.mockResolvedValue([
+        { id: "c1", rules: { favorite: true } },
+        { id: "c2", rules: versioned },
+      ] as any);
+      mockPrisma.playlist.findMany.mockResolvedValue([
+        { id: 4, rules: { organized: true }, updatedAt },
+        { id: 5, rules: null, updatedAt },
+      ] as any);
+      mockPrisma.user.findMany.mockResolvedValue([
+        { id: 1, filterPresets: { scene: [{ id: "p1", name: "Old", filters: {} }] } },
+        { id: 2, filterPresets: null },
+      ] as any);
+
+      const service = await importFresh();
+      await service.runPendingMigrations();
+
+      expect(mockPrisma.userCarousel.update).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.userCarousel.update).toHaveBeenCalledWith({
+        where: { id: "c1" },
+        data: {
+          rules: {
+            version: 2,
+            root: {
+              type: "group",
+              operator: "AND",
+              children: [{ type: "rule", filter: { favorite: true } }],
+            },
+          },
+        },
+      });
+      expect(mockPrisma.playlist.update).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.playlist.update).toHaveBeenCalledWith({
+        where: { id: 4 },
+        data: {
+          rules: {
+            version: 2,
+            root: {
+              type: "group",
+              operator: "AND",
+              children: [{ type: "rule", filter: { organized: true } }],
+            },
+          },
+          updatedAt,
+        },
+      });
+      expect(mockPrisma.user.update).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: {
+          filterPresets: { scene: [{ id: "p1", name: "Old", filters: {}, version: 2 }] },
+        },
+      });
+      expect(mockPrisma.dataMigration.create).toHaveBeenCalledWith({
+        data: { name: "003_versioned_filter_rules" },
+      });
+    });
+
     it("propagates error when dataMigration.findMany fails", async () => {
       mockPrisma.dataMigration.findMany.mockRejectedValue(
         new Error("Database connection failed")
@@ -0,0 +1,224 @@
+/**
+ * Unit Tests for DlnaBrowseService
+ *
+ * Tests the DLNA browse tree: top-level folders, paging onto the query
+ * builders, playlist ordering with exclusions, and the placeholder shown
+ * to devices that aren't bound to a user.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    playlist: { findMany: vi.fn(), findFirst: vi.fn(), count: vi.fn() },
+    playlistItem: { findMany: vi.fn() },
+  },
+}));
+
+vi.mock("../../services/SceneQueryBuilder.js", () => ({
+  sceneQueryBuilder: { execute: vi.fn() },
+}));
+vi.mock("../../services/PerformerQueryBuilder.js", () => ({
+  performerQueryBuilder: { execute: vi.fn() },
+}));
+vi.mock("../../services/StudioQueryBuilder.js", () => ({
+  studioQueryBuilder: { execute: vi.fn() },
+}));
+vi.mock("../../services/TagQueryBuilder.js", () => ({
+  tagQueryBuilder: { execute: vi.fn() },
+}));
+vi.mock("../../services/SmartPlaylistService.js", () => ({
+  isSmartPlaylist: (p: { type: string }) => p.type === "smart",
+  smartPlaylistService: { refresh: vi.fn() },
+}));
+vi.mock("../../services/StashInstanceManager.js", () => ({
+  stashInstanceManager: { getDefaultConfig: () => ({ id: "inst-1" }) },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import {
+  DLNA_RECENT_LIMIT,
+  DlnaObjectNotFoundError,
+  dlnaBrowseService,
+} from "../../services/DlnaBrowseService.js";
+import { performerQueryBuilder } from "../../services/PerformerQueryBuilder.js";
+import { sceneQueryBuilder } from "../../services/SceneQueryBuilder.js";
+import { smartPlaylistService } from "../../services/SmartPlaylistService.js";
+import type { DidlItem } from "../../utils/dlnaXml.js";
+
+const mockPrisma = vi.mocked(prisma, true);
+const mockSceneExecute = vi.mocked(sceneQueryBuilder.execute);
+const mockPerformerExecute = vi.mocked(performerQueryBuilder.execute);
+
+const context = { userId: 3, allowedInstanceIds: ["inst-1"], baseUrl: "http://peek.lan:6969" };
+
+const scene = (id: string, overrides: Record<string, unknown> = {}) =>
+  ({
+    id,
+    instanceId: "inst-1",
+    title: `Scene ${id}`,
+    date: "2024-05-01",
+    details: null,
+    files: [{ path: `/media/${id}.mkv`, duration: 60, size: 100, width: 1280, height: 720, bit_rate: 800 }],
+    paths: { screenshot: `/api/proxy/stash?path=%2Fscene%2F${id}` },
+    ...overrides,
+  }) as any;
+
+describe("DlnaBrowseService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSceneExecute.mockResolvedValue({ scenes: [], total: 0 });
+  });
+
+  it("lists the top-level folders at the root", async () => {
+    const result = await dlnaBrowseService.browse(context, "0", "children", 0, 0);
+
+    expect(result.totalMatches).toBe(6);
+    expect(result.objects.map((o) => o.title)).toEqual([
+      "Recently Added",
+      "Playlists",
+      "Performers",
+      "Studios",
+      "Tags",
+      "Favorites",
+    ]);
+  });
+
+  it("shows only a placeholder to unbound devices", async () => {
+    const root = await dlnaBrowseService.browse(null, "0", "children", 0, 0);
+    expect(root.objects).toHaveLength(1);
+    expect(root.objects[0]).toMatchObject({ id: "unlinked", childCount: 0 });
+
+    await expect(dlnaBrowseService.browse(null, "recent", "children", 0, 0)).rejects.toBeInstanceOf(
+      DlnaObjectNotFoundError
+    );
+    expect(mockSceneExecute).not.toHaveBeenCalled();
+  });
+
+  it("maps aligned windows onto query builder pages as the bound user", async () => {
+    mockSceneExecute.mockResolvedValue({ scenes: [scene("9")], total: 500 });
+
+    const result = await dlnaBrowseService.browse(context, "recent", "children", 50, 25);
+
+    expect(mockSceneExecute).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: 3,
+        allowedInstanceIds: ["inst-1"],
+        sort: "created_at",
+        sortDirection: "DESC",
+        page: 3,
+        perPage: 25,
+      })
+    );
+    expect(result.totalMatches).toBe(DLNA_RECENT_LIMIT);
+
+    const item = result.objects[0] as DidlItem;
+    expect(item).toMatchObject({ id: "scene/inst-1/9", parentId: "recent" });
+    expect(item.resource.url).toBe("http://peek.lan:6969/api/dlna/media/inst-1/9");
+    expect(item.resource.mimeType).toBe("video/x-matroska");
+    expect(item.artUrl).toBe("http://peek.lan:6969/api/proxy/stash?path=%2Fscene%2F9");
+  });
+
+  it("reads from the top and slices for unaligned windows", async () => {
+    mockSceneExecute.mockResolvedValue({
+      scenes: [scene("1"), scene("2"), scene("3"), scene("4")],
+      total: 4,
+    });
+
+    const result = await dlnaBrowseService.browse(context, "favorites", "children", 3, 2);
+
+    expect(mockSceneExecute).toHaveBeenCalledWith(
+      expect.objectContaining({ filters: { favorite: true }, page: 1, perPage: 5 })
+    );
+    expect(result.objects.map((o) => o.id)).toEqual(["scene/inst-1/4"]);
+  });
+
+  it("lists performers with scenes and opens one as a scene folder", async () => {
+    mockPerformerExecute.mockResolvedValue({
+      performers: [{ id: "12", instanceId: "inst-1", name: "Jane", image_path: null, scene_count: 4 }],
+      total: 1,
+    } as any);
+
+    const list = await dlnaBrowseService.browse(context, "performers", "children", 0, 50);
+    expect(list.objects[0]).toMatchObject({
+      kind: "container",
+      id: "performer/inst-1/12",
+      title: "Jane",
+      childCount: 4,
+    });
+    expect(mockPerformerExecute).toHaveBeenCalledWith(
+      expect.objectContaining({ filters: { scene_count: { value: 0, modifier: "GREATER_THAN" } } })
+    );
+
+    await dlnaBrowseService.browse(context, "performer/inst-1/12", "children", 0, 50);
+    expect(mockSceneExecute).toHaveBeenCalledWith(
+      expect.objectContaining({
+        filters: { performers: { value: ["12:inst-1"], modifier: "INCLUDES" } },
+        sort: "date",
+      })
+    );
+  });
+
+  describe("playlists", () => {
+    it("keeps playlist order and drops scenes the user can't see", async () => {
+      mockPrisma.playlist.findFirst.mockResolvedValue({
+        id: 5,
+        name: "Mine",
+        type: "static",
+        _count: { items: 3 },
+      } as any);
+      mockPrisma.playlistItem.findMany.mockResolvedValue([
+        { sceneId: "3", instanceId: "inst-1" },
+        { sceneId: "1", instanceId: null },
+        { sceneId: "2", instanceId: "inst-1" },
+      ] as any);
+      // Scene 2 is excluded for this user, so the query builder doesn't return it
+      mockSceneExecute.mockResolvedValue({ scenes: [scene("1"), scene("3")], total: 2 });
+
+      const result = await dlnaBrowseService.browse(context, "playlist/5", "children", 0, 0);
+
+      expect(mockPrisma.playlist.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 5, userId: 3 } })
+      );
+      expect(result.objects.map((o) => o.id)).toEqual(["scene/inst-1/3", "scene/inst-1/1"]);
+      expect(result.totalMatches).toBe(2);
+    });
+
+    it("refreshes smart playlists when opened", async () => {
+      mockPrisma.playlist.findFirst.mockResolvedValue({
+        id: 6,
+        name: "Smart",
+        type: "smart",
+        _count: { items: 0 },
+      } as any);
+      mockPrisma.playlistItem.findMany.mockResolvedValue([]);
+
+      await dlnaBrowseService.browse(context, "playlist/6", "children", 0, 0);
+
+      expect(smartPlaylistService.refresh).toHaveBeenCalledWith(6);
+    });
+
+    it("rejects other users' playlists", async () => {
+      mockPrisma.playlist.findFirst.mockResolvedValue(null);
+
+      await expect(
+        dlnaBrowseService.browse(context, "playlist/99", "children", 0, 0)
+      ).rejects.toBeInstanceOf(DlnaObjectNotFoundError);
+    });
+  });
+
+  it("returns scene metadata only when the scene is visible", async () => {
+    mockSceneExecute.mockResolvedValueOnce({ scenes: [scene("4")], total: 1 });
+    const visible = await dlnaBrowseService.browse(context, "scene/inst-1/4", "metadata", 0, 0);
+    expect(visible.objects[0]).toMatchObject({ kind: "item", id: "scene/inst-1/4" });
+
+    await expect(
+      dlnaBrowseService.browse(context, "scene/inst-1/5", "metadata", 0, 0)
+    ).rejects.toBeInstanceOf(DlnaObjectNotFoundError);
+  });
+
+  it("rejects unknown object IDs", async () => {
+    await expect(dlnaBrowseService.browse(context, "bogus", "children", 0, 0)).rejects.toBeInstanceOf(
+      DlnaObjectNotFoundError
+    );
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for DlnaService
+ *
+ * Tests the device registry: new addresses are recorded, known ones are
+ * refreshed, and unclaimed devices are pruned so unauthenticated requests
+ * can't grow the table without bound.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    dlnaDevice: { findUnique: vi.fn(), findMany: vi.fn(), upsert: vi.fn(), deleteMany: vi.fn() },
+  },
+}));
+
+vi.mock("../../services/SsdpServer.js", () => ({
+  ssdpServer: { start: vi.fn(), stop: vi.fn(), isRunning: vi.fn() },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import { MAX_UNCLAIMED_DEVICES, dlnaService } from "../../services/DlnaService.js";
+
+const mockPrisma = vi.mocked(prisma, true);
+
+describe("DlnaService.touchDevice", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dlnaService.invalidateDevices();
+    mockPrisma.dlnaDevice.findMany.mockResolvedValue([]);
+    mockPrisma.dlnaDevice.upsert.mockImplementation(
+      (async ({ where }: { where: { address: string } }) => ({ id: 1, address: where.address, userId: null })) as any
+    );
+  });
+
+  it("records a new device after pruning stale unclaimed devices", async () => {
+    mockPrisma.dlnaDevice.findUnique.mockResolvedValue(null);
+
+    const device = await dlnaService.touchDevice("192.168.1.50", "Renderer/1.0");
+
+    expect(device.address).toBe("192.168.1.50");
+    expect(mockPrisma.dlnaDevice.deleteMany).toHaveBeenCalledWith({
+      where: { userId: null, name: null, lastSeenAt: { lt: expect.any(Date) } },
+    });
+    expect(mockPrisma.dlnaDevice.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { userId: null, name: null },
+        orderBy: { lastSeenAt: "desc" },
+        skip: MAX_UNCLAIMED_DEVICES - 1,
+      })
+    );
+    expect(mockPrisma.dlnaDevice.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({ create: { address: "192.168.1.50", userAgent: "Renderer/1.0" } })
+    );
+  });
+
+  it("removes the least recently seen unclaimed devices beyond the limit", async () => {
+    mockPrisma.dlnaDevice.findUnique.mockResolvedValue(null);
+    mockPrisma.dlnaDevice.findMany.mockResolvedValue([
+      { id: 8, address: "10.0.0.8" },
+      { id: 9, address: "10.0.0.9" },
+    ] as any);
+
+    await dlnaService.touchDevice("10.0.0.1", undefined);
+
+    expect(mockPrisma.dlnaDevice.deleteMany).toHaveBeenLastCalledWith({ where: { id: { in: [8, 9] } } });
+  });
+
+  it("refreshes a known device without pruning", async () => {
+    mockPrisma.dlnaDevice.findUnique.mockResolvedValue({ id: 3 } as any);
+
+    await dlnaService.touchDevice("192.168.1.60", undefined);
+
+    expect(mockPrisma.dlnaDevice.deleteMany).not.toHaveBeenCalled();
+    expect(mockPrisma.dlnaDevice.findMany).not.toHaveBeenCalled();
+    expect(mockPrisma.dlnaDevice.upsert).toHaveBeenCalledTimes(1);
+  });
+
+  it("serves repeat requests from the cache", async () => {
+    mockPrisma.dlnaDevice.findUnique.mockResolvedValue({ id: 3 } as any);
+
+    await dlnaService.touchDevice("192.168.1.60", undefined);
+    await dlnaService.touchDevice("192.168.1.60", undefined);
+
+    expect(mockPrisma.dlnaDevice.findUnique).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.dlnaDevice.upsert).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit Tests for DownloadQueueService
+ *
+ * Tests which queued playlist ZIPs get a build slot under the global and
+ * per-user limits, and that pausing or cancelling stops a running build
+ * before its status changes.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../services/DownloadService.js", () => ({
+  downloadService: {
+    getSettings: vi.fn(),
+    getQueued: vi.fn(),
+    claimQueued: vi.fn(),
+    getDownload: vi.fn(),
+    setQueueStatus: vi.fn(),
+    setPriority: vi.fn(),
+    requeueInterrupted: vi.fn(),
+  },
+}));
+
+vi.mock("../../services/PlaylistZipService.js", () => ({
+  playlistZipService: {
+    createZip: vi.fn(),
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { AppError, NotFoundError } from "../../middleware/errorHandler.js";
+import { downloadQueueService } from "../../services/DownloadQueueService.js";
+import { downloadService } from "../../services/DownloadService.js";
+import { playlistZipService } from "../../services/PlaylistZipService.js";
+
+const mockDownloadService = vi.mocked(downloadService);
+const mockCreateZip = vi.mocked(playlistZipService.createZip);
+
+const queued = (id: number, userId: number) =>
+  ({ id, userId, type: "PLAYLIST", status: "PENDING" }) as never;
+
+/**
+ * createZip stand-in that runs until its build is aborted
+ */
+const runUntilAborted = (_id: number, signal?: AbortSignal) =>
+  new Promise<void>((_resolve, reject) => {
+    signal?.addEventListener("abort", () => reject(new Error("aborted")));
+  });
+
+// Let the builds' cleanup and follow-up queue runs settle
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("DownloadQueueService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDownloadService.getSettings.mockResolvedValue({
+      id: 1,
+      maxConcurrent: 2,
+      maxConcurrentPerUser: 1,
+      expiryHours: 24,
+    } as never);
+    mockDownloadService.getQueued.mockResolvedValue([]);
+    mockDownloadService.claimQueued.mockImplementation((id: number) =>
+      Promise.resolve(queued(id, 0))
+    );
+    mockCreateZip.mockResolvedValue(undefined);
+  });
+
+  it("should start builds up to the global and per-user limits", async () => {
+    mockCreateZip.mockImplementation(runUntilAborted);
+    mockDownloadService.getQueued.mockResolvedValueOnce([
+      queued(1, 10),
+      queued(2, 10),
+      queued(3, 20),
+      queued(4, 30),
+    ]);
+
+    await downloadQueueService.pump();
+
+    // User 10's second download waits, and the global limit of 2 holds
+    expect(mockDownloadService.claimQueued.mock.calls).toEqual([[1], [3]]);
+    expect(mockCreateZip.mock.calls.map(([id]) => id)).toEqual([1, 3]);
+
+    await downloadQueueService.abort(1);
+    await downloadQueueService.abort(3);
+    await flush();
+  });
+
+  it("should skip downloads that are no longer queued when claimed", async () => {
+    mockDownloadService.getQueued.mockResolvedValueOnce([queued(5, 10)]);
+    mockDownloadService.claimQueued.mockResolvedValueOnce(null);
+
+    await downloadQueueService.pump();
+
+    expect(mockCreateZip).not.toHaveBeenCalled();
+  });
+
+  it("should stop a running build before marking it paused", async () => {
+    let signal: AbortSignal | undefined;
+    mockCreateZip.mockImplementation((id, s) => {
+      signal = s;
+      return runUntilAborted(id, s);
+    });
+    mockDownloadService.getQueued.mockResolvedValueOnce([queued(6, 10)]);
+    await downloadQueueService.pump();
+
+    mockDownloadService.getDownload.mockResolvedValue({
+      id: 6,
+      userId: 10,
+      type: "PLAYLIST",
+      status: "PROCESSING",
+    } as never);
+    mockDownloadService.setQueueStatus.mockImplementation(async () => {
+      expect(signal?.aborted).toBe(true);
+      return { id: 6, status: "PAUSED" } as never;
+    });
+
+    const paused = await downloadQueueService.pause(6, 10);
+
+    expect(mockDownloadService.setQueueStatus).toHaveBeenCalledWith(
+      6,
+      "PAUSED"
+    );
+    expect(paused).toEqual({ id: 6, status: "PAUSED" });
+    await flush();
+  });
+
+  it("should reject actions that don't fit the download's status", async () => {
+    mockDownloadService.getDownload.mockResolvedValue({
+      id: 7,
+      userId: 10,
+      type: "PLAYLIST",
+      status: "COMPLETED",
+    } as never);
+
+    await expect(downloadQueueService.pause(7, 10)).rejects.toThrow(AppError);
+    await expect(downloadQueueService.resume(7, 10)).rejects.toThrow(
+      "Only paused downloads can be resumed"
+    );
+    await expect(
+      downloadQueueService.setPriority(7, 10, "high")
+    ).rejects.toThrow(AppError);
+    expect(mockDownloadService.setQueueStatus).not.toHaveBeenCalled();
+  });
+
+  it("should hide other users' downloads", async () => {
+    mockDownloadService.getDownload.mockResolvedValue({
+      id: 8,
+      userId: 20,
+      type: "PLAYLIST",
+      status: "PENDING",
+    } as never);
+
+    await expect(downloadQueueService.cancel(8, 10)).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import { DownloadService } from "../../services/DownloadService.js";
+import { eventBusService } from "../../services/EventBusService.js";
 
 // Mock prisma
 vi.mock("../../prisma/singleton.js", () => ({
@@ -9,7 +10,17 @@ vi.mock("../../prisma/singleton.js", () => ({
       findUnique: vi.fn(),
       findMany: vi.fn(),
       update: vi.fn(),
+      updateMany: vi.fn(),
       delete: vi.fn(),
+      aggregate: vi.fn(),
+    },
+    downloadSettings: {
+      findFirst: vi.fn(),
+      upsert: vi.fn(),
+      update: vi.fn(),
+    },
+    userGroupMembership: {
+      findMany: vi.fn(),
     },
     stashScene: {
       findFirst: vi.fn(), // Changed from findUnique for composite primary key
@@ -155,6 +166,29 @@ describe("DownloadService", () => {
       expect(result.progress).toBe(0);
     });
 
+    it("should store the archive options for retries", async () => {
+      vi.mocked(prisma.playlist.findUnique).mockResolvedValue({
+        id: 1,
+        name: "My Playlist",
+        items: [],
+      } as any);
+      vi.mocked(prisma.download.create).mockResolvedValue({ id: 4 } as any);
+
+      await service.createPlaylistDownload(1, 1, {
+        layout: "kodi",
+        includeCaptions: true,
+        includeChapters: true,
+      });
+
+      expect(prisma.download.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          zipLayout: "kodi",
+          zipCaptions: true,
+          zipChapters: true,
+        }),
+      });
+    });
+
     it("should throw if playlist not found", async () => {
       vi.mocked(prisma.playlist.findUnique).mockResolvedValue(null);
 
@@ -304,7 +338,7 @@ describe("DownloadService", () => {
   });
 
   describe("markCompleted", () => {
-    it("should mark download as completed with 24h expiry", async () => {
+    it("should mark download as completed with the server default expiry", async () => {
       vi.useFakeTimers();
       const now = new Date();
       vi.setSystemTime(now);
@@ -312,6 +346,7 @@ describe("DownloadService", () => {
       const expectedExpiry = new Date(now.getTime() + 24 * 60 * 60 * 1000);
       const mockDownload = {
         id: 1,
+        userId: 1,
         status: "COMPLETED",
         progress: 100,
         filePath: "/tmp/download.zip",
@@ -320,10 +355,22 @@ describe("DownloadService", () => {
         expiresAt: expectedExpiry,
       };
 
+      vi.mocked(prisma.download.findUnique).mockResolvedValue({ userId: 1 } as any);
+      vi.mocked(prisma.downloadSettings.findFirst).mockResolvedValue({
+        id: 1,
+        maxConcurrent: 2,
+        maxConcurrentPerUser: 1,
+        expiryHours: 24,
+      } as any);
+      vi.mocked(prisma.userGroupMembership.findMany).mockResolvedValue([]);
       vi.mocked(prisma.download.update).mockResolvedValue(mockDownload as any);
 
       const result = await service.markCompleted(1, "/tmp/download.zip", BigInt(5000000));
 
+      expect(prisma.download.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: expect.objectContaining({ expiresAt: expectedExpiry }),
+      });
       expect(result.status).toBe("COMPLETED");
       expect(result.progress).toBe(100);
       expect(result.filePath).toBe("/tmp/download.zip");
@@ -332,6 +379,74 @@ describe("DownloadService", () => {
     });
   });
 
+  describe("getUserLimits", () => {
+    beforeEach(() => {
+      vi.mocked(prisma.downloadSettings.findFirst).mockResolvedValue({
+        id: 1,
+        maxConcurrent: 2,
+        maxConcurrentPerUser: 1,
+        expiryHours: 24,
+      } as any);
+    });
+
+    it("should use the most generous group limits", async () => {
+      vi.mocked(prisma.userGroupMembership.findMany).mockResolvedValue([
+        { group: { downloadExpiryHours: 72, downloadQuotaMb: 1024 } },
+        { group: { downloadExpiryHours: null, downloadQuotaMb: 4096 } },
+      ] as any);
+
+      const limits = await service.getUserLimits(1);
+
+      expect(limits).toEqual({
+        expiryHours: 72,
+        quotaBytes: BigInt(4096) * BigInt(1024 * 1024),
+      });
+    });
+
+    it("should not limit space when any group has no quota", async () => {
+      vi.mocked(prisma.userGroupMembership.findMany).mockResolvedValue([
+        { group: { downloadExpiryHours: 12, downloadQuotaMb: 1024 } },
+        { group: { downloadExpiryHours: null, downloadQuotaMb: null } },
+      ] as any);
+
+      const limits = await service.getUserLimits(1);
+
+      expect(limits).toEqual({ expiryHours: 24, quotaBytes: null });
+    });
+  });
+
+  describe("events", () => {
+    it("should publish changes to the owner's event streams", async () => {
+      const send = vi.fn();
+      const unsubscribe = eventBusService.subscribe({ id: 1, role: "USER" }, { send });
+      const failed = {
+        id: 1,
+        userId: 1,
+        status: "FAILED",
+        error: "Stash unreachable",
+        fileSize: null,
+        priority: 1,
+        zipLayout: "kodi",
+      };
+      vi.mocked(prisma.download.update).mockResolvedValue(failed as any);
+
+      await service.markFailed(1, "Stash unreachable");
+      unsubscribe();
+      await service.markFailed(1, "Stash unreachable");
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send).toHaveBeenCalledWith({
+        type: "download",
+        download: expect.objectContaining({
+          id: 1,
+          status: "FAILED",
+          priority: "high",
+          zipLayout: "kodi",
+        }),
+      });
+    });
+  });
+
   describe("markFailed", () => {
     it("should mark download as failed with error message", async () => {
       const mockDownload = {
@@ -0,0 +1,271 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import prisma from "../../prisma/singleton.js";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    $queryRawUnsafe: vi.fn(),
+    stashScene: {
+      findMany: vi.fn(),
+      update: vi.fn(),
+    },
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+const stash = {
+  sceneDestroy: vi.fn(),
+  sceneMerge: vi.fn(),
+};
+
+vi.mock("../../services/StashInstanceManager.js", () => ({
+  stashInstanceManager: {
+    get: vi.fn(() => stash),
+    getConfig: vi.fn((id: string) => ({ id, name: id.toUpperCase() })),
+  },
+}));
+
+vi.mock("../../services/MergeReconciliationService.js", () => ({
+  mergeReconciliationService: {
+    reconcileScene: vi.fn(),
+  },
+}));
+
+// Import after mocking
+import { mergeReconciliationService } from "../../services/MergeReconciliationService.js";
+import { duplicateSceneService } from "../../services/DuplicateSceneService.js";
+
+interface SceneRow {
+  id: string;
+  stashInstanceId?: string;
+  phash?: string | null;
+  phashes?: string | null;
+  fileWidth?: number | null;
+  fileHeight?: number | null;
+  fileBitRate?: number | null;
+  fileSize?: bigint | null;
+}
+
+function loadScenes(scenes: SceneRow[], activity: Array<[sceneId: string, count: number]> = []) {
+  vi.mocked(prisma.$queryRawUnsafe).mockImplementation(((sql: string) => {
+    if (sql.includes("FROM StashScene")) {
+      return Promise.resolve(
+        scenes.map((s) => ({
+          stashInstanceId: "inst-1",
+          title: null,
+          date: null,
+          duration: null,
+          phash: null,
+          phashes: null,
+          filePath: null,
+          fileWidth: null,
+          fileHeight: null,
+          fileFrameRate: null,
+          fileBitRate: null,
+          fileVideoCodec: null,
+          fileAudioCodec: null,
+          fileSize: null,
+          ...s,
+        }))
+      );
+    }
+    if (sql.includes("FROM WatchHistory")) {
+      return Promise.resolve(
+        activity.map(([sceneId, count]) => ({ sceneId, instanceId: "inst-1", count: BigInt(count) }))
+      );
+    }
+    return Promise.resolve([]);
+  }) as never);
+}
+
+const groupIds = (groups: Array<{ scenes: Array<{ id: string }> }>) =>
+  groups.map((g) => g.scenes.map((s) => s.id).sort());
+
+describe("DuplicateSceneService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("findDuplicateGroups", () => {
+    it("groups exact and near phash matches across instances", async () => {
+      loadScenes([
+        { id: "a", phash: "ffffffff00000000" },
+        { id: "a", stashInstanceId: "inst-2", phash: "ffffffff00000000" },
+        { id: "b", phash: "0000ffff0000ffff" },
+        // Two bits off "b"
+        { id: "c", phash: "0000ffff0000fffc" },
+        { id: "unique", phash: "123456789abcdef0" },
+      ]);
+
+      const result = await duplicateSceneService.findDuplicateGroups(4);
+
+      expect(groupIds(result.groups)).toEqual([
+        ["a", "a"],
+        ["b", "c"],
+      ]);
+      expect(result.groups[0]).toMatchObject({ match: "exact", distance: 0 });
+      expect(result.groups[1]).toMatchObject({ match: "near", distance: 2 });
+      expect(result.groups[0]?.scenes.map((s) => s.instanceName).sort()).toEqual(["INST-1", "INST-2"]);
+    });
+
+    it("only matches within the given distance", async () => {
+      loadScenes([
+        { id: "a", phash: "0000ffff0000ffff" },
+        { id: "b", phash: "0000ffff0000fffc" },
+      ]);
+
+      const result = await duplicateSceneService.findDuplicateGroups(0);
+
+      expect(result.groups).toEqual([]);
+    });
+
+    it("links copies through any of a scene's file hashes, and chains matches", async () => {
+      loadScenes([
+        { id: "a", phash: "ffffffff00000000", phashes: JSON.stringify(["ffffffff00000000", "abcdabcdabcdabcd"]) },
+        { id: "b", phash: "abcdabcdabcdabcd" },
+        // One bit off "b", five off "a"'s first hash
+        { id: "c", phash: "abcdabcdabcdabcc" },
+      ]);
+
+      const result = await duplicateSceneService.findDuplicateGroups(1);
+
+      expect(groupIds(result.groups)).toEqual([["a", "b", "c"]]);
+    });
+
+    it("compares hashes Stash wrote without leading zeros", async () => {
+      loadScenes([
+        { id: "a", phash: "ffffffff" },
+        { id: "b", phash: "00000000ffffffff" },
+      ]);
+
+      const result = await duplicateSceneService.findDuplicateGroups(0);
+
+      expect(groupIds(result.groups)).toEqual([["a", "b"]]);
+    });
+
+    it("suggests keeping the highest resolution, then the higher bitrate", async () => {
+      loadScenes(
+        [
+          { id: "small", phash: "ffffffff00000000", fileWidth: 1280, fileHeight: 720, fileBitRate: 9000000 },
+          { id: "big-low", phash: "ffffffff00000000", fileWidth: 1920, fileHeight: 1080, fileBitRate: 4000000 },
+          { id: "big-high", phash: "ffffffff00000000", fileWidth: 1920, fileHeight: 1080, fileBitRate: 8000000 },
+        ],
+        [["small", 3]]
+      );
+
+      const { groups } = await duplicateSceneService.findDuplicateGroups();
+      const scenes = groups[0]?.scenes ?? [];
+
+      expect(scenes.map((s) => s.id)).toEqual(["big-high", "big-low", "small"]);
+      expect(scenes.map((s) => s.recommended)).toEqual([true, false, false]);
+      expect(scenes[2]?.userActivityCount).toBe(3);
+    });
+
+    it("rejects distances outside 0-10", async () => {
+      await expect(duplicateSceneService.findDuplicateGroups(11)).rejects.toThrow("distance");
+      await expect(duplicateSceneService.findDuplicateGroups(1.5)).rejects.toThrow("distance");
+    });
+  });
+
+  describe("resolveGroup", () => {
+    const keeper = { id: "1", instanceId: "inst-1" };
+
+    beforeEach(() => {
+      vi.mocked(prisma.stashScene.findMany).mockImplementation((async (args: {
+        where: { OR: Array<{ id: string; stashInstanceId: string }> };
+      }) =>
+        args.where.OR.map((ref) => ({ ...ref, phash: "ffffffff00000000" }))) as never);
+      vi.mocked(mergeReconciliationService.reconcileScene).mockResolvedValue({
+        sourceSceneId: "",
+        targetSceneId: "",
+        usersReconciled: 2,
+        mergeRecordsCreated: 2,
+      });
+    });
+
+    it("moves user data from each copy to the kept scene, naming both instances", async () => {
+      const result = await duplicateSceneService.resolveGroup(
+        keeper,
+        [{ id: "1", instanceId: "inst-2" }],
+        "none",
+        { reconciledBy: 7 }
+      );
+
+      expect(mergeReconciliationService.reconcileScene).toHaveBeenCalledWith(
+        "1",
+        "1",
+        "ffffffff00000000",
+        7,
+        { sourceInstanceId: "inst-2", targetInstanceId: "inst-1" }
+      );
+      expect(result).toMatchObject({ usersReconciled: 2, mergeRecordsCreated: 2, removed: [] });
+      expect(stash.sceneDestroy).not.toHaveBeenCalled();
+      expect(prisma.stashScene.update).not.toHaveBeenCalled();
+    });
+
+    it("has Stash merge same-instance copies into the kept scene", async () => {
+      const others = [
+        { id: "2", instanceId: "inst-1" },
+        { id: "3", instanceId: "inst-1" },
+      ];
+
+      const result = await duplicateSceneService.resolveGroup(keeper, others, "merge", { reconciledBy: 7 });
+
+      expect(stash.sceneMerge).toHaveBeenCalledWith({
+        input: { destination: "1", source: ["2", "3"], play_history: true, o_history: true },
+      });
+      expect(result.removed).toEqual(others);
+      expect(prisma.stashScene.update).toHaveBeenCalledTimes(2);
+    });
+
+    it("won't ask Stash to merge across instances", async () => {
+      await expect(
+        duplicateSceneService.resolveGroup(keeper, [{ id: "2", instanceId: "inst-2" }], "merge", {
+          reconciledBy: 7,
+        })
+      ).rejects.toThrow("same instance");
+      expect(mergeReconciliationService.reconcileScene).not.toHaveBeenCalled();
+    });
+
+    it("reports copies Stash fails to delete and keeps them in the library", async () => {
+      stash.sceneDestroy.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error("file locked"));
+
+      const result = await duplicateSceneService.resolveGroup(
+        keeper,
+        [
+          { id: "2", instanceId: "inst-1" },
+          { id: "3", instanceId: "inst-2" },
+        ],
+        "delete",
+        { reconciledBy: 7, deleteFiles: true }
+      );
+
+      expect(stash.sceneDestroy).toHaveBeenCalledWith({
+        input: { id: "2", delete_file: true, delete_generated: true },
+      });
+      expect(result.removed).toEqual([{ id: "2", instanceId: "inst-1" }]);
+      expect(result.failed).toEqual([{ id: "3", instanceId: "inst-2", error: "file locked" }]);
+      expect(prisma.stashScene.update).toHaveBeenCalledTimes(1);
+    });
+
+    it("rejects keeping a scene that is also being removed", async () => {
+      await expect(
+        duplicateSceneService.resolveGroup(keeper, [keeper], "none", { reconciledBy: 7 })
+      ).rejects.toThrow("can't also be removed");
+    });
+
+    it("rejects scenes that aren't in the library", async () => {
+      vi.mocked(prisma.stashScene.findMany).mockResolvedValue([
+        { id: "1", stashInstanceId: "inst-1", phash: null },
+      ] as never);
+
+      await expect(
+        duplicateSceneService.resolveGroup(keeper, [{ id: "9", instanceId: "inst-1" }], "none", {
+          reconciledBy: 7,
+        })
+      ).rejects.toThrow("Scene 9 not found");
+    });
+  });
+});
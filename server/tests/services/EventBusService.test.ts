@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for EventBusService
+ *
+ * Tests that events reach only the streams they're addressed to and stop
+ * once a stream unsubscribes.
+ */
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { eventBusService } from "../../services/EventBusService.js";
+
+describe("EventBusService", () => {
+  const unsubscribers: Array<() => void> = [];
+
+  const subscribe = (id: number, role: string) => {
+    const send = vi.fn();
+    unsubscribers.push(eventBusService.subscribe({ id, role }, { send }));
+    return send;
+  };
+
+  afterEach(() => {
+    unsubscribers.splice(0).forEach((unsubscribe) => unsubscribe());
+  });
+
+  it("should send user events only to that user's streams", () => {
+    const firstTab = subscribe(1, "USER");
+    const secondTab = subscribe(1, "USER");
+    const otherUser = subscribe(2, "USER");
+
+    eventBusService.publishToUser(1, { type: "exclusions" });
+
+    expect(firstTab).toHaveBeenCalledWith({ type: "exclusions" });
+    expect(secondTab).toHaveBeenCalledWith({ type: "exclusions" });
+    expect(otherUser).not.toHaveBeenCalled();
+  });
+
+  it("should send admin events only to admins", () => {
+    const admin = subscribe(1, "ADMIN");
+    const user = subscribe(2, "USER");
+
+    eventBusService.publishToAdmins({ type: "sync-settings" });
+
+    expect(admin).toHaveBeenCalledWith({ type: "sync-settings" });
+    expect(user).not.toHaveBeenCalled();
+  });
+
+  it("should send library events to everyone", () => {
+    const admin = subscribe(1, "ADMIN");
+    const user = subscribe(2, "USER");
+    const event = { type: "library-updated", at: "2026-03-13T00:00:00.000Z" } as const;
+
+    eventBusService.publishToAll(event);
+
+    expect(admin).toHaveBeenCalledWith(event);
+    expect(user).toHaveBeenCalledWith(event);
+  });
+
+  it("should stop sending once unsubscribed", () => {
+    const send = vi.fn();
+    const unsubscribe = eventBusService.subscribe({ id: 3, role: "USER" }, { send });
+    expect(eventBusService.hasUser(3)).toBe(true);
+
+    unsubscribe();
+    eventBusService.publishToUser(3, { type: "exclusions" });
+
+    expect(send).not.toHaveBeenCalled();
+    expect(eventBusService.hasUser(3)).toBe(false);
+  });
+});
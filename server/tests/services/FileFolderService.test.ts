@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import prisma from "../../prisma/singleton.js";
+import { stashInstanceManager } from "../../services/StashInstanceManager.js";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    $queryRawUnsafe: vi.fn(),
+  },
+}));
+
+vi.mock("../../services/StashInstanceManager.js", () => ({
+  stashInstanceManager: { get: vi.fn() },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+// Import after mocking
+import { fileFolderService } from "../../services/FileFolderService.js";
+
+const mockStashes = (stashes: Array<{ path: string; excludeVideo?: boolean; excludeImage?: boolean }>) => {
+  vi.mocked(stashInstanceManager.get).mockReturnValue({
+    configuration: vi.fn().mockResolvedValue({ configuration: { general: { stashes } } }),
+  } as never);
+};
+
+const queries = () => vi.mocked(prisma.$queryRawUnsafe).mock.calls.map((call) => call[0] as string);
+
+describe("FileFolderService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fileFolderService.clearRootsCache();
+    vi.mocked(prisma.$queryRawUnsafe).mockResolvedValue([]);
+  });
+
+  describe("listFolders in a folder", () => {
+    it("groups items by the next path segment", async () => {
+      mockStashes([{ path: "/data" }]);
+      vi.mocked(prisma.$queryRawUnsafe).mockResolvedValueOnce([
+        { name: null, count: 2n },
+        { name: "b", count: 5n },
+        { name: "A", count: 1n },
+        { name: "a10", count: 1n },
+        { name: "a9", count: 1n },
+      ]);
+
+      const result = await fileFolderService.listFolders("scene", {
+        userId: 1,
+        path: "/data/videos/",
+        instanceId: "server-1",
+      });
+
+      expect(result.fileCount).toBe(2);
+      expect(result.path).toBe("/data/videos");
+      expect(result.folders.map((f) => f.name)).toEqual(["A", "a9", "a10", "b"]);
+      expect(result.folders[3]).toEqual({
+        name: "b",
+        path: "/data/videos/b",
+        instanceId: "server-1",
+        count: 5,
+      });
+      expect(result.breadcrumbs).toEqual([
+        { name: "/data", path: "/data" },
+        { name: "videos", path: "/data/videos" },
+      ]);
+    });
+
+    it("counts only the instance's visible items below the folder", async () => {
+      mockStashes([{ path: "/data" }]);
+
+      await fileFolderService.listFolders("image", {
+        userId: 7,
+        path: "/data/photos",
+        instanceId: "server-1",
+      });
+
+      const sql = queries()[0];
+      expect(sql).toContain("FROM StashImage e");
+      expect(sql).toContain("x.entityType = 'image'");
+      expect(sql).toContain("x.id IS NULL");
+      expect(vi.mocked(prisma.$queryRawUnsafe).mock.calls[0].slice(1)).toEqual([
+        14, 7, "server-1", 13, "/data/photos/",
+      ]);
+    });
+
+    it("skips exclusions when asked", async () => {
+      mockStashes([{ path: "/data" }]);
+
+      await fileFolderService.listFolders("gallery", {
+        userId: 7,
+        applyExclusions: false,
+        path: "/data/photos",
+        instanceId: "server-1",
+      });
+
+      const sql = queries()[0];
+      expect(sql).toContain("REPLACE(e.folderPath, '\\', '/')");
+      expect(sql).not.toContain("UserExcludedEntity");
+    });
+  });
+
+  describe("listFolders at the library roots", () => {
+    it("lists the configured roots that hold items", async () => {
+      mockStashes([
+        { path: "/data/videos/" },
+        { path: "/data/videos/extra" },
+        { path: "/data/photos", excludeVideo: true },
+        { path: "/empty" },
+      ]);
+      vi.mocked(prisma.$queryRawUnsafe).mockImplementation((async (sql: string, ...params: unknown[]) => {
+        if (sql.includes("DISTINCT stashInstanceId")) return [{ stashInstanceId: "server-1" }];
+        return params.includes("/data/videos/") ? [{ name: "x", count: 3 }, { name: null, count: 1 }] : [];
+      }) as never);
+
+      const result = await fileFolderService.listFolders("scene", { userId: 1 });
+
+      expect(result.path).toBeNull();
+      expect(result.breadcrumbs).toEqual([]);
+      expect(result.folders).toEqual([
+        { name: "/data/videos", path: "/data/videos", instanceId: "server-1", count: 4 },
+      ]);
+    });
+
+    it("falls back to the common parent folder when Stash is unreachable", async () => {
+      vi.mocked(stashInstanceManager.get).mockReturnValue({
+        configuration: vi.fn().mockRejectedValue(new Error("offline")),
+      } as never);
+      vi.mocked(prisma.$queryRawUnsafe).mockImplementation((async (sql: string) => {
+        if (sql.includes("DISTINCT stashInstanceId")) return [{ stashInstanceId: "server-1" }];
+        if (sql.includes("MIN(")) return [{ first: "/mnt/media/a/1.mp4", last: "/mnt/media/b/2.mp4" }];
+        return [{ name: "a", count: 1 }, { name: "b", count: 1 }];
+      }) as never);
+
+      const result = await fileFolderService.listFolders("scene", { userId: 1 });
+
+      expect(result.folders).toEqual([
+        { name: "/mnt/media", path: "/mnt/media", instanceId: "server-1", count: 2 },
+      ]);
+    });
+
+    it("only looks at the user's instances", async () => {
+      mockStashes([]);
+
+      await fileFolderService.listFolders("scene", { userId: 1, allowedInstanceIds: ["server-2"] });
+
+      expect(queries()[0]).toContain("stashInstanceId IN (?)");
+      expect(vi.mocked(prisma.$queryRawUnsafe).mock.calls[0][1]).toBe("server-2");
+    });
+
+    it("caches the library roots", async () => {
+      mockStashes([{ path: "/data" }]);
+
+      await fileFolderService.listFolders("scene", { userId: 1, path: "/data/a", instanceId: "server-1" });
+      await fileFolderService.listFolders("scene", { userId: 1, path: "/data/b", instanceId: "server-1" });
+
+      expect(stashInstanceManager.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("buildBreadcrumbs", () => {
+    it("starts at the deepest matching root", () => {
+      expect(fileFolderService.buildBreadcrumbs("C:/Lib/Movies/2020", ["C:/Lib", "D:/Other"])).toEqual([
+        { name: "C:/Lib", path: "C:/Lib" },
+        { name: "Movies", path: "C:/Lib/Movies" },
+        { name: "2020", path: "C:/Lib/Movies/2020" },
+      ]);
+    });
+
+    it("handles a filesystem root", () => {
+      expect(fileFolderService.buildBreadcrumbs("/media", ["/"])).toEqual([
+        { name: "/", path: "/" },
+        { name: "media", path: "/media" },
+      ]);
+    });
+
+    it("shows the whole path when no root matches", () => {
+      expect(fileFolderService.buildBreadcrumbs("/elsewhere/x", ["/data"])).toEqual([
+        { name: "/elsewhere/x", path: "/elsewhere/x" },
+      ]);
+    });
+  });
+});
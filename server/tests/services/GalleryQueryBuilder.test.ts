@@ -162,7 +162,7 @@ describe("GalleryQueryBuilder", () => {
   });
 
   describe("search query", () => {
-    it("searches across title and details fields", async () => {
+    it("searches the gallery full-text index", async () => {
       await galleryQueryBuilder.execute({
         userId: 1,
         sort: "title",
@@ -175,8 +175,8 @@ describe("GalleryQueryBuilder", () => {
       const mainQuerySql = mockPrisma.$queryRawUnsafe.mock
         .calls[0][0] as string;
 
-      expect(mainQuerySql).toContain("LOWER(g.title) LIKE");
-      expect(mainQuerySql).toContain("LOWER(g.details) LIKE");
+      expect(mainQuerySql).toContain("g.rowid IN (SELECT rowid FROM gallery_fts WHERE gallery_fts MATCH ?)");
+      expect(mockPrisma.$queryRawUnsafe.mock.calls[0]).toContain('"vacation"*');
     });
   });
 });
@@ -208,6 +208,49 @@ describe("MergeReconciliationService", () => {
       );
     });
 
+    it("should use the given instances for scenes on different instances", async () => {
+      vi.mocked(prisma.watchHistory.findUnique)
+        .mockResolvedValueOnce({
+          userId: 1,
+          sceneId: "42",
+          playCount: 2,
+          playDuration: 300,
+          oCount: 0,
+          oHistory: "[]",
+          playHistory: "[]",
+          resumeTime: 0,
+          lastPlayedAt: new Date(),
+        } as never)
+        .mockResolvedValueOnce(null);
+
+      vi.mocked(prisma.sceneRating.findUnique).mockResolvedValue(null);
+      vi.mocked(prisma.watchHistory.create).mockResolvedValue({} as never);
+      vi.mocked(prisma.playlistItem.findMany).mockResolvedValue([]);
+      vi.mocked(prisma.mergeRecord.create).mockResolvedValue({ id: "mr-1" } as never);
+
+      await mergeReconciliationService.transferUserData("42", "42", 1, null, 5, {
+        sourceInstanceId: "instance-b",
+        targetInstanceId: "instance-a",
+      });
+
+      expect(prisma.watchHistory.findUnique).toHaveBeenNthCalledWith(1, {
+        where: { userId_instanceId_sceneId: { userId: 1, instanceId: "instance-b", sceneId: "42" } },
+      });
+      expect(prisma.watchHistory.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ instanceId: "instance-a", sceneId: "42" }),
+        })
+      );
+      expect(prisma.mergeRecord.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            sourceInstanceId: "instance-b",
+            targetInstanceId: "instance-a",
+          }),
+        })
+      );
+    });
+
     it("should use OR logic for favorites", async () => {
       vi.mocked(prisma.watchHistory.findUnique).mockResolvedValue(null);
       vi.mocked(prisma.sceneRating.findUnique)
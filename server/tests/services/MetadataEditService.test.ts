@@ -0,0 +1,390 @@
+/**
+ * Unit Tests for MetadataEditService
+ *
+ * Tests edit permission, field allowlist and visibility checks, direct
+ * versus moderated submission, and approving or rejecting pending edits.
+ */
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../../prisma/singleton.js";
+import {
+  metadataEditService,
+  parseFieldAllowlist,
+  readEditedFields,
+} from "../../services/MetadataEditService.js";
+import { entityExclusionHelper } from "../../services/EntityExclusionHelper.js";
+import { resolveMetadataEditAccess } from "../../services/PermissionService.js";
+import { stashInstanceManager } from "../../services/StashInstanceManager.js";
+import { getUserAllowedInstanceIds } from "../../services/UserInstanceService.js";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    metadataEdit: {
+      create: vi.fn(),
+      findUnique: vi.fn(),
+      findMany: vi.fn(),
+      count: vi.fn(),
+      update: vi.fn(),
+    },
+  },
+}));
+
+vi.mock("../../services/PermissionService.js", () => ({
+  resolveMetadataEditAccess: vi.fn(),
+}));
+
+vi.mock("../../services/StashInstanceManager.js", () => ({
+  stashInstanceManager: { get: vi.fn() },
+}));
+
+vi.mock("../../services/UserInstanceService.js", () => ({
+  getUserAllowedInstanceIds: vi.fn(),
+}));
+
+vi.mock("../../services/EntityExclusionHelper.js", () => ({
+  entityExclusionHelper: { filterExcluded: vi.fn() },
+}));
+
+vi.mock("../../utils/entityInstanceId.js", () => ({
+  getEntityInstanceId: vi.fn(async () => "instance-1"),
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+const mockPrisma = vi.mocked(prisma, true);
+const mockAccess = vi.mocked(resolveMetadataEditAccess);
+const mockInstanceManager = vi.mocked(stashInstanceManager);
+const mockAllowedInstances = vi.mocked(getUserAllowedInstanceIds);
+const mockExclusions = vi.mocked(entityExclusionHelper);
+
+const ADMIN = { id: 1, username: "admin", role: "ADMIN" };
+const MEMBER = { id: 5, username: "bob", role: "USER" };
+
+const scene = {
+  id: "42",
+  title: "Old title",
+  details: "Old details",
+  studio: { id: "7" },
+  tags: [{ id: "1" }, { id: "2" }],
+};
+
+const mockStash = {
+  findScenes: vi.fn(),
+  sceneUpdate: vi.fn(),
+};
+
+const editRow = (overrides: Record<string, unknown> = {}) => ({
+  id: 9,
+  stashInstanceId: "instance-1",
+  entityType: "scene",
+  entityId: "42",
+  entityLabel: "Old title",
+  authorId: 5,
+  authorUsername: "bob",
+  changes: { title: "New title" },
+  previous: { title: "Old title" },
+  status: "pending",
+  reviewerId: null,
+  reviewerUsername: null,
+  reviewNote: null,
+  reviewedAt: null,
+  createdAt: new Date("2026-03-10T12:00:00Z"),
+  ...overrides,
+});
+
+describe("MetadataEditService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockInstanceManager.get.mockReturnValue(mockStash as any);
+    mockAllowedInstances.mockResolvedValue(["instance-1"]);
+    mockExclusions.filterExcluded.mockImplementation(async (entities) => entities);
+    mockStash.findScenes.mockResolvedValue({ findScenes: { scenes: [scene] } });
+    mockStash.sceneUpdate.mockResolvedValue({
+      sceneUpdate: { ...scene, title: "New title" },
+    });
+    mockPrisma.metadataEdit.create.mockImplementation(
+      async ({ data }: any) => editRow(data) as any
+    );
+    mockPrisma.metadataEdit.update.mockImplementation(
+      async ({ data }: any) => editRow(data) as any
+    );
+  });
+
+  describe("readEditedFields", () => {
+    it("reads relation ids for id fields", () => {
+      expect(
+        readEditedFields(scene, [
+          "title",
+          "studio_id",
+          "tag_ids",
+          "performer_ids",
+          "code",
+        ])
+      ).toEqual({
+        title: "Old title",
+        studio_id: "7",
+        tag_ids: ["1", "2"],
+        performer_ids: [],
+        code: null,
+      });
+    });
+  });
+
+  describe("parseFieldAllowlist", () => {
+    it("accepts known fields and null", () => {
+      expect(parseFieldAllowlist(null)).toBeNull();
+      expect(
+        parseFieldAllowlist({ scene: ["title", "tag_ids", "title"], tag: [] })
+      ).toEqual({
+        scene: ["title", "tag_ids"],
+        tag: [],
+      });
+    });
+
+    it("rejects unknown entity types and fields", () => {
+      expect(parseFieldAllowlist({ image: ["title"] })).toBe(
+        "Unknown entity type in metadataEditFields: image"
+      );
+      expect(parseFieldAllowlist({ scene: ["rating100"] })).toBe(
+        "Unknown scene fields in metadataEditFields: rating100"
+      );
+      expect(parseFieldAllowlist(["scene"])).toEqual(expect.any(String));
+    });
+  });
+
+  describe("submit", () => {
+    it("applies admin edits directly and records them", async () => {
+      const result = await metadataEditService.submit(ADMIN, "scene", "42", {
+        title: "New title",
+        rating100: 80,
+      });
+
+      expect(mockAccess).not.toHaveBeenCalled();
+      expect(mockStash.sceneUpdate).toHaveBeenCalledWith({
+        input: { id: "42", title: "New title", rating100: 80 },
+      });
+      expect(result.status).toBe("applied");
+      expect(mockPrisma.metadataEdit.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          stashInstanceId: "instance-1",
+          entityLabel: "Old title",
+          authorId: 1,
+          changes: { title: "New title", rating100: 80 },
+          previous: { title: "Old title", rating100: null },
+          status: "applied",
+        }),
+      });
+    });
+
+    it("rejects users without edit permission", async () => {
+      mockAccess.mockResolvedValue({
+        allowed: false,
+        moderated: false,
+        fields: {},
+      });
+
+      await expect(
+        metadataEditService.submit(MEMBER, "scene", "42", { title: "x" })
+      ).rejects.toMatchObject({
+        statusCode: 403,
+      });
+      expect(mockStash.sceneUpdate).not.toHaveBeenCalled();
+    });
+
+    it("rejects fields outside the allowlist", async () => {
+      mockAccess.mockResolvedValue({
+        allowed: true,
+        moderated: false,
+        fields: { scene: ["title"] },
+      });
+
+      await expect(
+        metadataEditService.submit(MEMBER, "scene", "42", {
+          title: "x",
+          details: "y",
+        })
+      ).rejects.toThrow("You can't edit these scene fields: details");
+    });
+
+    it("rejects entity types the allowlist leaves out", async () => {
+      mockAccess.mockResolvedValue({
+        allowed: true,
+        moderated: false,
+        fields: { scene: ["title"] },
+      });
+
+      await expect(
+        metadataEditService.submit(MEMBER, "tag", "3", { name: "x" })
+      ).rejects.toMatchObject({
+        statusCode: 403,
+      });
+    });
+
+    it("keeps admin-only fields out of an unrestricted allowlist", async () => {
+      mockAccess.mockResolvedValue({
+        allowed: true,
+        moderated: false,
+        fields: null,
+      });
+
+      await expect(
+        metadataEditService.submit(MEMBER, "scene", "42", {
+          title: "x",
+          rating100: 100,
+        })
+      ).rejects.toThrow("rating100");
+    });
+
+    it("hides entities excluded for the editor", async () => {
+      mockAccess.mockResolvedValue({
+        allowed: true,
+        moderated: false,
+        fields: null,
+      });
+      mockExclusions.filterExcluded.mockResolvedValue([]);
+
+      await expect(
+        metadataEditService.submit(MEMBER, "scene", "42", { title: "x" })
+      ).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      expect(mockExclusions.filterExcluded).toHaveBeenCalledWith(
+        [{ id: "42", instanceId: "instance-1" }],
+        5,
+        "scene"
+      );
+      expect(mockStash.findScenes).not.toHaveBeenCalled();
+      expect(mockStash.sceneUpdate).not.toHaveBeenCalled();
+      expect(mockPrisma.metadataEdit.create).not.toHaveBeenCalled();
+    });
+
+    it("hides entities on instances the editor can't access", async () => {
+      mockAccess.mockResolvedValue({
+        allowed: true,
+        moderated: true,
+        fields: null,
+      });
+      mockAllowedInstances.mockResolvedValue(["instance-2"]);
+
+      await expect(
+        metadataEditService.submit(MEMBER, "scene", "42", { title: "x" })
+      ).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      expect(mockPrisma.metadataEdit.create).not.toHaveBeenCalled();
+    });
+
+    it("lets admins edit entities hidden from them", async () => {
+      mockExclusions.filterExcluded.mockResolvedValue([]);
+
+      const result = await metadataEditService.submit(ADMIN, "scene", "42", { title: "New title" });
+
+      expect(result.status).toBe("applied");
+      expect(mockExclusions.filterExcluded).not.toHaveBeenCalled();
+    });
+
+    it("queues moderated edits without touching Stash", async () => {
+      mockAccess.mockResolvedValue({
+        allowed: true,
+        moderated: true,
+        fields: null,
+      });
+
+      const result = await metadataEditService.submit(MEMBER, "scene", "42", {
+        tag_ids: ["2", "3"],
+      });
+
+      expect(result.status).toBe("pending");
+      expect(mockStash.sceneUpdate).not.toHaveBeenCalled();
+      expect(mockPrisma.metadataEdit.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          authorUsername: "bob",
+          changes: { tag_ids: ["2", "3"] },
+          previous: { tag_ids: ["1", "2"] },
+          status: "pending",
+        }),
+      });
+    });
+
+    it("ignores the id in the body", async () => {
+      await metadataEditService.submit(ADMIN, "scene", "42", {
+        id: "99",
+        title: "New title",
+      });
+
+      expect(mockStash.sceneUpdate).toHaveBeenCalledWith({
+        input: { id: "42", title: "New title" },
+      });
+    });
+
+    it("rejects empty edits", async () => {
+      await expect(
+        metadataEditService.submit(ADMIN, "scene", "42", {})
+      ).rejects.toMatchObject({
+        statusCode: 400,
+      });
+    });
+
+    it("returns 404 for entities missing from Stash", async () => {
+      mockStash.findScenes.mockResolvedValue({ findScenes: { scenes: [] } });
+
+      await expect(
+        metadataEditService.submit(ADMIN, "scene", "42", { title: "x" })
+      ).rejects.toThrow("Scene not found");
+    });
+  });
+
+  describe("review", () => {
+    it("writes an approved edit to Stash", async () => {
+      mockPrisma.metadataEdit.findUnique.mockResolvedValue(editRow() as any);
+
+      const edit = await metadataEditService.approve(9, ADMIN, " Looks right ");
+
+      expect(mockStash.sceneUpdate).toHaveBeenCalledWith({
+        input: { id: "42", title: "New title" },
+      });
+      expect(mockPrisma.metadataEdit.update).toHaveBeenCalledWith({
+        where: { id: 9 },
+        data: expect.objectContaining({
+          status: "applied",
+          reviewerId: 1,
+          reviewerUsername: "admin",
+          reviewNote: "Looks right",
+        }),
+      });
+      expect(edit.status).toBe("applied");
+    });
+
+    it("rejects without writing to Stash", async () => {
+      mockPrisma.metadataEdit.findUnique.mockResolvedValue(editRow() as any);
+
+      const edit = await metadataEditService.reject(9, ADMIN);
+
+      expect(mockStash.sceneUpdate).not.toHaveBeenCalled();
+      expect(edit.status).toBe("rejected");
+    });
+
+    it("refuses to review an edit twice", async () => {
+      mockPrisma.metadataEdit.findUnique.mockResolvedValue(
+        editRow({ status: "rejected" }) as any
+      );
+
+      await expect(metadataEditService.approve(9, ADMIN)).rejects.toMatchObject(
+        { statusCode: 409 }
+      );
+      expect(mockStash.sceneUpdate).not.toHaveBeenCalled();
+    });
+
+    it("returns current Stash values alongside the edit", async () => {
+      mockPrisma.metadataEdit.findUnique.mockResolvedValue(editRow() as any);
+      mockStash.findScenes.mockResolvedValue({
+        findScenes: { scenes: [{ ...scene, title: "Changed since" }] },
+      });
+
+      const { current } = await metadataEditService.get(9);
+
+      expect(current).toEqual({ title: "Changed since" });
+    });
+  });
+});
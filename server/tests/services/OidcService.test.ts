@@ -0,0 +1,400 @@
+/**
+ * Unit Tests for OidcService
+ *
+ * Runs the authorization code + PKCE flow against a small mock OIDC provider
+ * (discovery, JWKS and token endpoints on a local port) and checks ID token
+ * verification, user provisioning/linking and group/role sync.
+ */
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from "vitest";
+import crypto from "crypto";
+import express from "express";
+import type { AddressInfo } from "net";
+import type { Server } from "http";
+import jwt from "jsonwebtoken";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    authSettings: { findFirst: vi.fn() },
+    user: {
+      findFirst: vi.fn(),
+      findUnique: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+      count: vi.fn(),
+    },
+    userGroup: { findMany: vi.fn() },
+    userGroupMembership: {
+      findMany: vi.fn(),
+      deleteMany: vi.fn(),
+      createMany: vi.fn(),
+    },
+    $transaction: vi.fn(),
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import { extractIdentity, oidcService, sanitizeReturnTo } from "../../services/OidcService.js";
+
+const mockPrisma = vi.mocked(prisma, true);
+
+// ---------------------------------------------------------------------------
+// Mock OIDC provider
+// ---------------------------------------------------------------------------
+
+const CLIENT_ID = "peek";
+const CLIENT_SECRET = "s3cret";
+const REDIRECT_URI = "http://peek.local/api/auth/oidc/callback";
+
+const signingKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const foreignKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+interface IssuedCode {
+  codeChallenge: string;
+  claims: Record<string, unknown>;
+  privateKey?: crypto.KeyObject;
+}
+
+const codes = new Map<string, IssuedCode>();
+const tokenRequests: { authorization?: string; body: Record<string, string> }[] = [];
+let server: Server;
+let issuer: string;
+
+function startProvider(): Promise<void> {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", (_req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+    });
+  });
+
+  app.get("/jwks", (_req, res) => {
+    res.json({
+      keys: [{ ...signingKey.publicKey.export({ format: "jwk" }), kid: "key-1", use: "sig" }],
+    });
+  });
+
+  app.post("/token", (req, res) => {
+    const body = req.body as Record<string, string>;
+    tokenRequests.push({ authorization: req.header("authorization"), body });
+
+    const issued = codes.get(body.code ?? "");
+    codes.delete(body.code ?? "");
+    const challenge = crypto
+      .createHash("sha256")
+      .update(body.code_verifier ?? "")
+      .digest("base64url");
+    if (!issued || challenge !== issued.codeChallenge) {
+      return res.status(400).json({ error: "invalid_grant", error_description: "Bad code" });
+    }
+
+    const idToken = jwt.sign(issued.claims, issued.privateKey ?? signingKey.privateKey, {
+      algorithm: "RS256",
+      keyid: "key-1",
+      issuer,
+      audience: CLIENT_ID,
+      expiresIn: "5m",
+    });
+    res.json({ id_token: idToken, access_token: "access", token_type: "Bearer" });
+  });
+
+  return new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", () => {
+      issuer = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+      resolve();
+    });
+  });
+}
+
+/**
+ * Start a login and have the "provider" approve it with the given claims
+ */
+async function authorize(
+  claims: Record<string, unknown>,
+  options: { nonce?: string; privateKey?: crypto.KeyObject } = {}
+) {
+  const { authorizationUrl, state } = await oidcService.startLogin(REDIRECT_URI, "/scenes");
+  const params = new URL(authorizationUrl).searchParams;
+  const code = crypto.randomBytes(8).toString("hex");
+  codes.set(code, {
+    codeChallenge: params.get("code_challenge") ?? "",
+    claims: { nonce: options.nonce ?? params.get("nonce"), ...claims },
+    privateKey: options.privateKey,
+  });
+  return { state, code, params };
+}
+
+const settings = (overrides: Record<string, unknown> = {}) => ({
+  id: 1,
+  passwordLoginEnabled: true,
+  oidcEnabled: true,
+  oidcIssuerUrl: issuer,
+  oidcClientId: CLIENT_ID,
+  oidcClientSecret: CLIENT_SECRET,
+  oidcScopes: "openid profile email",
+  oidcUsernameClaim: "preferred_username",
+  oidcGroupsClaim: "groups",
+  oidcAdminGroup: "peek-admins",
+  oidcAutoProvision: true,
+  oidcLinkExistingUsers: false,
+  oidcButtonLabel: null,
+  updatedAt: new Date(),
+  ...overrides,
+});
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe("OidcService", () => {
+  beforeAll(async () => {
+    await startProvider();
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    codes.clear();
+    tokenRequests.length = 0;
+    oidcService.clearCache();
+
+    mockPrisma.authSettings.findFirst.mockResolvedValue(settings() as never);
+    mockPrisma.user.findFirst.mockResolvedValue(null);
+    mockPrisma.user.findUnique.mockResolvedValue(null);
+    mockPrisma.user.create.mockImplementation((async (args: { data: Record<string, unknown> }) => ({
+      id: 7,
+      username: args.data.username,
+      role: args.data.role,
+      oidcSubject: args.data.oidcSubject,
+    })) as never);
+    mockPrisma.user.update.mockResolvedValue({} as never);
+    mockPrisma.user.count.mockResolvedValue(2);
+    mockPrisma.userGroup.findMany.mockResolvedValue([
+      { id: 1, oidcGroup: "family" },
+      { id: 2, oidcGroup: "friends" },
+    ] as never);
+    mockPrisma.userGroupMembership.findMany.mockResolvedValue([{ groupId: 2 }] as never);
+    mockPrisma.$transaction.mockResolvedValue([] as never);
+  });
+
+  describe("startLogin", () => {
+    it("redirects to the provider with PKCE and OIDC parameters", async () => {
+      const { authorizationUrl } = await oidcService.startLogin(REDIRECT_URI);
+      const url = new URL(authorizationUrl);
+
+      expect(`${url.origin}${url.pathname}`).toBe(`${issuer}/authorize`);
+      expect(url.searchParams.get("response_type")).toBe("code");
+      expect(url.searchParams.get("client_id")).toBe(CLIENT_ID);
+      expect(url.searchParams.get("redirect_uri")).toBe(REDIRECT_URI);
+      expect(url.searchParams.get("scope")).toBe("openid profile email");
+      expect(url.searchParams.get("code_challenge_method")).toBe("S256");
+      expect(url.searchParams.get("code_challenge")).toBeTruthy();
+      expect(url.searchParams.get("nonce")).toBeTruthy();
+    });
+
+    it("refuses to start when OIDC is disabled", async () => {
+      mockPrisma.authSettings.findFirst.mockResolvedValue(settings({ oidcEnabled: false }) as never);
+
+      await expect(oidcService.startLogin(REDIRECT_URI)).rejects.toMatchObject({
+        statusCode: 403,
+      });
+    });
+  });
+
+  describe("completeLogin", () => {
+    it("provisions a new user, maps IdP groups and grants admin from the admin group", async () => {
+      const { state, code } = await authorize({
+        sub: "user-123",
+        preferred_username: "alice",
+        groups: ["family", "peek-admins"],
+      });
+
+      const result = await oidcService.completeLogin({ state, code, cookieState: state });
+
+      expect(result.returnTo).toBe("/scenes");
+      expect(result.user).toEqual({ id: 7, username: "alice", role: "ADMIN" });
+      expect(mockPrisma.user.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            username: "alice",
+            role: "USER",
+            oidcIssuer: issuer,
+            oidcSubject: "user-123",
+          }),
+        })
+      );
+      expect(mockPrisma.user.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { role: "ADMIN" },
+      });
+      // Joined "family", left "friends"; unmapped groups are never queried
+      expect(mockPrisma.userGroupMembership.deleteMany).toHaveBeenCalledWith({
+        where: { userId: 7, groupId: { in: [2] } },
+      });
+      expect(mockPrisma.userGroupMembership.createMany).toHaveBeenCalledWith({
+        data: [{ userId: 7, groupId: 1 }],
+      });
+
+      // Confidential client authenticates with client_secret_basic and sends the verifier
+      expect(tokenRequests[0].authorization).toBe(
+        `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString("base64")}`
+      );
+      expect(tokenRequests[0].body.code_verifier).toBeTruthy();
+    });
+
+    it("signs in an already linked user without creating a new one", async () => {
+      mockPrisma.user.findFirst.mockResolvedValue({
+        id: 3,
+        username: "bob",
+        role: "USER",
+        oidcSubject: "user-456",
+      } as never);
+      const { state, code } = await authorize({ sub: "user-456", preferred_username: "bob" });
+
+      const result = await oidcService.completeLogin({ state, code, cookieState: state });
+
+      expect(result.user).toEqual({ id: 3, username: "bob", role: "USER" });
+      expect(mockPrisma.user.create).not.toHaveBeenCalled();
+      expect(mockPrisma.user.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { oidcIssuer: issuer, oidcSubject: "user-456" } })
+      );
+    });
+
+    it("rejects a callback from a browser that did not start the login", async () => {
+      const { state, code } = await authorize({ sub: "user-123" });
+
+      await expect(
+        oidcService.completeLogin({ state, code, cookieState: "other" })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it("only accepts each state once", async () => {
+      const { state, code } = await authorize({ sub: "user-123", preferred_username: "alice" });
+      await oidcService.completeLogin({ state, code, cookieState: state });
+
+      await expect(
+        oidcService.completeLogin({ state, code, cookieState: state })
+      ).rejects.toThrow("invalid or has expired");
+    });
+
+    it("rejects an ID token with the wrong nonce", async () => {
+      const { state, code } = await authorize({ sub: "user-123" }, { nonce: "replayed" });
+
+      await expect(
+        oidcService.completeLogin({ state, code, cookieState: state })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockPrisma.user.create).not.toHaveBeenCalled();
+    });
+
+    it("rejects an ID token not signed by the provider's key", async () => {
+      const { state, code } = await authorize(
+        { sub: "user-123" },
+        { privateKey: foreignKey.privateKey }
+      );
+
+      await expect(
+        oidcService.completeLogin({ state, code, cookieState: state })
+      ).rejects.toThrow("invalid ID token");
+    });
+
+    it("refuses to take over a local account unless linking is enabled", async () => {
+      const localUser = { id: 1, username: "admin", role: "ADMIN", oidcSubject: null };
+      mockPrisma.user.findUnique.mockResolvedValue(localUser as never);
+
+      const first = await authorize({ sub: "user-999", preferred_username: "admin" });
+      await expect(
+        oidcService.completeLogin({ ...first, cookieState: first.state })
+      ).rejects.toMatchObject({ statusCode: 403 });
+
+      mockPrisma.authSettings.findFirst.mockResolvedValue(
+        settings({ oidcLinkExistingUsers: true, oidcAdminGroup: null }) as never
+      );
+      mockPrisma.user.update.mockResolvedValue(localUser as never);
+
+      const second = await authorize({ sub: "user-999", preferred_username: "admin" });
+      const result = await oidcService.completeLogin({ ...second, cookieState: second.state });
+
+      expect(result.user.id).toBe(1);
+      expect(mockPrisma.user.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { id: 1 },
+          data: { oidcIssuer: issuer, oidcSubject: "user-999" },
+        })
+      );
+    });
+
+    it("does not provision users when auto-provisioning is off", async () => {
+      mockPrisma.authSettings.findFirst.mockResolvedValue(
+        settings({ oidcAutoProvision: false }) as never
+      );
+      const { state, code } = await authorize({ sub: "user-123", preferred_username: "alice" });
+
+      await expect(
+        oidcService.completeLogin({ state, code, cookieState: state })
+      ).rejects.toThrow('No Peek account exists for "alice"');
+    });
+
+    it("never demotes the last admin", async () => {
+      mockPrisma.user.findFirst.mockResolvedValue({
+        id: 1,
+        username: "root",
+        role: "ADMIN",
+        oidcSubject: "user-1",
+      } as never);
+      mockPrisma.user.count.mockResolvedValue(1);
+      const { state, code } = await authorize({ sub: "user-1", groups: [] });
+
+      const result = await oidcService.completeLogin({ state, code, cookieState: state });
+
+      expect(result.user.role).toBe("ADMIN");
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("extractIdentity", () => {
+    it("reads nested group claims and falls back through username claims", () => {
+      const identity = extractIdentity(
+        { sub: "abc", email: "carol@example.com", realm_access: { roles: ["family", 3] } },
+        "https://idp",
+        { oidcUsernameClaim: "nickname", oidcGroupsClaim: "realm_access.roles" }
+      );
+
+      expect(identity).toEqual({
+        issuer: "https://idp",
+        subject: "abc",
+        username: "carol@example.com",
+        groups: ["family"],
+      });
+    });
+  });
+
+  describe("sanitizeReturnTo", () => {
+    it("keeps same-origin paths with their query and hash", () => {
+      expect(sanitizeReturnTo("/scenes?sort=date#top")).toBe("/scenes?sort=date#top");
+    });
+
+    it.each([
+      ["a missing value", undefined],
+      ["an absolute URL", "https://evil.com/"],
+      ["a protocol-relative URL", "//evil.com"],
+      ["a backslash", "/\\evil.com"],
+      ["a backslash after a slash", "/\\/evil.com"],
+      ["a tab", "/\t/evil.com"],
+      ["a newline", "/\n/evil.com"],
+      ["a relative path", "scenes"],
+    ])("falls back to the home page for %s", (_label, returnTo) => {
+      expect(sanitizeReturnTo(returnTo)).toBe("/");
+    });
+  });
+});
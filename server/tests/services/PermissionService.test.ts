@@ -1,4 +1,10 @@
-import { describe, it, expect, vi, beforeEach } from "vitest";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../../prisma/singleton.js";
+import {
+  type UserPermissions,
+  resolveMetadataEditAccess,
+  resolveUserPermissions,
+} from "../../services/PermissionService.js";
 
 // Mock prisma before importing the service
 vi.mock("../../prisma/singleton.js", () => ({
@@ -15,9 +21,6 @@ vi.mock("../../prisma/singleton.js", () => ({
   },
 }));
 
-import { resolveUserPermissions, type UserPermissions } from "../../services/PermissionService.js";
-import prisma from "../../prisma/singleton.js";
-
 const mockPrisma = vi.mocked(prisma);
 
 describe("PermissionService", () => {
@@ -32,6 +35,7 @@ describe("PermissionService", () => {
         canShareOverride: null,
         canDownloadFilesOverride: null,
         canDownloadPlaylistsOverride: null,
+        canEditMetadataOverride: null,
         groupMemberships: [],
       } as never);
 
@@ -41,10 +45,12 @@ describe("PermissionService", () => {
         canShare: false,
         canDownloadFiles: false,
         canDownloadPlaylists: false,
+        canEditMetadata: false,
         sources: {
           canShare: "default",
           canDownloadFiles: "default",
           canDownloadPlaylists: "default",
+          canEditMetadata: "default",
         },
       });
     });
@@ -55,6 +61,7 @@ describe("PermissionService", () => {
         canShareOverride: null,
         canDownloadFilesOverride: null,
         canDownloadPlaylistsOverride: null,
+        canEditMetadataOverride: null,
         groupMemberships: [
           {
             group: {
@@ -74,10 +81,12 @@ describe("PermissionService", () => {
         canShare: true,
         canDownloadFiles: false,
         canDownloadPlaylists: true,
+        canEditMetadata: false,
         sources: {
           canShare: "Family",
           canDownloadFiles: "default",
           canDownloadPlaylists: "Family",
+          canEditMetadata: "default",
         },
       });
     });
@@ -88,6 +97,7 @@ describe("PermissionService", () => {
         canShareOverride: null,
         canDownloadFilesOverride: null,
         canDownloadPlaylistsOverride: null,
+        canEditMetadataOverride: null,
         groupMemberships: [
           {
             group: {
@@ -116,10 +126,12 @@ describe("PermissionService", () => {
         canShare: true,
         canDownloadFiles: true,
         canDownloadPlaylists: false,
+        canEditMetadata: false,
         sources: {
           canShare: "Family",
           canDownloadFiles: "Friends",
           canDownloadPlaylists: "default",
+          canEditMetadata: "default",
         },
       });
     });
@@ -130,6 +142,7 @@ describe("PermissionService", () => {
         canShareOverride: false, // Explicit override to disable
         canDownloadFilesOverride: true, // Explicit override to enable
         canDownloadPlaylistsOverride: null, // Inherit from group
+        canEditMetadataOverride: null,
         groupMemberships: [
           {
             group: {
@@ -149,10 +162,12 @@ describe("PermissionService", () => {
         canShare: false,
         canDownloadFiles: true,
         canDownloadPlaylists: true,
+        canEditMetadata: false,
         sources: {
           canShare: "override",
           canDownloadFiles: "override",
           canDownloadPlaylists: "Family",
+          canEditMetadata: "default",
         },
       });
     });
@@ -165,4 +180,104 @@ describe("PermissionService", () => {
       expect(result).toBeNull();
     });
   });
+
+  describe("resolveMetadataEditAccess", () => {
+    const editor = (
+      override: boolean | null,
+      groups: {
+        canEditMetadata: boolean;
+        metadataEditFields: unknown;
+        moderateMetadataEdits: boolean;
+      }[]
+    ) =>
+      mockPrisma.user.findUnique.mockResolvedValue({
+        canEditMetadataOverride: override,
+        groupMemberships: groups.map((group) => ({ group })),
+      } as never);
+
+    it("should deny users without a granting group", async () => {
+      editor(null, [
+        {
+          canEditMetadata: false,
+          metadataEditFields: null,
+          moderateMetadataEdits: false,
+        },
+      ]);
+
+      expect(await resolveMetadataEditAccess(1)).toEqual({
+        allowed: false,
+        moderated: false,
+        fields: {},
+      });
+    });
+
+    it("should grant unrestricted, unmoderated edits by override", async () => {
+      editor(true, []);
+
+      expect(await resolveMetadataEditAccess(1)).toEqual({
+        allowed: true,
+        moderated: false,
+        fields: null,
+      });
+    });
+
+    it("should let a false override win over groups", async () => {
+      editor(false, [
+        {
+          canEditMetadata: true,
+          metadataEditFields: null,
+          moderateMetadataEdits: false,
+        },
+      ]);
+
+      expect((await resolveMetadataEditAccess(1)).allowed).toBe(false);
+    });
+
+    it("should merge field allowlists and moderate only when every group does", async () => {
+      editor(null, [
+        {
+          canEditMetadata: true,
+          metadataEditFields: { scene: ["title"] },
+          moderateMetadataEdits: true,
+        },
+        {
+          canEditMetadata: true,
+          metadataEditFields: { scene: ["tag_ids", "title"], tag: ["name"] },
+          moderateMetadataEdits: false,
+        },
+        {
+          canEditMetadata: false,
+          metadataEditFields: { performer: ["name"] },
+          moderateMetadataEdits: true,
+        },
+      ]);
+
+      expect(await resolveMetadataEditAccess(1)).toEqual({
+        allowed: true,
+        moderated: false,
+        fields: { scene: ["title", "tag_ids"], tag: ["name"] },
+      });
+    });
+
+    it("should allow every field when any granting group is unrestricted", async () => {
+      editor(null, [
+        {
+          canEditMetadata: true,
+          metadataEditFields: { scene: ["title"] },
+          moderateMetadataEdits: true,
+        },
+        {
+          canEditMetadata: true,
+          metadataEditFields: null,
+          moderateMetadataEdits: true,
+        },
+      ]);
+
+      expect(await resolveMetadataEditAccess(1)).toEqual({
+        allowed: true,
+        moderated: true,
+        fields: null,
+      });
+    });
+  });
 });
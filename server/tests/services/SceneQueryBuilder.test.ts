@@ -208,21 +208,12 @@ describe("SceneQueryBuilder", () => {
       const mainQuerySql = mockPrisma.$queryRawUnsafe.mock
         .calls[0][0] as string;
 
-      // Should search across multiple fields
-      expect(mainQuerySql).toContain("LOWER(s.title) LIKE LOWER(?)");
-      expect(mainQuerySql).toContain("LOWER(s.details) LIKE LOWER(?)");
-      expect(mainQuerySql).toContain("LOWER(s.filePath) LIKE LOWER(?)");
-      // Should have performer subquery
-      expect(mainQuerySql).toContain("StashPerformer");
-      expect(mainQuerySql).toContain("LOWER(p.name) LIKE LOWER(?)");
-      // Should have studio subquery
-      expect(mainQuerySql).toContain("StashStudio");
-      // Should have tag subquery
-      expect(mainQuerySql).toContain("StashTag");
-
-      // Search param should be wrapped in wildcards
+      // Should match the full-text index, which covers performers, studio and tags too
+      expect(mainQuerySql).toContain("s.rowid IN (SELECT rowid FROM scene_fts WHERE scene_fts MATCH ?)");
+
+      // Every word matches by prefix
       const mainQueryParams = mockPrisma.$queryRawUnsafe.mock.calls[0].slice(1);
-      expect(mainQueryParams).toContain("%test search%");
+      expect(mainQueryParams).toContain('"test"* AND "search"*');
     });
 
     it("does not add search filter for empty search query", async () => {
@@ -238,8 +229,78 @@ describe("SceneQueryBuilder", () => {
       const mainQuerySql = mockPrisma.$queryRawUnsafe.mock
         .calls[0][0] as string;
 
-      // Should not contain search-specific LIKE patterns on s.filePath
-      expect(mainQuerySql).not.toContain("LOWER(s.filePath) LIKE LOWER(?)");
+      expect(mainQuerySql).not.toContain("scene_fts");
+    });
+  });
+
+  describe("folder filter", () => {
+    it("limits scenes to a folder subtree on one instance", async () => {
+      await sceneQueryBuilder.execute({
+        userId: 1,
+        sort: "path",
+        sortDirection: "ASC",
+        page: 1,
+        perPage: 10,
+        filters: { folder: { path: "/data/videos", instanceId: "server-1" } },
+      });
+
+      const mainQuerySql = mockPrisma.$queryRawUnsafe.mock.calls[0][0] as string;
+      expect(mainQuerySql).toContain(
+        "(substr(REPLACE(s.filePath, '\\', '/'), 1, ?) = ? AND s.stashInstanceId = ?)"
+      );
+
+      const mainQueryParams = mockPrisma.$queryRawUnsafe.mock.calls[0].slice(1);
+      expect(mainQueryParams).toEqual(expect.arrayContaining([13, "/data/videos/", "server-1"]));
+    });
+  });
+
+  describe("rule groups", () => {
+    it("builds nested AND/OR/NOT groups alongside flat criteria", async () => {
+      await sceneQueryBuilder.execute({
+        userId: 1,
+        sort: "created_at",
+        sortDirection: "DESC",
+        page: 1,
+        perPage: 10,
+        filters: {
+          favorite: true,
+          filter_group: {
+            type: "group",
+            operator: "OR",
+            children: [
+              { type: "rule", filter: { rating100: { value: 80, modifier: "GREATER_THAN" } } },
+              {
+                type: "group",
+                operator: "AND",
+                negate: true,
+                children: [{ type: "rule", filter: { play_count: { value: 5, modifier: "GREATER_THAN" } } }],
+              },
+            ],
+          },
+        },
+      });
+
+      const mainQuerySql = mockPrisma.$queryRawUnsafe.mock.calls[0][0] as string;
+      expect(mainQuerySql).toContain("r.favorite = 1");
+      expect(mainQuerySql).toContain(" OR ");
+      expect(mainQuerySql).toContain("NOT COALESCE(");
+
+      const mainQueryParams = mockPrisma.$queryRawUnsafe.mock.calls[0].slice(1);
+      expect(mainQueryParams).toEqual(expect.arrayContaining([80, 5]));
+    });
+
+    it("adds no condition for an empty group", async () => {
+      await sceneQueryBuilder.execute({
+        userId: 1,
+        sort: "created_at",
+        sortDirection: "DESC",
+        page: 1,
+        perPage: 10,
+        filters: { filter_group: { type: "group", operator: "AND", children: [] } },
+      });
+
+      const mainQuerySql = mockPrisma.$queryRawUnsafe.mock.calls[0][0] as string;
+      expect(mainQuerySql).not.toContain("NOT COALESCE(");
     });
   });
 
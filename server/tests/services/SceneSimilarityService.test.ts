@@ -0,0 +1,205 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import prisma from "../../prisma/singleton.js";
+
+// Mock prisma before importing the service
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    $queryRawUnsafe: vi.fn(),
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+// Import after mocking
+import { sceneSimilarityService } from "../../services/SceneSimilarityService.js";
+
+const INSTANCE = "inst-1";
+
+interface SceneRow {
+  id: string;
+  stashInstanceId?: string;
+  studioId?: string | null;
+  date?: string | null;
+  duration?: number | null;
+  phash?: string | null;
+  phashes?: string | null;
+  inheritedTagIds?: string | null;
+}
+
+interface Cache {
+  scenes: SceneRow[];
+  performers?: Array<[sceneId: string, performerId: string]>;
+  tags?: Array<[sceneId: string, tagId: string]>;
+  studios?: Array<[id: string, parentId: string | null]>;
+}
+
+/** Point the service at a fake cache and rebuild its index */
+async function loadCache(cache: Cache) {
+  vi.mocked(prisma.$queryRawUnsafe).mockImplementation(((sql: string) => {
+    if (sql.includes("FROM StashScene")) {
+      return Promise.resolve(
+        cache.scenes.map((s) => ({
+          stashInstanceId: INSTANCE,
+          studioId: null,
+          date: null,
+          duration: null,
+          phash: null,
+          phashes: null,
+          inheritedTagIds: null,
+          ...s,
+        }))
+      );
+    }
+    if (sql.includes("FROM ScenePerformer")) {
+      return Promise.resolve(
+        (cache.performers ?? []).map(([sceneId, performerId]) => ({
+          sceneId,
+          sceneInstanceId: INSTANCE,
+          performerId,
+        }))
+      );
+    }
+    if (sql.includes("FROM SceneTag")) {
+      return Promise.resolve(
+        (cache.tags ?? []).map(([sceneId, tagId]) => ({ sceneId, sceneInstanceId: INSTANCE, tagId }))
+      );
+    }
+    if (sql.includes("FROM StashStudio")) {
+      return Promise.resolve(
+        (cache.studios ?? []).map(([id, parentId]) => ({ id, stashInstanceId: INSTANCE, parentId }))
+      );
+    }
+    return Promise.resolve([]);
+  }) as never);
+  await sceneSimilarityService.rebuildIndex();
+}
+
+const ids = (results: Array<{ sceneId: string }>) => results.map((r) => r.sceneId);
+
+describe("SceneSimilarityService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("ranks shared performers above a shared studio above a shared tag", async () => {
+    await loadCache({
+      scenes: [
+        { id: "src", studioId: "st1" },
+        { id: "same-performer" },
+        { id: "same-studio", studioId: "st1" },
+        { id: "same-tag" },
+        { id: "unrelated" },
+      ],
+      performers: [["src", "p1"], ["same-performer", "p1"]],
+      tags: [["src", "t1"], ["same-tag", "t1"]],
+      studios: [["st1", null]],
+    });
+
+    const results = await sceneSimilarityService.findSimilar("src");
+
+    expect(ids(results)).toEqual(["same-performer", "same-studio", "same-tag"]);
+  });
+
+  it("counts other studios in the same network, less than the same studio", async () => {
+    await loadCache({
+      scenes: [
+        { id: "src", studioId: "child-a" },
+        { id: "sibling", studioId: "child-b" },
+        { id: "same", studioId: "child-a" },
+        { id: "other-network", studioId: "elsewhere" },
+      ],
+      studios: [
+        ["network", null],
+        ["child-a", "network"],
+        ["child-b", "network"],
+        ["elsewhere", null],
+      ],
+    });
+
+    const results = await sceneSimilarityService.findSimilar("src");
+
+    expect(ids(results)).toEqual(["same", "sibling"]);
+  });
+
+  it("counts inherited tags for less than the scene's own", async () => {
+    await loadCache({
+      scenes: [
+        { id: "src" },
+        { id: "own-tag" },
+        { id: "inherited-tag", inheritedTagIds: JSON.stringify(["t1"]) },
+      ],
+      tags: [["src", "t1"], ["own-tag", "t1"]],
+    });
+
+    const results = await sceneSimilarityService.findSimilar("src");
+
+    expect(ids(results)).toEqual(["own-tag", "inherited-tag"]);
+    expect(results[1]?.score).toBeLessThan(results[0]?.score ?? 0);
+  });
+
+  it("breaks ties by closeness of date and length", async () => {
+    await loadCache({
+      scenes: [
+        { id: "src", studioId: "st1", date: "2024-06-01", duration: 1800 },
+        { id: "far", studioId: "st1", date: "2015-06-01", duration: 600 },
+        { id: "close", studioId: "st1", date: "2024-05-01", duration: 1700 },
+      ],
+      studios: [["st1", null]],
+    });
+
+    const results = await sceneSimilarityService.findSimilar("src");
+
+    expect(ids(results)).toEqual(["close", "far"]);
+  });
+
+  it("leaves out the user's excluded scenes", async () => {
+    await loadCache({
+      scenes: [{ id: "src", studioId: "st1" }, { id: "a", studioId: "st1" }, { id: "b", studioId: "st1" }],
+      studios: [["st1", null]],
+    });
+
+    const results = await sceneSimilarityService.findSimilar("src", { excludedIds: new Set(["a"]) });
+
+    expect(ids(results)).toEqual(["b"]);
+  });
+
+  it("leaves out near-duplicates of the scene and of better matches", async () => {
+    await loadCache({
+      scenes: [
+        { id: "src", studioId: "st1", phash: "ffffffff00000000" },
+        // One bit off the scene itself
+        { id: "copy-of-src", studioId: "st1", phash: "fffffffe00000000" },
+        { id: "best", studioId: "st1", phash: "0000ffff0000ffff" },
+        // Re-encode of "best", only the studio in common
+        { id: "copy-of-best", studioId: "st1", phash: "0000ffff0000fffe" },
+        { id: "different", studioId: "st1", phash: "123456789abcdef0" },
+      ],
+      performers: [["src", "p1"], ["best", "p1"]],
+      studios: [["st1", null]],
+    });
+
+    const results = await sceneSimilarityService.findSimilar("src");
+
+    expect(ids(results)).toEqual(["best", "different"]);
+  });
+
+  it("returns nothing for a scene it doesn't know", async () => {
+    await loadCache({ scenes: [{ id: "a" }] });
+
+    expect(await sceneSimilarityService.findSimilar("missing")).toEqual([]);
+  });
+
+  it("keeps the last index if a rebuild fails", async () => {
+    await loadCache({
+      scenes: [{ id: "src", studioId: "st1" }, { id: "a", studioId: "st1" }],
+      studios: [["st1", null]],
+    });
+    vi.mocked(prisma.$queryRawUnsafe).mockRejectedValue(new Error("DB error"));
+
+    await sceneSimilarityService.rebuildIndex();
+
+    expect(ids(await sceneSimilarityService.findSimilar("src"))).toEqual(["a"]);
+  });
+});
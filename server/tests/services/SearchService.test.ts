@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import prisma from "../../prisma/singleton.js";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    $queryRawUnsafe: vi.fn(),
+    $executeRawUnsafe: vi.fn(),
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+// Import after mocking
+import { searchService } from "../../services/SearchService.js";
+
+const executed = () => vi.mocked(prisma.$executeRawUnsafe).mock.calls.map((call) => call[0] as string);
+
+describe("SearchService", () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vi.mocked(prisma.$executeRawUnsafe).mockResolvedValue(0);
+    vi.mocked(prisma.$queryRawUnsafe).mockResolvedValue([]);
+    // Start each test without pending linked scenes
+    await searchService.rebuild();
+    vi.clearAllMocks();
+  });
+
+  describe("buildMatchFilter", () => {
+    it("returns an empty clause when there's nothing to search", () => {
+      expect(searchService.buildMatchFilter("scene", "s", undefined)).toEqual({ sql: "", params: [] });
+      expect(searchService.buildMatchFilter("scene", "s", "  ")).toEqual({ sql: "", params: [] });
+    });
+
+    it("matches the type's index by rowid", () => {
+      expect(searchService.buildMatchFilter("performer", "p", "ali")).toEqual({
+        sql: "(p.rowid IN (SELECT rowid FROM performer_fts WHERE performer_fts MATCH ?))",
+        params: ['"ali"*'],
+      });
+    });
+
+    it("excludes negated terms", () => {
+      const filter = searchService.buildMatchFilter("tag", "t", "outdoor -night");
+      expect(filter.sql).toBe(
+        "(t.rowid IN (SELECT rowid FROM tag_fts WHERE tag_fts MATCH ?) AND t.rowid NOT IN (SELECT rowid FROM tag_fts WHERE tag_fts MATCH ?))"
+      );
+      expect(filter.params).toEqual(['"outdoor"*', '"night"*']);
+    });
+
+    it("supports negations alone", () => {
+      const filter = searchService.buildMatchFilter("gallery", "g", "-night");
+      expect(filter.sql).toBe("(g.rowid NOT IN (SELECT rowid FROM gallery_fts WHERE gallery_fts MATCH ?))");
+    });
+  });
+
+  describe("indexEntities", () => {
+    it("replaces the entities' index rows, skipping deleted ones", async () => {
+      await searchService.indexEntities("studio", "inst-1", ["1", "2"]);
+
+      const [deleteSql, insertSql] = executed();
+      expect(deleteSql).toContain("DELETE FROM studio_fts");
+      expect(insertSql).toContain("INSERT INTO studio_fts (rowid, name, details)");
+      expect(insertSql).toContain("e.deletedAt IS NULL");
+      expect(vi.mocked(prisma.$executeRawUnsafe).mock.calls[1].slice(1)).toEqual(["inst-1", "1", "2"]);
+    });
+
+    it("does nothing for no entities", async () => {
+      await searchService.indexEntities("scene", "inst-1", []);
+      expect(prisma.$executeRawUnsafe).not.toHaveBeenCalled();
+    });
+
+    it("logs and carries on when the index can't be written", async () => {
+      vi.mocked(prisma.$executeRawUnsafe).mockRejectedValue(new Error("no such table: scene_fts"));
+      await expect(searchService.indexEntities("scene", "inst-1", ["1"])).resolves.toBeUndefined();
+    });
+  });
+
+  describe("applyPendingChanges", () => {
+    it("re-indexes the scenes of changed performers on their instances", async () => {
+      await searchService.indexEntities("performer", "inst-1", ["p1"]);
+      vi.clearAllMocks();
+      vi.mocked(prisma.$queryRawUnsafe).mockResolvedValueOnce([
+        { id: "s1", instanceId: "inst-1" },
+        { id: "s2", instanceId: "inst-1" },
+      ]);
+
+      await searchService.applyPendingChanges();
+
+      const lookup = vi.mocked(prisma.$queryRawUnsafe).mock.calls[0];
+      expect(lookup[0]).toContain("FROM ScenePerformer");
+      expect(lookup.slice(1)).toEqual(["inst-1", "p1"]);
+
+      const sceneInsert = vi.mocked(prisma.$executeRawUnsafe).mock.calls.find((call) =>
+        (call[0] as string).includes("INSERT INTO scene_fts")
+      );
+      expect(sceneInsert?.slice(1)).toEqual(["inst-1", "s1", "s2"]);
+    });
+
+    it("only re-indexes linked scenes once", async () => {
+      await searchService.indexEntities("tag", "inst-1", ["t1"]);
+      await searchService.applyPendingChanges();
+      vi.clearAllMocks();
+
+      await searchService.applyPendingChanges();
+
+      expect(prisma.$queryRawUnsafe).not.toHaveBeenCalled();
+    });
+
+    it("drops deleted entities from every index", async () => {
+      await searchService.applyPendingChanges();
+
+      const purges = executed().filter((sql) => sql.includes("deletedAt IS NOT NULL"));
+      expect(purges).toHaveLength(6);
+    });
+  });
+
+  describe("search", () => {
+    it("returns nothing for negations alone", async () => {
+      expect(await searchService.search("-night", { userId: 1 })).toEqual([]);
+      expect(prisma.$queryRawUnsafe).not.toHaveBeenCalled();
+    });
+
+    it("ranks hits, leaves out exclusions and groups by type", async () => {
+      vi.mocked(prisma.$queryRawUnsafe).mockImplementation(((sql: string) => {
+        if (sql.includes("COUNT(*)")) return Promise.resolve([{ total: BigInt(12) }]);
+        return Promise.resolve([
+          { id: "1", instanceId: "inst-1", name: "Alice", subtitle: null, image: "/performer/1/image" },
+        ]);
+      }) as never);
+
+      const groups = await searchService.search("ali", {
+        userId: 7,
+        types: ["performer"],
+        limit: 3,
+        allowedInstanceIds: ["inst-1"],
+      });
+
+      const [sql, ...params] = vi.mocked(prisma.$queryRawUnsafe).mock.calls[0];
+      expect(sql).toContain("ORDER BY bm25(performer_fts");
+      expect(sql).toContain("LEFT JOIN UserExcludedEntity x");
+      expect(sql).toContain("x.id IS NULL");
+      expect(sql).toContain("e.stashInstanceId IN (?)");
+      expect(params).toEqual([7, '"ali"*', "inst-1", 3]);
+
+      expect(groups).toEqual([
+        {
+          type: "performer",
+          total: 12,
+          hits: [
+            {
+              id: "1",
+              instanceId: "inst-1",
+              type: "performer",
+              name: "Alice",
+              subtitle: null,
+              imagePath: "/api/proxy/stash?path=%2Fperformer%2F1%2Fimage&instanceId=inst-1",
+            },
+          ],
+        },
+      ]);
+    });
+
+    it("shows untitled scenes by file name", async () => {
+      vi.mocked(prisma.$queryRawUnsafe).mockImplementation(((sql: string) => {
+        if (sql.includes("COUNT(*)")) return Promise.resolve([{ total: 1 }]);
+        return Promise.resolve([
+          { id: "5", instanceId: "inst-1", name: "/media/beach/clip01.mp4", subtitle: "2024-06-01", image: null },
+        ]);
+      }) as never);
+
+      const [group] = await searchService.search("clip01", { userId: 1, types: ["scene"] });
+
+      expect(group.hits[0].name).toBe("clip01.mp4");
+      expect(group.hits[0].subtitle).toBe("2024-06-01");
+    });
+
+    it("leaves out types without matches", async () => {
+      const groups = await searchService.search("zzz", { userId: 1 });
+      expect(groups).toEqual([]);
+      // A ranked query and a count per type
+      expect(prisma.$queryRawUnsafe).toHaveBeenCalledTimes(12);
+    });
+  });
+});
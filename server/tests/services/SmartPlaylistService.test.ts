@@ -0,0 +1,218 @@
+/**
+ * Unit Tests for SmartPlaylistService
+ *
+ * Tests rule defaults, item limit validation, and materialization of a
+ * smart playlist's query into PlaylistItem rows.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// Mock prisma
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    playlist: { findUnique: vi.fn(), update: vi.fn() },
+    playlistItem: { deleteMany: vi.fn(), createMany: vi.fn() },
+    $transaction: vi.fn(),
+  },
+}));
+
+vi.mock("../../services/SceneQueryBuilder.js", () => ({
+  sceneQueryBuilder: { execute: vi.fn() },
+}));
+
+vi.mock("../../services/UserInstanceService.js", () => ({
+  getUserAllowedInstanceIds: vi.fn(async () => ["instance-1"]),
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import { sceneQueryBuilder } from "../../services/SceneQueryBuilder.js";
+import {
+  SMART_PLAYLIST_MAX_ITEMS,
+  SmartPlaylistService,
+  isSmartPlaylist,
+  validateItemLimit,
+} from "../../services/SmartPlaylistService.js";
+
+const mockPrisma = vi.mocked(prisma);
+const mockExecute = vi.mocked(sceneQueryBuilder.execute);
+
+const SMART_PLAYLIST = {
+  id: 7,
+  userId: 3,
+  type: "smart",
+  rules: { organized: true },
+  sort: "rating",
+  direction: "asc",
+  itemLimit: 2,
+  updatedAt: new Date("2026-01-01T00:00:00Z"),
+};
+
+describe("SmartPlaylistService", () => {
+  let service: SmartPlaylistService;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    service = new SmartPlaylistService();
+    mockPrisma.$transaction.mockResolvedValue([] as any);
+  });
+
+  describe("isSmartPlaylist", () => {
+    it("only matches the smart type", () => {
+      expect(isSmartPlaylist({ type: "smart" })).toBe(true);
+      expect(isSmartPlaylist({ type: "static" })).toBe(false);
+    });
+  });
+
+  describe("validateItemLimit", () => {
+    it("treats null and undefined as no limit", () => {
+      expect(validateItemLimit(null)).toEqual({ valid: true, value: null });
+      expect(validateItemLimit(undefined)).toEqual({ valid: true, value: null });
+    });
+
+    it("accepts integers within range", () => {
+      expect(validateItemLimit(1)).toEqual({ valid: true, value: 1 });
+      expect(validateItemLimit(SMART_PLAYLIST_MAX_ITEMS)).toEqual({
+        valid: true,
+        value: SMART_PLAYLIST_MAX_ITEMS,
+      });
+    });
+
+    it("rejects non-integers and out-of-range values", () => {
+      expect(validateItemLimit(2.5).valid).toBe(false);
+      expect(validateItemLimit("10").valid).toBe(false);
+      expect(validateItemLimit(0).valid).toBe(false);
+      expect(validateItemLimit(SMART_PLAYLIST_MAX_ITEMS + 1).valid).toBe(false);
+    });
+  });
+
+  describe("getDefinition", () => {
+    it("applies sort and direction defaults", () => {
+      const definition = service.getDefinition({
+        rules: null,
+        sort: null,
+        direction: null,
+        itemLimit: null,
+      });
+
+      expect(definition).toEqual({
+        rules: { version: 2, root: { type: "group", operator: "AND", children: [] } },
+        sort: "date",
+        direction: "DESC",
+        itemLimit: null,
+      });
+    });
+
+    it("keeps versioned rule trees as stored", () => {
+      const rules = {
+        version: 2,
+        root: {
+          type: "group",
+          operator: "OR",
+          children: [{ type: "rule", filter: { organized: true } }],
+        },
+      };
+
+      const definition = service.getDefinition({ rules, sort: "date", direction: "DESC", itemLimit: null });
+
+      expect(definition.rules).toEqual(rules);
+    });
+  });
+
+  describe("refresh", () => {
+    it("returns -1 for static playlists without querying scenes", async () => {
+      mockPrisma.playlist.findUnique.mockResolvedValue({
+        ...SMART_PLAYLIST,
+        type: "static",
+      } as any);
+
+      const count = await service.refresh(7);
+
+      expect(count).toBe(-1);
+      expect(mockExecute).not.toHaveBeenCalled();
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it("returns -1 when the playlist does not exist", async () => {
+      mockPrisma.playlist.findUnique.mockResolvedValue(null);
+
+      expect(await service.refresh(99)).toBe(-1);
+    });
+
+    it("queries scenes as the owner and replaces items", async () => {
+      mockPrisma.playlist.findUnique.mockResolvedValue(SMART_PLAYLIST as any);
+      mockExecute.mockResolvedValue({
+        scenes: [
+          { id: "s1", instanceId: "instance-1" },
+          { id: "s2", instanceId: "instance-1" },
+        ],
+        total: 40,
+      } as any);
+
+      const count = await service.refresh(7);
+
+      expect(count).toBe(2);
+      expect(mockExecute).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 3,
+          // Flat rules from before rule groups are read as one AND group
+          filters: {
+            filter_group: {
+              type: "group",
+              operator: "AND",
+              children: [{ type: "rule", filter: { organized: true } }],
+            },
+          },
+          allowedInstanceIds: ["instance-1"],
+          sort: "rating",
+          sortDirection: "ASC",
+          page: 1,
+          perPage: 2,
+          randomSeed: 7,
+        })
+      );
+      expect(mockPrisma.playlistItem.deleteMany).toHaveBeenCalledWith({
+        where: { playlistId: 7 },
+      });
+      expect(mockPrisma.playlistItem.createMany).toHaveBeenCalledWith({
+        data: [
+          { playlistId: 7, instanceId: "instance-1", sceneId: "s1", position: 0 },
+          { playlistId: 7, instanceId: "instance-1", sceneId: "s2", position: 1 },
+        ],
+      });
+      expect(mockPrisma.playlist.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: {
+          lastRefreshedAt: expect.any(Date),
+          updatedAt: SMART_PLAYLIST.updatedAt,
+        },
+      });
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+    });
+
+    it("caps uncapped playlists at the server maximum", async () => {
+      mockPrisma.playlist.findUnique.mockResolvedValue({
+        ...SMART_PLAYLIST,
+        itemLimit: null,
+      } as any);
+      mockExecute.mockResolvedValue({ scenes: [], total: 0 } as any);
+
+      await service.refresh(7);
+
+      expect(mockExecute).toHaveBeenCalledWith(
+        expect.objectContaining({ perPage: SMART_PLAYLIST_MAX_ITEMS })
+      );
+    });
+
+    it("shares one query between concurrent refreshes", async () => {
+      mockPrisma.playlist.findUnique.mockResolvedValue(SMART_PLAYLIST as any);
+      mockExecute.mockResolvedValue({ scenes: [], total: 0 } as any);
+
+      await Promise.all([service.refresh(7), service.refresh(7)]);
+
+      expect(mockExecute).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import {
+  buildNotify,
+  buildSearchResponse,
+  matchSearchTarget,
+  parseSsdpMessage,
+} from "../../services/SsdpServer.js";
+
+const UUID = "4d696e69-444c-4e41-9d41-b827eb000001";
+const ad = { deviceUuid: UUID, location: "http://192.168.1.10:6969/api/dlna/description.xml" };
+
+describe("SsdpServer", () => {
+  it("parses M-SEARCH requests", () => {
+    const { startLine, headers } = parseSsdpMessage(
+      'M-SEARCH * HTTP/1.1\r\nHOST: 239.255.255.250:1900\r\nMAN: "ssdp:discover"\r\nMX: 2\r\nst: ssdp:all\r\n\r\n'
+    );
+    expect(startLine).toBe("M-SEARCH * HTTP/1.1");
+    expect(headers).toMatchObject({ MAN: '"ssdp:discover"', MX: "2", ST: "ssdp:all" });
+  });
+
+  it("answers ssdp:all with every notification type", () => {
+    expect(matchSearchTarget("ssdp:all", UUID)).toEqual([
+      "upnp:rootdevice",
+      `uuid:${UUID}`,
+      "urn:schemas-upnp-org:device:MediaServer:1",
+      "urn:schemas-upnp-org:service:ContentDirectory:1",
+      "urn:schemas-upnp-org:service:ConnectionManager:1",
+    ]);
+  });
+
+  it("ignores searches for other device types", () => {
+    expect(matchSearchTarget("urn:schemas-upnp-org:device:MediaRenderer:1", UUID)).toEqual([]);
+    expect(matchSearchTarget("uuid:someone-else", UUID)).toEqual([]);
+  });
+
+  it("builds search responses with the device USN", () => {
+    const response = buildSearchResponse(ad, "urn:schemas-upnp-org:device:MediaServer:1");
+    expect(response.startsWith("HTTP/1.1 200 OK\r\n")).toBe(true);
+    expect(response).toContain(`LOCATION: ${ad.location}\r\n`);
+    expect(response).toContain(`USN: uuid:${UUID}::urn:schemas-upnp-org:device:MediaServer:1\r\n`);
+    expect(response.endsWith("\r\n\r\n")).toBe(true);
+  });
+
+  it("uses the bare UDN as USN for the uuid target", () => {
+    expect(buildSearchResponse(ad, `uuid:${UUID}`)).toContain(`USN: uuid:${UUID}\r\n`);
+  });
+
+  it("omits LOCATION from byebye notifications", () => {
+    const alive = buildNotify(ad, "upnp:rootdevice", "ssdp:alive");
+    const byebye = buildNotify(ad, "upnp:rootdevice", "ssdp:byebye");
+    expect(alive).toContain("NTS: ssdp:alive");
+    expect(alive).toContain("LOCATION:");
+    expect(byebye).toContain("NTS: ssdp:byebye");
+    expect(byebye).not.toContain("LOCATION:");
+  });
+});
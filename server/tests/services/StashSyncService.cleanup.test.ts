@@ -141,6 +141,21 @@ vi.mock("../../services/ExclusionComputationService.js", () => ({
   },
 }));
 
+vi.mock("../../services/SceneSimilarityService.js", () => ({
+  sceneSimilarityService: {
+    rebuildIndex: vi.fn().mockResolvedValue(undefined),
+  },
+}));
+
+vi.mock("../../services/SearchService.js", () => ({
+  isSearchEntityType: vi.fn(() => true),
+  searchService: {
+    indexEntities: vi.fn().mockResolvedValue(undefined),
+    applyPendingChanges: vi.fn().mockResolvedValue(undefined),
+    rebuild: vi.fn().mockResolvedValue(undefined),
+  },
+}));
+
 vi.mock("../../services/MergeReconciliationService.js", () => ({
   mergeReconciliationService: {
     findPhashMatches: vi.fn().mockResolvedValue([]),
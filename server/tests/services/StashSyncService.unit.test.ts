@@ -97,6 +97,22 @@ vi.mock("../../services/ExclusionComputationService.js", () => ({
   },
 }));
 
+// Mock scene similarity service
+vi.mock("../../services/SceneSimilarityService.js", () => ({
+  sceneSimilarityService: {
+    rebuildIndex: vi.fn().mockResolvedValue(undefined),
+  },
+}));
+
+vi.mock("../../services/SearchService.js", () => ({
+  isSearchEntityType: vi.fn(() => true),
+  searchService: {
+    indexEntities: vi.fn().mockResolvedValue(undefined),
+    applyPendingChanges: vi.fn().mockResolvedValue(undefined),
+    rebuild: vi.fn().mockResolvedValue(undefined),
+  },
+}));
+
 // Mock clip preview prober
 vi.mock("../../services/ClipPreviewProber.js", () => ({
   clipPreviewProber: {
@@ -240,6 +256,35 @@ describe("StashSyncService", () => {
     });
   });
 
+  describe("sync events", () => {
+    it("should tell admins when a sync starts and finishes", async () => {
+      const { stashSyncService } = await import("../../services/StashSyncService.js");
+      const { eventBusService } = await import("../../services/EventBusService.js");
+      const admin = vi.fn();
+      const user = vi.fn();
+      const unsubscribeAdmin = eventBusService.subscribe({ id: 1, role: "ADMIN" }, { send: admin });
+      const unsubscribeUser = eventBusService.subscribe({ id: 2, role: "USER" }, { send: user });
+      mockPrisma.syncState.findFirst.mockResolvedValue({
+        lastIncrementalSyncTimestamp: "2025-12-20T10:00:00-08:00",
+        lastFullSyncTimestamp: null,
+      });
+
+      try {
+        await stashSyncService.incrementalSync();
+      } finally {
+        unsubscribeAdmin();
+        unsubscribeUser();
+      }
+
+      const types = admin.mock.calls.map(([event]) => event.type);
+      expect(types[0]).toBe("sync-started");
+      expect(admin).toHaveBeenCalledWith({ type: "sync-finished", kind: "incremental", ok: true });
+      // Nothing changed in Stash, so nobody's pages are out of date
+      expect(types).not.toContain("library-updated");
+      expect(user).not.toHaveBeenCalled();
+    });
+  });
+
   describe("getMostRecentSyncTime logic", () => {
     it("should use the more recent timestamp in logs when both exist", async () => {
       const { stashSyncService } = await import("../../services/StashSyncService.js");
@@ -0,0 +1,339 @@
+/**
+ * Unit Tests for StashWriteBackService
+ *
+ * Tests which fields reach Stash per entity type, queueing into the outbox,
+ * delivery with each conflict policy, and retry backoff when Stash fails.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => {
+  const model = () => ({ findUnique: vi.fn(), updateMany: vi.fn() });
+  return {
+    default: {
+      syncSettings: { findFirst: vi.fn(), upsert: vi.fn() },
+      stashWriteBack: {
+        upsert: vi.fn(),
+        findMany: vi.fn(),
+        deleteMany: vi.fn(),
+        updateMany: vi.fn(),
+        count: vi.fn(),
+      },
+      stashWriteBackConflict: {
+        create: vi.fn(),
+        findFirst: vi.fn(),
+        findMany: vi.fn(),
+        deleteMany: vi.fn(),
+      },
+      user: { findUnique: vi.fn() },
+      stashScene: model(),
+      stashPerformer: model(),
+      stashTag: model(),
+      sceneRating: { updateMany: vi.fn() },
+      performerRating: { updateMany: vi.fn() },
+    },
+  };
+});
+
+vi.mock("../../services/StashInstanceManager.js", () => ({
+  stashInstanceManager: {
+    getForSync: vi.fn(),
+    getConfig: vi.fn(() => ({ id: "instance-1", name: "Main Stash" })),
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import { stashInstanceManager } from "../../services/StashInstanceManager.js";
+import {
+  retryDelayMs,
+  stashWriteBackService,
+  writableValues,
+} from "../../services/StashWriteBackService.js";
+
+const mockPrisma = vi.mocked(prisma, true);
+const mockInstanceManager = vi.mocked(stashInstanceManager);
+
+const CHANGED_AT = new Date("2026-03-10T12:00:00Z");
+
+const mockStash = {
+  findScenes: vi.fn(),
+  findPerformers: vi.fn(),
+  sceneUpdate: vi.fn(),
+  performerUpdate: vi.fn(),
+};
+
+const row = (overrides: Record<string, unknown> = {}) => ({
+  id: 1,
+  userId: 3,
+  stashInstanceId: "instance-1",
+  entityType: "performer",
+  entityId: "10",
+  rating: 80,
+  ratingChanged: true,
+  favorite: null,
+  baseRating: 60,
+  baseFavorite: false,
+  changedAt: CHANGED_AT,
+  attempts: 0,
+  ...overrides,
+});
+
+const stashPerformer = (overrides: Record<string, unknown> = {}) => ({
+  findPerformers: {
+    performers: [{ id: "10", rating100: 60, favorite: false, updated_at: "2026-03-01T00:00:00Z", ...overrides }],
+  },
+});
+
+const deliver = async (pending: ReturnType<typeof row>, policy = "peek") => {
+  mockPrisma.syncSettings.findFirst.mockResolvedValue({ writeBackConflictPolicy: policy } as any);
+  mockPrisma.stashWriteBack.findMany.mockResolvedValueOnce([pending] as any).mockResolvedValue([]);
+  await stashWriteBackService.processDue();
+};
+
+describe("StashWriteBackService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.syncSettings.findFirst.mockResolvedValue(null);
+    mockPrisma.stashWriteBack.deleteMany.mockResolvedValue({ count: 1 } as any);
+    mockPrisma.stashWriteBackConflict.findFirst.mockResolvedValue(null);
+    mockPrisma.user.findUnique.mockResolvedValue({ username: "alice" } as any);
+    mockInstanceManager.getForSync.mockReturnValue(mockStash as any);
+    mockStash.findPerformers.mockResolvedValue(stashPerformer());
+    mockStash.performerUpdate.mockResolvedValue({});
+  });
+
+  describe("writableValues", () => {
+    it("keeps only the fields Stash stores for each type", () => {
+      expect(writableValues("scene", { rating: 80, favorite: true })).toEqual({ rating: 80 });
+      expect(writableValues("performer", { rating: 80, favorite: true })).toEqual({ rating: 80, favorite: true });
+      expect(writableValues("tag", { rating: 80, favorite: true })).toEqual({ favorite: true });
+      expect(writableValues("image", { favorite: true })).toEqual({});
+    });
+
+    it("keeps cleared ratings", () => {
+      expect(writableValues("gallery", { rating: null })).toEqual({ rating: null });
+    });
+  });
+
+  describe("retryDelayMs", () => {
+    it("doubles from 30 seconds and caps at an hour", () => {
+      expect(retryDelayMs(1)).toBe(30_000);
+      expect(retryDelayMs(2)).toBe(60_000);
+      expect(retryDelayMs(3)).toBe(120_000);
+      expect(retryDelayMs(20)).toBe(3_600_000);
+    });
+  });
+
+  describe("getSettings", () => {
+    it("defaults to every type and Peek winning", async () => {
+      expect(await stashWriteBackService.getSettings()).toEqual({
+        entityTypes: ["scene", "performer", "studio", "tag", "group", "gallery", "image"],
+        conflictPolicy: "peek",
+      });
+    });
+
+    it("ignores unknown values", async () => {
+      mockPrisma.syncSettings.findFirst.mockResolvedValue({
+        writeBackEntityTypes: ["tag", "bogus", "scene"],
+        writeBackConflictPolicy: "random",
+      } as any);
+
+      expect(await stashWriteBackService.getSettings()).toEqual({
+        entityTypes: ["scene", "tag"],
+        conflictPolicy: "peek",
+      });
+    });
+  });
+
+  describe("enqueue", () => {
+    const change = {
+      userId: 3,
+      instanceId: "instance-1",
+      entityType: "performer" as const,
+      entityId: "10",
+      rating: 80,
+    };
+
+    it("records the change with the Stash values Peek last saw", async () => {
+      mockPrisma.stashPerformer.findUnique.mockResolvedValue({ rating100: 60, favorite: true } as any);
+
+      await stashWriteBackService.enqueue(change);
+
+      const args = mockPrisma.stashWriteBack.upsert.mock.calls[0]?.[0] as any;
+      expect(args.where).toEqual({
+        stashInstanceId_entityType_entityId: {
+          stashInstanceId: "instance-1",
+          entityType: "performer",
+          entityId: "10",
+        },
+      });
+      expect(args.create).toMatchObject({
+        userId: 3,
+        rating: 80,
+        ratingChanged: true,
+        baseRating: 60,
+        baseFavorite: true,
+      });
+      // A later change keeps the original base
+      expect(args.update).not.toHaveProperty("baseRating");
+      expect(args.update).toMatchObject({ userId: 3, rating: 80, ratingChanged: true });
+    });
+
+    it("skips entity types that aren't enabled", async () => {
+      mockPrisma.syncSettings.findFirst.mockResolvedValue({ writeBackEntityTypes: ["scene"] } as any);
+
+      await stashWriteBackService.enqueue(change);
+
+      expect(mockPrisma.stashWriteBack.upsert).not.toHaveBeenCalled();
+    });
+
+    it("skips changes Stash can't store", async () => {
+      await stashWriteBackService.enqueue({ ...change, entityType: "scene", rating: undefined, favorite: true });
+
+      expect(mockPrisma.stashWriteBack.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("delivery", () => {
+    it("writes the change and removes it from the queue", async () => {
+      await deliver(row());
+
+      expect(mockStash.performerUpdate).toHaveBeenCalledWith({ input: { id: "10", rating100: 80 } });
+      expect(mockPrisma.stashPerformer.updateMany).toHaveBeenCalledWith({
+        where: { id: "10", stashInstanceId: "instance-1" },
+        data: { rating100: 80 },
+      });
+      expect(mockPrisma.stashWriteBack.deleteMany).toHaveBeenCalledWith({
+        where: { id: 1, changedAt: CHANGED_AT },
+      });
+      expect(mockPrisma.stashWriteBackConflict.create).not.toHaveBeenCalled();
+    });
+
+    it("doesn't treat Stash already having Peek's value as a conflict", async () => {
+      mockStash.findPerformers.mockResolvedValue(stashPerformer({ rating100: 80 }));
+
+      await deliver(row());
+
+      expect(mockStash.performerUpdate).not.toHaveBeenCalled();
+      expect(mockPrisma.stashWriteBackConflict.create).not.toHaveBeenCalled();
+      expect(mockPrisma.stashWriteBack.deleteMany).toHaveBeenCalled();
+    });
+
+    it("overwrites a Stash-side change when Peek wins", async () => {
+      mockStash.findPerformers.mockResolvedValue(stashPerformer({ rating100: 40 }));
+
+      await deliver(row(), "peek");
+
+      expect(mockStash.performerUpdate).toHaveBeenCalledWith({ input: { id: "10", rating100: 80 } });
+      expect(mockPrisma.stashWriteBackConflict.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          entityType: "performer",
+          entityId: "10",
+          username: "alice",
+          peekValues: { rating: 80 },
+          stashValues: { rating: 40 },
+          resolution: "peek",
+        }),
+      });
+    });
+
+    it("keeps the Stash value and copies it into Peek when Stash wins", async () => {
+      mockStash.findPerformers.mockResolvedValue(stashPerformer({ rating100: 40 }));
+
+      await deliver(row({ favorite: true }), "stash");
+
+      // The favorite didn't conflict, so it's still written
+      expect(mockStash.performerUpdate).toHaveBeenCalledWith({ input: { id: "10", favorite: true } });
+      expect(mockPrisma.performerRating.updateMany).toHaveBeenCalledWith({
+        where: { userId: 3, instanceId: "instance-1", performerId: "10" },
+        data: { rating: 40 },
+      });
+      expect(mockPrisma.stashPerformer.updateMany).toHaveBeenCalledWith({
+        where: { id: "10", stashInstanceId: "instance-1" },
+        data: { rating100: 40, favorite: true },
+      });
+    });
+
+    it("picks the side that changed most recently when newest wins", async () => {
+      mockStash.findPerformers.mockResolvedValue(
+        stashPerformer({ rating100: 40, updated_at: "2026-03-10T13:00:00Z" })
+      );
+      await deliver(row(), "newest");
+      expect(mockStash.performerUpdate).not.toHaveBeenCalled();
+
+      vi.clearAllMocks();
+      mockInstanceManager.getForSync.mockReturnValue(mockStash as any);
+      mockPrisma.stashWriteBack.deleteMany.mockResolvedValue({ count: 1 } as any);
+      mockStash.findPerformers.mockResolvedValue(
+        stashPerformer({ rating100: 40, updated_at: "2026-03-10T11:00:00Z" })
+      );
+      await deliver(row(), "newest");
+      expect(mockStash.performerUpdate).toHaveBeenCalledWith({ input: { id: "10", rating100: 80 } });
+    });
+
+    it("skips the conflict check for entities Peek hadn't synced", async () => {
+      mockStash.findPerformers.mockResolvedValue(stashPerformer({ rating100: 40 }));
+
+      await deliver(row({ baseRating: null, baseFavorite: null }), "stash");
+
+      expect(mockStash.performerUpdate).toHaveBeenCalledWith({ input: { id: "10", rating100: 80 } });
+      expect(mockPrisma.stashWriteBackConflict.create).not.toHaveBeenCalled();
+    });
+
+    it("schedules a retry when Stash fails", async () => {
+      mockStash.performerUpdate.mockRejectedValue(new Error("connect ECONNREFUSED"));
+      const before = Date.now();
+
+      await deliver(row({ attempts: 2 }));
+
+      const args = mockPrisma.stashWriteBack.updateMany.mock.calls[0]?.[0] as any;
+      expect(args.where).toEqual({ id: 1 });
+      expect(args.data.attempts).toBe(3);
+      expect(args.data.lastError).toBe("connect ECONNREFUSED");
+      expect(args.data.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 120_000);
+      expect(mockPrisma.stashWriteBack.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it("retries when the instance isn't connected", async () => {
+      mockInstanceManager.getForSync.mockReturnValue(null);
+
+      await deliver(row());
+
+      expect(mockPrisma.stashWriteBack.updateMany).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: expect.objectContaining({ attempts: 1, lastError: "Stash instance is not connected" }),
+      });
+    });
+
+    it("drops changes for entities deleted from Stash", async () => {
+      mockStash.findPerformers.mockResolvedValue({ findPerformers: { performers: [] } });
+
+      await deliver(row());
+
+      expect(mockStash.performerUpdate).not.toHaveBeenCalled();
+      expect(mockPrisma.stashWriteBack.deleteMany).toHaveBeenCalledWith({ where: { id: 1 } });
+    });
+
+    it("keeps a change made during delivery, based on what was just written", async () => {
+      mockPrisma.stashWriteBack.deleteMany.mockResolvedValue({ count: 0 } as any);
+
+      await deliver(row());
+
+      expect(mockPrisma.stashWriteBack.updateMany).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { baseRating: 80 },
+      });
+    });
+  });
+
+  describe("discard", () => {
+    it("throws when the change doesn't exist", async () => {
+      mockPrisma.stashWriteBack.deleteMany.mockResolvedValue({ count: 0 } as any);
+
+      await expect(stashWriteBackService.discard(99)).rejects.toThrow("Pending change not found");
+    });
+  });
+});
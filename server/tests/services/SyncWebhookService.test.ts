@@ -0,0 +1,256 @@
+/**
+ * Unit Tests for SyncWebhookService
+ *
+ * Tests signature verification, event validation, and the debounced,
+ * coalescing queue that applies webhook events and writes the delivery log.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+// Mock prisma
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    syncSettings: { findFirst: vi.fn() },
+    stashInstance: { findUnique: vi.fn() },
+    syncWebhookLog: {
+      create: vi.fn(),
+      findFirst: vi.fn(),
+      findMany: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+  },
+}));
+
+vi.mock("../../services/StashSyncService.js", () => ({
+  stashSyncService: { syncSingleEntity: vi.fn() },
+}));
+
+vi.mock("../../services/StashInstanceManager.js", () => ({
+  stashInstanceManager: {
+    getConfig: vi.fn(() => ({ id: "instance-1", name: "Main Stash" })),
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import { stashSyncService } from "../../services/StashSyncService.js";
+import {
+  MAX_EVENTS_PER_DELIVERY,
+  parseWebhookEvents,
+  signWebhookPayload,
+  syncWebhookService,
+  verifySignature,
+} from "../../services/SyncWebhookService.js";
+
+const mockPrisma = vi.mocked(prisma);
+const mockSyncSingleEntity = vi.mocked(stashSyncService.syncSingleEntity);
+
+const SECRET = "test-secret";
+const NOW = 1_760_000_000_000;
+
+describe("SyncWebhookService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSyncSingleEntity.mockResolvedValue(undefined);
+    mockPrisma.syncWebhookLog.findFirst.mockResolvedValue(null);
+  });
+
+  describe("verifySignature", () => {
+    const body = '{"entity":"scene","id":"1","action":"update"}';
+    const timestamp = String(NOW / 1000);
+
+    it("accepts a correctly signed, fresh delivery", () => {
+      const signature = signWebhookPayload(SECRET, timestamp, body);
+      expect(verifySignature(SECRET, timestamp, signature, body, NOW)).toBe(true);
+    });
+
+    it("rejects a signature made with another secret", () => {
+      const signature = signWebhookPayload("other-secret", timestamp, body);
+      expect(verifySignature(SECRET, timestamp, signature, body, NOW)).toBe(false);
+    });
+
+    it("rejects a tampered body", () => {
+      const signature = signWebhookPayload(SECRET, timestamp, body);
+      expect(
+        verifySignature(SECRET, timestamp, signature, body.replace("1", "2"), NOW)
+      ).toBe(false);
+    });
+
+    it("rejects stale timestamps", () => {
+      const stale = String(NOW / 1000 - 600);
+      const signature = signWebhookPayload(SECRET, stale, body);
+      expect(verifySignature(SECRET, stale, signature, body, NOW)).toBe(false);
+    });
+
+    it("rejects missing headers", () => {
+      expect(verifySignature(SECRET, undefined, "sha256=abc", body, NOW)).toBe(false);
+      expect(verifySignature(SECRET, timestamp, undefined, body, NOW)).toBe(false);
+    });
+  });
+
+  describe("parseWebhookEvents", () => {
+    it("accepts a single event", () => {
+      expect(
+        parseWebhookEvents({ entity: "performer", id: 12, action: "create" })
+      ).toEqual({
+        valid: true,
+        events: [{ entity: "performer", id: "12", action: "create" }],
+      });
+    });
+
+    it("accepts a batch", () => {
+      const result = parseWebhookEvents({
+        events: [
+          { entity: "scene", id: "1", action: "update" },
+          { entity: "tag", id: "2", action: "delete" },
+        ],
+      });
+      expect(result.valid).toBe(true);
+      expect(result.valid && result.events).toHaveLength(2);
+    });
+
+    it("rejects unknown entities and actions", () => {
+      expect(parseWebhookEvents({ entity: "clip", id: "1", action: "update" }).valid).toBe(false);
+      expect(parseWebhookEvents({ entity: "scene", id: "1", action: "merge" }).valid).toBe(false);
+    });
+
+    it("rejects empty and oversized batches", () => {
+      expect(parseWebhookEvents({ events: [] }).valid).toBe(false);
+      const tooMany = Array.from({ length: MAX_EVENTS_PER_DELIVERY + 1 }, (_, i) => ({
+        entity: "scene",
+        id: String(i),
+        action: "update",
+      }));
+      expect(parseWebhookEvents({ events: tooMany }).valid).toBe(false);
+    });
+
+    it("rejects events without an id", () => {
+      expect(parseWebhookEvents({ entity: "scene", action: "update" }).valid).toBe(false);
+    });
+  });
+
+  describe("queue", () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("coalesces repeated events and applies them after the debounce window", async () => {
+      syncWebhookService.enqueue("instance-1", [
+        { entity: "scene", id: "1", action: "update" },
+      ]);
+      syncWebhookService.enqueue("instance-1", [
+        { entity: "scene", id: "1", action: "update" },
+        { entity: "performer", id: "7", action: "create" },
+      ]);
+
+      expect(mockSyncSingleEntity).not.toHaveBeenCalled();
+
+      await vi.runAllTimersAsync();
+
+      // Scene coalesced to one call; performer applied before the scene
+      expect(mockSyncSingleEntity).toHaveBeenCalledTimes(2);
+      expect(mockSyncSingleEntity.mock.calls[0]).toEqual(["performer", "7", "create", "instance-1"]);
+      expect(mockSyncSingleEntity.mock.calls[1]).toEqual(["scene", "1", "update", "instance-1"]);
+
+      expect(mockPrisma.syncWebhookLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          stashInstanceId: "instance-1",
+          status: "applied",
+          deliveries: 2,
+          receivedEvents: 3,
+          appliedEvents: 2,
+          failedEvents: 0,
+        }),
+      });
+    });
+
+    it("keeps the latest action for an entity", async () => {
+      syncWebhookService.enqueue("instance-1", [
+        { entity: "tag", id: "3", action: "create" },
+      ]);
+      syncWebhookService.enqueue("instance-1", [
+        { entity: "tag", id: "3", action: "delete" },
+      ]);
+
+      await vi.runAllTimersAsync();
+
+      expect(mockSyncSingleEntity).toHaveBeenCalledTimes(1);
+      expect(mockSyncSingleEntity).toHaveBeenCalledWith("tag", "3", "delete", "instance-1");
+    });
+
+    it("records partial failures", async () => {
+      mockSyncSingleEntity
+        .mockResolvedValueOnce(undefined)
+        .mockRejectedValueOnce(new Error("Stash unreachable"));
+
+      syncWebhookService.enqueue("instance-1", [
+        { entity: "studio", id: "1", action: "update" },
+        { entity: "scene", id: "2", action: "update" },
+      ]);
+
+      await vi.runAllTimersAsync();
+
+      expect(mockPrisma.syncWebhookLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          status: "partial",
+          appliedEvents: 1,
+          failedEvents: 1,
+          error: "Stash unreachable",
+        }),
+      });
+    });
+
+    it("flushes during a continuous burst once the max wait is reached", async () => {
+      for (let i = 0; i < 8; i++) {
+        syncWebhookService.enqueue("instance-1", [
+          { entity: "scene", id: String(i), action: "update" },
+        ]);
+        await vi.advanceTimersByTimeAsync(1500);
+      }
+
+      // 8 x 1.5s = 12s of activity with no 2s gap: first flush at 10s
+      expect(mockSyncSingleEntity).toHaveBeenCalledTimes(7);
+
+      await vi.runAllTimersAsync();
+      expect(mockSyncSingleEntity).toHaveBeenCalledTimes(8);
+    });
+  });
+
+  describe("getLog", () => {
+    it("attaches instance names and normalizes events", async () => {
+      mockPrisma.syncWebhookLog.findMany.mockResolvedValue([
+        {
+          id: 1,
+          stashInstanceId: "instance-1",
+          status: "rejected",
+          deliveries: 1,
+          receivedEvents: 0,
+          appliedEvents: 0,
+          failedEvents: 0,
+          events: null,
+          error: "Invalid signature or timestamp",
+          durationMs: null,
+          createdAt: new Date(NOW),
+        },
+      ] as any);
+
+      const entries = await syncWebhookService.getLog(10);
+
+      expect(mockPrisma.syncWebhookLog.findMany).toHaveBeenCalledWith({
+        orderBy: { id: "desc" },
+        take: 10,
+      });
+      expect(entries[0]).toMatchObject({
+        instanceName: "Main Stash",
+        status: "rejected",
+        events: [],
+      });
+    });
+  });
+});
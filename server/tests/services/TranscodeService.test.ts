@@ -0,0 +1,305 @@
+/**
+ * Unit Tests for TranscodeService
+ *
+ * Tests the VOD playlist, the ffmpeg arguments for each quality and start
+ * point, least-recently-used cache eviction, and starting, reusing and
+ * limiting encodes (ffmpeg itself is mocked).
+ */
+import { EventEmitter } from "events";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+vi.mock("child_process", () => ({
+  spawn: vi.fn(),
+}));
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    transcodeSettings: { findFirst: vi.fn(), upsert: vi.fn(), update: vi.fn() },
+    stashScene: { findFirst: vi.fn() },
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../../services/StashInstanceManager.js", () => ({
+  stashInstanceManager: {
+    getDefaultConfig: vi.fn(() => ({ id: "inst-1" })),
+    getBaseUrl: vi.fn(() => "http://stash:9999"),
+    getApiKey: vi.fn(() => "secret"),
+  },
+}));
+
+import { spawn } from "child_process";
+import prisma from "../../prisma/singleton.js";
+import {
+  SEGMENT_SECONDS,
+  buildFfmpegArgs,
+  buildTranscodePlaylist,
+  isTranscodeQuality,
+  lastEncodedSegment,
+  segmentFileName,
+  selectEvictions,
+  transcodeService,
+  type TranscodeSource,
+} from "../../services/TranscodeService.js";
+
+const mockPrisma = vi.mocked(prisma, true);
+const mockSpawn = vi.mocked(spawn);
+
+const settings = (overrides = {}) => ({
+  id: 1,
+  enabled: true,
+  maxConcurrent: 2,
+  cacheLimitMb: 10240,
+  updatedAt: new Date(),
+  ...overrides,
+});
+
+const fakeProcess = () => {
+  const child = new EventEmitter() as EventEmitter & {
+    stderr: EventEmitter;
+    kill: ReturnType<typeof vi.fn>;
+  };
+  child.stderr = new EventEmitter();
+  child.kill = vi.fn();
+  return child;
+};
+
+const source = (sceneId = "42"): TranscodeSource => ({
+  sceneId,
+  instanceId: "inst-1",
+  title: "Scene",
+  durationSeconds: 600,
+});
+
+describe("TranscodeService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("isTranscodeQuality", () => {
+    it("accepts ladder rungs only", () => {
+      expect(isTranscodeQuality("720p")).toBe(true);
+      expect(isTranscodeQuality("direct")).toBe(false);
+      expect(isTranscodeQuality("toString")).toBe(false);
+      expect(isTranscodeQuality(undefined)).toBe(false);
+    });
+  });
+
+  describe("buildTranscodePlaylist", () => {
+    it("lists every segment with a short final one", () => {
+      const playlist = buildTranscodePlaylist(15, "?instanceId=abc");
+      const lines = playlist.split("\n");
+
+      expect(lines).toContain("#EXT-X-PLAYLIST-TYPE:VOD");
+      expect(lines).toContain(`#EXT-X-TARGETDURATION:${SEGMENT_SECONDS}`);
+      expect(lines.filter((line) => line.startsWith("#EXTINF"))).toEqual([
+        "#EXTINF:6.000,",
+        "#EXTINF:6.000,",
+        "#EXTINF:3.000,",
+      ]);
+      expect(lines).toContain("2.ts?instanceId=abc");
+      expect(lines).toContain("#EXT-X-ENDLIST");
+    });
+
+    it("has at least one segment", () => {
+      expect(buildTranscodePlaylist(0)).toContain("0.ts");
+    });
+  });
+
+  describe("buildFfmpegArgs", () => {
+    const argValue = (args: string[], flag: string) => args[args.indexOf(flag) + 1];
+
+    it("encodes from the start without seeking", () => {
+      const args = buildFfmpegArgs({
+        inputUrl: "http://stash/scene/1/stream",
+        apiKey: "key",
+        quality: "720p",
+        startSegment: 0,
+        outputDir: "/cache/x",
+      });
+
+      expect(args).not.toContain("-ss");
+      expect(argValue(args, "-c:v")).toBe("libx264");
+      expect(argValue(args, "-b:v")).toBe("3000k");
+      expect(argValue(args, "-vf")).toBe("scale=-2:'min(720,trunc(ih/2)*2)'");
+      expect(argValue(args, "-headers")).toBe("ApiKey: key\r\n");
+      expect(argValue(args, "-hls_segment_filename")).toBe(
+        path.join("/cache/x", "segment_%05d.ts")
+      );
+    });
+
+    it("seeks and offsets timestamps when starting mid-scene", () => {
+      const args = buildFfmpegArgs({
+        inputUrl: "http://stash/scene/1/stream",
+        apiKey: "key",
+        quality: "360p",
+        startSegment: 10,
+        outputDir: "/cache/x",
+      });
+
+      expect(argValue(args, "-ss")).toBe("60");
+      expect(args.indexOf("-ss")).toBeLessThan(args.indexOf("-i"));
+      expect(argValue(args, "-output_ts_offset")).toBe("60");
+      expect(argValue(args, "-start_number")).toBe("10");
+    });
+  });
+
+  describe("lastEncodedSegment", () => {
+    it("reads the last segment from ffmpeg's playlist", () => {
+      const playlist = "#EXTM3U\n#EXTINF:6,\nsegment_00010.ts\n#EXTINF:6,\nsegment_00011.ts\n";
+      expect(lastEncodedSegment(playlist)).toBe(11);
+    });
+
+    it("returns null before the first segment", () => {
+      expect(lastEncodedSegment("#EXTM3U\n")).toBeNull();
+    });
+  });
+
+  describe("selectEvictions", () => {
+    const entries = [
+      { name: "new", sizeBytes: 400, lastUsedAt: 300 },
+      { name: "old", sizeBytes: 400, lastUsedAt: 100 },
+      { name: "middle", sizeBytes: 400, lastUsedAt: 200 },
+    ];
+
+    it("evicts nothing under the limit", () => {
+      expect(selectEvictions(entries, 1200, new Set())).toEqual([]);
+    });
+
+    it("evicts least recently used first until under the limit", () => {
+      const evicted = selectEvictions(entries, 500, new Set());
+      expect(evicted.map((entry) => entry.name)).toEqual(["old", "middle"]);
+    });
+
+    it("never evicts entries in use", () => {
+      const evicted = selectEvictions(entries, 500, new Set(["old"]));
+      expect(evicted.map((entry) => entry.name)).toEqual(["middle", "new"]);
+    });
+  });
+
+  describe("resolveSource", () => {
+    it("uses the default instance when none is given", async () => {
+      mockPrisma.stashScene.findFirst.mockResolvedValue({ title: "A", duration: 90 } as any);
+
+      const resolved = await transcodeService.resolveSource("7", "default");
+
+      expect(resolved).toEqual({
+        sceneId: "7",
+        instanceId: "inst-1",
+        title: "A",
+        durationSeconds: 90,
+      });
+      expect(mockPrisma.stashScene.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { id: "7", stashInstanceId: "inst-1", deletedAt: null },
+        })
+      );
+    });
+
+    it("rejects unknown scenes", async () => {
+      mockPrisma.stashScene.findFirst.mockResolvedValue(null);
+      await expect(transcodeService.resolveSource("7")).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+
+    it("rejects scenes without a duration", async () => {
+      mockPrisma.stashScene.findFirst.mockResolvedValue({ title: null, duration: null } as any);
+      await expect(transcodeService.resolveSource("7")).rejects.toMatchObject({
+        statusCode: 422,
+      });
+    });
+  });
+
+  describe("with a cache directory", () => {
+    let cacheDir: string;
+
+    beforeEach(async () => {
+      cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "peek-transcode-"));
+      process.env.TRANSCODE_CACHE_DIR = cacheDir;
+      mockPrisma.transcodeSettings.findFirst.mockResolvedValue(settings() as any);
+    });
+
+    afterEach(async () => {
+      transcodeService.stopAll();
+      delete process.env.TRANSCODE_CACHE_DIR;
+      await fs.rm(cacheDir, { recursive: true, force: true });
+    });
+
+    const writeSegment = async (name: string, index: number, bytes: number) => {
+      await fs.mkdir(path.join(cacheDir, name), { recursive: true });
+      await fs.writeFile(path.join(cacheDir, name, segmentFileName(index)), Buffer.alloc(bytes));
+    };
+
+    it("serves a cached segment without starting ffmpeg", async () => {
+      await writeSegment("inst-1_42_720p", 3, 10);
+
+      const file = await transcodeService.getSegment(source(), "720p", 3, "alice");
+
+      expect(file).toBe(path.join(cacheDir, "inst-1_42_720p", segmentFileName(3)));
+      expect(mockSpawn).not.toHaveBeenCalled();
+    });
+
+    it("starts an encode at the requested segment and waits for it", async () => {
+      const child = fakeProcess();
+      mockSpawn.mockReturnValue(child as any);
+
+      const pending = transcodeService.getSegment(source(), "480p", 5, "alice");
+      await vi.waitFor(() => expect(mockSpawn).toHaveBeenCalled());
+      await writeSegment("inst-1_42_480p", 5, 10);
+
+      await expect(pending).resolves.toContain(segmentFileName(5));
+      const args = mockSpawn.mock.calls[0]?.[1] as string[];
+      expect(args).toContain("http://stash:9999/scene/42/stream");
+      expect(args[args.indexOf("-start_number") + 1]).toBe("5");
+
+      const jobs = await transcodeService.listJobs();
+      expect(jobs).toHaveLength(1);
+      expect(jobs[0]).toMatchObject({
+        id: "inst-1:42:480p",
+        username: "alice",
+        startSeconds: 30,
+      });
+    });
+
+    it("refuses new encodes past the concurrency limit", async () => {
+      mockPrisma.transcodeSettings.findFirst.mockResolvedValue(
+        settings({ maxConcurrent: 1 }) as any
+      );
+      mockSpawn.mockReturnValue(fakeProcess() as any);
+
+      const first = transcodeService.getSegment(source("1"), "720p", 0, "alice");
+      await vi.waitFor(() => expect(mockSpawn).toHaveBeenCalledTimes(1));
+
+      await expect(
+        transcodeService.getSegment(source("2"), "720p", 0, "bob")
+      ).rejects.toMatchObject({ statusCode: 503 });
+
+      transcodeService.stopAll();
+      await expect(first).rejects.toMatchObject({ statusCode: 502 });
+    });
+
+    it("evicts the least recently used scenes over the limit", async () => {
+      const mb = 1024 * 1024;
+      mockPrisma.transcodeSettings.findFirst.mockResolvedValue(
+        settings({ cacheLimitMb: 1 }) as any
+      );
+      await writeSegment("inst-1_1_720p", 0, mb / 2);
+      await writeSegment("inst-1_2_720p", 0, mb / 2);
+      await writeSegment("inst-1_3_720p", 0, mb / 2);
+      await fs.utimes(path.join(cacheDir, "inst-1_1_720p"), new Date(1000), new Date(1000));
+
+      await transcodeService.enforceCacheLimit();
+
+      const remaining = (await transcodeService.getCacheEntries()).map((entry) => entry.name);
+      expect(remaining).not.toContain("inst-1_1_720p");
+      expect(remaining).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Unit Tests for TwoFactorService
+ *
+ * Tests TOTP codes against the RFC 6238 vectors, the drift window, replay
+ * protection, single-use backup codes, the admin/group policy and pending
+ * login expiry.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    user: { findUnique: vi.fn(), update: vi.fn(), updateMany: vi.fn() },
+    $executeRaw: vi.fn(),
+    userGroupMembership: { findFirst: vi.fn() },
+    webAuthnCredential: { deleteMany: vi.fn() },
+  },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+vi.mock("../../services/AuthSettingsService.js", () => ({
+  getAuthSettings: vi.fn(),
+}));
+
+import prisma from "../../prisma/singleton.js";
+import { getAuthSettings } from "../../services/AuthSettingsService.js";
+import {
+  TWO_FACTOR_LOGIN_TTL_MS,
+  base32Decode,
+  base32Encode,
+  buildOtpauthUrl,
+  findTotpStep,
+  generateBackupCodes,
+  generateTotpCode,
+  getTotpStep,
+  hashBackupCode,
+  twoFactorService,
+} from "../../services/TwoFactorService.js";
+
+const mockPrisma = vi.mocked(prisma, true);
+const mockGetAuthSettings = vi.mocked(getAuthSettings);
+
+// RFC 6238 appendix B shared secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("TwoFactorService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("base32", () => {
+    it("round-trips bytes", () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 255, 17, 42]);
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it("encodes the RFC secret", () => {
+      expect(RFC_SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    });
+
+    it("ignores case, spaces and padding when decoding", () => {
+      expect(base32Decode("gezd gnbv===")).toEqual(base32Decode("GEZDGNBV"));
+    });
+  });
+
+  describe("TOTP", () => {
+    it.each([
+      [59, "287082"],
+      [1111111109, "081804"],
+      [1234567890, "005924"],
+      [2000000000, "279037"],
+    ])("matches the RFC 6238 vector at T=%i", (seconds, expected) => {
+      expect(generateTotpCode(RFC_SECRET, getTotpStep(seconds * 1000))).toBe(expected);
+    });
+
+    it("accepts codes one step either side of now", () => {
+      const now = 1234567890 * 1000;
+      const step = getTotpStep(now);
+      expect(findTotpStep(RFC_SECRET, generateTotpCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+      expect(findTotpStep(RFC_SECRET, generateTotpCode(RFC_SECRET, step + 1), now)).toBe(step + 1);
+      expect(findTotpStep(RFC_SECRET, generateTotpCode(RFC_SECRET, step + 2), now)).toBeNull();
+    });
+
+    it("rejects malformed codes", () => {
+      expect(findTotpStep(RFC_SECRET, "12345")).toBeNull();
+      expect(findTotpStep(RFC_SECRET, "abcdef")).toBeNull();
+    });
+
+    it("builds an otpauth URL with the issuer", () => {
+      const url = buildOtpauthUrl("alice", "ABC");
+      expect(url).toMatch(/^otpauth:\/\/totp\/Peek%3Aalice\?/);
+      expect(url).toContain("secret=ABC");
+      expect(url).toContain("issuer=Peek");
+    });
+  });
+
+  describe("backup codes", () => {
+    it("generates ten distinct formatted codes", () => {
+      const codes = generateBackupCodes();
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      for (const code of codes) {
+        expect(code).toMatch(/^[a-z2-9]{4}-[a-z2-9]{4}$/);
+      }
+    });
+
+    it("hashes regardless of dashes, spaces and case", () => {
+      expect(hashBackupCode("ABCD-EFGH")).toBe(hashBackupCode("abcd efgh"));
+      expect(hashBackupCode("abcd-efgh")).not.toBe(hashBackupCode("abcd-efgj"));
+    });
+  });
+
+  describe("verifyCode", () => {
+    const totpUser = (lastUsedStep: number | null, backupCodes: string[] = []) => ({
+      totpSecret: RFC_SECRET,
+      totpEnabledAt: new Date(),
+      totpLastUsedStep: lastUsedStep,
+      twoFactorBackupCodes: backupCodes,
+    });
+
+    it("accepts a current TOTP code and records its step", async () => {
+      const step = getTotpStep();
+      mockPrisma.user.findUnique.mockResolvedValue(totpUser(null) as any);
+      mockPrisma.user.updateMany.mockResolvedValue({ count: 1 } as any);
+
+      const result = await twoFactorService.verifyCode(1, generateTotpCode(RFC_SECRET, step));
+
+      expect(result).toBe("totp");
+      expect(mockPrisma.user.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ data: { totpLastUsedStep: step } })
+      );
+    });
+
+    it("rejects a code that was already used", async () => {
+      const step = getTotpStep();
+      mockPrisma.user.findUnique.mockResolvedValue(totpUser(step) as any);
+
+      const result = await twoFactorService.verifyCode(1, generateTotpCode(RFC_SECRET, step));
+
+      expect(result).toBeNull();
+      expect(mockPrisma.user.updateMany).not.toHaveBeenCalled();
+    });
+
+    it("rejects a code spent by a concurrent request", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(totpUser(null) as any);
+      mockPrisma.user.updateMany.mockResolvedValue({ count: 0 } as any);
+
+      const result = await twoFactorService.verifyCode(
+        1,
+        generateTotpCode(RFC_SECRET, getTotpStep())
+      );
+
+      expect(result).toBeNull();
+    });
+
+    it("accepts a backup code once and removes it", async () => {
+      const hashes = [hashBackupCode("abcd-efgh"), hashBackupCode("jkmn-pqrs")];
+      mockPrisma.user.findUnique.mockResolvedValue(totpUser(null, hashes) as any);
+      mockPrisma.$executeRaw.mockResolvedValue(1);
+
+      const result = await twoFactorService.verifyCode(1, "ABCD-EFGH");
+
+      expect(result).toBe("backup_code");
+      // Conditional removal: the code's hash and the user id are bound into the statement
+      const [, ...params] = mockPrisma.$executeRaw.mock.calls[0];
+      expect(params).toEqual([hashBackupCode("abcd-efgh"), 1, hashBackupCode("abcd-efgh")]);
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it("rejects a backup code spent by a concurrent request", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(
+        totpUser(null, [hashBackupCode("abcd-efgh")]) as any
+      );
+      mockPrisma.$executeRaw.mockResolvedValue(0);
+
+      expect(await twoFactorService.verifyCode(1, "abcd-efgh")).toBeNull();
+    });
+
+    it("rejects an unknown backup code", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(
+        totpUser(null, [hashBackupCode("abcd-efgh")]) as any
+      );
+
+      expect(await twoFactorService.verifyCode(1, "zzzz-zzzz")).toBeNull();
+      expect(mockPrisma.$executeRaw).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getMethods", () => {
+    it("returns nothing when only backup codes are left", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({
+        totpEnabledAt: null,
+        twoFactorBackupCodes: [hashBackupCode("abcd-efgh")],
+        _count: { webauthnCredentials: 0 },
+      } as any);
+
+      expect(await twoFactorService.getMethods(1)).toEqual([]);
+    });
+
+    it("lists every usable method", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({
+        totpEnabledAt: new Date(),
+        twoFactorBackupCodes: [hashBackupCode("abcd-efgh")],
+        _count: { webauthnCredentials: 2 },
+      } as any);
+
+      expect(await twoFactorService.getMethods(1)).toEqual(["totp", "webauthn", "backup_code"]);
+    });
+  });
+
+  describe("isRequired", () => {
+    it("requires admins when the sign-in setting is on", async () => {
+      mockGetAuthSettings.mockResolvedValue({ requireTwoFactorForAdmins: true } as any);
+
+      expect(await twoFactorService.isRequired({ id: 1, role: "ADMIN" })).toBe(true);
+      expect(mockPrisma.userGroupMembership.findFirst).not.toHaveBeenCalled();
+    });
+
+    it("requires members of a group with the policy", async () => {
+      mockPrisma.userGroupMembership.findFirst.mockResolvedValue({ id: 3 } as any);
+
+      expect(await twoFactorService.isRequired({ id: 2, role: "USER" })).toBe(true);
+      expect(mockPrisma.userGroupMembership.findFirst).toHaveBeenCalledWith({
+        where: { userId: 2, group: { requireTwoFactor: true } },
+        select: { id: true },
+      });
+    });
+
+    it("doesn't require anyone else", async () => {
+      mockGetAuthSettings.mockResolvedValue({ requireTwoFactorForAdmins: false } as any);
+      mockPrisma.userGroupMembership.findFirst.mockResolvedValue(null);
+
+      expect(await twoFactorService.isRequired({ id: 1, role: "ADMIN" })).toBe(false);
+    });
+  });
+
+  describe("pending logins", () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("resolves a token until it expires", () => {
+      vi.useFakeTimers();
+      const token = twoFactorService.startLogin({ id: 1, username: "alice" }, false);
+
+      expect(twoFactorService.getPendingLogin(token)).toMatchObject({
+        userId: 1,
+        username: "alice",
+        setupRequired: false,
+      });
+
+      vi.advanceTimersByTime(TWO_FACTOR_LOGIN_TTL_MS + 1);
+      expect(twoFactorService.getPendingLogin(token)).toBeNull();
+    });
+
+    it("forgets a finished login", () => {
+      const token = twoFactorService.startLogin({ id: 1, username: "alice" }, true);
+      twoFactorService.endLogin(token);
+      expect(twoFactorService.getPendingLogin(token)).toBeNull();
+    });
+
+    it("ignores non-string tokens", () => {
+      expect(twoFactorService.getPendingLogin(undefined)).toBeNull();
+    });
+
+    it("drops a user's pending logins when their factors are reset", async () => {
+      const token = twoFactorService.startLogin({ id: 7, username: "bob" }, false);
+
+      await twoFactorService.reset(7);
+
+      expect(twoFactorService.getPendingLogin(token)).toBeNull();
+      expect(mockPrisma.webAuthnCredential.deleteMany).toHaveBeenCalledWith({
+        where: { userId: 7 },
+      });
+    });
+  });
+});
@@ -0,0 +1,347 @@
+/**
+ * Unit Tests for UserActivityStatsService
+ *
+ * Tests date bucketing (matching TimelineService's strftime formats),
+ * event building from watch/image history, streaks and rolling averages,
+ * and the aggregations over a mocked history.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    watchHistory: { findMany: vi.fn() },
+    imageViewHistory: { findMany: vi.fn() },
+    userExcludedEntity: { findMany: vi.fn() },
+    stashScene: { findMany: vi.fn() },
+    stashPerformer: { findMany: vi.fn() },
+    stashStudio: { findMany: vi.fn() },
+    stashTag: { findMany: vi.fn() },
+  },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import {
+  buildEvents,
+  computeStreaks,
+  createLocalizer,
+  isDay,
+  periodOf,
+  periodsBetween,
+  rollingAverage,
+  userActivityStatsService,
+} from "../../services/UserActivityStatsService.js";
+
+const mockPrisma = vi.mocked(prisma);
+
+const watchRow = (overrides: Record<string, unknown> = {}) => ({
+  sceneId: "s1",
+  instanceId: "inst",
+  playDuration: 0,
+  lastPlayedAt: null,
+  playHistory: [],
+  oHistory: [],
+  ...overrides,
+});
+
+describe("UserActivityStatsService", () => {
+  describe("periodOf", () => {
+    it("formats years, months and days like strftime", () => {
+      expect(periodOf("2024-03-05", "years")).toBe("2024");
+      expect(periodOf("2024-03-05", "months")).toBe("2024-03");
+      expect(periodOf("2024-03-05", "days")).toBe("2024-03-05");
+    });
+
+    it("numbers weeks from Monday like %W", () => {
+      // 2024 starts on a Monday
+      expect(periodOf("2024-01-01", "weeks")).toBe("2024-W01");
+      expect(periodOf("2024-01-07", "weeks")).toBe("2024-W01");
+      expect(periodOf("2024-01-08", "weeks")).toBe("2024-W02");
+      // 2023 starts on a Sunday, which falls in week 00
+      expect(periodOf("2023-01-01", "weeks")).toBe("2023-W00");
+      expect(periodOf("2023-01-02", "weeks")).toBe("2023-W01");
+      expect(periodOf("2023-12-31", "weeks")).toBe("2023-W52");
+    });
+  });
+
+  describe("periodsBetween", () => {
+    it("lists every period in the range", () => {
+      expect(periodsBetween("2024-11-15", "2025-02-01", "months")).toEqual([
+        "2024-11",
+        "2024-12",
+        "2025-01",
+        "2025-02",
+      ]);
+      expect(periodsBetween("2024-02-28", "2024-03-01", "days")).toEqual([
+        "2024-02-28",
+        "2024-02-29",
+        "2024-03-01",
+      ]);
+    });
+  });
+
+  describe("isDay", () => {
+    it("accepts real dates only", () => {
+      expect(isDay("2024-02-29")).toBe(true);
+      expect(isDay("2023-02-29")).toBe(false);
+      expect(isDay("2024-2-1")).toBe(false);
+      expect(isDay(undefined)).toBe(false);
+    });
+  });
+
+  describe("createLocalizer", () => {
+    it("converts to the user's date and hour", () => {
+      const localize = createLocalizer("America/New_York");
+      expect(localize(new Date("2024-06-01T02:30:00Z"))).toEqual({ date: "2024-05-31", hour: 22 });
+    });
+
+    it("falls back to UTC for an unknown timezone", () => {
+      const localize = createLocalizer("Not/AZone");
+      expect(localize(new Date("2024-06-01T02:30:00Z"))).toEqual({ date: "2024-06-01", hour: 2 });
+    });
+  });
+
+  describe("buildEvents", () => {
+    it("splits a scene's watch time evenly across its plays", () => {
+      const events = buildEvents(
+        [
+          watchRow({
+            playDuration: 1200,
+            playHistory: ["2024-01-01T10:00:00Z", "2024-01-02T10:00:00Z"],
+            oHistory: ["2024-01-02T10:20:00Z"],
+          }),
+        ],
+        []
+      );
+
+      expect(events.filter((e) => e.playCount === 1).map((e) => e.watchTime)).toEqual([600, 600]);
+      expect(events.filter((e) => e.oCount === 1)).toHaveLength(1);
+    });
+
+    it("dates watch time without a counted play at the last play", () => {
+      const lastPlayedAt = new Date("2024-01-03T20:00:00Z");
+      const [event] = buildEvents([watchRow({ playDuration: 90, lastPlayedAt })], []);
+
+      expect(event).toMatchObject({ at: lastPlayedAt, watchTime: 90, playCount: 0 });
+    });
+
+    it("counts image views and Os without a scene", () => {
+      const events = buildEvents(
+        [],
+        [
+          {
+            imageId: "i1",
+            instanceId: "inst",
+            viewHistory: JSON.stringify(["2024-01-01T10:00:00Z", "2024-01-01T11:00:00Z"]),
+            oHistory: ["2024-01-01T11:00:00Z", "garbage"],
+          },
+        ]
+      );
+
+      expect(events.reduce((sum, e) => sum + e.imageViews, 0)).toBe(2);
+      expect(events.reduce((sum, e) => sum + e.oCount, 0)).toBe(1);
+      expect(events.every((e) => e.sceneId === null)).toBe(true);
+    });
+  });
+
+  describe("computeStreaks", () => {
+    it("finds the longest run and the current one", () => {
+      const streaks = computeStreaks(
+        ["2024-01-01", "2024-01-02", "2024-01-03", "2024-01-10", "2024-01-11"],
+        "2024-01-11"
+      );
+
+      expect(streaks).toEqual({
+        current: 2,
+        longest: 3,
+        longestStart: "2024-01-01",
+        longestEnd: "2024-01-03",
+      });
+    });
+
+    it("keeps a streak that reached yesterday", () => {
+      expect(computeStreaks(["2024-01-09", "2024-01-10"], "2024-01-11").current).toBe(2);
+      expect(computeStreaks(["2024-01-09"], "2024-01-11").current).toBe(0);
+    });
+
+    it("handles no activity", () => {
+      expect(computeStreaks([], "2024-01-11")).toEqual({
+        current: 0,
+        longest: 0,
+        longestStart: null,
+        longestEnd: null,
+      });
+    });
+  });
+
+  describe("rollingAverage", () => {
+    it("averages the trailing window", () => {
+      expect(rollingAverage([3, 6, 9, 0], 3)).toEqual([3, 4.5, 6, 5]);
+      expect(rollingAverage([1, 2], 1)).toEqual([1, 2]);
+    });
+  });
+
+  describe("aggregations", () => {
+    const NOW = new Date("2024-03-10T12:00:00Z");
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      mockPrisma.watchHistory.findMany.mockResolvedValue([
+        watchRow({
+          sceneId: "s1",
+          playDuration: 1800,
+          playHistory: ["2024-03-08T21:00:00Z", "2024-03-09T21:00:00Z", "2024-03-10T09:00:00Z"],
+          oHistory: ["2024-03-09T21:30:00Z"],
+        }),
+        watchRow({
+          sceneId: "s2",
+          playDuration: 3000,
+          playHistory: ["2023-12-31T20:00:00Z", "2024-02-01T20:00:00Z"],
+        }),
+        watchRow({ sceneId: "hidden", playDuration: 500, playHistory: ["2024-03-09T10:00:00Z"] }),
+      ] as any);
+      mockPrisma.imageViewHistory.findMany.mockResolvedValue([
+        {
+          imageId: "i1",
+          instanceId: "inst",
+          viewHistory: ["2024-03-09T08:00:00Z"],
+          oHistory: [],
+        },
+      ] as any);
+      mockPrisma.userExcludedEntity.findMany.mockImplementation((async (args: any) => {
+        if (args.where.entityType?.in) return [{ entityType: "scene", entityId: "hidden" }];
+        if (args.where.entityType === "tag") return [{ entityId: "t-hidden" }];
+        return [];
+      }) as any);
+      mockPrisma.stashScene.findMany.mockResolvedValue([
+        {
+          id: "s1",
+          stashInstanceId: "inst",
+          title: "First",
+          filePath: null,
+          pathScreenshot: null,
+          studioId: "studio1",
+          performers: [{ performerId: "p1" }, { performerId: "p2" }],
+          tags: [{ tagId: "t1" }, { tagId: "t-hidden" }],
+        },
+        {
+          id: "s2",
+          stashInstanceId: "inst",
+          title: null,
+          filePath: "/videos/second.mp4",
+          pathScreenshot: null,
+          studioId: null,
+          performers: [{ performerId: "p1" }],
+          tags: [],
+        },
+      ] as any);
+      mockPrisma.stashPerformer.findMany.mockResolvedValue([
+        { id: "p1", name: "Alpha", imagePath: null, stashInstanceId: "inst" },
+        { id: "p2", name: "Beta", imagePath: null, stashInstanceId: "inst" },
+      ] as any);
+      mockPrisma.stashStudio.findMany.mockResolvedValue([
+        { id: "studio1", name: "Studio", imagePath: null, stashInstanceId: "inst" },
+      ] as any);
+      mockPrisma.stashTag.findMany.mockResolvedValue([
+        { id: "t1", name: "Tag", imagePath: null, stashInstanceId: "inst" },
+      ] as any);
+    });
+
+    it("builds a zero-filled series that leaves excluded scenes out", async () => {
+      const result = await userActivityStatsService.getTimeSeries(
+        1,
+        { granularity: "months", from: "2024-01-01" },
+        NOW
+      );
+
+      expect(result.series.map((p) => p.period)).toEqual(["2024-01", "2024-02", "2024-03"]);
+      expect(result.series[0]).toMatchObject({ playCount: 0, watchTime: 0 });
+      expect(result.series[1]).toMatchObject({ playCount: 1, watchTime: 1500 });
+      expect(result.series[2]).toMatchObject({
+        playCount: 3,
+        watchTime: 1800,
+        oCount: 1,
+        imageViews: 1,
+      });
+    });
+
+    it("starts at the first activity and filters by studio", async () => {
+      const result = await userActivityStatsService.getTimeSeries(
+        1,
+        { granularity: "years", studioId: "studio1" },
+        NOW
+      );
+
+      expect(result.series).toEqual([
+        { period: "2024", watchTime: 1800, playCount: 3, oCount: 1, imageViews: 0 },
+      ]);
+    });
+
+    it("buckets by the user's timezone", async () => {
+      const result = await userActivityStatsService.getActivity(
+        1,
+        { timezone: "Asia/Tokyo" },
+        NOW
+      );
+
+      // 21:00 UTC on the 8th and 9th is 06:00 the next morning in Tokyo
+      const day = (date: string) => result.days.find((d) => d.date === date);
+      expect(day("2024-03-09")?.playCount).toBe(1);
+      expect(day("2024-03-10")?.playCount).toBe(2);
+      expect(result.hourOfDay[6]?.playCount).toBe(2);
+      expect(result.days).toHaveLength(365);
+      expect(result.to).toBe("2024-03-10");
+    });
+
+    it("reports streaks over all history", async () => {
+      const result = await userActivityStatsService.getActivity(1, {}, NOW);
+
+      expect(result.streaks).toMatchObject({
+        current: 3,
+        longest: 3,
+        longestStart: "2024-03-08",
+        longestEnd: "2024-03-10",
+      });
+      expect(result.years).toEqual([2024, 2023]);
+    });
+
+    it("ranks trend entities and skips excluded ones", async () => {
+      const result = await userActivityStatsService.getTrends(
+        1,
+        {
+          entityType: "tag",
+          granularity: "months",
+          metric: "playCount",
+          limit: 5,
+          window: 2,
+          from: "2024-02-01",
+        },
+        NOW
+      );
+
+      expect(result.periods).toEqual(["2024-02", "2024-03"]);
+      expect(result.series).toEqual([
+        { id: "t1", name: "Tag", imageUrl: null, total: 3, values: [0, 3], rolling: [0, 1.5] },
+      ]);
+    });
+
+    it("summarizes a year", async () => {
+      const review = await userActivityStatsService.getYearInReview(1, { year: 2024 });
+
+      expect(review.totals).toMatchObject({
+        playCount: 4,
+        watchTime: 3300,
+        oCount: 1,
+        imageViews: 1,
+        scenesWatched: 2,
+        newScenes: 1,
+        activeDays: 4,
+      });
+      expect(review.months[2]?.playCount).toBe(3);
+      expect(review.favoriteHour).toBe(21);
+      expect(review.longestStreak).toEqual({ days: 3, start: "2024-03-08", end: "2024-03-10" });
+      expect(review.topScenes.map((s) => s.name)).toEqual(["First", "second.mp4"]);
+      expect(review.topPerformers[0]).toMatchObject({ id: "p1", name: "Alpha", playCount: 4 });
+      expect(review.topTags.map((t) => t.id)).toEqual(["t1"]);
+    });
+  });
+});
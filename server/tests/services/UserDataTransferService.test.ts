@@ -0,0 +1,537 @@
+/**
+ * Unit Tests for UserDataTransferService
+ *
+ * Tests archive validation, matching entities across instances by ID,
+ * phash and stash IDs, exporting, and importing in merge and overwrite
+ * modes (including dry runs that write nothing).
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../prisma/singleton.js", () => {
+  const ratingModel = () => ({ findMany: vi.fn(), create: vi.fn(), update: vi.fn() });
+  const client = {
+    user: { findUnique: vi.fn(), update: vi.fn() },
+    sceneRating: ratingModel(),
+    performerRating: ratingModel(),
+    studioRating: ratingModel(),
+    tagRating: ratingModel(),
+    groupRating: ratingModel(),
+    galleryRating: ratingModel(),
+    imageRating: ratingModel(),
+    watchHistory: { findMany: vi.fn(), create: vi.fn(), update: vi.fn() },
+    imageViewHistory: { findMany: vi.fn(), create: vi.fn(), update: vi.fn() },
+    playlist: { findMany: vi.fn(), create: vi.fn(), update: vi.fn() },
+    playlistItem: { deleteMany: vi.fn(), createMany: vi.fn() },
+    userCarousel: { findMany: vi.fn(), create: vi.fn(), update: vi.fn() },
+    customTheme: { findMany: vi.fn(), create: vi.fn(), update: vi.fn() },
+    userHiddenEntity: { findMany: vi.fn(), create: vi.fn() },
+    stashInstance: { findMany: vi.fn() },
+    $queryRawUnsafe: vi.fn(),
+    $transaction: vi.fn(),
+  };
+  return { default: client };
+});
+
+vi.mock("../../services/UserInstanceService.js", () => ({
+  getUserAllowedInstanceIds: vi.fn(),
+}));
+
+vi.mock("../../services/ExclusionComputationService.js", () => ({
+  exclusionComputationService: { recomputeForUser: vi.fn() },
+}));
+
+vi.mock("../../services/UserStatsService.js", () => ({
+  userStatsService: { rebuildAllStatsForUser: vi.fn() },
+}));
+
+vi.mock("../../services/RankingComputeService.js", () => ({
+  rankingComputeService: { recomputeAllRankings: vi.fn() },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import { exclusionComputationService } from "../../services/ExclusionComputationService.js";
+import {
+  EntityMatcher,
+  USER_DATA_FORMAT,
+  USER_DATA_VERSION,
+  parseUserDataArchive,
+  unionHistory,
+  userDataTransferService,
+} from "../../services/UserDataTransferService.js";
+import { getUserAllowedInstanceIds } from "../../services/UserInstanceService.js";
+import { userStatsService } from "../../services/UserStatsService.js";
+
+const mockPrisma = vi.mocked(prisma, true) as any;
+const mockAllowed = vi.mocked(getUserAllowedInstanceIds);
+
+interface Row {
+  id: string;
+  stashInstanceId: string;
+  phash?: string | null;
+  stashIds?: string | null;
+}
+
+/** Entity tables keyed by table name, queried through $queryRawUnsafe */
+let tables: Record<string, Row[]>;
+
+const rawQuery = (sql: string, ...params: string[]) => {
+  const table = /FROM (\w+)/.exec(sql)?.[1] ?? "";
+  const rows = (tables[table] ?? []).filter((row) => row.stashInstanceId);
+  if (sql.includes("phash IN")) {
+    return Promise.resolve(rows.filter((row) => row.phash && params.includes(row.phash)));
+  }
+  if (sql.includes("stashIds IS NOT NULL")) {
+    return Promise.resolve(
+      rows.filter((row) => row.stashIds && params.includes(row.stashInstanceId))
+    );
+  }
+  if (sql.includes("stashInstanceId = ?")) {
+    const [instanceId, ...ids] = params;
+    return Promise.resolve(
+      rows.filter((row) => row.stashInstanceId === instanceId && ids.includes(row.id))
+    );
+  }
+  return Promise.resolve(rows.filter((row) => params.includes(row.id)));
+};
+
+const archive = (overrides: Record<string, unknown> = {}) => ({
+  format: USER_DATA_FORMAT,
+  version: USER_DATA_VERSION,
+  exportedAt: "2026-01-01T00:00:00.000Z",
+  username: "alice",
+  instances: [],
+  preferences: {},
+  ratings: [],
+  watchHistory: [],
+  imageViewHistory: [],
+  playlists: [],
+  carousels: [],
+  customThemes: [],
+  hiddenEntities: [],
+  ...overrides,
+});
+
+const watch = (scene: Record<string, unknown>, overrides: Record<string, unknown> = {}) => ({
+  scene,
+  playCount: 1,
+  playDuration: 100,
+  resumeTime: 50,
+  lastPlayedAt: "2026-01-02T00:00:00.000Z",
+  oCount: 0,
+  oHistory: [],
+  playHistory: [],
+  ...overrides,
+});
+
+describe("UserDataTransferService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    tables = {};
+    mockAllowed.mockResolvedValue(["inst-1", "inst-2"]);
+    mockPrisma.$queryRawUnsafe.mockImplementation(rawQuery);
+    mockPrisma.$transaction.mockImplementation((fn: (tx: unknown) => unknown) => fn(mockPrisma));
+    mockPrisma.user.findUnique.mockResolvedValue({ id: 5, username: "alice", theme: "dark" });
+    for (const model of [
+      "sceneRating",
+      "performerRating",
+      "studioRating",
+      "tagRating",
+      "groupRating",
+      "galleryRating",
+      "imageRating",
+      "watchHistory",
+      "imageViewHistory",
+      "playlist",
+      "userCarousel",
+      "customTheme",
+      "userHiddenEntity",
+      "stashInstance",
+    ]) {
+      mockPrisma[model].findMany.mockResolvedValue([]);
+    }
+    mockPrisma.sceneRating.create.mockResolvedValue({ id: 100 });
+    mockPrisma.watchHistory.create.mockResolvedValue({ id: 200 });
+    vi.mocked(userStatsService.rebuildAllStatsForUser).mockResolvedValue();
+  });
+
+  describe("parseUserDataArchive", () => {
+    it("accepts a well-formed archive", () => {
+      expect(parseUserDataArchive(archive()).username).toBe("alice");
+    });
+
+    it("rejects files that aren't exports", () => {
+      expect(() => parseUserDataArchive({ hello: "world" })).toThrow(/not a Peek user data export/);
+    });
+
+    it("rejects exports from newer versions", () => {
+      expect(() => parseUserDataArchive(archive({ version: USER_DATA_VERSION + 1 }))).toThrow(
+        /newer version/
+      );
+    });
+
+    it("names the first invalid entry", () => {
+      const input = archive({
+        ratings: [
+          { entityType: "scene", entity: { instanceId: "a", id: "1" }, rating: 80, favorite: false },
+          { entityType: "scene", entity: { instanceId: "a", id: "2" }, rating: 150, favorite: false },
+        ],
+      });
+      expect(() => parseUserDataArchive(input)).toThrow("Invalid ratings entry at position 2");
+    });
+
+    it("rejects preferences of the wrong type", () => {
+      expect(() =>
+        parseUserDataArchive(archive({ preferences: { enableCast: "yes" } }))
+      ).toThrow(/enableCast/);
+    });
+  });
+
+  describe("unionHistory", () => {
+    it("drops duplicates and sorts by time", () => {
+      expect(unionHistory(["2026-01-02", "2026-01-01"], ["2026-01-01", "2026-01-03"])).toEqual([
+        "2026-01-01",
+        "2026-01-02",
+        "2026-01-03",
+      ]);
+    });
+
+    it("sorts play sessions by start time", () => {
+      const early = { startTime: "2026-01-01T00:00:00Z", duration: 10 };
+      const late = { startTime: "2026-01-05T00:00:00Z", duration: 20 };
+      expect(unionHistory([late], [early, late])).toEqual([early, late]);
+    });
+  });
+
+  describe("EntityMatcher", () => {
+    it("keeps IDs on instances the user can see", async () => {
+      tables.StashScene = [{ id: "1", stashInstanceId: "inst-2" }];
+      const matcher = new EntityMatcher(["inst-1", "inst-2"]);
+      const ref = { instanceId: "inst-2", id: "1" };
+
+      await matcher.prepare("scene", [ref]);
+
+      expect(matcher.resolve("scene", ref)).toEqual({ instanceId: "inst-2", id: "1" });
+    });
+
+    it("matches scenes from another server by phash", async () => {
+      tables.StashScene = [{ id: "77", stashInstanceId: "inst-1", phash: "abc" }];
+      const matcher = new EntityMatcher(["inst-1"]);
+      const ref = { instanceId: "old-server", id: "5", phash: "abc" };
+
+      await matcher.prepare("scene", [ref]);
+
+      expect(matcher.resolve("scene", ref)).toEqual({ instanceId: "inst-1", id: "77" });
+    });
+
+    it("matches performers by stash ID", async () => {
+      tables.StashPerformer = [
+        {
+          id: "9",
+          stashInstanceId: "inst-1",
+          stashIds: JSON.stringify([{ endpoint: "https://stashdb.org/graphql", stash_id: "uuid-1" }]),
+        },
+      ];
+      const matcher = new EntityMatcher(["inst-1"]);
+      const ref = {
+        instanceId: "old-server",
+        id: "3",
+        stashIds: [{ endpoint: "https://stashdb.org/graphql", stash_id: "uuid-1" }],
+      };
+
+      await matcher.prepare("performer", [ref]);
+
+      expect(matcher.resolve("performer", ref)).toEqual({ instanceId: "inst-1", id: "9" });
+    });
+
+    it("leaves entities it can't find unmatched", async () => {
+      const matcher = new EntityMatcher(["inst-1"]);
+      const ref = { instanceId: "old-server", id: "5", phash: "zzz" };
+
+      await matcher.prepare("scene", [ref]);
+
+      expect(matcher.resolve("scene", ref)).toBeNull();
+    });
+  });
+
+  describe("exportUser", () => {
+    it("includes phashes and stash IDs so entities can be matched elsewhere", async () => {
+      tables.StashScene = [{ id: "1", stashInstanceId: "inst-1", phash: "abc" }];
+      tables.StashTag = [
+        { id: "4", stashInstanceId: "inst-1", stashIds: JSON.stringify([{ endpoint: "e", stash_id: "s" }]) },
+      ];
+      mockPrisma.tagRating.findMany.mockResolvedValue([
+        {
+          id: 1,
+          instanceId: "inst-1",
+          tagId: "4",
+          rating: 60,
+          favorite: true,
+          createdAt: new Date("2026-01-01"),
+          updatedAt: new Date("2026-01-01"),
+        },
+      ]);
+      mockPrisma.watchHistory.findMany.mockResolvedValue([
+        {
+          instanceId: "inst-1",
+          sceneId: "1",
+          playCount: 2,
+          playDuration: 300,
+          resumeTime: null,
+          lastPlayedAt: null,
+          oCount: 1,
+          oHistory: '["2026-01-01T00:00:00.000Z"]',
+          playHistory: [],
+        },
+      ]);
+      mockPrisma.stashInstance.findMany.mockResolvedValue([{ id: "inst-1", name: "Main" }]);
+
+      const result = await userDataTransferService.exportUser(5);
+
+      expect(result).toMatchObject({
+        format: USER_DATA_FORMAT,
+        version: USER_DATA_VERSION,
+        username: "alice",
+        instances: [{ id: "inst-1", name: "Main" }],
+      });
+      expect(result.ratings[0]?.entity).toEqual({
+        instanceId: "inst-1",
+        id: "4",
+        stashIds: [{ endpoint: "e", stash_id: "s" }],
+      });
+      expect(result.watchHistory[0]).toMatchObject({
+        scene: { instanceId: "inst-1", id: "1", phash: "abc" },
+        oHistory: ["2026-01-01T00:00:00.000Z"],
+      });
+    });
+
+    it("rejects unknown users", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(null);
+      await expect(userDataTransferService.exportUser(99)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe("importUser", () => {
+    const sceneRef = { instanceId: "inst-1", id: "1" };
+
+    beforeEach(() => {
+      tables.StashScene = [{ id: "1", stashInstanceId: "inst-1" }];
+    });
+
+    it("creates missing records and counts unmatched ones", async () => {
+      const result = await userDataTransferService.importUser(
+        5,
+        archive({
+          ratings: [
+            { entityType: "scene", entity: sceneRef, rating: 80, favorite: true, createdAt: "2026-01-01T00:00:00.000Z", updatedAt: "2026-01-01T00:00:00.000Z" },
+            { entityType: "scene", entity: { instanceId: "gone", id: "2" }, rating: 20, favorite: false, createdAt: "2026-01-01T00:00:00.000Z", updatedAt: "2026-01-01T00:00:00.000Z" },
+          ],
+        }),
+        "merge",
+        false
+      );
+
+      expect(result.sections.ratings).toMatchObject({ created: 1, unmatched: 1 });
+      expect(mockPrisma.sceneRating.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          userId: 5,
+          instanceId: "inst-1",
+          sceneId: "1",
+          rating: 80,
+          favorite: true,
+        }),
+      });
+      expect(userStatsService.rebuildAllStatsForUser).toHaveBeenCalledWith(5);
+    });
+
+    it("writes nothing on a dry run", async () => {
+      const result = await userDataTransferService.importUser(
+        5,
+        archive({ watchHistory: [watch(sceneRef)] }),
+        "merge",
+        true
+      );
+
+      expect(result.dryRun).toBe(true);
+      expect(result.sections.watchHistory.created).toBe(1);
+      expect(mockPrisma.watchHistory.create).not.toHaveBeenCalled();
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it("merges watch history by combining both sides", async () => {
+      mockPrisma.watchHistory.findMany.mockResolvedValue([
+        {
+          id: 7,
+          instanceId: "inst-1",
+          sceneId: "1",
+          playCount: 3,
+          playDuration: 50,
+          resumeTime: 10,
+          lastPlayedAt: new Date("2026-01-01T00:00:00.000Z"),
+          oCount: 1,
+          oHistory: ["2026-01-01T00:00:00.000Z"],
+          playHistory: [],
+        },
+      ]);
+
+      const result = await userDataTransferService.importUser(
+        5,
+        archive({
+          watchHistory: [watch(sceneRef, { oCount: 1, oHistory: ["2026-01-02T00:00:00.000Z"] })],
+        }),
+        "merge",
+        false
+      );
+
+      expect(result.conflictCount).toBe(1);
+      expect(result.sections.watchHistory.updated).toBe(1);
+      expect(mockPrisma.watchHistory.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: expect.objectContaining({
+          playCount: 3,
+          playDuration: 100,
+          resumeTime: 50,
+          oCount: 2,
+          oHistory: ["2026-01-01T00:00:00.000Z", "2026-01-02T00:00:00.000Z"],
+        }),
+      });
+    });
+
+    it("keeps existing ratings when merging and replaces them when overwriting", async () => {
+      mockPrisma.sceneRating.findMany.mockResolvedValue([
+        { id: 3, instanceId: "inst-1", sceneId: "1", rating: 40, favorite: false },
+      ]);
+      const input = archive({
+        ratings: [
+          { entityType: "scene", entity: sceneRef, rating: 90, favorite: true, createdAt: "2026-01-01T00:00:00.000Z", updatedAt: "2026-01-01T00:00:00.000Z" },
+        ],
+      });
+
+      const merged = await userDataTransferService.importUser(5, input, "merge", false);
+      expect(merged.conflicts[0]).toEqual({
+        section: "ratings",
+        label: "scene 1",
+        existing: { rating: 40, favorite: false },
+        incoming: { rating: 90, favorite: true },
+      });
+      expect(mockPrisma.sceneRating.update).toHaveBeenLastCalledWith({
+        where: { id: 3 },
+        data: { rating: 40, favorite: true },
+      });
+
+      await userDataTransferService.importUser(5, input, "overwrite", false);
+      expect(mockPrisma.sceneRating.update).toHaveBeenLastCalledWith({
+        where: { id: 3 },
+        data: { rating: 90, favorite: true },
+      });
+    });
+
+    it("points the selected custom theme at the imported copy", async () => {
+      mockPrisma.customTheme.create.mockResolvedValue({ id: 42, name: "Mine", config: {} });
+
+      const result = await userDataTransferService.importUser(
+        5,
+        archive({
+          customThemes: [{ id: 8, name: "Mine", config: { mode: "dark" } }],
+          preferences: { theme: "custom-8" },
+        }),
+        "merge",
+        false
+      );
+
+      expect(result.sections.preferences.updated).toBe(1);
+      expect(mockPrisma.user.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { theme: "custom-42" },
+      });
+    });
+
+    it("reports changed preferences as conflicts and keeps them when merging", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 5, theme: "light", unitPreference: "metric" });
+
+      const result = await userDataTransferService.importUser(
+        5,
+        archive({ preferences: { theme: "purple", unitPreference: "imperial" } }),
+        "merge",
+        false
+      );
+
+      expect(result.conflicts).toEqual([
+        { section: "preferences", label: "theme", existing: "light", incoming: "purple" },
+      ]);
+      expect(mockPrisma.user.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { unitPreference: "imperial" },
+      });
+    });
+
+    it("appends missing scenes to a playlist with the same name when merging", async () => {
+      tables.StashScene.push({ id: "2", stashInstanceId: "inst-1" });
+      mockPrisma.playlist.findMany.mockResolvedValue([
+        {
+          id: 11,
+          name: "Faves",
+          description: null,
+          isPublic: false,
+          shuffle: false,
+          repeat: "none",
+          type: "static",
+          rules: null,
+          sort: null,
+          direction: null,
+          itemLimit: null,
+          items: [{ instanceId: "inst-1", sceneId: "1", position: 0 }],
+        },
+      ]);
+
+      const result = await userDataTransferService.importUser(
+        5,
+        archive({
+          playlists: [
+            {
+              name: "Faves",
+              description: null,
+              isPublic: false,
+              shuffle: false,
+              repeat: "none",
+              type: "static",
+              rules: null,
+              sort: null,
+              direction: null,
+              itemLimit: null,
+              items: [sceneRef, { instanceId: "inst-1", id: "2" }],
+            },
+          ],
+        }),
+        "merge",
+        false
+      );
+
+      expect(result.sections.playlists.updated).toBe(1);
+      expect(mockPrisma.playlistItem.createMany).toHaveBeenCalledWith({
+        data: [{ instanceId: "inst-1", sceneId: "2", position: 1, playlistId: 11 }],
+      });
+    });
+
+    it("recomputes exclusions after hiding imported entities", async () => {
+      const result = await userDataTransferService.importUser(
+        5,
+        archive({
+          hiddenEntities: [
+            { entityType: "scene", entity: sceneRef, hiddenAt: "2026-01-01T00:00:00.000Z" },
+          ],
+        }),
+        "merge",
+        false
+      );
+
+      expect(result.sections.hiddenEntities.created).toBe(1);
+      expect(exclusionComputationService.recomputeForUser).toHaveBeenCalledWith(5);
+    });
+  });
+});
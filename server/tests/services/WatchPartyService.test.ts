@@ -0,0 +1,289 @@
+/**
+ * Unit Tests for WatchPartyService
+ *
+ * Tests party lifecycle, per-participant content restrictions, and relaying
+ * of playback events to connected streams.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+// Mock prisma
+vi.mock("../../prisma/singleton.js", () => ({
+  default: {
+    stashScene: { findFirst: vi.fn() },
+  },
+}));
+
+vi.mock("../../services/UserInstanceService.js", () => ({
+  getUserAllowedInstanceIds: vi.fn(),
+}));
+
+vi.mock("../../services/EntityExclusionHelper.js", () => ({
+  entityExclusionHelper: { getExcludedIds: vi.fn() },
+}));
+
+vi.mock("../../utils/logger.js", () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import prisma from "../../prisma/singleton.js";
+import { entityExclusionHelper } from "../../services/EntityExclusionHelper.js";
+import { getUserAllowedInstanceIds } from "../../services/UserInstanceService.js";
+import {
+  MAX_WATCH_PARTY_PARTICIPANTS,
+  WATCH_PARTY_IDLE_TIMEOUT_MS,
+  watchPartyService,
+  type WatchPartyStream,
+} from "../../services/WatchPartyService.js";
+import type { WatchPartyStreamEvent } from "../../types/api/watchParty.js";
+
+const mockPrisma = vi.mocked(prisma);
+const mockGetAllowedInstances = vi.mocked(getUserAllowedInstanceIds);
+const mockGetExcludedIds = vi.mocked(entityExclusionHelper.getExcludedIds);
+
+const HOST = { id: 1, username: "host" };
+const GUEST = { id: 2, username: "guest" };
+
+function createStream() {
+  const events: WatchPartyStreamEvent[] = [];
+  const stream: WatchPartyStream & { events: WatchPartyStreamEvent[]; closed: boolean } = {
+    events,
+    closed: false,
+    send: (event) => events.push(event),
+    close: () => {
+      stream.closed = true;
+    },
+  };
+  return stream;
+}
+
+/** Exclude the given scene IDs for the given user */
+function excludeScenes(userId: number, sceneIds: string[]) {
+  mockGetExcludedIds.mockImplementation(async (uid) =>
+    uid === userId ? new Set(sceneIds) : new Set()
+  );
+}
+
+describe("WatchPartyService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPrisma.stashScene.findFirst.mockImplementation((async (args: {
+      where: { id: string };
+    }) => ({ id: args.where.id, stashInstanceId: "inst-1" })) as any);
+    mockGetAllowedInstances.mockResolvedValue(["inst-1"]);
+    mockGetExcludedIds.mockResolvedValue(new Set());
+  });
+
+  afterEach(() => {
+    watchPartyService.endAll();
+  });
+
+  describe("create", () => {
+    it("creates a party with the host as the only participant", async () => {
+      const party = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+
+      expect(party.hostUserId).toBe(HOST.id);
+      expect(party.sceneId).toBe("10");
+      expect(party.playing).toBe(false);
+      expect(party.participants).toEqual([
+        expect.objectContaining({ userId: HOST.id, isHost: true, connected: false }),
+      ]);
+    });
+
+    it("refuses a scene the host cannot see", async () => {
+      excludeScenes(HOST.id, ["10"]);
+
+      await expect(
+        watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it("refuses a scene that does not exist", async () => {
+      mockPrisma.stashScene.findFirst.mockResolvedValue(null);
+
+      await expect(
+        watchPartyService.create(HOST, { sceneId: "404", instanceId: null })
+      ).rejects.toThrow("Scene not found");
+    });
+  });
+
+  describe("join", () => {
+    it("adds the participant and notifies connected streams", async () => {
+      const { id } = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+      const hostStream = createStream();
+      watchPartyService.subscribe(id, HOST.id, hostStream);
+
+      const party = await watchPartyService.join(id, GUEST);
+
+      expect(party.participants.map((p) => p.userId)).toEqual([HOST.id, GUEST.id]);
+      const last = hostStream.events.at(-1);
+      expect(last?.type).toBe("state");
+    });
+
+    it("refuses to join when the scene is excluded for the participant", async () => {
+      const { id } = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+      excludeScenes(GUEST.id, ["10"]);
+
+      await expect(watchPartyService.join(id, GUEST)).rejects.toMatchObject({
+        statusCode: 403,
+        message: "This scene is not available for your account",
+      });
+      expect(watchPartyService.get(id, HOST.id).participants).toHaveLength(1);
+    });
+
+    it("refuses to join when the scene's instance is not enabled for the participant", async () => {
+      const { id } = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+      mockGetAllowedInstances.mockImplementation(async (uid) =>
+        uid === GUEST.id ? ["inst-2"] : ["inst-1"]
+      );
+
+      await expect(watchPartyService.join(id, GUEST)).rejects.toMatchObject({
+        statusCode: 403,
+      });
+    });
+
+    it("refuses to join a full party", async () => {
+      const { id } = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+      for (let i = 0; i < MAX_WATCH_PARTY_PARTICIPANTS - 1; i++) {
+        await watchPartyService.join(id, { id: 100 + i, username: `user${i}` });
+      }
+
+      await expect(watchPartyService.join(id, GUEST)).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+
+    it("returns 404 for an unknown party", async () => {
+      await expect(watchPartyService.join("missing", GUEST)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe("control", () => {
+    it("relays play/pause/seek from any participant with the sender's clientId", async () => {
+      const { id } = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+      await watchPartyService.join(id, GUEST);
+      const hostStream = createStream();
+      watchPartyService.subscribe(id, HOST.id, hostStream);
+
+      const party = await watchPartyService.control(id, GUEST.id, {
+        action: "play",
+        position: 42,
+        clientId: "tab-1",
+      });
+
+      expect(party.playing).toBe(true);
+      expect(party.position).toBe(42);
+      expect(hostStream.events.at(-1)).toMatchObject({
+        type: "control",
+        action: "play",
+        fromUserId: GUEST.id,
+        clientId: "tab-1",
+      });
+
+      const paused = await watchPartyService.control(id, HOST.id, {
+        action: "pause",
+        position: 50,
+      });
+      expect(paused.playing).toBe(false);
+      expect(paused.position).toBe(50);
+    });
+
+    it("rejects unknown actions and non-participants", async () => {
+      const { id } = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+
+      await expect(
+        watchPartyService.control(id, HOST.id, { action: "rewind" as never })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+        watchPartyService.control(id, GUEST.id, { action: "play" })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it("only lets the host change scene", async () => {
+      const { id } = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+      await watchPartyService.join(id, GUEST);
+
+      await expect(
+        watchPartyService.control(id, GUEST.id, { action: "scene", sceneId: "11" })
+      ).rejects.toMatchObject({ statusCode: 403 });
+
+      const party = await watchPartyService.control(id, HOST.id, {
+        action: "scene",
+        sceneId: "11",
+        instanceId: "inst-1",
+        playlistIndex: 3,
+        position: 999,
+      });
+      expect(party).toMatchObject({ sceneId: "11", playlistIndex: 3, position: 0 });
+    });
+
+    it("removes participants who cannot see the new scene", async () => {
+      const { id } = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+      await watchPartyService.join(id, GUEST);
+      const guestStream = createStream();
+      watchPartyService.subscribe(id, GUEST.id, guestStream);
+      excludeScenes(GUEST.id, ["11"]);
+
+      const party = await watchPartyService.control(id, HOST.id, {
+        action: "scene",
+        sceneId: "11",
+        instanceId: "inst-1",
+      });
+
+      expect(party.participants.map((p) => p.userId)).toEqual([HOST.id]);
+      expect(guestStream.events.at(-1)).toMatchObject({ type: "removed" });
+      expect(guestStream.closed).toBe(true);
+      // The removed participant never saw the new scene
+      expect(
+        guestStream.events.some((e) => e.type === "control" && e.party.sceneId === "11")
+      ).toBe(false);
+    });
+  });
+
+  describe("leave", () => {
+    it("ends the party when the host leaves", async () => {
+      const { id } = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+      await watchPartyService.join(id, GUEST);
+      const guestStream = createStream();
+      watchPartyService.subscribe(id, GUEST.id, guestStream);
+
+      expect(watchPartyService.leave(id, HOST.id)).toBe(true);
+
+      expect(guestStream.events.at(-1)).toMatchObject({ type: "ended" });
+      expect(guestStream.closed).toBe(true);
+      expect(() => watchPartyService.get(id, GUEST.id)).toThrow("Watch party not found");
+    });
+
+    it("keeps the party running when a guest leaves", async () => {
+      const { id } = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+      await watchPartyService.join(id, GUEST);
+
+      expect(watchPartyService.leave(id, GUEST.id)).toBe(false);
+      expect(watchPartyService.get(id, HOST.id).participants).toHaveLength(1);
+    });
+  });
+
+  describe("idle timeout", () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("closes a party once nobody has been connected for the idle timeout", async () => {
+      const { id } = await watchPartyService.create(HOST, { sceneId: "10", instanceId: "inst-1" });
+      const unsubscribe = watchPartyService.subscribe(id, HOST.id, createStream());
+
+      vi.advanceTimersByTime(WATCH_PARTY_IDLE_TIMEOUT_MS * 2);
+      expect(watchPartyService.get(id, HOST.id).id).toBe(id);
+
+      unsubscribe();
+      vi.advanceTimersByTime(WATCH_PARTY_IDLE_TIMEOUT_MS);
+
+      expect(() => watchPartyService.get(id, HOST.id)).toThrow("Watch party not found");
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { getClientAddress, normalizeAddress } from "../../utils/clientAddress.js";
+
+const req = (remoteAddress: string, headers: Record<string, string> = {}, ip = remoteAddress) =>
+  ({
+    ip,
+    socket: { remoteAddress },
+    get: (name: string) => headers[name.toLowerCase()],
+  }) as any;
+
+describe("clientAddress", () => {
+  it("strips the IPv4-mapped IPv6 prefix", () => {
+    expect(normalizeAddress("::ffff:192.168.1.50")).toBe("192.168.1.50");
+    expect(normalizeAddress("fe80::1")).toBe("fe80::1");
+  });
+
+  it("uses X-Real-IP from the bundled nginx on loopback", () => {
+    expect(getClientAddress(req("127.0.0.1", { "x-real-ip": "192.168.1.77" }))).toBe("192.168.1.77");
+    expect(getClientAddress(req("::1", { "x-real-ip": "::ffff:10.0.0.3" }))).toBe("10.0.0.3");
+  });
+
+  it("ignores X-Real-IP from other peers", () => {
+    expect(getClientAddress(req("::ffff:192.168.1.50", { "x-real-ip": "10.0.0.1" }))).toBe(
+      "192.168.1.50"
+    );
+  });
+
+  it("prefers req.ip, which honors TRUST_PROXY", () => {
+    expect(getClientAddress(req("10.0.0.2", {}, "203.0.113.9"))).toBe("203.0.113.9");
+  });
+});
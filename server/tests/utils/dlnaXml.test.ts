@@ -0,0 +1,112 @@
+import { describe, it, expect } from "vitest";
+import {
+  escapeXml,
+  formatDidlDuration,
+  parseSoapAction,
+  readSoapArgument,
+  renderDidl,
+  renderSoapFault,
+  renderSoapResponse,
+  videoMimeType,
+} from "../../utils/dlnaXml.js";
+
+const browseRequest = `<?xml version="1.0" encoding="utf-8"?>
+<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">
+  <s:Body>
+    <u:Browse xmlns:u="urn:schemas-upnp-org:service:ContentDirectory:1">
+      <ObjectID>performer/abc/12</ObjectID>
+      <BrowseFlag>BrowseDirectChildren</BrowseFlag>
+      <Filter>*</Filter>
+      <StartingIndex>50</StartingIndex>
+      <RequestedCount>25</RequestedCount>
+      <SortCriteria />
+    </u:Browse>
+  </s:Body>
+</s:Envelope>`;
+
+describe("dlnaXml", () => {
+  describe("parseSoapAction", () => {
+    it("splits quoted SOAPACTION headers", () => {
+      expect(parseSoapAction('"urn:schemas-upnp-org:service:ContentDirectory:1#Browse"')).toEqual({
+        serviceType: "urn:schemas-upnp-org:service:ContentDirectory:1",
+        action: "Browse",
+      });
+    });
+
+    it("returns null for missing or malformed headers", () => {
+      expect(parseSoapAction(undefined)).toBeNull();
+      expect(parseSoapAction("Browse")).toBeNull();
+    });
+  });
+
+  describe("readSoapArgument", () => {
+    it("reads arguments from a Browse request", () => {
+      expect(readSoapArgument(browseRequest, "ObjectID")).toBe("performer/abc/12");
+      expect(readSoapArgument(browseRequest, "StartingIndex")).toBe("50");
+      expect(readSoapArgument(browseRequest, "RequestedCount")).toBe("25");
+    });
+
+    it("treats self-closing elements as empty and missing ones as undefined", () => {
+      expect(readSoapArgument(browseRequest, "SortCriteria")).toBe("");
+      expect(readSoapArgument(browseRequest, "ContainerID")).toBeUndefined();
+    });
+
+    it("unescapes entities", () => {
+      expect(readSoapArgument("<ObjectID>a&amp;b</ObjectID>", "ObjectID")).toBe("a&b");
+    });
+  });
+
+  describe("renderDidl", () => {
+    it("renders containers and video items with escaped text", () => {
+      const didl = renderDidl([
+        { kind: "container", id: "recent", parentId: "0", title: "Recently Added", childCount: 3 },
+        {
+          kind: "item",
+          id: "scene/abc/1",
+          parentId: "recent",
+          title: "Tom & Jerry <3",
+          date: "2024-01-02",
+          artUrl: "http://peek.lan/api/proxy/stash?path=%2Fscene%2F1&x=1",
+          resource: {
+            url: "http://peek.lan/api/dlna/media/abc/1",
+            mimeType: "video/mp4",
+            size: 1000,
+            duration: 3725.5,
+            width: 1920,
+            height: 1080,
+            bitrate: 8000000,
+          },
+        },
+      ]);
+
+      expect(didl).toContain('<container id="recent" parentID="0" restricted="1" searchable="0" childCount="3">');
+      expect(didl).toContain("<dc:title>Tom &amp; Jerry &lt;3</dc:title>");
+      expect(didl).toContain("<upnp:class>object.item.videoItem</upnp:class>");
+      expect(didl).toContain('duration="1:02:05.500"');
+      expect(didl).toContain('resolution="1920x1080"');
+      expect(didl).toContain('bitrate="1000000"');
+      expect(didl).toContain("path=%2Fscene%2F1&amp;x=1");
+      expect(didl).toContain(">http://peek.lan/api/dlna/media/abc/1</res>");
+    });
+  });
+
+  describe("SOAP envelopes", () => {
+    it("escapes result values", () => {
+      const xml = renderSoapResponse("urn:x:1", "Browse", { Result: "<DIDL-Lite/>", TotalMatches: 0 });
+      expect(xml).toContain("<u:BrowseResponse xmlns:u=\"urn:x:1\">");
+      expect(xml).toContain("<Result>&lt;DIDL-Lite/&gt;</Result>");
+      expect(xml).toContain("<TotalMatches>0</TotalMatches>");
+    });
+
+    it("renders UPnP error codes in faults", () => {
+      expect(renderSoapFault(701, "No such object")).toContain("<errorCode>701</errorCode>");
+    });
+  });
+
+  it("formats durations and guesses MIME types", () => {
+    expect(formatDidlDuration(59.9994)).toBe("0:00:59.999");
+    expect(videoMimeType("/media/clip.MKV")).toBe("video/x-matroska");
+    expect(videoMimeType(null)).toBe("video/mpeg");
+    expect(escapeXml(`"'`)).toBe("&quot;&apos;");
+  });
+});
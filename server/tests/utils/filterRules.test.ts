@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for filter rule group utilities
+ *
+ * Tests migration of flat (version 1) rules, validation limits, flattening
+ * back to a flat filter, and the readable summary.
+ */
+import { describe, it, expect } from "vitest";
+import {
+  MAX_FILTER_RULES,
+  countFilterRules,
+  describeFilterRules,
+  flattenFilterRules,
+  mapFilterRules,
+  migrateFilterRules,
+  parseFilterRules,
+  validateFilterRuleGroup,
+  type FilterRuleGroup,
+} from "@peek/shared-types/filterRules.js";
+
+type Filter = Record<string, unknown>;
+
+const rule = (filter: Filter) => ({ type: "rule" as const, filter });
+const group = (
+  operator: "AND" | "OR",
+  children: FilterRuleGroup<Filter>["children"],
+  negate?: boolean
+): FilterRuleGroup<Filter> => ({ type: "group", operator, children, ...(negate && { negate }) });
+
+describe("migrateFilterRules", () => {
+  it("turns each criterion of a flat filter into a rule of an AND group", () => {
+    const flat = { favorite: true, rating100: { value: 80, modifier: "GREATER_THAN" }, tags: null };
+    expect(migrateFilterRules(flat)).toEqual({
+      version: 2,
+      root: group("AND", [
+        rule({ favorite: true }),
+        rule({ rating100: { value: 80, modifier: "GREATER_THAN" } }),
+      ]),
+    });
+  });
+
+  it("keeps versioned rules", () => {
+    const stored = { version: 2, root: group("OR", [rule({ favorite: true })]) };
+    expect(migrateFilterRules(stored)).toEqual(stored);
+  });
+
+  it("returns an empty group for missing rules", () => {
+    expect(migrateFilterRules(null)).toEqual({ version: 2, root: group("AND", []) });
+    expect(migrateFilterRules("[]")).toEqual({ version: 2, root: group("AND", []) });
+  });
+});
+
+describe("validateFilterRuleGroup", () => {
+  it("accepts a well-formed tree", () => {
+    expect(validateFilterRuleGroup(group("AND", [rule({}), group("OR", [rule({})], true)]))).toBeNull();
+  });
+
+  it("rejects trees nested too deeply", () => {
+    let root = group("AND", []);
+    for (let i = 0; i < 5; i++) root = group("AND", [root]);
+    expect(validateFilterRuleGroup(root)).toMatch(/at most 5 levels/);
+  });
+
+  it("rejects too many rules", () => {
+    const rules = Array.from({ length: MAX_FILTER_RULES + 1 }, () => rule({}));
+    expect(validateFilterRuleGroup(group("OR", rules))).toMatch(/At most/);
+  });
+
+  it("rejects malformed nodes", () => {
+    expect(validateFilterRuleGroup({ type: "group", operator: "XOR", children: [] })).toBe(
+      "Invalid rule or rule group"
+    );
+    expect(validateFilterRuleGroup(group("AND", [{ type: "rule" } as never]))).toBe(
+      "Invalid rule or rule group"
+    );
+  });
+});
+
+describe("parseFilterRules", () => {
+  it("migrates flat rules", () => {
+    expect(parseFilterRules({ favorite: true })).toEqual({
+      valid: true,
+      value: { version: 2, root: group("AND", [rule({ favorite: true })]) },
+    });
+  });
+
+  it("rejects non-objects and broken versioned rules", () => {
+    expect(parseFilterRules([]).valid).toBe(false);
+    expect(parseFilterRules({ version: 2, root: {} }).valid).toBe(false);
+  });
+});
+
+describe("flattenFilterRules", () => {
+  it("merges AND-only trees into one filter", () => {
+    expect(flattenFilterRules(group("AND", [rule({ a: 1 }), group("AND", [rule({ b: 2 })])]))).toEqual({
+      a: 1,
+      b: 2,
+    });
+  });
+
+  it("returns null when the tree needs grouping", () => {
+    expect(flattenFilterRules(group("OR", [rule({ a: 1 }), rule({ b: 2 })]))).toBeNull();
+    expect(flattenFilterRules(group("AND", [rule({ a: 1 })], true))).toBeNull();
+    expect(flattenFilterRules(group("AND", [rule({ a: 1 }), rule({ a: 2 })]))).toBeNull();
+  });
+});
+
+describe("mapFilterRules and countFilterRules", () => {
+  it("converts every rule and counts them", () => {
+    const tree = group("AND", [rule({ n: 1 }), group("OR", [rule({ n: 2 }), rule({ n: 3 })], true)]);
+    const doubled = mapFilterRules(tree, (filter) => ({ n: (filter.n as number) * 2 }));
+
+    expect(doubled).toEqual(
+      group("AND", [rule({ n: 2 }), group("OR", [rule({ n: 4 }), rule({ n: 6 })], true)])
+    );
+    expect(countFilterRules(doubled)).toBe(3);
+  });
+});
+
+describe("describeFilterRules", () => {
+  it("joins rules with operators and wraps nested and negated groups", () => {
+    const tree = group("AND", [
+      rule({ label: "Tags: 2 selected" }),
+      group("OR", [rule({ label: "Rating: ≥ 80" }), rule({ label: "Favorite" })]),
+      group("AND", [rule({ label: "Studio: selected" })], true),
+    ]);
+
+    expect(describeFilterRules(tree, (filter) => filter.label as string)).toBe(
+      "Tags: 2 selected AND (Rating: ≥ 80 OR Favorite) AND NOT Studio: selected"
+    );
+  });
+
+  it("leaves out empty rules and groups", () => {
+    const tree = group("OR", [rule({}), group("AND", []), rule({ label: "Favorite" })]);
+    expect(describeFilterRules(tree, (filter) => (filter.label as string) ?? "")).toBe("Favorite");
+  });
+});
@@ -91,4 +91,50 @@ describe("generateSceneNfo", () => {
     expect(nfo).toContain("<plot><![CDATA[]]></plot>");
     expect(nfo).toContain("<studio></studio>");
   });
+
+  it("should include media center artwork, set and stream details", () => {
+    const scene = {
+      id: "123",
+      title: "Test",
+      performerNames: ["Alice", "Bob"],
+      tagNames: [],
+      setName: "Favorites & More",
+      performerThumbs: { Alice: ".actors/Alice.jpg" },
+      poster: "poster.jpg",
+      fanart: "fanart.jpg",
+      file: {
+        videoCodec: "h264",
+        audioCodec: "aac",
+        width: 1920,
+        height: 1080,
+        duration: 1805.4,
+      },
+    };
+
+    const nfo = generateSceneNfo(scene);
+
+    expect(nfo).toContain("<thumb>.actors/Alice.jpg</thumb>");
+    expect(nfo.match(/<actor>[\s\S]*?<\/actor>/g)?.[1]).not.toContain("<thumb>");
+    expect(nfo).toContain("<name>Favorites &amp; More</name>");
+    expect(nfo).toContain('<thumb aspect="poster">poster.jpg</thumb>');
+    expect(nfo).toContain("<thumb>fanart.jpg</thumb>");
+    expect(nfo).toContain("<runtime>30</runtime>");
+    expect(nfo).toContain("<codec>h264</codec>");
+    expect(nfo).toContain("<aspect>1.78</aspect>");
+    expect(nfo).toContain("<durationinseconds>1805</durationinseconds>");
+    expect(nfo).toContain("<codec>aac</codec>");
+  });
+
+  it("should leave out fileinfo when nothing is known about the file", () => {
+    const nfo = generateSceneNfo({
+      id: "123",
+      title: "Test",
+      performerNames: [],
+      tagNames: [],
+      file: {},
+    });
+
+    expect(nfo).not.toContain("<fileinfo>");
+    expect(nfo).not.toContain("<set>");
+  });
 });
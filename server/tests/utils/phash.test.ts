@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import { isNearDuplicate, parseScenePhashes, phashDistance } from "../../utils/phash.js";
+
+describe("phash utils", () => {
+  describe("phashDistance", () => {
+    it("counts differing bits", () => {
+      expect(phashDistance("ffffffff00000000", "ffffffff00000000")).toBe(0);
+      expect(phashDistance("ffffffff00000000", "fffffffe00000000")).toBe(1);
+      expect(phashDistance("0000000000000000", "ffffffffffffffff")).toBe(64);
+    });
+
+    it("is case-insensitive", () => {
+      expect(phashDistance("ABCDEF0123456789", "abcdef0123456789")).toBe(0);
+    });
+
+    it("reads hashes without leading zeros", () => {
+      expect(phashDistance("ffff", "000000000000ffff")).toBe(0);
+      expect(phashDistance("ffff", "ffffffff")).toBe(16);
+    });
+
+    it("returns null for hashes it can't compare", () => {
+      expect(phashDistance("1ffffffffffffffff", "ffffffffffffffff")).toBeNull();
+      expect(phashDistance("zzzzzzzzzzzzzzzz", "ffffffffffffffff")).toBeNull();
+      expect(phashDistance("", "")).toBeNull();
+    });
+  });
+
+  describe("isNearDuplicate", () => {
+    it("matches when any pair of phashes is close", () => {
+      expect(isNearDuplicate(["123456789abcdef0", "ffffffff00000000"], ["ffffffff0000000f"])).toBe(true);
+      expect(isNearDuplicate(["ffffffff00000000"], ["ffffffff000000ff"])).toBe(false);
+      expect(isNearDuplicate(["ffffffff00000000"], ["ffffffff000000ff"], 8)).toBe(true);
+      expect(isNearDuplicate([], ["ffffffff00000000"])).toBe(false);
+    });
+  });
+
+  describe("parseScenePhashes", () => {
+    it("combines the primary phash with the phashes array, without repeats", () => {
+      expect(parseScenePhashes("aaaa", JSON.stringify(["aaaa", "bbbb"]))).toEqual(["aaaa", "bbbb"]);
+    });
+
+    it("ignores missing or invalid values", () => {
+      expect(parseScenePhashes(null, null)).toEqual([]);
+      expect(parseScenePhashes("aaaa", "{broken")).toEqual(["aaaa"]);
+      expect(parseScenePhashes(null, JSON.stringify([1, "", "cccc"]))).toEqual(["cccc"]);
+    });
+  });
+});
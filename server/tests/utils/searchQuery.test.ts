@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { parseSearchQuery } from "../../utils/searchQuery.js";
+
+describe("parseSearchQuery", () => {
+  it("returns null for empty input", () => {
+    expect(parseSearchQuery("")).toBeNull();
+    expect(parseSearchQuery("   ")).toBeNull();
+    expect(parseSearchQuery(undefined)).toBeNull();
+  });
+
+  it("matches every word by prefix", () => {
+    expect(parseSearchQuery("ali beach")).toEqual({ include: '"ali"* AND "beach"*', exclude: null });
+  });
+
+  it("matches quoted phrases exactly", () => {
+    expect(parseSearchQuery('"red dress" ali')).toEqual({
+      include: '"red dress" AND "ali"*',
+      exclude: null,
+    });
+  });
+
+  it("accepts an unterminated phrase", () => {
+    expect(parseSearchQuery('"red dress')?.include).toBe('"red dress"');
+  });
+
+  it("moves negated words and phrases to exclude", () => {
+    expect(parseSearchQuery('beach -night -"rainy day"')).toEqual({
+      include: '"beach"*',
+      exclude: '"night"* OR "rainy day"',
+    });
+  });
+
+  it("returns only an exclude for negations alone", () => {
+    expect(parseSearchQuery("-night")).toEqual({ include: null, exclude: '"night"*' });
+  });
+
+  it("groups terms joined by OR", () => {
+    expect(parseSearchQuery("alice OR bob beach")).toEqual({
+      include: '("alice"* OR "bob"*) AND "beach"*',
+      exclude: null,
+    });
+  });
+
+  it("ignores a leading or trailing OR", () => {
+    expect(parseSearchQuery("OR alice OR")?.include).toBe('"alice"*');
+  });
+
+  it("quotes FTS5 syntax in user input", () => {
+    expect(parseSearchQuery("NOT title:x AND")?.include).toBe('"NOT"* AND "title:x"* AND "AND"*');
+    expect(parseSearchQuery('a"b')?.include).toBe('"a""b"*');
+  });
+
+  it("drops terms without letters or digits", () => {
+    expect(parseSearchQuery("- * ... beach")?.include).toBe('"beach"*');
+    expect(parseSearchQuery("!!!")).toBeNull();
+  });
+
+  it("accepts a trailing wildcard", () => {
+    expect(parseSearchQuery("bea*")?.include).toBe('"bea"*');
+  });
+
+  it("matches non-Latin words", () => {
+    expect(parseSearchQuery("東京")?.include).toBe('"東京"*');
+  });
+
+  it("ignores terms past the limit", () => {
+    const words = Array.from({ length: 30 }, (_, i) => `w${i}`).join(" ");
+    expect(parseSearchQuery(words)?.include?.split(" AND ")).toHaveLength(20);
+  });
+});
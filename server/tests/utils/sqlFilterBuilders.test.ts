@@ -2,7 +2,7 @@
  * Unit Tests for shared SQL filter builder utilities
  *
  * Tests buildNumericFilter, buildDateFilter, buildTextFilter, and buildFavoriteFilter
- * with all modifier branches and edge cases.
+ * with all modifier branches and edge cases, and buildRuleGroupFilter nesting.
  */
 import { describe, it, expect } from "vitest";
 import {
@@ -13,6 +13,9 @@ import {
   parseCompositeFilterValues,
   buildJunctionFilter,
   buildDirectFilter,
+  buildFolderFilter,
+  normalizeFolderPath,
+  buildRuleGroupFilter,
 } from "../../utils/sqlFilterBuilders.js";
 
 describe("buildNumericFilter", () => {
@@ -547,3 +550,188 @@ describe("buildDirectFilter", () => {
     });
   });
 });
+
+describe("normalizeFolderPath", () => {
+  it("uses forward slashes without a trailing slash", () => {
+    expect(normalizeFolderPath("/data/videos/")).toBe("/data/videos");
+    expect(normalizeFolderPath("C:\\Videos\\Clips\\")).toBe("C:/Videos/Clips");
+  });
+
+  it("keeps a bare root", () => {
+    expect(normalizeFolderPath("/")).toBe("/");
+    expect(normalizeFolderPath("")).toBe("");
+  });
+});
+
+describe("buildFolderFilter", () => {
+  const pathCol = "s.filePath";
+  const instanceCol = "s.stashInstanceId";
+
+  it("returns empty without a path", () => {
+    expect(buildFolderFilter(undefined, pathCol, instanceCol)).toEqual({ sql: "", params: [] });
+    expect(buildFolderFilter({ path: "" }, pathCol, instanceCol)).toEqual({ sql: "", params: [] });
+  });
+
+  it("matches the subtree by path prefix", () => {
+    const result = buildFolderFilter({ path: "/data/videos/" }, pathCol, instanceCol);
+    expect(result.sql).toBe("(substr(REPLACE(s.filePath, '\\', '/'), 1, ?) = ?)");
+    expect(result.params).toEqual([13, "/data/videos/"]);
+  });
+
+  it("limits to one instance", () => {
+    const result = buildFolderFilter({ path: "C:\\Videos", instanceId: "server-1" }, pathCol, instanceCol);
+    expect(result.sql).toBe("(substr(REPLACE(s.filePath, '\\', '/'), 1, ?) = ? AND s.stashInstanceId = ?)");
+    expect(result.params).toEqual([10, "C:/Videos/", "server-1"]);
+  });
+
+  it("counts characters, not UTF-16 units", () => {
+    const result = buildFolderFilter({ path: "/😀" }, pathCol, instanceCol);
+    expect(result.params).toEqual([3, "/😀/"]);
+  });
+});
+
+describe("buildRuleGroupFilter", () => {
+  type Filter = { rating?: number; favorite?: boolean };
+  const buildRule = (filter: Filter) => [
+    filter.rating !== undefined ? { sql: "r.rating >= ?", params: [filter.rating] } : { sql: "", params: [] },
+    filter.favorite ? { sql: "r.favorite = 1", params: [] } : { sql: "", params: [] },
+  ];
+
+  it("returns empty for an empty group", async () => {
+    expect(await buildRuleGroupFilter({ type: "group", operator: "AND", children: [] }, buildRule)).toEqual({
+      sql: "",
+      params: [],
+    });
+  });
+
+  it("joins rules with the group operator", async () => {
+    const result = await buildRuleGroupFilter<Filter>(
+      {
+        type: "group",
+        operator: "OR",
+        children: [
+          { type: "rule", filter: { rating: 80 } },
+          { type: "rule", filter: { favorite: true } },
+        ],
+      },
+      buildRule
+    );
+    expect(result.sql).toBe("(((r.rating >= ?)) OR ((r.favorite = 1)))");
+    expect(result.params).toEqual([80]);
+  });
+
+  it("nests groups and negates with NULL treated as no match", async () => {
+    const result = await buildRuleGroupFilter<Filter>(
+      {
+        type: "group",
+        operator: "AND",
+        children: [
+          { type: "rule", filter: { rating: 20 } },
+          {
+            type: "group",
+            operator: "OR",
+            negate: true,
+            children: [
+              { type: "rule", filter: { rating: 90 } },
+              { type: "rule", filter: { favorite: true } },
+            ],
+          },
+        ],
+      },
+      buildRule
+    );
+    expect(result.sql).toBe(
+      "(((r.rating >= ?)) AND (NOT COALESCE((((r.rating >= ?)) OR ((r.favorite = 1))), 0)))"
+    );
+    expect(result.params).toEqual([20, 90]);
+  });
+
+  it("rejects malformed trees", async () => {
+    await expect(
+      buildRuleGroupFilter({ type: "group", operator: "AND", children: [{ type: "bogus" }] } as never, buildRule)
+    ).rejects.toThrow("Invalid rule or rule group");
+  });
+
+  it("skips rules and groups that build no SQL", async () => {
+    const result = await buildRuleGroupFilter<Filter>(
+      {
+        type: "group",
+        operator: "AND",
+        children: [
+          { type: "rule", filter: {} },
+          { type: "group", operator: "OR", children: [] },
+          { type: "rule", filter: { rating: 50 } },
+        ],
+      },
+      buildRule
+    );
+    expect(result.sql).toBe("(((r.rating >= ?)))");
+    expect(result.params).toEqual([50]);
+  });
+
+  it("matches everything when an OR group holds a rule with no SQL", async () => {
+    const result = await buildRuleGroupFilter<Filter>(
+      {
+        type: "group",
+        operator: "OR",
+        children: [
+          { type: "rule", filter: { rating: 50 } },
+          { type: "rule", filter: {} },
+        ],
+      },
+      buildRule
+    );
+    expect(result).toEqual({ sql: "", params: [] });
+  });
+
+  it("drops a nested OR group that matches everything from its parent", async () => {
+    const result = await buildRuleGroupFilter<Filter>(
+      {
+        type: "group",
+        operator: "AND",
+        children: [
+          { type: "rule", filter: { favorite: true } },
+          {
+            type: "group",
+            operator: "OR",
+            children: [
+              { type: "rule", filter: { rating: 90 } },
+              { type: "group", operator: "AND", children: [] },
+            ],
+          },
+        ],
+      },
+      buildRule
+    );
+    expect(result.sql).toBe("(((r.favorite = 1)))");
+    expect(result.params).toEqual([]);
+  });
+
+  it("matches nothing when a negated group places no condition", async () => {
+    expect(
+      await buildRuleGroupFilter<Filter>({ type: "group", operator: "AND", negate: true, children: [] }, buildRule)
+    ).toEqual({ sql: "1 = 0", params: [] });
+
+    const result = await buildRuleGroupFilter<Filter>(
+      {
+        type: "group",
+        operator: "OR",
+        children: [
+          { type: "rule", filter: { rating: 50 } },
+          {
+            type: "group",
+            operator: "OR",
+            negate: true,
+            children: [
+              { type: "rule", filter: { favorite: true } },
+              { type: "rule", filter: {} },
+            ],
+          },
+        ],
+      },
+      buildRule
+    );
+    expect(result.sql).toBe("(((r.rating >= ?)) OR (1 = 0))");
+    expect(result.params).toEqual([50]);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import {
+  actorImageName,
+  captionPath,
+  chaptersPath,
+  generateChapterFile,
+  isPlaylistZipLayout,
+  planScenePaths,
+  sanitizeFileName,
+  sceneBaseName,
+  uniqueName,
+  videoExtension,
+} from "../../utils/zipLayouts.js";
+
+describe("zipLayouts", () => {
+  it("should recognize supported layouts", () => {
+    expect(isPlaylistZipLayout("kodi")).toBe(true);
+    expect(isPlaylistZipLayout("emby")).toBe(false);
+    expect(isPlaylistZipLayout(undefined)).toBe(false);
+  });
+
+  it("should keep the original container extension", () => {
+    expect(videoExtension("/media/scene.MKV")).toBe("mkv");
+    expect(videoExtension("/media/scene")).toBe("mp4");
+    expect(videoExtension(null)).toBe("mp4");
+  });
+
+  it("should add the year for folder layouts only", () => {
+    expect(sceneBaseName("flat", "A: Scene", "2024-01-15")).toBe("A_ Scene");
+    expect(sceneBaseName("kodi", "A: Scene", "2024-01-15")).toBe(
+      "A_ Scene (2024)"
+    );
+    expect(sceneBaseName("plex", "A Scene", null)).toBe("A Scene");
+  });
+
+  it("should never produce a name that leaves its folder", () => {
+    expect(sanitizeFileName("..")).toBe("download");
+    expect(sanitizeFileName(".")).toBe("download");
+    expect(sanitizeFileName(" . . ")).toBe("download");
+    expect(sanitizeFileName("Scene... ")).toBe("Scene");
+    expect(sanitizeFileName("../Scene")).toBe(".._Scene");
+
+    const paths = planScenePaths("kodi", "Mix", sceneBaseName("kodi", "..", null), "mp4");
+    expect(paths.video).toBe("Mix/download/download.mp4");
+  });
+
+  it("should number repeated names regardless of case", () => {
+    const used = new Set<string>();
+    expect(uniqueName("Scene", used)).toBe("Scene");
+    expect(uniqueName("scene", used)).toBe("scene (2)");
+    expect(uniqueName("Scene", used)).toBe("Scene (3)");
+  });
+
+  it("should put flat scenes next to the playlist", () => {
+    const paths = planScenePaths("flat", "Mix", "Scene", "mp4");
+
+    expect(paths.video).toBe("Mix/Scene.mp4");
+    expect(paths.nfo).toBe("Mix/Scene.nfo");
+    expect(paths.poster).toBeNull();
+    expect(paths.actorsDir).toBeNull();
+  });
+
+  it("should give each scene a movie folder in media center layouts", () => {
+    const kodi = planScenePaths("kodi", "Mix", "Scene (2024)", "mkv");
+    expect(kodi.video).toBe("Mix/Scene (2024)/Scene (2024).mkv");
+    expect(kodi.nfo).toBe("Mix/Scene (2024)/Scene (2024).nfo");
+    expect(kodi.poster).toBe("Mix/Scene (2024)/poster.jpg");
+    expect(kodi.actorsDir).toBe("Mix/Scene (2024)/.actors");
+
+    expect(planScenePaths("jellyfin", "Mix", "Scene", "mp4").nfo).toBe(
+      "Mix/Scene/movie.nfo"
+    );
+
+    const plex = planScenePaths("plex", "Mix", "Scene", "mp4");
+    expect(plex.nfo).toBeNull();
+    expect(plex.actorsDir).toBeNull();
+    expect(plex.fanart).toBe("Mix/Scene/fanart.jpg");
+  });
+
+  it("should name sidecar files after the video", () => {
+    const paths = planScenePaths("kodi", "Mix", "Scene", "mp4");
+
+    expect(captionPath(paths, "en")).toBe("Mix/Scene/Scene.en.vtt");
+    expect(chaptersPath(paths)).toBe("Mix/Scene/Scene.chapters.txt");
+    expect(actorImageName("Jane Doe")).toBe("Jane_Doe.jpg");
+  });
+
+  it("should write markers as sorted OGM chapters", () => {
+    expect(
+      generateChapterFile([
+        { title: "Second", seconds: 3725.5 },
+        { title: "First", seconds: 0 },
+      ])
+    ).toBe(
+      "CHAPTER01=00:00:00.000\nCHAPTER01NAME=First\n" +
+        "CHAPTER02=01:02:05.500\nCHAPTER02NAME=Second\n"
+    );
+  });
+});
@@ -0,0 +1,12 @@
+// Re-exporting stub — canonical definitions live in shared/types/api/apiTokens.ts
+export type {
+  ApiTokenScope,
+  ApiTokenData,
+  GetApiTokensResponse,
+  CreateApiTokenBody,
+  CreateApiTokenResponse,
+  RevokeApiTokenParams,
+  RevokeApiTokenResponse,
+  AdminGetApiTokensParams,
+  AdminRevokeApiTokenParams,
+} from "@peek/shared-types/api/apiTokens.js";
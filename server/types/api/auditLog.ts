@@ -0,0 +1,12 @@
+// Re-exporting stub — canonical definitions live in shared/types/api/auditLog.ts
+export type {
+  AuditAction,
+  AuditCategory,
+  AuditLogEntry,
+  AuditLogQuery,
+  GetAuditLogResponse,
+  AuditSettingsData,
+  GetAuditSettingsResponse,
+  UpdateAuditSettingsBody,
+  UpdateAuditSettingsResponse,
+} from "@peek/shared-types/api/auditLog.js";
@@ -0,0 +1,8 @@
+// Re-exporting stub — canonical definitions live in shared/types/api/auth.ts
+export type {
+  GetAuthConfigResponse,
+  AuthSettingsData,
+  GetAuthSettingsResponse,
+  UpdateAuthSettingsBody,
+  UpdateAuthSettingsResponse,
+} from "@peek/shared-types/api/auth.js";
@@ -5,6 +5,7 @@
  * Request and response types for /api/carousels/* endpoints.
  */
 import type { JsonValue } from "@prisma/client/runtime/library";
+import type { VersionedFilterRules } from "@peek/shared-types/filterRules.js";
 import type { NormalizedScene, PeekSceneFilter } from "../index.js";
 
 // =============================================================================
@@ -14,6 +15,7 @@ import type { NormalizedScene, PeekSceneFilter } from "../index.js";
 /**
  * Carousel data structure
  * Note: rules is JsonValue from Prisma since it's stored as JSON
+ * (a CarouselRules value)
  */
 export interface CarouselData {
   id: string;
@@ -27,6 +29,12 @@ export interface CarouselData {
   updatedAt: Date;
 }
 
+/**
+ * Carousel rules: a versioned rule tree, or a flat scene filter from older
+ * clients, which is migrated on save
+ */
+export type CarouselRules = VersionedFilterRules<PeekSceneFilter> | PeekSceneFilter;
+
 // =============================================================================
 // GET USER CAROUSELS
 // =============================================================================
@@ -66,7 +74,7 @@ export interface GetCarouselResponse {
 export interface CreateCarouselRequest {
   title: string;
   icon?: string;
-  rules: PeekSceneFilter;
+  rules: CarouselRules;
   sort?: string;
   direction?: string;
 }
@@ -90,7 +98,7 @@ export interface UpdateCarouselParams extends Record<string, string> {
 export interface UpdateCarouselRequest {
   title?: string;
   icon?: string;
-  rules?: PeekSceneFilter;
+  rules?: CarouselRules;
   sort?: string;
   direction?: string;
 }
@@ -125,7 +133,7 @@ export interface DeleteCarouselResponse {
  * Preview carousel results without saving
  */
 export interface PreviewCarouselRequest {
-  rules: PeekSceneFilter;
+  rules: CarouselRules;
   sort?: string;
   direction?: string;
 }
@@ -0,0 +1,12 @@
+// Re-exporting stub — canonical definitions live in shared/types/api/dlna.ts
+export type {
+  DlnaSettingsData,
+  GetDlnaSettingsResponse,
+  UpdateDlnaSettingsBody,
+  UpdateDlnaSettingsResponse,
+  DlnaDeviceData,
+  GetDlnaDevicesResponse,
+  CreateDlnaDeviceBody,
+  UpdateDlnaDeviceBody,
+  DlnaDeviceResponse,
+} from "@peek/shared-types/api/dlna.js";
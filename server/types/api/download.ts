@@ -1,11 +1,13 @@
 // Re-exporting stub — canonical definitions live in shared/types/api/download.ts
 export type {
+  PlaylistZipLayout,
   SerializedDownload,
   StartSceneDownloadParams,
   StartSceneDownloadResponse,
   StartImageDownloadParams,
   StartImageDownloadResponse,
   StartPlaylistDownloadParams,
+  StartPlaylistDownloadBody,
   StartPlaylistDownloadResponse,
   GetUserDownloadsResponse,
   GetDownloadStatusParams,
@@ -15,4 +17,15 @@ export type {
   DeleteDownloadResponse,
   RetryDownloadParams,
   RetryDownloadResponse,
+  DownloadPriority,
+  DownloadUsage,
+  DownloadQueueActionParams,
+  DownloadQueueActionResponse,
+  UpdateDownloadPriorityParams,
+  UpdateDownloadPriorityBody,
+  UpdateDownloadPriorityResponse,
+  DownloadSettingsData,
+  GetDownloadSettingsResponse,
+  UpdateDownloadSettingsBody,
+  UpdateDownloadSettingsResponse,
 } from "@peek/shared-types/api/download.js";
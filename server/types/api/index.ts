@@ -93,6 +93,227 @@ export type {
   CompleteSetupBody,
 } from "@peek/shared-types/api/user.js";
 
+// Personal API token types
+export type {
+  ApiTokenScope,
+  ApiTokenData,
+  GetApiTokensResponse,
+  CreateApiTokenBody,
+  CreateApiTokenResponse,
+  RevokeApiTokenParams,
+  RevokeApiTokenResponse,
+  AdminGetApiTokensParams,
+  AdminRevokeApiTokenParams,
+} from "@peek/shared-types/api/apiTokens.js";
+
+// Stash plugin webhook types
+export type {
+  SyncWebhookEntityType,
+  SyncWebhookAction,
+  SyncWebhookEvent,
+  SyncWebhookLogEvent,
+  SyncWebhookLogStatus,
+  SyncWebhookBody,
+  SyncWebhookResponse,
+  SyncWebhookInstance,
+  GetSyncWebhookInstancesResponse,
+  RegenerateSyncWebhookSecretResponse,
+  ClearSyncWebhookSecretResponse,
+  SyncWebhookLogEntry,
+  GetSyncWebhookLogResponse,
+} from "@peek/shared-types/api/syncWebhook.js";
+
+// Stash write-back types
+export type {
+  StashWriteBackEntityType,
+  StashWriteBackConflictPolicy,
+  StashWriteBackSettingsData,
+  UpdateStashWriteBackSettingsBody,
+  UpdateStashWriteBackSettingsResponse,
+  StashWriteBackValues,
+  StashWriteBackPendingItem,
+  StashWriteBackConflictEntry,
+  GetStashWriteBackResponse,
+  RetryStashWriteBackResponse,
+  DiscardStashWriteBackParams,
+} from "@peek/shared-types/api/stashWriteBack.js";
+
+// Watch party types
+export type {
+  WatchPartyAction,
+  WatchPartyParticipant,
+  WatchPartyState,
+  WatchPartyStreamEvent,
+  CreateWatchPartyBody,
+  WatchPartyResponse,
+  WatchPartyParams,
+  LeaveWatchPartyResponse,
+  WatchPartyControlBody,
+} from "@peek/shared-types/api/watchParty.js";
+
+// Server event stream types
+export type {
+  SyncKind,
+  SyncProgressEvent,
+  ServerEvent,
+  ServerEventType,
+} from "@peek/shared-types/api/events.js";
+
+// Auth types
+export type {
+  GetAuthConfigResponse,
+  AuthSettingsData,
+  GetAuthSettingsResponse,
+  UpdateAuthSettingsBody,
+  UpdateAuthSettingsResponse,
+} from "@peek/shared-types/api/auth.js";
+
+// DLNA types
+export type {
+  DlnaSettingsData,
+  GetDlnaSettingsResponse,
+  UpdateDlnaSettingsBody,
+  UpdateDlnaSettingsResponse,
+  DlnaDeviceData,
+  GetDlnaDevicesResponse,
+  CreateDlnaDeviceBody,
+  UpdateDlnaDeviceBody,
+  DlnaDeviceResponse,
+} from "@peek/shared-types/api/dlna.js";
+
+// Transcoding types
+export type {
+  TranscodeQuality,
+  TranscodeSettingsData,
+  GetTranscodeSettingsResponse,
+  UpdateTranscodeSettingsBody,
+  UpdateTranscodeSettingsResponse,
+  TranscodeJobData,
+  GetTranscodeJobsResponse,
+  StopTranscodeJobParams,
+} from "@peek/shared-types/api/transcode.js";
+
+// User data export/import types
+export type {
+  UserDataEntityType,
+  UserDataEntityRef,
+  UserDataPreferences,
+  UserDataRating,
+  UserDataWatchHistory,
+  UserDataImageView,
+  UserDataPlaylist,
+  UserDataCarousel,
+  UserDataCustomTheme,
+  UserDataHiddenEntity,
+  UserDataArchive,
+  UserDataImportMode,
+  UserDataSection,
+  UserDataImportBody,
+  UserDataSectionReport,
+  UserDataImportConflict,
+  UserDataImportResponse,
+  UserDataUserParams,
+} from "@peek/shared-types/api/userData.js";
+
+// Two-factor authentication types
+export type {
+  TwoFactorMethod,
+  WebAuthnCredentialData,
+  TwoFactorStatus,
+  WebAuthnCredentialDescriptorJSON,
+  WebAuthnRegistrationOptionsJSON,
+  WebAuthnAuthenticationOptionsJSON,
+  WebAuthnRegistrationResponseJSON,
+  WebAuthnAuthenticationResponseJSON,
+  TotpSetupData,
+  TwoFactorChallengeResponse,
+  TwoFactorSetupRequiredResponse,
+  VerifyTwoFactorLoginBody,
+  WebAuthnLoginOptionsBody,
+  WebAuthnLoginOptionsResponse,
+  VerifyWebAuthnLoginBody,
+  BeginLoginTotpSetupBody,
+  ConfirmLoginTotpSetupBody,
+  GetTwoFactorStatusResponse,
+  BeginTotpSetupResponse,
+  ConfirmTotpSetupBody,
+  ConfirmTotpSetupResponse,
+  TwoFactorPasswordBody,
+  RegenerateBackupCodesResponse,
+  WebAuthnRegistrationOptionsResponse,
+  RegisterWebAuthnCredentialBody,
+  RegisterWebAuthnCredentialResponse,
+  DeleteWebAuthnCredentialParams,
+  TwoFactorStatusResponse,
+  AdminResetTwoFactorParams,
+} from "@peek/shared-types/api/twoFactor.js";
+
+// Audit log types
+export type {
+  AuditAction,
+  AuditCategory,
+  AuditLogEntry,
+  AuditLogQuery,
+  GetAuditLogResponse,
+  AuditSettingsData,
+  GetAuditSettingsResponse,
+  UpdateAuditSettingsBody,
+  UpdateAuditSettingsResponse,
+} from "@peek/shared-types/api/auditLog.js";
+
+// Metadata edit types
+export type {
+  MetadataEditEntityType,
+  MetadataEditStatus,
+  MetadataEditFieldAllowlist,
+  MetadataEditEntry,
+  PendingMetadataEditResponse,
+  GetMetadataEditsQuery,
+  GetMetadataEditsResponse,
+  MetadataEditParams,
+  GetMetadataEditResponse,
+  ReviewMetadataEditBody,
+  ReviewMetadataEditResponse,
+  GetMyMetadataEditsResponse,
+  MetadataEditHistoryParams,
+  GetMetadataEditHistoryResponse,
+} from "@peek/shared-types/api/metadataEdits.js";
+
+// Access schedule types
+export type {
+  AccessWindow,
+  AccessSchedule,
+  AccessDeniedReason,
+  AccessStatus,
+  AccessDeniedResponse,
+  GetAccessStatusResponse,
+  GetUserAccessScheduleParams,
+  GetUserAccessScheduleResponse,
+  UpdateUserAccessScheduleBody,
+  UpdateUserAccessOverrideBody,
+  UpdateUserAccessResponse,
+  CreateStreamTokenResponse,
+} from "@peek/shared-types/api/accessSchedule.js";
+
+// Search types
+export type {
+  SearchEntityType,
+  SearchHit,
+  SearchResultGroup,
+  SearchQueryParams,
+  SearchResponse,
+} from "@peek/shared-types/api/search.js";
+
+// Folder browsing types
+export type {
+  FolderEntityType,
+  FolderNode,
+  FolderBreadcrumb,
+  FolderListQueryParams,
+  FolderListResponse,
+  FolderFilter,
+} from "@peek/shared-types/api/folders.js";
+
 // Ratings endpoint types
 export type {
   UpdateRatingRequest,
@@ -175,16 +396,35 @@ export type {
   HighlightImage,
   HighlightPerformer,
   UserStatsResponse,
+  StatsGranularity,
+  ActivityTotals,
+  TimeSeriesPoint,
+  GetTimeSeriesQuery,
+  GetTimeSeriesResponse,
+  HeatmapDay,
+  StreakStats,
+  GetActivityQuery,
+  GetActivityResponse,
+  TrendEntityType,
+  TrendMetric,
+  TrendSeries,
+  GetTrendsQuery,
+  GetTrendsResponse,
+  YearInReviewItem,
+  GetYearInReviewQuery,
+  GetYearInReviewResponse,
 } from "@peek/shared-types/api/userStats.js";
 
 // Download endpoint types
 export type {
+  PlaylistZipLayout,
   SerializedDownload,
   StartSceneDownloadParams,
   StartSceneDownloadResponse,
   StartImageDownloadParams,
   StartImageDownloadResponse,
   StartPlaylistDownloadParams,
+  StartPlaylistDownloadBody,
   StartPlaylistDownloadResponse,
   GetUserDownloadsResponse,
   GetDownloadStatusParams,
@@ -194,6 +434,17 @@ export type {
   DeleteDownloadResponse,
   RetryDownloadParams,
   RetryDownloadResponse,
+  DownloadPriority,
+  DownloadUsage,
+  DownloadQueueActionParams,
+  DownloadQueueActionResponse,
+  UpdateDownloadPriorityParams,
+  UpdateDownloadPriorityBody,
+  UpdateDownloadPriorityResponse,
+  DownloadSettingsData,
+  GetDownloadSettingsResponse,
+  UpdateDownloadSettingsBody,
+  UpdateDownloadSettingsResponse,
 } from "@peek/shared-types/api/download.js";
 
 // User Groups endpoint types (user groups, not Stash groups)
@@ -271,6 +522,7 @@ export type {
   FindSimilarScenesResponse,
   GetRecommendedScenesQuery,
   GetRecommendedScenesResponse,
+  RecommendationReason,
   UpdateSceneParams,
   UpdateSceneRequest,
   UpdateSceneResponse,
@@ -351,11 +603,15 @@ export type {
   UpdatePlaylistSharesRequest,
   UpdatePlaylistSharesResponse,
   DuplicatePlaylistResponse,
+  PlaylistType,
+  RefreshSmartPlaylistParams,
+  RefreshSmartPlaylistResponse,
 } from "./playlist.js";
 
 // Carousel endpoint types
 export type {
   CarouselData,
+  CarouselRules,
   GetUserCarouselsResponse,
   GetCarouselParams,
   GetCarouselResponse,
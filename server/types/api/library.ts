@@ -65,13 +65,28 @@ export interface FindSimilarScenesResponse {
 export interface GetRecommendedScenesQuery extends Record<string, string | undefined> {
   page?: string;
   per_page?: string;
+  /** "session" recommends only from the latest viewing session */
+  mode?: string;
+  /** IANA timezone of the viewer, for time-of-day affinity (default UTC) */
+  timezone?: string;
 }
 
+/**
+ * Main reason a scene was recommended
+ */
+export type RecommendationReason =
+  | { type: "session"; sceneId: string; title: string }
+  | { type: "time-of-day"; daypart: "night" | "morning" | "afternoon" | "evening"; weekend: boolean }
+  | { type: "performer" | "studio" | "tag"; id: string; name: string }
+  | { type: "history" };
+
 export interface GetRecommendedScenesResponse {
   scenes: NormalizedScene[];
   count: number;
   page: number;
   perPage: number;
+  /** Why each returned scene was recommended, by scene ID */
+  reasons?: Record<string, RecommendationReason>;
   message?: string;
   criteria?: {
     favoritedPerformers: number;
@@ -422,6 +437,8 @@ export interface PeekImageFilter {
   date?: { value?: string; value2?: string; modifier?: string };
   created_at?: { value?: string; value2?: string; modifier?: string };
   updated_at?: { value?: string; value2?: string; modifier?: string };
+  // Only images whose file lies below this folder on disk
+  folder?: { path: string; instanceId?: string };
 }
 
 /**
@@ -0,0 +1,17 @@
+// Re-exporting stub — canonical definitions live in shared/types/api/metadataEdits.ts
+export type {
+  MetadataEditEntityType,
+  MetadataEditStatus,
+  MetadataEditFieldAllowlist,
+  MetadataEditEntry,
+  PendingMetadataEditResponse,
+  GetMetadataEditsQuery,
+  GetMetadataEditsResponse,
+  MetadataEditParams,
+  GetMetadataEditResponse,
+  ReviewMetadataEditBody,
+  ReviewMetadataEditResponse,
+  GetMyMetadataEditsResponse,
+  MetadataEditHistoryParams,
+  GetMetadataEditHistoryResponse,
+} from "@peek/shared-types/api/metadataEdits.js";
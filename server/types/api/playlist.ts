@@ -4,8 +4,10 @@
  *
  * Request and response types for /api/playlists/* endpoints.
  */
+import type { JsonValue } from "@prisma/client/runtime/library";
 import type { Scene } from "../../graphql/types.js";
 import type { NormalizedScene } from "../index.js";
+import type { CarouselRules } from "./carousel.js";
 
 // =============================================================================
 // COMMON TYPES
@@ -33,6 +35,11 @@ export interface PlaylistPreviewItem {
   scene?: Partial<Scene> | NormalizedScene | null;
 }
 
+/**
+ * "static" playlists are hand-curated; "smart" playlists are a live scene query
+ */
+export type PlaylistType = "static" | "smart";
+
 /**
  * Playlist with item count and optional items
  * Uses Partial for optional fields since not all queries return all data
@@ -47,6 +54,12 @@ export interface PlaylistData {
   repeat: string;
   createdAt: Date;
   updatedAt: Date;
+  type?: string;
+  rules?: JsonValue;
+  sort?: string | null;
+  direction?: string | null;
+  itemLimit?: number | null;
+  lastRefreshedAt?: Date | null;
   _count?: {
     items: number;
   };
@@ -96,6 +109,12 @@ export interface CreatePlaylistRequest {
   name: string;
   description?: string;
   isPublic?: boolean;
+  type?: PlaylistType;
+  // Smart playlist definition (required when type is "smart"), same format as carousel rules
+  rules?: CarouselRules;
+  sort?: string;
+  direction?: string;
+  itemLimit?: number | null;
 }
 
 export interface CreatePlaylistResponse {
@@ -120,6 +139,11 @@ export interface UpdatePlaylistRequest {
   isPublic?: boolean;
   shuffle?: boolean;
   repeat?: string;
+  // Smart playlist definition (ignored for static playlists)
+  rules?: CarouselRules;
+  sort?: string;
+  direction?: string;
+  itemLimit?: number | null;
 }
 
 export interface UpdatePlaylistResponse {
@@ -226,6 +250,7 @@ export interface SharedPlaylistData {
   id: number;
   name: string;
   description: string | null;
+  type: string;
   sceneCount: number;
   owner: { id: number; username: string };
   sharedViaGroups: string[];
@@ -283,3 +308,20 @@ export interface UpdatePlaylistSharesResponse {
 export interface DuplicatePlaylistResponse {
   playlist: PlaylistData;
 }
+
+// =============================================================================
+// REFRESH SMART PLAYLIST
+// =============================================================================
+
+/**
+ * POST /api/playlists/:id/refresh
+ * Re-evaluate a smart playlist's rules and rebuild its items
+ */
+export interface RefreshSmartPlaylistParams extends Record<string, string> {
+  id: string;
+}
+
+export interface RefreshSmartPlaylistResponse {
+  success: true;
+  itemCount: number;
+}
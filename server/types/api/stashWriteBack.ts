@@ -0,0 +1,14 @@
+// Re-exporting stub — canonical definitions live in shared/types/api/stashWriteBack.ts
+export type {
+  StashWriteBackEntityType,
+  StashWriteBackConflictPolicy,
+  StashWriteBackSettingsData,
+  UpdateStashWriteBackSettingsBody,
+  UpdateStashWriteBackSettingsResponse,
+  StashWriteBackValues,
+  StashWriteBackPendingItem,
+  StashWriteBackConflictEntry,
+  GetStashWriteBackResponse,
+  RetryStashWriteBackResponse,
+  DiscardStashWriteBackParams,
+} from "@peek/shared-types/api/stashWriteBack.js";
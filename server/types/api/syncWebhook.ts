@@ -0,0 +1,16 @@
+// Re-exporting stub — canonical definitions live in shared/types/api/syncWebhook.ts
+export type {
+  SyncWebhookEntityType,
+  SyncWebhookAction,
+  SyncWebhookEvent,
+  SyncWebhookLogEvent,
+  SyncWebhookLogStatus,
+  SyncWebhookBody,
+  SyncWebhookResponse,
+  SyncWebhookInstance,
+  GetSyncWebhookInstancesResponse,
+  RegenerateSyncWebhookSecretResponse,
+  ClearSyncWebhookSecretResponse,
+  SyncWebhookLogEntry,
+  GetSyncWebhookLogResponse,
+} from "@peek/shared-types/api/syncWebhook.js";
@@ -0,0 +1,11 @@
+// Re-exporting stub — canonical definitions live in shared/types/api/transcode.ts
+export type {
+  TranscodeQuality,
+  TranscodeSettingsData,
+  GetTranscodeSettingsResponse,
+  UpdateTranscodeSettingsBody,
+  UpdateTranscodeSettingsResponse,
+  TranscodeJobData,
+  GetTranscodeJobsResponse,
+  StopTranscodeJobParams,
+} from "@peek/shared-types/api/transcode.js";
@@ -0,0 +1,32 @@
+// Re-exporting stub — canonical definitions live in shared/types/api/twoFactor.ts
+export type {
+  TwoFactorMethod,
+  WebAuthnCredentialData,
+  TwoFactorStatus,
+  WebAuthnCredentialDescriptorJSON,
+  WebAuthnRegistrationOptionsJSON,
+  WebAuthnAuthenticationOptionsJSON,
+  WebAuthnRegistrationResponseJSON,
+  WebAuthnAuthenticationResponseJSON,
+  TotpSetupData,
+  TwoFactorChallengeResponse,
+  TwoFactorSetupRequiredResponse,
+  VerifyTwoFactorLoginBody,
+  WebAuthnLoginOptionsBody,
+  WebAuthnLoginOptionsResponse,
+  VerifyWebAuthnLoginBody,
+  BeginLoginTotpSetupBody,
+  ConfirmLoginTotpSetupBody,
+  GetTwoFactorStatusResponse,
+  BeginTotpSetupResponse,
+  ConfirmTotpSetupBody,
+  ConfirmTotpSetupResponse,
+  TwoFactorPasswordBody,
+  RegenerateBackupCodesResponse,
+  WebAuthnRegistrationOptionsResponse,
+  RegisterWebAuthnCredentialBody,
+  RegisterWebAuthnCredentialResponse,
+  DeleteWebAuthnCredentialParams,
+  TwoFactorStatusResponse,
+  AdminResetTwoFactorParams,
+} from "@peek/shared-types/api/twoFactor.js";
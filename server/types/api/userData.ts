@@ -0,0 +1,21 @@
+// Re-exporting stub — canonical definitions live in shared/types/api/userData.ts
+export type {
+  UserDataEntityType,
+  UserDataEntityRef,
+  UserDataPreferences,
+  UserDataRating,
+  UserDataWatchHistory,
+  UserDataImageView,
+  UserDataPlaylist,
+  UserDataCarousel,
+  UserDataCustomTheme,
+  UserDataHiddenEntity,
+  UserDataArchive,
+  UserDataImportMode,
+  UserDataSection,
+  UserDataImportBody,
+  UserDataSectionReport,
+  UserDataImportConflict,
+  UserDataImportResponse,
+  UserDataUserParams,
+} from "@peek/shared-types/api/userData.js";
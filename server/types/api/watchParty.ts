@@ -0,0 +1,12 @@
+// Re-exporting stub — canonical definitions live in shared/types/api/watchParty.ts
+export type {
+  WatchPartyAction,
+  WatchPartyParticipant,
+  WatchPartyState,
+  WatchPartyStreamEvent,
+  CreateWatchPartyBody,
+  WatchPartyResponse,
+  WatchPartyParams,
+  LeaveWatchPartyResponse,
+  WatchPartyControlBody,
+} from "@peek/shared-types/api/watchParty.js";
@@ -7,6 +7,9 @@
  * Entity reference arrays use InstanceAwareId[] to enforce composite key
  * format ("entityId:instanceId") at compile time, preventing multi-instance
  * collision bugs (#361, #368, #390, #400, #401).
+ *
+ * Every filter can carry a nested AND/OR/NOT rule group in `filter_group`,
+ * which is ANDed with the filter's other criteria.
  */
 import type {
   GalleryFilterType as BaseGalleryFilterType,
@@ -17,6 +20,8 @@ import type {
   TagFilterType as BaseTagFilterType,
 } from "../graphql/types.js";
 import type { InstanceAwareId } from "@peek/shared-types/instanceAwareId.js";
+import type { FolderFilter } from "@peek/shared-types/api/folders.js";
+import type { FilterRuleGroup } from "@peek/shared-types/filterRules.js";
 
 /** Entity reference filter field with branded composite keys */
 export interface EntityRefFilter {
@@ -30,6 +35,7 @@ export interface EntityRefFilter {
  * Entity reference fields override base types with InstanceAwareId[].
  */
 export type PeekSceneFilter = BaseSceneFilterType & {
+  filter_group?: FilterRuleGroup<PeekSceneFilter>;
   ids?: EntityRefFilter;
   performers?: EntityRefFilter;
   tags?: EntityRefFilter;
@@ -42,6 +48,8 @@ export type PeekSceneFilter = BaseSceneFilterType & {
   tag_favorite?: boolean;
   performer_favorite?: boolean;
   instance_id?: string;
+  /** Only scenes whose file lies below this folder on disk */
+  folder?: FolderFilter;
 };
 
 /**
@@ -50,6 +58,7 @@ export type PeekSceneFilter = BaseSceneFilterType & {
  * Entity reference fields override base types with InstanceAwareId[].
  */
 export type PeekPerformerFilter = BasePerformerFilterType & {
+  filter_group?: FilterRuleGroup<PeekPerformerFilter>;
   ids?: EntityRefFilter;
   tags?: EntityRefFilter;
   favorite?: boolean;
@@ -80,6 +89,7 @@ export type PeekPerformerFilter = BasePerformerFilterType & {
  * Adds custom Peek filter fields to base Stash studio filters.
  */
 export type PeekStudioFilter = BaseStudioFilterType & {
+  filter_group?: FilterRuleGroup<PeekStudioFilter>;
   ids?: EntityRefFilter;
   favorite?: boolean;
   instance_id?: string;
@@ -92,6 +102,7 @@ export type PeekStudioFilter = BaseStudioFilterType & {
  * Adds custom Peek filter fields to base Stash tag filters.
  */
 export type PeekTagFilter = BaseTagFilterType & {
+  filter_group?: FilterRuleGroup<PeekTagFilter>;
   ids?: EntityRefFilter;
   favorite?: boolean;
   instance_id?: string;
@@ -113,6 +124,7 @@ export type PeekTagFilter = BaseTagFilterType & {
  * Adds custom Peek filter fields to base Stash gallery filters.
  */
 export type PeekGalleryFilter = BaseGalleryFilterType & {
+  filter_group?: FilterRuleGroup<PeekGalleryFilter>;
   ids?: EntityRefFilter;
   performers?: EntityRefFilter;
   tags?: EntityRefFilter;
@@ -121,6 +133,8 @@ export type PeekGalleryFilter = BaseGalleryFilterType & {
   instance_id?: string;
   hasFavoriteImage?: boolean;
   scenes?: EntityRefFilter;
+  /** Only galleries whose folder lies below this folder on disk */
+  folder?: FolderFilter;
 };
 
 /**
@@ -128,6 +142,7 @@ export type PeekGalleryFilter = BaseGalleryFilterType & {
  * Adds custom Peek filter fields to base Stash group filters.
  */
 export type PeekGroupFilter = BaseGroupFilterType & {
+  filter_group?: FilterRuleGroup<PeekGroupFilter>;
   ids?: EntityRefFilter;
   tags?: EntityRefFilter;
   studios?: EntityRefFilter;
@@ -0,0 +1,22 @@
+import type { Request } from "express";
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix so a client has one address
+ */
+export function normalizeAddress(address: string): string {
+  return address.startsWith("::ffff:") ? address.slice("::ffff:".length) : address;
+}
+
+/**
+ * Address of the client that made the request. Behind the bundled nginx
+ * every request comes from loopback, so the forwarded X-Real-IP is used
+ * instead; other proxies are handled by Express's TRUST_PROXY setting.
+ */
+export function getClientAddress(req: Pick<Request, "ip" | "socket" | "get">): string {
+  const peer = normalizeAddress(req.socket.remoteAddress ?? "");
+  const realIp = req.get("x-real-ip");
+  if (realIp && (peer === "127.0.0.1" || peer === "::1")) {
+    return normalizeAddress(realIp.trim());
+  }
+  return normalizeAddress(req.ip ?? peer);
+}
@@ -0,0 +1,386 @@
+/**
+ * XML builders for the DLNA media server: UPnP device description, service
+ * descriptions (SCPD), SOAP envelopes and DIDL-Lite browse results.
+ *
+ * Renderers are picky about namespaces and formatting but only need a small,
+ * fixed vocabulary, so these are plain string templates rather than a
+ * general-purpose XML library.
+ */
+import path from "path";
+
+export const MEDIA_SERVER_DEVICE_TYPE = "urn:schemas-upnp-org:device:MediaServer:1";
+export const CONTENT_DIRECTORY_SERVICE_TYPE = "urn:schemas-upnp-org:service:ContentDirectory:1";
+export const CONNECTION_MANAGER_SERVICE_TYPE = "urn:schemas-upnp-org:service:ConnectionManager:1";
+
+/** Path prefix the DLNA router is mounted under */
+export const DLNA_PATH = "/api/dlna";
+
+/** UPnP error codes used in SOAP faults */
+export const UPNP_ERROR = {
+  INVALID_ACTION: 401,
+  INVALID_ARGS: 402,
+  ACTION_FAILED: 501,
+  NO_SUCH_OBJECT: 701,
+} as const;
+
+/**
+ * DLNA flags for plain HTTP streams: byte-range seeking (OP=01), streaming
+ * transfer mode, DLNA 1.5 versioning.
+ */
+export const DLNA_CONTENT_FEATURES =
+  "DLNA.ORG_OP=01;DLNA.ORG_CI=0;DLNA.ORG_FLAGS=01700000000000000000000000000000";
+
+const VIDEO_MIME_TYPES: Record<string, string> = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mkv": "video/x-matroska",
+  ".webm": "video/webm",
+  ".avi": "video/x-msvideo",
+  ".wmv": "video/x-ms-wmv",
+  ".mov": "video/quicktime",
+  ".mpg": "video/mpeg",
+  ".mpeg": "video/mpeg",
+  ".ts": "video/mp2t",
+  ".m2ts": "video/mp2t",
+  ".flv": "video/x-flv",
+};
+
+/**
+ * Escape text for use in XML content or attribute values
+ */
+export function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function unescapeXml(value: string): string {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Guess the MIME type of a video file from its extension
+ */
+export function videoMimeType(filePath: string | null | undefined): string {
+  const ext = path.extname(filePath || "").toLowerCase();
+  return VIDEO_MIME_TYPES[ext] ?? "video/mpeg";
+}
+
+/**
+ * Format seconds as a DIDL-Lite duration (H:MM:SS.mmm)
+ */
+export function formatDidlDuration(seconds: number): string {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${h}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}.${String(ms).padStart(3, "0")}`;
+}
+
+// ============================================================================
+// DEVICE AND SERVICE DESCRIPTIONS
+// ============================================================================
+
+/**
+ * Root device description served at the SSDP LOCATION URL
+ */
+export function renderDeviceDescription(options: {
+  friendlyName: string;
+  deviceUuid: string;
+  version: string;
+}): string {
+  const service = (type: string, name: string) => `
+      <service>
+        <serviceType>${type}</serviceType>
+        <serviceId>urn:upnp-org:serviceId:${name}</serviceId>
+        <SCPDURL>${DLNA_PATH}/${name}.xml</SCPDURL>
+        <controlURL>${DLNA_PATH}/control/${name}</controlURL>
+        <eventSubURL>${DLNA_PATH}/event/${name}</eventSubURL>
+      </service>`;
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<root xmlns="urn:schemas-upnp-org:device-1-0" xmlns:dlna="urn:schemas-dlna-org:device-1-0">
+  <specVersion><major>1</major><minor>0</minor></specVersion>
+  <device>
+    <deviceType>${MEDIA_SERVER_DEVICE_TYPE}</deviceType>
+    <friendlyName>${escapeXml(options.friendlyName)}</friendlyName>
+    <manufacturer>Peek</manufacturer>
+    <manufacturerURL>https://github.com/carrotwaxr/peek-stash-browser</manufacturerURL>
+    <modelName>Peek Stash Browser</modelName>
+    <modelNumber>${escapeXml(options.version)}</modelNumber>
+    <UDN>uuid:${options.deviceUuid}</UDN>
+    <dlna:X_DLNADOC>DMS-1.50</dlna:X_DLNADOC>
+    <serviceList>${service(CONTENT_DIRECTORY_SERVICE_TYPE, "ContentDirectory")}${service(CONNECTION_MANAGER_SERVICE_TYPE, "ConnectionManager")}
+    </serviceList>
+  </device>
+</root>
+`;
+}
+
+interface ScpdArgument {
+  name: string;
+  direction: "in" | "out";
+  variable: string;
+}
+
+interface ScpdStateVariable {
+  name: string;
+  dataType: string;
+  allowed?: string[];
+}
+
+function renderScpd(
+  actions: Record<string, ScpdArgument[]>,
+  variables: ScpdStateVariable[]
+): string {
+  const actionXml = Object.entries(actions)
+    .map(
+      ([name, args]) => `
+    <action>
+      <name>${name}</name>
+      <argumentList>${args
+        .map(
+          (arg) => `
+        <argument><name>${arg.name}</name><direction>${arg.direction}</direction><relatedStateVariable>${arg.variable}</relatedStateVariable></argument>`
+        )
+        .join("")}
+      </argumentList>
+    </action>`
+    )
+    .join("");
+
+  const variableXml = variables
+    .map((v) => {
+      const allowed = v.allowed
+        ? `<allowedValueList>${v.allowed.map((a) => `<allowedValue>${a}</allowedValue>`).join("")}</allowedValueList>`
+        : "";
+      return `
+    <stateVariable sendEvents="no"><name>${v.name}</name><dataType>${v.dataType}</dataType>${allowed}</stateVariable>`;
+    })
+    .join("");
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<scpd xmlns="urn:schemas-upnp-org:service-1-0">
+  <specVersion><major>1</major><minor>0</minor></specVersion>
+  <actionList>${actionXml}
+  </actionList>
+  <serviceStateTable>${variableXml}
+  </serviceStateTable>
+</scpd>
+`;
+}
+
+export const CONTENT_DIRECTORY_SCPD = renderScpd(
+  {
+    Browse: [
+      { name: "ObjectID", direction: "in", variable: "A_ARG_TYPE_ObjectID" },
+      { name: "BrowseFlag", direction: "in", variable: "A_ARG_TYPE_BrowseFlag" },
+      { name: "Filter", direction: "in", variable: "A_ARG_TYPE_Filter" },
+      { name: "StartingIndex", direction: "in", variable: "A_ARG_TYPE_Index" },
+      { name: "RequestedCount", direction: "in", variable: "A_ARG_TYPE_Count" },
+      { name: "SortCriteria", direction: "in", variable: "A_ARG_TYPE_SortCriteria" },
+      { name: "Result", direction: "out", variable: "A_ARG_TYPE_Result" },
+      { name: "NumberReturned", direction: "out", variable: "A_ARG_TYPE_Count" },
+      { name: "TotalMatches", direction: "out", variable: "A_ARG_TYPE_Count" },
+      { name: "UpdateID", direction: "out", variable: "A_ARG_TYPE_UpdateID" },
+    ],
+    GetSearchCapabilities: [
+      { name: "SearchCaps", direction: "out", variable: "SearchCapabilities" },
+    ],
+    GetSortCapabilities: [
+      { name: "SortCaps", direction: "out", variable: "SortCapabilities" },
+    ],
+    GetSystemUpdateID: [
+      { name: "Id", direction: "out", variable: "SystemUpdateID" },
+    ],
+  },
+  [
+    { name: "A_ARG_TYPE_ObjectID", dataType: "string" },
+    { name: "A_ARG_TYPE_BrowseFlag", dataType: "string", allowed: ["BrowseMetadata", "BrowseDirectChildren"] },
+    { name: "A_ARG_TYPE_Filter", dataType: "string" },
+    { name: "A_ARG_TYPE_Index", dataType: "ui4" },
+    { name: "A_ARG_TYPE_Count", dataType: "ui4" },
+    { name: "A_ARG_TYPE_SortCriteria", dataType: "string" },
+    { name: "A_ARG_TYPE_Result", dataType: "string" },
+    { name: "A_ARG_TYPE_UpdateID", dataType: "ui4" },
+    { name: "SearchCapabilities", dataType: "string" },
+    { name: "SortCapabilities", dataType: "string" },
+    { name: "SystemUpdateID", dataType: "ui4" },
+  ]
+);
+
+export const CONNECTION_MANAGER_SCPD = renderScpd(
+  {
+    GetProtocolInfo: [
+      { name: "Source", direction: "out", variable: "SourceProtocolInfo" },
+      { name: "Sink", direction: "out", variable: "SinkProtocolInfo" },
+    ],
+    GetCurrentConnectionIDs: [
+      { name: "ConnectionIDs", direction: "out", variable: "CurrentConnectionIDs" },
+    ],
+    GetCurrentConnectionInfo: [
+      { name: "ConnectionID", direction: "in", variable: "A_ARG_TYPE_ConnectionID" },
+      { name: "RcsID", direction: "out", variable: "A_ARG_TYPE_RcsID" },
+      { name: "AVTransportID", direction: "out", variable: "A_ARG_TYPE_AVTransportID" },
+      { name: "ProtocolInfo", direction: "out", variable: "A_ARG_TYPE_ProtocolInfo" },
+      { name: "PeerConnectionManager", direction: "out", variable: "A_ARG_TYPE_ConnectionManager" },
+      { name: "PeerConnectionID", direction: "out", variable: "A_ARG_TYPE_ConnectionID" },
+      { name: "Direction", direction: "out", variable: "A_ARG_TYPE_Direction" },
+      { name: "Status", direction: "out", variable: "A_ARG_TYPE_ConnectionStatus" },
+    ],
+  },
+  [
+    { name: "SourceProtocolInfo", dataType: "string" },
+    { name: "SinkProtocolInfo", dataType: "string" },
+    { name: "CurrentConnectionIDs", dataType: "string" },
+    { name: "A_ARG_TYPE_ConnectionID", dataType: "i4" },
+    { name: "A_ARG_TYPE_RcsID", dataType: "i4" },
+    { name: "A_ARG_TYPE_AVTransportID", dataType: "i4" },
+    { name: "A_ARG_TYPE_ProtocolInfo", dataType: "string" },
+    { name: "A_ARG_TYPE_ConnectionManager", dataType: "string" },
+    { name: "A_ARG_TYPE_Direction", dataType: "string", allowed: ["Input", "Output"] },
+    { name: "A_ARG_TYPE_ConnectionStatus", dataType: "string", allowed: ["OK", "ContentFormatMismatch", "InsufficientBandwidth", "UnreliableChannel", "Unknown"] },
+  ]
+);
+
+/**
+ * Protocol info advertised by ConnectionManager.GetProtocolInfo
+ */
+export const SOURCE_PROTOCOL_INFO = [...new Set(Object.values(VIDEO_MIME_TYPES))]
+  .map((mime) => `http-get:*:${mime}:*`)
+  .join(",");
+
+// ============================================================================
+// SOAP
+// ============================================================================
+
+/**
+ * Split a SOAPACTION header ("urn:...:ContentDirectory:1#Browse") into
+ * service type and action name
+ */
+export function parseSoapAction(
+  header: string | undefined
+): { serviceType: string; action: string } | null {
+  if (!header) return null;
+  const match = header.trim().replace(/^"|"$/g, "").match(/^(.+)#(\w+)$/);
+  return match ? { serviceType: match[1] as string, action: match[2] as string } : null;
+}
+
+/**
+ * Read a named argument from a SOAP request body.
+ * Returns undefined when the argument is absent.
+ */
+export function readSoapArgument(body: string, name: string): string | undefined {
+  const match = body.match(
+    new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>|<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?/>`)
+  );
+  if (!match) return undefined;
+  return unescapeXml(match[1] ?? "");
+}
+
+/**
+ * SOAP response envelope for a successful action
+ */
+export function renderSoapResponse(
+  serviceType: string,
+  action: string,
+  values: Record<string, string | number>
+): string {
+  const fields = Object.entries(values)
+    .map(([key, value]) => `<${key}>${escapeXml(String(value))}</${key}>`)
+    .join("");
+  return `<?xml version="1.0" encoding="utf-8"?>
+<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/"><s:Body><u:${action}Response xmlns:u="${serviceType}">${fields}</u:${action}Response></s:Body></s:Envelope>`;
+}
+
+/**
+ * SOAP fault envelope carrying a UPnP error (sent with HTTP 500)
+ */
+export function renderSoapFault(code: number, description: string): string {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/"><s:Body><s:Fault><faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring><detail><UPnPError xmlns="urn:schemas-upnp-org:control-1-0"><errorCode>${code}</errorCode><errorDescription>${escapeXml(description)}</errorDescription></UPnPError></detail></s:Fault></s:Body></s:Envelope>`;
+}
+
+// ============================================================================
+// DIDL-LITE
+// ============================================================================
+
+export interface DidlContainer {
+  kind: "container";
+  id: string;
+  parentId: string;
+  title: string;
+  childCount?: number;
+  artUrl?: string | null;
+}
+
+export interface DidlItem {
+  kind: "item";
+  id: string;
+  parentId: string;
+  title: string;
+  date?: string | null;
+  description?: string | null;
+  artUrl?: string | null;
+  resource: {
+    url: string;
+    mimeType: string;
+    size?: number | null;
+    duration?: number | null;
+    width?: number | null;
+    height?: number | null;
+    bitrate?: number | null;
+  };
+}
+
+export type DidlObject = DidlContainer | DidlItem;
+
+function renderArt(url: string | null | undefined): string {
+  return url
+    ? `<upnp:albumArtURI dlna:profileID="JPEG_TN">${escapeXml(url)}</upnp:albumArtURI>`
+    : "";
+}
+
+function renderContainer(container: DidlContainer): string {
+  const childCount =
+    container.childCount !== undefined ? ` childCount="${container.childCount}"` : "";
+  return `<container id="${escapeXml(container.id)}" parentID="${escapeXml(container.parentId)}" restricted="1" searchable="0"${childCount}><dc:title>${escapeXml(container.title)}</dc:title><upnp:class>object.container.storageFolder</upnp:class>${renderArt(container.artUrl)}</container>`;
+}
+
+function renderItem(item: DidlItem): string {
+  const { resource } = item;
+  const attrs = [
+    `protocolInfo="http-get:*:${resource.mimeType}:${DLNA_CONTENT_FEATURES}"`,
+  ];
+  if (resource.size) attrs.push(`size="${resource.size}"`);
+  if (resource.duration) attrs.push(`duration="${formatDidlDuration(resource.duration)}"`);
+  if (resource.width && resource.height) attrs.push(`resolution="${resource.width}x${resource.height}"`);
+  // DIDL-Lite bitrate is bytes per second
+  if (resource.bitrate) attrs.push(`bitrate="${Math.round(resource.bitrate / 8)}"`);
+
+  const date = item.date ? `<dc:date>${escapeXml(item.date)}</dc:date>` : "";
+  const description = item.description
+    ? `<dc:description>${escapeXml(item.description)}</dc:description>`
+    : "";
+
+  return `<item id="${escapeXml(item.id)}" parentID="${escapeXml(item.parentId)}" restricted="1"><dc:title>${escapeXml(item.title)}</dc:title><upnp:class>object.item.videoItem</upnp:class>${date}${description}${renderArt(item.artUrl)}<res ${attrs.join(" ")}>${escapeXml(resource.url)}</res></item>`;
+}
+
+/**
+ * Render browse results as a DIDL-Lite document
+ */
+export function renderDidl(objects: DidlObject[]): string {
+  const body = objects
+    .map((object) => (object.kind === "container" ? renderContainer(object) : renderItem(object)))
+    .join("");
+  return `<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/" xmlns:dlna="urn:schemas-dlna-org:metadata-1-0/">${body}</DIDL-Lite>`;
+}
@@ -8,6 +8,25 @@ export interface SceneNfoInput {
   performerNames: string[];
   tagNames: string[];
   fileName?: string;
+  director?: string | null;
+  /** Written as <set> so media centers group the playlist's scenes */
+  setName?: string | null;
+  /** Image path per performer name, relative to the NFO */
+  performerThumbs?: Record<string, string>;
+  /** Artwork file names next to the NFO */
+  poster?: string | null;
+  fanart?: string | null;
+  /** Primary file details for <fileinfo> */
+  file?: SceneNfoFileInfo;
+}
+
+export interface SceneNfoFileInfo {
+  videoCodec?: string | null;
+  audioCodec?: string | null;
+  width?: number | null;
+  height?: number | null;
+  /** Seconds */
+  duration?: number | null;
 }
 
 function escapeXml(text: string | null | undefined): string {
@@ -38,12 +57,18 @@ export function generateSceneNfo(scene: SceneNfoInput): string {
   let performersXml = "";
   scene.performerNames.forEach((name, index) => {
     const escapedName = escapeXml(name);
+    const thumb = scene.performerThumbs?.[name];
     performersXml += `
     <actor>
         <name>${escapedName}</name>
         <role>${escapedName}</role>
         <order>${index}</order>
-        <type>Actor</type>
+        <type>Actor</type>${
+          thumb
+            ? `
+        <thumb>${escapeXml(thumb)}</thumb>`
+            : ""
+        }
     </actor>`;
   });
 
@@ -54,6 +79,32 @@ export function generateSceneNfo(scene: SceneNfoInput): string {
     <tag>${escapeXml(tag)}</tag>`;
   });
 
+  let optionalXml = "";
+  if (scene.director) {
+    optionalXml += `
+    <director>${escapeXml(scene.director)}</director>`;
+  }
+  if (scene.setName) {
+    optionalXml += `
+    <set>
+        <name>${escapeXml(scene.setName)}</name>
+    </set>`;
+  }
+  if (scene.poster) {
+    optionalXml += `
+    <thumb aspect="poster">${escapeXml(scene.poster)}</thumb>`;
+  }
+  if (scene.fanart) {
+    optionalXml += `
+    <fanart>
+        <thumb>${escapeXml(scene.fanart)}</thumb>
+    </fanart>`;
+  }
+  if (scene.file?.duration) {
+    optionalXml += `
+    <runtime>${Math.round(scene.file.duration / 60)}</runtime>`;
+  }
+
   return `<?xml version="1.0" encoding="utf-8" standalone="yes"?>
 <movie>
     <name>${escapeXml(title)}</name>
@@ -69,6 +120,50 @@ export function generateSceneNfo(scene: SceneNfoInput): string {
     <year>${year}</year>
     <studio>${escapeXml(studio)}</studio>${performersXml}
     <genre>Adult</genre>${tagsXml}
-    <uniqueid type="stash">${scene.id}</uniqueid>
+    <uniqueid type="stash">${scene.id}</uniqueid>${optionalXml}${generateFileInfo(scene.file)}
 </movie>`;
 }
+
+/**
+ * Kodi <fileinfo> stream details, so media centers show resolution and
+ * codecs without probing the file
+ */
+function generateFileInfo(file: SceneNfoFileInfo | undefined): string {
+  if (!file) return "";
+
+  let videoXml = "";
+  if (file.videoCodec) {
+    videoXml += `
+                <codec>${escapeXml(file.videoCodec)}</codec>`;
+  }
+  if (file.width && file.height) {
+    videoXml += `
+                <aspect>${(file.width / file.height).toFixed(2)}</aspect>
+                <width>${file.width}</width>
+                <height>${file.height}</height>`;
+  }
+  if (file.duration) {
+    videoXml += `
+                <durationinseconds>${Math.round(file.duration)}</durationinseconds>`;
+  }
+
+  let streamsXml = "";
+  if (videoXml) {
+    streamsXml += `
+            <video>${videoXml}
+            </video>`;
+  }
+  if (file.audioCodec) {
+    streamsXml += `
+            <audio>
+                <codec>${escapeXml(file.audioCodec)}</codec>
+            </audio>`;
+  }
+  if (!streamsXml) return "";
+
+  return `
+    <fileinfo>
+        <streamdetails>${streamsXml}
+        </streamdetails>
+    </fileinfo>`;
+}
@@ -0,0 +1,76 @@
+/**
+ * Perceptual hash helpers
+ *
+ * Stash stores a scene's phash as a 64-bit hex string, written without
+ * leading zeros. Copies of the same video hash within a few bits of each
+ * other, even when re-encoded or resized.
+ */
+
+// Stash's "high accuracy" duplicate threshold
+export const NEAR_DUPLICATE_DISTANCE = 4;
+
+const PHASH_PATTERN = /^[0-9a-f]{1,16}$/i;
+
+/**
+ * A phash as its high and low 32 bits, or null if it isn't a 64-bit hex value
+ */
+export function parsePhash(hash: string): [high: number, low: number] | null {
+  if (!PHASH_PATTERN.test(hash)) return null;
+  const padded = hash.padStart(16, "0");
+  return [parseInt(padded.slice(0, 8), 16), parseInt(padded.slice(8), 16)];
+}
+
+/** Set bits in a 32-bit value */
+export function popcount32(value: number): number {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Number of bits two phashes differ by, or null if either isn't a phash
+ */
+export function phashDistance(a: string, b: string): number | null {
+  const x = parsePhash(a);
+  const y = parsePhash(b);
+  if (!x || !y) return null;
+  return popcount32((x[0] ^ y[0]) >>> 0) + popcount32((x[1] ^ y[1]) >>> 0);
+}
+
+/**
+ * Whether any phash of one scene is within maxDistance of any phash of the other
+ */
+export function isNearDuplicate(
+  a: string[],
+  b: string[],
+  maxDistance: number = NEAR_DUPLICATE_DISTANCE
+): boolean {
+  return a.some((x) =>
+    b.some((y) => {
+      const distance = phashDistance(x, y);
+      return distance !== null && distance <= maxDistance;
+    })
+  );
+}
+
+/**
+ * All distinct phashes of a scene from StashScene.phash and the
+ * StashScene.phashes JSON array
+ */
+export function parseScenePhashes(phash: string | null, phashes: string | null): string[] {
+  const result = new Set<string>();
+  if (phash) result.add(phash);
+  if (phashes) {
+    try {
+      const parsed: unknown = JSON.parse(phashes);
+      if (Array.isArray(parsed)) {
+        for (const value of parsed) {
+          if (typeof value === "string" && value) result.add(value);
+        }
+      }
+    } catch {
+      // Invalid JSON, ignore
+    }
+  }
+  return [...result];
+}
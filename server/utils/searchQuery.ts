@@ -0,0 +1,101 @@
+/**
+ * Search box syntax to SQLite FTS5 queries
+ *
+ * Supported syntax:
+ * - `word`         words match by prefix ("ali" finds "Alice")
+ * - `"two words"`  phrases match exactly, in order
+ * - `-word`        leave out results matching the word or phrase
+ * - `a OR b`       either term; plain terms must all match
+ *
+ * Every term is quoted before it reaches FTS5, so punctuation and FTS5
+ * keywords in user input are never parsed as query syntax.
+ */
+
+export interface ParsedSearchQuery {
+  /** FTS5 expression results must match, or null if only negations were given */
+  include: string | null;
+  /** FTS5 expression results must not match, or null */
+  exclude: string | null;
+}
+
+interface Term {
+  text: string;
+  phrase: boolean;
+  negated: boolean;
+}
+
+// Terms beyond this are ignored; protects FTS5 from pathological input
+const MAX_TERMS = 20;
+
+// Terms without a letter or digit have no tokens to match and are dropped
+const SEARCHABLE = /[\p{L}\p{N}]/u;
+
+function tokenize(input: string): Array<Term | "OR"> {
+  const tokens: Array<Term | "OR"> = [];
+  const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(input)) !== null) {
+    if (match[3] !== undefined) {
+      const word = match[3];
+      if (word === "OR") {
+        tokens.push("OR");
+        continue;
+      }
+      const negated = word.startsWith("-") && word.length > 1;
+      // A trailing * is accepted but every word is a prefix anyway
+      const text = (negated ? word.slice(1) : word).replace(/\*+$/, "");
+      if (SEARCHABLE.test(text)) tokens.push({ text, phrase: false, negated });
+    } else {
+      const text = (match[2] ?? "").trim();
+      if (SEARCHABLE.test(text)) tokens.push({ text, phrase: true, negated: match[1] === "-" });
+    }
+  }
+  return tokens;
+}
+
+function toFts(term: Term): string {
+  const quoted = `"${term.text.replace(/"/g, '""')}"`;
+  return term.phrase ? quoted : `${quoted}*`;
+}
+
+/**
+ * Parse a search box query. Returns null when there's nothing to search for.
+ */
+export function parseSearchQuery(input: string | null | undefined): ParsedSearchQuery | null {
+  if (!input) return null;
+
+  const tokens = tokenize(input).slice(0, MAX_TERMS);
+
+  // Plain terms, grouped into runs joined by OR
+  const groups: Term[][] = [];
+  const negated: Term[] = [];
+  let joinNext = false;
+  for (const token of tokens) {
+    if (token === "OR") {
+      joinNext = groups.length > 0;
+      continue;
+    }
+    if (token.negated) {
+      negated.push(token);
+    } else if (joinNext) {
+      groups[groups.length - 1]?.push(token);
+    } else {
+      groups.push([token]);
+    }
+    joinNext = false;
+  }
+
+  if (groups.length === 0 && negated.length === 0) return null;
+
+  const include =
+    groups.length === 0
+      ? null
+      : groups
+          .map((group) =>
+            group.length === 1 ? toFts(group[0] as Term) : `(${group.map(toFts).join(" OR ")})`
+          )
+          .join(" AND ");
+  const exclude = negated.length === 0 ? null : negated.map(toFts).join(" OR ");
+
+  return { include, exclude };
+}
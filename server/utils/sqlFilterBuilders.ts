@@ -7,6 +7,8 @@
 
 import { parseEntityRef } from "@peek/shared-types/instanceAwareId.js";
 import type { InstanceAwareId } from "@peek/shared-types/instanceAwareId.js";
+import { validateFilterRuleGroup, type FilterRuleGroup } from "@peek/shared-types/filterRules.js";
+import { ValidationError } from "../middleware/errorHandler.js";
 
 export interface FilterClause {
   sql: string;
@@ -362,6 +364,59 @@ export function buildTextFilter(
   }
 }
 
+/**
+ * SQL expression for a file path with Windows separators turned into "/",
+ * so folder prefixes compare the same on every platform.
+ */
+export function normalizedPathSql(column: string): string {
+  return `REPLACE(${column}, '\\', '/')`;
+}
+
+/**
+ * Normalize a folder path the same way: forward slashes, no trailing slash.
+ * A bare "/" stays as is.
+ */
+export function normalizeFolderPath(path: string): string {
+  const normalized = path.replace(/\\/g, "/").replace(/\/+$/, "");
+  return normalized || (path.startsWith("/") || path.startsWith("\\") ? "/" : "");
+}
+
+/**
+ * Build a folder subtree filter: items whose path lies anywhere below the
+ * folder. Compares the path prefix case-sensitively (LIKE would fold case
+ * and treat "_" as a wildcard).
+ *
+ * @param folder - Folder path, optionally limited to one instance
+ * @param pathColumn - SQL path column (e.g. "s.filePath")
+ * @param instanceColumn - SQL instance column (e.g. "s.stashInstanceId")
+ */
+export function buildFolderFilter(
+  folder: { path?: string | null; instanceId?: string | null } | undefined | null,
+  pathColumn: string,
+  instanceColumn: string
+): FilterClause {
+  if (!folder?.path) {
+    return { sql: "", params: [] };
+  }
+
+  const folderPath = normalizeFolderPath(folder.path);
+  if (!folderPath) {
+    return { sql: "", params: [] };
+  }
+  const prefix = folderPath.endsWith("/") ? folderPath : `${folderPath}/`;
+  // SQLite substr() counts characters, not UTF-16 code units
+  const prefixLength = Array.from(prefix).length;
+
+  const conditions = [`substr(${normalizedPathSql(pathColumn)}, 1, ?) = ?`];
+  const params: (string | number)[] = [prefixLength, prefix];
+  if (folder.instanceId) {
+    conditions.push(`${instanceColumn} = ?`);
+    params.push(folder.instanceId);
+  }
+
+  return { sql: `(${conditions.join(" AND ")})`, params };
+}
+
 /**
  * Build a boolean favorite filter clause.
  * Filters on r.favorite column.
@@ -379,3 +434,75 @@ export function buildFavoriteFilter(favorite: boolean | undefined): FilterClause
     return { sql: "(r.favorite = 0 OR r.favorite IS NULL)", params: [] };
   }
 }
+
+/**
+ * Build a clause for a nested rule group.
+ * Each rule's filter is turned into clauses by the query builder's callback
+ * (its criteria are ANDed), and the children are joined with the group's
+ * operator. A rule or group that produces no SQL places no condition, so it
+ * matches every row: an AND group skips it, while an OR group containing it
+ * matches everything and itself produces no SQL. An empty result therefore
+ * means "no condition", including for an empty group.
+ *
+ * Negation wraps the group in `NOT COALESCE(..., 0)` so rows where the
+ * condition is unknown (e.g. a NULL last played date) count as not
+ * matching, and NOT keeps them. A negated group that places no condition
+ * matches nothing.
+ *
+ * Browse requests pass filters straight through, so the tree is checked
+ * against the nesting and size limits here.
+ *
+ * @param group - Rule group from a filter's filter_group field
+ * @param buildRule - Builds the WHERE clauses for one rule's filter; query
+ *   builders pass the same function they use for their top-level filters
+ * @throws ValidationError when the tree is malformed or too large
+ */
+export async function buildRuleGroupFilter<F>(
+  group: FilterRuleGroup<F>,
+  buildRule: (filter: F) => Promise<FilterClause[]> | FilterClause[]
+): Promise<FilterClause> {
+  const error = validateFilterRuleGroup(group);
+  if (error) {
+    throw new ValidationError(error);
+  }
+  return buildGroupClause(group, buildRule);
+}
+
+async function buildGroupClause<F>(
+  group: FilterRuleGroup<F>,
+  buildRule: (filter: F) => Promise<FilterClause[]> | FilterClause[]
+): Promise<FilterClause> {
+  const parts: FilterClause[] = [];
+  // An unconditional child makes an OR group match every row
+  let matchesAll = false;
+
+  for (const child of group.children) {
+    let part: FilterClause;
+    if (child.type === "group") {
+      part = await buildGroupClause(child, buildRule);
+    } else {
+      const clauses = (await buildRule(child.filter)).filter((c) => c.sql);
+      part = {
+        sql: clauses.map((c) => `(${c.sql})`).join(" AND "),
+        params: clauses.flatMap((c) => c.params),
+      };
+    }
+
+    if (part.sql) {
+      parts.push(part);
+    } else if (group.operator === "OR") {
+      matchesAll = true;
+      break;
+    }
+  }
+
+  if (matchesAll || parts.length === 0) {
+    return group.negate ? { sql: "1 = 0", params: [] } : { sql: "", params: [] };
+  }
+
+  const joined = `(${parts.map((p) => `(${p.sql})`).join(` ${group.operator === "OR" ? "OR" : "AND"} `)})`;
+  return {
+    sql: group.negate ? `NOT COALESCE(${joined}, 0)` : joined,
+    params: parts.flatMap((p) => p.params),
+  };
+}
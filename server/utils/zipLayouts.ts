@@ -0,0 +1,168 @@
+/**
+ * File naming for playlist ZIP downloads
+ *
+ * Each layout decides where a scene's video, NFO, artwork and sidecar files
+ * go inside the archive, so the extracted folder can be dropped straight
+ * into a media center library.
+ */
+import * as path from "path";
+import type { PlaylistZipLayout } from "../types/api/index.js";
+
+export const PLAYLIST_ZIP_LAYOUTS: readonly PlaylistZipLayout[] = [
+  "flat",
+  "kodi",
+  "jellyfin",
+  "plex",
+];
+
+export const DEFAULT_PLAYLIST_ZIP_LAYOUT: PlaylistZipLayout = "flat";
+
+export const isPlaylistZipLayout = (
+  value: unknown
+): value is PlaylistZipLayout =>
+  typeof value === "string" &&
+  (PLAYLIST_ZIP_LAYOUTS as readonly string[]).includes(value);
+
+export interface SceneArchivePaths {
+  /** Folder holding the scene's files */
+  dir: string;
+  /** Name shared by the video and its sidecar files, without extension */
+  baseName: string;
+  video: string;
+  nfo: string | null;
+  poster: string | null;
+  fanart: string | null;
+  /** Folder for performer images referenced by the NFO */
+  actorsDir: string | null;
+}
+
+/**
+ * Replace characters that are invalid in file names. Trailing dots and
+ * spaces are dropped too: Windows strips them, and a name of only dots
+ * ("." or "..") would point outside its folder once extracted.
+ */
+export function sanitizeFileName(name: string): string {
+  const cleaned = (name ?? "")
+    .trim()
+    .replace(/[<>:"/\\|?*]/g, "_")
+    .replace(/[. ]+$/, "");
+  return cleaned === "" ? "download" : cleaned;
+}
+
+/**
+ * Extension of the scene's primary file, since Stash streams the original
+ * container. Falls back to "mp4" when the path has none.
+ */
+export function videoExtension(filePath: string | null | undefined): string {
+  const ext = filePath ? path.extname(filePath).slice(1).toLowerCase() : "";
+  return /^[a-z0-9]{1,5}$/.test(ext) ? ext : "mp4";
+}
+
+/**
+ * Name for a scene's files. Folder layouts add the year, as Kodi, Jellyfin
+ * and Plex match movies by "Title (Year)".
+ */
+export function sceneBaseName(
+  layout: PlaylistZipLayout,
+  title: string,
+  date: string | null | undefined
+): string {
+  const year = date?.match(/^(\d{4})/)?.[1];
+  const name = layout !== "flat" && year ? `${title} (${year})` : title;
+  return sanitizeFileName(name);
+}
+
+/**
+ * Make a name unique among the names already used in the archive by adding
+ * " (2)", " (3)" and so on. Comparison ignores case so the archive also
+ * extracts cleanly on case-insensitive file systems.
+ */
+export function uniqueName(name: string, used: Set<string>): string {
+  let candidate = name;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    candidate = `${name} (${n})`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+export function planScenePaths(
+  layout: PlaylistZipLayout,
+  rootDir: string,
+  baseName: string,
+  extension: string
+): SceneArchivePaths {
+  if (layout === "flat") {
+    return {
+      dir: rootDir,
+      baseName,
+      video: `${rootDir}/${baseName}.${extension}`,
+      nfo: `${rootDir}/${baseName}.nfo`,
+      poster: null,
+      fanart: null,
+      actorsDir: null,
+    };
+  }
+
+  // Movie folder per scene
+  const dir = `${rootDir}/${baseName}`;
+  const nfo =
+    layout === "kodi"
+      ? `${dir}/${baseName}.nfo`
+      : layout === "jellyfin"
+        ? `${dir}/movie.nfo`
+        : null;
+
+  return {
+    dir,
+    baseName,
+    video: `${dir}/${baseName}.${extension}`,
+    nfo,
+    poster: `${dir}/poster.jpg`,
+    fanart: `${dir}/fanart.jpg`,
+    actorsDir: nfo ? `${dir}/.actors` : null,
+  };
+}
+
+export function captionPath(
+  paths: SceneArchivePaths,
+  languageCode: string
+): string {
+  return `${paths.dir}/${paths.baseName}.${sanitizeFileName(languageCode)}.vtt`;
+}
+
+export function chaptersPath(paths: SceneArchivePaths): string {
+  return `${paths.dir}/${paths.baseName}.chapters.txt`;
+}
+
+/**
+ * Kodi's .actors naming: the performer's name with spaces as underscores
+ */
+export function actorImageName(name: string): string {
+  return `${sanitizeFileName(name).replace(/\s+/g, "_")}.jpg`;
+}
+
+const formatChapterTime = (seconds: number): string => {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3_600_000);
+  const m = Math.floor((ms % 3_600_000) / 60_000);
+  const s = Math.floor((ms % 60_000) / 1000);
+  const pad = (n: number, width = 2) => String(n).padStart(width, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+};
+
+/**
+ * OGM ("simple") chapter file from scene markers, which mkvmerge and most
+ * players that read external chapters accept
+ */
+export function generateChapterFile(
+  markers: Array<{ title: string; seconds: number }>
+): string {
+  return [...markers]
+    .sort((a, b) => a.seconds - b.seconds)
+    .map((marker, index) => {
+      const n = String(index + 1).padStart(2, "0");
+      return `CHAPTER${n}=${formatChapterTime(marker.seconds)}\nCHAPTER${n}NAME=${marker.title}\n`;
+    })
+    .join("");
+}
@@ -0,0 +1,120 @@
+// shared/types/api/accessSchedule.ts
+/**
+ * Access Schedule API Types
+ *
+ * Request and response types for a user's own access status under
+ * /api/auth/access and for managing users' schedules under
+ * /api/user/:userId/access-*. Group schedules are set with the rest of the
+ * group under /api/groups/*.
+ */
+
+// =============================================================================
+// SHARED
+// =============================================================================
+
+/** Hours Peek is open on some days of the week */
+export interface AccessWindow {
+  /** Days of the week, 0 = Sunday */
+  days: number[];
+  /** "HH:MM", inclusive */
+  start: string;
+  /** "HH:MM", exclusive; "24:00" runs to midnight */
+  end: string;
+}
+
+/** When a user or group's members may use Peek */
+export interface AccessSchedule {
+  /** IANA timezone the windows and the daily limit's day are in */
+  timezone: string;
+  /** Open hours; an empty list is open all day (daily limit only) */
+  windows: AccessWindow[];
+  /** Minutes of playback allowed per day; null is unlimited */
+  dailyLimitMinutes: number | null;
+}
+
+export type AccessDeniedReason = "outside-hours" | "daily-limit";
+
+export interface AccessStatus {
+  /** A schedule applies to this user */
+  restricted: boolean;
+  allowed: boolean;
+  /** Why access is denied, while it is */
+  reason: AccessDeniedReason | null;
+  /** When access opens again, while denied; null if nothing opens within a week */
+  opensAt: string | null;
+  /** When the current window or override ends, while allowed; null if it doesn't */
+  closesAt: string | null;
+  watchedTodaySeconds: number;
+  dailyLimitSeconds: number | null;
+  /** An admin lifted the schedule until then */
+  overrideUntil: string | null;
+}
+
+/** Body of the 403 sent while a user's schedule keeps them out */
+export interface AccessDeniedResponse {
+  error: string;
+  code: "ACCESS_SCHEDULE";
+  access: AccessStatus;
+}
+
+// =============================================================================
+// OWN STATUS
+// =============================================================================
+
+/** GET /api/auth/access */
+export interface GetAccessStatusResponse {
+  access: AccessStatus;
+}
+
+// =============================================================================
+// ADMIN: USER SCHEDULES
+// =============================================================================
+
+/** GET /api/user/:userId/access-schedule */
+export interface GetUserAccessScheduleParams extends Record<string, string> {
+  userId: string;
+}
+
+export interface GetUserAccessScheduleResponse {
+  /** The user's own schedule, which replaces their groups' */
+  schedule: AccessSchedule | null;
+  /** Schedules of the user's groups that have one */
+  groupSchedules: Array<{
+    groupId: number;
+    groupName: string;
+    schedule: AccessSchedule;
+  }>;
+  access: AccessStatus;
+}
+
+/** PUT /api/user/:userId/access-schedule */
+export interface UpdateUserAccessScheduleBody {
+  schedule: AccessSchedule | null;
+}
+
+/** PUT /api/user/:userId/access-override */
+export interface UpdateUserAccessOverrideBody {
+  /** ISO time the schedule is lifted until; null ends the override */
+  until: string | null;
+}
+
+export interface UpdateUserAccessResponse {
+  access: AccessStatus;
+}
+
+// =============================================================================
+// STREAM TOKENS
+// =============================================================================
+
+/**
+ * POST /api/scene/:sceneId/stream-token
+ *
+ * Cast receivers and external players fetch the stream without the session
+ * cookie; they pass this token as ?streamToken= instead. It is tied to the
+ * user and scene, and the user's access schedule is checked on every request.
+ */
+export interface CreateStreamTokenResponse {
+  token: string;
+  /** ISO time the token stops working; never later than the current window closes */
+  expiresAt: string;
+}
@@ -0,0 +1,73 @@
+// shared/types/api/apiTokens.ts
+/**
+ * API Token Types
+ *
+ * Request and response types for /api/user/api-tokens/* endpoints.
+ */
+
+// =============================================================================
+// SHARED
+// =============================================================================
+
+/**
+ * Scopes a personal API token can be limited to.
+ * A token with no scopes has the same access as its owner.
+ */
+export type ApiTokenScope = "library:read" | "watch-history:write" | "downloads";
+
+/**
+ * API token metadata (the plaintext token is never returned after creation)
+ */
+export interface ApiTokenData {
+  id: number;
+  name: string;
+  tokenPrefix: string;
+  scopes: ApiTokenScope[] | null;
+  lastUsedAt: Date | null;
+  createdAt: Date;
+}
+
+// =============================================================================
+// OWN TOKENS
+// =============================================================================
+
+/** GET /api/user/api-tokens */
+export interface GetApiTokensResponse {
+  tokens: ApiTokenData[];
+}
+
+/** POST /api/user/api-tokens */
+export interface CreateApiTokenBody {
+  name: string;
+  scopes?: ApiTokenScope[] | null;
+}
+
+export interface CreateApiTokenResponse {
+  apiToken: ApiTokenData;
+  /** Plaintext token - only returned once */
+  token: string;
+}
+
+/** DELETE /api/user/api-tokens/:tokenId */
+export interface RevokeApiTokenParams extends Record<string, string> {
+  tokenId: string;
+}
+
+export interface RevokeApiTokenResponse {
+  success: true;
+}
+
+// =============================================================================
+// ADMIN
+// =============================================================================
+
+/** GET /api/user/:userId/api-tokens */
+export interface AdminGetApiTokensParams extends Record<string, string> {
+  userId: string;
+}
+
+/** DELETE /api/user/:userId/api-tokens/:tokenId */
+export interface AdminRevokeApiTokenParams extends Record<string, string> {
+  userId: string;
+  tokenId: string;
+}
@@ -0,0 +1,119 @@
+// shared/types/api/auditLog.ts
+/**
+ * Audit Log API Types
+ *
+ * Request and response types for the admin audit log endpoints under
+ * /api/admin/audit-log/*.
+ */
+
+// =============================================================================
+// ENTRIES
+// =============================================================================
+
+/** Recorded actions, grouped by the category before the dot */
+export type AuditAction =
+  | "auth.login"
+  | "auth.login_failed"
+  | "auth.lockout"
+  | "auth.password_recovered"
+  | "auth.settings_update"
+  | "user.create"
+  | "user.delete"
+  | "user.role_change"
+  | "user.password_change"
+  | "user.password_reset"
+  | "user.recovery_key_regenerate"
+  | "user.two_factor_enable"
+  | "user.two_factor_disable"
+  | "user.two_factor_reset"
+  | "user.backup_codes_regenerate"
+  | "user.passkey_add"
+  | "user.passkey_remove"
+  | "user.permissions_update"
+  | "user.restrictions_update"
+  | "user.restrictions_clear"
+  | "user.access_schedule_update"
+  | "user.access_override"
+  | "user.data_export"
+  | "user.data_import"
+  | "group.create"
+  | "group.update"
+  | "group.delete"
+  | "group.member_add"
+  | "group.member_remove"
+  | "metadata.edit_approve"
+  | "metadata.edit_reject"
+  | "sync.full"
+  | "merge.reconcile"
+  | "merge.reconcile_all"
+  | "merge.discard"
+  | "merge.resolve_duplicates"
+  | "backup.create"
+  | "backup.delete"
+  | "audit.settings_update";
+
+export type AuditCategory = AuditAction extends `${infer C}.${string}` ? C : never;
+
+export interface AuditLogEntry {
+  id: number;
+  action: AuditAction;
+  actorId: number | null;
+  /** Username at the time of the action, or the attempted username for failed logins */
+  actorUsername: string | null;
+  targetType: string | null;
+  targetId: string | null;
+  targetLabel: string | null;
+  /** Changed fields before the action */
+  before: Record<string, unknown> | null;
+  /** Changed fields after the action */
+  after: Record<string, unknown> | null;
+  /** Context that isn't a field change, e.g. the reason a login failed */
+  details: Record<string, unknown> | null;
+  ipAddress: string | null;
+  createdAt: string;
+}
+
+/** Filters shared by GET /api/admin/audit-log and its CSV export */
+export interface AuditLogQuery extends Record<string, string | string[] | undefined> {
+  category?: AuditCategory;
+  action?: AuditAction;
+  /** Substring match on the actor's username */
+  actor?: string;
+  /** ISO date or datetime, inclusive */
+  from?: string;
+  /** ISO date or datetime, inclusive (a bare date covers the whole day) */
+  to?: string;
+  page?: string;
+  perPage?: string;
+}
+
+/** GET /api/admin/audit-log */
+export interface GetAuditLogResponse {
+  entries: AuditLogEntry[];
+  total: number;
+  page: number;
+  perPage: number;
+}
+
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+export interface AuditSettingsData {
+  /** Entries older than this are deleted; 0 keeps them forever */
+  retentionDays: number;
+}
+
+/** GET /api/admin/audit-log/settings */
+export interface GetAuditSettingsResponse {
+  settings: AuditSettingsData;
+}
+
+/** PUT /api/admin/audit-log/settings */
+export interface UpdateAuditSettingsBody {
+  retentionDays: number;
+}
+
+export interface UpdateAuditSettingsResponse {
+  settings: AuditSettingsData;
+}
@@ -0,0 +1,71 @@
+// shared/types/api/auth.ts
+/**
+ * Auth API Types
+ *
+ * Request and response types for sign-in configuration and OpenID Connect
+ * settings under /api/auth/*.
+ */
+
+// =============================================================================
+// PUBLIC CONFIG
+// =============================================================================
+
+/** GET /api/auth/config - what the login page should offer (no auth required) */
+export interface GetAuthConfigResponse {
+  passwordLoginEnabled: boolean;
+  oidc: {
+    enabled: boolean;
+    buttonLabel: string;
+  };
+}
+
+// =============================================================================
+// SETTINGS (ADMIN)
+// =============================================================================
+
+export interface AuthSettingsData {
+  passwordLoginEnabled: boolean;
+  oidcEnabled: boolean;
+  oidcIssuerUrl: string | null;
+  oidcClientId: string | null;
+  /** The client secret itself is never returned */
+  hasOidcClientSecret: boolean;
+  oidcScopes: string;
+  oidcUsernameClaim: string;
+  oidcGroupsClaim: string;
+  oidcAdminGroup: string | null;
+  oidcAutoProvision: boolean;
+  oidcLinkExistingUsers: boolean;
+  oidcButtonLabel: string | null;
+  /** Admins must set up two-factor authentication to sign in with a password */
+  requireTwoFactorForAdmins: boolean;
+}
+
+/** GET /api/auth/settings */
+export interface GetAuthSettingsResponse {
+  settings: AuthSettingsData;
+  /** Redirect URI to register with the identity provider */
+  redirectUri: string;
+}
+
+/** PUT /api/auth/settings */
+export interface UpdateAuthSettingsBody {
+  passwordLoginEnabled?: boolean;
+  oidcEnabled?: boolean;
+  oidcIssuerUrl?: string | null;
+  oidcClientId?: string | null;
+  /** Omit to keep the current secret, null to clear it */
+  oidcClientSecret?: string | null;
+  oidcScopes?: string;
+  oidcUsernameClaim?: string;
+  oidcGroupsClaim?: string;
+  oidcAdminGroup?: string | null;
+  oidcAutoProvision?: boolean;
+  oidcLinkExistingUsers?: boolean;
+  oidcButtonLabel?: string | null;
+  requireTwoFactorForAdmins?: boolean;
+}
+
+export interface UpdateAuthSettingsResponse {
+  settings: AuthSettingsData;
+}
@@ -18,6 +18,8 @@ export interface GetClipsQuery extends Record<string, string | string[] | undefi
   isGenerated?: string;
   sceneId?: string;
   tagIds?: string;
+  /** Comma-separated tag IDs matched against the clip's primary tag only */
+  primaryTagIds?: string;
   sceneTagIds?: string;
   performerIds?: string;
   studioId?: string;
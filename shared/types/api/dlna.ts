@@ -0,0 +1,76 @@
+// shared/types/api/dlna.ts
+/**
+ * DLNA API Types
+ *
+ * Request and response types for the DLNA media server admin endpoints
+ * under /api/dlna/*. The UPnP endpoints themselves speak XML.
+ */
+
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+export interface DlnaSettingsData {
+  enabled: boolean;
+  friendlyName: string;
+  /** Address renderers use to reach Peek, e.g. http://192.168.1.10:6969 */
+  baseUrl: string | null;
+  deviceUuid: string;
+}
+
+/** GET /api/dlna/settings */
+export interface GetDlnaSettingsResponse {
+  settings: DlnaSettingsData;
+  /** Whether SSDP discovery is currently announcing the server */
+  advertising: boolean;
+}
+
+/** PUT /api/dlna/settings */
+export interface UpdateDlnaSettingsBody {
+  enabled?: boolean;
+  friendlyName?: string;
+  baseUrl?: string | null;
+}
+
+export interface UpdateDlnaSettingsResponse {
+  settings: DlnaSettingsData;
+  advertising: boolean;
+}
+
+// =============================================================================
+// DEVICES
+// =============================================================================
+
+export interface DlnaDeviceData {
+  id: number;
+  address: string;
+  userAgent: string | null;
+  name: string | null;
+  userId: number | null;
+  username: string | null;
+  lastSeenAt: string;
+  createdAt: string;
+}
+
+/** GET /api/dlna/devices */
+export interface GetDlnaDevicesResponse {
+  devices: DlnaDeviceData[];
+}
+
+/** POST /api/dlna/devices - bind a device before it has been seen */
+export interface CreateDlnaDeviceBody {
+  address: string;
+  name?: string | null;
+  userId?: number | null;
+}
+
+/** PUT /api/dlna/devices/:id */
+export interface UpdateDlnaDeviceBody {
+  name?: string | null;
+  /** null unbinds the device */
+  userId?: number | null;
+}
+
+export interface DlnaDeviceResponse {
+  device: DlnaDeviceData;
+}
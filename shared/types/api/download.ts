@@ -9,6 +9,21 @@
 // SHARED
 // =============================================================================
 
+/**
+ * Folder and file naming inside a playlist ZIP
+ * - "flat": every video in the playlist folder with an NFO alongside
+ * - "kodi": a movie folder per scene with <name>.nfo, poster.jpg and fanart.jpg
+ * - "jellyfin": like "kodi", with the NFO named movie.nfo
+ * - "plex": a movie folder per scene with artwork and no NFO
+ */
+export type PlaylistZipLayout = "flat" | "kodi" | "jellyfin" | "plex";
+
+/**
+ * Queue priority of a playlist ZIP. Higher priorities build first; equal
+ * priorities build oldest first.
+ */
+export type DownloadPriority = "low" | "normal" | "high";
+
 /**
  * Serialized download record (BigInt fileSize converted to string)
  */
@@ -26,8 +41,14 @@ export interface SerializedDownload {
   progress: number;
   error: string | null;
   createdAt: Date;
+  startedAt: Date | null;
   completedAt: Date | null;
   expiresAt: Date | null;
+  priority: DownloadPriority;
+  /** Playlist downloads only */
+  zipLayout: PlaylistZipLayout | null;
+  zipCaptions: boolean;
+  zipChapters: boolean;
 }
 
 // =============================================================================
@@ -65,6 +86,17 @@ export interface StartPlaylistDownloadParams extends Record<string, string> {
   playlistId: string;
 }
 
+export interface StartPlaylistDownloadBody {
+  /** Defaults to "flat" */
+  layout?: PlaylistZipLayout;
+  /** Add each scene's captions as <name>.<language>.vtt */
+  includeCaptions?: boolean;
+  /** Add scene markers as a <name>.chapters.txt chapter file */
+  includeChapters?: boolean;
+  /** Place in the build queue; defaults to "normal" */
+  priority?: DownloadPriority;
+}
+
 export interface StartPlaylistDownloadResponse {
   download: SerializedDownload;
 }
@@ -73,9 +105,22 @@ export interface StartPlaylistDownloadResponse {
 // GET USER DOWNLOADS
 // =============================================================================
 
+/**
+ * Disk used by the user's finished playlist ZIPs, and the limits from their
+ * groups
+ */
+export interface DownloadUsage {
+  usedBytes: string;
+  /** null when unlimited */
+  quotaBytes: string | null;
+  /** How long finished ZIPs are kept */
+  expiryHours: number;
+}
+
 /** GET /api/downloads */
 export interface GetUserDownloadsResponse {
   downloads: SerializedDownload[];
+  usage: DownloadUsage;
 }
 
 // =============================================================================
@@ -126,3 +171,58 @@ export interface RetryDownloadParams extends Record<string, string> {
 export interface RetryDownloadResponse {
   download: SerializedDownload;
 }
+
+// =============================================================================
+// QUEUE CONTROL
+// =============================================================================
+
+/**
+ * POST /api/downloads/:id/pause, /resume and /cancel
+ *
+ * Pausing a build in progress stops it and frees its slot; resuming queues
+ * it again and the archive is rebuilt from the start.
+ */
+export interface DownloadQueueActionParams extends Record<string, string> {
+  id: string;
+}
+
+export interface DownloadQueueActionResponse {
+  download: SerializedDownload;
+}
+
+/** PUT /api/downloads/:id/priority */
+export interface UpdateDownloadPriorityParams extends Record<string, string> {
+  id: string;
+}
+
+export interface UpdateDownloadPriorityBody {
+  priority: DownloadPriority;
+}
+
+export interface UpdateDownloadPriorityResponse {
+  download: SerializedDownload;
+}
+
+// =============================================================================
+// DOWNLOAD SETTINGS (admin)
+// =============================================================================
+
+export interface DownloadSettingsData {
+  /** Playlist ZIPs built at once across all users */
+  maxConcurrent: number;
+  maxConcurrentPerUser: number;
+  /** How long finished ZIPs are kept unless a user's group says otherwise */
+  expiryHours: number;
+}
+
+/** GET /api/downloads/settings */
+export interface GetDownloadSettingsResponse {
+  settings: DownloadSettingsData;
+}
+
+/** PUT /api/downloads/settings */
+export type UpdateDownloadSettingsBody = Partial<DownloadSettingsData>;
+
+export interface UpdateDownloadSettingsResponse {
+  settings: DownloadSettingsData;
+}
@@ -0,0 +1,52 @@
+// shared/types/api/events.ts
+/**
+ * Server Event Types
+ *
+ * Events pushed over GET /api/events (Server-Sent Events) so open pages
+ * update without polling. Each user only receives events about their own
+ * data, plus library-wide events; admins also get sync progress.
+ */
+import type { DownloadUsage, SerializedDownload } from "./download.js";
+
+/** How a sync was started */
+export type SyncKind = "full" | "incremental" | "smart";
+
+/** Per-entity-type progress of a running sync (admins only) */
+export interface SyncProgressEvent {
+  type: "sync-progress";
+  entityType: string;
+  phase: "fetching" | "processing" | "complete" | "error";
+  current: number;
+  total: number;
+}
+
+/**
+ * Events sent over GET /api/events. The SSE event name matches `type`; the
+ * data line is the JSON object.
+ *
+ * - "sync-started" / "sync-finished": a sync started or stopped (admins
+ *   only). `ok` is false when it failed or was aborted
+ * - "library-updated": synced library data changed, so lists and detail
+ *   pages are out of date
+ * - "sync-settings": an admin changed the sync schedule (admins only)
+ * - "exclusions": the user's hidden and restricted content was recomputed
+ * - "scene-merged": the user's watch history and ratings moved from a scene
+ *   merged away in Stash to the scene it was merged into
+ * - "download" / "download-removed" / "download-usage": one of the user's
+ *   downloads was created, changed or deleted, and their disk usage after
+ * - "access": an admin changed the user's access schedule or override
+ */
+export type ServerEvent =
+  | { type: "sync-started"; kind: SyncKind }
+  | { type: "sync-finished"; kind: SyncKind; ok: boolean; message?: string }
+  | SyncProgressEvent
+  | { type: "library-updated"; at: string }
+  | { type: "sync-settings" }
+  | { type: "exclusions" }
+  | { type: "scene-merged"; sourceSceneId: string; targetSceneId: string }
+  | { type: "download"; download: SerializedDownload }
+  | { type: "download-removed"; id: number }
+  | { type: "download-usage"; usage: DownloadUsage }
+  | { type: "access" };
+
+export type ServerEventType = ServerEvent["type"];
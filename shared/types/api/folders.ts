@@ -0,0 +1,56 @@
+// shared/types/api/folders.ts
+/**
+ * Folder API Types
+ *
+ * Request and response types for browsing the library by its folders on
+ * disk under /api/library/folders.
+ */
+
+export type FolderEntityType = "scene" | "image" | "gallery";
+
+/** A folder below the current one */
+export interface FolderNode {
+  /** Last path segment (a library root shows its full path) */
+  name: string;
+  /** Full path with forward slashes, no trailing slash */
+  path: string;
+  instanceId: string;
+  /** Items anywhere below this folder */
+  count: number;
+}
+
+/** One step of the path from the library root down to the current folder */
+export interface FolderBreadcrumb {
+  name: string;
+  path: string;
+}
+
+/**
+ * GET /api/library/folders
+ *
+ * Without `path` lists the library roots of every instance the user can
+ * see. `instanceId` is required together with `path`.
+ */
+export interface FolderListQueryParams extends Record<string, string | string[] | undefined> {
+  type?: string;
+  path?: string;
+  instanceId?: string;
+}
+
+export interface FolderListResponse {
+  type: FolderEntityType;
+  /** Current folder, null at the library roots */
+  path: string | null;
+  instanceId: string | null;
+  /** Library root first, current folder last; empty at the library roots */
+  breadcrumbs: FolderBreadcrumb[];
+  folders: FolderNode[];
+  /** Items directly in the current folder */
+  fileCount: number;
+}
+
+/** Subtree filter accepted by the scene, image and gallery list endpoints */
+export interface FolderFilter {
+  path: string;
+  instanceId?: string;
+}
@@ -5,6 +5,9 @@
  * Request and response types for /api/groups/* endpoints (user groups, not Stash groups).
  */
 
+import type { AccessSchedule } from "./accessSchedule.js";
+import type { MetadataEditFieldAllowlist } from "./metadataEdits.js";
+
 // =============================================================================
 // SHARED
 // =============================================================================
@@ -16,6 +19,19 @@ export interface GroupData {
   canShare: boolean;
   canDownloadFiles: boolean;
   canDownloadPlaylists: boolean;
+  canEditMetadata: boolean;
+  /** Editable fields per entity type; null allows every editable field */
+  metadataEditFields: MetadataEditFieldAllowlist | null;
+  /** Members' edits wait for an admin's approval before reaching Stash */
+  moderateMetadataEdits: boolean;
+  oidcGroup: string | null;
+  requireTwoFactor: boolean;
+  /** Hours finished playlist ZIPs are kept; null uses the server default */
+  downloadExpiryHours: number | null;
+  /** Disk members' finished playlist ZIPs may use; null is unlimited */
+  downloadQuotaMb: number | null;
+  /** When members may use Peek; null adds no schedule */
+  accessSchedule: AccessSchedule | null;
   memberCount: number;
   createdAt: Date;
   updatedAt: Date;
@@ -38,6 +54,19 @@ export interface GroupWithMembers {
   canShare: boolean;
   canDownloadFiles: boolean;
   canDownloadPlaylists: boolean;
+  canEditMetadata: boolean;
+  /** Editable fields per entity type; null allows every editable field */
+  metadataEditFields: MetadataEditFieldAllowlist | null;
+  /** Members' edits wait for an admin's approval before reaching Stash */
+  moderateMetadataEdits: boolean;
+  oidcGroup: string | null;
+  requireTwoFactor: boolean;
+  /** Hours finished playlist ZIPs are kept; null uses the server default */
+  downloadExpiryHours: number | null;
+  /** Disk members' finished playlist ZIPs may use; null is unlimited */
+  downloadQuotaMb: number | null;
+  /** When members may use Peek; null adds no schedule */
+  accessSchedule: AccessSchedule | null;
   createdAt: Date;
   updatedAt: Date;
   members: GroupMember[];
@@ -76,6 +105,21 @@ export interface CreateUserGroupBody {
   canShare?: boolean;
   canDownloadFiles?: boolean;
   canDownloadPlaylists?: boolean;
+  canEditMetadata?: boolean;
+  /** Editable fields per entity type; null allows every editable field */
+  metadataEditFields?: MetadataEditFieldAllowlist | null;
+  /** Members' edits wait for an admin's approval before reaching Stash */
+  moderateMetadataEdits?: boolean;
+  /** IdP group whose members are synced into this group on OIDC login */
+  oidcGroup?: string | null;
+  /** Members must set up two-factor authentication to sign in with a password */
+  requireTwoFactor?: boolean;
+  /** Hours finished playlist ZIPs are kept; null uses the server default */
+  downloadExpiryHours?: number | null;
+  /** Disk members' finished playlist ZIPs may use; null is unlimited */
+  downloadQuotaMb?: number | null;
+  /** When members may use Peek; null adds no schedule */
+  accessSchedule?: AccessSchedule | null;
 }
 
 export interface CreateUserGroupResponse {
@@ -86,6 +130,14 @@ export interface CreateUserGroupResponse {
     canShare: boolean;
     canDownloadFiles: boolean;
     canDownloadPlaylists: boolean;
+    canEditMetadata: boolean;
+    metadataEditFields: MetadataEditFieldAllowlist | null;
+    moderateMetadataEdits: boolean;
+  oidcGroup: string | null;
+    requireTwoFactor: boolean;
+    downloadExpiryHours: number | null;
+    downloadQuotaMb: number | null;
+    accessSchedule: AccessSchedule | null;
     createdAt: Date;
     updatedAt: Date;
   };
@@ -106,6 +158,21 @@ export interface UpdateUserGroupBody {
   canShare?: boolean;
   canDownloadFiles?: boolean;
   canDownloadPlaylists?: boolean;
+  canEditMetadata?: boolean;
+  /** Editable fields per entity type; null allows every editable field */
+  metadataEditFields?: MetadataEditFieldAllowlist | null;
+  /** Members' edits wait for an admin's approval before reaching Stash */
+  moderateMetadataEdits?: boolean;
+  /** IdP group whose members are synced into this group on OIDC login */
+  oidcGroup?: string | null;
+  /** Members must set up two-factor authentication to sign in with a password */
+  requireTwoFactor?: boolean;
+  /** Hours finished playlist ZIPs are kept; null uses the server default */
+  downloadExpiryHours?: number | null;
+  /** Disk members' finished playlist ZIPs may use; null is unlimited */
+  downloadQuotaMb?: number | null;
+  /** When members may use Peek; null adds no schedule */
+  accessSchedule?: AccessSchedule | null;
 }
 
 export interface UpdateUserGroupResponse {
@@ -116,6 +183,14 @@ export interface UpdateUserGroupResponse {
     canShare: boolean;
     canDownloadFiles: boolean;
     canDownloadPlaylists: boolean;
+    canEditMetadata: boolean;
+    metadataEditFields: MetadataEditFieldAllowlist | null;
+    moderateMetadataEdits: boolean;
+  oidcGroup: string | null;
+    requireTwoFactor: boolean;
+    downloadExpiryHours: number | null;
+    downloadQuotaMb: number | null;
+    accessSchedule: AccessSchedule | null;
     createdAt: Date;
     updatedAt: Date;
   };
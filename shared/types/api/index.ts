@@ -18,3 +18,18 @@ export * from "./groups.js";
 export * from "./clips.js";
 export * from "./timeline.js";
 export * from "./stats.js";
+export * from "./apiTokens.js";
+export * from "./syncWebhook.js";
+export * from "./stashWriteBack.js";
+export * from "./watchParty.js";
+export * from "./auth.js";
+export * from "./dlna.js";
+export * from "./auditLog.js";
+export * from "./twoFactor.js";
+export * from "./transcode.js";
+export * from "./userData.js";
+export * from "./metadataEdits.js";
+export * from "./events.js";
+export * from "./accessSchedule.js";
+export * from "./search.js";
+export * from "./folders.js";
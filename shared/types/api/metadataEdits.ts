@@ -0,0 +1,118 @@
+// shared/types/api/metadataEdits.ts
+/**
+ * Metadata Edit Types
+ *
+ * Request and response types for /api/metadata-edits/* endpoints. Every
+ * scene, performer, studio and tag edit made through Peek is recorded here;
+ * edits from members of moderated groups wait as pending suggestions until
+ * an admin approves them.
+ */
+
+// =============================================================================
+// SHARED
+// =============================================================================
+
+export type MetadataEditEntityType = "scene" | "performer" | "studio" | "tag";
+
+/**
+ * - "pending": waiting for an admin to review
+ * - "applied": written to Stash
+ * - "rejected": declined by an admin, never written
+ */
+export type MetadataEditStatus = "pending" | "applied" | "rejected";
+
+/**
+ * Stash update fields group members may edit, per entity type. Entity types
+ * left out can't be edited at all. A null allowlist on the group allows every
+ * editable field.
+ */
+export type MetadataEditFieldAllowlist = Partial<Record<MetadataEditEntityType, string[]>>;
+
+export interface MetadataEditEntry {
+  id: number;
+  instanceId: string;
+  entityType: MetadataEditEntityType;
+  entityId: string;
+  /** Title or name of the entity when the edit was submitted */
+  entityLabel: string | null;
+  authorId: number | null;
+  authorUsername: string;
+  /** Stash update input fields as submitted */
+  changes: Record<string, unknown>;
+  /** Values of the same fields in Stash when the edit was submitted */
+  previous: Record<string, unknown>;
+  status: MetadataEditStatus;
+  reviewerUsername: string | null;
+  reviewNote: string | null;
+  reviewedAt: string | null;
+  createdAt: string;
+}
+
+/**
+ * Returned instead of the updated entity by PUT /api/library/{scenes,
+ * performers,studios,tags}/:id when the edit needs an admin's approval
+ */
+export interface PendingMetadataEditResponse {
+  success: true;
+  pending: true;
+  edit: MetadataEditEntry;
+}
+
+// =============================================================================
+// REVIEW QUEUE (admin)
+// =============================================================================
+
+/** GET /api/metadata-edits */
+export interface GetMetadataEditsQuery extends Record<string, string | undefined> {
+  /** Defaults to "pending" */
+  status?: MetadataEditStatus;
+  entityType?: MetadataEditEntityType;
+  page?: string;
+  perPage?: string;
+}
+
+export interface GetMetadataEditsResponse {
+  edits: MetadataEditEntry[];
+  total: number;
+  page: number;
+  perPage: number;
+}
+
+/** GET /api/metadata-edits/:id */
+export interface MetadataEditParams extends Record<string, string> {
+  id: string;
+}
+
+export interface GetMetadataEditResponse {
+  edit: MetadataEditEntry;
+  /** Values of the edited fields in Stash now; null if the entity no longer exists */
+  current: Record<string, unknown> | null;
+}
+
+/** POST /api/metadata-edits/:id/approve and /reject */
+export interface ReviewMetadataEditBody {
+  note?: string;
+}
+
+export interface ReviewMetadataEditResponse {
+  edit: MetadataEditEntry;
+}
+
+// =============================================================================
+// SUBMITTER AND HISTORY
+// =============================================================================
+
+/** GET /api/metadata-edits/mine */
+export interface GetMyMetadataEditsResponse {
+  edits: MetadataEditEntry[];
+}
+
+/** GET /api/metadata-edits/history/:entityType/:entityId */
+export interface MetadataEditHistoryParams extends Record<string, string> {
+  entityType: string;
+  entityId: string;
+}
+
+export interface GetMetadataEditHistoryResponse {
+  edits: MetadataEditEntry[];
+}
@@ -0,0 +1,49 @@
+// shared/types/api/search.ts
+/**
+ * Search API Types
+ *
+ * Request and response types for the unified full-text search under
+ * /api/search.
+ */
+
+export type SearchEntityType = "scene" | "performer" | "studio" | "tag" | "group" | "gallery";
+
+/** One matching entity, with just enough to show it in a result list */
+export interface SearchHit {
+  id: string;
+  instanceId: string;
+  type: SearchEntityType;
+  /** Title or name (a scene or gallery without a title shows its file name) */
+  name: string;
+  /** Date, or a performer's disambiguation */
+  subtitle: string | null;
+  /** Proxied image URL */
+  imagePath: string | null;
+}
+
+/** Best hits of one entity type, most relevant first */
+export interface SearchResultGroup {
+  type: SearchEntityType;
+  /** All matches of this type, not just the hits returned */
+  total: number;
+  hits: SearchHit[];
+}
+
+/**
+ * GET /api/search
+ *
+ * `q` supports prefix matching (every word), "exact phrases", -negation
+ * and OR. `types` is a comma-separated list (default: all), `limit` is the
+ * hits per type (default 5, max 50).
+ */
+export interface SearchQueryParams extends Record<string, string | string[] | undefined> {
+  q?: string;
+  types?: string;
+  limit?: string;
+}
+
+export interface SearchResponse {
+  query: string;
+  /** Types with at least one match, in the order requested */
+  groups: SearchResultGroup[];
+}
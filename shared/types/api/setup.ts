@@ -20,6 +20,8 @@ export interface GetSetupStatusResponse {
   hasStashInstance: boolean;
   userCount: number;
   stashInstanceCount: number;
+  /** Whether the player can fall back to Peek's own transcodes */
+  transcodeEnabled: boolean;
 }
 
 // =============================================================================
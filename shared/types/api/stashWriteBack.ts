@@ -0,0 +1,107 @@
+// shared/types/api/stashWriteBack.ts
+/**
+ * Stash Write-Back Types
+ *
+ * Request and response types for /api/sync/write-back/* endpoints. Rating
+ * and favorite changes made by users with "Sync to Stash" enabled are queued
+ * and written back to Stash, retrying while Stash is unreachable.
+ */
+
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+export type StashWriteBackEntityType =
+  | "scene"
+  | "performer"
+  | "studio"
+  | "tag"
+  | "group"
+  | "gallery"
+  | "image";
+
+/**
+ * What happens when the Stash value changed after Peek last saw it:
+ * - "peek": Peek's value is written anyway
+ * - "stash": Stash's value is kept and copied into the user's Peek rating
+ * - "newest": whichever side changed most recently wins
+ */
+export type StashWriteBackConflictPolicy = "peek" | "stash" | "newest";
+
+export interface StashWriteBackSettingsData {
+  /** Entity types whose ratings and favorites are written back */
+  entityTypes: StashWriteBackEntityType[];
+  conflictPolicy: StashWriteBackConflictPolicy;
+}
+
+/** PUT /api/sync/write-back/settings */
+export interface UpdateStashWriteBackSettingsBody {
+  entityTypes?: StashWriteBackEntityType[];
+  conflictPolicy?: StashWriteBackConflictPolicy;
+}
+
+export interface UpdateStashWriteBackSettingsResponse {
+  settings: StashWriteBackSettingsData;
+}
+
+// =============================================================================
+// QUEUE
+// =============================================================================
+
+/** Fields being written; absent fields are left alone in Stash */
+export interface StashWriteBackValues {
+  rating?: number | null;
+  favorite?: boolean;
+}
+
+/** A change waiting to be written to Stash */
+export interface StashWriteBackPendingItem {
+  id: number;
+  instanceId: string;
+  instanceName: string | null;
+  entityType: StashWriteBackEntityType;
+  entityId: string;
+  /** User who made the latest change */
+  username: string | null;
+  values: StashWriteBackValues;
+  attempts: number;
+  nextAttemptAt: string;
+  lastError: string | null;
+  changedAt: string;
+}
+
+/** A write-back where Stash had changed too, and which side won */
+export interface StashWriteBackConflictEntry {
+  id: number;
+  instanceId: string;
+  instanceName: string | null;
+  entityType: StashWriteBackEntityType;
+  entityId: string;
+  username: string | null;
+  peek: StashWriteBackValues;
+  stash: StashWriteBackValues;
+  resolution: "peek" | "stash";
+  createdAt: string;
+}
+
+/** GET /api/sync/write-back */
+export interface GetStashWriteBackResponse {
+  settings: StashWriteBackSettingsData;
+  pendingCount: number;
+  /** Pending changes that have failed at least once */
+  failingCount: number;
+  /** Oldest pending changes first */
+  pending: StashWriteBackPendingItem[];
+  /** Most recent conflicts first */
+  conflicts: StashWriteBackConflictEntry[];
+}
+
+/** POST /api/sync/write-back/retry */
+export interface RetryStashWriteBackResponse {
+  retried: number;
+}
+
+/** DELETE /api/sync/write-back/:id */
+export interface DiscardStashWriteBackParams extends Record<string, string> {
+  id: string;
+}
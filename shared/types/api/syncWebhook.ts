@@ -0,0 +1,115 @@
+// shared/types/api/syncWebhook.ts
+/**
+ * Sync Webhook Types
+ *
+ * Request and response types for /api/sync/webhook/* endpoints, which let a
+ * Stash plugin push entity changes to Peek instead of waiting for the
+ * scheduled sync.
+ */
+
+// =============================================================================
+// SHARED
+// =============================================================================
+
+export type SyncWebhookEntityType =
+  | "scene"
+  | "performer"
+  | "studio"
+  | "tag"
+  | "group"
+  | "gallery"
+  | "image";
+
+export type SyncWebhookAction = "create" | "update" | "delete";
+
+/**
+ * A single entity change reported by the Stash plugin
+ */
+export interface SyncWebhookEvent {
+  entity: SyncWebhookEntityType;
+  id: string;
+  action: SyncWebhookAction;
+}
+
+/**
+ * Result of applying one (coalesced) event
+ */
+export interface SyncWebhookLogEvent extends SyncWebhookEvent {
+  ok: boolean;
+  error?: string;
+}
+
+export type SyncWebhookLogStatus = "applied" | "partial" | "failed" | "rejected";
+
+// =============================================================================
+// WEBHOOK DELIVERY
+// =============================================================================
+
+/**
+ * POST /api/sync/webhook
+ *
+ * Signed with the instance's webhook secret:
+ * - X-Peek-Instance: Stash instance ID
+ * - X-Peek-Timestamp: Unix time in seconds
+ * - X-Peek-Signature: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>"
+ *
+ * The body is either a batch ({ events: [...] }) or a single event.
+ */
+export type SyncWebhookBody = { events: SyncWebhookEvent[] } | SyncWebhookEvent;
+
+export interface SyncWebhookResponse {
+  ok: true;
+  /** Events queued for the next debounced flush */
+  accepted: number;
+}
+
+// =============================================================================
+// ADMIN
+// =============================================================================
+
+/**
+ * Webhook configuration for one Stash instance
+ */
+export interface SyncWebhookInstance {
+  id: string;
+  name: string;
+  webhookSecret: string | null;
+}
+
+/** GET /api/sync/webhook/instances */
+export interface GetSyncWebhookInstancesResponse {
+  instances: SyncWebhookInstance[];
+}
+
+/** POST /api/sync/webhook/instances/:instanceId/secret */
+export interface RegenerateSyncWebhookSecretResponse {
+  webhookSecret: string;
+}
+
+/** DELETE /api/sync/webhook/instances/:instanceId/secret */
+export interface ClearSyncWebhookSecretResponse {
+  ok: true;
+}
+
+/**
+ * One delivery log row (one debounced batch, or a rejected delivery)
+ */
+export interface SyncWebhookLogEntry {
+  id: number;
+  stashInstanceId: string | null;
+  instanceName: string | null;
+  status: SyncWebhookLogStatus;
+  deliveries: number;
+  receivedEvents: number;
+  appliedEvents: number;
+  failedEvents: number;
+  events: SyncWebhookLogEvent[];
+  error: string | null;
+  durationMs: number | null;
+  createdAt: Date;
+}
+
+/** GET /api/sync/webhook/log */
+export interface GetSyncWebhookLogResponse {
+  entries: SyncWebhookLogEntry[];
+}
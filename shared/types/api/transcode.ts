@@ -0,0 +1,78 @@
+// shared/types/api/transcode.ts
+/**
+ * Transcode API Types
+ *
+ * Types for Peek's own HLS transcoder: the admin endpoints under
+ * /api/transcode/* and the quality ladder the player picks from. The
+ * playlists and segments themselves are served under
+ * /api/scene/:sceneId/transcode/:quality/*.
+ */
+
+/** Rungs of the quality ladder, matching the player's quality presets */
+export type TranscodeQuality = "2160p" | "1080p" | "720p" | "480p" | "360p";
+
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+export interface TranscodeSettingsData {
+  enabled: boolean;
+  /** ffmpeg processes allowed to run at once */
+  maxConcurrent: number;
+  /** Segment cache size in MB before the least recently watched are evicted */
+  cacheLimitMb: number;
+}
+
+/** GET /api/transcode/settings */
+export interface GetTranscodeSettingsResponse {
+  settings: TranscodeSettingsData;
+  /** First line of `ffmpeg -version`, or null if ffmpeg can't be run */
+  ffmpegVersion: string | null;
+}
+
+/** PUT /api/transcode/settings */
+export interface UpdateTranscodeSettingsBody {
+  enabled?: boolean;
+  maxConcurrent?: number;
+  cacheLimitMb?: number;
+}
+
+export interface UpdateTranscodeSettingsResponse {
+  settings: TranscodeSettingsData;
+}
+
+// =============================================================================
+// ACTIVE TRANSCODES
+// =============================================================================
+
+export interface TranscodeJobData {
+  id: string;
+  sceneId: string;
+  instanceId: string;
+  sceneTitle: string | null;
+  quality: TranscodeQuality;
+  /** User whose playback started this encode */
+  username: string | null;
+  /** Where in the scene this encode started, in seconds */
+  startSeconds: number;
+  /** How far the encode has got, in seconds */
+  encodedSeconds: number;
+  durationSeconds: number;
+  startedAt: string;
+  lastRequestAt: string;
+}
+
+/** GET /api/transcode/jobs */
+export interface GetTranscodeJobsResponse {
+  jobs: TranscodeJobData[];
+  maxConcurrent: number;
+  cache: {
+    usedBytes: number;
+    limitBytes: number;
+  };
+}
+
+/** DELETE /api/transcode/jobs/:id */
+export interface StopTranscodeJobParams extends Record<string, string> {
+  id: string;
+}
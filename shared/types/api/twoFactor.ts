@@ -0,0 +1,221 @@
+// shared/types/api/twoFactor.ts
+/**
+ * Two-Factor Authentication API Types
+ *
+ * Request and response types for the second step of password login under
+ * /api/auth/login/two-factor/* and for managing a user's own second factors
+ * under /api/user/two-factor/*.
+ */
+
+// =============================================================================
+// SHARED
+// =============================================================================
+
+/** Ways a user can complete the second step of a login */
+export type TwoFactorMethod = "totp" | "backup_code" | "webauthn";
+
+/** A registered security key or passkey (the key material is never returned) */
+export interface WebAuthnCredentialData {
+  id: number;
+  name: string;
+  lastUsedAt: string | null;
+  createdAt: string;
+}
+
+export interface TwoFactorStatus {
+  totpEnabled: boolean;
+  backupCodesRemaining: number;
+  credentials: WebAuthnCredentialData[];
+  /** An admin policy requires this user to keep a second factor */
+  required: boolean;
+}
+
+/** Base64url credential reference in WebAuthn options */
+export interface WebAuthnCredentialDescriptorJSON {
+  id: string;
+  type: "public-key";
+  transports?: string[];
+}
+
+/** Options for navigator.credentials.create(), with binary fields base64url-encoded */
+export interface WebAuthnRegistrationOptionsJSON {
+  challenge: string;
+  rp: { name: string; id?: string };
+  user: { id: string; name: string; displayName: string };
+  pubKeyCredParams: { type: "public-key"; alg: number }[];
+  timeout?: number;
+  excludeCredentials?: WebAuthnCredentialDescriptorJSON[];
+  authenticatorSelection?: object;
+  attestation?: string;
+  extensions?: object;
+}
+
+/** Options for navigator.credentials.get(), with binary fields base64url-encoded */
+export interface WebAuthnAuthenticationOptionsJSON {
+  challenge: string;
+  rpId?: string;
+  timeout?: number;
+  allowCredentials?: WebAuthnCredentialDescriptorJSON[];
+  userVerification?: string;
+  extensions?: object;
+}
+
+/** Result of navigator.credentials.create(), with binary fields base64url-encoded */
+export interface WebAuthnRegistrationResponseJSON {
+  id: string;
+  rawId: string;
+  type: "public-key";
+  response: {
+    clientDataJSON: string;
+    attestationObject: string;
+    transports?: string[];
+  };
+  clientExtensionResults: object;
+  authenticatorAttachment?: string;
+}
+
+/** Result of navigator.credentials.get(), with binary fields base64url-encoded */
+export interface WebAuthnAuthenticationResponseJSON {
+  id: string;
+  rawId: string;
+  type: "public-key";
+  response: {
+    clientDataJSON: string;
+    authenticatorData: string;
+    signature: string;
+    userHandle?: string;
+  };
+  clientExtensionResults: object;
+  authenticatorAttachment?: string;
+}
+
+/** TOTP secret to add to an authenticator app */
+export interface TotpSetupData {
+  /** Base32 secret for manual entry */
+  secret: string;
+  otpauthUrl: string;
+  /** PNG data URL of a QR code for otpauthUrl */
+  qrCodeDataUrl: string;
+}
+
+// =============================================================================
+// LOGIN
+// =============================================================================
+
+/**
+ * POST /api/auth/login answers with one of these instead of signing in when
+ * the password was right but a second step is needed
+ */
+export interface TwoFactorChallengeResponse {
+  twoFactorRequired: true;
+  /** Identifies this login attempt in the two-factor endpoints; expires after a few minutes */
+  loginToken: string;
+  methods: TwoFactorMethod[];
+}
+
+export interface TwoFactorSetupRequiredResponse {
+  twoFactorSetupRequired: true;
+  loginToken: string;
+}
+
+/** POST /api/auth/login/two-factor */
+export interface VerifyTwoFactorLoginBody {
+  loginToken: string;
+  /** 6-digit authenticator code or a backup code */
+  code: string;
+}
+
+/** POST /api/auth/login/two-factor/webauthn/options */
+export interface WebAuthnLoginOptionsBody {
+  loginToken: string;
+}
+
+export interface WebAuthnLoginOptionsResponse {
+  options: WebAuthnAuthenticationOptionsJSON;
+}
+
+/** POST /api/auth/login/two-factor/webauthn */
+export interface VerifyWebAuthnLoginBody {
+  loginToken: string;
+  response: WebAuthnAuthenticationResponseJSON;
+}
+
+/** POST /api/auth/login/two-factor/setup */
+export interface BeginLoginTotpSetupBody {
+  loginToken: string;
+}
+
+/** POST /api/auth/login/two-factor/setup/confirm */
+export interface ConfirmLoginTotpSetupBody {
+  loginToken: string;
+  code: string;
+}
+
+// =============================================================================
+// OWN SECOND FACTORS
+// =============================================================================
+
+/** GET /api/user/two-factor */
+export interface GetTwoFactorStatusResponse {
+  status: TwoFactorStatus;
+}
+
+/** POST /api/user/two-factor/totp */
+export type BeginTotpSetupResponse = TotpSetupData;
+
+/** POST /api/user/two-factor/totp/confirm */
+export interface ConfirmTotpSetupBody {
+  code: string;
+}
+
+export interface ConfirmTotpSetupResponse {
+  status: TwoFactorStatus;
+  /** New backup codes, shown once; null if the user already had some */
+  backupCodes: string[] | null;
+}
+
+/** POST /api/user/two-factor/totp/disable and POST /api/user/two-factor/backup-codes */
+export interface TwoFactorPasswordBody {
+  password: string;
+}
+
+export interface RegenerateBackupCodesResponse {
+  status: TwoFactorStatus;
+  backupCodes: string[];
+}
+
+/** POST /api/user/two-factor/webauthn/options */
+export interface WebAuthnRegistrationOptionsResponse {
+  options: WebAuthnRegistrationOptionsJSON;
+}
+
+/** POST /api/user/two-factor/webauthn */
+export interface RegisterWebAuthnCredentialBody {
+  name: string;
+  response: WebAuthnRegistrationResponseJSON;
+}
+
+export interface RegisterWebAuthnCredentialResponse {
+  status: TwoFactorStatus;
+  /** New backup codes, shown once; null if the user already had some */
+  backupCodes: string[] | null;
+}
+
+/** DELETE /api/user/two-factor/webauthn/:credentialId */
+export interface DeleteWebAuthnCredentialParams extends Record<string, string> {
+  credentialId: string;
+}
+
+/** Responses that only report the updated state */
+export interface TwoFactorStatusResponse {
+  status: TwoFactorStatus;
+}
+
+// =============================================================================
+// ADMIN
+// =============================================================================
+
+/** DELETE /api/user/:userId/two-factor - removes every second factor so the user can enroll again */
+export interface AdminResetTwoFactorParams extends Record<string, string> {
+  userId: string;
+}
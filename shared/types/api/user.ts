@@ -37,6 +37,8 @@ export interface FilterPreset {
   zoomLevel?: string;
   tableColumns?: TableColumnsConfig | null;
   createdAt?: string;
+  /** Filter schema version (FILTER_RULES_VERSION); missing on older presets */
+  version?: number;
   [key: string]: unknown;
 }
 
@@ -500,6 +502,7 @@ export interface UpdatePermissionOverridesBody {
   canShareOverride?: boolean | null;
   canDownloadFilesOverride?: boolean | null;
   canDownloadPlaylistsOverride?: boolean | null;
+  canEditMetadataOverride?: boolean | null;
 }
 
 /** GET /api/users/:userId/groups */
@@ -0,0 +1,202 @@
+// shared/types/api/userData.ts
+/**
+ * User Data Export/Import API Types
+ *
+ * The portable archive of one user's activity (ratings, watch history,
+ * playlists, carousels, themes, hidden items and preferences) and the
+ * endpoints that produce and restore it: /api/user/data-export and
+ * /api/user/data-import, plus /api/user/:userId/data-* for admins.
+ */
+
+/** Entity types that ratings and hidden items can point at */
+export type UserDataEntityType =
+  | "scene"
+  | "performer"
+  | "studio"
+  | "tag"
+  | "group"
+  | "gallery"
+  | "image";
+
+/**
+ * A Stash entity as it was on the exporting server. Imports look for the
+ * same ID on the same instance first, then fall back to the phash (scenes)
+ * or stash IDs (performers, studios, tags) on any instance the user can see.
+ */
+export interface UserDataEntityRef {
+  instanceId: string | null;
+  id: string;
+  phash?: string | null;
+  stashIds?: Array<{ endpoint: string; stash_id: string }>;
+}
+
+// =============================================================================
+// ARCHIVE
+// =============================================================================
+
+/** User settings carried in the archive. Security and admin fields are never exported. */
+export interface UserDataPreferences {
+  preferredQuality?: string | null;
+  preferredPlaybackMode?: string | null;
+  preferredPreviewQuality?: string | null;
+  wallPlayback?: string | null;
+  enableCast?: boolean;
+  theme?: string | null;
+  carouselPreferences?: unknown;
+  navPreferences?: unknown;
+  filterPresets?: unknown;
+  defaultFilterPresets?: unknown;
+  unitPreference?: string | null;
+  tableColumnDefaults?: unknown;
+  cardDisplaySettings?: unknown;
+  landingPagePreference?: unknown;
+  lightboxDoubleTapAction?: string | null;
+  minimumPlayPercent?: number;
+  hideConfirmationDisabled?: boolean;
+}
+
+export interface UserDataRating {
+  entityType: UserDataEntityType;
+  entity: UserDataEntityRef;
+  rating: number | null;
+  favorite: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface UserDataWatchHistory {
+  scene: UserDataEntityRef;
+  playCount: number;
+  playDuration: number;
+  resumeTime: number | null;
+  lastPlayedAt: string | null;
+  oCount: number;
+  oHistory: unknown[];
+  playHistory: unknown[];
+}
+
+export interface UserDataImageView {
+  image: UserDataEntityRef;
+  viewCount: number;
+  viewHistory: unknown[];
+  oCount: number;
+  oHistory: unknown[];
+  lastViewedAt: string | null;
+}
+
+export interface UserDataPlaylist {
+  name: string;
+  description: string | null;
+  isPublic: boolean;
+  shuffle: boolean;
+  repeat: string;
+  type: string;
+  rules: unknown;
+  sort: string | null;
+  direction: string | null;
+  itemLimit: number | null;
+  /** Scenes in playlist order (empty for smart playlists) */
+  items: UserDataEntityRef[];
+}
+
+export interface UserDataCarousel {
+  /** ID on the exporting server, so carousel preferences can be remapped */
+  id: string;
+  title: string;
+  icon: string;
+  rules: unknown;
+  sort: string;
+  direction: string;
+}
+
+export interface UserDataCustomTheme {
+  /** ID on the exporting server, so a selected custom theme can be remapped */
+  id: number;
+  name: string;
+  config: unknown;
+}
+
+export interface UserDataHiddenEntity {
+  entityType: UserDataEntityType;
+  entity: UserDataEntityRef;
+  hiddenAt: string;
+}
+
+export interface UserDataArchive {
+  format: "peek-user-data";
+  version: number;
+  exportedAt: string;
+  username: string;
+  /** Instances referenced by the archive, for display when importing elsewhere */
+  instances: Array<{ id: string; name: string }>;
+  preferences: UserDataPreferences;
+  ratings: UserDataRating[];
+  watchHistory: UserDataWatchHistory[];
+  imageViewHistory: UserDataImageView[];
+  playlists: UserDataPlaylist[];
+  carousels: UserDataCarousel[];
+  customThemes: UserDataCustomTheme[];
+  hiddenEntities: UserDataHiddenEntity[];
+}
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+/**
+ * How records that already exist are resolved. "merge" keeps existing
+ * ratings, names and settings and combines play counts and histories;
+ * "overwrite" replaces them with the archive's. Nothing absent from the
+ * archive is deleted in either mode.
+ */
+export type UserDataImportMode = "merge" | "overwrite";
+
+export type UserDataSection =
+  | "preferences"
+  | "ratings"
+  | "watchHistory"
+  | "imageViewHistory"
+  | "playlists"
+  | "carousels"
+  | "customThemes"
+  | "hiddenEntities";
+
+/** POST /api/user/data-import and /api/user/:userId/data-import */
+export interface UserDataImportBody {
+  archive: UserDataArchive;
+  mode?: UserDataImportMode;
+  /** Report what would change without writing anything */
+  dryRun?: boolean;
+}
+
+export interface UserDataSectionReport {
+  created: number;
+  updated: number;
+  unchanged: number;
+  /** Records whose entities couldn't be found on this server */
+  unmatched: number;
+  /** Records left out, e.g. past the custom carousel limit */
+  skipped: number;
+}
+
+/** A record that exists on both sides with different values */
+export interface UserDataImportConflict {
+  section: UserDataSection;
+  /** What the record is, e.g. "scene 123" or a playlist name */
+  label: string;
+  existing: unknown;
+  incoming: unknown;
+}
+
+export interface UserDataImportResponse {
+  dryRun: boolean;
+  mode: UserDataImportMode;
+  sections: Record<UserDataSection, UserDataSectionReport>;
+  /** The first conflicts found; see conflictCount for the total */
+  conflicts: UserDataImportConflict[];
+  conflictCount: number;
+}
+
+export interface UserDataUserParams extends Record<string, string> {
+  userId: string;
+}
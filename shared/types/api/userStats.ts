@@ -2,7 +2,7 @@
 /**
  * User Stats API Types
  *
- * Request and response types for /api/user-stats endpoint.
+ * Request and response types for /api/user-stats endpoints.
  */
 
 // =============================================================================
@@ -155,3 +155,174 @@ export interface UserStatsResponse {
   mostOdScene: HighlightScene | null;
   mostOdPerformer: HighlightPerformer | null;
 }
+
+// =============================================================================
+// ACTIVITY OVER TIME
+// =============================================================================
+
+/**
+ * Period sizes for time series, matching /api/timeline's granularities
+ */
+export type StatsGranularity = "years" | "months" | "weeks" | "days";
+
+/**
+ * Activity within a period, day, hour or weekday
+ */
+export interface ActivityTotals {
+  watchTime: number; // seconds, estimated per play (see docs)
+  playCount: number;
+  oCount: number; // scenes + images
+  imageViews: number;
+}
+
+/**
+ * One period of a time series. Periods use /api/timeline's formats:
+ * "2024", "2024-03", "2024-W09" (weeks start on Monday) or "2024-03-01"
+ */
+export interface TimeSeriesPoint extends ActivityTotals {
+  period: string;
+}
+
+/**
+ * GET /api/user-stats/timeseries
+ * Dates are YYYY-MM-DD in the given timezone (default UTC)
+ */
+export interface GetTimeSeriesQuery extends Record<string, string | string[] | undefined> {
+  granularity?: string;
+  from?: string;
+  to?: string;
+  timezone?: string;
+  performerId?: string;
+  studioId?: string;
+  tagId?: string;
+}
+
+export interface GetTimeSeriesResponse {
+  granularity: StatsGranularity;
+  /** Every period from the first activity (or `from`) to `to`, zero-filled */
+  series: TimeSeriesPoint[];
+}
+
+/**
+ * One day of the calendar heatmap
+ */
+export interface HeatmapDay extends ActivityTotals {
+  date: string; // YYYY-MM-DD
+}
+
+/**
+ * Runs of consecutive days with any activity
+ */
+export interface StreakStats {
+  /** Days in the run that includes today, or yesterday if today has none yet */
+  current: number;
+  longest: number;
+  longestStart: string | null;
+  longestEnd: string | null;
+}
+
+/**
+ * GET /api/user-stats/activity
+ * Without `year`, covers the last 365 days
+ */
+export interface GetActivityQuery extends Record<string, string | string[] | undefined> {
+  year?: string;
+  timezone?: string;
+}
+
+export interface GetActivityResponse {
+  from: string;
+  to: string;
+  /** Every day from `from` to `to` */
+  days: HeatmapDay[];
+  /** 24 entries, local hour 0-23 */
+  hourOfDay: ActivityTotals[];
+  /** 7 entries, Sunday first */
+  dayOfWeek: ActivityTotals[];
+  /** Over all history, not just this range */
+  streaks: StreakStats;
+  /** Years with any activity, newest first */
+  years: number[];
+}
+
+export type TrendEntityType = "performer" | "studio" | "tag";
+export type TrendMetric = "playCount" | "watchTime";
+
+/**
+ * An entity's activity per period, with a trailing average over `window` periods
+ */
+export interface TrendSeries {
+  id: string;
+  name: string;
+  imageUrl: string | null;
+  total: number;
+  values: number[];
+  rolling: number[];
+}
+
+/**
+ * GET /api/user-stats/trends
+ */
+export interface GetTrendsQuery extends Record<string, string | string[] | undefined> {
+  entityType?: string;
+  granularity?: string;
+  metric?: string;
+  limit?: string;
+  window?: string;
+  from?: string;
+  to?: string;
+  timezone?: string;
+}
+
+export interface GetTrendsResponse {
+  entityType: TrendEntityType;
+  granularity: StatsGranularity;
+  metric: TrendMetric;
+  window: number;
+  periods: string[];
+  /** The entities with the highest total in the range, highest first */
+  series: TrendSeries[];
+}
+
+/**
+ * A scene, performer, studio or tag in a year's top list
+ */
+export interface YearInReviewItem {
+  id: string;
+  name: string;
+  imageUrl: string | null;
+  playCount: number;
+  watchTime: number; // seconds
+}
+
+/**
+ * GET /api/user-stats/year-in-review
+ */
+export interface GetYearInReviewQuery extends Record<string, string | string[] | undefined> {
+  year?: string;
+  timezone?: string;
+}
+
+export interface GetYearInReviewResponse {
+  year: number;
+  totals: ActivityTotals & {
+    scenesWatched: number;
+    /** Scenes first played this year */
+    newScenes: number;
+    activeDays: number;
+  };
+  /** 12 entries, January first */
+  months: ActivityTotals[];
+  busiestDay: HeatmapDay | null;
+  /** Local hour with the most plays */
+  favoriteHour: number | null;
+  /** Weekday with the most plays, 0 = Sunday */
+  favoriteWeekday: number | null;
+  longestStreak: { days: number; start: string | null; end: string | null };
+  topScenes: YearInReviewItem[];
+  topPerformers: YearInReviewItem[];
+  topStudios: YearInReviewItem[];
+  topTags: YearInReviewItem[];
+  /** Years with any activity, newest first */
+  years: number[];
+}
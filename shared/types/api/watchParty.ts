@@ -0,0 +1,116 @@
+// shared/types/api/watchParty.ts
+/**
+ * Watch Party Types
+ *
+ * Request and response types for /api/watch-party/* endpoints, which keep
+ * several Peek users' scene players in sync (play, pause, seek, scene change).
+ */
+
+// =============================================================================
+// SHARED
+// =============================================================================
+
+/**
+ * Playback events relayed to every participant.
+ * "scene" covers both a manual scene change and a playlist advance.
+ */
+export type WatchPartyAction = "play" | "pause" | "seek" | "scene";
+
+export interface WatchPartyParticipant {
+  userId: number;
+  username: string;
+  isHost: boolean;
+  /** Whether the participant currently has an open event stream */
+  connected: boolean;
+  joinedAt: Date;
+}
+
+export interface WatchPartyState {
+  id: string;
+  hostUserId: number;
+  sceneId: string;
+  instanceId: string | null;
+  /** Host's playlist position, when the scene was reached by a playlist advance */
+  playlistIndex: number | null;
+  playing: boolean;
+  /** Playback position in seconds as of positionUpdatedAt */
+  position: number;
+  /** Server time (epoch ms) the position was recorded */
+  positionUpdatedAt: number;
+  participants: WatchPartyParticipant[];
+  createdAt: Date;
+}
+
+/**
+ * Events sent over GET /api/watch-party/:partyId/events (Server-Sent Events).
+ * The SSE event name matches `type`; the data line is the JSON object.
+ */
+export type WatchPartyStreamEvent =
+  | { type: "state"; party: WatchPartyState }
+  | {
+      type: "control";
+      action: WatchPartyAction;
+      fromUserId: number;
+      /** Echo of the sender's clientId so a tab can ignore its own events */
+      clientId: string | null;
+      party: WatchPartyState;
+    }
+  | { type: "removed"; reason: string }
+  | { type: "ended"; reason: string };
+
+// =============================================================================
+// CREATE / JOIN / LEAVE
+// =============================================================================
+
+/**
+ * POST /api/watch-party
+ */
+export interface CreateWatchPartyBody {
+  sceneId: string;
+  instanceId?: string | null;
+  playlistIndex?: number | null;
+  /** Host's current playback position in seconds */
+  position?: number;
+  /** Whether the host is currently playing */
+  playing?: boolean;
+}
+
+export interface WatchPartyResponse {
+  party: WatchPartyState;
+}
+
+/**
+ * GET /api/watch-party/:partyId
+ * POST /api/watch-party/:partyId/join
+ * POST /api/watch-party/:partyId/leave
+ */
+export interface WatchPartyParams extends Record<string, string> {
+  partyId: string;
+}
+
+export interface LeaveWatchPartyResponse {
+  success: true;
+  /** True when the host left and the party was closed */
+  ended: boolean;
+}
+
+// =============================================================================
+// PLAYBACK CONTROL
+// =============================================================================
+
+/**
+ * POST /api/watch-party/:partyId/control
+ *
+ * Any participant may play, pause or seek. Only the host may change scene.
+ */
+export interface WatchPartyControlBody {
+  action: WatchPartyAction;
+  /** Sender's playback position in seconds */
+  position?: number;
+  /** Required for "scene" */
+  sceneId?: string;
+  instanceId?: string | null;
+  playlistIndex?: number | null;
+  /** Random per-tab ID, echoed back on the resulting stream event */
+  clientId?: string;
+}
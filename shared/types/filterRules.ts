@@ -0,0 +1,228 @@
+/**
+ * Filter rule groups — nested AND/OR/NOT combinations of filter criteria.
+ *
+ * A rule holds one filter fragment (for example a scene filter with a
+ * single criterion). A group combines its children with AND or OR and can
+ * be negated, so `NOT (A OR (B AND C))` is a group holding a rule and
+ * another group.
+ *
+ * Carousels and smart playlists store their rules as a root group tagged
+ * with a schema version. Version 1 was a flat filter object whose criteria
+ * were all ANDed; `migrateFilterRules` turns those into version 2.
+ *
+ * Query builders read a group from a filter's `filter_group` field and AND
+ * it with the filter's other criteria.
+ */
+
+/** Schema version of stored rules and filter presets */
+export const FILTER_RULES_VERSION = 2;
+
+/** Deepest nesting of groups accepted from clients */
+export const MAX_FILTER_RULE_DEPTH = 5;
+
+/** Most rules accepted in one tree */
+export const MAX_FILTER_RULES = 100;
+
+export type FilterRuleOperator = "AND" | "OR";
+
+export interface FilterRule<F> {
+  type: "rule";
+  filter: F;
+}
+
+export interface FilterRuleGroup<F> {
+  type: "group";
+  operator: FilterRuleOperator;
+  /** Match items the group does not match */
+  negate?: boolean;
+  children: FilterRuleNode<F>[];
+  /** Client-side key for editors; ignored by the server */
+  id?: string;
+}
+
+export type FilterRuleNode<F> = FilterRule<F> | FilterRuleGroup<F>;
+
+/** Rules as stored on carousels and smart playlists */
+export interface VersionedFilterRules<F> {
+  version: typeof FILTER_RULES_VERSION;
+  root: FilterRuleGroup<F>;
+}
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Type guard: a rule group node (does not check its children)
+ */
+export function isFilterRuleGroup(value: unknown): value is FilterRuleGroup<unknown> {
+  return (
+    isRecord(value) &&
+    value.type === "group" &&
+    (value.operator === "AND" || value.operator === "OR") &&
+    Array.isArray(value.children)
+  );
+}
+
+/**
+ * Type guard: rules already in the versioned format
+ */
+export function isVersionedFilterRules(value: unknown): value is VersionedFilterRules<unknown> {
+  return isRecord(value) && typeof value.version === "number" && isFilterRuleGroup(value.root);
+}
+
+/**
+ * Create an empty group
+ */
+export function createFilterRuleGroup<F>(
+  operator: FilterRuleOperator = "AND",
+  children: FilterRuleNode<F>[] = []
+): FilterRuleGroup<F> {
+  return { type: "group", operator, children };
+}
+
+/**
+ * Bring stored rules up to the current version.
+ *
+ * Version 1 rules are a flat filter object; each of its criteria becomes a
+ * rule in an AND root group, which matches exactly what the flat filter
+ * matched. Missing or malformed rules become an empty group.
+ */
+export function migrateFilterRules<F>(stored: unknown): VersionedFilterRules<F> {
+  if (isVersionedFilterRules(stored)) {
+    return { version: FILTER_RULES_VERSION, root: stored.root as FilterRuleGroup<F> };
+  }
+
+  if (!isRecord(stored)) {
+    return { version: FILTER_RULES_VERSION, root: createFilterRuleGroup<F>() };
+  }
+
+  const children: FilterRuleNode<F>[] = Object.entries(stored)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ type: "rule", filter: { [key]: value } as F }));
+
+  return { version: FILTER_RULES_VERSION, root: createFilterRuleGroup("AND", children) };
+}
+
+/**
+ * Check a tree received from a client. Returns an error message, or null
+ * when the tree is well formed and within the size limits.
+ */
+export function validateFilterRuleGroup(group: unknown): string | null {
+  let rules = 0;
+
+  const check = (node: unknown, depth: number): string | null => {
+    if (isFilterRuleGroup(node)) {
+      if (depth > MAX_FILTER_RULE_DEPTH) {
+        return `Rule groups can be nested at most ${MAX_FILTER_RULE_DEPTH} levels deep`;
+      }
+      if (node.negate !== undefined && typeof node.negate !== "boolean") {
+        return "Rule group negate must be a boolean";
+      }
+      for (const child of node.children) {
+        const error = check(child, depth + 1);
+        if (error) return error;
+      }
+      return null;
+    }
+
+    if (isRecord(node) && node.type === "rule" && isRecord(node.filter)) {
+      rules += 1;
+      return rules > MAX_FILTER_RULES ? `At most ${MAX_FILTER_RULES} rules are allowed` : null;
+    }
+
+    return "Invalid rule or rule group";
+  };
+
+  return check(group, 1);
+}
+
+export type FilterRulesParseResult<F> =
+  | { valid: true; value: VersionedFilterRules<F> }
+  | { valid: false; error: string };
+
+/**
+ * Read rules sent by a client: either version accepted, migrated to the
+ * current one and checked with `validateFilterRuleGroup`.
+ */
+export function parseFilterRules<F>(input: unknown): FilterRulesParseResult<F> {
+  if (!isRecord(input)) {
+    return { valid: false, error: "Rules must be an object" };
+  }
+  if ("version" in input && !isVersionedFilterRules(input)) {
+    return { valid: false, error: "Invalid rule group" };
+  }
+
+  const rules = migrateFilterRules<F>(input);
+  const error = validateFilterRuleGroup(rules.root);
+  return error ? { valid: false, error } : { valid: true, value: rules };
+}
+
+/**
+ * Copy a tree, converting every rule's filter
+ */
+export function mapFilterRules<F, G>(
+  group: FilterRuleGroup<F>,
+  convert: (filter: F) => G
+): FilterRuleGroup<G> {
+  return {
+    ...group,
+    children: group.children.map((child) =>
+      child.type === "group"
+        ? mapFilterRules(child, convert)
+        : { type: "rule", filter: convert(child.filter) }
+    ),
+  };
+}
+
+/**
+ * Number of rules anywhere in the tree
+ */
+export function countFilterRules(group: FilterRuleGroup<unknown>): number {
+  return group.children.reduce(
+    (total, child) => total + (child.type === "group" ? countFilterRules(child) : 1),
+    0
+  );
+}
+
+/**
+ * Merge a tree back into one flat filter when it is only ANDs with no
+ * negation and no criterion repeats, as a version 1 filter would be.
+ * Returns null when the tree needs real grouping.
+ */
+export function flattenFilterRules<F extends object>(group: FilterRuleGroup<F>): F | null {
+  if (group.negate || (group.operator === "OR" && group.children.length > 1)) return null;
+
+  const merged: Record<string, unknown> = {};
+  for (const child of group.children) {
+    const filter = child.type === "group" ? flattenFilterRules(child) : child.filter;
+    if (filter === null) return null;
+    for (const [key, value] of Object.entries(filter)) {
+      if (key in merged) return null;
+      merged[key] = value;
+    }
+  }
+  return merged as F;
+}
+
+/**
+ * Readable summary of a tree, e.g.
+ * `Tags: 2 selected AND (Rating: ≥ 80 OR Favorite) AND NOT Studio: selected`.
+ * Rules that describe to an empty string and empty groups are left out.
+ */
+export function describeFilterRules<F>(
+  group: FilterRuleGroup<F>,
+  describeRule: (filter: F) => string
+): string {
+  const describeGroup = (node: FilterRuleGroup<F>, nested: boolean): string => {
+    const parts = node.children
+      .map((child) => (child.type === "group" ? describeGroup(child, true) : describeRule(child.filter)))
+      .filter(Boolean);
+    if (parts.length === 0) return "";
+
+    const joined = parts.join(` ${node.operator} `);
+    const wrapped = parts.length > 1 && (nested || node.negate) ? `(${joined})` : joined;
+    return node.negate ? `NOT ${wrapped}` : wrapped;
+  };
+
+  return describeGroup(group, false);
+}
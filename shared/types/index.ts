@@ -28,5 +28,30 @@ export {
   coerceEntityRefs,
 } from "./instanceAwareId.js";
 
+// Nested AND/OR/NOT filter rule groups
+export type {
+  FilterRuleOperator,
+  FilterRule,
+  FilterRuleGroup,
+  FilterRuleNode,
+  VersionedFilterRules,
+  FilterRulesParseResult,
+} from "./filterRules.js";
+export {
+  FILTER_RULES_VERSION,
+  MAX_FILTER_RULE_DEPTH,
+  MAX_FILTER_RULES,
+  isFilterRuleGroup,
+  isVersionedFilterRules,
+  createFilterRuleGroup,
+  migrateFilterRules,
+  validateFilterRuleGroup,
+  parseFilterRules,
+  mapFilterRules,
+  countFilterRules,
+  flattenFilterRules,
+  describeFilterRules,
+} from "./filterRules.js";
+
 // API contract types
 export * from "./api/index.js";